@@ -40,6 +40,28 @@ const ProductManagement = lazy(() =>
 const AdvancedProductManagement = lazy(() =>
   import("./components/ProductManagement/components/ProductManagement")
 );
+const RepricingManager = lazy(() =>
+  import("./components/pricing/RepricingManager")
+);
+const SupplierFeedRuns = lazy(() =>
+  import("./components/pricing/SupplierFeedRuns")
+);
+const ReturnsManager = lazy(() =>
+  import("./components/returns/ReturnsManager")
+);
+const InvoiceAutomationManager = lazy(() =>
+  import("./components/invoicing/InvoiceAutomationManager")
+);
+const CreditNotesManager = lazy(() =>
+  import("./components/invoicing/CreditNotesManager")
+);
+const AccountingManager = lazy(() =>
+  import("./components/accounting/AccountingManager")
+);
+const ChatQueue = lazy(() => import("./components/chat/ChatQueue"));
+const AnswerDraftQueue = lazy(() =>
+  import("./components/customer-questions/AnswerDraftQueue")
+);
 const VariantDetectionConfigurationPage = lazy(() =>
   import(
     "./components/ProductManagement/VariantDetectionConfig/VariantDetectionConfigurationPage"
@@ -278,6 +300,38 @@ function App() {
                                   </Suspense>
                                 }
                               />
+                              <Route
+                                path="orders/returns"
+                                element={
+                                  <Suspense fallback={<PageLoader />}>
+                                    <ReturnsManager />
+                                  </Suspense>
+                                }
+                              />
+                              <Route
+                                path="invoicing/automation"
+                                element={
+                                  <Suspense fallback={<PageLoader />}>
+                                    <InvoiceAutomationManager />
+                                  </Suspense>
+                                }
+                              />
+                              <Route
+                                path="invoicing/credit-notes"
+                                element={
+                                  <Suspense fallback={<PageLoader />}>
+                                    <CreditNotesManager />
+                                  </Suspense>
+                                }
+                              />
+                              <Route
+                                path="accounting"
+                                element={
+                                  <Suspense fallback={<PageLoader />}>
+                                    <AccountingManager />
+                                  </Suspense>
+                                }
+                              />
 
                               {/* Product Detail */}
                               <Route
@@ -371,7 +425,15 @@ function App() {
                                 path="products/pricing"
                                 element={
                                   <Suspense fallback={<PageLoader />}>
-                                    <ProductManagement />
+                                    <RepricingManager />
+                                  </Suspense>
+                                }
+                              />
+                              <Route
+                                path="products/pricing/feeds"
+                                element={
+                                  <Suspense fallback={<PageLoader />}>
+                                    <SupplierFeedRuns />
                                   </Suspense>
                                 }
                               />
@@ -415,6 +477,22 @@ function App() {
                                 path="customer-questions"
                                 element={<CustomerQuestions />}
                               />
+                              <Route
+                                path="customer-questions/drafts"
+                                element={
+                                  <Suspense fallback={<PageLoader />}>
+                                    <AnswerDraftQueue />
+                                  </Suspense>
+                                }
+                              />
+                              <Route
+                                path="customer-chats"
+                                element={
+                                  <Suspense fallback={<PageLoader />}>
+                                    <ChatQueue />
+                                  </Suspense>
+                                }
+                              />
 
                               {/* Shipping Management - with sub-routes */}
                               <Route
@@ -18,12 +18,17 @@ import {
   Calendar,
   ExternalLink,
   MessageCircle,
+  Sparkles,
+  Users,
+  Timer,
 } from "lucide-react";
 import { formatDistanceToNow, format } from "date-fns";
 import { tr } from "date-fns/locale";
 import api from "../services/api";
 import { useAlert } from "../contexts/AlertContext";
 import { Button, Card, CardContent, Badge, Modal } from "./ui";
+import SlaCountdown from "./customer-questions/SlaCountdown";
+import AgentResponseReport from "./customer-questions/AgentResponseReport";
 
 const CustomerQuestions = () => {
   const { showAlert } = useAlert();
@@ -54,6 +59,8 @@ const CustomerQuestions = () => {
     dateFrom: "",
     dateTo: "",
     priority: "all",
+    sla: "all",
+    assignee: "all",
     sortBy: "creation_date",
     sortOrder: "desc",
   });
@@ -76,6 +83,13 @@ const CustomerQuestions = () => {
   const [replyFeedback, setReplyFeedback] = useState(null);
   const [templateSaving, setTemplateSaving] = useState(false);
   const [selectedTemplate, setSelectedTemplate] = useState("");
+  const [drafting, setDrafting] = useState(false);
+
+  // Answer deadlines and assignment
+  const [teamMembers, setTeamMembers] = useState([]);
+  const [slaSummary, setSlaSummary] = useState(null);
+  const [showAgentReport, setShowAgentReport] = useState(false);
+  const [now, setNow] = useState(new Date());
 
   // API functions
   const loadQuestions = useCallback(async () => {
@@ -83,11 +97,12 @@ const CustomerQuestions = () => {
       setLoading(true);
       setError(null);
 
+      // Questions filtered by deadline are listed most urgent first
       const params = new URLSearchParams({
         page: currentPage,
         limit: recordCount,
-        sort_by: sortConfig.key,
-        sort_order: sortConfig.direction,
+        sort_by: filters.sla !== "all" ? "due_date" : sortConfig.key,
+        sort_order: filters.sla !== "all" ? "asc" : sortConfig.direction,
       });
 
       if (filters.platform !== "all") {
@@ -99,6 +114,12 @@ const CustomerQuestions = () => {
       if (filters.priority !== "all") {
         params.append("priority", filters.priority);
       }
+      if (filters.sla !== "all") {
+        params.append("sla", filters.sla);
+      }
+      if (filters.assignee !== "all") {
+        params.append("assigned_to", filters.assignee);
+      }
       if (filters.dateFrom) {
         params.append("start_date", filters.dateFrom);
       }
@@ -175,6 +196,51 @@ const CustomerQuestions = () => {
     }
   }, []);
 
+  const loadSlaSummary = useCallback(async () => {
+    try {
+      const response = await api.customerQuestions.sla.getSummary();
+      if (response.success) {
+        setSlaSummary(response.data);
+      }
+    } catch (err) {
+      logger.error("Error loading SLA summary:", err);
+    }
+  }, []);
+
+  const loadTeamMembers = useCallback(async () => {
+    try {
+      const response = await api.customerQuestions.sla.getTeamMembers();
+      if (response.success) {
+        setTeamMembers(response.data || []);
+      }
+    } catch (err) {
+      logger.error("Error loading team members:", err);
+    }
+  }, []);
+
+  const assignQuestion = useCallback(
+    async (question, assignedTo) => {
+      try {
+        await api.customerQuestions.assignQuestion(
+          question.id,
+          assignedTo || null
+        );
+        setQuestions((prev) =>
+          prev.map((item) =>
+            item.id === question.id
+              ? { ...item, assigned_to: assignedTo || null }
+              : item
+          )
+        );
+        loadSlaSummary();
+      } catch (err) {
+        logger.error("Error assigning question:", err);
+        showAlert("Soru atanamadı", "error");
+      }
+    },
+    [loadSlaSummary, showAlert]
+  );
+
   const loadTemplates = useCallback(async () => {
     try {
       const response = await api.customerQuestions.templates.getTemplates();
@@ -217,6 +283,39 @@ const CustomerQuestions = () => {
     }
   }, [replyText, showAlert, loadTemplates]);
 
+  // Draft an answer from product facts and reply templates
+  const draftReply = useCallback(async () => {
+    if (!selectedQuestion) return;
+
+    setDrafting(true);
+    try {
+      const response = await api.customerQuestions.answerDrafts.createDraft(
+        selectedQuestion.id
+      );
+      const draft = response.data;
+
+      if (draft?.answer_text) {
+        setReplyText(draft.answer_text);
+        setReplyFeedback({
+          type: "success",
+          message: `Taslak hazırlandı (%${Math.round(
+            draft.confidence * 100
+          )} güven). Göndermeden önce kontrol edin.`,
+        });
+      } else {
+        setReplyFeedback({
+          type: "error",
+          message: "Bu soru için ürün bilgilerinden yanıt hazırlanamadı.",
+        });
+      }
+    } catch (err) {
+      logger.error("Error drafting reply:", err);
+      showAlert("Yanıt taslağı hazırlanamadı", "error");
+    } finally {
+      setDrafting(false);
+    }
+  }, [selectedQuestion, showAlert]);
+
   const syncQuestions = useCallback(async () => {
     try {
       setSyncing(true);
@@ -305,7 +404,22 @@ const CustomerQuestions = () => {
   useEffect(() => {
     loadStats();
     loadTemplates();
-  }, [loadStats, loadTemplates]);
+    loadSlaSummary();
+    loadTeamMembers();
+  }, [loadStats, loadTemplates, loadSlaSummary, loadTeamMembers]);
+
+  // Keep the SLA countdowns moving
+  useEffect(() => {
+    const timer = setInterval(() => setNow(new Date()), 60 * 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  const memberNames = Object.fromEntries(
+    teamMembers.map((member) => [
+      member.id,
+      member.fullName || member.username,
+    ])
+  );
 
   // Helper functions similar to Orders page
   const getStatusIcon = useCallback((status) => {
@@ -436,6 +550,15 @@ const CustomerQuestions = () => {
                   </span>
                 </Button>
 
+                <Button
+                  onClick={() => setShowAgentReport(!showAgentReport)}
+                  variant={showAgentReport ? "primary" : "outline"}
+                  className="flex items-center space-x-2"
+                >
+                  <Users className="h-4 w-4" />
+                  <span>Temsilci Raporu</span>
+                </Button>
+
                 <Button
                   onClick={() => {
                     /* Export functionality */
@@ -550,6 +673,55 @@ const CustomerQuestions = () => {
           </Card>
         </div>
 
+        {/* Answer deadlines */}
+        {slaSummary && (
+          <div className="flex flex-wrap items-center gap-3 mb-6">
+            <Timer className="h-5 w-5 text-gray-500" />
+            {[
+              ["overdue", "Süresi geçen", slaSummary.overdue, "danger"],
+              [
+                "due_soon",
+                `${Math.round(slaSummary.warningMinutes / 60)} saat içinde dolacak`,
+                slaSummary.dueSoon,
+                "warning",
+              ],
+              ["on_track", "Süresi olan", slaSummary.onTrack, "secondary"],
+            ].map(([value, label, count, variant]) => (
+              <button
+                key={value}
+                type="button"
+                onClick={() => {
+                  setCurrentPage(1);
+                  setFilters((prev) => ({
+                    ...prev,
+                    sla: prev.sla === value ? "all" : value,
+                  }));
+                }}
+                className={`rounded-lg border px-3 py-1 text-sm ${
+                  filters.sla === value
+                    ? "border-blue-500 bg-blue-50"
+                    : "border-gray-200 bg-white"
+                }`}
+              >
+                {label}: <Badge variant={variant}>{count}</Badge>
+              </button>
+            ))}
+            <span className="text-sm text-gray-500">
+              Atanmamış: {slaSummary.unassigned}
+            </span>
+          </div>
+        )}
+
+        {showAgentReport && (
+          <AgentResponseReport
+            teamMembers={teamMembers}
+            onAssigned={() => {
+              loadQuestions();
+              loadSlaSummary();
+            }}
+          />
+        )}
+
         {/* Search and Filter Section */}
         <Card className="mb-6">
           <CardContent className="p-6">
@@ -671,6 +843,51 @@ const CustomerQuestions = () => {
                       <option value="urgent">Acil</option>
                     </select>
                   </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Yanıt Süresi
+                    </label>
+                    <select
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+                      value={filters.sla}
+                      onChange={(e) =>
+                        setFilters((prev) => ({
+                          ...prev,
+                          sla: e.target.value,
+                        }))
+                      }
+                    >
+                      <option value="all">Tümü</option>
+                      <option value="overdue">Süresi Geçen</option>
+                      <option value="due_soon">Süresi Dolmak Üzere</option>
+                      <option value="on_track">Süresi Olan</option>
+                    </select>
+                  </div>
+
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Atanan
+                    </label>
+                    <select
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+                      value={filters.assignee}
+                      onChange={(e) =>
+                        setFilters((prev) => ({
+                          ...prev,
+                          assignee: e.target.value,
+                        }))
+                      }
+                    >
+                      <option value="all">Herkes</option>
+                      <option value="me">Bana Atananlar</option>
+                      {teamMembers.map((member) => (
+                        <option key={member.id} value={member.id}>
+                          {member.fullName || member.username}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
                 </div>
               </div>
             )}
@@ -712,6 +929,12 @@ const CustomerQuestions = () => {
                     <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                       Tarih
                     </th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Yanıt Süresi
+                    </th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      Atanan
+                    </th>
                     <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                       İşlemler
                     </th>
@@ -720,7 +943,7 @@ const CustomerQuestions = () => {
                 <tbody className="bg-white divide-y divide-gray-200">
                   {questions.length === 0 ? (
                     <tr>
-                      <td colSpan="7" className="px-6 py-12 text-center">
+                      <td colSpan="9" className="px-6 py-12 text-center">
                         <MessageCircle className="h-12 w-12 text-gray-400 mx-auto mb-4" />
                         <h3 className="text-lg font-medium text-gray-900 mb-2">
                           Henüz soru bulunamadı
@@ -837,6 +1060,35 @@ const CustomerQuestions = () => {
                             )}
                           </div>
                         </td>
+                        <td className="px-6 py-4 whitespace-nowrap">
+                          <SlaCountdown
+                            question={question}
+                            now={now}
+                            warningMinutes={slaSummary?.warningMinutes}
+                          />
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm">
+                          {question.status === "WAITING_FOR_ANSWER" ? (
+                            <select
+                              className="border border-gray-300 rounded px-2 py-1 text-sm"
+                              value={question.assigned_to || ""}
+                              onChange={(e) =>
+                                assignQuestion(question, e.target.value)
+                              }
+                            >
+                              <option value="">Atanmadı</option>
+                              {teamMembers.map((member) => (
+                                <option key={member.id} value={member.id}>
+                                  {member.fullName || member.username}
+                                </option>
+                              ))}
+                            </select>
+                          ) : (
+                            <span className="text-gray-500">
+                              {memberNames[question.assigned_to] || "-"}
+                            </span>
+                          )}
+                        </td>
                         <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
                           <div className="flex items-center space-x-3">
                             <Button
@@ -980,9 +1232,25 @@ const CustomerQuestions = () => {
             </div>
 
             <div>
-              <label className="block text-sm font-medium text-gray-700 mb-2">
-                Yanıt Metni
-              </label>
+              <div className="flex items-center justify-between mb-2">
+                <label className="block text-sm font-medium text-gray-700">
+                  Yanıt Metni
+                </label>
+                <Button
+                  onClick={draftReply}
+                  variant="outline"
+                  size="sm"
+                  disabled={replyLoading || drafting}
+                  className="flex items-center space-x-1"
+                >
+                  {drafting ? (
+                    <Loader2 className="w-4 h-4 animate-spin" />
+                  ) : (
+                    <Sparkles className="w-4 h-4" />
+                  )}
+                  <span>Yanıt Taslağı Oluştur</span>
+                </Button>
+              </div>
               <textarea
                 className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 disabled:bg-gray-100 disabled:cursor-not-allowed"
                 rows={4}
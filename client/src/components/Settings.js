@@ -876,6 +876,10 @@ const Settings = () => {
               <option value="aras">Aras Kargo</option>
               <option value="mng">MNG Kargo</option>
               <option value="ptt">PTT Kargo</option>
+              <option value="surat">Sürat Kargo</option>
+              <option value="hepsijet">HepsiJet</option>
+              <option value="trendyol_express">Trendyol Express</option>
+              <option value="kolaygelsin">Kolay Gelsin</option>
               <option value="ups">UPS</option>
               <option value="dhl">DHL</option>
             </select>
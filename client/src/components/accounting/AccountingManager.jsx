@@ -0,0 +1,1305 @@
+import logger from "../../utils/logger.js";
+import React, { useState, useEffect, useCallback } from "react";
+import {
+  BookOpen,
+  CalendarDays,
+  Receipt,
+  Settings2,
+  Link2,
+  Lock,
+  Unlock,
+  Download,
+  RefreshCw,
+  Plus,
+  Trash2,
+  AlertTriangle,
+  Loader2,
+} from "lucide-react";
+import { format, subMonths } from "date-fns";
+import { tr } from "date-fns/locale";
+import api from "../../services/api";
+import { useAlert } from "../../contexts/AlertContext";
+import { Button, Card, CardContent, Badge, Modal } from "../ui";
+import { useErrorHandler } from "../../hooks/useErrorHandler";
+
+const PLATFORMS = {
+  trendyol: "Trendyol",
+  hepsiburada: "Hepsiburada",
+  n11: "N11",
+};
+
+const tabs = [
+  { id: "periods", label: "Dönemler", icon: CalendarDays },
+  { id: "fees", label: "Pazaryeri Masrafları", icon: Receipt },
+  { id: "mapping", label: "Hesap Planı", icon: Settings2 },
+  { id: "parasut", label: "Paraşüt", icon: Link2 },
+];
+
+const kindLabels = {
+  sales: "Satış faturaları",
+  return: "İade faturaları",
+  commission: "Komisyonlar",
+  shipping: "Kargo bedelleri",
+};
+
+const datasets = {
+  sales: "Satış faturaları",
+  returns: "İade faturaları",
+  invoices: "Tüm faturalar",
+  commissions: "Komisyonlar",
+  shipping: "Kargo bedelleri",
+  journal: "Yevmiye",
+};
+
+// Datasets each format can export, as the server allows them
+const exportFormats = {
+  logo: { label: "Logo (XML)", datasets: Object.keys(datasets) },
+  mikro: { label: "Mikro (CSV)", datasets: Object.keys(datasets) },
+  parasut: {
+    label: "Paraşüt (CSV)",
+    datasets: Object.keys(datasets).filter((key) => key !== "journal"),
+  },
+  parasut_api: {
+    label: "Paraşüt'e gönder",
+    datasets: Object.keys(datasets).filter((key) => key !== "journal"),
+  },
+  csv: { label: "CSV", datasets: ["journal"] },
+};
+
+const feeTypes = {
+  commission: "Komisyon",
+  shipping: "Kargo",
+};
+
+const feeSources = {
+  settlement: "Cari hesap",
+  order: "Sipariş",
+  manual: "Elle girildi",
+};
+
+const mappingLabels = {
+  receivable: "Alıcılar",
+  payable: "Satıcılar",
+  sales: "Yurt içi satışlar",
+  salesReturns: "Satıştan iadeler",
+  outputVat: "Hesaplanan KDV",
+  returnVat: "İadelerin KDV'si",
+  inputVat: "İndirilecek KDV",
+  commissionExpense: "Komisyon gideri",
+  shippingExpense: "Kargo gideri",
+  customerCode: "Satış cari kodu",
+  supplierCode: "Masraf cari kodu",
+  commissionServiceCode: "Komisyon hizmet kartı",
+  shippingServiceCode: "Kargo hizmet kartı",
+};
+
+const COMMON_VAT_RATES = ["0", "1", "10", "20"];
+
+const parasutFields = [
+  { key: "companyId", label: "Firma ID" },
+  { key: "clientId", label: "Client ID" },
+  { key: "clientSecret", label: "Client Secret", secret: true },
+  { key: "username", label: "Kullanıcı adı" },
+  { key: "password", label: "Şifre", secret: true },
+];
+
+const formatPrice = (value) =>
+  value === null || value === undefined
+    ? "-"
+    : `${Number(value).toLocaleString("tr-TR", {
+        minimumFractionDigits: 2,
+        maximumFractionDigits: 2,
+      })} ₺`;
+
+const formatDate = (value) =>
+  value ? format(new Date(value), "dd.MM.yyyy HH:mm", { locale: tr }) : "-";
+
+const formatPeriod = (period) =>
+  format(new Date(`${period}-01T00:00:00`), "LLLL yyyy", { locale: tr });
+
+const inputClass =
+  "w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent";
+const labelClass = "block text-sm font-medium text-gray-700 mb-1";
+const thClass =
+  "px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider";
+
+const ReasonModal = ({ period, locking, onClose, onDone }) => {
+  const { showAlert } = useAlert();
+  const { handleError } = useErrorHandler();
+  const [reason, setReason] = useState("");
+  const [saving, setSaving] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSaving(true);
+      if (locking) {
+        await api.accounting.lockPeriod(period, reason.trim());
+        showAlert(`${formatPeriod(period)} kilitlendi`, "success");
+      } else {
+        await api.accounting.unlockPeriod(period, reason.trim());
+        showAlert(`${formatPeriod(period)} düzeltme için açıldı`, "success");
+      }
+      onDone();
+    } catch (error) {
+      handleError(error, "Dönem güncellenirken hata oluştu");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Modal
+      isOpen
+      onClose={onClose}
+      title={locking ? "Dönemi Kilitle" : "Dönem Kilidini Aç"}
+      size="md"
+    >
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <p className="text-sm text-gray-600">
+          {locking
+            ? `${formatPeriod(period)} kilitlendikten sonra bu aya ait faturalar ve masraflar değiştirilemez.`
+            : `${formatPeriod(period)} düzeltmeler için yeniden açılacak; neden dönem geçmişinde saklanır.`}
+        </p>
+        <div>
+          <label className={labelClass}>{locking ? "Açıklama" : "Neden"}</label>
+          <textarea
+            rows={3}
+            maxLength={255}
+            required={!locking}
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+            className={inputClass}
+          />
+        </div>
+        <div className="flex justify-end space-x-3 pt-2">
+          <Button type="button" variant="outline" onClick={onClose}>
+            Vazgeç
+          </Button>
+          <Button
+            type="submit"
+            variant={locking ? "primary" : "danger"}
+            disabled={saving || (!locking && !reason.trim())}
+          >
+            {saving && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+            {locking ? "Kilitle" : "Kilidi Aç"}
+          </Button>
+        </div>
+      </form>
+    </Modal>
+  );
+};
+
+const Journal = ({ journal }) => (
+  <div className="space-y-6 p-6">
+    <div className="overflow-x-auto">
+      <h3 className="text-sm font-semibold text-gray-900 mb-2">Hesap bakiyeleri</h3>
+      <table className="w-full">
+        <thead className="bg-gray-50 border-b border-gray-200">
+          <tr>
+            <th className={thClass}>Hesap</th>
+            <th className={thClass}>Borç</th>
+            <th className={thClass}>Alacak</th>
+            <th className={thClass}>Bakiye</th>
+          </tr>
+        </thead>
+        <tbody className="bg-white divide-y divide-gray-200">
+          {journal.accounts.map((account) => (
+            <tr key={account.account}>
+              <td className="px-4 py-2 text-sm font-medium text-gray-900">{account.account}</td>
+              <td className="px-4 py-2 text-sm text-gray-900">{formatPrice(account.debit)}</td>
+              <td className="px-4 py-2 text-sm text-gray-900">{formatPrice(account.credit)}</td>
+              <td className="px-4 py-2 text-sm text-gray-900">{formatPrice(account.balance)}</td>
+            </tr>
+          ))}
+          <tr className="bg-gray-50">
+            <td className="px-4 py-2 text-sm font-semibold text-gray-900">Toplam</td>
+            <td className="px-4 py-2 text-sm font-semibold text-gray-900">
+              {formatPrice(journal.totals.debit)}
+            </td>
+            <td className="px-4 py-2 text-sm font-semibold text-gray-900">
+              {formatPrice(journal.totals.credit)}
+            </td>
+            <td />
+          </tr>
+        </tbody>
+      </table>
+    </div>
+
+    <div className="overflow-x-auto">
+      <h3 className="text-sm font-semibold text-gray-900 mb-2">
+        Yevmiye kayıtları ({journal.entries.length})
+      </h3>
+      <table className="w-full">
+        <thead className="bg-gray-50 border-b border-gray-200">
+          <tr>
+            <th className={thClass}>Belge</th>
+            <th className={thClass}>Hesap</th>
+            <th className={thClass}>Borç</th>
+            <th className={thClass}>Alacak</th>
+          </tr>
+        </thead>
+        <tbody className="bg-white divide-y divide-gray-200">
+          {journal.entries.slice(0, 100).map((entry, index) => (
+            <tr key={`${entry.documentNumber}-${index}`} className="align-top">
+              <td className="px-4 py-2">
+                <div className="text-sm text-gray-900">{entry.documentNumber}</div>
+                <div className="text-xs text-gray-500">
+                  {formatDate(entry.date)} · {kindLabels[entry.kind] || entry.kind} ·{" "}
+                  {PLATFORMS[entry.platform] || entry.platform}
+                </div>
+              </td>
+              <td className="px-4 py-2 text-sm text-gray-900">
+                {entry.lines.map((line, lineIndex) => (
+                  <div key={lineIndex}>{line.account}</div>
+                ))}
+              </td>
+              <td className="px-4 py-2 text-sm text-gray-900">
+                {entry.lines.map((line, lineIndex) => (
+                  <div key={lineIndex}>{line.debit ? formatPrice(line.debit) : "-"}</div>
+                ))}
+              </td>
+              <td className="px-4 py-2 text-sm text-gray-900">
+                {entry.lines.map((line, lineIndex) => (
+                  <div key={lineIndex}>{line.credit ? formatPrice(line.credit) : "-"}</div>
+                ))}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {journal.entries.length > 100 && (
+        <div className="text-xs text-gray-500 mt-2">
+          İlk 100 kayıt gösteriliyor; tamamı için yevmiyeyi dışa aktarın.
+        </div>
+      )}
+    </div>
+  </div>
+);
+
+const PeriodsTab = () => {
+  const { showAlert } = useAlert();
+  const { handleError } = useErrorHandler();
+
+  const [periods, setPeriods] = useState([]);
+  const [period, setPeriod] = useState(format(subMonths(new Date(), 1), "yyyy-MM"));
+  const [summary, setSummary] = useState(null);
+  const [journal, setJournal] = useState(null);
+  const [loadingJournal, setLoadingJournal] = useState(false);
+  const [dataset, setDataset] = useState("invoices");
+  const [exportFormat, setExportFormat] = useState("logo");
+  const [exporting, setExporting] = useState(false);
+  const [syncing, setSyncing] = useState(false);
+  const [reasonAction, setReasonAction] = useState(null);
+
+  const loadPeriods = useCallback(async () => {
+    try {
+      const response = await api.accounting.getPeriods();
+      if (response.success) {
+        setPeriods(response.data || []);
+      }
+    } catch (err) {
+      logger.error("Error loading accounting periods:", err);
+    }
+  }, []);
+
+  const loadSummary = useCallback(async () => {
+    try {
+      setSummary(null);
+      setJournal(null);
+      const response = await api.accounting.getPeriod(period);
+      if (response.success) {
+        setSummary(response.data);
+      }
+    } catch (err) {
+      logger.error("Error loading accounting period:", err);
+    }
+  }, [period]);
+
+  useEffect(() => {
+    loadPeriods();
+  }, [loadPeriods]);
+
+  useEffect(() => {
+    loadSummary();
+  }, [loadSummary]);
+
+  const refresh = () => {
+    loadPeriods();
+    loadSummary();
+  };
+
+  const handleDatasetChange = (value) => {
+    setDataset(value);
+    if (!exportFormats[exportFormat].datasets.includes(value)) {
+      setExportFormat(
+        Object.keys(exportFormats).find((key) => exportFormats[key].datasets.includes(value))
+      );
+    }
+  };
+
+  const handleExport = async () => {
+    try {
+      setExporting(true);
+      const response = await api.accounting.exportPeriod(period, dataset, exportFormat);
+      const result = response.data;
+      if (exportFormat === "parasut_api") {
+        showAlert(
+          `${result.sent} belge Paraşüt'e gönderildi, ${result.skipped} belge daha önce gönderilmiş, ${result.failed} belge gönderilemedi`,
+          result.failed > 0 ? "warning" : "success"
+        );
+      } else {
+        showAlert(`${result.documents} belge dışa aktarıldı`, "success");
+        window.open(result.url, "_blank", "noopener,noreferrer");
+      }
+      refresh();
+    } catch (error) {
+      handleError(error, "Dönem dışa aktarılamadı");
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const handleSyncFees = async () => {
+    try {
+      setSyncing(true);
+      const response = await api.accounting.syncFees(period);
+      const result = response.data;
+      showAlert(
+        `${result.fetched} masraf çekildi: ${result.created} yeni, ${result.updated} güncellendi` +
+          (result.locked ? `, ${result.locked} kilitli aylarda` : "") +
+          (result.errors.length ? `, ${result.errors.length} pazaryerinden çekilemedi` : ""),
+        result.errors.length ? "warning" : "success"
+      );
+      loadSummary();
+    } catch (error) {
+      handleError(error, "Pazaryeri masrafları çekilemedi");
+    } finally {
+      setSyncing(false);
+    }
+  };
+
+  const handleJournal = async () => {
+    try {
+      setLoadingJournal(true);
+      const response = await api.accounting.getJournal(period);
+      if (response.success) {
+        setJournal(response.data);
+      }
+    } catch (error) {
+      handleError(error, "Yevmiye oluşturulamadı");
+    } finally {
+      setLoadingJournal(false);
+    }
+  };
+
+  const locked = summary?.status === "locked";
+
+  return (
+    <div className="space-y-6">
+      <Card className="bg-white">
+        <CardContent className="p-0">
+          <div className="flex items-center justify-between px-6 py-4 border-b border-gray-200">
+            <div className="flex items-center">
+              <CalendarDays className="h-5 w-5 text-blue-600 mr-2" />
+              <h2 className="text-lg font-semibold text-gray-900">Dönem</h2>
+            </div>
+            <div className="flex items-center space-x-3">
+              <input
+                type="month"
+                value={period}
+                onChange={(e) => e.target.value && setPeriod(e.target.value)}
+                className="border border-gray-300 rounded-lg px-3 py-2 text-sm"
+              />
+              <Button onClick={handleSyncFees} variant="outline" size="sm" disabled={syncing}>
+                {syncing ? (
+                  <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+                ) : (
+                  <RefreshCw className="h-4 w-4 mr-2" />
+                )}
+                Masrafları Çek
+              </Button>
+              {summary &&
+                (locked ? (
+                  <Button onClick={() => setReasonAction("unlock")} variant="outline" size="sm">
+                    <Unlock className="h-4 w-4 mr-2" />
+                    Kilidi Aç
+                  </Button>
+                ) : (
+                  <Button
+                    onClick={() => setReasonAction("lock")}
+                    variant="primary"
+                    size="sm"
+                    disabled={!summary.ended}
+                    title={summary.ended ? undefined : "Ay bitmeden kilitlenemez"}
+                  >
+                    <Lock className="h-4 w-4 mr-2" />
+                    Kilitle
+                  </Button>
+                ))}
+            </div>
+          </div>
+          {!summary ? (
+            <div className="flex items-center justify-center py-8">
+              <Loader2 className="h-6 w-6 animate-spin text-blue-600" />
+            </div>
+          ) : (
+            <div className="space-y-6 p-6">
+              <div className="flex items-center space-x-3">
+                <span className="text-lg font-semibold text-gray-900 capitalize">
+                  {formatPeriod(summary.period)}
+                </span>
+                <Badge variant={locked ? "info" : "secondary"}>
+                  {locked ? "Kilitli" : summary.ended ? "Açık" : "Devam ediyor"}
+                </Badge>
+                {summary.lockedAt && (
+                  <span className="text-xs text-gray-500">{formatDate(summary.lockedAt)}</span>
+                )}
+              </div>
+              {summary.changedSinceLock && (
+                <div className="flex items-center rounded-lg border border-red-200 bg-red-50 p-3 text-sm text-red-700">
+                  <AlertTriangle className="h-4 w-4 mr-2" />
+                  Kilitlendikten sonra bu ayın kayıtları değişmiş. Dışa aktarmak için kilidi açıp
+                  yeniden kilitleyin.
+                </div>
+              )}
+              <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+                {Object.entries(kindLabels).map(([kind, label]) => (
+                  <div key={kind} className="rounded-lg border border-gray-200 p-4">
+                    <div className="text-xs text-gray-500">
+                      {label} ({summary.totals[kind]?.count || 0})
+                    </div>
+                    <div className="text-xl font-semibold text-gray-900">
+                      {formatPrice(summary.totals[kind]?.total)}
+                    </div>
+                    <div className="text-xs text-gray-500">
+                      KDV {formatPrice(summary.totals[kind]?.vat)}
+                    </div>
+                  </div>
+                ))}
+              </div>
+
+              <div className="flex items-end space-x-3">
+                <div>
+                  <label className={labelClass}>Veri</label>
+                  <select
+                    value={dataset}
+                    onChange={(e) => handleDatasetChange(e.target.value)}
+                    className={inputClass}
+                  >
+                    {Object.entries(datasets).map(([value, label]) => (
+                      <option key={value} value={value}>
+                        {label}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className={labelClass}>Biçim</label>
+                  <select
+                    value={exportFormat}
+                    onChange={(e) => setExportFormat(e.target.value)}
+                    className={inputClass}
+                  >
+                    {Object.entries(exportFormats)
+                      .filter(([, { datasets: allowed }]) => allowed.includes(dataset))
+                      .map(([value, { label }]) => (
+                        <option key={value} value={value}>
+                          {label}
+                        </option>
+                      ))}
+                  </select>
+                </div>
+                <Button onClick={handleExport} variant="primary" disabled={exporting}>
+                  {exporting ? (
+                    <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+                  ) : (
+                    <Download className="h-4 w-4 mr-2" />
+                  )}
+                  Dışa Aktar
+                </Button>
+                <Button onClick={handleJournal} variant="outline" disabled={loadingJournal}>
+                  {loadingJournal ? (
+                    <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+                  ) : (
+                    <BookOpen className="h-4 w-4 mr-2" />
+                  )}
+                  Yevmiyeyi Göster
+                </Button>
+              </div>
+              {summary.ended && !locked && (
+                <p className="text-xs text-gray-500">
+                  Biten bir ayın ilk dışa aktarımı ayı kilitler.
+                </p>
+              )}
+
+              <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                <div className="overflow-x-auto">
+                  <h3 className="text-sm font-semibold text-gray-900 mb-2">Dışa aktarımlar</h3>
+                  {summary.exports.length === 0 ? (
+                    <div className="text-sm text-gray-600">Bu ay henüz dışa aktarılmadı.</div>
+                  ) : (
+                    <table className="w-full">
+                      <tbody className="bg-white divide-y divide-gray-200">
+                        {[...summary.exports].reverse().map((exported) => (
+                          <tr key={`${exported.exportedAt}-${exported.dataset}`}>
+                            <td className="py-2 text-sm text-gray-900">
+                              {datasets[exported.dataset] || exported.dataset}
+                              <div className="text-xs text-gray-500">
+                                {exportFormats[exported.format]?.label || exported.format} ·{" "}
+                                {exported.documents} belge
+                              </div>
+                            </td>
+                            <td className="py-2 text-sm text-gray-600">
+                              {formatDate(exported.exportedAt)}
+                            </td>
+                            <td className="py-2 text-right">
+                              {exported.url && (
+                                <a
+                                  href={exported.url}
+                                  target="_blank"
+                                  rel="noopener noreferrer"
+                                  className="text-sm text-blue-600 hover:underline"
+                                >
+                                  İndir
+                                </a>
+                              )}
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  )}
+                </div>
+                <div>
+                  <h3 className="text-sm font-semibold text-gray-900 mb-2">Geçmiş</h3>
+                  {summary.history.length === 0 ? (
+                    <div className="text-sm text-gray-600">Kayıt yok.</div>
+                  ) : (
+                    <ul className="divide-y divide-gray-200">
+                      {[...summary.history].reverse().map((item) => (
+                        <li key={`${item.at}-${item.action}`} className="py-2 text-sm">
+                          <span className="font-medium text-gray-900">
+                            {item.action === "locked" ? "Kilitlendi" : "Kilidi açıldı"}
+                          </span>{" "}
+                          <span className="text-gray-500">{formatDate(item.at)}</span>
+                          {item.reason && (
+                            <div className="text-xs text-gray-600">{item.reason}</div>
+                          )}
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </div>
+              </div>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
+      {journal && (
+        <Card className="bg-white">
+          <CardContent className="p-0">
+            <div className="flex items-center px-6 py-4 border-b border-gray-200">
+              <BookOpen className="h-5 w-5 text-blue-600 mr-2" />
+              <h2 className="text-lg font-semibold text-gray-900">
+                Yevmiye · <span className="capitalize">{formatPeriod(journal.period)}</span>
+              </h2>
+            </div>
+            <Journal journal={journal} />
+          </CardContent>
+        </Card>
+      )}
+
+      {periods.length > 0 && (
+        <Card className="bg-white">
+          <CardContent className="p-0">
+            <div className="flex items-center px-6 py-4 border-b border-gray-200">
+              <Lock className="h-5 w-5 text-blue-600 mr-2" />
+              <h2 className="text-lg font-semibold text-gray-900">Kayıtlı Dönemler</h2>
+            </div>
+            <div className="overflow-x-auto">
+              <table className="w-full">
+                <thead className="bg-gray-50 border-b border-gray-200">
+                  <tr>
+                    <th className={thClass}>Dönem</th>
+                    <th className={thClass}>Durum</th>
+                    <th className={thClass}>Kilit tarihi</th>
+                    <th className={thClass}>Dışa aktarım</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {periods.map((record) => (
+                    <tr
+                      key={record.period}
+                      onClick={() => setPeriod(record.period)}
+                      className={`cursor-pointer hover:bg-gray-50 ${
+                        record.period === period ? "bg-blue-50" : ""
+                      }`}
+                    >
+                      <td className="px-4 py-3 text-sm font-medium text-gray-900 capitalize">
+                        {formatPeriod(record.period)}
+                      </td>
+                      <td className="px-4 py-3">
+                        <Badge
+                          variant={record.status === "locked" ? "info" : "secondary"}
+                          size="xs"
+                        >
+                          {record.status === "locked" ? "Kilitli" : "Açık"}
+                        </Badge>
+                      </td>
+                      <td className="px-4 py-3 text-sm text-gray-600">
+                        {formatDate(record.lockedAt)}
+                      </td>
+                      <td className="px-4 py-3 text-sm text-gray-600">
+                        {(record.exports || []).length}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </CardContent>
+        </Card>
+      )}
+
+      {reasonAction && (
+        <ReasonModal
+          period={period}
+          locking={reasonAction === "lock"}
+          onClose={() => setReasonAction(null)}
+          onDone={() => {
+            setReasonAction(null);
+            refresh();
+          }}
+        />
+      )}
+    </div>
+  );
+};
+
+const emptyFee = {
+  platform: "trendyol",
+  type: "commission",
+  feeDate: format(new Date(), "yyyy-MM-dd"),
+  netAmount: "",
+  vatRate: "20",
+  documentNumber: "",
+  orderNumber: "",
+  description: "",
+};
+
+const FeeModal = ({ onClose, onCreated }) => {
+  const { showAlert } = useAlert();
+  const { handleError } = useErrorHandler();
+  const [fee, setFee] = useState(emptyFee);
+  const [saving, setSaving] = useState(false);
+
+  const setField = (key, value) => setFee((prev) => ({ ...prev, [key]: value }));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSaving(true);
+      await api.accounting.createFees([
+        {
+          platform: fee.platform,
+          type: fee.type,
+          feeDate: fee.feeDate,
+          netAmount: Number(fee.netAmount),
+          vatRate: Number(fee.vatRate),
+          documentNumber: fee.documentNumber.trim() || undefined,
+          orderNumber: fee.orderNumber.trim() || undefined,
+          description: fee.description.trim() || undefined,
+        },
+      ]);
+      showAlert("Masraf eklendi", "success");
+      onCreated();
+    } catch (error) {
+      handleError(error, "Masraf eklenirken hata oluştu");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Modal isOpen onClose={onClose} title="Masraf Ekle" size="md">
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <div className="grid grid-cols-2 gap-4">
+          <div>
+            <label className={labelClass}>Pazaryeri</label>
+            <select
+              value={fee.platform}
+              onChange={(e) => setField("platform", e.target.value)}
+              className={inputClass}
+            >
+              {Object.entries(PLATFORMS).map(([value, label]) => (
+                <option key={value} value={value}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className={labelClass}>Tür</label>
+            <select
+              value={fee.type}
+              onChange={(e) => setField("type", e.target.value)}
+              className={inputClass}
+            >
+              {Object.entries(feeTypes).map(([value, label]) => (
+                <option key={value} value={value}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className={labelClass}>Tarih</label>
+            <input
+              type="date"
+              required
+              value={fee.feeDate}
+              onChange={(e) => setField("feeDate", e.target.value)}
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label className={labelClass}>Belge no</label>
+            <input
+              value={fee.documentNumber}
+              onChange={(e) => setField("documentNumber", e.target.value)}
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label className={labelClass}>KDV hariç tutar</label>
+            <input
+              type="number"
+              step="0.01"
+              required
+              value={fee.netAmount}
+              onChange={(e) => setField("netAmount", e.target.value)}
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label className={labelClass}>KDV oranı (%)</label>
+            <input
+              type="number"
+              min={0}
+              max={100}
+              step="0.01"
+              required
+              value={fee.vatRate}
+              onChange={(e) => setField("vatRate", e.target.value)}
+              className={inputClass}
+            />
+          </div>
+        </div>
+        <div>
+          <label className={labelClass}>Sipariş no</label>
+          <input
+            value={fee.orderNumber}
+            onChange={(e) => setField("orderNumber", e.target.value)}
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className={labelClass}>Açıklama</label>
+          <input
+            value={fee.description}
+            onChange={(e) => setField("description", e.target.value)}
+            className={inputClass}
+          />
+        </div>
+        <div className="flex justify-end space-x-3 pt-2">
+          <Button type="button" variant="outline" onClick={onClose}>
+            Vazgeç
+          </Button>
+          <Button type="submit" variant="primary" disabled={saving || fee.netAmount === ""}>
+            {saving && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+            Ekle
+          </Button>
+        </div>
+      </form>
+    </Modal>
+  );
+};
+
+const FeesTab = () => {
+  const { showAlert } = useAlert();
+  const { handleError } = useErrorHandler();
+
+  const [fees, setFees] = useState([]);
+  const [pagination, setPagination] = useState({ page: 1, totalPages: 1 });
+  const [period, setPeriod] = useState(format(new Date(), "yyyy-MM"));
+  const [typeFilter, setTypeFilter] = useState("");
+  const [platformFilter, setPlatformFilter] = useState("");
+  const [loading, setLoading] = useState(true);
+  const [deletingId, setDeletingId] = useState(null);
+  const [adding, setAdding] = useState(false);
+
+  const loadFees = useCallback(
+    async (page = 1) => {
+      try {
+        setLoading(true);
+        const response = await api.accounting.getFees({
+          period: period || undefined,
+          type: typeFilter || undefined,
+          platform: platformFilter || undefined,
+          page,
+          limit: 50,
+        });
+        if (response.success) {
+          setFees(response.data.fees || []);
+          setPagination({
+            page: response.data.pagination.page,
+            totalPages: Math.max(1, response.data.pagination.totalPages),
+          });
+        }
+      } catch (err) {
+        logger.error("Error loading marketplace fees:", err);
+      } finally {
+        setLoading(false);
+      }
+    },
+    [period, typeFilter, platformFilter]
+  );
+
+  useEffect(() => {
+    loadFees();
+  }, [loadFees]);
+
+  const handleDelete = async (fee) => {
+    if (!window.confirm("Bu masraf silinecek. Devam edilsin mi?")) {
+      return;
+    }
+
+    try {
+      setDeletingId(fee.id);
+      await api.accounting.deleteFee(fee.id);
+      showAlert("Masraf silindi", "success");
+      loadFees(pagination.page);
+    } catch (error) {
+      handleError(error, "Masraf silinirken hata oluştu");
+    } finally {
+      setDeletingId(null);
+    }
+  };
+
+  return (
+    <Card className="bg-white">
+      <CardContent className="p-0">
+        <div className="flex items-center justify-between px-6 py-4 border-b border-gray-200">
+          <div className="flex items-center">
+            <Receipt className="h-5 w-5 text-blue-600 mr-2" />
+            <h2 className="text-lg font-semibold text-gray-900">Pazaryeri Masrafları</h2>
+          </div>
+          <div className="flex items-center space-x-3">
+            <input
+              type="month"
+              value={period}
+              onChange={(e) => setPeriod(e.target.value)}
+              className="border border-gray-300 rounded-lg px-3 py-2 text-sm"
+            />
+            <select
+              value={platformFilter}
+              onChange={(e) => setPlatformFilter(e.target.value)}
+              className="border border-gray-300 rounded-lg px-3 py-2 text-sm"
+            >
+              <option value="">Tüm pazaryerleri</option>
+              {Object.entries(PLATFORMS).map(([value, label]) => (
+                <option key={value} value={value}>
+                  {label}
+                </option>
+              ))}
+            </select>
+            <select
+              value={typeFilter}
+              onChange={(e) => setTypeFilter(e.target.value)}
+              className="border border-gray-300 rounded-lg px-3 py-2 text-sm"
+            >
+              <option value="">Tüm masraflar</option>
+              {Object.entries(feeTypes).map(([value, label]) => (
+                <option key={value} value={value}>
+                  {label}
+                </option>
+              ))}
+            </select>
+            <Button size="sm" variant="outline" onClick={() => setAdding(true)}>
+              <Plus className="h-4 w-4 mr-1" />
+              Masraf Ekle
+            </Button>
+          </div>
+        </div>
+        {loading ? (
+          <div className="flex items-center justify-center py-8">
+            <Loader2 className="h-6 w-6 animate-spin text-blue-600" />
+          </div>
+        ) : fees.length === 0 ? (
+          <div className="text-center py-8 text-sm text-gray-600">
+            Bu filtreye uyan masraf yok.
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead className="bg-gray-50 border-b border-gray-200">
+                <tr>
+                  <th className={thClass}>Tarih</th>
+                  <th className={thClass}>Masraf</th>
+                  <th className={thClass}>Belge</th>
+                  <th className={thClass}>KDV hariç</th>
+                  <th className={thClass}>KDV</th>
+                  <th className={thClass}>Toplam</th>
+                  <th className={`${thClass} text-center`}>İşlemler</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {fees.map((fee) => (
+                  <tr key={fee.id} className="hover:bg-gray-50">
+                    <td className="px-4 py-3 text-sm text-gray-600">{formatDate(fee.feeDate)}</td>
+                    <td className="px-4 py-3">
+                      <div className="text-sm text-gray-900">
+                        {PLATFORMS[fee.platform] || fee.platform} ·{" "}
+                        {feeTypes[fee.type] || fee.type}
+                      </div>
+                      <div className="text-xs text-gray-500">
+                        {feeSources[fee.source] || fee.source}
+                      </div>
+                    </td>
+                    <td className="px-4 py-3">
+                      <div className="text-sm text-gray-900">
+                        {fee.documentNumber || fee.orderNumber || "-"}
+                      </div>
+                      {fee.description && (
+                        <div className="text-xs text-gray-500">{fee.description}</div>
+                      )}
+                    </td>
+                    <td className="px-4 py-3 text-sm text-gray-900">
+                      {formatPrice(fee.netAmount)}
+                    </td>
+                    <td className="px-4 py-3 text-sm text-gray-600">
+                      {formatPrice(fee.vatAmount)}
+                      <div className="text-xs text-gray-500">%{Number(fee.vatRate)}</div>
+                    </td>
+                    <td className="px-4 py-3 text-sm font-medium text-gray-900">
+                      {formatPrice(fee.total)}
+                    </td>
+                    <td className="px-4 py-3 text-center">
+                      {fee.source === "manual" && (
+                        <Button
+                          onClick={() => handleDelete(fee)}
+                          variant="ghost"
+                          size="sm"
+                          title="Sil"
+                          disabled={deletingId === fee.id}
+                        >
+                          {deletingId === fee.id ? (
+                            <Loader2 className="h-4 w-4 animate-spin" />
+                          ) : (
+                            <Trash2 className="h-4 w-4 text-red-600" />
+                          )}
+                        </Button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+        {pagination.totalPages > 1 && (
+          <div className="flex items-center justify-between px-6 py-3 border-t border-gray-200">
+            <span className="text-sm text-gray-600">
+              Sayfa {pagination.page} / {pagination.totalPages}
+            </span>
+            <div className="flex space-x-2">
+              <Button
+                size="sm"
+                variant="outline"
+                disabled={pagination.page <= 1}
+                onClick={() => loadFees(pagination.page - 1)}
+              >
+                Önceki
+              </Button>
+              <Button
+                size="sm"
+                variant="outline"
+                disabled={pagination.page >= pagination.totalPages}
+                onClick={() => loadFees(pagination.page + 1)}
+              >
+                Sonraki
+              </Button>
+            </div>
+          </div>
+        )}
+      </CardContent>
+
+      {adding && (
+        <FeeModal
+          onClose={() => setAdding(false)}
+          onCreated={() => {
+            setAdding(false);
+            loadFees();
+          }}
+        />
+      )}
+    </Card>
+  );
+};
+
+// Codes of one scope of the mapping: the defaults, a platform or a VAT rate
+const getScopeCodes = (mapping, scope) => {
+  const [kind, value] = scope.split(":");
+  if (kind === "platform") {
+    const { vatRates, ...codes } = mapping.platforms[value] || {};
+    return codes;
+  }
+  if (kind === "rate") {
+    return mapping.vatRates[value] || {};
+  }
+  return mapping.defaults;
+};
+
+const MappingTab = () => {
+  const { showAlert } = useAlert();
+  const { handleError } = useErrorHandler();
+  const [mapping, setMapping] = useState(null);
+  const [scope, setScope] = useState("defaults");
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    const loadMapping = async () => {
+      try {
+        const response = await api.accounting.getMapping();
+        if (response.success) {
+          setMapping(response.data);
+        }
+      } catch (err) {
+        logger.error("Error loading accounting mapping:", err);
+      }
+    };
+    loadMapping();
+  }, []);
+
+  // Overrides left empty fall back to the default code
+  const setCode = (key, code) => {
+    setMapping((prev) => {
+      const [kind, value] = scope.split(":");
+      if (kind === "defaults") {
+        return { ...prev, defaults: { ...prev.defaults, [key]: code } };
+      }
+
+      const section = kind === "platform" ? "platforms" : "vatRates";
+      const codes = { ...(prev[section][value] || {}), [key]: code };
+      if (!code.trim()) {
+        delete codes[key];
+      }
+      return { ...prev, [section]: { ...prev[section], [value]: codes } };
+    });
+  };
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      const response = await api.accounting.saveMapping(mapping);
+      setMapping(response.data);
+      showAlert("Hesap planı kaydedildi", "success");
+    } catch (error) {
+      handleError(error, "Hesap planı kaydedilemedi");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!mapping) {
+    return (
+      <div className="flex items-center justify-center py-8">
+        <Loader2 className="h-6 w-6 animate-spin text-blue-600" />
+      </div>
+    );
+  }
+
+  const vatRates = [...new Set([...COMMON_VAT_RATES, ...Object.keys(mapping.vatRates)])].sort(
+    (a, b) => Number(a) - Number(b)
+  );
+  const codes = getScopeCodes(mapping, scope);
+  const isDefaults = scope === "defaults";
+
+  return (
+    <Card className="bg-white">
+      <CardContent className="p-0">
+        <div className="flex items-center justify-between px-6 py-4 border-b border-gray-200">
+          <div className="flex items-center">
+            <Settings2 className="h-5 w-5 text-blue-600 mr-2" />
+            <h2 className="text-lg font-semibold text-gray-900">Hesap Planı</h2>
+          </div>
+          <div className="flex items-center space-x-3">
+            <select
+              value={scope}
+              onChange={(e) => setScope(e.target.value)}
+              className="border border-gray-300 rounded-lg px-3 py-2 text-sm"
+            >
+              <option value="defaults">Varsayılan hesaplar</option>
+              {Object.entries(PLATFORMS).map(([value, label]) => (
+                <option key={value} value={`platform:${value}`}>
+                  {label}
+                </option>
+              ))}
+              {vatRates.map((rate) => (
+                <option key={rate} value={`rate:${rate}`}>
+                  KDV %{rate}
+                </option>
+              ))}
+            </select>
+            <Button onClick={handleSave} variant="primary" size="sm" disabled={saving}>
+              {saving && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+              Kaydet
+            </Button>
+          </div>
+        </div>
+        <div className="p-6 space-y-4">
+          <p className="text-sm text-gray-600">
+            {isDefaults
+              ? "Tekdüzen hesap planı kodları ve muhasebe programındaki cari ve hizmet kartları. {PLATFORM} pazaryeri adıyla değiştirilir."
+              : "Boş bırakılan kodlar varsayılan hesaplardan alınır. Pazaryeri kodları KDV oranı kodlarından önce gelir."}
+          </p>
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+            {Object.entries(mappingLabels).map(([key, label]) => (
+              <div key={key}>
+                <label className={labelClass}>{label}</label>
+                <input
+                  required={isDefaults}
+                  value={codes[key] || ""}
+                  placeholder={isDefaults ? undefined : mapping.defaults[key]}
+                  onChange={(e) => setCode(key, e.target.value)}
+                  className={inputClass}
+                />
+              </div>
+            ))}
+          </div>
+        </div>
+      </CardContent>
+    </Card>
+  );
+};
+
+const ParasutTab = () => {
+  const { showAlert } = useAlert();
+  const { handleError } = useErrorHandler();
+  const [config, setConfig] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    const loadConfig = async () => {
+      try {
+        const response = await api.accounting.getParasutConfig();
+        if (response.success) {
+          setConfig(response.data);
+        }
+      } catch (err) {
+        logger.error("Error loading Paraşüt configuration:", err);
+      }
+    };
+    loadConfig();
+  }, []);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSaving(true);
+      const { configured, ...credentials } = config;
+      const response = await api.accounting.saveParasutConfig(credentials);
+      setConfig(response.data);
+      showAlert("Paraşüt bilgileri kaydedildi", "success");
+    } catch (error) {
+      handleError(error, "Paraşüt bilgileri kaydedilemedi");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!config) {
+    return (
+      <div className="flex items-center justify-center py-8">
+        <Loader2 className="h-6 w-6 animate-spin text-blue-600" />
+      </div>
+    );
+  }
+
+  return (
+    <Card className="bg-white">
+      <CardContent className="p-0">
+        <div className="flex items-center justify-between px-6 py-4 border-b border-gray-200">
+          <div className="flex items-center">
+            <Link2 className="h-5 w-5 text-blue-600 mr-2" />
+            <h2 className="text-lg font-semibold text-gray-900">Paraşüt API</h2>
+          </div>
+          <Badge variant={config.configured ? "success" : "warning"}>
+            {config.configured ? "Bağlı" : "Eksik bilgi"}
+          </Badge>
+        </div>
+        <form onSubmit={handleSubmit} className="p-6 space-y-4 max-w-xl">
+          {parasutFields.map(({ key, label, secret }) => (
+            <div key={key}>
+              <label className={labelClass}>{label}</label>
+              <input
+                type={secret ? "password" : "text"}
+                value={config[key] || ""}
+                onChange={(e) => setConfig((prev) => ({ ...prev, [key]: e.target.value }))}
+                className={inputClass}
+              />
+            </div>
+          ))}
+          <div className="flex justify-end pt-2">
+            <Button type="submit" variant="primary" disabled={saving}>
+              {saving && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+              Kaydet
+            </Button>
+          </div>
+        </form>
+      </CardContent>
+    </Card>
+  );
+};
+
+const AccountingManager = () => {
+  const [activeTab, setActiveTab] = useState("periods");
+
+  return (
+    <div className="p-6 space-y-6">
+      <div>
+        <h1 className="text-2xl font-bold text-gray-900">Muhasebe</h1>
+        <p className="text-sm text-gray-600">
+          Aylık satış, iade ve pazaryeri masraflarını muhasebe programınıza aktarın;
+          aktarılan ayları kilitleyerek sonradan değişmelerini önleyin.
+        </p>
+      </div>
+
+      <div className="flex space-x-2">
+        {tabs.map(({ id, label, icon: Icon }) => (
+          <Button
+            key={id}
+            size="sm"
+            variant={activeTab === id ? "primary" : "outline"}
+            onClick={() => setActiveTab(id)}
+          >
+            <Icon className="h-4 w-4 mr-2" />
+            {label}
+          </Button>
+        ))}
+      </div>
+
+      {activeTab === "periods" && <PeriodsTab />}
+      {activeTab === "fees" && <FeesTab />}
+      {activeTab === "mapping" && <MappingTab />}
+      {activeTab === "parasut" && <ParasutTab />}
+    </div>
+  );
+};
+
+export default AccountingManager;
@@ -0,0 +1,377 @@
+import logger from "../../utils/logger.js";
+import React, { useState, useEffect, useCallback } from "react";
+import {
+  MessageSquare,
+  RefreshCw,
+  Loader2,
+  Send,
+  UserCheck,
+  XCircle,
+  Bot,
+} from "lucide-react";
+import { format } from "date-fns";
+import { tr } from "date-fns/locale";
+import api from "../../services/api";
+import { useAlert } from "../../contexts/AlertContext";
+import { Button, Card, CardContent, Badge } from "../ui";
+import { useErrorHandler } from "../../hooks/useErrorHandler";
+
+const CHANNELS = {
+  web: "Web Sohbet",
+  whatsapp: "WhatsApp",
+};
+
+const conversationStatuses = {
+  waiting_agent: { label: "Temsilci Bekliyor", variant: "warning" },
+  with_agent: { label: "Temsilcide", variant: "primary" },
+  bot: { label: "Asistan", variant: "secondary" },
+  closed: { label: "Kapandı", variant: "secondary" },
+};
+
+const handoffReasons = {
+  customer_request: "Müşteri temsilci istedi",
+  return_request: "İade talebi",
+  not_understood: "Asistan anlayamadı",
+  verification_failed: "Doğrulama başarısız",
+  assistant_error: "Asistan hatası",
+};
+
+const formatDate = (value) =>
+  value ? format(new Date(value), "dd.MM.yyyy HH:mm", { locale: tr }) : "-";
+
+const MessageBubble = ({ side, children, meta }) => (
+  <div className={`flex ${side === "right" ? "justify-end" : "justify-start"}`}>
+    <div
+      className={`max-w-[75%] rounded-lg px-3 py-2 text-sm whitespace-pre-line ${
+        side === "right" ? "bg-blue-600 text-white" : "bg-gray-100 text-gray-900"
+      }`}
+    >
+      {children}
+      <div
+        className={`text-xs mt-1 ${
+          side === "right" ? "text-blue-100" : "text-gray-500"
+        }`}
+      >
+        {meta}
+      </div>
+    </div>
+  </div>
+);
+
+const ConversationView = ({ conversationId, onChanged }) => {
+  const { showAlert } = useAlert();
+  const { handleError } = useErrorHandler();
+  const [conversation, setConversation] = useState(null);
+  const [reply, setReply] = useState("");
+  const [sending, setSending] = useState(false);
+
+  const loadConversation = useCallback(async () => {
+    try {
+      const response = await api.get(`/chat/conversations/${conversationId}`);
+      if (response.data.success) {
+        setConversation(response.data.data);
+      }
+    } catch (err) {
+      logger.error("Error loading chat conversation:", err);
+    }
+  }, [conversationId]);
+
+  useEffect(() => {
+    setConversation(null);
+    loadConversation();
+  }, [loadConversation]);
+
+  const runAction = async (action, successMessage) => {
+    try {
+      await api.post(`/chat/conversations/${conversationId}/${action}`, {});
+      showAlert(successMessage, "success");
+      loadConversation();
+      onChanged();
+    } catch (error) {
+      handleError(error, "İşlem gerçekleştirilemedi");
+    }
+  };
+
+  const handleSend = async (e) => {
+    e.preventDefault();
+    if (!reply.trim()) return;
+
+    try {
+      setSending(true);
+      const response = await api.post(
+        `/chat/conversations/${conversationId}/messages`,
+        { message: reply.trim() }
+      );
+      if (!response.data.data.delivered) {
+        showAlert("Mesaj kaydedildi ancak müşteriye iletilemedi", "warning");
+      }
+      setReply("");
+      loadConversation();
+      onChanged();
+    } catch (error) {
+      handleError(error, "Mesaj gönderilemedi");
+    } finally {
+      setSending(false);
+    }
+  };
+
+  if (!conversation) {
+    return (
+      <div className="flex items-center justify-center py-16">
+        <Loader2 className="h-6 w-6 animate-spin text-blue-600" />
+      </div>
+    );
+  }
+
+  const isClosed = conversation.status === "closed";
+
+  return (
+    <div className="flex flex-col h-full">
+      <div className="flex items-center justify-between px-6 py-4 border-b border-gray-200">
+        <div>
+          <div className="text-sm font-semibold text-gray-900">
+            {conversation.customerName || conversation.customerPhone || "Ziyaretçi"}
+          </div>
+          <div className="text-xs text-gray-500">
+            {CHANNELS[conversation.channel] || conversation.channel}
+            {conversation.verifiedAt && " · Doğrulandı"}
+            {conversation.handoffReason &&
+              ` · ${handoffReasons[conversation.handoffReason] || conversation.handoffReason}`}
+          </div>
+        </div>
+        {!isClosed && (
+          <div className="flex space-x-2">
+            {conversation.status === "waiting_agent" && (
+              <Button
+                size="sm"
+                variant="outline"
+                onClick={() => runAction("assign", "Konuşma size atandı")}
+              >
+                <UserCheck className="h-4 w-4 mr-1" />
+                Üstlen
+              </Button>
+            )}
+            <Button
+              size="sm"
+              variant="outline"
+              onClick={() => runAction("close", "Konuşma kapatıldı")}
+            >
+              <XCircle className="h-4 w-4 mr-1" />
+              Kapat
+            </Button>
+          </div>
+        )}
+      </div>
+
+      <div className="flex-1 overflow-y-auto px-6 py-4 space-y-3 max-h-[32rem]">
+        {(conversation.messages || []).map((message) =>
+          message.sender === "agent" ? (
+            <MessageBubble
+              key={message.id}
+              side="right"
+              meta={`Temsilci · ${formatDate(message.createdAt)}`}
+            >
+              {message.message}
+            </MessageBubble>
+          ) : (
+            <React.Fragment key={message.id}>
+              <MessageBubble side="left" meta={formatDate(message.createdAt)}>
+                {message.message}
+              </MessageBubble>
+              {message.response && (
+                <MessageBubble
+                  side="right"
+                  meta={
+                    <span className="inline-flex items-center">
+                      <Bot className="h-3 w-3 mr-1" />
+                      Asistan{message.intent ? ` · ${message.intent}` : ""}
+                    </span>
+                  }
+                >
+                  {message.response}
+                </MessageBubble>
+              )}
+            </React.Fragment>
+          )
+        )}
+      </div>
+
+      {!isClosed && (
+        <form
+          onSubmit={handleSend}
+          className="flex items-center space-x-2 px-6 py-4 border-t border-gray-200"
+        >
+          <input
+            type="text"
+            value={reply}
+            onChange={(e) => setReply(e.target.value)}
+            placeholder="Müşteriye yanıt yazın..."
+            maxLength={4000}
+            className="flex-1 border border-gray-300 rounded-lg px-3 py-2 text-sm"
+          />
+          <Button type="submit" variant="primary" disabled={sending || !reply.trim()}>
+            {sending ? (
+              <Loader2 className="h-4 w-4 animate-spin" />
+            ) : (
+              <Send className="h-4 w-4" />
+            )}
+          </Button>
+        </form>
+      )}
+    </div>
+  );
+};
+
+const ChatQueue = () => {
+  const [conversations, setConversations] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [statusFilter, setStatusFilter] = useState("");
+  const [channelFilter, setChannelFilter] = useState("");
+  const [selectedId, setSelectedId] = useState(null);
+
+  const loadConversations = useCallback(async () => {
+    try {
+      const response = await api.get("/chat/conversations", {
+        params: {
+          status: statusFilter || undefined,
+          channel: channelFilter || undefined,
+          limit: 50,
+        },
+      });
+      if (response.data.success) {
+        setConversations(response.data.data.conversations || []);
+      }
+    } catch (err) {
+      logger.error("Error loading chat conversations:", err);
+    } finally {
+      setLoading(false);
+    }
+  }, [statusFilter, channelFilter]);
+
+  useEffect(() => {
+    setLoading(true);
+    loadConversations();
+  }, [loadConversations]);
+
+  return (
+    <div className="p-6 space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Canlı Destek</h1>
+          <p className="text-sm text-gray-600">
+            Sohbet ve WhatsApp asistanının temsilciye aktardığı konuşmaları
+            yanıtlayın.
+          </p>
+        </div>
+        <div className="flex space-x-3">
+          <select
+            value={channelFilter}
+            onChange={(e) => setChannelFilter(e.target.value)}
+            className="border border-gray-300 rounded-lg px-3 py-2 text-sm"
+          >
+            <option value="">Tüm kanallar</option>
+            {Object.entries(CHANNELS).map(([value, label]) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+          </select>
+          <Button onClick={loadConversations} variant="outline">
+            <RefreshCw className="h-4 w-4 mr-2" />
+            Yenile
+          </Button>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        <Card className="bg-white">
+          <CardContent className="p-0">
+            <div className="flex items-center px-6 py-4 border-b border-gray-200">
+              <MessageSquare className="h-5 w-5 text-blue-600 mr-2" />
+              <h2 className="text-lg font-semibold text-gray-900">Konuşmalar</h2>
+            </div>
+            <div className="flex flex-wrap gap-2 px-6 py-3 border-b border-gray-200">
+              {[
+                ["", "Açık"],
+                ...Object.entries(conversationStatuses).map(([k, v]) => [k, v.label]),
+              ].map(([value, label]) => (
+                <Button
+                  key={value || "open"}
+                  size="sm"
+                  variant={statusFilter === value ? "primary" : "outline"}
+                  onClick={() => setStatusFilter(value)}
+                >
+                  {label}
+                </Button>
+              ))}
+            </div>
+            {loading ? (
+              <div className="flex items-center justify-center py-8">
+                <Loader2 className="h-6 w-6 animate-spin text-blue-600" />
+              </div>
+            ) : conversations.length === 0 ? (
+              <div className="text-center py-8 text-sm text-gray-600">
+                Bu filtreye uyan konuşma yok.
+              </div>
+            ) : (
+              <ul className="divide-y divide-gray-200">
+                {conversations.map((conversation) => (
+                  <li key={conversation.id}>
+                    <button
+                      type="button"
+                      onClick={() => setSelectedId(conversation.id)}
+                      className={`w-full text-left px-6 py-3 hover:bg-gray-50 ${
+                        selectedId === conversation.id ? "bg-blue-50" : ""
+                      }`}
+                    >
+                      <div className="flex items-center justify-between">
+                        <span className="text-sm font-medium text-gray-900">
+                          {conversation.customerName ||
+                            conversation.customerPhone ||
+                            "Ziyaretçi"}
+                        </span>
+                        <Badge
+                          variant={conversationStatuses[conversation.status]?.variant}
+                          size="xs"
+                        >
+                          {conversationStatuses[conversation.status]?.label ||
+                            conversation.status}
+                        </Badge>
+                      </div>
+                      <div className="text-xs text-gray-500">
+                        {CHANNELS[conversation.channel] || conversation.channel} ·{" "}
+                        {formatDate(conversation.lastMessageAt)}
+                        {conversation.assignedAgent &&
+                          ` · ${
+                            conversation.assignedAgent.fullName ||
+                            conversation.assignedAgent.username
+                          }`}
+                      </div>
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </CardContent>
+        </Card>
+
+        <Card className="bg-white lg:col-span-2">
+          <CardContent className="p-0">
+            {selectedId ? (
+              <ConversationView
+                conversationId={selectedId}
+                onChanged={loadConversations}
+              />
+            ) : (
+              <div className="text-center py-16 text-sm text-gray-600">
+                Yanıtlamak için bir konuşma seçin.
+              </div>
+            )}
+          </CardContent>
+        </Card>
+      </div>
+    </div>
+  );
+};
+
+export default ChatQueue;
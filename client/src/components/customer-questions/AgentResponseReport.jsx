@@ -0,0 +1,449 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { Users, RefreshCw, Loader2, Trash2, Plus, Shuffle } from "lucide-react";
+import { subDays } from "date-fns";
+import api from "../../services/api";
+import { useAlert } from "../../contexts/AlertContext";
+import { Button, Card, CardContent, Badge } from "../ui";
+import { useErrorHandler } from "../../hooks/useErrorHandler";
+
+const PLATFORMS = {
+  all: "Tüm Platformlar",
+  trendyol: "Trendyol",
+  hepsiburada: "Hepsiburada",
+  n11: "N11",
+};
+
+const categories = {
+  all: "Tüm Konular",
+  stock: "Stok",
+  shipping_time: "Kargo süresi",
+  compatibility: "Araç uyumu",
+  attribute: "Ürün özelliği",
+  original: "Orijinallik",
+  warranty: "Garanti",
+  return: "İade",
+  other: "Diğer",
+};
+
+const PERIODS = [
+  [7, "Son 7 gün"],
+  [30, "Son 30 gün"],
+  [90, "Son 90 gün"],
+];
+
+const formatHours = (hours) => {
+  if (hours === null || hours === undefined) return "-";
+  if (hours < 1) return `${Math.round(hours * 60)} dk`;
+  return `${hours.toFixed(1)} sa`;
+};
+
+const slaVariant = (rate) => {
+  if (rate === null) return "secondary";
+  if (rate >= 95) return "success";
+  return rate >= 80 ? "warning" : "danger";
+};
+
+const emptyRule = {
+  name: "",
+  category: "all",
+  platform: "all",
+  agent_ids: [],
+  priority: 0,
+};
+
+const memberName = (member) => member.fullName || member.username;
+
+/**
+ * Assignment rules: questions matching a rule rotate between its team
+ * members, everything else rotates between the whole team
+ */
+const AssignmentRules = ({ teamMembers, onAssigned }) => {
+  const { showAlert } = useAlert();
+  const { handleError } = useErrorHandler();
+  const [rules, setRules] = useState([]);
+  const [newRule, setNewRule] = useState(emptyRule);
+  const [saving, setSaving] = useState(false);
+  const [assigning, setAssigning] = useState(false);
+
+  const names = Object.fromEntries(
+    teamMembers.map((member) => [member.id, memberName(member)])
+  );
+
+  const loadRules = useCallback(async () => {
+    try {
+      const response = await api.customerQuestions.sla.getAssignmentRules();
+      setRules(response.data || []);
+    } catch (error) {
+      handleError(error, "Atama kuralları yüklenemedi");
+    }
+  }, [handleError]);
+
+  useEffect(() => {
+    loadRules();
+  }, [loadRules]);
+
+  const toggleAgent = (agentId) =>
+    setNewRule((prev) => ({
+      ...prev,
+      agent_ids: prev.agent_ids.includes(agentId)
+        ? prev.agent_ids.filter((id) => id !== agentId)
+        : [...prev.agent_ids, agentId],
+    }));
+
+  const handleCreate = async () => {
+    if (!newRule.name.trim() || newRule.agent_ids.length === 0) {
+      showAlert("Kural adı ve en az bir temsilci seçin", "error");
+      return;
+    }
+    try {
+      setSaving(true);
+      await api.customerQuestions.sla.createAssignmentRule({
+        ...newRule,
+        name: newRule.name.trim(),
+        priority: parseInt(newRule.priority, 10) || 0,
+      });
+      setNewRule(emptyRule);
+      showAlert("Atama kuralı eklendi", "success");
+      loadRules();
+    } catch (error) {
+      handleError(error, "Atama kuralı eklenemedi");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggle = async (rule) => {
+    try {
+      await api.customerQuestions.sla.updateAssignmentRule(rule.id, {
+        is_active: !rule.is_active,
+      });
+      loadRules();
+    } catch (error) {
+      handleError(error, "Atama kuralı güncellenemedi");
+    }
+  };
+
+  const handleDelete = async (rule) => {
+    if (!window.confirm(`"${rule.name}" kuralı silinsin mi?`)) return;
+    try {
+      await api.customerQuestions.sla.deleteAssignmentRule(rule.id);
+      loadRules();
+    } catch (error) {
+      handleError(error, "Atama kuralı silinemedi");
+    }
+  };
+
+  const handleAutoAssign = async () => {
+    try {
+      setAssigning(true);
+      const response = await api.customerQuestions.sla.autoAssign();
+      showAlert(
+        `${response.data?.assigned || 0} soru temsilcilere atandı`,
+        "success"
+      );
+      onAssigned();
+    } catch (error) {
+      handleError(error, "Sorular atanamadı");
+    } finally {
+      setAssigning(false);
+    }
+  };
+
+  return (
+    <div className="mt-6">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-sm font-semibold text-gray-900">Atama Kuralları</h3>
+        <Button
+          onClick={handleAutoAssign}
+          variant="outline"
+          size="sm"
+          disabled={assigning || teamMembers.length === 0}
+        >
+          <Shuffle className="h-4 w-4 mr-1" />
+          Atanmamışları Dağıt
+        </Button>
+      </div>
+
+      <table className="min-w-full divide-y divide-gray-200 mb-4">
+        <thead className="bg-gray-50">
+          <tr>
+            {["Kural", "Konu", "Platform", "Temsilciler", "Öncelik", ""].map(
+              (label) => (
+                <th
+                  key={label}
+                  className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase"
+                >
+                  {label}
+                </th>
+              )
+            )}
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-gray-100">
+          {rules.length === 0 ? (
+            <tr>
+              <td colSpan="6" className="px-4 py-3 text-sm text-gray-500">
+                Kural yok; sorular tüm ekip arasında sırayla dağıtılır.
+              </td>
+            </tr>
+          ) : (
+            rules.map((rule) => (
+              <tr key={rule.id} className={rule.is_active ? "" : "opacity-50"}>
+                <td className="px-4 py-2 text-sm text-gray-900">{rule.name}</td>
+                <td className="px-4 py-2 text-sm text-gray-700">
+                  {categories[rule.category] || rule.category}
+                </td>
+                <td className="px-4 py-2 text-sm text-gray-700">
+                  {PLATFORMS[rule.platform] || rule.platform}
+                </td>
+                <td className="px-4 py-2 text-sm text-gray-700">
+                  {(rule.agent_ids || [])
+                    .map((id) => names[id] || "Pasif kullanıcı")
+                    .join(", ")}
+                </td>
+                <td className="px-4 py-2 text-sm text-gray-700">
+                  {rule.priority}
+                </td>
+                <td className="px-4 py-2 text-right whitespace-nowrap">
+                  <Button
+                    onClick={() => handleToggle(rule)}
+                    variant="outline"
+                    size="sm"
+                  >
+                    {rule.is_active ? "Durdur" : "Etkinleştir"}
+                  </Button>
+                  <Button
+                    onClick={() => handleDelete(rule)}
+                    variant="outline"
+                    size="sm"
+                    className="ml-2"
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </Button>
+                </td>
+              </tr>
+            ))
+          )}
+        </tbody>
+      </table>
+
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-3 items-start">
+        <input
+          type="text"
+          placeholder="Kural adı"
+          value={newRule.name}
+          onChange={(e) => setNewRule({ ...newRule, name: e.target.value })}
+          className="border border-gray-300 rounded px-3 py-2 text-sm"
+        />
+        <select
+          value={newRule.category}
+          onChange={(e) => setNewRule({ ...newRule, category: e.target.value })}
+          className="border border-gray-300 rounded px-3 py-2 text-sm"
+        >
+          {Object.entries(categories).map(([value, label]) => (
+            <option key={value} value={value}>
+              {label}
+            </option>
+          ))}
+        </select>
+        <select
+          value={newRule.platform}
+          onChange={(e) => setNewRule({ ...newRule, platform: e.target.value })}
+          className="border border-gray-300 rounded px-3 py-2 text-sm"
+        >
+          {Object.entries(PLATFORMS).map(([value, label]) => (
+            <option key={value} value={value}>
+              {label}
+            </option>
+          ))}
+        </select>
+        <input
+          type="number"
+          min="0"
+          max="1000"
+          title="Öncelik"
+          value={newRule.priority}
+          onChange={(e) => setNewRule({ ...newRule, priority: e.target.value })}
+          className="border border-gray-300 rounded px-3 py-2 text-sm"
+        />
+        <div className="md:col-span-3 flex flex-wrap gap-3">
+          {teamMembers.map((member) => (
+            <label
+              key={member.id}
+              className="flex items-center text-sm text-gray-700"
+            >
+              <input
+                type="checkbox"
+                className="mr-1"
+                checked={newRule.agent_ids.includes(member.id)}
+                onChange={() => toggleAgent(member.id)}
+              />
+              {memberName(member)}
+            </label>
+          ))}
+        </div>
+        <Button onClick={handleCreate} variant="primary" disabled={saving}>
+          <Plus className="h-4 w-4 mr-1" />
+          Kural Ekle
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Response times and deadline performance per team member
+ */
+const AgentResponseReport = ({ teamMembers = [], onAssigned = () => {} }) => {
+  const { handleError } = useErrorHandler();
+  const [days, setDays] = useState(30);
+  const [platform, setPlatform] = useState("all");
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const loadReport = useCallback(async () => {
+    try {
+      setLoading(true);
+      const params = {
+        start_date: subDays(new Date(), days).toISOString(),
+        end_date: new Date().toISOString(),
+      };
+      if (platform !== "all") {
+        params.platform = platform;
+      }
+      const response = await api.customerQuestions.sla.getAgentReport(params);
+      setReport(response.data);
+    } catch (error) {
+      handleError(error, "Temsilci raporu yüklenemedi");
+    } finally {
+      setLoading(false);
+    }
+  }, [days, platform, handleError]);
+
+  useEffect(() => {
+    loadReport();
+  }, [loadReport]);
+
+  return (
+    <Card className="mb-6">
+      <CardContent className="p-6">
+        <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-3 mb-4">
+          <div className="flex items-center space-x-2">
+            <Users className="h-5 w-5 text-blue-600" />
+            <h2 className="text-lg font-semibold text-gray-900">
+              Temsilci Yanıt Süreleri
+            </h2>
+          </div>
+          <div className="flex items-center space-x-2">
+            <select
+              value={days}
+              onChange={(e) => setDays(parseInt(e.target.value, 10))}
+              className="border border-gray-300 rounded px-3 py-2 text-sm"
+            >
+              {PERIODS.map(([value, label]) => (
+                <option key={value} value={value}>
+                  {label}
+                </option>
+              ))}
+            </select>
+            <select
+              value={platform}
+              onChange={(e) => setPlatform(e.target.value)}
+              className="border border-gray-300 rounded px-3 py-2 text-sm"
+            >
+              {Object.entries(PLATFORMS).map(([value, label]) => (
+                <option key={value} value={value}>
+                  {label}
+                </option>
+              ))}
+            </select>
+            <Button
+              onClick={loadReport}
+              variant="outline"
+              size="sm"
+              disabled={loading}
+            >
+              <RefreshCw
+                className={`h-4 w-4 ${loading ? "animate-spin" : ""}`}
+              />
+            </Button>
+          </div>
+        </div>
+
+        {loading && !report ? (
+          <div className="flex items-center justify-center py-8">
+            <Loader2 className="h-6 w-6 animate-spin text-blue-600" />
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  {[
+                    "Temsilci",
+                    "Atanan",
+                    "Yanıtlanan",
+                    "Süresinde",
+                    "Açık",
+                    "Geciken",
+                    "Ort. Yanıt",
+                    "Ort. Atamadan Yanıta",
+                  ].map((label) => (
+                    <th
+                      key={label}
+                      className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase"
+                    >
+                      {label}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {(report?.agents || []).length === 0 ? (
+                  <tr>
+                    <td colSpan="8" className="px-4 py-3 text-sm text-gray-500">
+                      Bu dönemde soru yok.
+                    </td>
+                  </tr>
+                ) : (
+                  report.agents.map((agent) => (
+                    <tr key={agent.agentId || "unassigned"}>
+                      <td className="px-4 py-2 text-sm text-gray-900">
+                        {agent.agentName || "Atanmamış"}
+                      </td>
+                      <td className="px-4 py-2 text-sm">{agent.total}</td>
+                      <td className="px-4 py-2 text-sm">{agent.answered}</td>
+                      <td className="px-4 py-2 text-sm">
+                        <Badge variant={slaVariant(agent.slaRate)}>
+                          {agent.slaRate === null ? "-" : `%${agent.slaRate}`}
+                        </Badge>
+                      </td>
+                      <td className="px-4 py-2 text-sm">{agent.open}</td>
+                      <td className="px-4 py-2 text-sm">
+                        {agent.overdue > 0 ? (
+                          <Badge variant="danger">{agent.overdue}</Badge>
+                        ) : (
+                          0
+                        )}
+                      </td>
+                      <td className="px-4 py-2 text-sm">
+                        {formatHours(agent.avgResponseTimeHours)}
+                      </td>
+                      <td className="px-4 py-2 text-sm">
+                        {formatHours(agent.avgHandlingTimeHours)}
+                      </td>
+                    </tr>
+                  ))
+                )}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        <AssignmentRules teamMembers={teamMembers} onAssigned={onAssigned} />
+      </CardContent>
+    </Card>
+  );
+};
+
+export default AgentResponseReport;
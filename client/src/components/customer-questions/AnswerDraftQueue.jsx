@@ -0,0 +1,418 @@
+import logger from "../../utils/logger.js";
+import React, { useState, useEffect, useCallback } from "react";
+import {
+  Bot,
+  RefreshCw,
+  Loader2,
+  Send,
+  XCircle,
+  Clock,
+  Settings,
+} from "lucide-react";
+import { format } from "date-fns";
+import { tr } from "date-fns/locale";
+import api from "../../services/api";
+import { useAlert } from "../../contexts/AlertContext";
+import { Button, Card, CardContent, Badge } from "../ui";
+import { useErrorHandler } from "../../hooks/useErrorHandler";
+
+const PLATFORMS = {
+  trendyol: "Trendyol",
+  hepsiburada: "Hepsiburada",
+  n11: "N11",
+};
+
+const categories = {
+  stock: "Stok",
+  shipping_time: "Kargo süresi",
+  compatibility: "Araç uyumu",
+  attribute: "Ürün özelliği",
+  original: "Orijinallik",
+  warranty: "Garanti",
+  return: "İade",
+  other: "Diğer",
+};
+
+const draftStatuses = {
+  pending_review: { label: "Onay Bekliyor", variant: "warning" },
+  scheduled: { label: "Gönderilecek", variant: "primary" },
+  sent: { label: "Gönderildi", variant: "success" },
+  failed: { label: "Gönderilemedi", variant: "danger" },
+  discarded: { label: "Reddedildi", variant: "secondary" },
+};
+
+const formatDate = (value) =>
+  value ? format(new Date(value), "dd.MM.yyyy HH:mm", { locale: tr }) : "-";
+
+const confidenceVariant = (confidence) =>
+  confidence >= 0.85 ? "success" : confidence >= 0.6 ? "warning" : "danger";
+
+const DraftCard = ({ draft, onChanged }) => {
+  const { showAlert } = useAlert();
+  const { handleError } = useErrorHandler();
+  const [text, setText] = useState(draft.answer_text || "");
+  const [busy, setBusy] = useState(false);
+
+  const isOpen = ["pending_review", "scheduled", "failed"].includes(
+    draft.status
+  );
+
+  const handleApprove = async () => {
+    try {
+      setBusy(true);
+      const response = await api.customerQuestions.answerDrafts.approveDraft(
+        draft.id,
+        text.trim() !== draft.answer_text ? text.trim() : undefined
+      );
+      showAlert(response.message || "Yanıt gönderildi", "success");
+      onChanged();
+    } catch (error) {
+      handleError(error, "Yanıt gönderilemedi");
+      onChanged();
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleDiscard = async () => {
+    try {
+      setBusy(true);
+      await api.customerQuestions.answerDrafts.discardDraft(draft.id);
+      showAlert("Taslak reddedildi", "success");
+      onChanged();
+    } catch (error) {
+      handleError(error, "Taslak reddedilemedi");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <Card className="bg-white">
+      <CardContent className="p-6 space-y-3">
+        <div className="flex items-start justify-between">
+          <div>
+            <div className="text-sm font-semibold text-gray-900">
+              {draft.question?.product_name || "Ürün bilgisi yok"}
+            </div>
+            <div className="text-xs text-gray-500">
+              {PLATFORMS[draft.platform] || draft.platform} ·{" "}
+              {draft.question?.customer_name || "Müşteri"} ·{" "}
+              {formatDate(draft.question?.creation_date)}
+            </div>
+          </div>
+          <div className="flex items-center space-x-2">
+            <Badge variant="secondary" size="xs">
+              {categories[draft.category] || draft.category}
+            </Badge>
+            <Badge variant={confidenceVariant(draft.confidence)} size="xs">
+              %{Math.round(draft.confidence * 100)} güven
+            </Badge>
+            <Badge variant={draftStatuses[draft.status]?.variant} size="xs">
+              {draftStatuses[draft.status]?.label || draft.status}
+            </Badge>
+          </div>
+        </div>
+
+        <div className="rounded-lg bg-gray-50 px-3 py-2 text-sm text-gray-900">
+          {draft.question?.question_text}
+        </div>
+
+        {isOpen ? (
+          <textarea
+            value={text}
+            onChange={(e) => setText(e.target.value)}
+            rows={3}
+            maxLength={2000}
+            placeholder="Model bu soruyu yanıtlayamadı, yanıtı siz yazın..."
+            className="w-full border border-gray-300 rounded-lg px-3 py-2 text-sm"
+          />
+        ) : (
+          <div className="flex items-start text-sm text-gray-700 whitespace-pre-line">
+            <Bot className="h-4 w-4 mr-2 mt-0.5 text-blue-600 flex-shrink-0" />
+            {draft.answer_text || "-"}
+          </div>
+        )}
+
+        {draft.error && (
+          <div className="text-xs text-red-600">{draft.error}</div>
+        )}
+
+        <div className="flex items-center justify-between">
+          <div className="flex items-center text-xs text-gray-500">
+            <Clock className="h-3 w-3 mr-1" />
+            Son yanıt: {formatDate(draft.sla_deadline)}
+            {draft.status === "scheduled" &&
+              ` · Otomatik gönderim: ${formatDate(draft.auto_send_at)}`}
+            {draft.status === "sent" &&
+              ` · Gönderim: ${formatDate(draft.sent_at)}`}
+          </div>
+          {isOpen && (
+            <div className="flex space-x-2">
+              <Button
+                size="sm"
+                variant="outline"
+                onClick={handleDiscard}
+                disabled={busy}
+              >
+                <XCircle className="h-4 w-4 mr-1" />
+                Reddet
+              </Button>
+              <Button
+                size="sm"
+                variant="primary"
+                onClick={handleApprove}
+                disabled={busy || text.trim().length < 10}
+              >
+                {busy ? (
+                  <Loader2 className="h-4 w-4 mr-1 animate-spin" />
+                ) : (
+                  <Send className="h-4 w-4 mr-1" />
+                )}
+                Onayla ve Gönder
+              </Button>
+            </div>
+          )}
+        </div>
+      </CardContent>
+    </Card>
+  );
+};
+
+const RuleRow = ({ rule, onSaved }) => {
+  const { showAlert } = useAlert();
+  const { handleError } = useErrorHandler();
+  const [values, setValues] = useState(rule);
+  const [saving, setSaving] = useState(false);
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      await api.customerQuestions.answerDrafts.saveRule(rule.category, {
+        platform: rule.platform,
+        auto_send: values.auto_send,
+        min_confidence: parseFloat(values.min_confidence),
+        hold_minutes: parseInt(values.hold_minutes, 10),
+      });
+      showAlert("Kural kaydedildi", "success");
+      onSaved();
+    } catch (error) {
+      handleError(error, "Kural kaydedilemedi");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <tr>
+      <td className="px-4 py-2 text-sm text-gray-900">
+        {categories[rule.category] || rule.category}
+        {rule.platform !== "all" &&
+          ` (${PLATFORMS[rule.platform] || rule.platform})`}
+      </td>
+      <td className="px-4 py-2">
+        <input
+          type="checkbox"
+          checked={values.auto_send}
+          onChange={(e) =>
+            setValues({ ...values, auto_send: e.target.checked })
+          }
+        />
+      </td>
+      <td className="px-4 py-2">
+        <input
+          type="number"
+          min="0"
+          max="1"
+          step="0.05"
+          value={values.min_confidence}
+          onChange={(e) =>
+            setValues({ ...values, min_confidence: e.target.value })
+          }
+          className="w-20 border border-gray-300 rounded px-2 py-1 text-sm"
+        />
+      </td>
+      <td className="px-4 py-2">
+        <input
+          type="number"
+          min="0"
+          max="1440"
+          value={values.hold_minutes}
+          onChange={(e) =>
+            setValues({ ...values, hold_minutes: e.target.value })
+          }
+          className="w-20 border border-gray-300 rounded px-2 py-1 text-sm"
+        />
+      </td>
+      <td className="px-4 py-2 text-right">
+        <Button size="sm" variant="outline" onClick={handleSave} disabled={saving}>
+          Kaydet
+        </Button>
+      </td>
+    </tr>
+  );
+};
+
+const AnswerDraftQueue = () => {
+  const [drafts, setDrafts] = useState([]);
+  const [rules, setRules] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [statusFilter, setStatusFilter] = useState("pending_review");
+  const [platformFilter, setPlatformFilter] = useState("");
+  const [showRules, setShowRules] = useState(false);
+
+  const loadDrafts = useCallback(async () => {
+    try {
+      const response = await api.customerQuestions.answerDrafts.getDrafts({
+        status: statusFilter || undefined,
+        platform: platformFilter || undefined,
+        limit: 50,
+      });
+      if (response.success) {
+        setDrafts(response.data || []);
+      }
+    } catch (err) {
+      logger.error("Error loading answer drafts:", err);
+    } finally {
+      setLoading(false);
+    }
+  }, [statusFilter, platformFilter]);
+
+  const loadRules = useCallback(async () => {
+    try {
+      const response = await api.customerQuestions.answerDrafts.getRules();
+      if (response.success) {
+        setRules(response.data || []);
+      }
+    } catch (err) {
+      logger.error("Error loading auto-answer rules:", err);
+    }
+  }, []);
+
+  useEffect(() => {
+    setLoading(true);
+    loadDrafts();
+  }, [loadDrafts]);
+
+  useEffect(() => {
+    if (showRules) loadRules();
+  }, [showRules, loadRules]);
+
+  return (
+    <div className="p-6 space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Yanıt Taslakları</h1>
+          <p className="text-sm text-gray-600">
+            Pazaryeri sorularına ürün bilgilerinden hazırlanan yanıtları
+            inceleyin ve gönderin.
+          </p>
+        </div>
+        <div className="flex space-x-3">
+          <select
+            value={platformFilter}
+            onChange={(e) => setPlatformFilter(e.target.value)}
+            className="border border-gray-300 rounded-lg px-3 py-2 text-sm"
+          >
+            <option value="">Tüm pazaryerleri</option>
+            {Object.entries(PLATFORMS).map(([value, label]) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+          </select>
+          <Button onClick={() => setShowRules(!showRules)} variant="outline">
+            <Settings className="h-4 w-4 mr-2" />
+            Otomatik Yanıt Kuralları
+          </Button>
+          <Button onClick={loadDrafts} variant="outline">
+            <RefreshCw className="h-4 w-4 mr-2" />
+            Yenile
+          </Button>
+        </div>
+      </div>
+
+      {showRules && (
+        <Card className="bg-white">
+          <CardContent className="p-0">
+            <div className="px-6 py-4 border-b border-gray-200">
+              <h2 className="text-lg font-semibold text-gray-900">
+                Otomatik Yanıt Kuralları
+              </h2>
+              <p className="text-xs text-gray-500">
+                Güven eşiğini geçen yanıtlar bekleme süresi sonunda, platformun
+                yanıt süresi dolmadan onaysız gönderilir.
+              </p>
+            </div>
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500">
+                    Kategori
+                  </th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500">
+                    Otomatik gönder
+                  </th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500">
+                    En düşük güven
+                  </th>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500">
+                    Bekleme (dk)
+                  </th>
+                  <th />
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {rules.map((rule) => (
+                  <RuleRow
+                    key={`${rule.category}-${rule.platform}-${rule.isDefault}`}
+                    rule={rule}
+                    onSaved={loadRules}
+                  />
+                ))}
+              </tbody>
+            </table>
+          </CardContent>
+        </Card>
+      )}
+
+      <div className="flex flex-wrap gap-2">
+        {[
+          ...Object.entries(draftStatuses).map(([k, v]) => [k, v.label]),
+          ["", "Tümü"],
+        ].map(([value, label]) => (
+          <Button
+            key={value || "all"}
+            size="sm"
+            variant={statusFilter === value ? "primary" : "outline"}
+            onClick={() => setStatusFilter(value)}
+          >
+            {label}
+          </Button>
+        ))}
+      </div>
+
+      {loading ? (
+        <div className="flex items-center justify-center py-8">
+          <Loader2 className="h-6 w-6 animate-spin text-blue-600" />
+        </div>
+      ) : drafts.length === 0 ? (
+        <div className="text-center py-8 text-sm text-gray-600">
+          Bu filtreye uyan taslak yok.
+        </div>
+      ) : (
+        <div className="space-y-4">
+          {drafts.map((draft) => (
+            <DraftCard
+              key={`${draft.id}-${draft.updatedAt}`}
+              draft={draft}
+              onChanged={loadDrafts}
+            />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AnswerDraftQueue;
@@ -0,0 +1,63 @@
+import React from "react";
+import { Timer } from "lucide-react";
+import { Badge } from "../ui";
+
+const MINUTE = 60 * 1000;
+
+// "1 g 3 sa", "2 sa 15 dk", "12 dk"
+export const formatDuration = (milliseconds) => {
+  const minutes = Math.max(0, Math.floor(milliseconds / MINUTE));
+  const days = Math.floor(minutes / 1440);
+  const hours = Math.floor((minutes % 1440) / 60);
+  const rest = minutes % 60;
+
+  if (days > 0) return `${days} g ${hours} sa`;
+  if (hours > 0) return `${hours} sa ${rest} dk`;
+  return `${rest} dk`;
+};
+
+/**
+ * Time left to a question's answer deadline, or whether it was answered
+ * in time once it is closed
+ */
+const SlaCountdown = ({ question, now, warningMinutes = 120 }) => {
+  if (!question.due_date) {
+    return <span className="text-xs text-gray-400">-</span>;
+  }
+
+  const dueDate = new Date(question.due_date);
+
+  if (question.status !== "WAITING_FOR_ANSWER") {
+    if (!question.answered_date) {
+      return <span className="text-xs text-gray-400">-</span>;
+    }
+    const inTime = new Date(question.answered_date) <= dueDate;
+    return (
+      <Badge variant={inTime ? "success" : "danger"}>
+        {inTime ? "Zamanında" : "Geç yanıt"}
+      </Badge>
+    );
+  }
+
+  const remaining = dueDate.getTime() - now.getTime();
+  if (remaining <= 0) {
+    return (
+      <Badge variant="danger" title={dueDate.toLocaleString("tr-TR")}>
+        <Timer className="h-3 w-3 mr-1 inline" />
+        {formatDuration(-remaining)} gecikti
+      </Badge>
+    );
+  }
+
+  return (
+    <Badge
+      variant={remaining <= warningMinutes * MINUTE ? "warning" : "secondary"}
+      title={dueDate.toLocaleString("tr-TR")}
+    >
+      <Timer className="h-3 w-3 mr-1 inline" />
+      {formatDuration(remaining)} kaldı
+    </Badge>
+  );
+};
+
+export default SlaCountdown;
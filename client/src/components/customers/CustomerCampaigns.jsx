@@ -0,0 +1,672 @@
+import logger from "../../utils/logger.js";
+/**
+ * Customer Campaigns
+ * Email campaigns sent to saved segments: templates, scheduling, delivery
+ * progress and the open, click, unsubscribe and conversion report
+ */
+
+import React, { useState, useEffect, useCallback } from "react";
+import {
+  Mail,
+  Send,
+  XCircle,
+  BarChart3,
+  Plus,
+  Trash2,
+  Eye,
+  FileText,
+} from "lucide-react";
+import api from "../../services/api";
+import { useAlert } from "../../contexts/AlertContext";
+import { formatCurrency, formatDate } from "../../utils/platformHelpers";
+
+const STATUS_LABELS = {
+  draft: { label: "Taslak", className: "bg-gray-100 text-gray-800" },
+  scheduled: { label: "Planlandı", className: "bg-blue-100 text-blue-800" },
+  sending: { label: "Gönderiliyor", className: "bg-yellow-100 text-yellow-800" },
+  sent: { label: "Gönderildi", className: "bg-green-100 text-green-800" },
+  failed: { label: "Başarısız", className: "bg-red-100 text-red-800" },
+  cancelled: { label: "İptal Edildi", className: "bg-gray-100 text-gray-500" },
+};
+
+const SENDABLE_STATUSES = ["draft", "failed"];
+const CANCELLABLE_STATUSES = ["scheduled", "sending"];
+
+const emptyCampaign = {
+  name: "",
+  subject: "",
+  segmentIds: [],
+  templateId: "",
+  content: "",
+  scheduledAt: "",
+};
+
+const emptyTemplate = { name: "", subject: "", content: "" };
+
+const inputClassName =
+  "w-full rounded-md border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 px-3 py-2 text-sm";
+
+const CustomerCampaigns = () => {
+  const { showNotification } = useAlert();
+
+  const [campaigns, setCampaigns] = useState([]);
+  const [segments, setSegments] = useState([]);
+  const [templates, setTemplates] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [campaignForm, setCampaignForm] = useState(null);
+  const [templateForm, setTemplateForm] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [preview, setPreview] = useState(null);
+  const [report, setReport] = useState(null);
+
+  const fetchCampaigns = useCallback(async () => {
+    try {
+      setLoading(true);
+      const [campaignsResponse, segmentsResponse, templatesResponse] =
+        await Promise.all([
+          api.marketing.getCampaigns(),
+          api.marketing.getSegments(),
+          api.marketing.getTemplates(),
+        ]);
+      setCampaigns(campaignsResponse.data || []);
+      setSegments(segmentsResponse.data || []);
+      setTemplates(templatesResponse.data || []);
+    } catch (error) {
+      logger.error("Error fetching campaigns:", error);
+      showNotification("Kampanyalar yüklenemedi", "error");
+    } finally {
+      setLoading(false);
+    }
+  }, [showNotification]);
+
+  useEffect(() => {
+    fetchCampaigns();
+  }, [fetchCampaigns]);
+
+  const showError = (error, fallback) =>
+    showNotification(error.response?.data?.message || fallback, "error");
+
+  const toggleCampaignSegment = (id) =>
+    setCampaignForm({
+      ...campaignForm,
+      segmentIds: campaignForm.segmentIds.includes(id)
+        ? campaignForm.segmentIds.filter((segmentId) => segmentId !== id)
+        : [...campaignForm.segmentIds, id],
+    });
+
+  const handlePreview = async (subject, content) => {
+    try {
+      const response = await api.marketing.previewTemplate({
+        subject,
+        content,
+      });
+      setPreview(response.data);
+    } catch (error) {
+      showError(error, "Önizleme oluşturulamadı");
+    }
+  };
+
+  const handleCreateCampaign = async (e) => {
+    e.preventDefault();
+    if (!campaignForm.segmentIds.length) {
+      showNotification("En az bir segment seçin", "error");
+      return;
+    }
+
+    try {
+      setSaving(true);
+      await api.marketing.createCampaign({
+        name: campaignForm.name,
+        subject: campaignForm.subject,
+        segmentIds: campaignForm.segmentIds,
+        templateId: campaignForm.templateId || null,
+        content: campaignForm.templateId ? null : campaignForm.content,
+        scheduledAt: campaignForm.scheduledAt
+          ? new Date(campaignForm.scheduledAt).toISOString()
+          : null,
+      });
+      showNotification(
+        campaignForm.scheduledAt
+          ? "Kampanya planlandı"
+          : "Kampanya taslak olarak kaydedildi",
+        "success"
+      );
+      setCampaignForm(null);
+      fetchCampaigns();
+    } catch (error) {
+      showError(error, "Kampanya oluşturulamadı");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSaveTemplate = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      await api.marketing.saveTemplate(templateForm, templateForm.id);
+      showNotification("Şablon kaydedildi", "success");
+      setTemplateForm(null);
+      fetchCampaigns();
+    } catch (error) {
+      showError(error, "Şablon kaydedilemedi");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDeleteTemplate = async (template) => {
+    if (!window.confirm(`"${template.name}" şablonu silinsin mi?`)) return;
+    try {
+      await api.marketing.deleteTemplate(template.id);
+      showNotification("Şablon silindi", "success");
+      fetchCampaigns();
+    } catch (error) {
+      showError(error, "Şablon silinemedi");
+    }
+  };
+
+  const handleSend = async (campaign) => {
+    if (!window.confirm(`"${campaign.name}" kampanyası şimdi gönderilsin mi?`)) {
+      return;
+    }
+    try {
+      await api.marketing.sendCampaign(campaign.id);
+      showNotification("Kampanya gönderimi başladı", "success");
+      fetchCampaigns();
+    } catch (error) {
+      showError(error, "Kampanya gönderilemedi");
+    }
+  };
+
+  const handleCancel = async (campaign) => {
+    if (!window.confirm(`"${campaign.name}" kampanyası iptal edilsin mi?`)) {
+      return;
+    }
+    try {
+      await api.marketing.cancelCampaign(campaign.id);
+      showNotification("Kampanya iptal edildi", "success");
+      fetchCampaigns();
+    } catch (error) {
+      showError(error, "Kampanya iptal edilemedi");
+    }
+  };
+
+  const handleReport = async (campaign) => {
+    try {
+      const response = await api.marketing.getCampaignReport(campaign.id);
+      setReport(response.data);
+    } catch (error) {
+      showError(error, "Kampanya raporu yüklenemedi");
+    }
+  };
+
+  if (loading && !campaigns.length) {
+    return (
+      <div className="flex justify-center items-center py-12">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 p-6">
+        <div className="flex items-center justify-between mb-4">
+          <div className="flex items-center">
+            <Mail className="h-6 w-6 text-blue-600 mr-3" />
+            <div>
+              <h3 className="text-lg font-semibold">E-posta Kampanyaları</h3>
+              <p className="text-sm text-gray-500 dark:text-gray-400">
+                Yalnızca ticari e-posta izni olan müşterilere gönderilir
+              </p>
+            </div>
+          </div>
+          {!campaignForm && (
+            <button
+              onClick={() => setCampaignForm(emptyCampaign)}
+              className="inline-flex items-center px-3 py-2 bg-blue-600 text-white rounded-md text-sm font-medium hover:bg-blue-700"
+            >
+              <Plus className="w-4 h-4 mr-2" />
+              Yeni Kampanya
+            </button>
+          )}
+        </div>
+
+        {campaignForm && (
+          <form
+            onSubmit={handleCreateCampaign}
+            className="mb-6 p-4 border border-gray-200 dark:border-gray-700 rounded-lg space-y-4"
+          >
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <input
+                type="text"
+                required
+                placeholder="Kampanya adı"
+                value={campaignForm.name}
+                onChange={(e) =>
+                  setCampaignForm({ ...campaignForm, name: e.target.value })
+                }
+                className={inputClassName}
+              />
+              <input
+                type="text"
+                required
+                placeholder="Konu, ör. Merhaba {{customer.firstName}}"
+                value={campaignForm.subject}
+                onChange={(e) =>
+                  setCampaignForm({ ...campaignForm, subject: e.target.value })
+                }
+                className={inputClassName}
+              />
+            </div>
+            <div className="flex flex-wrap gap-2">
+              {segments.map((segment) => (
+                <label
+                  key={segment.id}
+                  className="inline-flex items-center px-3 py-1 border border-gray-300 dark:border-gray-600 rounded-full text-sm cursor-pointer"
+                >
+                  <input
+                    type="checkbox"
+                    className="mr-2"
+                    checked={campaignForm.segmentIds.includes(segment.id)}
+                    onChange={() => toggleCampaignSegment(segment.id)}
+                  />
+                  {segment.name}
+                </label>
+              ))}
+            </div>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <select
+                value={campaignForm.templateId}
+                onChange={(e) =>
+                  setCampaignForm({
+                    ...campaignForm,
+                    templateId: e.target.value,
+                  })
+                }
+                className={inputClassName}
+              >
+                <option value="">Şablon yok, içeriği yaz</option>
+                {templates.map((template) => (
+                  <option key={template.id} value={template.id}>
+                    {template.name}
+                  </option>
+                ))}
+              </select>
+              <input
+                type="datetime-local"
+                value={campaignForm.scheduledAt}
+                onChange={(e) =>
+                  setCampaignForm({
+                    ...campaignForm,
+                    scheduledAt: e.target.value,
+                  })
+                }
+                className={inputClassName}
+                title="Boş bırakılırsa taslak olarak kaydedilir"
+              />
+            </div>
+            {!campaignForm.templateId && (
+              <textarea
+                required
+                rows={8}
+                placeholder="MJML veya HTML içerik; {{customer.name}}, {{lastOrder.orderNumber}} gibi değişkenler kullanılabilir"
+                value={campaignForm.content}
+                onChange={(e) =>
+                  setCampaignForm({ ...campaignForm, content: e.target.value })
+                }
+                className={`${inputClassName} font-mono`}
+              />
+            )}
+            <div className="flex justify-end space-x-2">
+              <button
+                type="button"
+                onClick={() => {
+                  const template = templates.find(
+                    (item) => String(item.id) === campaignForm.templateId
+                  );
+                  handlePreview(
+                    campaignForm.subject,
+                    template ? template.content : campaignForm.content
+                  );
+                }}
+                className="inline-flex items-center px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md text-sm"
+              >
+                <Eye className="w-4 h-4 mr-2" />
+                Önizle
+              </button>
+              <button
+                type="button"
+                onClick={() => setCampaignForm(null)}
+                className="px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md text-sm"
+              >
+                İptal
+              </button>
+              <button
+                type="submit"
+                disabled={saving}
+                className="px-3 py-2 bg-blue-600 text-white rounded-md text-sm font-medium hover:bg-blue-700 disabled:opacity-50"
+              >
+                Kaydet
+              </button>
+            </div>
+          </form>
+        )}
+
+        {campaigns.length === 0 ? (
+          <p className="text-sm text-gray-500 dark:text-gray-400">
+            Henüz kampanya yok
+          </p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-left text-xs text-gray-500 dark:text-gray-400 uppercase">
+                  <th className="py-2">Kampanya</th>
+                  <th className="py-2">Durum</th>
+                  <th className="py-2 text-right">Gönderilen</th>
+                  <th className="py-2 text-right">Açılma</th>
+                  <th className="py-2 text-right">Tıklama</th>
+                  <th className="py-2 text-right">Abonelikten Çıkan</th>
+                  <th className="py-2"></th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+                {campaigns.map((campaign) => {
+                  const status =
+                    STATUS_LABELS[campaign.status] || STATUS_LABELS.draft;
+                  return (
+                    <tr key={campaign.id}>
+                      <td className="py-2">
+                        <p className="font-medium text-gray-900 dark:text-gray-100">
+                          {campaign.name}
+                        </p>
+                        <p className="text-xs text-gray-500 dark:text-gray-400">
+                          {campaign.sentAt
+                            ? formatDate(campaign.sentAt)
+                            : campaign.scheduledAt
+                            ? `Planlanan: ${formatDate(campaign.scheduledAt)}`
+                            : campaign.subject}
+                        </p>
+                      </td>
+                      <td className="py-2">
+                        <span
+                          className={`px-2 py-1 rounded-full text-xs font-medium ${status.className}`}
+                        >
+                          {status.label}
+                        </span>
+                      </td>
+                      <td className="py-2 text-right">
+                        {campaign.sentCount || 0} /{" "}
+                        {campaign.recipientCount || 0}
+                      </td>
+                      <td className="py-2 text-right">%{campaign.openRate}</td>
+                      <td className="py-2 text-right">%{campaign.clickRate}</td>
+                      <td className="py-2 text-right">
+                        {campaign.unsubscribeCount}
+                      </td>
+                      <td className="py-2">
+                        <div className="flex items-center justify-end space-x-3">
+                          {SENDABLE_STATUSES.includes(campaign.status) && (
+                            <button
+                              onClick={() => handleSend(campaign)}
+                              className="text-blue-600 hover:text-blue-800"
+                              title="Şimdi Gönder"
+                            >
+                              <Send className="w-4 h-4" />
+                            </button>
+                          )}
+                          {CANCELLABLE_STATUSES.includes(campaign.status) && (
+                            <button
+                              onClick={() => handleCancel(campaign)}
+                              className="text-red-600 hover:text-red-800"
+                              title="İptal Et"
+                            >
+                              <XCircle className="w-4 h-4" />
+                            </button>
+                          )}
+                          <button
+                            onClick={() => handleReport(campaign)}
+                            className="text-gray-600 hover:text-gray-800 dark:text-gray-300"
+                            title="Rapor"
+                          >
+                            <BarChart3 className="w-4 h-4" />
+                          </button>
+                        </div>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {report && (
+        <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 p-6">
+          <div className="flex items-center justify-between mb-4">
+            <h3 className="text-lg font-semibold">
+              {report.campaign.name} Raporu
+            </h3>
+            <button
+              onClick={() => setReport(null)}
+              className="text-sm text-gray-500 hover:text-gray-700"
+            >
+              Kapat
+            </button>
+          </div>
+          <div className="grid grid-cols-2 md:grid-cols-5 gap-4 mb-6">
+            {[
+              ["Gönderilen", report.recipients.sent],
+              ["Açılma", `${report.opens.unique} (%${report.opens.rate})`],
+              ["Tıklama", `${report.clicks.unique} (%${report.clicks.rate})`],
+              [
+                "Abonelikten Çıkan",
+                `${report.unsubscribes.total} (%${report.unsubscribes.rate})`,
+              ],
+              [
+                "Dönüşüm",
+                `${report.conversions.orders} sipariş, ${formatCurrency(
+                  report.conversions.revenue
+                )}`,
+              ],
+            ].map(([label, value]) => (
+              <div
+                key={label}
+                className="p-4 rounded-lg border border-gray-200 dark:border-gray-700"
+              >
+                <p className="text-xs text-gray-500 dark:text-gray-400">
+                  {label}
+                </p>
+                <p className="text-lg font-semibold text-gray-900 dark:text-gray-100">
+                  {value}
+                </p>
+              </div>
+            ))}
+          </div>
+          <p className="text-xs text-gray-500 dark:text-gray-400 mb-4">
+            Gönderimden sonraki {report.conversions.attributionDays} gün
+            içindeki siparişler kampanyaya atfedilir;{" "}
+            {report.conversions.fromClicks} sipariş tıklayan müşterilerden geldi.
+            Atlanan: {report.recipients.skipped}, başarısız:{" "}
+            {report.recipients.failed}.
+          </p>
+          {report.clicks.links.length > 0 && (
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-left text-xs text-gray-500 dark:text-gray-400 uppercase">
+                  <th className="py-2">Bağlantı</th>
+                  <th className="py-2 text-right">Tıklama</th>
+                  <th className="py-2 text-right">Tekil</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+                {report.clicks.links.map((link) => (
+                  <tr key={link.url}>
+                    <td className="py-2 break-all">{link.url}</td>
+                    <td className="py-2 text-right">{link.clicks}</td>
+                    <td className="py-2 text-right">{link.uniqueClicks}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      )}
+
+      <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 p-6">
+        <div className="flex items-center justify-between mb-4">
+          <div className="flex items-center">
+            <FileText className="h-6 w-6 text-purple-600 mr-3" />
+            <div>
+              <h3 className="text-lg font-semibold">E-posta Şablonları</h3>
+              <p className="text-sm text-gray-500 dark:text-gray-400">
+                MJML veya HTML, Handlebars değişkenleriyle
+              </p>
+            </div>
+          </div>
+          {!templateForm && (
+            <button
+              onClick={() => setTemplateForm(emptyTemplate)}
+              className="inline-flex items-center px-3 py-2 bg-blue-600 text-white rounded-md text-sm font-medium hover:bg-blue-700"
+            >
+              <Plus className="w-4 h-4 mr-2" />
+              Yeni Şablon
+            </button>
+          )}
+        </div>
+
+        {templateForm && (
+          <form
+            onSubmit={handleSaveTemplate}
+            className="mb-6 p-4 border border-gray-200 dark:border-gray-700 rounded-lg space-y-4"
+          >
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <input
+                type="text"
+                required
+                placeholder="Şablon adı"
+                value={templateForm.name}
+                onChange={(e) =>
+                  setTemplateForm({ ...templateForm, name: e.target.value })
+                }
+                className={inputClassName}
+              />
+              <input
+                type="text"
+                required
+                placeholder="Konu"
+                value={templateForm.subject}
+                onChange={(e) =>
+                  setTemplateForm({ ...templateForm, subject: e.target.value })
+                }
+                className={inputClassName}
+              />
+            </div>
+            <textarea
+              required
+              rows={10}
+              placeholder="<mjml><mj-body>...</mj-body></mjml>"
+              value={templateForm.content}
+              onChange={(e) =>
+                setTemplateForm({ ...templateForm, content: e.target.value })
+              }
+              className={`${inputClassName} font-mono`}
+            />
+            <div className="flex justify-end space-x-2">
+              <button
+                type="button"
+                onClick={() =>
+                  handlePreview(templateForm.subject, templateForm.content)
+                }
+                className="inline-flex items-center px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md text-sm"
+              >
+                <Eye className="w-4 h-4 mr-2" />
+                Önizle
+              </button>
+              <button
+                type="button"
+                onClick={() => setTemplateForm(null)}
+                className="px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md text-sm"
+              >
+                İptal
+              </button>
+              <button
+                type="submit"
+                disabled={saving}
+                className="px-3 py-2 bg-blue-600 text-white rounded-md text-sm font-medium hover:bg-blue-700 disabled:opacity-50"
+              >
+                Kaydet
+              </button>
+            </div>
+          </form>
+        )}
+
+        {templates.length === 0 ? (
+          <p className="text-sm text-gray-500 dark:text-gray-400">
+            Henüz şablon yok
+          </p>
+        ) : (
+          <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+            {templates.map((template) => (
+              <li
+                key={template.id}
+                className="flex items-center justify-between py-3"
+              >
+                <button
+                  onClick={() =>
+                    setTemplateForm({
+                      id: template.id,
+                      name: template.name,
+                      subject: template.subject,
+                      content: template.content,
+                    })
+                  }
+                  className="text-left"
+                >
+                  <p className="text-sm font-medium text-gray-900 dark:text-gray-100">
+                    {template.name}
+                  </p>
+                  <p className="text-xs text-gray-500 dark:text-gray-400">
+                    {template.subject}
+                  </p>
+                </button>
+                <button
+                  onClick={() => handleDeleteTemplate(template)}
+                  className="text-red-600 hover:text-red-800"
+                  title="Sil"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      {preview && (
+        <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 p-6">
+          <div className="flex items-center justify-between mb-4">
+            <h3 className="text-lg font-semibold">{preview.subject}</h3>
+            <button
+              onClick={() => setPreview(null)}
+              className="text-sm text-gray-500 hover:text-gray-700"
+            >
+              Kapat
+            </button>
+          </div>
+          <iframe
+            title="E-posta önizleme"
+            srcDoc={preview.html}
+            sandbox=""
+            className="w-full h-96 border border-gray-200 dark:border-gray-700 rounded bg-white"
+          />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CustomerCampaigns;
@@ -0,0 +1,267 @@
+import logger from "../../utils/logger.js";
+/**
+ * Customer Identity Panel
+ * Records merged into a customer from other marketplaces, suggested
+ * matches to review and manual merge/split of customer records
+ */
+
+import React, { useState, useEffect, useCallback } from "react";
+import { Users, GitMerge, Unlink, X, Search } from "lucide-react";
+import api from "../../services/api";
+import { useAlert } from "../../contexts/AlertContext";
+import { formatCurrency, formatDate } from "../../utils/platformHelpers";
+
+const SIGNAL_LABELS = {
+  name: "İsim",
+  phone: "Telefon",
+  city: "Şehir",
+  address: "Adres",
+};
+
+const confidenceClass = (confidence) =>
+  confidence >= 0.85
+    ? "bg-green-100 text-green-800"
+    : confidence >= 0.7
+    ? "bg-yellow-100 text-yellow-800"
+    : "bg-gray-100 text-gray-800";
+
+const CustomerIdentityPanel = ({ customer, onChange }) => {
+  const { showNotification } = useAlert();
+
+  const [candidates, setCandidates] = useState([]);
+  const [mergeEmail, setMergeEmail] = useState("");
+  const [busy, setBusy] = useState(null);
+
+  const fetchCandidates = useCallback(async () => {
+    try {
+      const response = await api.customers.getMatchCandidates({
+        customerId: customer.id,
+      });
+      setCandidates(response.data || []);
+    } catch (error) {
+      logger.warn("Failed to load customer match candidates:", error.message);
+    }
+  }, [customer.id]);
+
+  useEffect(() => {
+    fetchCandidates();
+  }, [fetchCandidates]);
+
+  const run = async (key, action, successMessage) => {
+    try {
+      setBusy(key);
+      await action();
+      showNotification(successMessage, "success");
+      await fetchCandidates();
+      onChange();
+      return true;
+    } catch (error) {
+      showNotification(
+        error.response?.data?.message || "İşlem tamamlanamadı",
+        "error"
+      );
+      return false;
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleMergeCandidate = (candidate) =>
+    run(
+      `merge-${candidate.id}`,
+      () => api.customers.mergeMatchCandidate(candidate.id, customer.id),
+      "Müşteri kayıtları birleştirildi"
+    );
+
+  const handleRejectCandidate = (candidate) =>
+    run(
+      `reject-${candidate.id}`,
+      () => api.customers.rejectMatchCandidate(candidate.id),
+      "Eşleşme farklı kişi olarak işaretlendi"
+    );
+
+  const handleSplit = (member) =>
+    run(
+      `split-${member.id}`,
+      () => api.customers.splitCustomer(customer.id, member.id),
+      `${member.email} ayrı müşteri olarak ayrıldı`
+    );
+
+  const handleManualMerge = (event) => {
+    event.preventDefault();
+    const sourceEmail = mergeEmail.trim();
+    if (!sourceEmail) return;
+    run(
+      "manual",
+      () => api.customers.mergeCustomer(customer.id, { sourceEmail }),
+      "Müşteri kayıtları birleştirildi"
+    ).then((merged) => merged && setMergeEmail(""));
+  };
+
+  const handleFindMatches = () =>
+    run(
+      "match",
+      () => api.customers.matchIdentities(),
+      "Eşleşme araması arka planda başlatıldı"
+    );
+
+  const identities = customer.identities || [];
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-lg font-semibold text-gray-900 dark:text-gray-100 flex items-center">
+          <Users className="w-5 h-5 mr-2" />
+          Bağlı Kimlikler
+        </h2>
+        <button
+          onClick={handleFindMatches}
+          disabled={busy !== null}
+          className="text-sm text-blue-600 hover:text-blue-800 dark:text-blue-400 dark:hover:text-blue-300 flex items-center disabled:opacity-50"
+        >
+          <Search className="w-4 h-4 mr-1" />
+          Eşleşme Ara
+        </button>
+      </div>
+
+      {/* Records merged into this customer */}
+      {identities.length > 0 ? (
+        <div className="space-y-2 mb-4">
+          {identities.map((member) => (
+            <div
+              key={member.id}
+              className="flex items-center justify-between p-3 bg-gray-50 dark:bg-gray-700 rounded-lg"
+            >
+              <div className="min-w-0">
+                <div className="text-sm font-medium text-gray-900 dark:text-gray-100 truncate">
+                  {member.name} • {member.email}
+                </div>
+                <div className="text-xs text-gray-500 dark:text-gray-400">
+                  {member.primaryPlatform} • {member.totalOrders} sipariş •{" "}
+                  {formatCurrency(member.totalSpent)}
+                  {member.mergedAt && ` • ${formatDate(member.mergedAt)}`}
+                  {member.mergeConfidence !== null &&
+                    ` • %${Math.round(member.mergeConfidence * 100)} güven`}
+                  {!member.mergedBy && " • otomatik"}
+                </div>
+              </div>
+              <button
+                onClick={() => handleSplit(member)}
+                disabled={busy !== null}
+                className="ml-3 px-2 py-1 text-xs font-medium text-red-700 bg-red-100 hover:bg-red-200 rounded-lg flex items-center disabled:opacity-50"
+              >
+                <Unlink className="w-3 h-3 mr-1" />
+                Ayır
+              </button>
+            </div>
+          ))}
+        </div>
+      ) : (
+        <p className="text-sm text-gray-500 dark:text-gray-400 mb-4">
+          Bu müşteriyle birleştirilmiş başka kayıt yok.
+        </p>
+      )}
+
+      {/* Suggested matches */}
+      {candidates.length > 0 && (
+        <div className="mb-4">
+          <h3 className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+            Olası Eşleşmeler
+          </h3>
+          <div className="space-y-2">
+            {candidates.map((candidate) => {
+              const other =
+                candidate.customerId === customer.id
+                  ? candidate.candidate
+                  : candidate.customer;
+              if (!other) return null;
+
+              return (
+                <div
+                  key={candidate.id}
+                  className="p-3 border border-gray-200 dark:border-gray-700 rounded-lg"
+                >
+                  <div className="flex items-center justify-between">
+                    <div className="min-w-0">
+                      <div className="text-sm font-medium text-gray-900 dark:text-gray-100 truncate">
+                        {other.name} • {other.email}
+                      </div>
+                      <div className="text-xs text-gray-500 dark:text-gray-400">
+                        {other.primaryPlatform} • {other.totalOrders} sipariş
+                      </div>
+                    </div>
+                    <span
+                      className={`ml-3 px-2 py-1 text-xs font-semibold rounded-full ${confidenceClass(
+                        candidate.confidence
+                      )}`}
+                    >
+                      %{Math.round(candidate.confidence * 100)}
+                    </span>
+                  </div>
+
+                  <div className="flex flex-wrap gap-1 mt-2">
+                    {Object.entries(candidate.signals || {}).map(
+                      ([signal, score]) => (
+                        <span
+                          key={signal}
+                          className={`px-2 py-0.5 text-xs rounded ${
+                            score > 0
+                              ? "bg-blue-50 text-blue-700 dark:bg-blue-900 dark:text-blue-200"
+                              : "bg-red-50 text-red-700 dark:bg-red-900 dark:text-red-200"
+                          }`}
+                        >
+                          {SIGNAL_LABELS[signal] || signal}{" "}
+                          {score > 0 ? "+" : ""}
+                          {score}
+                        </span>
+                      )
+                    )}
+                  </div>
+
+                  <div className="flex space-x-2 mt-3">
+                    <button
+                      onClick={() => handleMergeCandidate(candidate)}
+                      disabled={busy !== null}
+                      className="flex-1 px-3 py-1 text-xs font-medium text-green-800 bg-green-100 hover:bg-green-200 rounded-lg flex items-center justify-center disabled:opacity-50"
+                    >
+                      <GitMerge className="w-3 h-3 mr-1" />
+                      Birleştir
+                    </button>
+                    <button
+                      onClick={() => handleRejectCandidate(candidate)}
+                      disabled={busy !== null}
+                      className="flex-1 px-3 py-1 text-xs font-medium text-gray-800 bg-gray-100 hover:bg-gray-200 rounded-lg flex items-center justify-center disabled:opacity-50"
+                    >
+                      <X className="w-3 h-3 mr-1" />
+                      Farklı kişi
+                    </button>
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      )}
+
+      {/* Manual merge */}
+      <form onSubmit={handleManualMerge} className="flex space-x-2">
+        <input
+          type="email"
+          value={mergeEmail}
+          onChange={(event) => setMergeEmail(event.target.value)}
+          placeholder="Birleştirilecek müşteri e-postası"
+          className="flex-1 min-w-0 px-3 py-2 text-sm border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100"
+        />
+        <button
+          type="submit"
+          disabled={busy !== null || !mergeEmail.trim()}
+          className="px-3 py-2 text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 rounded-lg disabled:opacity-50"
+        >
+          Birleştir
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default CustomerIdentityPanel;
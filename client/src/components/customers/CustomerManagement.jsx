@@ -15,13 +15,14 @@ import {
   AlertTriangle,
   BarChart3,
   TrendingUp,
-  Target,
   UserCheck,
   ArrowLeft,
 } from "lucide-react";
 import api from "../../services/api";
 import { useAlert } from "../../contexts/AlertContext";
 import { formatCurrency, formatDate } from "../../utils/platformHelpers";
+import CustomerSegments from "./CustomerSegments";
+import CustomerCampaigns from "./CustomerCampaigns";
 
 const CustomerManagement = () => {
   const navigate = useNavigate();
@@ -48,6 +49,7 @@ const CustomerManagement = () => {
   const [filters, setFilters] = useState({
     riskLevel: "all", // all, low, medium, high
     customerType: "all", // all, vip, loyal, new
+    rfmSegment: "all", // all or an RFM segment key
     sortBy: "totalSpent", // name, totalSpent, totalOrders, lastOrder
     sortOrder: "desc",
   });
@@ -80,6 +82,7 @@ const CustomerManagement = () => {
           search: searchTerm,
           customerType: filters.customerType,
           riskLevel: filters.riskLevel,
+          rfmSegment: filters.rfmSegment,
           sortBy: filters.sortBy,
           sortOrder: filters.sortOrder,
         },
@@ -307,88 +310,16 @@ const CustomerManagement = () => {
 
   const renderSegmentsView = () => (
     <div className="space-y-6">
-      <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 p-6">
-        <div className="flex items-center mb-4">
-          <Target className="h-6 w-6 text-purple-600 mr-3" />
-          <h3 className="text-lg font-semibold">Müşteri Segmentleri</h3>
-        </div>
-        <p className="text-gray-600 dark:text-gray-400">
-          Bu bölümde müşteri segmentasyonu, VIP müşteriler, risk altındaki
-          müşteriler ve yeni müşteri analizi yer alacak.
-        </p>
-        <div className="mt-6 grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
-          <div className="bg-purple-50 dark:bg-purple-900/20 p-4 rounded-lg">
-            <div className="flex items-center">
-              <Star className="h-6 w-6 text-purple-600 mr-2" />
-              <div>
-                <p className="text-xl font-bold text-purple-900 dark:text-purple-100">
-                  {stats.vipCustomers || 0}
-                </p>
-                <p className="text-sm text-purple-600 dark:text-purple-400">
-                  VIP Müşteriler
-                </p>
-              </div>
-            </div>
-          </div>
-          <div className="bg-blue-50 dark:bg-blue-900/20 p-4 rounded-lg">
-            <div className="flex items-center">
-              <UserCheck className="h-6 w-6 text-blue-600 mr-2" />
-              <div>
-                <p className="text-xl font-bold text-blue-900 dark:text-blue-100">
-                  {Math.round(
-                    (stats.totalCustomers -
-                      stats.vipCustomers -
-                      stats.atRiskCustomers) *
-                      0.6
-                  ) || 0}
-                </p>
-                <p className="text-sm text-blue-600 dark:text-blue-400">
-                  Sadık Müşteriler
-                </p>
-              </div>
-            </div>
-          </div>
-          <div className="bg-green-50 dark:bg-green-900/20 p-4 rounded-lg">
-            <div className="flex items-center">
-              <Users className="h-6 w-6 text-green-600 mr-2" />
-              <div>
-                <p className="text-xl font-bold text-green-900 dark:text-green-100">
-                  {Math.round(
-                    (stats.totalCustomers -
-                      stats.vipCustomers -
-                      stats.atRiskCustomers) *
-                      0.4
-                  ) || 0}
-                </p>
-                <p className="text-sm text-green-600 dark:text-green-400">
-                  Yeni Müşteriler
-                </p>
-              </div>
-            </div>
-          </div>
-          <div className="bg-red-50 dark:bg-red-900/20 p-4 rounded-lg">
-            <div className="flex items-center">
-              <AlertTriangle className="h-6 w-6 text-red-600 mr-2" />
-              <div>
-                <p className="text-xl font-bold text-red-900 dark:text-red-100">
-                  {stats.atRiskCustomers || 0}
-                </p>
-                <p className="text-sm text-red-600 dark:text-red-400">
-                  Risk Altında
-                </p>
-              </div>
-            </div>
-          </div>
-        </div>
-        <div className="mt-4">
-          <button
-            onClick={() => navigate("/customers")}
-            className="inline-flex items-center text-blue-600 hover:text-blue-800 font-medium"
-          >
-            <ArrowLeft className="w-4 h-4 mr-1" />
-            Müşteri Listesine Dön
-          </button>
-        </div>
+      <CustomerSegments />
+      <CustomerCampaigns />
+      <div>
+        <button
+          onClick={() => navigate("/customers")}
+          className="inline-flex items-center text-blue-600 hover:text-blue-800 font-medium"
+        >
+          <ArrowLeft className="w-4 h-4 mr-1" />
+          Müşteri Listesine Dön
+        </button>
       </div>
     </div>
   );
@@ -644,6 +575,26 @@ const CustomerManagement = () => {
               <option value="medium">Orta Risk</option>
               <option value="high">Yüksek Risk</option>
             </select>
+
+            <select
+              className="rounded-md border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 px-3 py-2 text-sm focus:outline-none focus:ring-1 focus:ring-blue-500 focus:border-blue-500"
+              value={filters.rfmSegment}
+              onChange={(e) =>
+                setFilters({ ...filters, rfmSegment: e.target.value })
+              }
+            >
+              <option value="all">Tüm Segmentler</option>
+              <option value="champions">Şampiyonlar</option>
+              <option value="loyal">Sadık Müşteriler</option>
+              <option value="cant_lose">Kaybedilmemesi Gerekenler</option>
+              <option value="at_risk">Risk Altında</option>
+              <option value="new_customers">Yeni Müşteriler</option>
+              <option value="potential_loyalists">Potansiyel Sadıklar</option>
+              <option value="promising">Umut Vaat Edenler</option>
+              <option value="need_attention">İlgi Bekleyenler</option>
+              <option value="hibernating">Uykudakiler</option>
+              <option value="lost">Kaybedilenler</option>
+            </select>
           </div>
         </div>
       </div>
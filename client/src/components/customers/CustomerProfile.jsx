@@ -23,10 +23,12 @@ import {
   BarChart3,
   Search,
   HelpCircle,
+  Bell,
 } from "lucide-react";
 import api from "../../services/api";
 import { useAlert } from "../../contexts/AlertContext";
 import { formatCurrency, formatDate } from "../../utils/platformHelpers";
+import CustomerIdentityPanel from "./CustomerIdentityPanel";
 
 const CustomerProfile = () => {
   const { email } = useParams();
@@ -76,8 +78,10 @@ const CustomerProfile = () => {
         if (customerResponse.data.success && customerResponse.data.data) {
           const customerData = customerResponse.data.data;
           setCustomer(customerData);
-          setCustomerOrders(customerData.orders || []);
-          setFilteredOrders(customerData.orders || []);
+          const orders =
+            customerData.orders || customerData.customerOrders || [];
+          setCustomerOrders(orders);
+          setFilteredOrders(orders);
 
           // Use backend-provided stats instead of recalculating
           setStats({
@@ -344,6 +348,29 @@ const CustomerProfile = () => {
     handleFilterChange(orderFilter); // Re-apply current filter with search
   };
 
+  // Record or withdraw the customer's commercial email consent
+  const handleConsentToggle = async () => {
+    const consent = !customer.marketingEmailConsent;
+    try {
+      const response = await api.customers.setMarketingConsent(
+        customer.id,
+        consent
+      );
+      setCustomer({ ...customer, ...response.data });
+      showNotification(
+        consent
+          ? "Ticari e-posta izni kaydedildi"
+          : "Ticari e-posta izni geri alındı",
+        "success"
+      );
+    } catch (error) {
+      showNotification(
+        error.response?.data?.message || "E-posta izni güncellenemedi",
+        "error"
+      );
+    }
+  };
+
   const getStatusBadgeClass = (status) => {
     const statusMap = {
       pending: "bg-yellow-100 text-yellow-800",
@@ -526,6 +553,22 @@ const CustomerProfile = () => {
                   </div>
                 )}
 
+                {customer.id && (
+                  <div className="flex items-center text-gray-600 dark:text-gray-400">
+                    <Bell className="h-4 w-4 mr-3 text-gray-400" />
+                    <span>
+                      Ticari e-posta izni:{" "}
+                      {customer.marketingEmailConsent ? "Var" : "Yok"}
+                    </span>
+                    <button
+                      onClick={handleConsentToggle}
+                      className="ml-3 text-sm text-blue-600 hover:text-blue-800"
+                    >
+                      {customer.marketingEmailConsent ? "Geri Al" : "İzin Ver"}
+                    </button>
+                  </div>
+                )}
+
                 {customer.phone && (
                   <div className="flex items-center text-gray-600 dark:text-gray-400">
                     <Phone className="h-4 w-4 mr-3 text-gray-400" />
@@ -1049,6 +1092,14 @@ const CustomerProfile = () => {
             </div>
           )}
 
+          {/* Linked marketplace identities */}
+          {customer.identities && (
+            <CustomerIdentityPanel
+              customer={customer}
+              onChange={fetchCustomerData}
+            />
+          )}
+
           {/* Customer Actions */}
           <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 p-6">
             <h2 className="text-lg font-semibold text-gray-900 dark:text-gray-100 mb-4 flex items-center">
@@ -0,0 +1,493 @@
+import logger from "../../utils/logger.js";
+/**
+ * Customer Segments
+ * RFM segments with their predicted lifetime value and churn risk, movement
+ * of customers between segments over time and the saved segments used as
+ * campaign audiences
+ */
+
+import React, { useState, useEffect, useCallback } from "react";
+import {
+  Target,
+  RefreshCw,
+  ArrowRight,
+  Plus,
+  Trash2,
+  TrendingUp,
+  TrendingDown,
+} from "lucide-react";
+import api from "../../services/api";
+import { useAlert } from "../../contexts/AlertContext";
+import { formatCurrency, formatDate } from "../../utils/platformHelpers";
+
+const SEGMENT_COLORS = {
+  champions: "bg-green-50 dark:bg-green-900/20 border-green-200",
+  loyal: "bg-blue-50 dark:bg-blue-900/20 border-blue-200",
+  cant_lose: "bg-red-50 dark:bg-red-900/20 border-red-200",
+  at_risk: "bg-orange-50 dark:bg-orange-900/20 border-orange-200",
+  new_customers: "bg-purple-50 dark:bg-purple-900/20 border-purple-200",
+  potential_loyalists: "bg-indigo-50 dark:bg-indigo-900/20 border-indigo-200",
+  promising: "bg-teal-50 dark:bg-teal-900/20 border-teal-200",
+  need_attention: "bg-yellow-50 dark:bg-yellow-900/20 border-yellow-200",
+  hibernating: "bg-gray-50 dark:bg-gray-900/20 border-gray-200",
+  lost: "bg-gray-100 dark:bg-gray-900/40 border-gray-300",
+};
+
+const toDateInput = (date) => date.toISOString().slice(0, 10);
+
+const emptySegment = {
+  name: "",
+  description: "",
+  rfmSegments: [],
+  minSpent: "",
+  minChurn: "",
+  lastOrderBeforeDays: "",
+};
+
+const formatPercent = (value) =>
+  value === null || value === undefined ? "-" : `%${Math.round(value * 100)}`;
+
+const CustomerSegments = () => {
+  const { showNotification } = useAlert();
+
+  const [summary, setSummary] = useState([]);
+  const [movement, setMovement] = useState(null);
+  const [savedSegments, setSavedSegments] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [recomputing, setRecomputing] = useState(false);
+  const [range, setRange] = useState({
+    startDate: toDateInput(new Date(Date.now() - 30 * 24 * 60 * 60 * 1000)),
+    endDate: toDateInput(new Date()),
+  });
+  const [form, setForm] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const segmentName = (key) =>
+    summary.find((segment) => segment.segment === key)?.name || key;
+
+  const fetchSegments = useCallback(async () => {
+    try {
+      setLoading(true);
+      const [summaryResponse, movementResponse, segmentsResponse] =
+        await Promise.all([
+          api.customers.getSegmentSummary(),
+          api.customers.getSegmentMovement(range),
+          api.marketing.getSegments(),
+        ]);
+      setSummary(summaryResponse.data || []);
+      setMovement(movementResponse.data || null);
+      setSavedSegments(
+        (segmentsResponse.data || []).filter((segment) => !segment.isSystem)
+      );
+    } catch (error) {
+      logger.error("Error fetching customer segments:", error);
+      showNotification("Müşteri segmentleri yüklenemedi", "error");
+    } finally {
+      setLoading(false);
+    }
+  }, [range, showNotification]);
+
+  useEffect(() => {
+    fetchSegments();
+  }, [fetchSegments]);
+
+  const handleRecompute = async () => {
+    try {
+      setRecomputing(true);
+      await api.customers.recomputeSegments();
+      showNotification(
+        "Segmentler arka planda yeniden hesaplanıyor",
+        "success"
+      );
+    } catch (error) {
+      showNotification(
+        error.response?.data?.message || "Segmentler yeniden hesaplanamadı",
+        "error"
+      );
+    } finally {
+      setRecomputing(false);
+    }
+  };
+
+  const toggleFormSegment = (key) =>
+    setForm({
+      ...form,
+      rfmSegments: form.rfmSegments.includes(key)
+        ? form.rfmSegments.filter((segment) => segment !== key)
+        : [...form.rfmSegments, key],
+    });
+
+  const handleSaveSegment = async (e) => {
+    e.preventDefault();
+    const criteria = { rfmSegments: form.rfmSegments };
+    if (form.minSpent !== "") criteria.minSpent = Number(form.minSpent);
+    if (form.minChurn !== "") criteria.minChurn = Number(form.minChurn) / 100;
+    if (form.lastOrderBeforeDays !== "") {
+      criteria.lastOrderBeforeDays = Number(form.lastOrderBeforeDays);
+    }
+
+    try {
+      setSaving(true);
+      await api.marketing.saveSegment({
+        name: form.name,
+        description: form.description,
+        criteria,
+      });
+      showNotification("Segment kaydedildi", "success");
+      setForm(null);
+      fetchSegments();
+    } catch (error) {
+      showNotification(
+        error.response?.data?.message || "Segment kaydedilemedi",
+        "error"
+      );
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDeleteSegment = async (segment) => {
+    if (!window.confirm(`"${segment.name}" segmenti silinsin mi?`)) return;
+    try {
+      await api.marketing.deleteSegment(segment.id);
+      showNotification("Segment silindi", "success");
+      fetchSegments();
+    } catch (error) {
+      showNotification(
+        error.response?.data?.message || "Segment silinemedi",
+        "error"
+      );
+    }
+  };
+
+  // Size of each segment on the first and last snapshot of the range
+  const series = movement?.series || [];
+  const firstSnapshot = series[0]?.segments || {};
+  const lastSnapshot = series[series.length - 1]?.segments || {};
+  const scoredCustomers = summary.reduce(
+    (sum, segment) => sum + segment.customerCount,
+    0
+  );
+
+  if (loading && !summary.length) {
+    return (
+      <div className="flex justify-center items-center py-12">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 p-6">
+        <div className="flex items-center justify-between mb-4">
+          <div className="flex items-center">
+            <Target className="h-6 w-6 text-purple-600 mr-3" />
+            <div>
+              <h3 className="text-lg font-semibold">RFM Segmentleri</h3>
+              <p className="text-sm text-gray-500 dark:text-gray-400">
+                {scoredCustomers} müşteri son sipariş yakınlığı, sipariş
+                sıklığı ve harcamasına göre gruplandı
+              </p>
+            </div>
+          </div>
+          <button
+            onClick={handleRecompute}
+            disabled={recomputing}
+            className="inline-flex items-center px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md text-sm font-medium text-gray-700 dark:text-gray-200 hover:bg-gray-50 dark:hover:bg-gray-700 disabled:opacity-50"
+          >
+            <RefreshCw
+              className={`w-4 h-4 mr-2 ${recomputing ? "animate-spin" : ""}`}
+            />
+            Yeniden Hesapla
+          </button>
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-5 gap-4">
+          {summary.map((segment) => (
+            <div
+              key={segment.segment}
+              className={`p-4 rounded-lg border ${
+                SEGMENT_COLORS[segment.segment]
+              }`}
+              title={segment.description}
+            >
+              <p className="text-sm font-medium text-gray-700 dark:text-gray-300">
+                {segment.name}
+              </p>
+              <p className="text-2xl font-bold text-gray-900 dark:text-gray-100">
+                {segment.customerCount}
+              </p>
+              <div className="mt-2 space-y-1 text-xs text-gray-600 dark:text-gray-400">
+                <div className="flex justify-between">
+                  <span>Tahmini değer</span>
+                  <span className="font-medium">
+                    {formatCurrency(segment.predictedClv)}
+                  </span>
+                </div>
+                <div className="flex justify-between">
+                  <span>Kayıp riski</span>
+                  <span className="font-medium">
+                    {formatPercent(segment.avgChurnProbability)}
+                  </span>
+                </div>
+              </div>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 p-6">
+        <div className="flex flex-col md:flex-row md:items-center md:justify-between mb-4 gap-3">
+          <h3 className="text-lg font-semibold">Segment Hareketleri</h3>
+          <div className="flex items-center space-x-2">
+            <input
+              type="date"
+              value={range.startDate}
+              onChange={(e) =>
+                setRange({ ...range, startDate: e.target.value })
+              }
+              className="rounded-md border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 px-3 py-2 text-sm"
+            />
+            <span className="text-gray-500">-</span>
+            <input
+              type="date"
+              value={range.endDate}
+              onChange={(e) => setRange({ ...range, endDate: e.target.value })}
+              className="rounded-md border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 px-3 py-2 text-sm"
+            />
+          </div>
+        </div>
+
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+          <div>
+            <h4 className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+              Segment Büyüklüğü
+            </h4>
+            {series.length === 0 ? (
+              <p className="text-sm text-gray-500 dark:text-gray-400">
+                Bu aralıkta segment kaydı yok
+              </p>
+            ) : (
+              <table className="min-w-full text-sm">
+                <thead>
+                  <tr className="text-left text-xs text-gray-500 dark:text-gray-400 uppercase">
+                    <th className="py-2">Segment</th>
+                    <th className="py-2 text-right">
+                      {formatDate(series[0].date)}
+                    </th>
+                    <th className="py-2 text-right">
+                      {formatDate(series[series.length - 1].date)}
+                    </th>
+                    <th className="py-2 text-right">Giren / Çıkan</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+                  {movement.segments.map((segment) => {
+                    const first = firstSnapshot[segment.segment] || 0;
+                    const last = lastSnapshot[segment.segment] || 0;
+                    return (
+                      <tr key={segment.segment}>
+                        <td className="py-2">{segment.name}</td>
+                        <td className="py-2 text-right">{first}</td>
+                        <td className="py-2 text-right">
+                          <span className="inline-flex items-center">
+                            {last}
+                            {last > first && (
+                              <TrendingUp className="w-3 h-3 ml-1 text-green-600" />
+                            )}
+                            {last < first && (
+                              <TrendingDown className="w-3 h-3 ml-1 text-red-600" />
+                            )}
+                          </span>
+                        </td>
+                        <td className="py-2 text-right text-gray-600 dark:text-gray-400">
+                          +{segment.entered} / -{segment.left}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            )}
+          </div>
+
+          <div>
+            <h4 className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+              En Çok Geçiş
+            </h4>
+            {!movement?.moves?.length ? (
+              <p className="text-sm text-gray-500 dark:text-gray-400">
+                Bu aralıkta segment değiştiren müşteri yok
+              </p>
+            ) : (
+              <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+                {movement.moves.slice(0, 10).map((move) => (
+                  <li
+                    key={`${move.from}-${move.to}`}
+                    className="flex items-center justify-between py-2 text-sm"
+                  >
+                    <span className="flex items-center">
+                      {segmentName(move.from)}
+                      <ArrowRight className="w-4 h-4 mx-2 text-gray-400" />
+                      {segmentName(move.to)}
+                    </span>
+                    <span className="font-medium">{move.count}</span>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </div>
+      </div>
+
+      <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 p-6">
+        <div className="flex items-center justify-between mb-4">
+          <div>
+            <h3 className="text-lg font-semibold">Kayıtlı Segmentler</h3>
+            <p className="text-sm text-gray-500 dark:text-gray-400">
+              Kampanyalarda hedef kitle olarak kullanılır
+            </p>
+          </div>
+          {!form && (
+            <button
+              onClick={() => setForm(emptySegment)}
+              className="inline-flex items-center px-3 py-2 bg-blue-600 text-white rounded-md text-sm font-medium hover:bg-blue-700"
+            >
+              <Plus className="w-4 h-4 mr-2" />
+              Yeni Segment
+            </button>
+          )}
+        </div>
+
+        {form && (
+          <form
+            onSubmit={handleSaveSegment}
+            className="mb-6 p-4 border border-gray-200 dark:border-gray-700 rounded-lg space-y-4"
+          >
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <input
+                type="text"
+                required
+                placeholder="Segment adı"
+                value={form.name}
+                onChange={(e) => setForm({ ...form, name: e.target.value })}
+                className="rounded-md border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 px-3 py-2 text-sm"
+              />
+              <input
+                type="text"
+                placeholder="Açıklama"
+                value={form.description}
+                onChange={(e) =>
+                  setForm({ ...form, description: e.target.value })
+                }
+                className="rounded-md border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 px-3 py-2 text-sm"
+              />
+            </div>
+            <div className="flex flex-wrap gap-2">
+              {summary.map((segment) => (
+                <label
+                  key={segment.segment}
+                  className="inline-flex items-center px-3 py-1 border border-gray-300 dark:border-gray-600 rounded-full text-sm cursor-pointer"
+                >
+                  <input
+                    type="checkbox"
+                    className="mr-2"
+                    checked={form.rfmSegments.includes(segment.segment)}
+                    onChange={() => toggleFormSegment(segment.segment)}
+                  />
+                  {segment.name}
+                </label>
+              ))}
+            </div>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <input
+                type="number"
+                min="0"
+                placeholder="En az harcama (₺)"
+                value={form.minSpent}
+                onChange={(e) => setForm({ ...form, minSpent: e.target.value })}
+                className="rounded-md border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 px-3 py-2 text-sm"
+              />
+              <input
+                type="number"
+                min="0"
+                max="100"
+                placeholder="En az kayıp riski (%)"
+                value={form.minChurn}
+                onChange={(e) => setForm({ ...form, minChurn: e.target.value })}
+                className="rounded-md border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 px-3 py-2 text-sm"
+              />
+              <input
+                type="number"
+                min="0"
+                placeholder="Son siparişten bu yana en az gün"
+                value={form.lastOrderBeforeDays}
+                onChange={(e) =>
+                  setForm({ ...form, lastOrderBeforeDays: e.target.value })
+                }
+                className="rounded-md border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 px-3 py-2 text-sm"
+              />
+            </div>
+            <div className="flex justify-end space-x-2">
+              <button
+                type="button"
+                onClick={() => setForm(null)}
+                className="px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md text-sm"
+              >
+                İptal
+              </button>
+              <button
+                type="submit"
+                disabled={saving}
+                className="px-3 py-2 bg-blue-600 text-white rounded-md text-sm font-medium hover:bg-blue-700 disabled:opacity-50"
+              >
+                Kaydet
+              </button>
+            </div>
+          </form>
+        )}
+
+        {savedSegments.length === 0 ? (
+          <p className="text-sm text-gray-500 dark:text-gray-400">
+            Henüz kayıtlı segment yok
+          </p>
+        ) : (
+          <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+            {savedSegments.map((segment) => (
+              <li
+                key={segment.id}
+                className="flex items-center justify-between py-3"
+              >
+                <div>
+                  <p className="text-sm font-medium text-gray-900 dark:text-gray-100">
+                    {segment.name}
+                  </p>
+                  {segment.description && (
+                    <p className="text-xs text-gray-500 dark:text-gray-400">
+                      {segment.description}
+                    </p>
+                  )}
+                </div>
+                <div className="flex items-center space-x-4">
+                  <span className="text-sm text-gray-700 dark:text-gray-300">
+                    {segment.customerCount} müşteri
+                  </span>
+                  <button
+                    onClick={() => handleDeleteSegment(segment)}
+                    className="text-red-600 hover:text-red-800"
+                    title="Sil"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CustomerSegments;
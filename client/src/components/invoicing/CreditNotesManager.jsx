@@ -0,0 +1,568 @@
+import logger from "../../utils/logger.js";
+import React, { useState, useEffect, useCallback } from "react";
+import { FileMinus, Plus, Search, Eye, RotateCw, Loader2 } from "lucide-react";
+import { format } from "date-fns";
+import { tr } from "date-fns/locale";
+import api from "../../services/api";
+import { useAlert } from "../../contexts/AlertContext";
+import { Button, Card, CardContent, Badge, Modal } from "../ui";
+import { useErrorHandler } from "../../hooks/useErrorHandler";
+
+const PLATFORMS = {
+  trendyol: "Trendyol",
+  hepsiburada: "Hepsiburada",
+  n11: "N11",
+};
+
+const noteStatuses = {
+  pending: { label: "Yeniden denenecek", variant: "warning" },
+  completed: { label: "Tamamlandı", variant: "success" },
+  failed: { label: "Hatalı", variant: "danger" },
+};
+
+const methods = {
+  cancellation: "Fatura iptali",
+  return_invoice: "İade faturası",
+};
+
+const documentTypes = {
+  "e-invoice": "e-Fatura",
+  "e-archive": "e-Arşiv",
+};
+
+const formatPrice = (value, currency = "TRY") =>
+  value === null || value === undefined
+    ? "-"
+    : `${Number(value).toLocaleString("tr-TR", {
+        minimumFractionDigits: 2,
+        maximumFractionDigits: 2,
+      })} ${currency === "TRY" ? "₺" : currency}`;
+
+const formatDate = (value) =>
+  value ? format(new Date(value), "dd.MM.yyyy HH:mm", { locale: tr }) : "-";
+
+const InvoiceLink = ({ invoice }) =>
+  invoice ? (
+    <div>
+      {invoice.pdfUrl ? (
+        <a
+          href={invoice.pdfUrl}
+          target="_blank"
+          rel="noopener noreferrer"
+          className="text-sm text-blue-600 hover:underline"
+        >
+          {invoice.invoiceNumber}
+        </a>
+      ) : (
+        <span className="text-sm text-gray-900">{invoice.invoiceNumber}</span>
+      )}
+      <div className="text-xs text-gray-500">
+        {documentTypes[invoice.documentType] || invoice.documentType} ·{" "}
+        {formatPrice(invoice.total)}
+      </div>
+    </div>
+  ) : (
+    <span className="text-sm text-gray-600">-</span>
+  );
+
+const CreditNoteDetailModal = ({ noteId, onClose }) => {
+  const [note, setNote] = useState(null);
+
+  const thClass = "px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase";
+
+  useEffect(() => {
+    const loadNote = async () => {
+      try {
+        const response = await api.creditNotes.getCreditNote(noteId);
+        if (response.success) {
+          setNote(response.data);
+        }
+      } catch (err) {
+        logger.error("Error loading credit note:", err);
+      }
+    };
+    loadNote();
+  }, [noteId]);
+
+  return (
+    <Modal isOpen onClose={onClose} title="İade Belgesi" size="lg">
+      {!note ? (
+        <div className="flex items-center justify-center py-8">
+          <Loader2 className="h-6 w-6 animate-spin text-blue-600" />
+        </div>
+      ) : (
+        <div className="space-y-4">
+          <div className="grid grid-cols-2 gap-4 text-sm">
+            <div>
+              <div className="text-xs text-gray-500">Sipariş</div>
+              <div className="text-gray-900">
+                {note.order?.orderNumber || "-"} ·{" "}
+                {PLATFORMS[note.order?.platform] || note.order?.platform}
+              </div>
+              {note.returnClaim && (
+                <div className="text-xs text-gray-500">
+                  İade talebi #{note.returnClaim.externalClaimId}
+                </div>
+              )}
+            </div>
+            <div>
+              <div className="text-xs text-gray-500">Yöntem</div>
+              <div className="text-gray-900">{methods[note.method] || note.method}</div>
+              <Badge variant={noteStatuses[note.status]?.variant} size="xs">
+                {noteStatuses[note.status]?.label || note.status}
+              </Badge>
+            </div>
+            <div>
+              <div className="text-xs text-gray-500">Orijinal fatura</div>
+              <InvoiceLink invoice={note.originalInvoice} />
+            </div>
+            <div>
+              <div className="text-xs text-gray-500">İade faturası</div>
+              <InvoiceLink invoice={note.returnInvoice} />
+            </div>
+          </div>
+          {note.reason && <div className="text-sm text-gray-600">Neden: {note.reason}</div>}
+          {note.lastError && (
+            <div className="text-sm text-red-700">
+              {note.attempts}. deneme başarısız: {note.lastError}
+            </div>
+          )}
+          <table className="w-full">
+            <thead className="bg-gray-50 border-b border-gray-200">
+              <tr>
+                <th className={thClass}>Ürün</th>
+                <th className={thClass}>Adet</th>
+                <th className={thClass}>Tutar</th>
+                <th className={thClass}>KDV</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {(note.lines || []).map((line, index) => (
+                <tr key={line.orderItemId || line.sku || index}>
+                  <td className="px-4 py-2">
+                    <div className="text-sm text-gray-900">{line.name || "-"}</div>
+                    <div className="text-xs text-gray-500">{line.sku}</div>
+                  </td>
+                  <td className="px-4 py-2 text-sm text-gray-900">{line.quantity}</td>
+                  <td className="px-4 py-2 text-sm text-gray-900">
+                    {formatPrice(line.lineExtensionAmount, note.currency)}
+                  </td>
+                  <td className="px-4 py-2 text-sm text-gray-900">
+                    {formatPrice(line.taxAmount, note.currency)}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <div className="flex justify-end text-sm text-gray-900 space-x-6">
+            <span>Ara toplam: {formatPrice(note.subtotal, note.currency)}</span>
+            <span>KDV: {formatPrice(note.taxAmount, note.currency)}</span>
+            <span className="font-semibold">
+              Toplam: {formatPrice(note.total, note.currency)}
+            </span>
+          </div>
+        </div>
+      )}
+    </Modal>
+  );
+};
+
+const CreateCreditNoteModal = ({ onClose, onCreated }) => {
+  const { showAlert } = useAlert();
+  const { handleError } = useErrorHandler();
+  const [search, setSearch] = useState("");
+  const [searching, setSearching] = useState(false);
+  const [orders, setOrders] = useState([]);
+  const [order, setOrder] = useState(null);
+  const [quantities, setQuantities] = useState({});
+  const [reason, setReason] = useState("");
+  const [saving, setSaving] = useState(false);
+
+  const handleSearch = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSearching(true);
+      const response = await api.orders.getOrders({ search: search.trim(), limit: 10 });
+      setOrders(response.data?.orders || []);
+    } catch (error) {
+      handleError(error, "Sipariş aranırken hata oluştu");
+    } finally {
+      setSearching(false);
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    // Without any quantity the whole order is credited
+    const items = Object.entries(quantities)
+      .filter(([, quantity]) => Number(quantity) > 0)
+      .map(([orderItemId, quantity]) => ({ orderItemId, quantity: Number(quantity) }));
+
+    try {
+      setSaving(true);
+      const response = await api.creditNotes.createCreditNote(
+        order.id,
+        items.length > 0 ? items : null,
+        reason.trim()
+      );
+      if (response.success) {
+        showAlert("İade belgesi oluşturuldu", "success");
+      } else {
+        showAlert(
+          `İade belgesi oluşturuldu, yeniden denenecek: ${response.data?.lastError || ""}`,
+          "warning"
+        );
+      }
+      onCreated();
+    } catch (error) {
+      handleError(error, "İade belgesi oluşturulurken hata oluştu");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const inputClass =
+    "w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent";
+  const labelClass = "block text-sm font-medium text-gray-700 mb-1";
+
+  return (
+    <Modal isOpen onClose={onClose} title="Yeni İade Belgesi" size="lg">
+      {!order ? (
+        <div className="space-y-4">
+          <form onSubmit={handleSearch} className="flex space-x-3">
+            <input
+              required
+              placeholder="Sipariş numarası veya müşteri adı"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              className={inputClass}
+            />
+            <Button type="submit" variant="primary" disabled={searching || !search.trim()}>
+              {searching ? (
+                <Loader2 className="h-4 w-4 animate-spin" />
+              ) : (
+                <Search className="h-4 w-4" />
+              )}
+            </Button>
+          </form>
+          <div className="divide-y divide-gray-200">
+            {orders.map((item) => (
+              <button
+                key={item.id}
+                type="button"
+                onClick={() => setOrder(item)}
+                className="w-full flex items-center justify-between px-2 py-3 text-left hover:bg-gray-50"
+              >
+                <div>
+                  <div className="text-sm font-medium text-gray-900">{item.orderNumber}</div>
+                  <div className="text-xs text-gray-500">
+                    {PLATFORMS[item.platform] || item.platform} · {item.customerName} ·{" "}
+                    {formatDate(item.orderDate)}
+                  </div>
+                </div>
+                <span className="text-sm text-gray-900">{formatPrice(item.totalAmount)}</span>
+              </button>
+            ))}
+          </div>
+        </div>
+      ) : (
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <p className="text-sm text-gray-600">
+            {PLATFORMS[order.platform] || order.platform} · Sipariş {order.orderNumber} ·{" "}
+            {formatPrice(order.totalAmount)}
+          </p>
+          <div>
+            <label className={labelClass}>İade edilen adetler</label>
+            <p className="text-xs text-gray-500 mb-2">
+              Adet girilmezse siparişin tamamı için iade belgesi oluşturulur.
+            </p>
+            <div className="divide-y divide-gray-200">
+              {(order.items || []).map((item) => (
+                <div key={item.id} className="flex items-center justify-between py-2">
+                  <div>
+                    <div className="text-sm text-gray-900">{item.title || "-"}</div>
+                    <div className="text-xs text-gray-500">
+                      {item.sku} · {item.quantity} adet · {formatPrice(item.price)}
+                    </div>
+                  </div>
+                  <input
+                    type="number"
+                    min={0}
+                    max={item.quantity}
+                    value={quantities[item.id] ?? ""}
+                    onChange={(e) =>
+                      setQuantities((prev) => ({ ...prev, [item.id]: e.target.value }))
+                    }
+                    className="w-20 border border-gray-300 rounded-lg px-3 py-1 text-sm"
+                  />
+                </div>
+              ))}
+            </div>
+          </div>
+          <div>
+            <label className={labelClass}>Neden</label>
+            <input
+              maxLength={255}
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              className={inputClass}
+            />
+          </div>
+          <div className="flex justify-end space-x-3 pt-2">
+            <Button type="button" variant="outline" onClick={() => setOrder(null)}>
+              Geri
+            </Button>
+            <Button type="submit" variant="primary" disabled={saving}>
+              {saving && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+              Oluştur
+            </Button>
+          </div>
+        </form>
+      )}
+    </Modal>
+  );
+};
+
+const CreditNotesManager = () => {
+  const { showAlert } = useAlert();
+  const { handleError } = useErrorHandler();
+
+  const [notes, setNotes] = useState([]);
+  const [pagination, setPagination] = useState({ page: 1, totalPages: 1 });
+  const [statusFilter, setStatusFilter] = useState("");
+  const [loading, setLoading] = useState(true);
+  const [retryingId, setRetryingId] = useState(null);
+  const [viewingId, setViewingId] = useState(null);
+  const [creating, setCreating] = useState(false);
+
+  const loadNotes = useCallback(
+    async (page = 1) => {
+      try {
+        setLoading(true);
+        const limit = 25;
+        const response = await api.creditNotes.getCreditNotes({
+          status: statusFilter || undefined,
+          page,
+          limit,
+        });
+        if (response.success) {
+          const { creditNotes, pagination: meta } = response.data;
+          setNotes(creditNotes || []);
+          setPagination({
+            page: meta.page,
+            totalPages: Math.max(1, Math.ceil(meta.total / limit)),
+          });
+        }
+      } catch (err) {
+        logger.error("Error loading credit notes:", err);
+      } finally {
+        setLoading(false);
+      }
+    },
+    [statusFilter]
+  );
+
+  useEffect(() => {
+    loadNotes();
+  }, [loadNotes]);
+
+  const handleRetry = async (note) => {
+    try {
+      setRetryingId(note.id);
+      const response = await api.creditNotes.retryCreditNote(note.id);
+      if (response.success) {
+        showAlert("İade belgesi tamamlandı", "success");
+      } else {
+        showAlert(response.data?.lastError || "Yeniden deneme başarısız", "error");
+      }
+      loadNotes(pagination.page);
+    } catch (error) {
+      handleError(error, "İade belgesi yeniden denenemedi");
+    } finally {
+      setRetryingId(null);
+    }
+  };
+
+  const thClass =
+    "px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider";
+
+  return (
+    <div className="p-6 space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">İade Belgeleri</h1>
+          <p className="text-sm text-gray-600">
+            İade edilen siparişlerin e-Arşiv faturası süresi içindeyse iptal edilir,
+            değilse iade faturası kesilir.
+          </p>
+        </div>
+        <Button onClick={() => setCreating(true)} variant="primary">
+          <Plus className="h-4 w-4 mr-2" />
+          Yeni İade Belgesi
+        </Button>
+      </div>
+
+      <Card className="bg-white">
+        <CardContent className="p-0">
+          <div className="flex items-center justify-between px-6 py-4 border-b border-gray-200">
+            <div className="flex items-center">
+              <FileMinus className="h-5 w-5 text-blue-600 mr-2" />
+              <h2 className="text-lg font-semibold text-gray-900">İade Belgeleri</h2>
+            </div>
+            <div className="flex space-x-2">
+              {[["", "Tümü"], ...Object.entries(noteStatuses).map(([k, v]) => [k, v.label])].map(
+                ([value, label]) => (
+                  <Button
+                    key={value || "all"}
+                    size="sm"
+                    variant={statusFilter === value ? "primary" : "outline"}
+                    onClick={() => setStatusFilter(value)}
+                  >
+                    {label}
+                  </Button>
+                )
+              )}
+            </div>
+          </div>
+          {loading ? (
+            <div className="flex items-center justify-center py-8">
+              <Loader2 className="h-6 w-6 animate-spin text-blue-600" />
+            </div>
+          ) : notes.length === 0 ? (
+            <div className="text-center py-8 text-sm text-gray-600">
+              Bu filtreye uyan iade belgesi yok.
+            </div>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="w-full">
+                <thead className="bg-gray-50 border-b border-gray-200">
+                  <tr>
+                    <th className={thClass}>Sipariş</th>
+                    <th className={thClass}>Yöntem</th>
+                    <th className={thClass}>Tutar</th>
+                    <th className={thClass}>İade faturası</th>
+                    <th className={thClass}>Durum</th>
+                    <th className={`${thClass} text-center`}>İşlemler</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {notes.map((note) => (
+                    <tr key={note.id} className="hover:bg-gray-50">
+                      <td className="px-4 py-4">
+                        <div className="text-sm font-medium text-gray-900">
+                          {note.order?.orderNumber || "-"}
+                        </div>
+                        <div className="text-xs text-gray-500">
+                          {PLATFORMS[note.order?.platform] || note.order?.platform}
+                          {note.originalInvoice && ` · ${note.originalInvoice.invoiceNumber}`}
+                        </div>
+                      </td>
+                      <td className="px-4 py-4 text-sm text-gray-600">
+                        {methods[note.method] || note.method}
+                        {note.reason && (
+                          <div className="text-xs text-gray-500">{note.reason}</div>
+                        )}
+                      </td>
+                      <td className="px-4 py-4 text-sm text-gray-900">
+                        {formatPrice(note.total, note.currency)}
+                        <div className="text-xs text-gray-500">
+                          {(note.lines || []).length} kalem
+                        </div>
+                      </td>
+                      <td className="px-4 py-4">
+                        <InvoiceLink invoice={note.returnInvoice} />
+                      </td>
+                      <td className="px-4 py-4">
+                        <Badge variant={noteStatuses[note.status]?.variant}>
+                          {noteStatuses[note.status]?.label || note.status}
+                        </Badge>
+                        <div className="text-xs text-gray-500 mt-1">
+                          {note.completedAt
+                            ? formatDate(note.completedAt)
+                            : `${note.attempts}. deneme`}
+                        </div>
+                        {note.lastError && note.status !== "completed" && (
+                          <div className="text-xs text-red-700 mt-1">{note.lastError}</div>
+                        )}
+                      </td>
+                      <td className="px-4 py-4 text-center">
+                        <div className="flex items-center justify-center space-x-2">
+                          <Button
+                            onClick={() => setViewingId(note.id)}
+                            variant="ghost"
+                            size="sm"
+                            title="Detay"
+                          >
+                            <Eye className="h-4 w-4" />
+                          </Button>
+                          {note.status !== "completed" && (
+                            <Button
+                              onClick={() => handleRetry(note)}
+                              variant="ghost"
+                              size="sm"
+                              title="Yeniden dene"
+                              disabled={retryingId === note.id}
+                            >
+                              {retryingId === note.id ? (
+                                <Loader2 className="h-4 w-4 animate-spin" />
+                              ) : (
+                                <RotateCw className="h-4 w-4 text-blue-600" />
+                              )}
+                            </Button>
+                          )}
+                        </div>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+          {pagination.totalPages > 1 && (
+            <div className="flex items-center justify-between px-6 py-3 border-t border-gray-200">
+              <span className="text-sm text-gray-600">
+                Sayfa {pagination.page} / {pagination.totalPages}
+              </span>
+              <div className="flex space-x-2">
+                <Button
+                  size="sm"
+                  variant="outline"
+                  disabled={pagination.page <= 1}
+                  onClick={() => loadNotes(pagination.page - 1)}
+                >
+                  Önceki
+                </Button>
+                <Button
+                  size="sm"
+                  variant="outline"
+                  disabled={pagination.page >= pagination.totalPages}
+                  onClick={() => loadNotes(pagination.page + 1)}
+                >
+                  Sonraki
+                </Button>
+              </div>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
+      {viewingId && (
+        <CreditNoteDetailModal noteId={viewingId} onClose={() => setViewingId(null)} />
+      )}
+
+      {creating && (
+        <CreateCreditNoteModal
+          onClose={() => setCreating(false)}
+          onCreated={() => {
+            setCreating(false);
+            loadNotes();
+          }}
+        />
+      )}
+    </div>
+  );
+};
+
+export default CreditNotesManager;
@@ -0,0 +1,812 @@
+import logger from "../../utils/logger.js";
+import React, { useState, useEffect, useCallback } from "react";
+import {
+  FileText,
+  ListChecks,
+  Scale,
+  Play,
+  Plus,
+  Pencil,
+  Trash2,
+  RotateCw,
+  Loader2,
+} from "lucide-react";
+import { format } from "date-fns";
+import { tr } from "date-fns/locale";
+import api from "../../services/api";
+import { useAlert } from "../../contexts/AlertContext";
+import { Button, Card, CardContent, Badge, Modal } from "../ui";
+import { useErrorHandler } from "../../hooks/useErrorHandler";
+
+const PLATFORMS = {
+  trendyol: "Trendyol",
+  hepsiburada: "Hepsiburada",
+  n11: "N11",
+};
+
+const triggerStatuses = {
+  new: "Yeni",
+  pending: "Beklemede",
+  processing: "Hazırlanıyor",
+  shipped: "Kargoya verildi",
+  in_transit: "Yolda",
+  delivered: "Teslim edildi",
+};
+
+const providers = {
+  qnb: "QNB Finans",
+  n11faturam: "N11 Faturam",
+};
+
+const jobStatuses = {
+  pending: { label: "Bekliyor", variant: "warning" },
+  issued: { label: "Kesildi", variant: "success" },
+  failed: { label: "Hatalı", variant: "danger" },
+  skipped: { label: "Atlandı", variant: "secondary" },
+};
+
+const uploadStatuses = {
+  pending: { label: "Yüklenecek", variant: "warning" },
+  uploaded: { label: "Yüklendi", variant: "success" },
+  unsupported: { label: "Desteklenmiyor", variant: "secondary" },
+  failed: { label: "Yüklenemedi", variant: "danger" },
+};
+
+const reconciliationStates = {
+  invoiced: { label: "Faturalandı", variant: "success" },
+  mismatched: { label: "Tutar farkı", variant: "danger" },
+  pending: { label: "Sırada", variant: "warning" },
+  failed: { label: "Hatalı", variant: "danger" },
+  missing: { label: "Fatura yok", variant: "danger" },
+  notDue: { label: "Vadesi gelmedi", variant: "secondary" },
+};
+
+const documentTypes = {
+  "e-invoice": "e-Fatura",
+  "e-archive": "e-Arşiv",
+};
+
+const emptyRule = {
+  name: "",
+  isActive: true,
+  priority: 0,
+  connectionId: "",
+  platform: "",
+  triggerStatus: "shipped",
+  provider: "qnb",
+  eInvoiceProfile: "TEMELFATURA",
+  uploadToPlatform: true,
+};
+
+const formatPrice = (value) =>
+  value === null || value === undefined
+    ? "-"
+    : `${Number(value).toLocaleString("tr-TR", {
+        minimumFractionDigits: 2,
+        maximumFractionDigits: 2,
+      })} ₺`;
+
+const formatDate = (value) =>
+  value ? format(new Date(value), "dd.MM.yyyy HH:mm", { locale: tr }) : "-";
+
+const RuleModal = ({ rule, connections, onClose, onSaved }) => {
+  const { showAlert } = useAlert();
+  const { handleError } = useErrorHandler();
+  const [form, setForm] = useState(() =>
+    rule
+      ? Object.fromEntries(
+          Object.keys(emptyRule).map((key) => [key, rule[key] ?? emptyRule[key]])
+        )
+      : emptyRule
+  );
+  const [saving, setSaving] = useState(false);
+
+  const setField = (key, value) => setForm((prev) => ({ ...prev, [key]: value }));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSaving(true);
+      await api.invoiceAutomation.saveRule(
+        {
+          ...form,
+          name: form.name.trim(),
+          priority: Number(form.priority) || 0,
+          connectionId: form.connectionId ? Number(form.connectionId) : null,
+          platform: form.connectionId ? null : form.platform || null,
+        },
+        rule?.id
+      );
+      showAlert(rule ? "Kural güncellendi" : "Kural oluşturuldu", "success");
+      onSaved();
+    } catch (error) {
+      handleError(error, "Kural kaydedilirken hata oluştu");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const inputClass =
+    "w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent";
+  const labelClass = "block text-sm font-medium text-gray-700 mb-1";
+
+  return (
+    <Modal
+      isOpen
+      onClose={onClose}
+      title={rule ? "Faturalama Kuralını Düzenle" : "Yeni Faturalama Kuralı"}
+      size="md"
+    >
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <div>
+          <label className={labelClass}>Kural adı</label>
+          <input
+            required
+            maxLength={100}
+            value={form.name}
+            onChange={(e) => setField("name", e.target.value)}
+            className={inputClass}
+          />
+        </div>
+        <div className="grid grid-cols-2 gap-4">
+          <div>
+            <label className={labelClass}>Mağaza</label>
+            <select
+              value={form.connectionId}
+              onChange={(e) => setField("connectionId", e.target.value)}
+              className={inputClass}
+            >
+              <option value="">Tüm mağazalar</option>
+              {connections.map((connection) => (
+                <option key={connection.id} value={connection.id}>
+                  {connection.name} ({PLATFORMS[connection.platformType] || connection.platformType})
+                </option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className={labelClass}>Pazaryeri</label>
+            <select
+              value={form.connectionId ? "" : form.platform || ""}
+              disabled={Boolean(form.connectionId)}
+              onChange={(e) => setField("platform", e.target.value)}
+              className={inputClass}
+            >
+              <option value="">Tüm pazaryerleri</option>
+              {Object.entries(PLATFORMS).map(([value, label]) => (
+                <option key={value} value={value}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className={labelClass}>Fatura kesilecek durum</label>
+            <select
+              value={form.triggerStatus}
+              onChange={(e) => setField("triggerStatus", e.target.value)}
+              className={inputClass}
+            >
+              {Object.entries(triggerStatuses).map(([value, label]) => (
+                <option key={value} value={value}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className={labelClass}>Entegratör</label>
+            <select
+              value={form.provider}
+              onChange={(e) => setField("provider", e.target.value)}
+              className={inputClass}
+            >
+              {Object.entries(providers).map(([value, label]) => (
+                <option key={value} value={value}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className={labelClass}>e-Fatura senaryosu</label>
+            <select
+              value={form.eInvoiceProfile}
+              onChange={(e) => setField("eInvoiceProfile", e.target.value)}
+              className={inputClass}
+            >
+              <option value="TEMELFATURA">Temel fatura</option>
+              <option value="TICARIFATURA">Ticari fatura</option>
+            </select>
+          </div>
+          <div>
+            <label className={labelClass}>Öncelik</label>
+            <input
+              type="number"
+              min={0}
+              value={form.priority}
+              onChange={(e) => setField("priority", e.target.value)}
+              className={inputClass}
+            />
+          </div>
+        </div>
+        <div className="space-y-2">
+          <label className="flex items-center text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={form.uploadToPlatform}
+              onChange={(e) => setField("uploadToPlatform", e.target.checked)}
+              className="mr-2"
+            />
+            Fatura bağlantısını pazaryerine yükle
+          </label>
+          <label className="flex items-center text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={form.isActive}
+              onChange={(e) => setField("isActive", e.target.checked)}
+              className="mr-2"
+            />
+            Kural aktif
+          </label>
+        </div>
+        <div className="flex justify-end space-x-3 pt-2">
+          <Button type="button" variant="outline" onClick={onClose}>
+            Vazgeç
+          </Button>
+          <Button type="submit" variant="primary" disabled={saving || !form.name.trim()}>
+            {saving && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+            Kaydet
+          </Button>
+        </div>
+      </form>
+    </Modal>
+  );
+};
+
+const Reconciliation = ({ reconciliation, thClass }) => {
+  const { summary, orders } = reconciliation;
+  const tiles = [
+    ["Sipariş", summary.orders, formatPrice(summary.orderTotal)],
+    ["Faturalandı", summary.invoiced, formatPrice(summary.invoicedTotal)],
+    ["Tutar farkı", summary.mismatched],
+    ["Sırada / hatalı", `${summary.pending} / ${summary.failed}`],
+    ["Fatura yok", summary.missing],
+    ["Günün faturaları", summary.issuedOnDay, formatPrice(summary.issuedOnDayTotal)],
+  ];
+
+  return (
+    <div className="space-y-6 p-6">
+      <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-6 gap-4">
+        {tiles.map(([label, value, total]) => (
+          <div key={label} className="rounded-lg border border-gray-200 p-4">
+            <div className="text-xs text-gray-500">{label}</div>
+            <div className="text-xl font-semibold text-gray-900">{value}</div>
+            {total && <div className="text-xs text-gray-500">{total}</div>}
+          </div>
+        ))}
+      </div>
+
+      {orders.length === 0 ? (
+        <div className="text-sm text-gray-600">Bu gün için sipariş yok.</div>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full">
+            <thead className="bg-gray-50 border-b border-gray-200">
+              <tr>
+                <th className={thClass}>Sipariş</th>
+                <th className={thClass}>Tutar</th>
+                <th className={thClass}>Fatura</th>
+                <th className={thClass}>Durum</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {orders.map((row) => (
+                <tr key={row.orderId}>
+                  <td className="px-4 py-2">
+                    <div className="text-sm text-gray-900">{row.orderNumber}</div>
+                    <div className="text-xs text-gray-500">
+                      {PLATFORMS[row.platform] || row.platform} ·{" "}
+                      {triggerStatuses[row.orderStatus] || row.orderStatus}
+                    </div>
+                  </td>
+                  <td className="px-4 py-2 text-sm text-gray-900">
+                    {formatPrice(row.orderTotal)}
+                  </td>
+                  <td className="px-4 py-2">
+                    <div className="text-sm text-gray-900">{row.invoiceNumber || "-"}</div>
+                    <div className="text-xs text-gray-500">
+                      {[documentTypes[row.documentType], formatPrice(row.invoiceTotal)]
+                        .filter((part) => part && part !== "-")
+                        .join(" · ")}
+                    </div>
+                  </td>
+                  <td className="px-4 py-2">
+                    <Badge variant={reconciliationStates[row.state]?.variant} size="xs">
+                      {reconciliationStates[row.state]?.label || row.state}
+                    </Badge>
+                    {row.lastError && (
+                      <div className="text-xs text-red-700 mt-1">{row.lastError}</div>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+const InvoiceAutomationManager = () => {
+  const { showAlert } = useAlert();
+  const { handleError } = useErrorHandler();
+
+  const [rules, setRules] = useState([]);
+  const [connections, setConnections] = useState([]);
+  const [loadingRules, setLoadingRules] = useState(true);
+  const [editingRule, setEditingRule] = useState(null);
+  const [deletingId, setDeletingId] = useState(null);
+  const [jobs, setJobs] = useState([]);
+  const [pagination, setPagination] = useState({ page: 1, totalPages: 1 });
+  const [statusFilter, setStatusFilter] = useState("failed");
+  const [loadingJobs, setLoadingJobs] = useState(true);
+  const [running, setRunning] = useState(false);
+  const [retryingId, setRetryingId] = useState(null);
+  const [reconciliationDate, setReconciliationDate] = useState(
+    format(new Date(), "yyyy-MM-dd")
+  );
+  const [reconciliation, setReconciliation] = useState(null);
+
+  const loadRules = useCallback(async () => {
+    try {
+      setLoadingRules(true);
+      const response = await api.invoiceAutomation.getRules();
+      if (response.success) {
+        setRules(response.data || []);
+      }
+    } catch (err) {
+      logger.error("Error loading invoice automation rules:", err);
+    } finally {
+      setLoadingRules(false);
+    }
+  }, []);
+
+  const loadJobs = useCallback(
+    async (page = 1) => {
+      try {
+        setLoadingJobs(true);
+        const limit = 25;
+        const response = await api.invoiceAutomation.getJobs({
+          status: statusFilter || undefined,
+          page,
+          limit,
+        });
+        if (response.success) {
+          const { jobs: rows, pagination: meta } = response.data;
+          setJobs(rows || []);
+          setPagination({
+            page: meta.page,
+            totalPages: Math.max(1, Math.ceil(meta.total / limit)),
+          });
+        }
+      } catch (err) {
+        logger.error("Error loading invoice automation jobs:", err);
+      } finally {
+        setLoadingJobs(false);
+      }
+    },
+    [statusFilter]
+  );
+
+  const loadReconciliation = useCallback(async () => {
+    try {
+      setReconciliation(null);
+      const response = await api.invoiceAutomation.getReconciliation(reconciliationDate);
+      if (response.success) {
+        setReconciliation(response.data);
+      }
+    } catch (err) {
+      logger.error("Error loading invoice reconciliation:", err);
+    }
+  }, [reconciliationDate]);
+
+  useEffect(() => {
+    loadRules();
+    const loadConnections = async () => {
+      try {
+        const response = await api.platforms.getConnections();
+        if (response.success) {
+          setConnections(response.data || []);
+        }
+      } catch (err) {
+        logger.error("Error loading platform connections:", err);
+      }
+    };
+    loadConnections();
+  }, [loadRules]);
+
+  useEffect(() => {
+    loadJobs();
+  }, [loadJobs]);
+
+  useEffect(() => {
+    loadReconciliation();
+  }, [loadReconciliation]);
+
+  const handleRun = async () => {
+    try {
+      setRunning(true);
+      const response = await api.invoiceAutomation.run();
+      showAlert(
+        `${response.data.queued} sipariş sıraya alındı, ${response.data.issued || 0} fatura kesildi`,
+        "success"
+      );
+      loadJobs(pagination.page);
+      loadReconciliation();
+    } catch (error) {
+      handleError(error, "Otomatik faturalama çalıştırılamadı");
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const handleRetry = async (job) => {
+    try {
+      setRetryingId(job.id);
+      const response = await api.invoiceAutomation.retryJob(job.id);
+      if (response.success) {
+        showAlert("İşlem yeniden denendi", "success");
+      } else {
+        showAlert(
+          response.data?.lastError || response.data?.uploadError || "İşlem yeniden denenemedi",
+          "error"
+        );
+      }
+      loadJobs(pagination.page);
+      loadReconciliation();
+    } catch (error) {
+      handleError(error, "İşlem yeniden denenemedi");
+    } finally {
+      setRetryingId(null);
+    }
+  };
+
+  const handleDelete = async (rule) => {
+    if (!window.confirm(`"${rule.name}" kuralı silinecek. Devam edilsin mi?`)) {
+      return;
+    }
+
+    try {
+      setDeletingId(rule.id);
+      await api.invoiceAutomation.deleteRule(rule.id);
+      showAlert("Kural silindi", "success");
+      loadRules();
+    } catch (error) {
+      handleError(error, "Kural silinirken hata oluştu");
+    } finally {
+      setDeletingId(null);
+    }
+  };
+
+  const thClass =
+    "px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider";
+
+  return (
+    <div className="p-6 space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Otomatik Faturalama</h1>
+          <p className="text-sm text-gray-600">
+            Siparişler kuraldaki duruma geldiğinde faturaları otomatik kesilir ve
+            fatura bağlantısı pazaryerine yüklenir.
+          </p>
+        </div>
+        <Button onClick={handleRun} variant="primary" disabled={running}>
+          {running ? (
+            <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+          ) : (
+            <Play className="h-4 w-4 mr-2" />
+          )}
+          Şimdi Çalıştır
+        </Button>
+      </div>
+
+      <Card className="bg-white">
+        <CardContent className="p-0">
+          <div className="flex items-center justify-between px-6 py-4 border-b border-gray-200">
+            <div className="flex items-center">
+              <ListChecks className="h-5 w-5 text-blue-600 mr-2" />
+              <h2 className="text-lg font-semibold text-gray-900">Kurallar</h2>
+            </div>
+            <Button size="sm" variant="outline" onClick={() => setEditingRule({})}>
+              <Plus className="h-4 w-4 mr-1" />
+              Yeni Kural
+            </Button>
+          </div>
+          {loadingRules ? (
+            <div className="flex items-center justify-center py-8">
+              <Loader2 className="h-6 w-6 animate-spin text-blue-600" />
+            </div>
+          ) : rules.length === 0 ? (
+            <div className="text-center py-8 text-sm text-gray-600">
+              Henüz faturalama kuralı yok.
+            </div>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="w-full">
+                <thead className="bg-gray-50 border-b border-gray-200">
+                  <tr>
+                    <th className={thClass}>Kural</th>
+                    <th className={thClass}>Kapsam</th>
+                    <th className={thClass}>Tetikleyici</th>
+                    <th className={thClass}>Entegratör</th>
+                    <th className={thClass}>Durum</th>
+                    <th className={`${thClass} text-center`}>İşlemler</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {rules.map((rule) => (
+                    <tr key={rule.id} className="hover:bg-gray-50">
+                      <td className="px-4 py-4">
+                        <div className="text-sm font-medium text-gray-900">{rule.name}</div>
+                        <div className="text-xs text-gray-500">Öncelik {rule.priority}</div>
+                      </td>
+                      <td className="px-4 py-4 text-sm text-gray-600">
+                        {rule.connection
+                          ? rule.connection.name
+                          : PLATFORMS[rule.platform] || rule.platform || "Tüm siparişler"}
+                      </td>
+                      <td className="px-4 py-4 text-sm text-gray-600">
+                        {triggerStatuses[rule.triggerStatus] || rule.triggerStatus}
+                      </td>
+                      <td className="px-4 py-4 text-sm text-gray-600">
+                        {providers[rule.provider] || rule.provider} · {rule.eInvoiceProfile}
+                        {rule.uploadToPlatform && (
+                          <div className="text-xs text-gray-500">Pazaryerine yüklenir</div>
+                        )}
+                      </td>
+                      <td className="px-4 py-4">
+                        <Badge variant={rule.isActive ? "success" : "secondary"}>
+                          {rule.isActive ? "Aktif" : "Pasif"}
+                        </Badge>
+                      </td>
+                      <td className="px-4 py-4 text-center">
+                        <div className="flex items-center justify-center space-x-2">
+                          <Button
+                            onClick={() => setEditingRule(rule)}
+                            variant="ghost"
+                            size="sm"
+                            title="Düzenle"
+                          >
+                            <Pencil className="h-4 w-4" />
+                          </Button>
+                          <Button
+                            onClick={() => handleDelete(rule)}
+                            variant="ghost"
+                            size="sm"
+                            title="Sil"
+                            disabled={deletingId === rule.id}
+                          >
+                            {deletingId === rule.id ? (
+                              <Loader2 className="h-4 w-4 animate-spin" />
+                            ) : (
+                              <Trash2 className="h-4 w-4 text-red-600" />
+                            )}
+                          </Button>
+                        </div>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
+      <Card className="bg-white">
+        <CardContent className="p-0">
+          <div className="flex items-center justify-between px-6 py-4 border-b border-gray-200">
+            <div className="flex items-center">
+              <FileText className="h-5 w-5 text-blue-600 mr-2" />
+              <h2 className="text-lg font-semibold text-gray-900">Faturalama İşleri</h2>
+            </div>
+            <div className="flex space-x-2">
+              {[["", "Tümü"], ...Object.entries(jobStatuses).map(([k, v]) => [k, v.label])].map(
+                ([value, label]) => (
+                  <Button
+                    key={value || "all"}
+                    size="sm"
+                    variant={statusFilter === value ? "primary" : "outline"}
+                    onClick={() => setStatusFilter(value)}
+                  >
+                    {label}
+                  </Button>
+                )
+              )}
+            </div>
+          </div>
+          {loadingJobs ? (
+            <div className="flex items-center justify-center py-8">
+              <Loader2 className="h-6 w-6 animate-spin text-blue-600" />
+            </div>
+          ) : jobs.length === 0 ? (
+            <div className="text-center py-8 text-sm text-gray-600">
+              Bu filtreye uyan faturalama işi yok.
+            </div>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="w-full">
+                <thead className="bg-gray-50 border-b border-gray-200">
+                  <tr>
+                    <th className={thClass}>Sipariş</th>
+                    <th className={thClass}>Fatura</th>
+                    <th className={thClass}>Durum</th>
+                    <th className={thClass}>Pazaryeri yüklemesi</th>
+                    <th className={`${thClass} text-center`}>İşlemler</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {jobs.map((job) => (
+                    <tr key={job.id} className="hover:bg-gray-50">
+                      <td className="px-4 py-4">
+                        <div className="text-sm font-medium text-gray-900">
+                          {job.order?.orderNumber || "-"}
+                        </div>
+                        <div className="text-xs text-gray-500">
+                          {PLATFORMS[job.order?.platform] || job.order?.platform} ·{" "}
+                          {formatPrice(job.order?.totalAmount)}
+                          {job.rule && ` · ${job.rule.name}`}
+                        </div>
+                      </td>
+                      <td className="px-4 py-4">
+                        {job.invoice ? (
+                          <>
+                            {job.invoice.pdfUrl ? (
+                              <a
+                                href={job.invoice.pdfUrl}
+                                target="_blank"
+                                rel="noopener noreferrer"
+                                className="text-sm text-blue-600 hover:underline"
+                              >
+                                {job.invoice.invoiceNumber}
+                              </a>
+                            ) : (
+                              <div className="text-sm text-gray-900">
+                                {job.invoice.invoiceNumber}
+                              </div>
+                            )}
+                            <div className="text-xs text-gray-500">
+                              {documentTypes[job.invoice.documentType] ||
+                                job.invoice.documentType}{" "}
+                              · {formatDate(job.issuedAt)}
+                            </div>
+                          </>
+                        ) : (
+                          <span className="text-sm text-gray-600">-</span>
+                        )}
+                      </td>
+                      <td className="px-4 py-4">
+                        <Badge variant={jobStatuses[job.status]?.variant}>
+                          {jobStatuses[job.status]?.label || job.status}
+                        </Badge>
+                        {job.attempts > 1 && (
+                          <div className="text-xs text-gray-500 mt-1">
+                            {job.attempts}. deneme
+                          </div>
+                        )}
+                        {job.lastError && (
+                          <div className="text-xs text-red-700 mt-1">{job.lastError}</div>
+                        )}
+                      </td>
+                      <td className="px-4 py-4">
+                        {job.status === "issued" ? (
+                          <>
+                            <Badge variant={uploadStatuses[job.uploadStatus]?.variant}>
+                              {uploadStatuses[job.uploadStatus]?.label || job.uploadStatus}
+                            </Badge>
+                            {job.uploadError && (
+                              <div className="text-xs text-red-700 mt-1">
+                                {job.uploadError}
+                              </div>
+                            )}
+                          </>
+                        ) : (
+                          <span className="text-sm text-gray-600">-</span>
+                        )}
+                      </td>
+                      <td className="px-4 py-4 text-center">
+                        {(job.status === "failed" || job.uploadStatus === "failed") && (
+                          <Button
+                            onClick={() => handleRetry(job)}
+                            variant="ghost"
+                            size="sm"
+                            title="Yeniden dene"
+                            disabled={retryingId === job.id}
+                          >
+                            {retryingId === job.id ? (
+                              <Loader2 className="h-4 w-4 animate-spin" />
+                            ) : (
+                              <RotateCw className="h-4 w-4 text-blue-600" />
+                            )}
+                          </Button>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+          {pagination.totalPages > 1 && (
+            <div className="flex items-center justify-between px-6 py-3 border-t border-gray-200">
+              <span className="text-sm text-gray-600">
+                Sayfa {pagination.page} / {pagination.totalPages}
+              </span>
+              <div className="flex space-x-2">
+                <Button
+                  size="sm"
+                  variant="outline"
+                  disabled={pagination.page <= 1}
+                  onClick={() => loadJobs(pagination.page - 1)}
+                >
+                  Önceki
+                </Button>
+                <Button
+                  size="sm"
+                  variant="outline"
+                  disabled={pagination.page >= pagination.totalPages}
+                  onClick={() => loadJobs(pagination.page + 1)}
+                >
+                  Sonraki
+                </Button>
+              </div>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
+      <Card className="bg-white">
+        <CardContent className="p-0">
+          <div className="flex items-center justify-between px-6 py-4 border-b border-gray-200">
+            <div className="flex items-center">
+              <Scale className="h-5 w-5 text-blue-600 mr-2" />
+              <h2 className="text-lg font-semibold text-gray-900">Günlük Mutabakat</h2>
+            </div>
+            <input
+              type="date"
+              value={reconciliationDate}
+              max={format(new Date(), "yyyy-MM-dd")}
+              onChange={(e) => setReconciliationDate(e.target.value)}
+              className="border border-gray-300 rounded-lg px-3 py-2 text-sm"
+            />
+          </div>
+          {reconciliation ? (
+            <Reconciliation reconciliation={reconciliation} thClass={thClass} />
+          ) : (
+            <div className="flex items-center justify-center py-8">
+              <Loader2 className="h-6 w-6 animate-spin text-blue-600" />
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
+      {editingRule && (
+        <RuleModal
+          rule={editingRule.id ? editingRule : null}
+          connections={connections}
+          onClose={() => setEditingRule(null)}
+          onSaved={() => {
+            setEditingRule(null);
+            loadRules();
+          }}
+        />
+      )}
+    </div>
+  );
+};
+
+export default InvoiceAutomationManager;
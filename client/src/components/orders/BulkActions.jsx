@@ -148,6 +148,18 @@ const ENHANCED_BULK_ACTIONS = {
         estimatedTime: 3,
         requiresShippingInfo: true,
       },
+      create_shipments: {
+        label: "Kargo Etiketi Oluştur",
+        icon: Truck,
+        variant: "outline",
+        color: "primary",
+        description:
+          "Seçili siparişler için kargo firmasını otomatik seç ve etiket oluştur",
+        confirmRequired: false,
+        batchSize: 500, // one batch; the shipment dialog handles the orders
+        estimatedTime: 1,
+        prerequisites: ["new", "pending", "processing"],
+      },
       delivered: {
         label: "Teslim Edildi",
         icon: CheckCircle,
@@ -1450,6 +1462,10 @@ const EnhancedConfirmationModal = ({
                   <option value="yurtici">Yurtiçi Kargo</option>
                   <option value="mng">MNG Kargo</option>
                   <option value="ptt">PTT Kargo</option>
+                  <option value="surat">Sürat Kargo</option>
+                  <option value="hepsijet">HepsiJet</option>
+                  <option value="trendyol_express">Trendyol Express</option>
+                  <option value="kolaygelsin">Kolay Gelsin</option>
                 </select>
               </div>
               <div className="space-y-2">
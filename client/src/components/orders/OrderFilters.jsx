@@ -371,6 +371,10 @@ const AdvancedFilters = ({
             <option value="yurtici">Yurtiçi Kargo</option>
             <option value="mng">MNG Kargo</option>
             <option value="aras">Aras Kargo</option>
+            <option value="surat">Sürat Kargo</option>
+            <option value="hepsijet">HepsiJet</option>
+            <option value="trendyol_express">Trendyol Express</option>
+            <option value="kolaygelsin">Kolay Gelsin</option>
             <option value="ups">UPS</option>
             <option value="dhl">DHL</option>
           </select>
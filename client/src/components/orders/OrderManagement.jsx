@@ -41,6 +41,7 @@ import { useNetworkStatus } from "../../hooks/useNetworkStatus";
 import { Button, Card, CardContent, Badge, Modal } from "../ui";
 import CancelOrderDialog from "../dialogs/CancelOrderDialog";
 import OrderBulkActions from "./BulkActions";
+import ShipmentCreationModal from "../shipping/ShipmentCreationModal";
 // import NetworkDebugger from "../NetworkDebugger";
 
 const OrderManagement = React.memo(() => {
@@ -64,6 +65,7 @@ const OrderManagement = React.memo(() => {
   const [syncing, setSyncing] = useState(false);
   const [showAdvancedFilters, setShowAdvancedFilters] = useState(false);
   const [selectedOrders, setSelectedOrders] = useState([]);
+  const [shipmentOrderIds, setShipmentOrderIds] = useState(null);
   const [recordCount, setRecordCount] = useState(20);
   const [sortConfig, setSortConfig] = useState({
     key: "orderDate",
@@ -1640,6 +1642,9 @@ const OrderManagement = React.memo(() => {
           case "delivered":
             await handleBulkStatusChange("delivered");
             break;
+          case "create_shipments":
+            setShipmentOrderIds(actionData);
+            break;
 
           // Print Actions
           case "print_shipping":
@@ -2698,6 +2703,15 @@ const OrderManagement = React.memo(() => {
         </Card>
       </div>
 
+      {/* Shipment Creation Modal */}
+      {shipmentOrderIds && (
+        <ShipmentCreationModal
+          orderIds={shipmentOrderIds}
+          onClose={() => setShipmentOrderIds(null)}
+          onCompleted={fetchOrders}
+        />
+      )}
+
       {/* Order Modal */}
       {showModal && selectedOrder && (
         <Modal
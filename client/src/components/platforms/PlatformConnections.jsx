@@ -11,6 +11,7 @@ import {
   AlertTriangle,
   Activity,
   Shield,
+  Webhook,
 } from "lucide-react";
 import { usePlatforms } from "../../hooks/usePlatforms";
 import { useAlert } from "../../contexts/AlertContext";
@@ -29,8 +30,11 @@ const PlatformConnections = () => {
     merchantId: "",
     accessKey: "",
     secretKey: "",
+    refreshToken: "",
     marketplaceId: "",
     apiUrl: "",
+    accessToken: "",
+    webhookSecret: "",
     username: "",
     environment: "production",
   });
@@ -60,7 +64,14 @@ const PlatformConnections = () => {
       description: "Küresel pazaryeri platformu",
       icon: "📦",
       color: "warning",
-      fields: ["accessKey", "secretKey", "merchantId", "marketplaceId"],
+      fields: [
+        "accessKey",
+        "secretKey",
+        "refreshToken",
+        "merchantId",
+        "marketplaceId",
+        "environment",
+      ],
     },
     {
       id: "n11",
@@ -70,6 +81,40 @@ const PlatformConnections = () => {
       color: "info",
       fields: ["apiKey", "apiSecret"],
     },
+    {
+      id: "pazarama",
+      name: "Pazarama",
+      description: "İş Bankası destekli pazaryeri",
+      icon: "🏬",
+      color: "success",
+      fields: ["apiKey", "apiSecret"],
+    },
+    {
+      id: "ciceksepeti",
+      name: "Çiçeksepeti",
+      description: "Çiçek ve hediye pazaryeri",
+      icon: "💐",
+      color: "danger",
+      fields: ["apiKey", "environment"],
+    },
+    {
+      id: "woocommerce",
+      name: "WooCommerce",
+      description: "WordPress tabanlı kendi web mağazanız",
+      icon: "🌐",
+      color: "secondary",
+      fields: ["apiUrl", "apiKey", "apiSecret", "webhookSecret"],
+      webhooks: true,
+    },
+    {
+      id: "shopify",
+      name: "Shopify",
+      description: "Shopify üzerindeki web mağazanız",
+      icon: "🛍",
+      color: "success",
+      fields: ["apiUrl", "accessToken", "apiSecret"],
+      webhooks: true,
+    },
   ];
 
   // Helper function to safely format dates
@@ -120,8 +165,11 @@ const PlatformConnections = () => {
       merchantId: "",
       accessKey: "",
       secretKey: "",
+      refreshToken: "",
       marketplaceId: "",
       apiUrl: "",
+      accessToken: "",
+      webhookSecret: "",
       username: "",
       environment: "production",
     });
@@ -238,6 +286,28 @@ const PlatformConnections = () => {
     }
   };
 
+  const registerWebhooks = async (platformId) => {
+    try {
+      const response = await api.post(
+        `/platforms/connections/${platformId}/webhooks`
+      );
+
+      logger.info("✅ Webhooks registered:", response.data);
+      showAlert(
+        "Sipariş bildirimleri (webhook) mağazanıza kaydedildi",
+        "success"
+      );
+    } catch (error) {
+      logger.error("❌ Webhook registration failed:", error);
+      showAlert(
+        `Webhook kaydı başarısız: ${
+          error.response?.data?.message || error.message
+        }`,
+        "error"
+      );
+    }
+  };
+
   const getStatusVariant = (status) => {
     const variants = {
       active: "success",
@@ -446,6 +516,17 @@ const PlatformConnections = () => {
                       >
                         Bağlantıyı Test Et
                       </Button>
+                      {platformInfo?.webhooks && (
+                        <Button
+                          variant="outline"
+                          size="sm"
+                          icon={Webhook}
+                          onClick={() => registerWebhooks(platform.id)}
+                          className="w-full"
+                        >
+                          Webhook'ları Kaydet
+                        </Button>
+                      )}
                       <Button
                         variant="outline"
                         size="sm"
@@ -563,6 +644,55 @@ const PlatformConnections = () => {
             </div>
           )}
 
+          {selectedPlatform?.fields.includes("apiUrl") && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                Mağaza Adresi *
+              </label>
+              <input
+                type="text"
+                value={connectionData.apiUrl}
+                onChange={(e) =>
+                  setConnectionData({
+                    ...connectionData,
+                    apiUrl: e.target.value,
+                  })
+                }
+                required
+                className="form-input"
+                placeholder={
+                  selectedPlatform?.id === "shopify"
+                    ? "magazaniz.myshopify.com"
+                    : "https://www.magazaniz.com"
+                }
+              />
+            </div>
+          )}
+
+          {selectedPlatform?.fields.includes("accessToken") && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                Admin API Erişim Token'ı *
+              </label>
+              <input
+                type="password"
+                value={connectionData.accessToken}
+                onChange={(e) =>
+                  setConnectionData({
+                    ...connectionData,
+                    accessToken: e.target.value,
+                  })
+                }
+                required
+                className="form-input"
+                placeholder="shpat_ ile başlayan token'ınızı girin"
+              />
+              <p className="mt-1 text-sm text-gray-500 dark:text-gray-400">
+                Shopify yönetim panelinde oluşturduğunuz özel uygulamadan alınır
+              </p>
+            </div>
+          )}
+
           {selectedPlatform?.fields.includes("apiKey") && (
             <div>
               <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
@@ -671,6 +801,50 @@ const PlatformConnections = () => {
             </div>
           )}
 
+          {selectedPlatform?.fields.includes("webhookSecret") && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                Webhook Gizli Anahtarı
+              </label>
+              <input
+                type="password"
+                value={connectionData.webhookSecret}
+                onChange={(e) =>
+                  setConnectionData({
+                    ...connectionData,
+                    webhookSecret: e.target.value,
+                  })
+                }
+                className="form-input"
+                placeholder="Sipariş bildirimlerini imzalamak için bir anahtar girin"
+              />
+            </div>
+          )}
+
+          {selectedPlatform?.fields.includes("refreshToken") && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                Yenileme Token'ı *
+              </label>
+              <input
+                type="password"
+                value={connectionData.refreshToken}
+                onChange={(e) =>
+                  setConnectionData({
+                    ...connectionData,
+                    refreshToken: e.target.value,
+                  })
+                }
+                required
+                className="form-input"
+                placeholder="Atzr| ile başlayan yenileme token'ınızı girin"
+              />
+              <p className="mt-1 text-sm text-gray-500 dark:text-gray-400">
+                Seller Central'da uygulamanızı yetkilendirdiğinizde oluşturulur
+              </p>
+            </div>
+          )}
+
           {selectedPlatform?.fields.includes("supplierId") && (
             <div>
               <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
@@ -730,7 +904,7 @@ const PlatformConnections = () => {
                     marketplaceId: e.target.value,
                   })
                 }
-                placeholder="örn. ATVPDKIKX0DER (ABD için)"
+                placeholder="örn. A33AVAJ2PDY3EV (Türkiye için)"
                 required
                 className="form-input"
               />
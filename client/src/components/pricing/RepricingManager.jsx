@@ -0,0 +1,801 @@
+import logger from "../../utils/logger.js";
+import React, { useState, useEffect, useCallback } from "react";
+import {
+  Calculator,
+  Eye,
+  Play,
+  Plus,
+  Trash2,
+  Edit,
+  History,
+  Loader2,
+  AlertTriangle,
+} from "lucide-react";
+import { format } from "date-fns";
+import { tr } from "date-fns/locale";
+import api from "../../services/api";
+import { useAlert } from "../../contexts/AlertContext";
+import { Button, Card, CardContent, Badge, Modal } from "../ui";
+import { useErrorHandler } from "../../hooks/useErrorHandler";
+
+const PLATFORMS = {
+  trendyol: "Trendyol",
+  hepsiburada: "Hepsiburada",
+  n11: "N11",
+  amazon: "Amazon",
+  pazarama: "Pazarama",
+  ciceksepeti: "Çiçeksepeti",
+  woocommerce: "WooCommerce",
+  shopify: "Shopify",
+};
+
+const scopeTypes = {
+  all: "Tüm ürünler",
+  category: "Kategori",
+  brand: "Marka",
+  sku_pattern: "SKU kalıbı",
+};
+
+const roundingOptions = [
+  { label: "Yuvarlama yok", value: "" },
+  { label: "…,90", value: "0.90" },
+  { label: "…,99", value: "0.99" },
+  { label: "Tam sayı (…,00)", value: "0.00" },
+];
+
+const guardLabels = {
+  minPrice: "Alt sınır",
+  maxPrice: "Üst sınır",
+  floor: "Maliyet tabanı",
+};
+
+const syncStatuses = {
+  pending: { label: "Bekliyor", variant: "secondary" },
+  synced: { label: "Gönderildi", variant: "success" },
+  failed: { label: "Hata", variant: "danger" },
+  skipped: { label: "Atlandı", variant: "warning" },
+};
+
+const emptyForm = {
+  name: "",
+  isActive: true,
+  priority: 0,
+  platforms: [],
+  scopeType: "all",
+  scopeValue: "",
+  targetMargin: 15,
+  vatRate: 20,
+  commissionRate: "",
+  shippingCost: "",
+  minPrice: "",
+  maxPrice: "",
+  roundingEnding: "0.90",
+};
+
+const formatPrice = (value) =>
+  value === null || value === undefined
+    ? "-"
+    : `${Number(value).toLocaleString("tr-TR", {
+        minimumFractionDigits: 2,
+        maximumFractionDigits: 2,
+      })} ₺`;
+
+const toNumberOrNull = (value) => (value === "" || value === null ? null : Number(value));
+
+const describeScope = (rule) =>
+  rule.scopeType === "all"
+    ? scopeTypes.all
+    : `${scopeTypes[rule.scopeType]}: ${rule.scopeValue}`;
+
+const RuleFormModal = ({ rule, onClose, onSaved }) => {
+  const { showAlert } = useAlert();
+  const { handleError } = useErrorHandler();
+  const [form, setForm] = useState(() =>
+    rule
+      ? {
+          ...emptyForm,
+          ...rule,
+          scopeValue: rule.scopeValue || "",
+          commissionRate: rule.commissionRate ?? "",
+          shippingCost: rule.shippingCost ?? "",
+          minPrice: rule.minPrice ?? "",
+          maxPrice: rule.maxPrice ?? "",
+          roundingEnding:
+            rule.roundingEnding === null
+              ? ""
+              : Number(rule.roundingEnding).toFixed(2),
+        }
+      : emptyForm
+  );
+  const [saving, setSaving] = useState(false);
+
+  const handleChange = (key, value) => {
+    setForm((prev) => ({ ...prev, [key]: value }));
+  };
+
+  const togglePlatform = (platform) => {
+    setForm((prev) => ({
+      ...prev,
+      platforms: prev.platforms.includes(platform)
+        ? prev.platforms.filter((p) => p !== platform)
+        : [...prev.platforms, platform],
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const payload = {
+      name: form.name.trim(),
+      isActive: form.isActive,
+      priority: parseInt(form.priority, 10) || 0,
+      platforms: form.platforms,
+      scopeType: form.scopeType,
+      scopeValue: form.scopeType === "all" ? null : form.scopeValue.trim(),
+      targetMargin: Number(form.targetMargin),
+      vatRate: Number(form.vatRate),
+      commissionRate: toNumberOrNull(form.commissionRate),
+      shippingCost: toNumberOrNull(form.shippingCost),
+      minPrice: toNumberOrNull(form.minPrice),
+      maxPrice: toNumberOrNull(form.maxPrice),
+      roundingEnding: toNumberOrNull(form.roundingEnding),
+    };
+
+    try {
+      setSaving(true);
+      if (rule) {
+        await api.put(`/prices/repricing/rules/${rule.id}`, payload);
+        showAlert("Fiyatlandırma kuralı güncellendi", "success");
+      } else {
+        await api.post("/prices/repricing/rules", payload);
+        showAlert("Fiyatlandırma kuralı oluşturuldu", "success");
+      }
+      onSaved();
+    } catch (error) {
+      handleError(error, "Kural kaydedilirken hata oluştu");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const inputClass =
+    "w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent";
+  const labelClass = "block text-sm font-medium text-gray-700 mb-1";
+
+  return (
+    <Modal
+      isOpen
+      onClose={onClose}
+      title={rule ? "Kuralı Düzenle" : "Yeni Fiyatlandırma Kuralı"}
+      size="lg"
+    >
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div>
+            <label className={labelClass}>Ad</label>
+            <input
+              type="text"
+              required
+              value={form.name}
+              onChange={(e) => handleChange("name", e.target.value)}
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label className={labelClass}>Öncelik (küçük sayı önce)</label>
+            <input
+              type="number"
+              min="0"
+              value={form.priority}
+              onChange={(e) => handleChange("priority", e.target.value)}
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label className={labelClass}>Kapsam</label>
+            <select
+              value={form.scopeType}
+              onChange={(e) => handleChange("scopeType", e.target.value)}
+              className={inputClass}
+            >
+              {Object.entries(scopeTypes).map(([key, label]) => (
+                <option key={key} value={key}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </div>
+          {form.scopeType !== "all" && (
+            <div>
+              <label className={labelClass}>
+                {form.scopeType === "sku_pattern"
+                  ? "SKU kalıbı (örn. BOS-*)"
+                  : scopeTypes[form.scopeType]}
+              </label>
+              <input
+                type="text"
+                required
+                value={form.scopeValue}
+                onChange={(e) => handleChange("scopeValue", e.target.value)}
+                className={inputClass}
+              />
+            </div>
+          )}
+        </div>
+
+        <div>
+          <label className={labelClass}>Platformlar (boş bırakılırsa tümü)</label>
+          <div className="flex flex-wrap gap-3">
+            {Object.entries(PLATFORMS).map(([key, label]) => (
+              <label key={key} className="flex items-center text-sm">
+                <input
+                  type="checkbox"
+                  checked={form.platforms.includes(key)}
+                  onChange={() => togglePlatform(key)}
+                  className="rounded border-gray-300 text-blue-600 focus:ring-blue-500 mr-2"
+                />
+                {label}
+              </label>
+            ))}
+          </div>
+        </div>
+
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+          <div>
+            <label className={labelClass}>Hedef Marj %</label>
+            <input
+              type="number"
+              step="0.01"
+              min="0"
+              max="95"
+              required
+              value={form.targetMargin}
+              onChange={(e) => handleChange("targetMargin", e.target.value)}
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label className={labelClass}>KDV %</label>
+            <input
+              type="number"
+              step="0.01"
+              min="0"
+              value={form.vatRate}
+              onChange={(e) => handleChange("vatRate", e.target.value)}
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label className={labelClass}>Komisyon %</label>
+            <input
+              type="number"
+              step="0.01"
+              min="0"
+              placeholder="Kategoriden"
+              value={form.commissionRate}
+              onChange={(e) => handleChange("commissionRate", e.target.value)}
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label className={labelClass}>Kargo (₺)</label>
+            <input
+              type="number"
+              step="0.01"
+              min="0"
+              placeholder="Kargo ücretlerinden"
+              value={form.shippingCost}
+              onChange={(e) => handleChange("shippingCost", e.target.value)}
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label className={labelClass}>En Düşük Fiyat</label>
+            <input
+              type="number"
+              step="0.01"
+              min="0"
+              value={form.minPrice}
+              onChange={(e) => handleChange("minPrice", e.target.value)}
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label className={labelClass}>En Yüksek Fiyat</label>
+            <input
+              type="number"
+              step="0.01"
+              min="0"
+              value={form.maxPrice}
+              onChange={(e) => handleChange("maxPrice", e.target.value)}
+              className={inputClass}
+            />
+          </div>
+          <div className="col-span-2">
+            <label className={labelClass}>Yuvarlama</label>
+            <select
+              value={form.roundingEnding}
+              onChange={(e) => handleChange("roundingEnding", e.target.value)}
+              className={inputClass}
+            >
+              {roundingOptions.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        <label className="flex items-center text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={form.isActive}
+            onChange={(e) => handleChange("isActive", e.target.checked)}
+            className="rounded border-gray-300 text-blue-600 focus:ring-blue-500 mr-2"
+          />
+          Kural aktif
+        </label>
+
+        <div className="flex justify-end space-x-3 pt-2">
+          <Button type="button" variant="outline" onClick={onClose}>
+            Vazgeç
+          </Button>
+          <Button type="submit" variant="primary" disabled={saving}>
+            {saving && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+            Kaydet
+          </Button>
+        </div>
+      </form>
+    </Modal>
+  );
+};
+
+const PreviewTable = ({ items }) => (
+  <div className="overflow-x-auto">
+    <table className="w-full">
+      <thead className="bg-gray-50 border-b border-gray-200">
+        <tr>
+          {["Ürün", "Platform", "Kural", "Mevcut", "Yeni", "Maliyet / Kargo / Komisyon", "Marj", "Not"].map(
+            (title) => (
+              <th
+                key={title}
+                className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider"
+              >
+                {title}
+              </th>
+            )
+          )}
+        </tr>
+      </thead>
+      <tbody className="bg-white divide-y divide-gray-200">
+        {items.map((item) => (
+          <tr key={`${item.productId}-${item.platform}`} className="hover:bg-gray-50">
+            <td className="px-4 py-3">
+              <div className="text-sm font-medium text-gray-900">
+                {item.productName}
+              </div>
+              <div className="text-xs text-gray-500">{item.sku}</div>
+            </td>
+            <td className="px-4 py-3 text-sm text-gray-900">
+              {PLATFORMS[item.platform] || item.platform}
+            </td>
+            <td className="px-4 py-3 text-sm text-gray-600">{item.ruleName}</td>
+            <td className="px-4 py-3 text-sm text-gray-900">
+              {formatPrice(item.currentPrice)}
+            </td>
+            <td className="px-4 py-3 text-sm font-medium">
+              {item.newPrice === null ? (
+                "-"
+              ) : (
+                <span
+                  className={
+                    item.status === "change"
+                      ? item.newPrice > item.currentPrice
+                        ? "text-green-700"
+                        : "text-red-700"
+                      : "text-gray-900"
+                  }
+                >
+                  {formatPrice(item.newPrice)}
+                  {item.changePercent !== undefined &&
+                    item.changePercent !== null &&
+                    ` (${item.changePercent > 0 ? "+" : ""}${item.changePercent}%)`}
+                </span>
+              )}
+            </td>
+            <td className="px-4 py-3 text-xs text-gray-600">
+              {item.breakdown ? (
+                <>
+                  {formatPrice(item.breakdown.cost)} /{" "}
+                  {formatPrice(item.breakdown.shippingCost)} / %
+                  {item.breakdown.commissionRate}
+                  <div className="text-gray-400">
+                    Taban: {formatPrice(item.breakdown.floorPrice)}
+                  </div>
+                </>
+              ) : (
+                "-"
+              )}
+            </td>
+            <td className="px-4 py-3 text-sm text-gray-900">
+              {item.breakdown?.margin !== undefined && item.breakdown?.margin !== null
+                ? `%${item.breakdown.margin}`
+                : "-"}
+            </td>
+            <td className="px-4 py-3 text-xs">
+              {item.status === "skipped" && (
+                <span className="text-red-600">{item.reason}</span>
+              )}
+              {item.status === "unchanged" && (
+                <span className="text-gray-500">Değişiklik yok</span>
+              )}
+              {item.breakdown?.guards?.map((guard) => (
+                <Badge key={guard} variant="warning" size="xs" className="mr-1">
+                  {guardLabels[guard] || guard}
+                </Badge>
+              ))}
+              {item.breakdown?.warnings?.map((warning) => (
+                <div key={warning} className="text-yellow-700 flex items-center">
+                  <AlertTriangle className="h-3 w-3 mr-1" />
+                  {warning}
+                </div>
+              ))}
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  </div>
+);
+
+const RepricingManager = () => {
+  const { showAlert } = useAlert();
+  const { handleError } = useErrorHandler();
+
+  const [rules, setRules] = useState([]);
+  const [changes, setChanges] = useState([]);
+  const [preview, setPreview] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [previewing, setPreviewing] = useState(false);
+  const [applying, setApplying] = useState(false);
+  const [editingRule, setEditingRule] = useState(null);
+  const [showForm, setShowForm] = useState(false);
+
+  const loadRules = useCallback(async () => {
+    try {
+      const response = await api.get("/prices/repricing/rules");
+      if (response.data.success) {
+        setRules(response.data.data || []);
+      }
+    } catch (err) {
+      logger.error("Error loading repricing rules:", err);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  const loadChanges = useCallback(async () => {
+    try {
+      const response = await api.get("/prices/repricing/changes", {
+        params: { limit: 50 },
+      });
+      if (response.data.success) {
+        setChanges(response.data.data.changes || []);
+      }
+    } catch (err) {
+      logger.error("Error loading price changes:", err);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadRules();
+    loadChanges();
+  }, [loadRules, loadChanges]);
+
+  const handlePreview = async () => {
+    try {
+      setPreviewing(true);
+      const response = await api.post("/prices/repricing/preview", {});
+      setPreview(response.data.data);
+    } catch (error) {
+      handleError(error, "Önizleme oluşturulurken hata oluştu");
+    } finally {
+      setPreviewing(false);
+    }
+  };
+
+  const handleApply = async () => {
+    if (
+      !window.confirm(
+        `${preview.stats.changes} fiyat değişikliği uygulanacak ve platformlara gönderilecek. Devam edilsin mi?`
+      )
+    ) {
+      return;
+    }
+
+    try {
+      setApplying(true);
+      const response = await api.post("/prices/repricing/apply", {});
+      const { stats } = response.data.data;
+      showAlert(
+        `${stats.changes} fiyat güncellendi, ${stats.synced} platforma gönderildi` +
+          (stats.syncFailed > 0 ? `, ${stats.syncFailed} gönderim başarısız` : ""),
+        stats.syncFailed > 0 ? "warning" : "success"
+      );
+      setPreview(null);
+      loadRules();
+      loadChanges();
+    } catch (error) {
+      handleError(error, "Fiyatlar uygulanırken hata oluştu");
+    } finally {
+      setApplying(false);
+    }
+  };
+
+  const handleDelete = async (rule) => {
+    if (!window.confirm(`"${rule.name}" kuralını silmek istediğinizden emin misiniz?`)) {
+      return;
+    }
+
+    try {
+      await api.delete(`/prices/repricing/rules/${rule.id}`);
+      showAlert("Kural silindi", "success");
+      setPreview(null);
+      loadRules();
+    } catch (error) {
+      handleError(error, "Kural silinirken hata oluştu");
+    }
+  };
+
+  const openForm = (rule = null) => {
+    setEditingRule(rule);
+    setShowForm(true);
+  };
+
+  const thClass =
+    "px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider";
+
+  return (
+    <div className="p-6 space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Otomatik Fiyatlandırma</h1>
+          <p className="text-sm text-gray-600">
+            Tedarikçi maliyeti, komisyon, kargo, KDV ve hedef marja göre platform
+            fiyatlarını hesaplayın.
+          </p>
+        </div>
+        <div className="flex space-x-3">
+          <Button onClick={handlePreview} variant="outline" disabled={previewing}>
+            {previewing ? (
+              <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+            ) : (
+              <Eye className="h-4 w-4 mr-2" />
+            )}
+            Önizleme
+          </Button>
+          <Button onClick={() => openForm()} variant="primary">
+            <Plus className="h-4 w-4 mr-2" />
+            Yeni Kural
+          </Button>
+        </div>
+      </div>
+
+      <Card className="bg-white">
+        <CardContent className="p-0">
+          <div className="flex items-center px-6 py-4 border-b border-gray-200">
+            <Calculator className="h-5 w-5 text-blue-600 mr-2" />
+            <h2 className="text-lg font-semibold text-gray-900">Kurallar</h2>
+          </div>
+          {loading ? (
+            <div className="flex items-center justify-center py-8">
+              <Loader2 className="h-6 w-6 animate-spin text-blue-600" />
+            </div>
+          ) : rules.length === 0 ? (
+            <div className="text-center py-8 text-sm text-gray-600">
+              Henüz fiyatlandırma kuralı tanımlanmadı.
+            </div>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="w-full">
+                <thead className="bg-gray-50 border-b border-gray-200">
+                  <tr>
+                    <th className={thClass}>Kural</th>
+                    <th className={thClass}>Kapsam</th>
+                    <th className={thClass}>Marj / KDV</th>
+                    <th className={thClass}>Sınırlar</th>
+                    <th className={thClass}>Durum</th>
+                    <th className={`${thClass} text-center`}>İşlemler</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {rules.map((rule) => (
+                    <tr key={rule.id} className="hover:bg-gray-50">
+                      <td className="px-4 py-4">
+                        <div className="text-sm font-medium text-gray-900">
+                          {rule.name}
+                        </div>
+                        <div className="text-xs text-gray-500">
+                          Öncelik {rule.priority} ·{" "}
+                          {rule.platforms?.length
+                            ? rule.platforms.map((p) => PLATFORMS[p] || p).join(", ")
+                            : "Tüm platformlar"}
+                        </div>
+                      </td>
+                      <td className="px-4 py-4 text-sm text-gray-900">
+                        {describeScope(rule)}
+                      </td>
+                      <td className="px-4 py-4 text-sm text-gray-900">
+                        %{Number(rule.targetMargin)} / %{Number(rule.vatRate)}
+                      </td>
+                      <td className="px-4 py-4 text-xs text-gray-600">
+                        {formatPrice(rule.minPrice)} – {formatPrice(rule.maxPrice)}
+                        {rule.roundingEnding !== null && (
+                          <div>
+                            Yuvarlama: …,
+                            {Number(rule.roundingEnding).toFixed(2).slice(2)}
+                          </div>
+                        )}
+                      </td>
+                      <td className="px-4 py-4">
+                        <Badge variant={rule.isActive ? "success" : "secondary"}>
+                          {rule.isActive ? "Aktif" : "Pasif"}
+                        </Badge>
+                      </td>
+                      <td className="px-4 py-4 text-center">
+                        <div className="flex items-center justify-center space-x-2">
+                          <Button
+                            onClick={() => openForm(rule)}
+                            variant="ghost"
+                            size="sm"
+                            title="Düzenle"
+                          >
+                            <Edit className="h-4 w-4" />
+                          </Button>
+                          <Button
+                            onClick={() => handleDelete(rule)}
+                            variant="ghost"
+                            size="sm"
+                            title="Sil"
+                          >
+                            <Trash2 className="h-4 w-4 text-red-600" />
+                          </Button>
+                        </div>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
+      {preview && (
+        <Card className="bg-white">
+          <CardContent className="p-0">
+            <div className="flex items-center justify-between px-6 py-4 border-b border-gray-200">
+              <div>
+                <h2 className="text-lg font-semibold text-gray-900">
+                  Önizleme (değişiklik uygulanmadı)
+                </h2>
+                <p className="text-sm text-gray-600">
+                  {preview.stats.changes} değişiklik · {preview.stats.unchanged}{" "}
+                  aynı · {preview.stats.skipped} atlandı · {preview.stats.noRule}{" "}
+                  kuralsız ilan
+                </p>
+              </div>
+              <Button
+                onClick={handleApply}
+                variant="primary"
+                disabled={applying || preview.stats.changes === 0}
+              >
+                {applying ? (
+                  <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+                ) : (
+                  <Play className="h-4 w-4 mr-2" />
+                )}
+                Fiyatları Uygula
+              </Button>
+            </div>
+            {preview.items.length === 0 ? (
+              <div className="text-center py-8 text-sm text-gray-600">
+                Kurallara uyan platform ilanı bulunamadı.
+              </div>
+            ) : (
+              <PreviewTable items={preview.items} />
+            )}
+          </CardContent>
+        </Card>
+      )}
+
+      <Card className="bg-white">
+        <CardContent className="p-0">
+          <div className="flex items-center px-6 py-4 border-b border-gray-200">
+            <History className="h-5 w-5 text-blue-600 mr-2" />
+            <h2 className="text-lg font-semibold text-gray-900">
+              Fiyat Değişiklik Geçmişi
+            </h2>
+          </div>
+          {changes.length === 0 ? (
+            <div className="text-center py-8 text-sm text-gray-600">
+              Henüz fiyat değişikliği yapılmadı.
+            </div>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="w-full">
+                <thead className="bg-gray-50 border-b border-gray-200">
+                  <tr>
+                    <th className={thClass}>Tarih</th>
+                    <th className={thClass}>Ürün</th>
+                    <th className={thClass}>Platform</th>
+                    <th className={thClass}>Eski → Yeni</th>
+                    <th className={thClass}>Kural</th>
+                    <th className={thClass}>Gönderim</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {changes.map((change) => (
+                    <tr key={change.id} className="hover:bg-gray-50">
+                      <td className="px-4 py-3 text-sm text-gray-600">
+                        {format(new Date(change.createdAt), "dd.MM.yyyy HH:mm", {
+                          locale: tr,
+                        })}
+                      </td>
+                      <td className="px-4 py-3">
+                        <div className="text-sm text-gray-900">
+                          {change.product?.name || change.productId}
+                        </div>
+                        <div className="text-xs text-gray-500">
+                          {change.product?.sku}
+                        </div>
+                      </td>
+                      <td className="px-4 py-3 text-sm text-gray-900">
+                        {PLATFORMS[change.platform] || change.platform}
+                      </td>
+                      <td className="px-4 py-3 text-sm text-gray-900">
+                        {formatPrice(change.previousPrice)} →{" "}
+                        {formatPrice(change.newPrice)}
+                      </td>
+                      <td className="px-4 py-3 text-sm text-gray-600">
+                        {change.rule?.name || "-"}
+                      </td>
+                      <td className="px-4 py-3">
+                        <Badge variant={syncStatuses[change.syncStatus]?.variant}>
+                          {syncStatuses[change.syncStatus]?.label || change.syncStatus}
+                        </Badge>
+                        {change.syncError && (
+                          <div
+                            className="text-xs text-gray-500 mt-1 truncate max-w-xs"
+                            title={change.syncError}
+                          >
+                            {change.syncError}
+                          </div>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
+      {showForm && (
+        <RuleFormModal
+          rule={editingRule}
+          onClose={() => setShowForm(false)}
+          onSaved={() => {
+            setShowForm(false);
+            setPreview(null);
+            loadRules();
+          }}
+        />
+      )}
+    </div>
+  );
+};
+
+export default RepricingManager;
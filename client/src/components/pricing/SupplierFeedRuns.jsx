@@ -0,0 +1,504 @@
+import logger from "../../utils/logger.js";
+import React, { useState, useEffect, useCallback } from "react";
+import {
+  Rss,
+  Eye,
+  Check,
+  X,
+  Loader2,
+  AlertTriangle,
+  ChevronLeft,
+  ChevronRight,
+} from "lucide-react";
+import { format } from "date-fns";
+import { tr } from "date-fns/locale";
+import api from "../../services/api";
+import { useAlert } from "../../contexts/AlertContext";
+import { Button, Card, CardContent, Badge } from "../ui";
+import { useErrorHandler } from "../../hooks/useErrorHandler";
+
+const PAGE_SIZE = 20;
+
+const runStatuses = {
+  running: { label: "Çalışıyor", variant: "info" },
+  completed: { label: "Tamamlandı", variant: "success" },
+  failed: { label: "Hata", variant: "danger" },
+};
+
+const reviewStatuses = {
+  pending: { label: "Onay bekliyor", variant: "warning" },
+  approved: { label: "Onaylandı", variant: "success" },
+  rejected: { label: "Reddedildi", variant: "secondary" },
+  superseded: { label: "Yeni fiyat geldi", variant: "secondary" },
+};
+
+const sources = {
+  url: "Besleme adresi",
+  upload: "Yüklenen dosya",
+};
+
+const formatPrice = (value) =>
+  value === null || value === undefined
+    ? "-"
+    : `${Number(value).toLocaleString("tr-TR", {
+        minimumFractionDigits: 2,
+        maximumFractionDigits: 2,
+      })} ₺`;
+
+const formatDate = (value) =>
+  value ? format(new Date(value), "dd.MM.yyyy HH:mm", { locale: tr }) : "-";
+
+const formatPercent = (value) =>
+  value === null || value === undefined
+    ? "Yeni"
+    : `${value > 0 ? "+" : ""}%${Number(value).toLocaleString("tr-TR")}`;
+
+const thClass =
+  "px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider";
+
+const RunDiff = ({ run, onReviewed }) => {
+  const { showAlert } = useAlert();
+  const { handleError } = useErrorHandler();
+  const [flaggedOnly, setFlaggedOnly] = useState(run.stats?.flagged > 0);
+  const [reviewing, setReviewing] = useState(null);
+
+  // Review state of the flagged swings, by product
+  const reviews = new Map(
+    (run.history || []).map((entry) => [entry.productId, entry])
+  );
+  const changes = (run.changes || []).filter(
+    (change) => !flaggedOnly || change.flagged
+  );
+  const stats = run.stats || {};
+
+  const handleReview = async (entry, decision) => {
+    try {
+      setReviewing(entry.id);
+      const response = await api.post(`/prices/history/${entry.id}/review`, {
+        decision,
+      });
+      showAlert(
+        decision === "approve"
+          ? "Tedarikçi fiyatı ürün maliyetine yazıldı"
+          : "Değişiklik reddedildi, ürün maliyeti korundu",
+        "success"
+      );
+      onReviewed(response.data.data);
+    } catch (error) {
+      handleError(error, "Fiyat değişikliği değerlendirilirken hata oluştu");
+    } finally {
+      setReviewing(null);
+    }
+  };
+
+  const renderReview = (change) => {
+    const entry = reviews.get(change.productId);
+    if (!entry?.reviewStatus) {
+      return change.flagged && !change.applied?.cost ? (
+        <span className="text-xs text-gray-500">Maliyet uygulanmadı</span>
+      ) : null;
+    }
+    if (entry.reviewStatus !== "pending") {
+      const status = reviewStatuses[entry.reviewStatus];
+      return <Badge variant={status.variant}>{status.label}</Badge>;
+    }
+
+    return (
+      <div className="flex items-center space-x-2">
+        <Button
+          onClick={() => handleReview(entry, "approve")}
+          variant="outline"
+          size="sm"
+          disabled={reviewing === entry.id}
+          title="Yeni fiyatı ürün maliyetine yaz"
+        >
+          {reviewing === entry.id ? (
+            <Loader2 className="h-4 w-4 animate-spin" />
+          ) : (
+            <Check className="h-4 w-4 text-green-600" />
+          )}
+        </Button>
+        <Button
+          onClick={() => handleReview(entry, "reject")}
+          variant="outline"
+          size="sm"
+          disabled={reviewing === entry.id}
+          title="Ürün maliyetini koru"
+        >
+          <X className="h-4 w-4 text-red-600" />
+        </Button>
+      </div>
+    );
+  };
+
+  return (
+    <Card className="bg-white">
+      <CardContent className="p-0">
+        <div className="flex items-center justify-between px-6 py-4 border-b border-gray-200">
+          <div>
+            <h2 className="text-lg font-semibold text-gray-900">
+              {formatDate(run.startedAt)} besleme farkı
+              {run.dryRun && " (deneme, değişiklik yazılmadı)"}
+            </h2>
+            <p className="text-sm text-gray-600">
+              {stats.total ?? 0} kalem · {stats.created ?? 0} yeni ·{" "}
+              {stats.updated ?? 0} güncellendi · {stats.unchanged ?? 0} aynı ·{" "}
+              {stats.flagged ?? 0} büyük değişim · {stats.unmatched ?? 0}{" "}
+              eşleşmedi · {stats.invalid ?? 0} hatalı
+            </p>
+          </div>
+          <label className="flex items-center text-sm text-gray-700">
+            <input
+              type="checkbox"
+              className="mr-2"
+              checked={flaggedOnly}
+              onChange={(e) => setFlaggedOnly(e.target.checked)}
+            />
+            Sadece büyük değişimler
+          </label>
+        </div>
+
+        {run.status === "failed" && (
+          <div className="flex items-center px-6 py-3 text-sm text-red-700 bg-red-50">
+            <AlertTriangle className="h-4 w-4 mr-2" />
+            {run.error}
+          </div>
+        )}
+
+        {changes.length === 0 ? (
+          <div className="text-center py-8 text-sm text-gray-600">
+            {flaggedOnly
+              ? "Bu çalıştırmada eşiği aşan fiyat değişimi yok."
+              : "Bu çalıştırmada değişen ürün yok."}
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead className="bg-gray-50 border-b border-gray-200">
+                <tr>
+                  <th className={thClass}>Ürün</th>
+                  <th className={thClass}>Eski → Yeni Fiyat</th>
+                  <th className={thClass}>Değişim</th>
+                  <th className={thClass}>Stok</th>
+                  <th className={thClass}>Uygulanan</th>
+                  <th className={thClass}>İnceleme</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {changes.map((change) => (
+                  <tr
+                    key={change.productId}
+                    className={change.flagged ? "bg-yellow-50" : "hover:bg-gray-50"}
+                  >
+                    <td className="px-4 py-3">
+                      <div className="text-sm text-gray-900">
+                        {change.productName || change.productId}
+                      </div>
+                      <div className="text-xs text-gray-500">
+                        {change.sku || change.barcode} ·{" "}
+                        {change.matchedBy === "barcode" ? "barkod" : "SKU"} ile
+                        eşleşti
+                      </div>
+                    </td>
+                    <td className="px-4 py-3 text-sm text-gray-900">
+                      {formatPrice(change.price.from)} →{" "}
+                      {formatPrice(change.price.to)}
+                      {change.currency === "USD" && (
+                        <div className="text-xs text-gray-500">
+                          Beslemede ${change.feedPrice}
+                        </div>
+                      )}
+                    </td>
+                    <td className="px-4 py-3 text-sm">
+                      <span
+                        className={
+                          change.flagged
+                            ? "font-semibold text-orange-700"
+                            : "text-gray-900"
+                        }
+                      >
+                        {formatPercent(change.price.changePercent)}
+                      </span>
+                    </td>
+                    <td className="px-4 py-3 text-sm text-gray-900">
+                      {change.stock.from ?? "-"} → {change.stock.to}
+                    </td>
+                    <td className="px-4 py-3 text-xs text-gray-600">
+                      {[
+                        change.applied?.stock && "Stok",
+                        change.applied?.cost && "Maliyet",
+                      ]
+                        .filter(Boolean)
+                        .join(", ") || "-"}
+                    </td>
+                    <td className="px-4 py-3">{renderReview(change)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {run.unmatched?.length > 0 && !flaggedOnly && (
+          <details className="px-6 py-4 border-t border-gray-200">
+            <summary className="text-sm font-medium text-gray-700 cursor-pointer">
+              Eşleşmeyen kalemler ({run.unmatched.length})
+            </summary>
+            <ul className="mt-2 space-y-1 text-xs text-gray-600">
+              {run.unmatched.map((item, index) => (
+                <li key={`${item.sku}-${item.barcode}-${index}`}>
+                  {item.sku || "-"} / {item.barcode || "-"}
+                  {item.name && ` · ${item.name}`} — {item.reason}
+                </li>
+              ))}
+            </ul>
+          </details>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+const SupplierFeedRuns = () => {
+  const { handleError } = useErrorHandler();
+
+  const [suppliers, setSuppliers] = useState([]);
+  const [supplierId, setSupplierId] = useState("");
+  const [runs, setRuns] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(1);
+  const [loading, setLoading] = useState(false);
+  const [selectedRun, setSelectedRun] = useState(null);
+  const [loadingRun, setLoadingRun] = useState(null);
+
+  useEffect(() => {
+    const loadSuppliers = async () => {
+      try {
+        const response = await api.get("/prices/suppliers");
+        if (response.data.success) {
+          const list = response.data.data || [];
+          setSuppliers(list);
+          const withFeed = list.find((supplier) => supplier.feedConfig);
+          setSupplierId((withFeed || list[0])?.id || "");
+        }
+      } catch (err) {
+        logger.error("Error loading suppliers:", err);
+      }
+    };
+    loadSuppliers();
+  }, []);
+
+  const loadRuns = useCallback(async () => {
+    if (!supplierId) {
+      return;
+    }
+
+    try {
+      setLoading(true);
+      const response = await api.get(`/prices/suppliers/${supplierId}/feed-runs`, {
+        params: { page, limit: PAGE_SIZE },
+      });
+      if (response.data.success) {
+        setRuns(response.data.data.runs || []);
+        setTotal(response.data.data.pagination?.total || 0);
+      }
+    } catch (err) {
+      logger.error("Error loading feed runs:", err);
+    } finally {
+      setLoading(false);
+    }
+  }, [supplierId, page]);
+
+  useEffect(() => {
+    loadRuns();
+  }, [loadRuns]);
+
+  const openRun = async (run) => {
+    try {
+      setLoadingRun(run.id);
+      const response = await api.get(`/prices/feed-runs/${run.id}`);
+      setSelectedRun(response.data.data);
+    } catch (error) {
+      handleError(error, "Besleme raporu yüklenirken hata oluştu");
+    } finally {
+      setLoadingRun(null);
+    }
+  };
+
+  const handleReviewed = (entry) => {
+    setSelectedRun((prev) => ({
+      ...prev,
+      history: prev.history.map((item) =>
+        item.id === entry.id ? { ...item, ...entry } : item
+      ),
+    }));
+    loadRuns();
+  };
+
+  const changeSupplier = (id) => {
+    setSupplierId(id);
+    setPage(1);
+    setSelectedRun(null);
+  };
+
+  const totalPages = Math.max(Math.ceil(total / PAGE_SIZE), 1);
+
+  return (
+    <div className="p-6 space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">Tedarikçi Beslemeleri</h1>
+          <p className="text-sm text-gray-600">
+            Besleme çalıştırmalarının fiyat ve stok farklarını inceleyin, eşiği
+            aşan maliyet değişimlerini onaylayın veya reddedin.
+          </p>
+        </div>
+        <select
+          value={supplierId}
+          onChange={(e) => changeSupplier(e.target.value)}
+          className="px-3 py-2 border border-gray-300 rounded-md text-sm"
+        >
+          {suppliers.length === 0 && <option value="">Tedarikçi yok</option>}
+          {suppliers.map((supplier) => (
+            <option key={supplier.id} value={supplier.id}>
+              {supplier.name}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      <Card className="bg-white">
+        <CardContent className="p-0">
+          <div className="flex items-center px-6 py-4 border-b border-gray-200">
+            <Rss className="h-5 w-5 text-blue-600 mr-2" />
+            <h2 className="text-lg font-semibold text-gray-900">Çalıştırmalar</h2>
+          </div>
+          {loading ? (
+            <div className="flex items-center justify-center py-8">
+              <Loader2 className="h-6 w-6 animate-spin text-blue-600" />
+            </div>
+          ) : runs.length === 0 ? (
+            <div className="text-center py-8 text-sm text-gray-600">
+              Bu tedarikçi için henüz besleme çalıştırılmadı.
+            </div>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="w-full">
+                <thead className="bg-gray-50 border-b border-gray-200">
+                  <tr>
+                    <th className={thClass}>Tarih</th>
+                    <th className={thClass}>Kaynak</th>
+                    <th className={thClass}>Durum</th>
+                    <th className={thClass}>Değişen</th>
+                    <th className={thClass}>Büyük Değişim</th>
+                    <th className={thClass}>Eşleşmeyen</th>
+                    <th className={`${thClass} text-center`}>Fark</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {runs.map((run) => {
+                    const status = runStatuses[run.status] || runStatuses.running;
+                    return (
+                      <tr
+                        key={run.id}
+                        className={
+                          selectedRun?.id === run.id ? "bg-blue-50" : "hover:bg-gray-50"
+                        }
+                      >
+                        <td className="px-4 py-3 text-sm text-gray-600">
+                          {formatDate(run.startedAt)}
+                        </td>
+                        <td className="px-4 py-3">
+                          <div className="text-sm text-gray-900">
+                            {sources[run.source]} · {run.format?.toUpperCase()}
+                          </div>
+                          <div className="text-xs text-gray-500 truncate max-w-xs">
+                            {run.sourceName}
+                          </div>
+                        </td>
+                        <td className="px-4 py-3">
+                          <Badge variant={status.variant}>{status.label}</Badge>
+                          {run.dryRun && (
+                            <Badge variant="secondary" className="ml-1">
+                              Deneme
+                            </Badge>
+                          )}
+                        </td>
+                        <td className="px-4 py-3 text-sm text-gray-900">
+                          {run.stats
+                            ? (run.stats.created || 0) + (run.stats.updated || 0)
+                            : "-"}
+                        </td>
+                        <td className="px-4 py-3 text-sm text-gray-900">
+                          {run.stats?.flagged ?? "-"}
+                          {run.pendingReviews > 0 && (
+                            <Badge variant="warning" className="ml-2">
+                              {run.pendingReviews} onay bekliyor
+                            </Badge>
+                          )}
+                        </td>
+                        <td className="px-4 py-3 text-sm text-gray-900">
+                          {run.stats?.unmatched ?? "-"}
+                        </td>
+                        <td className="px-4 py-3 text-center">
+                          <Button
+                            onClick={() => openRun(run)}
+                            variant="ghost"
+                            size="sm"
+                            title="Farkı göster"
+                            disabled={loadingRun === run.id}
+                          >
+                            {loadingRun === run.id ? (
+                              <Loader2 className="h-4 w-4 animate-spin" />
+                            ) : (
+                              <Eye className="h-4 w-4" />
+                            )}
+                          </Button>
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
+          {totalPages > 1 && (
+            <div className="flex items-center justify-between px-6 py-3 border-t border-gray-200 text-sm text-gray-600">
+              <span>
+                Sayfa {page} / {totalPages}
+              </span>
+              <div className="flex space-x-2">
+                <Button
+                  onClick={() => setPage(page - 1)}
+                  variant="outline"
+                  size="sm"
+                  disabled={page <= 1}
+                >
+                  <ChevronLeft className="h-4 w-4" />
+                </Button>
+                <Button
+                  onClick={() => setPage(page + 1)}
+                  variant="outline"
+                  size="sm"
+                  disabled={page >= totalPages}
+                >
+                  <ChevronRight className="h-4 w-4" />
+                </Button>
+              </div>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
+      {selectedRun && (
+        <RunDiff
+          key={selectedRun.id}
+          run={selectedRun}
+          onReviewed={handleReviewed}
+        />
+      )}
+    </div>
+  );
+};
+
+export default SupplierFeedRuns;
@@ -0,0 +1,649 @@
+import logger from "../../utils/logger.js";
+import React, { useState, useEffect, useCallback } from "react";
+import {
+  RotateCcw,
+  RefreshCw,
+  Check,
+  X,
+  BarChart3,
+  Loader2,
+  ChevronDown,
+  ChevronRight,
+} from "lucide-react";
+import { format } from "date-fns";
+import { tr } from "date-fns/locale";
+import api from "../../services/api";
+import { useAlert } from "../../contexts/AlertContext";
+import { Button, Card, CardContent, Badge, Modal } from "../ui";
+import { useErrorHandler } from "../../hooks/useErrorHandler";
+
+const PLATFORMS = {
+  trendyol: "Trendyol",
+  hepsiburada: "Hepsiburada",
+  n11: "N11",
+};
+
+const claimStatuses = {
+  pending: { label: "Onay Bekliyor", variant: "warning" },
+  approved: { label: "Onaylandı", variant: "success" },
+  rejected: { label: "Reddedildi", variant: "danger" },
+  cancelled: { label: "İptal", variant: "secondary" },
+};
+
+const reportPeriods = [
+  { label: "Son 30 gün", days: 30 },
+  { label: "Son 90 gün", days: 90 },
+  { label: "Son 180 gün", days: 180 },
+];
+
+const formatPrice = (value) =>
+  value === null || value === undefined
+    ? "-"
+    : `${Number(value).toLocaleString("tr-TR", {
+        minimumFractionDigits: 2,
+        maximumFractionDigits: 2,
+      })} ₺`;
+
+const formatDate = (value) =>
+  value ? format(new Date(value), "dd.MM.yyyy HH:mm", { locale: tr }) : "-";
+
+const RejectModal = ({ claim, onClose, onRejected }) => {
+  const { showAlert } = useAlert();
+  const { handleError } = useErrorHandler();
+  const [reasons, setReasons] = useState([]);
+  const [loadingReasons, setLoadingReasons] = useState(true);
+  const [reasonCode, setReasonCode] = useState("");
+  const [reason, setReason] = useState("");
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    const loadReasons = async () => {
+      try {
+        const response = await api.get(`/returns/${claim.id}/rejection-reasons`);
+        if (response.data.success) {
+          setReasons(response.data.data || []);
+        }
+      } catch (err) {
+        logger.error("Error loading rejection reasons:", err);
+      } finally {
+        setLoadingReasons(false);
+      }
+    };
+    loadReasons();
+  }, [claim.id]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSaving(true);
+      await api.post(`/returns/${claim.id}/reject`, {
+        reasonCode: reasonCode || undefined,
+        reason: reason.trim() || undefined,
+      });
+      showAlert("İade talebi reddedildi", "success");
+      onRejected();
+    } catch (error) {
+      handleError(error, "İade talebi reddedilirken hata oluştu");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const inputClass =
+    "w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent";
+  const labelClass = "block text-sm font-medium text-gray-700 mb-1";
+  const canSubmit = reasons.length > 0 ? Boolean(reasonCode) : Boolean(reason.trim());
+
+  return (
+    <Modal isOpen onClose={onClose} title="İade Talebini Reddet" size="md">
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <p className="text-sm text-gray-600">
+          {PLATFORMS[claim.platform] || claim.platform} · Sipariş{" "}
+          {claim.orderNumber} · Talep #{claim.externalClaimId}
+        </p>
+        {loadingReasons ? (
+          <div className="flex items-center justify-center py-4">
+            <Loader2 className="h-5 w-5 animate-spin text-blue-600" />
+          </div>
+        ) : (
+          reasons.length > 0 && (
+            <div>
+              <label className={labelClass}>Red nedeni</label>
+              <select
+                required
+                value={reasonCode}
+                onChange={(e) => setReasonCode(e.target.value)}
+                className={inputClass}
+              >
+                <option value="">Seçiniz</option>
+                {reasons.map((item) => (
+                  <option key={item.code} value={item.code}>
+                    {item.name}
+                  </option>
+                ))}
+              </select>
+            </div>
+          )
+        )}
+        <div>
+          <label className={labelClass}>
+            {reasons.length > 0 ? "Açıklama" : "Red nedeni"}
+          </label>
+          <textarea
+            rows={3}
+            maxLength={500}
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+            className={inputClass}
+          />
+        </div>
+        <div className="flex justify-end space-x-3 pt-2">
+          <Button type="button" variant="outline" onClick={onClose}>
+            Vazgeç
+          </Button>
+          <Button type="submit" variant="danger" disabled={saving || !canSubmit}>
+            {saving && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+            Reddet
+          </Button>
+        </div>
+      </form>
+    </Modal>
+  );
+};
+
+const ReturnReport = ({ report, thClass }) => (
+  <div className="space-y-6 p-6">
+    <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+      <div className="rounded-lg border border-gray-200 p-4">
+        <div className="text-xs text-gray-500">Satılan adet</div>
+        <div className="text-xl font-semibold text-gray-900">
+          {report.totals.soldUnits}
+        </div>
+      </div>
+      <div className="rounded-lg border border-gray-200 p-4">
+        <div className="text-xs text-gray-500">İade talep edilen adet</div>
+        <div className="text-xl font-semibold text-gray-900">
+          {report.totals.returnedUnits}
+        </div>
+      </div>
+      <div className="rounded-lg border border-gray-200 p-4">
+        <div className="text-xs text-gray-500">İade oranı</div>
+        <div className="text-xl font-semibold text-gray-900">
+          {report.totals.returnRate === null ? "-" : `%${report.totals.returnRate}`}
+        </div>
+      </div>
+    </div>
+
+    <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+      <div className="overflow-x-auto">
+        <h3 className="text-sm font-semibold text-gray-900 mb-2">Ürün bazında</h3>
+        {report.byProduct.length === 0 ? (
+          <div className="text-sm text-gray-600">Bu dönemde iade yok.</div>
+        ) : (
+          <table className="w-full">
+            <thead className="bg-gray-50 border-b border-gray-200">
+              <tr>
+                <th className={thClass}>Ürün</th>
+                <th className={thClass}>Satış</th>
+                <th className={thClass}>İade</th>
+                <th className={thClass}>Oran</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {report.byProduct.slice(0, 20).map((row) => (
+                <tr key={row.productId || row.sku || row.name}>
+                  <td className="px-4 py-2">
+                    <div className="text-sm text-gray-900">{row.name || "-"}</div>
+                    <div className="text-xs text-gray-500">{row.sku}</div>
+                  </td>
+                  <td className="px-4 py-2 text-sm text-gray-900">{row.soldUnits}</td>
+                  <td className="px-4 py-2 text-sm text-gray-900">
+                    {row.returnedUnits}
+                    <span className="text-xs text-gray-500">
+                      {" "}
+                      ({row.approvedUnits} onaylı)
+                    </span>
+                  </td>
+                  <td className="px-4 py-2 text-sm font-medium text-gray-900">
+                    {row.returnRate === null ? "-" : `%${row.returnRate}`}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      <div className="overflow-x-auto">
+        <h3 className="text-sm font-semibold text-gray-900 mb-2">Neden bazında</h3>
+        {report.byReason.length === 0 ? (
+          <div className="text-sm text-gray-600">Bu dönemde iade yok.</div>
+        ) : (
+          <table className="w-full">
+            <thead className="bg-gray-50 border-b border-gray-200">
+              <tr>
+                <th className={thClass}>Neden</th>
+                <th className={thClass}>Talep</th>
+                <th className={thClass}>Adet</th>
+                <th className={thClass}>Pay</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {report.byReason.map((row) => (
+                <tr key={row.reasonCode || row.reasonName}>
+                  <td className="px-4 py-2 text-sm text-gray-900">{row.reasonName}</td>
+                  <td className="px-4 py-2 text-sm text-gray-900">{row.claimCount}</td>
+                  <td className="px-4 py-2 text-sm text-gray-900">{row.units}</td>
+                  <td className="px-4 py-2 text-sm font-medium text-gray-900">
+                    %{row.share}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  </div>
+);
+
+const ReturnsManager = () => {
+  const { showAlert } = useAlert();
+  const { handleError } = useErrorHandler();
+
+  const [claims, setClaims] = useState([]);
+  const [counts, setCounts] = useState({});
+  const [pagination, setPagination] = useState({ page: 1, totalPages: 1 });
+  const [statusFilter, setStatusFilter] = useState("pending");
+  const [platformFilter, setPlatformFilter] = useState("");
+  const [loading, setLoading] = useState(true);
+  const [syncing, setSyncing] = useState(false);
+  const [approvingId, setApprovingId] = useState(null);
+  const [rejectingClaim, setRejectingClaim] = useState(null);
+  const [expanded, setExpanded] = useState({});
+  const [report, setReport] = useState(null);
+  const [reportDays, setReportDays] = useState(90);
+
+  const loadClaims = useCallback(
+    async (page = 1) => {
+      try {
+        setLoading(true);
+        const response = await api.get("/returns", {
+          params: {
+            status: statusFilter || undefined,
+            platform: platformFilter || undefined,
+            page,
+            limit: 25,
+          },
+        });
+        if (response.data.success) {
+          setClaims(response.data.data.claims || []);
+          setCounts(response.data.data.counts || {});
+          setPagination(response.data.data.pagination);
+        }
+      } catch (err) {
+        logger.error("Error loading return claims:", err);
+      } finally {
+        setLoading(false);
+      }
+    },
+    [statusFilter, platformFilter]
+  );
+
+  const loadReport = useCallback(async () => {
+    try {
+      const startDate = new Date(Date.now() - reportDays * 24 * 60 * 60 * 1000);
+      const response = await api.get("/returns/report", {
+        params: {
+          startDate: startDate.toISOString(),
+          platform: platformFilter || undefined,
+        },
+      });
+      if (response.data.success) {
+        setReport(response.data.data);
+      }
+    } catch (err) {
+      logger.error("Error loading return report:", err);
+    }
+  }, [reportDays, platformFilter]);
+
+  useEffect(() => {
+    loadClaims();
+  }, [loadClaims]);
+
+  useEffect(() => {
+    loadReport();
+  }, [loadReport]);
+
+  const handleSync = async () => {
+    try {
+      setSyncing(true);
+      await api.post("/returns/sync", {});
+      showAlert(
+        "İade talepleri arka planda senkronize ediliyor. İlerlemeyi Arka Plan Görevleri sayfasından takip edebilirsiniz.",
+        "success"
+      );
+    } catch (error) {
+      handleError(error, "İade senkronizasyonu başlatılamadı");
+    } finally {
+      setSyncing(false);
+    }
+  };
+
+  const handleApprove = async (claim) => {
+    const units = claim.items
+      .filter((item) => item.status === "pending")
+      .reduce((sum, item) => sum + item.quantity, 0);
+    if (
+      !window.confirm(
+        `Sipariş ${claim.orderNumber} için ${units} adetlik iade onaylanacak ve stoğa geri eklenecek. Devam edilsin mi?`
+      )
+    ) {
+      return;
+    }
+
+    try {
+      setApprovingId(claim.id);
+      const response = await api.post(`/returns/${claim.id}/approve`, {});
+      showAlert(
+        `İade onaylandı, ${response.data.data.restocked} adet stoğa eklendi`,
+        "success"
+      );
+      loadClaims(pagination.page);
+      loadReport();
+    } catch (error) {
+      handleError(error, "İade onaylanırken hata oluştu");
+    } finally {
+      setApprovingId(null);
+    }
+  };
+
+  const toggleExpanded = (id) => {
+    setExpanded((prev) => ({ ...prev, [id]: !prev[id] }));
+  };
+
+  const thClass =
+    "px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider";
+
+  return (
+    <div className="p-6 space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900">İadeler</h1>
+          <p className="text-sm text-gray-600">
+            Pazaryerlerinden gelen iade taleplerini onaylayın veya reddedin; onaylanan
+            ürünler stoğa geri eklenir.
+          </p>
+        </div>
+        <div className="flex space-x-3">
+          <select
+            value={platformFilter}
+            onChange={(e) => setPlatformFilter(e.target.value)}
+            className="border border-gray-300 rounded-lg px-3 py-2 text-sm"
+          >
+            <option value="">Tüm pazaryerleri</option>
+            {Object.entries(PLATFORMS).map(([value, label]) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+          </select>
+          <Button onClick={handleSync} variant="primary" disabled={syncing}>
+            {syncing ? (
+              <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+            ) : (
+              <RefreshCw className="h-4 w-4 mr-2" />
+            )}
+            Talepleri Çek
+          </Button>
+        </div>
+      </div>
+
+      <Card className="bg-white">
+        <CardContent className="p-0">
+          <div className="flex items-center justify-between px-6 py-4 border-b border-gray-200">
+            <div className="flex items-center">
+              <RotateCcw className="h-5 w-5 text-blue-600 mr-2" />
+              <h2 className="text-lg font-semibold text-gray-900">İade Talepleri</h2>
+            </div>
+            <div className="flex space-x-2">
+              {[["", "Tümü"], ...Object.entries(claimStatuses).map(([k, v]) => [k, v.label])].map(
+                ([value, label]) => (
+                  <Button
+                    key={value || "all"}
+                    size="sm"
+                    variant={statusFilter === value ? "primary" : "outline"}
+                    onClick={() => setStatusFilter(value)}
+                  >
+                    {label}
+                    {value && counts[value] ? ` (${counts[value]})` : ""}
+                  </Button>
+                )
+              )}
+            </div>
+          </div>
+          {loading ? (
+            <div className="flex items-center justify-center py-8">
+              <Loader2 className="h-6 w-6 animate-spin text-blue-600" />
+            </div>
+          ) : claims.length === 0 ? (
+            <div className="text-center py-8 text-sm text-gray-600">
+              Bu filtreye uyan iade talebi yok.
+            </div>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="w-full">
+                <thead className="bg-gray-50 border-b border-gray-200">
+                  <tr>
+                    <th className={thClass}>Talep</th>
+                    <th className={thClass}>Tarih</th>
+                    <th className={thClass}>Ürünler</th>
+                    <th className={thClass}>Neden</th>
+                    <th className={thClass}>Durum</th>
+                    <th className={`${thClass} text-center`}>İşlemler</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {claims.map((claim) => {
+                    const units = claim.items.reduce((sum, item) => sum + item.quantity, 0);
+                    const reasons = [
+                      ...new Set(claim.items.map((item) => item.reasonName).filter(Boolean)),
+                    ];
+                    return (
+                      <React.Fragment key={claim.id}>
+                        <tr className="hover:bg-gray-50">
+                          <td className="px-4 py-4">
+                            <button
+                              type="button"
+                              onClick={() => toggleExpanded(claim.id)}
+                              className="flex items-center text-sm font-medium text-gray-900"
+                            >
+                              {expanded[claim.id] ? (
+                                <ChevronDown className="h-4 w-4 mr-1" />
+                              ) : (
+                                <ChevronRight className="h-4 w-4 mr-1" />
+                              )}
+                              {claim.orderNumber || "-"}
+                            </button>
+                            <div className="text-xs text-gray-500 ml-5">
+                              {PLATFORMS[claim.platform] || claim.platform} · #
+                              {claim.externalClaimId}
+                            </div>
+                          </td>
+                          <td className="px-4 py-4 text-sm text-gray-600">
+                            {formatDate(claim.claimDate)}
+                          </td>
+                          <td className="px-4 py-4 text-sm text-gray-900">
+                            {claim.items.length} kalem · {units} adet
+                          </td>
+                          <td className="px-4 py-4 text-sm text-gray-600">
+                            {reasons.join(", ") || "-"}
+                          </td>
+                          <td className="px-4 py-4">
+                            <Badge variant={claimStatuses[claim.status]?.variant}>
+                              {claimStatuses[claim.status]?.label || claim.status}
+                            </Badge>
+                            {claim.restockedAt && (
+                              <div className="text-xs text-green-700 mt-1">
+                                Stoğa eklendi
+                              </div>
+                            )}
+                          </td>
+                          <td className="px-4 py-4 text-center">
+                            {claim.status === "pending" && (
+                              <div className="flex items-center justify-center space-x-2">
+                                <Button
+                                  onClick={() => handleApprove(claim)}
+                                  variant="ghost"
+                                  size="sm"
+                                  title="Onayla"
+                                  disabled={approvingId === claim.id}
+                                >
+                                  {approvingId === claim.id ? (
+                                    <Loader2 className="h-4 w-4 animate-spin" />
+                                  ) : (
+                                    <Check className="h-4 w-4 text-green-600" />
+                                  )}
+                                </Button>
+                                <Button
+                                  onClick={() => setRejectingClaim(claim)}
+                                  variant="ghost"
+                                  size="sm"
+                                  title="Reddet"
+                                >
+                                  <X className="h-4 w-4 text-red-600" />
+                                </Button>
+                              </div>
+                            )}
+                          </td>
+                        </tr>
+                        {expanded[claim.id] && (
+                          <tr className="bg-gray-50">
+                            <td colSpan={6} className="px-8 py-3">
+                              {claim.customerNote && (
+                                <div className="text-xs text-gray-600 mb-2">
+                                  Müşteri notu: {claim.customerNote}
+                                </div>
+                              )}
+                              {claim.rejectionReason && (
+                                <div className="text-xs text-red-700 mb-2">
+                                  Red nedeni: {claim.rejectionReason}
+                                </div>
+                              )}
+                              <table className="w-full">
+                                <tbody className="divide-y divide-gray-200">
+                                  {claim.items.map((item) => (
+                                    <tr key={item.id}>
+                                      <td className="py-2 text-sm text-gray-900">
+                                        {item.productName || "-"}
+                                        <div className="text-xs text-gray-500">
+                                          {[item.sku, item.barcode].filter(Boolean).join(" · ")}
+                                        </div>
+                                      </td>
+                                      <td className="py-2 text-sm text-gray-900">
+                                        {item.quantity} adet · {formatPrice(item.price)}
+                                      </td>
+                                      <td className="py-2 text-sm text-gray-600">
+                                        {item.reasonName || "-"}
+                                        {item.customerNote && (
+                                          <div className="text-xs text-gray-500">
+                                            {item.customerNote}
+                                          </div>
+                                        )}
+                                      </td>
+                                      <td className="py-2">
+                                        <Badge
+                                          variant={claimStatuses[item.status]?.variant}
+                                          size="xs"
+                                        >
+                                          {claimStatuses[item.status]?.label || item.status}
+                                        </Badge>
+                                      </td>
+                                    </tr>
+                                  ))}
+                                </tbody>
+                              </table>
+                            </td>
+                          </tr>
+                        )}
+                      </React.Fragment>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
+          {pagination.totalPages > 1 && (
+            <div className="flex items-center justify-between px-6 py-3 border-t border-gray-200">
+              <span className="text-sm text-gray-600">
+                Sayfa {pagination.page} / {pagination.totalPages}
+              </span>
+              <div className="flex space-x-2">
+                <Button
+                  size="sm"
+                  variant="outline"
+                  disabled={pagination.page <= 1}
+                  onClick={() => loadClaims(pagination.page - 1)}
+                >
+                  Önceki
+                </Button>
+                <Button
+                  size="sm"
+                  variant="outline"
+                  disabled={pagination.page >= pagination.totalPages}
+                  onClick={() => loadClaims(pagination.page + 1)}
+                >
+                  Sonraki
+                </Button>
+              </div>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
+      <Card className="bg-white">
+        <CardContent className="p-0">
+          <div className="flex items-center justify-between px-6 py-4 border-b border-gray-200">
+            <div className="flex items-center">
+              <BarChart3 className="h-5 w-5 text-blue-600 mr-2" />
+              <h2 className="text-lg font-semibold text-gray-900">İade Oranları</h2>
+            </div>
+            <select
+              value={reportDays}
+              onChange={(e) => setReportDays(Number(e.target.value))}
+              className="border border-gray-300 rounded-lg px-3 py-2 text-sm"
+            >
+              {reportPeriods.map((period) => (
+                <option key={period.days} value={period.days}>
+                  {period.label}
+                </option>
+              ))}
+            </select>
+          </div>
+          {report ? (
+            <ReturnReport report={report} thClass={thClass} />
+          ) : (
+            <div className="flex items-center justify-center py-8">
+              <Loader2 className="h-6 w-6 animate-spin text-blue-600" />
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
+      {rejectingClaim && (
+        <RejectModal
+          claim={rejectingClaim}
+          onClose={() => setRejectingClaim(null)}
+          onRejected={() => {
+            setRejectingClaim(null);
+            loadClaims(pagination.page);
+            loadReport();
+          }}
+        />
+      )}
+    </div>
+  );
+};
+
+export default ReturnsManager;
@@ -0,0 +1,304 @@
+import logger from "../../utils/logger.js";
+import React, { useState, useEffect, useCallback } from "react";
+import { Truck, RefreshCw, Loader2, FileText, AlertTriangle } from "lucide-react";
+import api from "../../services/api";
+import { useAlert } from "../../contexts/AlertContext";
+import { Button, Badge, Modal } from "../ui";
+
+const strategyOptions = [
+  { label: "Ayarlardaki kural", value: "" },
+  { label: "En ucuz", value: "cheapest" },
+  { label: "En hızlı", value: "fastest" },
+];
+
+const reasonLabels = {
+  cheapest: "En ucuz",
+  fastest: "En hızlı",
+  city: "Şehir kuralı",
+  manual: "Manuel",
+};
+
+const statusVariants = {
+  ready: "success",
+  created: "success",
+  skipped: "secondary",
+  failed: "danger",
+};
+
+const statusLabels = {
+  ready: "Hazır",
+  created: "Oluşturuldu",
+  skipped: "Atlandı",
+  failed: "Hata",
+};
+
+const formatPrice = (value) =>
+  value == null
+    ? "-"
+    : new Intl.NumberFormat("tr-TR", { style: "currency", currency: "TRY" }).format(value);
+
+const thClass =
+  "px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider";
+
+/**
+ * Creates carrier shipments for the selected orders. The carrier of each order
+ * is picked by the server from the user's shipping rules and shown before
+ * anything is sent to the carriers.
+ */
+const ShipmentCreationModal = ({ orderIds, onClose, onCompleted }) => {
+  const { showAlert } = useAlert();
+  const [strategy, setStrategy] = useState("");
+  const [codOrderIds, setCodOrderIds] = useState([]);
+  const [preview, setPreview] = useState(null);
+  const [results, setResults] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [creating, setCreating] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadPreview = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await api.post("/shipping/shipments/preview", {
+        orderIds,
+        codOrderIds,
+        ...(strategy && { strategy }),
+      });
+      setPreview(response.data.data);
+    } catch (err) {
+      logger.error("Error previewing shipments:", err);
+      setPreview(null);
+      setError(err.response?.data?.message || err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [orderIds, codOrderIds, strategy]);
+
+  useEffect(() => {
+    loadPreview();
+  }, [loadPreview]);
+
+  const toggleCod = (orderId) => {
+    setCodOrderIds((current) =>
+      current.includes(orderId)
+        ? current.filter((id) => id !== orderId)
+        : [...current, orderId]
+    );
+  };
+
+  const handleCreate = async () => {
+    const readyIds = preview.items
+      .filter((item) => item.status === "ready")
+      .map((item) => item.orderId);
+
+    try {
+      setCreating(true);
+      const response = await api.post("/shipping/shipments", {
+        orderIds: readyIds,
+        codOrderIds: codOrderIds.filter((id) => readyIds.includes(id)),
+        ...(strategy && { strategy }),
+      });
+
+      if (response.status === 202) {
+        showAlert(
+          `${readyIds.length} sipariş için kargo oluşturma arka plan görevi başlatıldı`,
+          "info"
+        );
+        onCompleted?.();
+        onClose();
+        return;
+      }
+
+      const { items, stats } = response.data.data;
+      setResults(items);
+      showAlert(
+        `${stats.created || 0} kargo oluşturuldu` +
+          (stats.failed > 0 ? `, ${stats.failed} başarısız` : ""),
+        stats.failed > 0 ? "warning" : "success"
+      );
+      onCompleted?.();
+    } catch (err) {
+      logger.error("Error creating shipments:", err);
+      showAlert(
+        err.response?.data?.message || "Kargolar oluşturulurken hata oluştu",
+        "error"
+      );
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const handleOpenLabels = async () => {
+    try {
+      const response = await api.post("/shipping/shipments/labels", {
+        orderIds: results
+          .filter((item) => item.status === "created")
+          .map((item) => item.orderId),
+      });
+      const labels = response.data.data;
+      if (labels.length === 0) {
+        showAlert("Yazdırılacak kargo etiketi bulunamadı", "warning");
+        return;
+      }
+      labels.forEach((label) => window.open(label.labelUrl, "_blank"));
+    } catch (err) {
+      logger.error("Error loading shipping labels:", err);
+      showAlert("Kargo etiketleri alınırken hata oluştu", "error");
+    }
+  };
+
+  const readyCount = preview?.stats?.ready || 0;
+  const rows = results || preview?.items || [];
+
+  return (
+    <Modal isOpen onClose={onClose} title="Kargo Etiketi Oluştur" size="xl">
+      <div className="space-y-4">
+        {!results && (
+          <div className="flex flex-wrap items-center justify-between gap-3">
+            <div className="flex items-center gap-2">
+              <label className="text-sm font-medium text-gray-700">
+                Kargo seçimi
+              </label>
+              <select
+                value={strategy}
+                onChange={(e) => setStrategy(e.target.value)}
+                className="border border-gray-300 rounded-md px-3 py-1.5 text-sm"
+              >
+                {strategyOptions.map((option) => (
+                  <option key={option.value} value={option.value}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <Button variant="outline" size="sm" onClick={loadPreview} disabled={loading}>
+              <RefreshCw className={`h-4 w-4 mr-2 ${loading ? "animate-spin" : ""}`} />
+              Yenile
+            </Button>
+          </div>
+        )}
+
+        {error && (
+          <div className="flex items-start gap-2 p-3 bg-red-50 border border-red-200 rounded-md text-sm text-red-700">
+            <AlertTriangle className="h-4 w-4 mt-0.5 flex-shrink-0" />
+            <span>{error}</span>
+          </div>
+        )}
+
+        {loading && !preview ? (
+          <div className="flex items-center justify-center py-12">
+            <Loader2 className="h-6 w-6 animate-spin text-gray-400" />
+            <span className="ml-2 text-gray-600">Kargo seçenekleri hesaplanıyor...</span>
+          </div>
+        ) : (
+          rows.length > 0 && (
+            <div className="overflow-x-auto max-h-96 border border-gray-200 rounded-md">
+              <table className="w-full">
+                <thead className="bg-gray-50 border-b border-gray-200 sticky top-0">
+                  <tr>
+                    <th className={thClass}>Sipariş</th>
+                    <th className={thClass}>Kapıda Ödeme</th>
+                    <th className={thClass}>Kargo</th>
+                    <th className={thClass}>Ücret</th>
+                    <th className={thClass}>{results ? "Takip No" : "Teslim (gün)"}</th>
+                    <th className={thClass}>Durum</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                  {rows.map((item) => (
+                    <tr key={item.orderId} className="text-sm">
+                      <td className="px-3 py-2">
+                        <div className="font-medium text-gray-900">{item.orderNumber}</div>
+                        <div className="text-xs text-gray-500">
+                          {item.customerName}
+                          {item.city && ` · ${item.city}`}
+                        </div>
+                      </td>
+                      <td className="px-3 py-2">
+                        <input
+                          type="checkbox"
+                          checked={codOrderIds.includes(item.orderId)}
+                          disabled={!!results || loading}
+                          onChange={() => toggleCod(item.orderId)}
+                        />
+                      </td>
+                      <td className="px-3 py-2">
+                        {item.carrierName || item.carrier || "-"}
+                        {item.reason && (
+                          <div className="text-xs text-gray-500">
+                            {reasonLabels[item.reason] || item.reason}
+                          </div>
+                        )}
+                      </td>
+                      <td className="px-3 py-2">{formatPrice(item.price)}</td>
+                      <td className="px-3 py-2">
+                        {results ? (
+                          item.trackingUrl ? (
+                            <a
+                              href={item.trackingUrl}
+                              target="_blank"
+                              rel="noopener noreferrer"
+                              className="text-blue-600 hover:underline"
+                            >
+                              {item.trackingNumber}
+                            </a>
+                          ) : (
+                            item.trackingNumber || "-"
+                          )
+                        ) : (
+                          item.estimatedDeliveryDays || "-"
+                        )}
+                      </td>
+                      <td className="px-3 py-2">
+                        <Badge variant={statusVariants[item.status] || "secondary"}>
+                          {statusLabels[item.status] || item.status}
+                        </Badge>
+                        {(item.message || item.error) && (
+                          <div className="text-xs text-gray-500 mt-1">
+                            {item.message || item.error}
+                          </div>
+                        )}
+                        {item.marketplaceSyncStatus === "failed" && (
+                          <div className="text-xs text-amber-600 mt-1">
+                            Pazaryerine bildirilemedi
+                          </div>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )
+        )}
+
+        <div className="flex justify-end gap-2 pt-2">
+          <Button variant="outline" onClick={onClose}>
+            Kapat
+          </Button>
+          {results ? (
+            <Button variant="primary" onClick={handleOpenLabels}>
+              <FileText className="h-4 w-4 mr-2" />
+              Etiketleri Aç
+            </Button>
+          ) : (
+            <Button
+              variant="primary"
+              onClick={handleCreate}
+              disabled={creating || loading || readyCount === 0}
+            >
+              {creating ? (
+                <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+              ) : (
+                <Truck className="h-4 w-4 mr-2" />
+              )}
+              {readyCount} Kargo Oluştur
+            </Button>
+          )}
+        </div>
+      </div>
+    </Modal>
+  );
+};
+
+export default ShipmentCreationModal;
@@ -26,6 +26,8 @@ import {
   WifiIcon,
   LinkIcon,
   CommandLineIcon,
+  ReceiptPercentIcon,
+  CalculatorIcon,
 } from "@heroicons/react/24/outline";
 
 // Enhanced Order Counts Hook with Real-time Updates
@@ -207,6 +209,11 @@ const createNavigationSections = (orderCounts, userPermissions = [], t) => [
                 ? orderCounts.delivered.toString()
                 : null,
           },
+          {
+            name: "İadeler",
+            href: "/orders/returns",
+            ariaLabel: "Pazaryeri iade talepleri",
+          },
         ],
       },
       {
@@ -236,6 +243,11 @@ const createNavigationSections = (orderCounts, userPermissions = [], t) => [
             href: "/products/pricing",
             ariaLabel: "Ürün fiyatlandırması",
           },
+          {
+            name: "Tedarikçi Beslemeleri",
+            href: "/products/pricing/feeds",
+            ariaLabel: "Tedarikçi fiyat beslemeleri",
+          },
           {
             name: "Varyant Algılama",
             href: "/products/variant-detection",
@@ -265,6 +277,16 @@ const createNavigationSections = (orderCounts, userPermissions = [], t) => [
             href: "/customer-questions",
             ariaLabel: "Müşteri soruları ve cevapları",
           },
+          {
+            name: "Yanıt Taslakları",
+            href: "/customer-questions/drafts",
+            ariaLabel: "Otomatik hazırlanan soru yanıtları",
+          },
+          {
+            name: "Canlı Destek",
+            href: "/customer-chats",
+            ariaLabel: "Sohbet ve WhatsApp konuşmaları",
+          },
           {
             name: "Müşteri Analitikleri",
             href: "/customers/analytics",
@@ -403,6 +425,32 @@ const createNavigationSections = (orderCounts, userPermissions = [], t) => [
         badge: "beta",
         ariaLabel: "Ödeme sistemi yönetimi",
       },
+      {
+        name: t("navigation.invoicing", {}, "Faturalama"),
+        href: "/invoicing/automation",
+        icon: ReceiptPercentIcon,
+        description: "e-Fatura ve e-Arşiv",
+        ariaLabel: "Faturalama yönetimi",
+        subItems: [
+          {
+            name: "Otomatik Faturalama",
+            href: "/invoicing/automation",
+            ariaLabel: "Otomatik faturalama kuralları ve işleri",
+          },
+          {
+            name: "İade Belgeleri",
+            href: "/invoicing/credit-notes",
+            ariaLabel: "İade faturaları ve fatura iptalleri",
+          },
+        ],
+      },
+      {
+        name: t("navigation.accounting", {}, "Muhasebe"),
+        href: "/accounting",
+        icon: CalculatorIcon,
+        description: "Dönemler ve dışa aktarım",
+        ariaLabel: "Muhasebe dönemleri, masraflar ve hesap planı",
+      },
     ],
   },
   {
@@ -22,6 +22,7 @@ import {
   User,
   ArrowUpDown,
   X,
+  SkipForward,
 } from "lucide-react";
 import { formatDistanceToNow } from "date-fns";
 import { tr } from "date-fns/locale";
@@ -30,6 +31,7 @@ import { useAlert } from "../../contexts/AlertContext";
 import { Button, Card, CardContent, Badge } from "../ui";
 import { useErrorHandler } from "../../hooks/useErrorHandler";
 import TaskDetailModal from "./TaskDetailModal";
+import TaskSchedulesPanel from "./TaskSchedulesPanel";
 
 const BackgroundTaskManager = () => {
   const { showAlert } = useAlert();
@@ -89,6 +91,13 @@ const BackgroundTaskManager = () => {
     report_generation: "Rapor Oluşturma",
     data_export: "Veri Dışa Aktarma",
     data_import: "Veri İçe Aktarma",
+    supplier_feed: "Tedarikçi Fiyat Beslemesi",
+    repricing: "Otomatik Fiyatlandırma",
+    shipment_creation: "Toplu Kargo Oluşturma",
+    shipment_tracking: "Kargo Takibi",
+    return_sync: "İade Senkronizasyonu",
+    workflow: "İş Akışı",
+    customer_matching: "Müşteri Eşleştirme",
   };
 
   // Priority definitions
@@ -169,6 +178,7 @@ const BackgroundTaskManager = () => {
       failed: XCircle,
       cancelled: Square,
       timeout: AlertTriangle,
+      skipped: SkipForward,
     };
     return iconMap[status] || AlertCircle;
   }, []);
@@ -183,6 +193,7 @@ const BackgroundTaskManager = () => {
       failed: "danger",
       cancelled: "secondary",
       timeout: "danger",
+      skipped: "secondary",
     };
     return variantMap[status] || "secondary";
   }, []);
@@ -197,6 +208,7 @@ const BackgroundTaskManager = () => {
       failed: "Başarısız",
       cancelled: "İptal Edildi",
       timeout: "Zaman Aşımı",
+      skipped: "Atlandı",
     };
     return textMap[status] || status;
   }, []);
@@ -618,6 +630,15 @@ const BackgroundTaskManager = () => {
         </Card>
       </div>
 
+      {/* Recurring Schedules */}
+      <TaskSchedulesPanel
+        taskTypes={taskTypes}
+        priorities={priorities}
+        getStatusText={getStatusText}
+        getStatusVariant={getStatusVariant}
+        onTaskQueued={loadTasks}
+      />
+
       {/* Controls */}
       <Card className="bg-white mb-6">
         <CardContent className="p-6">
@@ -685,6 +706,7 @@ const BackgroundTaskManager = () => {
                     <option value="failed">Başarısız</option>
                     <option value="cancelled">İptal</option>
                     <option value="paused">Duraklatıldı</option>
+                    <option value="skipped">Atlandı</option>
                   </select>
                 </div>
 
@@ -968,7 +990,7 @@ const BackgroundTaskManager = () => {
                             </Button>
                           )}
 
-                          {["completed", "failed", "cancelled"].includes(
+                          {["completed", "failed", "cancelled", "skipped"].includes(
                             task.status
                           ) && (
                             <Button
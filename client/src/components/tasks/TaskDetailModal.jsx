@@ -22,6 +22,7 @@ import {
   ArrowUp,
   ArrowDown,
   Minus,
+  SkipForward,
 } from "lucide-react";
 import { formatDistanceToNow, format } from "date-fns";
 import { tr } from "date-fns/locale";
@@ -37,6 +38,7 @@ import {
 import { useAlert } from "../../contexts/AlertContext";
 import { useErrorHandler } from "../../hooks/useErrorHandler";
 import api from "../../services/api";
+import TaskWorkflowGraph from "./TaskWorkflowGraph";
 
 const TaskDetailModal = ({
   task,
@@ -94,6 +96,7 @@ const TaskDetailModal = ({
       failed: XCircle,
       cancelled: XCircle,
       paused: Pause,
+      skipped: SkipForward,
     };
     return icons[status] || Clock;
   };
@@ -266,6 +269,8 @@ const TaskDetailModal = ({
   };
 
   const StatusIcon = getStatusIcon(task.status);
+  const workflowId =
+    task.taskType === "workflow" ? task.id : task.metadata?.workflowId;
   const priorityConfig = getPriorityConfig(task.priority);
   const PriorityIcon = priorityConfig.icon;
 
@@ -337,6 +342,17 @@ const TaskDetailModal = ({
           </Card>
         )}
 
+        {/* Workflow graph (for workflows and their steps) */}
+        {workflowId && (
+          <TaskWorkflowGraph
+            workflowId={workflowId}
+            highlightTaskId={task.id}
+            taskTypes={taskTypes}
+            getStatusText={getStatusText}
+            getStatusVariant={getStatusVariant}
+          />
+        )}
+
         {/* Task Information */}
         <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
           {/* Basic Information */}
@@ -461,8 +477,8 @@ const TaskDetailModal = ({
           </Card>
         )}
 
-        {/* Error Information (for failed tasks) */}
-        {task.status === "failed" && task.error && (
+        {/* Error Information (for failed and skipped tasks) */}
+        {["failed", "skipped"].includes(task.status) && task.error && (
           <Card>
             <CardHeader>
               <CardTitle className="flex items-center space-x-2 text-red-600">
@@ -0,0 +1,674 @@
+import logger from "../../utils/logger.js";
+import React, { useState, useEffect, useCallback } from "react";
+import {
+  CalendarClock,
+  Play,
+  Pause,
+  Plus,
+  Trash2,
+  Edit,
+  Zap,
+  Loader2,
+} from "lucide-react";
+import { format, formatDistanceToNow } from "date-fns";
+import { tr } from "date-fns/locale";
+import api from "../../services/api";
+import { useAlert } from "../../contexts/AlertContext";
+import { Button, Card, CardContent, Badge, Modal } from "../ui";
+import { useErrorHandler } from "../../hooks/useErrorHandler";
+
+const DEFAULT_TIMEZONE = "Europe/Istanbul";
+
+const cronPresets = [
+  { label: "Her saat", value: "0 * * * *" },
+  { label: "Her 6 saatte bir", value: "0 */6 * * *" },
+  { label: "Her gün 03:00", value: "0 3 * * *" },
+  { label: "Hafta içi 09:00", value: "0 9 * * 1-5" },
+  { label: "Her pazartesi 08:00", value: "0 8 * * 1" },
+];
+
+const catchUpModes = {
+  skip: "Kaçırılanları atla",
+  once: "Bir kez telafi et",
+  all: "Her birini çalıştır",
+};
+
+const emptyForm = {
+  name: "",
+  taskType: "order_fetching",
+  platformConnectionId: "",
+  recurrence: "cron",
+  cronExpression: "0 * * * *",
+  intervalMinutes: 60,
+  timezone: DEFAULT_TIMEZONE,
+  priority: "normal",
+  catchUpMode: "once",
+  allowOverlap: false,
+  config: "{}",
+};
+
+const formatRunDate = (value) => {
+  if (!value) return "-";
+  return format(new Date(value), "dd.MM.yyyy HH:mm", { locale: tr });
+};
+
+const describeRecurrence = (schedule) => {
+  if (schedule.cronExpression) {
+    const preset = cronPresets.find(
+      (p) => p.value === schedule.cronExpression
+    );
+    return preset ? preset.label : schedule.cronExpression;
+  }
+  return `Her ${schedule.intervalMinutes} dakikada bir`;
+};
+
+const ScheduleFormModal = ({
+  schedule,
+  connections,
+  taskTypes,
+  priorities,
+  onClose,
+  onSaved,
+}) => {
+  const { showAlert } = useAlert();
+  const { handleError } = useErrorHandler();
+  const [form, setForm] = useState(() =>
+    schedule
+      ? {
+          ...emptyForm,
+          ...schedule,
+          platformConnectionId: schedule.platformConnectionId || "",
+          recurrence: schedule.cronExpression ? "cron" : "interval",
+          cronExpression: schedule.cronExpression || emptyForm.cronExpression,
+          intervalMinutes: schedule.intervalMinutes || emptyForm.intervalMinutes,
+          config: JSON.stringify(schedule.config || {}, null, 2),
+        }
+      : emptyForm
+  );
+  const [preview, setPreview] = useState([]);
+  const [saving, setSaving] = useState(false);
+
+  const recurrencePayload = useCallback(
+    () =>
+      form.recurrence === "cron"
+        ? { cronExpression: form.cronExpression.trim(), intervalMinutes: null }
+        : {
+            cronExpression: null,
+            intervalMinutes: parseInt(form.intervalMinutes, 10),
+          },
+    [form.recurrence, form.cronExpression, form.intervalMinutes]
+  );
+
+  // Preview upcoming runs whenever the recurrence changes
+  useEffect(() => {
+    const timer = setTimeout(async () => {
+      try {
+        const response = await api.post("/background-tasks/schedules/preview", {
+          ...recurrencePayload(),
+          timezone: form.timezone,
+        });
+        setPreview(response.data.success ? response.data.data : []);
+      } catch (err) {
+        setPreview([]);
+      }
+    }, 400);
+    return () => clearTimeout(timer);
+  }, [recurrencePayload, form.timezone]);
+
+  const handleChange = (key, value) => {
+    setForm((prev) => ({ ...prev, [key]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    let config;
+    try {
+      config = JSON.parse(form.config || "{}");
+    } catch (err) {
+      showAlert("Görev ayarları geçerli bir JSON olmalıdır", "error");
+      return;
+    }
+
+    const payload = {
+      name: form.name.trim(),
+      taskType: form.taskType,
+      platformConnectionId: form.platformConnectionId
+        ? parseInt(form.platformConnectionId, 10)
+        : null,
+      ...recurrencePayload(),
+      timezone: form.timezone || DEFAULT_TIMEZONE,
+      priority: form.priority,
+      catchUpMode: form.catchUpMode,
+      allowOverlap: form.allowOverlap,
+      config,
+    };
+
+    try {
+      setSaving(true);
+      if (schedule) {
+        await api.put(`/background-tasks/schedules/${schedule.id}`, payload);
+        showAlert("Zamanlama güncellendi", "success");
+      } else {
+        await api.post("/background-tasks/schedules", payload);
+        showAlert("Zamanlama oluşturuldu", "success");
+      }
+      onSaved();
+    } catch (error) {
+      handleError(error, "Zamanlama kaydedilirken hata oluştu");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const inputClass =
+    "w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500 focus:border-transparent";
+  const labelClass = "block text-sm font-medium text-gray-700 mb-1";
+
+  return (
+    <Modal
+      isOpen
+      onClose={onClose}
+      title={schedule ? "Zamanlamayı Düzenle" : "Yeni Zamanlama"}
+      size="lg"
+    >
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div>
+            <label className={labelClass}>Ad</label>
+            <input
+              type="text"
+              required
+              value={form.name}
+              onChange={(e) => handleChange("name", e.target.value)}
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label className={labelClass}>Görev Türü</label>
+            <select
+              value={form.taskType}
+              onChange={(e) => handleChange("taskType", e.target.value)}
+              className={inputClass}
+            >
+              {Object.entries(taskTypes).map(([key, label]) => (
+                <option key={key} value={key}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className={labelClass}>Platform Bağlantısı</label>
+            <select
+              value={form.platformConnectionId}
+              onChange={(e) =>
+                handleChange("platformConnectionId", e.target.value)
+              }
+              className={inputClass}
+            >
+              <option value="">Tüm bağlantılar / yok</option>
+              {connections.map((connection) => (
+                <option key={connection.id} value={connection.id}>
+                  {connection.name} ({connection.platformType})
+                </option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className={labelClass}>Öncelik</label>
+            <select
+              value={form.priority}
+              onChange={(e) => handleChange("priority", e.target.value)}
+              className={inputClass}
+            >
+              {Object.entries(priorities).map(([key, label]) => (
+                <option key={key} value={key}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        <div>
+          <label className={labelClass}>Tekrar</label>
+          <div className="flex space-x-4 mb-2">
+            <label className="flex items-center text-sm">
+              <input
+                type="radio"
+                checked={form.recurrence === "cron"}
+                onChange={() => handleChange("recurrence", "cron")}
+                className="mr-2"
+              />
+              Cron ifadesi
+            </label>
+            <label className="flex items-center text-sm">
+              <input
+                type="radio"
+                checked={form.recurrence === "interval"}
+                onChange={() => handleChange("recurrence", "interval")}
+                className="mr-2"
+              />
+              Sabit aralık
+            </label>
+          </div>
+          {form.recurrence === "cron" ? (
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <input
+                type="text"
+                value={form.cronExpression}
+                onChange={(e) => handleChange("cronExpression", e.target.value)}
+                placeholder="dakika saat gün ay haftanın-günü"
+                className={`${inputClass} font-mono`}
+              />
+              <select
+                value=""
+                onChange={(e) =>
+                  e.target.value && handleChange("cronExpression", e.target.value)
+                }
+                className={inputClass}
+              >
+                <option value="">Hazır şablon seçin...</option>
+                {cronPresets.map((preset) => (
+                  <option key={preset.value} value={preset.value}>
+                    {preset.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+          ) : (
+            <div className="flex items-center space-x-2">
+              <input
+                type="number"
+                min="1"
+                value={form.intervalMinutes}
+                onChange={(e) => handleChange("intervalMinutes", e.target.value)}
+                className={`${inputClass} w-32`}
+              />
+              <span className="text-sm text-gray-600">dakikada bir</span>
+            </div>
+          )}
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div>
+            <label className={labelClass}>Saat Dilimi</label>
+            <input
+              type="text"
+              value={form.timezone}
+              onChange={(e) => handleChange("timezone", e.target.value)}
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label className={labelClass}>Kaçırılan Çalışmalar</label>
+            <select
+              value={form.catchUpMode}
+              onChange={(e) => handleChange("catchUpMode", e.target.value)}
+              className={inputClass}
+            >
+              {Object.entries(catchUpModes).map(([key, label]) => (
+                <option key={key} value={key}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        <label className="flex items-center text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={form.allowOverlap}
+            onChange={(e) => handleChange("allowOverlap", e.target.checked)}
+            className="rounded border-gray-300 text-blue-600 focus:ring-blue-500 mr-2"
+          />
+          Önceki çalışma bitmeden yenisini başlatmaya izin ver
+        </label>
+
+        <div>
+          <label className={labelClass}>Görev Ayarları (JSON)</label>
+          <textarea
+            rows={4}
+            value={form.config}
+            onChange={(e) => handleChange("config", e.target.value)}
+            className={`${inputClass} font-mono text-sm`}
+          />
+        </div>
+
+        <div className="bg-gray-50 rounded-lg p-3">
+          <p className="text-sm font-medium text-gray-700 mb-1">
+            Sonraki çalışmalar
+          </p>
+          {preview.length > 0 ? (
+            <ul className="text-sm text-gray-600 space-y-0.5">
+              {preview.map((runAt) => (
+                <li key={runAt}>{formatRunDate(runAt)}</li>
+              ))}
+            </ul>
+          ) : (
+            <p className="text-sm text-red-600">Geçersiz zamanlama</p>
+          )}
+        </div>
+
+        <div className="flex justify-end space-x-3 pt-2">
+          <Button type="button" variant="outline" onClick={onClose}>
+            Vazgeç
+          </Button>
+          <Button type="submit" variant="primary" disabled={saving}>
+            {saving && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+            Kaydet
+          </Button>
+        </div>
+      </form>
+    </Modal>
+  );
+};
+
+const TaskSchedulesPanel = ({
+  taskTypes,
+  priorities,
+  getStatusText,
+  getStatusVariant,
+  onTaskQueued,
+}) => {
+  const { showAlert } = useAlert();
+  const { handleError } = useErrorHandler();
+
+  const [schedules, setSchedules] = useState([]);
+  const [connections, setConnections] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [editingSchedule, setEditingSchedule] = useState(null);
+  const [showForm, setShowForm] = useState(false);
+
+  const loadSchedules = useCallback(async () => {
+    try {
+      const response = await api.get("/background-tasks/schedules");
+      if (response.data.success) {
+        setSchedules(response.data.data || []);
+      }
+    } catch (err) {
+      logger.error("Error loading task schedules:", err);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  const loadConnections = useCallback(async () => {
+    try {
+      const response = await api.get("/platforms/connections");
+      setConnections(response.data.data || []);
+    } catch (err) {
+      logger.error("Error loading platform connections:", err);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadSchedules();
+    loadConnections();
+  }, [loadSchedules, loadConnections]);
+
+  // Keep next run / last result fresh
+  useEffect(() => {
+    const interval = setInterval(loadSchedules, 30000);
+    return () => clearInterval(interval);
+  }, [loadSchedules]);
+
+  const handleToggle = useCallback(
+    async (schedule) => {
+      const action = schedule.status === "active" ? "pause" : "resume";
+      try {
+        await api.patch(`/background-tasks/schedules/${schedule.id}/${action}`);
+        showAlert(
+          action === "pause"
+            ? "Zamanlama duraklatıldı"
+            : "Zamanlama devam ettirildi",
+          "success"
+        );
+        loadSchedules();
+      } catch (error) {
+        handleError(error, "Zamanlama güncellenirken hata oluştu");
+      }
+    },
+    [showAlert, handleError, loadSchedules]
+  );
+
+  const handleRunNow = useCallback(
+    async (schedule) => {
+      try {
+        await api.post(`/background-tasks/schedules/${schedule.id}/run`);
+        showAlert("Görev kuyruğa eklendi", "success");
+        loadSchedules();
+        onTaskQueued?.();
+      } catch (error) {
+        handleError(error, "Görev başlatılırken hata oluştu");
+      }
+    },
+    [showAlert, handleError, loadSchedules, onTaskQueued]
+  );
+
+  const handleDelete = useCallback(
+    async (schedule) => {
+      if (
+        !window.confirm(
+          `"${schedule.name}" zamanlamasını silmek istediğinizden emin misiniz?`
+        )
+      ) {
+        return;
+      }
+
+      try {
+        await api.delete(`/background-tasks/schedules/${schedule.id}`);
+        showAlert("Zamanlama silindi", "success");
+        loadSchedules();
+      } catch (error) {
+        handleError(error, "Zamanlama silinirken hata oluştu");
+      }
+    },
+    [showAlert, handleError, loadSchedules]
+  );
+
+  const openForm = (schedule = null) => {
+    setEditingSchedule(schedule);
+    setShowForm(true);
+  };
+
+  return (
+    <Card className="bg-white mb-6">
+      <CardContent className="p-0">
+        <div className="flex items-center justify-between px-6 py-4 border-b border-gray-200">
+          <div className="flex items-center">
+            <CalendarClock className="h-5 w-5 text-blue-600 mr-2" />
+            <h2 className="text-lg font-semibold text-gray-900">
+              Zamanlanmış Görevler
+            </h2>
+          </div>
+          <Button onClick={() => openForm()} variant="primary" size="sm">
+            <Plus className="h-4 w-4 mr-2" />
+            Yeni Zamanlama
+          </Button>
+        </div>
+
+        {loading ? (
+          <div className="flex items-center justify-center py-8">
+            <Loader2 className="h-6 w-6 animate-spin text-blue-600" />
+          </div>
+        ) : schedules.length === 0 ? (
+          <div className="text-center py-8 text-sm text-gray-600">
+            Henüz tekrarlanan görev tanımlanmadı.
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead className="bg-gray-50 border-b border-gray-200">
+                <tr>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Zamanlama
+                  </th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Tekrar
+                  </th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Sonraki Çalışma
+                  </th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Son Sonuç
+                  </th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Durum
+                  </th>
+                  <th className="px-4 py-3 text-center text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    İşlemler
+                  </th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {schedules.map((schedule) => (
+                  <tr key={schedule.id} className="hover:bg-gray-50">
+                    <td className="px-4 py-4">
+                      <div className="text-sm font-medium text-gray-900">
+                        {schedule.name}
+                      </div>
+                      <div className="text-sm text-gray-500">
+                        {taskTypes[schedule.taskType] || schedule.taskType}
+                        {schedule.platformConnection &&
+                          ` · ${schedule.platformConnection.name}`}
+                      </div>
+                    </td>
+                    <td className="px-4 py-4">
+                      <div className="text-sm text-gray-900">
+                        {describeRecurrence(schedule)}
+                      </div>
+                      <div className="text-xs text-gray-500">
+                        {schedule.timezone} ·{" "}
+                        {catchUpModes[schedule.catchUpMode]}
+                      </div>
+                    </td>
+                    <td className="px-4 py-4">
+                      {schedule.status === "active" && schedule.nextRunAt ? (
+                        <>
+                          <div className="text-sm text-gray-900">
+                            {formatRunDate(schedule.nextRunAt)}
+                          </div>
+                          <div className="text-xs text-gray-500">
+                            {formatDistanceToNow(new Date(schedule.nextRunAt), {
+                              addSuffix: true,
+                              locale: tr,
+                            })}
+                          </div>
+                        </>
+                      ) : (
+                        <span className="text-sm text-gray-500">-</span>
+                      )}
+                    </td>
+                    <td className="px-4 py-4">
+                      {schedule.lastTask ? (
+                        <Badge variant={getStatusVariant(schedule.lastTask.status)}>
+                          {getStatusText(schedule.lastTask.status)}
+                        </Badge>
+                      ) : (
+                        <span className="text-sm text-gray-500">
+                          Henüz çalışmadı
+                        </span>
+                      )}
+                      {schedule.lastRunAt && (
+                        <div className="text-xs text-gray-500 mt-1">
+                          {formatRunDate(schedule.lastRunAt)}
+                        </div>
+                      )}
+                      {schedule.lastError && (
+                        <div
+                          className="text-xs text-red-600 mt-1 truncate max-w-xs"
+                          title={schedule.lastError}
+                        >
+                          {schedule.lastError}
+                        </div>
+                      )}
+                      {schedule.skippedCount > 0 && (
+                        <div className="text-xs text-yellow-700 mt-1">
+                          {schedule.skippedCount} çalışma atlandı
+                        </div>
+                      )}
+                    </td>
+                    <td className="px-4 py-4">
+                      <Badge
+                        variant={
+                          schedule.status === "active" ? "success" : "secondary"
+                        }
+                      >
+                        {schedule.status === "active" ? "Aktif" : "Duraklatıldı"}
+                      </Badge>
+                    </td>
+                    <td className="px-4 py-4">
+                      <div className="flex items-center justify-center space-x-2">
+                        <Button
+                          onClick={() => handleToggle(schedule)}
+                          variant={
+                            schedule.status === "active" ? "warning" : "primary"
+                          }
+                          size="sm"
+                          title={
+                            schedule.status === "active"
+                              ? "Duraklat"
+                              : "Devam ettir"
+                          }
+                        >
+                          {schedule.status === "active" ? (
+                            <Pause className="h-4 w-4" />
+                          ) : (
+                            <Play className="h-4 w-4" />
+                          )}
+                        </Button>
+                        <Button
+                          onClick={() => handleRunNow(schedule)}
+                          variant="outline"
+                          size="sm"
+                          title="Şimdi çalıştır"
+                        >
+                          <Zap className="h-4 w-4" />
+                        </Button>
+                        <Button
+                          onClick={() => openForm(schedule)}
+                          variant="outline"
+                          size="sm"
+                          title="Düzenle"
+                        >
+                          <Edit className="h-4 w-4" />
+                        </Button>
+                        <Button
+                          onClick={() => handleDelete(schedule)}
+                          variant="danger"
+                          size="sm"
+                          title="Sil"
+                        >
+                          <Trash2 className="h-4 w-4" />
+                        </Button>
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </CardContent>
+
+      {showForm && (
+        <ScheduleFormModal
+          schedule={editingSchedule}
+          connections={connections}
+          taskTypes={taskTypes}
+          priorities={priorities}
+          onClose={() => setShowForm(false)}
+          onSaved={() => {
+            setShowForm(false);
+            loadSchedules();
+          }}
+        />
+      )}
+    </Card>
+  );
+};
+
+export default TaskSchedulesPanel;
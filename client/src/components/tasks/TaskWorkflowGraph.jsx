@@ -0,0 +1,292 @@
+import React, { useState, useEffect, useCallback, useMemo } from "react";
+import { GitBranch, Loader2, RefreshCw, Ban } from "lucide-react";
+import api from "../../services/api";
+import { useErrorHandler } from "../../hooks/useErrorHandler";
+import { Button, Card, CardContent, CardHeader, CardTitle, Badge } from "../ui";
+
+const NODE_WIDTH = 208;
+const NODE_HEIGHT = 88;
+const COLUMN_GAP = 72;
+const ROW_GAP = 20;
+
+const FINISHED_STATUSES = ["completed", "failed", "cancelled", "timeout", "skipped"];
+
+// What happens to a step when this dependency fails
+const POLICY_LABELS = {
+  block: "engelle",
+  skip: "atla",
+  continue: "devam et",
+};
+
+const POLICY_COLORS = {
+  block: "#9ca3af",
+  skip: "#f59e0b",
+  continue: "#10b981",
+};
+
+const STATE_TEXT = {
+  waiting: "Bağımlılık bekleniyor",
+  blocked: "Başarısız adım yüzünden engellendi",
+  ready: "Başlamaya hazır",
+};
+
+const getPercentage = (progress) => {
+  if (!progress) return 0;
+  if (progress.percentage !== undefined) return progress.percentage;
+  if (progress.total > 0) {
+    return Math.floor((progress.current / progress.total) * 100);
+  }
+  return 0;
+};
+
+/**
+ * Place each step in the column after its deepest dependency
+ */
+const layoutGraph = (nodes, edges) => {
+  const incoming = new Map(nodes.map((node) => [node.id, []]));
+  edges.forEach((edge) => {
+    if (incoming.has(edge.to)) incoming.get(edge.to).push(edge.from);
+  });
+
+  const depths = new Map();
+  const depthOf = (id, seen = new Set()) => {
+    if (depths.has(id)) return depths.get(id);
+    if (seen.has(id)) return 0;
+    seen.add(id);
+    const parents = (incoming.get(id) || []).filter((from) =>
+      incoming.has(from)
+    );
+    const depth =
+      parents.length === 0
+        ? 0
+        : Math.max(...parents.map((from) => depthOf(from, seen))) + 1;
+    depths.set(id, depth);
+    return depth;
+  };
+
+  const columns = [];
+  nodes.forEach((node) => {
+    const depth = depthOf(node.id);
+    if (!columns[depth]) columns[depth] = [];
+    columns[depth].push(node);
+  });
+
+  const positions = new Map();
+  columns.forEach((column, columnIndex) => {
+    column.forEach((node, rowIndex) => {
+      positions.set(node.id, {
+        x: columnIndex * (NODE_WIDTH + COLUMN_GAP),
+        y: rowIndex * (NODE_HEIGHT + ROW_GAP),
+      });
+    });
+  });
+
+  const rows = Math.max(0, ...columns.map((column) => column.length));
+  return {
+    positions,
+    width: Math.max(0, columns.length * (NODE_WIDTH + COLUMN_GAP) - COLUMN_GAP),
+    height: Math.max(0, rows * (NODE_HEIGHT + ROW_GAP) - ROW_GAP),
+  };
+};
+
+const TaskWorkflowGraph = ({
+  workflowId,
+  highlightTaskId,
+  taskTypes,
+  getStatusText,
+  getStatusVariant,
+}) => {
+  const { handleError } = useErrorHandler();
+  const [graph, setGraph] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  const fetchGraph = useCallback(async () => {
+    try {
+      const response = await api.get(`/background-tasks/${workflowId}/workflow`);
+      if (response.data.success) {
+        setGraph(response.data.data);
+      }
+    } catch (error) {
+      handleError(error, "İş akışı yüklenemedi");
+    } finally {
+      setLoading(false);
+    }
+  }, [workflowId, handleError]);
+
+  useEffect(() => {
+    fetchGraph();
+  }, [fetchGraph]);
+
+  // Keep polling while the workflow is still running
+  const isFinished = graph
+    ? FINISHED_STATUSES.includes(graph.workflow.status)
+    : false;
+  useEffect(() => {
+    if (!graph || isFinished) return undefined;
+    const interval = setInterval(fetchGraph, 5000);
+    return () => clearInterval(interval);
+  }, [graph, isFinished, fetchGraph]);
+
+  const layout = useMemo(
+    () => (graph ? layoutGraph(graph.nodes, graph.edges) : null),
+    [graph]
+  );
+
+  if (loading) {
+    return (
+      <Card>
+        <CardContent className="py-6 flex justify-center">
+          <Loader2 className="w-5 h-5 animate-spin text-gray-400" />
+        </CardContent>
+      </Card>
+    );
+  }
+
+  if (!graph || !layout) {
+    return null;
+  }
+
+  const { workflow, nodes, edges, summary } = graph;
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center justify-between">
+          <div className="flex items-center space-x-2">
+            <GitBranch className="w-4 h-4" />
+            <span>
+              İş Akışı{workflow.config?.name ? `: ${workflow.config.name}` : ""}
+            </span>
+            <Badge variant={getStatusVariant(workflow.status)}>
+              {getStatusText(workflow.status)}
+            </Badge>
+          </div>
+          <div className="flex items-center space-x-3 text-sm font-normal text-gray-600">
+            <span>
+              {summary.finished}/{summary.total} adım tamamlandı
+            </span>
+            {summary.blocked > 0 && (
+              <span className="flex items-center text-red-600">
+                <Ban className="w-3 h-3 mr-1" />
+                {summary.blocked} engellendi
+              </span>
+            )}
+            <Button
+              variant="outline"
+              size="sm"
+              icon={RefreshCw}
+              onClick={fetchGraph}
+            >
+              Yenile
+            </Button>
+          </div>
+        </CardTitle>
+      </CardHeader>
+      <CardContent>
+        <div className="overflow-x-auto pb-2">
+          <div
+            className="relative"
+            style={{ width: layout.width, height: layout.height }}
+          >
+            <svg
+              className="absolute inset-0 pointer-events-none"
+              width={layout.width}
+              height={layout.height}
+            >
+              {edges.map((edge) => {
+                const from = layout.positions.get(edge.from);
+                const to = layout.positions.get(edge.to);
+                if (!from || !to) return null;
+
+                const x1 = from.x + NODE_WIDTH;
+                const y1 = from.y + NODE_HEIGHT / 2;
+                const x2 = to.x;
+                const y2 = to.y + NODE_HEIGHT / 2;
+                const midX = (x1 + x2) / 2;
+                const color = POLICY_COLORS[edge.onFailure] || POLICY_COLORS.block;
+
+                return (
+                  <g key={`${edge.from}-${edge.to}`}>
+                    <path
+                      d={`M ${x1} ${y1} C ${midX} ${y1}, ${midX} ${y2}, ${x2} ${y2}`}
+                      fill="none"
+                      stroke={color}
+                      strokeWidth="2"
+                      strokeDasharray={edge.onFailure === "continue" ? "4 3" : undefined}
+                    />
+                    <text
+                      x={midX}
+                      y={(y1 + y2) / 2 - 4}
+                      textAnchor="middle"
+                      fontSize="10"
+                      fill={color}
+                    >
+                      {POLICY_LABELS[edge.onFailure] || edge.onFailure}
+                    </text>
+                  </g>
+                );
+              })}
+            </svg>
+
+            {nodes.map((node) => {
+              const position = layout.positions.get(node.id);
+              const percentage =
+                node.status === "completed" ? 100 : getPercentage(node.progress);
+              const hint =
+                node.status === "pending" ? STATE_TEXT[node.state] : node.error;
+
+              return (
+                <div
+                  key={node.id}
+                  className={`absolute rounded-lg border bg-white p-2 shadow-sm ${
+                    node.id === highlightTaskId
+                      ? "border-blue-500 ring-2 ring-blue-200"
+                      : node.state === "blocked"
+                        ? "border-red-300"
+                        : "border-gray-200"
+                  }`}
+                  style={{
+                    left: position.x,
+                    top: position.y,
+                    width: NODE_WIDTH,
+                    height: NODE_HEIGHT,
+                  }}
+                  title={node.reason || node.error || undefined}
+                >
+                  <div className="flex items-center justify-between">
+                    <span className="text-sm font-medium text-gray-900 truncate">
+                      {node.name}
+                    </span>
+                    <Badge variant={getStatusVariant(node.status)}>
+                      {getStatusText(node.status)}
+                    </Badge>
+                  </div>
+                  <div className="text-xs text-gray-500 truncate">
+                    {taskTypes[node.taskType] || node.taskType}
+                  </div>
+                  <div className="mt-2 w-full bg-gray-200 rounded-full h-1.5">
+                    <div
+                      className={`h-1.5 rounded-full transition-all duration-300 ${
+                        node.status === "failed" || node.status === "timeout"
+                          ? "bg-red-500"
+                          : node.status === "completed"
+                            ? "bg-green-500"
+                            : "bg-blue-600"
+                      }`}
+                      style={{ width: `${percentage}%` }}
+                    />
+                  </div>
+                  <div className="mt-1 text-xs text-gray-500 truncate">
+                    {hint || node.progress?.message || `%${percentage}`}
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default TaskWorkflowGraph;
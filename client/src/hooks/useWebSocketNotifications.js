@@ -70,6 +70,7 @@ export const useWebSocketNotifications = () => {
                     "platform_errors",
                     "shipping",
                     "payments",
+                    "chat",
                   ],
                 })
               );
@@ -190,7 +191,7 @@ export const useWebSocketNotifications = () => {
                 title: "Shipping Update",
                 message: message.data?.message || "Shipping status updated",
                 type: "shipping",
-                priority: "medium",
+                priority: message.data?.exception ? "high" : "medium",
                 icon: "TruckIcon",
                 color: "text-blue-600 dark:text-blue-400",
                 bgColor: "bg-blue-100 dark:bg-blue-900/30",
@@ -198,6 +199,21 @@ export const useWebSocketNotifications = () => {
               });
               break;
 
+            case "chat_handoff":
+              addNotification({
+                title: "Canlı Destek Talebi",
+                message: `${
+                  message.data?.customerName || "Bir müşteri"
+                } müşteri temsilcisi bekliyor`,
+                type: "chat",
+                priority: "high",
+                icon: "ChatBubbleLeftRightIcon",
+                color: "text-purple-600 dark:text-purple-400",
+                bgColor: "bg-purple-100 dark:bg-purple-900/30",
+                data: message.data,
+              });
+              break;
+
             case "subscription_updated":
               logger.info("📋 Subscriptions updated:", message.subscriptions);
               break;
@@ -829,6 +829,12 @@ const PlatformOperations = () => {
                   <option value="report_generation">Report Generation</option>
                   <option value="data_export">Data Export</option>
                   <option value="data_import">Data Import</option>
+                  <option value="supplier_feed">Supplier Feed</option>
+                  <option value="repricing">Repricing</option>
+                  <option value="shipment_creation">Shipment Creation</option>
+                  <option value="shipment_tracking">Shipment Tracking</option>
+                  <option value="return_sync">Return Sync</option>
+                  <option value="customer_matching">Customer Matching</option>
                 </select>
 
                 <select
@@ -1221,6 +1227,12 @@ const PlatformOperations = () => {
                   <option value="report_generation">Report Generation</option>
                   <option value="data_export">Data Export</option>
                   <option value="data_import">Data Import</option>
+                  <option value="supplier_feed">Supplier Feed</option>
+                  <option value="repricing">Repricing</option>
+                  <option value="shipment_creation">Shipment Creation</option>
+                  <option value="shipment_tracking">Shipment Tracking</option>
+                  <option value="return_sync">Return Sync</option>
+                  <option value="customer_matching">Customer Matching</option>
                 </select>
               </div>
 
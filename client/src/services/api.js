@@ -804,6 +804,267 @@ const customerAPI = {
       throw error;
     }
   },
+
+  // Start a background task that finds customers who are the same buyer
+  matchIdentities: async () => {
+    try {
+      const response = await api.post("/customers/identity/match");
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Get suggested matches, optionally only those of one customer
+  getMatchCandidates: async (params = {}) => {
+    try {
+      const response = await api.get("/customers/identity/candidates", {
+        params,
+      });
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Merge the two customers of a suggested match
+  mergeMatchCandidate: async (candidateId, targetId) => {
+    try {
+      const response = await api.post(
+        `/customers/identity/candidates/${candidateId}/merge`,
+        { targetId }
+      );
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Mark a suggested match as different people
+  rejectMatchCandidate: async (candidateId) => {
+    try {
+      const response = await api.post(
+        `/customers/identity/candidates/${candidateId}/reject`
+      );
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Merge another customer ({ sourceId } or { sourceEmail }) into a customer
+  mergeCustomer: async (id, source) => {
+    try {
+      const response = await api.post(`/customers/${id}/merge`, source);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Split a merged record off a customer
+  splitCustomer: async (id, memberId) => {
+    try {
+      const response = await api.post(`/customers/${id}/split`, { memberId });
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Get customers, value and churn risk per RFM segment
+  getSegmentSummary: async () => {
+    try {
+      const response = await api.get("/customers/segments/summary");
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Get moves between RFM segments ({ startDate, endDate })
+  getSegmentMovement: async (params = {}) => {
+    try {
+      const response = await api.get("/customers/segments/movement", {
+        params,
+      });
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Rescore RFM segments in the background
+  recomputeSegments: async () => {
+    try {
+      const response = await api.post("/customers/segments/recompute");
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Get the RFM segment changes of a customer
+  getSegmentHistory: async (id) => {
+    try {
+      const response = await api.get(`/customers/${id}/segment-history`);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Record or withdraw commercial email consent
+  setMarketingConsent: async (id, consent, source = "manual") => {
+    try {
+      const response = await api.put(`/customers/${id}/marketing-consent`, {
+        consent,
+        source,
+      });
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+};
+
+// Marketing API methods
+const marketingAPI = {
+  // Get RFM and saved customer segments
+  getSegments: async () => {
+    try {
+      const response = await api.get("/marketing/segments");
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Save a customer segment, updates it when an id is given
+  saveSegment: async (segment, id = null) => {
+    try {
+      const response = id
+        ? await api.put(`/marketing/segments/${id}`, segment)
+        : await api.post("/marketing/segments", segment);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Delete a saved customer segment
+  deleteSegment: async (id) => {
+    try {
+      const response = await api.delete(`/marketing/segments/${id}`);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Preview the customers of a segment
+  getSegmentCustomers: async (id, params = {}) => {
+    try {
+      const response = await api.get(`/marketing/segments/${id}/customers`, {
+        params,
+      });
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Create a campaign for one or more segments
+  createCampaign: async (campaign) => {
+    try {
+      const response = await api.post("/marketing/campaigns", campaign);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Send a draft campaign now
+  sendCampaign: async (id) => {
+    try {
+      const response = await api.post(`/marketing/campaigns/${id}/send`);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Get campaigns with their open and click rates
+  getCampaigns: async () => {
+    try {
+      const response = await api.get("/marketing/campaigns");
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Stop a scheduled or sending campaign
+  cancelCampaign: async (id) => {
+    try {
+      const response = await api.post(`/marketing/campaigns/${id}/cancel`);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Get delivery, engagement and conversion report of a campaign
+  getCampaignReport: async (id) => {
+    try {
+      const response = await api.get(`/marketing/campaigns/${id}/report`);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Get email templates
+  getTemplates: async () => {
+    try {
+      const response = await api.get("/marketing/templates");
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Save an email template, updates it when an id is given
+  saveTemplate: async (template, id = null) => {
+    try {
+      const response = id
+        ? await api.put(`/marketing/templates/${id}`, template)
+        : await api.post("/marketing/templates", template);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Delete an email template
+  deleteTemplate: async (id) => {
+    try {
+      const response = await api.delete(`/marketing/templates/${id}`);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Render a template with sample or customer data
+  previewTemplate: async (template) => {
+    try {
+      const response = await api.post("/marketing/templates/preview", template);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
 };
 
 // Customer Questions API methods
@@ -993,6 +1254,185 @@ const customerQuestionsAPI = {
     },
   },
 
+  // Answer drafts and auto-answer rules
+  answerDrafts: {
+    // Get drafts for the review queue
+    getDrafts: async (params = {}) => {
+      try {
+        const response = await api.get("/customer-questions/answer-drafts", {
+          params,
+        });
+        return response.data;
+      } catch (error) {
+        logger.error("❌ API: Error getting answer drafts:", error);
+        throw error;
+      }
+    },
+
+    // Draft an answer for a question
+    createDraft: async (questionId) => {
+      try {
+        const response = await api.post(
+          `/customer-questions/${questionId}/answer-draft`
+        );
+        return response.data;
+      } catch (error) {
+        logger.error("❌ API: Error drafting answer:", error);
+        throw error;
+      }
+    },
+
+    // Approve a draft, optionally with edited text, and send it
+    approveDraft: async (draftId, text) => {
+      try {
+        const response = await api.post(
+          `/customer-questions/answer-drafts/${draftId}/approve`,
+          text ? { text } : {}
+        );
+        return response.data;
+      } catch (error) {
+        logger.error("❌ API: Error approving answer draft:", error);
+        throw error;
+      }
+    },
+
+    // Discard a draft
+    discardDraft: async (draftId) => {
+      try {
+        const response = await api.post(
+          `/customer-questions/answer-drafts/${draftId}/discard`
+        );
+        return response.data;
+      } catch (error) {
+        logger.error("❌ API: Error discarding answer draft:", error);
+        throw error;
+      }
+    },
+
+    // Get per category auto-answer rules
+    getRules: async () => {
+      try {
+        const response = await api.get("/customer-questions/auto-answer-rules");
+        return response.data;
+      } catch (error) {
+        logger.error("❌ API: Error getting auto-answer rules:", error);
+        throw error;
+      }
+    },
+
+    // Save the auto-answer rule of a category
+    saveRule: async (category, rule) => {
+      try {
+        const response = await api.put(
+          `/customer-questions/auto-answer-rules/${category}`,
+          rule
+        );
+        return response.data;
+      } catch (error) {
+        logger.error("❌ API: Error saving auto-answer rule:", error);
+        throw error;
+      }
+    },
+  },
+
+  // Answer deadlines, assignment and agent reports
+  sla: {
+    // Open questions by time left to their deadline
+    getSummary: async () => {
+      try {
+        const response = await api.get("/customer-questions/sla/summary");
+        return response.data;
+      } catch (error) {
+        logger.error("❌ API: Error getting SLA summary:", error);
+        throw error;
+      }
+    },
+
+    // Response times per team member
+    getAgentReport: async (params = {}) => {
+      try {
+        const response = await api.get(
+          "/customer-questions/sla/agent-report",
+          { params }
+        );
+        return response.data;
+      } catch (error) {
+        logger.error("❌ API: Error getting agent report:", error);
+        throw error;
+      }
+    },
+
+    // Team members questions can be assigned to
+    getTeamMembers: async () => {
+      try {
+        const response = await api.get("/customer-questions/team-members");
+        return response.data;
+      } catch (error) {
+        logger.error("❌ API: Error getting team members:", error);
+        throw error;
+      }
+    },
+
+    // Assign unassigned open questions now
+    autoAssign: async () => {
+      try {
+        const response = await api.post("/customer-questions/auto-assign");
+        return response.data;
+      } catch (error) {
+        logger.error("❌ API: Error auto-assigning questions:", error);
+        throw error;
+      }
+    },
+
+    getAssignmentRules: async () => {
+      try {
+        const response = await api.get("/customer-questions/assignment-rules");
+        return response.data;
+      } catch (error) {
+        logger.error("❌ API: Error getting assignment rules:", error);
+        throw error;
+      }
+    },
+
+    createAssignmentRule: async (rule) => {
+      try {
+        const response = await api.post(
+          "/customer-questions/assignment-rules",
+          rule
+        );
+        return response.data;
+      } catch (error) {
+        logger.error("❌ API: Error creating assignment rule:", error);
+        throw error;
+      }
+    },
+
+    updateAssignmentRule: async (ruleId, rule) => {
+      try {
+        const response = await api.put(
+          `/customer-questions/assignment-rules/${ruleId}`,
+          rule
+        );
+        return response.data;
+      } catch (error) {
+        logger.error("❌ API: Error updating assignment rule:", error);
+        throw error;
+      }
+    },
+
+    deleteAssignmentRule: async (ruleId) => {
+      try {
+        const response = await api.delete(
+          `/customer-questions/assignment-rules/${ruleId}`
+        );
+        return response.data;
+      } catch (error) {
+        logger.error("❌ API: Error deleting assignment rule:", error);
+        throw error;
+      }
+    },
+  },
+
   // Question management methods
   assignQuestion: async (questionId, assignedTo) => {
     try {
@@ -1418,6 +1858,280 @@ const importExportAPI = {
   },
 };
 
+// Invoice automation API methods
+const invoiceAutomationAPI = {
+  // Get automatic invoicing rules
+  getRules: async () => {
+    try {
+      const response = await api.get("/invoice-automation/rules");
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Save an automatic invoicing rule, updates it when an id is given
+  saveRule: async (rule, id = null) => {
+    try {
+      const response = id
+        ? await api.put(`/invoice-automation/rules/${id}`, rule)
+        : await api.post("/invoice-automation/rules", rule);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Delete an automatic invoicing rule
+  deleteRule: async (id) => {
+    try {
+      const response = await api.delete(`/invoice-automation/rules/${id}`);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Get invoicing jobs ({ status, uploadStatus, page, limit })
+  getJobs: async (params = {}) => {
+    try {
+      const response = await api.get("/invoice-automation/jobs", { params });
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Queue due orders and issue their invoices now
+  run: async () => {
+    try {
+      const response = await api.post("/invoice-automation/run");
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Retry a failed invoice or invoice link upload
+  retryJob: async (id) => {
+    try {
+      const response = await api.post(`/invoice-automation/jobs/${id}/retry`);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Get orders of a day against their invoices (date as YYYY-MM-DD)
+  getReconciliation: async (date) => {
+    try {
+      const response = await api.get("/invoice-automation/reconciliation", {
+        params: date ? { date } : {},
+      });
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+};
+
+const creditNotesAPI = {
+  // Get credit notes ({ status, orderId, page, limit })
+  getCreditNotes: async (params = {}) => {
+    try {
+      const response = await api.get("/credit-notes", { params });
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Get a credit note with its original and return invoice
+  getCreditNote: async (id) => {
+    try {
+      const response = await api.get(`/credit-notes/${id}`);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Credit returned lines of an order ([{ orderItemId, quantity }]), the
+  // whole order when no items are given
+  createCreditNote: async (orderId, items = null, reason = "") => {
+    try {
+      const response = await api.post("/credit-notes", {
+        orderId,
+        ...(items && { items }),
+        ...(reason && { reason }),
+      });
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Retry a failed credit note
+  retryCreditNote: async (id) => {
+    try {
+      const response = await api.post(`/credit-notes/${id}/retry`);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+};
+
+const accountingAPI = {
+  // Get the chart of accounts mapping
+  getMapping: async () => {
+    try {
+      const response = await api.get("/accounting/mapping");
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Save account and card codes ({ defaults, platforms, vatRates })
+  saveMapping: async (mapping) => {
+    try {
+      const response = await api.put("/accounting/mapping", mapping);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Get Paraşüt credentials, secrets masked
+  getParasutConfig: async () => {
+    try {
+      const response = await api.get("/accounting/parasut");
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Save Paraşüt credentials
+  saveParasutConfig: async (config) => {
+    try {
+      const response = await api.put("/accounting/parasut", config);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Get months with a lock or an export
+  getPeriods: async () => {
+    try {
+      const response = await api.get("/accounting/periods");
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Get totals, lock and exports of a month (YYYY-MM)
+  getPeriod: async (period) => {
+    try {
+      const response = await api.get(`/accounting/periods/${period}`);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Get the double-entry journal of a month
+  getJournal: async (period) => {
+    try {
+      const response = await api.get(`/accounting/periods/${period}/journal`);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Export a dataset of a month (sales, returns, invoices, commissions,
+  // shipping, journal) as logo, mikro, parasut, csv or parasut_api
+  exportPeriod: async (period, dataset, format) => {
+    try {
+      const response = await api.post(`/accounting/periods/${period}/export`, {
+        dataset,
+        format,
+      });
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Lock a month that has ended
+  lockPeriod: async (period, reason = "") => {
+    try {
+      const response = await api.post(`/accounting/periods/${period}/lock`, {
+        ...(reason && { reason }),
+      });
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Reopen a locked month; a reason is required
+  unlockPeriod: async (period, reason) => {
+    try {
+      const response = await api.post(`/accounting/periods/${period}/unlock`, {
+        reason,
+      });
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Pull the commissions and shipping fees of a month
+  syncFees: async (period) => {
+    try {
+      const response = await api.post(`/accounting/periods/${period}/sync-fees`);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Get marketplace fees ({ period, type, platform, page, limit })
+  getFees: async (params = {}) => {
+    try {
+      const response = await api.get("/accounting/fees", { params });
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Enter fees by hand ([{ platform, type, feeDate, netAmount, vatRate }])
+  createFees: async (fees) => {
+    try {
+      const response = await api.post("/accounting/fees", { fees });
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Delete a fee entered by hand
+  deleteFee: async (id) => {
+    try {
+      const response = await api.delete(`/accounting/fees/${id}`);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+};
+
 // Dashboard API methods
 const dashboardAPI = {
   // Get dashboard stats
@@ -1814,8 +2528,12 @@ api.platforms = platformAPI;
 api.orders = orderService;
 api.customers = customerAPI;
 api.customerQuestions = customerQuestionsAPI;
+api.marketing = marketingAPI;
 api.shipping = shippingAPI;
 api.importExport = importExportAPI;
+api.invoiceAutomation = invoiceAutomationAPI;
+api.creditNotes = creditNotesAPI;
+api.accounting = accountingAPI;
 api.dashboard = dashboardAPI;
 api.settings = settingsAPI;
 api.reports = reportsAPI;
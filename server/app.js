@@ -78,6 +78,15 @@ app.use(
     limit: "100mb",
     parameterLimit: 50000,
     type: ["application/json", "text/plain"],
+    // Keep the exact bytes for webhook signature checks
+    verify: (req, res, buf) => {
+      if (
+        req.originalUrl.includes("/webhooks/") ||
+        req.originalUrl.startsWith("/api/whatsapp/webhook")
+      ) {
+        req.rawBody = buf;
+      }
+    },
   })
 );
 app.use(
@@ -181,6 +190,7 @@ app.use(
       "X-API-Version",
       "API-Version",
       "X-Cache-Control",
+      "X-Chat-Session-Token",
     ],
     exposedHeaders: [
       "X-API-Version",
@@ -1,4 +1,5 @@
 const BackgroundTaskService = require('../services/BackgroundTaskService');
+const TaskWorkflowService = require('../services/TaskWorkflowService');
 const logger = require('../utils/logger');
 const { validationResult } = require('express-validator');
 
@@ -125,6 +126,7 @@ class BackgroundTaskController {
         maxRetries = 3,
         parentTaskId,
         dependsOnTaskIds = [],
+        dependencyPolicies = {},
         metadata = {}
       } = req.body;
 
@@ -138,6 +140,7 @@ class BackgroundTaskController {
         maxRetries,
         parentTaskId,
         dependsOnTaskIds,
+        dependencyPolicies,
         metadata
       });
 
@@ -156,6 +159,93 @@ class BackgroundTaskController {
     }
   }
 
+  /**
+   * Create a workflow: a parent task with dependent steps
+   * POST /api/background-tasks/workflows
+   */
+  static async createWorkflow(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const workflow = await TaskWorkflowService.createWorkflow(
+        req.user.id,
+        req.body
+      );
+      const graph = await TaskWorkflowService.getWorkflowGraph(workflow);
+
+      res.status(201).json({
+        success: true,
+        message: 'Workflow created successfully',
+        data: graph
+      });
+    } catch (error) {
+      logger.error('Error creating workflow:', error);
+      const status =
+        error.message === 'Platform connection not found'
+          ? 404
+          : /workflow|dependency/i.test(error.message)
+            ? 400
+            : 500;
+      res.status(status).json({
+        success: false,
+        message: 'Failed to create workflow',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get the step graph of a workflow task
+   * GET /api/background-tasks/:id/workflow
+   */
+  static async getWorkflow(req, res) {
+    try {
+      const task = await BackgroundTaskService.getTaskById(req.params.id);
+
+      if (!task) {
+        return res.status(404).json({
+          success: false,
+          message: 'Task not found'
+        });
+      }
+
+      if (req.user.role !== 'admin' && task.userId !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied'
+        });
+      }
+
+      if (task.taskType !== 'workflow') {
+        return res.status(400).json({
+          success: false,
+          message: 'Task is not a workflow'
+        });
+      }
+
+      const graph = await TaskWorkflowService.getWorkflowGraph(task);
+
+      res.json({
+        success: true,
+        data: graph
+      });
+    } catch (error) {
+      logger.error('Error fetching workflow:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch workflow',
+        error: error.message
+      });
+    }
+  }
+
   /**
    * Update task progress
    * PATCH /api/background-tasks/:id/progress
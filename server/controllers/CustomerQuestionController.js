@@ -2,6 +2,8 @@
 const { Op } = require("sequelize");
 const { CustomerQuestion, ReplyTemplate } = require("../models");
 const CustomerQuestionService = require("../services/CustomerQuestionService");
+const questionAnswering = require("../services/question-answering");
+const questionSla = require("../services/question-sla-service");
 const { validationResult } = require("express-validator");
 const debug = require("debug")("pazar:controller:questions");
 
@@ -60,6 +62,7 @@ class CustomerQuestionController {
         assigned_to,
         customer_name,
         priority,
+        sla,
         start_date,
         end_date,
         page = 1,
@@ -71,9 +74,10 @@ class CustomerQuestionController {
       const options = {
         platform,
         status,
-        assigned_to: assigned_to ? parseInt(assigned_to) : undefined,
+        assigned_to: assigned_to === "me" ? req.user.id : assigned_to,
         customer_name,
         priority,
+        sla,
         startDate: start_date ? new Date(start_date) : undefined,
         endDate: end_date ? new Date(end_date) : undefined,
         page: parseInt(page),
@@ -415,6 +419,15 @@ class CustomerQuestionController {
    */
   async assignQuestion(req, res) {
     try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation errors",
+          errors: errors.array(),
+        });
+      }
+
       const { id } = req.params;
       const { assigned_to } = req.body;
 
@@ -426,9 +439,7 @@ class CustomerQuestionController {
         });
       }
 
-      await question.update({
-        assigned_to: assigned_to ? parseInt(assigned_to) : null,
-      });
+      await questionSla.assign(question, assigned_to || null);
 
       res.json({
         success: true,
@@ -437,9 +448,9 @@ class CustomerQuestionController {
       });
     } catch (error) {
       debug("Error assigning question:", error.message);
-      res.status(500).json({
+      res.status(error.statusCode || 500).json({
         success: false,
-        message: "Failed to assign question",
+        message: error.statusCode ? error.message : "Failed to assign question",
         error: error.message,
       });
     }
@@ -621,6 +632,404 @@ class CustomerQuestionController {
       });
     }
   }
+  /**
+   * Draft an answer for a question from product facts and reply templates.
+   * Drafts requested here always wait for review.
+   */
+  async createAnswerDraft(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation errors",
+          errors: errors.array(),
+        });
+      }
+
+      const question = await this.questionService.getQuestionById(
+        parseInt(req.params.id)
+      );
+      const draft = await questionAnswering.draftAnswer(question, {
+        manual: true,
+      });
+
+      res.json({
+        success: true,
+        data: draft,
+      });
+    } catch (error) {
+      debug("Error drafting answer:", error.message);
+
+      if (error.message === "Question not found") {
+        return res.status(404).json({
+          success: false,
+          message: "Question not found",
+        });
+      }
+
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.statusCode ? error.message : "Failed to draft answer",
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Answer drafts for the review queue
+   */
+  async getAnswerDrafts(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation errors",
+          errors: errors.array(),
+        });
+      }
+
+      const { status, platform, category, page = 1, limit = 20 } = req.query;
+      const result = await questionAnswering.getDrafts({
+        status,
+        platform,
+        category,
+        page: parseInt(page),
+        limit: parseInt(limit),
+      });
+
+      res.json({
+        success: true,
+        data: result.drafts,
+        pagination: result.pagination,
+      });
+    } catch (error) {
+      debug("Error getting answer drafts:", error.message);
+      res.status(500).json({
+        success: false,
+        message: "Failed to get answer drafts",
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Approve an answer draft, optionally edited, and send it to the platform
+   */
+  async approveAnswerDraft(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation errors",
+          errors: errors.array(),
+        });
+      }
+
+      const draft = await questionAnswering.approveDraft(
+        parseInt(req.params.draftId),
+        req.user.id,
+        req.body.text
+      );
+
+      if (draft.status !== "sent") {
+        return res.status(502).json({
+          success: false,
+          message:
+            draft.status === "discarded"
+              ? "Soru bu sırada yanıtlandığı için taslak gönderilmedi"
+              : "Yanıt platforma gönderilemedi",
+          error: draft.error,
+          data: draft,
+        });
+      }
+
+      res.json({
+        success: true,
+        message: "Yanıt başarıyla platforma gönderildi",
+        data: draft,
+      });
+    } catch (error) {
+      debug("Error approving answer draft:", error.message);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.statusCode
+          ? error.message
+          : "Failed to approve answer draft",
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Discard an answer draft so that it is not sent
+   */
+  async discardAnswerDraft(req, res) {
+    try {
+      const draft = await questionAnswering.discardDraft(
+        parseInt(req.params.draftId),
+        req.user.id
+      );
+
+      res.json({
+        success: true,
+        message: "Answer draft discarded",
+        data: draft,
+      });
+    } catch (error) {
+      debug("Error discarding answer draft:", error.message);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.statusCode
+          ? error.message
+          : "Failed to discard answer draft",
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Per category rules for sending answers without review
+   */
+  async getAutoAnswerRules(req, res) {
+    try {
+      const rules = await questionAnswering.getRules();
+
+      res.json({
+        success: true,
+        data: rules,
+      });
+    } catch (error) {
+      debug("Error getting auto-answer rules:", error.message);
+      res.status(500).json({
+        success: false,
+        message: "Failed to get auto-answer rules",
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Create or update the auto-answer rule of a category
+   */
+  async saveAutoAnswerRule(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation errors",
+          errors: errors.array(),
+        });
+      }
+
+      const { auto_send, min_confidence, hold_minutes, platform } = req.body;
+      const rule = await questionAnswering.saveRule(
+        req.params.category,
+        platform || "all",
+        { auto_send, min_confidence, hold_minutes },
+        req.user.id
+      );
+
+      res.json({
+        success: true,
+        message: "Auto-answer rule saved",
+        data: rule,
+      });
+    } catch (error) {
+      debug("Error saving auto-answer rule:", error.message);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.statusCode
+          ? error.message
+          : "Failed to save auto-answer rule",
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Team members questions can be assigned to
+   */
+  async getTeamMembers(req, res) {
+    try {
+      const agents = await questionSla.getAgents();
+
+      res.json({
+        success: true,
+        data: agents,
+      });
+    } catch (error) {
+      debug("Error getting team members:", error.message);
+      res.status(500).json({
+        success: false,
+        message: "Failed to get team members",
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Rules that route questions to team members
+   */
+  async getAssignmentRules(req, res) {
+    try {
+      const rules = await questionSla.getAssignmentRules();
+
+      res.json({
+        success: true,
+        data: rules,
+      });
+    } catch (error) {
+      debug("Error getting assignment rules:", error.message);
+      res.status(500).json({
+        success: false,
+        message: "Failed to get assignment rules",
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Create an assignment rule, or update it when a rule id is given
+   */
+  async saveAssignmentRule(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation errors",
+          errors: errors.array(),
+        });
+      }
+
+      const { ruleId } = req.params;
+      const rule = await questionSla.saveAssignmentRule(
+        req.body,
+        req.user.id,
+        ruleId ? parseInt(ruleId) : null
+      );
+
+      res.status(ruleId ? 200 : 201).json({
+        success: true,
+        message: "Assignment rule saved",
+        data: rule,
+      });
+    } catch (error) {
+      debug("Error saving assignment rule:", error.message);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.statusCode
+          ? error.message
+          : "Failed to save assignment rule",
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Delete an assignment rule
+   */
+  async deleteAssignmentRule(req, res) {
+    try {
+      await questionSla.deleteAssignmentRule(parseInt(req.params.ruleId));
+
+      res.json({
+        success: true,
+        message: "Assignment rule deleted",
+      });
+    } catch (error) {
+      debug("Error deleting assignment rule:", error.message);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.statusCode
+          ? error.message
+          : "Failed to delete assignment rule",
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Assign every unassigned open question now instead of on the next round
+   */
+  async autoAssignQuestions(req, res) {
+    try {
+      const result = await questionSla.autoAssign();
+
+      res.json({
+        success: true,
+        message: `${result.assigned} question(s) assigned`,
+        data: result,
+      });
+    } catch (error) {
+      debug("Error auto-assigning questions:", error.message);
+      res.status(500).json({
+        success: false,
+        message: "Failed to assign questions",
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Open questions by time left to their deadline
+   */
+  async getSlaSummary(req, res) {
+    try {
+      const summary = await questionSla.getSlaSummary();
+
+      res.json({
+        success: true,
+        data: summary,
+      });
+    } catch (error) {
+      debug("Error getting SLA summary:", error.message);
+      res.status(500).json({
+        success: false,
+        message: "Failed to get SLA summary",
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Response times and deadline performance per team member
+   */
+  async getAgentReport(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation errors",
+          errors: errors.array(),
+        });
+      }
+
+      const { platform, start_date, end_date } = req.query;
+      const report = await questionSla.getAgentReport({
+        platform,
+        startDate: start_date ? new Date(start_date) : undefined,
+        endDate: end_date ? new Date(end_date) : undefined,
+      });
+
+      res.json({
+        success: true,
+        data: report,
+      });
+    } catch (error) {
+      debug("Error getting agent report:", error.message);
+      res.status(500).json({
+        success: false,
+        message: "Failed to get agent report",
+        error: error.message,
+      });
+    }
+  }
 }
 
 module.exports = CustomerQuestionController;
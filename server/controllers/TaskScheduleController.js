@@ -0,0 +1,314 @@
+const TaskScheduleService = require('../services/TaskScheduleService');
+const logger = require('../utils/logger');
+const { validationResult } = require('express-validator');
+
+class TaskScheduleController {
+  /**
+   * Get schedules of the current user (all schedules for admins)
+   * GET /api/background-tasks/schedules
+   */
+  static async getSchedules(req, res) {
+    try {
+      const { status, taskType, platformConnectionId } = req.query;
+      const userId = req.user.role === 'admin' ? null : req.user.id;
+
+      const schedules = await TaskScheduleService.getSchedules({
+        userId,
+        status,
+        taskType,
+        platformConnectionId
+      });
+
+      res.json({
+        success: true,
+        data: schedules
+      });
+    } catch (error) {
+      logger.error('Error fetching task schedules:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch task schedules',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get schedule by ID with upcoming run times
+   * GET /api/background-tasks/schedules/:scheduleId
+   */
+  static async getScheduleById(req, res) {
+    try {
+      const schedule = await TaskScheduleController.loadOwnedSchedule(req, res);
+      if (!schedule) {
+        return;
+      }
+
+      res.json({
+        success: true,
+        data: {
+          ...schedule.toJSON(),
+          upcomingRuns:
+            schedule.status === 'active' ? schedule.getUpcomingRuns(5) : []
+        }
+      });
+    } catch (error) {
+      logger.error('Error fetching task schedule:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch task schedule',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Create a recurring schedule
+   * POST /api/background-tasks/schedules
+   */
+  static async createSchedule(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const schedule = await TaskScheduleService.createSchedule(
+        req.user.id,
+        req.body
+      );
+
+      res.status(201).json({
+        success: true,
+        message: 'Task schedule created successfully',
+        data: schedule
+      });
+    } catch (error) {
+      logger.error('Error creating task schedule:', error);
+      res.status(TaskScheduleController.statusFor(error)).json({
+        success: false,
+        message: 'Failed to create task schedule',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Update a schedule
+   * PUT /api/background-tasks/schedules/:scheduleId
+   */
+  static async updateSchedule(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const schedule = await TaskScheduleController.loadOwnedSchedule(req, res);
+      if (!schedule) {
+        return;
+      }
+
+      const updated = await TaskScheduleService.updateSchedule(
+        schedule,
+        req.body
+      );
+
+      res.json({
+        success: true,
+        message: 'Task schedule updated successfully',
+        data: updated
+      });
+    } catch (error) {
+      logger.error('Error updating task schedule:', error);
+      res.status(TaskScheduleController.statusFor(error)).json({
+        success: false,
+        message: 'Failed to update task schedule',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Pause a schedule
+   * PATCH /api/background-tasks/schedules/:scheduleId/pause
+   */
+  static async pauseSchedule(req, res) {
+    try {
+      const schedule = await TaskScheduleController.loadOwnedSchedule(req, res);
+      if (!schedule) {
+        return;
+      }
+
+      await TaskScheduleService.pauseSchedule(schedule);
+
+      res.json({
+        success: true,
+        message: 'Task schedule paused',
+        data: schedule
+      });
+    } catch (error) {
+      logger.error('Error pausing task schedule:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to pause task schedule',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Resume a paused schedule
+   * PATCH /api/background-tasks/schedules/:scheduleId/resume
+   */
+  static async resumeSchedule(req, res) {
+    try {
+      const schedule = await TaskScheduleController.loadOwnedSchedule(req, res);
+      if (!schedule) {
+        return;
+      }
+
+      await TaskScheduleService.resumeSchedule(schedule);
+
+      res.json({
+        success: true,
+        message: 'Task schedule resumed',
+        data: schedule
+      });
+    } catch (error) {
+      logger.error('Error resuming task schedule:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to resume task schedule',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Spawn a run right away
+   * POST /api/background-tasks/schedules/:scheduleId/run
+   */
+  static async runSchedule(req, res) {
+    try {
+      const schedule = await TaskScheduleController.loadOwnedSchedule(req, res);
+      if (!schedule) {
+        return;
+      }
+
+      const task = await TaskScheduleService.runNow(schedule);
+
+      res.status(201).json({
+        success: true,
+        message: 'Scheduled task queued',
+        data: task
+      });
+    } catch (error) {
+      logger.error('Error running task schedule:', error);
+      res.status(TaskScheduleController.statusFor(error)).json({
+        success: false,
+        message: 'Failed to run task schedule',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Delete a schedule
+   * DELETE /api/background-tasks/schedules/:scheduleId
+   */
+  static async deleteSchedule(req, res) {
+    try {
+      const schedule = await TaskScheduleController.loadOwnedSchedule(req, res);
+      if (!schedule) {
+        return;
+      }
+
+      await TaskScheduleService.deleteSchedule(schedule);
+
+      res.json({
+        success: true,
+        message: 'Task schedule deleted successfully'
+      });
+    } catch (error) {
+      logger.error('Error deleting task schedule:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to delete task schedule',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Preview next run times of a cron expression or interval
+   * POST /api/background-tasks/schedules/preview
+   */
+  static async previewSchedule(req, res) {
+    try {
+      const runs = TaskScheduleService.previewRuns(req.body, 5);
+
+      res.json({
+        success: true,
+        data: runs
+      });
+    } catch (error) {
+      res.status(400).json({
+        success: false,
+        message: 'Invalid schedule',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Load the schedule from :scheduleId and check access.
+   * Sends the error response and returns null when not allowed.
+   */
+  static async loadOwnedSchedule(req, res) {
+    const schedule = await TaskScheduleService.getScheduleById(
+      req.params.scheduleId
+    );
+
+    if (!schedule) {
+      res.status(404).json({
+        success: false,
+        message: 'Task schedule not found'
+      });
+      return null;
+    }
+
+    if (req.user.role !== 'admin' && schedule.userId !== req.user.id) {
+      res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+      return null;
+    }
+
+    return schedule;
+  }
+
+  static statusFor(error) {
+    if (error.name === 'SequelizeValidationError') {
+      return 400;
+    }
+    if (error.message === 'Platform connection not found') {
+      return 404;
+    }
+    if (error.message === 'Previous run of this schedule is still active') {
+      return 409;
+    }
+    return 500;
+  }
+}
+
+module.exports = TaskScheduleController;
@@ -0,0 +1,373 @@
+const logger = require("../utils/logger");
+const { validationResult } = require("express-validator");
+const accountingService = require("../services/accounting-service");
+const parasutService = require("../services/parasutService");
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      success: false,
+      message: "Validation errors",
+      errors: errors.array(),
+    });
+    return true;
+  }
+  return false;
+};
+
+/**
+ * Accounting Controller
+ * Chart of accounts mapping, marketplace fees, the journal of a month and
+ * its exports to accounting packages, and period locks
+ */
+class AccountingController {
+  /**
+   * Chart of accounts mapping merged over the defaults
+   */
+  async getMapping(req, res) {
+    try {
+      const mapping = await accountingService.getMapping(req.user.id);
+
+      res.json({
+        success: true,
+        data: mapping,
+      });
+    } catch (error) {
+      logger.error("Failed to load accounting mapping:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to load accounting mapping.",
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Save the account and card codes per platform and VAT rate
+   */
+  async saveMapping(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const mappingErrors = accountingService.validateMapping(req.body);
+      if (mappingErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: mappingErrors.join(" "),
+        });
+      }
+
+      const mapping = await accountingService.saveMapping(req.user.id, req.body);
+
+      res.json({
+        success: true,
+        message: "Accounting mapping saved.",
+        data: mapping,
+      });
+    } catch (error) {
+      logger.error("Failed to save accounting mapping:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to save accounting mapping.",
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Paraşüt credentials with secrets masked
+   */
+  async getParasutConfig(req, res) {
+    try {
+      const config = await parasutService.getConfig(req.user.id);
+
+      res.json({
+        success: true,
+        data: {
+          ...parasutService.maskConfig(config),
+          configured: parasutService.isConfigured(config),
+        },
+      });
+    } catch (error) {
+      logger.error("Failed to load Paraşüt configuration:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to load Paraşüt configuration.",
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Save Paraşüt credentials
+   */
+  async saveParasutConfig(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      await parasutService.saveConfig(req.user.id, req.body);
+      const config = await parasutService.getConfig(req.user.id);
+
+      res.json({
+        success: true,
+        message: "Paraşüt configuration saved.",
+        data: {
+          ...parasutService.maskConfig(config),
+          configured: parasutService.isConfigured(config),
+        },
+      });
+    } catch (error) {
+      logger.error("Failed to save Paraşüt configuration:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to save Paraşüt configuration.",
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Months with a lock or an export on record
+   */
+  async getPeriods(req, res) {
+    try {
+      const periods = await accountingService.getPeriods(req.user.id);
+
+      res.json({
+        success: true,
+        data: periods,
+      });
+    } catch (error) {
+      logger.error("Failed to list accounting periods:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to list accounting periods.",
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Totals, lock and exports of a month
+   */
+  async getPeriod(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const summary = await accountingService.getPeriodSummary(
+        req.user.id,
+        req.params.period
+      );
+
+      res.json({
+        success: true,
+        data: summary,
+      });
+    } catch (error) {
+      logger.error("Failed to get accounting period:", error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+
+  /**
+   * Double-entry journal of a month
+   */
+  async getJournal(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const journal = await accountingService.getJournal(req.user.id, req.params.period);
+
+      res.json({
+        success: true,
+        data: journal,
+      });
+    } catch (error) {
+      logger.error("Failed to build journal:", error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+
+  /**
+   * Export a dataset of a month for an accounting package
+   */
+  async exportPeriod(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const { dataset, format } = req.body;
+      const result = await accountingService.exportPeriod(req.user.id, req.params.period, {
+        dataset,
+        format,
+      });
+
+      res.json({
+        success: true,
+        message:
+          format === "parasut_api"
+            ? `Sent ${result.sent} documents to Paraşüt, ${result.skipped} already sent, ${result.failed} failed.`
+            : `Exported ${result.documents} documents.`,
+        data: result,
+      });
+    } catch (error) {
+      logger.error("Failed to export accounting period:", error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+
+  /**
+   * Lock a month that has ended
+   */
+  async lockPeriod(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const period = await accountingService.lockPeriod(
+        req.user.id,
+        req.params.period,
+        req.body.reason
+      );
+
+      res.json({
+        success: true,
+        message: `${req.params.period} locked.`,
+        data: period,
+      });
+    } catch (error) {
+      logger.error("Failed to lock accounting period:", error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+
+  /**
+   * Reopen a locked month for corrections
+   */
+  async unlockPeriod(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const period = await accountingService.unlockPeriod(
+        req.user.id,
+        req.params.period,
+        req.body.reason
+      );
+
+      res.json({
+        success: true,
+        message: `${req.params.period} unlocked.`,
+        data: period,
+      });
+    } catch (error) {
+      logger.error("Failed to unlock accounting period:", error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+
+  /**
+   * Pull the commissions and shipping fees of a month from the marketplaces
+   */
+  async syncFees(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const result = await accountingService.syncFees(req.user.id, req.params.period);
+
+      res.json({
+        success: result.errors.length === 0,
+        message: `Fetched ${result.fetched} fees: ${result.created} new, ${result.updated} updated, ${result.locked} in locked months.`,
+        data: result,
+      });
+    } catch (error) {
+      logger.error("Failed to sync marketplace fees:", error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+
+  /**
+   * List marketplace fees
+   */
+  async getFees(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const result = await accountingService.getFees(req.user.id, req.query);
+
+      res.json({
+        success: true,
+        data: result,
+      });
+    } catch (error) {
+      logger.error("Failed to list marketplace fees:", error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+
+  /**
+   * Enter fees the marketplaces do not report
+   */
+  async createFees(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const fees = await accountingService.createFees(req.user.id, req.body.fees);
+
+      res.status(201).json({
+        success: true,
+        message: `Created ${fees.length} fees.`,
+        data: fees,
+      });
+    } catch (error) {
+      logger.error("Failed to create marketplace fees:", error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+
+  /**
+   * Delete a fee entered by hand
+   */
+  async deleteFee(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      await accountingService.deleteFee(req.user.id, req.params.id);
+
+      res.json({
+        success: true,
+        message: "Fee deleted.",
+      });
+    } catch (error) {
+      logger.error("Failed to delete marketplace fee:", error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+}
+
+module.exports = new AccountingController();
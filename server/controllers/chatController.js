@@ -1,14 +1,34 @@
-const { AIChatLog, User } = require("../models");
+const { validationResult } = require("express-validator");
 const logger = require("../utils/logger");
+const assistant = require("../services/assistant");
+
+const { conversationStore } = assistant;
+
+const SESSION_TOKEN_HEADER = "X-Chat-Session-Token";
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      success: false,
+      message: "Validation errors",
+      errors: errors.array(),
+    });
+    return true;
+  }
+  return false;
+};
 
 class ChatController {
   /**
-   * Handle incoming chat messages, log them, and return an AI response.
+   * Handle incoming chat messages, log them, and return the assistant's
+   * response. Guests talk about the orders of ASSISTANT_ACCOUNT_ID. The
+   * first message of a session returns the session token that later
+   * requests send in the X-Chat-Session-Token header.
    */
   async handleChatMessage(req, res) {
     try {
-      const { message, sessionId } = req.body;
-      const userId = req.user ? req.user.id : null;
+      const { message, sessionId, customerName } = req.body;
 
       if (!message || !sessionId) {
         return res.status(400).json({
@@ -17,51 +37,44 @@ class ChatController {
         });
       }
 
-      // Enhanced simulation logic based on keywords
-      let intent = 'unknown';
-      let entities = {};
-      let responseText = "Size nasıl yardımcı olabilirim? 'Sipariş durumumu öğrenmek istiyorum', 'iade politikası nedir?' veya 'kargo seçenekleri nelerdir?' gibi sorular sorabilirsiniz.";
-
-      const lowerCaseMessage = message.toLowerCase();
-
-      if (lowerCaseMessage.includes('sipariş') || lowerCaseMessage.includes('order')) {
-        intent = 'order_status_inquiry';
-        const orderNumberMatch = lowerCaseMessage.match(/#?(\d+)/);
-        if (orderNumberMatch) {
-          entities.orderNumber = orderNumberMatch[1];
-          responseText = `Sipariş #${entities.orderNumber} için durumu kontrol ediyorum. Lütfen bir saniye bekleyin.`;
-        } else {
-          responseText = "Sipariş durumunu öğrenmek için lütfen sipariş numaranızı belirtin (örn: #12345).";
-        }
-      } else if (lowerCaseMessage.includes('iade') || lowerCaseMessage.includes('return')) {
-        intent = 'return_policy_inquiry';
-        responseText = "İade politikamıza göre, ürünleri teslim aldıktan sonra 14 gün içinde iade edebilirsiniz. Daha fazla bilgi için web sitemizdeki iade politikasını inceleyebilirsiniz.";
-      } else if (lowerCaseMessage.includes('kargo') || lowerCaseMessage.includes('shipping')) {
-        intent = 'shipping_info_inquiry';
-        responseText = "Standart kargo seçeneğimiz 3-5 iş günü içinde teslimat sağlar. Ayrıca, ek ücret karşılığında ekspres kargo seçeneğimiz de mevcuttur.";
-      }
-
-      // Log the chat message and the simulated response
-      await AIChatLog.create({
-        userId,
+      const session = await conversationStore.openWebSession(
         sessionId,
-        message,
-        response: responseText,
-        intent: intent,
-        entities: entities,
+        req.get(SESSION_TOKEN_HEADER)
+      );
+
+      const result = await assistant.handleMessage({
+        channel: "web",
+        externalId: sessionId,
+        accountId: req.user?.id || process.env.ASSISTANT_ACCOUNT_ID || null,
+        text: message,
+        customerName,
+        sessionTokenHash: session.tokenHash,
       });
 
-      logger.info(`Chat message logged for session: ${sessionId}`);
+      logger.info(`Chat message logged for session: ${sessionId}`, {
+        conversationId: result.conversationId,
+        intent: result.intent,
+      });
 
       res.json({
         success: true,
         data: {
-          response: responseText,
-          intent: intent,
-          entities: entities,
+          response: result.reply,
+          intent: result.intent,
+          entities: result.entities,
+          conversationId: result.conversationId,
+          status: result.status,
+          handoff: result.handoff,
+          ...(session.token && { sessionToken: session.token }),
         },
       });
     } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+        });
+      }
       logger.error("Failed to handle chat message:", error);
       res.status(500).json({
         success: false,
@@ -70,6 +83,169 @@ class ChatController {
       });
     }
   }
+
+  /**
+   * Messages of a chat session, polled by the chat widget for agent replies.
+   * Only the holder of the session token can read them.
+   */
+  async getSessionMessages(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      await conversationStore.verifySessionToken(
+        req.params.sessionId,
+        req.get(SESSION_TOKEN_HEADER)
+      );
+      const messages = await conversationStore.getSessionMessages(
+        req.params.sessionId,
+        req.query.after
+      );
+
+      res.json({ success: true, data: messages });
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+        });
+      }
+      logger.error("Failed to load chat session messages:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to load chat messages",
+      });
+    }
+  }
+
+  /**
+   * Agent queue: open conversations, waiting ones first
+   */
+  async getConversations(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const result = await conversationStore.getConversations(req.user.id, req.query);
+
+      res.json({ success: true, data: result });
+    } catch (error) {
+      logger.error("Failed to load chat conversations:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to load conversations",
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * A conversation with its messages, for review
+   */
+  async getConversation(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const conversation = await conversationStore.getConversation(
+        req.user.id,
+        req.params.id
+      );
+
+      res.json({ success: true, data: conversation });
+    } catch (error) {
+      logger.error(`Failed to load chat conversation: ${error.message}`, {
+        conversationId: req.params.id,
+      });
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+
+  /**
+   * Take a conversation over from the assistant
+   */
+  async assignConversation(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const conversation = await conversationStore.assign(
+        req.user.id,
+        req.params.id,
+        req.user.id
+      );
+
+      res.json({
+        success: true,
+        message: "Conversation assigned.",
+        data: conversation,
+      });
+    } catch (error) {
+      logger.error(`Failed to assign chat conversation: ${error.message}`, {
+        conversationId: req.params.id,
+      });
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+
+  /**
+   * Reply to the customer as an agent
+   */
+  async replyToConversation(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const result = await conversationStore.reply(
+        req.user.id,
+        req.params.id,
+        req.user.id,
+        req.body.message
+      );
+
+      res.status(201).json({
+        success: true,
+        message: result.delivered
+          ? "Reply sent."
+          : "Reply saved but could not be delivered.",
+        data: result,
+      });
+    } catch (error) {
+      logger.error(`Failed to reply to chat conversation: ${error.message}`, {
+        conversationId: req.params.id,
+      });
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+
+  /**
+   * Close a conversation
+   */
+  async closeConversation(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const conversation = await conversationStore.close(req.user.id, req.params.id);
+
+      res.json({
+        success: true,
+        message: "Conversation closed.",
+        data: conversation,
+      });
+    } catch (error) {
+      logger.error(`Failed to close chat conversation: ${error.message}`, {
+        conversationId: req.params.id,
+      });
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
 }
 
-module.exports = new ChatController();
\ No newline at end of file
+module.exports = new ChatController();
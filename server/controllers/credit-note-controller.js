@@ -0,0 +1,127 @@
+const logger = require("../utils/logger");
+const { validationResult } = require("express-validator");
+const creditNoteService = require("../services/credit-note-service");
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      success: false,
+      message: "Validation errors",
+      errors: errors.array(),
+    });
+    return true;
+  }
+  return false;
+};
+
+/**
+ * Credit Note Controller
+ * Cancellations and return invoices that credit the sales invoices of
+ * returned orders
+ */
+class CreditNoteController {
+  /**
+   * List the user's credit notes
+   */
+  async getCreditNotes(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const result = await creditNoteService.getCreditNotes(req.user.id, req.query);
+
+      res.json({
+        success: true,
+        data: result,
+      });
+    } catch (error) {
+      logger.error("Failed to list credit notes:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to list credit notes.",
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Credit note with its original and return invoice
+   */
+  async getCreditNote(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const note = await creditNoteService.getCreditNote(req.user.id, req.params.id);
+
+      res.json({
+        success: true,
+        data: note,
+      });
+    } catch (error) {
+      logger.error("Failed to get credit note:", error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+
+  /**
+   * Credit returned lines of an order, or all of it, right away
+   */
+  async createCreditNote(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const { orderId, items, reason } = req.body;
+      const note = await creditNoteService.createCreditNote(req.user.id, orderId, {
+        items,
+        reason,
+      });
+      await creditNoteService.processNote(note);
+
+      res.status(201).json({
+        success: note.status === "completed",
+        message:
+          note.status === "completed"
+            ? "Credit note completed."
+            : `Credit note queued for retry: ${note.lastError}`,
+        data: await creditNoteService.getCreditNote(req.user.id, note.id),
+      });
+    } catch (error) {
+      logger.error("Failed to create credit note:", error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+
+  /**
+   * Retry a failed credit note
+   */
+  async retryCreditNote(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const note = await creditNoteService.retryNote(req.user.id, req.params.id);
+
+      res.json({
+        success: note.status === "completed",
+        message:
+          note.status === "completed"
+            ? "Retry succeeded."
+            : `Retry failed: ${note.lastError}`,
+        data: note,
+      });
+    } catch (error) {
+      logger.error("Failed to retry credit note:", error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+}
+
+module.exports = new CreditNoteController();
@@ -0,0 +1,296 @@
+const { PlatformConnection, InvoiceAutomationRule } = require("../models");
+const logger = require("../utils/logger");
+const { validationResult } = require("express-validator");
+const invoiceAutomationService = require("../services/invoice-automation-service");
+
+const RULE_FIELDS = [
+  "name",
+  "isActive",
+  "priority",
+  "connectionId",
+  "platform",
+  "triggerStatus",
+  "provider",
+  "eInvoiceProfile",
+  "uploadToPlatform",
+];
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      success: false,
+      message: "Validation errors",
+      errors: errors.array(),
+    });
+    return true;
+  }
+  return false;
+};
+
+const pickRuleFields = (body) =>
+  RULE_FIELDS.reduce((fields, key) => {
+    if (body[key] !== undefined) fields[key] = body[key];
+    return fields;
+  }, {});
+
+// A rule may only be scoped to one of the user's own connections
+const checkConnection = async (userId, connectionId) => {
+  if (connectionId === undefined || connectionId === null) return null;
+
+  const connection = await PlatformConnection.findOne({
+    where: { id: connectionId, userId },
+    attributes: ["id"],
+  });
+  return connection ? null : "Platform connection not found.";
+};
+
+/**
+ * Invoice Automation Controller
+ * Automatic invoicing rules, their jobs and the daily reconciliation of
+ * orders against issued invoices
+ */
+class InvoiceAutomationController {
+  /**
+   * List the user's invoice automation rules
+   */
+  async getRules(req, res) {
+    try {
+      const rules = await InvoiceAutomationRule.findAll({
+        where: { userId: req.user.id },
+        include: [
+          {
+            model: PlatformConnection,
+            as: "connection",
+            attributes: ["id", "name", "platformType"],
+          },
+        ],
+        order: [
+          ["priority", "ASC"],
+          ["createdAt", "ASC"],
+        ],
+      });
+
+      res.json({
+        success: true,
+        data: rules,
+      });
+    } catch (error) {
+      logger.error("Failed to list invoice automation rules:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to list invoice automation rules.",
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Create an invoice automation rule
+   */
+  async createRule(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const fields = pickRuleFields(req.body);
+      const connectionError = await checkConnection(req.user.id, fields.connectionId);
+      if (connectionError) {
+        return res.status(400).json({
+          success: false,
+          message: connectionError,
+        });
+      }
+
+      const rule = await InvoiceAutomationRule.create({ ...fields, userId: req.user.id });
+
+      res.status(201).json({
+        success: true,
+        message: "Invoice automation rule created.",
+        data: rule,
+      });
+    } catch (error) {
+      logger.error("Failed to create invoice automation rule:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to create invoice automation rule.",
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Update an invoice automation rule
+   */
+  async updateRule(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const rule = await InvoiceAutomationRule.findOne({
+        where: { id: req.params.id, userId: req.user.id },
+      });
+      if (!rule) {
+        return res.status(404).json({
+          success: false,
+          message: "Invoice automation rule not found.",
+        });
+      }
+
+      const fields = pickRuleFields(req.body);
+      const connectionError = await checkConnection(req.user.id, fields.connectionId);
+      if (connectionError) {
+        return res.status(400).json({
+          success: false,
+          message: connectionError,
+        });
+      }
+
+      await rule.update(fields);
+
+      res.json({
+        success: true,
+        message: "Invoice automation rule updated.",
+        data: rule,
+      });
+    } catch (error) {
+      logger.error("Failed to update invoice automation rule:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to update invoice automation rule.",
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Delete an invoice automation rule; its jobs and invoices are kept
+   */
+  async deleteRule(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const deleted = await InvoiceAutomationRule.destroy({
+        where: { id: req.params.id, userId: req.user.id },
+      });
+      if (!deleted) {
+        return res.status(404).json({
+          success: false,
+          message: "Invoice automation rule not found.",
+        });
+      }
+
+      res.json({
+        success: true,
+        message: "Invoice automation rule deleted.",
+      });
+    } catch (error) {
+      logger.error("Failed to delete invoice automation rule:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to delete invoice automation rule.",
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Invoicing jobs with their order, rule and invoice
+   */
+  async getJobs(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const result = await invoiceAutomationService.getJobs(req.user.id, req.query);
+
+      res.json({
+        success: true,
+        data: result,
+      });
+    } catch (error) {
+      logger.error("Failed to list invoicing jobs:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to list invoicing jobs.",
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Queue due orders and issue their invoices right away
+   */
+  async run(req, res) {
+    try {
+      const result = await invoiceAutomationService.runForUser(req.user.id);
+
+      res.json({
+        success: true,
+        message: `${result.queued} orders queued, ${result.issued} invoices issued.`,
+        data: result,
+      });
+    } catch (error) {
+      logger.error("Failed to run invoice automation:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to run invoice automation.",
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Retry a failed invoicing job or invoice link upload
+   */
+  async retryJob(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const job = await invoiceAutomationService.retryJob(req.user.id, req.params.id);
+      const failure =
+        job.status !== "issued"
+          ? job.lastError
+          : ["pending", "failed"].includes(job.uploadStatus)
+            ? job.uploadError
+            : null;
+
+      res.json({
+        success: !failure,
+        message: failure ? `Retry failed: ${failure}` : "Retry succeeded.",
+        data: job,
+      });
+    } catch (error) {
+      logger.error("Failed to retry invoicing job:", error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message,
+      });
+    }
+  }
+
+  /**
+   * Orders of a day against the invoices issued for them
+   */
+  async getReconciliation(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const result = await invoiceAutomationService.getReconciliation(
+        req.user.id,
+        req.query.date
+      );
+
+      res.json({
+        success: true,
+        data: result,
+      });
+    } catch (error) {
+      logger.error("Failed to build invoice reconciliation:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to build invoice reconciliation.",
+        error: error.message,
+      });
+    }
+  }
+}
+
+module.exports = new InvoiceAutomationController();
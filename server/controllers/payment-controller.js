@@ -0,0 +1,170 @@
+const logger = require('../utils/logger');
+const { validationResult } = require('express-validator');
+const { TurkishPaymentService } = require('../services/turkishPaymentService');
+
+const paymentService = new TurkishPaymentService();
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      success: false,
+      message: 'Validation errors',
+      errors: errors.array()
+    });
+    return true;
+  }
+  return false;
+};
+
+/**
+ * Payment Controller
+ * Gateway callbacks (iyzico, PayTR) and cards stored at the gateways
+ */
+class PaymentController {
+  /**
+   * iyzico payment notification. A 5xx makes iyzico redeliver it.
+   */
+  async receiveIyzicoWebhook(req, res) {
+    try {
+      if (
+        !paymentService.verifyWebhookSignature('iyzico', req.body, req.headers)
+      ) {
+        logger.warn('Rejected iyzico callback with invalid signature', {
+          paymentConversationId: req.body?.paymentConversationId
+        });
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid webhook signature'
+        });
+      }
+
+      const result = await paymentService.handlePaymentStatusWebhook(
+        'iyzico',
+        req.body
+      );
+
+      res.json({ success: true, data: result });
+    } catch (error) {
+      logger.error(`iyzico callback processing error: ${error.message}`, {
+        paymentConversationId: req.body?.paymentConversationId
+      });
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * PayTR payment notification. PayTR keeps redelivering until the body is
+   * exactly "OK", so duplicates are answered with OK as well.
+   */
+  async receivePayTRWebhook(req, res) {
+    try {
+      if (
+        !paymentService.verifyWebhookSignature('paytr', req.body, req.headers)
+      ) {
+        logger.warn('Rejected PayTR callback with invalid hash', {
+          merchantOid: req.body?.merchant_oid
+        });
+        return res.status(400).send('PAYTR notification failed: bad hash');
+      }
+
+      await paymentService.handlePaymentStatusWebhook('paytr', req.body);
+
+      res.type('text/plain').send('OK');
+    } catch (error) {
+      logger.error(`PayTR callback processing error: ${error.message}`, {
+        merchantOid: req.body?.merchant_oid
+      });
+      res.status(error.statusCode || 500).send(error.message);
+    }
+  }
+
+  /**
+   * Cards the user stored at the gateways
+   */
+  async getSavedCards(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const cards = await paymentService.getSavedCards(req.user.id, {
+        refresh: req.query.refresh === 'true'
+      });
+
+      res.json({
+        success: true,
+        data: cards
+      });
+    } catch (error) {
+      logger.error('Failed to load saved cards:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to load saved cards.',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Store a card at iyzico; only the returned token is kept
+   */
+  async saveCard(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const card = await paymentService.saveCard({
+        userId: req.user.id,
+        email: req.user.email,
+        provider: req.body.provider,
+        cardAlias: req.body.cardAlias,
+        cardHolderName: req.body.cardHolderName,
+        cardNumber: req.body.cardNumber,
+        expireMonth: req.body.expireMonth,
+        expireYear: req.body.expireYear
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Card saved.',
+        data: card
+      });
+    } catch (error) {
+      // The request body holds the card number: log the message only
+      logger.error(`Failed to save card: ${error.message}`, {
+        userId: req.user.id
+      });
+      res.status(error.statusCode || 400).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Delete a stored card at the gateway and locally
+   */
+  async deleteCard(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      await paymentService.deleteCard(req.params.cardId, req.user.id);
+
+      res.json({
+        success: true,
+        message: 'Card deleted.'
+      });
+    } catch (error) {
+      logger.error(`Failed to delete card: ${error.message}`, {
+        cardId: req.params.cardId
+      });
+      res.status(error.statusCode || 400).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+}
+
+module.exports = new PaymentController();
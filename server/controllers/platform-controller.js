@@ -1,8 +1,14 @@
 const { PlatformConnection, Order, Product } = require('../models');
 const logger = require('../utils/logger');
+const subscriptionBillingService = require('../services/subscription-billing-service');
 const HepsiburadaService = require('../modules/order-management/services/platforms/hepsiburada/hepsiburada-service');
 const TrendyolService = require('../modules/order-management/services/platforms/trendyol/trendyol-service');
 const N11Service = require('../modules/order-management/services/platforms/n11/n11-service');
+const AmazonService = require('../modules/order-management/services/platforms/amazon/amazon-service');
+const PazaramaService = require('../modules/order-management/services/platforms/pazarama/pazarama-service');
+const CiceksepetiService = require('../modules/order-management/services/platforms/ciceksepeti/ciceksepeti-service');
+const WooCommerceService = require('../modules/order-management/services/platforms/woocommerce/woocommerce-service');
+const ShopifyService = require('../modules/order-management/services/platforms/shopify/shopify-service');
 
 // Utility function to safely serialize data and prevent circular references
 const safeJsonResponse = (data) => {
@@ -68,6 +74,11 @@ const platformServices = {};
 platformServices.hepsiburada = HepsiburadaService;
 platformServices.trendyol = TrendyolService;
 platformServices.n11 = N11Service;
+platformServices.amazon = AmazonService;
+platformServices.pazarama = PazaramaService;
+platformServices.ciceksepeti = CiceksepetiService;
+platformServices.woocommerce = WooCommerceService;
+platformServices.shopify = ShopifyService;
 
 // Get all platform connections for a user
 const getConnections = async (req, res) => {
@@ -152,6 +163,25 @@ const createConnection = async (req, res) => {
       });
     }
 
+    // Enforce the plan's platform limit
+    const connectionCount = await PlatformConnection.count({
+      where: { userId: req.user.id }
+    });
+    const platformLimit = await subscriptionBillingService.checkPlanLimit(
+      req.user.id,
+      'platforms',
+      connectionCount + 1
+    );
+
+    if (!platformLimit.allowed) {
+      return res.status(403).json({
+        success: false,
+        message: `Your ${platformLimit.planId} plan allows ${platformLimit.limit} platform connection(s). Upgrade your plan to connect more platforms.`,
+        error: 'PLATFORM_LIMIT_REACHED',
+        upgradeRequired: true
+      });
+    }
+
     const connection = await PlatformConnection.create({
       userId: req.user.id,
       platformType,
@@ -899,6 +929,119 @@ const retrySyncHistory = async (req, res) => {
   }
 };
 
+// Platforms that push order changes to us through webhooks
+const WEBHOOK_PLATFORMS = ['woocommerce', 'shopify'];
+
+// Register order webhooks on the web shop of a connection
+const registerWebhooks = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const connection = await PlatformConnection.findOne({
+      where: {
+        id,
+        userId: req.user.id
+      }
+    });
+
+    if (!connection) {
+      return res.status(404).json({
+        success: false,
+        message: 'Platform connection not found'
+      });
+    }
+
+    if (!WEBHOOK_PLATFORMS.includes(connection.platformType)) {
+      return res.status(400).json({
+        success: false,
+        message: `Webhooks are not supported for ${connection.platformType}`
+      });
+    }
+
+    const baseUrl =
+      process.env.SERVER_BASE_URL || `${req.protocol}://${req.get('host')}`;
+    const deliveryUrl = `${baseUrl.replace(/\/+$/, '')}/api/platforms/webhooks/${connection.platformType}/${connection.id}`;
+
+    const service = new platformServices[connection.platformType](connection.id);
+    service.connection = connection;
+    const result = await service.registerWebhooks(deliveryUrl);
+
+    res.status(result.success ? 200 : 502).json(result);
+  } catch (error) {
+    logger.error(`Register webhooks error: ${error.message}`, {
+      error,
+      connectionId: req.params.id
+    });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to register webhooks'
+    });
+  }
+};
+
+// Receive an order webhook from a web shop (public, authenticated by signature)
+const receiveWebhook = async (req, res) => {
+  const { platform, connectionId } = req.params;
+
+  try {
+    if (!WEBHOOK_PLATFORMS.includes(platform)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Unknown webhook platform'
+      });
+    }
+
+    const connection = await PlatformConnection.findOne({
+      where: {
+        id: connectionId,
+        platformType: platform
+      }
+    });
+
+    if (!connection || !connection.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Platform connection not found'
+      });
+    }
+
+    const service = new platformServices[platform](connection.id);
+    service.connection = connection;
+
+    if (!service.verifyWebhook(req.rawBody, req.headers)) {
+      logger.warn('Rejected webhook with invalid signature', {
+        platform,
+        connectionId
+      });
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid webhook signature'
+      });
+    }
+
+    const result = await service.handleWebhook(req.body, req.headers);
+
+    logger.info(`Webhook processed: ${result.message}`, {
+      platform,
+      connectionId,
+      stats: result.stats
+    });
+
+    res.json({ success: true, message: result.message });
+  } catch (error) {
+    logger.error(`Webhook processing error: ${error.message}`, {
+      error,
+      platform,
+      connectionId
+    });
+    // A 5xx makes the shop retry the delivery later
+    res.status(500).json({
+      success: false,
+      message: 'Failed to process webhook'
+    });
+  }
+};
+
 // Helper function to test platform connections
 async function testPlatformConnection(connection) {
   try {
@@ -929,6 +1072,15 @@ async function testPlatformConnection(connection) {
       n11Service.connection = connection;
       return await n11Service.testConnection();
     }
+    case 'amazon':
+    case 'pazarama':
+    case 'ciceksepeti':
+    case 'woocommerce':
+    case 'shopify': {
+      const service = new platformServices[platformType](connection.id);
+      service.connection = connection;
+      return await service.testConnection();
+    }
     case 'csv': {
       const csvService = new platformServices.csv(connection.id);
       return await csvService.testConnection();
@@ -959,5 +1111,7 @@ module.exports = {
   syncPlatform,
   getPlatformAnalytics,
   getSyncHistory,
-  retrySyncHistory
+  retrySyncHistory,
+  registerWebhooks,
+  receiveWebhook
 };
@@ -1,23 +1,168 @@
-const { Product, Supplier, SupplierPrice } = require("../models");
+const {
+  Product,
+  Supplier,
+  SupplierPrice,
+  SupplierFeedRun,
+  SupplierPriceHistory,
+} = require("../models");
 const logger = require("../utils/logger");
 const { Op } = require("sequelize");
+const { validationResult } = require("express-validator");
+const supplierFeedService = require("../services/supplier-feed-service");
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      success: false,
+      message: "Validation errors",
+      errors: errors.array(),
+    });
+    return true;
+  }
+  return false;
+};
+
+/**
+ * Suppliers visible to a user: their own and shared (ownerless) ones
+ */
+const supplierScope = (userId) => ({
+  [Op.or]: [{ userId }, { userId: null }],
+});
+
+const findSupplier = (id, userId) =>
+  Supplier.findOne({ where: { id, ...supplierScope(userId) } });
 
 class PriceController {
   /**
-   * Simulate updating prices and stock from a specific supplier's API with more realistic data.
+   * List suppliers with their feed configuration
    */
-  async updatePrices(req, res) {
+  async getSuppliers(req, res) {
+    try {
+      const suppliers = await Supplier.findAll({
+        where: supplierScope(req.user.id),
+        order: [
+          ["priority", "ASC"],
+          ["name", "ASC"],
+        ],
+      });
+
+      res.json({
+        success: true,
+        data: suppliers,
+      });
+    } catch (error) {
+      logger.error("Failed to list suppliers:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to list suppliers.",
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Create a supplier owned by the current user
+   */
+  async createSupplier(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const { name, priority = 0, apiDetails, feedConfig } = req.body;
+      const configErrors = supplierFeedService.validateFeedConfig(feedConfig);
+      if (configErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid feed configuration.",
+          errors: configErrors,
+        });
+      }
+
+      const supplier = await Supplier.create({
+        name,
+        priority,
+        apiDetails,
+        feedConfig,
+        userId: req.user.id,
+      });
+
+      res.status(201).json({
+        success: true,
+        message: "Supplier created.",
+        data: supplier,
+      });
+    } catch (error) {
+      if (error.name === "SequelizeUniqueConstraintError") {
+        return res.status(409).json({
+          success: false,
+          message: "A supplier with this name already exists.",
+        });
+      }
+      logger.error("Failed to create supplier:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to create supplier.",
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Update the feed configuration (URL, format, field mapping, thresholds)
+   */
+  async updateFeedConfig(req, res) {
     try {
-      const { supplierId } = req.body;
+      if (sendValidationErrors(req, res)) return;
 
-      if (!supplierId) {
+      const supplier = await findSupplier(req.params.id, req.user.id);
+      if (!supplier) {
+        return res.status(404).json({
+          success: false,
+          message: "Supplier not found.",
+        });
+      }
+
+      const feedConfig = { ...(supplier.feedConfig || {}), ...req.body };
+      const configErrors = supplierFeedService.validateFeedConfig(feedConfig);
+      if (configErrors.length > 0) {
         return res.status(400).json({
           success: false,
-          message: "supplierId is required.",
+          message: "Invalid feed configuration.",
+          errors: configErrors,
         });
       }
 
-      const supplier = await Supplier.findByPk(supplierId);
+      // Shared suppliers are claimed by the first user configuring their feed
+      await supplier.update({
+        feedConfig,
+        userId: supplier.userId || req.user.id,
+      });
+
+      res.json({
+        success: true,
+        message: "Feed configuration updated.",
+        data: supplier,
+      });
+    } catch (error) {
+      logger.error("Failed to update supplier feed configuration:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to update feed configuration.",
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Fetch the supplier's feed from its configured URL and apply prices and stock
+   */
+  async updatePrices(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const { supplierId, dryRun = false } = req.body;
+
+      const supplier = await findSupplier(supplierId, req.user.id);
       if (!supplier) {
         return res.status(404).json({
           success: false,
@@ -25,88 +170,317 @@ class PriceController {
         });
       }
 
-      logger.info(`Simulating realistic price update from supplier: ${supplier.name}`);
-
-      // Find all products currently offered by this supplier
-      const supplierProducts = await SupplierPrice.findAll({
-        where: { supplierId },
-        include: [{ model: Product, as: 'product' }]
-      });
-
-      let newProductAdded = false;
-      // Occasionally, add a new product to the supplier's list
-      if (Math.random() < 0.2) { // 20% chance to add a new product
-        const allProductIds = (await Product.findAll({ attributes: ['id'] })).map(p => p.id);
-        const supplierProductIds = supplierProducts.map(p => p.productId);
-        const newProductIds = allProductIds.filter(id => !supplierProductIds.includes(id));
-
-        if (newProductIds.length > 0) {
-          const randomProductId = newProductIds[Math.floor(Math.random() * newProductIds.length)];
-          await SupplierPrice.create({
-            supplierId,
-            productId: randomProductId,
-            priceTl: (Math.random() * 100 + 10).toFixed(2), // Random price between 10-110
-            stockStatus: Math.floor(Math.random() * 100),
-            lastUpdated: new Date(),
-          });
-          newProductAdded = true;
-          logger.info(`Supplier ${supplier.name} added a new product (ID: ${randomProductId}) to their list.`);
-        }
+      if (!supplier.feedConfig?.url) {
+        return res.status(400).json({
+          success: false,
+          message: "Supplier has no feed URL configured. Upload a feed file instead.",
+        });
       }
 
-      if (supplierProducts.length === 0 && !newProductAdded) {
-        return res.json({
-          success: true,
-          message: "No products found for this supplier to update or add.",
-          data: { updatedCount: 0, newProductAdded: false },
+      logger.info(`Running price feed for supplier: ${supplier.name}`);
+
+      const run = await supplierFeedService.runFeed(supplier, {
+        userId: req.user.id,
+        dryRun: Boolean(dryRun),
+      });
+
+      PriceController.sendRunResult(res, supplier, run);
+    } catch (error) {
+      logger.error("Failed to update supplier prices:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to update supplier prices.",
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Apply an uploaded feed file (multipart field "file")
+   */
+  async uploadFeed(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          message: "A feed file is required.",
         });
       }
 
-      const updatePromises = supplierProducts.map(item => {
-        // Simulate a more realistic price/stock change (e.g., +/- 5-10%)
-        const currentPrice = parseFloat(item.priceTl);
-        const priceChangePercentage = (Math.random() * 0.10) - 0.05; // -5% to +5%
-        const newPrice = (currentPrice * (1 + priceChangePercentage)).toFixed(2);
-
-        const currentStock = item.stockStatus;
-        const stockChange = Math.floor(Math.random() * 10) - 5; // -5 to +4
-        const newStock = Math.max(0, currentStock + stockChange); // Ensure stock doesn't go below 0
-
-        logger.info(`Updating product SKU ${item.product.sku}: Price ${currentPrice} -> ${newPrice}, Stock ${currentStock} -> ${newStock}`);
-
-        return SupplierPrice.update({
-          priceTl: newPrice,
-          stockStatus: newStock,
-          lastUpdated: new Date(),
-        }, {
-          where: {
-            id: item.id
-          }
+      const supplier = await findSupplier(req.params.id, req.user.id);
+      if (!supplier) {
+        return res.status(404).json({
+          success: false,
+          message: "Supplier not found.",
         });
+      }
+
+      const extension = req.file.originalname.split(".").pop().toLowerCase();
+      const format =
+        req.body.format ||
+        (supplierFeedService.FEED_FORMATS.includes(extension) ? extension : undefined);
+
+      const run = await supplierFeedService.runFeed(supplier, {
+        userId: req.user.id,
+        content: req.file.buffer,
+        fileName: req.file.originalname,
+        format,
+        dryRun: req.body.dryRun === true || req.body.dryRun === "true",
+      });
+
+      PriceController.sendRunResult(res, supplier, run);
+    } catch (error) {
+      logger.error("Failed to process uploaded supplier feed:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to process supplier feed.",
+        error: error.message,
+      });
+    }
+  }
+
+  static sendRunResult(res, supplier, run) {
+    if (run.status === "failed") {
+      return res.status(422).json({
+        success: false,
+        message: `Feed run failed for supplier ${supplier.name}: ${run.error}`,
+        data: run,
       });
+    }
+
+    const { stats } = run;
+    res.json({
+      success: true,
+      message: `${run.dryRun ? "Dry run" : "Feed run"} complete for supplier ${supplier.name}: ${stats.created + stats.updated} changed, ${stats.flagged} flagged, ${stats.unmatched} unmatched.`,
+      data: run,
+    });
+  }
 
-      await Promise.all(updatePromises);
+  /**
+   * Feed runs of a supplier with their open reviews, without the diff payload
+   */
+  async getFeedRuns(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) return;
 
-      logger.info(`Successfully updated ${supplierProducts.length} price records for supplier: ${supplier.name}`);
+      const supplier = await findSupplier(req.params.id, req.user.id);
+      if (!supplier) {
+        return res.status(404).json({
+          success: false,
+          message: "Supplier not found.",
+        });
+      }
+
+      const { page = 1, limit = 20 } = req.query;
+      const pageSize = Math.min(parseInt(limit, 10) || 20, 100);
+      const { count, rows } = await SupplierFeedRun.findAndCountAll({
+        where: { supplierId: supplier.id },
+        attributes: { exclude: ["changes", "unmatched"] },
+        order: [["startedAt", "DESC"]],
+        limit: pageSize,
+        offset: (Math.max(parseInt(page, 10) || 1, 1) - 1) * pageSize,
+      });
+
+      // Flagged swings of each run that still wait for a decision
+      const pending = await SupplierPriceHistory.count({
+        where: {
+          feedRunId: { [Op.in]: rows.map((run) => run.id) },
+          reviewStatus: "pending",
+        },
+        group: ["feedRunId"],
+      });
+      const pendingByRun = new Map(
+        pending.map((row) => [row.feedRunId, Number(row.count)])
+      );
 
       res.json({
         success: true,
-        message: `Simulated realistic price update complete for supplier ${supplier.name}.${newProductAdded ? ' A new product was also added.' : ''}`,
         data: {
-          updatedCount: supplierProducts.length,
-          newProductAdded,
-          updatedProductIds: supplierProducts.map(p => p.productId),
+          runs: rows.map((run) => ({
+            ...run.toJSON(),
+            pendingReviews: pendingByRun.get(run.id) || 0,
+          })),
+          pagination: {
+            total: count,
+            page: parseInt(page, 10) || 1,
+            limit: pageSize,
+          },
         },
       });
     } catch (error) {
-      logger.error("Failed to simulate price update:", error);
+      logger.error("Failed to list supplier feed runs:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to list feed runs.",
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Diff report of a single feed run
+   */
+  async getFeedRun(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const run = await SupplierFeedRun.findByPk(req.params.runId, {
+        include: [
+          { model: Supplier, as: "supplier", attributes: ["id", "name", "userId"] },
+          {
+            model: SupplierPriceHistory,
+            as: "history",
+            where: { flagged: true },
+            required: false,
+            attributes: ["id", "productId", "reviewStatus", "reviewedAt"],
+          },
+        ],
+      });
+      if (
+        !run ||
+        (run.supplier.userId && run.supplier.userId !== req.user.id)
+      ) {
+        return res.status(404).json({
+          success: false,
+          message: "Feed run not found.",
+        });
+      }
+
+      res.json({
+        success: true,
+        data: run,
+      });
+    } catch (error) {
+      logger.error("Failed to load supplier feed run:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to load feed run.",
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Price history of a supplier, optionally for one product
+   */
+  async getPriceHistory(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const supplier = await findSupplier(req.params.id, req.user.id);
+      if (!supplier) {
+        return res.status(404).json({
+          success: false,
+          message: "Supplier not found.",
+        });
+      }
+
+      const history = await supplierFeedService.getPriceHistory(supplier.id, {
+        productId: req.query.productId,
+        flaggedOnly: req.query.flagged === "true",
+        reviewStatus: req.query.reviewStatus,
+        limit: req.query.limit,
+      });
+
+      res.json({
+        success: true,
+        data: history,
+      });
+    } catch (error) {
+      logger.error("Failed to load supplier price history:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to load price history.",
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Approve or reject a flagged price swing whose cost was held back
+   */
+  async reviewFlaggedPrice(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const entry = await SupplierPriceHistory.findByPk(req.params.historyId);
+      const supplier =
+        entry && (await findSupplier(entry.supplierId, req.user.id));
+      if (!supplier) {
+        return res.status(404).json({
+          success: false,
+          message: "Price change not found.",
+        });
+      }
+
+      const reviewed = await supplierFeedService.reviewFlaggedPrice(
+        entry,
+        req.body.decision,
+        req.user.id
+      );
+
+      res.json({
+        success: true,
+        message:
+          reviewed.reviewStatus === "approved"
+            ? "Supplier price applied to the product cost."
+            : "Price change rejected, the product cost was kept.",
+        data: reviewed,
+      });
+    } catch (error) {
+      logger.error("Failed to review flagged supplier price:", error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.statusCode
+          ? error.message
+          : "Failed to review price change.",
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Current supplier prices with their products
+   */
+  async getSupplierPrices(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const supplier = await findSupplier(req.params.id, req.user.id);
+      if (!supplier) {
+        return res.status(404).json({
+          success: false,
+          message: "Supplier not found.",
+        });
+      }
+
+      const prices = await SupplierPrice.findAll({
+        where: { supplierId: supplier.id },
+        include: [
+          {
+            model: Product,
+            as: "product",
+            attributes: ["id", "name", "sku", "barcode", "costPrice", "stockQuantity"],
+          },
+        ],
+        order: [["lastUpdated", "DESC"]],
+      });
+
+      res.json({
+        success: true,
+        data: prices,
+      });
+    } catch (error) {
+      logger.error("Failed to load supplier prices:", error);
       res.status(500).json({
         success: false,
-        message: "Failed to simulate price update.",
+        message: "Failed to load supplier prices.",
         error: error.message,
       });
     }
   }
 }
 
-module.exports = new PriceController();
\ No newline at end of file
+module.exports = new PriceController();
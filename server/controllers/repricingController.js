@@ -0,0 +1,300 @@
+const { Product, RepricingRule, PriceChangeLog } = require("../models");
+const logger = require("../utils/logger");
+const { validationResult } = require("express-validator");
+const repricingService = require("../services/repricing-service");
+
+const RULE_FIELDS = [
+  "name",
+  "isActive",
+  "priority",
+  "platforms",
+  "scopeType",
+  "scopeValue",
+  "targetMargin",
+  "vatRate",
+  "commissionRate",
+  "shippingCost",
+  "minPrice",
+  "maxPrice",
+  "roundingEnding",
+];
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      success: false,
+      message: "Validation errors",
+      errors: errors.array(),
+    });
+    return true;
+  }
+  return false;
+};
+
+const pickRuleFields = (body) =>
+  RULE_FIELDS.reduce((fields, key) => {
+    if (body[key] !== undefined) fields[key] = body[key];
+    return fields;
+  }, {});
+
+const checkRuleConsistency = (rule) => {
+  if (rule.scopeType !== "all" && !rule.scopeValue) {
+    return "scopeValue is required for category, brand and SKU pattern rules.";
+  }
+  if (
+    rule.minPrice !== null &&
+    rule.minPrice !== undefined &&
+    rule.maxPrice !== null &&
+    rule.maxPrice !== undefined &&
+    Number(rule.minPrice) > Number(rule.maxPrice)
+  ) {
+    return "minPrice cannot be greater than maxPrice.";
+  }
+  return null;
+};
+
+const getRepricingOptions = (body) => ({
+  ruleIds: body.ruleIds,
+  platforms: body.platforms,
+  productIds: body.productIds,
+});
+
+class RepricingController {
+  /**
+   * List the user's repricing rules
+   */
+  async getRules(req, res) {
+    try {
+      const rules = await RepricingRule.findAll({
+        where: { userId: req.user.id },
+        order: [
+          ["priority", "ASC"],
+          ["createdAt", "ASC"],
+        ],
+      });
+
+      res.json({
+        success: true,
+        data: rules,
+      });
+    } catch (error) {
+      logger.error("Failed to list repricing rules:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to list repricing rules.",
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Create a repricing rule
+   */
+  async createRule(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const fields = { scopeType: "all", ...pickRuleFields(req.body) };
+      const consistencyError = checkRuleConsistency(fields);
+      if (consistencyError) {
+        return res.status(400).json({
+          success: false,
+          message: consistencyError,
+        });
+      }
+
+      const rule = await RepricingRule.create({ ...fields, userId: req.user.id });
+
+      res.status(201).json({
+        success: true,
+        message: "Repricing rule created.",
+        data: rule,
+      });
+    } catch (error) {
+      logger.error("Failed to create repricing rule:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to create repricing rule.",
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Update a repricing rule
+   */
+  async updateRule(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const rule = await RepricingRule.findOne({
+        where: { id: req.params.id, userId: req.user.id },
+      });
+      if (!rule) {
+        return res.status(404).json({
+          success: false,
+          message: "Repricing rule not found.",
+        });
+      }
+
+      const fields = pickRuleFields(req.body);
+      const consistencyError = checkRuleConsistency({ ...rule.get(), ...fields });
+      if (consistencyError) {
+        return res.status(400).json({
+          success: false,
+          message: consistencyError,
+        });
+      }
+
+      await rule.update(fields);
+
+      res.json({
+        success: true,
+        message: "Repricing rule updated.",
+        data: rule,
+      });
+    } catch (error) {
+      logger.error("Failed to update repricing rule:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to update repricing rule.",
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Delete a repricing rule; its price change logs are kept
+   */
+  async deleteRule(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const deleted = await RepricingRule.destroy({
+        where: { id: req.params.id, userId: req.user.id },
+      });
+      if (!deleted) {
+        return res.status(404).json({
+          success: false,
+          message: "Repricing rule not found.",
+        });
+      }
+
+      res.json({
+        success: true,
+        message: "Repricing rule deleted.",
+      });
+    } catch (error) {
+      logger.error("Failed to delete repricing rule:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to delete repricing rule.",
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Dry run: calculated prices without applying them
+   */
+  async preview(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const result = await repricingService.preview(
+        req.user.id,
+        getRepricingOptions(req.body)
+      );
+
+      res.json({
+        success: true,
+        data: result,
+      });
+    } catch (error) {
+      logger.error("Failed to preview repricing:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to preview repricing.",
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Apply the calculated prices and sync them to the platforms
+   */
+  async apply(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const result = await repricingService.apply(
+        req.user.id,
+        getRepricingOptions(req.body)
+      );
+
+      res.json({
+        success: true,
+        message: `${result.changes.length} prices changed, ${result.stats.synced} synced to platforms.`,
+        data: result,
+      });
+    } catch (error) {
+      logger.error("Failed to apply repricing:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to apply repricing.",
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Price change audit log
+   */
+  async getPriceChanges(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const { productId, platform, batchId, ruleId, page = 1, limit = 50 } = req.query;
+      const where = { userId: req.user.id };
+      if (productId) where.productId = productId;
+      if (platform) where.platform = platform;
+      if (batchId) where.batchId = batchId;
+      if (ruleId) where.ruleId = ruleId;
+
+      const pageSize = Math.min(parseInt(limit, 10) || 50, 200);
+      const currentPage = Math.max(parseInt(page, 10) || 1, 1);
+      const { count, rows } = await PriceChangeLog.findAndCountAll({
+        where,
+        include: [
+          { model: Product, as: "product", attributes: ["id", "name", "sku"] },
+          { model: RepricingRule, as: "rule", attributes: ["id", "name"] },
+        ],
+        order: [["createdAt", "DESC"]],
+        limit: pageSize,
+        offset: (currentPage - 1) * pageSize,
+      });
+
+      res.json({
+        success: true,
+        data: {
+          changes: rows,
+          pagination: {
+            total: count,
+            page: currentPage,
+            limit: pageSize,
+          },
+        },
+      });
+    } catch (error) {
+      logger.error("Failed to list price changes:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to list price changes.",
+        error: error.message,
+      });
+    }
+  }
+}
+
+module.exports = new RepricingController();
@@ -0,0 +1,210 @@
+const logger = require('../utils/logger');
+const { validationResult } = require('express-validator');
+const returnService = require('../services/return-service');
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      success: false,
+      message: 'Validation errors',
+      errors: errors.array()
+    });
+    return true;
+  }
+  return false;
+};
+
+/**
+ * Returns Controller
+ * Marketplace return claims: sync, approve/reject and return-rate reports
+ */
+class ReturnsController {
+  /**
+   * Stored return claims with per-status counts
+   */
+  async getClaims(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const result = await returnService.getClaims(req.user.id, req.query);
+
+      res.json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      logger.error('Failed to list return claims:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to list return claims.',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * A single return claim with its items
+   */
+  async getClaim(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const claim = await returnService.getClaim(req.user.id, req.params.id);
+
+      res.json({
+        success: true,
+        data: claim
+      });
+    } catch (error) {
+      logger.error('Failed to load return claim:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Pull claims from the marketplaces as a background task
+   */
+  async syncClaims(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const BackgroundTaskService = require('../services/BackgroundTaskService');
+      const { taskQueueManager } = require('../services/TaskQueueManager');
+      if (!taskQueueManager.getStatus().isProcessing) {
+        taskQueueManager.start();
+      }
+
+      const task = await BackgroundTaskService.createTask({
+        userId: req.user.id,
+        taskType: 'return_sync',
+        priority: 'normal',
+        config: {
+          platforms: req.body.platforms,
+          startDate: req.body.startDate
+        },
+        metadata: {
+          source: 'returns'
+        }
+      });
+
+      res.status(202).json({
+        success: true,
+        message: 'Return claims will be synced in the background.',
+        data: { taskId: task.id }
+      });
+    } catch (error) {
+      logger.error('Failed to start return claim sync:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to start return claim sync.',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Approve a claim on the marketplace and restock the returned units
+   */
+  async approveClaim(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const result = await returnService.approveClaim(req.user.id, req.params.id, {
+        itemIds: req.body.itemIds
+      });
+
+      res.json({
+        success: true,
+        message: `Return approved, ${result.restocked} units restocked.`,
+        data: result
+      });
+    } catch (error) {
+      logger.error('Failed to approve return claim:', error);
+      res.status(error.statusCode || 400).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Reject a claim on the marketplace with a reason
+   */
+  async rejectClaim(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const claim = await returnService.rejectClaim(req.user.id, req.params.id, {
+        reason: req.body.reason,
+        reasonCode: req.body.reasonCode,
+        itemIds: req.body.itemIds
+      });
+
+      res.json({
+        success: true,
+        message: 'Return rejected.',
+        data: claim
+      });
+    } catch (error) {
+      logger.error('Failed to reject return claim:', error);
+      res.status(error.statusCode || 400).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Rejection reasons accepted by the claim's marketplace
+   */
+  async getRejectionReasons(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const reasons = await returnService.getRejectionReasons(
+        req.user.id,
+        req.params.id
+      );
+
+      res.json({
+        success: true,
+        data: reasons
+      });
+    } catch (error) {
+      logger.error('Failed to load claim rejection reasons:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Return rate per product and per reason
+   */
+  async getReport(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const report = await returnService.getReport(req.user.id, req.query);
+
+      res.json({
+        success: true,
+        data: report
+      });
+    } catch (error) {
+      logger.error('Failed to build return report:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to build return report.',
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new ReturnsController();
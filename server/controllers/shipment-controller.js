@@ -0,0 +1,338 @@
+const logger = require('../utils/logger');
+const { validationResult } = require('express-validator');
+const shipmentService = require('../services/shipment-service');
+const shipmentTrackingService = require('../services/shipment-tracking-service');
+
+// Larger selections are handed to the shipment_creation background task
+const SYNC_SHIPMENT_LIMIT = 20;
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      success: false,
+      message: 'Validation errors',
+      errors: errors.array()
+    });
+    return true;
+  }
+  return false;
+};
+
+const getShipmentOptions = (body) => ({
+  codOrderIds: body.codOrderIds,
+  carrier: body.carrier,
+  strategy: body.strategy,
+  serviceType: body.serviceType,
+  pushToMarketplace: body.pushToMarketplace
+});
+
+/**
+ * Shipment Controller
+ * Carrier configuration and order shipments built on ShippingServiceFactory
+ */
+class ShipmentController {
+  /**
+   * Shipping configuration with carrier secrets masked
+   */
+  async getConfig(req, res) {
+    try {
+      const config = await shipmentService.getShippingConfig(req.user.id);
+
+      res.json({
+        success: true,
+        data: shipmentService.maskConfig(config)
+      });
+    } catch (error) {
+      logger.error('Failed to load shipping configuration:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to load shipping configuration.',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Save carrier credentials and carrier selection rules
+   */
+  async saveConfig(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const current = await shipmentService.getShippingConfig(req.user.id);
+      const configErrors = shipmentService.validateConfig({
+        ...current,
+        ...req.body
+      });
+      if (configErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: configErrors.join(' ')
+        });
+      }
+
+      const config = await shipmentService.saveShippingConfig(
+        req.user.id,
+        req.body
+      );
+
+      res.json({
+        success: true,
+        message: 'Shipping configuration saved.',
+        data: shipmentService.maskConfig(config)
+      });
+    } catch (error) {
+      logger.error('Failed to save shipping configuration:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to save shipping configuration.',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Supported carriers with their configuration state
+   */
+  async getCarriers(req, res) {
+    try {
+      const carriers = await shipmentService.getCarriers(req.user.id);
+
+      res.json({
+        success: true,
+        data: carriers
+      });
+    } catch (error) {
+      logger.error('Failed to list carriers:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to list carriers.',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Carrier chosen for each order, without creating shipments
+   */
+  async previewShipments(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const result = await shipmentService.preview(
+        req.user.id,
+        req.body.orderIds,
+        getShipmentOptions(req.body)
+      );
+
+      res.json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      logger.error('Failed to preview shipments:', error);
+      res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Create shipments and labels for the selected orders
+   */
+  async createShipments(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const { orderIds } = req.body;
+      const options = getShipmentOptions(req.body);
+
+      if (orderIds.length > SYNC_SHIPMENT_LIMIT) {
+        const BackgroundTaskService = require('../services/BackgroundTaskService');
+        const { taskQueueManager } = require('../services/TaskQueueManager');
+        if (!taskQueueManager.getStatus().isProcessing) {
+          taskQueueManager.start();
+        }
+
+        const task = await BackgroundTaskService.createTask({
+          userId: req.user.id,
+          taskType: 'shipment_creation',
+          priority: 'high',
+          config: { orderIds, ...options },
+          metadata: {
+            source: 'shipping',
+            orderCount: orderIds.length
+          }
+        });
+
+        return res.status(202).json({
+          success: true,
+          message: `Shipments for ${orderIds.length} orders will be created in the background.`,
+          data: { taskId: task.id }
+        });
+      }
+
+      const result = await shipmentService.createShipments(
+        req.user.id,
+        orderIds,
+        options
+      );
+
+      res.json({
+        success: true,
+        message: `${result.stats.created || 0} shipments created, ${
+          result.stats.failed || 0
+        } failed.`,
+        data: result
+      });
+    } catch (error) {
+      logger.error('Failed to create shipments:', error);
+      res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Created shipments
+   */
+  async getShipments(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const result = await shipmentService.getShipments(req.user.id, req.query);
+
+      res.json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      logger.error('Failed to list shipments:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to list shipments.',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Ask the carriers about shipments now; without orderIds, or for large
+   * selections, tracking runs as a background task
+   */
+  async trackShipments(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const { orderIds } = req.body;
+
+      if (!orderIds || orderIds.length > SYNC_SHIPMENT_LIMIT) {
+        const BackgroundTaskService = require('../services/BackgroundTaskService');
+        const { taskQueueManager } = require('../services/TaskQueueManager');
+        if (!taskQueueManager.getStatus().isProcessing) {
+          taskQueueManager.start();
+        }
+
+        const task = await BackgroundTaskService.createTask({
+          userId: req.user.id,
+          taskType: 'shipment_tracking',
+          priority: 'normal',
+          config: orderIds ? { orderIds } : {},
+          metadata: {
+            source: 'shipping',
+            orderCount: orderIds ? orderIds.length : null
+          }
+        });
+
+        return res.status(202).json({
+          success: true,
+          message: 'Shipment tracking will run in the background.',
+          data: { taskId: task.id }
+        });
+      }
+
+      const result = await shipmentTrackingService.syncShipments(req.user.id, {
+        orderIds
+      });
+
+      res.json({
+        success: true,
+        message: `${result.stats.total} shipments tracked, ${
+          result.stats.updated || 0
+        } updated.`,
+        data: result
+      });
+    } catch (error) {
+      logger.error('Failed to track shipments:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to track shipments.',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Tracking timeline of an order's shipment
+   */
+  async getTracking(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const tracking = await shipmentTrackingService.getTracking(
+        req.user.id,
+        req.params.orderId
+      );
+
+      if (!tracking) {
+        return res.status(404).json({
+          success: false,
+          message: 'Shipment not found.'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: tracking
+      });
+    } catch (error) {
+      logger.error('Failed to load shipment tracking:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to load shipment tracking.',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Carrier label URLs of the selected orders
+   */
+  async getLabels(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const labels = await shipmentService.getLabels(
+        req.user.id,
+        req.body.orderIds
+      );
+
+      res.json({
+        success: true,
+        data: labels
+      });
+    } catch (error) {
+      logger.error('Failed to load shipping labels:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to load shipping labels.',
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new ShipmentController();
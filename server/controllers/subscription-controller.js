@@ -1,82 +1,16 @@
 const { User, Subscription, UsageRecord, Invoice } = require('../models');
 const logger = require('../utils/logger');
 const { Op } = require('sequelize');
+const subscriptionBillingService = require('../services/subscription-billing-service');
+
+const { SUBSCRIPTION_PLANS } = subscriptionBillingService;
 
 /**
  * Subscription Controller
- * Handles subscription management, plan changes, billing, and usage tracking
+ * Handles subscription management, plan changes, billing, and usage tracking.
+ * Renewals, retries and trial expiry run in SubscriptionBillingScheduler.
  */
 
-// Subscription plan definitions
-const SUBSCRIPTION_PLANS = {
-  trial: {
-    id: 'trial',
-    name: 'Trial',
-    price: 0,
-    currency: 'TRY',
-    duration: 14, // days
-    features: ['basic_analytics', 'single_platform', 'email_support'],
-    limits: {
-      apiCalls: 500,
-      platforms: 1,
-      users: 1,
-      reports: 5
-    }
-  },
-  starter: {
-    id: 'starter',
-    name: 'Starter',
-    price: 19900, // ₺199.00 in kuruş
-    currency: 'TRY',
-    features: ['basic_analytics', 'single_platform', 'email_support'],
-    limits: {
-      apiCalls: 5000,
-      platforms: 1,
-      users: 1,
-      reports: 25
-    }
-  },
-  professional: {
-    id: 'professional',
-    name: 'Professional',
-    price: 39900, // ₺399.00 in kuruş
-    currency: 'TRY',
-    features: [
-      'advanced_analytics',
-      'multi_platform',
-      'inventory_intelligence',
-      'email_support',
-      'priority_support'
-    ],
-    limits: {
-      apiCalls: 25000,
-      platforms: 3,
-      users: 3,
-      reports: 100
-    }
-  },
-  enterprise: {
-    id: 'enterprise',
-    name: 'Enterprise',
-    price: 79900, // ₺799.00 in kuruş
-    currency: 'TRY',
-    features: [
-      'all_features',
-      'unlimited_platforms',
-      'ai_insights',
-      'custom_reports',
-      'dedicated_support',
-      'api_access'
-    ],
-    limits: {
-      apiCalls: -1, // unlimited
-      platforms: -1, // unlimited
-      users: 10,
-      reports: -1 // unlimited
-    }
-  }
-};
-
 /**
  * Get available subscription plans
  */
@@ -111,7 +45,7 @@ const getCurrentSubscription = async (req, res) => {
     const subscription = await Subscription.findOne({
       where: {
         userId,
-        status: { [Op.in]: ['trial', 'active'] }
+        status: { [Op.in]: ['trial', 'active', 'past_due'] }
       },
       include: [
         {
@@ -205,6 +139,7 @@ const startTrial = async (req, res) => {
       trialStartedAt: trialStartDate,
       trialEndsAt: trialEndDate,
       endsAt: trialEndDate,
+      currentPeriodStart: trialStartDate,
       features: trialPlan.features,
       limits: trialPlan.limits
     });
@@ -231,10 +166,10 @@ const startTrial = async (req, res) => {
     );
 
     // Create initial usage records
-    await createUsageRecords(
+    await subscriptionBillingService.createUsageRecords(
       userId,
       subscription.id,
-      trialPlan.limits,
+      trialPlan,
       trialStartDate,
       trialEndDate
     );
@@ -254,148 +189,66 @@ const startTrial = async (req, res) => {
 };
 
 /**
- * Upgrade subscription plan
+ * Change subscription plan. Upgrades are charged the prorated difference to
+ * the stored card right away, downgrades are credited to the next invoice.
  */
 const upgradeSubscription = async (req, res) => {
   try {
     const userId = req.user.id;
-    const { planId, paymentMethodId } = req.body;
+    const { planId, savedCardId } = req.body;
 
-    // Validate plan
-    const newPlan = SUBSCRIPTION_PLANS[planId];
-    if (!newPlan) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid subscription plan'
+    const { subscription, invoice, proratedAmount } =
+      await subscriptionBillingService.changePlan(userId, planId, {
+        savedCardId
       });
-    }
 
-    // Get current subscription
-    const currentSubscription = await Subscription.findOne({
-      where: {
-        userId,
-        status: { [Op.in]: ['trial', 'active'] }
+    res.json({
+      success: true,
+      message: 'Subscription plan changed successfully',
+      data: {
+        subscription,
+        invoice,
+        proratedAmount: proratedAmount / 100 // Convert to TRY
       }
     });
-
-    if (!currentSubscription) {
-      return res.status(404).json({
-        success: false,
-        message: 'No active subscription found'
-      });
-    }
-
-    // Calculate prorated amount if upgrading mid-cycle
-    const proratedAmount = currentSubscription.calculateProratedAmount(
-      newPlan.price
-    );
-
-    // For now, we'll simulate successful payment
-    // In production, integrate with Iyzico/Stripe here
-    const paymentSuccessful = true;
-
-    if (!paymentSuccessful) {
-      return res.status(400).json({
-        success: false,
-        message: 'Payment failed'
-      });
-    }
-
-    // End current subscription
-    await currentSubscription.update({
-      status: 'canceled',
-      canceledAt: new Date(),
-      cancelAtPeriodEnd: false
-    });
-
-    // Create new subscription
-    const billingStartDate = new Date();
-    const billingEndDate = new Date(
-      billingStartDate.getTime() + 30 * 24 * 60 * 60 * 1000
-    ); // 30 days
-
-    const newSubscription = await Subscription.create({
-      userId,
-      planId: newPlan.id,
-      planName: newPlan.name,
-      amount: newPlan.price,
-      currency: newPlan.currency,
-      status: 'active',
-      startedAt: billingStartDate,
-      endsAt: billingEndDate,
-      subscriptionStartedAt: billingStartDate,
-      subscriptionEndsAt: billingEndDate,
-      nextBillingAt: billingEndDate,
-      nextBillingAmount: newPlan.price,
-      features: newPlan.features,
-      limits: newPlan.limits,
-      metadata: {
-        upgradeFrom: currentSubscription.planId,
-        proratedAmount
-      }
+  } catch (error) {
+    logger.error('Upgrade subscription error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode
+        ? error.message
+        : 'Failed to upgrade subscription'
     });
+  }
+};
 
-    // Update user subscription information
-    const featuresEnabled = {
-      analytics: true,
-      inventory_management: true,
-      multi_platform: newPlan.features.includes('multi_platform'),
-      ai_insights: newPlan.features.includes('ai_insights'),
-      custom_reports: newPlan.features.includes('custom_reports'),
-      api_access: newPlan.features.includes('api_access')
-    };
-
-    await User.update(
-      {
-        subscriptionPlan: planId,
-        subscriptionStatus: 'active',
-        subscriptionStartedAt: billingStartDate,
-        subscriptionEndsAt: billingEndDate,
-        featuresEnabled,
-        monthlyApiLimit:
-          newPlan.limits.apiCalls > 0 ? newPlan.limits.apiCalls : 100000
-      },
-      {
-        where: { id: userId }
-      }
-    );
-
-    // Create usage records for new plan
-    await createUsageRecords(
-      userId,
-      newSubscription.id,
-      newPlan.limits,
-      billingStartDate,
-      billingEndDate
-    );
-
-    // Create invoice for the upgrade
-    await createInvoice(userId, newSubscription.id, {
-      description: `Subscription upgrade to ${newPlan.name}`,
-      amount: proratedAmount,
-      items: [
-        {
-          description: `${newPlan.name} Plan`,
-          quantity: 1,
-          unitPrice: newPlan.price,
-          amount: proratedAmount
-        }
-      ]
-    });
+/**
+ * Set the stored card renewals are charged to
+ */
+const updatePaymentMethod = async (req, res) => {
+  try {
+    const { subscription, retried, outcome } =
+      await subscriptionBillingService.updatePaymentMethod(
+        req.user.id,
+        req.body.savedCardId
+      );
 
     res.json({
       success: true,
-      message: 'Subscription upgraded successfully',
-      data: {
-        subscription: newSubscription,
-        proratedAmount: proratedAmount / 100 // Convert to TRY
-      }
+      message: retried
+        ? outcome === 'recovered'
+          ? 'Payment method updated and outstanding invoice paid'
+          : 'Payment method updated but the outstanding invoice could not be charged'
+        : 'Payment method updated',
+      data: { subscription, retried, outcome }
     });
   } catch (error) {
-    logger.error('Upgrade subscription error:', error);
-    res.status(500).json({
+    logger.error('Update payment method error:', error);
+    res.status(error.statusCode || 500).json({
       success: false,
-      message: 'Failed to upgrade subscription'
+      message: error.statusCode
+        ? error.message
+        : 'Failed to update payment method'
     });
   }
 };
@@ -474,7 +327,7 @@ const getBillingHistory = async (req, res) => {
     const offset = (page - 1) * limit;
 
     const { count, rows: invoices } = await Invoice.findAndCountAll({
-      where: { userId },
+      where: { userId, type: 'subscription' },
       order: [['issueDate', 'DESC']],
       limit: parseInt(limit),
       offset: offset
@@ -506,106 +359,18 @@ const getBillingHistory = async (req, res) => {
  */
 const trackUsage = async (userId, metricType, amount = 1) => {
   try {
-    const currentDate = new Date();
-    const startOfMonth = new Date(
-      currentDate.getFullYear(),
-      currentDate.getMonth(),
-      1
-    );
-    const endOfMonth = new Date(
-      currentDate.getFullYear(),
-      currentDate.getMonth() + 1,
-      0
-    );
-
-    const usageRecord = await UsageRecord.findOne({
-      where: {
-        userId,
-        metricType,
-        billingPeriodStart: { [Op.lte]: currentDate },
-        billingPeriodEnd: { [Op.gte]: currentDate }
-      }
-    });
-
-    if (usageRecord) {
-      await usageRecord.increment('currentUsage', { by: amount });
-
-      // Check for usage limit warnings
-      if (usageRecord.isApproachingLimit()) {
-        logger.warn(`User ${userId} approaching ${metricType} limit`, {
-          userId,
-          metricType,
-          currentUsage: usageRecord.currentUsage + amount,
-          limit: usageRecord.limit,
-          percentage: usageRecord.getUsagePercentage()
-        });
-      }
-    }
+    await subscriptionBillingService.recordUsage(userId, metricType, amount);
   } catch (error) {
     logger.error('Track usage error:', error);
   }
 };
 
-/**
- * Helper function to create usage records
- */
-const createUsageRecords = async (
-  userId,
-  subscriptionId,
-  limits,
-  startDate,
-  endDate
-) => {
-  const records = [];
-
-  for (const [metricType, limit] of Object.entries(limits)) {
-    if (limit > 0) {
-      // Skip unlimited limits (-1)
-      records.push({
-        userId,
-        subscriptionId,
-        metricType,
-        currentUsage: 0,
-        limit,
-        billingPeriodStart: startDate,
-        billingPeriodEnd: endDate
-      });
-    }
-  }
-
-  await UsageRecord.bulkCreate(records);
-};
-
-/**
- * Helper function to create invoice
- */
-const createInvoice = async (userId, subscriptionId, invoiceData) => {
-  const invoiceNumber = `INV-${new Date().getFullYear()}-${String(
-    Date.now()
-  ).slice(-6)}`;
-
-  const invoice = await Invoice.create({
-    invoiceNumber,
-    userId,
-    subscriptionId,
-    description: invoiceData.description,
-    subtotal: invoiceData.amount,
-    total: invoiceData.amount,
-    currency: 'TRY',
-    status: 'open',
-    issueDate: new Date(),
-    dueDate: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000), // 7 days
-    lineItems: invoiceData.items || []
-  });
-
-  return invoice;
-};
-
 module.exports = {
   getPlans,
   getCurrentSubscription,
   startTrial,
   upgradeSubscription,
+  updatePaymentMethod,
   cancelSubscription,
   getBillingHistory,
   trackUsage,
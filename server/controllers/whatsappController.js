@@ -1,76 +1,144 @@
-const { Order } = require("../models");
+const { validationResult } = require("express-validator");
 const logger = require("../utils/logger");
+const whatsappCloud = require("../services/whatsapp-cloud-service");
+const whatsappService = require("../services/whatsapp-service");
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      success: false,
+      message: "Validation errors",
+      errors: errors.array(),
+    });
+    return true;
+  }
+  return false;
+};
 
 class WhatsAppController {
   /**
-   * Handles incoming webhook messages from a WhatsApp API provider.
-   * This method simulates parsing a message, finding an order, and preparing a response.
+   * Answers the subscription handshake Meta performs when the webhook URL
+   * is configured in the app dashboard.
+   */
+  async verifyWebhook(req, res) {
+    const challenge = whatsappCloud.verifySubscription(req.query);
+    if (challenge === null) {
+      logger.warn("WhatsApp webhook verification rejected", {
+        mode: req.query["hub.mode"],
+      });
+      return res.sendStatus(403);
+    }
+
+    res.status(200).type("text/plain").send(challenge);
+  }
+
+  /**
+   * Handles Cloud API webhook deliveries: customer messages, which the
+   * assistant answers, and status updates of the messages we sent.
+   * Payloads must be signed with the app secret.
    */
   async handleWebhook(req, res) {
     try {
-      // The request body structure will depend on the WhatsApp API provider (e.g., Twilio, Meta).
-      // We'll simulate a simple payload for now.
-      const { from, body } = req.body; // 'from' is the user's phone number, 'body' is the message.
-
-      if (!from || !body || !body.message) {
-        return res.status(400).json({
+      if (
+        !whatsappCloud.verifySignature(
+          req.rawBody,
+          req.headers["x-hub-signature-256"]
+        )
+      ) {
+        logger.warn("Rejected WhatsApp webhook with an invalid signature");
+        return res.status(401).json({
           success: false,
-          message: "Invalid webhook payload. 'from' and 'body.message' are required.",
+          message: "Invalid webhook signature.",
         });
       }
 
-      const userMessage = body.message;
-      logger.info(`Received WhatsApp message from ${from}: "${userMessage}"`);
+      const stats = await whatsappService.handleWebhook(req.body);
 
-      // 1. Parse the message to find an order number.
-      // We'll look for a pattern like #... or just a sequence of numbers.
-      let responseMessage;
-      const lowerCaseMessage = userMessage.toLowerCase();
+      res.status(200).json({
+        success: true,
+        message: "Webhook processed successfully.",
+        data: stats,
+      });
+    } catch (error) {
+      // Meta redelivers on errors; messages already handled are skipped then
+      logger.error("WhatsApp webhook handler failed:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to process WhatsApp webhook.",
+        error: error.message,
+      });
+    }
+  }
 
-      if (lowerCaseMessage.includes('iade') || lowerCaseMessage.includes('return')) {
-        responseMessage = "İade politikamıza göre, ürünleri teslim aldıktan sonra 14 gün içinde iade edebilirsiniz. Detaylı bilgi için web sitemizi ziyaret edebilirsiniz.";
-      } else if (lowerCaseMessage.includes('kargo') || lowerCaseMessage.includes('shipping')) {
-        responseMessage = "Standart kargo seçeneğimiz 3-5 iş günü içinde teslimat sağlar. Ekspres kargo seçeneğimiz de mevcuttur.";
-      } else {
-        const orderNumberMatch = userMessage.match(/#?(\d+)/);
-        if (orderNumberMatch) {
-          const orderNumber = orderNumberMatch[1];
-          logger.info(`Parsed order number ${orderNumber} from message.`);
+  /**
+   * Customers known by WhatsApp and their notification consent
+   */
+  async getContacts(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) return;
 
-          const order = await Order.findOne({
-            where: { orderNumber: `PZR-${orderNumber}` },
-          });
+      const result = await whatsappService.getContacts(req.user.id, req.query);
+      res.json({ success: true, data: result });
+    } catch (error) {
+      logger.error("Failed to load WhatsApp contacts:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to load WhatsApp contacts",
+        error: error.message,
+      });
+    }
+  }
 
-          if (order) {
-            responseMessage = `Merhaba! #${orderNumber} numaralı siparişinizin durumu: ${order.orderStatus}.`;
-          } else {
-            responseMessage = `Merhaba! #${orderNumber} numaralı siparişinizi bulamadık. Lütfen numarayı kontrol edip tekrar deneyin.`;
-          }
-        } else {
-          responseMessage = "Merhaba! Sipariş durumunuzu öğrenmek için lütfen sipariş numaranızı yazın (örn: #12345). İade veya kargo hakkında bilgi almak için 'iade' veya 'kargo' yazabilirsiniz.";
-        }
-      }
+  /**
+   * Record a customer's consent to order notifications, e.g. collected at
+   * checkout, or its withdrawal
+   */
+  async setContactOptIn(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) return;
 
-      // 4. Log the response that would be sent back.
-      // In a real integration, you would use the WhatsApp API client to send this message back to the user.
-      logger.info(`Prepared response for ${from}: "${responseMessage}"`);
+      const contact = await whatsappService.setOptIn(
+        req.user.id,
+        req.params.phone,
+        req.body.optedIn,
+        req.body.source || "manual"
+      );
 
-      // Acknowledge receipt of the webhook with a 200 OK status.
-      res.status(200).json({
+      res.json({
         success: true,
-        message: "Webhook processed successfully.",
-        simulatedResponse: responseMessage,
+        message: contact.optedIn
+          ? "WhatsApp notifications enabled."
+          : "WhatsApp notifications disabled.",
+        data: contact,
+      });
+    } catch (error) {
+      logger.error(`Failed to update WhatsApp opt-in: ${error.message}`);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message,
       });
+    }
+  }
 
+  /**
+   * Messages exchanged with customers and notifications sent
+   */
+  async getMessages(req, res) {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const result = await whatsappService.getMessages(req.user.id, req.query);
+      res.json({ success: true, data: result });
     } catch (error) {
-      logger.error("WhatsApp webhook handler failed:", error);
+      logger.error("Failed to load WhatsApp messages:", error);
       res.status(500).json({
         success: false,
-        message: "Failed to process WhatsApp webhook.",
+        message: "Failed to load WhatsApp messages",
         error: error.message,
       });
     }
   }
 }
 
-module.exports = new WhatsAppController();
\ No newline at end of file
+module.exports = new WhatsAppController();
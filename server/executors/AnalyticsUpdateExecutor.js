@@ -0,0 +1,91 @@
+const BaseExecutor = require('./BaseExecutor');
+
+/**
+ * Analytics Update Task Executor
+ * Drops the cached analytics of the task owner and recomputes them so the
+ * dashboards read fresh numbers without waiting on the first request
+ *
+ * Config:
+ *  - timeframes: timeframes to warm, defaults to ['7d', '30d', '90d']
+ *  - sections: analytics sections to warm, defaults to all of DEFAULT_SECTIONS
+ */
+class AnalyticsUpdateExecutor extends BaseExecutor {
+  static get DEFAULT_SECTIONS() {
+    return ['dashboard', 'cohort', 'funnel', 'attribution'];
+  }
+
+  static async execute(task, callbacks) {
+    const { onProgress, checkCancellation } = callbacks;
+    const config = task.config || {};
+    const log = this.createLogger(task, callbacks);
+    const analyticsService = require('../services/analytics-service');
+    const cacheService = require('../services/cache-service');
+
+    const timeframes = config.timeframes || ['7d', '30d', '90d'];
+    const sections = config.sections || this.DEFAULT_SECTIONS;
+
+    const jobs = timeframes.flatMap((timeframe) =>
+      sections.map((section) => ({ section, timeframe }))
+    );
+
+    log('info', `Refreshing ${jobs.length} analytics views`, {
+      timeframes,
+      sections,
+      phase: 'initialization'
+    });
+    onProgress(0, jobs.length, 'Invalidating analytics cache', 'invalidating');
+    checkCancellation();
+
+    const prefix = analyticsService.cachePrefix || '';
+    const cacheKeys = {
+      dashboard: (tf) => `${prefix}dashboard:${task.userId}:${tf}`,
+      cohort: (tf) => `${prefix}cohort-analysis:${task.userId}:${tf}`,
+      funnel: (tf) => `${prefix}funnel-analysis:${task.userId}:${tf}`,
+      attribution: (tf) => `${prefix}attribution-analysis:${task.userId}:${tf}`
+    };
+    const loaders = {
+      dashboard: (tf) => analyticsService.getDashboardAnalytics(task.userId, tf),
+      cohort: (tf) => analyticsService.getCohortAnalysis(task.userId, tf),
+      funnel: (tf) => analyticsService.getFunnelAnalysis(task.userId, tf),
+      attribution: (tf) =>
+        analyticsService.getAttributionAnalysis(task.userId, tf)
+    };
+
+    const stats = await this.processItems(
+      jobs,
+      async ({ section, timeframe }) => {
+        if (!loaders[section]) {
+          throw new Error(`Unknown analytics section: ${section}`);
+        }
+        await cacheService.del(cacheKeys[section](timeframe));
+        await loaders[section](timeframe);
+      },
+      callbacks,
+      {
+        phase: 'recomputing',
+        progressInterval: 0,
+        describe: ({ section, timeframe }) =>
+          `Recomputed ${section} analytics (${timeframe})`
+      }
+    );
+
+    log('info', 'Analytics refresh completed', {
+      refreshed: stats.succeeded,
+      failed: stats.failed,
+      phase: 'completed'
+    });
+
+    return {
+      statistics: {
+        total: stats.total,
+        refreshed: stats.succeeded,
+        failed: stats.failed
+      },
+      timeframes,
+      sections,
+      errors: stats.errors
+    };
+  }
+}
+
+module.exports = AnalyticsUpdateExecutor;
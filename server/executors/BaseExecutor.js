@@ -0,0 +1,150 @@
+const logger = require('../utils/logger');
+
+/**
+ * Base Task Executor
+ * Shared helpers for background task executors: structured logging,
+ * item iteration with pause/cancel support and throttled progress reporting
+ */
+class BaseExecutor {
+  /**
+   * Create a structured logger bound to a task
+   * @param {Object} task - BackgroundTask instance
+   * @param {Object} callbacks - Executor callbacks from TaskExecution
+   * @returns {Function} log(level, message, data)
+   */
+  static createLogger(task, callbacks) {
+    const source = this.name;
+    const startTime = Date.now();
+
+    return (level, message, additionalData = {}) => {
+      const logData = {
+        taskId: task.id,
+        taskType: task.taskType,
+        platformConnectionId: task.platformConnectionId,
+        userId: task.userId,
+        ...additionalData,
+        source,
+        phase: additionalData.phase || 'execution',
+        elapsed: Date.now() - startTime
+      };
+
+      const detailedMessage = additionalData.phase
+        ? `[${additionalData.phase.toUpperCase()}] ${message}`
+        : message;
+
+      callbacks.onLog(level, detailedMessage, logData);
+
+      const logLevel = ['error', 'warn', 'debug'].includes(level)
+        ? level
+        : 'info';
+      logger[logLevel](`[Task ${task.id}] ${detailedMessage}`, logData);
+    };
+  }
+
+  /**
+   * Process items one by one, honouring pause/cancel requests and reporting
+   * progress at most every `progressInterval` ms
+   * @param {Array} items - Items to process
+   * @param {Function} handler - async (item, index) => any
+   * @param {Object} callbacks - Executor callbacks from TaskExecution
+   * @param {Object} options - { phase, describe, progressInterval, maxErrors }
+   * @returns {Promise<Object>} Processing statistics
+   */
+  static async processItems(items, handler, callbacks, options = {}) {
+    const { onProgress, checkCancellation, waitForResume } = callbacks;
+    const {
+      phase = 'processing',
+      describe = (item, index) => `Processing item ${index + 1}`,
+      progressInterval = 2000,
+      maxErrors = 100
+    } = options;
+
+    const stats = {
+      total: items.length,
+      processed: 0,
+      succeeded: 0,
+      failed: 0,
+      errors: [],
+      results: []
+    };
+
+    let lastProgressAt = 0;
+
+    for (let index = 0; index < items.length; index++) {
+      checkCancellation();
+      await waitForResume();
+
+      const item = items[index];
+      try {
+        const result = await handler(item, index);
+        stats.succeeded++;
+        if (result !== undefined) {
+          stats.results.push(result);
+        }
+      } catch (error) {
+        stats.failed++;
+        if (stats.errors.length < maxErrors) {
+          stats.errors.push({
+            index,
+            item: this.describeItem(item),
+            error: error.message
+          });
+        }
+      }
+      stats.processed++;
+
+      const isLast = index === items.length - 1;
+      if (isLast || Date.now() - lastProgressAt >= progressInterval) {
+        lastProgressAt = Date.now();
+        onProgress(stats.processed, stats.total, describe(item, index), phase);
+      }
+    }
+
+    return stats;
+  }
+
+  /**
+   * Reduce an item to an identifier that is safe to store in task results
+   */
+  static describeItem(item) {
+    if (item === null || typeof item !== 'object') {
+      return item;
+    }
+    return (
+      item.id ||
+      item.productId ||
+      item.sku ||
+      item.baseSku ||
+      item.orderNumber ||
+      item.email
+    );
+  }
+
+  /**
+   * Ensure the task has a platform connection loaded
+   * @param {Object} task - BackgroundTask instance
+   * @returns {Object} PlatformConnection
+   */
+  static requirePlatformConnection(task) {
+    const platformConnection = task.platformConnection;
+    if (!platformConnection) {
+      throw new Error('Platform connection not found');
+    }
+    return platformConnection;
+  }
+
+  /**
+   * Create a platform service for the given connection
+   * @param {Object} platformConnection - PlatformConnection instance
+   * @returns {Object} Platform service instance
+   */
+  static createPlatformService(platformConnection) {
+    const PlatformServiceFactory = require('../modules/order-management/services/platforms/platformServiceFactory');
+    return PlatformServiceFactory.createService(
+      platformConnection.platformType,
+      platformConnection.id
+    );
+  }
+}
+
+module.exports = BaseExecutor;
@@ -0,0 +1,265 @@
+const BaseExecutor = require('./BaseExecutor');
+const { BulkOperation, MainProduct } = require('../models');
+const { Op } = require('sequelize');
+
+/**
+ * Bulk Operation Task Executor
+ * Runs a BulkOperation record in the background queue and keeps its
+ * counters in sync with the task progress
+ *
+ * Config:
+ *  - bulkOperationId: id of an existing BulkOperation, or
+ *  - type + configuration: to create the BulkOperation on the fly
+ *
+ * Supported operation types and their configuration:
+ *  - platform_publish: { productIds, platforms }
+ *  - price_update: { updates: [{ productId, price }] } or
+ *                  { productIds, adjustment: { type: 'percentage'|'fixed', value } }
+ *  - stock_update: { updates: [{ productId, stockQuantity }] }
+ *  - bulk_delete: { productIds }
+ */
+class BulkOperationExecutor extends BaseExecutor {
+  static async execute(task, callbacks) {
+    const { onProgress } = callbacks;
+    const log = this.createLogger(task, callbacks);
+    const operation = await this.loadOperation(task);
+
+    const handler = this.handlers[operation.type];
+    if (!handler) {
+      await operation.markAsFailed(
+        new Error(`Unsupported bulk operation type: ${operation.type}`)
+      );
+      throw new Error(`Unsupported bulk operation type: ${operation.type}`);
+    }
+
+    log('info', `Starting bulk operation ${operation.type}`, {
+      bulkOperationId: operation.id,
+      phase: 'initialization'
+    });
+    onProgress(0, operation.totalItems || 1, 'Preparing bulk operation', 'initializing');
+    await operation.markAsStarted();
+
+    try {
+      const items = await this[`prepare${handler}`](task, operation);
+      if (operation.totalItems !== items.length) {
+        operation.totalItems = items.length;
+        await operation.save();
+      }
+
+      const stats = await this.processItems(
+        items,
+        (item) => this[`run${handler}`](task, operation, item),
+        callbacks,
+        {
+          phase: operation.type,
+          describe: (item, index) =>
+            `${operation.type}: ${index + 1}/${items.length}`
+        }
+      );
+
+      await operation.updateProgress(
+        stats.processed,
+        stats.succeeded,
+        stats.failed,
+        stats.errors
+      );
+      operation.results = {
+        total: stats.total,
+        successful: stats.succeeded,
+        failed: stats.failed,
+        taskId: task.id
+      };
+      if (stats.failed > 0 && stats.succeeded > 0) {
+        operation.status = 'partial';
+        operation.completedAt = new Date();
+        await operation.save();
+      } else if (stats.failed > 0) {
+        await operation.markAsFailed();
+      } else {
+        await operation.markAsCompleted();
+      }
+
+      log('info', 'Bulk operation finished', {
+        bulkOperationId: operation.id,
+        status: operation.status,
+        succeeded: stats.succeeded,
+        failed: stats.failed,
+        phase: 'completed'
+      });
+
+      return {
+        bulkOperationId: operation.id,
+        type: operation.type,
+        status: operation.status,
+        statistics: operation.results,
+        errors: stats.errors
+      };
+    } catch (error) {
+      if (/cancelled/i.test(error.message)) {
+        await operation.cancel().catch(() => {});
+      } else {
+        await operation.markAsFailed(error).catch(() => {});
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Load the referenced BulkOperation or create one from the task config
+   */
+  static async loadOperation(task) {
+    const config = task.config || {};
+
+    if (config.bulkOperationId) {
+      const operation = await BulkOperation.findOne({
+        where: { id: config.bulkOperationId, userId: task.userId }
+      });
+      if (!operation) {
+        throw new Error(`Bulk operation ${config.bulkOperationId} not found`);
+      }
+      return operation;
+    }
+
+    if (!config.type) {
+      throw new Error('Bulk operation task requires bulkOperationId or type');
+    }
+
+    return BulkOperation.create({
+      userId: task.userId,
+      type: config.type,
+      status: 'pending',
+      configuration: config.configuration || {},
+      metadata: { taskId: task.id }
+    });
+  }
+
+  static get handlers() {
+    return {
+      platform_publish: 'PlatformPublish',
+      price_update: 'PriceUpdate',
+      stock_update: 'StockUpdate',
+      bulk_delete: 'BulkDelete'
+    };
+  }
+
+  /**
+   * Load the user's main products referenced by the configuration
+   */
+  static async findUserProducts(task, productIds) {
+    if (!Array.isArray(productIds) || productIds.length === 0) {
+      throw new Error('Bulk operation configuration requires productIds');
+    }
+    return MainProduct.findAll({
+      where: { id: { [Op.in]: productIds }, userId: task.userId }
+    });
+  }
+
+  static async preparePlatformPublish(task, operation) {
+    const { productIds, platforms = [] } = operation.configuration || {};
+    if (platforms.length === 0) {
+      throw new Error('At least one platform must be selected');
+    }
+    const products = await this.findUserProducts(task, productIds);
+    return products.flatMap((product) =>
+      platforms.map((platform) => ({ id: product.id, platform }))
+    );
+  }
+
+  static async runPlatformPublish(task, operation, item) {
+    const platformSyncService = require('../services/platform-sync-service');
+    const result = await platformSyncService.syncToSinglePlatform(
+      item.id,
+      item.platform,
+      {},
+      { userId: task.userId, operation: 'create' }
+    );
+    if (result && (result.success === false || result.status === 'error')) {
+      throw new Error(result.error || result.message || 'Publish failed');
+    }
+  }
+
+  static async preparePriceUpdate(task, operation) {
+    const { updates, productIds, adjustment } =
+      operation.configuration || {};
+
+    if (Array.isArray(updates)) {
+      return updates;
+    }
+    if (!adjustment || adjustment.value === undefined) {
+      throw new Error('Price update requires updates or an adjustment');
+    }
+
+    const products = await this.findUserProducts(task, productIds);
+    return products.map((product) => {
+      const current = parseFloat(product.basePrice) || 0;
+      const value = parseFloat(adjustment.value);
+      const price =
+        adjustment.type === 'percentage'
+          ? current * (1 + value / 100)
+          : current + value;
+      return {
+        productId: product.id,
+        price: Math.max(0, Math.round(price * 100) / 100)
+      };
+    });
+  }
+
+  static async runPriceUpdate(task, operation, item) {
+    const product = await MainProduct.findOne({
+      where: { id: item.productId, userId: task.userId }
+    });
+    if (!product) {
+      throw new Error(`Product ${item.productId} not found`);
+    }
+    await product.update({ basePrice: item.price });
+
+    const platformSyncService = require('../services/platform-sync-service');
+    await platformSyncService.syncProductToAllPlatforms(
+      task.userId,
+      product,
+      'update',
+      { basePrice: item.price }
+    );
+  }
+
+  static async prepareStockUpdate(task, operation) {
+    const { updates } = operation.configuration || {};
+    if (!Array.isArray(updates)) {
+      throw new Error('Stock update requires an updates array');
+    }
+    return updates;
+  }
+
+  static async runStockUpdate(task, operation, item) {
+    const product = await MainProduct.findOne({
+      where: { id: item.productId, userId: task.userId }
+    });
+    if (!product) {
+      throw new Error(`Product ${item.productId} not found`);
+    }
+    const stockQuantity = parseInt(item.stockQuantity, 10);
+    if (isNaN(stockQuantity) || stockQuantity < 0) {
+      throw new Error(`Invalid stock quantity for ${item.productId}`);
+    }
+    await product.update({ stockQuantity, lastStockUpdate: new Date() });
+
+    const platformSyncService = require('../services/platform-sync-service');
+    await platformSyncService.syncProductToAllPlatforms(
+      task.userId,
+      product,
+      'update',
+      { stockQuantity }
+    );
+  }
+
+  static async prepareBulkDelete(task, operation) {
+    const { productIds } = operation.configuration || {};
+    return this.findUserProducts(task, productIds);
+  }
+
+  static async runBulkDelete(task, operation, product) {
+    await product.destroy();
+  }
+}
+
+module.exports = BulkOperationExecutor;
@@ -0,0 +1,60 @@
+const BaseExecutor = require('./BaseExecutor');
+
+/**
+ * Customer Matching Task Executor
+ * Compares customer records that share a phone or a name across
+ * marketplaces, stores likely matches for review and, when automatic
+ * merging is enabled, merges the ones above its confidence threshold
+ */
+class CustomerMatchingExecutor extends BaseExecutor {
+  static async execute(task, callbacks) {
+    const { onProgress, checkCancellation } = callbacks;
+    const log = this.createLogger(task, callbacks);
+    const identityService = require('../services/customer-identity-service');
+
+    onProgress(0, 1, 'Loading customers', 'collecting');
+    checkCancellation();
+
+    const profiles = await identityService.loadProfiles();
+    const pairs = identityService.findPairs(profiles);
+    const reviewedPairs = await identityService.getReviewedPairs();
+
+    log('info', `Comparing ${pairs.length} customer pairs`, {
+      customers: profiles.length,
+      phase: 'collecting'
+    });
+
+    const stats = await this.processItems(
+      pairs,
+      ([a, b]) => identityService.evaluatePair(a, b, reviewedPairs),
+      callbacks,
+      {
+        phase: 'matching',
+        describe: (pair, index) => `Compared ${index + 1}/${pairs.length} pairs`
+      }
+    );
+
+    const candidates = stats.results.filter((result) => result === 'candidate').length;
+    const merged = stats.results.filter((result) => result === 'merged').length;
+
+    log('info', 'Customer matching completed', {
+      candidates,
+      merged,
+      failed: stats.failed,
+      phase: 'completed'
+    });
+
+    return {
+      statistics: {
+        customers: profiles.length,
+        pairs: stats.total,
+        candidates,
+        merged,
+        failed: stats.failed
+      },
+      errors: stats.errors
+    };
+  }
+}
+
+module.exports = CustomerMatchingExecutor;
@@ -0,0 +1,86 @@
+const BaseExecutor = require('./BaseExecutor');
+const { Order } = require('../models');
+const { Op } = require('sequelize');
+
+/**
+ * Customer Sync Task Executor
+ * Rebuilds Customer records and their analytics from the user's orders
+ *
+ * Config:
+ *  - since: optional ISO date, only refresh customers with orders after it
+ *  - emails: optional list of customer emails to refresh
+ */
+class CustomerSyncExecutor extends BaseExecutor {
+  static async execute(task, callbacks) {
+    const { onProgress, checkCancellation } = callbacks;
+    const config = task.config || {};
+    const log = this.createLogger(task, callbacks);
+    const CustomerService = require('../services/CustomerService');
+
+    onProgress(0, 1, 'Collecting customers from orders', 'collecting');
+    checkCancellation();
+
+    const emails = Array.isArray(config.emails) && config.emails.length
+      ? config.emails
+      : await this.findCustomerEmails(task, config);
+
+    log('info', `Refreshing ${emails.length} customers`, {
+      since: config.since || null,
+      phase: 'collecting'
+    });
+
+    const stats = await this.processItems(
+      emails,
+      (email) => CustomerService.refreshCustomerData(email).then(() => email),
+      callbacks,
+      {
+        phase: 'refreshing',
+        describe: (email, index) => `Refreshed ${index + 1}/${emails.length} customers`
+      }
+    );
+
+    log('info', 'Customer sync completed', {
+      refreshed: stats.succeeded,
+      failed: stats.failed,
+      phase: 'completed'
+    });
+
+    return {
+      statistics: {
+        total: stats.total,
+        refreshed: stats.succeeded,
+        failed: stats.failed
+      },
+      errors: stats.errors
+    };
+  }
+
+  /**
+   * Distinct, normalized customer emails found on the user's orders
+   */
+  static async findCustomerEmails(task, config) {
+    const where = {
+      userId: task.userId,
+      customerEmail: { [Op.and]: [{ [Op.ne]: null }, { [Op.ne]: '' }] }
+    };
+    if (task.platformConnectionId) {
+      where.connectionId = task.platformConnectionId;
+    }
+    if (config.since) {
+      where.orderDate = { [Op.gte]: new Date(config.since) };
+    }
+
+    const rows = await Order.findAll({
+      where,
+      attributes: ['customerEmail'],
+      group: ['customerEmail'],
+      raw: true
+    });
+
+    return [
+      ...new Set(rows.map((row) => row.customerEmail.toLowerCase().trim()))
+    ];
+  }
+}
+
+module.exports = CustomerSyncExecutor;
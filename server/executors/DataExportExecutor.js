@@ -0,0 +1,69 @@
+const BaseExecutor = require('./BaseExecutor');
+
+/**
+ * Data Export Task Executor
+ * Runs the order exports of the export service in the background so large
+ * exports do not block the HTTP request
+ *
+ * Config:
+ *  - entity: 'orders' (default) or 'order_items'
+ *  - format: 'csv' (default) or 'xlsx'
+ *  - filters: filters accepted by the export service (status, platform, dates...)
+ */
+class DataExportExecutor extends BaseExecutor {
+  static get EXPORTERS() {
+    return {
+      'orders:csv': 'exportOrdersToCSV',
+      'orders:xlsx': 'exportOrdersToExcel',
+      'order_items:csv': 'exportOrderItemsToCSV'
+    };
+  }
+
+  static async execute(task, callbacks) {
+    const { onProgress, checkCancellation } = callbacks;
+    const config = task.config || {};
+    const log = this.createLogger(task, callbacks);
+    const exportService = require('../modules/order-management/services/exportService');
+
+    const entity = config.entity || 'orders';
+    const format = config.format || 'csv';
+    const exporter = this.EXPORTERS[`${entity}:${format}`];
+
+    if (!exporter) {
+      throw new Error(`Unsupported export: ${entity} as ${format}`);
+    }
+
+    log('info', `Exporting ${entity} as ${format}`, {
+      filters: config.filters || {},
+      phase: 'exporting'
+    });
+    onProgress(0, 1, `Exporting ${entity}`, 'exporting');
+    checkCancellation();
+
+    const result = await exportService[exporter](
+      config.filters || {},
+      task.userId
+    );
+
+    if (!result.success) {
+      throw new Error(result.message || 'Export failed');
+    }
+
+    onProgress(1, 1, `Export ready: ${result.data.filename}`, 'completed');
+    log('info', 'Export completed', {
+      filename: result.data.filename,
+      phase: 'completed'
+    });
+
+    return {
+      entity,
+      format,
+      filename: result.data.filename,
+      url: result.data.url,
+      totalOrders: result.data.totalOrders,
+      totalItems: result.data.totalItems
+    };
+  }
+}
+
+module.exports = DataExportExecutor;
@@ -0,0 +1,133 @@
+const BaseExecutor = require('./BaseExecutor');
+const { MainProduct, PlatformVariant, PlatformConnection } = require('../models');
+const { Op } = require('sequelize');
+
+/**
+ * Inventory Sync Task Executor
+ * Pushes local stock quantities to platform connections through the
+ * platform sync service
+ *
+ * Config:
+ *  - productIds: optional list of MainProduct ids to push
+ *  - changedSince: optional ISO date, only push products whose stock changed after it
+ *
+ * When the task has no platform connection, all active connections of the
+ * user are synced one after another.
+ */
+class InventorySyncExecutor extends BaseExecutor {
+  static async execute(task, callbacks) {
+    const { onProgress, checkCancellation } = callbacks;
+    const log = this.createLogger(task, callbacks);
+
+    const connections = task.platformConnection
+      ? [task.platformConnection]
+      : await PlatformConnection.findAll({
+        where: { userId: task.userId, isActive: true }
+      });
+
+    if (connections.length === 0) {
+      throw new Error('No active platform connections to sync inventory to');
+    }
+
+    log('info', `Starting inventory sync for ${connections.length} connection(s)`, {
+      connectionIds: connections.map((c) => c.id),
+      phase: 'initialization'
+    });
+    onProgress(0, 1, 'Collecting products', 'initializing');
+
+    const platformSyncService = require('../services/platform-sync-service');
+    const summary = [];
+
+    for (const connection of connections) {
+      checkCancellation();
+
+      const products = await this.findProducts(task, connection.platformType);
+      log('info', `Pushing stock for ${products.length} products to ${connection.platformType}`, {
+        connectionId: connection.id,
+        phase: 'syncing'
+      });
+
+      const stats = await this.processItems(
+        products,
+        async (product) => {
+          const result = await platformSyncService.syncToSinglePlatform(
+            product.id,
+            connection.platformType,
+            { stockQuantity: product.stockQuantity },
+            {
+              userId: task.userId,
+              operation: 'update',
+              connection
+            }
+          );
+
+          if (result && (result.success === false || result.status === 'error')) {
+            throw new Error(result.error || result.message || 'Stock update failed');
+          }
+        },
+        callbacks,
+        {
+          phase: `syncing_${connection.platformType}`,
+          describe: (product) =>
+            `${connection.platformType}: ${product.baseSku} -> ${product.stockQuantity}`
+        }
+      );
+
+      summary.push({
+        connectionId: connection.id,
+        platform: connection.platformType,
+        total: stats.total,
+        updated: stats.succeeded,
+        failed: stats.failed,
+        errors: stats.errors
+      });
+    }
+
+    const totals = summary.reduce(
+      (acc, item) => ({
+        total: acc.total + item.total,
+        updated: acc.updated + item.updated,
+        failed: acc.failed + item.failed
+      }),
+      { total: 0, updated: 0, failed: 0 }
+    );
+
+    log('info', 'Inventory sync completed', { ...totals, phase: 'completed' });
+
+    return {
+      statistics: totals,
+      connections: summary
+    };
+  }
+
+  /**
+   * Find main products listed on the platform, optionally filtered
+   */
+  static async findProducts(task, platformType) {
+    const config = task.config || {};
+    const where = { userId: task.userId };
+
+    if (Array.isArray(config.productIds) && config.productIds.length) {
+      where.id = { [Op.in]: config.productIds };
+    }
+    if (config.changedSince) {
+      where.lastStockUpdate = { [Op.gte]: new Date(config.changedSince) };
+    }
+
+    return MainProduct.findAll({
+      where,
+      attributes: ['id', 'baseSku', 'stockQuantity'],
+      include: [
+        {
+          model: PlatformVariant,
+          as: 'platformVariants',
+          where: { platform: platformType },
+          attributes: ['id'],
+          required: true
+        }
+      ]
+    });
+  }
+}
+
+module.exports = InventorySyncExecutor;
@@ -0,0 +1,157 @@
+const BaseExecutor = require('./BaseExecutor');
+const { MainProduct, PlatformVariant } = require('../models');
+const { Op } = require('sequelize');
+
+/**
+ * Product Sync Task Executor
+ * Imports the product catalog from a platform connection, or pushes local
+ * main products to it through the platform sync service
+ *
+ * Config:
+ *  - direction: 'import' (default) | 'export'
+ *  - productIds: optional list of MainProduct ids to export
+ *  - params: optional query parameters forwarded to syncProducts on import
+ */
+class ProductSyncExecutor extends BaseExecutor {
+  static async execute(task, callbacks) {
+    const { onProgress, checkCancellation } = callbacks;
+    const config = task.config || {};
+    const direction = config.direction || 'import';
+    const log = this.createLogger(task, callbacks);
+
+    const platformConnection = this.requirePlatformConnection(task);
+
+    log('info', `Starting product ${direction} for ${platformConnection.platformType}`, {
+      config,
+      phase: 'initialization'
+    });
+    onProgress(0, 1, 'Initializing product sync', 'initializing');
+    checkCancellation();
+
+    if (direction === 'export') {
+      return this.exportProducts(task, platformConnection, callbacks, log);
+    }
+
+    if (direction !== 'import') {
+      throw new Error(`Unsupported product sync direction: ${direction}`);
+    }
+
+    return this.importProducts(task, platformConnection, callbacks, log);
+  }
+
+  /**
+   * Pull the platform catalog into the local database
+   */
+  static async importProducts(task, platformConnection, callbacks, log) {
+    const { onProgress } = callbacks;
+    const platformService = this.createPlatformService(platformConnection);
+
+    if (typeof platformService.syncProducts !== 'function') {
+      throw new Error(
+        `Product import is not supported for ${platformConnection.platformType}`
+      );
+    }
+
+    onProgress(0, 1, 'Fetching products from platform', 'fetching');
+    const result = await platformService.syncProducts(
+      task.config?.params || {}
+    );
+
+    if (!result || !result.success) {
+      throw new Error(result?.message || 'Product import failed');
+    }
+
+    const stats = result.data || {};
+    log('info', result.message, { stats, phase: 'completed' });
+    onProgress(1, 1, result.message, 'completed');
+
+    return {
+      direction: 'import',
+      platform: platformConnection.platformType,
+      statistics: stats
+    };
+  }
+
+  /**
+   * Push local main products to the platform connection
+   */
+  static async exportProducts(task, platformConnection, callbacks, log) {
+    const platformSyncService = require('../services/platform-sync-service');
+    const platformType = platformConnection.platformType;
+    const products = await this.findProductsForPlatform(task, platformType);
+
+    log('info', `Exporting ${products.length} products to ${platformType}`, {
+      phase: 'exporting'
+    });
+
+    const stats = await this.processItems(
+      products,
+      async (product) => {
+        const result = await platformSyncService.syncToSinglePlatform(
+          product.id,
+          platformType,
+          {},
+          {
+            userId: task.userId,
+            operation: 'update',
+            connection: platformConnection
+          }
+        );
+
+        if (result && (result.success === false || result.status === 'error')) {
+          throw new Error(result.error || result.message || 'Sync failed');
+        }
+        return { productId: product.id, sku: product.baseSku };
+      },
+      callbacks,
+      {
+        phase: 'exporting',
+        describe: (product) => `Synced ${product.baseSku || product.name}`
+      }
+    );
+
+    log('info', 'Product export completed', {
+      succeeded: stats.succeeded,
+      failed: stats.failed,
+      phase: 'completed'
+    });
+
+    return {
+      direction: 'export',
+      platform: platformType,
+      statistics: {
+        total: stats.total,
+        synced: stats.succeeded,
+        failed: stats.failed
+      },
+      errors: stats.errors
+    };
+  }
+
+  /**
+   * Find the user's main products that have a variant on the platform
+   */
+  static async findProductsForPlatform(task, platformType) {
+    const where = { userId: task.userId };
+    if (Array.isArray(task.config?.productIds) && task.config.productIds.length) {
+      where.id = { [Op.in]: task.config.productIds };
+    }
+
+    return MainProduct.findAll({
+      where,
+      attributes: ['id', 'name', 'baseSku', 'stockQuantity'],
+      include: [
+        {
+          model: PlatformVariant,
+          as: 'platformVariants',
+          where: { platform: platformType },
+          attributes: ['id'],
+          required: true
+        }
+      ],
+      order: [['updatedAt', 'DESC']]
+    });
+  }
+}
+
+module.exports = ProductSyncExecutor;
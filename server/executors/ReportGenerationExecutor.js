@@ -0,0 +1,149 @@
+const BaseExecutor = require('./BaseExecutor');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Report Generation Task Executor
+ * Builds a sales report (order summary, platform comparison and top
+ * products) for a period and writes it to the exports directory
+ *
+ * Config:
+ *  - timeframe: analytics timeframe such as '7d', '30d' (default '30d'), or
+ *  - startDate / endDate: explicit ISO date range
+ *  - format: 'xlsx' (default) or 'json'
+ *  - topProductsLimit: number of top products to include (default 20)
+ */
+class ReportGenerationExecutor extends BaseExecutor {
+  static async execute(task, callbacks) {
+    const { onProgress, checkCancellation } = callbacks;
+    const config = task.config || {};
+    const log = this.createLogger(task, callbacks);
+    const analyticsService = require('../services/analytics-service');
+    const exportService = require('../modules/order-management/services/exportService');
+
+    const format = config.format || 'xlsx';
+    if (!['xlsx', 'json'].includes(format)) {
+      throw new Error(`Unsupported report format: ${format}`);
+    }
+
+    const dateRange =
+      config.startDate && config.endDate
+        ? { start: new Date(config.startDate), end: new Date(config.endDate) }
+        : analyticsService.getDateRange(config.timeframe || '30d');
+
+    const sections = [
+      {
+        key: 'summary',
+        label: 'Order summary',
+        load: () => analyticsService.getOrderSummary(task.userId, dateRange)
+      },
+      {
+        key: 'platforms',
+        label: 'Platform comparison',
+        load: () =>
+          analyticsService.getOptimizedPlatformComparison(task.userId, dateRange)
+      },
+      {
+        key: 'topProducts',
+        label: 'Top products',
+        load: () =>
+          analyticsService.getOptimizedTopProducts(
+            task.userId,
+            dateRange,
+            config.topProductsLimit || 20
+          )
+      }
+    ];
+    const totalSteps = sections.length + 1;
+
+    log('info', 'Generating sales report', {
+      format,
+      dateRange,
+      phase: 'collecting'
+    });
+
+    const report = {
+      generatedAt: new Date().toISOString(),
+      period: { start: dateRange.start, end: dateRange.end }
+    };
+
+    for (let i = 0; i < sections.length; i++) {
+      checkCancellation();
+      await callbacks.waitForResume();
+      onProgress(i, totalSteps, `Collecting ${sections[i].label}`, 'collecting');
+      report[sections[i].key] = await sections[i].load();
+    }
+
+    checkCancellation();
+    onProgress(sections.length, totalSteps, 'Writing report file', 'writing');
+
+    const filename = `sales_report_${task.userId}_${Date.now()}.${format}`;
+    const filePath = path.join(exportService.exportDir, filename);
+
+    if (format === 'json') {
+      fs.writeFileSync(filePath, JSON.stringify(report, null, 2));
+    } else {
+      await this.writeWorkbook(report, filePath);
+    }
+
+    onProgress(totalSteps, totalSteps, `Report ready: ${filename}`, 'completed');
+    log('info', 'Report generated', { filename, phase: 'completed' });
+
+    return {
+      filename,
+      url: `/exports/${filename}`,
+      format,
+      period: report.period
+    };
+  }
+
+  /**
+   * Write the report as an Excel workbook with one sheet per section
+   */
+  static async writeWorkbook(report, filePath) {
+    const ExcelJS = require('exceljs');
+    const workbook = new ExcelJS.Workbook();
+
+    const summarySheet = workbook.addWorksheet('Summary');
+    summarySheet.columns = [
+      { header: 'Metric', key: 'metric', width: 30 },
+      { header: 'Value', key: 'value', width: 20 }
+    ];
+    summarySheet.addRow({ metric: 'Period start', value: report.period.start });
+    summarySheet.addRow({ metric: 'Period end', value: report.period.end });
+    Object.entries(report.summary || {}).forEach(([metric, value]) => {
+      if (value === null || typeof value !== 'object') {
+        summarySheet.addRow({ metric, value });
+      }
+    });
+
+    this.addTableSheet(workbook, 'Platforms', report.platforms);
+    this.addTableSheet(workbook, 'Top Products', report.topProducts);
+
+    workbook.worksheets.forEach((sheet) => {
+      sheet.getRow(1).font = { bold: true };
+    });
+
+    await workbook.xlsx.writeFile(filePath);
+  }
+
+  /**
+   * Add a sheet built from an array of flat objects
+   */
+  static addTableSheet(workbook, name, rows) {
+    const sheet = workbook.addWorksheet(name);
+    const data = Array.isArray(rows) ? rows : [];
+    if (data.length === 0) {
+      return sheet;
+    }
+
+    const keys = Object.keys(data[0]).filter(
+      (key) => data[0][key] === null || typeof data[0][key] !== 'object'
+    );
+    sheet.columns = keys.map((key) => ({ header: key, key, width: 20 }));
+    data.forEach((row) => sheet.addRow(row));
+    return sheet;
+  }
+}
+
+module.exports = ReportGenerationExecutor;
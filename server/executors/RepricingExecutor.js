@@ -0,0 +1,46 @@
+const BaseExecutor = require('./BaseExecutor');
+
+/**
+ * Repricing Task Executor
+ * Runs the user's active repricing rules so prices follow supplier cost
+ * changes from a recurring schedule
+ *
+ * Config:
+ *  - ruleIds: optional list of rules, defaults to every active rule
+ *  - platforms: optional list of platforms to reprice
+ *  - dryRun: only calculate the prices (default false)
+ */
+class RepricingExecutor extends BaseExecutor {
+  static async execute(task, callbacks) {
+    const { onProgress, checkCancellation } = callbacks;
+    const config = task.config || {};
+    const log = this.createLogger(task, callbacks);
+    const repricingService = require('../services/repricing-service');
+    const options = {
+      ruleIds: config.ruleIds,
+      platforms: config.platforms
+    };
+
+    onProgress(0, 1, 'Calculating prices', 'calculating');
+    checkCancellation();
+
+    if (config.dryRun) {
+      const { stats } = await repricingService.preview(task.userId, options);
+      log('info', 'Repricing dry run completed', { ...stats, phase: 'completed' });
+      onProgress(1, 1, 'Dry run completed', 'completed');
+      return { statistics: stats, dryRun: true };
+    }
+
+    const { batchId, stats } = await repricingService.apply(task.userId, options);
+
+    log('info', 'Repricing applied', { batchId, ...stats, phase: 'completed' });
+    onProgress(1, 1, `Changed ${stats.changes} prices`, 'completed');
+
+    return {
+      statistics: stats,
+      batchId
+    };
+  }
+}
+
+module.exports = RepricingExecutor;
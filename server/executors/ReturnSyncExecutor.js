@@ -0,0 +1,80 @@
+const BaseExecutor = require('./BaseExecutor');
+
+/**
+ * Return Sync Task Executor
+ * Pulls return claims from the user's marketplace connections, stores their
+ * items and reasons, follows the claim status on the orders and restocks
+ * claims the marketplace approved since the last sync
+ *
+ * Config:
+ *  - platforms: marketplaces to pull from (default trendyol, hepsiburada, n11)
+ *  - startDate: pull claims created since this date (default 14 days ago)
+ */
+class ReturnSyncExecutor extends BaseExecutor {
+  static async execute(task, callbacks) {
+    const { onProgress, checkCancellation } = callbacks;
+    const config = task.config || {};
+    const log = this.createLogger(task, callbacks);
+    const returnService = require('../services/return-service');
+
+    onProgress(0, 1, 'Loading marketplace connections', 'collecting');
+    checkCancellation();
+
+    const range = returnService.getSyncRange(config);
+    const connections = await returnService.findConnections(
+      task.userId,
+      config.platforms
+    );
+
+    log('info', `Syncing return claims from ${connections.length} connections`, {
+      startDate: range.startDate,
+      phase: 'collecting'
+    });
+
+    const stats = await this.processItems(
+      connections,
+      async (connection) => {
+        try {
+          return await returnService.syncConnection(connection, range);
+        } catch (error) {
+          throw new Error(`${connection.platformType}: ${error.message}`);
+        }
+      },
+      callbacks,
+      {
+        phase: 'syncing',
+        describe: (connection, index) =>
+          `Synced ${connection.platformType} claims (${index + 1}/${connections.length})`
+      }
+    );
+
+    const totals = stats.results.reduce(
+      (acc, result) => {
+        acc.fetched += result.fetched;
+        acc.created += result.created;
+        acc.updated += result.updated;
+        acc.restocked += result.restocked;
+        return acc;
+      },
+      { fetched: 0, created: 0, updated: 0, restocked: 0 }
+    );
+
+    log('info', 'Return claim sync completed', {
+      ...totals,
+      failed: stats.failed,
+      phase: 'completed'
+    });
+
+    return {
+      statistics: {
+        connections: stats.total,
+        ...totals,
+        failed: stats.failed
+      },
+      connections: stats.results,
+      errors: stats.errors
+    };
+  }
+}
+
+module.exports = ReturnSyncExecutor;
@@ -0,0 +1,98 @@
+const BaseExecutor = require('./BaseExecutor');
+
+/**
+ * Shipment Creation Task Executor
+ * Creates carrier shipments and labels for many orders, choosing the carrier
+ * of each order from the user's shipping rules
+ *
+ * Config:
+ *  - orderIds: orders to ship; defaults to the orders in `statuses` that
+ *    have no tracking number yet
+ *  - statuses: order statuses picked up without orderIds (default ['processing'])
+ *  - limit: maximum number of orders picked up without orderIds (default 200)
+ *  - codOrderIds: orders paid on delivery
+ *  - carrier: ship every order with this carrier instead of the rules
+ *  - strategy: cheapest | fastest, overrides the configured strategy
+ *  - serviceType: carrier service type (default from the configuration)
+ *  - pushToMarketplace: report tracking numbers to the marketplaces
+ */
+class ShipmentCreationExecutor extends BaseExecutor {
+  static async execute(task, callbacks) {
+    const { onProgress, checkCancellation } = callbacks;
+    const config = task.config || {};
+    const log = this.createLogger(task, callbacks);
+    const shipmentService = require('../services/shipment-service');
+
+    onProgress(0, 1, 'Loading orders', 'collecting');
+    checkCancellation();
+
+    const orderIds =
+      config.orderIds && config.orderIds.length > 0
+        ? config.orderIds
+        : await shipmentService.findShippableOrderIds(
+          task.userId,
+          config.statuses,
+          config.limit
+        );
+
+    const context = await shipmentService.createContext(task.userId, {
+      codOrderIds: config.codOrderIds,
+      carrier: config.carrier,
+      strategy: config.strategy,
+      serviceType: config.serviceType,
+      pushToMarketplace: config.pushToMarketplace
+    });
+    const orders = await shipmentService.loadOrders(task.userId, orderIds);
+
+    log('info', `Creating shipments for ${orders.length} orders`, {
+      strategy: context.strategy,
+      carriers: Object.keys(context.credentials),
+      phase: 'collecting'
+    });
+
+    const stats = await this.processItems(
+      orders,
+      async (order) => {
+        try {
+          return await shipmentService.shipOrder(order, context);
+        } catch (error) {
+          throw new Error(`${order.orderNumber}: ${error.message}`);
+        }
+      },
+      callbacks,
+      {
+        phase: 'shipping',
+        describe: (order, index) =>
+          `Processed order ${index + 1}/${orders.length} (${order.orderNumber})`
+      }
+    );
+
+    const created = stats.results.filter((result) => result.status === 'created');
+    const skipped = stats.results.length - created.length;
+    const marketplaceFailed = created.filter(
+      (result) => result.marketplaceSyncStatus === 'failed'
+    ).length;
+
+    log('info', 'Shipment creation completed', {
+      created: created.length,
+      skipped,
+      failed: stats.failed,
+      marketplaceFailed,
+      phase: 'completed'
+    });
+
+    return {
+      statistics: {
+        total: stats.total,
+        created: created.length,
+        skipped,
+        failed: stats.failed,
+        marketplaceFailed
+      },
+      shipments: stats.results,
+      errors: stats.errors
+    };
+  }
+}
+
+module.exports = ShipmentCreationExecutor;
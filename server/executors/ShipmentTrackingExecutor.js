@@ -0,0 +1,85 @@
+const BaseExecutor = require('./BaseExecutor');
+
+/**
+ * Shipment Tracking Task Executor
+ * Asks the carriers about the user's open shipments, updates their tracking
+ * timeline and moves the orders along (shipped → in_transit → delivered)
+ *
+ * Config:
+ *  - orderIds: track these orders' shipments, even finished ones; defaults to
+ *    every open shipment
+ *  - minIntervalMinutes: skip shipments tracked more recently (default 0)
+ *  - limit: maximum number of shipments tracked (default 200)
+ */
+class ShipmentTrackingExecutor extends BaseExecutor {
+  static async execute(task, callbacks) {
+    const { onProgress, checkCancellation } = callbacks;
+    const config = task.config || {};
+    const log = this.createLogger(task, callbacks);
+    const shipmentTrackingService = require('../services/shipment-tracking-service');
+
+    onProgress(0, 1, 'Loading shipments', 'collecting');
+    checkCancellation();
+
+    const context = await shipmentTrackingService.createContext(task.userId);
+    const shipments = await shipmentTrackingService.findOpenShipments(task.userId, {
+      orderIds: config.orderIds,
+      minIntervalMinutes: config.minIntervalMinutes,
+      limit: config.limit
+    });
+
+    log('info', `Tracking ${shipments.length} shipments`, {
+      carriers: Object.keys(context.credentials),
+      phase: 'collecting'
+    });
+
+    const stats = await this.processItems(
+      shipments,
+      async (shipment) => {
+        const now = new Date();
+        if (!(await shipmentTrackingService.claim(shipment, now))) {
+          return { orderId: shipment.orderId, status: 'skipped' };
+        }
+        shipment.lastTrackedAt = now;
+
+        try {
+          return await shipmentTrackingService.trackShipment(shipment, context);
+        } catch (error) {
+          throw new Error(`${shipment.trackingNumber}: ${error.message}`);
+        }
+      },
+      callbacks,
+      {
+        phase: 'tracking',
+        describe: (shipment, index) =>
+          `Tracked shipment ${index + 1}/${shipments.length} (${shipment.trackingNumber})`
+      }
+    );
+
+    const summary = shipmentTrackingService.summarize(stats.results);
+
+    log('info', 'Shipment tracking completed', {
+      updated: summary.updated || 0,
+      ordersUpdated: summary.ordersUpdated,
+      exceptions: summary.exceptions,
+      failed: stats.failed,
+      phase: 'completed'
+    });
+
+    return {
+      statistics: {
+        total: stats.total,
+        updated: summary.updated || 0,
+        unchanged: summary.unchanged || 0,
+        skipped: summary.skipped || 0,
+        failed: stats.failed,
+        ordersUpdated: summary.ordersUpdated,
+        exceptions: summary.exceptions
+      },
+      shipments: stats.results,
+      errors: stats.errors
+    };
+  }
+}
+
+module.exports = ShipmentTrackingExecutor;
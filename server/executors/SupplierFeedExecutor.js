@@ -0,0 +1,75 @@
+const BaseExecutor = require('./BaseExecutor');
+
+/**
+ * Supplier Feed Task Executor
+ * Downloads the configured price/stock feed of each of the user's suppliers
+ * and applies it, so feeds can be kept current from a recurring schedule
+ *
+ * Config:
+ *  - supplierIds: optional list of suppliers, defaults to every supplier of
+ *    the user with a feed URL
+ *  - dryRun: only produce the diff reports (default false)
+ */
+class SupplierFeedExecutor extends BaseExecutor {
+  static async execute(task, callbacks) {
+    const { onProgress, checkCancellation } = callbacks;
+    const config = task.config || {};
+    const log = this.createLogger(task, callbacks);
+    const supplierFeedService = require('../services/supplier-feed-service');
+
+    onProgress(0, 1, 'Loading suppliers', 'collecting');
+    checkCancellation();
+
+    const suppliers = await supplierFeedService.getSuppliersWithFeedUrl(
+      task.userId,
+      config.supplierIds
+    );
+
+    log('info', `Running feeds of ${suppliers.length} suppliers`, {
+      dryRun: Boolean(config.dryRun),
+      phase: 'collecting'
+    });
+
+    const stats = await this.processItems(
+      suppliers,
+      async (supplier) => {
+        const run = await supplierFeedService.runFeed(supplier, {
+          userId: task.userId,
+          dryRun: Boolean(config.dryRun)
+        });
+        if (run.status === 'failed') {
+          throw new Error(`${supplier.name}: ${run.error}`);
+        }
+        return { supplierId: supplier.id, feedRunId: run.id, ...run.stats };
+      },
+      callbacks,
+      {
+        phase: 'ingesting',
+        describe: (supplier, index) =>
+          `Processed feed ${index + 1}/${suppliers.length} (${supplier.name})`
+      }
+    );
+
+    const flagged = stats.results.reduce((sum, run) => sum + run.flagged, 0);
+
+    log('info', 'Supplier feeds completed', {
+      succeeded: stats.succeeded,
+      failed: stats.failed,
+      flagged,
+      phase: 'completed'
+    });
+
+    return {
+      statistics: {
+        total: stats.total,
+        succeeded: stats.succeeded,
+        failed: stats.failed,
+        flagged
+      },
+      runs: stats.results,
+      errors: stats.errors
+    };
+  }
+}
+
+module.exports = SupplierFeedExecutor;
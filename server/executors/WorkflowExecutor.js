@@ -0,0 +1,128 @@
+const BaseExecutor = require('./BaseExecutor');
+
+/**
+ * Workflow Task Executor
+ * A workflow task does no work itself. Its steps are child tasks that the
+ * queue starts as their dependencies allow; this executor watches them,
+ * reports how many have finished and ends once all of them have.
+ *
+ * The workflow fails when any step failed or timed out. Steps blocked by a
+ * failed dependency keep the workflow running so the failed step can be
+ * retried. Cancelling the workflow cancels its open steps.
+ *
+ * Config:
+ *  - name: workflow name
+ *  - steps: step keys in execution order
+ *  - pollInterval: ms between step checks, defaults to 5000
+ */
+class WorkflowExecutor extends BaseExecutor {
+  static async execute(task, callbacks) {
+    const { onProgress, checkCancellation, waitForResume } = callbacks;
+    const TaskWorkflowService = require('../services/TaskWorkflowService');
+    const log = this.createLogger(task, callbacks);
+    const pollInterval = (task.config && task.config.pollInterval) || 5000;
+
+    log('info', `Starting workflow ${task.config?.name || task.id}`, {
+      steps: task.config?.steps,
+      phase: 'initialization'
+    });
+
+    let lastMessage = null;
+    let graph = null;
+
+    try {
+      for (;;) {
+        checkCancellation();
+        await waitForResume();
+
+        graph = await TaskWorkflowService.getWorkflowGraph(task);
+        const { summary } = graph;
+
+        const message = this.describeSummary(summary);
+        if (message !== lastMessage) {
+          onProgress(summary.finished, summary.total, message, 'steps');
+          lastMessage = message;
+        }
+
+        if (summary.finished === summary.total) {
+          break;
+        }
+
+        await this.sleep(pollInterval, checkCancellation);
+      }
+    } catch (error) {
+      if (/cancelled/i.test(error.message)) {
+        const cancelled = await TaskWorkflowService.cancelOpenSteps(
+          task.id,
+          'Workflow cancelled'
+        );
+        log('warn', `Workflow cancelled, ${cancelled} open step(s) cancelled`, {
+          phase: 'cancellation'
+        });
+      }
+      throw error;
+    }
+
+    return this.buildResult(graph.nodes, graph.summary, log);
+  }
+
+  static describeSummary(summary) {
+    const parts = [`${summary.finished}/${summary.total} steps finished`];
+    if (summary.running > 0) {
+      parts.push(`${summary.running} running`);
+    }
+    if (summary.failed > 0) {
+      parts.push(`${summary.failed} failed`);
+    }
+    if (summary.skipped > 0) {
+      parts.push(`${summary.skipped} skipped`);
+    }
+    if (summary.blocked > 0) {
+      parts.push(`${summary.blocked} blocked by a failed step`);
+    }
+    return parts.join(', ');
+  }
+
+  static buildResult(nodes, summary, log) {
+    const steps = nodes.map((node) => ({
+      id: node.id,
+      key: node.key,
+      taskType: node.taskType,
+      status: node.status,
+      error: node.error,
+      duration: node.actualDuration
+    }));
+
+    const failedSteps = nodes.filter((node) =>
+      ['failed', 'timeout'].includes(node.status)
+    );
+    if (failedSteps.length > 0) {
+      log('error', `Workflow finished with ${failedSteps.length} failed step(s)`, {
+        failedSteps: failedSteps.map((node) => node.key),
+        phase: 'completion'
+      });
+      throw new Error(
+        `Workflow steps failed: ${failedSteps.map((node) => node.key).join(', ')}`
+      );
+    }
+
+    log('info', 'Workflow completed', { ...summary, phase: 'completion' });
+
+    return { summary, steps };
+  }
+
+  /**
+   * Wait in short steps so cancellation is noticed quickly
+   */
+  static async sleep(ms, checkCancellation) {
+    const until = Date.now() + ms;
+    while (Date.now() < until) {
+      checkCancellation();
+      await new Promise((resolve) =>
+        setTimeout(resolve, Math.min(1000, until - Date.now()))
+      );
+    }
+  }
+}
+
+module.exports = WorkflowExecutor;
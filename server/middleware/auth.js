@@ -58,7 +58,8 @@ const auth = async (req, res, next) => {
         {
           association: "subscriptions",
           where: {
-            status: ["trial", "active"],
+            // past_due keeps access while failed renewals are retried
+            status: ["trial", "active", "past_due"],
           },
           required: false,
           limit: 1,
@@ -238,7 +239,8 @@ const requireFeature = (featureName) => {
 };
 
 /**
- * Usage limit middleware - checks if user has exceeded usage limits
+ * Usage limit middleware - rejects requests above the usage limit of the
+ * billing period, unless the plan bills the usage as overage
  */
 const checkUsageLimit = (metricType) => {
   return async (req, res, next) => {
@@ -247,41 +249,36 @@ const checkUsageLimit = (metricType) => {
         return next(); // Skip if no subscription
       }
 
-      const { trackUsage } = require("../controllers/subscription-controller");
+      const subscriptionBillingService = require("../services/subscription-billing-service");
 
-      // Track this API call
-      await trackUsage(req.user.id, metricType);
+      const { allowed, record } = await subscriptionBillingService.checkUsage(
+        req.user.id,
+        metricType
+      );
 
-      // Check current usage against limits
-      const currentMonth = new Date();
-      const usageRecord = await req.user.getUsageRecords({
-        where: {
-          metricType,
-          billingPeriodStart: { [require("sequelize").Op.lte]: currentMonth },
-          billingPeriodEnd: { [require("sequelize").Op.gte]: currentMonth },
-        },
-      });
-
-      if (usageRecord.length > 0 && usageRecord[0].isOverLimit()) {
+      if (!allowed) {
         logger.warn("Usage limit exceeded", {
           userId: req.user.id,
           metricType,
-          currentUsage: usageRecord[0].currentUsage,
-          limit: usageRecord[0].limit,
+          currentUsage: record.currentUsage,
+          limit: record.limit,
         });
 
         return res.status(429).json({
           success: false,
           message: `Monthly ${metricType} limit exceeded`,
           usage: {
-            current: usageRecord[0].currentUsage,
-            limit: usageRecord[0].limit,
-            resetDate: usageRecord[0].billingPeriodEnd,
+            current: record.currentUsage,
+            limit: record.limit,
+            resetDate: record.billingPeriodEnd,
           },
           upgradeRequired: true,
         });
       }
 
+      // Track this call
+      await subscriptionBillingService.recordUsage(req.user.id, metricType);
+
       next();
     } catch (error) {
       logger.error("Usage limit check error:", error);
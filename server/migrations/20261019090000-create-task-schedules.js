@@ -0,0 +1,189 @@
+'use strict';
+
+const TASK_TYPES = [
+  'order_fetching',
+  'product_sync',
+  'inventory_sync',
+  'bulk_operation',
+  'analytics_update',
+  'customer_sync',
+  'shipping_label_generation',
+  'report_generation',
+  'data_export',
+  'data_import'
+];
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('task_schedules', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+      },
+      userId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      platformConnectionId: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'platform_connections',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      name: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+      taskType: {
+        type: Sequelize.ENUM(...TASK_TYPES),
+        allowNull: false,
+      },
+      priority: {
+        type: Sequelize.ENUM('low', 'normal', 'high', 'urgent'),
+        allowNull: false,
+        defaultValue: 'normal',
+      },
+      config: {
+        type: Sequelize.JSON,
+        allowNull: true,
+      },
+      maxRetries: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 3,
+      },
+      cronExpression: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+      intervalMinutes: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+      },
+      timezone: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        defaultValue: 'Europe/Istanbul',
+      },
+      status: {
+        type: Sequelize.ENUM('active', 'paused'),
+        allowNull: false,
+        defaultValue: 'active',
+      },
+      catchUpMode: {
+        type: Sequelize.ENUM('skip', 'once', 'all'),
+        allowNull: false,
+        defaultValue: 'once',
+      },
+      maxCatchUpRuns: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 5,
+      },
+      allowOverlap: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+      },
+      nextRunAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      lastRunAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      lastTaskId: {
+        type: Sequelize.UUID,
+        allowNull: true,
+      },
+      lastSkippedAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      lastError: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+      },
+      runCount: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      skippedCount: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      metadata: {
+        type: Sequelize.JSON,
+        allowNull: true,
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+      },
+    });
+
+    await queryInterface.addIndex('task_schedules', ['userId'], {
+      name: 'task_schedules_user_idx',
+    });
+    await queryInterface.addIndex('task_schedules', ['platformConnectionId'], {
+      name: 'task_schedules_platform_connection_idx',
+    });
+    await queryInterface.addIndex('task_schedules', ['status', 'nextRunAt'], {
+      name: 'task_schedules_due_idx',
+    });
+
+    await queryInterface.addColumn('background_tasks', 'scheduleId', {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: 'task_schedules',
+        key: 'id',
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL',
+    });
+    await queryInterface.addIndex('background_tasks', ['scheduleId'], {
+      name: 'background_tasks_schedule_idx',
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeIndex(
+      'background_tasks',
+      'background_tasks_schedule_idx'
+    );
+    await queryInterface.removeColumn('background_tasks', 'scheduleId');
+    await queryInterface.dropTable('task_schedules');
+    await queryInterface.sequelize.query(
+      'DROP TYPE IF EXISTS "enum_task_schedules_taskType";'
+    );
+    await queryInterface.sequelize.query(
+      'DROP TYPE IF EXISTS "enum_task_schedules_priority";'
+    );
+    await queryInterface.sequelize.query(
+      'DROP TYPE IF EXISTS "enum_task_schedules_status";'
+    );
+    await queryInterface.sequelize.query(
+      'DROP TYPE IF EXISTS "enum_task_schedules_catchUpMode";'
+    );
+  }
+};
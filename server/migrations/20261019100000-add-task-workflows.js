@@ -0,0 +1,31 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const dialect = queryInterface.sequelize.getDialect();
+
+    if (dialect === 'postgres') {
+      await queryInterface.sequelize.query(`
+        ALTER TYPE "enum_background_tasks_taskType" ADD VALUE IF NOT EXISTS 'workflow';
+      `);
+      await queryInterface.sequelize.query(`
+        ALTER TYPE "enum_background_tasks_status" ADD VALUE IF NOT EXISTS 'skipped';
+      `);
+    }
+
+    await queryInterface.addColumn('background_tasks', 'dependencyPolicies', {
+      type: Sequelize.JSON,
+      allowNull: true,
+      defaultValue: {},
+      comment:
+        'Per-dependency failure policy: { [taskId]: block | skip | continue }',
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('background_tasks', 'dependencyPolicies');
+
+    // Enum values cannot be removed in PostgreSQL without recreating the type
+  },
+};
@@ -0,0 +1,233 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const dialect = queryInterface.sequelize.getDialect();
+
+    if (dialect === 'postgres') {
+      await queryInterface.sequelize.query(`
+        ALTER TYPE "enum_background_tasks_taskType" ADD VALUE IF NOT EXISTS 'supplier_feed';
+      `);
+      await queryInterface.sequelize.query(`
+        ALTER TYPE "enum_task_schedules_taskType" ADD VALUE IF NOT EXISTS 'supplier_feed';
+      `);
+    }
+
+    await queryInterface.addColumn('suppliers', 'userId', {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id',
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL',
+      comment: 'Owner whose products the supplier feed is matched against',
+    });
+    await queryInterface.addColumn('suppliers', 'feedConfig', {
+      type: Sequelize.JSON,
+      allowNull: true,
+      comment:
+        'Price/stock feed: format, url, fieldMapping, matchBy, thresholds, auto updates',
+    });
+    await queryInterface.addColumn('suppliers', 'lastFeedRunAt', {
+      type: Sequelize.DATE,
+      allowNull: true,
+    });
+
+    await queryInterface.createTable('supplier_feed_runs', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+      },
+      supplierId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'suppliers',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      userId: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+      },
+      source: {
+        type: Sequelize.ENUM('url', 'upload'),
+        allowNull: false,
+        defaultValue: 'url',
+      },
+      sourceName: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+      format: {
+        type: Sequelize.ENUM('xml', 'csv', 'json'),
+        allowNull: false,
+      },
+      status: {
+        type: Sequelize.ENUM('running', 'completed', 'failed'),
+        allowNull: false,
+        defaultValue: 'running',
+      },
+      dryRun: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+      },
+      stats: {
+        type: Sequelize.JSON,
+        allowNull: true,
+      },
+      changes: {
+        type: Sequelize.JSON,
+        allowNull: true,
+      },
+      unmatched: {
+        type: Sequelize.JSON,
+        allowNull: true,
+      },
+      error: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+      },
+      startedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW,
+      },
+      completedAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW,
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW,
+      },
+    });
+    await queryInterface.addIndex('supplier_feed_runs', [
+      'supplierId',
+      'startedAt',
+    ]);
+
+    await queryInterface.createTable('supplier_price_history', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+      },
+      supplierPriceId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'supplier_prices',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      supplierId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+      },
+      productId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+      },
+      feedRunId: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'supplier_feed_runs',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+      },
+      previousPrice: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: true,
+      },
+      price: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false,
+      },
+      currency: {
+        type: Sequelize.ENUM('TL', 'USD'),
+        allowNull: false,
+        defaultValue: 'TL',
+      },
+      previousStock: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+      },
+      stock: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      changePercent: {
+        type: Sequelize.DECIMAL(8, 2),
+        allowNull: true,
+      },
+      flagged: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+      },
+      recordedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW,
+      },
+    });
+    await queryInterface.addIndex('supplier_price_history', [
+      'supplierPriceId',
+      'recordedAt',
+    ]);
+    await queryInterface.addIndex('supplier_price_history', ['productId']);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('supplier_price_history');
+    await queryInterface.dropTable('supplier_feed_runs');
+    await queryInterface.removeColumn('suppliers', 'lastFeedRunAt');
+    await queryInterface.removeColumn('suppliers', 'feedConfig');
+    await queryInterface.removeColumn('suppliers', 'userId');
+
+    const dialect = queryInterface.sequelize.getDialect();
+    if (dialect === 'postgres') {
+      await queryInterface.sequelize.query(
+        'DROP TYPE IF EXISTS "enum_supplier_price_history_currency";'
+      );
+      await queryInterface.sequelize.query(
+        'DROP TYPE IF EXISTS "enum_supplier_feed_runs_source";'
+      );
+      await queryInterface.sequelize.query(
+        'DROP TYPE IF EXISTS "enum_supplier_feed_runs_format";'
+      );
+      await queryInterface.sequelize.query(
+        'DROP TYPE IF EXISTS "enum_supplier_feed_runs_status";'
+      );
+    }
+
+    // The supplier_feed task type stays: enum values cannot be removed in
+    // PostgreSQL without recreating the type
+  },
+};
@@ -0,0 +1,204 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const dialect = queryInterface.sequelize.getDialect();
+
+    if (dialect === 'postgres') {
+      await queryInterface.sequelize.query(`
+        ALTER TYPE "enum_background_tasks_taskType" ADD VALUE IF NOT EXISTS 'repricing';
+      `);
+      await queryInterface.sequelize.query(`
+        ALTER TYPE "enum_task_schedules_taskType" ADD VALUE IF NOT EXISTS 'repricing';
+      `);
+    }
+
+    await queryInterface.createTable('repricing_rules', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+      },
+      userId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      name: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+      isActive: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true,
+      },
+      priority: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      platforms: {
+        type: Sequelize.JSON,
+        allowNull: false,
+        defaultValue: [],
+      },
+      scopeType: {
+        type: Sequelize.ENUM('all', 'category', 'brand', 'sku_pattern'),
+        allowNull: false,
+        defaultValue: 'all',
+      },
+      scopeValue: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+      targetMargin: {
+        type: Sequelize.DECIMAL(5, 2),
+        allowNull: false,
+      },
+      vatRate: {
+        type: Sequelize.DECIMAL(5, 2),
+        allowNull: false,
+        defaultValue: 20,
+      },
+      commissionRate: {
+        type: Sequelize.DECIMAL(5, 2),
+        allowNull: true,
+      },
+      shippingCost: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: true,
+      },
+      minPrice: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: true,
+      },
+      maxPrice: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: true,
+      },
+      roundingEnding: {
+        type: Sequelize.DECIMAL(3, 2),
+        allowNull: true,
+      },
+      lastAppliedAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW,
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW,
+      },
+    });
+    await queryInterface.addIndex('repricing_rules', [
+      'userId',
+      'isActive',
+      'priority',
+    ]);
+
+    await queryInterface.createTable('price_change_logs', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+      },
+      userId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      productId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'products',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      platform: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+      ruleId: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'repricing_rules',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+      },
+      batchId: {
+        type: Sequelize.UUID,
+        allowNull: true,
+      },
+      previousPrice: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: true,
+      },
+      newPrice: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false,
+      },
+      breakdown: {
+        type: Sequelize.JSON,
+        allowNull: true,
+      },
+      syncStatus: {
+        type: Sequelize.ENUM('pending', 'synced', 'failed', 'skipped'),
+        allowNull: false,
+        defaultValue: 'pending',
+      },
+      syncError: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW,
+      },
+    });
+    await queryInterface.addIndex('price_change_logs', ['userId', 'createdAt']);
+    await queryInterface.addIndex('price_change_logs', ['productId', 'platform']);
+    await queryInterface.addIndex('price_change_logs', ['batchId']);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('price_change_logs');
+    await queryInterface.dropTable('repricing_rules');
+
+    const dialect = queryInterface.sequelize.getDialect();
+    if (dialect === 'postgres') {
+      await queryInterface.sequelize.query(
+        'DROP TYPE IF EXISTS "enum_price_change_logs_syncStatus";'
+      );
+      await queryInterface.sequelize.query(
+        'DROP TYPE IF EXISTS "enum_repricing_rules_scopeType";'
+      );
+    }
+
+    // The repricing task type stays: enum values cannot be removed in
+    // PostgreSQL without recreating the type
+  },
+};
@@ -0,0 +1,116 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const dialect = queryInterface.sequelize.getDialect();
+
+    if (dialect === 'postgres') {
+      await queryInterface.sequelize.query(`
+        ALTER TYPE "enum_background_tasks_taskType" ADD VALUE IF NOT EXISTS 'shipment_creation';
+      `);
+      await queryInterface.sequelize.query(`
+        ALTER TYPE "enum_task_schedules_taskType" ADD VALUE IF NOT EXISTS 'shipment_creation';
+      `);
+    }
+
+    await queryInterface.addColumn('shipping_details', 'carrierCode', {
+      type: Sequelize.STRING,
+      allowNull: true,
+      comment: 'ShippingServiceFactory carrier code (aras, yurtici, ptt)',
+    });
+    await queryInterface.addColumn('shipping_details', 'trackingNumber', {
+      type: Sequelize.STRING,
+      allowNull: true,
+    });
+    await queryInterface.addColumn('shipping_details', 'trackingUrl', {
+      type: Sequelize.STRING,
+      allowNull: true,
+    });
+    await queryInterface.addColumn('shipping_details', 'labelUrl', {
+      type: Sequelize.TEXT,
+      allowNull: true,
+    });
+    await queryInterface.addColumn('shipping_details', 'shipmentId', {
+      type: Sequelize.STRING,
+      allowNull: true,
+      comment: 'Shipment id on the carrier side',
+    });
+    await queryInterface.addColumn('shipping_details', 'serviceType', {
+      type: Sequelize.STRING,
+      allowNull: true,
+    });
+    await queryInterface.addColumn('shipping_details', 'shippingCost', {
+      type: Sequelize.DECIMAL(10, 2),
+      allowNull: true,
+    });
+    await queryInterface.addColumn('shipping_details', 'codAmount', {
+      type: Sequelize.DECIMAL(10, 2),
+      allowNull: true,
+      comment: 'Amount collected on delivery; null for prepaid shipments',
+    });
+    await queryInterface.addColumn('shipping_details', 'status', {
+      type: Sequelize.STRING,
+      allowNull: true,
+      comment: 'Carrier shipment status (created, in_transit, delivered, ...)',
+    });
+    await queryInterface.addColumn('shipping_details', 'selectionReason', {
+      type: Sequelize.STRING,
+      allowNull: true,
+      comment: 'Rule that picked the carrier (cheapest, fastest, city, manual)',
+    });
+    await queryInterface.addColumn('shipping_details', 'shippedAt', {
+      type: Sequelize.DATE,
+      allowNull: true,
+    });
+    await queryInterface.addColumn('shipping_details', 'carrierResponse', {
+      type: Sequelize.JSON,
+      allowNull: true,
+    });
+    await queryInterface.addColumn('shipping_details', 'marketplaceSyncStatus', {
+      type: Sequelize.ENUM('pending', 'synced', 'failed', 'skipped'),
+      allowNull: true,
+    });
+    await queryInterface.addColumn('shipping_details', 'marketplaceSyncError', {
+      type: Sequelize.TEXT,
+      allowNull: true,
+    });
+
+    await queryInterface.addIndex('shipping_details', ['trackingNumber']);
+    await queryInterface.addIndex('shipping_details', ['carrierCode', 'status']);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeIndex('shipping_details', ['carrierCode', 'status']);
+    await queryInterface.removeIndex('shipping_details', ['trackingNumber']);
+
+    for (const column of [
+      'carrierCode',
+      'trackingNumber',
+      'trackingUrl',
+      'labelUrl',
+      'shipmentId',
+      'serviceType',
+      'shippingCost',
+      'codAmount',
+      'status',
+      'selectionReason',
+      'shippedAt',
+      'carrierResponse',
+      'marketplaceSyncStatus',
+      'marketplaceSyncError',
+    ]) {
+      await queryInterface.removeColumn('shipping_details', column);
+    }
+
+    const dialect = queryInterface.sequelize.getDialect();
+    if (dialect === 'postgres') {
+      await queryInterface.sequelize.query(
+        'DROP TYPE IF EXISTS "enum_shipping_details_marketplaceSyncStatus";'
+      );
+    }
+
+    // The shipment_creation task type stays: enum values cannot be removed in
+    // PostgreSQL without recreating the type
+  },
+};
@@ -0,0 +1,81 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const dialect = queryInterface.sequelize.getDialect();
+
+    if (dialect === 'postgres') {
+      await queryInterface.sequelize.query(`
+        ALTER TYPE "enum_background_tasks_taskType" ADD VALUE IF NOT EXISTS 'shipment_tracking';
+      `);
+      await queryInterface.sequelize.query(`
+        ALTER TYPE "enum_task_schedules_taskType" ADD VALUE IF NOT EXISTS 'shipment_tracking';
+      `);
+    }
+
+    await queryInterface.addColumn('shipping_details', 'trackingEvents', {
+      type: Sequelize.JSON,
+      allowNull: true,
+      comment: 'Normalized carrier events, oldest first',
+    });
+    await queryInterface.addColumn('shipping_details', 'statusDescription', {
+      type: Sequelize.STRING,
+      allowNull: true,
+    });
+    await queryInterface.addColumn('shipping_details', 'currentLocation', {
+      type: Sequelize.STRING,
+      allowNull: true,
+    });
+    await queryInterface.addColumn('shipping_details', 'estimatedDeliveryDate', {
+      type: Sequelize.DATE,
+      allowNull: true,
+    });
+    await queryInterface.addColumn('shipping_details', 'deliveredAt', {
+      type: Sequelize.DATE,
+      allowNull: true,
+    });
+    await queryInterface.addColumn('shipping_details', 'exceptionStatus', {
+      type: Sequelize.STRING,
+      allowNull: true,
+      comment: 'Set while the shipment needs attention (returned, delivery_failed, ...)',
+    });
+    await queryInterface.addColumn('shipping_details', 'lastTrackedAt', {
+      type: Sequelize.DATE,
+      allowNull: true,
+    });
+    await queryInterface.addColumn('shipping_details', 'trackingError', {
+      type: Sequelize.TEXT,
+      allowNull: true,
+    });
+    await queryInterface.addColumn('shipping_details', 'trackingFailures', {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'Consecutive failed tracking requests',
+    });
+
+    await queryInterface.addIndex('shipping_details', ['status', 'lastTrackedAt']);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeIndex('shipping_details', ['status', 'lastTrackedAt']);
+
+    for (const column of [
+      'trackingEvents',
+      'statusDescription',
+      'currentLocation',
+      'estimatedDeliveryDate',
+      'deliveredAt',
+      'exceptionStatus',
+      'lastTrackedAt',
+      'trackingError',
+      'trackingFailures',
+    ]) {
+      await queryInterface.removeColumn('shipping_details', column);
+    }
+
+    // The shipment_tracking task type stays: enum values cannot be removed in
+    // PostgreSQL without recreating the type
+  },
+};
@@ -0,0 +1,238 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const dialect = queryInterface.sequelize.getDialect();
+
+    if (dialect === 'postgres') {
+      await queryInterface.sequelize.query(`
+        ALTER TYPE "enum_background_tasks_taskType" ADD VALUE IF NOT EXISTS 'return_sync';
+      `);
+      await queryInterface.sequelize.query(`
+        ALTER TYPE "enum_task_schedules_taskType" ADD VALUE IF NOT EXISTS 'return_sync';
+      `);
+    }
+
+    await queryInterface.createTable('return_claims', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+      },
+      userId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      orderId: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'orders',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+      },
+      connectionId: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'platform_connections',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+      },
+      platform: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+      externalClaimId: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+      orderNumber: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+      status: {
+        type: Sequelize.ENUM('pending', 'approved', 'rejected', 'cancelled'),
+        allowNull: false,
+        defaultValue: 'pending',
+      },
+      platformStatus: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+      claimDate: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      customerNote: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+      },
+      cargoTrackingNumber: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+      cargoProvider: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+      rejectionReason: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+      },
+      resolvedAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      restockedAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      rawData: {
+        type: Sequelize.JSON,
+        allowNull: true,
+      },
+      lastSyncedAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW,
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW,
+      },
+    });
+    await queryInterface.addIndex(
+      'return_claims',
+      ['userId', 'platform', 'externalClaimId'],
+      { unique: true }
+    );
+    await queryInterface.addIndex('return_claims', ['userId', 'status']);
+    await queryInterface.addIndex('return_claims', ['orderId']);
+
+    await queryInterface.createTable('return_claim_items', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+      },
+      claimId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'return_claims',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      orderItemId: {
+        type: Sequelize.UUID,
+        allowNull: true,
+      },
+      productId: {
+        type: Sequelize.UUID,
+        allowNull: true,
+      },
+      externalItemIds: {
+        type: Sequelize.JSON,
+        allowNull: false,
+        defaultValue: [],
+      },
+      sku: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+      barcode: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+      productName: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+      quantity: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 1,
+      },
+      price: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: true,
+      },
+      reasonCode: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+      reasonName: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+      customerNote: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+      },
+      status: {
+        type: Sequelize.ENUM('pending', 'approved', 'rejected', 'cancelled'),
+        allowNull: false,
+        defaultValue: 'pending',
+      },
+      platformStatus: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+      restockedQuantity: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW,
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW,
+      },
+    });
+    await queryInterface.addIndex('return_claim_items', ['claimId']);
+    await queryInterface.addIndex('return_claim_items', ['productId']);
+    await queryInterface.addIndex('return_claim_items', ['reasonCode']);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('return_claim_items');
+    await queryInterface.dropTable('return_claims');
+
+    const dialect = queryInterface.sequelize.getDialect();
+    if (dialect === 'postgres') {
+      await queryInterface.sequelize.query(
+        'DROP TYPE IF EXISTS "enum_return_claim_items_status";'
+      );
+      await queryInterface.sequelize.query(
+        'DROP TYPE IF EXISTS "enum_return_claims_status";'
+      );
+    }
+
+    // The return_sync task type stays: enum values cannot be removed in
+    // PostgreSQL without recreating the type
+  },
+};
@@ -0,0 +1,251 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('payments', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+      },
+      userId: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+      },
+      orderId: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'orders',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+      },
+      provider: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+      reference: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+      providerPaymentId: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+      amount: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: true,
+      },
+      currency: {
+        type: Sequelize.STRING(3),
+        allowNull: false,
+        defaultValue: 'TRY',
+      },
+      installments: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 1,
+      },
+      status: {
+        type: Sequelize.ENUM('pending', 'succeeded', 'failed'),
+        allowNull: false,
+        defaultValue: 'pending',
+      },
+      failureReason: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+      },
+      paidAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      lastEventAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      rawData: {
+        type: Sequelize.JSON,
+        allowNull: true,
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW,
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW,
+      },
+    });
+    await queryInterface.addIndex('payments', ['provider', 'reference'], {
+      unique: true,
+    });
+    await queryInterface.addIndex('payments', ['orderId']);
+    await queryInterface.addIndex('payments', ['userId', 'status']);
+
+    await queryInterface.createTable('payment_webhook_events', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+      },
+      provider: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+      eventKey: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+      paymentId: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'payments',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+      },
+      status: {
+        type: Sequelize.ENUM('received', 'processed', 'ignored', 'failed'),
+        allowNull: false,
+        defaultValue: 'received',
+      },
+      payload: {
+        type: Sequelize.JSON,
+        allowNull: true,
+      },
+      error: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+      },
+      processedAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW,
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW,
+      },
+    });
+    await queryInterface.addIndex(
+      'payment_webhook_events',
+      ['provider', 'eventKey'],
+      { unique: true }
+    );
+    await queryInterface.addIndex('payment_webhook_events', ['paymentId']);
+
+    await queryInterface.createTable('saved_cards', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+      },
+      userId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      provider: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+      cardUserKey: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+      cardToken: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+      cardAlias: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+      binNumber: {
+        type: Sequelize.STRING(8),
+        allowNull: true,
+      },
+      lastFourDigits: {
+        type: Sequelize.STRING(4),
+        allowNull: true,
+      },
+      cardType: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+      cardAssociation: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+      cardFamily: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+      bankName: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+      expireMonth: {
+        type: Sequelize.STRING(2),
+        allowNull: true,
+      },
+      expireYear: {
+        type: Sequelize.STRING(4),
+        allowNull: true,
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW,
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.NOW,
+      },
+    });
+    await queryInterface.addIndex('saved_cards', ['provider', 'cardToken'], {
+      unique: true,
+    });
+    await queryInterface.addIndex('saved_cards', ['userId', 'provider']);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('saved_cards');
+    await queryInterface.dropTable('payment_webhook_events');
+    await queryInterface.dropTable('payments');
+
+    const dialect = queryInterface.sequelize.getDialect();
+    if (dialect === 'postgres') {
+      await queryInterface.sequelize.query(
+        'DROP TYPE IF EXISTS "enum_payment_webhook_events_status";'
+      );
+      await queryInterface.sequelize.query(
+        'DROP TYPE IF EXISTS "enum_payments_status";'
+      );
+    }
+  },
+};
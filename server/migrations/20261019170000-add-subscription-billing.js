@@ -0,0 +1,62 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('subscriptions', 'savedCardId', {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: 'saved_cards',
+        key: 'id',
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL',
+    });
+    await queryInterface.addColumn('subscriptions', 'currentPeriodStart', {
+      type: Sequelize.DATE,
+      allowNull: true,
+    });
+    await queryInterface.addColumn('subscriptions', 'creditBalance', {
+      type: Sequelize.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0,
+    });
+    await queryInterface.addColumn('subscriptions', 'pastDueSince', {
+      type: Sequelize.DATE,
+      allowNull: true,
+    });
+    await queryInterface.addColumn('subscriptions', 'retryCount', {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    });
+    await queryInterface.addColumn('subscriptions', 'nextRetryAt', {
+      type: Sequelize.DATE,
+      allowNull: true,
+    });
+    await queryInterface.addColumn('subscriptions', 'billingLockedUntil', {
+      type: Sequelize.DATE,
+      allowNull: true,
+    });
+    await queryInterface.addIndex('subscriptions', ['status', 'nextRetryAt']);
+    await queryInterface.addIndex('subscriptions', ['status', 'trialEndsAt']);
+
+    // Existing subscriptions started their current period when they started
+    await queryInterface.sequelize.query(
+      'UPDATE subscriptions SET "currentPeriodStart" = "startedAt" WHERE "currentPeriodStart" IS NULL'
+    );
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeIndex('subscriptions', ['status', 'trialEndsAt']);
+    await queryInterface.removeIndex('subscriptions', ['status', 'nextRetryAt']);
+    await queryInterface.removeColumn('subscriptions', 'billingLockedUntil');
+    await queryInterface.removeColumn('subscriptions', 'nextRetryAt');
+    await queryInterface.removeColumn('subscriptions', 'retryCount');
+    await queryInterface.removeColumn('subscriptions', 'pastDueSince');
+    await queryInterface.removeColumn('subscriptions', 'creditBalance');
+    await queryInterface.removeColumn('subscriptions', 'currentPeriodStart');
+    await queryInterface.removeColumn('subscriptions', 'savedCardId');
+  },
+};
@@ -0,0 +1,153 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('chat_conversations', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+      },
+      userId: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+      },
+      channel: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+      },
+      externalId: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+      customerName: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+      customerPhone: {
+        type: Sequelize.STRING(20),
+        allowNull: true,
+      },
+      customerEmail: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+      verifiedAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      verificationMethod: {
+        type: Sequelize.STRING(20),
+        allowNull: true,
+      },
+      status: {
+        type: Sequelize.ENUM('bot', 'waiting_agent', 'with_agent', 'closed'),
+        allowNull: false,
+        defaultValue: 'bot',
+      },
+      assignedAgentId: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+      },
+      handoffReason: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+      handoffAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      closedAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      state: {
+        type: Sequelize.JSON,
+        allowNull: true,
+      },
+      messageCount: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      lastMessageAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW,
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW,
+      },
+    });
+
+    await queryInterface.addIndex('chat_conversations', ['channel', 'externalId']);
+    await queryInterface.addIndex('chat_conversations', ['userId', 'status']);
+    await queryInterface.addIndex('chat_conversations', ['assignedAgentId']);
+
+    await queryInterface.addColumn('ai_chat_logs', 'conversationId', {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: 'chat_conversations',
+        key: 'id',
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL',
+    });
+    await queryInterface.addColumn('ai_chat_logs', 'channel', {
+      type: Sequelize.STRING(20),
+      allowNull: true,
+    });
+    await queryInterface.addColumn('ai_chat_logs', 'sender', {
+      type: Sequelize.STRING(20),
+      allowNull: false,
+      defaultValue: 'customer',
+    });
+    await queryInterface.addColumn('ai_chat_logs', 'agentId', {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id',
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL',
+    });
+    await queryInterface.addIndex('ai_chat_logs', ['conversationId', 'createdAt']);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeIndex('ai_chat_logs', ['conversationId', 'createdAt']);
+    await queryInterface.removeColumn('ai_chat_logs', 'agentId');
+    await queryInterface.removeColumn('ai_chat_logs', 'sender');
+    await queryInterface.removeColumn('ai_chat_logs', 'channel');
+    await queryInterface.removeColumn('ai_chat_logs', 'conversationId');
+    await queryInterface.dropTable('chat_conversations');
+
+    const dialect = queryInterface.sequelize.getDialect();
+    if (dialect === 'postgres') {
+      await queryInterface.sequelize.query(
+        'DROP TYPE IF EXISTS "enum_chat_conversations_status";'
+      );
+    }
+  },
+};
@@ -0,0 +1,199 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('whatsapp_contacts', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+      },
+      userId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      phone: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+      },
+      name: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+      optedIn: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+      },
+      optInSource: {
+        type: Sequelize.STRING(30),
+        allowNull: true,
+      },
+      optedInAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      optedOutAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      lastInboundAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW,
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW,
+      },
+    });
+
+    await queryInterface.addIndex('whatsapp_contacts', ['userId', 'phone'], {
+      unique: true,
+    });
+
+    await queryInterface.createTable('whatsapp_messages', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+      },
+      userId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      contactId: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'whatsapp_contacts',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+      },
+      orderId: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'orders',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+      },
+      conversationId: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'chat_conversations',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+      },
+      phone: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+      },
+      direction: {
+        type: Sequelize.ENUM('inbound', 'outbound'),
+        allowNull: false,
+      },
+      type: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+        defaultValue: 'text',
+      },
+      event: {
+        type: Sequelize.STRING(30),
+        allowNull: true,
+      },
+      templateName: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+      body: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+      },
+      waMessageId: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+      status: {
+        type: Sequelize.ENUM('received', 'sent', 'delivered', 'read', 'failed'),
+        allowNull: false,
+      },
+      error: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+      },
+      sentAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      deliveredAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      readAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW,
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW,
+      },
+    });
+
+    await queryInterface.addIndex('whatsapp_messages', ['waMessageId'], {
+      unique: true,
+    });
+    // One notification per order event, even when sending failed
+    await queryInterface.addIndex('whatsapp_messages', ['orderId', 'event'], {
+      unique: true,
+      where: { event: { [Sequelize.Op.ne]: null } },
+    });
+    await queryInterface.addIndex('whatsapp_messages', ['userId', 'phone', 'createdAt']);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('whatsapp_messages');
+    await queryInterface.dropTable('whatsapp_contacts');
+
+    const dialect = queryInterface.sequelize.getDialect();
+    if (dialect === 'postgres') {
+      await queryInterface.sequelize.query(
+        'DROP TYPE IF EXISTS "enum_whatsapp_messages_direction";'
+      );
+      await queryInterface.sequelize.query(
+        'DROP TYPE IF EXISTS "enum_whatsapp_messages_status";'
+      );
+    }
+  },
+};
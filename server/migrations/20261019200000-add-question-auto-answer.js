@@ -0,0 +1,190 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('question_answer_drafts', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      question_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'customer_questions',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      platform: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+      },
+      category: {
+        type: Sequelize.STRING(30),
+        allowNull: false,
+        defaultValue: 'other',
+      },
+      answer_text: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+      },
+      confidence: {
+        type: Sequelize.DECIMAL(4, 3),
+        allowNull: false,
+        defaultValue: 0,
+      },
+      model: {
+        type: Sequelize.STRING(50),
+        allowNull: false,
+      },
+      template_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'reply_templates',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+      },
+      facts: {
+        type: Sequelize.JSON,
+        allowNull: true,
+      },
+      status: {
+        type: Sequelize.ENUM(
+          'pending_review',
+          'scheduled',
+          'sent',
+          'failed',
+          'discarded'
+        ),
+        allowNull: false,
+        defaultValue: 'pending_review',
+      },
+      sla_deadline: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      auto_send_at: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      sent_at: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      reviewed_by: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+      },
+      reply_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'customer_replies',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+      },
+      error: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW,
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW,
+      },
+    });
+
+    await queryInterface.addIndex('question_answer_drafts', ['question_id'], {
+      unique: true,
+    });
+    await queryInterface.addIndex('question_answer_drafts', ['status', 'auto_send_at']);
+
+    await queryInterface.createTable('question_auto_answer_rules', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      category: {
+        type: Sequelize.STRING(30),
+        allowNull: false,
+      },
+      platform: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+        defaultValue: 'all',
+      },
+      auto_send: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+      },
+      min_confidence: {
+        type: Sequelize.DECIMAL(4, 3),
+        allowNull: false,
+        defaultValue: 0.85,
+      },
+      hold_minutes: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 15,
+      },
+      updated_by: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW,
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW,
+      },
+    });
+
+    await queryInterface.addIndex('question_auto_answer_rules', ['category', 'platform'], {
+      unique: true,
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('question_auto_answer_rules');
+    await queryInterface.dropTable('question_answer_drafts');
+
+    const dialect = queryInterface.sequelize.getDialect();
+    if (dialect === 'postgres') {
+      await queryInterface.sequelize.query(
+        'DROP TYPE IF EXISTS "enum_question_answer_drafts_status";'
+      );
+    }
+  },
+};
@@ -0,0 +1,100 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('customer_questions', 'due_date', {
+      type: Sequelize.DATE,
+      allowNull: true,
+    });
+    await queryInterface.addColumn('customer_questions', 'category', {
+      type: Sequelize.STRING(30),
+      allowNull: true,
+    });
+    await queryInterface.addColumn('customer_questions', 'assigned_at', {
+      type: Sequelize.DATE,
+      allowNull: true,
+    });
+    await queryInterface.addColumn('customer_questions', 'escalation_level', {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    });
+    await queryInterface.addColumn('customer_questions', 'escalated_at', {
+      type: Sequelize.DATE,
+      allowNull: true,
+    });
+
+    await queryInterface.addIndex('customer_questions', ['status', 'due_date']);
+
+    await queryInterface.createTable('question_assignment_rules', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      name: {
+        type: Sequelize.STRING(100),
+        allowNull: false,
+      },
+      category: {
+        type: Sequelize.STRING(30),
+        allowNull: false,
+        defaultValue: 'all',
+      },
+      platform: {
+        type: Sequelize.STRING(20),
+        allowNull: false,
+        defaultValue: 'all',
+      },
+      agent_ids: {
+        type: Sequelize.JSON,
+        allowNull: false,
+        defaultValue: [],
+      },
+      priority: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      is_active: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true,
+      },
+      created_by: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW,
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW,
+      },
+    });
+
+    await queryInterface.addIndex('question_assignment_rules', ['is_active', 'priority']);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('question_assignment_rules');
+
+    await queryInterface.removeIndex('customer_questions', ['status', 'due_date']);
+    await queryInterface.removeColumn('customer_questions', 'escalated_at');
+    await queryInterface.removeColumn('customer_questions', 'escalation_level');
+    await queryInterface.removeColumn('customer_questions', 'assigned_at');
+    await queryInterface.removeColumn('customer_questions', 'category');
+    await queryInterface.removeColumn('customer_questions', 'due_date');
+  },
+};
@@ -0,0 +1,139 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const dialect = queryInterface.sequelize.getDialect();
+
+    if (dialect === 'postgres') {
+      await queryInterface.sequelize.query(`
+        ALTER TYPE "enum_background_tasks_taskType" ADD VALUE IF NOT EXISTS 'customer_matching';
+      `);
+      await queryInterface.sequelize.query(`
+        ALTER TYPE "enum_task_schedules_taskType" ADD VALUE IF NOT EXISTS 'customer_matching';
+      `);
+    }
+
+    await queryInterface.addColumn('customers', 'mergedIntoId', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'customers',
+        key: 'id',
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL',
+    });
+    await queryInterface.addColumn('customers', 'mergeConfidence', {
+      type: Sequelize.DECIMAL(4, 3),
+      allowNull: true,
+    });
+    await queryInterface.addColumn('customers', 'mergedAt', {
+      type: Sequelize.DATE,
+      allowNull: true,
+    });
+    await queryInterface.addColumn('customers', 'mergedBy', {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id',
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL',
+    });
+
+    await queryInterface.addIndex('customers', ['mergedIntoId']);
+
+    await queryInterface.createTable('customer_match_candidates', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      customerId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'customers',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      candidateId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'customers',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      confidence: {
+        type: Sequelize.DECIMAL(4, 3),
+        allowNull: false,
+        defaultValue: 0,
+      },
+      signals: {
+        type: Sequelize.JSON,
+        allowNull: true,
+      },
+      status: {
+        type: Sequelize.ENUM('pending', 'merged', 'rejected'),
+        allowNull: false,
+        defaultValue: 'pending',
+      },
+      reviewedBy: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+      },
+      reviewedAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW,
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW,
+      },
+    });
+
+    await queryInterface.addIndex('customer_match_candidates', ['customerId', 'candidateId'], {
+      unique: true,
+    });
+    await queryInterface.addIndex('customer_match_candidates', ['status', 'confidence']);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('customer_match_candidates');
+
+    await queryInterface.removeIndex('customers', ['mergedIntoId']);
+    await queryInterface.removeColumn('customers', 'mergedBy');
+    await queryInterface.removeColumn('customers', 'mergedAt');
+    await queryInterface.removeColumn('customers', 'mergeConfidence');
+    await queryInterface.removeColumn('customers', 'mergedIntoId');
+
+    const dialect = queryInterface.sequelize.getDialect();
+    if (dialect === 'postgres') {
+      await queryInterface.sequelize.query(
+        'DROP TYPE IF EXISTS "enum_customer_match_candidates_status";'
+      );
+    }
+
+    // The customer_matching task type stays: enum values cannot be removed in
+    // PostgreSQL without recreating the type
+  },
+};
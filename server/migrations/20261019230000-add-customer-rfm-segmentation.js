@@ -0,0 +1,298 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('customers', 'rfmRecency', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+    });
+    await queryInterface.addColumn('customers', 'rfmFrequency', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+    });
+    await queryInterface.addColumn('customers', 'rfmMonetary', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+    });
+    await queryInterface.addColumn('customers', 'rfmSegment', {
+      type: Sequelize.STRING(30),
+      allowNull: true,
+    });
+    await queryInterface.addColumn('customers', 'predictedClv', {
+      type: Sequelize.DECIMAL(12, 2),
+      allowNull: true,
+    });
+    await queryInterface.addColumn('customers', 'churnProbability', {
+      type: Sequelize.DECIMAL(4, 3),
+      allowNull: true,
+    });
+    await queryInterface.addColumn('customers', 'rfmUpdatedAt', {
+      type: Sequelize.DATE,
+      allowNull: true,
+    });
+
+    await queryInterface.addIndex('customers', ['rfmSegment']);
+
+    await queryInterface.createTable('customer_segments', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      key: {
+        type: Sequelize.STRING(50),
+        allowNull: true,
+        unique: true,
+      },
+      name: {
+        type: Sequelize.STRING(100),
+        allowNull: false,
+      },
+      description: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+      },
+      criteria: {
+        type: Sequelize.JSON,
+        allowNull: false,
+        defaultValue: {},
+      },
+      isSystem: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+      },
+      customerCount: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      createdBy: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW,
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW,
+      },
+    });
+
+    await queryInterface.createTable('customer_segment_history', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      customerId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'customers',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      fromSegment: {
+        type: Sequelize.STRING(30),
+        allowNull: true,
+      },
+      toSegment: {
+        type: Sequelize.STRING(30),
+        allowNull: false,
+      },
+      rfmRecency: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+      },
+      rfmFrequency: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+      },
+      rfmMonetary: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+      },
+      predictedClv: {
+        type: Sequelize.DECIMAL(12, 2),
+        allowNull: true,
+      },
+      churnProbability: {
+        type: Sequelize.DECIMAL(4, 3),
+        allowNull: true,
+      },
+      changedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+    });
+
+    await queryInterface.addIndex('customer_segment_history', ['changedAt']);
+    await queryInterface.addIndex('customer_segment_history', [
+      'customerId',
+      'changedAt',
+    ]);
+
+    await queryInterface.createTable('customer_segment_snapshots', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      snapshotDate: {
+        type: Sequelize.DATEONLY,
+        allowNull: false,
+      },
+      segment: {
+        type: Sequelize.STRING(30),
+        allowNull: false,
+      },
+      customerCount: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      totalSpent: {
+        type: Sequelize.DECIMAL(14, 2),
+        allowNull: false,
+        defaultValue: 0,
+      },
+      predictedClv: {
+        type: Sequelize.DECIMAL(14, 2),
+        allowNull: false,
+        defaultValue: 0,
+      },
+      avgChurnProbability: {
+        type: Sequelize.DECIMAL(4, 3),
+        allowNull: true,
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW,
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW,
+      },
+    });
+
+    await queryInterface.addIndex(
+      'customer_segment_snapshots',
+      ['snapshotDate', 'segment'],
+      { unique: true }
+    );
+
+    await queryInterface.createTable('campaigns', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      name: {
+        type: Sequelize.STRING(150),
+        allowNull: false,
+      },
+      subject: {
+        type: Sequelize.STRING(255),
+        allowNull: false,
+      },
+      content: {
+        type: Sequelize.TEXT,
+        allowNull: false,
+      },
+      segmentIds: {
+        type: Sequelize.JSON,
+        allowNull: false,
+        defaultValue: [],
+      },
+      status: {
+        type: Sequelize.ENUM('draft', 'scheduled', 'sending', 'sent', 'failed'),
+        allowNull: false,
+        defaultValue: 'draft',
+      },
+      scheduledAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      sentAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      recipientCount: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      sentCount: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      failedCount: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      createdBy: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW,
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW,
+      },
+    });
+
+    await queryInterface.addIndex('campaigns', ['status', 'scheduledAt']);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('campaigns');
+    await queryInterface.dropTable('customer_segment_snapshots');
+    await queryInterface.dropTable('customer_segment_history');
+    await queryInterface.dropTable('customer_segments');
+
+    await queryInterface.removeIndex('customers', ['rfmSegment']);
+    await queryInterface.removeColumn('customers', 'rfmUpdatedAt');
+    await queryInterface.removeColumn('customers', 'churnProbability');
+    await queryInterface.removeColumn('customers', 'predictedClv');
+    await queryInterface.removeColumn('customers', 'rfmSegment');
+    await queryInterface.removeColumn('customers', 'rfmMonetary');
+    await queryInterface.removeColumn('customers', 'rfmFrequency');
+    await queryInterface.removeColumn('customers', 'rfmRecency');
+
+    const dialect = queryInterface.sequelize.getDialect();
+    if (dialect === 'postgres') {
+      await queryInterface.sequelize.query(
+        'DROP TYPE IF EXISTS "enum_campaigns_status";'
+      );
+    }
+  },
+};
@@ -0,0 +1,257 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('customers', 'marketingEmailConsent', {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+    });
+    await queryInterface.addColumn('customers', 'marketingConsentSource', {
+      type: Sequelize.STRING(30),
+      allowNull: true,
+    });
+    await queryInterface.addColumn('customers', 'marketingConsentAt', {
+      type: Sequelize.DATE,
+      allowNull: true,
+    });
+    await queryInterface.addColumn('customers', 'marketingUnsubscribedAt', {
+      type: Sequelize.DATE,
+      allowNull: true,
+    });
+
+    await queryInterface.createTable('email_templates', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      name: {
+        type: Sequelize.STRING(100),
+        allowNull: false,
+        unique: true,
+      },
+      subject: {
+        type: Sequelize.STRING(255),
+        allowNull: false,
+      },
+      content: {
+        type: Sequelize.TEXT,
+        allowNull: false,
+      },
+      type: {
+        type: Sequelize.STRING(30),
+        allowNull: false,
+        defaultValue: 'marketing',
+      },
+      createdBy: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW,
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW,
+      },
+    });
+
+    await queryInterface.addColumn('campaigns', 'templateId', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'email_templates',
+        key: 'id',
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL',
+    });
+    await queryInterface.changeColumn('campaigns', 'content', {
+      type: Sequelize.TEXT,
+      allowNull: true,
+    });
+
+    const dialect = queryInterface.sequelize.getDialect();
+    if (dialect === 'postgres') {
+      await queryInterface.sequelize.query(
+        `ALTER TYPE "enum_campaigns_status" ADD VALUE IF NOT EXISTS 'cancelled';`
+      );
+    }
+
+    await queryInterface.createTable('campaign_recipients', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      campaignId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'campaigns',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      customerId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'customers',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      email: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+      token: {
+        type: Sequelize.STRING(64),
+        allowNull: false,
+        unique: true,
+      },
+      status: {
+        type: Sequelize.ENUM('pending', 'sent', 'failed', 'skipped'),
+        allowNull: false,
+        defaultValue: 'pending',
+      },
+      messageId: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+      error: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+      },
+      sentAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      openedAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      openCount: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      clickedAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      clickCount: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      unsubscribedAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW,
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW,
+      },
+    });
+
+    await queryInterface.addIndex(
+      'campaign_recipients',
+      ['campaignId', 'customerId'],
+      { unique: true }
+    );
+    await queryInterface.addIndex('campaign_recipients', ['campaignId', 'status']);
+    await queryInterface.addIndex('campaign_recipients', ['email', 'sentAt']);
+
+    await queryInterface.createTable('campaign_events', {
+      id: {
+        type: Sequelize.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+      },
+      campaignId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'campaigns',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      recipientId: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'campaign_recipients',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      type: {
+        type: Sequelize.ENUM('open', 'click', 'unsubscribe'),
+        allowNull: false,
+      },
+      url: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+      },
+      occurredAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+    });
+
+    await queryInterface.addIndex('campaign_events', ['campaignId', 'type']);
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('campaign_events');
+    await queryInterface.dropTable('campaign_recipients');
+
+    await queryInterface.changeColumn('campaigns', 'content', {
+      type: Sequelize.TEXT,
+      allowNull: false,
+    });
+    await queryInterface.removeColumn('campaigns', 'templateId');
+    await queryInterface.dropTable('email_templates');
+
+    await queryInterface.removeColumn('customers', 'marketingUnsubscribedAt');
+    await queryInterface.removeColumn('customers', 'marketingConsentAt');
+    await queryInterface.removeColumn('customers', 'marketingConsentSource');
+    await queryInterface.removeColumn('customers', 'marketingEmailConsent');
+
+    // Postgres cannot drop a single enum value; 'cancelled' stays on
+    // enum_campaigns_status until the campaigns migration is reverted
+    const dialect = queryInterface.sequelize.getDialect();
+    if (dialect === 'postgres') {
+      await queryInterface.sequelize.query(
+        'DROP TYPE IF EXISTS "enum_campaign_events_type";'
+      );
+      await queryInterface.sequelize.query(
+        'DROP TYPE IF EXISTS "enum_campaign_recipients_status";'
+      );
+    }
+  },
+};
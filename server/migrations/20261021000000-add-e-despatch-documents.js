@@ -0,0 +1,54 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const dialect = queryInterface.sequelize.getDialect();
+    if (dialect === 'postgres') {
+      await queryInterface.sequelize.query(
+        `ALTER TYPE "enum_compliance_documents_documentType" ADD VALUE IF NOT EXISTS 'e-despatch';`
+      );
+      await queryInterface.sequelize.query(
+        `ALTER TYPE "enum_compliance_documents_status" ADD VALUE IF NOT EXISTS 'failed';`
+      );
+      await queryInterface.sequelize.query(
+        `ALTER TYPE "enum_compliance_documents_status" ADD VALUE IF NOT EXISTS 'cancelled';`
+      );
+    }
+
+    await queryInterface.addColumn('compliance_documents', 'uuid', {
+      type: Sequelize.STRING(36),
+      allowNull: true,
+    });
+    await queryInterface.addColumn(
+      'compliance_documents',
+      'providerDocumentId',
+      {
+        type: Sequelize.STRING(100),
+        allowNull: true,
+      }
+    );
+
+    await queryInterface.addIndex('compliance_documents', ['uuid']);
+    await queryInterface.addIndex('compliance_documents', [
+      'documentType',
+      'status',
+    ]);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeIndex('compliance_documents', [
+      'documentType',
+      'status',
+    ]);
+    await queryInterface.removeIndex('compliance_documents', ['uuid']);
+    await queryInterface.removeColumn(
+      'compliance_documents',
+      'providerDocumentId'
+    );
+    await queryInterface.removeColumn('compliance_documents', 'uuid');
+
+    // Postgres cannot drop single enum values; 'e-despatch', 'failed' and
+    // 'cancelled' stay until the compliance_documents table is dropped
+  },
+};
@@ -0,0 +1,113 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('incoming_invoices', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+      },
+      userId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      uuid: {
+        type: Sequelize.STRING(36),
+        allowNull: false,
+      },
+      invoiceNumber: {
+        type: Sequelize.STRING(16),
+        allowNull: true,
+      },
+      profileId: {
+        type: Sequelize.STRING(30),
+        allowNull: true,
+      },
+      invoiceTypeCode: {
+        type: Sequelize.STRING(20),
+        allowNull: true,
+      },
+      senderTaxNumber: {
+        type: Sequelize.STRING(11),
+        allowNull: true,
+      },
+      senderName: {
+        type: Sequelize.STRING(255),
+        allowNull: true,
+      },
+      issueDate: {
+        type: Sequelize.DATEONLY,
+        allowNull: true,
+      },
+      currency: {
+        type: Sequelize.STRING(3),
+        allowNull: false,
+        defaultValue: 'TRY',
+      },
+      taxExclusiveAmount: {
+        type: Sequelize.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0,
+      },
+      taxAmount: {
+        type: Sequelize.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0,
+      },
+      payableAmount: {
+        type: Sequelize.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0,
+      },
+      lines: {
+        type: Sequelize.JSON,
+        allowNull: false,
+        defaultValue: [],
+      },
+      xmlContent: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+      },
+      providerSequence: {
+        type: Sequelize.BIGINT,
+        allowNull: true,
+      },
+      receivedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW,
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW,
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW,
+      },
+    });
+
+    await queryInterface.addIndex('incoming_invoices', ['userId', 'uuid'], {
+      unique: true,
+    });
+    await queryInterface.addIndex('incoming_invoices', [
+      'userId',
+      'issueDate',
+    ]);
+    await queryInterface.addIndex('incoming_invoices', ['senderTaxNumber']);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('incoming_invoices');
+  },
+};
@@ -0,0 +1,277 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('invoices', 'type', {
+      type: Sequelize.ENUM('subscription', 'sales'),
+      allowNull: false,
+      defaultValue: 'subscription',
+    });
+    await queryInterface.addColumn('invoices', 'documentType', {
+      type: Sequelize.STRING(20),
+      allowNull: true,
+    });
+    await queryInterface.addColumn('invoices', 'provider', {
+      type: Sequelize.STRING(20),
+      allowNull: true,
+    });
+    await queryInterface.addColumn('invoices', 'uuid', {
+      type: Sequelize.STRING(36),
+      allowNull: true,
+    });
+    await queryInterface.addColumn('invoices', 'providerInvoiceId', {
+      type: Sequelize.STRING(100),
+      allowNull: true,
+    });
+
+    // Sales invoices are numbered by each seller's own series, so numbers
+    // are only unique per user
+    await queryInterface.sequelize.query(
+      'ALTER TABLE invoices DROP CONSTRAINT IF EXISTS "invoices_invoiceNumber_key";'
+    );
+    await queryInterface.addIndex('invoices', ['userId', 'invoiceNumber'], {
+      unique: true,
+    });
+    await queryInterface.addIndex('invoices', ['userId', 'type']);
+
+    await queryInterface.createTable('invoice_automation_rules', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+      },
+      userId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      name: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+      isActive: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true,
+      },
+      priority: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      connectionId: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'platform_connections',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      platform: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+      triggerStatus: {
+        type: Sequelize.STRING,
+        allowNull: false,
+        defaultValue: 'shipped',
+      },
+      provider: {
+        type: Sequelize.ENUM('qnb', 'n11faturam'),
+        allowNull: false,
+        defaultValue: 'qnb',
+      },
+      eInvoiceProfile: {
+        type: Sequelize.ENUM('TEMELFATURA', 'TICARIFATURA'),
+        allowNull: false,
+        defaultValue: 'TEMELFATURA',
+      },
+      uploadToPlatform: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true,
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW,
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW,
+      },
+    });
+
+    await queryInterface.addIndex('invoice_automation_rules', [
+      'userId',
+      'isActive',
+      'priority',
+    ]);
+
+    await queryInterface.createTable('invoice_automation_jobs', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+      },
+      userId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      orderId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'orders',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      ruleId: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'invoice_automation_rules',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+      },
+      provider: {
+        type: Sequelize.ENUM('qnb', 'n11faturam'),
+        allowNull: false,
+      },
+      documentType: {
+        type: Sequelize.STRING(20),
+        allowNull: true,
+      },
+      status: {
+        type: Sequelize.ENUM('pending', 'issued', 'failed', 'skipped'),
+        allowNull: false,
+        defaultValue: 'pending',
+      },
+      attempts: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      nextAttemptAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      lastError: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+      },
+      complianceDocumentId: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'compliance_documents',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+      },
+      invoiceId: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'invoices',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+      },
+      issuedAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      uploadStatus: {
+        type: Sequelize.ENUM('pending', 'uploaded', 'unsupported', 'failed'),
+        allowNull: true,
+      },
+      uploadAttempts: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      uploadError: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+      },
+      uploadedAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW,
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW,
+      },
+    });
+
+    await queryInterface.addIndex('invoice_automation_jobs', ['orderId'], {
+      unique: true,
+    });
+    await queryInterface.addIndex('invoice_automation_jobs', [
+      'status',
+      'nextAttemptAt',
+    ]);
+    await queryInterface.addIndex('invoice_automation_jobs', [
+      'userId',
+      'status',
+    ]);
+    await queryInterface.addIndex('invoice_automation_jobs', ['uploadStatus']);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('invoice_automation_jobs');
+    await queryInterface.dropTable('invoice_automation_rules');
+
+    // The global invoiceNumber constraint is not restored; numbers may repeat
+    // across users by now
+    await queryInterface.removeIndex('invoices', ['userId', 'type']);
+    await queryInterface.removeIndex('invoices', ['userId', 'invoiceNumber']);
+    await queryInterface.removeColumn('invoices', 'providerInvoiceId');
+    await queryInterface.removeColumn('invoices', 'uuid');
+    await queryInterface.removeColumn('invoices', 'provider');
+    await queryInterface.removeColumn('invoices', 'documentType');
+    await queryInterface.removeColumn('invoices', 'type');
+
+    const dialect = queryInterface.sequelize.getDialect();
+    if (dialect === 'postgres') {
+      for (const type of [
+        'enum_invoice_automation_jobs_uploadStatus',
+        'enum_invoice_automation_jobs_status',
+        'enum_invoice_automation_jobs_provider',
+        'enum_invoice_automation_rules_eInvoiceProfile',
+        'enum_invoice_automation_rules_provider',
+        'enum_invoices_type',
+      ]) {
+        await queryInterface.sequelize.query(`DROP TYPE IF EXISTS "${type}";`);
+      }
+    }
+  },
+};
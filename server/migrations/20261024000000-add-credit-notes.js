@@ -0,0 +1,196 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const dialect = queryInterface.sequelize.getDialect();
+
+    if (dialect === 'postgres') {
+      await queryInterface.sequelize.query(`
+        ALTER TYPE "enum_invoices_type" ADD VALUE IF NOT EXISTS 'return';
+      `);
+    }
+
+    await queryInterface.addColumn('invoices', 'originalInvoiceId', {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: 'invoices',
+        key: 'id',
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL',
+    });
+    await queryInterface.addColumn('invoices', 'returnClaimId', {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: 'return_claims',
+        key: 'id',
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL',
+    });
+    await queryInterface.addIndex('invoices', ['originalInvoiceId']);
+
+    await queryInterface.createTable('credit_notes', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+      },
+      userId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      orderId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'orders',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      originalInvoiceId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'invoices',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      returnClaimId: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'return_claims',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+      },
+      method: {
+        type: Sequelize.ENUM('cancellation', 'return_invoice'),
+        allowNull: false,
+      },
+      status: {
+        type: Sequelize.ENUM('pending', 'completed', 'failed'),
+        allowNull: false,
+        defaultValue: 'pending',
+      },
+      reason: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+      lines: {
+        type: Sequelize.JSON,
+        allowNull: false,
+        defaultValue: [],
+      },
+      subtotal: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0,
+      },
+      taxAmount: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0,
+      },
+      total: {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0,
+      },
+      currency: {
+        type: Sequelize.STRING(3),
+        allowNull: false,
+        defaultValue: 'TRY',
+      },
+      returnInvoiceId: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'invoices',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+      },
+      complianceDocumentId: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'compliance_documents',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+      },
+      attempts: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+      },
+      nextAttemptAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      lastError: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+      },
+      completedAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW,
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW,
+      },
+    });
+
+    await queryInterface.addIndex('credit_notes', ['userId', 'status']);
+    await queryInterface.addIndex('credit_notes', ['status', 'nextAttemptAt']);
+    await queryInterface.addIndex('credit_notes', ['originalInvoiceId']);
+    await queryInterface.addIndex('credit_notes', ['orderId']);
+    await queryInterface.addIndex('credit_notes', ['returnClaimId']);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('credit_notes');
+
+    await queryInterface.removeIndex('invoices', ['originalInvoiceId']);
+    await queryInterface.removeColumn('invoices', 'returnClaimId');
+    await queryInterface.removeColumn('invoices', 'originalInvoiceId');
+
+    const dialect = queryInterface.sequelize.getDialect();
+    if (dialect === 'postgres') {
+      await queryInterface.sequelize.query(
+        'DROP TYPE IF EXISTS "enum_credit_notes_status";'
+      );
+      await queryInterface.sequelize.query(
+        'DROP TYPE IF EXISTS "enum_credit_notes_method";'
+      );
+    }
+
+    // The return invoice type stays: enum values cannot be removed in
+    // PostgreSQL without recreating the type
+  },
+};
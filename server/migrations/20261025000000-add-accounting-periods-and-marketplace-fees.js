@@ -0,0 +1,208 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('marketplace_fees', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+      },
+      userId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      connectionId: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'platform_connections',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+      },
+      platform: {
+        type: Sequelize.STRING(50),
+        allowNull: false,
+      },
+      orderId: {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: {
+          model: 'orders',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL',
+      },
+      orderNumber: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+      type: {
+        type: Sequelize.ENUM('commission', 'shipping'),
+        allowNull: false,
+      },
+      source: {
+        type: Sequelize.ENUM('settlement', 'order', 'manual'),
+        allowNull: false,
+        defaultValue: 'manual',
+      },
+      externalId: {
+        type: Sequelize.STRING,
+        allowNull: false,
+      },
+      documentNumber: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+      description: {
+        type: Sequelize.STRING,
+        allowNull: true,
+      },
+      feeDate: {
+        type: Sequelize.DATE,
+        allowNull: false,
+      },
+      netAmount: {
+        type: Sequelize.DECIMAL(12, 2),
+        allowNull: false,
+      },
+      vatRate: {
+        type: Sequelize.DECIMAL(5, 2),
+        allowNull: false,
+        defaultValue: 20,
+      },
+      vatAmount: {
+        type: Sequelize.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0,
+      },
+      total: {
+        type: Sequelize.DECIMAL(12, 2),
+        allowNull: false,
+      },
+      currency: {
+        type: Sequelize.STRING(3),
+        allowNull: false,
+        defaultValue: 'TRY',
+      },
+      metadata: {
+        type: Sequelize.JSON,
+        allowNull: true,
+        defaultValue: {},
+      },
+      rawData: {
+        type: Sequelize.JSON,
+        allowNull: true,
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW,
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW,
+      },
+    });
+
+    await queryInterface.addIndex(
+      'marketplace_fees',
+      ['userId', 'platform', 'externalId'],
+      { unique: true }
+    );
+    await queryInterface.addIndex('marketplace_fees', ['userId', 'feeDate']);
+    await queryInterface.addIndex('marketplace_fees', ['orderId']);
+
+    await queryInterface.createTable('accounting_periods', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true,
+      },
+      userId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id',
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+      },
+      period: {
+        type: Sequelize.STRING(7),
+        allowNull: false,
+      },
+      status: {
+        type: Sequelize.ENUM('open', 'locked'),
+        allowNull: false,
+        defaultValue: 'open',
+      },
+      lockedAt: {
+        type: Sequelize.DATE,
+        allowNull: true,
+      },
+      checksum: {
+        type: Sequelize.STRING(64),
+        allowNull: true,
+      },
+      totals: {
+        type: Sequelize.JSON,
+        allowNull: true,
+      },
+      exports: {
+        type: Sequelize.JSON,
+        allowNull: false,
+        defaultValue: [],
+      },
+      history: {
+        type: Sequelize.JSON,
+        allowNull: false,
+        defaultValue: [],
+      },
+      createdAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW,
+      },
+      updatedAt: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.NOW,
+      },
+    });
+
+    await queryInterface.addIndex('accounting_periods', ['userId', 'period'], {
+      unique: true,
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('accounting_periods');
+    await queryInterface.dropTable('marketplace_fees');
+
+    const dialect = queryInterface.sequelize.getDialect();
+    if (dialect === 'postgres') {
+      await queryInterface.sequelize.query(
+        'DROP TYPE IF EXISTS "enum_accounting_periods_status";'
+      );
+      await queryInterface.sequelize.query(
+        'DROP TYPE IF EXISTS "enum_marketplace_fees_source";'
+      );
+      await queryInterface.sequelize.query(
+        'DROP TYPE IF EXISTS "enum_marketplace_fees_type";'
+      );
+    }
+  },
+};
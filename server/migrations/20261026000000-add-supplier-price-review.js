@@ -0,0 +1,45 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('supplier_price_history', 'reviewStatus', {
+      type: Sequelize.ENUM('pending', 'approved', 'rejected', 'superseded'),
+      allowNull: true,
+      comment: 'Review of a flagged price swing whose cost was held back',
+    });
+    await queryInterface.addColumn('supplier_price_history', 'reviewedAt', {
+      type: Sequelize.DATE,
+      allowNull: true,
+    });
+    await queryInterface.addColumn('supplier_price_history', 'reviewedBy', {
+      type: Sequelize.UUID,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id',
+      },
+    });
+    await queryInterface.addIndex('supplier_price_history', [
+      'supplierId',
+      'reviewStatus',
+    ]);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeIndex('supplier_price_history', [
+      'supplierId',
+      'reviewStatus',
+    ]);
+    await queryInterface.removeColumn('supplier_price_history', 'reviewedBy');
+    await queryInterface.removeColumn('supplier_price_history', 'reviewedAt');
+    await queryInterface.removeColumn('supplier_price_history', 'reviewStatus');
+
+    const dialect = queryInterface.sequelize.getDialect();
+    if (dialect === 'postgres') {
+      await queryInterface.sequelize.query(
+        'DROP TYPE IF EXISTS "enum_supplier_price_history_reviewStatus";'
+      );
+    }
+  },
+};
@@ -0,0 +1,16 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('chat_conversations', 'sessionTokenHash', {
+      type: Sequelize.STRING(64),
+      allowNull: true,
+      comment: 'SHA-256 of the token issued to the web chat session',
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('chat_conversations', 'sessionTokenHash');
+  },
+};
@@ -24,6 +24,36 @@ AIChatLog.init(
       type: DataTypes.STRING,
       allowNull: false,
     },
+    conversationId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: "chat_conversations",
+        key: "id",
+      },
+      onUpdate: "CASCADE",
+      onDelete: "SET NULL",
+    },
+    channel: {
+      type: DataTypes.STRING(20),
+      allowNull: true,
+    },
+    sender: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: "customer",
+      comment: "customer (message with the assistant's response) or agent",
+    },
+    agentId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: "users",
+        key: "id",
+      },
+      onUpdate: "CASCADE",
+      onDelete: "SET NULL",
+    },
     message: {
       type: DataTypes.TEXT,
       allowNull: false,
@@ -50,6 +80,11 @@ AIChatLog.init(
     modelName: "AIChatLog",
     tableName: "ai_chat_logs",
     timestamps: true,
+    indexes: [
+      {
+        fields: ["conversationId", "createdAt"],
+      },
+    ],
   }
 );
 
@@ -58,6 +93,14 @@ AIChatLog.associate = function (models) {
     foreignKey: "userId",
     as: "user",
   });
+  AIChatLog.belongsTo(models.ChatConversation, {
+    foreignKey: "conversationId",
+    as: "conversation",
+  });
+  AIChatLog.belongsTo(models.User, {
+    foreignKey: "agentId",
+    as: "agent",
+  });
 };
 
 module.exports = AIChatLog;
\ No newline at end of file
@@ -0,0 +1,187 @@
+const { DataTypes, Model } = require("sequelize");
+const sequelize = require("../config/database");
+
+// Periods are calendar months in Turkish time, which has been UTC+3 all
+// year round since 2016
+const PERIOD_UTC_OFFSET_MS = 3 * 60 * 60 * 1000;
+const PERIOD_PATTERN = /^(\d{4})-(0[1-9]|1[0-2])$/;
+
+class AccountingPeriod extends Model {
+  isLocked() {
+    return this.status === "locked";
+  }
+}
+
+AccountingPeriod.init(
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: "users",
+        key: "id",
+      },
+      onUpdate: "CASCADE",
+      onDelete: "CASCADE",
+    },
+    period: {
+      type: DataTypes.STRING(7),
+      allowNull: false,
+      validate: {
+        is: PERIOD_PATTERN,
+      },
+      comment: "Month as YYYY-MM",
+    },
+    status: {
+      type: DataTypes.ENUM("open", "locked"),
+      allowNull: false,
+      defaultValue: "open",
+    },
+    lockedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    checksum: {
+      type: DataTypes.STRING(64),
+      allowNull: true,
+      comment: "SHA-256 of the invoices and fees of the month when it was locked",
+    },
+    totals: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      comment: "Document counts and amounts of the month when it was locked",
+    },
+    exports: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: [],
+      comment: "Exports made: dataset, format, filename, checksum, exportedAt",
+    },
+    history: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: [],
+      comment: "Locks and unlocks with their time and reason",
+    },
+  },
+  {
+    sequelize,
+    modelName: "AccountingPeriod",
+    tableName: "accounting_periods",
+    timestamps: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ["userId", "period"],
+      },
+    ],
+  }
+);
+
+/**
+ * Calendar day of a date in Turkish time
+ * @param {Date|string} date - Date
+ * @returns {string} YYYY-MM-DD
+ */
+AccountingPeriod.localDate = function (date) {
+  return new Date(new Date(date).getTime() + PERIOD_UTC_OFFSET_MS)
+    .toISOString()
+    .slice(0, 10);
+};
+
+/**
+ * Month a date falls in
+ * @param {Date|string} date - Date
+ * @returns {string} YYYY-MM
+ */
+AccountingPeriod.periodOf = function (date) {
+  return AccountingPeriod.localDate(date).slice(0, 7);
+};
+
+/**
+ * First moment of a month and of the month after it
+ * @param {string} period - YYYY-MM
+ * @returns {Object} { startDate, endDate }, endDate is exclusive
+ */
+AccountingPeriod.getRange = function (period) {
+  const [, year, month] = period.match(PERIOD_PATTERN);
+  return {
+    startDate: new Date(Date.UTC(+year, +month - 1, 1) - PERIOD_UTC_OFFSET_MS),
+    endDate: new Date(Date.UTC(+year, +month, 1) - PERIOD_UTC_OFFSET_MS),
+  };
+};
+
+/**
+ * Whether a string is a month as YYYY-MM
+ * @param {string} period - Period
+ * @returns {boolean}
+ */
+AccountingPeriod.isValidPeriod = function (period) {
+  return PERIOD_PATTERN.test(period || "");
+};
+
+/**
+ * Refuse changes to the books of a locked month; used by the hooks of the
+ * models whose records are exported
+ * @param {string} userId - User ID
+ * @param {Date|string} date - Date of the record
+ * @param {Object} options - Query options, for the transaction
+ */
+AccountingPeriod.assertOpen = async function (userId, date, options = {}) {
+  if (!userId || !date) return;
+
+  const period = AccountingPeriod.periodOf(date);
+  const locked = await AccountingPeriod.findOne({
+    where: { userId, period, status: "locked" },
+    transaction: options.transaction,
+  });
+  if (locked) {
+    const error = new Error(
+      `Accounting period ${period} is locked; unlock it before changing its records`
+    );
+    error.statusCode = 409;
+    error.code = "PERIOD_LOCKED";
+    throw error;
+  }
+};
+
+/**
+ * Model hooks keeping the records of locked months as they were exported
+ * @param {string} dateField - Attribute that places a record in a month
+ * @param {Array<string>} fields - Attributes that end up in the exports
+ * @param {Function} applies - Whether record values belong to the books
+ * @returns {Object} Hooks for Model.init
+ */
+AccountingPeriod.lockHooks = function (dateField, fields, applies = () => true) {
+  const assertValuesOpen = (values, options) =>
+    applies(values)
+      ? AccountingPeriod.assertOpen(values.userId, values[dateField], options)
+      : null;
+
+  return {
+    beforeCreate: (record, options) => assertValuesOpen(record.get(), options),
+    beforeUpdate: async (record, options) => {
+      if (!fields.some((field) => record.changed(field))) return;
+
+      const current = record.get();
+      // Moving a record out of a locked month changes that month too
+      await assertValuesOpen({ ...current, ...record.previous() }, options);
+      await assertValuesOpen(current, options);
+    },
+    beforeDestroy: (record, options) => assertValuesOpen(record.get(), options),
+    // Bulk queries would skip the checks above
+    beforeBulkUpdate: (options) => {
+      options.individualHooks = true;
+    },
+    beforeBulkDestroy: (options) => {
+      options.individualHooks = true;
+    },
+  };
+};
+
+module.exports = AccountingPeriod;
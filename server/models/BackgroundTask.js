@@ -51,7 +51,14 @@ module.exports = (sequelize) => {
           'shipping_label_generation',
           'report_generation',
           'data_export',
-          'data_import'
+          'data_import',
+          'supplier_feed',
+          'repricing',
+          'shipment_creation',
+          'shipment_tracking',
+          'return_sync',
+          'workflow',
+          'customer_matching'
         ),
         allowNull: false,
         validate: {
@@ -74,7 +81,8 @@ module.exports = (sequelize) => {
           'completed',
           'failed',
           'cancelled',
-          'timeout'
+          'timeout',
+          'skipped'
         ),
         defaultValue: 'pending',
         allowNull: false
@@ -196,6 +204,22 @@ module.exports = (sequelize) => {
         allowNull: true,
         comment: 'Array of task IDs this task depends on',
         defaultValue: []
+      },
+      dependencyPolicies: {
+        type: DataTypes.JSON,
+        allowNull: true,
+        comment:
+          'Per-dependency failure policy: { [taskId]: block | skip | continue }',
+        defaultValue: {}
+      },
+      scheduleId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: {
+          model: 'task_schedules',
+          key: 'id'
+        },
+        comment: 'Recurring schedule that spawned this task'
       }
     },
     {
@@ -236,6 +260,10 @@ module.exports = (sequelize) => {
           fields: ['parentTaskId'],
           name: 'background_tasks_parent_task_idx'
         },
+        {
+          fields: ['scheduleId'],
+          name: 'background_tasks_schedule_idx'
+        },
         {
           fields: ['status', 'priority', 'createdAt'],
           name: 'background_tasks_queue_idx'
@@ -437,7 +465,7 @@ module.exports = (sequelize) => {
         active: {
           where: {
             status: {
-              [Op.notIn]: ['completed', 'failed', 'cancelled']
+              [Op.notIn]: ['completed', 'failed', 'cancelled', 'skipped']
             }
           }
         },
@@ -510,7 +538,14 @@ module.exports = (sequelize) => {
       shipping_label_generation: 10, // 10 minutes
       report_generation: 60, // 1 hour
       data_export: 90, // 1.5 hours
-      data_import: 120 // 2 hours
+      data_import: 120, // 2 hours
+      supplier_feed: 60, // 1 hour
+      repricing: 60, // 1 hour
+      shipment_creation: 60, // 1 hour
+      shipment_tracking: 30, // 30 minutes
+      return_sync: 30, // 30 minutes
+      workflow: 360, // 6 hours, covers all of its steps
+      customer_matching: 30 // 30 minutes
     };
     return timeouts[taskType] || 60; // Default 1 hour
   }
@@ -653,6 +688,10 @@ module.exports = (sequelize) => {
   BackgroundTask.prototype.markAsStarted = function () {
     this.status = 'running';
     this.startedAt = new Date();
+    // Count the timeout from the actual start, tasks may wait on dependencies
+    this.timeoutAt = new Date(
+      Date.now() + getDefaultTimeout(this.taskType) * 60 * 1000
+    );
 
     // Add log entry for task start
     if (!this.logs) {this.logs = [];}
@@ -782,6 +821,13 @@ module.exports = (sequelize) => {
   };
 
   // Class methods
+
+  // What happens to a task when one of its dependencies fails:
+  // block - wait until the failed dependency is retried and completes
+  // skip - mark the task (and, through their own policies, its dependents) skipped
+  // continue - run anyway
+  BackgroundTask.DEPENDENCY_POLICIES = ['block', 'skip', 'continue'];
+
   BackgroundTask.getQueuedTasks = function (options = {}) {
     const { limit = 10, taskType, priority, platformConnectionId } = options;
 
@@ -843,7 +889,7 @@ module.exports = (sequelize) => {
 
     return this.destroy({
       where: {
-        status: { [Op.in]: ['completed', 'failed', 'cancelled'] },
+        status: { [Op.in]: ['completed', 'failed', 'cancelled', 'skipped'] },
         updatedAt: { [Op.lt]: cutoffDate }
       },
       force: true // Hard delete
@@ -0,0 +1,86 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const Campaign = sequelize.define(
+  'Campaign',
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    name: {
+      type: DataTypes.STRING(150),
+      allowNull: false
+    },
+    subject: {
+      type: DataTypes.STRING(255),
+      allowNull: false
+    },
+    content: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      comment: 'Handlebars HTML or MJML, used when there is no template'
+    },
+    templateId: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    segmentIds: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: [],
+      comment: 'Customer segments the campaign is sent to'
+    },
+    status: {
+      type: DataTypes.ENUM(
+        'draft',
+        'scheduled',
+        'sending',
+        'sent',
+        'failed',
+        'cancelled'
+      ),
+      allowNull: false,
+      defaultValue: 'draft'
+    },
+    scheduledAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    sentAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    recipientCount: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    sentCount: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    failedCount: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    createdBy: {
+      type: DataTypes.UUID,
+      allowNull: true
+    }
+  },
+  {
+    tableName: 'campaigns',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['status', 'scheduledAt']
+      }
+    ]
+  }
+);
+
+module.exports = Campaign;
@@ -0,0 +1,45 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const CampaignEvent = sequelize.define(
+  'CampaignEvent',
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    campaignId: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    recipientId: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    type: {
+      type: DataTypes.ENUM('open', 'click', 'unsubscribe'),
+      allowNull: false
+    },
+    url: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      comment: 'Link target of click events'
+    },
+    occurredAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    }
+  },
+  {
+    tableName: 'campaign_events',
+    timestamps: false,
+    indexes: [
+      {
+        fields: ['campaignId', 'type']
+      }
+    ]
+  }
+);
+
+module.exports = CampaignEvent;
@@ -0,0 +1,89 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const CampaignRecipient = sequelize.define(
+  'CampaignRecipient',
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    campaignId: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    customerId: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    email: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    token: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      unique: true,
+      comment: 'Identifies the recipient in tracking and unsubscribe links'
+    },
+    status: {
+      type: DataTypes.ENUM('pending', 'sent', 'failed', 'skipped'),
+      allowNull: false,
+      defaultValue: 'pending',
+      comment: 'skipped: consent was withdrawn before the email went out'
+    },
+    messageId: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    error: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    sentAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    openedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    openCount: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    clickedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    clickCount: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    unsubscribedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  },
+  {
+    tableName: 'campaign_recipients',
+    timestamps: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['campaignId', 'customerId']
+      },
+      {
+        fields: ['campaignId', 'status']
+      },
+      {
+        fields: ['email', 'sentAt']
+      }
+    ]
+  }
+);
+
+module.exports = CampaignRecipient;
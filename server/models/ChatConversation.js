@@ -0,0 +1,143 @@
+const { DataTypes, Model } = require("sequelize");
+const sequelize = require("../config/database");
+
+/**
+ * Conversation of a customer with the chat or WhatsApp assistant. The
+ * messages are AIChatLog rows threaded through conversationId.
+ */
+class ChatConversation extends Model {}
+
+ChatConversation.init(
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: "users",
+        key: "id",
+      },
+      onUpdate: "CASCADE",
+      onDelete: "SET NULL",
+      comment: "Account whose orders the conversation is about",
+    },
+    channel: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      comment: "web, whatsapp",
+    },
+    externalId: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      comment: "Chat session ID or WhatsApp phone number",
+    },
+    sessionTokenHash: {
+      type: DataTypes.STRING(64),
+      allowNull: true,
+      comment: "SHA-256 of the token issued to the web chat session",
+    },
+    customerName: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    customerPhone: {
+      type: DataTypes.STRING(20),
+      allowNull: true,
+      comment: "Verified phone, last 10 digits",
+    },
+    customerEmail: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: "Verified email, lower case",
+    },
+    verifiedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    verificationMethod: {
+      type: DataTypes.STRING(20),
+      allowNull: true,
+      comment: "channel_phone, order_phone, order_email",
+    },
+    status: {
+      type: DataTypes.ENUM("bot", "waiting_agent", "with_agent", "closed"),
+      allowNull: false,
+      defaultValue: "bot",
+    },
+    assignedAgentId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: "users",
+        key: "id",
+      },
+      onUpdate: "CASCADE",
+      onDelete: "SET NULL",
+    },
+    handoffReason: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    handoffAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    closedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    state: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      defaultValue: {},
+      comment: "Dialog state: awaited input, pending intent, last order",
+    },
+    messageCount: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    },
+    lastMessageAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+  },
+  {
+    sequelize,
+    modelName: "ChatConversation",
+    tableName: "chat_conversations",
+    timestamps: true,
+    indexes: [
+      {
+        fields: ["channel", "externalId"],
+      },
+      {
+        fields: ["userId", "status"],
+      },
+      {
+        fields: ["assignedAgentId"],
+      },
+    ],
+  }
+);
+
+ChatConversation.associate = function (models) {
+  ChatConversation.belongsTo(models.User, {
+    foreignKey: "userId",
+    as: "user",
+  });
+  ChatConversation.belongsTo(models.User, {
+    foreignKey: "assignedAgentId",
+    as: "assignedAgent",
+  });
+  ChatConversation.hasMany(models.AIChatLog, {
+    foreignKey: "conversationId",
+    as: "messages",
+  });
+};
+
+module.exports = ChatConversation;
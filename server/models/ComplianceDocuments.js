@@ -23,7 +23,8 @@ ComplianceDocuments.init(
         'e-invoice',
         'e-archive',
         'shipping-label',
-        'customs-declaration'
+        'customs-declaration',
+        'e-despatch'
       ),
       allowNull: false
     },
@@ -37,10 +38,20 @@ ComplianceDocuments.init(
         'generated',
         'sent',
         'accepted',
-        'rejected'
+        'rejected',
+        'failed',
+        'cancelled'
       ),
       defaultValue: 'draft'
     },
+    // ETTN of the electronic document
+    uuid: {
+      type: DataTypes.STRING(36)
+    },
+    // Document reference returned by the integrator (QNB belgeOid)
+    providerDocumentId: {
+      type: DataTypes.STRING(100)
+    },
     customerType: {
       type: DataTypes.ENUM('INDIVIDUAL', 'COMPANY'),
       allowNull: false
@@ -128,6 +139,12 @@ ComplianceDocuments.init(
       {
         fields: ['customerType']
       },
+      {
+        fields: ['uuid']
+      },
+      {
+        fields: ['documentType', 'status']
+      },
       {
         fields: ['createdAt']
       },
@@ -0,0 +1,189 @@
+const { DataTypes, Model } = require("sequelize");
+const sequelize = require("../config/database");
+
+class CreditNote extends Model {}
+
+CreditNote.init(
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: "users",
+        key: "id",
+      },
+      onUpdate: "CASCADE",
+      onDelete: "CASCADE",
+    },
+    orderId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: "orders",
+        key: "id",
+      },
+      onUpdate: "CASCADE",
+      onDelete: "CASCADE",
+    },
+    originalInvoiceId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: "invoices",
+        key: "id",
+      },
+      onUpdate: "CASCADE",
+      onDelete: "CASCADE",
+      comment: "Sales invoice the returned lines were billed on",
+    },
+    returnClaimId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: "return_claims",
+        key: "id",
+      },
+      onUpdate: "CASCADE",
+      onDelete: "SET NULL",
+      comment: "Marketplace claim, null for refunds without a claim",
+    },
+    method: {
+      type: DataTypes.ENUM("cancellation", "return_invoice"),
+      allowNull: false,
+      comment: "Cancel the original e-Arşiv invoice or issue an iade faturası",
+    },
+    status: {
+      type: DataTypes.ENUM("pending", "completed", "failed"),
+      allowNull: false,
+      defaultValue: "pending",
+    },
+    reason: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    lines: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: [],
+      comment:
+        "Returned lines: orderItemId, returnClaimItemId, name, sku, quantity, taxRate, price, lineExtensionAmount, taxAmount",
+    },
+    subtotal: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0,
+    },
+    taxAmount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0,
+    },
+    total: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0,
+    },
+    currency: {
+      type: DataTypes.STRING(3),
+      allowNull: false,
+      defaultValue: "TRY",
+    },
+    returnInvoiceId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: "invoices",
+        key: "id",
+      },
+      onUpdate: "CASCADE",
+      onDelete: "SET NULL",
+      comment: "Return invoice, null when the original was cancelled",
+    },
+    complianceDocumentId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: "compliance_documents",
+        key: "id",
+      },
+      onUpdate: "CASCADE",
+      onDelete: "SET NULL",
+      comment: "QNB return document, reused when a submission is retried",
+    },
+    attempts: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    },
+    nextAttemptAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: "Null once the credit note is done or out of attempts",
+    },
+    lastError: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    completedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+  },
+  {
+    sequelize,
+    modelName: "CreditNote",
+    tableName: "credit_notes",
+    timestamps: true,
+    indexes: [
+      {
+        fields: ["userId", "status"],
+      },
+      {
+        fields: ["status", "nextAttemptAt"],
+      },
+      {
+        fields: ["originalInvoiceId"],
+      },
+      {
+        fields: ["orderId"],
+      },
+      {
+        fields: ["returnClaimId"],
+      },
+    ],
+  }
+);
+
+CreditNote.associate = function (models) {
+  CreditNote.belongsTo(models.Order, {
+    foreignKey: "orderId",
+    as: "order",
+  });
+  CreditNote.belongsTo(models.Invoice, {
+    foreignKey: "originalInvoiceId",
+    as: "originalInvoice",
+  });
+  CreditNote.belongsTo(models.Invoice, {
+    foreignKey: "returnInvoiceId",
+    as: "returnInvoice",
+  });
+  CreditNote.belongsTo(models.ReturnClaim, {
+    foreignKey: "returnClaimId",
+    as: "returnClaim",
+  });
+  models.Invoice.hasMany(CreditNote, {
+    foreignKey: "originalInvoiceId",
+    as: "creditNotes",
+  });
+  models.Order.hasMany(CreditNote, {
+    foreignKey: "orderId",
+    as: "creditNotes",
+  });
+};
+
+module.exports = CreditNote;
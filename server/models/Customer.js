@@ -54,6 +54,61 @@ const Customer = sequelize.define(
       type: DataTypes.ENUM('low', 'medium', 'high'),
       defaultValue: 'low'
     },
+    // RFM scores (1-5) among all customers, recomputed nightly
+    rfmRecency: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    rfmFrequency: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    rfmMonetary: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    rfmSegment: {
+      type: DataTypes.STRING(30),
+      allowNull: true,
+      comment: 'champions, loyal, at_risk, lost, ...'
+    },
+    predictedClv: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: true,
+      comment: 'Predicted spend over the lifetime value horizon'
+    },
+    churnProbability: {
+      type: DataTypes.DECIMAL(4, 3),
+      allowNull: true,
+      get() {
+        const value = this.getDataValue('churnProbability');
+        return value === null ? null : parseFloat(value);
+      }
+    },
+    rfmUpdatedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    // Commercial email consent (KVKK/İYS); campaigns only go to consenting
+    // customers and an unsubscribe link withdraws it
+    marketingEmailConsent: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    marketingConsentSource: {
+      type: DataTypes.STRING(30),
+      allowNull: true,
+      comment: 'checkout, form, manual, import'
+    },
+    marketingConsentAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    marketingUnsubscribedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
     // Dates
     firstOrderDate: {
       type: DataTypes.DATE,
@@ -100,6 +155,29 @@ const Customer = sequelize.define(
       allowNull: true,
       comment: 'Custom tags for customer classification'
     },
+    // Identity resolution: the same buyer seen under another marketplace email
+    mergedIntoId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'Customer this record was merged into'
+    },
+    mergeConfidence: {
+      type: DataTypes.DECIMAL(4, 3),
+      allowNull: true,
+      get() {
+        const value = this.getDataValue('mergeConfidence');
+        return value === null ? null : parseFloat(value);
+      }
+    },
+    mergedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    mergedBy: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      comment: 'User who merged the records, null for automatic merges'
+    },
     // Status
     isActive: {
       type: DataTypes.BOOLEAN,
@@ -132,6 +210,12 @@ const Customer = sequelize.define(
       },
       {
         fields: ['loyaltyScore']
+      },
+      {
+        fields: ['mergedIntoId']
+      },
+      {
+        fields: ['rfmSegment']
       }
     ]
   }
@@ -0,0 +1,64 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const CustomerMatchCandidate = sequelize.define(
+  'CustomerMatchCandidate',
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    customerId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: 'Lower id of the pair'
+    },
+    candidateId: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    confidence: {
+      type: DataTypes.DECIMAL(4, 3),
+      allowNull: false,
+      defaultValue: 0,
+      get() {
+        const value = this.getDataValue('confidence');
+        return value === null ? null : parseFloat(value);
+      }
+    },
+    signals: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      comment: 'Score of each matching signal: name, phone, address, city'
+    },
+    status: {
+      type: DataTypes.ENUM('pending', 'merged', 'rejected'),
+      allowNull: false,
+      defaultValue: 'pending'
+    },
+    reviewedBy: {
+      type: DataTypes.UUID,
+      allowNull: true
+    },
+    reviewedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  },
+  {
+    tableName: 'customer_match_candidates',
+    timestamps: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['customerId', 'candidateId']
+      },
+      {
+        fields: ['status', 'confidence']
+      }
+    ]
+  }
+);
+
+module.exports = CustomerMatchCandidate;
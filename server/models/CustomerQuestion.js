@@ -209,11 +209,38 @@ const CustomerQuestion = sequelize.define(
       // },
     },
 
+    assigned_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+
     priority: {
       type: DataTypes.ENUM('low', 'medium', 'high', 'urgent'),
       defaultValue: 'medium'
     },
 
+    // Answer deadline tracking
+    due_date: {
+      type: DataTypes.DATE, // Platform expire date, or creation date plus the platform's SLA hours
+      allowNull: true
+    },
+
+    category: {
+      type: DataTypes.STRING(30), // Topic of the question, used by assignment rules
+      allowNull: true
+    },
+
+    escalation_level: {
+      type: DataTypes.INTEGER, // 0 none, 1 deadline approaching, 2 deadline missed
+      allowNull: false,
+      defaultValue: 0
+    },
+
+    escalated_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+
     tags: {
       type: DataTypes.JSON, // Array of tags for categorization
       defaultValue: []
@@ -252,6 +279,9 @@ const CustomerQuestion = sequelize.define(
       },
       {
         fields: ['expire_date']
+      },
+      {
+        fields: ['status', 'due_date']
       }
     ]
   }
@@ -0,0 +1,55 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const CustomerSegment = sequelize.define(
+  'CustomerSegment',
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    key: {
+      type: DataTypes.STRING(50),
+      allowNull: true,
+      unique: true,
+      comment: 'RFM segment key of system segments'
+    },
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: false
+    },
+    description: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    criteria: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: {},
+      comment:
+        'rfmSegments, customerTypes, platforms, minOrders, minSpent, minClv, maxChurn, lastOrderWithinDays'
+    },
+    isSystem: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      comment: 'Kept in sync with the RFM segments, cannot be edited'
+    },
+    customerCount: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    createdBy: {
+      type: DataTypes.UUID,
+      allowNull: true
+    }
+  },
+  {
+    tableName: 'customer_segments',
+    timestamps: true
+  }
+);
+
+module.exports = CustomerSegment;
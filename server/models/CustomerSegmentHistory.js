@@ -0,0 +1,64 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const CustomerSegmentHistory = sequelize.define(
+  'CustomerSegmentHistory',
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    customerId: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    fromSegment: {
+      type: DataTypes.STRING(30),
+      allowNull: true,
+      comment: 'Null when the customer was scored for the first time'
+    },
+    toSegment: {
+      type: DataTypes.STRING(30),
+      allowNull: false
+    },
+    rfmRecency: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    rfmFrequency: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    rfmMonetary: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    predictedClv: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: true
+    },
+    churnProbability: {
+      type: DataTypes.DECIMAL(4, 3),
+      allowNull: true
+    },
+    changedAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    }
+  },
+  {
+    tableName: 'customer_segment_history',
+    timestamps: false,
+    indexes: [
+      {
+        fields: ['changedAt']
+      },
+      {
+        fields: ['customerId', 'changedAt']
+      }
+    ]
+  }
+);
+
+module.exports = CustomerSegmentHistory;
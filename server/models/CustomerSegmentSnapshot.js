@@ -0,0 +1,52 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const CustomerSegmentSnapshot = sequelize.define(
+  'CustomerSegmentSnapshot',
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    snapshotDate: {
+      type: DataTypes.DATEONLY,
+      allowNull: false
+    },
+    segment: {
+      type: DataTypes.STRING(30),
+      allowNull: false
+    },
+    customerCount: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    totalSpent: {
+      type: DataTypes.DECIMAL(14, 2),
+      allowNull: false,
+      defaultValue: 0
+    },
+    predictedClv: {
+      type: DataTypes.DECIMAL(14, 2),
+      allowNull: false,
+      defaultValue: 0
+    },
+    avgChurnProbability: {
+      type: DataTypes.DECIMAL(4, 3),
+      allowNull: true
+    }
+  },
+  {
+    tableName: 'customer_segment_snapshots',
+    timestamps: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['snapshotDate', 'segment']
+      }
+    ]
+  }
+);
+
+module.exports = CustomerSegmentSnapshot;
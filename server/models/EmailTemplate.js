@@ -0,0 +1,43 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const EmailTemplate = sequelize.define(
+  'EmailTemplate',
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      unique: true,
+      comment: 'Automation rules refer to templates by name'
+    },
+    subject: {
+      type: DataTypes.STRING(255),
+      allowNull: false
+    },
+    content: {
+      type: DataTypes.TEXT,
+      allowNull: false,
+      comment: 'Handlebars HTML, or MJML when it starts with <mjml>'
+    },
+    type: {
+      type: DataTypes.STRING(30),
+      allowNull: false,
+      defaultValue: 'marketing'
+    },
+    createdBy: {
+      type: DataTypes.UUID,
+      allowNull: true
+    }
+  },
+  {
+    tableName: 'email_templates',
+    timestamps: true
+  }
+);
+
+module.exports = EmailTemplate;
@@ -0,0 +1,104 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const IncomingInvoice = sequelize.define(
+  'IncomingInvoice',
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false
+    },
+    uuid: {
+      type: DataTypes.STRING(36),
+      allowNull: false,
+      comment: 'ETTN of the received e-Fatura'
+    },
+    invoiceNumber: {
+      type: DataTypes.STRING(16),
+      allowNull: true
+    },
+    profileId: {
+      type: DataTypes.STRING(30),
+      allowNull: true,
+      comment: 'TEMELFATURA or TICARIFATURA'
+    },
+    invoiceTypeCode: {
+      type: DataTypes.STRING(20),
+      allowNull: true
+    },
+    senderTaxNumber: {
+      type: DataTypes.STRING(11),
+      allowNull: true
+    },
+    senderName: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    issueDate: {
+      type: DataTypes.DATEONLY,
+      allowNull: true
+    },
+    currency: {
+      type: DataTypes.STRING(3),
+      allowNull: false,
+      defaultValue: 'TRY'
+    },
+    taxExclusiveAmount: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      defaultValue: 0
+    },
+    taxAmount: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      defaultValue: 0
+    },
+    payableAmount: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      defaultValue: 0
+    },
+    lines: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: []
+    },
+    xmlContent: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    providerSequence: {
+      type: DataTypes.BIGINT,
+      allowNull: true,
+      comment: 'QNB Finans incoming document sequence number'
+    },
+    receivedAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    }
+  },
+  {
+    tableName: 'incoming_invoices',
+    timestamps: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['userId', 'uuid']
+      },
+      {
+        fields: ['userId', 'issueDate']
+      },
+      {
+        fields: ['senderTaxNumber']
+      }
+    ]
+  }
+);
+
+module.exports = IncomingInvoice;
@@ -1,5 +1,27 @@
 const { DataTypes, Model } = require('sequelize');
 const sequelize = require('../config/database');
+const AccountingPeriod = require('./AccountingPeriod');
+
+// Attributes that go into the accounting exports of a month
+const ACCOUNTED_FIELDS = [
+  'invoiceNumber',
+  'userId',
+  'orderId',
+  'type',
+  'originalInvoiceId',
+  'subtotal',
+  'taxAmount',
+  'taxRate',
+  'discountAmount',
+  'total',
+  'currency',
+  'status',
+  'issueDate',
+  'taxNumber',
+  'documentType',
+  'customerInfo',
+  'lineItems'
+];
 
 class Invoice extends Model {
   // Check if invoice is overdue
@@ -34,8 +56,8 @@ Invoice.init(
     invoiceNumber: {
       type: DataTypes.STRING,
       allowNull: false,
-      unique: true,
-      comment: 'Unique invoice number (e.g., INV-2025-001)'
+      comment:
+        'Invoice number, unique per user (e.g., INV-2025-001 or a GİB number)'
     },
 
     userId: {
@@ -58,6 +80,47 @@ Invoice.init(
       onDelete: 'SET NULL'
     },
 
+    orderId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'orders',
+        key: 'id'
+      },
+      onDelete: 'SET NULL',
+      comment: 'Marketplace order a sales invoice was issued for'
+    },
+
+    type: {
+      type: DataTypes.ENUM('subscription', 'sales', 'return'),
+      allowNull: false,
+      defaultValue: 'subscription',
+      comment:
+        'Subscription invoices bill the user; sales and return invoices are issued by the user to a buyer'
+    },
+
+    originalInvoiceId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'invoices',
+        key: 'id'
+      },
+      onDelete: 'SET NULL',
+      comment: 'Sales invoice a return invoice credits'
+    },
+
+    returnClaimId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'return_claims',
+        key: 'id'
+      },
+      onDelete: 'SET NULL',
+      comment: 'Marketplace return claim a return invoice was issued for'
+    },
+
     // Invoice details
     description: {
       type: DataTypes.TEXT,
@@ -171,6 +234,30 @@ Invoice.init(
       comment: 'Tax office for Turkish compliance'
     },
 
+    documentType: {
+      type: DataTypes.STRING(20),
+      allowNull: true,
+      comment: 'e-invoice or e-archive for sales invoices reported to GİB'
+    },
+
+    provider: {
+      type: DataTypes.STRING(20),
+      allowNull: true,
+      comment: 'Integrator a sales invoice was issued through (qnb, n11faturam)'
+    },
+
+    uuid: {
+      type: DataTypes.STRING(36),
+      allowNull: true,
+      comment: 'ETTN of the electronic invoice'
+    },
+
+    providerInvoiceId: {
+      type: DataTypes.STRING(100),
+      allowNull: true,
+      comment: 'Invoice or document reference at the integrator'
+    },
+
     // Customer information (snapshot at time of invoice)
     customerInfo: {
       type: DataTypes.JSON,
@@ -216,14 +303,27 @@ Invoice.init(
     modelName: 'Invoice',
     tableName: 'invoices',
     timestamps: true,
+    // Sales and return invoices of locked months stay as they were exported
+    hooks: AccountingPeriod.lockHooks('issueDate', ACCOUNTED_FIELDS, (values) =>
+      ['sales', 'return'].includes(values.type)
+    ),
     indexes: [
       {
-        fields: ['invoiceNumber'],
+        fields: ['userId', 'invoiceNumber'],
         unique: true
       },
       {
         fields: ['userId']
       },
+      {
+        fields: ['orderId']
+      },
+      {
+        fields: ['userId', 'type']
+      },
+      {
+        fields: ['originalInvoiceId']
+      },
       {
         fields: ['subscriptionId']
       },
@@ -0,0 +1,157 @@
+const { DataTypes, Model } = require("sequelize");
+const sequelize = require("../config/database");
+
+class InvoiceAutomationJob extends Model {}
+
+InvoiceAutomationJob.init(
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: "users",
+        key: "id",
+      },
+      onUpdate: "CASCADE",
+      onDelete: "CASCADE",
+    },
+    orderId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: "orders",
+        key: "id",
+      },
+      onUpdate: "CASCADE",
+      onDelete: "CASCADE",
+    },
+    ruleId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: "invoice_automation_rules",
+        key: "id",
+      },
+      onUpdate: "CASCADE",
+      onDelete: "SET NULL",
+    },
+    provider: {
+      type: DataTypes.ENUM("qnb", "n11faturam"),
+      allowNull: false,
+    },
+    documentType: {
+      type: DataTypes.STRING(20),
+      allowNull: true,
+      comment: "e-invoice or e-archive, decided from the buyer's tax info",
+    },
+    status: {
+      type: DataTypes.ENUM("pending", "issued", "failed", "skipped"),
+      allowNull: false,
+      defaultValue: "pending",
+    },
+    attempts: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    },
+    nextAttemptAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: "Null once the job is done or out of attempts",
+    },
+    lastError: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    complianceDocumentId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: "compliance_documents",
+        key: "id",
+      },
+      onUpdate: "CASCADE",
+      onDelete: "SET NULL",
+      comment: "QNB document, reused when a submission is retried",
+    },
+    invoiceId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: "invoices",
+        key: "id",
+      },
+      onUpdate: "CASCADE",
+      onDelete: "SET NULL",
+    },
+    issuedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    uploadStatus: {
+      type: DataTypes.ENUM("pending", "uploaded", "unsupported", "failed"),
+      allowNull: true,
+      comment: "Invoice link upload to the marketplace, null when disabled",
+    },
+    uploadAttempts: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    },
+    uploadError: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    uploadedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+  },
+  {
+    sequelize,
+    modelName: "InvoiceAutomationJob",
+    tableName: "invoice_automation_jobs",
+    timestamps: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ["orderId"],
+      },
+      {
+        fields: ["status", "nextAttemptAt"],
+      },
+      {
+        fields: ["userId", "status"],
+      },
+      {
+        fields: ["uploadStatus"],
+      },
+    ],
+  }
+);
+
+InvoiceAutomationJob.associate = function (models) {
+  InvoiceAutomationJob.belongsTo(models.Order, {
+    foreignKey: "orderId",
+    as: "order",
+  });
+  InvoiceAutomationJob.belongsTo(models.InvoiceAutomationRule, {
+    foreignKey: "ruleId",
+    as: "rule",
+  });
+  InvoiceAutomationJob.belongsTo(models.Invoice, {
+    foreignKey: "invoiceId",
+    as: "invoice",
+  });
+  models.Order.hasOne(InvoiceAutomationJob, {
+    foreignKey: "orderId",
+    as: "invoiceAutomationJob",
+  });
+};
+
+module.exports = InvoiceAutomationJob;
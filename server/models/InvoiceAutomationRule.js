@@ -0,0 +1,106 @@
+const { DataTypes, Model } = require("sequelize");
+const sequelize = require("../config/database");
+
+class InvoiceAutomationRule extends Model {}
+
+InvoiceAutomationRule.init(
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: "users",
+        key: "id",
+      },
+      onUpdate: "CASCADE",
+      onDelete: "CASCADE",
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    isActive: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true,
+    },
+    priority: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: "Lower number means higher priority",
+    },
+    connectionId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: "platform_connections",
+        key: "id",
+      },
+      onUpdate: "CASCADE",
+      onDelete: "CASCADE",
+      comment: "Connection whose orders the rule invoices, null for any",
+    },
+    platform: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: "Platform whose orders the rule invoices, null for any",
+    },
+    triggerStatus: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      defaultValue: "shipped",
+      comment: "Orders are invoiced once they reach or pass this status",
+    },
+    provider: {
+      type: DataTypes.ENUM("qnb", "n11faturam"),
+      allowNull: false,
+      defaultValue: "qnb",
+    },
+    eInvoiceProfile: {
+      type: DataTypes.ENUM("TEMELFATURA", "TICARIFATURA"),
+      allowNull: false,
+      defaultValue: "TEMELFATURA",
+      comment: "Profile of e-Fatura issued to registered buyers",
+    },
+    uploadToPlatform: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true,
+      comment: "Send the invoice link to marketplaces that accept one",
+    },
+  },
+  {
+    sequelize,
+    modelName: "InvoiceAutomationRule",
+    tableName: "invoice_automation_rules",
+    timestamps: true,
+    indexes: [
+      {
+        fields: ["userId", "isActive", "priority"],
+      },
+    ],
+  }
+);
+
+InvoiceAutomationRule.associate = function (models) {
+  InvoiceAutomationRule.belongsTo(models.User, {
+    foreignKey: "userId",
+    as: "user",
+  });
+  InvoiceAutomationRule.belongsTo(models.PlatformConnection, {
+    foreignKey: "connectionId",
+    as: "connection",
+  });
+  InvoiceAutomationRule.hasMany(models.InvoiceAutomationJob, {
+    foreignKey: "ruleId",
+    as: "jobs",
+  });
+};
+
+module.exports = InvoiceAutomationRule;
@@ -0,0 +1,162 @@
+const { DataTypes, Model } = require("sequelize");
+const sequelize = require("../config/database");
+const AccountingPeriod = require("./AccountingPeriod");
+
+// Attributes that go into the accounting exports of a month
+const ACCOUNTED_FIELDS = [
+  "userId",
+  "platform",
+  "type",
+  "documentNumber",
+  "feeDate",
+  "netAmount",
+  "vatRate",
+  "vatAmount",
+  "total",
+  "currency",
+];
+
+class MarketplaceFee extends Model {}
+
+MarketplaceFee.init(
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: "users",
+        key: "id",
+      },
+      onUpdate: "CASCADE",
+      onDelete: "CASCADE",
+    },
+    connectionId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: "platform_connections",
+        key: "id",
+      },
+      onUpdate: "CASCADE",
+      onDelete: "SET NULL",
+    },
+    platform: {
+      type: DataTypes.STRING(50),
+      allowNull: false,
+    },
+    orderId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: "orders",
+        key: "id",
+      },
+      onUpdate: "CASCADE",
+      onDelete: "SET NULL",
+    },
+    orderNumber: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    type: {
+      type: DataTypes.ENUM("commission", "shipping"),
+      allowNull: false,
+    },
+    source: {
+      type: DataTypes.ENUM("settlement", "order", "manual"),
+      allowNull: false,
+      defaultValue: "manual",
+      comment:
+        "settlement: marketplace finance API, order: fees stored on the platform order, manual: entered by the user",
+    },
+    externalId: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      comment: "Identifier of the fee at its source, unique per platform",
+    },
+    documentNumber: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: "Number of the invoice the marketplace issued for the fee",
+    },
+    description: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    feeDate: {
+      type: DataTypes.DATE,
+      allowNull: false,
+    },
+    netAmount: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+    },
+    vatRate: {
+      type: DataTypes.DECIMAL(5, 2),
+      allowNull: false,
+      defaultValue: 20,
+      comment: "VAT rate percentage",
+    },
+    vatAmount: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      defaultValue: 0,
+    },
+    total: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+    },
+    currency: {
+      type: DataTypes.STRING(3),
+      allowNull: false,
+      defaultValue: "TRY",
+    },
+    metadata: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      defaultValue: {},
+    },
+    rawData: {
+      type: DataTypes.JSON,
+      allowNull: true,
+    },
+  },
+  {
+    sequelize,
+    modelName: "MarketplaceFee",
+    tableName: "marketplace_fees",
+    timestamps: true,
+    // Fees of locked months stay as they were exported
+    hooks: AccountingPeriod.lockHooks("feeDate", ACCOUNTED_FIELDS),
+    indexes: [
+      {
+        unique: true,
+        fields: ["userId", "platform", "externalId"],
+      },
+      {
+        fields: ["userId", "feeDate"],
+      },
+      {
+        fields: ["orderId"],
+      },
+    ],
+  }
+);
+
+MarketplaceFee.associate = function (models) {
+  MarketplaceFee.belongsTo(models.Order, {
+    foreignKey: "orderId",
+    as: "order",
+  });
+  MarketplaceFee.belongsTo(models.PlatformConnection, {
+    foreignKey: "connectionId",
+    as: "connection",
+  });
+};
+
+module.exports = MarketplaceFee;
@@ -93,6 +93,12 @@ Order.init(
       allowNull: false,
       defaultValue: 'TRY'
     },
+    paymentStatus: {
+      type: DataTypes.ENUM('pending', 'paid', 'failed', 'refunded'),
+      defaultValue: 'pending',
+      comment:
+        'Set to paid or failed by payment gateway callbacks; stays pending for marketplace orders'
+    },
     customerName: {
       type: DataTypes.STRING,
       allowNull: true
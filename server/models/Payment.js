@@ -0,0 +1,115 @@
+const { DataTypes, Model } = require("sequelize");
+const sequelize = require("../config/database");
+
+class Payment extends Model {}
+
+Payment.init(
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: "users",
+        key: "id",
+      },
+    },
+    orderId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: "orders",
+        key: "id",
+      },
+    },
+    provider: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      comment: "iyzico or paytr",
+    },
+    reference: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      comment: "Our reference sent to the gateway (conversationId / merchant_oid)",
+    },
+    providerPaymentId: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    amount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true,
+    },
+    currency: {
+      type: DataTypes.STRING(3),
+      allowNull: false,
+      defaultValue: "TRY",
+    },
+    installments: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 1,
+    },
+    status: {
+      type: DataTypes.ENUM("pending", "succeeded", "failed"),
+      allowNull: false,
+      defaultValue: "pending",
+    },
+    failureReason: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    paidAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    lastEventAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: "Time of the latest gateway callback applied to this payment",
+    },
+    rawData: {
+      type: DataTypes.JSON,
+      allowNull: true,
+    },
+  },
+  {
+    sequelize,
+    modelName: "Payment",
+    tableName: "payments",
+    timestamps: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ["provider", "reference"],
+      },
+      {
+        fields: ["orderId"],
+      },
+      {
+        fields: ["userId", "status"],
+      },
+    ],
+  }
+);
+
+Payment.associate = function (models) {
+  Payment.belongsTo(models.Order, {
+    foreignKey: "orderId",
+    as: "order",
+  });
+  Payment.hasMany(models.PaymentWebhookEvent, {
+    foreignKey: "paymentId",
+    as: "events",
+  });
+  models.Order.hasMany(Payment, {
+    foreignKey: "orderId",
+    as: "payments",
+  });
+};
+
+module.exports = Payment;
@@ -0,0 +1,72 @@
+const { DataTypes, Model } = require("sequelize");
+const sequelize = require("../config/database");
+
+class PaymentWebhookEvent extends Model {}
+
+PaymentWebhookEvent.init(
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    provider: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    eventKey: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      comment: "Provider-unique callback identity; replays of the same key are skipped",
+    },
+    paymentId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: "payments",
+        key: "id",
+      },
+    },
+    status: {
+      type: DataTypes.ENUM("received", "processed", "ignored", "failed"),
+      allowNull: false,
+      defaultValue: "received",
+    },
+    payload: {
+      type: DataTypes.JSON,
+      allowNull: true,
+    },
+    error: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    processedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+  },
+  {
+    sequelize,
+    modelName: "PaymentWebhookEvent",
+    tableName: "payment_webhook_events",
+    timestamps: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ["provider", "eventKey"],
+      },
+      {
+        fields: ["paymentId"],
+      },
+    ],
+  }
+);
+
+PaymentWebhookEvent.associate = function (models) {
+  PaymentWebhookEvent.belongsTo(models.Payment, {
+    foreignKey: "paymentId",
+    as: "payment",
+  });
+};
+
+module.exports = PaymentWebhookEvent;
@@ -0,0 +1,106 @@
+const { DataTypes, Model } = require("sequelize");
+const sequelize = require("../config/database");
+
+class PriceChangeLog extends Model {}
+
+PriceChangeLog.init(
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: "users",
+        key: "id",
+      },
+      onUpdate: "CASCADE",
+      onDelete: "CASCADE",
+    },
+    productId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: "products",
+        key: "id",
+      },
+      onUpdate: "CASCADE",
+      onDelete: "CASCADE",
+    },
+    platform: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    ruleId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: "repricing_rules",
+        key: "id",
+      },
+      onUpdate: "CASCADE",
+      onDelete: "SET NULL",
+    },
+    batchId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      comment: "Groups the changes applied by one repricing run",
+    },
+    previousPrice: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true,
+    },
+    newPrice: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+    },
+    breakdown: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      comment: "Cost, commission, shipping, VAT, margin and guards used",
+    },
+    syncStatus: {
+      type: DataTypes.ENUM("pending", "synced", "failed", "skipped"),
+      allowNull: false,
+      defaultValue: "pending",
+    },
+    syncError: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+  },
+  {
+    sequelize,
+    modelName: "PriceChangeLog",
+    tableName: "price_change_logs",
+    timestamps: true,
+    updatedAt: false,
+    indexes: [
+      {
+        fields: ["userId", "createdAt"],
+      },
+      {
+        fields: ["productId", "platform"],
+      },
+      {
+        fields: ["batchId"],
+      },
+    ],
+  }
+);
+
+PriceChangeLog.associate = function (models) {
+  PriceChangeLog.belongsTo(models.Product, {
+    foreignKey: "productId",
+    as: "product",
+  });
+  PriceChangeLog.belongsTo(models.RepricingRule, {
+    foreignKey: "ruleId",
+    as: "rule",
+  });
+};
+
+module.exports = PriceChangeLog;
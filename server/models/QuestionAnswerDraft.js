@@ -0,0 +1,129 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const QuestionAnswerDraft = sequelize.define(
+  'QuestionAnswerDraft',
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+
+    question_id: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'customer_questions',
+        key: 'id'
+      }
+    },
+
+    platform: {
+      type: DataTypes.STRING(20),
+      allowNull: false
+    },
+
+    // Answer content
+    category: {
+      type: DataTypes.STRING(30), // stock, shipping_time, compatibility, attribute, ...
+      allowNull: false,
+      defaultValue: 'other'
+    },
+
+    answer_text: {
+      type: DataTypes.TEXT, // Empty when the model could not answer
+      allowNull: true
+    },
+
+    confidence: {
+      type: DataTypes.DECIMAL(4, 3),
+      allowNull: false,
+      defaultValue: 0,
+      get() {
+        const value = this.getDataValue('confidence');
+        return value === null ? null : parseFloat(value);
+      }
+    },
+
+    model: {
+      type: DataTypes.STRING(50), // Answer model that produced the draft
+      allowNull: false
+    },
+
+    template_id: {
+      type: DataTypes.INTEGER, // If the answer was filled into a reply template
+      allowNull: true,
+      references: {
+        model: 'reply_templates',
+        key: 'id'
+      }
+    },
+
+    facts: {
+      type: DataTypes.JSON, // Product facts the answer is based on
+      allowNull: true
+    },
+
+    // Delivery
+    status: {
+      type: DataTypes.ENUM(
+        'pending_review',
+        'scheduled',
+        'sent',
+        'failed',
+        'discarded'
+      ),
+      defaultValue: 'pending_review'
+    },
+
+    sla_deadline: {
+      type: DataTypes.DATE, // Latest time the platform expects an answer
+      allowNull: true
+    },
+
+    auto_send_at: {
+      type: DataTypes.DATE, // When a scheduled draft is sent without review
+      allowNull: true
+    },
+
+    sent_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+
+    reviewed_by: {
+      type: DataTypes.UUID, // User who approved or discarded the draft
+      allowNull: true
+    },
+
+    reply_id: {
+      type: DataTypes.INTEGER, // Reply created when the draft was sent
+      allowNull: true,
+      references: {
+        model: 'customer_replies',
+        key: 'id'
+      }
+    },
+
+    error: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    }
+  },
+  {
+    tableName: 'question_answer_drafts',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['question_id'],
+        unique: true
+      },
+      {
+        fields: ['status', 'auto_send_at']
+      }
+    ]
+  }
+);
+
+module.exports = QuestionAnswerDraft;
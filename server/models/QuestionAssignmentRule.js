@@ -0,0 +1,64 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const QuestionAssignmentRule = sequelize.define(
+  'QuestionAssignmentRule',
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: false
+    },
+
+    category: {
+      type: DataTypes.STRING(30), // Question category or "all"
+      allowNull: false,
+      defaultValue: 'all'
+    },
+
+    platform: {
+      type: DataTypes.STRING(20), // trendyol, hepsiburada, n11 or "all"
+      allowNull: false,
+      defaultValue: 'all'
+    },
+
+    agent_ids: {
+      type: DataTypes.JSON, // Users the matching questions rotate between
+      allowNull: false,
+      defaultValue: []
+    },
+
+    priority: {
+      type: DataTypes.INTEGER, // Higher priority rules are tried first
+      allowNull: false,
+      defaultValue: 0
+    },
+
+    is_active: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    },
+
+    created_by: {
+      type: DataTypes.UUID,
+      allowNull: true
+    }
+  },
+  {
+    tableName: 'question_assignment_rules',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['is_active', 'priority']
+      }
+    ]
+  }
+);
+
+module.exports = QuestionAssignmentRule;
@@ -0,0 +1,63 @@
+const { DataTypes } = require('sequelize');
+const sequelize = require('../config/database');
+
+const QuestionAutoAnswerRule = sequelize.define(
+  'QuestionAutoAnswerRule',
+  {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+
+    category: {
+      type: DataTypes.STRING(30), // Question category the rule applies to
+      allowNull: false
+    },
+
+    platform: {
+      type: DataTypes.STRING(20), // trendyol, hepsiburada, n11 or "all"
+      allowNull: false,
+      defaultValue: 'all'
+    },
+
+    auto_send: {
+      type: DataTypes.BOOLEAN, // Send confident drafts without review
+      allowNull: false,
+      defaultValue: false
+    },
+
+    min_confidence: {
+      type: DataTypes.DECIMAL(4, 3),
+      allowNull: false,
+      defaultValue: 0.85,
+      get() {
+        const value = this.getDataValue('min_confidence');
+        return value === null ? null : parseFloat(value);
+      }
+    },
+
+    hold_minutes: {
+      type: DataTypes.INTEGER, // Time left to stop an automatic answer
+      allowNull: false,
+      defaultValue: 15
+    },
+
+    updated_by: {
+      type: DataTypes.UUID,
+      allowNull: true
+    }
+  },
+  {
+    tableName: 'question_auto_answer_rules',
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['category', 'platform'],
+        unique: true
+      }
+    ]
+  }
+);
+
+module.exports = QuestionAutoAnswerRule;
@@ -0,0 +1,116 @@
+const { DataTypes, Model } = require("sequelize");
+const sequelize = require("../config/database");
+
+class RepricingRule extends Model {}
+
+RepricingRule.init(
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: "users",
+        key: "id",
+      },
+      onUpdate: "CASCADE",
+      onDelete: "CASCADE",
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    isActive: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true,
+    },
+    priority: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: "Lower number means higher priority",
+    },
+    platforms: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: [],
+      comment: "Platforms the rule prices, empty for every platform",
+    },
+    scopeType: {
+      type: DataTypes.ENUM("all", "category", "brand", "sku_pattern"),
+      allowNull: false,
+      defaultValue: "all",
+    },
+    scopeValue: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: "Category name, brand or SKU pattern with * wildcards",
+    },
+    targetMargin: {
+      type: DataTypes.DECIMAL(5, 2),
+      allowNull: false,
+      comment: "Profit as a percentage of the net (VAT excluded) sale price",
+    },
+    vatRate: {
+      type: DataTypes.DECIMAL(5, 2),
+      allowNull: false,
+      defaultValue: 20,
+    },
+    commissionRate: {
+      type: DataTypes.DECIMAL(5, 2),
+      allowNull: true,
+      comment: "Overrides the platform category commission rate",
+    },
+    shippingCost: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true,
+      comment: "Overrides the shipping cost estimated from shipping rates",
+    },
+    minPrice: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true,
+    },
+    maxPrice: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true,
+    },
+    roundingEnding: {
+      type: DataTypes.DECIMAL(3, 2),
+      allowNull: true,
+      comment: "Fractional ending prices are rounded up to, e.g. 0.90",
+    },
+    lastAppliedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+  },
+  {
+    sequelize,
+    modelName: "RepricingRule",
+    tableName: "repricing_rules",
+    timestamps: true,
+    indexes: [
+      {
+        fields: ["userId", "isActive", "priority"],
+      },
+    ],
+  }
+);
+
+RepricingRule.associate = function (models) {
+  RepricingRule.belongsTo(models.User, {
+    foreignKey: "userId",
+    as: "user",
+  });
+  RepricingRule.hasMany(models.PriceChangeLog, {
+    foreignKey: "ruleId",
+    as: "priceChanges",
+  });
+};
+
+module.exports = RepricingRule;
@@ -0,0 +1,141 @@
+const { DataTypes, Model } = require("sequelize");
+const sequelize = require("../config/database");
+
+class ReturnClaim extends Model {}
+
+ReturnClaim.init(
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: "users",
+        key: "id",
+      },
+      onUpdate: "CASCADE",
+      onDelete: "CASCADE",
+    },
+    orderId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: "orders",
+        key: "id",
+      },
+      comment: "Matched local order, null until the order is imported",
+    },
+    connectionId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: "platform_connections",
+        key: "id",
+      },
+    },
+    platform: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    externalClaimId: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      comment: "Claim/return ID on the marketplace",
+    },
+    orderNumber: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    status: {
+      type: DataTypes.ENUM("pending", "approved", "rejected", "cancelled"),
+      allowNull: false,
+      defaultValue: "pending",
+    },
+    platformStatus: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    claimDate: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    customerNote: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    cargoTrackingNumber: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: "Tracking number of the return shipment",
+    },
+    cargoProvider: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    rejectionReason: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    resolvedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    restockedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: "Set once approved units have been put back into stock",
+    },
+    rawData: {
+      type: DataTypes.JSON,
+      allowNull: true,
+    },
+    lastSyncedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+  },
+  {
+    sequelize,
+    modelName: "ReturnClaim",
+    tableName: "return_claims",
+    timestamps: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ["userId", "platform", "externalClaimId"],
+      },
+      {
+        fields: ["userId", "status"],
+      },
+      {
+        fields: ["orderId"],
+      },
+    ],
+  }
+);
+
+ReturnClaim.associate = function (models) {
+  ReturnClaim.hasMany(models.ReturnClaimItem, {
+    foreignKey: "claimId",
+    as: "items",
+    onDelete: "CASCADE",
+  });
+  ReturnClaim.belongsTo(models.Order, {
+    foreignKey: "orderId",
+    as: "order",
+  });
+  ReturnClaim.belongsTo(models.PlatformConnection, {
+    foreignKey: "connectionId",
+    as: "connection",
+  });
+  models.Order.hasMany(ReturnClaim, {
+    foreignKey: "orderId",
+    as: "returnClaims",
+  });
+};
+
+module.exports = ReturnClaim;
@@ -0,0 +1,117 @@
+const { DataTypes, Model } = require("sequelize");
+const sequelize = require("../config/database");
+
+class ReturnClaimItem extends Model {}
+
+ReturnClaimItem.init(
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    claimId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: "return_claims",
+        key: "id",
+      },
+      onUpdate: "CASCADE",
+      onDelete: "CASCADE",
+    },
+    orderItemId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+    },
+    productId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      comment: "Resolved from the order item, or by barcode/SKU",
+    },
+    externalItemIds: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: [],
+      comment: "Marketplace claim item IDs, sent back on approve/reject",
+    },
+    sku: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    barcode: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    productName: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    quantity: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 1,
+    },
+    price: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true,
+    },
+    reasonCode: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    reasonName: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    customerNote: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    status: {
+      type: DataTypes.ENUM("pending", "approved", "rejected", "cancelled"),
+      allowNull: false,
+      defaultValue: "pending",
+    },
+    platformStatus: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    restockedQuantity: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    },
+  },
+  {
+    sequelize,
+    modelName: "ReturnClaimItem",
+    tableName: "return_claim_items",
+    timestamps: true,
+    indexes: [
+      {
+        fields: ["claimId"],
+      },
+      {
+        fields: ["productId"],
+      },
+      {
+        fields: ["reasonCode"],
+      },
+    ],
+  }
+);
+
+ReturnClaimItem.associate = function (models) {
+  ReturnClaimItem.belongsTo(models.ReturnClaim, {
+    foreignKey: "claimId",
+    as: "claim",
+  });
+  ReturnClaimItem.belongsTo(models.Product, {
+    foreignKey: "productId",
+    as: "product",
+    constraints: false,
+  });
+};
+
+module.exports = ReturnClaimItem;
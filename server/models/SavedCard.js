@@ -0,0 +1,104 @@
+const { DataTypes, Model } = require("sequelize");
+const sequelize = require("../config/database");
+
+/**
+ * Card stored at the payment provider. Only the provider's tokens and the
+ * display metadata it returns are kept here; the card number never is.
+ */
+class SavedCard extends Model {}
+
+SavedCard.init(
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: "users",
+        key: "id",
+      },
+      onUpdate: "CASCADE",
+      onDelete: "CASCADE",
+    },
+    provider: {
+      type: DataTypes.STRING,
+      allowNull: false,
+    },
+    cardUserKey: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      comment: "iyzico cardUserKey / PayTR utoken",
+    },
+    cardToken: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      comment: "iyzico cardToken / PayTR ctoken",
+    },
+    cardAlias: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    binNumber: {
+      type: DataTypes.STRING(8),
+      allowNull: true,
+    },
+    lastFourDigits: {
+      type: DataTypes.STRING(4),
+      allowNull: true,
+    },
+    cardType: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: "CREDIT_CARD, DEBIT_CARD, PREPAID_CARD",
+    },
+    cardAssociation: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: "VISA, MASTER_CARD, TROY, AMERICAN_EXPRESS",
+    },
+    cardFamily: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    bankName: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    expireMonth: {
+      type: DataTypes.STRING(2),
+      allowNull: true,
+    },
+    expireYear: {
+      type: DataTypes.STRING(4),
+      allowNull: true,
+    },
+  },
+  {
+    sequelize,
+    modelName: "SavedCard",
+    tableName: "saved_cards",
+    timestamps: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ["provider", "cardToken"],
+      },
+      {
+        fields: ["userId", "provider"],
+      },
+    ],
+  }
+);
+
+SavedCard.associate = function (models) {
+  SavedCard.belongsTo(models.User, {
+    foreignKey: "userId",
+    as: "user",
+  });
+};
+
+module.exports = SavedCard;
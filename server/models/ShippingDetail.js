@@ -58,13 +58,125 @@ ShippingDetail.init(
     carrierId: {
       type: DataTypes.STRING,
       allowNull: true
+    },
+    carrierCode: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: 'ShippingServiceFactory carrier code (aras, yurtici, ptt, mng, surat, hepsijet, trendyol_express, kolaygelsin)'
+    },
+    trackingNumber: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    trackingUrl: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    labelUrl: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    shipmentId: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: 'Shipment id on the carrier side'
+    },
+    serviceType: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    shippingCost: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true
+    },
+    codAmount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true,
+      comment: 'Amount collected on delivery; null for prepaid shipments'
+    },
+    status: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: 'Carrier shipment status (created, in_transit, delivered, ...)'
+    },
+    selectionReason: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: 'Rule that picked the carrier (cheapest, fastest, city, manual)'
+    },
+    shippedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    carrierResponse: {
+      type: DataTypes.JSON,
+      allowNull: true
+    },
+    marketplaceSyncStatus: {
+      type: DataTypes.ENUM('pending', 'synced', 'failed', 'skipped'),
+      allowNull: true
+    },
+    marketplaceSyncError: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    trackingEvents: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      comment: 'Normalized carrier events, oldest first'
+    },
+    statusDescription: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    currentLocation: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    estimatedDeliveryDate: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    deliveredAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    exceptionStatus: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: 'Set while the shipment needs attention (returned, delivery_failed, ...)'
+    },
+    lastTrackedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    trackingError: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    trackingFailures: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'Consecutive failed tracking requests'
     }
   },
   {
     sequelize,
     modelName: 'ShippingDetail',
     tableName: 'shipping_details',
-    timestamps: true
+    timestamps: true,
+    indexes: [
+      {
+        fields: ['trackingNumber']
+      },
+      {
+        fields: ['carrierCode', 'status']
+      },
+      {
+        fields: ['status', 'lastTrackedAt']
+      }
+    ]
   }
 );
 
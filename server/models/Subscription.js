@@ -20,8 +20,9 @@ class Subscription extends Model {
   calculateProratedAmount(newPlanPrice) {
     if (!this.endsAt) {return newPlanPrice;}
 
+    const periodStart = this.currentPeriodStart || this.startedAt;
     const totalDays = Math.ceil(
-      (this.endsAt - this.startedAt) / (1000 * 60 * 60 * 24)
+      (this.endsAt - periodStart) / (1000 * 60 * 60 * 24)
     );
     const remainingDays = this.getDaysUntilRenewal();
     const usedAmount = (this.amount / totalDays) * (totalDays - remainingDays);
@@ -110,6 +111,12 @@ Subscription.init(
       allowNull: true
     },
 
+    currentPeriodStart: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'When current billing period started'
+    },
+
     // Trial information
     trialStartedAt: {
       type: DataTypes.DATE,
@@ -134,6 +141,16 @@ Subscription.init(
       comment: 'Iyzico subscription ID for Turkish customers'
     },
 
+    savedCardId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: 'saved_cards',
+        key: 'id'
+      },
+      comment: 'Stored card charged for renewals'
+    },
+
     // Plan features and limits
     features: {
       type: DataTypes.JSON,
@@ -178,6 +195,38 @@ Subscription.init(
       comment: 'Amount for next billing cycle'
     },
 
+    creditBalance: {
+      type: DataTypes.DECIMAL(10, 2),
+      defaultValue: 0,
+      allowNull: false,
+      comment: 'Proration credit in kuruş, applied to the next invoice'
+    },
+
+    // Dunning
+    pastDueSince: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'When the first renewal charge of the open invoice failed'
+    },
+
+    retryCount: {
+      type: DataTypes.INTEGER,
+      defaultValue: 0,
+      allowNull: false,
+      comment: 'Failed charge retries of the open invoice'
+    },
+
+    nextRetryAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+
+    billingLockedUntil: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Claimed by a billing run until this time'
+    },
+
     // Cancellation
     cancelAtPeriodEnd: {
       type: DataTypes.BOOLEAN,
@@ -226,6 +275,12 @@ Subscription.init(
       },
       {
         fields: ['nextBillingAt']
+      },
+      {
+        fields: ['status', 'nextRetryAt']
+      },
+      {
+        fields: ['status', 'trialEndsAt']
       }
     ]
   }
@@ -26,6 +26,25 @@ Supplier.init(
       defaultValue: 0,
       comment: "Lower number means higher priority",
     },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: "users",
+        key: "id",
+      },
+      comment: "Owner whose products the supplier feed is matched against",
+    },
+    feedConfig: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      comment:
+        "Price/stock feed: format, url, fieldMapping, matchBy, thresholds, auto updates",
+    },
+    lastFeedRunAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
   },
   {
     sequelize,
@@ -40,6 +59,14 @@ Supplier.associate = function (models) {
     foreignKey: "supplierId",
     as: "prices",
   });
+  Supplier.hasMany(models.SupplierFeedRun, {
+    foreignKey: "supplierId",
+    as: "feedRuns",
+  });
+  Supplier.belongsTo(models.User, {
+    foreignKey: "userId",
+    as: "user",
+  });
 };
 
 module.exports = Supplier;
\ No newline at end of file
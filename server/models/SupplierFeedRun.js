@@ -0,0 +1,110 @@
+const { DataTypes, Model } = require("sequelize");
+const sequelize = require("../config/database");
+
+class SupplierFeedRun extends Model {}
+
+SupplierFeedRun.init(
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    supplierId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: "suppliers",
+        key: "id",
+      },
+      onUpdate: "CASCADE",
+      onDelete: "CASCADE",
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: "users",
+        key: "id",
+      },
+    },
+    source: {
+      type: DataTypes.ENUM("url", "upload"),
+      allowNull: false,
+      defaultValue: "url",
+    },
+    sourceName: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: "Feed URL or uploaded file name",
+    },
+    format: {
+      type: DataTypes.ENUM("xml", "csv", "json"),
+      allowNull: false,
+    },
+    status: {
+      type: DataTypes.ENUM("running", "completed", "failed"),
+      allowNull: false,
+      defaultValue: "running",
+    },
+    dryRun: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      comment: "Preview run: diff is computed but nothing is written",
+    },
+    stats: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      comment:
+        "total, matched, unmatched, created, updated, unchanged, flagged, invalid",
+    },
+    changes: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      comment: "Diff report: one entry per matched item that changed",
+    },
+    unmatched: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      comment: "Feed items without a matching product (capped)",
+    },
+    error: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    startedAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+    },
+    completedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+  },
+  {
+    sequelize,
+    modelName: "SupplierFeedRun",
+    tableName: "supplier_feed_runs",
+    timestamps: true,
+    indexes: [
+      {
+        fields: ["supplierId", "startedAt"],
+      },
+    ],
+  }
+);
+
+SupplierFeedRun.associate = function (models) {
+  SupplierFeedRun.belongsTo(models.Supplier, {
+    foreignKey: "supplierId",
+    as: "supplier",
+  });
+  SupplierFeedRun.hasMany(models.SupplierPriceHistory, {
+    foreignKey: "feedRunId",
+    as: "history",
+  });
+};
+
+module.exports = SupplierFeedRun;
@@ -87,6 +87,10 @@ SupplierPrice.associate = function (models) {
     foreignKey: "supplierId",
     as: "supplier",
   });
+  SupplierPrice.hasMany(models.SupplierPriceHistory, {
+    foreignKey: "supplierPriceId",
+    as: "history",
+  });
 };
 
 module.exports = SupplierPrice;
\ No newline at end of file
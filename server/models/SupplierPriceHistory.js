@@ -0,0 +1,127 @@
+const { DataTypes, Model } = require("sequelize");
+const sequelize = require("../config/database");
+
+class SupplierPriceHistory extends Model {}
+
+SupplierPriceHistory.init(
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    supplierPriceId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: "supplier_prices",
+        key: "id",
+      },
+      onUpdate: "CASCADE",
+      onDelete: "CASCADE",
+    },
+    supplierId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+    },
+    productId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+    },
+    feedRunId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: "supplier_feed_runs",
+        key: "id",
+      },
+      onUpdate: "CASCADE",
+      onDelete: "SET NULL",
+    },
+    previousPrice: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true,
+    },
+    price: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+    },
+    currency: {
+      type: DataTypes.ENUM("TL", "USD"),
+      allowNull: false,
+      defaultValue: "TL",
+    },
+    previousStock: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+    },
+    stock: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+    },
+    changePercent: {
+      type: DataTypes.DECIMAL(8, 2),
+      allowNull: true,
+      comment: "Price change against the previous price, in percent",
+    },
+    flagged: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      comment: "Price swing above the supplier threshold",
+    },
+    reviewStatus: {
+      type: DataTypes.ENUM("pending", "approved", "rejected", "superseded"),
+      allowNull: true,
+      comment: "Review of a flagged price swing whose cost was held back",
+    },
+    reviewedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    reviewedBy: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: "users",
+        key: "id",
+      },
+    },
+    recordedAt: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+    },
+  },
+  {
+    sequelize,
+    modelName: "SupplierPriceHistory",
+    tableName: "supplier_price_history",
+    timestamps: false,
+    indexes: [
+      {
+        fields: ["supplierPriceId", "recordedAt"],
+      },
+      {
+        fields: ["productId"],
+      },
+      {
+        fields: ["supplierId", "reviewStatus"],
+      },
+    ],
+  }
+);
+
+SupplierPriceHistory.associate = function (models) {
+  SupplierPriceHistory.belongsTo(models.SupplierPrice, {
+    foreignKey: "supplierPriceId",
+    as: "supplierPrice",
+  });
+  SupplierPriceHistory.belongsTo(models.SupplierFeedRun, {
+    foreignKey: "feedRunId",
+    as: "feedRun",
+  });
+};
+
+module.exports = SupplierPriceHistory;
@@ -0,0 +1,306 @@
+const { DataTypes, Op } = require('sequelize');
+const { CronTime } = require('cron');
+
+const DEFAULT_TIMEZONE = 'Europe/Istanbul';
+const MAX_DUE_SCAN = 10000;
+
+module.exports = (sequelize) => {
+  const TaskSchedule = sequelize.define(
+    'TaskSchedule',
+    {
+      id: {
+        type: DataTypes.UUID,
+        primaryKey: true,
+        defaultValue: DataTypes.UUIDV4
+      },
+      userId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        }
+      },
+      platformConnectionId: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'platform_connections',
+          key: 'id'
+        }
+      },
+      name: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        validate: {
+          notEmpty: {
+            msg: 'Schedule name is required'
+          }
+        }
+      },
+      taskType: {
+        type: DataTypes.ENUM(
+          'order_fetching',
+          'product_sync',
+          'inventory_sync',
+          'bulk_operation',
+          'analytics_update',
+          'customer_sync',
+          'shipping_label_generation',
+          'report_generation',
+          'data_export',
+          'data_import',
+          'supplier_feed',
+          'repricing',
+          'shipment_creation',
+          'shipment_tracking',
+          'return_sync',
+          'customer_matching'
+        ),
+        allowNull: false
+      },
+      priority: {
+        type: DataTypes.ENUM('low', 'normal', 'high', 'urgent'),
+        defaultValue: 'normal',
+        allowNull: false
+      },
+      config: {
+        type: DataTypes.JSON,
+        allowNull: true,
+        comment: 'Config passed to every spawned task',
+        defaultValue: {}
+      },
+      maxRetries: {
+        type: DataTypes.INTEGER,
+        defaultValue: 3,
+        allowNull: false,
+        validate: {
+          min: 0,
+          max: 10
+        }
+      },
+      cronExpression: {
+        type: DataTypes.STRING,
+        allowNull: true,
+        comment: 'Cron expression, evaluated in the schedule timezone'
+      },
+      intervalMinutes: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        comment: 'Fixed interval between runs, used when no cron expression is set',
+        validate: {
+          min: 1
+        }
+      },
+      timezone: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        defaultValue: DEFAULT_TIMEZONE
+      },
+      status: {
+        type: DataTypes.ENUM('active', 'paused'),
+        defaultValue: 'active',
+        allowNull: false
+      },
+      catchUpMode: {
+        type: DataTypes.ENUM('skip', 'once', 'all'),
+        defaultValue: 'once',
+        allowNull: false,
+        comment:
+          'Missed runs: skip them, run once for all of them, or replay each one'
+      },
+      maxCatchUpRuns: {
+        type: DataTypes.INTEGER,
+        defaultValue: 5,
+        allowNull: false,
+        validate: {
+          min: 1,
+          max: 100
+        }
+      },
+      allowOverlap: {
+        type: DataTypes.BOOLEAN,
+        defaultValue: false,
+        allowNull: false,
+        comment: 'Spawn a run even if the previous run is still active'
+      },
+      nextRunAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      lastRunAt: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment: 'When the last task was spawned'
+      },
+      lastTaskId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        comment: 'Last spawned background task (no FK, tasks are cleaned up)'
+      },
+      lastSkippedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+      lastError: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+        comment: 'Error raised while spawning the last run'
+      },
+      runCount: {
+        type: DataTypes.INTEGER,
+        defaultValue: 0,
+        allowNull: false
+      },
+      skippedCount: {
+        type: DataTypes.INTEGER,
+        defaultValue: 0,
+        allowNull: false
+      },
+      metadata: {
+        type: DataTypes.JSON,
+        allowNull: true
+      }
+    },
+    {
+      tableName: 'task_schedules',
+      timestamps: true,
+      underscored: false,
+      indexes: [
+        {
+          fields: ['userId'],
+          name: 'task_schedules_user_idx'
+        },
+        {
+          fields: ['platformConnectionId'],
+          name: 'task_schedules_platform_connection_idx'
+        },
+        {
+          fields: ['status', 'nextRunAt'],
+          name: 'task_schedules_due_idx'
+        }
+      ],
+      validate: {
+        hasValidRecurrence() {
+          if (!this.cronExpression && !this.intervalMinutes) {
+            throw new Error('Either cronExpression or intervalMinutes is required');
+          }
+          if (this.cronExpression) {
+            try {
+              new CronTime(this.cronExpression, this.timezone || DEFAULT_TIMEZONE);
+            } catch (error) {
+              throw new Error(`Invalid cron expression: ${error.message}`);
+            }
+          }
+        }
+      },
+      hooks: {
+        beforeValidate: (schedule) => {
+          if (schedule.cronExpression) {
+            schedule.cronExpression = schedule.cronExpression.trim();
+            schedule.intervalMinutes = null;
+          }
+        },
+        beforeSave: (schedule) => {
+          const recurrenceChanged =
+            schedule.changed('cronExpression') ||
+            schedule.changed('intervalMinutes') ||
+            schedule.changed('timezone');
+
+          if (
+            schedule.status === 'active' &&
+            (!schedule.nextRunAt || recurrenceChanged)
+          ) {
+            schedule.nextRunAt = schedule.getNextRunAfter(new Date());
+          }
+        }
+      },
+      scopes: {
+        active: {
+          where: { status: 'active' }
+        },
+        due: () => ({
+          where: {
+            status: 'active',
+            nextRunAt: { [Op.lte]: new Date() }
+          }
+        })
+      }
+    }
+  );
+
+  // Instance methods
+
+  /**
+   * First run time strictly after `from`
+   * @param {Date} from
+   * @returns {Date}
+   */
+  TaskSchedule.prototype.getNextRunAfter = function (from) {
+    if (this.cronExpression) {
+      const cronTime = new CronTime(this.cronExpression, this.timezone);
+      return cronTime.getNextDateFrom(from, this.timezone).toJSDate();
+    }
+    return new Date(from.getTime() + this.intervalMinutes * 60 * 1000);
+  };
+
+  /**
+   * Run times that fell due up to `now`, starting at nextRunAt.
+   * Only the latest `keepLast` runs are returned (oldest first); `total`
+   * counts every due run, capped at MAX_DUE_SCAN to bound the work after
+   * long downtimes.
+   * @param {Date} now
+   * @param {number} keepLast
+   * @returns {{ total: number, runs: Date[] }}
+   */
+  TaskSchedule.prototype.getDueRuns = function (now, keepLast = 1) {
+    const runs = [];
+    let total = 0;
+    let runAt = this.nextRunAt;
+
+    while (runAt && runAt <= now && total < MAX_DUE_SCAN) {
+      total++;
+      runs.push(runAt);
+      if (runs.length > keepLast) {
+        runs.shift();
+      }
+      runAt = this.getNextRunAfter(runAt);
+    }
+
+    return { total, runs };
+  };
+
+  /**
+   * Upcoming run times, used for previews in the UI
+   * @param {number} count
+   * @returns {Date[]}
+   */
+  TaskSchedule.prototype.getUpcomingRuns = function (count = 5) {
+    const runs = [];
+    let runAt = this.nextRunAt || this.getNextRunAfter(new Date());
+
+    while (runs.length < count) {
+      runs.push(runAt);
+      runAt = this.getNextRunAfter(runAt);
+    }
+
+    return runs;
+  };
+
+  TaskSchedule.prototype.pause = function () {
+    this.status = 'paused';
+    this.nextRunAt = null;
+    return this.save();
+  };
+
+  TaskSchedule.prototype.resume = function () {
+    // Resuming never replays the runs missed while paused
+    this.status = 'active';
+    this.nextRunAt = this.getNextRunAfter(new Date());
+    return this.save();
+  };
+
+  TaskSchedule.DEFAULT_TIMEZONE = DEFAULT_TIMEZONE;
+
+  return TaskSchedule;
+};
@@ -0,0 +1,85 @@
+const { DataTypes, Model } = require("sequelize");
+const sequelize = require("../config/database");
+
+/**
+ * A customer's WhatsApp number and whether they agreed to receive order
+ * notifications from the account
+ */
+class WhatsAppContact extends Model {}
+
+WhatsAppContact.init(
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: "users",
+        key: "id",
+      },
+      onUpdate: "CASCADE",
+      onDelete: "CASCADE",
+    },
+    phone: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      comment: "WhatsApp ID: digits with country code (905321234567)",
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    optedIn: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+    },
+    optInSource: {
+      type: DataTypes.STRING(30),
+      allowNull: true,
+      comment: "keyword, checkout, manual",
+    },
+    optedInAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    optedOutAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    lastInboundAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: "Free-form replies are allowed for 24 hours after this",
+    },
+  },
+  {
+    sequelize,
+    modelName: "WhatsAppContact",
+    tableName: "whatsapp_contacts",
+    timestamps: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ["userId", "phone"],
+      },
+    ],
+  }
+);
+
+WhatsAppContact.associate = function (models) {
+  WhatsAppContact.belongsTo(models.User, {
+    foreignKey: "userId",
+    as: "user",
+  });
+  WhatsAppContact.hasMany(models.WhatsAppMessage, {
+    foreignKey: "contactId",
+    as: "messages",
+  });
+};
+
+module.exports = WhatsAppContact;
@@ -0,0 +1,147 @@
+const { DataTypes, Model, Op } = require("sequelize");
+const sequelize = require("../config/database");
+
+/**
+ * Message received from or sent to a customer through the WhatsApp Cloud
+ * API, with the delivery status Meta reports for outbound ones
+ */
+class WhatsAppMessage extends Model {}
+
+WhatsAppMessage.init(
+  {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+    },
+    userId: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      references: {
+        model: "users",
+        key: "id",
+      },
+      onUpdate: "CASCADE",
+      onDelete: "CASCADE",
+    },
+    contactId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: "whatsapp_contacts",
+        key: "id",
+      },
+      onUpdate: "CASCADE",
+      onDelete: "SET NULL",
+    },
+    orderId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: "orders",
+        key: "id",
+      },
+      onUpdate: "CASCADE",
+      onDelete: "SET NULL",
+    },
+    conversationId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: {
+        model: "chat_conversations",
+        key: "id",
+      },
+      onUpdate: "CASCADE",
+      onDelete: "SET NULL",
+    },
+    phone: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+    },
+    direction: {
+      type: DataTypes.ENUM("inbound", "outbound"),
+      allowNull: false,
+    },
+    type: {
+      type: DataTypes.STRING(20),
+      allowNull: false,
+      defaultValue: "text",
+      comment: "text, template, or the type of an inbound message",
+    },
+    event: {
+      type: DataTypes.STRING(30),
+      allowNull: true,
+      comment: "order_confirmed, order_shipped, order_delivered",
+    },
+    templateName: {
+      type: DataTypes.STRING,
+      allowNull: true,
+    },
+    body: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    waMessageId: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: "Message ID assigned by WhatsApp (wamid.*)",
+    },
+    status: {
+      type: DataTypes.ENUM("received", "sent", "delivered", "read", "failed"),
+      allowNull: false,
+    },
+    error: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+    },
+    sentAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    deliveredAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+    readAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+    },
+  },
+  {
+    sequelize,
+    modelName: "WhatsAppMessage",
+    tableName: "whatsapp_messages",
+    timestamps: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ["waMessageId"],
+      },
+      {
+        unique: true,
+        fields: ["orderId", "event"],
+        where: { event: { [Op.ne]: null } },
+      },
+      {
+        fields: ["userId", "phone", "createdAt"],
+      },
+    ],
+  }
+);
+
+WhatsAppMessage.associate = function (models) {
+  WhatsAppMessage.belongsTo(models.WhatsAppContact, {
+    foreignKey: "contactId",
+    as: "contact",
+  });
+  WhatsAppMessage.belongsTo(models.Order, {
+    foreignKey: "orderId",
+    as: "order",
+  });
+  WhatsAppMessage.belongsTo(models.ChatConversation, {
+    foreignKey: "conversationId",
+    as: "conversation",
+  });
+};
+
+module.exports = WhatsAppMessage;
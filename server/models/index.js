@@ -4,10 +4,23 @@ const Order = require("./Order");
 const OrderItem = require("./OrderItem");
 const Product = require("./Product");
 const Customer = require("./Customer");
+const CustomerMatchCandidate = require("./CustomerMatchCandidate");
+const CustomerSegment = require("./CustomerSegment");
+const CustomerSegmentHistory = require("./CustomerSegmentHistory");
+const CustomerSegmentSnapshot = require("./CustomerSegmentSnapshot");
+const Campaign = require("./Campaign");
+const CampaignRecipient = require("./CampaignRecipient");
+const CampaignEvent = require("./CampaignEvent");
+const EmailTemplate = require("./EmailTemplate");
 const PlatformConnection = require("./PlatformConnection");
 const PlatformData = require("./PlatformData");
 const PlatformConflict = require("./PlatformConflict");
 const ShippingDetail = require("./ShippingDetail");
+const ReturnClaim = require("./ReturnClaim");
+const ReturnClaimItem = require("./ReturnClaimItem");
+const Payment = require("./Payment");
+const PaymentWebhookEvent = require("./PaymentWebhookEvent");
+const SavedCard = require("./SavedCard");
 const HepsiburadaOrder = require("./HepsiburadaOrder");
 const N11Order = require("./N11Order");
 const TrendyolOrder = require("./TrendyolOrder");
@@ -15,6 +28,12 @@ const ShippingCarrier = require("./ShippingCarrier");
 const ShippingRate = require("./ShippingRate");
 const TurkishCompliance = require("./TurkishCompliance");
 const ComplianceDocuments = require("./ComplianceDocuments");
+const IncomingInvoice = require("./IncomingInvoice");
+const InvoiceAutomationRule = require("./InvoiceAutomationRule");
+const InvoiceAutomationJob = require("./InvoiceAutomationJob");
+const CreditNote = require("./CreditNote");
+const MarketplaceFee = require("./MarketplaceFee");
+const AccountingPeriod = require("./AccountingPeriod");
 const Settings = require("./Settings");
 
 // === SPARE PARTS MODELS ===
@@ -22,7 +41,14 @@ const Vehicle = require("./Vehicle");
 const Supplier = require("./Supplier");
 const PartCompatibility = require("./PartCompatibility");
 const SupplierPrice = require("./SupplierPrice");
+const SupplierFeedRun = require("./SupplierFeedRun");
+const SupplierPriceHistory = require("./SupplierPriceHistory");
+const RepricingRule = require("./RepricingRule");
+const PriceChangeLog = require("./PriceChangeLog");
 const AIChatLog = require("./AIChatLog");
+const ChatConversation = require("./ChatConversation");
+const WhatsAppContact = require("./WhatsAppContact");
+const WhatsAppMessage = require("./WhatsAppMessage");
 const Cart = require("./Cart");
 const CartItem = require("./CartItem");
 const MountingGroup = require("./MountingGroup");
@@ -52,12 +78,16 @@ const Invoice = require("./Invoice");
 // === BACKGROUND TASK MODELS ===
 // Temporarily commenting out BackgroundTask to debug server hang
 const BackgroundTask = require("./BackgroundTask")(sequelize);
+const TaskSchedule = require("./TaskSchedule")(sequelize);
 
 // === CUSTOMER QUESTION MODELS ===
 const CustomerQuestion = require("./CustomerQuestion");
 const CustomerReply = require("./CustomerReply");
 const ReplyTemplate = require("./ReplyTemplate");
 const QuestionStats = require("./QuestionStats");
+const QuestionAnswerDraft = require("./QuestionAnswerDraft");
+const QuestionAutoAnswerRule = require("./QuestionAutoAnswerRule");
+const QuestionAssignmentRule = require("./QuestionAssignmentRule");
 
 // ========================================
 // === NEW ENHANCED PRODUCT MANAGEMENT MODELS ===
@@ -73,11 +103,24 @@ const models = {
   OrderItem: OrderItem,
   Product: Product,
   Customer: Customer,
+  CustomerMatchCandidate: CustomerMatchCandidate,
+  CustomerSegment: CustomerSegment,
+  CustomerSegmentHistory: CustomerSegmentHistory,
+  CustomerSegmentSnapshot: CustomerSegmentSnapshot,
+  Campaign: Campaign,
+  CampaignRecipient: CampaignRecipient,
+  CampaignEvent: CampaignEvent,
+  EmailTemplate: EmailTemplate,
   PlatformConnection: PlatformConnection,
   PlatformData: PlatformData,
   PlatformConflict: PlatformConflict,
   InventorySync: InventorySync,
   ShippingDetail: ShippingDetail,
+  ReturnClaim: ReturnClaim,
+  ReturnClaimItem: ReturnClaimItem,
+  Payment: Payment,
+  PaymentWebhookEvent: PaymentWebhookEvent,
+  SavedCard: SavedCard,
   HepsiburadaOrder: HepsiburadaOrder,
   N11Order: N11Order,
   TrendyolOrder: TrendyolOrder,
@@ -85,6 +128,12 @@ const models = {
   ShippingRate: ShippingRate,
   TurkishCompliance: TurkishCompliance,
   ComplianceDocuments: ComplianceDocuments,
+  IncomingInvoice: IncomingInvoice,
+  InvoiceAutomationRule: InvoiceAutomationRule,
+  InvoiceAutomationJob: InvoiceAutomationJob,
+  CreditNote: CreditNote,
+  MarketplaceFee: MarketplaceFee,
+  AccountingPeriod: AccountingPeriod,
   Settings: Settings,
 
   // === SPARE PARTS MODELS ===
@@ -92,7 +141,14 @@ const models = {
   Supplier: Supplier,
   PartCompatibility: PartCompatibility,
   SupplierPrice: SupplierPrice,
+  SupplierFeedRun: SupplierFeedRun,
+  SupplierPriceHistory: SupplierPriceHistory,
+  RepricingRule: RepricingRule,
+  PriceChangeLog: PriceChangeLog,
   AIChatLog: AIChatLog,
+  ChatConversation: ChatConversation,
+  WhatsAppContact: WhatsAppContact,
+  WhatsAppMessage: WhatsAppMessage,
   Cart: Cart,
   CartItem: CartItem,
   MountingGroup: MountingGroup,
@@ -120,12 +176,16 @@ const models = {
 
   // === BACKGROUND TASK MODELS ===
   BackgroundTask: BackgroundTask,
+  TaskSchedule: TaskSchedule,
 
   // === CUSTOMER QUESTION MODELS ===
   CustomerQuestion: CustomerQuestion,
   CustomerReply: CustomerReply,
   ReplyTemplate: ReplyTemplate,
   QuestionStats: QuestionStats,
+  QuestionAnswerDraft: QuestionAnswerDraft,
+  QuestionAutoAnswerRule: QuestionAutoAnswerRule,
+  QuestionAssignmentRule: QuestionAssignmentRule,
 
   // ========================================
   // === NEW ENHANCED PRODUCT MANAGEMENT MODELS ===
@@ -205,6 +265,68 @@ models.Order.belongsTo(models.Customer, {
   as: "customer",
 });
 
+// Customer identity resolution
+models.Customer.hasMany(models.Customer, {
+  foreignKey: "mergedIntoId",
+  as: "mergedCustomers",
+});
+models.Customer.belongsTo(models.Customer, {
+  foreignKey: "mergedIntoId",
+  as: "mergedInto",
+});
+models.CustomerMatchCandidate.belongsTo(models.Customer, {
+  foreignKey: "customerId",
+  as: "customer",
+  onDelete: "CASCADE",
+});
+models.CustomerMatchCandidate.belongsTo(models.Customer, {
+  foreignKey: "candidateId",
+  as: "candidate",
+  onDelete: "CASCADE",
+});
+
+// Customer segmentation
+models.Customer.hasMany(models.CustomerSegmentHistory, {
+  foreignKey: "customerId",
+  as: "segmentHistory",
+});
+models.CustomerSegmentHistory.belongsTo(models.Customer, {
+  foreignKey: "customerId",
+  as: "customer",
+  onDelete: "CASCADE",
+});
+
+// Campaign delivery
+models.Campaign.belongsTo(models.EmailTemplate, {
+  foreignKey: "templateId",
+  as: "template",
+  onDelete: "SET NULL",
+});
+models.Campaign.hasMany(models.CampaignRecipient, {
+  foreignKey: "campaignId",
+  as: "recipients",
+  onDelete: "CASCADE",
+});
+models.CampaignRecipient.belongsTo(models.Campaign, {
+  foreignKey: "campaignId",
+  as: "campaign",
+});
+models.CampaignRecipient.belongsTo(models.Customer, {
+  foreignKey: "customerId",
+  as: "customer",
+  onDelete: "CASCADE",
+});
+models.Campaign.hasMany(models.CampaignEvent, {
+  foreignKey: "campaignId",
+  as: "events",
+  onDelete: "CASCADE",
+});
+models.CampaignEvent.belongsTo(models.CampaignRecipient, {
+  foreignKey: "recipientId",
+  as: "recipient",
+  onDelete: "CASCADE",
+});
+
 models.Product.hasMany(models.OrderItem, {
   foreignKey: "productId",
   as: "orderItems",
@@ -247,6 +369,25 @@ models.Order.belongsTo(models.ShippingDetail, {
   onDelete: "SET NULL",
 });
 
+// Return claim associations
+if (models.ReturnClaim.associate) {
+  models.ReturnClaim.associate(models);
+}
+if (models.ReturnClaimItem.associate) {
+  models.ReturnClaimItem.associate(models);
+}
+
+// Payment associations
+if (models.Payment.associate) {
+  models.Payment.associate(models);
+}
+if (models.PaymentWebhookEvent.associate) {
+  models.PaymentWebhookEvent.associate(models);
+}
+if (models.SavedCard.associate) {
+  models.SavedCard.associate(models);
+}
+
 // Platform-specific order associations
 models.Order.hasOne(models.HepsiburadaOrder, {
   foreignKey: "orderId",
@@ -377,6 +518,18 @@ models.ComplianceDocuments.belongsTo(models.Order, {
   allowNull: false,
 });
 
+// User <-> IncomingInvoice (One-to-Many)
+models.User.hasMany(models.IncomingInvoice, {
+  foreignKey: "userId",
+  as: "incomingInvoices",
+  onDelete: "CASCADE",
+  hooks: true,
+});
+models.IncomingInvoice.belongsTo(models.User, {
+  foreignKey: "userId",
+  as: "user",
+});
+
 // === SUBSCRIPTION ASSOCIATIONS ===
 
 // User <-> Subscription (One-to-Many)
@@ -392,6 +545,30 @@ models.Subscription.belongsTo(models.User, {
   allowNull: false,
 });
 
+// Subscription <-> UsageRecord (One-to-Many)
+models.Subscription.hasMany(models.UsageRecord, {
+  foreignKey: "subscriptionId",
+  as: "usageRecords",
+});
+models.UsageRecord.belongsTo(models.Subscription, {
+  foreignKey: "subscriptionId",
+  as: "subscription",
+});
+
+// Subscription <-> Invoice (One-to-Many)
+models.Subscription.hasMany(models.Invoice, {
+  foreignKey: "subscriptionId",
+  as: "invoices",
+});
+models.Invoice.belongsTo(models.Subscription, {
+  foreignKey: "subscriptionId",
+  as: "subscription",
+});
+models.Subscription.belongsTo(models.SavedCard, {
+  foreignKey: "savedCardId",
+  as: "savedCard",
+});
+
 // User <-> UsageRecord (One-to-Many)
 models.User.hasMany(models.UsageRecord, {
   foreignKey: "userId",
@@ -429,6 +606,16 @@ models.Invoice.belongsTo(models.Order, {
   as: "order",
 });
 
+// Invoice <-> Invoice (return invoices of a sales invoice)
+models.Invoice.hasMany(models.Invoice, {
+  foreignKey: "originalInvoiceId",
+  as: "returnInvoices",
+});
+models.Invoice.belongsTo(models.Invoice, {
+  foreignKey: "originalInvoiceId",
+  as: "originalInvoice",
+});
+
 // User self-referencing for referrals
 models.User.hasMany(models.User, {
   foreignKey: "referredBy",
@@ -771,6 +958,45 @@ models.BackgroundTask.hasMany(models.BackgroundTask, {
   as: "childTasks",
 });
 
+// User <-> TaskSchedule (One-to-Many)
+models.User.hasMany(models.TaskSchedule, {
+  foreignKey: "userId",
+  as: "taskSchedules",
+  onDelete: "CASCADE",
+  hooks: true,
+});
+models.TaskSchedule.belongsTo(models.User, {
+  foreignKey: "userId",
+  as: "user",
+});
+
+// PlatformConnection <-> TaskSchedule (One-to-Many)
+models.PlatformConnection.hasMany(models.TaskSchedule, {
+  foreignKey: "platformConnectionId",
+  as: "taskSchedules",
+  onDelete: "CASCADE",
+  hooks: true,
+});
+models.TaskSchedule.belongsTo(models.PlatformConnection, {
+  foreignKey: "platformConnectionId",
+  as: "platformConnection",
+});
+
+// TaskSchedule <-> BackgroundTask (spawned runs)
+models.TaskSchedule.hasMany(models.BackgroundTask, {
+  foreignKey: "scheduleId",
+  as: "tasks",
+});
+models.BackgroundTask.belongsTo(models.TaskSchedule, {
+  foreignKey: "scheduleId",
+  as: "schedule",
+});
+models.TaskSchedule.belongsTo(models.BackgroundTask, {
+  foreignKey: "lastTaskId",
+  as: "lastTask",
+  constraints: false,
+});
+
 // ========================================
 // === END LEGACY PRODUCT MANAGEMENT SYSTEM ===
 // ========================================
@@ -833,6 +1059,26 @@ models.CustomerReply.belongsTo(models.ReplyTemplate, {
   allowNull: true,
 });
 
+// CustomerQuestion <-> QuestionAnswerDraft (One-to-One)
+models.CustomerQuestion.hasOne(models.QuestionAnswerDraft, {
+  foreignKey: "question_id",
+  as: "answerDraft",
+  onDelete: "CASCADE",
+  hooks: true,
+});
+models.QuestionAnswerDraft.belongsTo(models.CustomerQuestion, {
+  foreignKey: "question_id",
+  as: "question",
+  allowNull: false,
+});
+
+// ReplyTemplate <-> QuestionAnswerDraft (One-to-Many)
+models.QuestionAnswerDraft.belongsTo(models.ReplyTemplate, {
+  foreignKey: "template_id",
+  as: "template",
+  allowNull: true,
+});
+
 // ========================================
 // === END CUSTOMER QUESTIONS & REPLIES ===
 // ========================================
@@ -855,9 +1101,42 @@ if (models.Supplier.associate) {
 if (models.SupplierPrice.associate) {
   models.SupplierPrice.associate(models);
 }
+if (models.SupplierFeedRun.associate) {
+  models.SupplierFeedRun.associate(models);
+}
+if (models.SupplierPriceHistory.associate) {
+  models.SupplierPriceHistory.associate(models);
+}
+if (models.RepricingRule.associate) {
+  models.RepricingRule.associate(models);
+}
+if (models.InvoiceAutomationRule.associate) {
+  models.InvoiceAutomationRule.associate(models);
+}
+if (models.InvoiceAutomationJob.associate) {
+  models.InvoiceAutomationJob.associate(models);
+}
+if (models.CreditNote.associate) {
+  models.CreditNote.associate(models);
+}
+if (models.MarketplaceFee.associate) {
+  models.MarketplaceFee.associate(models);
+}
+if (models.PriceChangeLog.associate) {
+  models.PriceChangeLog.associate(models);
+}
 if (models.AIChatLog.associate) {
   models.AIChatLog.associate(models);
 }
+if (models.ChatConversation.associate) {
+  models.ChatConversation.associate(models);
+}
+if (models.WhatsAppContact.associate) {
+  models.WhatsAppContact.associate(models);
+}
+if (models.WhatsAppMessage.associate) {
+  models.WhatsAppMessage.associate(models);
+}
 if (models.PartCompatibility.associate) {
   models.PartCompatibility.associate(models);
 }
@@ -1,5 +1,6 @@
 const fs = require('fs');
 const path = require('path');
+const logger = require('../../../utils/logger');
 
 let json2csv, ExcelJS;
 let exportEnabled = true;
@@ -43,7 +44,6 @@ try {
   };
 }
 
-const logger = require('../../../utils/logger');
 const { Order, OrderItem, User, ShippingDetail } = require('../../../models');
 const { Op } = require('sequelize');
 
@@ -106,7 +106,7 @@ class ExportService {
       ];
 
       // Create parser and generate CSV
-      const json2csvParser = new Parser({ fields });
+      const json2csvParser = new json2csv.Parser({ fields });
       const csv = json2csvParser.parse(flattenedOrders);
 
       // Generate filename and save CSV
@@ -324,7 +324,7 @@ class ExportService {
       ];
 
       // Create parser and generate CSV
-      const json2csvParser = new Parser({ fields });
+      const json2csvParser = new json2csv.Parser({ fields });
       const csv = json2csvParser.parse(orderItems);
 
       // Generate filename and save CSV
@@ -357,6 +357,41 @@ class ExportService {
     }
   }
 
+  /**
+   * Build CSV text from rows
+   * @param {Array} rows - Rows to write
+   * @param {Array} fields - json2csv field definitions ({ label, value })
+   * @param {Object} options - json2csv options such as delimiter and withBOM
+   * @returns {String} - CSV text
+   */
+  toCSV(rows, fields, options = {}) {
+    const json2csvParser = new json2csv.Parser({ fields, ...options });
+    return json2csvParser.parse(rows);
+  }
+
+  /**
+   * Save generated content in the export directory under the naming scheme
+   * the export file endpoints list and delete by
+   * @param {String} name - Export name, e.g. orders_export
+   * @param {String} userId - User ID for filename
+   * @param {String} extension - File extension without the dot
+   * @param {String} content - File content
+   * @returns {Object} - { filename, url, filePath }
+   */
+  writeExportFile(name, userId, extension, content) {
+    const timestamp = Date.now();
+    const filename = `${name}_${userId}_${timestamp}.${extension}`;
+    const filePath = path.join(this.exportDir, filename);
+
+    fs.writeFileSync(filePath, content);
+
+    return {
+      filename,
+      url: `/exports/${filename}`,
+      filePath
+    };
+  }
+
   /**
    * Fetch orders with related data based on filters
    * @param {Object} filters - Filters to apply
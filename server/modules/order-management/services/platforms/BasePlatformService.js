@@ -472,6 +472,303 @@ class BasePlatformService {
     );
   }
 
+  /**
+   * Fetch return claims (iade talepleri) from the platform
+   *
+   * Claims are normalized to:
+   * { externalClaimId, orderNumber, status, platformStatus, claimDate,
+   *   customerNote, cargoTrackingNumber, cargoProvider, rawData,
+   *   items: [{ externalItemIds, sku, barcode, productName, quantity, price,
+   *             reasonCode, reasonName, customerNote, status, platformStatus }] }
+   * where status is one of pending, approved, rejected, cancelled.
+   * @param {Object} params - { startDate, endDate, page, size }
+   * @returns {Promise<Object>} { success, data, pagination }
+   */
+  async fetchClaims(params = {}) {
+    throw new Error("fetchClaims must be implemented by platform service");
+  }
+
+  /**
+   * Approve a return claim on the platform
+   * @param {string} externalClaimId - Platform claim ID
+   * @param {Array<string>} itemIds - Platform item IDs of the approved lines
+   * @returns {Promise<Object>} { success, message }
+   */
+  async approveClaim(externalClaimId, itemIds = []) {
+    throw new Error("approveClaim must be implemented by platform service");
+  }
+
+  /**
+   * Reject a return claim on the platform
+   * @param {string} externalClaimId - Platform claim ID
+   * @param {Array<string>} itemIds - Platform item IDs of the rejected lines
+   * @param {Object} rejection - { reason, reasonCode }
+   * @returns {Promise<Object>} { success, message }
+   */
+  async rejectClaim(externalClaimId, itemIds = [], rejection = {}) {
+    throw new Error("rejectClaim must be implemented by platform service");
+  }
+
+  /**
+   * Rejection reasons offered by the platform; platforms that take a free
+   * text reason return an empty list
+   * @returns {Promise<Array>} [{ code, name }]
+   */
+  async getClaimRejectionReasons() {
+    return [];
+  }
+
+  /**
+   * Whether the platform accepts links to invoices issued for its orders
+   * @returns {boolean}
+   */
+  supportsInvoiceLinks() {
+    return false;
+  }
+
+  /**
+   * Send the link of an issued invoice to the platform so the buyer can
+   * download it from their order
+   * @param {Object} order - Order the invoice was issued for
+   * @param {Object} invoice - { invoiceNumber, invoiceDate, url }
+   * @returns {Promise<Object>} { success, message }
+   */
+  async sendInvoiceLink(order, invoice) {
+    throw new Error("sendInvoiceLink must be implemented by platform service");
+  }
+
+  /**
+   * Whether the platform reports the fees it charges through a finance API
+   * @returns {boolean}
+   */
+  supportsFees() {
+    return false;
+  }
+
+  /**
+   * Fetch the commissions and shipping fees the platform charged in a date
+   * range. Normalized fee shape:
+   * { externalId, type (commission | shipping), orderNumber, documentNumber,
+   *   description, feeDate, netAmount, vatRate, vatAmount, total, currency,
+   *   rawData }
+   * Refunded fees have negative amounts.
+   * @param {Object} params - { startDate, endDate }
+   * @returns {Promise<Object>} { success, data }
+   */
+  async fetchFees(params = {}) {
+    throw new Error("fetchFees must be implemented by platform service");
+  }
+
+  /**
+   * Overall status of a claim from the statuses of its lines: open while any
+   * line waits for a decision, approved when any line was approved
+   * @param {Array} items - Normalized claim items
+   * @returns {string} pending | approved | rejected | cancelled
+   */
+  getClaimStatusFromItems(items) {
+    const statuses = items.map((item) => item.status);
+    if (statuses.length === 0 || statuses.includes("pending")) {
+      return "pending";
+    }
+    if (statuses.includes("approved")) {
+      return "approved";
+    }
+    if (statuses.includes("rejected")) {
+      return "rejected";
+    }
+    return "cancelled";
+  }
+
+  /**
+   * Store orders that a platform service already mapped to the common shape.
+   * Existing orders get their status, cargo and raw data refreshed; new ones
+   * are created with shipping detail and items, linked to products if possible.
+   *
+   * Normalized order shape:
+   * {
+   *   externalOrderId, orderNumber, platformOrderId, orderDate, orderStatus,
+   *   totalAmount, currency, customerName, customerEmail, customerPhone,
+   *   shippingAddress, cargoTrackingNumber, cargoCompany, cargoTrackingUrl,
+   *   notes, rawData,
+   *   shipping: { recipientName, address, city, state, postalCode, country, phone, email },
+   *   items: [{ platformProductId, title, sku, barcode, quantity, price,
+   *             discount, platformDiscount, merchantDiscount, currency, rawData }]
+   * }
+   * @param {Array<Object>} normalizedOrders - Orders in the common shape
+   * @returns {Promise<Object>} { data, stats } like the platform normalizers
+   */
+  async saveNormalizedOrders(normalizedOrders) {
+    const sequelize = require("../../../../config/database");
+    const { Op } = require("sequelize");
+
+    const savedOrders = [];
+    const stats = {
+      total: normalizedOrders.length,
+      success: 0,
+      updated: 0,
+      skipped: 0,
+      new: 0,
+    };
+
+    if (normalizedOrders.length === 0) {
+      return { data: savedOrders, stats };
+    }
+
+    const existingOrders = await Order.findAll({
+      where: {
+        connectionId: this.connectionId,
+        externalOrderId: {
+          [Op.in]: normalizedOrders.map((order) => order.externalOrderId),
+        },
+      },
+    });
+    const existingByExternalId = new Map(
+      existingOrders.map((order) => [order.externalOrderId, order])
+    );
+
+    for (const normalized of normalizedOrders) {
+      try {
+        const existingOrder = existingByExternalId.get(
+          normalized.externalOrderId
+        );
+
+        if (existingOrder) {
+          await existingOrder.update({
+            orderStatus: normalized.orderStatus,
+            cargoTrackingNumber:
+              normalized.cargoTrackingNumber ||
+              existingOrder.cargoTrackingNumber,
+            cargoCompany: normalized.cargoCompany || existingOrder.cargoCompany,
+            cargoTrackingUrl:
+              normalized.cargoTrackingUrl || existingOrder.cargoTrackingUrl,
+            rawData: JSON.stringify(normalized.rawData),
+            lastSyncedAt: new Date(),
+          });
+
+          stats.updated++;
+          stats.success++;
+          savedOrders.push(existingOrder);
+          continue;
+        }
+
+        const order = await sequelize.transaction(async (t) => {
+          const createdOrder = await Order.create(
+            {
+              externalOrderId: normalized.externalOrderId,
+              orderNumber: normalized.orderNumber || normalized.externalOrderId,
+              connectionId: this.connectionId,
+              userId: this.connection.userId,
+              customerName: normalized.customerName || "Unknown Customer",
+              customerEmail: normalized.customerEmail || "",
+              customerPhone: normalized.customerPhone || "",
+              customerInfo: {
+                fullName: normalized.customerName || "Unknown Customer",
+                email: normalized.customerEmail || "",
+                phone: normalized.customerPhone || "",
+              },
+              shippingAddress: normalized.shippingAddress || {},
+              platform: this.getPlatformType(),
+              platformType: this.getPlatformType(),
+              platformOrderId: normalized.platformOrderId || null,
+              platformId: this.connectionId,
+              orderDate: normalized.orderDate || new Date(),
+              orderStatus: normalized.orderStatus || "new",
+              totalAmount: normalized.totalAmount || 0,
+              invoiceTotal: normalized.totalAmount || 0,
+              currency: normalized.currency || "TRY",
+              cargoTrackingNumber: normalized.cargoTrackingNumber || "",
+              cargoCompany: normalized.cargoCompany || "",
+              cargoTrackingUrl: normalized.cargoTrackingUrl || "",
+              notes: normalized.notes || "",
+              rawData: JSON.stringify(normalized.rawData),
+              lastSyncedAt: new Date(),
+            },
+            { transaction: t }
+          );
+
+          const shipping = normalized.shipping || {};
+          const shippingDetail = await ShippingDetail.create(
+            {
+              orderId: createdOrder.id,
+              recipientName: shipping.recipientName || normalized.customerName,
+              address: shipping.address || "",
+              city: shipping.city || "",
+              state: shipping.state || "",
+              postalCode: shipping.postalCode || "",
+              country: shipping.country || "TR",
+              phone: shipping.phone || normalized.customerPhone || "",
+              email: shipping.email || normalized.customerEmail || "",
+            },
+            { transaction: t }
+          );
+          await createdOrder.update(
+            { shippingDetailId: shippingDetail.id },
+            { transaction: t }
+          );
+
+          const itemsData = (normalized.items || []).map((item) => {
+            const quantity = parseInt(item.quantity, 10) || 1;
+            const price = parseFloat(item.price) || 0;
+            return {
+              orderId: createdOrder.id,
+              productId: null, // Set by the linking service
+              platformProductId: item.platformProductId || "",
+              title: item.title || "Unknown Product",
+              sku: item.sku || "",
+              barcode: item.barcode || "",
+              quantity,
+              price,
+              totalPrice: price * quantity,
+              discount: parseFloat(item.discount || 0),
+              platformDiscount: parseFloat(item.platformDiscount || 0),
+              merchantDiscount: parseFloat(item.merchantDiscount || 0),
+              invoiceTotal:
+                price * quantity - parseFloat(item.discount || 0),
+              currency: item.currency || normalized.currency || "TRY",
+              rawData: JSON.stringify(item.rawData || {}),
+            };
+          });
+
+          let linkedItemsData = itemsData;
+          try {
+            const ProductOrderLinkingService = require("../../../../services/product-order-linking-service");
+            const linkingService = new ProductOrderLinkingService();
+            linkedItemsData = await linkingService.linkIncomingOrderItems(
+              itemsData,
+              this.connection?.userId
+            );
+          } catch (linkingError) {
+            this.logger.warn(
+              `Product linking failed for order ${normalized.externalOrderId}: ${linkingError.message}`
+            );
+          }
+
+          for (const itemData of linkedItemsData) {
+            await OrderItem.create(itemData, { transaction: t });
+          }
+
+          return createdOrder;
+        });
+
+        stats.new++;
+        stats.success++;
+        savedOrders.push(order);
+      } catch (error) {
+        this.logger.error(
+          `Failed to save ${this.getPlatformType()} order ${normalized.externalOrderId}: ${error.message}`,
+          {
+            error: error.message,
+            connectionId: this.connectionId,
+            externalOrderId: normalized.externalOrderId,
+          }
+        );
+        stats.skipped++;
+      }
+    }
+
+    return { data: savedOrders, stats };
+  }
+
   /**
    * Extract phone number from order data
    * Handles various formats and null cases in platform API responses
@@ -522,6 +819,31 @@ class BasePlatformService {
     return "";
   }
 
+  /**
+   * Check a base64 HMAC-SHA256 webhook signature against the raw request body
+   * @param {Buffer|string} rawBody - Request body exactly as received
+   * @param {string} signature - Signature header sent by the platform
+   * @param {string} secret - Shared webhook secret of the connection
+   * @returns {boolean} True if the signature matches
+   */
+  verifyHmacSignature(rawBody, signature, secret) {
+    if (!rawBody || !signature || !secret) {
+      return false;
+    }
+
+    const crypto = require("crypto");
+    const expected = crypto
+      .createHmac("sha256", secret)
+      .update(rawBody)
+      .digest();
+    const received = Buffer.from(String(signature), "base64");
+
+    return (
+      received.length === expected.length &&
+      crypto.timingSafeEqual(received, expected)
+    );
+  }
+
   /**
    * Retry a request with exponential backoff
    * @param {Function} requestFn - Request function to retry
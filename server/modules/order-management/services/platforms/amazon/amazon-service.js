@@ -0,0 +1,523 @@
+// src/services/platforms/amazon/amazon-service.js
+
+const axios = require("axios");
+const BasePlatformService = require("../BasePlatformService");
+const { Order } = require("../../../../../models");
+const { attachHttpFixtures } = require("../http-fixtures");
+
+// Constants for the Amazon Selling Partner API
+const AMAZON_API = {
+  AUTH_URL: "https://api.amazon.com/auth/o2/token",
+  // Amazon.com.tr is served from the Europe region
+  BASE_URL: "https://sellingpartnerapi-eu.amazon.com",
+  SANDBOX_URL: "https://sandbox.sellingpartnerapi-eu.amazon.com",
+  TURKEY_MARKETPLACE_ID: "A33AVAJ2PDY3EV",
+  ENDPOINTS: {
+    ORDERS: "/orders/v0/orders",
+    ORDER_ITEMS: "/orders/v0/orders/{orderId}/orderItems",
+    SHIPMENT_CONFIRMATION: "/orders/v0/orders/{orderId}/shipmentConfirmation",
+  },
+  PAGE_SIZE: 100,
+};
+
+const ORDER_STATUS_MAP = {
+  PendingAvailability: "pending", // Pre-order, not yet available
+  Pending: "pending", // Payment not yet authorized
+  Unshipped: "new", // Payment authorized, ready to ship
+  PartiallyShipped: "processing",
+  Shipped: "shipped",
+  InvoiceUnconfirmed: "shipped", // Shipped, invoice not yet confirmed
+  Canceled: "cancelled",
+  Unfulfillable: "failed", // Cannot be fulfilled (multi-channel)
+};
+
+/**
+ * Amazon Service
+ * Handles integration with Amazon.com.tr orders through the Selling Partner API
+ * @see https://developer-docs.amazon.com/sp-api/docs/orders-api-v0-reference
+ */
+class AmazonService extends BasePlatformService {
+  constructor(connectionId, directCredentials = null) {
+    super(connectionId, directCredentials);
+    this.apiUrl = AMAZON_API.BASE_URL;
+    this.accessToken = null;
+    this.tokenExpiresAt = 0;
+    this.logger = this.getLogger();
+  }
+
+  /**
+   * Get the platform type
+   * @returns {string} Platform type identifier
+   */
+  getPlatformType() {
+    return "amazon";
+  }
+
+  /**
+   * Setup Axios instance authorised with a Login with Amazon access token
+   * Implementation of abstract method from BasePlatformService
+   */
+  async setupAxiosInstance() {
+    const credentials = this.decryptCredentials(this.connection.credentials);
+    const missingFields = ["clientId", "clientSecret", "refreshToken"].filter(
+      (field) => !credentials[field]
+    );
+
+    if (missingFields.length > 0) {
+      throw new Error(
+        `Missing required Amazon credentials: ${missingFields.join(", ")}`
+      );
+    }
+
+    this.apiUrl =
+      credentials.environment === "sandbox"
+        ? AMAZON_API.SANDBOX_URL
+        : AMAZON_API.BASE_URL;
+
+    this.axiosInstance = attachHttpFixtures(
+      axios.create({
+        baseURL: this.apiUrl,
+        headers: {
+          "Content-Type": "application/json",
+          Accept: "application/json",
+        },
+        timeout: 60000,
+      }),
+      this.getPlatformType()
+    );
+
+    this.axiosInstance.interceptors.request.use(async (config) => {
+      config.headers["x-amz-access-token"] = await this.getAccessToken();
+      return config;
+    });
+
+    this.logger.info("Amazon Axios instance setup completed", {
+      baseURL: this.apiUrl,
+      marketplaceId: credentials.marketplaceId,
+      connectionId: this.connectionId,
+    });
+
+    return true;
+  }
+
+  /**
+   * Exchange the refresh token for an access token, cached until shortly
+   * before it expires
+   * @returns {Promise<string>} Access token
+   */
+  async getAccessToken() {
+    if (this.accessToken && Date.now() < this.tokenExpiresAt) {
+      return this.accessToken;
+    }
+
+    const { clientId, clientSecret, refreshToken } = this.decryptCredentials(
+      this.connection.credentials
+    );
+    const authClient = attachHttpFixtures(
+      axios.create({ timeout: 30000 }),
+      this.getPlatformType()
+    );
+
+    const response = await this.retryRequest(() =>
+      authClient.post(
+        AMAZON_API.AUTH_URL,
+        new URLSearchParams({
+          grant_type: "refresh_token",
+          refresh_token: refreshToken,
+          client_id: clientId,
+          client_secret: clientSecret,
+        }).toString(),
+        {
+          headers: { "Content-Type": "application/x-www-form-urlencoded" },
+        }
+      )
+    );
+
+    if (!response.data?.access_token) {
+      throw new Error("Amazon did not return an access token");
+    }
+
+    this.accessToken = response.data.access_token;
+    this.tokenExpiresAt =
+      Date.now() + ((response.data.expires_in || 3600) - 60) * 1000;
+
+    return this.accessToken;
+  }
+
+  /**
+   * Read Amazon credentials. accessKey/secretKey are accepted for
+   * connections created before the Login with Amazon fields existed.
+   * @param {string|object} encryptedCredentials
+   * @returns {object} Credentials
+   */
+  decryptCredentials(encryptedCredentials) {
+    const credentials = super.decryptCredentials(encryptedCredentials);
+    return {
+      clientId: credentials.clientId || credentials.accessKey,
+      clientSecret: credentials.clientSecret || credentials.secretKey,
+      refreshToken: credentials.refreshToken,
+      sellerId: credentials.sellerId || credentials.merchantId,
+      marketplaceId:
+        credentials.marketplaceId || AMAZON_API.TURKEY_MARKETPLACE_ID,
+      environment: credentials.environment || "production",
+    };
+  }
+
+  /**
+   * Test connection by requesting one recent order
+   * @returns {Promise<Object>} Test result
+   */
+  async testConnection() {
+    try {
+      await this.initialize();
+
+      const yesterday = new Date();
+      yesterday.setDate(yesterday.getDate() - 1);
+      await this.fetchOrdersPage({ CreatedAfter: yesterday.toISOString() }, 1);
+
+      return {
+        success: true,
+        message: "Connection successful",
+        data: {
+          connectionId: this.connectionId,
+          status: "active",
+          marketplaceId: this.decryptCredentials(this.connection.credentials)
+            .marketplaceId,
+        },
+      };
+    } catch (error) {
+      this.logger.error(`Amazon connection test failed: ${error.message}`, {
+        error: error.message,
+        connectionId: this.connectionId,
+      });
+
+      return {
+        success: false,
+        message: `Connection failed: ${this.extractErrorMessage(error)}`,
+        error: error.response?.data || error.message,
+      };
+    }
+  }
+
+  /**
+   * Fetch orders with their items from Amazon and store them
+   * @param {Object} params - { startDate, endDate }
+   * @returns {Promise<Object>} Result containing order data
+   */
+  async fetchOrders(params = {}) {
+    try {
+      await this.initialize();
+
+      const startDate = params.startDate
+        ? new Date(params.startDate)
+        : new Date(this.getDefaultStartDate());
+      const query = { CreatedAfter: startDate.toISOString() };
+
+      // Amazon rejects CreatedBefore values later than two minutes ago
+      if (params.endDate) {
+        const latest = new Date(Date.now() - 3 * 60 * 1000);
+        const endDate = new Date(params.endDate);
+        query.CreatedBefore = (endDate < latest ? endDate : latest).toISOString();
+      }
+
+      const rawOrders = [];
+      let nextToken = null;
+      let pages = 0;
+
+      do {
+        const page = await this.fetchOrdersPage(
+          nextToken ? { NextToken: nextToken } : query,
+          AMAZON_API.PAGE_SIZE
+        );
+        rawOrders.push(...page.orders);
+        nextToken = page.nextToken;
+        pages++;
+      } while (nextToken && pages < 1000);
+
+      const normalizedOrders = [];
+      for (const order of rawOrders) {
+        const items = await this.fetchOrderItems(order.AmazonOrderId);
+        normalizedOrders.push(this.normalizeOrder(order, items));
+      }
+
+      this.logger.info(
+        `Retrieved ${rawOrders.length} orders from Amazon across ${pages} pages`,
+        { connectionId: this.connectionId }
+      );
+
+      const { data, stats } = await this.saveNormalizedOrders(normalizedOrders);
+
+      return {
+        success: true,
+        message: `Successfully fetched ${data.length} orders from Amazon`,
+        data,
+        stats,
+      };
+    } catch (error) {
+      this.logger.error(`Failed to fetch orders from Amazon: ${error.message}`, {
+        error: error.message,
+        connectionId: this.connectionId,
+      });
+
+      return {
+        success: false,
+        message: `Failed to fetch orders: ${this.extractErrorMessage(error)}`,
+        error: error.response?.data || error.message,
+        data: [],
+      };
+    }
+  }
+
+  /**
+   * Fetch one page of orders
+   * @param {Object} query - CreatedAfter/CreatedBefore or NextToken
+   * @param {number} pageSize - Orders per page (max 100)
+   * @returns {Promise<Object>} { orders, nextToken }
+   */
+  async fetchOrdersPage(query, pageSize) {
+    const { marketplaceId } = this.decryptCredentials(
+      this.connection.credentials
+    );
+
+    const response = await this.retryRequest(
+      () =>
+        this.axiosInstance.get(AMAZON_API.ENDPOINTS.ORDERS, {
+          params: {
+            MarketplaceIds: marketplaceId,
+            MaxResultsPerPage: pageSize,
+            ...query,
+          },
+        }),
+      5,
+      2000
+    );
+
+    const payload = response.data?.payload || {};
+    return {
+      orders: payload.Orders || [],
+      nextToken: payload.NextToken || null,
+    };
+  }
+
+  /**
+   * Fetch all items of an order
+   * @param {string} amazonOrderId - Amazon order ID
+   * @returns {Promise<Array>} Raw order items
+   */
+  async fetchOrderItems(amazonOrderId) {
+    const endpoint = AMAZON_API.ENDPOINTS.ORDER_ITEMS.replace(
+      "{orderId}",
+      amazonOrderId
+    );
+    const items = [];
+    let nextToken = null;
+
+    do {
+      const response = await this.retryRequest(
+        () =>
+          this.axiosInstance.get(endpoint, {
+            params: nextToken ? { NextToken: nextToken } : {},
+          }),
+        5,
+        2000
+      );
+      const payload = response.data?.payload || {};
+      items.push(...(payload.OrderItems || []));
+      nextToken = payload.NextToken || null;
+    } while (nextToken);
+
+    return items;
+  }
+
+  /**
+   * Map an Amazon order to the common order shape
+   * @param {Object} order - Raw Amazon order
+   * @param {Array} items - Raw Amazon order items
+   * @returns {Object} Normalized order, see saveNormalizedOrders
+   */
+  normalizeOrder(order, items = []) {
+    const address = order.ShippingAddress || {};
+    const buyer = order.BuyerInfo || {};
+    const currency = order.OrderTotal?.CurrencyCode || "TRY";
+    const customerName = address.Name || buyer.BuyerName || "";
+
+    return {
+      externalOrderId: order.AmazonOrderId,
+      orderNumber: order.AmazonOrderId,
+      platformOrderId: order.AmazonOrderId,
+      orderDate: new Date(order.PurchaseDate),
+      orderStatus: this.mapOrderStatus(order.OrderStatus),
+      totalAmount: parseFloat(order.OrderTotal?.Amount) || 0,
+      currency,
+      customerName,
+      customerEmail: buyer.BuyerEmail || "",
+      customerPhone: address.Phone || "",
+      shippingAddress: address,
+      notes:
+        order.FulfillmentChannel === "AFN" ? "Fulfilled by Amazon (FBA)" : "",
+      rawData: { ...order, OrderItems: items },
+      shipping: {
+        recipientName: customerName,
+        address: [address.AddressLine1, address.AddressLine2, address.AddressLine3]
+          .filter(Boolean)
+          .join(" "),
+        city: address.City || "",
+        state: address.StateOrRegion || address.District || "",
+        postalCode: address.PostalCode || "",
+        country: address.CountryCode || "TR",
+        phone: address.Phone || "",
+        email: buyer.BuyerEmail || "",
+      },
+      items: items.map((item) => {
+        const quantity = item.QuantityOrdered || 1;
+        // ItemPrice is the price of all units of the line
+        const linePrice = parseFloat(item.ItemPrice?.Amount) || 0;
+        const discount = parseFloat(item.PromotionDiscount?.Amount) || 0;
+        return {
+          platformProductId: item.ASIN,
+          title: item.Title || "Unknown Product",
+          sku: item.SellerSKU || "",
+          quantity,
+          price: linePrice / quantity,
+          discount,
+          merchantDiscount: discount,
+          currency: item.ItemPrice?.CurrencyCode || currency,
+          rawData: item,
+        };
+      }),
+    };
+  }
+
+  /**
+   * Map Amazon order status to internal status
+   * @param {string} amazonStatus - Amazon OrderStatus
+   * @returns {string} Internal status
+   */
+  mapOrderStatus(amazonStatus) {
+    const mappedStatus = ORDER_STATUS_MAP[amazonStatus];
+
+    if (!mappedStatus) {
+      this.logger.warn(
+        `Unknown Amazon order status encountered: ${amazonStatus}`,
+        {
+          platformType: "amazon",
+          connectionId: this.connectionId,
+          unmappedStatus: amazonStatus,
+        }
+      );
+      return "unknown";
+    }
+
+    return mappedStatus;
+  }
+
+  /**
+   * Map internal status to Amazon status. Only shipping can be reported
+   * through the Orders API; other changes are made in Seller Central.
+   * @param {string} internalStatus - Internal status
+   * @returns {string|undefined} Amazon status
+   */
+  mapToPlatformStatus(internalStatus) {
+    return internalStatus === "shipped" ? "Shipped" : undefined;
+  }
+
+  /**
+   * Update order status on Amazon by confirming the shipment
+   * @param {string} orderId - Internal order ID
+   * @param {string} newStatus - New status to set
+   * @returns {Object} Result of the status update operation
+   */
+  async updateOrderStatus(orderId, newStatus) {
+    try {
+      await this.initialize();
+
+      const order = await Order.findByPk(orderId);
+      if (!order) {
+        throw new Error(`Order with ID ${orderId} not found`);
+      }
+
+      if (!this.mapToPlatformStatus(newStatus)) {
+        throw new Error(
+          `Cannot map status '${newStatus}' to Amazon status; only shipped can be sent`
+        );
+      }
+      if (!order.cargoTrackingNumber) {
+        throw new Error("A cargo tracking number is required to confirm shipment");
+      }
+
+      const rawOrder =
+        typeof order.rawData === "string"
+          ? JSON.parse(order.rawData)
+          : order.rawData || {};
+      const { marketplaceId } = this.decryptCredentials(
+        this.connection.credentials
+      );
+
+      await this.retryRequest(() =>
+        this.axiosInstance.post(
+          AMAZON_API.ENDPOINTS.SHIPMENT_CONFIRMATION.replace(
+            "{orderId}",
+            order.externalOrderId
+          ),
+          {
+            marketplaceId,
+            packageDetail: {
+              packageReferenceId: "1",
+              carrierCode: order.cargoCompany || "Other",
+              trackingNumber: order.cargoTrackingNumber,
+              shipDate: new Date().toISOString(),
+              orderItems: (rawOrder.OrderItems || []).map((item) => ({
+                orderItemId: item.OrderItemId,
+                quantity: item.QuantityOrdered,
+              })),
+            },
+          }
+        )
+      );
+
+      await order.update({
+        orderStatus: newStatus,
+        lastSyncedAt: new Date(),
+      });
+
+      return {
+        success: true,
+        message: `Order status updated to ${newStatus}`,
+        data: order,
+      };
+    } catch (error) {
+      this.logger.error(
+        `Failed to update order status on Amazon: ${error.message}`,
+        { error: error.message, orderId, connectionId: this.connectionId }
+      );
+
+      return {
+        success: false,
+        message: `Failed to update order status: ${this.extractErrorMessage(
+          error
+        )}`,
+        error: error.response?.data || error.message,
+      };
+    }
+  }
+
+  /**
+   * Confirm the shipment on Amazon; the confirmation carries the order's
+   * tracking number and carrier
+   * @param {string} orderId - Internal order ID with cargoTrackingNumber set
+   * @returns {Object} Result of the status update operation
+   */
+  async updateTrackingNumber(orderId) {
+    return this.updateOrderStatus(orderId, "shipped");
+  }
+
+  extractErrorMessage(error) {
+    const data = error.response?.data;
+    if (data?.errors?.length) {
+      return data.errors.map((e) => e.message).join(", ");
+    }
+    return data?.error_description || error.message;
+  }
+}
+
+module.exports = AmazonService;
@@ -0,0 +1,480 @@
+// src/services/platforms/ciceksepeti/ciceksepeti-service.js
+
+const axios = require("axios");
+const BasePlatformService = require("../BasePlatformService");
+const { Order } = require("../../../../../models");
+const { attachHttpFixtures } = require("../http-fixtures");
+
+// Constants for Çiçeksepeti API endpoints and configurations
+const CICEKSEPETI_API = {
+  BASE_URL: "https://apis.ciceksepeti.com/api/v1",
+  SANDBOX_URL: "https://sandbox-apis.ciceksepeti.com/api/v1",
+  ENDPOINTS: {
+    ORDERS: "/Order/GetOrders",
+    READY_FOR_CARGO: "/Order/readyforcargowithcsintegration",
+    SHIPMENT_WITHOUT_CS_INTEGRATION: "/Order/shipmentwithoutcsintegration",
+    CANCEL: "/Order/cancellation",
+  },
+  PAGE_SIZE: 100,
+};
+
+// Order item statuses returned in orderProductStatus
+const ORDER_STATUS_MAP = {
+  Yeni: "new",
+  New: "new",
+  Hazırlanıyor: "processing",
+  Preparing: "processing",
+  "Kargoya Hazır": "processing",
+  ReadyForCargo: "processing",
+  "Kargoya Verildi": "shipped",
+  Shipped: "shipped",
+  "Teslim Edildi": "delivered",
+  Delivered: "delivered",
+  "Teslim Edilemedi": "failed",
+  Undelivered: "failed",
+  İptal: "cancelled",
+  "İptal Edildi": "cancelled",
+  Cancelled: "cancelled",
+  İade: "returned",
+  "İade Edildi": "returned",
+  Returned: "returned",
+};
+
+/**
+ * Çiçeksepeti Service
+ * Handles integration with Çiçeksepeti marketplace orders.
+ * The API lists order items; items of the same order are grouped here.
+ * @see https://apis.ciceksepeti.com/swagger
+ */
+class CiceksepetiService extends BasePlatformService {
+  constructor(connectionId, directCredentials = null) {
+    super(connectionId, directCredentials);
+    this.apiUrl = CICEKSEPETI_API.BASE_URL;
+    this.logger = this.getLogger();
+  }
+
+  /**
+   * Get the platform type
+   * @returns {string} Platform type identifier
+   */
+  getPlatformType() {
+    return "ciceksepeti";
+  }
+
+  /**
+   * Setup Axios instance with the x-api-key header
+   * Implementation of abstract method from BasePlatformService
+   */
+  async setupAxiosInstance() {
+    const { apiKey, environment } = this.decryptCredentials(
+      this.connection.credentials
+    );
+
+    if (!apiKey) {
+      throw new Error(
+        "Missing required Çiçeksepeti credentials. API key is required."
+      );
+    }
+
+    this.apiUrl =
+      environment === "sandbox"
+        ? CICEKSEPETI_API.SANDBOX_URL
+        : CICEKSEPETI_API.BASE_URL;
+
+    this.axiosInstance = attachHttpFixtures(
+      axios.create({
+        baseURL: this.apiUrl,
+        headers: {
+          "x-api-key": apiKey,
+          "Content-Type": "application/json",
+          Accept: "application/json",
+        },
+        timeout: 60000,
+      }),
+      this.getPlatformType()
+    );
+
+    this.logger.info("Çiçeksepeti Axios instance setup completed", {
+      baseURL: this.apiUrl,
+      connectionId: this.connectionId,
+    });
+
+    return true;
+  }
+
+  /**
+   * Read Çiçeksepeti credentials
+   * @param {string|object} encryptedCredentials
+   * @returns {object} { apiKey, environment }
+   */
+  decryptCredentials(encryptedCredentials) {
+    const credentials = super.decryptCredentials(encryptedCredentials);
+    return {
+      apiKey: credentials.apiKey,
+      environment: credentials.environment || "production",
+    };
+  }
+
+  /**
+   * Test connection by requesting one recent order item
+   * @returns {Promise<Object>} Test result
+   */
+  async testConnection() {
+    try {
+      await this.initialize();
+
+      const yesterday = new Date();
+      yesterday.setDate(yesterday.getDate() - 1);
+      await this.fetchOrderItemsPage({
+        startDate: yesterday,
+        endDate: new Date(),
+        page: 0,
+        pageSize: 1,
+      });
+
+      return {
+        success: true,
+        message: "Connection successful",
+        data: {
+          connectionId: this.connectionId,
+          status: "active",
+        },
+      };
+    } catch (error) {
+      this.logger.error(
+        `Çiçeksepeti connection test failed: ${error.message}`,
+        { error: error.message, connectionId: this.connectionId }
+      );
+
+      return {
+        success: false,
+        message: `Connection failed: ${this.extractErrorMessage(error)}`,
+        error: error.response?.data || error.message,
+      };
+    }
+  }
+
+  /**
+   * Fetch order items from Çiçeksepeti, group them into orders and store them
+   * @param {Object} params - { startDate, endDate }
+   * @returns {Promise<Object>} Result containing order data
+   */
+  async fetchOrders(params = {}) {
+    try {
+      await this.initialize();
+
+      const endDate = params.endDate ? new Date(params.endDate) : new Date();
+      const startDate = params.startDate
+        ? new Date(params.startDate)
+        : new Date(this.getDefaultStartDate());
+
+      const orderItems = [];
+      let page = 0;
+      let totalCount = Infinity;
+
+      while (orderItems.length < totalCount && page < 1000) {
+        const result = await this.fetchOrderItemsPage({
+          startDate,
+          endDate,
+          page,
+          pageSize: CICEKSEPETI_API.PAGE_SIZE,
+        });
+        orderItems.push(...result.items);
+        totalCount = result.totalCount;
+
+        if (result.items.length < CICEKSEPETI_API.PAGE_SIZE) {
+          break;
+        }
+        page++;
+      }
+
+      const groupedOrders = this.groupOrderItems(orderItems);
+
+      this.logger.info(
+        `Retrieved ${orderItems.length} order items (${groupedOrders.length} orders) from Çiçeksepeti`,
+        { connectionId: this.connectionId }
+      );
+
+      const { data, stats } = await this.saveNormalizedOrders(
+        groupedOrders.map((lines) => this.normalizeOrder(lines))
+      );
+
+      return {
+        success: true,
+        message: `Successfully fetched ${data.length} orders from Çiçeksepeti`,
+        data,
+        stats,
+      };
+    } catch (error) {
+      this.logger.error(
+        `Failed to fetch orders from Çiçeksepeti: ${error.message}`,
+        { error: error.message, connectionId: this.connectionId }
+      );
+
+      return {
+        success: false,
+        message: `Failed to fetch orders: ${this.extractErrorMessage(error)}`,
+        error: error.response?.data || error.message,
+        data: [],
+      };
+    }
+  }
+
+  /**
+   * Fetch one page of order items
+   * @param {Object} params - { startDate, endDate, page, pageSize }
+   * @returns {Promise<Object>} { items, totalCount }
+   */
+  async fetchOrderItemsPage({ startDate, endDate, page, pageSize }) {
+    const response = await this.retryRequest(() =>
+      this.axiosInstance.post(CICEKSEPETI_API.ENDPOINTS.ORDERS, {
+        startDate: startDate.toISOString(),
+        endDate: endDate.toISOString(),
+        page,
+        pageSize,
+        isOrderStatusActive: true,
+      })
+    );
+
+    const items = response.data?.supplierOrderListWithBranch || [];
+    return {
+      items,
+      totalCount: response.data?.orderListCount ?? items.length,
+    };
+  }
+
+  /**
+   * Group order item rows by their order ID
+   * @param {Array} orderItems - Raw order item rows
+   * @returns {Array<Array>} Rows per order
+   */
+  groupOrderItems(orderItems) {
+    const orders = new Map();
+    for (const item of orderItems) {
+      const key = String(item.orderId);
+      if (!orders.has(key)) {
+        orders.set(key, []);
+      }
+      orders.get(key).push(item);
+    }
+    return [...orders.values()];
+  }
+
+  /**
+   * Map the item rows of one Çiçeksepeti order to the common order shape
+   * @param {Array} lines - Raw order item rows of one order
+   * @returns {Object} Normalized order, see saveNormalizedOrders
+   */
+  normalizeOrder(lines) {
+    const first = lines[0];
+    const cargoLine = lines.find((line) => line.cargoNumber) || first;
+    const totalAmount = lines.reduce(
+      (sum, line) => sum + (parseFloat(line.totalPrice) || 0),
+      0
+    );
+    const shippingAddress = {
+      fullName: first.receiverName,
+      address: first.receiverAddress,
+      city: first.receiverCity,
+      district: first.receiverDistrict,
+      region: first.receiverRegion,
+      phone: first.receiverPhone,
+    };
+
+    return {
+      externalOrderId: String(first.orderId),
+      orderNumber: String(first.orderId),
+      platformOrderId: String(first.orderId),
+      orderDate: new Date(first.orderCreateDate),
+      orderStatus: this.mapOrderStatus(first.orderProductStatus),
+      totalAmount,
+      currency: "TRY",
+      customerName: first.senderName || first.receiverName || "",
+      customerEmail: first.customerEmail || "",
+      customerPhone: first.receiverPhone || "",
+      shippingAddress,
+      cargoTrackingNumber: cargoLine.cargoNumber || "",
+      cargoCompany: cargoLine.cargoCompany || "",
+      cargoTrackingUrl: cargoLine.shipmentTrackingUrl || "",
+      notes: first.cardMessage || "",
+      rawData: { orderId: first.orderId, items: lines },
+      shipping: {
+        recipientName: first.receiverName,
+        address: first.receiverAddress || "",
+        city: first.receiverCity || "",
+        state: first.receiverDistrict || "",
+        postalCode: first.receiverPostalCode || "",
+        country: "TR",
+        phone: first.receiverPhone || "",
+        email: first.customerEmail || "",
+      },
+      items: lines.map((line) => {
+        const quantity = line.quantity || 1;
+        const totalPrice = parseFloat(line.totalPrice) || 0;
+        return {
+          platformProductId: line.productId ? String(line.productId) : "",
+          title: line.name || line.productName || "Unknown Product",
+          sku: line.code || line.productCode || "",
+          barcode: line.barcode || "",
+          quantity,
+          price: parseFloat(line.itemPrice) || totalPrice / quantity,
+          discount: parseFloat(line.discount) || 0,
+          merchantDiscount: parseFloat(line.discount) || 0,
+          rawData: line,
+        };
+      }),
+    };
+  }
+
+  /**
+   * Map Çiçeksepeti order item status to internal status
+   * @param {string} ciceksepetiStatus - orderProductStatus value
+   * @returns {string} Internal status
+   */
+  mapOrderStatus(ciceksepetiStatus) {
+    const mappedStatus = ORDER_STATUS_MAP[ciceksepetiStatus];
+
+    if (!mappedStatus) {
+      this.logger.warn(
+        `Unknown Çiçeksepeti order status encountered: ${ciceksepetiStatus}`,
+        {
+          platformType: "ciceksepeti",
+          connectionId: this.connectionId,
+          unmappedStatus: ciceksepetiStatus,
+        }
+      );
+      return "unknown";
+    }
+
+    return mappedStatus;
+  }
+
+  /**
+   * Map internal status to the Çiçeksepeti action that produces it
+   * @param {string} internalStatus - Internal status
+   * @returns {string|undefined} Endpoint of the action
+   */
+  mapToPlatformStatus(internalStatus) {
+    const actions = {
+      // Çiçeksepeti picks up the parcel, so "ready for cargo" covers shipping
+      processing: CICEKSEPETI_API.ENDPOINTS.READY_FOR_CARGO,
+      shipped: CICEKSEPETI_API.ENDPOINTS.READY_FOR_CARGO,
+      cancelled: CICEKSEPETI_API.ENDPOINTS.CANCEL,
+    };
+    return actions[internalStatus];
+  }
+
+  /**
+   * Update order status on Çiçeksepeti
+   * @param {string} orderId - Internal order ID
+   * @param {string} newStatus - New status to set
+   * @param {Object} tracking - Tracking of the seller's own carrier; ships
+   *   the items without the Çiçeksepeti cargo integration
+   * @returns {Object} Result of the status update operation
+   */
+  async updateOrderStatus(orderId, newStatus, tracking = null) {
+    try {
+      await this.initialize();
+
+      const order = await Order.findByPk(orderId);
+      if (!order) {
+        throw new Error(`Order with ID ${orderId} not found`);
+      }
+
+      const endpoint = tracking
+        ? CICEKSEPETI_API.ENDPOINTS.SHIPMENT_WITHOUT_CS_INTEGRATION
+        : this.mapToPlatformStatus(newStatus);
+      if (!endpoint) {
+        throw new Error(
+          `Cannot map status '${newStatus}' to Çiçeksepeti status`
+        );
+      }
+
+      const rawOrder =
+        typeof order.rawData === "string"
+          ? JSON.parse(order.rawData)
+          : order.rawData || {};
+      const orderItemIds = (rawOrder.items || []).map(
+        (item) => item.orderItemId
+      );
+      if (orderItemIds.length === 0) {
+        throw new Error("Order has no Çiçeksepeti order items to update");
+      }
+
+      let body = { orderItemsGroup: [{ orderItemIds }] };
+      if (tracking) {
+        body = {
+          orderItemsGroup: [
+            {
+              orderItemIds,
+              shipmentCompanyName: tracking.carrierName,
+              trackingNumber: tracking.trackingNumber,
+              trackingUrl: tracking.trackingUrl,
+            },
+          ],
+        };
+      } else if (newStatus === "cancelled") {
+        body = {
+          orderItemIds,
+          cancellationReasonId: 1, // Tedarik edilemedi
+        };
+      }
+
+      await this.retryRequest(() => this.axiosInstance.put(endpoint, body));
+
+      await order.update({
+        orderStatus: newStatus,
+        lastSyncedAt: new Date(),
+      });
+
+      return {
+        success: true,
+        message: `Order status updated to ${newStatus}`,
+        data: order,
+      };
+    } catch (error) {
+      this.logger.error(
+        `Failed to update order status on Çiçeksepeti: ${error.message}`,
+        { error: error.message, orderId, connectionId: this.connectionId }
+      );
+
+      return {
+        success: false,
+        message: `Failed to update order status: ${this.extractErrorMessage(
+          error
+        )}`,
+        error: error.response?.data || error.message,
+      };
+    }
+  }
+
+  /**
+   * Mark the order items shipped with the tracking number of the seller's
+   * own carrier
+   * @param {string} orderId - Internal order ID
+   * @param {Object} tracking - { trackingNumber, trackingUrl, carrierCode, carrierName }
+   * @returns {Object} Result of the status update operation
+   */
+  async updateTrackingNumber(orderId, tracking = {}) {
+    if (!tracking.trackingNumber) {
+      return {
+        success: false,
+        message: "Failed to update tracking number: A tracking number is required",
+      };
+    }
+
+    return this.updateOrderStatus(orderId, "shipped", tracking);
+  }
+
+  extractErrorMessage(error) {
+    const data = error.response?.data;
+    if (data?.errors?.length) {
+      return data.errors
+        .map((e) => (typeof e === "string" ? e : e.message))
+        .join(", ");
+    }
+    return data?.message || error.message;
+  }
+}
+
+module.exports = CiceksepetiService;
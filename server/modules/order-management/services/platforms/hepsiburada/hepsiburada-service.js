@@ -1378,6 +1378,67 @@ class HepsiburadaService extends BasePlatformService {
     }
   }
 
+  /**
+   * Report the tracking number of a package shipped with the seller's own
+   * carrier and mark the order shipped
+   * @param {string} orderId - Internal order ID
+   * @param {Object} tracking - { trackingNumber, trackingUrl, carrierCode, carrierName }
+   * @returns {Object} - Result of the tracking update
+   */
+  async updateTrackingNumber(orderId, tracking = {}) {
+    try {
+      if (!tracking.trackingNumber) {
+        throw new Error("A tracking number is required");
+      }
+
+      const order = await Order.findByPk(orderId);
+      if (!order) {
+        throw new Error(`Order with ID ${orderId} not found`);
+      }
+
+      const hepsiburadaOrder = await HepsiburadaOrder.findOne({
+        where: { orderId },
+        attributes: ["packageNumber"],
+      });
+      const packageNumber =
+        hepsiburadaOrder?.packageNumber || order.externalOrderId;
+      if (!packageNumber) {
+        throw new Error("Package number not found for Hepsiburada order");
+      }
+
+      const result = await this.updatePackageShipping(packageNumber, {
+        trackingNumber: tracking.trackingNumber,
+        trackingUrl: tracking.trackingUrl,
+        cargoCompany: tracking.carrierName,
+      });
+      if (!result.success) {
+        return result;
+      }
+
+      await order.update({
+        orderStatus: "shipped",
+        lastSyncedAt: new Date(),
+      });
+
+      return {
+        success: true,
+        message: "Tracking number updated",
+        data: order,
+      };
+    } catch (error) {
+      logger.error(
+        `Failed to update tracking number on Hepsiburada: ${error.message}`,
+        { error, orderId, connectionId: this.connectionId }
+      );
+
+      return {
+        success: false,
+        message: `Failed to update tracking number: ${error.message}`,
+        error: error.message,
+      };
+    }
+  }
+
   /**
    * Cancel an order (İptal Bilgisi Gönderme)
    * Daily limit: 100 cancellations
@@ -5191,7 +5252,204 @@ class HepsiburadaService extends BasePlatformService {
       categoryAttributes: attributes,
     };
   }
-}
+
+  /**
+   * Fetch return claims (talepler) from Hepsiburada
+   * @param {Object} params - { startDate, endDate, page, size }
+   * @returns {Promise<Object>} Normalized claims, see BasePlatformService.fetchClaims
+   */
+  async fetchClaims(params = {}) {
+    try {
+      await this.initialize();
+
+      const defaultStartDate = new Date();
+      defaultStartDate.setDate(defaultStartDate.getDate() - 14);
+      const size = Math.min(params.size || 50, 100);
+
+      const response = await this.retryRequest(() =>
+        this.axiosInstance.get(`/claims/merchantid/${this.merchantId}`, {
+          params: {
+            beginDate: new Date(params.startDate || defaultStartDate).toISOString(),
+            endDate: new Date(params.endDate || Date.now()).toISOString(),
+            offset: (params.page || 0) * size,
+            limit: size,
+          },
+        })
+      );
+
+      const claims = Array.isArray(response.data)
+        ? response.data
+        : response.data?.items;
+      if (!Array.isArray(claims)) {
+        return {
+          success: false,
+          message: "Unexpected response format from Hepsiburada claims API",
+          data: [],
+        };
+      }
+
+      const totalCount = response.data.totalCount ?? claims.length;
+      return {
+        success: true,
+        data: claims.map((claim) => this.normalizeClaim(claim)),
+        pagination: {
+          page: params.page || 0,
+          size,
+          totalPages: Math.max(Math.ceil(totalCount / size), 1),
+          totalElements: totalCount,
+        },
+      };
+    } catch (error) {
+      this.logger.error(
+        `Failed to fetch claims from Hepsiburada: ${error.message}`,
+        { error, connectionId: this.connectionId }
+      );
+
+      return {
+        success: false,
+        message: `Failed to fetch claims: ${error.message}`,
+        data: [],
+      };
+    }
+  }
+
+  /**
+   * Normalize a Hepsiburada claim; Hepsiburada opens one claim per order line
+   * @param {Object} claim - Claim from the claims API
+   * @returns {Object} Normalized claim
+   */
+  normalizeClaim(claim) {
+    const items = [
+      {
+        externalItemIds: [String(claim.lineItemId || claim.claimNumber)],
+        sku: claim.merchantSku || null,
+        barcode: claim.hepsiburadaSku || null,
+        productName: claim.productName || null,
+        quantity: parseInt(claim.quantity, 10) || 1,
+        price: claim.price?.amount ?? claim.price ?? null,
+        reasonCode: claim.reasonCode || null,
+        reasonName: claim.reasonDescription || claim.reasonCode || null,
+        customerNote: claim.customerExplanation || null,
+        platformStatus: claim.status,
+        status: this.mapClaimStatus(claim.status),
+      },
+    ];
+
+    return {
+      externalClaimId: String(claim.claimNumber),
+      orderNumber: claim.orderNumber ? String(claim.orderNumber) : null,
+      status: this.getClaimStatusFromItems(items),
+      platformStatus: claim.status || null,
+      claimDate: claim.createDate ? new Date(claim.createDate) : null,
+      customerNote: claim.customerExplanation || null,
+      cargoTrackingNumber: claim.trackingNumber || null,
+      cargoProvider: claim.cargoCompany || null,
+      items,
+      rawData: claim,
+    };
+  }
+
+  /**
+   * Map Hepsiburada claim status to internal claim status
+   * @param {string} hepsiburadaStatus - Claim status
+   * @returns {string} pending | approved | rejected | cancelled
+   */
+  mapClaimStatus(hepsiburadaStatus) {
+    const statusMap = {
+      NewRequest: "pending",
+      InDispute: "pending",
+      Accepted: "approved",
+      Rejected: "rejected",
+      Cancelled: "cancelled",
+    };
+
+    return statusMap[hepsiburadaStatus] || "pending";
+  }
+
+  /**
+   * Accept a claim on Hepsiburada
+   * @param {string} externalClaimId - Claim number
+   * @returns {Promise<Object>} Result
+   */
+  async approveClaim(externalClaimId) {
+    try {
+      await this.initialize();
+
+      await this.retryRequest(() =>
+        this.axiosInstance.post(`/claims/number/${externalClaimId}/accept`)
+      );
+
+      return {
+        success: true,
+        message: "Claim accepted on Hepsiburada",
+      };
+    } catch (error) {
+      this.logger.error(
+        `Failed to accept claim on Hepsiburada: ${error.message}`,
+        { error, externalClaimId, connectionId: this.connectionId }
+      );
+
+      return {
+        success: false,
+        message: `Failed to accept claim: ${
+          error.response?.data?.message || error.message
+        }`,
+      };
+    }
+  }
+
+  /**
+   * Reject a claim on Hepsiburada
+   * @param {string} externalClaimId - Claim number
+   * @param {Array<string>} itemIds - Unused, Hepsiburada claims have one line
+   * @param {Object} rejection - { reason, reasonCode }
+   * @returns {Promise<Object>} Result
+   */
+  async rejectClaim(externalClaimId, itemIds = [], rejection = {}) {
+    try {
+      await this.initialize();
+
+      await this.retryRequest(() =>
+        this.axiosInstance.post(`/claims/number/${externalClaimId}/reject`, {
+          reason: rejection.reasonCode || "Other",
+          explanation: rejection.reason || "",
+        })
+      );
+
+      return {
+        success: true,
+        message: "Claim rejected on Hepsiburada",
+      };
+    } catch (error) {
+      this.logger.error(
+        `Failed to reject claim on Hepsiburada: ${error.message}`,
+        { error, externalClaimId, connectionId: this.connectionId }
+      );
+
+      return {
+        success: false,
+        message: `Failed to reject claim: ${
+          error.response?.data?.message || error.message
+        }`,
+      };
+    }
+  }
+
+  /**
+   * Rejection reasons accepted by the Hepsiburada claims API
+   * @returns {Promise<Array>} [{ code, name }]
+   */
+  async getClaimRejectionReasons() {
+    return [
+      { code: "ProductNotReceived", name: "Ürün depoya ulaşmadı" },
+      { code: "ProductUsed", name: "Ürün kullanılmış" },
+      { code: "ProductDamaged", name: "Ürün hasarlı geldi" },
+      { code: "MissingParts", name: "Ürün eksik parça ile geldi" },
+      { code: "DifferentProduct", name: "Gönderilenden farklı ürün geldi" },
+      { code: "ReturnPeriodExpired", name: "İade süresi geçmiş" },
+      { code: "Other", name: "Diğer" },
+    ];
+  }
 
   /**
    * Publishes a list of products to Hepsiburada by transforming them into the required API format.
@@ -0,0 +1,147 @@
+/**
+ * HTTP fixtures for platform services
+ *
+ * Lets a platform service run against recorded API responses instead of the
+ * live marketplace API. Controlled with environment variables:
+ *  - PLATFORM_HTTP_FIXTURES=record  store every response the service receives
+ *  - PLATFORM_HTTP_FIXTURES=replay  answer requests from the stored responses
+ *  - PLATFORM_FIXTURES_DIR          base directory, defaults to
+ *                                   ./recorded-responses next to this file
+ *
+ * Responses are stored per platform and endpoint as
+ * <dir>/<platform>/<METHOD>_<path>.json holding the responses in the order
+ * they were received. Replay serves them in the same order and repeats the
+ * last one, so paginated fetches replay as recorded.
+ */
+const fs = require("fs");
+const path = require("path");
+const logger = require("../../../../utils/logger");
+
+const DEFAULT_DIR = path.join(__dirname, "recorded-responses");
+
+function getMode() {
+  const mode = (process.env.PLATFORM_HTTP_FIXTURES || "").toLowerCase();
+  return ["record", "replay"].includes(mode) ? mode : null;
+}
+
+function getFixturePath(platformType, config) {
+  const baseDir = process.env.PLATFORM_FIXTURES_DIR || DEFAULT_DIR;
+  const url = new URL(config.url, config.baseURL || "http://localhost");
+  const slug = url.pathname
+    .replace(/^\/+|\/+$/g, "")
+    .replace(/[^a-zA-Z0-9._-]+/g, "_");
+
+  return path.join(
+    baseDir,
+    platformType,
+    `${(config.method || "get").toUpperCase()}_${slug || "root"}.json`
+  );
+}
+
+function readFixture(file) {
+  if (!fs.existsSync(file)) {
+    return [];
+  }
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+/**
+ * Attach fixture recording or replay to an axios instance.
+ * Does nothing unless PLATFORM_HTTP_FIXTURES is set.
+ * @param {Object} axiosInstance - Axios instance of the platform service
+ * @param {string} platformType - Platform identifier, used as sub directory
+ * @returns {Object} The same axios instance
+ */
+function attachHttpFixtures(axiosInstance, platformType) {
+  const mode = getMode();
+  if (!mode) {
+    return axiosInstance;
+  }
+
+  if (mode === "replay") {
+    const served = new Map();
+
+    axiosInstance.defaults.adapter = async (config) => {
+      const file = getFixturePath(platformType, config);
+      const responses = readFixture(file);
+
+      if (responses.length === 0) {
+        const error = new Error(`No recorded response in ${file}`);
+        error.code = "EFIXTURE";
+        error.config = config;
+        throw error;
+      }
+
+      const index = served.get(file) || 0;
+      served.set(file, index + 1);
+      const recorded = responses[Math.min(index, responses.length - 1)];
+
+      const response = {
+        data: recorded.data,
+        status: recorded.status,
+        statusText: recorded.statusText || "",
+        headers: recorded.headers || {},
+        config,
+        request: {},
+      };
+
+      const validateStatus = config.validateStatus;
+      if (!validateStatus || validateStatus(response.status)) {
+        return response;
+      }
+
+      const error = new Error(
+        `Request failed with status code ${response.status}`
+      );
+      error.config = config;
+      error.response = response;
+      throw error;
+    };
+
+    logger.info(`Replaying recorded HTTP fixtures for ${platformType}`);
+    return axiosInstance;
+  }
+
+  const record = (response) => {
+    try {
+      const file = getFixturePath(platformType, response.config);
+      const responses = readFixture(file);
+      const data =
+        response.data && response.data.access_token
+          ? { ...response.data, access_token: "recorded-token" }
+          : response.data;
+      responses.push({
+        status: response.status,
+        statusText: response.statusText,
+        data,
+      });
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, JSON.stringify(responses, null, 2));
+    } catch (error) {
+      logger.warn(`Failed to record HTTP fixture: ${error.message}`, {
+        platformType,
+      });
+    }
+  };
+
+  axiosInstance.interceptors.response.use(
+    (response) => {
+      record(response);
+      return response;
+    },
+    (error) => {
+      if (error.response) {
+        record(error.response);
+      }
+      return Promise.reject(error);
+    }
+  );
+
+  logger.warn(`Recording HTTP fixtures for ${platformType}`);
+  return axiosInstance;
+}
+
+module.exports = {
+  attachHttpFixtures,
+  getFixturePath,
+};
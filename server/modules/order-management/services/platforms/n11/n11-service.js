@@ -1708,6 +1708,68 @@ class N11Service extends BasePlatformService {
     }
   }
 
+  /**
+   * Ship a package with the seller's own carrier and its tracking number
+   * @param {string} orderId - Internal order ID
+   * @param {Object} tracking - { trackingNumber, trackingUrl, carrierCode, carrierName }
+   * @returns {Object} - Result of the tracking update
+   */
+  async updateTrackingNumber(orderId, tracking = {}) {
+    try {
+      await this.initialize();
+
+      if (!tracking.trackingNumber) {
+        throw new Error("A tracking number is required");
+      }
+
+      const order = await Order.findByPk(orderId);
+
+      if (!order) {
+        throw new Error(`Order with ID ${orderId} not found`);
+      }
+
+      const packageId = order.externalOrderId || order.platformOrderId;
+
+      if (!packageId) {
+        throw new Error("External order ID not found for N11 order");
+      }
+
+      const response = await this.retryRequest(() =>
+        this.axiosInstance.put(
+          N11_API.ENDPOINTS.SHIP_ORDER.replace("{id}", packageId),
+          {
+            trackingNumber: tracking.trackingNumber,
+            trackingUrl: tracking.trackingUrl,
+            shipmentCompany: tracking.carrierName,
+          }
+        )
+      );
+
+      await order.update({
+        orderStatus: "shipped",
+        lastSyncedAt: new Date(),
+      });
+
+      return {
+        success: true,
+        message: "Tracking number updated",
+        data: order,
+        platformResponse: response.data,
+      };
+    } catch (error) {
+      this.logger.error(
+        `Failed to update tracking number on N11: ${error.message}`,
+        { error, orderId, connectionId: this.connectionId }
+      );
+
+      return {
+        success: false,
+        message: `Failed to update tracking number: ${error.message}`,
+        error: error.response?.data || error.message,
+      };
+    }
+  }
+
   /**
    * Accept an order on N11 platform using the dedicated accept endpoint
    * @param {string} externalOrderId - External order ID (package ID)
@@ -3599,7 +3661,200 @@ class N11Service extends BasePlatformService {
       categoryAttributes: attributes,
     };
   }
-}
+
+  /**
+   * Fetch return claims from N11
+   * @param {Object} params - { startDate, endDate, page, size }
+   * @returns {Promise<Object>} Normalized claims, see BasePlatformService.fetchClaims
+   */
+  async fetchClaims(params = {}) {
+    try {
+      await this.initialize();
+
+      const defaultStartDate = new Date();
+      defaultStartDate.setDate(defaultStartDate.getDate() - 14);
+
+      const response = await this.axiosInstance.get(
+        N11_API.ENDPOINTS.RETURNS,
+        {
+          params: {
+            startDate: new Date(params.startDate || defaultStartDate).getTime(),
+            endDate: new Date(params.endDate || Date.now()).getTime(),
+            page: params.page || 0,
+            size: Math.min(params.size || 50, 100),
+          },
+        }
+      );
+
+      const content = response.data?.content;
+      if (!Array.isArray(content)) {
+        return {
+          success: false,
+          message: "Unexpected response format from N11 returns API",
+          data: [],
+        };
+      }
+
+      return {
+        success: true,
+        data: content.map((claim) => this.normalizeClaim(claim)),
+        pagination: {
+          page: response.data.page ?? params.page ?? 0,
+          size: response.data.size,
+          totalPages: response.data.totalPages || 1,
+          totalElements: response.data.totalElements ?? content.length,
+        },
+      };
+    } catch (error) {
+      this.logger.error(`Failed to fetch returns from N11: ${error.message}`, {
+        error,
+        connectionId: this.connectionId,
+      });
+
+      return {
+        success: false,
+        message: `Failed to fetch returns: ${error.message}`,
+        data: [],
+      };
+    }
+  }
+
+  /**
+   * Normalize an N11 return request
+   * @param {Object} claim - Return from the returns API
+   * @returns {Object} Normalized claim
+   */
+  normalizeClaim(claim) {
+    const platformStatus = claim.status || null;
+    const items = (claim.items || []).map((item) => ({
+      externalItemIds: [String(item.orderItemId)],
+      sku: item.sellerStockCode || null,
+      barcode: item.barcode || null,
+      productName: item.productName || null,
+      quantity: parseInt(item.quantity, 10) || 1,
+      price: item.price ?? null,
+      reasonCode: claim.returnReason || null,
+      reasonName: claim.reasonDescription || claim.returnReason || null,
+      customerNote: claim.buyerNote || null,
+      platformStatus,
+      status: this.mapClaimStatus(platformStatus),
+    }));
+
+    return {
+      externalClaimId: String(claim.id),
+      orderNumber: claim.orderNumber ? String(claim.orderNumber) : null,
+      status: items.length
+        ? this.getClaimStatusFromItems(items)
+        : this.mapClaimStatus(platformStatus),
+      platformStatus,
+      claimDate: claim.createDate ? new Date(claim.createDate) : null,
+      customerNote: claim.buyerNote || null,
+      cargoTrackingNumber: claim.cargoTrackingNumber || null,
+      cargoProvider: claim.cargoCompany || null,
+      items,
+      rawData: claim,
+    };
+  }
+
+  /**
+   * Map N11 return status to internal claim status
+   * @param {string} n11Status - Return status
+   * @returns {string} pending | approved | rejected | cancelled
+   */
+  mapClaimStatus(n11Status) {
+    const statusMap = {
+      WAITING_FOR_APPROVAL: "pending",
+      POSTPONED: "pending",
+      APPROVED: "approved",
+      COMPLETED: "approved",
+      REJECTED: "rejected",
+      CANCELLED: "cancelled",
+    };
+
+    return statusMap[n11Status] || "pending";
+  }
+
+  /**
+   * Approve a return on N11
+   * @param {string} externalClaimId - Return ID
+   * @param {Array<string>} itemIds - Order item IDs to approve
+   * @returns {Promise<Object>} Result
+   */
+  async approveClaim(externalClaimId, itemIds = []) {
+    try {
+      await this.initialize();
+
+      const response = await this.axiosInstance.post(
+        N11_API.ENDPOINTS.RETURN_APPROVE,
+        {
+          returnId: externalClaimId,
+          itemIds,
+        }
+      );
+
+      return {
+        success: true,
+        message: "Return approved successfully on N11",
+        data: response.data,
+      };
+    } catch (error) {
+      this.logger.error(`Failed to approve return on N11: ${error.message}`, {
+        error,
+        externalClaimId,
+        connectionId: this.connectionId,
+      });
+
+      return {
+        success: false,
+        message: `Failed to approve return: ${error.message}`,
+        error: error.response?.data || error.message,
+      };
+    }
+  }
+
+  /**
+   * Reject a return on N11
+   * @param {string} externalClaimId - Return ID
+   * @param {Array<string>} itemIds - Order item IDs to reject
+   * @param {Object} rejection - { reason }
+   * @returns {Promise<Object>} Result
+   */
+  async rejectClaim(externalClaimId, itemIds = [], rejection = {}) {
+    try {
+      await this.initialize();
+
+      if (!rejection.reason) {
+        throw new Error("A rejection reason is required for N11 returns");
+      }
+
+      const response = await this.axiosInstance.post(
+        N11_API.ENDPOINTS.RETURN_REJECT,
+        {
+          returnId: externalClaimId,
+          itemIds,
+          reason: rejection.reason,
+        }
+      );
+
+      return {
+        success: true,
+        message: "Return rejected successfully on N11",
+        data: response.data,
+      };
+    } catch (error) {
+      this.logger.error(`Failed to reject return on N11: ${error.message}`, {
+        error,
+        externalClaimId,
+        connectionId: this.connectionId,
+      });
+
+      return {
+        success: false,
+        message: `Failed to reject return: ${error.message}`,
+        error: error.response?.data || error.message,
+      };
+    }
+  }
 
   /**
    * Publishes a list of products to N11 by transforming them into the required API format.
@@ -0,0 +1,486 @@
+// src/services/platforms/pazarama/pazarama-service.js
+
+const axios = require("axios");
+const BasePlatformService = require("../BasePlatformService");
+const { Order } = require("../../../../../models");
+const { attachHttpFixtures } = require("../http-fixtures");
+
+// Constants for Pazarama API endpoints and configurations
+const PAZARAMA_API = {
+  AUTH_URL: "https://isortagimgiris.pazarama.com/connect/token",
+  BASE_URL: "https://isortagimapi.pazarama.com",
+  SCOPE: "merchantgatewayapi.fullaccess",
+  ENDPOINTS: {
+    ORDERS: "/order/getOrdersForApi",
+    UPDATE_ORDER_STATUS: "/order/updateOrderStatus",
+  },
+  PAGE_SIZE: 100,
+};
+
+// Order item statuses as documented in the Pazarama seller API
+const ORDER_STATUS_MAP = {
+  1: "pending", // Ödeme bekleniyor
+  3: "new", // Siparişiniz alındı
+  12: "processing", // Siparişiniz hazırlanıyor
+  13: "processing", // Tedarik sürecinde
+  5: "shipped", // Kargoya verildi
+  11: "delivered", // Teslim edildi
+  6: "cancelled", // İptal edildi
+  7: "cancelled", // Tedarik edilemedi
+  14: "returned", // İade edildi
+  15: "failed", // Teslim edilemedi
+};
+
+const PLATFORM_STATUS_MAP = {
+  processing: 12,
+  shipped: 5,
+  delivered: 11,
+  cancelled: 7,
+};
+
+/**
+ * Pazarama Service
+ * Handles integration with Pazarama marketplace orders
+ * @see https://isortagimapi.pazarama.com/swagger
+ */
+class PazaramaService extends BasePlatformService {
+  constructor(connectionId, directCredentials = null) {
+    super(connectionId, directCredentials);
+    this.apiUrl = PAZARAMA_API.BASE_URL;
+    this.accessToken = null;
+    this.tokenExpiresAt = 0;
+    this.logger = this.getLogger();
+  }
+
+  /**
+   * Get the platform type
+   * @returns {string} Platform type identifier
+   */
+  getPlatformType() {
+    return "pazarama";
+  }
+
+  /**
+   * Setup Axios instance with a bearer token from the Pazarama auth server
+   * Implementation of abstract method from BasePlatformService
+   */
+  async setupAxiosInstance() {
+    const { apiKey, apiSecret } = this.decryptCredentials(
+      this.connection.credentials
+    );
+
+    if (!apiKey || !apiSecret) {
+      throw new Error(
+        "Missing required Pazarama credentials. API key and API secret are required."
+      );
+    }
+
+    this.axiosInstance = attachHttpFixtures(
+      axios.create({
+        baseURL: PAZARAMA_API.BASE_URL,
+        headers: {
+          "Content-Type": "application/json",
+          Accept: "application/json",
+        },
+        timeout: 60000,
+      }),
+      this.getPlatformType()
+    );
+
+    // Refresh the token before every request once it is about to expire
+    this.axiosInstance.interceptors.request.use(async (config) => {
+      const token = await this.getAccessToken();
+      config.headers.Authorization = `Bearer ${token}`;
+      return config;
+    });
+
+    this.logger.info("Pazarama Axios instance setup completed", {
+      baseURL: PAZARAMA_API.BASE_URL,
+      connectionId: this.connectionId,
+    });
+
+    return true;
+  }
+
+  /**
+   * Get a client credentials token, cached until shortly before it expires
+   * @returns {Promise<string>} Access token
+   */
+  async getAccessToken() {
+    if (this.accessToken && Date.now() < this.tokenExpiresAt) {
+      return this.accessToken;
+    }
+
+    const { apiKey, apiSecret } = this.decryptCredentials(
+      this.connection.credentials
+    );
+    const authClient = attachHttpFixtures(
+      axios.create({ timeout: 30000 }),
+      this.getPlatformType()
+    );
+
+    const response = await this.retryRequest(() =>
+      authClient.post(
+        PAZARAMA_API.AUTH_URL,
+        new URLSearchParams({
+          grant_type: "client_credentials",
+          scope: PAZARAMA_API.SCOPE,
+        }).toString(),
+        {
+          headers: {
+            "Content-Type": "application/x-www-form-urlencoded",
+            Authorization: `Basic ${Buffer.from(
+              `${apiKey}:${apiSecret}`
+            ).toString("base64")}`,
+          },
+        }
+      )
+    );
+
+    // The auth server wraps the token in `data` on newer API versions
+    const tokenData = response.data?.data || response.data || {};
+    const token = tokenData.accessToken || tokenData.access_token;
+    if (!token) {
+      throw new Error("Pazarama did not return an access token");
+    }
+
+    const expiresIn = tokenData.expiresIn || tokenData.expires_in || 3600;
+    this.accessToken = token;
+    this.tokenExpiresAt = Date.now() + (expiresIn - 60) * 1000;
+
+    return token;
+  }
+
+  /**
+   * Read Pazarama credentials
+   * @param {string|object} encryptedCredentials
+   * @returns {object} { apiKey, apiSecret }
+   */
+  decryptCredentials(encryptedCredentials) {
+    const credentials = super.decryptCredentials(encryptedCredentials);
+    return {
+      apiKey: credentials.apiKey || credentials.clientId,
+      apiSecret: credentials.apiSecret || credentials.clientSecret,
+    };
+  }
+
+  /**
+   * Test connection by requesting a token and one page of recent orders
+   * @returns {Promise<Object>} Test result
+   */
+  async testConnection() {
+    try {
+      await this.initialize();
+
+      const yesterday = new Date();
+      yesterday.setDate(yesterday.getDate() - 1);
+      await this.fetchOrdersPage({
+        startDate: yesterday,
+        endDate: new Date(),
+        pageNumber: 1,
+        pageSize: 1,
+      });
+
+      return {
+        success: true,
+        message: "Connection successful",
+        data: {
+          connectionId: this.connectionId,
+          status: "active",
+        },
+      };
+    } catch (error) {
+      this.logger.error(`Pazarama connection test failed: ${error.message}`, {
+        error: error.message,
+        connectionId: this.connectionId,
+      });
+
+      return {
+        success: false,
+        message: `Connection failed: ${this.extractErrorMessage(error)}`,
+        error: error.response?.data || error.message,
+      };
+    }
+  }
+
+  /**
+   * Fetch orders from Pazarama, page by page, and store them
+   * @param {Object} params - { startDate, endDate }
+   * @returns {Promise<Object>} Result containing order data
+   */
+  async fetchOrders(params = {}) {
+    try {
+      await this.initialize();
+
+      const endDate = params.endDate ? new Date(params.endDate) : new Date();
+      const startDate = params.startDate
+        ? new Date(params.startDate)
+        : new Date(this.getDefaultStartDate());
+
+      const rawOrders = [];
+      let pageNumber = 1;
+
+      for (;;) {
+        const page = await this.fetchOrdersPage({
+          startDate,
+          endDate,
+          pageNumber,
+          pageSize: PAZARAMA_API.PAGE_SIZE,
+        });
+        rawOrders.push(...page);
+
+        if (page.length < PAZARAMA_API.PAGE_SIZE || pageNumber >= 1000) {
+          break;
+        }
+        pageNumber++;
+      }
+
+      this.logger.info(
+        `Retrieved ${rawOrders.length} orders from Pazarama across ${pageNumber} pages`,
+        { connectionId: this.connectionId }
+      );
+
+      const { data, stats } = await this.saveNormalizedOrders(
+        rawOrders.map((order) => this.normalizeOrder(order))
+      );
+
+      return {
+        success: true,
+        message: `Successfully fetched ${data.length} orders from Pazarama`,
+        data,
+        stats,
+      };
+    } catch (error) {
+      this.logger.error(
+        `Failed to fetch orders from Pazarama: ${error.message}`,
+        { error: error.message, connectionId: this.connectionId }
+      );
+
+      return {
+        success: false,
+        message: `Failed to fetch orders: ${this.extractErrorMessage(error)}`,
+        error: error.response?.data || error.message,
+        data: [],
+      };
+    }
+  }
+
+  /**
+   * Fetch one page of orders
+   * @param {Object} params - { startDate, endDate, pageNumber, pageSize }
+   * @returns {Promise<Array>} Raw Pazarama orders
+   */
+  async fetchOrdersPage({ startDate, endDate, pageNumber, pageSize }) {
+    const response = await this.retryRequest(() =>
+      this.axiosInstance.post(PAZARAMA_API.ENDPOINTS.ORDERS, {
+        startDate: startDate.toISOString().split("T")[0],
+        endDate: endDate.toISOString().split("T")[0],
+        pageNumber,
+        pageSize,
+      })
+    );
+
+    if (response.data?.success === false) {
+      throw new Error(response.data.message || "Pazarama request failed");
+    }
+
+    return Array.isArray(response.data?.data) ? response.data.data : [];
+  }
+
+  /**
+   * Map a Pazarama order to the common order shape
+   * @param {Object} order - Raw Pazarama order
+   * @returns {Object} Normalized order, see saveNormalizedOrders
+   */
+  normalizeOrder(order) {
+    const address = order.shipmentAddress || order.deliveryAddress || {};
+    const items = order.items || [];
+    const cargo = items.find((item) => item.cargo?.trackingNumber)?.cargo || {};
+    const phone = address.phoneNumber || this.extractPhoneNumber(order);
+
+    return {
+      externalOrderId: String(order.orderNumber || order.orderId),
+      orderNumber: String(order.orderNumber || order.orderId),
+      platformOrderId: order.orderId,
+      orderDate: new Date(order.orderDate),
+      orderStatus: this.mapOrderStatus(
+        order.orderStatus ?? items[0]?.orderItemStatus
+      ),
+      totalAmount: this.amountOf(order.orderAmount),
+      currency: order.currency || "TRY",
+      customerName: order.customerName || address.nameSurname || "",
+      customerEmail: order.customerEmail || "",
+      customerPhone: phone,
+      shippingAddress: address,
+      cargoTrackingNumber: cargo.trackingNumber || "",
+      cargoCompany: cargo.companyName || "",
+      cargoTrackingUrl: cargo.trackingUrl || "",
+      rawData: order,
+      shipping: {
+        recipientName: address.nameSurname || order.customerName,
+        address: address.addressDetail || address.displayAddressText || "",
+        city: address.cityName || "",
+        state: address.districtName || "",
+        postalCode: address.postalCode || "",
+        country: "TR",
+        phone,
+        email: order.customerEmail || "",
+      },
+      items: items.map((item) => ({
+        platformProductId: item.product?.productId || item.product?.code || "",
+        title: item.product?.name || "Unknown Product",
+        sku: item.product?.stockCode || item.product?.code || "",
+        barcode: item.product?.code || "",
+        quantity: item.quantity,
+        price: this.amountOf(item.salePrice || item.listPrice),
+        discount: this.amountOf(item.discountAmount),
+        merchantDiscount: this.amountOf(item.discountAmount),
+        rawData: item,
+      })),
+    };
+  }
+
+  /**
+   * Pazarama sends money either as a number or as { value, currency }
+   */
+  amountOf(amount) {
+    if (amount && typeof amount === "object") {
+      return parseFloat(amount.value) || 0;
+    }
+    return parseFloat(amount) || 0;
+  }
+
+  /**
+   * Map Pazarama order item status to internal status
+   * @param {number|string} pazaramaStatus - Status code
+   * @returns {string} Internal status
+   */
+  mapOrderStatus(pazaramaStatus) {
+    const mappedStatus = ORDER_STATUS_MAP[pazaramaStatus];
+
+    if (!mappedStatus) {
+      this.logger.warn(
+        `Unknown Pazarama order status encountered: ${pazaramaStatus}`,
+        {
+          platformType: "pazarama",
+          connectionId: this.connectionId,
+          unmappedStatus: pazaramaStatus,
+        }
+      );
+      return "unknown";
+    }
+
+    return mappedStatus;
+  }
+
+  /**
+   * Map internal status to Pazarama status code
+   * @param {string} internalStatus - Internal status
+   * @returns {number|undefined} Pazarama status code
+   */
+  mapToPlatformStatus(internalStatus) {
+    return PLATFORM_STATUS_MAP[internalStatus];
+  }
+
+  /**
+   * Update order status on Pazarama, item by item
+   * @param {string} orderId - Internal order ID
+   * @param {string} newStatus - New status to set
+   * @param {Object} itemFields - Extra fields sent with every item
+   * @returns {Object} Result of the status update operation
+   */
+  async updateOrderStatus(orderId, newStatus, itemFields = {}) {
+    try {
+      await this.initialize();
+
+      const order = await Order.findByPk(orderId);
+      if (!order) {
+        throw new Error(`Order with ID ${orderId} not found`);
+      }
+
+      const pazaramaStatus = this.mapToPlatformStatus(newStatus);
+      if (pazaramaStatus === undefined) {
+        throw new Error(`Cannot map status '${newStatus}' to Pazarama status`);
+      }
+
+      const rawOrder =
+        typeof order.rawData === "string"
+          ? JSON.parse(order.rawData)
+          : order.rawData || {};
+      const orderItemIds = (rawOrder.items || []).map(
+        (item) => item.orderItemId
+      );
+      if (orderItemIds.length === 0) {
+        throw new Error("Order has no Pazarama order items to update");
+      }
+
+      for (const orderItemId of orderItemIds) {
+        await this.retryRequest(() =>
+          this.axiosInstance.put(PAZARAMA_API.ENDPOINTS.UPDATE_ORDER_STATUS, {
+            orderNumber: order.externalOrderId,
+            item: {
+              orderItemId,
+              status: pazaramaStatus,
+              ...itemFields,
+            },
+          })
+        );
+      }
+
+      await order.update({
+        orderStatus: newStatus,
+        lastSyncedAt: new Date(),
+      });
+
+      return {
+        success: true,
+        message: `Order status updated to ${newStatus}`,
+        data: order,
+      };
+    } catch (error) {
+      this.logger.error(
+        `Failed to update order status on Pazarama: ${error.message}`,
+        { error: error.message, orderId, connectionId: this.connectionId }
+      );
+
+      return {
+        success: false,
+        message: `Failed to update order status: ${this.extractErrorMessage(
+          error
+        )}`,
+        error: error.response?.data || error.message,
+      };
+    }
+  }
+
+  /**
+   * Mark the order items shipped with the tracking number of the seller's
+   * own carrier
+   * @param {string} orderId - Internal order ID
+   * @param {Object} tracking - { trackingNumber, trackingUrl, carrierCode, carrierName }
+   * @returns {Object} Result of the status update operation
+   */
+  async updateTrackingNumber(orderId, tracking = {}) {
+    if (!tracking.trackingNumber) {
+      return {
+        success: false,
+        message: "Failed to update tracking number: A tracking number is required",
+      };
+    }
+
+    return this.updateOrderStatus(orderId, "shipped", {
+      shippingTrackingNumber: tracking.trackingNumber,
+      trackingUrl: tracking.trackingUrl || undefined,
+    });
+  }
+
+  extractErrorMessage(error) {
+    const data = error.response?.data;
+    if (data && typeof data === "object") {
+      return data.message || data.error_description || error.message;
+    }
+    return typeof data === "string" && data ? data : error.message;
+  }
+}
+
+module.exports = PazaramaService;
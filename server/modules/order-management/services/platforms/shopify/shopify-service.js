@@ -0,0 +1,840 @@
+// src/services/platforms/shopify/shopify-service.js
+
+const axios = require("axios");
+const BasePlatformService = require("../BasePlatformService");
+const { Order } = require("../../../../../models");
+const { attachHttpFixtures } = require("../http-fixtures");
+
+// Constants for the Shopify Admin REST API
+const SHOPIFY_API = {
+  DEFAULT_VERSION: "2024-10",
+  ENDPOINTS: {
+    SHOP: "/shop.json",
+    ORDERS: "/orders.json",
+    ORDER_CANCEL: "/orders/{orderId}/cancel.json",
+    FULFILLMENT_ORDERS: "/orders/{orderId}/fulfillment_orders.json",
+    FULFILLMENTS: "/fulfillments.json",
+    PRODUCTS: "/products.json",
+    PRODUCT: "/products/{productId}.json",
+    VARIANT: "/variants/{variantId}.json",
+    LOCATIONS: "/locations.json",
+    INVENTORY_SET: "/inventory_levels/set.json",
+    WEBHOOKS: "/webhooks.json",
+  },
+  PAGE_SIZE: 250,
+  WEBHOOK_TOPICS: [
+    "orders/create",
+    "orders/updated",
+    "orders/cancelled",
+    "orders/fulfilled",
+  ],
+};
+
+// Shopify has no single order status; getOrderState() derives one of these
+const ORDER_STATUS_MAP = {
+  cancelled: "cancelled",
+  refunded: "returned",
+  fulfilled: "shipped",
+  partial: "processing",
+  pending: "pending",
+  authorized: "pending",
+  paid: "new",
+  partially_paid: "new",
+  partially_refunded: "new",
+  voided: "cancelled",
+};
+
+/**
+ * Shopify Service
+ * Connects a merchant's Shopify store through the Admin REST API
+ * using a custom app access token.
+ * @see https://shopify.dev/docs/api/admin-rest
+ */
+class ShopifyService extends BasePlatformService {
+  constructor(connectionId, directCredentials = null) {
+    super(connectionId, directCredentials);
+    this.locationId = null;
+    this.logger = this.getLogger();
+  }
+
+  /**
+   * Get the platform type
+   * @returns {string} Platform type identifier
+   */
+  getPlatformType() {
+    return "shopify";
+  }
+
+  /**
+   * Setup Axios instance with the X-Shopify-Access-Token header
+   * Implementation of abstract method from BasePlatformService
+   */
+  async setupAxiosInstance() {
+    const { shopUrl, accessToken, apiVersion, locationId } =
+      this.decryptCredentials(this.connection.credentials);
+
+    if (!shopUrl || !accessToken) {
+      throw new Error(
+        "Missing required Shopify credentials. Shop domain and Admin API access token are required."
+      );
+    }
+
+    this.apiUrl = `${shopUrl}/admin/api/${apiVersion}`;
+    this.locationId = locationId || null;
+
+    this.axiosInstance = attachHttpFixtures(
+      axios.create({
+        baseURL: this.apiUrl,
+        headers: {
+          "X-Shopify-Access-Token": accessToken,
+          "Content-Type": "application/json",
+          Accept: "application/json",
+        },
+        timeout: 60000,
+      }),
+      this.getPlatformType()
+    );
+
+    this.logger.info("Shopify Axios instance setup completed", {
+      baseURL: this.apiUrl,
+      connectionId: this.connectionId,
+    });
+
+    return true;
+  }
+
+  /**
+   * Read Shopify credentials. The shop may be given as "my-shop",
+   * "my-shop.myshopify.com" or a full URL (a local mock server for example).
+   * @param {string|object} encryptedCredentials
+   * @returns {object} { shopUrl, accessToken, apiSecret, apiVersion, locationId }
+   */
+  decryptCredentials(encryptedCredentials) {
+    const credentials = super.decryptCredentials(encryptedCredentials);
+    const shop = (credentials.shopDomain || credentials.apiUrl || "")
+      .trim()
+      .replace(/\/+$/, "");
+
+    let shopUrl = shop;
+    if (shop && !/^https?:\/\//.test(shop)) {
+      shopUrl = shop.includes(".")
+        ? `https://${shop}`
+        : `https://${shop}.myshopify.com`;
+    }
+
+    return {
+      shopUrl,
+      accessToken: credentials.accessToken || credentials.apiKey,
+      apiSecret: credentials.apiSecret || credentials.webhookSecret,
+      apiVersion: credentials.apiVersion || SHOPIFY_API.DEFAULT_VERSION,
+      locationId: credentials.locationId,
+    };
+  }
+
+  /**
+   * Test connection by reading the shop details
+   * @returns {Promise<Object>} Test result
+   */
+  async testConnection() {
+    try {
+      await this.initialize();
+
+      const response = await this.retryRequest(() =>
+        this.axiosInstance.get(SHOPIFY_API.ENDPOINTS.SHOP)
+      );
+      const shop = response.data?.shop || {};
+
+      return {
+        success: true,
+        message: "Connection successful",
+        data: {
+          connectionId: this.connectionId,
+          shopName: shop.name,
+          currency: shop.currency,
+          status: "active",
+        },
+      };
+    } catch (error) {
+      this.logger.error(`Shopify connection test failed: ${error.message}`, {
+        error: error.message,
+        connectionId: this.connectionId,
+      });
+
+      return {
+        success: false,
+        message: `Connection failed: ${this.extractErrorMessage(error)}`,
+        error: error.response?.data || error.message,
+      };
+    }
+  }
+
+  /**
+   * Fetch orders from Shopify and store them.
+   * Pages are followed through the Link header (cursor based pagination).
+   * @param {Object} params - { startDate, endDate }
+   * @returns {Promise<Object>} Result containing order data
+   */
+  async fetchOrders(params = {}) {
+    try {
+      await this.initialize();
+
+      const endDate = params.endDate ? new Date(params.endDate) : new Date();
+      const startDate = params.startDate
+        ? new Date(params.startDate)
+        : new Date(this.getDefaultStartDate());
+
+      const orders = [];
+      let requestParams = {
+        status: "any",
+        created_at_min: startDate.toISOString(),
+        created_at_max: endDate.toISOString(),
+        limit: SHOPIFY_API.PAGE_SIZE,
+      };
+      let pages = 0;
+
+      while (requestParams && pages < 1000) {
+        const response = await this.retryRequest(() =>
+          this.axiosInstance.get(SHOPIFY_API.ENDPOINTS.ORDERS, {
+            params: requestParams,
+          })
+        );
+
+        orders.push(...(response.data?.orders || []));
+        const pageInfo = this.getNextPageInfo(response.headers?.link);
+        // Shopify rejects filters next to page_info
+        requestParams = pageInfo
+          ? { page_info: pageInfo, limit: SHOPIFY_API.PAGE_SIZE }
+          : null;
+        pages++;
+      }
+
+      this.logger.info(`Retrieved ${orders.length} orders from Shopify`, {
+        connectionId: this.connectionId,
+      });
+
+      const { data, stats } = await this.saveNormalizedOrders(
+        orders.map((order) => this.normalizeOrder(order))
+      );
+
+      return {
+        success: true,
+        message: `Successfully fetched ${data.length} orders from Shopify`,
+        data,
+        stats,
+      };
+    } catch (error) {
+      this.logger.error(`Failed to fetch orders from Shopify: ${error.message}`, {
+        error: error.message,
+        connectionId: this.connectionId,
+      });
+
+      return {
+        success: false,
+        message: `Failed to fetch orders: ${this.extractErrorMessage(error)}`,
+        error: error.response?.data || error.message,
+        data: [],
+      };
+    }
+  }
+
+  /**
+   * Extract the page_info cursor of the rel="next" link
+   * @param {string} linkHeader - Link response header
+   * @returns {string|null} Cursor of the next page
+   */
+  getNextPageInfo(linkHeader) {
+    if (!linkHeader) {
+      return null;
+    }
+
+    const next = linkHeader
+      .split(",")
+      .find((part) => part.includes('rel="next"'));
+    const match = next && next.match(/[?&]page_info=([^&>]+)/);
+    return match ? decodeURIComponent(match[1]) : null;
+  }
+
+  /**
+   * Map a Shopify order to the common order shape
+   * @param {Object} order - Raw Shopify order
+   * @returns {Object} Normalized order, see saveNormalizedOrders
+   */
+  normalizeOrder(order) {
+    const address = order.shipping_address || order.billing_address || {};
+    const customer = order.customer || {};
+    const customerName =
+      [customer.first_name, customer.last_name].filter(Boolean).join(" ") ||
+      address.name ||
+      "";
+    const phone = address.phone || order.phone || customer.phone || "";
+    const fulfillment = (order.fulfillments || []).find(
+      (entry) => entry.tracking_number
+    );
+    const currency = order.currency || "TRY";
+
+    return {
+      externalOrderId: String(order.id),
+      orderNumber: String(order.name || order.order_number || order.id),
+      platformOrderId: String(order.id),
+      orderDate: new Date(order.created_at),
+      orderStatus: this.mapOrderStatus(this.getOrderState(order)),
+      totalAmount: parseFloat(order.total_price) || 0,
+      currency,
+      customerName,
+      customerEmail: order.email || customer.email || "",
+      customerPhone: phone,
+      shippingAddress: address,
+      cargoTrackingNumber: fulfillment?.tracking_number || "",
+      cargoCompany: fulfillment?.tracking_company || "",
+      cargoTrackingUrl: fulfillment?.tracking_url || "",
+      notes: order.note || "",
+      rawData: order,
+      shipping: {
+        recipientName: address.name || customerName,
+        address: [address.address1, address.address2].filter(Boolean).join(" "),
+        city: address.city || "",
+        state: address.province || "",
+        postalCode: address.zip || "",
+        country: address.country_code || "TR",
+        phone,
+        email: order.email || "",
+      },
+      items: (order.line_items || []).map((item) => {
+        const discount = (item.discount_allocations || []).reduce(
+          (sum, allocation) => sum + (parseFloat(allocation.amount) || 0),
+          0
+        );
+        return {
+          platformProductId: String(item.variant_id || item.product_id || ""),
+          title: item.title || item.name || "Unknown Product",
+          sku: item.sku || "",
+          barcode: item.sku || "",
+          quantity: item.quantity || 1,
+          price: parseFloat(item.price) || 0,
+          discount,
+          merchantDiscount: discount,
+          currency,
+          rawData: item,
+        };
+      }),
+    };
+  }
+
+  /**
+   * Derive a single state from Shopify's cancel, fulfillment and payment fields
+   * @param {Object} order - Raw Shopify order
+   * @returns {string} Key of ORDER_STATUS_MAP
+   */
+  getOrderState(order) {
+    if (order.cancelled_at) return "cancelled";
+    if (order.financial_status === "refunded") return "refunded";
+    if (order.fulfillment_status === "fulfilled") return "fulfilled";
+    if (order.fulfillment_status === "partial") return "partial";
+    return order.financial_status || "pending";
+  }
+
+  /**
+   * Map Shopify order state to internal status
+   * @param {string} shopifyState - State from getOrderState()
+   * @returns {string} Internal status
+   */
+  mapOrderStatus(shopifyState) {
+    const mappedStatus = ORDER_STATUS_MAP[shopifyState];
+
+    if (!mappedStatus) {
+      this.logger.warn(`Unknown Shopify order state encountered: ${shopifyState}`, {
+        platformType: "shopify",
+        connectionId: this.connectionId,
+        unmappedStatus: shopifyState,
+      });
+      return "unknown";
+    }
+
+    return mappedStatus;
+  }
+
+  /**
+   * Map internal status to the Shopify action that produces it
+   * @param {string} internalStatus - Internal status
+   * @returns {string|undefined} "fulfill" or "cancel"
+   */
+  mapToPlatformStatus(internalStatus) {
+    const actions = {
+      shipped: "fulfill",
+      cancelled: "cancel",
+    };
+    return actions[internalStatus];
+  }
+
+  /**
+   * Update order status on Shopify. Shipping creates a fulfillment with the
+   * order's tracking number, cancelling cancels the order.
+   * @param {string} orderId - Internal order ID
+   * @param {string} newStatus - New status to set
+   * @returns {Object} Result of the status update operation
+   */
+  async updateOrderStatus(orderId, newStatus) {
+    try {
+      await this.initialize();
+
+      const order = await Order.findByPk(orderId);
+      if (!order) {
+        throw new Error(`Order with ID ${orderId} not found`);
+      }
+
+      const action = this.mapToPlatformStatus(newStatus);
+      if (!action) {
+        throw new Error(`Cannot map status '${newStatus}' to Shopify status`);
+      }
+
+      if (action === "cancel") {
+        await this.retryRequest(() =>
+          this.axiosInstance.post(
+            SHOPIFY_API.ENDPOINTS.ORDER_CANCEL.replace(
+              "{orderId}",
+              order.externalOrderId
+            ),
+            {}
+          )
+        );
+      } else {
+        await this.createFulfillment(order);
+      }
+
+      await order.update({
+        orderStatus: newStatus,
+        lastSyncedAt: new Date(),
+      });
+
+      return {
+        success: true,
+        message: `Order status updated to ${newStatus}`,
+        data: order,
+      };
+    } catch (error) {
+      this.logger.error(
+        `Failed to update order status on Shopify: ${error.message}`,
+        { error: error.message, orderId, connectionId: this.connectionId }
+      );
+
+      return {
+        success: false,
+        message: `Failed to update order status: ${this.extractErrorMessage(
+          error
+        )}`,
+        error: error.response?.data || error.message,
+      };
+    }
+  }
+
+  /**
+   * Fulfill the order on Shopify with its tracking number
+   * @param {string} orderId - Internal order ID with cargoTrackingNumber set
+   * @returns {Object} Result of the status update operation
+   */
+  async updateTrackingNumber(orderId) {
+    return this.updateOrderStatus(orderId, "shipped");
+  }
+
+  /**
+   * Fulfill all open fulfillment orders of an order
+   * @param {Object} order - Internal order
+   * @returns {Promise<Object>} Created fulfillment
+   */
+  async createFulfillment(order) {
+    const response = await this.retryRequest(() =>
+      this.axiosInstance.get(
+        SHOPIFY_API.ENDPOINTS.FULFILLMENT_ORDERS.replace(
+          "{orderId}",
+          order.externalOrderId
+        )
+      )
+    );
+
+    const openFulfillmentOrders = (
+      response.data?.fulfillment_orders || []
+    ).filter((fulfillmentOrder) =>
+      ["open", "in_progress"].includes(fulfillmentOrder.status)
+    );
+    if (openFulfillmentOrders.length === 0) {
+      throw new Error("Order has no open fulfillment orders on Shopify");
+    }
+
+    const fulfillment = {
+      line_items_by_fulfillment_order: openFulfillmentOrders.map(
+        (fulfillmentOrder) => ({ fulfillment_order_id: fulfillmentOrder.id })
+      ),
+      notify_customer: true,
+    };
+    if (order.cargoTrackingNumber) {
+      fulfillment.tracking_info = {
+        number: order.cargoTrackingNumber,
+        company: order.cargoCompany || undefined,
+        url: order.cargoTrackingUrl || undefined,
+      };
+    }
+
+    const created = await this.retryRequest(() =>
+      this.axiosInstance.post(SHOPIFY_API.ENDPOINTS.FULFILLMENTS, {
+        fulfillment,
+      })
+    );
+    return created.data?.fulfillment;
+  }
+
+  /**
+   * Location used for inventory updates: the configured one or the
+   * first active location of the shop
+   * @returns {Promise<string>} Location ID
+   */
+  async getLocationId() {
+    if (this.locationId) {
+      return this.locationId;
+    }
+
+    const response = await this.retryRequest(() =>
+      this.axiosInstance.get(SHOPIFY_API.ENDPOINTS.LOCATIONS)
+    );
+    const location = (response.data?.locations || []).find(
+      (entry) => entry.active !== false
+    );
+    if (!location) {
+      throw new Error("No active Shopify location found for inventory");
+    }
+
+    this.locationId = String(location.id);
+    return this.locationId;
+  }
+
+  /**
+   * Set the available quantity of a variant at the inventory location
+   * @param {Object} variant - Shopify variant with inventory_item_id
+   * @param {number} quantity - New stock quantity
+   */
+  async setInventory(variant, quantity) {
+    const locationId = await this.getLocationId();
+    await this.retryRequest(() =>
+      this.axiosInstance.post(SHOPIFY_API.ENDPOINTS.INVENTORY_SET, {
+        location_id: locationId,
+        inventory_item_id: variant.inventory_item_id,
+        available: Math.max(0, quantity || 0),
+      })
+    );
+  }
+
+  /**
+   * Split data from PlatformSyncService.transformProductForPlatform into
+   * Shopify product and variant fields. Only present fields are included.
+   * @param {Object} productData - Transformed product data
+   * @returns {Object} { product, variant }
+   */
+  buildProductPayload(productData) {
+    const product = {};
+    const variant = {};
+
+    if (productData.name !== undefined) product.title = productData.name;
+    if (productData.description !== undefined) {
+      product.body_html = productData.description || "";
+    }
+    if (productData.brand !== undefined) product.vendor = productData.brand;
+    if (productData.tags !== undefined) {
+      product.tags = Array.isArray(productData.tags)
+        ? productData.tags.join(", ")
+        : productData.tags || "";
+    }
+    if (productData.isActive !== undefined) {
+      product.status = productData.isActive ? "active" : "draft";
+    }
+    if (Array.isArray(productData.images) && productData.images.length > 0) {
+      product.images = productData.images
+        .map((image) => (typeof image === "string" ? image : image?.url))
+        .filter(Boolean)
+        .map((src) => ({ src }));
+    }
+
+    if (productData.sku !== undefined) variant.sku = productData.sku;
+    if (productData.barcode !== undefined) variant.barcode = productData.barcode;
+    if (productData.price !== undefined && productData.price !== null) {
+      const hasDiscount =
+        productData.discountedPrice !== undefined &&
+        productData.discountedPrice !== null &&
+        productData.discountedPrice < productData.price;
+      // Shopify sells at "price" and shows "compare_at_price" struck through
+      variant.price = String(
+        hasDiscount ? productData.discountedPrice : productData.price
+      );
+      variant.compare_at_price = hasDiscount ? String(productData.price) : null;
+    }
+    if (productData.weight !== undefined && productData.weight !== null) {
+      variant.weight = productData.weight;
+      variant.weight_unit = "kg";
+    }
+
+    return { product, variant };
+  }
+
+  /**
+   * Create a product on Shopify
+   * @param {Object} productData - Transformed product data
+   * @returns {Promise<Object>} { status, externalId, message }
+   */
+  async createProduct(productData) {
+    try {
+      await this.initialize();
+
+      const { product, variant } = this.buildProductPayload(productData);
+      const response = await this.retryRequest(() =>
+        this.axiosInstance.post(SHOPIFY_API.ENDPOINTS.PRODUCTS, {
+          product: {
+            ...product,
+            variants: [{ ...variant, inventory_management: "shopify" }],
+          },
+        })
+      );
+
+      const created = response.data?.product;
+      if (productData.stockQuantity !== undefined && created?.variants?.[0]) {
+        await this.setInventory(created.variants[0], productData.stockQuantity);
+      }
+
+      return {
+        status: "success",
+        externalId: String(created.id),
+        message: "Product created on Shopify",
+        data: created,
+      };
+    } catch (error) {
+      this.logger.error(`Failed to create product on Shopify: ${error.message}`, {
+        error: error.message,
+        connectionId: this.connectionId,
+      });
+      return {
+        status: "error",
+        message: "Failed to create product on Shopify",
+        error: this.extractErrorMessage(error),
+      };
+    }
+  }
+
+  /**
+   * Update product, price and stock on Shopify. Local products map to
+   * single variant Shopify products, so the first variant carries price,
+   * SKU and inventory.
+   * @param {string} externalId - Shopify product ID
+   * @param {Object} productData - Transformed product data
+   * @returns {Promise<Object>} { status, externalId, message }
+   */
+  async updateProduct(externalId, productData) {
+    try {
+      await this.initialize();
+
+      const productUrl = SHOPIFY_API.ENDPOINTS.PRODUCT.replace(
+        "{productId}",
+        externalId
+      );
+      const current = await this.retryRequest(() =>
+        this.axiosInstance.get(productUrl)
+      );
+      const currentVariant = current.data?.product?.variants?.[0];
+      if (!currentVariant) {
+        throw new Error(`Shopify product ${externalId} has no variants`);
+      }
+
+      const { product, variant } = this.buildProductPayload(productData);
+
+      if (Object.keys(product).length > 0) {
+        await this.retryRequest(() =>
+          this.axiosInstance.put(productUrl, {
+            product: { id: externalId, ...product },
+          })
+        );
+      }
+
+      if (Object.keys(variant).length > 0) {
+        await this.retryRequest(() =>
+          this.axiosInstance.put(
+            SHOPIFY_API.ENDPOINTS.VARIANT.replace(
+              "{variantId}",
+              currentVariant.id
+            ),
+            { variant: { id: currentVariant.id, ...variant } }
+          )
+        );
+      }
+
+      if (productData.stockQuantity !== undefined) {
+        await this.setInventory(currentVariant, productData.stockQuantity);
+      }
+
+      return {
+        status: "success",
+        externalId: String(externalId),
+        message: "Product updated on Shopify",
+      };
+    } catch (error) {
+      this.logger.error(`Failed to update product on Shopify: ${error.message}`, {
+        error: error.message,
+        externalId,
+        connectionId: this.connectionId,
+      });
+      return {
+        status: "error",
+        externalId,
+        message: "Failed to update product on Shopify",
+        error: this.extractErrorMessage(error),
+      };
+    }
+  }
+
+  /**
+   * Delete a product from Shopify
+   * @param {string} externalId - Shopify product ID
+   * @returns {Promise<Object>} { status, externalId, message }
+   */
+  async deleteProduct(externalId) {
+    try {
+      await this.initialize();
+
+      await this.retryRequest(() =>
+        this.axiosInstance.delete(
+          SHOPIFY_API.ENDPOINTS.PRODUCT.replace("{productId}", externalId)
+        )
+      );
+
+      return {
+        status: "success",
+        externalId,
+        message: "Product deleted from Shopify",
+      };
+    } catch (error) {
+      if (error.response?.status === 404) {
+        return {
+          status: "skipped",
+          externalId,
+          message: "Product not found on Shopify",
+        };
+      }
+
+      this.logger.error(`Failed to delete product on Shopify: ${error.message}`, {
+        error: error.message,
+        externalId,
+        connectionId: this.connectionId,
+      });
+      return {
+        status: "error",
+        externalId,
+        message: "Failed to delete product on Shopify",
+        error: this.extractErrorMessage(error),
+      };
+    }
+  }
+
+  /**
+   * Register order webhooks on the shop, pointing at our webhook endpoint.
+   * Deliveries are signed with the app's API secret key.
+   * @param {string} deliveryUrl - Public URL of the webhook endpoint
+   * @returns {Promise<Object>} Result with registered topics
+   */
+  async registerWebhooks(deliveryUrl) {
+    try {
+      await this.initialize();
+
+      const existing = await this.retryRequest(() =>
+        this.axiosInstance.get(SHOPIFY_API.ENDPOINTS.WEBHOOKS, {
+          params: { address: deliveryUrl },
+        })
+      );
+      const registered = new Set(
+        (existing.data?.webhooks || []).map((hook) => hook.topic)
+      );
+
+      const created = [];
+      for (const topic of SHOPIFY_API.WEBHOOK_TOPICS) {
+        if (registered.has(topic)) {
+          continue;
+        }
+        await this.retryRequest(() =>
+          this.axiosInstance.post(SHOPIFY_API.ENDPOINTS.WEBHOOKS, {
+            webhook: { topic, address: deliveryUrl, format: "json" },
+          })
+        );
+        created.push(topic);
+      }
+
+      return {
+        success: true,
+        message: `Registered ${created.length} Shopify webhooks`,
+        data: { deliveryUrl, created, existing: [...registered] },
+      };
+    } catch (error) {
+      this.logger.error(`Failed to register Shopify webhooks: ${error.message}`, {
+        error: error.message,
+        connectionId: this.connectionId,
+      });
+      return {
+        success: false,
+        message: `Failed to register webhooks: ${this.extractErrorMessage(
+          error
+        )}`,
+        error: error.response?.data || error.message,
+      };
+    }
+  }
+
+  /**
+   * Verify the X-Shopify-Hmac-Sha256 header of a webhook delivery
+   * @param {Buffer|string} rawBody - Request body exactly as received
+   * @param {Object} headers - Request headers
+   * @returns {boolean} True if the delivery is authentic
+   */
+  verifyWebhook(rawBody, headers) {
+    const { apiSecret } = this.decryptCredentials(this.connection.credentials);
+    return this.verifyHmacSignature(
+      rawBody,
+      headers["x-shopify-hmac-sha256"],
+      apiSecret
+    );
+  }
+
+  /**
+   * Process a verified webhook delivery
+   * @param {Object} payload - Parsed request body (a Shopify order)
+   * @param {Object} headers - Request headers
+   * @returns {Promise<Object>} Processing result
+   */
+  async handleWebhook(payload, headers) {
+    const topic = headers["x-shopify-topic"];
+
+    if (!SHOPIFY_API.WEBHOOK_TOPICS.includes(topic)) {
+      return { success: true, message: `Ignored webhook topic ${topic}` };
+    }
+
+    const { data, stats } = await this.saveNormalizedOrders([
+      this.normalizeOrder(payload),
+    ]);
+
+    return {
+      success: true,
+      message: `Processed ${topic} for order ${payload.id}`,
+      data,
+      stats,
+    };
+  }
+
+  extractErrorMessage(error) {
+    const errors = error.response?.data?.errors;
+    if (!errors) {
+      return error.message;
+    }
+    if (typeof errors === "string") {
+      return errors;
+    }
+    return Object.entries(errors)
+      .map(([field, messages]) =>
+        `${field}: ${[].concat(messages).join(", ")}`
+      )
+      .join("; ");
+  }
+}
+
+module.exports = ShopifyService;
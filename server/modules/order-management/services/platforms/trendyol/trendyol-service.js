@@ -26,15 +26,35 @@ const TRENDYOL_API = {
     // Package status update endpoints - Official Trendyol API
     UPDATE_PACKAGE:
       "/integration/order/sellers/{sellerId}/shipment-packages/{packageId}",
+    UPDATE_TRACKING_NUMBER:
+      "/integration/order/sellers/{sellerId}/shipment-packages/{packageId}/update-tracking-number",
 
     PRODUCTS: "/integration/product/sellers/{supplierId}/products",
-    CLAIMS: "/integration/suppliers/{supplierId}/claims",
+    CLAIMS: "/integration/order/sellers/{sellerId}/claims",
+    CLAIM_APPROVE:
+      "/integration/order/sellers/{sellerId}/claims/{claimId}/items/approve",
+    CLAIM_ISSUE: "/integration/order/sellers/{sellerId}/claims/{claimId}/issue",
+    CLAIM_ISSUE_REASONS: "/integration/order/claim-issue-reasons",
+    SELLER_INVOICE_LINKS: "/integration/sellers/{sellerId}/seller-invoice-links",
     SETTLEMENT: "/integration/suppliers/{supplierId}/settlements",
+    FINANCE_SETTLEMENTS:
+      "/integration/finance/che/sellers/{sellerId}/settlements",
+    FINANCE_OTHER_FINANCIALS:
+      "/integration/finance/che/sellers/{sellerId}/otherfinancials",
     BATCH_REQUEST: "/integration/suppliers/{supplierId}/batch-requests",
     SHIPPING_PROVIDERS: "/integration/shipment-providers",
   },
 };
 
+// The finance API answers at most 15 days per query; its amounts include VAT
+const FINANCE_WINDOW_MS = 15 * 24 * 60 * 60 * 1000;
+const FINANCE_PAGE_SIZE = 500;
+const FINANCE_MAX_PAGES = 50;
+const FEE_VAT_RATE = 20;
+// Deduction invoices for shipping; commission invoices are already covered
+// by the commission of each settlement row
+const SHIPPING_DEDUCTION_PATTERN = /kargo/i;
+
 /**
  * Trendyol Service
  * Handles integration with Trendyol marketplace
@@ -1429,6 +1449,74 @@ class TrendyolService extends BasePlatformService {
     }
   }
 
+  /**
+   * Report the tracking number of a package shipped with the seller's own
+   * carrier contract; Trendyol moves the package to shipped itself
+   * @param {string} orderId - Internal order ID
+   * @param {Object} tracking - { trackingNumber, trackingUrl, carrierCode, carrierName }
+   * @returns {Object} - Result of the tracking update
+   */
+  async updateTrackingNumber(orderId, tracking = {}) {
+    try {
+      await this.initialize();
+      const credentials = this.decryptCredentials(this.connection.credentials);
+      const supplierId = credentials.supplierId || credentials.sellerId;
+
+      if (!supplierId) {
+        throw new Error("Missing seller ID or supplier ID in credentials");
+      }
+
+      if (!tracking.trackingNumber) {
+        throw new Error("A tracking number is required");
+      }
+
+      const order = await Order.findByPk(orderId);
+
+      if (!order) {
+        throw new Error(`Order with ID ${orderId} not found`);
+      }
+
+      const response = await this.retryRequest(() =>
+        this.axiosInstance.put(
+          TRENDYOL_API.ENDPOINTS.UPDATE_TRACKING_NUMBER.replace(
+            "{sellerId}",
+            supplierId
+          ).replace("{packageId}", order.externalOrderId),
+          { trackingNumber: tracking.trackingNumber }
+        )
+      );
+
+      if (response.status >= 400) {
+        throw new Error(
+          response.data?.errors?.[0]?.message ||
+            `Trendyol responded with ${response.status}`
+        );
+      }
+
+      await order.update({
+        orderStatus: "shipped",
+        lastSyncedAt: new Date(),
+      });
+
+      return {
+        success: true,
+        message: "Tracking number updated",
+        data: order,
+      };
+    } catch (error) {
+      this.logger.error(
+        `Failed to update tracking number on Trendyol: ${error.message}`,
+        { error, orderId, connectionId: this.connectionId }
+      );
+
+      return {
+        success: false,
+        message: `Failed to update tracking number: ${error.message}`,
+        error: error.response?.data || error.message,
+      };
+    }
+  }
+
   /**
    * Accept an order on Trendyol platform using the official package update API
    * Uses PUT /integration/order/sellers/{sellerId}/shipment-packages/{packageId} with status "Picking"
@@ -2727,7 +2815,491 @@ class TrendyolService extends BasePlatformService {
 
     return flatCategories;
   }
-}
+
+  /**
+   * Fetch return claims from Trendyol
+   * @param {Object} params - { startDate, endDate, page, size }
+   * @returns {Promise<Object>} Normalized claims, see BasePlatformService.fetchClaims
+   */
+  async fetchClaims(params = {}) {
+    try {
+      await this.initialize();
+      const credentials = this.decryptCredentials(this.connection.credentials);
+      const supplierId = credentials.supplierId || credentials.sellerId;
+
+      const defaultStartDate = new Date();
+      defaultStartDate.setDate(defaultStartDate.getDate() - 14);
+
+      const queryParams = {
+        startDate: new Date(params.startDate || defaultStartDate).getTime(),
+        endDate: new Date(params.endDate || Date.now()).getTime(),
+        page: params.page || 0,
+        size: Math.min(params.size || 50, 200),
+      };
+
+      const response = await this.retryRequest(() =>
+        this.axiosInstance.get(
+          TRENDYOL_API.ENDPOINTS.CLAIMS.replace("{sellerId}", supplierId),
+          { params: queryParams }
+        )
+      );
+
+      if (response.status >= 400 || !Array.isArray(response.data?.content)) {
+        return {
+          success: false,
+          message:
+            response.data?.errors?.[0]?.message ||
+            "Unexpected response format from Trendyol claims API",
+          data: [],
+        };
+      }
+
+      return {
+        success: true,
+        data: response.data.content.map((claim) => this.normalizeClaim(claim)),
+        pagination: {
+          page: response.data.page || 0,
+          size: response.data.size || queryParams.size,
+          totalPages: response.data.totalPages || 1,
+          totalElements: response.data.totalElements || 0,
+        },
+      };
+    } catch (error) {
+      this.logger.error(`Failed to fetch claims from Trendyol: ${error.message}`, {
+        error,
+        connectionId: this.connectionId,
+      });
+
+      return {
+        success: false,
+        message: `Failed to fetch claims: ${error.message}`,
+        data: [],
+      };
+    }
+  }
+
+  /**
+   * Normalize a Trendyol claim; Trendyol has one claim item per returned
+   * unit, so the units of an order line are merged into one item
+   * @param {Object} claim - Claim from the claims API
+   * @returns {Object} Normalized claim
+   */
+  normalizeClaim(claim) {
+    const items = (claim.items || []).map((item) => {
+      const claimItems = item.claimItems || [];
+      const first = claimItems[0] || {};
+      const reason =
+        first.customerClaimItemReason || first.trendyolClaimItemReason || {};
+      const platformStatus = first.claimItemStatus?.name;
+
+      return {
+        externalItemIds: claimItems.map((claimItem) => String(claimItem.id)),
+        sku: item.orderLine?.merchantSku || null,
+        barcode: item.orderLine?.barcode || null,
+        productName: item.orderLine?.productName || null,
+        quantity: claimItems.length || 1,
+        price: item.orderLine?.price ?? null,
+        reasonCode: reason.code || reason.externalReasonId || null,
+        reasonName: reason.name || null,
+        customerNote: first.customerNote || null,
+        platformStatus,
+        status: this.mapClaimStatus(platformStatus),
+      };
+    });
+
+    return {
+      externalClaimId: String(claim.id),
+      orderNumber: claim.orderNumber ? String(claim.orderNumber) : null,
+      status: this.getClaimStatusFromItems(items),
+      platformStatus: items[0]?.platformStatus || null,
+      claimDate: claim.claimDate ? new Date(claim.claimDate) : null,
+      customerNote: items.find((item) => item.customerNote)?.customerNote || null,
+      cargoTrackingNumber: claim.cargoTrackingNumber
+        ? String(claim.cargoTrackingNumber)
+        : null,
+      cargoProvider: claim.cargoProviderName || null,
+      items,
+      rawData: claim,
+    };
+  }
+
+  /**
+   * Map Trendyol claim item status to internal claim status
+   * @param {string} trendyolStatus - claimItemStatus name
+   * @returns {string} pending | approved | rejected | cancelled
+   */
+  mapClaimStatus(trendyolStatus) {
+    const statusMap = {
+      Created: "pending",
+      WaitingInAction: "pending",
+      WaitingFraudCheck: "pending",
+      InAnalysis: "pending",
+      Unresolved: "pending",
+      Accepted: "approved",
+      Rejected: "rejected",
+      Cancelled: "cancelled",
+    };
+
+    return statusMap[trendyolStatus] || "pending";
+  }
+
+  /**
+   * Approve claim items on Trendyol
+   * @param {string} externalClaimId - Trendyol claim ID
+   * @param {Array<string>} itemIds - Claim item IDs
+   * @returns {Promise<Object>} Result
+   */
+  async approveClaim(externalClaimId, itemIds = []) {
+    try {
+      await this.initialize();
+      const credentials = this.decryptCredentials(this.connection.credentials);
+      const supplierId = credentials.supplierId || credentials.sellerId;
+
+      const response = await this.retryRequest(() =>
+        this.axiosInstance.put(
+          TRENDYOL_API.ENDPOINTS.CLAIM_APPROVE.replace(
+            "{sellerId}",
+            supplierId
+          ).replace("{claimId}", externalClaimId),
+          {
+            claimLineItemIdList: itemIds,
+            params: {},
+          }
+        )
+      );
+
+      if (response.status >= 400) {
+        throw new Error(
+          response.data?.errors?.[0]?.message ||
+            `Trendyol responded with ${response.status}`
+        );
+      }
+
+      return {
+        success: true,
+        message: "Claim approved on Trendyol",
+      };
+    } catch (error) {
+      this.logger.error(`Failed to approve claim on Trendyol: ${error.message}`, {
+        error,
+        externalClaimId,
+        connectionId: this.connectionId,
+      });
+
+      return {
+        success: false,
+        message: `Failed to approve claim: ${error.message}`,
+      };
+    }
+  }
+
+  /**
+   * Reject claim items on Trendyol by opening a claim issue; Trendyol needs
+   * one of its claim issue reason IDs
+   * @param {string} externalClaimId - Trendyol claim ID
+   * @param {Array<string>} itemIds - Claim item IDs
+   * @param {Object} rejection - { reason, reasonCode }
+   * @returns {Promise<Object>} Result
+   */
+  async rejectClaim(externalClaimId, itemIds = [], rejection = {}) {
+    try {
+      if (!rejection.reasonCode) {
+        throw new Error("Trendyol requires a claim issue reason");
+      }
+
+      await this.initialize();
+      const credentials = this.decryptCredentials(this.connection.credentials);
+      const supplierId = credentials.supplierId || credentials.sellerId;
+
+      const response = await this.retryRequest(() =>
+        this.axiosInstance.post(
+          TRENDYOL_API.ENDPOINTS.CLAIM_ISSUE.replace(
+            "{sellerId}",
+            supplierId
+          ).replace("{claimId}", externalClaimId),
+          null,
+          {
+            params: {
+              claimIssueReasonId: rejection.reasonCode,
+              claimItemIdList: itemIds.join(","),
+              description: rejection.reason || "",
+            },
+          }
+        )
+      );
+
+      if (response.status >= 400) {
+        throw new Error(
+          response.data?.errors?.[0]?.message ||
+            `Trendyol responded with ${response.status}`
+        );
+      }
+
+      return {
+        success: true,
+        message: "Claim rejected on Trendyol",
+      };
+    } catch (error) {
+      this.logger.error(`Failed to reject claim on Trendyol: ${error.message}`, {
+        error,
+        externalClaimId,
+        connectionId: this.connectionId,
+      });
+
+      return {
+        success: false,
+        message: `Failed to reject claim: ${error.message}`,
+      };
+    }
+  }
+
+  /**
+   * Claim issue reasons accepted by rejectClaim
+   * @returns {Promise<Array>} [{ code, name }]
+   */
+  async getClaimRejectionReasons() {
+    await this.initialize();
+
+    const response = await this.retryRequest(() =>
+      this.axiosInstance.get(TRENDYOL_API.ENDPOINTS.CLAIM_ISSUE_REASONS)
+    );
+
+    if (response.status >= 400 || !Array.isArray(response.data)) {
+      throw new Error("Failed to load Trendyol claim issue reasons");
+    }
+
+    return response.data.map((reason) => ({
+      code: String(reason.id),
+      name: reason.name,
+    }));
+  }
+
+  /**
+   * Trendyol shows invoice links on the shipment package to the buyer
+   * @returns {boolean}
+   */
+  supportsInvoiceLinks() {
+    return true;
+  }
+
+  /**
+   * Send the link of an issued invoice for the shipment package of an order
+   * @param {Object} order - Order with platformOrderId (shipment package ID)
+   * @param {Object} invoice - { invoiceNumber, invoiceDate, url }
+   * @returns {Promise<Object>} { success, message }
+   */
+  async sendInvoiceLink(order, invoice) {
+    try {
+      await this.initialize();
+      const credentials = this.decryptCredentials(this.connection.credentials);
+      const supplierId = credentials.supplierId || credentials.sellerId;
+
+      const response = await this.retryRequest(() =>
+        this.axiosInstance.post(
+          TRENDYOL_API.ENDPOINTS.SELLER_INVOICE_LINKS.replace(
+            "{sellerId}",
+            supplierId
+          ),
+          {
+            invoiceLink: invoice.url,
+            shipmentPackageId: Number(
+              order.platformOrderId || order.externalOrderId
+            ),
+            invoiceDateTime: new Date(invoice.invoiceDate).getTime(),
+            invoiceNumber: invoice.invoiceNumber,
+          }
+        )
+      );
+
+      if (response.status >= 400) {
+        throw new Error(
+          response.data?.errors?.[0]?.message ||
+            `Trendyol responded with ${response.status}`
+        );
+      }
+
+      return {
+        success: true,
+        message: "Invoice link sent to Trendyol",
+      };
+    } catch (error) {
+      this.logger.error(
+        `Failed to send invoice link to Trendyol: ${error.message}`,
+        {
+          error,
+          orderId: order.id,
+          connectionId: this.connectionId,
+        }
+      );
+
+      return {
+        success: false,
+        message: `Failed to send invoice link: ${error.message}`,
+      };
+    }
+  }
+
+  /**
+   * Trendyol reports commissions and deduction invoices in its finance API
+   * @returns {boolean}
+   */
+  supportsFees() {
+    return true;
+  }
+
+  /**
+   * Fetch commissions from the settlements of sales and returns, and
+   * shipping fees from the deduction invoices, in 15 day windows
+   * @param {Object} params - { startDate, endDate }
+   * @returns {Promise<Object>} Normalized fees, see BasePlatformService.fetchFees
+   */
+  async fetchFees(params = {}) {
+    try {
+      await this.initialize();
+      const credentials = this.decryptCredentials(this.connection.credentials);
+      const sellerId = credentials.supplierId || credentials.sellerId;
+
+      const endDate = new Date(params.endDate || Date.now()).getTime();
+      const fees = [];
+
+      for (
+        let windowStart = new Date(params.startDate).getTime();
+        windowStart < endDate;
+        windowStart += FINANCE_WINDOW_MS
+      ) {
+        const window = {
+          startDate: windowStart,
+          endDate: Math.min(windowStart + FINANCE_WINDOW_MS, endDate) - 1,
+        };
+
+        for (const transactionType of ["Sale", "Return"]) {
+          const rows = await this.fetchFinanceRows(
+            TRENDYOL_API.ENDPOINTS.FINANCE_SETTLEMENTS,
+            sellerId,
+            transactionType,
+            window
+          );
+          for (const row of rows) {
+            const commission = Math.abs(parseFloat(row.commissionAmount) || 0);
+            if (commission === 0) continue;
+
+            fees.push(
+              this.normalizeFee(row, {
+                externalId: `settlement-${row.id}`,
+                type: "commission",
+                documentNumber: row.commissionInvoiceSerialNumber,
+                // Returns give the commission of the sale back
+                gross: transactionType === "Return" ? -commission : commission,
+              })
+            );
+          }
+        }
+
+        const deductions = await this.fetchFinanceRows(
+          TRENDYOL_API.ENDPOINTS.FINANCE_OTHER_FINANCIALS,
+          sellerId,
+          "DeductionInvoices",
+          window
+        );
+        for (const row of deductions) {
+          if (
+            !SHIPPING_DEDUCTION_PATTERN.test(
+              `${row.transactionType || ""} ${row.description || ""}`
+            )
+          ) {
+            continue;
+          }
+
+          fees.push(
+            this.normalizeFee(row, {
+              externalId: `deduction-${row.id}`,
+              type: "shipping",
+              documentNumber: row.invoiceSerialNumber || row.id,
+              gross: (parseFloat(row.debt) || 0) - (parseFloat(row.credit) || 0),
+            })
+          );
+        }
+      }
+
+      return { success: true, data: fees };
+    } catch (error) {
+      this.logger.error(`Failed to fetch fees from Trendyol: ${error.message}`, {
+        error,
+        connectionId: this.connectionId,
+      });
+
+      return {
+        success: false,
+        message: `Failed to fetch fees: ${error.message}`,
+        data: [],
+      };
+    }
+  }
+
+  /**
+   * All pages of one transaction type of a finance endpoint
+   * @param {string} endpoint - Finance endpoint
+   * @param {string} sellerId - Seller ID
+   * @param {string} transactionType - Trendyol transaction type
+   * @param {Object} window - { startDate, endDate } in milliseconds
+   * @returns {Promise<Array>} Rows
+   */
+  async fetchFinanceRows(endpoint, sellerId, transactionType, window) {
+    const rows = [];
+
+    for (let page = 0; page < FINANCE_MAX_PAGES; page++) {
+      const response = await this.retryRequest(() =>
+        this.axiosInstance.get(endpoint.replace("{sellerId}", sellerId), {
+          params: {
+            ...window,
+            transactionType,
+            page,
+            size: FINANCE_PAGE_SIZE,
+          },
+        })
+      );
+
+      if (response.status >= 400 || !Array.isArray(response.data?.content)) {
+        throw new Error(
+          response.data?.errors?.[0]?.message ||
+            `Unexpected response from Trendyol ${transactionType} finance API`
+        );
+      }
+
+      rows.push(...response.data.content);
+      if (page + 1 >= (response.data.totalPages || 1)) {
+        break;
+      }
+    }
+
+    return rows;
+  }
+
+  /**
+   * Normalize a finance row; Trendyol amounts include VAT
+   * @param {Object} row - Settlement or deduction invoice row
+   * @param {Object} fee - { externalId, type, documentNumber, gross }
+   * @returns {Object} Normalized fee
+   */
+  normalizeFee(row, { externalId, type, documentNumber, gross }) {
+    const total = Math.round(gross * 100) / 100;
+    const netAmount = Math.round((total / (1 + FEE_VAT_RATE / 100)) * 100) / 100;
+
+    return {
+      externalId,
+      type,
+      orderNumber: row.orderNumber ? String(row.orderNumber) : null,
+      documentNumber: documentNumber ? String(documentNumber) : null,
+      description: row.description || row.transactionType || null,
+      feeDate: new Date(row.transactionDate),
+      netAmount,
+      vatRate: FEE_VAT_RATE,
+      vatAmount: Math.round((total - netAmount) * 100) / 100,
+      total,
+      currency: "TRY",
+      rawData: row,
+    };
+  }
 
   /**
    * Publishes a list of products to Trendyol by transforming them into the required API format.
@@ -0,0 +1,718 @@
+// src/services/platforms/woocommerce/woocommerce-service.js
+
+const axios = require("axios");
+const BasePlatformService = require("../BasePlatformService");
+const { Order } = require("../../../../../models");
+const { attachHttpFixtures } = require("../http-fixtures");
+
+// Constants for the WooCommerce REST API
+const WOOCOMMERCE_API = {
+  API_PATH: "/wp-json/wc/v3",
+  ENDPOINTS: {
+    ORDERS: "/orders",
+    ORDER: "/orders/{orderId}",
+    PRODUCTS: "/products",
+    PRODUCT: "/products/{productId}",
+    WEBHOOKS: "/webhooks",
+  },
+  PAGE_SIZE: 100,
+  WEBHOOK_TOPICS: ["order.created", "order.updated", "order.deleted"],
+};
+
+// WooCommerce order statuses (wc- prefix stripped by the REST API)
+const ORDER_STATUS_MAP = {
+  pending: "pending", // Ödeme bekleniyor
+  "on-hold": "pending", // Havale/EFT onayı bekleniyor
+  "checkout-draft": "pending",
+  processing: "processing",
+  completed: "shipped", // Mağaza siparişi tamamladı, teslimatı kargo takip eder
+  cancelled: "cancelled",
+  refunded: "returned",
+  failed: "failed",
+  trash: "cancelled",
+};
+
+const PLATFORM_STATUS_MAP = {
+  pending: "pending",
+  processing: "processing",
+  shipped: "completed",
+  in_transit: "completed",
+  delivered: "completed",
+  cancelled: "cancelled",
+  returned: "refunded",
+  failed: "failed",
+};
+
+/**
+ * WooCommerce Service
+ * Connects a merchant's own WooCommerce web shop through the REST API (v3).
+ * Authenticates with a consumer key/secret pair over HTTPS basic auth.
+ * @see https://woocommerce.github.io/woocommerce-rest-api-docs/
+ */
+class WooCommerceService extends BasePlatformService {
+  constructor(connectionId, directCredentials = null) {
+    super(connectionId, directCredentials);
+    this.logger = this.getLogger();
+  }
+
+  /**
+   * Get the platform type
+   * @returns {string} Platform type identifier
+   */
+  getPlatformType() {
+    return "woocommerce";
+  }
+
+  /**
+   * Setup Axios instance with consumer key authentication
+   * Implementation of abstract method from BasePlatformService
+   */
+  async setupAxiosInstance() {
+    const { storeUrl, consumerKey, consumerSecret } = this.decryptCredentials(
+      this.connection.credentials
+    );
+
+    if (!storeUrl || !consumerKey || !consumerSecret) {
+      throw new Error(
+        "Missing required WooCommerce credentials. Store URL, consumer key and consumer secret are required."
+      );
+    }
+
+    this.apiUrl = `${storeUrl.replace(/\/+$/, "")}${WOOCOMMERCE_API.API_PATH}`;
+
+    this.axiosInstance = attachHttpFixtures(
+      axios.create({
+        baseURL: this.apiUrl,
+        auth: {
+          username: consumerKey,
+          password: consumerSecret,
+        },
+        headers: {
+          "Content-Type": "application/json",
+          Accept: "application/json",
+        },
+        timeout: 60000,
+      }),
+      this.getPlatformType()
+    );
+
+    this.logger.info("WooCommerce Axios instance setup completed", {
+      baseURL: this.apiUrl,
+      connectionId: this.connectionId,
+    });
+
+    return true;
+  }
+
+  /**
+   * Read WooCommerce credentials
+   * @param {string|object} encryptedCredentials
+   * @returns {object} { storeUrl, consumerKey, consumerSecret, webhookSecret }
+   */
+  decryptCredentials(encryptedCredentials) {
+    const credentials = super.decryptCredentials(encryptedCredentials);
+    return {
+      storeUrl: credentials.storeUrl || credentials.apiUrl,
+      consumerKey: credentials.consumerKey || credentials.apiKey,
+      consumerSecret: credentials.consumerSecret || credentials.apiSecret,
+      webhookSecret: credentials.webhookSecret,
+    };
+  }
+
+  /**
+   * Test connection by requesting one order
+   * @returns {Promise<Object>} Test result
+   */
+  async testConnection() {
+    try {
+      await this.initialize();
+
+      await this.retryRequest(() =>
+        this.axiosInstance.get(WOOCOMMERCE_API.ENDPOINTS.ORDERS, {
+          params: { per_page: 1 },
+        })
+      );
+
+      return {
+        success: true,
+        message: "Connection successful",
+        data: {
+          connectionId: this.connectionId,
+          storeUrl: this.apiUrl,
+          status: "active",
+        },
+      };
+    } catch (error) {
+      this.logger.error(`WooCommerce connection test failed: ${error.message}`, {
+        error: error.message,
+        connectionId: this.connectionId,
+      });
+
+      return {
+        success: false,
+        message: `Connection failed: ${this.extractErrorMessage(error)}`,
+        error: error.response?.data || error.message,
+      };
+    }
+  }
+
+  /**
+   * Fetch orders from WooCommerce and store them
+   * @param {Object} params - { startDate, endDate, status }
+   * @returns {Promise<Object>} Result containing order data
+   */
+  async fetchOrders(params = {}) {
+    try {
+      await this.initialize();
+
+      const endDate = params.endDate ? new Date(params.endDate) : new Date();
+      const startDate = params.startDate
+        ? new Date(params.startDate)
+        : new Date(this.getDefaultStartDate());
+
+      const orders = [];
+      let page = 1;
+      let totalPages = 1;
+
+      do {
+        const response = await this.retryRequest(() =>
+          this.axiosInstance.get(WOOCOMMERCE_API.ENDPOINTS.ORDERS, {
+            params: {
+              after: startDate.toISOString(),
+              before: endDate.toISOString(),
+              status: params.status || "any",
+              orderby: "date",
+              order: "asc",
+              per_page: WOOCOMMERCE_API.PAGE_SIZE,
+              page,
+            },
+          })
+        );
+
+        const pageOrders = Array.isArray(response.data) ? response.data : [];
+        orders.push(...pageOrders);
+        totalPages = parseInt(response.headers?.["x-wp-totalpages"], 10) || 1;
+
+        if (pageOrders.length < WOOCOMMERCE_API.PAGE_SIZE) {
+          break;
+        }
+        page++;
+      } while (page <= totalPages);
+
+      this.logger.info(`Retrieved ${orders.length} orders from WooCommerce`, {
+        connectionId: this.connectionId,
+      });
+
+      const { data, stats } = await this.saveNormalizedOrders(
+        orders.map((order) => this.normalizeOrder(order))
+      );
+
+      return {
+        success: true,
+        message: `Successfully fetched ${data.length} orders from WooCommerce`,
+        data,
+        stats,
+      };
+    } catch (error) {
+      this.logger.error(
+        `Failed to fetch orders from WooCommerce: ${error.message}`,
+        { error: error.message, connectionId: this.connectionId }
+      );
+
+      return {
+        success: false,
+        message: `Failed to fetch orders: ${this.extractErrorMessage(error)}`,
+        error: error.response?.data || error.message,
+        data: [],
+      };
+    }
+  }
+
+  /**
+   * Map a WooCommerce order to the common order shape
+   * @param {Object} order - Raw WooCommerce order
+   * @returns {Object} Normalized order, see saveNormalizedOrders
+   */
+  normalizeOrder(order) {
+    const billing = order.billing || {};
+    const shipping = order.shipping || {};
+    const recipient = shipping.first_name ? shipping : billing;
+    const recipientName = [recipient.first_name, recipient.last_name]
+      .filter(Boolean)
+      .join(" ");
+    const customerName =
+      [billing.first_name, billing.last_name].filter(Boolean).join(" ") ||
+      recipientName;
+    const phone = shipping.phone || billing.phone || "";
+    const tracking = this.getTrackingMeta(order);
+
+    return {
+      externalOrderId: String(order.id),
+      orderNumber: String(order.number || order.id),
+      platformOrderId: String(order.id),
+      orderDate: new Date(order.date_created_gmt ? `${order.date_created_gmt}Z` : order.date_created),
+      orderStatus: this.mapOrderStatus(order.status),
+      totalAmount: parseFloat(order.total) || 0,
+      currency: order.currency || "TRY",
+      customerName,
+      customerEmail: billing.email || "",
+      customerPhone: phone,
+      shippingAddress: recipient,
+      cargoTrackingNumber: tracking.trackingNumber,
+      cargoCompany: tracking.carrier,
+      cargoTrackingUrl: tracking.trackingUrl,
+      notes: order.customer_note || "",
+      rawData: order,
+      shipping: {
+        recipientName: recipientName || customerName,
+        address: [recipient.address_1, recipient.address_2]
+          .filter(Boolean)
+          .join(" "),
+        city: recipient.city || "",
+        state: recipient.state || "",
+        postalCode: recipient.postcode || "",
+        country: recipient.country || "TR",
+        phone,
+        email: billing.email || "",
+      },
+      items: (order.line_items || []).map((item) => {
+        const subtotal = parseFloat(item.subtotal) || 0;
+        const total = parseFloat(item.total) || 0;
+        return {
+          platformProductId: String(item.variation_id || item.product_id || ""),
+          title: item.name || "Unknown Product",
+          sku: item.sku || "",
+          barcode: item.sku || "",
+          quantity: item.quantity || 1,
+          price: parseFloat(item.price) || subtotal / (item.quantity || 1),
+          discount: Math.max(0, subtotal - total),
+          merchantDiscount: Math.max(0, subtotal - total),
+          currency: order.currency || "TRY",
+          rawData: item,
+        };
+      }),
+    };
+  }
+
+  /**
+   * Read shipment tracking that common plugins keep in order meta data
+   * (WooCommerce Shipment Tracking and most Turkish cargo plugins)
+   * @param {Object} order - Raw WooCommerce order
+   * @returns {Object} { trackingNumber, carrier, trackingUrl }
+   */
+  getTrackingMeta(order) {
+    const meta = order.meta_data || [];
+    const shipmentTracking = meta.find(
+      (entry) => entry.key === "_wc_shipment_tracking_items"
+    )?.value?.[0];
+
+    if (shipmentTracking) {
+      return {
+        trackingNumber: shipmentTracking.tracking_number || "",
+        carrier:
+          shipmentTracking.tracking_provider ||
+          shipmentTracking.custom_tracking_provider ||
+          "",
+        trackingUrl: shipmentTracking.custom_tracking_link || "",
+      };
+    }
+
+    const valueOf = (key) =>
+      meta.find((entry) => entry.key === key)?.value || "";
+    return {
+      trackingNumber: valueOf("_tracking_number") || valueOf("kargo_takip_no"),
+      carrier: valueOf("_tracking_provider") || valueOf("kargo_firmasi"),
+      trackingUrl: valueOf("_tracking_url"),
+    };
+  }
+
+  /**
+   * Map WooCommerce order status to internal status
+   * @param {string} wooStatus - WooCommerce order status
+   * @returns {string} Internal status
+   */
+  mapOrderStatus(wooStatus) {
+    const mappedStatus = ORDER_STATUS_MAP[wooStatus];
+
+    if (!mappedStatus) {
+      // Custom statuses registered by plugins
+      this.logger.warn(
+        `Unknown WooCommerce order status encountered: ${wooStatus}`,
+        {
+          platformType: "woocommerce",
+          connectionId: this.connectionId,
+          unmappedStatus: wooStatus,
+        }
+      );
+      return "unknown";
+    }
+
+    return mappedStatus;
+  }
+
+  /**
+   * Map internal status to WooCommerce order status
+   * @param {string} internalStatus - Internal status
+   * @returns {string|undefined} WooCommerce status
+   */
+  mapToPlatformStatus(internalStatus) {
+    return PLATFORM_STATUS_MAP[internalStatus];
+  }
+
+  /**
+   * Update order status on WooCommerce
+   * @param {string} orderId - Internal order ID
+   * @param {string} newStatus - New status to set
+   * @returns {Object} Result of the status update operation
+   */
+  async updateOrderStatus(orderId, newStatus) {
+    try {
+      await this.initialize();
+
+      const order = await Order.findByPk(orderId);
+      if (!order) {
+        throw new Error(`Order with ID ${orderId} not found`);
+      }
+
+      const wooStatus = this.mapToPlatformStatus(newStatus);
+      if (!wooStatus) {
+        throw new Error(
+          `Cannot map status '${newStatus}' to WooCommerce status`
+        );
+      }
+
+      await this.retryRequest(() =>
+        this.axiosInstance.put(
+          WOOCOMMERCE_API.ENDPOINTS.ORDER.replace(
+            "{orderId}",
+            order.externalOrderId
+          ),
+          { status: wooStatus }
+        )
+      );
+
+      await order.update({
+        orderStatus: newStatus,
+        lastSyncedAt: new Date(),
+      });
+
+      return {
+        success: true,
+        message: `Order status updated to ${newStatus}`,
+        data: order,
+      };
+    } catch (error) {
+      this.logger.error(
+        `Failed to update order status on WooCommerce: ${error.message}`,
+        { error: error.message, orderId, connectionId: this.connectionId }
+      );
+
+      return {
+        success: false,
+        message: `Failed to update order status: ${this.extractErrorMessage(
+          error
+        )}`,
+        error: error.response?.data || error.message,
+      };
+    }
+  }
+
+  /**
+   * Build a WooCommerce product body from data prepared by
+   * PlatformSyncService.transformProductForPlatform. Only fields that are
+   * present are sent, so stock or price only updates stay small.
+   * @param {Object} productData - Transformed product data
+   * @returns {Object} WooCommerce product body
+   */
+  buildProductPayload(productData) {
+    const payload = {};
+
+    if (productData.name !== undefined) payload.name = productData.name;
+    if (productData.description !== undefined) {
+      payload.description = productData.description || "";
+    }
+    if (productData.sku !== undefined) payload.sku = productData.sku;
+    if (productData.price !== undefined && productData.price !== null) {
+      payload.regular_price = String(productData.price);
+    }
+    if (productData.discountedPrice !== undefined) {
+      payload.sale_price =
+        productData.discountedPrice !== null &&
+        productData.discountedPrice < productData.price
+          ? String(productData.discountedPrice)
+          : "";
+    }
+    if (productData.stockQuantity !== undefined) {
+      payload.manage_stock = true;
+      payload.stock_quantity = Math.max(0, productData.stockQuantity || 0);
+    }
+    if (productData.weight !== undefined && productData.weight !== null) {
+      payload.weight = String(productData.weight);
+    }
+    if (productData.isActive !== undefined) {
+      payload.status = productData.isActive ? "publish" : "draft";
+    }
+    if (Array.isArray(productData.images) && productData.images.length > 0) {
+      payload.images = productData.images
+        .map((image) => (typeof image === "string" ? image : image?.url))
+        .filter(Boolean)
+        .map((src) => ({ src }));
+    }
+    if (productData.barcode) {
+      payload.meta_data = [{ key: "_barcode", value: productData.barcode }];
+    }
+
+    return payload;
+  }
+
+  /**
+   * Create a product on WooCommerce
+   * @param {Object} productData - Transformed product data
+   * @returns {Promise<Object>} { status, externalId, message }
+   */
+  async createProduct(productData) {
+    try {
+      await this.initialize();
+
+      const response = await this.retryRequest(() =>
+        this.axiosInstance.post(WOOCOMMERCE_API.ENDPOINTS.PRODUCTS, {
+          type: "simple",
+          ...this.buildProductPayload(productData),
+        })
+      );
+
+      return {
+        status: "success",
+        externalId: String(response.data.id),
+        message: "Product created on WooCommerce",
+        data: response.data,
+      };
+    } catch (error) {
+      this.logger.error(
+        `Failed to create product on WooCommerce: ${error.message}`,
+        { error: error.message, connectionId: this.connectionId }
+      );
+      return {
+        status: "error",
+        message: "Failed to create product on WooCommerce",
+        error: this.extractErrorMessage(error),
+      };
+    }
+  }
+
+  /**
+   * Update product, price and stock on WooCommerce
+   * @param {string} externalId - WooCommerce product ID
+   * @param {Object} productData - Transformed product data
+   * @returns {Promise<Object>} { status, externalId, message }
+   */
+  async updateProduct(externalId, productData) {
+    try {
+      await this.initialize();
+
+      const response = await this.retryRequest(() =>
+        this.axiosInstance.put(
+          WOOCOMMERCE_API.ENDPOINTS.PRODUCT.replace("{productId}", externalId),
+          this.buildProductPayload(productData)
+        )
+      );
+
+      return {
+        status: "success",
+        externalId: String(response.data.id),
+        message: "Product updated on WooCommerce",
+        data: response.data,
+      };
+    } catch (error) {
+      this.logger.error(
+        `Failed to update product on WooCommerce: ${error.message}`,
+        { error: error.message, externalId, connectionId: this.connectionId }
+      );
+      return {
+        status: "error",
+        externalId,
+        message: "Failed to update product on WooCommerce",
+        error: this.extractErrorMessage(error),
+      };
+    }
+  }
+
+  /**
+   * Delete a product from WooCommerce
+   * @param {string} externalId - WooCommerce product ID
+   * @returns {Promise<Object>} { status, externalId, message }
+   */
+  async deleteProduct(externalId) {
+    try {
+      await this.initialize();
+
+      await this.retryRequest(() =>
+        this.axiosInstance.delete(
+          WOOCOMMERCE_API.ENDPOINTS.PRODUCT.replace("{productId}", externalId),
+          { params: { force: true } }
+        )
+      );
+
+      return {
+        status: "success",
+        externalId,
+        message: "Product deleted from WooCommerce",
+      };
+    } catch (error) {
+      if (error.response?.status === 404) {
+        return {
+          status: "skipped",
+          externalId,
+          message: "Product not found on WooCommerce",
+        };
+      }
+
+      this.logger.error(
+        `Failed to delete product on WooCommerce: ${error.message}`,
+        { error: error.message, externalId, connectionId: this.connectionId }
+      );
+      return {
+        status: "error",
+        externalId,
+        message: "Failed to delete product on WooCommerce",
+        error: this.extractErrorMessage(error),
+      };
+    }
+  }
+
+  /**
+   * Register order webhooks on the shop, pointing at our webhook endpoint.
+   * Existing webhooks for the same URL and topic are left in place.
+   * @param {string} deliveryUrl - Public URL of the webhook endpoint
+   * @returns {Promise<Object>} Result with registered topics
+   */
+  async registerWebhooks(deliveryUrl) {
+    try {
+      await this.initialize();
+
+      const { webhookSecret } = this.decryptCredentials(
+        this.connection.credentials
+      );
+      if (!webhookSecret) {
+        throw new Error("A webhook secret is required to register webhooks");
+      }
+
+      const existing = await this.retryRequest(() =>
+        this.axiosInstance.get(WOOCOMMERCE_API.ENDPOINTS.WEBHOOKS, {
+          params: { per_page: 100 },
+        })
+      );
+      const registered = new Set(
+        (existing.data || [])
+          .filter((hook) => hook.delivery_url === deliveryUrl)
+          .map((hook) => hook.topic)
+      );
+
+      const created = [];
+      for (const topic of WOOCOMMERCE_API.WEBHOOK_TOPICS) {
+        if (registered.has(topic)) {
+          continue;
+        }
+        await this.retryRequest(() =>
+          this.axiosInstance.post(WOOCOMMERCE_API.ENDPOINTS.WEBHOOKS, {
+            name: `Pazar+ ${topic}`,
+            topic,
+            delivery_url: deliveryUrl,
+            secret: webhookSecret,
+            status: "active",
+          })
+        );
+        created.push(topic);
+      }
+
+      return {
+        success: true,
+        message: `Registered ${created.length} WooCommerce webhooks`,
+        data: { deliveryUrl, created, existing: [...registered] },
+      };
+    } catch (error) {
+      this.logger.error(
+        `Failed to register WooCommerce webhooks: ${error.message}`,
+        { error: error.message, connectionId: this.connectionId }
+      );
+      return {
+        success: false,
+        message: `Failed to register webhooks: ${this.extractErrorMessage(
+          error
+        )}`,
+        error: error.response?.data || error.message,
+      };
+    }
+  }
+
+  /**
+   * Verify the X-WC-Webhook-Signature header of a webhook delivery
+   * @param {Buffer|string} rawBody - Request body exactly as received
+   * @param {Object} headers - Request headers
+   * @returns {boolean} True if the delivery is authentic
+   */
+  verifyWebhook(rawBody, headers) {
+    const { webhookSecret } = this.decryptCredentials(
+      this.connection.credentials
+    );
+    return this.verifyHmacSignature(
+      rawBody,
+      headers["x-wc-webhook-signature"],
+      webhookSecret
+    );
+  }
+
+  /**
+   * Process a verified webhook delivery
+   * @param {Object} payload - Parsed request body
+   * @param {Object} headers - Request headers
+   * @returns {Promise<Object>} Processing result
+   */
+  async handleWebhook(payload, headers) {
+    const topic = headers["x-wc-webhook-topic"];
+
+    // WooCommerce pings the delivery URL with only a webhook_id on creation
+    if (!topic || payload?.webhook_id) {
+      return { success: true, message: "Webhook ping acknowledged" };
+    }
+
+    if (!WOOCOMMERCE_API.WEBHOOK_TOPICS.includes(topic)) {
+      return { success: true, message: `Ignored webhook topic ${topic}` };
+    }
+
+    if (topic === "order.deleted") {
+      const [updated] = await Order.update(
+        { orderStatus: "cancelled", lastSyncedAt: new Date() },
+        {
+          where: {
+            connectionId: this.connectionId,
+            externalOrderId: String(payload.id),
+          },
+        }
+      );
+      return {
+        success: true,
+        message: `Order ${payload.id} marked as cancelled`,
+        data: { updated },
+      };
+    }
+
+    const { data, stats } = await this.saveNormalizedOrders([
+      this.normalizeOrder(payload),
+    ]);
+
+    return {
+      success: true,
+      message: `Processed ${topic} for order ${payload.id}`,
+      data,
+      stats,
+    };
+  }
+
+  extractErrorMessage(error) {
+    const data = error.response?.data;
+    return data?.message || data?.code || error.message;
+  }
+}
+
+module.exports = WooCommerceService;
@@ -59,14 +59,20 @@ class IyzicoService {
         basketId: orderId,
         paymentChannel: 'WEB',
         paymentGroup: 'PRODUCT',
-        paymentCard: {
-          cardHolderName: paymentCard.holderName,
-          cardNumber: paymentCard.number,
-          expireMonth: paymentCard.expireMonth,
-          expireYear: paymentCard.expireYear,
-          cvc: paymentCard.cvc,
-          registerCard: '0'
-        },
+        // Cards stored through iyzico card storage are charged by token
+        paymentCard: paymentCard.cardToken
+          ? {
+            cardUserKey: paymentCard.cardUserKey,
+            cardToken: paymentCard.cardToken
+          }
+          : {
+            cardHolderName: paymentCard.holderName,
+            cardNumber: paymentCard.number,
+            expireMonth: paymentCard.expireMonth,
+            expireYear: paymentCard.expireYear,
+            cvc: paymentCard.cvc,
+            registerCard: '0'
+          },
         buyer: {
           id: customer.id,
           name: customer.name,
@@ -101,7 +107,7 @@ class IyzicoService {
           name: item.name,
           category1: item.category || 'General',
           category2: item.subcategory || 'Product',
-          itemType: 'PHYSICAL',
+          itemType: item.itemType || 'PHYSICAL',
           price: item.price.toString()
         }))
       };
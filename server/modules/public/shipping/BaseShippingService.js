@@ -22,6 +22,18 @@ class BaseShippingService {
     throw new Error('initialize() method must be implemented by subclass');
   }
 
+  /**
+   * API base URL: an explicit `baseUrl` credential (e.g. a local carrier
+   * stub) wins over the carrier's test and production endpoints
+   * @returns {string} Base URL
+   */
+  getBaseUrl() {
+    if (this.credentials.baseUrl) {
+      return this.credentials.baseUrl;
+    }
+    return this.isTestMode ? this.testApiUrl : this.apiUrl;
+  }
+
   /**
    * Get shipping rates for a package
    * @param {Object} packageInfo - Package details
@@ -0,0 +1,504 @@
+/**
+ * HepsiJet Shipping Service
+ * Integration with HepsiJet delivery API (Hepsiburada's carrier)
+ */
+
+const BaseShippingService = require('./BaseShippingService');
+const axios = require('axios');
+
+class HepsiJetService extends BaseShippingService {
+  constructor(credentials = {}) {
+    super('HepsiJet', credentials);
+    this.apiUrl = 'https://integration.hepsijet.com';
+    this.testApiUrl = 'https://integration-apitest.hepsijet.com';
+    this.isTestMode = credentials.testMode || false;
+    this.accessToken = null;
+    this.tokenExpiresAt = null;
+  }
+
+  /**
+   * Initialize the HepsiJet service
+   */
+  async initialize() {
+    const { username, password, companyCode } = this.credentials;
+    if (!username || !password || !companyCode) {
+      throw new Error(
+        'HepsiJet credentials (username, password, companyCode) are required'
+      );
+    }
+
+    const baseURL = this.getBaseUrl();
+
+    this.axiosInstance = axios.create({
+      baseURL,
+      headers: {
+        'Content-Type': 'application/json',
+        Accept: 'application/json'
+      },
+      timeout: 30000
+    });
+
+    // Add request interceptor for the session token
+    this.axiosInstance.interceptors.request.use(async (config) => {
+      if (config.url !== '/auth/getToken') {
+        config.headers['X-Auth-Token'] = await this.getAccessToken();
+      }
+      return config;
+    });
+
+    // Add response interceptor for error handling
+    this.axiosInstance.interceptors.response.use(
+      (response) => response,
+      (error) => {
+        // Drop the token so the next request logs in again
+        if (error.response?.status === 401) {
+          this.accessToken = null;
+        }
+        this.logger.error(`HepsiJet API error: ${error.message}`, {
+          status: error.response?.status,
+          data: error.response?.data
+        });
+        return Promise.reject(error);
+      }
+    );
+
+    this.logger.info('HepsiJet service initialized successfully');
+  }
+
+  /**
+   * Session token, requested again shortly before it expires
+   * @returns {Promise<string>} Token
+   */
+  async getAccessToken() {
+    if (this.accessToken && this.tokenExpiresAt > Date.now() + 60000) {
+      return this.accessToken;
+    }
+
+    const auth = Buffer.from(
+      `${this.credentials.username}:${this.credentials.password}`
+    ).toString('base64');
+    const response = await this.axiosInstance.get('/auth/getToken', {
+      headers: { Authorization: `Basic ${auth}` }
+    });
+
+    if (response.data?.status !== 'OK' || !response.data.data?.token) {
+      throw new Error('HepsiJet login failed');
+    }
+
+    this.accessToken = response.data.data.token;
+    // Tokens are valid for an hour
+    this.tokenExpiresAt = Date.now() + 60 * 60 * 1000;
+    return this.accessToken;
+  }
+
+  /**
+   * Get shipping rates from HepsiJet
+   * @param {Object} packageInfo - Package details
+   * @param {Object} fromAddress - Origin address
+   * @param {Object} toAddress - Destination address
+   * @returns {Promise<Object>} Shipping rates
+   */
+  async getShippingRates(packageInfo, fromAddress, toAddress) {
+    try {
+      if (!this.axiosInstance) {
+        await this.initialize();
+      }
+
+      if (packageInfo.paymentType === 'COD') {
+        return this.createErrorResponse(
+          'HepsiJet does not support cash on delivery',
+          'COD_NOT_SUPPORTED'
+        );
+      }
+
+      const fromFormatted = this.formatTurkishAddress(fromAddress);
+      const toFormatted = this.formatTurkishAddress(toAddress);
+
+      const weight = this.getBillableWeight(packageInfo, 3000); // HepsiJet uses 3000 cm³/kg
+
+      const requestData = {
+        company: { abbreviationCode: this.credentials.companyCode },
+        senderAddress: {
+          city: { name: fromFormatted.city },
+          town: { name: fromFormatted.district }
+        },
+        recipientAddress: {
+          city: { name: toFormatted.city },
+          town: { name: toFormatted.district }
+        },
+        desi: Math.max(Math.ceil(weight / 1000), 1),
+        totalParcels: packageInfo.quantity || 1
+      };
+
+      const response = await this.retryRequest(() =>
+        this.axiosInstance.post('/rest/delivery/priceQuote', requestData)
+      );
+
+      if (!response.data || response.data.status !== 'OK') {
+        return this.createErrorResponse(
+          response.data?.message || 'Failed to get shipping rates',
+          'RATE_CALCULATION_FAILED'
+        );
+      }
+
+      const rates = response.data.data.map((rate) => ({
+        serviceCode: rate.productCode,
+        serviceName: rate.productName,
+        price: parseFloat(rate.totalPrice),
+        currency: 'TRY',
+        estimatedDeliveryDays: rate.deliveryDays,
+        features: [],
+        restrictions: []
+      }));
+
+      return this.createSuccessResponse(
+        rates,
+        'Shipping rates calculated successfully'
+      );
+    } catch (error) {
+      this.logger.error(
+        `Failed to get HepsiJet shipping rates: ${error.message}`,
+        { error }
+      );
+      return this.createErrorResponse(
+        `Failed to calculate shipping rates: ${error.message}`,
+        'RATE_CALCULATION_ERROR'
+      );
+    }
+  }
+
+  /**
+   * Create shipping label with HepsiJet
+   * @param {Object} shipmentData - Complete shipment information
+   * @returns {Promise<Object>} Label and tracking info
+   */
+  async createShippingLabel(shipmentData) {
+    try {
+      if (!this.axiosInstance) {
+        await this.initialize();
+      }
+
+      const { packageInfo, fromAddress, toAddress, orderInfo } = shipmentData;
+
+      if (packageInfo.paymentType === 'COD') {
+        return this.createErrorResponse(
+          'HepsiJet does not support cash on delivery',
+          'COD_NOT_SUPPORTED'
+        );
+      }
+
+      const fromFormatted = this.formatTurkishAddress(fromAddress);
+      const toFormatted = this.formatTurkishAddress(toAddress);
+
+      // Validate required fields
+      if (
+        !toFormatted.phone ||
+        !this.validateTurkishPhoneNumber(toFormatted.phone)
+      ) {
+        return this.createErrorResponse(
+          'Valid Turkish phone number is required',
+          'INVALID_PHONE'
+        );
+      }
+
+      const weight = this.getBillableWeight(packageInfo, 3000);
+      const customerDeliveryNo = orderInfo?.orderNumber || `PZ${Date.now()}`;
+      const [firstName, ...lastNames] = toFormatted.name.split(' ');
+
+      const deliveryRequest = {
+        company: { abbreviationCode: this.credentials.companyCode },
+        delivery: {
+          customerDeliveryNo,
+          customerOrderId: orderInfo?.orderNumber || '',
+          totalParcels: packageInfo.quantity || 1,
+          desi: Math.max(Math.ceil(weight / 1000), 1),
+          deliveryType: packageInfo.serviceType === 'EXPRESS' ? 'SAMEDAY' : 'STANDARD',
+          product: { productCode: packageInfo.serviceType || 'STANDARD' },
+          deliveryContent: packageInfo.description || 'E-ticaret siparişi',
+          senderAddress: {
+            companyAddressId: this.credentials.senderAddressId || '',
+            country: { name: 'Türkiye' },
+            city: { name: fromFormatted.city },
+            town: { name: fromFormatted.district },
+            addressLine1: fromFormatted.address1
+          },
+          receiver: {
+            firstName,
+            lastName: lastNames.join(' '),
+            phone1: toFormatted.phone,
+            email: toFormatted.email
+          },
+          recipientAddress: {
+            country: { name: 'Türkiye' },
+            city: { name: toFormatted.city },
+            town: { name: toFormatted.district },
+            addressLine1: toFormatted.address1
+          },
+          recipientPerson: toFormatted.name,
+          recipientPersonPhone1: toFormatted.phone
+        }
+      };
+
+      const response = await this.retryRequest(() =>
+        this.axiosInstance.post(
+          '/rest/delivery/sendDeliveryOrderEnhanced',
+          deliveryRequest
+        )
+      );
+
+      if (!response.data || response.data.status !== 'OK') {
+        return this.createErrorResponse(
+          response.data?.message || 'Failed to create shipping label',
+          'LABEL_CREATION_FAILED'
+        );
+      }
+
+      const created = response.data.data;
+      const result = {
+        trackingNumber: created.customerDeliveryNo || customerDeliveryNo,
+        labelUrl: created.labelUrl,
+        shipmentId: created.barcode,
+        estimatedDeliveryDate: created.estimatedDeliveryDate,
+        totalCost: created.totalPrice,
+        currency: 'TRY',
+        serviceType: deliveryRequest.delivery.product.productCode,
+        labelFormat: 'PDF'
+      };
+
+      return this.createSuccessResponse(
+        result,
+        'Shipping label created successfully'
+      );
+    } catch (error) {
+      this.logger.error(
+        `Failed to create HepsiJet shipping label: ${error.message}`,
+        { error }
+      );
+      return this.createErrorResponse(
+        `Failed to create shipping label: ${error.message}`,
+        'LABEL_CREATION_ERROR'
+      );
+    }
+  }
+
+  /**
+   * Track package with HepsiJet
+   * @param {string} trackingNumber - Customer delivery number
+   * @returns {Promise<Object>} Tracking information
+   */
+  async trackPackage(trackingNumber) {
+    try {
+      if (!this.axiosInstance) {
+        await this.initialize();
+      }
+
+      if (!trackingNumber) {
+        return this.createErrorResponse(
+          'Tracking number is required',
+          'MISSING_TRACKING_NUMBER'
+        );
+      }
+
+      const response = await this.retryRequest(() =>
+        this.axiosInstance.post('/rest/deliveryTransaction/getDeliveryTracking', {
+          deliveries: [{ customerDeliveryNo: trackingNumber }]
+        })
+      );
+
+      const trackingData = response.data?.data?.[0];
+      if (response.data?.status !== 'OK' || !trackingData) {
+        return this.createErrorResponse(
+          response.data?.message || 'Tracking information not found',
+          'TRACKING_NOT_FOUND'
+        );
+      }
+
+      const result = {
+        trackingNumber,
+        status: this.mapTrackingStatus(trackingData.deliveryStatus),
+        statusDescription: trackingData.deliveryStatusDescription,
+        estimatedDeliveryDate: trackingData.estimatedDeliveryDate,
+        actualDeliveryDate: trackingData.deliveredDate,
+        currentLocation: {
+          city: trackingData.lastLocationCity,
+          facility: trackingData.lastLocation
+        },
+        events:
+          trackingData.transactions?.map((transaction) => ({
+            date: transaction.transactionDateTime,
+            time: null,
+            status: transaction.transaction,
+            description: transaction.transactionDescription,
+            location: transaction.location
+          })) || []
+      };
+
+      return this.createSuccessResponse(
+        result,
+        'Tracking information retrieved successfully'
+      );
+    } catch (error) {
+      this.logger.error(
+        `Failed to track HepsiJet package: ${error.message}`,
+        { error }
+      );
+      return this.createErrorResponse(
+        `Failed to track package: ${error.message}`,
+        'TRACKING_ERROR'
+      );
+    }
+  }
+
+  /**
+   * Cancel shipment with HepsiJet
+   * @param {string} trackingNumber - Customer delivery number
+   * @returns {Promise<Object>} Cancellation result
+   */
+  async cancelShipment(trackingNumber) {
+    try {
+      if (!this.axiosInstance) {
+        await this.initialize();
+      }
+
+      if (!trackingNumber) {
+        return this.createErrorResponse(
+          'Tracking number is required',
+          'MISSING_TRACKING_NUMBER'
+        );
+      }
+
+      const response = await this.retryRequest(() =>
+        this.axiosInstance.post(`/rest/delivery/deleteDeliveryOrder/${trackingNumber}`, {
+          deleteReason: 'IPTAL'
+        })
+      );
+
+      if (!response.data || response.data.status !== 'OK') {
+        return this.createErrorResponse(
+          response.data?.message || 'Failed to cancel shipment',
+          'CANCELLATION_FAILED'
+        );
+      }
+
+      const result = {
+        trackingNumber,
+        cancelled: true,
+        cancellationDate: new Date().toISOString(),
+        refundAmount: null,
+        refundCurrency: 'TRY'
+      };
+
+      return this.createSuccessResponse(
+        result,
+        'Shipment cancelled successfully'
+      );
+    } catch (error) {
+      this.logger.error(
+        `Failed to cancel HepsiJet shipment: ${error.message}`,
+        { error }
+      );
+      return this.createErrorResponse(
+        `Failed to cancel shipment: ${error.message}`,
+        'CANCELLATION_ERROR'
+      );
+    }
+  }
+
+  /**
+   * Get supported service types
+   * @returns {Array} List of supported services
+   */
+  getSupportedServices() {
+    return [
+      {
+        code: 'STANDARD',
+        name: 'Standart Teslimat',
+        description: 'Normal delivery service',
+        estimatedDays: '1-3'
+      },
+      {
+        code: 'EXPRESS',
+        name: 'Aynı Gün Teslimat',
+        description: 'Same day delivery (limited cities)',
+        estimatedDays: '0'
+      }
+    ];
+  }
+
+  /**
+   * Map HepsiJet delivery status to standard status
+   * @param {string} hepsiJetStatus - HepsiJet delivery status
+   * @returns {string} Standard tracking status
+   */
+  mapTrackingStatus(hepsiJetStatus) {
+    const statusMap = {
+      CREATED: 'created',
+      RECEIVED: 'in_transit',
+      IN_TRANSFER: 'in_transit',
+      ARRIVED_AT_XDOCK: 'in_transit',
+      OUT_FOR_DELIVERY: 'out_for_delivery',
+      DELIVERED: 'delivered',
+      UNDELIVERED: 'delivery_failed',
+      RETURNED: 'returned',
+      DELETED: 'cancelled',
+      CANCELLED: 'cancelled',
+      ON_HOLD: 'on_hold'
+    };
+
+    return statusMap[hepsiJetStatus?.toUpperCase()] || 'unknown';
+  }
+
+  /**
+   * Check if delivery is available to a specific address
+   * @param {Object} address - Delivery address
+   * @returns {Promise<Object>} Availability check result
+   */
+  async checkDeliveryAvailability(address) {
+    try {
+      if (!this.axiosInstance) {
+        await this.initialize();
+      }
+
+      const formattedAddress = this.formatTurkishAddress(address);
+
+      const response = await this.retryRequest(() =>
+        this.axiosInstance.get('/rest/settlement/serviceability', {
+          params: {
+            city: formattedAddress.city,
+            town: formattedAddress.district
+          }
+        })
+      );
+
+      if (!response.data || response.data.status !== 'OK') {
+        return this.createErrorResponse(
+          'Delivery availability check failed',
+          'AVAILABILITY_CHECK_FAILED'
+        );
+      }
+
+      const result = {
+        available: Boolean(response.data.data?.serviceable),
+        serviceTypes: response.data.data?.products || [],
+        estimatedDeliveryDays: response.data.data?.deliveryDays,
+        restrictions: []
+      };
+
+      return this.createSuccessResponse(
+        result,
+        'Delivery availability checked successfully'
+      );
+    } catch (error) {
+      this.logger.error(
+        `Failed to check HepsiJet delivery availability: ${error.message}`,
+        { error }
+      );
+      return this.createErrorResponse(
+        `Failed to check delivery availability: ${error.message}`,
+        'AVAILABILITY_CHECK_ERROR'
+      );
+    }
+  }
+}
+
+module.exports = HepsiJetService;
@@ -0,0 +1,450 @@
+/**
+ * Kolay Gelsin Shipping Service
+ * Integration with Kolay Gelsin API for Turkish domestic shipping
+ */
+
+const BaseShippingService = require('./BaseShippingService');
+const axios = require('axios');
+
+class KolayGelsinService extends BaseShippingService {
+  constructor(credentials = {}) {
+    super('Kolay Gelsin', credentials);
+    this.apiUrl = 'https://api.kolaygelsin.com';
+    this.testApiUrl = 'https://sandbox-api.kolaygelsin.com';
+    this.isTestMode = credentials.testMode || false;
+  }
+
+  /**
+   * Initialize the Kolay Gelsin service
+   */
+  async initialize() {
+    const { apiKey, customerId } = this.credentials;
+    if (!apiKey || !customerId) {
+      throw new Error(
+        'Kolay Gelsin credentials (apiKey, customerId) are required'
+      );
+    }
+
+    this.axiosInstance = axios.create({
+      baseURL: this.getBaseUrl(),
+      headers: {
+        'Content-Type': 'application/json',
+        Accept: 'application/json',
+        'X-Api-Key': apiKey,
+        'X-Customer-Id': customerId
+      },
+      timeout: 30000
+    });
+
+    // Add response interceptor for error handling
+    this.axiosInstance.interceptors.response.use(
+      (response) => response,
+      (error) => {
+        this.logger.error(`Kolay Gelsin API error: ${error.message}`, {
+          status: error.response?.status,
+          data: error.response?.data
+        });
+        return Promise.reject(error);
+      }
+    );
+
+    this.logger.info('Kolay Gelsin service initialized successfully');
+  }
+
+  /**
+   * Get shipping rates from Kolay Gelsin
+   * @param {Object} packageInfo - Package details
+   * @param {Object} fromAddress - Origin address
+   * @param {Object} toAddress - Destination address
+   * @returns {Promise<Object>} Shipping rates
+   */
+  async getShippingRates(packageInfo, fromAddress, toAddress) {
+    try {
+      if (!this.axiosInstance) {
+        await this.initialize();
+      }
+
+      if (packageInfo.paymentType === 'COD') {
+        return this.createErrorResponse(
+          'Kolay Gelsin does not support cash on delivery',
+          'COD_NOT_SUPPORTED'
+        );
+      }
+
+      const fromFormatted = this.formatTurkishAddress(fromAddress);
+      const toFormatted = this.formatTurkishAddress(toAddress);
+
+      const weight = this.getBillableWeight(packageInfo, 3000); // Kolay Gelsin uses 3000 cm³/kg
+
+      const requestData = {
+        origin: {
+          city: fromFormatted.city,
+          district: fromFormatted.district
+        },
+        destination: {
+          city: toFormatted.city,
+          district: toFormatted.district
+        },
+        desi: Math.max(Math.ceil(weight / 1000), 1),
+        pieces: packageInfo.quantity || 1
+      };
+
+      const response = await this.retryRequest(() =>
+        this.axiosInstance.post('/v1/rates', requestData)
+      );
+
+      if (!response.data || !Array.isArray(response.data.rates)) {
+        return this.createErrorResponse(
+          response.data?.error || 'Failed to get shipping rates',
+          'RATE_CALCULATION_FAILED'
+        );
+      }
+
+      const rates = response.data.rates.map((rate) => ({
+        serviceCode: rate.code,
+        serviceName: rate.name,
+        price: parseFloat(rate.amount),
+        currency: rate.currency || 'TRY',
+        estimatedDeliveryDays: rate.transitDays,
+        features: [],
+        restrictions: []
+      }));
+
+      return this.createSuccessResponse(
+        rates,
+        'Shipping rates calculated successfully'
+      );
+    } catch (error) {
+      this.logger.error(
+        `Failed to get Kolay Gelsin shipping rates: ${error.message}`,
+        { error }
+      );
+      return this.createErrorResponse(
+        `Failed to calculate shipping rates: ${error.message}`,
+        'RATE_CALCULATION_ERROR'
+      );
+    }
+  }
+
+  /**
+   * Create shipping label with Kolay Gelsin
+   * @param {Object} shipmentData - Complete shipment information
+   * @returns {Promise<Object>} Label and tracking info
+   */
+  async createShippingLabel(shipmentData) {
+    try {
+      if (!this.axiosInstance) {
+        await this.initialize();
+      }
+
+      const { packageInfo, fromAddress, toAddress, orderInfo } = shipmentData;
+
+      if (packageInfo.paymentType === 'COD') {
+        return this.createErrorResponse(
+          'Kolay Gelsin does not support cash on delivery',
+          'COD_NOT_SUPPORTED'
+        );
+      }
+
+      const fromFormatted = this.formatTurkishAddress(fromAddress);
+      const toFormatted = this.formatTurkishAddress(toAddress);
+
+      // Validate required fields
+      if (
+        !toFormatted.phone ||
+        !this.validateTurkishPhoneNumber(toFormatted.phone)
+      ) {
+        return this.createErrorResponse(
+          'Valid Turkish phone number is required',
+          'INVALID_PHONE'
+        );
+      }
+
+      const weight = this.getBillableWeight(packageInfo, 3000);
+
+      const shipmentRequest = {
+        reference: orderInfo?.orderNumber || `PZ${Date.now()}`,
+        service: packageInfo.serviceType || 'STANDARD',
+        sender: {
+          name: fromFormatted.name,
+          phone: fromFormatted.phone,
+          address: fromFormatted.address1,
+          city: fromFormatted.city,
+          district: fromFormatted.district
+        },
+        recipient: {
+          name: toFormatted.name,
+          phone: toFormatted.phone,
+          email: toFormatted.email,
+          address: toFormatted.address1,
+          city: toFormatted.city,
+          district: toFormatted.district,
+          postalCode: toFormatted.postalCode
+        },
+        parcels: [
+          {
+            desi: Math.max(Math.ceil(weight / 1000), 1),
+            weightKg: Math.ceil(weight / 1000),
+            description: packageInfo.description || 'E-ticaret siparişi'
+          }
+        ],
+        declaredValue: packageInfo.declaredValue || 0
+      };
+
+      const response = await this.retryRequest(() =>
+        this.axiosInstance.post('/v1/shipments', shipmentRequest)
+      );
+
+      const shipment = response.data?.shipment;
+      if (!shipment || !shipment.trackingNumber) {
+        return this.createErrorResponse(
+          response.data?.error || 'Failed to create shipping label',
+          'LABEL_CREATION_FAILED'
+        );
+      }
+
+      const result = {
+        trackingNumber: shipment.trackingNumber,
+        labelUrl: shipment.labelUrl,
+        shipmentId: shipment.id,
+        estimatedDeliveryDate: shipment.estimatedDeliveryDate,
+        totalCost: shipment.amount,
+        currency: shipment.currency || 'TRY',
+        serviceType: shipmentRequest.service,
+        labelFormat: 'PDF'
+      };
+
+      return this.createSuccessResponse(
+        result,
+        'Shipping label created successfully'
+      );
+    } catch (error) {
+      this.logger.error(
+        `Failed to create Kolay Gelsin shipping label: ${error.message}`,
+        { error }
+      );
+      return this.createErrorResponse(
+        `Failed to create shipping label: ${error.message}`,
+        'LABEL_CREATION_ERROR'
+      );
+    }
+  }
+
+  /**
+   * Track package with Kolay Gelsin
+   * @param {string} trackingNumber - Tracking number
+   * @returns {Promise<Object>} Tracking information
+   */
+  async trackPackage(trackingNumber) {
+    try {
+      if (!this.axiosInstance) {
+        await this.initialize();
+      }
+
+      if (!trackingNumber) {
+        return this.createErrorResponse(
+          'Tracking number is required',
+          'MISSING_TRACKING_NUMBER'
+        );
+      }
+
+      const response = await this.retryRequest(() =>
+        this.axiosInstance.get(`/v1/shipments/${trackingNumber}/events`)
+      );
+
+      const trackingData = response.data?.shipment;
+      if (!trackingData || !trackingData.status) {
+        return this.createErrorResponse(
+          'Tracking information not found',
+          'TRACKING_NOT_FOUND'
+        );
+      }
+
+      const result = {
+        trackingNumber,
+        status: this.mapTrackingStatus(trackingData.status),
+        statusDescription: trackingData.statusText,
+        estimatedDeliveryDate: trackingData.estimatedDeliveryDate,
+        actualDeliveryDate: trackingData.deliveredAt,
+        currentLocation: {
+          city: trackingData.location?.city,
+          facility: trackingData.location?.hub
+        },
+        events:
+          response.data.events?.map((event) => ({
+            date: event.timestamp,
+            time: null,
+            status: event.code,
+            description: event.text,
+            location: event.hub
+          })) || []
+      };
+
+      return this.createSuccessResponse(
+        result,
+        'Tracking information retrieved successfully'
+      );
+    } catch (error) {
+      this.logger.error(
+        `Failed to track Kolay Gelsin package: ${error.message}`,
+        { error }
+      );
+      return this.createErrorResponse(
+        `Failed to track package: ${error.message}`,
+        'TRACKING_ERROR'
+      );
+    }
+  }
+
+  /**
+   * Cancel shipment with Kolay Gelsin
+   * @param {string} trackingNumber - Tracking number
+   * @returns {Promise<Object>} Cancellation result
+   */
+  async cancelShipment(trackingNumber) {
+    try {
+      if (!this.axiosInstance) {
+        await this.initialize();
+      }
+
+      if (!trackingNumber) {
+        return this.createErrorResponse(
+          'Tracking number is required',
+          'MISSING_TRACKING_NUMBER'
+        );
+      }
+
+      const response = await this.retryRequest(() =>
+        this.axiosInstance.post(`/v1/shipments/${trackingNumber}/cancel`)
+      );
+
+      const shipment = response.data?.shipment;
+      if (!shipment || shipment.status !== 'CANCELLED') {
+        return this.createErrorResponse(
+          response.data?.error || 'Failed to cancel shipment',
+          'CANCELLATION_FAILED'
+        );
+      }
+
+      const result = {
+        trackingNumber,
+        cancelled: true,
+        cancellationDate: shipment.cancelledAt,
+        refundAmount: shipment.refundAmount,
+        refundCurrency: shipment.currency || 'TRY'
+      };
+
+      return this.createSuccessResponse(
+        result,
+        'Shipment cancelled successfully'
+      );
+    } catch (error) {
+      this.logger.error(
+        `Failed to cancel Kolay Gelsin shipment: ${error.message}`,
+        { error }
+      );
+      return this.createErrorResponse(
+        `Failed to cancel shipment: ${error.message}`,
+        'CANCELLATION_ERROR'
+      );
+    }
+  }
+
+  /**
+   * Get supported service types
+   * @returns {Array} List of supported services
+   */
+  getSupportedServices() {
+    return [
+      {
+        code: 'STANDARD',
+        name: 'Standart Teslimat',
+        description: 'Normal delivery service',
+        estimatedDays: '1-3'
+      },
+      {
+        code: 'SAME_DAY',
+        name: 'Aynı Gün Teslimat',
+        description: 'Same day delivery in metropolitan areas',
+        estimatedDays: '0'
+      }
+    ];
+  }
+
+  /**
+   * Map Kolay Gelsin tracking status to standard status
+   * @param {string} kgStatus - Kolay Gelsin status
+   * @returns {string} Standard tracking status
+   */
+  mapTrackingStatus(kgStatus) {
+    const statusMap = {
+      ORDER_CREATED: 'created',
+      PICKED_UP: 'in_transit',
+      IN_HUB: 'in_transit',
+      ON_THE_WAY: 'in_transit',
+      OUT_FOR_DELIVERY: 'out_for_delivery',
+      DELIVERED: 'delivered',
+      DELIVERY_FAILED: 'delivery_failed',
+      RETURNING: 'returned',
+      RETURNED: 'returned',
+      CANCELLED: 'cancelled',
+      ON_HOLD: 'on_hold'
+    };
+
+    return statusMap[kgStatus] || 'unknown';
+  }
+
+  /**
+   * Check if delivery is available to a specific address
+   * @param {Object} address - Delivery address
+   * @returns {Promise<Object>} Availability check result
+   */
+  async checkDeliveryAvailability(address) {
+    try {
+      if (!this.axiosInstance) {
+        await this.initialize();
+      }
+
+      const formattedAddress = this.formatTurkishAddress(address);
+
+      const response = await this.retryRequest(() =>
+        this.axiosInstance.get('/v1/coverage', {
+          params: {
+            city: formattedAddress.city,
+            district: formattedAddress.district
+          }
+        })
+      );
+
+      if (!response.data) {
+        return this.createErrorResponse(
+          'Delivery availability check failed',
+          'AVAILABILITY_CHECK_FAILED'
+        );
+      }
+
+      const result = {
+        available: Boolean(response.data.covered),
+        serviceTypes: response.data.services || [],
+        estimatedDeliveryDays: response.data.transitDays,
+        restrictions: []
+      };
+
+      return this.createSuccessResponse(
+        result,
+        'Delivery availability checked successfully'
+      );
+    } catch (error) {
+      this.logger.error(
+        `Failed to check Kolay Gelsin delivery availability: ${error.message}`,
+        { error }
+      );
+      return this.createErrorResponse(
+        `Failed to check delivery availability: ${error.message}`,
+        'AVAILABILITY_CHECK_ERROR'
+      );
+    }
+  }
+}
+
+module.exports = KolayGelsinService;
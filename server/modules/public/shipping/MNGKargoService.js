@@ -0,0 +1,516 @@
+/**
+ * MNG Kargo Shipping Service
+ * Integration with MNG Kargo API (apizone) for Turkish domestic shipping
+ */
+
+const BaseShippingService = require('./BaseShippingService');
+const axios = require('axios');
+
+class MNGKargoService extends BaseShippingService {
+  constructor(credentials = {}) {
+    super('MNG Kargo', credentials);
+    this.apiUrl = 'https://api.mngkargo.com.tr/mngapi/api';
+    this.testApiUrl = 'https://testapi.mngkargo.com.tr/mngapi/api';
+    this.isTestMode = credentials.testMode || false;
+    this.accessToken = null;
+    this.tokenExpiresAt = null;
+  }
+
+  /**
+   * Initialize the MNG Kargo service
+   */
+  async initialize() {
+    const { clientId, clientSecret, customerNumber, password } = this.credentials;
+    if (!clientId || !clientSecret || !customerNumber || !password) {
+      throw new Error(
+        'MNG Kargo credentials (clientId, clientSecret, customerNumber, password) are required'
+      );
+    }
+
+    const baseURL = this.getBaseUrl();
+
+    this.axiosInstance = axios.create({
+      baseURL,
+      headers: {
+        'Content-Type': 'application/json',
+        Accept: 'application/json',
+        'X-IBM-Client-Id': clientId,
+        'X-IBM-Client-Secret': clientSecret
+      },
+      timeout: 30000
+    });
+
+    // Add request interceptor for the customer token
+    this.axiosInstance.interceptors.request.use(async (config) => {
+      if (config.url !== '/token') {
+        config.headers.Authorization = `Bearer ${await this.getAccessToken()}`;
+      }
+      return config;
+    });
+
+    // Add response interceptor for error handling
+    this.axiosInstance.interceptors.response.use(
+      (response) => response,
+      (error) => {
+        // Drop the token so the next request logs in again
+        if (error.response?.status === 401) {
+          this.accessToken = null;
+        }
+        this.logger.error(`MNG Kargo API error: ${error.message}`, {
+          status: error.response?.status,
+          data: error.response?.data
+        });
+        return Promise.reject(error);
+      }
+    );
+
+    this.logger.info('MNG Kargo service initialized successfully');
+  }
+
+  /**
+   * Customer token, requested again shortly before it expires
+   * @returns {Promise<string>} JWT
+   */
+  async getAccessToken() {
+    if (this.accessToken && this.tokenExpiresAt > Date.now() + 60000) {
+      return this.accessToken;
+    }
+
+    const response = await this.axiosInstance.post('/token', {
+      customerNumber: this.credentials.customerNumber,
+      password: this.credentials.password,
+      identityType: 1
+    });
+
+    if (!response.data?.jwt) {
+      throw new Error('MNG Kargo login failed');
+    }
+
+    this.accessToken = response.data.jwt;
+    this.tokenExpiresAt = response.data.jwtExpireDate
+      ? new Date(response.data.jwtExpireDate).getTime()
+      : Date.now() + 60 * 60 * 1000;
+    return this.accessToken;
+  }
+
+  /**
+   * Get shipping rates from MNG Kargo
+   * @param {Object} packageInfo - Package details
+   * @param {Object} fromAddress - Origin address
+   * @param {Object} toAddress - Destination address
+   * @returns {Promise<Object>} Shipping rates
+   */
+  async getShippingRates(packageInfo, fromAddress, toAddress) {
+    try {
+      if (!this.axiosInstance) {
+        await this.initialize();
+      }
+
+      const fromFormatted = this.formatTurkishAddress(fromAddress);
+      const toFormatted = this.formatTurkishAddress(toAddress);
+
+      // Validate addresses
+      if (!this.validateTurkishPostalCode(fromFormatted.postalCode)) {
+        return this.createErrorResponse(
+          'Invalid origin postal code',
+          'INVALID_POSTAL_CODE'
+        );
+      }
+
+      if (!this.validateTurkishPostalCode(toFormatted.postalCode)) {
+        return this.createErrorResponse(
+          'Invalid destination postal code',
+          'INVALID_POSTAL_CODE'
+        );
+      }
+
+      const weight = this.getBillableWeight(packageInfo, 3000); // MNG uses 3000 cm³/kg
+
+      const requestData = {
+        shipmentServiceType: 1,
+        packagingType: 4, // Koli
+        paymentType: packageInfo.paymentType === 'COD' ? 2 : 1,
+        deliveryType: 1, // Adrese teslim
+        senderCityName: fromFormatted.city,
+        senderDistrictName: fromFormatted.district,
+        recipientCityName: toFormatted.city,
+        recipientDistrictName: toFormatted.district,
+        orderPieceList: [
+          {
+            kg: Math.ceil(weight / 1000), // Convert to kg and round up
+            desi: Math.ceil(
+              this.calculateDimensionalWeight(packageInfo.dimensions || {}, 3000) / 1000
+            ),
+            count: packageInfo.quantity || 1
+          }
+        ]
+      };
+
+      const response = await this.retryRequest(() =>
+        this.axiosInstance.post('/pricingqueryapi/calculate', requestData)
+      );
+
+      if (!response.data || !Array.isArray(response.data.prices)) {
+        return this.createErrorResponse(
+          response.data?.message || 'Failed to get shipping rates',
+          'RATE_CALCULATION_FAILED'
+        );
+      }
+
+      const rates = response.data.prices.map((rate) => ({
+        serviceCode: rate.serviceCode,
+        serviceName: rate.serviceName,
+        price: parseFloat(rate.totalAmount),
+        currency: 'TRY',
+        estimatedDeliveryDays: rate.deliveryDays,
+        features: rate.features || [],
+        restrictions: []
+      }));
+
+      return this.createSuccessResponse(
+        rates,
+        'Shipping rates calculated successfully'
+      );
+    } catch (error) {
+      this.logger.error(
+        `Failed to get MNG Kargo shipping rates: ${error.message}`,
+        { error }
+      );
+      return this.createErrorResponse(
+        `Failed to calculate shipping rates: ${error.message}`,
+        'RATE_CALCULATION_ERROR'
+      );
+    }
+  }
+
+  /**
+   * Create shipping label with MNG Kargo
+   * @param {Object} shipmentData - Complete shipment information
+   * @returns {Promise<Object>} Label and tracking info
+   */
+  async createShippingLabel(shipmentData) {
+    try {
+      if (!this.axiosInstance) {
+        await this.initialize();
+      }
+
+      const { packageInfo, fromAddress, toAddress, orderInfo } = shipmentData;
+
+      const fromFormatted = this.formatTurkishAddress(fromAddress);
+      const toFormatted = this.formatTurkishAddress(toAddress);
+
+      // Validate required fields
+      if (
+        !toFormatted.phone ||
+        !this.validateTurkishPhoneNumber(toFormatted.phone)
+      ) {
+        return this.createErrorResponse(
+          'Valid Turkish phone number is required',
+          'INVALID_PHONE'
+        );
+      }
+
+      const weight = this.getBillableWeight(packageInfo, 3000);
+      const isCod = packageInfo.paymentType === 'COD';
+
+      const orderRequest = {
+        order: {
+          referenceId: orderInfo?.orderNumber || `PZ${Date.now()}`,
+          barcode: orderInfo?.customerBarcode || '',
+          billOfLandingId: orderInfo?.orderNumber || '',
+          isCOD: isCod ? 1 : 0,
+          codAmount: isCod ? packageInfo.codAmount || 0 : 0,
+          shipmentServiceType: packageInfo.serviceType === 'EXPRESS' ? 7 : 1,
+          packagingType: 4,
+          content: packageInfo.description || 'E-ticaret siparişi',
+          paymentType: 1, // Gönderici ödemeli
+          deliveryType: 1,
+          description: orderInfo?.notes || ''
+        },
+        orderPieceList: [
+          {
+            barcode: `${orderInfo?.orderNumber || 'PZ'}_1`,
+            kg: Math.ceil(weight / 1000),
+            desi: Math.ceil(
+              this.calculateDimensionalWeight(packageInfo.dimensions || {}, 3000) / 1000
+            ),
+            content: packageInfo.description || 'E-ticaret siparişi'
+          }
+        ],
+        recipient: {
+          fullName: toFormatted.name,
+          address: toFormatted.address1,
+          cityName: toFormatted.city,
+          districtName: toFormatted.district,
+          mobilePhoneNumber: toFormatted.phone,
+          email: toFormatted.email
+        },
+        sender: {
+          fullName: fromFormatted.name,
+          address: fromFormatted.address1,
+          cityName: fromFormatted.city,
+          districtName: fromFormatted.district,
+          mobilePhoneNumber: fromFormatted.phone
+        }
+      };
+
+      const response = await this.retryRequest(() =>
+        this.axiosInstance.post('/standardcmdapi/createOrder', orderRequest)
+      );
+
+      const created = Array.isArray(response.data) ? response.data[0] : response.data;
+      if (!created || !created.shipmentId) {
+        return this.createErrorResponse(
+          created?.message || 'Failed to create shipping label',
+          'LABEL_CREATION_FAILED'
+        );
+      }
+
+      const result = {
+        trackingNumber: created.barcode || created.shipmentId,
+        labelUrl: created.labelUrl,
+        shipmentId: created.shipmentId,
+        estimatedDeliveryDate: created.estimatedDeliveryDate,
+        totalCost: created.totalAmount,
+        currency: 'TRY',
+        serviceType: packageInfo.serviceType || 'STANDARD',
+        labelFormat: 'PDF'
+      };
+
+      return this.createSuccessResponse(
+        result,
+        'Shipping label created successfully'
+      );
+    } catch (error) {
+      this.logger.error(
+        `Failed to create MNG Kargo shipping label: ${error.message}`,
+        { error }
+      );
+      return this.createErrorResponse(
+        `Failed to create shipping label: ${error.message}`,
+        'LABEL_CREATION_ERROR'
+      );
+    }
+  }
+
+  /**
+   * Track package with MNG Kargo
+   * @param {string} trackingNumber - Tracking number
+   * @returns {Promise<Object>} Tracking information
+   */
+  async trackPackage(trackingNumber) {
+    try {
+      if (!this.axiosInstance) {
+        await this.initialize();
+      }
+
+      if (!trackingNumber) {
+        return this.createErrorResponse(
+          'Tracking number is required',
+          'MISSING_TRACKING_NUMBER'
+        );
+      }
+
+      const response = await this.retryRequest(() =>
+        this.axiosInstance.get(
+          `/standardqueryapi/getshipmentstatus/${trackingNumber}`
+        )
+      );
+
+      const shipment = Array.isArray(response.data) ? response.data[0] : response.data;
+      if (!shipment || shipment.shipmentStatusCode === undefined) {
+        return this.createErrorResponse(
+          'Tracking information not found',
+          'TRACKING_NOT_FOUND'
+        );
+      }
+
+      const result = {
+        trackingNumber,
+        status: this.mapTrackingStatus(shipment.shipmentStatusCode),
+        statusDescription: shipment.shipmentStatus,
+        estimatedDeliveryDate: shipment.estimatedDeliveryDate,
+        actualDeliveryDate: shipment.deliveryDate,
+        currentLocation: {
+          city: shipment.lastCityName,
+          facility: shipment.lastBranchName
+        },
+        events:
+          shipment.movements?.map((movement) => ({
+            date: movement.eventDate,
+            time: movement.eventTime,
+            status: movement.statusCode,
+            description: movement.statusDescription,
+            location: movement.branchName
+          })) || []
+      };
+
+      return this.createSuccessResponse(
+        result,
+        'Tracking information retrieved successfully'
+      );
+    } catch (error) {
+      this.logger.error(
+        `Failed to track MNG Kargo package: ${error.message}`,
+        { error }
+      );
+      return this.createErrorResponse(
+        `Failed to track package: ${error.message}`,
+        'TRACKING_ERROR'
+      );
+    }
+  }
+
+  /**
+   * Cancel shipment with MNG Kargo
+   * @param {string} trackingNumber - Tracking number
+   * @returns {Promise<Object>} Cancellation result
+   */
+  async cancelShipment(trackingNumber) {
+    try {
+      if (!this.axiosInstance) {
+        await this.initialize();
+      }
+
+      if (!trackingNumber) {
+        return this.createErrorResponse(
+          'Tracking number is required',
+          'MISSING_TRACKING_NUMBER'
+        );
+      }
+
+      const response = await this.retryRequest(() =>
+        this.axiosInstance.put(`/standardcmdapi/cancelorder/${trackingNumber}`)
+      );
+
+      if (!response.data || response.data.cancelled === false) {
+        return this.createErrorResponse(
+          response.data?.message || 'Failed to cancel shipment',
+          'CANCELLATION_FAILED'
+        );
+      }
+
+      const result = {
+        trackingNumber,
+        cancelled: true,
+        cancellationDate: response.data.cancellationDate || new Date().toISOString(),
+        refundAmount: response.data.refundAmount,
+        refundCurrency: 'TRY'
+      };
+
+      return this.createSuccessResponse(
+        result,
+        'Shipment cancelled successfully'
+      );
+    } catch (error) {
+      this.logger.error(
+        `Failed to cancel MNG Kargo shipment: ${error.message}`,
+        { error }
+      );
+      return this.createErrorResponse(
+        `Failed to cancel shipment: ${error.message}`,
+        'CANCELLATION_ERROR'
+      );
+    }
+  }
+
+  /**
+   * Get supported service types
+   * @returns {Array} List of supported services
+   */
+  getSupportedServices() {
+    return [
+      {
+        code: 'STANDARD',
+        name: 'Standart Teslimat',
+        description: 'Normal delivery service',
+        estimatedDays: '1-3'
+      },
+      {
+        code: 'EXPRESS',
+        name: 'Gün İçi / Hızlı Teslimat',
+        description: 'Express delivery service',
+        estimatedDays: '1'
+      },
+      {
+        code: 'COD',
+        name: 'Kapıda Ödeme',
+        description: 'Cash on delivery service',
+        estimatedDays: '1-3'
+      }
+    ];
+  }
+
+  /**
+   * Map MNG Kargo tracking status to standard status
+   * @param {string} mngStatus - MNG Kargo status code
+   * @returns {string} Standard tracking status
+   */
+  mapTrackingStatus(mngStatus) {
+    const statusMap = {
+      0: 'created', // Sipariş oluşturuldu
+      1: 'in_transit', // Gönderi kabul edildi
+      2: 'in_transit', // Transfer sürecinde
+      3: 'in_transit', // Teslimat biriminde
+      4: 'out_for_delivery', // Dağıtımda
+      5: 'delivered', // Teslim edildi
+      6: 'delivery_failed', // Teslim edilemedi
+      7: 'returned', // İade edildi
+      8: 'cancelled', // İptal edildi
+      9: 'on_hold' // Bekletiliyor
+    };
+
+    return statusMap[String(mngStatus)] || 'unknown';
+  }
+
+  /**
+   * Check if delivery is available to a specific address
+   * @param {Object} address - Delivery address
+   * @returns {Promise<Object>} Availability check result
+   */
+  async checkDeliveryAvailability(address) {
+    try {
+      if (!this.axiosInstance) {
+        await this.initialize();
+      }
+
+      const formattedAddress = this.formatTurkishAddress(address);
+
+      const response = await this.retryRequest(() =>
+        this.axiosInstance.get('/cbsinfoapi/getdistricts', {
+          params: { cityName: formattedAddress.city }
+        })
+      );
+
+      const districts = Array.isArray(response.data) ? response.data : [];
+      const district = districts.find(
+        (item) =>
+          item.name?.toLocaleLowerCase('tr') ===
+          formattedAddress.district.toLocaleLowerCase('tr')
+      );
+
+      const result = {
+        available: Boolean(district) && district.isServiced !== false,
+        serviceTypes: ['STANDARD', 'COD'],
+        estimatedDeliveryDays: district?.mobileArea ? '2-4' : '1-3',
+        restrictions: district?.mobileArea ? ['Mobile delivery area'] : []
+      };
+
+      return this.createSuccessResponse(
+        result,
+        'Delivery availability checked successfully'
+      );
+    } catch (error) {
+      this.logger.error(
+        `Failed to check MNG Kargo delivery availability: ${error.message}`,
+        { error }
+      );
+      return this.createErrorResponse(
+        `Failed to check delivery availability: ${error.message}`,
+        'AVAILABILITY_CHECK_ERROR'
+      );
+    }
+  }
+}
+
+module.exports = MNGKargoService;
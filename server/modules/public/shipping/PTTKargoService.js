@@ -24,7 +24,7 @@ class PTTKargoService extends BaseShippingService {
       );
     }
 
-    const baseURL = this.isTestMode ? this.testApiUrl : this.apiUrl;
+    const baseURL = this.getBaseUrl();
 
     this.axiosInstance = axios.create({
       baseURL,
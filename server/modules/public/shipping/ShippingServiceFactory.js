@@ -6,6 +6,11 @@
 const ArasKargoService = require('./ArasKargoService');
 const YurticiKargoService = require('./YurticiKargoService');
 const PTTKargoService = require('./PTTKargoService');
+const MNGKargoService = require('./MNGKargoService');
+const SuratKargoService = require('./SuratKargoService');
+const HepsiJetService = require('./HepsiJetService');
+const TrendyolExpressService = require('./TrendyolExpressService');
+const KolayGelsinService = require('./KolayGelsinService');
 const logger = require('../../../utils/logger');
 
 class ShippingServiceFactory {
@@ -14,13 +19,18 @@ class ShippingServiceFactory {
     this.supportedCarriers = [
       'aras',
       'yurtici',
-      'ptt'
+      'ptt',
+      'mng',
+      'surat',
+      'hepsijet',
+      'trendyol_express',
+      'kolaygelsin'
     ];
   }
 
   /**
    * Get a shipping service instance for a specific carrier
-   * @param {string} carrierCode - Carrier code (aras, yurtici, ptt)
+   * @param {string} carrierCode - Carrier code (aras, yurtici, ptt, mng, surat, hepsijet, trendyol_express, kolaygelsin)
    * @param {Object} credentials - Carrier credentials
    * @returns {Object} Shipping service instance
    */
@@ -51,6 +61,21 @@ class ShippingServiceFactory {
     case 'ptt':
       service = new PTTKargoService(credentials);
       break;
+    case 'mng':
+      service = new MNGKargoService(credentials);
+      break;
+    case 'surat':
+      service = new SuratKargoService(credentials);
+      break;
+    case 'hepsijet':
+      service = new HepsiJetService(credentials);
+      break;
+    case 'trendyol_express':
+      service = new TrendyolExpressService(credentials);
+      break;
+    case 'kolaygelsin':
+      service = new KolayGelsinService(credentials);
+      break;
     default:
       throw new Error(`Service implementation not found for carrier: ${carrierCode}`);
     }
@@ -97,6 +122,56 @@ class ShippingServiceFactory {
         coverage: 'Turkey (all provinces and rural areas)',
         estimatedDeliveryDays: '1-5',
         credentialsRequired: ['apiKey', 'customerCode']
+      },
+      {
+        code: 'mng',
+        name: 'MNG Kargo',
+        description: 'Nationwide cargo company with a wide branch network',
+        website: 'https://www.mngkargo.com.tr',
+        features: ['Tracking', 'COD', 'Express', 'Economy'],
+        coverage: 'Turkey (all provinces)',
+        estimatedDeliveryDays: '1-3',
+        credentialsRequired: ['clientId', 'clientSecret', 'customerNumber', 'password']
+      },
+      {
+        code: 'surat',
+        name: 'Sürat Kargo',
+        description: 'Turkish cargo company focused on e-commerce deliveries',
+        website: 'https://www.suratkargo.com.tr',
+        features: ['Tracking', 'COD', 'Express'],
+        coverage: 'Turkey (all provinces)',
+        estimatedDeliveryDays: '1-3',
+        credentialsRequired: ['username', 'password']
+      },
+      {
+        code: 'hepsijet',
+        name: 'HepsiJet',
+        description: 'E-commerce delivery network of Hepsiburada',
+        website: 'https://www.hepsijet.com',
+        features: ['Tracking', 'Next Day Delivery'],
+        coverage: 'Turkey (all provinces)',
+        estimatedDeliveryDays: '1-2',
+        credentialsRequired: ['username', 'password', 'companyCode']
+      },
+      {
+        code: 'trendyol_express',
+        name: 'Trendyol Express',
+        description: 'E-commerce delivery network of Trendyol',
+        website: 'https://www.trendyolexpress.com',
+        features: ['Tracking', 'Next Day Delivery'],
+        coverage: 'Turkey (all provinces)',
+        estimatedDeliveryDays: '1-3',
+        credentialsRequired: ['supplierId', 'apiKey', 'apiSecret']
+      },
+      {
+        code: 'kolaygelsin',
+        name: 'Kolay Gelsin',
+        description: 'Technology driven delivery company with same day service',
+        website: 'https://www.kolaygelsin.com',
+        features: ['Tracking', 'Same Day (limited cities)'],
+        coverage: 'Turkey (major cities)',
+        estimatedDeliveryDays: '0-3',
+        credentialsRequired: ['apiKey', 'customerId']
       }
     ];
   }
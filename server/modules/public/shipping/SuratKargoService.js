@@ -0,0 +1,463 @@
+/**
+ * Sürat Kargo Shipping Service
+ * Integration with Sürat Kargo API for Turkish domestic shipping
+ */
+
+const BaseShippingService = require('./BaseShippingService');
+const axios = require('axios');
+
+class SuratKargoService extends BaseShippingService {
+  constructor(credentials = {}) {
+    super('Sürat Kargo', credentials);
+    this.apiUrl = 'https://api.suratkargo.com.tr';
+    this.testApiUrl = 'https://testapi.suratkargo.com.tr';
+    this.isTestMode = credentials.testMode || false;
+  }
+
+  /**
+   * Initialize the Sürat Kargo service
+   */
+  async initialize() {
+    if (!this.credentials.username || !this.credentials.password) {
+      throw new Error(
+        'Sürat Kargo credentials (username, password) are required'
+      );
+    }
+
+    const baseURL = this.getBaseUrl();
+
+    this.axiosInstance = axios.create({
+      baseURL,
+      headers: {
+        'Content-Type': 'application/json',
+        Accept: 'application/json'
+      },
+      timeout: 30000
+    });
+
+    // Sürat expects the account in every request
+    this.axiosInstance.interceptors.request.use(async (config) => {
+      config.headers.KullaniciAdi = this.credentials.username;
+      config.headers.Sifre = this.credentials.password;
+      if (this.credentials.customerCode) {
+        config.headers.CariKodu = this.credentials.customerCode;
+      }
+      return config;
+    });
+
+    // Add response interceptor for error handling
+    this.axiosInstance.interceptors.response.use(
+      (response) => response,
+      (error) => {
+        this.logger.error(`Sürat Kargo API error: ${error.message}`, {
+          status: error.response?.status,
+          data: error.response?.data
+        });
+        return Promise.reject(error);
+      }
+    );
+
+    this.logger.info('Sürat Kargo service initialized successfully');
+  }
+
+  /**
+   * Get shipping rates from Sürat Kargo
+   * @param {Object} packageInfo - Package details
+   * @param {Object} fromAddress - Origin address
+   * @param {Object} toAddress - Destination address
+   * @returns {Promise<Object>} Shipping rates
+   */
+  async getShippingRates(packageInfo, fromAddress, toAddress) {
+    try {
+      if (!this.axiosInstance) {
+        await this.initialize();
+      }
+
+      const fromFormatted = this.formatTurkishAddress(fromAddress);
+      const toFormatted = this.formatTurkishAddress(toAddress);
+
+      // Validate addresses
+      if (!this.validateTurkishPostalCode(fromFormatted.postalCode)) {
+        return this.createErrorResponse(
+          'Invalid origin postal code',
+          'INVALID_POSTAL_CODE'
+        );
+      }
+
+      if (!this.validateTurkishPostalCode(toFormatted.postalCode)) {
+        return this.createErrorResponse(
+          'Invalid destination postal code',
+          'INVALID_POSTAL_CODE'
+        );
+      }
+
+      const weight = this.getBillableWeight(packageInfo, 3000); // Sürat uses 3000 cm³/kg
+
+      const requestData = {
+        CikisIl: fromFormatted.city,
+        CikisIlce: fromFormatted.district,
+        VarisIl: toFormatted.city,
+        VarisIlce: toFormatted.district,
+        Desi: Math.ceil(weight / 1000), // Convert to kg/desi and round up
+        ParcaAdedi: packageInfo.quantity || 1,
+        KapidaOdeme: packageInfo.paymentType === 'COD'
+      };
+
+      const response = await this.retryRequest(() =>
+        this.axiosInstance.post('/api/v2/FiyatHesapla', requestData)
+      );
+
+      if (!response.data || !response.data.Basarili) {
+        return this.createErrorResponse(
+          response.data?.Mesaj || 'Failed to get shipping rates',
+          'RATE_CALCULATION_FAILED'
+        );
+      }
+
+      const rates = response.data.Fiyatlar.map((rate) => ({
+        serviceCode: rate.HizmetKodu,
+        serviceName: rate.HizmetAdi,
+        price: parseFloat(rate.ToplamTutar),
+        currency: 'TRY',
+        estimatedDeliveryDays: rate.TeslimSuresi,
+        features: [],
+        restrictions: []
+      }));
+
+      return this.createSuccessResponse(
+        rates,
+        'Shipping rates calculated successfully'
+      );
+    } catch (error) {
+      this.logger.error(
+        `Failed to get Sürat Kargo shipping rates: ${error.message}`,
+        { error }
+      );
+      return this.createErrorResponse(
+        `Failed to calculate shipping rates: ${error.message}`,
+        'RATE_CALCULATION_ERROR'
+      );
+    }
+  }
+
+  /**
+   * Create shipping label with Sürat Kargo
+   * @param {Object} shipmentData - Complete shipment information
+   * @returns {Promise<Object>} Label and tracking info
+   */
+  async createShippingLabel(shipmentData) {
+    try {
+      if (!this.axiosInstance) {
+        await this.initialize();
+      }
+
+      const { packageInfo, fromAddress, toAddress, orderInfo } = shipmentData;
+
+      const fromFormatted = this.formatTurkishAddress(fromAddress);
+      const toFormatted = this.formatTurkishAddress(toAddress);
+
+      // Validate required fields
+      if (
+        !toFormatted.phone ||
+        !this.validateTurkishPhoneNumber(toFormatted.phone)
+      ) {
+        return this.createErrorResponse(
+          'Valid Turkish phone number is required',
+          'INVALID_PHONE'
+        );
+      }
+
+      const weight = this.getBillableWeight(packageInfo, 3000);
+      const isCod = packageInfo.paymentType === 'COD';
+
+      const shipmentRequest = {
+        OzelKargoTakipNo: orderInfo?.orderNumber || '',
+        Gonderen: {
+          AdSoyad: fromFormatted.name,
+          Adres: fromFormatted.address1,
+          Il: fromFormatted.city,
+          Ilce: fromFormatted.district,
+          Telefon: fromFormatted.phone
+        },
+        Alici: {
+          AdSoyad: toFormatted.name,
+          Adres: toFormatted.address1,
+          Il: toFormatted.city,
+          Ilce: toFormatted.district,
+          PostaKodu: toFormatted.postalCode,
+          Telefon: toFormatted.phone,
+          Email: toFormatted.email
+        },
+        Desi: Math.ceil(weight / 1000),
+        ParcaAdedi: packageInfo.quantity || 1,
+        IrsaliyeSeriNo: orderInfo?.invoiceNumber || '',
+        Icerik: packageInfo.description || 'E-ticaret siparişi',
+        HizmetKodu: packageInfo.serviceType || 'STANDARD',
+        OdemeTipi: 1, // Gönderici ödemeli
+        KapidaOdeme: isCod,
+        KapidaOdemeTutari: isCod ? packageInfo.codAmount || 0 : 0,
+        DegerliKargo: false,
+        BeyanDegeri: packageInfo.declaredValue || 0
+      };
+
+      const response = await this.retryRequest(() =>
+        this.axiosInstance.post('/api/v2/GonderiOlustur', shipmentRequest)
+      );
+
+      if (!response.data || !response.data.Basarili) {
+        return this.createErrorResponse(
+          response.data?.Mesaj || 'Failed to create shipping label',
+          'LABEL_CREATION_FAILED'
+        );
+      }
+
+      const result = {
+        trackingNumber: response.data.KargoTakipNo,
+        labelUrl: response.data.EtiketUrl,
+        shipmentId: response.data.GonderiId,
+        estimatedDeliveryDate: response.data.TahminiTeslimTarihi,
+        totalCost: response.data.ToplamTutar,
+        currency: 'TRY',
+        serviceType: shipmentRequest.HizmetKodu,
+        labelFormat: 'PDF'
+      };
+
+      return this.createSuccessResponse(
+        result,
+        'Shipping label created successfully'
+      );
+    } catch (error) {
+      this.logger.error(
+        `Failed to create Sürat Kargo shipping label: ${error.message}`,
+        { error }
+      );
+      return this.createErrorResponse(
+        `Failed to create shipping label: ${error.message}`,
+        'LABEL_CREATION_ERROR'
+      );
+    }
+  }
+
+  /**
+   * Track package with Sürat Kargo
+   * @param {string} trackingNumber - Tracking number
+   * @returns {Promise<Object>} Tracking information
+   */
+  async trackPackage(trackingNumber) {
+    try {
+      if (!this.axiosInstance) {
+        await this.initialize();
+      }
+
+      if (!trackingNumber) {
+        return this.createErrorResponse(
+          'Tracking number is required',
+          'MISSING_TRACKING_NUMBER'
+        );
+      }
+
+      const response = await this.retryRequest(() =>
+        this.axiosInstance.get(`/api/v2/GonderiHareketleri/${trackingNumber}`)
+      );
+
+      if (!response.data || !response.data.Basarili) {
+        return this.createErrorResponse(
+          response.data?.Mesaj || 'Tracking information not found',
+          'TRACKING_NOT_FOUND'
+        );
+      }
+
+      const trackingData = response.data.Gonderi;
+
+      const result = {
+        trackingNumber,
+        status: this.mapTrackingStatus(trackingData.DurumKodu),
+        statusDescription: trackingData.DurumAciklama,
+        estimatedDeliveryDate: trackingData.TahminiTeslimTarihi,
+        actualDeliveryDate: trackingData.TeslimTarihi,
+        currentLocation: {
+          city: trackingData.BulunduguIl,
+          facility: trackingData.BulunduguSube
+        },
+        events:
+          trackingData.Hareketler?.map((movement) => ({
+            date: movement.Tarih,
+            time: movement.Saat,
+            status: movement.DurumKodu,
+            description: movement.Aciklama,
+            location: movement.Birim
+          })) || []
+      };
+
+      return this.createSuccessResponse(
+        result,
+        'Tracking information retrieved successfully'
+      );
+    } catch (error) {
+      this.logger.error(
+        `Failed to track Sürat Kargo package: ${error.message}`,
+        { error }
+      );
+      return this.createErrorResponse(
+        `Failed to track package: ${error.message}`,
+        'TRACKING_ERROR'
+      );
+    }
+  }
+
+  /**
+   * Cancel shipment with Sürat Kargo
+   * @param {string} trackingNumber - Tracking number
+   * @returns {Promise<Object>} Cancellation result
+   */
+  async cancelShipment(trackingNumber) {
+    try {
+      if (!this.axiosInstance) {
+        await this.initialize();
+      }
+
+      if (!trackingNumber) {
+        return this.createErrorResponse(
+          'Tracking number is required',
+          'MISSING_TRACKING_NUMBER'
+        );
+      }
+
+      const response = await this.retryRequest(() =>
+        this.axiosInstance.post(`/api/v2/GonderiIptal/${trackingNumber}`)
+      );
+
+      if (!response.data || !response.data.Basarili) {
+        return this.createErrorResponse(
+          response.data?.Mesaj || 'Failed to cancel shipment',
+          'CANCELLATION_FAILED'
+        );
+      }
+
+      const result = {
+        trackingNumber,
+        cancelled: true,
+        cancellationDate: response.data.IptalTarihi,
+        refundAmount: response.data.IadeTutari,
+        refundCurrency: 'TRY'
+      };
+
+      return this.createSuccessResponse(
+        result,
+        'Shipment cancelled successfully'
+      );
+    } catch (error) {
+      this.logger.error(
+        `Failed to cancel Sürat Kargo shipment: ${error.message}`,
+        { error }
+      );
+      return this.createErrorResponse(
+        `Failed to cancel shipment: ${error.message}`,
+        'CANCELLATION_ERROR'
+      );
+    }
+  }
+
+  /**
+   * Get supported service types
+   * @returns {Array} List of supported services
+   */
+  getSupportedServices() {
+    return [
+      {
+        code: 'STANDARD',
+        name: 'Standart Teslimat',
+        description: 'Normal delivery service',
+        estimatedDays: '1-3'
+      },
+      {
+        code: 'EXPRESS',
+        name: 'Hızlı Teslimat',
+        description: 'Next day delivery between major cities',
+        estimatedDays: '1'
+      },
+      {
+        code: 'COD',
+        name: 'Kapıda Ödeme',
+        description: 'Cash on delivery service',
+        estimatedDays: '1-3'
+      }
+    ];
+  }
+
+  /**
+   * Map Sürat Kargo tracking status to standard status
+   * @param {string} suratStatus - Sürat Kargo status code
+   * @returns {string} Standard tracking status
+   */
+  mapTrackingStatus(suratStatus) {
+    const statusMap = {
+      KABUL: 'created',
+      CIKIS_TRANSFER: 'in_transit',
+      TRANSFER: 'in_transit',
+      VARIS_SUBE: 'in_transit',
+      DAGITIMDA: 'out_for_delivery',
+      TESLIM_EDILDI: 'delivered',
+      TESLIM_EDILEMEDI: 'delivery_failed',
+      IADE: 'returned',
+      IPTAL: 'cancelled',
+      BEKLEMEDE: 'on_hold'
+    };
+
+    return statusMap[suratStatus?.toUpperCase()] || 'unknown';
+  }
+
+  /**
+   * Check if delivery is available to a specific address
+   * @param {Object} address - Delivery address
+   * @returns {Promise<Object>} Availability check result
+   */
+  async checkDeliveryAvailability(address) {
+    try {
+      if (!this.axiosInstance) {
+        await this.initialize();
+      }
+
+      const formattedAddress = this.formatTurkishAddress(address);
+
+      const response = await this.retryRequest(() =>
+        this.axiosInstance.get('/api/v2/HizmetBolgesi', {
+          params: {
+            Il: formattedAddress.city,
+            Ilce: formattedAddress.district
+          }
+        })
+      );
+
+      if (!response.data || !response.data.Basarili) {
+        return this.createErrorResponse(
+          'Delivery availability check failed',
+          'AVAILABILITY_CHECK_FAILED'
+        );
+      }
+
+      const result = {
+        available: Boolean(response.data.HizmetVar),
+        serviceTypes: response.data.Hizmetler || [],
+        estimatedDeliveryDays: response.data.TeslimSuresi,
+        restrictions: response.data.Kisitlar || []
+      };
+
+      return this.createSuccessResponse(
+        result,
+        'Delivery availability checked successfully'
+      );
+    } catch (error) {
+      this.logger.error(
+        `Failed to check Sürat Kargo delivery availability: ${error.message}`,
+        { error }
+      );
+      return this.createErrorResponse(
+        `Failed to check delivery availability: ${error.message}`,
+        'AVAILABILITY_CHECK_ERROR'
+      );
+    }
+  }
+}
+
+module.exports = SuratKargoService;
@@ -0,0 +1,447 @@
+/**
+ * Trendyol Express Shipping Service
+ * Integration with Trendyol Express (TEX) API for sellers shipping outside
+ * the Trendyol marketplace agreement
+ */
+
+const BaseShippingService = require('./BaseShippingService');
+const axios = require('axios');
+
+class TrendyolExpressService extends BaseShippingService {
+  constructor(credentials = {}) {
+    super('Trendyol Express', credentials);
+    this.apiUrl = 'https://api.trendyol.com/sapigw/tex';
+    this.testApiUrl = 'https://stageapi.trendyol.com/stagesapigw/tex';
+    this.isTestMode = credentials.testMode || false;
+  }
+
+  /**
+   * Initialize the Trendyol Express service
+   */
+  async initialize() {
+    const { supplierId, apiKey, apiSecret } = this.credentials;
+    if (!supplierId || !apiKey || !apiSecret) {
+      throw new Error(
+        'Trendyol Express credentials (supplierId, apiKey, apiSecret) are required'
+      );
+    }
+
+    const baseURL = `${this.getBaseUrl()}/suppliers/${supplierId}`;
+    const auth = Buffer.from(`${apiKey}:${apiSecret}`).toString('base64');
+
+    this.axiosInstance = axios.create({
+      baseURL,
+      headers: {
+        'Content-Type': 'application/json',
+        Accept: 'application/json',
+        Authorization: `Basic ${auth}`,
+        'User-Agent': `${supplierId} - SelfIntegration`
+      },
+      timeout: 30000
+    });
+
+    // Add response interceptor for error handling
+    this.axiosInstance.interceptors.response.use(
+      (response) => response,
+      (error) => {
+        this.logger.error(`Trendyol Express API error: ${error.message}`, {
+          status: error.response?.status,
+          data: error.response?.data
+        });
+        return Promise.reject(error);
+      }
+    );
+
+    this.logger.info('Trendyol Express service initialized successfully');
+  }
+
+  /**
+   * Get shipping rates from Trendyol Express
+   * @param {Object} packageInfo - Package details
+   * @param {Object} fromAddress - Origin address
+   * @param {Object} toAddress - Destination address
+   * @returns {Promise<Object>} Shipping rates
+   */
+  async getShippingRates(packageInfo, fromAddress, toAddress) {
+    try {
+      if (!this.axiosInstance) {
+        await this.initialize();
+      }
+
+      if (packageInfo.paymentType === 'COD') {
+        return this.createErrorResponse(
+          'Trendyol Express does not support cash on delivery',
+          'COD_NOT_SUPPORTED'
+        );
+      }
+
+      const fromFormatted = this.formatTurkishAddress(fromAddress);
+      const toFormatted = this.formatTurkishAddress(toAddress);
+
+      const weight = this.getBillableWeight(packageInfo, 3000); // TEX uses 3000 cm³/kg
+
+      const requestData = {
+        originCity: fromFormatted.city,
+        originDistrict: fromFormatted.district,
+        destinationCity: toFormatted.city,
+        destinationDistrict: toFormatted.district,
+        deci: Math.max(Math.ceil(weight / 1000), 1),
+        packageCount: packageInfo.quantity || 1
+      };
+
+      const response = await this.retryRequest(() =>
+        this.axiosInstance.post('/quotes', requestData)
+      );
+
+      if (!response.data || !Array.isArray(response.data.quotes)) {
+        return this.createErrorResponse(
+          response.data?.message || 'Failed to get shipping rates',
+          'RATE_CALCULATION_FAILED'
+        );
+      }
+
+      const rates = response.data.quotes.map((rate) => ({
+        serviceCode: rate.serviceCode,
+        serviceName: rate.serviceName,
+        price: parseFloat(rate.price),
+        currency: 'TRY',
+        estimatedDeliveryDays: rate.deliveryDays,
+        features: [],
+        restrictions: []
+      }));
+
+      return this.createSuccessResponse(
+        rates,
+        'Shipping rates calculated successfully'
+      );
+    } catch (error) {
+      this.logger.error(
+        `Failed to get Trendyol Express shipping rates: ${error.message}`,
+        { error }
+      );
+      return this.createErrorResponse(
+        `Failed to calculate shipping rates: ${error.message}`,
+        'RATE_CALCULATION_ERROR'
+      );
+    }
+  }
+
+  /**
+   * Create shipping label with Trendyol Express
+   * @param {Object} shipmentData - Complete shipment information
+   * @returns {Promise<Object>} Label and tracking info
+   */
+  async createShippingLabel(shipmentData) {
+    try {
+      if (!this.axiosInstance) {
+        await this.initialize();
+      }
+
+      const { packageInfo, fromAddress, toAddress, orderInfo } = shipmentData;
+
+      if (packageInfo.paymentType === 'COD') {
+        return this.createErrorResponse(
+          'Trendyol Express does not support cash on delivery',
+          'COD_NOT_SUPPORTED'
+        );
+      }
+
+      const fromFormatted = this.formatTurkishAddress(fromAddress);
+      const toFormatted = this.formatTurkishAddress(toAddress);
+
+      // Validate required fields
+      if (
+        !toFormatted.phone ||
+        !this.validateTurkishPhoneNumber(toFormatted.phone)
+      ) {
+        return this.createErrorResponse(
+          'Valid Turkish phone number is required',
+          'INVALID_PHONE'
+        );
+      }
+
+      const weight = this.getBillableWeight(packageInfo, 3000);
+
+      const shipmentRequest = {
+        referenceNumber: orderInfo?.orderNumber || `PZ${Date.now()}`,
+        serviceCode: packageInfo.serviceType || 'STANDARD',
+        sender: {
+          name: fromFormatted.name,
+          address: fromFormatted.address1,
+          city: fromFormatted.city,
+          district: fromFormatted.district,
+          phone: fromFormatted.phone
+        },
+        receiver: {
+          name: toFormatted.name,
+          address: toFormatted.address1,
+          city: toFormatted.city,
+          district: toFormatted.district,
+          postalCode: toFormatted.postalCode,
+          phone: toFormatted.phone,
+          email: toFormatted.email
+        },
+        packages: [
+          {
+            deci: Math.max(Math.ceil(weight / 1000), 1),
+            weight: Math.ceil(weight / 1000),
+            content: packageInfo.description || 'E-ticaret siparişi'
+          }
+        ],
+        declaredValue: packageInfo.declaredValue || 0
+      };
+
+      const response = await this.retryRequest(() =>
+        this.axiosInstance.post('/shipments', shipmentRequest)
+      );
+
+      if (!response.data || !response.data.trackingNumber) {
+        return this.createErrorResponse(
+          response.data?.message || 'Failed to create shipping label',
+          'LABEL_CREATION_FAILED'
+        );
+      }
+
+      const result = {
+        trackingNumber: response.data.trackingNumber,
+        labelUrl: response.data.labelUrl,
+        shipmentId: response.data.shipmentId,
+        estimatedDeliveryDate: response.data.estimatedDeliveryDate,
+        totalCost: response.data.price,
+        currency: 'TRY',
+        serviceType: shipmentRequest.serviceCode,
+        labelFormat: 'PDF'
+      };
+
+      return this.createSuccessResponse(
+        result,
+        'Shipping label created successfully'
+      );
+    } catch (error) {
+      this.logger.error(
+        `Failed to create Trendyol Express shipping label: ${error.message}`,
+        { error }
+      );
+      return this.createErrorResponse(
+        `Failed to create shipping label: ${error.message}`,
+        'LABEL_CREATION_ERROR'
+      );
+    }
+  }
+
+  /**
+   * Track package with Trendyol Express
+   * @param {string} trackingNumber - Tracking number
+   * @returns {Promise<Object>} Tracking information
+   */
+  async trackPackage(trackingNumber) {
+    try {
+      if (!this.axiosInstance) {
+        await this.initialize();
+      }
+
+      if (!trackingNumber) {
+        return this.createErrorResponse(
+          'Tracking number is required',
+          'MISSING_TRACKING_NUMBER'
+        );
+      }
+
+      const response = await this.retryRequest(() =>
+        this.axiosInstance.get(`/shipments/${trackingNumber}`)
+      );
+
+      const trackingData = response.data;
+      if (!trackingData || !trackingData.status) {
+        return this.createErrorResponse(
+          'Tracking information not found',
+          'TRACKING_NOT_FOUND'
+        );
+      }
+
+      const result = {
+        trackingNumber,
+        status: this.mapTrackingStatus(trackingData.status),
+        statusDescription: trackingData.statusDescription,
+        estimatedDeliveryDate: trackingData.estimatedDeliveryDate,
+        actualDeliveryDate: trackingData.deliveryDate,
+        currentLocation: {
+          city: trackingData.currentCity,
+          facility: trackingData.currentBranch
+        },
+        events:
+          trackingData.events?.map((event) => ({
+            date: event.eventDate,
+            time: null,
+            status: event.status,
+            description: event.description,
+            location: event.branch
+          })) || []
+      };
+
+      return this.createSuccessResponse(
+        result,
+        'Tracking information retrieved successfully'
+      );
+    } catch (error) {
+      this.logger.error(
+        `Failed to track Trendyol Express package: ${error.message}`,
+        { error }
+      );
+      return this.createErrorResponse(
+        `Failed to track package: ${error.message}`,
+        'TRACKING_ERROR'
+      );
+    }
+  }
+
+  /**
+   * Cancel shipment with Trendyol Express
+   * @param {string} trackingNumber - Tracking number
+   * @returns {Promise<Object>} Cancellation result
+   */
+  async cancelShipment(trackingNumber) {
+    try {
+      if (!this.axiosInstance) {
+        await this.initialize();
+      }
+
+      if (!trackingNumber) {
+        return this.createErrorResponse(
+          'Tracking number is required',
+          'MISSING_TRACKING_NUMBER'
+        );
+      }
+
+      const response = await this.retryRequest(() =>
+        this.axiosInstance.put(`/shipments/${trackingNumber}/cancel`)
+      );
+
+      if (!response.data || !response.data.cancelled) {
+        return this.createErrorResponse(
+          response.data?.message || 'Failed to cancel shipment',
+          'CANCELLATION_FAILED'
+        );
+      }
+
+      const result = {
+        trackingNumber,
+        cancelled: true,
+        cancellationDate: response.data.cancellationDate,
+        refundAmount: response.data.refundAmount,
+        refundCurrency: 'TRY'
+      };
+
+      return this.createSuccessResponse(
+        result,
+        'Shipment cancelled successfully'
+      );
+    } catch (error) {
+      this.logger.error(
+        `Failed to cancel Trendyol Express shipment: ${error.message}`,
+        { error }
+      );
+      return this.createErrorResponse(
+        `Failed to cancel shipment: ${error.message}`,
+        'CANCELLATION_ERROR'
+      );
+    }
+  }
+
+  /**
+   * Get supported service types
+   * @returns {Array} List of supported services
+   */
+  getSupportedServices() {
+    return [
+      {
+        code: 'STANDARD',
+        name: 'Standart Teslimat',
+        description: 'Normal delivery service',
+        estimatedDays: '1-3'
+      },
+      {
+        code: 'EXPRESS',
+        name: 'Ertesi Gün Teslimat',
+        description: 'Next day delivery',
+        estimatedDays: '1'
+      }
+    ];
+  }
+
+  /**
+   * Map Trendyol Express tracking status to standard status
+   * @param {string} texStatus - Trendyol Express status
+   * @returns {string} Standard tracking status
+   */
+  mapTrackingStatus(texStatus) {
+    const statusMap = {
+      CREATED: 'created',
+      PICKEDUP: 'in_transit',
+      INTRANSIT: 'in_transit',
+      ATDELIVERYBRANCH: 'in_transit',
+      OUTFORDELIVERY: 'out_for_delivery',
+      DELIVERED: 'delivered',
+      UNDELIVERED: 'delivery_failed',
+      RETURNED: 'returned',
+      CANCELLED: 'cancelled',
+      ONHOLD: 'on_hold'
+    };
+
+    return statusMap[texStatus?.toUpperCase()] || 'unknown';
+  }
+
+  /**
+   * Check if delivery is available to a specific address
+   * @param {Object} address - Delivery address
+   * @returns {Promise<Object>} Availability check result
+   */
+  async checkDeliveryAvailability(address) {
+    try {
+      if (!this.axiosInstance) {
+        await this.initialize();
+      }
+
+      const formattedAddress = this.formatTurkishAddress(address);
+
+      const response = await this.retryRequest(() =>
+        this.axiosInstance.get('/coverage', {
+          params: {
+            city: formattedAddress.city,
+            district: formattedAddress.district
+          }
+        })
+      );
+
+      if (!response.data) {
+        return this.createErrorResponse(
+          'Delivery availability check failed',
+          'AVAILABILITY_CHECK_FAILED'
+        );
+      }
+
+      const result = {
+        available: Boolean(response.data.available),
+        serviceTypes: response.data.serviceCodes || [],
+        estimatedDeliveryDays: response.data.deliveryDays,
+        restrictions: []
+      };
+
+      return this.createSuccessResponse(
+        result,
+        'Delivery availability checked successfully'
+      );
+    } catch (error) {
+      this.logger.error(
+        `Failed to check Trendyol Express delivery availability: ${error.message}`,
+        { error }
+      );
+      return this.createErrorResponse(
+        `Failed to check delivery availability: ${error.message}`,
+        'AVAILABILITY_CHECK_ERROR'
+      );
+    }
+  }
+}
+
+module.exports = TrendyolExpressService;
@@ -28,7 +28,7 @@ class YurticiKargoService extends BaseShippingService {
       );
     }
 
-    const baseURL = this.isTestMode ? this.testApiUrl : this.apiUrl;
+    const baseURL = this.getBaseUrl();
 
     this.axiosInstance = axios.create({
       baseURL,
@@ -0,0 +1,170 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, query } = require('express-validator');
+const { auth } = require('../middleware/auth');
+const accountingController = require('../controllers/accounting-controller');
+const {
+  DATASETS,
+  FORMATS
+} = require('../services/accounting-service');
+
+const FEE_TYPES = ['commission', 'shipping'];
+const PERIOD_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+const periodParam = param('period')
+  .matches(PERIOD_PATTERN)
+  .withMessage('Period must be a month as YYYY-MM.');
+
+// Apply authentication middleware
+router.use(auth);
+
+// @route   GET /api/accounting/mapping
+// @desc    Chart of accounts mapping merged over the defaults
+// @access  Private
+router.get('/mapping', accountingController.getMapping);
+
+// @route   PUT /api/accounting/mapping
+// @desc    Save account and card codes: defaults, per platform and per VAT rate
+// @access  Private
+router.put(
+  '/mapping',
+  [
+    body('defaults').optional().isObject(),
+    body('platforms').optional().isObject(),
+    body('vatRates').optional().isObject()
+  ],
+  accountingController.saveMapping
+);
+
+// @route   GET /api/accounting/parasut
+// @desc    Paraşüt credentials with secrets masked
+// @access  Private
+router.get('/parasut', accountingController.getParasutConfig);
+
+// @route   PUT /api/accounting/parasut
+// @desc    Save Paraşüt credentials
+// @access  Private
+router.put(
+  '/parasut',
+  [
+    body('companyId').optional().isString().trim(),
+    body('clientId').optional().isString().trim(),
+    body('clientSecret').optional().isString(),
+    body('username').optional().isString().trim(),
+    body('password').optional().isString()
+  ],
+  accountingController.saveParasutConfig
+);
+
+// @route   GET /api/accounting/periods
+// @desc    Months with a lock or an export on record
+// @access  Private
+router.get('/periods', accountingController.getPeriods);
+
+// @route   GET /api/accounting/periods/:period
+// @desc    Totals, lock state and exports of a month
+// @access  Private
+router.get('/periods/:period', [periodParam], accountingController.getPeriod);
+
+// @route   GET /api/accounting/periods/:period/journal
+// @desc    Double-entry journal of a month
+// @access  Private
+router.get(
+  '/periods/:period/journal',
+  [periodParam],
+  accountingController.getJournal
+);
+
+// @route   POST /api/accounting/periods/:period/export
+// @desc    Export a dataset of a month as Logo, Mikro or Paraşüt files, or
+//          send it to Paraşüt
+// @access  Private
+router.post(
+  '/periods/:period/export',
+  [
+    periodParam,
+    body('dataset').isIn(DATASETS).withMessage('Unknown dataset.'),
+    body('format').isIn(FORMATS).withMessage('Unknown format.')
+  ],
+  accountingController.exportPeriod
+);
+
+// @route   POST /api/accounting/periods/:period/lock
+// @desc    Lock a month that has ended
+// @access  Private
+router.post(
+  '/periods/:period/lock',
+  [periodParam, body('reason').optional().isString().trim().isLength({ max: 255 })],
+  accountingController.lockPeriod
+);
+
+// @route   POST /api/accounting/periods/:period/unlock
+// @desc    Reopen a locked month for corrections
+// @access  Private
+router.post(
+  '/periods/:period/unlock',
+  [
+    periodParam,
+    body('reason')
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 255 })
+      .withMessage('A reason is required to unlock a period.')
+  ],
+  accountingController.unlockPeriod
+);
+
+// @route   POST /api/accounting/periods/:period/sync-fees
+// @desc    Pull the commissions and shipping fees of a month
+// @access  Private
+router.post(
+  '/periods/:period/sync-fees',
+  [periodParam],
+  accountingController.syncFees
+);
+
+// @route   GET /api/accounting/fees
+// @desc    Marketplace commissions and shipping fees
+// @access  Private
+router.get(
+  '/fees',
+  [
+    query('period').optional().matches(PERIOD_PATTERN),
+    query('type').optional().isIn(FEE_TYPES),
+    query('platform').optional().isString(),
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 200 })
+  ],
+  accountingController.getFees
+);
+
+// @route   POST /api/accounting/fees
+// @desc    Enter fees the marketplaces do not report
+// @access  Private
+router.post(
+  '/fees',
+  [
+    body('fees').isArray({ min: 1 }).withMessage('fees are required.'),
+    body('fees.*.platform').isString().trim().notEmpty(),
+    body('fees.*.type').isIn(FEE_TYPES),
+    body('fees.*.feeDate').isISO8601(),
+    body('fees.*.netAmount').isFloat(),
+    body('fees.*.vatRate').optional().isFloat({ min: 0, max: 100 }),
+    body('fees.*.documentNumber').optional().isString().trim(),
+    body('fees.*.description').optional().isString().trim(),
+    body('fees.*.orderNumber').optional().isString().trim(),
+    body('fees.*.currency').optional().isLength({ min: 3, max: 3 })
+  ],
+  accountingController.createFees
+);
+
+// @route   DELETE /api/accounting/fees/:id
+// @desc    Delete a fee entered by hand
+// @access  Private
+router.delete(
+  '/fees/:id',
+  [param('id').isUUID()],
+  accountingController.deleteFee
+);
+
+module.exports = router;
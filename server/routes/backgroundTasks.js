@@ -3,6 +3,7 @@ const logger = require("../utils/logger");
 const router = express.Router();
 const { body, param, query } = require('express-validator');
 const BackgroundTaskController = require('../controllers/BackgroundTaskController');
+const TaskScheduleController = require('../controllers/TaskScheduleController');
 const { auth } = require('../middleware/auth');
 
 // Apply authentication middleware to all routes
@@ -18,21 +19,27 @@ router.use((req, res, next) => {
 router.use(auth);
 
 // Validation rules
+const TASK_TYPES = [
+  'order_fetching',
+  'product_sync',
+  'inventory_sync',
+  'bulk_operation',
+  'analytics_update',
+  'customer_sync',
+  'shipping_label_generation',
+  'report_generation',
+  'data_export',
+  'data_import',
+  'supplier_feed',
+  'repricing',
+  'shipment_creation',
+  'shipment_tracking',
+  'return_sync',
+  'customer_matching'
+];
+
 const createTaskValidation = [
-  body('taskType')
-    .isIn([
-      'order_fetching',
-      'product_sync',
-      'inventory_sync',
-      'bulk_operation',
-      'analytics_update',
-      'customer_sync',
-      'shipping_label_generation',
-      'report_generation',
-      'data_export',
-      'data_import'
-    ])
-    .withMessage('Invalid task type'),
+  body('taskType').isIn(TASK_TYPES).withMessage('Invalid task type'),
   body('priority')
     .optional()
     .isIn(['low', 'normal', 'high', 'urgent'])
@@ -57,7 +64,39 @@ const createTaskValidation = [
   body('dependsOnTaskIds')
     .optional()
     .isArray()
-    .withMessage('Depends on task IDs must be an array')
+    .withMessage('Depends on task IDs must be an array'),
+  body('dependencyPolicies')
+    .optional()
+    .isObject()
+    .withMessage('Dependency policies must be an object')
+];
+
+const createWorkflowValidation = [
+  body('name').trim().notEmpty().withMessage('Workflow name is required'),
+  body('priority')
+    .optional()
+    .isIn(['low', 'normal', 'high', 'urgent'])
+    .withMessage('Invalid priority'),
+  body('steps')
+    .isArray({ min: 1, max: 50 })
+    .withMessage('Workflow needs between 1 and 50 steps'),
+  body('steps.*.key')
+    .isString()
+    .notEmpty()
+    .withMessage('Every step needs a key'),
+  body('steps.*.taskType').isIn(TASK_TYPES).withMessage('Invalid task type'),
+  body('steps.*.config')
+    .optional()
+    .isObject()
+    .withMessage('Step config must be an object'),
+  body('steps.*.platformConnectionId')
+    .optional({ nullable: true })
+    .isInt()
+    .withMessage('Platform connection ID must be an integer'),
+  body('steps.*.dependsOn')
+    .optional()
+    .isArray()
+    .withMessage('Step dependencies must be an array')
 ];
 
 const updateProgressValidation = [
@@ -95,6 +134,78 @@ const bulkOperationValidation = [
     .withMessage('Invalid bulk action')
 ];
 
+const scheduleIdValidation = [
+  param('scheduleId').isUUID().withMessage('Schedule ID must be a valid UUID')
+];
+
+const scheduleRecurrenceValidation = [
+  body('cronExpression')
+    .optional({ nullable: true })
+    .isString()
+    .withMessage('Cron expression must be a string'),
+  body('intervalMinutes')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('Interval must be a positive number of minutes'),
+  body('timezone')
+    .optional()
+    .isString()
+    .withMessage('Timezone must be a string')
+];
+
+const scheduleOptionsValidation = [
+  body('priority')
+    .optional()
+    .isIn(['low', 'normal', 'high', 'urgent'])
+    .withMessage('Invalid priority'),
+  body('config').optional().isObject().withMessage('Config must be an object'),
+  body('platformConnectionId')
+    .optional({ nullable: true })
+    .isInt()
+    .withMessage('Platform connection ID must be an integer'),
+  body('maxRetries')
+    .optional()
+    .isInt({ min: 0, max: 10 })
+    .withMessage('Max retries must be between 0 and 10'),
+  body('catchUpMode')
+    .optional()
+    .isIn(['skip', 'once', 'all'])
+    .withMessage('Invalid catch-up mode'),
+  body('maxCatchUpRuns')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Max catch-up runs must be between 1 and 100'),
+  body('allowOverlap')
+    .optional()
+    .isBoolean()
+    .withMessage('Allow overlap must be a boolean')
+];
+
+const createScheduleValidation = [
+  body('name').trim().notEmpty().withMessage('Schedule name is required'),
+  body('taskType').isIn(TASK_TYPES).withMessage('Invalid task type'),
+  body().custom((value) => {
+    if (!value.cronExpression && !value.intervalMinutes) {
+      throw new Error('Either cronExpression or intervalMinutes is required');
+    }
+    return true;
+  }),
+  ...scheduleRecurrenceValidation,
+  ...scheduleOptionsValidation
+];
+
+const updateScheduleValidation = [
+  ...scheduleIdValidation,
+  body('name')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Schedule name cannot be empty'),
+  body('taskType').optional().isIn(TASK_TYPES).withMessage('Invalid task type'),
+  ...scheduleRecurrenceValidation,
+  ...scheduleOptionsValidation
+];
+
 // Routes
 
 // GET /api/background-tasks - Get tasks with pagination and filtering
@@ -185,6 +296,96 @@ router.get(
   BackgroundTaskController.getQueue
 );
 
+// GET /api/background-tasks/schedules - Get recurring task schedules
+router.get(
+  '/schedules',
+  [
+    query('status')
+      .optional()
+      .isIn(['all', 'active', 'paused'])
+      .withMessage('Invalid schedule status'),
+    query('taskType')
+      .optional()
+      .isString()
+      .withMessage('Task type must be a string'),
+    query('platformConnectionId')
+      .optional()
+      .isInt()
+      .withMessage('Platform connection ID must be an integer')
+  ],
+  TaskScheduleController.getSchedules
+);
+
+// POST /api/background-tasks/schedules/preview - Preview next run times
+router.post(
+  '/schedules/preview',
+  scheduleRecurrenceValidation,
+  TaskScheduleController.previewSchedule
+);
+
+// POST /api/background-tasks/schedules - Create recurring schedule
+router.post(
+  '/schedules',
+  createScheduleValidation,
+  TaskScheduleController.createSchedule
+);
+
+// GET /api/background-tasks/schedules/:scheduleId - Get schedule by ID
+router.get(
+  '/schedules/:scheduleId',
+  scheduleIdValidation,
+  TaskScheduleController.getScheduleById
+);
+
+// PUT /api/background-tasks/schedules/:scheduleId - Update schedule
+router.put(
+  '/schedules/:scheduleId',
+  updateScheduleValidation,
+  TaskScheduleController.updateSchedule
+);
+
+// PATCH /api/background-tasks/schedules/:scheduleId/pause - Pause schedule
+router.patch(
+  '/schedules/:scheduleId/pause',
+  scheduleIdValidation,
+  TaskScheduleController.pauseSchedule
+);
+
+// PATCH /api/background-tasks/schedules/:scheduleId/resume - Resume schedule
+router.patch(
+  '/schedules/:scheduleId/resume',
+  scheduleIdValidation,
+  TaskScheduleController.resumeSchedule
+);
+
+// POST /api/background-tasks/schedules/:scheduleId/run - Run schedule now
+router.post(
+  '/schedules/:scheduleId/run',
+  scheduleIdValidation,
+  TaskScheduleController.runSchedule
+);
+
+// DELETE /api/background-tasks/schedules/:scheduleId - Delete schedule
+router.delete(
+  '/schedules/:scheduleId',
+  scheduleIdValidation,
+  TaskScheduleController.deleteSchedule
+);
+
+// POST /api/background-tasks/workflows - Create workflow with dependent steps
+router.post(
+  '/workflows',
+  createWorkflowValidation,
+  BackgroundTaskController.createWorkflow
+);
+
+// GET /api/background-tasks/:id/workflow - Get workflow step graph
+router.get(
+  '/:id/workflow',
+  taskIdValidation,
+  BackgroundTaskController.getWorkflow
+);
+
 // GET /api/background-tasks/:id - Get task by ID
 router.get(
   '/:id',
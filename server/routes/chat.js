@@ -1,11 +1,86 @@
 const express = require("express");
 const router = express.Router();
+const { body, param, query } = require("express-validator");
 const chatController = require("../controllers/chatController");
 const optionalAuth = require("../middleware/optionalAuth");
+const { auth } = require("../middleware/auth");
+
+const CONVERSATION_STATUSES = ["bot", "waiting_agent", "with_agent", "closed"];
+const CHANNELS = ["web", "whatsapp"];
 
 // @route   POST /api/chat
 // @desc    Handle an incoming chat message
 // @access  Public/Private
 router.post("/", optionalAuth, chatController.handleChatMessage);
 
-module.exports = router;
\ No newline at end of file
+// @route   GET /api/chat/sessions/:sessionId/messages
+// @desc    Messages of a chat session, polled by the widget for agent replies
+// @access  Public, with the session token in X-Chat-Session-Token
+router.get(
+  "/sessions/:sessionId/messages",
+  [
+    param("sessionId").isString().trim().isLength({ min: 1, max: 255 }),
+    query("after").optional().isISO8601(),
+  ],
+  chatController.getSessionMessages
+);
+
+// @route   GET /api/chat/conversations
+// @desc    Agent queue of assistant conversations
+// @access  Private
+router.get(
+  "/conversations",
+  auth,
+  [
+    query("status").optional().isIn(CONVERSATION_STATUSES),
+    query("channel").optional().isIn(CHANNELS),
+    query("page").optional().isInt({ min: 1 }),
+    query("limit").optional().isInt({ min: 1, max: 100 }),
+  ],
+  chatController.getConversations
+);
+
+// @route   GET /api/chat/conversations/:id
+// @desc    A conversation with its messages
+// @access  Private
+router.get(
+  "/conversations/:id",
+  auth,
+  [param("id").isUUID()],
+  chatController.getConversation
+);
+
+// @route   POST /api/chat/conversations/:id/assign
+// @desc    Take a conversation over from the assistant
+// @access  Private
+router.post(
+  "/conversations/:id/assign",
+  auth,
+  [param("id").isUUID()],
+  chatController.assignConversation
+);
+
+// @route   POST /api/chat/conversations/:id/messages
+// @desc    Reply to the customer as an agent
+// @access  Private
+router.post(
+  "/conversations/:id/messages",
+  auth,
+  [
+    param("id").isUUID(),
+    body("message").isString().trim().isLength({ min: 1, max: 4000 }),
+  ],
+  chatController.replyToConversation
+);
+
+// @route   POST /api/chat/conversations/:id/close
+// @desc    Close a conversation
+// @access  Private
+router.post(
+  "/conversations/:id/close",
+  auth,
+  [param("id").isUUID()],
+  chatController.closeConversation
+);
+
+module.exports = router;
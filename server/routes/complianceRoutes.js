@@ -1,10 +1,12 @@
 const express = require('express');
 const router = express.Router();
-const { auth } = require('../middleware/auth');
+const { auth, checkUsageLimit } = require('../middleware/auth');
 const {
   TurkishComplianceService
 } = require('../services/turkishComplianceService');
 const { TurkishPaymentService } = require('../services/turkishPaymentService');
+const eFaturaService = require('../services/qnbEFaturaService');
+const eIrsaliyeService = require('../services/qnbEIrsaliyeService');
 const logger = require('../utils/logger');
 
 const complianceService = new TurkishComplianceService();
@@ -160,14 +162,42 @@ router.post('/kvkk/:orderId', auth, async (req, res) => {
  *                 type: string
  *               identityNumber:
  *                 type: string
+ *               companyName:
+ *                 type: string
+ *               profile:
+ *                 type: string
+ *                 enum: [TICARIFATURA, TEMELFATURA]
+ *                 default: TICARIFATURA
+ *               alias:
+ *                 type: string
+ *                 description: Receiver alias (defaults to the first registered one)
+ *               notes:
+ *                 type: string
+ *               submit:
+ *                 type: boolean
+ *                 default: true
  *     responses:
  *       200:
  *         description: E-Fatura created successfully
+ *       400:
+ *         description: Buyer is not registered for e-Fatura
+ *       409:
+ *         description: Order already has an active e-Fatura
  */
 router.post('/efatura/:orderId', auth, async (req, res) => {
   try {
     const { orderId } = req.params;
-    const { customerType, taxNumber, taxOffice, identityNumber } = req.body;
+    const {
+      customerType,
+      taxNumber,
+      taxOffice,
+      identityNumber,
+      companyName,
+      profile,
+      alias,
+      notes,
+      submit
+    } = req.body;
 
     if (customerType === 'COMPANY' && (!taxNumber || !taxOffice)) {
       return res.status(400).json({
@@ -176,32 +206,230 @@ router.post('/efatura/:orderId', auth, async (req, res) => {
     }
 
     const result = await complianceService.createEFatura(orderId, {
-      customerType,
-      taxNumber,
+      taxNumber: taxNumber || identityNumber,
       taxOffice,
-      identityNumber,
+      companyName,
+      profile,
+      alias,
+      notes,
+      submit: submit !== false,
       userId: req.user.id
     });
 
+    const failed = result.status === 'failed';
     res.json({
-      success: true,
-      message: 'E-Fatura created successfully',
+      success: !failed,
+      message: failed
+        ? 'E-Fatura created but submission failed'
+        : 'E-Fatura created successfully',
       data: result
     });
   } catch (error) {
     logger.error('Failed to create E-Fatura:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       error: 'Failed to create E-Fatura',
       message: error.message
     });
   }
 });
 
+/**
+ * @swagger
+ * /api/compliance/efatura/taxpayer/{taxNumber}:
+ *   get:
+ *     summary: Check whether a VKN/TCKN is registered for e-Fatura
+ *     tags: [Turkish Compliance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: taxNumber
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Registration status, title and receiver aliases
+ */
+router.get('/efatura/taxpayer/:taxNumber', auth, async (req, res) => {
+  try {
+    const result = await eFaturaService.checkTaxpayer(
+      req.user.id,
+      req.params.taxNumber
+    );
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    logger.error('Failed to check e-Fatura taxpayer:', error);
+    res.status(error.statusCode || 500).json({
+      error: 'Failed to check e-Fatura taxpayer',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/compliance/efatura/incoming/fetch:
+ *   post:
+ *     summary: Download purchase invoices received since the last fetch
+ *     tags: [Turkish Compliance]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Listed, imported and failed counts
+ */
+router.post('/efatura/incoming/fetch', auth, async (req, res) => {
+  try {
+    const result = await eFaturaService.fetchIncoming(req.user.id);
+
+    res.json({
+      success: result.failed === 0,
+      data: result
+    });
+  } catch (error) {
+    logger.error('Failed to fetch incoming e-Fatura:', error);
+    res.status(error.statusCode || 500).json({
+      error: 'Failed to fetch incoming e-Fatura',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/compliance/efatura/incoming:
+ *   get:
+ *     summary: List received purchase invoices
+ *     tags: [Turkish Compliance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: senderTaxNumber
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Incoming invoices
+ */
+router.get('/efatura/incoming', auth, async (req, res) => {
+  try {
+    const { page, limit, senderTaxNumber } = req.query;
+    const result = await eFaturaService.listIncoming(req.user.id, {
+      page,
+      limit,
+      senderTaxNumber
+    });
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    logger.error('Failed to list incoming e-Fatura:', error);
+    res.status(error.statusCode || 500).json({
+      error: 'Failed to list incoming e-Fatura',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/compliance/efatura/{documentId}/submit:
+ *   post:
+ *     summary: Submit a generated or failed e-Fatura to GİB
+ *     tags: [Turkish Compliance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: documentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Submission result
+ */
+router.post('/efatura/:documentId/submit', auth, async (req, res) => {
+  try {
+    const result = await eFaturaService.submit(
+      req.user.id,
+      req.params.documentId
+    );
+
+    res.json({
+      success: result.status !== 'failed',
+      data: result
+    });
+  } catch (error) {
+    logger.error('Failed to submit E-Fatura:', error);
+    res.status(error.statusCode || 500).json({
+      error: 'Failed to submit E-Fatura',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/compliance/efatura/{documentId}/status:
+ *   get:
+ *     summary: Query the GİB status and application response of an e-Fatura
+ *     tags: [Turkish Compliance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: documentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Current e-Fatura status
+ */
+router.get('/efatura/:documentId/status', auth, async (req, res) => {
+  try {
+    const result = await eFaturaService.pollStatus(
+      req.user.id,
+      req.params.documentId
+    );
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    logger.error('Failed to get E-Fatura status:', error);
+    res.status(error.statusCode || 500).json({
+      error: 'Failed to get E-Fatura status',
+      message: error.message
+    });
+  }
+});
+
 /**
  * @swagger
  * /api/compliance/earsiv/{orderId}:
  *   post:
  *     summary: Create E-Arşiv for an order
+ *     description: Issues an EARSIVFATURA through the QNB Finans e-Arşiv
+ *       service; buyers without a tax number are invoiced as final consumers
  *     tags: [Turkish Compliance]
  *     security:
  *       - bearerAuth: []
@@ -211,26 +439,54 @@ router.post('/efatura/:orderId', auth, async (req, res) => {
  *         required: true
  *         schema:
  *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               taxNumber:
+ *                 type: string
+ *               taxOffice:
+ *                 type: string
+ *               companyName:
+ *                 type: string
+ *               notes:
+ *                 type: string
+ *               submit:
+ *                 type: boolean
+ *                 default: true
  *     responses:
  *       200:
  *         description: E-Arşiv created successfully
+ *       409:
+ *         description: Order already has an active e-Arşiv invoice
  */
 router.post('/earsiv/:orderId', auth, async (req, res) => {
   try {
     const { orderId } = req.params;
+    const { taxNumber, taxOffice, companyName, notes, submit } = req.body;
 
     const result = await complianceService.createEArsiv(orderId, {
+      taxNumber,
+      taxOffice,
+      companyName,
+      notes,
+      submit: submit !== false,
       userId: req.user.id
     });
 
+    const failed = result.status === 'failed';
     res.json({
-      success: true,
-      message: 'E-Arşiv created successfully',
+      success: !failed,
+      message: failed
+        ? 'E-Arşiv created but submission failed'
+        : 'E-Arşiv created successfully',
       data: result
     });
   } catch (error) {
     logger.error('Failed to create E-Arşiv:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       error: 'Failed to create E-Arşiv',
       message: error.message
     });
@@ -296,6 +552,11 @@ router.post('/tax/calculate', auth, async (req, res) => {
  * /api/compliance/irsaliye/{orderId}:
  *   post:
  *     summary: Generate İrsaliye (delivery note) for an order
+ *     description: |
+ *       Builds a UBL-TR e-İrsaliye from the order, its items and shipping
+ *       details and submits it to GİB through QNB Finans. A carrier with a
+ *       VKN (from the body or the shipping carrier configuration) or a
+ *       vehicle plate with its driver is required.
  *     tags: [Turkish Compliance]
  *     security:
  *       - bearerAuth: []
@@ -305,32 +566,250 @@ router.post('/tax/calculate', auth, async (req, res) => {
  *         required: true
  *         schema:
  *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               plate:
+ *                 type: string
+ *               trailerPlate:
+ *                 type: string
+ *               driver:
+ *                 type: object
+ *                 properties:
+ *                   name:
+ *                     type: string
+ *                   nationalId:
+ *                     type: string
+ *               carrier:
+ *                 type: object
+ *                 properties:
+ *                   name:
+ *                     type: string
+ *                   taxNumber:
+ *                     type: string
+ *               despatchedAt:
+ *                 type: string
+ *                 format: date-time
+ *               notes:
+ *                 type: string
+ *               submit:
+ *                 type: boolean
+ *                 default: true
  *     responses:
  *       200:
  *         description: İrsaliye generated successfully
+ *       409:
+ *         description: Order already has an active e-İrsaliye
  */
 router.post('/irsaliye/:orderId', auth, async (req, res) => {
   try {
     const { orderId } = req.params;
+    const {
+      plate,
+      trailerPlate,
+      driver,
+      carrier,
+      despatchedAt,
+      notes,
+      submit
+    } = req.body;
 
     const result = await complianceService.generateIrsaliye(orderId, {
-      userId: req.user.id
+      userId: req.user.id,
+      plate,
+      trailerPlate,
+      driver,
+      carrier,
+      despatchedAt,
+      notes,
+      submit: submit !== false
     });
 
+    const failed = result.status === 'failed';
     res.json({
-      success: true,
-      message: 'İrsaliye generated successfully',
+      success: !failed,
+      message: failed
+        ? 'İrsaliye generated but submission failed'
+        : 'İrsaliye generated successfully',
       data: result
     });
   } catch (error) {
     logger.error('Failed to generate İrsaliye:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       error: 'Failed to generate İrsaliye',
       message: error.message
     });
   }
 });
 
+/**
+ * @swagger
+ * /api/compliance/irsaliye/{documentId}/submit:
+ *   post:
+ *     summary: Submit a generated or failed e-İrsaliye to GİB
+ *     tags: [Turkish Compliance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: documentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Submission result
+ */
+router.post('/irsaliye/:documentId/submit', auth, async (req, res) => {
+  try {
+    const result = await eIrsaliyeService.submit(
+      req.user.id,
+      req.params.documentId
+    );
+
+    res.json({
+      success: result.status !== 'failed',
+      data: result
+    });
+  } catch (error) {
+    logger.error('Failed to submit İrsaliye:', error);
+    res.status(error.statusCode || 500).json({
+      error: 'Failed to submit İrsaliye',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/compliance/irsaliye/{documentId}/status:
+ *   get:
+ *     summary: Query the GİB status of an e-İrsaliye
+ *     tags: [Turkish Compliance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: documentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Current e-İrsaliye status
+ */
+router.get('/irsaliye/:documentId/status', auth, async (req, res) => {
+  try {
+    const result = await eIrsaliyeService.pollStatus(
+      req.user.id,
+      req.params.documentId
+    );
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    logger.error('Failed to get İrsaliye status:', error);
+    res.status(error.statusCode || 500).json({
+      error: 'Failed to get İrsaliye status',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/compliance/irsaliye/{documentId}/cancel:
+ *   post:
+ *     summary: Cancel an e-İrsaliye that has not been sent to GİB
+ *     tags: [Turkish Compliance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: documentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: İrsaliye cancelled
+ *       409:
+ *         description: İrsaliye was already sent to GİB
+ */
+router.post('/irsaliye/:documentId/cancel', auth, async (req, res) => {
+  try {
+    const result = await eIrsaliyeService.cancel(
+      req.user.id,
+      req.params.documentId,
+      req.body.reason
+    );
+
+    res.json({
+      success: true,
+      message: 'İrsaliye cancelled',
+      data: result
+    });
+  } catch (error) {
+    logger.error('Failed to cancel İrsaliye:', error);
+    res.status(error.statusCode || 500).json({
+      error: 'Failed to cancel İrsaliye',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/compliance/irsaliye/{documentId}/pdf:
+ *   get:
+ *     summary: Download the printable copy of an e-İrsaliye
+ *     tags: [Turkish Compliance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: documentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: PDF document
+ *         content:
+ *           application/pdf: {}
+ */
+router.get('/irsaliye/:documentId/pdf', auth, async (req, res) => {
+  try {
+    const { filename, buffer } = await eIrsaliyeService.renderPdf(
+      req.user.id,
+      req.params.documentId
+    );
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="${filename}"`);
+    res.send(buffer);
+  } catch (error) {
+    logger.error('Failed to render İrsaliye PDF:', error);
+    res.status(error.statusCode || 500).json({
+      error: 'Failed to render İrsaliye PDF',
+      message: error.message
+    });
+  }
+});
+
 /**
  * Payment Gateway Routes
  */
@@ -487,6 +966,7 @@ router.post('/payments/process', auth, async (req, res) => {
     switch (gateway.toUpperCase()) {
     case 'IYZICO':
       result = await paymentService.processIyzicoPayment({
+        userId: req.user.id,
         orderId,
         amount,
         currency: currency || 'TRY',
@@ -744,7 +1224,7 @@ router.get('/dashboard/stats', auth, async (req, res) => {
  *       200:
  *         description: Report generated successfully
  */
-router.post('/reports/generate', auth, async (req, res) => {
+router.post('/reports/generate', auth, checkUsageLimit('reports'), async (req, res) => {
   try {
     const userId = req.user.id;
     const { reportType, dateFrom, dateTo, format = 'PDF' } = req.body;
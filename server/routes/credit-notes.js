@@ -0,0 +1,63 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, query } = require('express-validator');
+const { auth } = require('../middleware/auth');
+const creditNoteController = require('../controllers/credit-note-controller');
+
+const STATUSES = ['pending', 'completed', 'failed'];
+
+// Apply authentication middleware
+router.use(auth);
+
+// @route   GET /api/credit-notes
+// @desc    Credit notes of the user
+// @access  Private
+router.get(
+  '/',
+  [
+    query('status').optional().isIn(STATUSES),
+    query('orderId').optional().isUUID(),
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 200 })
+  ],
+  creditNoteController.getCreditNotes
+);
+
+// @route   GET /api/credit-notes/:id
+// @desc    Credit note with its original and return invoice
+// @access  Private
+router.get(
+  '/:id',
+  [param('id').isUUID()],
+  creditNoteController.getCreditNote
+);
+
+// @route   POST /api/credit-notes
+// @desc    Credit returned lines of an order (all lines when items is omitted)
+// @access  Private
+router.post(
+  '/',
+  [
+    body('orderId').isUUID().withMessage('orderId is required.'),
+    body('items').optional().isArray({ min: 1 }),
+    body('items.*.orderItemId').optional().isUUID(),
+    body('items.*.sku').optional().isString(),
+    body('items.*.quantity')
+      .if(body('items').exists())
+      .isInt({ min: 1 })
+      .withMessage('Each item needs a quantity.'),
+    body('reason').optional().isString().trim().isLength({ max: 255 })
+  ],
+  creditNoteController.createCreditNote
+);
+
+// @route   POST /api/credit-notes/:id/retry
+// @desc    Retry a failed credit note
+// @access  Private
+router.post(
+  '/:id/retry',
+  [param('id').isUUID()],
+  creditNoteController.retryCreditNote
+);
+
+module.exports = router;
@@ -3,6 +3,7 @@ const logger = require("../utils/logger");
 const { body, query, param } = require("express-validator");
 // Re-enable auth middleware now that we have the reply method implemented
 const { auth } = require("../middleware/auth");
+const { CATEGORIES } = require("../services/question-answering/rule-based-model");
 
 // Import the proper controller class
 const CustomerQuestionController = require("../controllers/CustomerQuestionController");
@@ -25,6 +26,12 @@ const validateQuestionQuery = [
     .optional()
     .isIn(["WAITING_FOR_ANSWER", "ANSWERED", "REJECTED", "AUTO_CLOSED"]),
   query("priority").optional().isIn(["low", "medium", "high", "urgent"]),
+  query("sla").optional().isIn(["overdue", "due_soon", "on_track"]),
+  query("assigned_to")
+    .optional()
+    .if(query("assigned_to").not().equals("me"))
+    .isUUID()
+    .withMessage('assigned_to must be a user id or "me"'),
   query("page").optional().isInt({ min: 1 }),
   query("limit").optional().isInt({ min: 1, max: 100 }),
   query("sort_by")
@@ -35,6 +42,7 @@ const validateQuestionQuery = [
       "priority",
       "customer_name",
       "expire_date",
+      "due_date",
     ]),
   query("sort_order").optional().isIn(["ASC", "DESC", "asc", "desc"]),
   query("search").optional().isString().isLength({ min: 1, max: 255 }),
@@ -208,6 +216,185 @@ router.delete("/templates/:id", [param("id").isInt()], (req, res) =>
   getController().deleteReplyTemplate(req, res)
 );
 
+/**
+ * @route GET /api/customer-questions/answer-drafts
+ * @desc Get answer drafts for the review queue
+ * @access Private
+ */
+router.get(
+  "/answer-drafts",
+  [
+    query("status")
+      .optional()
+      .isIn(["pending_review", "scheduled", "sent", "failed", "discarded"]),
+    query("platform").optional().isIn(["trendyol", "hepsiburada", "n11"]),
+    query("category").optional().isIn(CATEGORIES),
+    query("page").optional().isInt({ min: 1 }),
+    query("limit").optional().isInt({ min: 1, max: 100 }),
+  ],
+  (req, res) => getController().getAnswerDrafts(req, res)
+);
+
+/**
+ * @route POST /api/customer-questions/answer-drafts/:draftId/approve
+ * @desc Approve an answer draft, optionally edited, and send it
+ * @access Private
+ */
+router.post(
+  "/answer-drafts/:draftId/approve",
+  [
+    param("draftId").isInt(),
+    body("text")
+      .optional()
+      .isLength({ min: 10, max: 2000 })
+      .withMessage("Reply text must be between 10 and 2000 characters"),
+  ],
+  (req, res) => getController().approveAnswerDraft(req, res)
+);
+
+/**
+ * @route POST /api/customer-questions/answer-drafts/:draftId/discard
+ * @desc Discard an answer draft
+ * @access Private
+ */
+router.post(
+  "/answer-drafts/:draftId/discard",
+  [param("draftId").isInt()],
+  (req, res) => getController().discardAnswerDraft(req, res)
+);
+
+/**
+ * @route GET /api/customer-questions/auto-answer-rules
+ * @desc Get per category rules for sending answers without review
+ * @access Private
+ */
+router.get("/auto-answer-rules", (req, res) =>
+  getController().getAutoAnswerRules(req, res)
+);
+
+/**
+ * @route PUT /api/customer-questions/auto-answer-rules/:category
+ * @desc Create or update the auto-answer rule of a category
+ * @access Private
+ */
+router.put(
+  "/auto-answer-rules/:category",
+  [
+    param("category").isIn(CATEGORIES),
+    body("platform").optional().isIn(["all", "trendyol", "hepsiburada", "n11"]),
+    body("auto_send").optional().isBoolean().toBoolean(),
+    body("min_confidence").optional().isFloat({ min: 0, max: 1 }).toFloat(),
+    body("hold_minutes").optional().isInt({ min: 0, max: 1440 }).toInt(),
+  ],
+  (req, res) => getController().saveAutoAnswerRule(req, res)
+);
+
+/**
+ * @route GET /api/customer-questions/team-members
+ * @desc Get team members questions can be assigned to
+ * @access Private
+ */
+router.get("/team-members", (req, res) =>
+  getController().getTeamMembers(req, res)
+);
+
+/**
+ * @route GET /api/customer-questions/assignment-rules
+ * @desc Get rules that route questions to team members
+ * @access Private
+ */
+router.get("/assignment-rules", (req, res) =>
+  getController().getAssignmentRules(req, res)
+);
+
+const validateAssignmentRule = [
+  body("category").optional().isIn(["all", ...CATEGORIES]),
+  body("platform").optional().isIn(["all", "trendyol", "hepsiburada", "n11"]),
+  body("agent_ids")
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage("At least one team member is required"),
+  body("agent_ids.*").isUUID(),
+  body("priority").optional().isInt({ min: 0, max: 1000 }).toInt(),
+  body("is_active").optional().isBoolean().toBoolean(),
+];
+
+/**
+ * @route POST /api/customer-questions/assignment-rules
+ * @desc Create an assignment rule
+ * @access Private
+ */
+router.post(
+  "/assignment-rules",
+  [
+    body("name").trim().isLength({ min: 1, max: 100 }),
+    body("agent_ids")
+      .isArray({ min: 1 })
+      .withMessage("At least one team member is required"),
+    ...validateAssignmentRule,
+  ],
+  (req, res) => getController().saveAssignmentRule(req, res)
+);
+
+/**
+ * @route PUT /api/customer-questions/assignment-rules/:ruleId
+ * @desc Update an assignment rule
+ * @access Private
+ */
+router.put(
+  "/assignment-rules/:ruleId",
+  [
+    param("ruleId").isInt(),
+    body("name").optional().trim().isLength({ min: 1, max: 100 }),
+    ...validateAssignmentRule,
+  ],
+  (req, res) => getController().saveAssignmentRule(req, res)
+);
+
+/**
+ * @route DELETE /api/customer-questions/assignment-rules/:ruleId
+ * @desc Delete an assignment rule
+ * @access Private
+ */
+router.delete(
+  "/assignment-rules/:ruleId",
+  [param("ruleId").isInt()],
+  (req, res) => getController().deleteAssignmentRule(req, res)
+);
+
+/**
+ * @route POST /api/customer-questions/auto-assign
+ * @desc Assign unassigned open questions by rules and round-robin
+ * @access Private
+ */
+router.post("/auto-assign", (req, res) =>
+  getController().autoAssignQuestions(req, res)
+);
+
+/**
+ * @route GET /api/customer-questions/sla/summary
+ * @desc Get open questions by time left to their answer deadline
+ * @access Private
+ */
+router.get("/sla/summary", (req, res) =>
+  getController().getSlaSummary(req, res)
+);
+
+/**
+ * @route GET /api/customer-questions/sla/agent-report
+ * @desc Get response times per team member
+ * @access Private
+ */
+router.get(
+  "/sla/agent-report",
+  [
+    query("platform").optional().isIn(["trendyol", "hepsiburada", "n11"]),
+    query("start_date").optional().isISO8601(),
+    query("end_date").optional().isISO8601(),
+  ],
+  (req, res) => getController().getAgentReport(req, res)
+);
+
 /**
  * @route GET /api/customer-questions/:id
  * @desc Get specific question by ID
@@ -244,6 +431,15 @@ router.get(
   (req, res) => getController().getTemplateSuggestions(req, res)
 );
 
+/**
+ * @route POST /api/customer-questions/:id/answer-draft
+ * @desc Draft an answer from product facts and reply templates for review
+ * @access Private
+ */
+router.post("/:id/answer-draft", [param("id").isInt()], (req, res) =>
+  getController().createAnswerDraft(req, res)
+);
+
 /**
  * @route PUT /api/customer-questions/:id/assign
  * @desc Assign question to user
@@ -251,7 +447,10 @@ router.get(
  */
 router.put(
   "/:id/assign",
-  [param("id").isInt(), body("assigned_to").optional().isInt()],
+  [
+    param("id").isInt(),
+    body("assigned_to").optional({ nullable: true }).isUUID(),
+  ],
   (req, res) => getController().assignQuestion(req, res)
 );
 
@@ -3,7 +3,14 @@ const router = express.Router();
 const logger = require('../utils/logger');
 const { auth } = require('../middleware/auth');
 const CustomerService = require('../services/CustomerService');
+const identityService = require('../services/customer-identity-service');
+const customerSegmentation = require('../services/customer-segmentation-service');
+const campaignDelivery = require('../services/campaign-delivery-service');
 const {
+  customerSegmentationScheduler
+} = require('../services/CustomerSegmentationScheduler');
+const {
+  Customer,
   Order,
   OrderItem,
   PlatformConnection,
@@ -60,6 +67,264 @@ router.get('/stats', async (req, res) => {
   }
 });
 
+// POST /api/customers/identity/match - Find customers that are the same buyer
+router.post('/identity/match', async (req, res) => {
+  try {
+    const BackgroundTaskService = require('../services/BackgroundTaskService');
+    const { taskQueueManager } = require('../services/TaskQueueManager');
+    if (!taskQueueManager.getStatus().isProcessing) {
+      taskQueueManager.start();
+    }
+
+    const task = await BackgroundTaskService.createTask({
+      userId: req.user.id,
+      taskType: 'customer_matching',
+      priority: 'normal',
+      config: {},
+      metadata: {
+        source: 'customers'
+      }
+    });
+
+    res.status(202).json({
+      success: true,
+      message: 'Customers will be matched in the background',
+      data: { taskId: task.id }
+    });
+  } catch (error) {
+    logger.error('Error starting customer matching', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start customer matching',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/customers/identity/candidates - Suggested matches waiting for review
+router.get('/identity/candidates', async (req, res) => {
+  try {
+    const { status = 'pending', customerId, limit = 50 } = req.query;
+
+    if (!['pending', 'merged', 'rejected'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid match status'
+      });
+    }
+
+    const candidates = await identityService.getCandidates({
+      status,
+      customerId: customerId ? parseInt(customerId) : undefined,
+      limit
+    });
+
+    res.json({
+      success: true,
+      data: candidates
+    });
+  } catch (error) {
+    logger.error('Error fetching match candidates', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch match candidates',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/customers/identity/candidates/:candidateId/:action - Merge or reject a match
+router.post('/identity/candidates/:candidateId/:action', async (req, res) => {
+  try {
+    const { candidateId, action } = req.params;
+
+    if (!['merge', 'reject'].includes(action)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Unknown match action'
+      });
+    }
+
+    const result = await identityService.reviewCandidate(
+      parseInt(candidateId),
+      action,
+      req.user.id,
+      req.body.targetId
+    );
+
+    res.json({
+      success: true,
+      message: action === 'merge' ? 'Customers merged' : 'Match rejected',
+      data: result
+    });
+  } catch (error) {
+    logger.error('Error reviewing match candidate', { error: error.message });
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to review match',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/customers/segments/summary - Customers, value and churn risk per RFM segment
+router.get('/segments/summary', async (req, res) => {
+  try {
+    const summary = await customerSegmentation.getSegmentSummary();
+
+    res.json({
+      success: true,
+      data: summary
+    });
+  } catch (error) {
+    logger.error('Error fetching segment summary', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch segment summary',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/customers/segments/movement - Customers moving between RFM segments over time
+router.get('/segments/movement', async (req, res) => {
+  try {
+    const { startDate, endDate } = req.query;
+
+    if (
+      (startDate && isNaN(Date.parse(startDate))) ||
+      (endDate && isNaN(Date.parse(endDate)))
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid date range'
+      });
+    }
+
+    const movement = await customerSegmentation.getSegmentMovement({
+      startDate,
+      endDate
+    });
+
+    res.json({
+      success: true,
+      data: movement
+    });
+  } catch (error) {
+    logger.error('Error fetching segment movement', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch segment movement',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/customers/segments/recompute - Rescore RFM segments without waiting for the night
+router.post('/segments/recompute', async (req, res) => {
+  if (customerSegmentationScheduler.getStatus().isTicking) {
+    return res.status(409).json({
+      success: false,
+      message: 'Segmentation is already running'
+    });
+  }
+
+  customerSegmentationScheduler.tick(true).catch((error) => {
+    logger.error('Error recomputing customer segments', {
+      error: error.message
+    });
+  });
+
+  res.status(202).json({
+    success: true,
+    message: 'Customer segments will be recomputed in the background'
+  });
+});
+
+// POST /api/customers/:id/merge - Merge another customer into this one
+router.post('/:id/merge', async (req, res) => {
+  try {
+    const { sourceId, sourceEmail } = req.body;
+
+    let source = null;
+    if (sourceId) {
+      source = await Customer.findByPk(parseInt(sourceId));
+    } else if (sourceEmail) {
+      source = await Customer.findOne({
+        where: { email: String(sourceEmail).toLowerCase().trim() }
+      });
+    } else {
+      return res.status(400).json({
+        success: false,
+        message: 'sourceId or sourceEmail is required'
+      });
+    }
+
+    if (!source) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer to merge not found'
+      });
+    }
+
+    const customer = await identityService.merge(
+      parseInt(req.params.id),
+      source.id,
+      { userId: req.user.id }
+    );
+
+    res.json({
+      success: true,
+      message: 'Customers merged',
+      data: customer
+    });
+  } catch (error) {
+    logger.error('Error merging customers', { error: error.message });
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to merge customers',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/customers/:id/split - Split a merged record off this customer
+router.post('/:id/split', async (req, res) => {
+  try {
+    const { memberId } = req.body;
+
+    if (!memberId) {
+      return res.status(400).json({
+        success: false,
+        message: 'memberId is required'
+      });
+    }
+
+    const member = await Customer.findByPk(parseInt(memberId));
+    if (!member || member.mergedIntoId !== parseInt(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Merged customer not found'
+      });
+    }
+
+    const result = await identityService.split(member.id, req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Customer split',
+      data: result
+    });
+  } catch (error) {
+    logger.error('Error splitting customer', { error: error.message });
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to split customer',
+      error: error.message
+    });
+  }
+});
+
 // GET /api/customers - Get all customers with filtering and pagination
 router.get('/', async (req, res) => {
   try {
@@ -69,6 +334,7 @@ router.get('/', async (req, res) => {
       search = '',
       customerType = 'all',
       riskLevel = 'all',
+      rfmSegment = 'all',
       sortBy = 'totalSpent',
       sortOrder = 'desc'
     } = req.query;
@@ -88,6 +354,7 @@ router.get('/', async (req, res) => {
       search,
       customerType,
       riskLevel,
+      rfmSegment,
       sortBy,
       sortOrder
     });
@@ -99,6 +366,7 @@ router.get('/', async (req, res) => {
       search,
       customerType,
       riskLevel,
+      rfmSegment,
       sortBy,
       sortOrder
     });
@@ -317,6 +585,72 @@ router.delete('/:id', async (req, res) => {
   }
 });
 
+// PUT /api/customers/:id/marketing-consent - Record or withdraw commercial email consent
+router.put('/:id/marketing-consent', async (req, res) => {
+  try {
+    const { consent, source = 'manual' } = req.body;
+
+    if (typeof consent !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'consent must be true or false'
+      });
+    }
+    if (!['checkout', 'form', 'manual', 'import'].includes(source)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid consent source'
+      });
+    }
+
+    const customer = await campaignDelivery.setMarketingConsent(
+      parseInt(req.params.id),
+      consent,
+      source
+    );
+
+    res.json({
+      success: true,
+      message: consent ? 'Marketing consent recorded' : 'Marketing consent withdrawn',
+      data: {
+        id: customer.id,
+        marketingEmailConsent: customer.marketingEmailConsent,
+        marketingConsentSource: customer.marketingConsentSource,
+        marketingConsentAt: customer.marketingConsentAt,
+        marketingUnsubscribedAt: customer.marketingUnsubscribedAt
+      }
+    });
+  } catch (error) {
+    logger.error('Error updating marketing consent', { error: error.message });
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Failed to update marketing consent',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/customers/:id/segment-history - RFM segment changes of a customer
+router.get('/:id/segment-history', async (req, res) => {
+  try {
+    const history = await customerSegmentation.getCustomerHistory(
+      parseInt(req.params.id)
+    );
+
+    res.json({
+      success: true,
+      data: history
+    });
+  } catch (error) {
+    logger.error('Error fetching segment history', { error: error.message });
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch segment history',
+      error: error.message
+    });
+  }
+});
+
 // GET /api/customers/:id/orders - Get customer orders
 router.get('/:id/orders', async (req, res) => {
   try {
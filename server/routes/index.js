@@ -86,6 +86,21 @@ try {
   // WhatsApp routes
   const whatsappRoutes = require("./whatsapp");
 
+  // Return claim routes
+  const returnRoutes = require("./returns");
+
+  // Marketing segments and campaign routes
+  const marketingRoutes = require("./marketing");
+
+  // Automatic invoicing routes
+  const invoiceAutomationRoutes = require("./invoice-automation");
+
+  // Credit note and return invoice routes
+  const creditNoteRoutes = require("./credit-notes");
+
+  // Accounting exports, journal and period lock routes
+  const accountingRoutes = require("./accounting");
+
   // Mount centralized routes
   logger.info("Mounting auth routes at /auth...");
   router.use("/auth", authRoutes);
@@ -190,6 +205,21 @@ try {
   // WhatsApp routes
   router.use("/whatsapp", whatsappRoutes);
 
+  // Return claim routes
+  router.use("/returns", returnRoutes);
+
+  // Marketing segments and campaign routes
+  router.use("/marketing", marketingRoutes);
+
+  // Automatic invoicing routes
+  router.use("/invoice-automation", invoiceAutomationRoutes);
+
+  // Credit note and return invoice routes
+  router.use("/credit-notes", creditNoteRoutes);
+
+  // Accounting exports, journal and period lock routes
+  router.use("/accounting", accountingRoutes);
+
   logger.info("✅ Main routes loaded");
 } catch (error) {
   logger.error("❌ Error loading routes:", error.message);
@@ -211,9 +241,10 @@ router.get("/health", (req, res) => {
       sku: "/api/sku",
       customers: "/api/customers",
       customerQuestions: "/api/customer-questions",
+      marketing: "/api/marketing", // Customer segments and campaigns
       settings: "/api/settings", // Includes shipping templates at /api/settings/shipping/templates
       compliance: "/api/compliance",
-      shipping: "/api/shipping", // Coming Soon - Q3 2025
+      shipping: "/api/shipping", // Carrier config, order shipments and labels
       payments: "/api/payments", // Coming Soon - Q4 2025
       orderManagement: "/api/order-management",
       analytics: "/api/analytics", // Month 5 Phase 1
@@ -0,0 +1,101 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, query } = require('express-validator');
+const { auth } = require('../middleware/auth');
+const invoiceAutomationController = require('../controllers/invoice-automation-controller');
+const {
+  STATUS_PROGRESSION,
+  PROVIDERS
+} = require('../services/invoice-automation-service');
+
+const JOB_STATUSES = ['pending', 'issued', 'failed', 'skipped'];
+const UPLOAD_STATUSES = ['pending', 'uploaded', 'unsupported', 'failed'];
+const E_INVOICE_PROFILES = ['TEMELFATURA', 'TICARIFATURA'];
+
+const ruleValidation = (isUpdate) => {
+  const field = (name) => (isUpdate ? body(name).optional() : body(name));
+  return [
+    field('name').trim().notEmpty().withMessage('Rule name is required.'),
+    body('isActive').optional().isBoolean(),
+    body('priority').optional().isInt({ min: 0 }),
+    body('connectionId').optional({ nullable: true }).isInt({ min: 1 }),
+    body('platform').optional({ nullable: true }).isString().trim(),
+    body('triggerStatus')
+      .optional()
+      .isIn(STATUS_PROGRESSION)
+      .withMessage(`triggerStatus must be one of ${STATUS_PROGRESSION.join(', ')}.`),
+    body('provider').optional().isIn(PROVIDERS),
+    body('eInvoiceProfile').optional().isIn(E_INVOICE_PROFILES),
+    body('uploadToPlatform').optional().isBoolean()
+  ];
+};
+
+// Apply authentication middleware
+router.use(auth);
+
+// @route   GET /api/invoice-automation/rules
+// @desc    Automatic invoicing rules of the user
+// @access  Private
+router.get('/rules', invoiceAutomationController.getRules);
+
+// @route   POST /api/invoice-automation/rules
+// @desc    Create an automatic invoicing rule
+// @access  Private
+router.post('/rules', ruleValidation(false), invoiceAutomationController.createRule);
+
+// @route   PUT /api/invoice-automation/rules/:id
+// @desc    Update an automatic invoicing rule
+// @access  Private
+router.put(
+  '/rules/:id',
+  [param('id').isUUID(), ...ruleValidation(true)],
+  invoiceAutomationController.updateRule
+);
+
+// @route   DELETE /api/invoice-automation/rules/:id
+// @desc    Delete an automatic invoicing rule
+// @access  Private
+router.delete(
+  '/rules/:id',
+  [param('id').isUUID()],
+  invoiceAutomationController.deleteRule
+);
+
+// @route   GET /api/invoice-automation/jobs
+// @desc    Invoicing jobs with their order and issued invoice
+// @access  Private
+router.get(
+  '/jobs',
+  [
+    query('status').optional().isIn(JOB_STATUSES),
+    query('uploadStatus').optional().isIn(UPLOAD_STATUSES),
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 200 })
+  ],
+  invoiceAutomationController.getJobs
+);
+
+// @route   POST /api/invoice-automation/run
+// @desc    Queue due orders and issue their invoices now
+// @access  Private
+router.post('/run', invoiceAutomationController.run);
+
+// @route   POST /api/invoice-automation/jobs/:id/retry
+// @desc    Retry a failed invoice or invoice link upload
+// @access  Private
+router.post(
+  '/jobs/:id/retry',
+  [param('id').isUUID()],
+  invoiceAutomationController.retryJob
+);
+
+// @route   GET /api/invoice-automation/reconciliation
+// @desc    Orders of a day against the invoices issued for them
+// @access  Private
+router.get(
+  '/reconciliation',
+  [query('date').optional().isISO8601({ strict: true }).isLength({ min: 10, max: 10 })],
+  invoiceAutomationController.getReconciliation
+);
+
+module.exports = router;
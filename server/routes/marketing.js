@@ -1,11 +1,118 @@
 const express = require('express');
 const router = express.Router();
 const MarketingAutomationService = require('../services/marketing-automation-service');
+const customerSegmentation = require('../services/customer-segmentation-service');
+const campaignDelivery = require('../services/campaign-delivery-service');
+const { TRACKING_PIXEL } = require('../services/campaign-delivery-service');
 const logger = require('../utils/logger');
 const { auth, requireRole } = require('../middleware/auth');
 
 const marketingService = new MarketingAutomationService();
 
+const unsubscribePage = (title, message, form = '') => `<!DOCTYPE html>
+<html lang="tr">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${title}</title>
+</head>
+<body style="font-family: Arial, sans-serif; color: #333; max-width: 480px; margin: 60px auto; padding: 0 20px; text-align: center;">
+  <h1 style="font-size: 22px;">${title}</h1>
+  <p>${message}</p>
+  ${form}
+</body>
+</html>`;
+
+/**
+ * Open tracking pixel of campaign emails
+ * Public: loaded by email clients
+ */
+router.get('/track/open/:file', async (req, res) => {
+  try {
+    await campaignDelivery.recordOpen(req.params.file.replace(/\.gif$/, ''));
+  } catch (error) {
+    logger.error('Error recording campaign open:', error);
+  }
+
+  res.set({
+    'Content-Type': 'image/gif',
+    'Cache-Control': 'no-store, no-cache, must-revalidate, private'
+  });
+  res.send(TRACKING_PIXEL);
+});
+
+/**
+ * Click tracking redirect of campaign links
+ * Public: only links signed when the email was rendered are redirected
+ */
+router.get('/track/click/:token', async (req, res) => {
+  try {
+    const url = await campaignDelivery.recordClick(
+      req.params.token,
+      req.query.url,
+      req.query.sig
+    );
+    if (!url) {
+      return res.status(400).send('Invalid link');
+    }
+    res.redirect(302, url);
+  } catch (error) {
+    logger.error('Error recording campaign click:', error);
+    res.status(500).send('Link could not be opened');
+  }
+});
+
+/**
+ * Unsubscribe confirmation page
+ * Public: asks for confirmation so link scanners do not unsubscribe
+ */
+router.get('/unsubscribe/:token', (req, res) => {
+  if (!campaignDelivery.parseUnsubscribeToken(req.params.token)) {
+    return res
+      .status(400)
+      .send(unsubscribePage('Geçersiz bağlantı', 'Bu abonelikten çıkma bağlantısı geçerli değil.'));
+  }
+
+  const action = req.originalUrl.replace(/"/g, '&quot;');
+  res.send(
+    unsubscribePage(
+      'Abonelikten çık',
+      'Kampanya ve bilgilendirme e-postalarını artık almak istemiyorsanız onaylayın.',
+      `<form method="POST" action="${action}"><button type="submit" style="background: #e74c3c; color: white; border: none; padding: 12px 30px; border-radius: 5px; font-size: 16px; cursor: pointer;">Abonelikten çık</button></form>`
+    )
+  );
+});
+
+/**
+ * Withdraw marketing consent
+ * Public: also the one-click unsubscribe (RFC 8058) target of mail clients
+ */
+router.post('/unsubscribe/:token', async (req, res) => {
+  try {
+    const unsubscribed = await campaignDelivery.unsubscribe(
+      req.params.token,
+      req.query.r
+    );
+    if (!unsubscribed) {
+      return res
+        .status(400)
+        .send(unsubscribePage('Geçersiz bağlantı', 'Bu abonelikten çıkma bağlantısı geçerli değil.'));
+    }
+
+    res.send(
+      unsubscribePage(
+        'Abonelikten çıktınız',
+        'Artık kampanya e-postası almayacaksınız. Sipariş ve kargo bildirimleri gönderilmeye devam eder.'
+      )
+    );
+  } catch (error) {
+    logger.error('Error unsubscribing customer:', error);
+    res
+      .status(500)
+      .send(unsubscribePage('Bir hata oluştu', 'Lütfen daha sonra tekrar deneyin.'));
+  }
+});
+
 /**
  * Get customer segments
  */
@@ -21,11 +128,11 @@ router.get(
         success: true,
         data: segments,
         summary: {
-          totalSegments: Object.keys(segments).length,
-          totalCustomers: Object.values(segments).reduce(
-            (sum, segment) => sum + segment.length,
-            0
-          )
+          totalSegments: segments.length,
+          // RFM segments do not overlap, so their counts add up to the scored customers
+          totalCustomers: segments
+            .filter((segment) => segment.isSystem)
+            .reduce((sum, segment) => sum + segment.customerCount, 0)
         }
       });
     } catch (error) {
@@ -38,6 +145,119 @@ router.get(
   }
 );
 
+/**
+ * Save a customer segment from RFM, spend and recency criteria
+ */
+router.post(
+  '/segments',
+  auth,
+  requireRole(['admin', 'marketing']),
+  async (req, res) => {
+    try {
+      const segment = await customerSegmentation.saveSegment(
+        req.body,
+        req.user.id
+      );
+
+      res.status(201).json({
+        success: true,
+        data: segment,
+        message: 'Segment saved successfully'
+      });
+    } catch (error) {
+      logger.error('Error saving customer segment:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || 'Failed to save customer segment'
+      });
+    }
+  }
+);
+
+/**
+ * Update a saved customer segment
+ */
+router.put(
+  '/segments/:id',
+  auth,
+  requireRole(['admin', 'marketing']),
+  async (req, res) => {
+    try {
+      const segment = await customerSegmentation.saveSegment(
+        req.body,
+        req.user.id,
+        req.params.id
+      );
+
+      res.json({
+        success: true,
+        data: segment,
+        message: 'Segment updated successfully'
+      });
+    } catch (error) {
+      logger.error('Error updating customer segment:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || 'Failed to update customer segment'
+      });
+    }
+  }
+);
+
+/**
+ * Delete a saved customer segment
+ */
+router.delete(
+  '/segments/:id',
+  auth,
+  requireRole(['admin', 'marketing']),
+  async (req, res) => {
+    try {
+      await customerSegmentation.deleteSegment(req.params.id);
+
+      res.json({
+        success: true,
+        message: 'Segment deleted successfully'
+      });
+    } catch (error) {
+      logger.error('Error deleting customer segment:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || 'Failed to delete customer segment'
+      });
+    }
+  }
+);
+
+/**
+ * Preview the customers of a segment, highest lifetime value first
+ */
+router.get(
+  '/segments/:id/customers',
+  auth,
+  requireRole(['admin', 'marketing']),
+  async (req, res) => {
+    try {
+      const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+      const customers = await customerSegmentation.getAudience(
+        [req.params.id],
+        { limit }
+      );
+
+      res.json({
+        success: true,
+        data: customers
+      });
+    } catch (error) {
+      logger.error('Error getting segment customers:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message || 'Failed to retrieve segment customers'
+      });
+    }
+  }
+);
+
 /**
  * Create and send marketing campaign
  */
@@ -47,13 +267,20 @@ router.post(
   requireRole(['admin', 'marketing']),
   async (req, res) => {
     try {
-      const { name, subject, content, segmentIds, scheduledAt } = req.body;
+      const { name, subject, content, templateId, segmentIds, scheduledAt } =
+        req.body;
 
-      if (!name || !subject || !content || !segmentIds) {
+      if (!name || !subject || (!content && !templateId) || !segmentIds) {
         return res.status(400).json({
           success: false,
           message:
-            'Missing required fields: name, subject, content, segmentIds'
+            'Missing required fields: name, subject, content or templateId, segmentIds'
+        });
+      }
+      if (scheduledAt && isNaN(Date.parse(scheduledAt))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid scheduledAt'
         });
       }
 
@@ -61,8 +288,10 @@ router.post(
         name,
         subject,
         content,
+        templateId,
         segmentIds,
-        scheduledAt
+        scheduledAt,
+        createdBy: req.user.id
       });
 
       res.json({
@@ -72,9 +301,139 @@ router.post(
       });
     } catch (error) {
       logger.error('Error creating campaign:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.statusCode ? error.message : 'Failed to create campaign'
+      });
+    }
+  }
+);
+
+/**
+ * Get campaigns with their open and click rates
+ */
+router.get(
+  '/campaigns',
+  auth,
+  requireRole(['admin', 'marketing']),
+  async (req, res) => {
+    try {
+      const campaigns = await marketingService.getCampaignStats();
+
+      res.json({
+        success: true,
+        data: campaigns
+      });
+    } catch (error) {
+      logger.error('Error getting campaigns:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve campaigns'
+      });
+    }
+  }
+);
+
+/**
+ * Send a campaign to its segments now, in the background
+ */
+router.post(
+  '/campaigns/:id/send',
+  auth,
+  requireRole(['admin', 'marketing']),
+  async (req, res) => {
+    try {
+      const { Campaign } = require('../models');
+      const campaign = await Campaign.findByPk(req.params.id);
+
+      if (!campaign) {
+        return res.status(404).json({
+          success: false,
+          message: 'Campaign not found'
+        });
+      }
+      if (['sent', 'cancelled'].includes(campaign.status)) {
+        return res.status(409).json({
+          success: false,
+          message: `Campaign is already ${campaign.status}`
+        });
+      }
+      if (campaignDelivery.activeCampaigns.has(campaign.id)) {
+        return res.status(409).json({
+          success: false,
+          message: 'Campaign is already being sent'
+        });
+      }
+
+      marketingService.sendCampaign(campaign.id).catch((error) => {
+        logger.error('Error sending campaign:', {
+          campaignId: campaign.id,
+          error: error.message
+        });
+      });
+
+      res.status(202).json({
+        success: true,
+        message: 'Campaign is being sent'
+      });
+    } catch (error) {
+      logger.error('Error sending campaign:', error);
       res.status(500).json({
         success: false,
-        message: 'Failed to create campaign'
+        message: 'Failed to send campaign'
+      });
+    }
+  }
+);
+
+/**
+ * Cancel a draft, scheduled or sending campaign
+ */
+router.post(
+  '/campaigns/:id/cancel',
+  auth,
+  requireRole(['admin', 'marketing']),
+  async (req, res) => {
+    try {
+      const campaign = await marketingService.cancelCampaign(req.params.id);
+
+      res.json({
+        success: true,
+        data: campaign,
+        message: 'Campaign cancelled'
+      });
+    } catch (error) {
+      logger.error('Error cancelling campaign:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.statusCode ? error.message : 'Failed to cancel campaign'
+      });
+    }
+  }
+);
+
+/**
+ * Delivery, engagement and attributed conversions of a campaign
+ */
+router.get(
+  '/campaigns/:id/report',
+  auth,
+  requireRole(['admin', 'marketing']),
+  async (req, res) => {
+    try {
+      const report = await campaignDelivery.getReport(req.params.id);
+
+      res.json({
+        success: true,
+        data: report
+      });
+    } catch (error) {
+      logger.error('Error getting campaign report:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.statusCode
+          ? error.message
+          : 'Failed to retrieve campaign report'
       });
     }
   }
@@ -204,12 +563,16 @@ router.post(
         });
       }
 
+      // Reject templates that would fail at send time
+      await campaignDelivery.compile(subject, content);
+
       const { EmailTemplate } = require('../models');
       const template = await EmailTemplate.create({
         name,
         subject,
         content,
-        type: type || 'marketing'
+        type: type || 'marketing',
+        createdBy: req.user.id
       });
 
       res.json({
@@ -219,9 +582,136 @@ router.post(
       });
     } catch (error) {
       logger.error('Error creating email template:', error);
+      if (error.name === 'SequelizeUniqueConstraintError') {
+        return res.status(409).json({
+          success: false,
+          message: 'An email template with this name already exists'
+        });
+      }
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.statusCode
+          ? error.message
+          : 'Failed to create email template'
+      });
+    }
+  }
+);
+
+/**
+ * Render a template with a customer's data, or sample data
+ */
+router.post(
+  '/templates/preview',
+  auth,
+  requireRole(['admin', 'marketing']),
+  async (req, res) => {
+    try {
+      const { subject, content, customerId } = req.body;
+      const message = await campaignDelivery.preview({
+        subject,
+        content,
+        customerId
+      });
+
+      res.json({
+        success: true,
+        data: { subject: message.subject, html: message.html }
+      });
+    } catch (error) {
+      logger.error('Error previewing email template:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.statusCode
+          ? error.message
+          : 'Failed to preview email template'
+      });
+    }
+  }
+);
+
+/**
+ * Update email template
+ */
+router.put(
+  '/templates/:id',
+  auth,
+  requireRole(['admin', 'marketing']),
+  async (req, res) => {
+    try {
+      const { EmailTemplate } = require('../models');
+      const template = await EmailTemplate.findByPk(req.params.id);
+      if (!template) {
+        return res.status(404).json({
+          success: false,
+          message: 'Email template not found'
+        });
+      }
+
+      const { name, subject, content, type } = req.body;
+      await campaignDelivery.compile(
+        subject || template.subject,
+        content || template.content
+      );
+      await template.update({
+        name: name || template.name,
+        subject: subject || template.subject,
+        content: content || template.content,
+        type: type || template.type
+      });
+
+      res.json({
+        success: true,
+        data: template,
+        message: 'Email template updated successfully'
+      });
+    } catch (error) {
+      logger.error('Error updating email template:', error);
+      if (error.name === 'SequelizeUniqueConstraintError') {
+        return res.status(409).json({
+          success: false,
+          message: 'An email template with this name already exists'
+        });
+      }
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.statusCode
+          ? error.message
+          : 'Failed to update email template'
+      });
+    }
+  }
+);
+
+/**
+ * Delete email template
+ */
+router.delete(
+  '/templates/:id',
+  auth,
+  requireRole(['admin', 'marketing']),
+  async (req, res) => {
+    try {
+      const { EmailTemplate } = require('../models');
+      const deleted = await EmailTemplate.destroy({
+        where: { id: req.params.id }
+      });
+      if (!deleted) {
+        return res.status(404).json({
+          success: false,
+          message: 'Email template not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Email template deleted successfully'
+      });
+    } catch (error) {
+      logger.error('Error deleting email template:', error);
       res.status(500).json({
         success: false,
-        message: 'Failed to create email template'
+        message: 'Failed to delete email template'
       });
     }
   }
@@ -1,10 +1,57 @@
 const express = require('express');
 const router = express.Router();
+const { body, param, query } = require('express-validator');
 const { auth } = require('../middleware/auth');
+const paymentController = require('../controllers/payment-controller');
+
+// @route   POST /api/payments/webhooks/iyzico
+// @desc    iyzico payment notifications. Registered before the auth
+//          middleware; authenticated by the X-IYZ-SIGNATURE-V3 header.
+// @access  Public
+router.post('/webhooks/iyzico', paymentController.receiveIyzicoWebhook);
+
+// @route   POST /api/payments/webhooks/paytr
+// @desc    PayTR payment callbacks (form-encoded), authenticated by their hash
+// @access  Public
+router.post('/webhooks/paytr', paymentController.receivePayTRWebhook);
 
 // Apply authentication middleware
 router.use(auth);
 
+// @route   GET /api/payments/cards
+// @desc    Cards stored at the payment gateways
+// @access  Private
+router.get(
+  '/cards',
+  [query('refresh').optional().isBoolean()],
+  paymentController.getSavedCards
+);
+
+// @route   POST /api/payments/cards
+// @desc    Store a card at iyzico; only the card token is kept
+// @access  Private
+router.post(
+  '/cards',
+  [
+    body('provider').optional().isIn(['iyzico', 'paytr']),
+    body('cardAlias').optional().isString().trim().isLength({ max: 100 }),
+    body('cardHolderName').isString().trim().notEmpty(),
+    body('cardNumber').isString().matches(/^[\d\s]{12,23}$/),
+    body('expireMonth').matches(/^(0[1-9]|1[0-2])$/),
+    body('expireYear').matches(/^\d{4}$/)
+  ],
+  paymentController.saveCard
+);
+
+// @route   DELETE /api/payments/cards/:cardId
+// @desc    Delete a stored card at the gateway and locally
+// @access  Private
+router.delete(
+  '/cards/:cardId',
+  [param('cardId').isUUID()],
+  paymentController.deleteCard
+);
+
 // Coming Soon response for payment routes
 const comingSoonResponse = (req, res) => {
   res.status(200).json({
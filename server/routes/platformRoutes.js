@@ -19,6 +19,23 @@ const validateRequest = (req, res, next) => {
   next();
 };
 
+/**
+ * POST /api/platforms/webhooks/:platform/:connectionId
+ * Order webhooks from web shops (WooCommerce, Shopify). Registered before the
+ * auth middleware; deliveries are authenticated by their HMAC signature.
+ */
+router.post(
+  '/webhooks/:platform/:connectionId',
+  [
+    param('platform')
+      .isIn(['woocommerce', 'shopify'])
+      .withMessage('Invalid platform'),
+    param('connectionId').isUUID().withMessage('Invalid connection ID'),
+    validateRequest
+  ],
+  platformController.receiveWebhook
+);
+
 // Apply authentication middleware
 router.use(auth);
 
@@ -29,6 +46,10 @@ router.get('/connections/:id', platformController.getConnection);
 router.put('/connections/:id', platformController.updateConnection);
 router.delete('/connections/:id', platformController.deleteConnection);
 router.post('/connections/:id/test', platformController.testConnection);
+router.post(
+  '/connections/:id/webhooks',
+  platformController.registerWebhooks
+);
 
 // Platform settings routes
 router.get(
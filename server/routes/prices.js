@@ -1,19 +1,232 @@
 const express = require("express");
 const router = express.Router();
+const multer = require("multer");
 const priceController = require("../controllers/priceController");
-const { isAuthenticated } = require("../middleware/auth");
-const { body } = require('express-validator');
+const repricingController = require("../controllers/repricingController");
+const { auth } = require("../middleware/auth");
+const { body, param, query } = require('express-validator');
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 50 * 1024 * 1024, // 50MB limit
+    files: 1,
+  },
+});
+
+const FEED_FORMATS = ['xml', 'csv', 'json'];
+const REVIEW_STATUSES = ['pending', 'approved', 'rejected', 'superseded'];
+const SCOPE_TYPES = ['all', 'category', 'brand', 'sku_pattern'];
+
+const repricingRuleValidation = (isUpdate) => {
+  const field = (name) => (isUpdate ? body(name).optional() : body(name));
+  return [
+    field('name').trim().notEmpty().withMessage('Rule name is required.'),
+    field('targetMargin')
+      .isFloat({ min: 0, max: 95 })
+      .withMessage('targetMargin must be a percentage between 0 and 95.'),
+    body('isActive').optional().isBoolean(),
+    body('priority').optional().isInt({ min: 0 }),
+    body('platforms').optional().isArray(),
+    body('scopeType').optional().isIn(SCOPE_TYPES),
+    body('scopeValue').optional({ nullable: true }).isString().trim(),
+    body('vatRate').optional().isFloat({ min: 0, max: 100 }),
+    body('commissionRate').optional({ nullable: true }).isFloat({ min: 0, max: 100 }),
+    body('shippingCost').optional({ nullable: true }).isFloat({ min: 0 }),
+    body('minPrice').optional({ nullable: true }).isFloat({ min: 0 }),
+    body('maxPrice').optional({ nullable: true }).isFloat({ gt: 0 }),
+    body('roundingEnding').optional({ nullable: true }).isFloat({ min: 0, max: 0.99 }),
+  ];
+};
+
+const repricingRunValidation = [
+  body('ruleIds').optional().isArray(),
+  body('ruleIds.*').optional().isUUID(),
+  body('platforms').optional().isArray(),
+  body('productIds').optional().isArray(),
+  body('productIds.*').optional().isUUID(),
+];
+
+router.use(auth);
+
+// @route   GET /api/prices/suppliers
+// @desc    List suppliers with their feed configuration
+// @access  Private
+router.get("/suppliers", priceController.getSuppliers);
+
+// @route   POST /api/prices/suppliers
+// @desc    Create a supplier
+// @access  Private
+router.post(
+  "/suppliers",
+  [
+    body('name').trim().notEmpty().withMessage('Supplier name is required.'),
+    body('priority').optional().isInt({ min: 0 }),
+    body('feedConfig').optional().isObject(),
+  ],
+  priceController.createSupplier
+);
+
+// @route   PUT /api/prices/suppliers/:id/feed
+// @desc    Update a supplier's feed configuration
+// @access  Private
+router.put(
+  "/suppliers/:id/feed",
+  [
+    param('id').isUUID(),
+    body('format').optional().isIn(FEED_FORMATS),
+    body('url').optional({ nullable: true }).isURL({ require_tld: false }),
+    body('fieldMapping').optional().isObject(),
+    body('matchBy').optional().isArray({ min: 1 }),
+    body('priceChangeThreshold').optional().isFloat({ gt: 0 }),
+    body('autoUpdateStock').optional().isBoolean(),
+    body('autoUpdateCost').optional().isBoolean(),
+    body('applyFlaggedCost').optional().isBoolean(),
+    body('usdRate').optional({ nullable: true }).isFloat({ gt: 0 }),
+  ],
+  priceController.updateFeedConfig
+);
+
+// @route   POST /api/prices/suppliers/:id/feed/upload
+// @desc    Apply an uploaded supplier feed file
+// @access  Private
+router.post(
+  "/suppliers/:id/feed/upload",
+  upload.single('file'),
+  [
+    param('id').isUUID(),
+    body('format').optional().isIn(FEED_FORMATS),
+  ],
+  priceController.uploadFeed
+);
+
+// @route   GET /api/prices/suppliers/:id/feed-runs
+// @desc    Feed run history of a supplier
+// @access  Private
+router.get(
+  "/suppliers/:id/feed-runs",
+  [param('id').isUUID()],
+  priceController.getFeedRuns
+);
+
+// @route   GET /api/prices/feed-runs/:runId
+// @desc    Diff report of a feed run
+// @access  Private
+router.get(
+  "/feed-runs/:runId",
+  [param('runId').isUUID()],
+  priceController.getFeedRun
+);
+
+// @route   GET /api/prices/suppliers/:id/prices
+// @desc    Current supplier prices
+// @access  Private
+router.get(
+  "/suppliers/:id/prices",
+  [param('id').isUUID()],
+  priceController.getSupplierPrices
+);
+
+// @route   GET /api/prices/suppliers/:id/history
+// @desc    Supplier price history
+// @access  Private
+router.get(
+  "/suppliers/:id/history",
+  [
+    param('id').isUUID(),
+    query('productId').optional().isUUID(),
+    query('reviewStatus').optional().isIn(REVIEW_STATUSES),
+    query('limit').optional().isInt({ min: 1, max: 1000 }),
+  ],
+  priceController.getPriceHistory
+);
+
+// @route   POST /api/prices/history/:historyId/review
+// @desc    Approve or reject a flagged price swing whose cost was held back
+// @access  Private
+router.post(
+  "/history/:historyId/review",
+  [
+    param('historyId').isUUID(),
+    body('decision').isIn(['approve', 'reject']),
+  ],
+  priceController.reviewFlaggedPrice
+);
+
+// @route   GET /api/prices/repricing/rules
+// @desc    List repricing rules
+// @access  Private
+router.get("/repricing/rules", repricingController.getRules);
+
+// @route   POST /api/prices/repricing/rules
+// @desc    Create a repricing rule
+// @access  Private
+router.post(
+  "/repricing/rules",
+  repricingRuleValidation(false),
+  repricingController.createRule
+);
+
+// @route   PUT /api/prices/repricing/rules/:id
+// @desc    Update a repricing rule
+// @access  Private
+router.put(
+  "/repricing/rules/:id",
+  [param('id').isUUID(), ...repricingRuleValidation(true)],
+  repricingController.updateRule
+);
+
+// @route   DELETE /api/prices/repricing/rules/:id
+// @desc    Delete a repricing rule
+// @access  Private
+router.delete(
+  "/repricing/rules/:id",
+  [param('id').isUUID()],
+  repricingController.deleteRule
+);
+
+// @route   POST /api/prices/repricing/preview
+// @desc    Dry run of the repricing rules
+// @access  Private
+router.post(
+  "/repricing/preview",
+  repricingRunValidation,
+  repricingController.preview
+);
+
+// @route   POST /api/prices/repricing/apply
+// @desc    Apply the repricing rules and sync prices to platforms
+// @access  Private
+router.post(
+  "/repricing/apply",
+  repricingRunValidation,
+  repricingController.apply
+);
+
+// @route   GET /api/prices/repricing/changes
+// @desc    Price change audit log
+// @access  Private
+router.get(
+  "/repricing/changes",
+  [
+    query('productId').optional().isUUID(),
+    query('batchId').optional().isUUID(),
+    query('ruleId').optional().isUUID(),
+    query('limit').optional().isInt({ min: 1, max: 200 }),
+  ],
+  repricingController.getPriceChanges
+);
 
 // @route   POST /api/prices/update
-// @desc    Simulate updating prices from a supplier
+// @desc    Fetch a supplier's feed from its URL and apply prices and stock
 // @access  Private
 router.post(
   "/update",
-  isAuthenticated,
   [
     body('supplierId').isUUID().withMessage('A valid supplierId is required.'),
+    body('dryRun').optional().isBoolean(),
   ],
   priceController.updatePrices
 );
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
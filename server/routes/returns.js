@@ -0,0 +1,96 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, query } = require('express-validator');
+const { auth } = require('../middleware/auth');
+const returnsController = require('../controllers/returns-controller');
+const { CLAIM_PLATFORMS } = require('../services/return-service');
+
+const CLAIM_STATUSES = ['pending', 'approved', 'rejected', 'cancelled'];
+
+const itemSelectionValidation = [
+  param('id').isUUID(),
+  body('itemIds').optional().isArray(),
+  body('itemIds.*').optional().isUUID()
+];
+
+// Apply authentication middleware
+router.use(auth);
+
+// @route   GET /api/returns
+// @desc    Return claims pulled from the marketplaces
+// @access  Private
+router.get(
+  '/',
+  [
+    query('status').optional().isIn(CLAIM_STATUSES),
+    query('platform').optional().isIn(CLAIM_PLATFORMS),
+    query('search').optional().isString().trim(),
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 100 })
+  ],
+  returnsController.getClaims
+);
+
+// @route   GET /api/returns/report
+// @desc    Return rate per product and per reason
+// @access  Private
+router.get(
+  '/report',
+  [
+    query('startDate').optional().isISO8601(),
+    query('endDate').optional().isISO8601(),
+    query('platform').optional().isIn(CLAIM_PLATFORMS)
+  ],
+  returnsController.getReport
+);
+
+// @route   POST /api/returns/sync
+// @desc    Pull claims from the marketplaces as a background task
+// @access  Private
+router.post(
+  '/sync',
+  [
+    body('platforms').optional().isArray(),
+    body('platforms.*').optional().isIn(CLAIM_PLATFORMS),
+    body('startDate').optional().isISO8601()
+  ],
+  returnsController.syncClaims
+);
+
+// @route   GET /api/returns/:id
+// @desc    A return claim with its items
+// @access  Private
+router.get('/:id', [param('id').isUUID()], returnsController.getClaim);
+
+// @route   GET /api/returns/:id/rejection-reasons
+// @desc    Rejection reasons accepted by the claim's marketplace
+// @access  Private
+router.get(
+  '/:id/rejection-reasons',
+  [param('id').isUUID()],
+  returnsController.getRejectionReasons
+);
+
+// @route   POST /api/returns/:id/approve
+// @desc    Approve a claim on the marketplace and restock the returned units
+// @access  Private
+router.post(
+  '/:id/approve',
+  itemSelectionValidation,
+  returnsController.approveClaim
+);
+
+// @route   POST /api/returns/:id/reject
+// @desc    Reject a claim on the marketplace
+// @access  Private
+router.post(
+  '/:id/reject',
+  [
+    ...itemSelectionValidation,
+    body('reason').optional().isString().trim().isLength({ max: 500 }),
+    body('reasonCode').optional().isString().trim()
+  ],
+  returnsController.rejectClaim
+);
+
+module.exports = router;
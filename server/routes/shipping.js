@@ -1,10 +1,132 @@
 const express = require('express');
 const router = express.Router();
+const { body, param, query } = require('express-validator');
 const { auth } = require('../middleware/auth');
+const shipmentController = require('../controllers/shipment-controller');
+
+const CARRIER_CODES = [
+  'aras',
+  'yurtici',
+  'ptt',
+  'mng',
+  'surat',
+  'hepsijet',
+  'trendyol_express',
+  'kolaygelsin'
+];
+const STRATEGIES = ['cheapest', 'fastest'];
+
+const orderSelectionValidation = [
+  body('orderIds')
+    .isArray({ min: 1, max: 500 })
+    .withMessage('orderIds must be a non-empty array.'),
+  body('orderIds.*').isUUID(),
+  body('codOrderIds').optional().isArray(),
+  body('codOrderIds.*').optional().isUUID()
+];
+
+const shipmentOptionsValidation = [
+  ...orderSelectionValidation,
+  body('carrier').optional({ nullable: true }).isIn(CARRIER_CODES),
+  body('strategy').optional().isIn(STRATEGIES),
+  body('serviceType').optional().isString().trim(),
+  body('pushToMarketplace').optional().isBoolean()
+];
 
 // Apply authentication middleware
 router.use(auth);
 
+// @route   GET /api/shipping/config
+// @desc    Carrier credentials (masked) and carrier selection rules
+// @access  Private
+router.get('/config', shipmentController.getConfig);
+
+// @route   PUT /api/shipping/config
+// @desc    Save carrier credentials and carrier selection rules
+// @access  Private
+router.put(
+  '/config',
+  [
+    body('strategy').optional().isIn(STRATEGIES),
+    body('carriers').optional().isObject(),
+    body('cityOverrides').optional().isObject(),
+    body('senderAddress').optional().isObject(),
+    body('defaultServiceType').optional().isString().trim(),
+    body('defaultWeightKg').optional().isFloat({ gt: 0 }),
+    body('pushToMarketplace').optional().isBoolean()
+  ],
+  shipmentController.saveConfig
+);
+
+// @route   GET /api/shipping/carriers
+// @desc    Supported carriers with their configuration state
+// @access  Private
+router.get('/carriers', shipmentController.getCarriers);
+
+// @route   GET /api/shipping/shipments
+// @desc    Shipments created for the user's orders
+// @access  Private
+router.get(
+  '/shipments',
+  [
+    query('carrier').optional().isIn(CARRIER_CODES),
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 200 })
+  ],
+  shipmentController.getShipments
+);
+
+// @route   POST /api/shipping/shipments/preview
+// @desc    Carrier selected for each order, without creating shipments
+// @access  Private
+router.post(
+  '/shipments/preview',
+  shipmentOptionsValidation,
+  shipmentController.previewShipments
+);
+
+// @route   POST /api/shipping/shipments
+// @desc    Create shipments and labels for orders; large selections run as a background task
+// @access  Private
+router.post(
+  '/shipments',
+  shipmentOptionsValidation,
+  shipmentController.createShipments
+);
+
+// @route   POST /api/shipping/shipments/labels
+// @desc    Carrier label URLs of the selected orders
+// @access  Private
+router.post(
+  '/shipments/labels',
+  orderSelectionValidation,
+  shipmentController.getLabels
+);
+
+// @route   POST /api/shipping/shipments/track
+// @desc    Ask the carriers about shipments now; without orderIds all open shipments are tracked in the background
+// @access  Private
+router.post(
+  '/shipments/track',
+  [
+    body('orderIds')
+      .optional()
+      .isArray({ min: 1, max: 500 })
+      .withMessage('orderIds must be a non-empty array.'),
+    body('orderIds.*').isUUID()
+  ],
+  shipmentController.trackShipments
+);
+
+// @route   GET /api/shipping/shipments/:orderId/tracking
+// @desc    Tracking timeline of an order's shipment
+// @access  Private
+router.get(
+  '/shipments/:orderId/tracking',
+  [param('orderId').isUUID()],
+  shipmentController.getTracking
+);
+
 // Coming Soon response for shipping routes
 const comingSoonResponse = (req, res) => {
   res.status(200).json({
@@ -13,9 +135,6 @@ const comingSoonResponse = (req, res) => {
     description:
       'Advanced shipping features are currently under development and will be available soon.',
     features: [
-      'Shipping Label Generation',
-      'Carrier Integration',
-      'Tracking Management',
       'Rate Calculation',
       'Delivery Management',
       'Shipping Analytics'
@@ -26,11 +145,10 @@ const comingSoonResponse = (req, res) => {
   });
 };
 
-// Specific routes that show coming soon
+// Remaining shipping features that show coming soon
 router.get('/', comingSoonResponse);
 router.get('/create', comingSoonResponse);
 router.get('/tracking', comingSoonResponse);
-router.get('/carriers', comingSoonResponse);
 router.get('/rates', comingSoonResponse);
 router.post('/create', comingSoonResponse);
 router.post('/tracking', comingSoonResponse);
@@ -23,10 +23,14 @@ const upgradeValidation = [
   body('planId')
     .isIn(['starter', 'professional', 'enterprise'])
     .withMessage('Invalid plan ID'),
-  body('paymentMethodId')
+  body('savedCardId')
     .optional()
-    .isString()
-    .withMessage('Payment method ID must be a string')
+    .isUUID()
+    .withMessage('Saved card ID must be a UUID')
+];
+
+const paymentMethodValidation = [
+  body('savedCardId').isUUID().withMessage('Saved card ID must be a UUID')
 ];
 
 const cancelValidation = [
@@ -116,13 +120,17 @@ router.post('/trial', auth, subscriptionController.startTrial);
  *               planId:
  *                 type: string
  *                 enum: [starter, professional, enterprise]
- *               paymentMethodId:
+ *               savedCardId:
  *                 type: string
+ *                 format: uuid
+ *                 description: Stored iyzico card to charge, defaults to the latest one
  *     responses:
  *       200:
- *         description: Subscription upgraded successfully
+ *         description: Subscription plan changed, prorated difference charged or credited
  *       400:
- *         description: Invalid plan or payment failed
+ *         description: Invalid plan
+ *       402:
+ *         description: Payment failed
  */
 router.post(
   '/upgrade',
@@ -132,6 +140,41 @@ router.post(
   subscriptionController.upgradeSubscription
 );
 
+/**
+ * @swagger
+ * /api/subscription/payment-method:
+ *   post:
+ *     summary: Set the stored card renewals are charged to
+ *     description: A past due subscription is charged again right away.
+ *     tags: [Subscription]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - savedCardId
+ *             properties:
+ *               savedCardId:
+ *                 type: string
+ *                 format: uuid
+ *     responses:
+ *       200:
+ *         description: Payment method updated
+ *       404:
+ *         description: Card or subscription not found
+ */
+router.post(
+  '/payment-method',
+  auth,
+  paymentMethodValidation,
+  validateRequest,
+  subscriptionController.updatePaymentMethod
+);
+
 /**
  * @swagger
  * /api/subscription/cancel:
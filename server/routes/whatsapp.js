@@ -1,12 +1,65 @@
 const express = require("express");
 const router = express.Router();
+const { body, param, query } = require("express-validator");
 const whatsappController = require("../controllers/whatsappController");
+const { auth } = require("../middleware/auth");
+const { NOTIFICATION_TEMPLATES } = require("../services/whatsapp-service");
+
+// @route   GET /api/whatsapp/webhook
+// @desc    Webhook subscription handshake of the WhatsApp Cloud API
+// @access  Public
+router.get("/webhook", whatsappController.verifyWebhook);
 
 // @route   POST /api/whatsapp/webhook
-// @desc    Handle incoming WhatsApp messages via a webhook
+// @desc    Handle incoming WhatsApp messages and message statuses
 // @access  Public
-// This endpoint is public because it will be called by the WhatsApp API provider (e.g., Twilio, Meta).
-// Security is typically handled by verifying a signature provided by the service.
+// This endpoint is public because it is called by Meta; payloads are verified
+// with the X-Hub-Signature-256 header.
 router.post("/webhook", whatsappController.handleWebhook);
 
-module.exports = router;
\ No newline at end of file
+// @route   GET /api/whatsapp/contacts
+// @desc    WhatsApp contacts and their notification consent
+// @access  Private
+router.get(
+  "/contacts",
+  auth,
+  [
+    query("optedIn").optional().isBoolean(),
+    query("search").optional().isString().trim(),
+    query("page").optional().isInt({ min: 1 }),
+    query("limit").optional().isInt({ min: 1, max: 100 }),
+  ],
+  whatsappController.getContacts
+);
+
+// @route   PUT /api/whatsapp/contacts/:phone/opt-in
+// @desc    Enable or disable order notifications for a customer
+// @access  Private
+router.put(
+  "/contacts/:phone/opt-in",
+  auth,
+  [
+    param("phone").matches(/^\+?[\d\s()-]{10,20}$/),
+    body("optedIn").isBoolean().toBoolean(),
+    body("source").optional().isIn(["checkout", "manual"]),
+  ],
+  whatsappController.setContactOptIn
+);
+
+// @route   GET /api/whatsapp/messages
+// @desc    Messages exchanged with customers and notifications sent
+// @access  Private
+router.get(
+  "/messages",
+  auth,
+  [
+    query("phone").optional().isString().trim(),
+    query("orderId").optional().isUUID(),
+    query("event").optional().isIn(Object.keys(NOTIFICATION_TEMPLATES)),
+    query("page").optional().isInt({ min: 1 }),
+    query("limit").optional().isInt({ min: 1, max: 200 }),
+  ],
+  whatsappController.getMessages
+);
+
+module.exports = router;
@@ -0,0 +1,798 @@
+#!/usr/bin/env node
+
+/**
+ * Carrier Mock Server
+ *
+ * Minimal in-memory Aras Kargo, Yurtiçi Kargo, PTT Kargo, MNG Kargo, Sürat
+ * Kargo, HepsiJet, Trendyol Express and Kolay Gelsin APIs for exercising the
+ * shipment pipeline without carrier accounts.
+ *
+ * Usage:
+ *   node scripts/carrier-mock-server.js          (port 4020, or CARRIER_MOCK_PORT)
+ *
+ * Shipping configuration pointing at the mock (PUT /api/shipping/config):
+ *   carriers: {
+ *     aras:    { username: "mock", password: "mock", baseUrl: "http://localhost:4020/aras" },
+ *     yurtici: { wsUserName: "mock", wsPassword: "mock", customerCode: "mock",
+ *                baseUrl: "http://localhost:4020/yurtici" },
+ *     ptt:     { apiKey: "mock", customerCode: "mock", baseUrl: "http://localhost:4020/ptt" },
+ *     mng:     { clientId: "mock", clientSecret: "mock", customerNumber: "mock", password: "mock",
+ *                baseUrl: "http://localhost:4020/mng" },
+ *     surat:   { username: "mock", password: "mock", baseUrl: "http://localhost:4020/surat" },
+ *     hepsijet: { username: "mock", password: "mock", companyCode: "mock",
+ *                 baseUrl: "http://localhost:4020/hepsijet" },
+ *     trendyol_express: { supplierId: "1", apiKey: "mock", apiSecret: "mock",
+ *                         baseUrl: "http://localhost:4020/tex" },
+ *     kolaygelsin: { apiKey: "mock", customerId: "mock", baseUrl: "http://localhost:4020/kolaygelsin" }
+ *   }
+ *
+ * Quotes differ per carrier so the selection rules can be observed: PTT is
+ * the cheapest, Yurtiçi the fastest.
+ *
+ * POST /__mock/shipments/:trackingNumber/advance moves a shipment to its next
+ * tracking status; POST /__mock/shipments/:trackingNumber/status sets one
+ * ({ "status": "DELIVERED" }) using the carrier's own status codes, including
+ * the exception codes (failed delivery, returned, on hold). MNG uses numeric
+ * codes ({ "status": 5 }).
+ */
+
+const express = require('express');
+
+const TARIFFS = {
+  aras: { base: 49.9, perKg: 5, codFee: 12, days: '1-3', expressDays: '1' },
+  yurtici: { base: 54.9, perKg: 6, codFee: 10, days: '1-2' },
+  ptt: { base: 39.9, perKg: 4, codFee: 15, days: '2-5' },
+  mng: { base: 47.9, perKg: 5, codFee: 11, days: '1-3' },
+  surat: { base: 45.9, perKg: 5, codFee: 12, days: '2-3' },
+  hepsijet: { base: 42.9, perKg: 4.5, days: '1-3' },
+  trendyol_express: { base: 43.9, perKg: 4.5, days: '2-4' },
+  kolaygelsin: { base: 48.9, perKg: 5, days: '1-3' }
+};
+
+const STATUS_FLOWS = {
+  aras: ['CREATED', 'COLLECTED', 'IN_TRANSIT', 'OUT_FOR_DELIVERY', 'DELIVERED'],
+  yurtici: ['CARGO_RECEIVED', 'PROCESSING', 'IN_TRANSIT', 'OUT_FOR_DELIVERY', 'DELIVERED'],
+  ptt: ['POSTED', 'IN_TRANSIT', 'ARRIVED_AT_POST_OFFICE', 'OUT_FOR_DELIVERY', 'DELIVERED'],
+  mng: [0, 1, 2, 3, 4, 5],
+  surat: ['KABUL', 'CIKIS_TRANSFER', 'TRANSFER', 'VARIS_SUBE', 'DAGITIMDA', 'TESLIM_EDILDI'],
+  hepsijet: ['CREATED', 'RECEIVED', 'IN_TRANSFER', 'ARRIVED_AT_XDOCK', 'OUT_FOR_DELIVERY', 'DELIVERED'],
+  trendyol_express: ['Created', 'PickedUp', 'InTransit', 'AtDeliveryBranch', 'OutForDelivery', 'Delivered'],
+  kolaygelsin: ['ORDER_CREATED', 'PICKED_UP', 'IN_HUB', 'ON_THE_WAY', 'OUT_FOR_DELIVERY', 'DELIVERED']
+};
+
+const EXCEPTION_STATUSES = {
+  aras: ['FAILED_DELIVERY', 'RETURNED', 'ON_HOLD'],
+  yurtici: ['DELIVERY_FAILED', 'RETURNED', 'ON_HOLD'],
+  ptt: ['DELIVERY_ATTEMPTED', 'RETURNED_TO_SENDER', 'ON_HOLD'],
+  mng: [6, 7, 9],
+  surat: ['TESLIM_EDILEMEDI', 'IADE', 'BEKLEMEDE'],
+  hepsijet: ['UNDELIVERED', 'RETURNED', 'ON_HOLD'],
+  trendyol_express: ['UnDelivered', 'Returned', 'OnHold'],
+  kolaygelsin: ['DELIVERY_FAILED', 'RETURNED', 'ON_HOLD']
+};
+
+const CANCELLED_STATUSES = { mng: 8, surat: 'IPTAL', trendyol_express: 'Cancelled' };
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+function quote(carrier, kg, cod, multiplier = 1) {
+  const tariff = TARIFFS[carrier];
+  const price =
+    (tariff.base + tariff.perKg * Math.max(kg || 1, 1)) * multiplier +
+    (cod ? tariff.codFee : 0);
+  return round2(price);
+}
+
+function addDays(days) {
+  const date = new Date();
+  date.setDate(date.getDate() + days);
+  return date.toISOString().split('T')[0];
+}
+
+function labelPdf(trackingNumber) {
+  const text = `Mock shipping label ${trackingNumber}`;
+  const stream = `BT /F1 18 Tf 40 120 Td (${text}) Tj ET`;
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 420 200] /Contents 4 0 R /Resources << /Font << /F1 5 0 R >> >> >>',
+    `<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>'
+  ];
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((object, index) => {
+    const offset = pdf.length;
+    pdf += `${index + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+  const xref = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map((offset) => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return Buffer.from(pdf, 'binary');
+}
+
+function requireHeaders(names) {
+  return (req, res, next) => {
+    const missing = names.filter((name) => !req.headers[name.toLowerCase()]);
+    if (missing.length > 0) {
+      return res.status(401).json({
+        success: false,
+        isSuccess: false,
+        message: `Missing credentials: ${missing.join(', ')}`
+      });
+    }
+    next();
+  };
+}
+
+/**
+ * Create the mock server app
+ * @returns {Object} { app, state } with the in-memory shipments
+ */
+function createCarrierMockServer() {
+  const app = express();
+  const state = { shipments: {}, nextId: 1 };
+
+  const labelUrl = (req, trackingNumber) =>
+    `${req.protocol}://${req.get('host')}/labels/${trackingNumber}.pdf`;
+
+  const createShipment = (carrier, request) => {
+    const prefix = {
+      aras: 'AR',
+      yurtici: 'YK',
+      ptt: 'PT',
+      mng: 'MN',
+      surat: 'SR',
+      hepsijet: 'HJ',
+      trendyol_express: 'TX',
+      kolaygelsin: 'KG'
+    }[carrier];
+    const trackingNumber = `${prefix}${String(Date.now()).slice(-6)}${String(state.nextId++).padStart(4, '0')}`;
+    const shipment = {
+      carrier,
+      trackingNumber,
+      shipmentId: `${carrier}-${state.nextId}`,
+      statusIndex: 0,
+      events: [],
+      request,
+      createdAt: new Date().toISOString()
+    };
+    state.shipments[trackingNumber] = shipment;
+    recordEvent(shipment);
+    return shipment;
+  };
+
+  const recordEvent = (shipment) => {
+    const now = new Date();
+    shipment.events.push({
+      status: currentStatus(shipment),
+      date: now.toISOString().split('T')[0],
+      time: now.toTimeString().slice(0, 5),
+      location: shipment.statusIndex === 0 ? 'Çıkış Şubesi' : 'Transfer Merkezi'
+    });
+  };
+
+  const currentStatus = (shipment) => {
+    if (shipment.cancelled) return CANCELLED_STATUSES[shipment.carrier] ?? 'CANCELLED';
+    return shipment.exception ?? STATUS_FLOWS[shipment.carrier][shipment.statusIndex];
+  };
+
+  const findShipment = (carrier, trackingNumber) => {
+    const shipment = state.shipments[trackingNumber];
+    return shipment && shipment.carrier === carrier ? shipment : null;
+  };
+
+  app.use(express.json());
+
+  // Aras Kargo
+  const aras = express.Router();
+  aras.use((req, res, next) => {
+    if (!(req.headers.authorization || '').startsWith('Basic ')) {
+      return res.status(401).json({ success: false, message: 'Unauthorized' });
+    }
+    next();
+  });
+  aras.post('/api/v1/shipping/quote', (req, res) => {
+    const cod = req.body.paymentType === 'COD';
+    res.json({
+      success: true,
+      rates: [
+        {
+          serviceCode: 'STANDARD',
+          serviceName: 'Standart Teslimat',
+          price: quote('aras', req.body.weight, cod),
+          deliveryTime: TARIFFS.aras.days
+        },
+        {
+          serviceCode: 'EXPRESS',
+          serviceName: 'Hızlı Teslimat',
+          price: quote('aras', req.body.weight, cod, 1.5),
+          deliveryTime: TARIFFS.aras.expressDays
+        }
+      ]
+    });
+  });
+  aras.post('/api/v1/shipping/create', (req, res) => {
+    const shipment = createShipment('aras', req.body);
+    res.json({
+      success: true,
+      trackingNumber: shipment.trackingNumber,
+      labelUrl: labelUrl(req, shipment.trackingNumber),
+      shipmentId: shipment.shipmentId,
+      estimatedDeliveryDate: addDays(3),
+      totalCost: quote('aras', req.body.packageInfo?.weight, req.body.paymentType === 'COD'),
+      serviceType: req.body.serviceType
+    });
+  });
+  aras.get('/api/v1/tracking/:trackingNumber', (req, res) => {
+    const shipment = findShipment('aras', req.params.trackingNumber);
+    if (!shipment) {
+      return res.json({ success: false, message: 'Shipment not found' });
+    }
+    res.json({
+      success: true,
+      tracking: {
+        status: currentStatus(shipment),
+        statusDescription: currentStatus(shipment),
+        estimatedDeliveryDate: addDays(2),
+        actualDeliveryDate: currentStatus(shipment) === 'DELIVERED' ? shipment.events.at(-1).date : null,
+        currentCity: 'İstanbul',
+        currentFacility: shipment.events.at(-1).location,
+        events: shipment.events.map((event) => ({ ...event, description: event.status }))
+      }
+    });
+  });
+  aras.post('/api/v1/shipping/:trackingNumber/cancel', (req, res) => {
+    const shipment = findShipment('aras', req.params.trackingNumber);
+    if (!shipment) {
+      return res.json({ success: false, message: 'Shipment not found' });
+    }
+    shipment.cancelled = true;
+    res.json({ success: true, cancellationDate: new Date().toISOString(), refundAmount: 0 });
+  });
+
+  // Yurtiçi Kargo
+  const yurtici = express.Router();
+  yurtici.use(requireHeaders(['wsUserName', 'wsPassword', 'customerCode']));
+  yurtici.post('/api/ShipmentPrice/GetPrice', (req, res) => {
+    res.json({
+      isSuccess: true,
+      data: {
+        unitPrice: quote('yurtici', req.body.kg, req.body.paymentType === 2),
+        deliveryTime: TARIFFS.yurtici.days
+      }
+    });
+  });
+  yurtici.post('/api/ShipmentAcceptance/Run', (req, res) => {
+    const shipment = createShipment('yurtici', req.body);
+    res.json({
+      isSuccess: true,
+      data: {
+        cargoKey: shipment.trackingNumber,
+        labelUrl: labelUrl(req, shipment.trackingNumber),
+        shipmentId: shipment.shipmentId,
+        estimatedDeliveryDate: addDays(2),
+        unitPrice: quote('yurtici', req.body.kg, req.body.paymentType === 2),
+        barcodeNumber: shipment.trackingNumber
+      }
+    });
+  });
+  yurtici.post('/api/ShipmentTracking/GetTrackingByCargoKey', (req, res) => {
+    const shipment = findShipment('yurtici', req.body.cargoKey);
+    if (!shipment) {
+      return res.json({ isSuccess: false, errorMessage: 'Kargo bulunamadı' });
+    }
+    res.json({
+      isSuccess: true,
+      data: {
+        lastStatus: currentStatus(shipment),
+        lastStatusDescription: currentStatus(shipment),
+        estimatedDeliveryDate: addDays(1),
+        deliveryDate: currentStatus(shipment) === 'DELIVERED' ? shipment.events.at(-1).date : null,
+        currentCity: 'İstanbul',
+        currentBranch: shipment.events.at(-1).location,
+        movements: shipment.events.map((event) => ({
+          date: event.date,
+          time: event.time,
+          status: event.status,
+          description: event.status,
+          unitName: event.location
+        }))
+      }
+    });
+  });
+  yurtici.post('/api/ShipmentCancellation/Cancel', (req, res) => {
+    const shipment = findShipment('yurtici', req.body.cargoKey);
+    if (!shipment) {
+      return res.json({ isSuccess: false, errorMessage: 'Kargo bulunamadı' });
+    }
+    shipment.cancelled = true;
+    res.json({ isSuccess: true, data: { refundAmount: 0 } });
+  });
+
+  // PTT Kargo
+  const ptt = express.Router();
+  ptt.use(requireHeaders(['X-API-Key', 'X-Customer-Code']));
+  ptt.post('/v1/rates/calculate', (req, res) => {
+    res.json({
+      success: true,
+      rates: [
+        {
+          serviceCode: req.body.serviceType,
+          serviceName: 'Standart Kargo',
+          totalPrice: quote('ptt', req.body.weight, req.body.paymentType === 'COD'),
+          estimatedDeliveryTime: TARIFFS.ptt.days
+        }
+      ]
+    });
+  });
+  ptt.post('/v1/shipments/create', (req, res) => {
+    const shipment = createShipment('ptt', req.body);
+    res.json({
+      success: true,
+      shipment: {
+        trackingNumber: shipment.trackingNumber,
+        labelUrl: labelUrl(req, shipment.trackingNumber),
+        shipmentId: shipment.shipmentId,
+        estimatedDeliveryDate: addDays(5),
+        totalCost: quote('ptt', req.body.package?.weight, req.body.paymentType === 'COD'),
+        postOfficeCode: '34000'
+      }
+    });
+  });
+  ptt.get('/v1/tracking/:trackingNumber', (req, res) => {
+    const shipment = findShipment('ptt', req.params.trackingNumber);
+    if (!shipment) {
+      return res.json({ success: false, message: 'Gönderi bulunamadı' });
+    }
+    res.json({
+      success: true,
+      tracking: {
+        currentStatus: currentStatus(shipment),
+        statusDescription: currentStatus(shipment),
+        estimatedDeliveryDate: addDays(3),
+        deliveryDate: currentStatus(shipment) === 'DELIVERED' ? shipment.events.at(-1).date : null,
+        currentPostOffice: shipment.events.at(-1).location,
+        currentCity: 'İstanbul',
+        trackingEvents: shipment.events.map((event) => ({
+          eventDate: event.date,
+          eventTime: event.time,
+          statusCode: event.status,
+          statusDescription: event.status,
+          location: event.location
+        }))
+      }
+    });
+  });
+  ptt.post('/v1/shipments/:trackingNumber/cancel', (req, res) => {
+    const shipment = findShipment('ptt', req.params.trackingNumber);
+    if (!shipment) {
+      return res.json({ success: false, message: 'Gönderi bulunamadı' });
+    }
+    shipment.cancelled = true;
+    res.json({ success: true, cancellationDate: new Date().toISOString(), refundAmount: 0 });
+  });
+
+  // MNG Kargo
+  const mng = express.Router();
+  const mngTokens = new Set();
+  mng.use(requireHeaders(['X-IBM-Client-Id', 'X-IBM-Client-Secret']));
+  mng.post('/token', (req, res) => {
+    if (!req.body.customerNumber || !req.body.password) {
+      return res.status(401).json({ message: 'Invalid customer' });
+    }
+    const jwt = `mng-${Date.now()}-${mngTokens.size}`;
+    mngTokens.add(jwt);
+    res.json({ jwt, jwtExpireDate: new Date(Date.now() + 3600000).toISOString() });
+  });
+  mng.use((req, res, next) => {
+    const token = (req.headers.authorization || '').replace(/^Bearer /, '');
+    if (!mngTokens.has(token)) {
+      return res.status(401).json({ message: 'Unauthorized' });
+    }
+    next();
+  });
+  mng.post('/pricingqueryapi/calculate', (req, res) => {
+    const kg = req.body.orderPieceList?.[0]?.kg;
+    const cod = req.body.paymentType === 2;
+    res.json({
+      prices: [
+        {
+          serviceCode: 'STANDARD',
+          serviceName: 'Standart Teslimat',
+          totalAmount: quote('mng', kg, cod),
+          deliveryDays: TARIFFS.mng.days
+        }
+      ]
+    });
+  });
+  mng.post('/standardcmdapi/createOrder', (req, res) => {
+    const shipment = createShipment('mng', req.body);
+    res.json([
+      {
+        shipmentId: shipment.shipmentId,
+        barcode: shipment.trackingNumber,
+        labelUrl: labelUrl(req, shipment.trackingNumber),
+        estimatedDeliveryDate: addDays(3),
+        totalAmount: quote('mng', req.body.orderPieceList?.[0]?.kg, req.body.order?.isCOD === 1)
+      }
+    ]);
+  });
+  mng.get('/standardqueryapi/getshipmentstatus/:trackingNumber', (req, res) => {
+    const shipment = findShipment('mng', req.params.trackingNumber);
+    if (!shipment) {
+      return res.status(404).json({ message: 'Gönderi bulunamadı' });
+    }
+    res.json([
+      {
+        shipmentStatusCode: currentStatus(shipment),
+        shipmentStatus: String(currentStatus(shipment)),
+        estimatedDeliveryDate: addDays(2),
+        deliveryDate: currentStatus(shipment) === 5 ? shipment.events.at(-1).date : null,
+        lastCityName: 'İstanbul',
+        lastBranchName: shipment.events.at(-1).location,
+        movements: shipment.events.map((event) => ({
+          eventDate: event.date,
+          eventTime: event.time,
+          statusCode: event.status,
+          statusDescription: String(event.status),
+          branchName: event.location
+        }))
+      }
+    ]);
+  });
+  mng.put('/standardcmdapi/cancelorder/:trackingNumber', (req, res) => {
+    const shipment = findShipment('mng', req.params.trackingNumber);
+    if (!shipment) {
+      return res.status(404).json({ message: 'Gönderi bulunamadı' });
+    }
+    shipment.cancelled = true;
+    res.json({ cancelled: true, cancellationDate: new Date().toISOString(), refundAmount: 0 });
+  });
+  mng.get('/cbsinfoapi/getdistricts', (req, res) => {
+    res.json(['Merkez', 'Kadıköy', 'Beşiktaş', 'Çankaya', 'Konak'].map((name) => ({ name, isServiced: true })));
+  });
+
+  // Sürat Kargo
+  const surat = express.Router();
+  surat.use(requireHeaders(['KullaniciAdi', 'Sifre']));
+  surat.post('/api/v2/FiyatHesapla', (req, res) => {
+    res.json({
+      Basarili: true,
+      Fiyatlar: [
+        {
+          HizmetKodu: 'STANDARD',
+          HizmetAdi: 'Standart Teslimat',
+          ToplamTutar: quote('surat', req.body.Desi, req.body.KapidaOdeme),
+          TeslimSuresi: TARIFFS.surat.days
+        }
+      ]
+    });
+  });
+  surat.post('/api/v2/GonderiOlustur', (req, res) => {
+    const shipment = createShipment('surat', req.body);
+    res.json({
+      Basarili: true,
+      KargoTakipNo: shipment.trackingNumber,
+      EtiketUrl: labelUrl(req, shipment.trackingNumber),
+      GonderiId: shipment.shipmentId,
+      TahminiTeslimTarihi: addDays(3),
+      ToplamTutar: quote('surat', req.body.Desi, req.body.KapidaOdeme)
+    });
+  });
+  surat.get('/api/v2/GonderiHareketleri/:trackingNumber', (req, res) => {
+    const shipment = findShipment('surat', req.params.trackingNumber);
+    if (!shipment) {
+      return res.json({ Basarili: false, Mesaj: 'Gönderi bulunamadı' });
+    }
+    res.json({
+      Basarili: true,
+      Gonderi: {
+        DurumKodu: currentStatus(shipment),
+        DurumAciklama: currentStatus(shipment),
+        TahminiTeslimTarihi: addDays(2),
+        TeslimTarihi: currentStatus(shipment) === 'TESLIM_EDILDI' ? shipment.events.at(-1).date : null,
+        BulunduguIl: 'İstanbul',
+        BulunduguSube: shipment.events.at(-1).location,
+        Hareketler: shipment.events.map((event) => ({
+          Tarih: event.date,
+          Saat: event.time,
+          DurumKodu: event.status,
+          Aciklama: event.status,
+          Birim: event.location
+        }))
+      }
+    });
+  });
+  surat.post('/api/v2/GonderiIptal/:trackingNumber', (req, res) => {
+    const shipment = findShipment('surat', req.params.trackingNumber);
+    if (!shipment) {
+      return res.json({ Basarili: false, Mesaj: 'Gönderi bulunamadı' });
+    }
+    shipment.cancelled = true;
+    res.json({ Basarili: true, IptalTarihi: new Date().toISOString(), IadeTutari: 0 });
+  });
+  surat.get('/api/v2/HizmetBolgesi', (req, res) => {
+    res.json({ Basarili: true, HizmetVar: true, Hizmetler: ['STANDARD'], TeslimSuresi: TARIFFS.surat.days });
+  });
+
+  // HepsiJet
+  const hepsijet = express.Router();
+  const hepsijetTokens = new Set();
+  hepsijet.get('/auth/getToken', (req, res) => {
+    if (!(req.headers.authorization || '').startsWith('Basic ')) {
+      return res.status(401).json({ status: 'FAIL', message: 'Unauthorized' });
+    }
+    const token = `hj-${Date.now()}-${hepsijetTokens.size}`;
+    hepsijetTokens.add(token);
+    res.json({ status: 'OK', data: { token } });
+  });
+  hepsijet.use((req, res, next) => {
+    if (!hepsijetTokens.has(req.headers['x-auth-token'])) {
+      return res.status(401).json({ status: 'FAIL', message: 'Unauthorized' });
+    }
+    next();
+  });
+  hepsijet.post('/rest/delivery/priceQuote', (req, res) => {
+    res.json({
+      status: 'OK',
+      data: [
+        {
+          productCode: 'STANDARD',
+          productName: 'Standart Teslimat',
+          totalPrice: quote('hepsijet', req.body.desi, false),
+          deliveryDays: TARIFFS.hepsijet.days
+        }
+      ]
+    });
+  });
+  hepsijet.post('/rest/delivery/sendDeliveryOrderEnhanced', (req, res) => {
+    const shipment = createShipment('hepsijet', req.body);
+    res.json({
+      status: 'OK',
+      data: {
+        customerDeliveryNo: shipment.trackingNumber,
+        barcode: shipment.shipmentId,
+        labelUrl: labelUrl(req, shipment.trackingNumber),
+        estimatedDeliveryDate: addDays(2),
+        totalPrice: quote('hepsijet', req.body.delivery?.desi, false)
+      }
+    });
+  });
+  hepsijet.post('/rest/deliveryTransaction/getDeliveryTracking', (req, res) => {
+    const shipment = findShipment('hepsijet', req.body.deliveries?.[0]?.customerDeliveryNo);
+    if (!shipment) {
+      return res.json({ status: 'FAIL', message: 'Delivery not found' });
+    }
+    res.json({
+      status: 'OK',
+      data: [
+        {
+          deliveryStatus: currentStatus(shipment),
+          deliveryStatusDescription: currentStatus(shipment),
+          estimatedDeliveryDate: addDays(1),
+          deliveredDate: currentStatus(shipment) === 'DELIVERED' ? shipment.events.at(-1).date : null,
+          lastLocationCity: 'İstanbul',
+          lastLocation: shipment.events.at(-1).location,
+          transactions: shipment.events.map((event) => ({
+            transactionDateTime: `${event.date}T${event.time}:00`,
+            transaction: event.status,
+            transactionDescription: event.status,
+            location: event.location
+          }))
+        }
+      ]
+    });
+  });
+  hepsijet.post('/rest/delivery/deleteDeliveryOrder/:trackingNumber', (req, res) => {
+    const shipment = findShipment('hepsijet', req.params.trackingNumber);
+    if (!shipment) {
+      return res.json({ status: 'FAIL', message: 'Delivery not found' });
+    }
+    shipment.cancelled = true;
+    res.json({ status: 'OK' });
+  });
+  hepsijet.get('/rest/settlement/serviceability', (req, res) => {
+    res.json({
+      status: 'OK',
+      data: { serviceable: true, products: ['STANDARD'], deliveryDays: TARIFFS.hepsijet.days }
+    });
+  });
+
+  // Trendyol Express
+  const tex = express.Router();
+  tex.use((req, res, next) => {
+    if (!(req.headers.authorization || '').startsWith('Basic ')) {
+      return res.status(401).json({ message: 'Unauthorized' });
+    }
+    next();
+  });
+  tex.post('/suppliers/:supplierId/quotes', (req, res) => {
+    res.json({
+      quotes: [
+        {
+          serviceCode: 'STANDARD',
+          serviceName: 'Standart Teslimat',
+          price: quote('trendyol_express', req.body.deci, false),
+          deliveryDays: TARIFFS.trendyol_express.days
+        }
+      ]
+    });
+  });
+  tex.post('/suppliers/:supplierId/shipments', (req, res) => {
+    const shipment = createShipment('trendyol_express', req.body);
+    res.json({
+      shipmentId: shipment.shipmentId,
+      trackingNumber: shipment.trackingNumber,
+      labelUrl: labelUrl(req, shipment.trackingNumber),
+      estimatedDeliveryDate: addDays(3),
+      price: quote('trendyol_express', req.body.packages?.[0]?.deci, false)
+    });
+  });
+  tex.get('/suppliers/:supplierId/shipments/:trackingNumber', (req, res) => {
+    const shipment = findShipment('trendyol_express', req.params.trackingNumber);
+    if (!shipment) {
+      return res.status(404).json({ message: 'Shipment not found' });
+    }
+    res.json({
+      trackingNumber: shipment.trackingNumber,
+      status: currentStatus(shipment),
+      statusDescription: currentStatus(shipment),
+      estimatedDeliveryDate: addDays(2),
+      deliveryDate: currentStatus(shipment) === 'Delivered' ? shipment.events.at(-1).date : null,
+      currentCity: 'İstanbul',
+      currentBranch: shipment.events.at(-1).location,
+      events: shipment.events.map((event) => ({
+        eventDate: `${event.date}T${event.time}:00`,
+        status: event.status,
+        description: event.status,
+        branch: event.location
+      }))
+    });
+  });
+  tex.put('/suppliers/:supplierId/shipments/:trackingNumber/cancel', (req, res) => {
+    const shipment = findShipment('trendyol_express', req.params.trackingNumber);
+    if (!shipment) {
+      return res.status(404).json({ message: 'Shipment not found' });
+    }
+    shipment.cancelled = true;
+    res.json({ cancelled: true, cancellationDate: new Date().toISOString(), refundAmount: 0 });
+  });
+  tex.get('/suppliers/:supplierId/coverage', (req, res) => {
+    res.json({ available: true, serviceCodes: ['STANDARD'], deliveryDays: TARIFFS.trendyol_express.days });
+  });
+
+  // Kolay Gelsin
+  const kolaygelsin = express.Router();
+  kolaygelsin.use(requireHeaders(['X-Api-Key', 'X-Customer-Id']));
+  kolaygelsin.post('/v1/rates', (req, res) => {
+    res.json({
+      rates: [
+        {
+          code: 'STANDARD',
+          name: 'Standart Teslimat',
+          amount: quote('kolaygelsin', req.body.desi, false),
+          currency: 'TRY',
+          transitDays: TARIFFS.kolaygelsin.days
+        }
+      ]
+    });
+  });
+  kolaygelsin.post('/v1/shipments', (req, res) => {
+    const shipment = createShipment('kolaygelsin', req.body);
+    res.json({
+      shipment: {
+        id: shipment.shipmentId,
+        trackingNumber: shipment.trackingNumber,
+        labelUrl: labelUrl(req, shipment.trackingNumber),
+        estimatedDeliveryDate: addDays(2),
+        amount: quote('kolaygelsin', req.body.parcels?.[0]?.desi, false),
+        currency: 'TRY'
+      }
+    });
+  });
+  kolaygelsin.get('/v1/shipments/:trackingNumber/events', (req, res) => {
+    const shipment = findShipment('kolaygelsin', req.params.trackingNumber);
+    if (!shipment) {
+      return res.status(404).json({ error: 'Shipment not found' });
+    }
+    res.json({
+      shipment: {
+        trackingNumber: shipment.trackingNumber,
+        status: currentStatus(shipment),
+        statusText: currentStatus(shipment),
+        estimatedDeliveryDate: addDays(1),
+        deliveredAt: currentStatus(shipment) === 'DELIVERED' ? shipment.events.at(-1).date : null,
+        location: { city: 'İstanbul', hub: shipment.events.at(-1).location }
+      },
+      events: shipment.events.map((event) => ({
+        timestamp: `${event.date}T${event.time}:00`,
+        code: event.status,
+        text: event.status,
+        hub: event.location
+      }))
+    });
+  });
+  kolaygelsin.post('/v1/shipments/:trackingNumber/cancel', (req, res) => {
+    const shipment = findShipment('kolaygelsin', req.params.trackingNumber);
+    if (!shipment) {
+      return res.status(404).json({ error: 'Shipment not found' });
+    }
+    shipment.cancelled = true;
+    res.json({
+      shipment: { status: 'CANCELLED', cancelledAt: new Date().toISOString(), refundAmount: 0 }
+    });
+  });
+  kolaygelsin.get('/v1/coverage', (req, res) => {
+    res.json({ covered: true, services: ['STANDARD'], transitDays: TARIFFS.kolaygelsin.days });
+  });
+
+  app.use('/aras', aras);
+  app.use('/yurtici', yurtici);
+  app.use('/ptt', ptt);
+  app.use('/mng', mng);
+  app.use('/surat', surat);
+  app.use('/hepsijet', hepsijet);
+  app.use('/tex', tex);
+  app.use('/kolaygelsin', kolaygelsin);
+
+  app.get('/labels/:file', (req, res) => {
+    const trackingNumber = req.params.file.replace(/\.pdf$/, '');
+    if (!state.shipments[trackingNumber]) {
+      return res.status(404).send('Label not found');
+    }
+    res.type('application/pdf').send(labelPdf(trackingNumber));
+  });
+
+  app.post('/__mock/shipments/:trackingNumber/advance', (req, res) => {
+    const shipment = state.shipments[req.params.trackingNumber];
+    if (!shipment) {
+      return res.status(404).json({ message: 'Shipment not found' });
+    }
+    const flow = STATUS_FLOWS[shipment.carrier];
+    if (shipment.statusIndex < flow.length - 1) {
+      shipment.statusIndex++;
+      shipment.exception = null;
+      recordEvent(shipment);
+    }
+    res.json({ trackingNumber: shipment.trackingNumber, status: currentStatus(shipment) });
+  });
+
+  app.post('/__mock/shipments/:trackingNumber/status', (req, res) => {
+    const shipment = state.shipments[req.params.trackingNumber];
+    if (!shipment) {
+      return res.status(404).json({ message: 'Shipment not found' });
+    }
+    const flow = STATUS_FLOWS[shipment.carrier];
+    const exceptions = EXCEPTION_STATUSES[shipment.carrier];
+    const index = flow.indexOf(req.body.status);
+    if (index === -1 && !exceptions.includes(req.body.status)) {
+      return res.status(400).json({
+        message: `Unknown status; use one of ${[...flow, ...exceptions].join(', ')}`
+      });
+    }
+    if (index === -1) {
+      shipment.exception = req.body.status;
+    } else {
+      shipment.statusIndex = index;
+      shipment.exception = null;
+    }
+    recordEvent(shipment);
+    res.json({ trackingNumber: shipment.trackingNumber, status: currentStatus(shipment) });
+  });
+
+  app.get('/__mock/state', (req, res) => res.json(state));
+
+  return { app, state };
+}
+
+if (require.main === module) {
+  const port = parseInt(process.env.CARRIER_MOCK_PORT, 10) || 4020;
+  createCarrierMockServer().app.listen(port, () => {
+    console.log(`Carrier mock server listening on http://localhost:${port}`);
+  });
+}
+
+module.exports = { createCarrierMockServer };
@@ -0,0 +1,160 @@
+#!/usr/bin/env node
+
+/**
+ * Paraşüt Mock Server
+ *
+ * Minimal in-memory Paraşüt v4 API (OAuth token, contacts, sales invoices
+ * and purchase bills) for exercising the accounting export to Paraşüt
+ * without a Paraşüt company.
+ *
+ * Usage:
+ *   node scripts/parasut-mock-server.js          (port 4050, or PARASUT_MOCK_PORT)
+ *
+ * Point the API at the mock with PARASUT_API_URL=http://localhost:4050 and
+ * save any credentials (PUT /api/accounting/parasut):
+ *   { companyId: "1", clientId: "mock", clientSecret: "mock",
+ *     username: "mock", password: "mock" }
+ *
+ * Invoice numbers are unique per company like in Paraşüt: sending the same
+ * sales invoice series and number or purchase bill number twice is refused
+ * with a 422. GET /__mock/documents lists everything received.
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+
+function createParasutMockServer() {
+  const app = express();
+  const state = {
+    tokens: new Set(),
+    contacts: [],
+    salesInvoices: [],
+    purchaseBills: [],
+    nextId: 1
+  };
+
+  app.use(express.json({ type: ['application/json', 'application/vnd.api+json'] }));
+  app.use(express.urlencoded({ extended: false }));
+
+  const jsonApiError = (res, status, title, detail) =>
+    res.status(status).json({ errors: [{ title, detail }] });
+
+  const resource = (type, attributes, relationships) => ({
+    id: String(state.nextId++),
+    type,
+    attributes,
+    relationships
+  });
+
+  app.post('/oauth/token', (req, res) => {
+    const { grant_type: grantType, client_id: clientId, username } = req.body;
+    if (grantType !== 'password' || !clientId || !username) {
+      return res.status(401).json({
+        error: 'invalid_grant',
+        error_description: 'The provided authorization grant is invalid'
+      });
+    }
+    const accessToken = crypto.randomBytes(16).toString('hex');
+    state.tokens.add(accessToken);
+    res.json({
+      access_token: accessToken,
+      token_type: 'bearer',
+      expires_in: 7200,
+      refresh_token: crypto.randomBytes(16).toString('hex')
+    });
+  });
+
+  app.use('/v4/:companyId', (req, res, next) => {
+    const token = (req.headers.authorization || '').replace(/^Bearer /, '');
+    if (!state.tokens.has(token)) {
+      return jsonApiError(res, 401, 'Unauthorized', 'Access token is invalid');
+    }
+    next();
+  });
+
+  app.get('/v4/:companyId/contacts', (req, res) => {
+    const filter = req.query.filter || {};
+    const name = filter.name ?? req.query['filter[name]'];
+    const accountType = filter.account_type ?? req.query['filter[account_type]'];
+    const data = state.contacts.filter(
+      (contact) =>
+        (!name || contact.attributes.name === name) &&
+        (!accountType || contact.attributes.account_type === accountType)
+    );
+    res.json({ data, meta: { total_count: data.length } });
+  });
+
+  app.post('/v4/:companyId/contacts', (req, res) => {
+    const attributes = req.body.data?.attributes || {};
+    if (!attributes.name) {
+      return jsonApiError(res, 422, 'Invalid', "name can't be blank");
+    }
+    const contact = resource('contacts', attributes);
+    state.contacts.push(contact);
+    res.status(201).json({ data: contact });
+  });
+
+  app.post('/v4/:companyId/sales_invoices', (req, res) => {
+    const { attributes = {}, relationships = {} } = req.body.data || {};
+    if (!relationships.contact?.data?.id) {
+      return jsonApiError(res, 422, 'Invalid', 'contact must exist');
+    }
+    if (!relationships.details?.data?.length) {
+      return jsonApiError(res, 422, 'Invalid', 'details must have at least one item');
+    }
+    const duplicate =
+      attributes.invoice_id &&
+      state.salesInvoices.some(
+        (invoice) =>
+          invoice.attributes.invoice_series === attributes.invoice_series &&
+          invoice.attributes.invoice_id === attributes.invoice_id
+      );
+    if (duplicate) {
+      return jsonApiError(res, 422, 'Invalid', 'invoice_id has already been taken');
+    }
+
+    const invoice = resource('sales_invoices', attributes, relationships);
+    state.salesInvoices.push(invoice);
+    res.status(201).json({ data: invoice });
+  });
+
+  app.post('/v4/:companyId/purchase_bills', (req, res) => {
+    const { attributes = {}, relationships = {} } = req.body.data || {};
+    if (!relationships.supplier?.data?.id) {
+      return jsonApiError(res, 422, 'Invalid', 'supplier must exist');
+    }
+    const duplicate =
+      attributes.invoice_no &&
+      state.purchaseBills.some(
+        (bill) =>
+          bill.attributes.invoice_no === attributes.invoice_no &&
+          bill.attributes.item_type === attributes.item_type
+      );
+    if (duplicate) {
+      return jsonApiError(res, 422, 'Invalid', 'invoice_no has already been taken');
+    }
+
+    const bill = resource('purchase_bills', attributes, relationships);
+    state.purchaseBills.push(bill);
+    res.status(201).json({ data: bill });
+  });
+
+  app.get('/__mock/documents', (req, res) =>
+    res.json({
+      contacts: state.contacts,
+      salesInvoices: state.salesInvoices,
+      purchaseBills: state.purchaseBills
+    })
+  );
+
+  return { app, state };
+}
+
+if (require.main === module) {
+  const port = parseInt(process.env.PARASUT_MOCK_PORT, 10) || 4050;
+  createParasutMockServer().app.listen(port, () => {
+    console.log(`Paraşüt mock server listening on http://localhost:${port}`);
+  });
+}
+
+module.exports = { createParasutMockServer };
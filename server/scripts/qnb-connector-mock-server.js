@@ -0,0 +1,504 @@
+#!/usr/bin/env node
+
+/**
+ * QNB Finans Connector Mock Server
+ *
+ * Minimal in-memory SOAP connector and e-Arşiv services for exercising
+ * e-Fatura, e-İrsaliye and e-Arşiv without a QNB Finans test account.
+ *
+ * Usage:
+ *   node scripts/qnb-connector-mock-server.js     (port 4040, or QNB_MOCK_PORT)
+ *
+ * Server environment pointing at the mock:
+ *   QNB_CONNECTOR_URL=http://localhost:4040/connectorService
+ *   QNB_EARSIV_URL=http://localhost:4040/EarsivWebService
+ *   QNB_USER_SERVICE_URL=http://localhost:4040/UserService
+ *   QNB_USERNAME=qnb_mock_user
+ *   QNB_PASSWORD=qnb_mock_pass
+ *
+ * Only the VKNs in TAXPAYERS are registered e-Fatura users. Sent documents
+ * are still processing on the first status query and delivered (GİB code
+ * 1300) from the second on; TICARIFATURA invoices then wait for an
+ * application response.
+ *
+ * POST /__mock/documents/:belgeOid/response ({ "response": "KABUL" | "RED",
+ * "detail": "..." }) records the receiver's application response.
+ * POST /__mock/incoming ({ "vkn": "1234567890", "xml": "<Invoice ...>" })
+ * queues a received invoice for that VKN. GET /__mock/documents lists what
+ * was sent.
+ *
+ * e-Arşiv calls need the JSESSIONID cookie of a UserService wsLogin. Invoices
+ * to VKNs in TAXPAYERS are refused with AE00084 as they must be e-Fatura.
+ * GET /__mock/earsiv lists the created e-Arşiv invoices and
+ * GET /__mock/earsiv/:uuid/pdf serves the faturaURL of one.
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const xml2js = require('xml2js');
+
+const USERNAME = 'qnb_mock_user';
+const PASSWORD = 'qnb_mock_pass';
+const NAMESPACE = 'http://service.connector.cs.com.tr/';
+const EARSIV_NAMESPACE = 'http://service.earsiv.uut.cs.com.tr/';
+
+// Registered e-Fatura users and their receiver aliases
+const TAXPAYERS = {
+  '1234567890': {
+    unvan: 'Örnek Ticaret A.Ş.',
+    etiketler: ['urn:mail:defaultpk@ornekticaret.com.tr']
+  },
+  '9876543210': {
+    unvan: 'Deneme Yedek Parça Ltd. Şti.',
+    etiketler: [
+      'urn:mail:defaultpk@denemeparca.com.tr',
+      'urn:mail:muhasebepk@denemeparca.com.tr'
+    ]
+  }
+};
+
+const builder = new xml2js.Builder({ headless: true });
+
+function soapResponse(res, method, value) {
+  const body = builder.buildObject({
+    [`ns2:${method}Response`]: {
+      $: { 'xmlns:ns2': NAMESPACE },
+      return: value
+    }
+  });
+
+  res
+    .type('text/xml')
+    .send(
+      `<?xml version="1.0" encoding="UTF-8"?><S:Envelope xmlns:S="http://schemas.xmlsoap.org/soap/envelope/"><S:Body>${body}</S:Body></S:Envelope>`
+    );
+}
+
+function earsivResponse(res, method, resultCode, extra = {}, output) {
+  const body = builder.buildObject({
+    [`ns2:${method}Response`]: {
+      $: { 'xmlns:ns2': EARSIV_NAMESPACE },
+      return: {
+        resultCode,
+        resultText:
+          resultCode === 'AE00000' ? 'İşlem başarılı.' : extra.message,
+        resultExtra: {
+          entry: Object.entries(extra)
+            .filter(([key]) => key !== 'message')
+            .map(([key, value]) => ({ key, value }))
+        }
+      },
+      ...(output !== undefined && { output })
+    }
+  });
+
+  res
+    .type('text/xml')
+    .send(
+      `<?xml version="1.0" encoding="UTF-8"?><S:Envelope xmlns:S="http://schemas.xmlsoap.org/soap/envelope/"><S:Body>${body}</S:Body></S:Envelope>`
+    );
+}
+
+function mockPdf(invoiceNumber) {
+  return Buffer.from(`%PDF-1.4 mock e-Arşiv ${invoiceNumber}`);
+}
+
+function soapFault(res, message) {
+  res
+    .status(500)
+    .type('text/xml')
+    .send(
+      `<?xml version="1.0" encoding="UTF-8"?><S:Envelope xmlns:S="http://schemas.xmlsoap.org/soap/envelope/"><S:Body><S:Fault><faultcode>S:Server</faultcode><faultstring>${message}</faultstring></S:Fault></S:Body></S:Envelope>`
+    );
+}
+
+/**
+ * Create the mock server app
+ * @returns {Object} { app, state } with the sent documents, the queued
+ *                   incoming invoices per VKN and the e-Arşiv invoices
+ */
+function createQNBConnectorMockServer() {
+  const app = express();
+  const state = {
+    documents: [],
+    incoming: {},
+    nextSequence: 1,
+    sessions: new Set(),
+    archive: [],
+    nextArchiveNumber: 1
+  };
+
+  app.use('/__mock', express.json());
+
+  const handlers = {
+    belgeGonderExt({ parametreler: p = {} }) {
+      if (!p.belgeNo || !p.veri || !p.vergiTcKimlikNo) {
+        throw new Error('belgeNo, veri ve vergiTcKimlikNo zorunludur');
+      }
+      const content = Buffer.from(p.veri, 'base64');
+      const hash = crypto.createHash('md5').update(content).digest('hex');
+      if (p.belgeHash && p.belgeHash !== hash) {
+        throw new Error('Belge hash değeri uyuşmuyor');
+      }
+      if (state.documents.some((d) => d.belgeNo === p.belgeNo)) {
+        throw new Error(`${p.belgeNo} numaralı belge daha önce gönderilmiş`);
+      }
+      const xml = content.toString('utf8');
+      if (p.belgeTuru === 'FATURA_UBL') {
+        const receiver = xml.match(
+          /AccountingCustomerParty>[\s\S]*?schemeID="VKN">(\d{10})</
+        )?.[1];
+        if (receiver && !TAXPAYERS[receiver]) {
+          throw new Error(`${receiver} e-Fatura kayıtlı kullanıcısı değil`);
+        }
+      }
+
+      const belgeOid = crypto.randomBytes(12).toString('hex');
+      state.documents.push({
+        belgeOid,
+        belgeNo: p.belgeNo,
+        belgeTuru: p.belgeTuru,
+        alanEtiket: p.alanEtiket || null,
+        commercial: xml.includes('TICARIFATURA'),
+        queried: false,
+        response: null,
+        xml,
+        sentAt: new Date().toISOString()
+      });
+
+      return belgeOid;
+    },
+
+    gidenBelgeDurumSorgula({ belgeOid }) {
+      const document = state.documents.find((d) => d.belgeOid === belgeOid);
+      if (!document) {
+        throw new Error(`${belgeOid} belgesi bulunamadı`);
+      }
+
+      // The first query finds the envelope still being processed
+      const delivered = document.queried;
+      document.queried = true;
+
+      return {
+        durum: '3',
+        gonderimCevabiKodu: delivered ? '1300' : '1200',
+        gonderimCevabiDetayi: delivered
+          ? 'BAŞARIYLA TAMAMLANDI'
+          : 'ZARF İŞLENİYOR',
+        yanitDurumu: document.response
+          ? document.response.response === 'KABUL'
+            ? '2'
+            : '1'
+          : document.commercial
+            ? '0'
+            : '-1',
+        yanitDetayi: document.response?.detail || ''
+      };
+    },
+
+    efaturaKullaniciBilgisi({ vergiTcKimlikNo }) {
+      const taxpayer = TAXPAYERS[vergiTcKimlikNo];
+      if (!taxpayer) {
+        return '';
+      }
+
+      return {
+        vergiTcKimlikNo,
+        unvan: taxpayer.unvan,
+        etiketler: taxpayer.etiketler.map((etiket) => ({ etiket }))
+      };
+    },
+
+    efaturaKullanicisi({ vergiTcKimlikNo }) {
+      return Boolean(TAXPAYERS[vergiTcKimlikNo]);
+    },
+
+    gelenBelgeleriListele({ parametreler: p = {} }) {
+      const after = parseInt(p.sonAlinanBelgeSiraNumarasi, 10) || 0;
+      const entries = (state.incoming[p.vergiTcKimlikNo] || []).filter(
+        (entry) => entry.belgeSiraNo > after
+      );
+      if (entries.length === 0) {
+        return '';
+      }
+
+      return {
+        gelenBelge: entries.map(({ xml, ...entry }) => entry)
+      };
+    },
+
+    gelenBelgeleriIndir({ parametreler: p = {} }) {
+      const entry = (state.incoming[p.vergiTcKimlikNo] || []).find(
+        (item) => item.ettn === p.ettn
+      );
+      if (!entry) {
+        throw new Error(`${p.ettn} belgesi bulunamadı`);
+      }
+
+      return Buffer.from(entry.xml, 'utf8').toString('base64');
+    }
+  };
+
+  const soapBody = express.text({ type: '*/*', limit: '10mb' });
+
+  app.post('/connectorService', soapBody, async (req, res) => {
+    let envelope;
+    try {
+      const parsed = await xml2js.parseStringPromise(req.body, {
+        explicitArray: false,
+        tagNameProcessors: [xml2js.processors.stripPrefix]
+      });
+      envelope = parsed.Envelope;
+    } catch (error) {
+      return soapFault(res, 'Geçersiz SOAP isteği');
+    }
+
+    const token = envelope?.Header?.Security?.UsernameToken;
+    if (token?.Username !== USERNAME || token?.Password !== PASSWORD) {
+      return soapFault(res, 'Kullanıcı adı veya şifre hatalı');
+    }
+
+    const method = Object.keys(envelope.Body || {}).find(
+      (key) => key !== '$'
+    );
+    if (!handlers[method]) {
+      return soapFault(res, `Desteklenmeyen metod: ${method}`);
+    }
+
+    try {
+      const params = envelope.Body[method];
+      soapResponse(
+        res,
+        method,
+        handlers[method](typeof params === 'object' ? params : {})
+      );
+    } catch (error) {
+      soapFault(res, error.message);
+    }
+  });
+
+  const parseEnvelope = async (body) => {
+    const parsed = await xml2js.parseStringPromise(body, {
+      explicitArray: false,
+      tagNameProcessors: [xml2js.processors.stripPrefix]
+    });
+    const envelope = parsed.Envelope;
+    const method = Object.keys(envelope?.Body || {}).find(
+      (key) => key !== '$'
+    );
+    const params = envelope.Body[method];
+
+    return { method, params: typeof params === 'object' ? params : {} };
+  };
+
+  app.post('/UserService', soapBody, async (req, res) => {
+    let request;
+    try {
+      request = await parseEnvelope(req.body);
+    } catch (error) {
+      return soapFault(res, 'Geçersiz SOAP isteği');
+    }
+
+    if (request.method === 'wsLogin') {
+      const { kullaniciAdi, sifre } = request.params;
+      if (kullaniciAdi !== USERNAME || sifre !== PASSWORD) {
+        return soapFault(res, 'Kullanıcı adı veya şifre hatalı');
+      }
+      const session = crypto.randomBytes(16).toString('hex');
+      state.sessions.add(session);
+      res.cookie('JSESSIONID', session, { path: '/' });
+      return soapResponse(res, 'wsLogin', '');
+    }
+
+    if (request.method === 'logout') {
+      const session = req.headers.cookie?.match(/JSESSIONID=([^;]+)/)?.[1];
+      state.sessions.delete(session);
+      return soapResponse(res, 'logout', '');
+    }
+
+    soapFault(res, `Desteklenmeyen metod: ${request.method}`);
+  });
+
+  const archiveHandlers = {
+    faturaOlustur(input, params, host) {
+      const xml = Buffer.from(
+        params.fatura?.belgeIcerigi || '',
+        'base64'
+      ).toString('utf8');
+      const uuid = xml.match(/<cbc:UUID>([^<]+)</)?.[1];
+      if (!uuid) {
+        return ['AE00016', { message: 'Fatura XML\'inde UUID okunamadı.' }];
+      }
+      if (state.archive.some((invoice) => invoice.uuid === uuid)) {
+        return ['AE00020', { message: `${uuid} UUID'li fatura mevcut` }];
+      }
+      const receiver = xml.match(
+        /AccountingCustomerParty>[\s\S]*?schemeID="VKN">(\d{10})</
+      )?.[1];
+      if (receiver && TAXPAYERS[receiver]) {
+        return [
+          'AE00084',
+          { message: `${receiver} e-Fatura kayıtlı kullanıcısıdır` }
+        ];
+      }
+
+      const sequence = String(state.nextArchiveNumber++).padStart(9, '0');
+      const faturaNo =
+        Number(input.numaraVerilsinMi) === 1
+          ? `ARS${new Date().getFullYear()}${sequence}`
+          : xml.match(/<cbc:ID>([^<]+)</)?.[1];
+      state.archive.push({
+        uuid,
+        faturaNo,
+        vkn: input.vkn,
+        status: 'ONAYLANDI',
+        cancelledAt: null,
+        xml,
+        createdAt: new Date().toISOString()
+      });
+
+      return [
+        'AE00000',
+        {
+          uuid,
+          faturaNo,
+          faturaURL: `${host}/__mock/earsiv/${uuid}/pdf`
+        },
+        mockPdf(faturaNo).toString('base64')
+      ];
+    },
+
+    faturaSorgula(input) {
+      const invoice = state.archive.find((item) => item.uuid === input.uuid);
+      if (!invoice) {
+        return ['AE00042', { message: `${input.uuid} kayıtlı değil` }];
+      }
+
+      return [
+        'AE00000',
+        { faturaNo: invoice.faturaNo, durum: invoice.status },
+        mockPdf(invoice.faturaNo).toString('base64')
+      ];
+    },
+
+    faturaIptalEt(input) {
+      const invoice = state.archive.find((item) => item.uuid === input.uuid);
+      if (!invoice) {
+        return ['AE00042', { message: `${input.uuid} kayıtlı değil` }];
+      }
+      if (invoice.cancelledAt) {
+        return [
+          'AE00091',
+          { message: `Fatura ${invoice.cancelledAt} tarihinde iptal edilmiş` }
+        ];
+      }
+
+      invoice.status = 'IPTAL';
+      invoice.cancelledAt = new Date().toISOString();
+      invoice.cancelReason = input.iptalNedeni || '';
+      return ['AE00000', { uuid: invoice.uuid }];
+    }
+  };
+
+  app.post('/EarsivWebService', soapBody, async (req, res) => {
+    let request;
+    try {
+      request = await parseEnvelope(req.body);
+    } catch (error) {
+      return soapFault(res, 'Geçersiz SOAP isteği');
+    }
+
+    const session = req.headers.cookie?.match(/JSESSIONID=([^;]+)/)?.[1];
+    if (!state.sessions.has(session)) {
+      return soapFault(res, 'Oturum bulunamadı, önce giriş yapınız');
+    }
+    if (!archiveHandlers[request.method]) {
+      return soapFault(res, `Desteklenmeyen metod: ${request.method}`);
+    }
+
+    try {
+      const input = JSON.parse(request.params.input || '{}');
+      const [code, extra, output] = archiveHandlers[request.method](
+        input,
+        request.params,
+        `${req.protocol}://${req.get('host')}`
+      );
+      earsivResponse(res, request.method, code, extra, output);
+    } catch (error) {
+      soapFault(res, error.message);
+    }
+  });
+
+  app.get('/__mock/earsiv', (req, res) =>
+    res.json(state.archive.map(({ xml, ...invoice }) => invoice))
+  );
+
+  app.get('/__mock/earsiv/:uuid/pdf', (req, res) => {
+    const invoice = state.archive.find((item) => item.uuid === req.params.uuid);
+    if (!invoice) {
+      return res.status(404).json({ message: 'Invoice not found' });
+    }
+
+    res
+      .type('application/pdf')
+      .send(mockPdf(invoice.faturaNo));
+  });
+
+  app.post('/__mock/documents/:belgeOid/response', (req, res) => {
+    const document = state.documents.find(
+      (d) => d.belgeOid === req.params.belgeOid
+    );
+    if (!document) {
+      return res.status(404).json({ message: 'Document not found' });
+    }
+    if (!['KABUL', 'RED'].includes(req.body.response)) {
+      return res.status(400).json({ message: 'response must be KABUL or RED' });
+    }
+
+    document.queried = true;
+    document.response = {
+      response: req.body.response,
+      detail: req.body.detail || ''
+    };
+    res.json({ belgeOid: document.belgeOid, ...document.response });
+  });
+
+  app.post('/__mock/incoming', (req, res) => {
+    const { vkn, xml } = req.body;
+    if (!vkn || !xml) {
+      return res.status(400).json({ message: 'vkn and xml are required' });
+    }
+
+    const entry = {
+      belgeSiraNo: state.nextSequence++,
+      ettn: xml.match(/<cbc:UUID>([^<]+)</)?.[1] || crypto.randomUUID(),
+      belgeNo: xml.match(/<cbc:ID>([^<]+)</)?.[1] || '',
+      gonderenVknTckn:
+        xml.match(
+          /AccountingSupplierParty>[\s\S]*?schemeID="(?:VKN|TCKN)">(\d{10,11})</
+        )?.[1] || '',
+      belgeTarihi: xml.match(/<cbc:IssueDate>([^<]+)</)?.[1] || '',
+      xml
+    };
+    state.incoming[vkn] = [...(state.incoming[vkn] || []), entry];
+
+    res.json({ belgeSiraNo: entry.belgeSiraNo, ettn: entry.ettn });
+  });
+
+  app.get('/__mock/documents', (req, res) =>
+    res.json(state.documents.map(({ xml, ...document }) => document))
+  );
+
+  return { app, state };
+}
+
+if (require.main === module) {
+  const port = parseInt(process.env.QNB_MOCK_PORT, 10) || 4040;
+  createQNBConnectorMockServer().app.listen(port, () => {
+    console.log(
+      `QNB Finans connector mock server listening on http://localhost:${port}/connectorService`
+    );
+  });
+}
+
+module.exports = { createQNBConnectorMockServer, TAXPAYERS };
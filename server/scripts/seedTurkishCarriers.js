@@ -228,6 +228,117 @@ async function seedTurkishCarriers() {
           email: 'info@suratkargo.com.tr',
           website: 'https://www.suratkargo.com.tr'
         }
+      },
+      {
+        name: 'HepsiJet',
+        code: 'HEPSIJET',
+        carrierType: 'TURKISH_DOMESTIC',
+        isActive: true,
+        apiEndpoint: 'https://integration.hepsijet.com',
+        trackingUrlTemplate: 'https://www.hepsijet.com/gonderi-takibi/{trackingNumber}',
+        supportedServices: ['STANDARD', 'NEXT_DAY'],
+        configuration: {
+          authType: 'token',
+          rateCalculationEndpoint: '/rest/delivery/priceQuote',
+          shipmentEndpoint: '/rest/delivery/sendDeliveryOrderEnhanced',
+          trackingEndpoint: '/rest/deliveryTransaction/getDeliveryTracking'
+        },
+        coverage: {
+          domestic: true,
+          international: false,
+          cities: 'all',
+          exclusions: []
+        },
+        deliveryTimeRange: '1-2 iş günü',
+        maxWeight: 30.0,
+        maxDimensions: {
+          length: 100,
+          width: 60,
+          height: 60
+        },
+        cashOnDeliverySupported: false,
+        insuranceSupported: false,
+        returnSupported: true,
+        businessDaysOnly: false,
+        contactInfo: {
+          phone: '0850 346 44 77',
+          email: 'destek@hepsijet.com',
+          website: 'https://www.hepsijet.com'
+        }
+      },
+      {
+        name: 'Trendyol Express',
+        code: 'TRENDYOL_EXPRESS',
+        carrierType: 'TURKISH_DOMESTIC',
+        isActive: true,
+        apiEndpoint: 'https://api.trendyol.com/sapigw/tex',
+        trackingUrlTemplate: 'https://www.trendyolexpress.com/gonderi-takip?barcode={trackingNumber}',
+        supportedServices: ['STANDARD', 'EXPRESS'],
+        configuration: {
+          authType: 'basic',
+          rateCalculationEndpoint: '/quotes',
+          shipmentEndpoint: '/shipments',
+          trackingEndpoint: '/shipments/{trackingNumber}'
+        },
+        coverage: {
+          domestic: true,
+          international: false,
+          cities: 'all',
+          exclusions: []
+        },
+        deliveryTimeRange: '1-3 iş günü',
+        maxWeight: 30.0,
+        maxDimensions: {
+          length: 100,
+          width: 60,
+          height: 60
+        },
+        cashOnDeliverySupported: false,
+        insuranceSupported: false,
+        returnSupported: true,
+        businessDaysOnly: false,
+        contactInfo: {
+          phone: '0850 258 58 00',
+          email: 'destek@trendyolexpress.com',
+          website: 'https://www.trendyolexpress.com'
+        }
+      },
+      {
+        name: 'Kolay Gelsin',
+        code: 'KOLAYGELSIN',
+        carrierType: 'TURKISH_DOMESTIC',
+        isActive: true,
+        apiEndpoint: 'https://api.kolaygelsin.com',
+        trackingUrlTemplate: 'https://www.kolaygelsin.com/gonderi-takip?trackingNumber={trackingNumber}',
+        supportedServices: ['STANDARD', 'SAME_DAY'],
+        configuration: {
+          authType: 'api_key',
+          rateCalculationEndpoint: '/v1/rates',
+          shipmentEndpoint: '/v1/shipments',
+          trackingEndpoint: '/v1/shipments/{trackingNumber}/events'
+        },
+        coverage: {
+          domestic: true,
+          international: false,
+          cities: 'major',
+          exclusions: []
+        },
+        deliveryTimeRange: '1-3 iş günü',
+        maxWeight: 30.0,
+        maxDimensions: {
+          length: 100,
+          width: 60,
+          height: 60
+        },
+        cashOnDeliverySupported: false,
+        insuranceSupported: false,
+        returnSupported: true,
+        businessDaysOnly: false,
+        contactInfo: {
+          phone: '0850 255 00 55',
+          email: 'destek@kolaygelsin.com',
+          website: 'https://www.kolaygelsin.com'
+        }
       }
     ];
 
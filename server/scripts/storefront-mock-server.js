@@ -0,0 +1,413 @@
+#!/usr/bin/env node
+
+/**
+ * Storefront Mock Server
+ *
+ * Minimal in-memory WooCommerce REST (v3) and Shopify Admin REST API for
+ * exercising the web shop connectors without a real shop.
+ *
+ * Usage:
+ *   node scripts/storefront-mock-server.js          (port 4010, or STOREFRONT_MOCK_PORT)
+ *
+ * Connection credentials pointing at the mock:
+ *   WooCommerce: { storeUrl: "http://localhost:4010", consumerKey: "ck_mock",
+ *                  consumerSecret: "cs_mock", webhookSecret: "whsec_mock" }
+ *   Shopify:     { shopDomain: "http://localhost:4010", accessToken: "shpat_mock",
+ *                  apiSecret: "whsec_mock" }
+ *
+ * POST /__mock/woocommerce/orders and POST /__mock/shopify/orders create an
+ * order (body is merged over a sample order) and deliver signed webhooks to
+ * every address registered for the "created" topic.
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const axios = require('axios');
+
+const WOO_KEY = 'ck_mock';
+const WOO_SECRET = 'cs_mock';
+const SHOPIFY_TOKEN = 'shpat_mock';
+const WEBHOOK_SECRET = 'whsec_mock';
+
+function sign(body, secret) {
+  return crypto.createHmac('sha256', secret).update(body).digest('base64');
+}
+
+async function deliverWebhooks(hooks, body, headers) {
+  for (const hook of hooks) {
+    try {
+      await axios.post(hook.url, body, {
+        headers: { 'Content-Type': 'application/json', ...headers(hook) },
+        transformRequest: [(data) => data]
+      });
+    } catch (error) {
+      console.warn(`Webhook delivery to ${hook.url} failed: ${error.message}`);
+    }
+  }
+}
+
+function createWooCommerceRouter(state) {
+  const router = express.Router();
+
+  router.use((req, res, next) => {
+    const [scheme, encoded] = (req.headers.authorization || '').split(' ');
+    const [key, secret] = Buffer.from(encoded || '', 'base64')
+      .toString()
+      .split(':');
+    if (scheme !== 'Basic' || key !== WOO_KEY || secret !== WOO_SECRET) {
+      return res.status(401).json({
+        code: 'woocommerce_rest_cannot_view',
+        message: 'Sorry, you cannot list resources.'
+      });
+    }
+    next();
+  });
+
+  router.get('/orders', (req, res) => {
+    const perPage = parseInt(req.query.per_page, 10) || 10;
+    const page = parseInt(req.query.page, 10) || 1;
+    const orders = state.orders.filter(
+      (order) =>
+        (!req.query.after || order.date_created_gmt >= req.query.after.slice(0, 19)) &&
+        (!req.query.before || order.date_created_gmt <= req.query.before.slice(0, 19))
+    );
+    res.set('X-WP-Total', String(orders.length));
+    res.set('X-WP-TotalPages', String(Math.max(1, Math.ceil(orders.length / perPage))));
+    res.json(orders.slice((page - 1) * perPage, page * perPage));
+  });
+
+  router.put('/orders/:id', (req, res) => {
+    const order = state.orders.find((entry) => String(entry.id) === req.params.id);
+    if (!order) {
+      return res.status(404).json({ code: 'woocommerce_rest_shop_order_invalid_id', message: 'Invalid ID.' });
+    }
+    Object.assign(order, req.body);
+    res.json(order);
+  });
+
+  router.post('/products', (req, res) => {
+    const product = { id: state.nextId++, type: 'simple', ...req.body };
+    state.products.push(product);
+    res.status(201).json(product);
+  });
+
+  router.put('/products/:id', (req, res) => {
+    const product = state.products.find((entry) => String(entry.id) === req.params.id);
+    if (!product) {
+      return res.status(404).json({ code: 'woocommerce_rest_product_invalid_id', message: 'Invalid ID.' });
+    }
+    Object.assign(product, req.body);
+    res.json(product);
+  });
+
+  router.delete('/products/:id', (req, res) => {
+    const index = state.products.findIndex((entry) => String(entry.id) === req.params.id);
+    if (index === -1) {
+      return res.status(404).json({ code: 'woocommerce_rest_product_invalid_id', message: 'Invalid ID.' });
+    }
+    res.json(state.products.splice(index, 1)[0]);
+  });
+
+  router.get('/webhooks', (req, res) => res.json(state.webhooks));
+
+  router.post('/webhooks', (req, res) => {
+    const webhook = { id: state.nextId++, ...req.body };
+    state.webhooks.push(webhook);
+    res.status(201).json(webhook);
+  });
+
+  return router;
+}
+
+function createShopifyRouter(state) {
+  const router = express.Router();
+
+  router.use((req, res, next) => {
+    if (req.headers['x-shopify-access-token'] !== SHOPIFY_TOKEN) {
+      return res.status(401).json({
+        errors: '[API] Invalid API key or access token (unrecognized login or wrong password)'
+      });
+    }
+    next();
+  });
+
+  const findOrder = (id) => state.orders.find((order) => String(order.id) === String(id));
+  const findProduct = (id) => state.products.find((product) => String(product.id) === String(id));
+
+  router.get('/shop.json', (req, res) =>
+    res.json({ shop: { id: 1, name: 'Mock Shop', currency: 'TRY' } })
+  );
+
+  router.get('/orders.json', (req, res) => {
+    const limit = parseInt(req.query.limit, 10) || 50;
+    const offset = parseInt(req.query.page_info || '0', 10);
+    const orders = state.orders.slice(offset, offset + limit);
+    if (offset + limit < state.orders.length) {
+      const next = `${req.protocol}://${req.get('host')}${req.baseUrl}/orders.json?limit=${limit}&page_info=${offset + limit}`;
+      res.set('Link', `<${next}>; rel="next"`);
+    }
+    res.json({ orders });
+  });
+
+  router.post('/orders/:id/cancel.json', (req, res) => {
+    const order = findOrder(req.params.id);
+    if (!order) return res.status(404).json({ errors: 'Not Found' });
+    order.cancelled_at = new Date().toISOString();
+    res.json({ order });
+  });
+
+  router.get('/orders/:id/fulfillment_orders.json', (req, res) => {
+    const order = findOrder(req.params.id);
+    if (!order) return res.status(404).json({ errors: 'Not Found' });
+    res.json({
+      fulfillment_orders: [
+        {
+          id: Number(order.id) * 10,
+          order_id: order.id,
+          status: order.fulfillment_status === 'fulfilled' ? 'closed' : 'open'
+        }
+      ]
+    });
+  });
+
+  router.post('/fulfillments.json', (req, res) => {
+    const fulfillmentOrderId =
+      req.body.fulfillment?.line_items_by_fulfillment_order?.[0]?.fulfillment_order_id;
+    const order = findOrder(fulfillmentOrderId / 10);
+    if (!order) return res.status(422).json({ errors: { fulfillment_order_id: ['is invalid'] } });
+    const fulfillment = {
+      id: state.nextId++,
+      order_id: order.id,
+      status: 'success',
+      tracking_number: req.body.fulfillment.tracking_info?.number || null,
+      tracking_company: req.body.fulfillment.tracking_info?.company || null
+    };
+    order.fulfillment_status = 'fulfilled';
+    order.fulfillments = [...(order.fulfillments || []), fulfillment];
+    res.status(201).json({ fulfillment });
+  });
+
+  router.post('/products.json', (req, res) => {
+    const id = state.nextId++;
+    const product = {
+      id,
+      ...req.body.product,
+      variants: (req.body.product.variants || [{}]).map((variant, index) => ({
+        id: id * 100 + index,
+        inventory_item_id: id * 1000 + index,
+        product_id: id,
+        ...variant
+      }))
+    };
+    state.products.push(product);
+    res.status(201).json({ product });
+  });
+
+  router.get('/products/:id.json', (req, res) => {
+    const product = findProduct(req.params.id);
+    if (!product) return res.status(404).json({ errors: 'Not Found' });
+    res.json({ product });
+  });
+
+  router.put('/products/:id.json', (req, res) => {
+    const product = findProduct(req.params.id);
+    if (!product) return res.status(404).json({ errors: 'Not Found' });
+    Object.assign(product, req.body.product);
+    res.json({ product });
+  });
+
+  router.delete('/products/:id.json', (req, res) => {
+    const index = state.products.findIndex((entry) => String(entry.id) === req.params.id);
+    if (index === -1) return res.status(404).json({ errors: 'Not Found' });
+    state.products.splice(index, 1);
+    res.json({});
+  });
+
+  router.put('/variants/:id.json', (req, res) => {
+    const variant = state.products
+      .flatMap((product) => product.variants || [])
+      .find((entry) => String(entry.id) === req.params.id);
+    if (!variant) return res.status(404).json({ errors: 'Not Found' });
+    Object.assign(variant, req.body.variant);
+    res.json({ variant });
+  });
+
+  router.get('/locations.json', (req, res) =>
+    res.json({ locations: [{ id: 7001, name: 'Depo', active: true }] })
+  );
+
+  router.post('/inventory_levels/set.json', (req, res) => {
+    const level = { ...req.body, updated_at: new Date().toISOString() };
+    state.inventoryLevels[`${level.inventory_item_id}-${level.location_id}`] = level;
+    res.json({ inventory_level: level });
+  });
+
+  router.get('/webhooks.json', (req, res) =>
+    res.json({
+      webhooks: state.webhooks.filter(
+        (hook) => !req.query.address || hook.address === req.query.address
+      )
+    })
+  );
+
+  router.post('/webhooks.json', (req, res) => {
+    const webhook = { id: state.nextId++, ...req.body.webhook };
+    state.webhooks.push(webhook);
+    res.status(201).json({ webhook });
+  });
+
+  return router;
+}
+
+function sampleWooOrder(id, overrides = {}) {
+  const created = new Date().toISOString().slice(0, 19);
+  return {
+    id,
+    number: String(id),
+    status: 'processing',
+    currency: 'TRY',
+    date_created: created,
+    date_created_gmt: created,
+    total: '259.90',
+    customer_note: '',
+    billing: {
+      first_name: 'Zeynep',
+      last_name: 'Demir',
+      email: 'zeynep@example.com',
+      phone: '05320000000'
+    },
+    shipping: {
+      first_name: 'Zeynep',
+      last_name: 'Demir',
+      address_1: 'Cumhuriyet Mah. Lale Sok. No:3',
+      address_2: '',
+      city: 'İzmir',
+      state: 'TR35',
+      postcode: '35000',
+      country: 'TR'
+    },
+    line_items: [
+      {
+        id: id * 10,
+        product_id: 501,
+        variation_id: 0,
+        name: 'Bambu Kesme Tahtası',
+        sku: 'BAMBU-01',
+        quantity: 2,
+        price: 129.95,
+        subtotal: '259.90',
+        total: '259.90'
+      }
+    ],
+    meta_data: [],
+    ...overrides
+  };
+}
+
+function sampleShopifyOrder(id, overrides = {}) {
+  return {
+    id,
+    name: `#${1000 + (id % 1000)}`,
+    order_number: 1000 + (id % 1000),
+    email: 'can@example.com',
+    created_at: new Date().toISOString(),
+    currency: 'TRY',
+    total_price: '449.00',
+    financial_status: 'paid',
+    fulfillment_status: null,
+    cancelled_at: null,
+    note: '',
+    customer: { first_name: 'Can', last_name: 'Aydın', email: 'can@example.com' },
+    shipping_address: {
+      name: 'Can Aydın',
+      address1: 'İstiklal Cad. No:10',
+      address2: '',
+      city: 'İstanbul',
+      province: 'Beyoğlu',
+      zip: '34430',
+      country_code: 'TR',
+      phone: '05330000000'
+    },
+    line_items: [
+      {
+        id: id * 10,
+        product_id: 901,
+        variant_id: 90101,
+        title: 'Keten Masa Örtüsü',
+        sku: 'KETEN-01',
+        quantity: 1,
+        price: '449.00',
+        discount_allocations: []
+      }
+    ],
+    fulfillments: [],
+    ...overrides
+  };
+}
+
+/**
+ * Create the mock server app
+ * @returns {Object} { app, state } with the in-memory state per platform
+ */
+function createStorefrontMockServer() {
+  const app = express();
+  const state = {
+    woocommerce: { orders: [], products: [], webhooks: [], nextId: 1001 },
+    shopify: { orders: [], products: [], webhooks: [], inventoryLevels: {}, nextId: 5001 }
+  };
+
+  app.use(express.json());
+  app.use('/wp-json/wc/v3', createWooCommerceRouter(state.woocommerce));
+  app.use('/admin/api/:version', createShopifyRouter(state.shopify));
+
+  app.post('/__mock/woocommerce/orders', async (req, res) => {
+    const shop = state.woocommerce;
+    const order = sampleWooOrder(shop.nextId++, req.body);
+    shop.orders.push(order);
+
+    const body = JSON.stringify(order);
+    await deliverWebhooks(
+      shop.webhooks
+        .filter((hook) => hook.topic === 'order.created')
+        .map((hook) => ({ ...hook, url: hook.delivery_url })),
+      body,
+      (hook) => ({
+        'X-WC-Webhook-Topic': 'order.created',
+        'X-WC-Webhook-Signature': sign(body, hook.secret || WEBHOOK_SECRET)
+      })
+    );
+    res.status(201).json(order);
+  });
+
+  app.post('/__mock/shopify/orders', async (req, res) => {
+    const shop = state.shopify;
+    const order = sampleShopifyOrder(shop.nextId++, req.body);
+    shop.orders.push(order);
+
+    const body = JSON.stringify(order);
+    await deliverWebhooks(
+      shop.webhooks
+        .filter((hook) => hook.topic === 'orders/create')
+        .map((hook) => ({ ...hook, url: hook.address })),
+      body,
+      () => ({
+        'X-Shopify-Topic': 'orders/create',
+        'X-Shopify-Hmac-Sha256': sign(body, WEBHOOK_SECRET)
+      })
+    );
+    res.status(201).json(order);
+  });
+
+  app.get('/__mock/state', (req, res) => res.json(state));
+
+  return { app, state };
+}
+
+if (require.main === module) {
+  const port = parseInt(process.env.STOREFRONT_MOCK_PORT, 10) || 4010;
+  createStorefrontMockServer().app.listen(port, () => {
+    console.log(`Storefront mock server listening on http://localhost:${port}`);
+  });
+}
+
+module.exports = { createStorefrontMockServer };
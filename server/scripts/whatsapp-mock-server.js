@@ -0,0 +1,243 @@
+#!/usr/bin/env node
+
+/**
+ * WhatsApp Cloud API Mock Server
+ *
+ * Minimal in-memory Graph API messages endpoint for exercising the WhatsApp
+ * integration without a Meta business account.
+ *
+ * Usage:
+ *   node scripts/whatsapp-mock-server.js          (port 4030, or WHATSAPP_MOCK_PORT)
+ *
+ * Server environment pointing at the mock:
+ *   WHATSAPP_API_URL=http://localhost:4030
+ *   WHATSAPP_PHONE_NUMBER_ID=1000000001
+ *   WHATSAPP_ACCESS_TOKEN=wa_mock_token
+ *   WHATSAPP_APP_SECRET=wa_mock_secret
+ *   WHATSAPP_VERIFY_TOKEN=wa_mock_verify
+ *
+ * Only the templates in TEMPLATES are "approved"; sending any other name or
+ * the wrong number of body parameters fails like the real API does. Free-form
+ * text outside the 24 hour customer service window fails with 131047.
+ *
+ * POST /__mock/inbound ({ "from": "905321234567", "text": "Merhaba", "name": "Ayşe" })
+ * delivers a signed customer message webhook to WEBHOOK_URL
+ * (http://localhost:5001/api/whatsapp/webhook, or WHATSAPP_MOCK_WEBHOOK_URL).
+ * POST /__mock/messages/:id/status ({ "status": "delivered" }) delivers a
+ * status webhook for a sent message. GET /__mock/messages lists what was sent.
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const axios = require('axios');
+
+const PHONE_NUMBER_ID = '1000000001';
+const ACCESS_TOKEN = 'wa_mock_token';
+const APP_SECRET = 'wa_mock_secret';
+const WEBHOOK_URL =
+  process.env.WHATSAPP_MOCK_WEBHOOK_URL ||
+  'http://localhost:5001/api/whatsapp/webhook';
+
+// Approved templates and the number of body parameters they take
+const TEMPLATES = {
+  order_confirmed: { languages: ['tr'], parameters: 3 },
+  order_shipped: { languages: ['tr'], parameters: 5 },
+  order_delivered: { languages: ['tr'], parameters: 2 }
+};
+
+const SERVICE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+function graphError(res, status, code, message) {
+  return res.status(status).json({
+    error: {
+      message,
+      type: 'OAuthException',
+      code,
+      fbtrace_id: crypto.randomBytes(8).toString('hex')
+    }
+  });
+}
+
+function sign(body) {
+  return `sha256=${crypto.createHmac('sha256', APP_SECRET).update(body).digest('hex')}`;
+}
+
+async function deliverWebhook(value) {
+  const body = JSON.stringify({
+    object: 'whatsapp_business_account',
+    entry: [
+      {
+        id: 'mock-waba',
+        changes: [
+          {
+            field: 'messages',
+            value: {
+              messaging_product: 'whatsapp',
+              metadata: {
+                display_phone_number: '908500000000',
+                phone_number_id: PHONE_NUMBER_ID
+              },
+              ...value
+            }
+          }
+        ]
+      }
+    ]
+  });
+
+  try {
+    const response = await axios.post(WEBHOOK_URL, body, {
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Hub-Signature-256': sign(body)
+      },
+      transformRequest: [(data) => data]
+    });
+    return { delivered: true, status: response.status, response: response.data };
+  } catch (error) {
+    console.warn(`Webhook delivery to ${WEBHOOK_URL} failed: ${error.message}`);
+    return { delivered: false, status: error.response?.status, error: error.message };
+  }
+}
+
+/**
+ * Create the mock server app
+ * @returns {Object} { app, state } with the sent messages and the last
+ *                   inbound message per customer
+ */
+function createWhatsAppMockServer() {
+  const app = express();
+  const state = { messages: [], lastInboundAt: {}, nextId: 1 };
+
+  app.use(express.json());
+
+  app.post('/:version/:phoneNumberId/messages', (req, res) => {
+    if (req.headers.authorization !== `Bearer ${ACCESS_TOKEN}`) {
+      return graphError(res, 401, 190, 'Invalid OAuth access token.');
+    }
+    if (req.params.phoneNumberId !== PHONE_NUMBER_ID) {
+      return graphError(res, 400, 100, 'Unsupported post request. Object does not exist.');
+    }
+
+    const { messaging_product: product, to, type } = req.body;
+    if (product !== 'whatsapp' || !/^\d{10,15}$/.test(String(to || ''))) {
+      return graphError(res, 400, 100, 'Invalid parameter');
+    }
+
+    if (type === 'text') {
+      if (!req.body.text?.body) {
+        return graphError(res, 400, 100, 'Invalid parameter: text.body is required');
+      }
+      const lastInboundAt = state.lastInboundAt[to];
+      if (!lastInboundAt || Date.now() - lastInboundAt > SERVICE_WINDOW_MS) {
+        return graphError(
+          res,
+          400,
+          131047,
+          'Re-engagement message: more than 24 hours have passed since the customer last replied'
+        );
+      }
+    } else if (type === 'template') {
+      const { name, language, components = [] } = req.body.template || {};
+      const template = TEMPLATES[name];
+      if (!template || !template.languages.includes(language?.code)) {
+        return graphError(
+          res,
+          404,
+          132001,
+          `Template name does not exist in the translation: ${name} (${language?.code})`
+        );
+      }
+      const parameters =
+        components.find((component) => component.type === 'body')?.parameters || [];
+      if (parameters.length !== template.parameters) {
+        return graphError(
+          res,
+          400,
+          132000,
+          `Number of parameters does not match the expected number of params (${template.parameters})`
+        );
+      }
+    } else {
+      return graphError(res, 400, 100, `Unsupported message type: ${type}`);
+    }
+
+    const id = `wamid.MOCK${String(state.nextId++).padStart(8, '0')}`;
+    state.messages.push({ id, to, type, payload: req.body, sentAt: new Date().toISOString() });
+
+    res.json({
+      messaging_product: 'whatsapp',
+      contacts: [{ input: to, wa_id: to }],
+      messages: [{ id }]
+    });
+  });
+
+  app.post('/__mock/inbound', async (req, res) => {
+    const { from, text, name = 'Mock Müşteri' } = req.body;
+    if (!from || !text) {
+      return res.status(400).json({ message: 'from and text are required' });
+    }
+
+    state.lastInboundAt[from] = Date.now();
+    const id = `wamid.IN${String(state.nextId++).padStart(8, '0')}`;
+    const result = await deliverWebhook({
+      contacts: [{ profile: { name }, wa_id: from }],
+      messages: [
+        {
+          from,
+          id,
+          timestamp: String(Math.floor(Date.now() / 1000)),
+          type: 'text',
+          text: { body: text }
+        }
+      ]
+    });
+
+    res.json({ id, ...result });
+  });
+
+  app.post('/__mock/messages/:id/status', async (req, res) => {
+    const message = state.messages.find((m) => m.id === req.params.id);
+    if (!message) {
+      return res.status(404).json({ message: 'Message not found' });
+    }
+
+    const status = req.body.status || 'delivered';
+    const result = await deliverWebhook({
+      statuses: [
+        {
+          id: message.id,
+          status,
+          timestamp: String(Math.floor(Date.now() / 1000)),
+          recipient_id: message.to,
+          ...(status === 'failed'
+            ? {
+                errors: [
+                  {
+                    code: 131026,
+                    title: 'Message undeliverable',
+                    error_data: { details: 'Receiver is incapable of receiving this message' }
+                  }
+                ]
+              }
+            : {})
+        }
+      ]
+    });
+
+    res.json({ id: message.id, status, ...result });
+  });
+
+  app.get('/__mock/messages', (req, res) => res.json(state.messages));
+
+  return { app, state };
+}
+
+if (require.main === module) {
+  const port = parseInt(process.env.WHATSAPP_MOCK_PORT, 10) || 4030;
+  createWhatsAppMockServer().app.listen(port, () => {
+    console.log(`WhatsApp Cloud API mock server listening on http://localhost:${port}`);
+  });
+}
+
+module.exports = { createWhatsAppMockServer, sign };
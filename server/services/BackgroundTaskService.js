@@ -20,7 +20,10 @@ class BackgroundTaskService {
         maxRetries = 3,
         parentTaskId = null,
         dependsOnTaskIds = [],
+        dependencyPolicies = {},
+        scheduleId = null,
         metadata = {},
+        transaction = null,
       } = taskData;
 
       // Validate required fields
@@ -41,6 +44,7 @@ class BackgroundTaskService {
       if (dependsOnTaskIds.length > 0) {
         const existingTasks = await BackgroundTask.count({
           where: { id: { [Op.in]: dependsOnTaskIds } },
+          transaction,
         });
         if (existingTasks !== dependsOnTaskIds.length) {
           throw new Error("One or more dependency tasks do not exist");
@@ -50,6 +54,15 @@ class BackgroundTaskService {
         });
       }
 
+      for (const [dependencyId, policy] of Object.entries(dependencyPolicies)) {
+        if (!dependsOnTaskIds.includes(dependencyId)) {
+          throw new Error(`Dependency policy set for unknown task ${dependencyId}`);
+        }
+        if (!BackgroundTask.DEPENDENCY_POLICIES.includes(policy)) {
+          throw new Error(`Invalid dependency policy: ${policy}`);
+        }
+      }
+
       const task = await BackgroundTask.create({
         userId,
         taskType,
@@ -60,6 +73,8 @@ class BackgroundTaskService {
         maxRetries,
         parentTaskId,
         dependsOnTaskIds,
+        dependencyPolicies,
+        scheduleId,
         metadata,
         progress: {
           current: 0,
@@ -68,7 +83,7 @@ class BackgroundTaskService {
           phase: "created",
           message: "Task created successfully",
         },
-      });
+      }, { transaction });
 
       logger.info(`Background task created successfully`, {
         taskId: task.id,
@@ -93,7 +108,7 @@ class BackgroundTaskService {
       logger.error("Error creating background task:", {
         error: error.message,
         stack: error.stack,
-        taskData,
+        taskData: { ...taskData, transaction: undefined },
       });
       throw error;
     }
@@ -527,7 +542,7 @@ class BackgroundTaskService {
       throw new Error("Task not found");
     }
 
-    if (["completed", "failed", "cancelled"].includes(task.status)) {
+    if (["completed", "failed", "cancelled", "skipped"].includes(task.status)) {
       throw new Error(
         `Task cannot be cancelled. Current status: ${task.status}`
       );
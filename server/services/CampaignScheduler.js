@@ -0,0 +1,77 @@
+const { Op } = require('sequelize');
+const { Campaign } = require('../models');
+const { IntervalScheduler } = require('./IntervalScheduler');
+const campaignDelivery = require('./campaign-delivery-service');
+const logger = require('../utils/logger');
+
+/**
+ * Campaign Scheduler
+ * Starts scheduled campaigns once their time has come and resumes
+ * campaigns whose delivery was interrupted by a restart.
+ */
+class CampaignScheduler extends IntervalScheduler {
+  constructor() {
+    super({
+      name: 'Campaign scheduler',
+      intervalEnv: 'CAMPAIGN_SCHEDULER_INTERVAL',
+      defaultInterval: 60 * 1000,
+      missingSchemaWarning: 'Campaign tables not yet created, skipping tick'
+    });
+  }
+
+  getStatus() {
+    return {
+      ...super.getStatus(),
+      activeCampaigns: [...campaignDelivery.activeCampaigns]
+    };
+  }
+
+  /**
+   * Deliver due and interrupted campaigns, one after the other
+   */
+  async run(now) {
+    const campaigns = await Campaign.findAll({
+      attributes: ['id', 'name'],
+      where: {
+        [Op.or]: [
+          {
+            status: 'scheduled',
+            scheduledAt: { [Op.lte]: now }
+          },
+          { status: 'sending' }
+        ]
+      },
+      order: [['scheduledAt', 'ASC']]
+    });
+
+    const stats = { campaigns: campaigns.length, delivered: 0, failed: 0 };
+    for (const campaign of campaigns) {
+      try {
+        const counts = await campaignDelivery.deliver(campaign.id);
+        if (counts) {
+          stats.delivered++;
+        }
+      } catch (error) {
+        stats.failed++;
+        logger.error(`Failed to deliver campaign ${campaign.name}`, {
+          campaignId: campaign.id,
+          error: error.message
+        });
+      }
+    }
+
+    return stats;
+  }
+
+  shouldReport(stats) {
+    return stats.campaigns > 0;
+  }
+}
+
+// Create singleton instance
+const campaignScheduler = new CampaignScheduler();
+
+module.exports = {
+  CampaignScheduler,
+  campaignScheduler
+};
@@ -9,6 +9,7 @@ const ReplyTemplate = require("../models/ReplyTemplate");
 const QuestionStats = require("../models/QuestionStats");
 const Customer = require("../models/Customer");
 const PlatformConnection = require("../models/PlatformConnection");
+const questionSla = require("./question-sla-service");
 const { Op, Sequelize } = require("sequelize");
 
 let debug;
@@ -301,6 +302,12 @@ class CustomerQuestionService {
    */
   async saveOrUpdateQuestion(questionData) {
     try {
+      // Keep the answer deadline in step with the platform's expire date
+      const dueDate = questionSla.getDueDate(questionData);
+      if (dueDate) {
+        questionData = { ...questionData, due_date: dueDate };
+      }
+
       // Find existing question
       let question = await CustomerQuestion.findOne({
         where: {
@@ -400,6 +407,7 @@ class CustomerQuestionService {
       customer_name,
       customer_email,
       priority,
+      sla,
       startDate,
       endDate,
       page = 1,
@@ -415,6 +423,11 @@ class CustomerQuestionService {
     if (status) {
       whereClause.status = status;
     }
+    if (sla) {
+      // Deadlines only matter while the question waits for an answer
+      whereClause.status = status || "WAITING_FOR_ANSWER";
+      whereClause.due_date = questionSla.getDueDateFilter(sla);
+    }
     if (assigned_to) {
       whereClause.assigned_to = assigned_to;
     }
@@ -0,0 +1,58 @@
+const { IntervalScheduler } = require('./IntervalScheduler');
+const customerSegmentation = require('./customer-segmentation-service');
+
+/**
+ * Customer Segmentation Scheduler
+ * Recomputes RFM segments, churn risk and lifetime value once a night.
+ * Checks hourly and runs on the first check after the configured hour on a
+ * day that has no segment snapshot yet, so a restart does not skip a night.
+ */
+class CustomerSegmentationScheduler extends IntervalScheduler {
+  constructor() {
+    super({
+      name: 'Customer segmentation scheduler',
+      intervalEnv: 'CUSTOMER_SEGMENTATION_INTERVAL',
+      defaultInterval: 60 * 60 * 1000,
+      missingSchemaWarning:
+        'Customer segmentation tables not yet created, skipping tick'
+    });
+    this.runHour = parseInt(process.env.CUSTOMER_SEGMENTATION_HOUR || '3', 10);
+    this.lastRunAt = null;
+  }
+
+  getStatus() {
+    return {
+      ...super.getStatus(),
+      runHour: this.runHour,
+      lastRunAt: this.lastRunAt
+    };
+  }
+
+  /**
+   * Run the nightly segmentation if it is due
+   * @param {Date} now - Start of the round
+   * @param {boolean} force - Run now, regardless of the hour and last run
+   */
+  async run(now, force = false) {
+    if (!force) {
+      if (now.getHours() < this.runHour) {
+        return null;
+      }
+      if (await customerSegmentation.hasRunOn(now)) {
+        return null;
+      }
+    }
+
+    const stats = await customerSegmentation.run(now);
+    this.lastRunAt = now;
+    return stats;
+  }
+}
+
+// Create singleton instance
+const customerSegmentationScheduler = new CustomerSegmentationScheduler();
+
+module.exports = {
+  CustomerSegmentationScheduler,
+  customerSegmentationScheduler
+};
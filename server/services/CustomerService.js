@@ -155,6 +155,10 @@ class CustomerService {
         }
       }
 
+      // Merged customers get their totals over every merged email back
+      const identityService = require("./customer-identity-service");
+      await identityService.recomputeMergedCustomers();
+
       logger.info(
         `Customer extraction completed: ${extractedCount} new, ${updatedCount} updated`
       );
@@ -270,11 +274,13 @@ class CustomerService {
       search = "",
       customerType = "all",
       riskLevel = "all",
+      rfmSegment = "all",
       sortBy = "totalSpent",
       sortOrder = "desc",
     } = options;
 
-    const whereClause = {};
+    // Records merged into another customer are listed as part of it
+    const whereClause = { mergedIntoId: null };
 
     if (search) {
       whereClause[Op.or] = [
@@ -291,6 +297,10 @@ class CustomerService {
       whereClause.riskLevel = riskLevel;
     }
 
+    if (rfmSegment !== "all") {
+      whereClause.rfmSegment = rfmSegment;
+    }
+
     const offset = (page - 1) * limit;
     const order = [[sortBy, sortOrder.toUpperCase()]];
 
@@ -328,17 +338,19 @@ class CustomerService {
    * Get customer statistics
    */
   static async getCustomerStats() {
-    const totalCustomers = await Customer.count();
+    const where = { mergedIntoId: null };
+
+    const totalCustomers = await Customer.count({ where });
 
     const vipCustomers = await Customer.count({
-      where: { customerType: "vip" },
+      where: { ...where, customerType: "vip" },
     });
 
     const atRiskCustomers = await Customer.count({
-      where: { riskLevel: "high" },
+      where: { ...where, riskLevel: "high" },
     });
 
-    const totalRevenueResult = await Customer.sum("totalSpent");
+    const totalRevenueResult = await Customer.sum("totalSpent", { where });
     const totalRevenue = totalRevenueResult || 0;
 
     return {
@@ -350,25 +362,84 @@ class CustomerService {
   }
 
   /**
-   * Get customer by email
+   * Get customer by email. An email merged into another customer resolves
+   * to that customer, with the orders and records of every merged email.
    */
   static async getCustomerByEmail(email) {
-    return await Customer.findOne({
+    const identityService = require("./customer-identity-service");
+
+    const record = await Customer.findOne({
       where: { email: email.toLowerCase().trim() },
-      include: [
-        {
-          model: Order,
-          as: "customerOrders",
-          include: [
-            {
-              model: OrderItem,
-              as: "items",
-            },
-          ],
-          order: [["orderDate", "DESC"]],
-        },
-      ],
     });
+    if (!record) {
+      return null;
+    }
+
+    const customer = record.mergedIntoId
+      ? await Customer.findByPk(record.mergedIntoId)
+      : record;
+    const identities = await identityService.getMembers(customer.id);
+    const orders = await identityService.getOrders(customer, identities);
+
+    return {
+      ...customer.toJSON(),
+      customerOrders: orders,
+      identities,
+    };
+  }
+
+  /**
+   * Collect the details, addresses, platforms and products of a customer
+   * from their orders, newest first
+   */
+  static buildCustomerData(email, orders) {
+    const customerData = {
+      email,
+      name: orders[0].customerName || "Unknown Customer",
+      phone: orders[0].customerPhone,
+      orders: orders,
+      addresses: new Set(),
+      platforms: new Map(),
+      products: new Map(),
+    };
+
+    orders.forEach((order) => {
+      // Update name and phone
+      if (order.customerName && order.customerName !== "Unknown Customer") {
+        customerData.name = order.customerName;
+      }
+      if (order.customerPhone && !customerData.phone) {
+        customerData.phone = order.customerPhone;
+      }
+
+      // Collect data
+      if (order.shippingAddress) {
+        customerData.addresses.add(JSON.stringify(order.shippingAddress));
+      }
+      if (order.platform) {
+        const platform = order.platform.toLowerCase();
+        customerData.platforms.set(
+          platform,
+          (customerData.platforms.get(platform) || 0) + 1
+        );
+      }
+      if (order.items) {
+        order.items.forEach((item) => {
+          if (item.title) {
+            const productKey = item.title.toLowerCase();
+            customerData.products.set(productKey, {
+              name: item.title,
+              sku: item.sku,
+              count:
+                (customerData.products.get(productKey)?.count || 0) +
+                item.quantity,
+            });
+          }
+        });
+      }
+    });
+
+    return customerData;
   }
 
   /**
@@ -396,53 +467,10 @@ class CustomerService {
         throw new Error("No orders found for customer");
       }
 
-      // Create temporary customer data structure
-      const customerData = {
-        email: email.toLowerCase().trim(),
-        name: orders[0].customerName || "Unknown Customer",
-        phone: orders[0].customerPhone,
-        orders: orders,
-        addresses: new Set(),
-        platforms: new Map(),
-        products: new Map(),
-      };
-
-      // Process orders
-      orders.forEach((order) => {
-        // Update name and phone
-        if (order.customerName && order.customerName !== "Unknown Customer") {
-          customerData.name = order.customerName;
-        }
-        if (order.customerPhone && !customerData.phone) {
-          customerData.phone = order.customerPhone;
-        }
-
-        // Collect data
-        if (order.shippingAddress) {
-          customerData.addresses.add(JSON.stringify(order.shippingAddress));
-        }
-        if (order.platform) {
-          const platform = order.platform.toLowerCase();
-          customerData.platforms.set(
-            platform,
-            (customerData.platforms.get(platform) || 0) + 1
-          );
-        }
-        if (order.items) {
-          order.items.forEach((item) => {
-            if (item.title) {
-              const productKey = item.title.toLowerCase();
-              customerData.products.set(productKey, {
-                name: item.title,
-                sku: item.sku,
-                count:
-                  (customerData.products.get(productKey)?.count || 0) +
-                  item.quantity,
-              });
-            }
-          });
-        }
-      });
+      const customerData = this.buildCustomerData(
+        email.toLowerCase().trim(),
+        orders
+      );
 
       // Calculate analytics
       const analytics = this.calculateCustomerAnalytics(customerData);
@@ -456,6 +484,23 @@ class CustomerService {
         lastUpdated: new Date(),
       });
 
+      // Totals of a merged customer span the orders of every merged email
+      const record = await Customer.findOne({
+        where: { email: customerData.email },
+        attributes: ["id", "mergedIntoId"],
+        include: [
+          {
+            model: Customer,
+            as: "mergedCustomers",
+            attributes: ["id"],
+          },
+        ],
+      });
+      if (record && (record.mergedIntoId || record.mergedCustomers.length)) {
+        const identityService = require("./customer-identity-service");
+        await identityService.recompute(record.mergedIntoId || record.id);
+      }
+
       return customer;
     } catch (error) {
       logger.error(`Error refreshing customer data for ${email}:`, error);
@@ -0,0 +1,54 @@
+const { IntervalScheduler } = require('./IntervalScheduler');
+const eFaturaService = require('./qnbEFaturaService');
+const eIrsaliyeService = require('./qnbEIrsaliyeService');
+
+/**
+ * E-Document Status Poller
+ * Asks QNB Finans about electronic documents that were sent to GİB and
+ * are still waiting for delivery or a receiver response, and downloads
+ * newly received e-Fatura.
+ */
+class EDocumentStatusPoller extends IntervalScheduler {
+  constructor() {
+    super({
+      name: 'E-document status poller',
+      intervalEnv: 'E_DOCUMENT_STATUS_POLL_INTERVAL',
+      defaultInterval: 5 * 60 * 1000,
+      missingSchemaWarning: 'E-document columns not yet created, skipping tick',
+      // New document statuses come with the migration as well
+      missingSchemaCodes: ['42P01', '42703', '22P02']
+    });
+    this.batchSize = 50;
+  }
+
+  getStatus() {
+    return { ...super.getStatus(), batchSize: this.batchSize };
+  }
+
+  /**
+   * Refresh the status of sent documents and fetch incoming invoices
+   */
+  async run() {
+    return {
+      despatch: await eIrsaliyeService.pollPending(this.batchSize),
+      invoice: await eFaturaService.pollPending(this.batchSize),
+      incoming: await eFaturaService.fetchAllIncoming()
+    };
+  }
+
+  shouldReport(stats) {
+    return (
+      stats.despatch.updated > 0 ||
+      stats.invoice.updated > 0 ||
+      stats.incoming.imported > 0
+    );
+  }
+}
+
+// Create singleton instance
+const eDocumentStatusPoller = new EDocumentStatusPoller();
+
+module.exports = {
+  EDocumentStatusPoller,
+  eDocumentStatusPoller
+};
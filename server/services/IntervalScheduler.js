@@ -0,0 +1,146 @@
+const EventEmitter = require('events');
+const logger = require('../utils/logger');
+
+// Postgres codes for a missing table or column
+const MISSING_SCHEMA_CODES = ['42P01', '42703'];
+
+/**
+ * Interval Scheduler
+ * Base class of the background schedulers that run one round of work every
+ * checkInterval milliseconds. A round never overlaps the previous one, and
+ * rounds are skipped with a warning while the tables they need have not
+ * been created by their migration yet.
+ *
+ * Subclasses implement run(now, ...args), which returns the round's stats
+ * or null when there was nothing due, and may override shouldReport(stats)
+ * to emit tickCompleted only for rounds worth logging.
+ */
+class IntervalScheduler extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {string} options.name - Used in log messages, e.g. "Campaign scheduler"
+   * @param {string} options.intervalEnv - Environment variable overriding the interval
+   * @param {number} options.defaultInterval - Interval in milliseconds
+   * @param {string} options.missingSchemaWarning - Logged while the tables are missing
+   * @param {string[]} [options.missingSchemaCodes] - Postgres codes of a missing schema
+   */
+  constructor({
+    name,
+    intervalEnv,
+    defaultInterval,
+    missingSchemaWarning,
+    missingSchemaCodes = MISSING_SCHEMA_CODES
+  }) {
+    super();
+    this.name = name;
+    this.missingSchemaWarning = missingSchemaWarning;
+    this.missingSchemaCodes = missingSchemaCodes;
+    this.isRunning = false;
+    this.isTicking = false;
+    this.tickInterval = null;
+    this.checkInterval = parseInt(
+      process.env[intervalEnv] || String(defaultInterval),
+      10
+    );
+    this.lastTickAt = null;
+    this.lastStats = null;
+  }
+
+  start() {
+    if (this.isRunning) {
+      logger.warn(`${this.name} is already running`);
+      return;
+    }
+
+    this.isRunning = true;
+    this.tickInterval = setInterval(() => {
+      this.tick().catch((error) => {
+        logger.error(`Error in ${this.name} tick:`, {
+          error: error.message,
+          stack: error.stack
+        });
+      });
+    }, this.checkInterval);
+
+    logger.info(`${this.name} started`, {
+      checkInterval: this.checkInterval
+    });
+  }
+
+  stop() {
+    if (!this.isRunning) {
+      return;
+    }
+
+    this.isRunning = false;
+    if (this.tickInterval) {
+      clearInterval(this.tickInterval);
+      this.tickInterval = null;
+    }
+    logger.info(`${this.name} stopped`);
+  }
+
+  getStatus() {
+    return {
+      isRunning: this.isRunning,
+      isTicking: this.isTicking,
+      checkInterval: this.checkInterval,
+      lastTickAt: this.lastTickAt,
+      lastStats: this.lastStats
+    };
+  }
+
+  /**
+   * Run one round unless the previous one is still running
+   * @returns {Promise<Object|null>} The round's stats
+   */
+  async tick(...args) {
+    if (this.isTicking) {
+      return null;
+    }
+    this.isTicking = true;
+
+    try {
+      this.lastTickAt = new Date();
+
+      const stats = await this.run(this.lastTickAt, ...args);
+      if (stats === null) {
+        return null;
+      }
+
+      this.lastStats = stats;
+      if (this.shouldReport(stats)) {
+        this.emit('tickCompleted', stats);
+      }
+      return stats;
+    } catch (error) {
+      if (
+        error.name === 'SequelizeDatabaseError' &&
+        this.missingSchemaCodes.includes(error.original?.code)
+      ) {
+        logger.warn(this.missingSchemaWarning);
+        return null;
+      }
+      throw error;
+    } finally {
+      this.isTicking = false;
+    }
+  }
+
+  /**
+   * One round of work
+   * @param {Date} now - Start of the round
+   * @returns {Promise<Object|null>} Stats, or null when nothing was due
+   */
+  async run() {
+    throw new Error(`${this.name} does not implement run()`);
+  }
+
+  shouldReport() {
+    return true;
+  }
+}
+
+module.exports = {
+  IntervalScheduler
+};
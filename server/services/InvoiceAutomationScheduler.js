@@ -0,0 +1,72 @@
+const { IntervalScheduler } = require('./IntervalScheduler');
+const invoiceAutomationService = require('./invoice-automation-service');
+const creditNoteService = require('./credit-note-service');
+
+/**
+ * Invoice Automation Scheduler
+ * Queues orders that reached the trigger status of an invoice automation
+ * rule, issues their invoices and retries failed invoices and invoice link
+ * uploads once their backoff elapsed. Returned orders get their credit
+ * notes in the same round.
+ */
+class InvoiceAutomationScheduler extends IntervalScheduler {
+  constructor() {
+    super({
+      name: 'Invoice automation scheduler',
+      intervalEnv: 'INVOICE_AUTOMATION_INTERVAL',
+      defaultInterval: 10 * 60 * 1000,
+      missingSchemaWarning:
+        'Invoice automation tables not yet created, skipping tick',
+      // Credit note statuses come with the migration as well
+      missingSchemaCodes: ['42P01', '42703', '22P02']
+    });
+    this.batchSize = 50;
+  }
+
+  getStatus() {
+    return { ...super.getStatus(), batchSize: this.batchSize };
+  }
+
+  /**
+   * Queue due orders and returns, then work off due invoicing jobs and
+   * credit notes
+   */
+  async run() {
+    const queued = await invoiceAutomationService.enqueueDueOrders({
+      limit: this.batchSize * 2
+    });
+    const stats = {
+      queued,
+      ...(await invoiceAutomationService.processDueJobs({
+        limit: this.batchSize
+      }))
+    };
+
+    const creditNotesQueued = await creditNoteService.enqueueReturns({
+      limit: this.batchSize * 2
+    });
+    stats.creditNotes = {
+      queued: creditNotesQueued,
+      ...(await creditNoteService.processDueNotes({ limit: this.batchSize }))
+    };
+
+    return stats;
+  }
+
+  shouldReport(stats) {
+    return (
+      stats.queued > 0 ||
+      stats.processed > 0 ||
+      stats.creditNotes.queued > 0 ||
+      stats.creditNotes.processed > 0
+    );
+  }
+}
+
+// Create singleton instance
+const invoiceAutomationScheduler = new InvoiceAutomationScheduler();
+
+module.exports = {
+  InvoiceAutomationScheduler,
+  invoiceAutomationScheduler
+};
@@ -0,0 +1,38 @@
+const { IntervalScheduler } = require('./IntervalScheduler');
+const questionAnswering = require('./question-answering');
+
+/**
+ * Question Auto-Answer Scheduler
+ * Periodically drafts answers for new marketplace questions and sends the
+ * confident ones whose review hold has passed, before the platform's
+ * answer deadline.
+ */
+class QuestionAutoAnswerScheduler extends IntervalScheduler {
+  constructor() {
+    super({
+      name: 'Question auto-answer scheduler',
+      intervalEnv: 'QUESTION_AUTO_ANSWER_INTERVAL',
+      defaultInterval: 2 * 60 * 1000,
+      missingSchemaWarning: 'Answer draft tables not yet created, skipping tick'
+    });
+  }
+
+  /**
+   * Draft answers for new questions and send the ones that are due
+   */
+  run(now) {
+    return questionAnswering.runCycle(now);
+  }
+
+  shouldReport(stats) {
+    return stats.drafted > 0 || stats.sent > 0 || stats.failed > 0;
+  }
+}
+
+// Create singleton instance
+const questionAutoAnswerScheduler = new QuestionAutoAnswerScheduler();
+
+module.exports = {
+  QuestionAutoAnswerScheduler,
+  questionAutoAnswerScheduler
+};
@@ -0,0 +1,37 @@
+const { IntervalScheduler } = require('./IntervalScheduler');
+const questionSla = require('./question-sla-service');
+
+/**
+ * Question SLA Scheduler
+ * Periodically assigns new marketplace questions to the team and escalates
+ * open ones that are close to or past the platform's answer deadline.
+ */
+class QuestionSlaScheduler extends IntervalScheduler {
+  constructor() {
+    super({
+      name: 'Question SLA scheduler',
+      intervalEnv: 'QUESTION_SLA_INTERVAL',
+      defaultInterval: 5 * 60 * 1000,
+      missingSchemaWarning: 'Question SLA columns not yet created, skipping tick'
+    });
+  }
+
+  /**
+   * Assign new questions and escalate the ones running out of time
+   */
+  run(now) {
+    return questionSla.runCycle(now);
+  }
+
+  shouldReport(stats) {
+    return stats.assigned > 0 || stats.warned > 0 || stats.breached > 0;
+  }
+}
+
+// Create singleton instance
+const questionSlaScheduler = new QuestionSlaScheduler();
+
+module.exports = {
+  QuestionSlaScheduler,
+  questionSlaScheduler
+};
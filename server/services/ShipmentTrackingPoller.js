@@ -0,0 +1,77 @@
+const { IntervalScheduler } = require('./IntervalScheduler');
+const shipmentTrackingService = require('./shipment-tracking-service');
+const logger = require('../utils/logger');
+
+/**
+ * Shipment Tracking Poller
+ * Periodically asks the carriers about every open shipment.
+ *
+ * Each tick visits the users with shipments that were not tracked within
+ * refreshMinutes and tracks at most batchSize of them per user, least
+ * recently tracked first. Shipments are claimed through lastTrackedAt, so
+ * several server instances never track the same shipment in one round.
+ */
+class ShipmentTrackingPoller extends IntervalScheduler {
+  constructor() {
+    super({
+      name: 'Shipment tracking poller',
+      intervalEnv: 'SHIPMENT_TRACKING_INTERVAL',
+      defaultInterval: 15 * 60 * 1000,
+      missingSchemaWarning:
+        'Shipment tracking columns not yet created, skipping tick'
+    });
+    this.refreshMinutes = parseInt(
+      process.env.SHIPMENT_TRACKING_REFRESH_MINUTES || '60',
+      10
+    );
+    this.batchSize = 100;
+  }
+
+  getStatus() {
+    return { ...super.getStatus(), refreshMinutes: this.refreshMinutes };
+  }
+
+  /**
+   * Track the shipments of every user that has some due
+   */
+  async run() {
+    const userIds = await shipmentTrackingService.findUserIdsWithOpenShipments(
+      this.refreshMinutes
+    );
+    const totals = { users: userIds.length, total: 0, updated: 0, failed: 0 };
+
+    for (const userId of userIds) {
+      if (!this.isRunning) break;
+
+      try {
+        const { stats } = await shipmentTrackingService.syncShipments(userId, {
+          minIntervalMinutes: this.refreshMinutes,
+          limit: this.batchSize
+        });
+        totals.total += stats.total;
+        totals.updated += stats.updated || 0;
+        totals.failed += stats.failed || 0;
+      } catch (error) {
+        logger.error(`Error tracking shipments of user ${userId}:`, {
+          userId,
+          error: error.message,
+          stack: error.stack
+        });
+      }
+    }
+
+    return totals;
+  }
+
+  shouldReport(totals) {
+    return totals.total > 0;
+  }
+}
+
+// Create singleton instance
+const shipmentTrackingPoller = new ShipmentTrackingPoller();
+
+module.exports = {
+  ShipmentTrackingPoller,
+  shipmentTrackingPoller
+};
@@ -0,0 +1,40 @@
+const { IntervalScheduler } = require('./IntervalScheduler');
+const subscriptionBillingService = require('./subscription-billing-service');
+
+/**
+ * Subscription Billing Scheduler
+ * Runs the subscription billing cycle periodically: trial reminders and
+ * expiry, renewal charges and retries of failed charges. Subscriptions are
+ * claimed through billingLockedUntil, so several server instances never
+ * charge the same subscription twice.
+ */
+class SubscriptionBillingScheduler extends IntervalScheduler {
+  constructor() {
+    super({
+      name: 'Subscription billing scheduler',
+      intervalEnv: 'SUBSCRIPTION_BILLING_INTERVAL',
+      defaultInterval: 60 * 60 * 1000,
+      missingSchemaWarning:
+        'Subscription billing columns not yet created, skipping tick'
+    });
+  }
+
+  /**
+   * Run one billing cycle
+   */
+  run(now) {
+    return subscriptionBillingService.runBillingCycle(now);
+  }
+
+  shouldReport(stats) {
+    return Object.values(stats).some((count) => count > 0);
+  }
+}
+
+// Create singleton instance
+const subscriptionBillingScheduler = new SubscriptionBillingScheduler();
+
+module.exports = {
+  SubscriptionBillingScheduler,
+  subscriptionBillingScheduler
+};
@@ -1,5 +1,6 @@
 const EventEmitter = require('events');
 const BackgroundTaskService = require('../services/BackgroundTaskService');
+const TaskWorkflowService = require('../services/TaskWorkflowService');
 const logger = require('../utils/logger');
 
 class TaskQueueManager extends EventEmitter {
@@ -176,10 +177,12 @@ class TaskQueueManager extends EventEmitter {
   async processQueue() {
     try {
       // Check if we can process more tasks
-      const availableSlots = this.maxConcurrentTasks - this.runningTasks.size;
+      const busySlots = this.getBusySlotCount();
+      const availableSlots = this.maxConcurrentTasks - busySlots;
       if (availableSlots <= 0) {
         logger.info(`No available slots for new tasks`, {
           runningTasks: this.runningTasks.size,
+          busySlots,
           maxConcurrentTasks: this.maxConcurrentTasks
         });
         return;
@@ -187,8 +190,8 @@ class TaskQueueManager extends EventEmitter {
 
       logger.info(`Checking for queued tasks`, { availableSlots });
 
-      // Get queued tasks
-      const queuedTasks = await BackgroundTaskService.getQueuedTasks({
+      // Get queued tasks whose parent and dependencies allow them to start
+      const queuedTasks = await TaskWorkflowService.getRunnableTasks({
         limit: availableSlots
       });
 
@@ -231,6 +234,20 @@ class TaskQueueManager extends EventEmitter {
     }
   }
 
+  /**
+   * Number of running tasks that occupy a concurrency slot.
+   * Workflow tasks only watch their steps, so they are not counted.
+   */
+  getBusySlotCount() {
+    let busy = 0;
+    for (const taskExecution of this.runningTasks.values()) {
+      if (taskExecution.task.taskType !== 'workflow') {
+        busy++;
+      }
+    }
+    return busy;
+  }
+
   /**
    * Execute a single task
    */
@@ -854,8 +871,23 @@ class TaskExecution extends EventEmitter {
   getTaskExecutor() {
     // Dynamic import of task executors based on task type
     const executors = {
-      order_fetching: require('../executors/OrderFetchingExecutor')
-      // Note: Other executors can be added as they are implemented
+      order_fetching: require('../executors/OrderFetchingExecutor'),
+      product_sync: require('../executors/ProductSyncExecutor'),
+      inventory_sync: require('../executors/InventorySyncExecutor'),
+      bulk_operation: require('../executors/BulkOperationExecutor'),
+      analytics_update: require('../executors/AnalyticsUpdateExecutor'),
+      customer_sync: require('../executors/CustomerSyncExecutor'),
+      shipping_label_generation: require('../executors/ShippingLabelGenerationExecutor'),
+      report_generation: require('../executors/ReportGenerationExecutor'),
+      data_export: require('../executors/DataExportExecutor'),
+      data_import: require('../executors/DataImportExecutor'),
+      supplier_feed: require('../executors/SupplierFeedExecutor'),
+      repricing: require('../executors/RepricingExecutor'),
+      shipment_creation: require('../executors/ShipmentCreationExecutor'),
+      shipment_tracking: require('../executors/ShipmentTrackingExecutor'),
+      return_sync: require('../executors/ReturnSyncExecutor'),
+      workflow: require('../executors/WorkflowExecutor'),
+      customer_matching: require('../executors/CustomerMatchingExecutor')
     };
 
     return (taskType) => {
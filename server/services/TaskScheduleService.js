@@ -0,0 +1,312 @@
+const { Op } = require("sequelize");
+const {
+  TaskSchedule,
+  BackgroundTask,
+  PlatformConnection,
+} = require("../models");
+const BackgroundTaskService = require("./BackgroundTaskService");
+const logger = require("../utils/logger");
+
+// Task statuses that count as "still running" for overlap prevention
+const ACTIVE_TASK_STATUSES = ["pending", "queued", "running", "paused"];
+
+const EDITABLE_FIELDS = [
+  "name",
+  "taskType",
+  "priority",
+  "config",
+  "maxRetries",
+  "cronExpression",
+  "intervalMinutes",
+  "timezone",
+  "catchUpMode",
+  "maxCatchUpRuns",
+  "allowOverlap",
+  "platformConnectionId",
+  "metadata",
+];
+
+class TaskScheduleService {
+  /**
+   * Create a recurring schedule
+   * @param {string} userId - Owner of the schedule
+   * @param {Object} data - Schedule definition
+   * @returns {Promise<TaskSchedule>}
+   */
+  static async createSchedule(userId, data) {
+    const values = TaskScheduleService.pickEditable(data);
+
+    if (values.platformConnectionId) {
+      await TaskScheduleService.assertConnectionOwner(
+        userId,
+        values.platformConnectionId
+      );
+    }
+
+    const schedule = await TaskSchedule.create({
+      ...values,
+      userId,
+      timezone: values.timezone || TaskSchedule.DEFAULT_TIMEZONE,
+      status: data.status === "paused" ? "paused" : "active",
+    });
+
+    logger.info("Task schedule created", {
+      scheduleId: schedule.id,
+      userId,
+      taskType: schedule.taskType,
+      cronExpression: schedule.cronExpression,
+      intervalMinutes: schedule.intervalMinutes,
+      nextRunAt: schedule.nextRunAt,
+    });
+
+    return schedule;
+  }
+
+  /**
+   * List schedules with their last spawned task
+   * @param {Object} params - { userId, platformConnectionId, status, taskType }
+   * @returns {Promise<TaskSchedule[]>}
+   */
+  static async getSchedules(params = {}) {
+    const { userId = null, platformConnectionId, status, taskType } = params;
+
+    const where = {};
+    if (userId) {
+      where.userId = userId;
+    }
+    if (platformConnectionId) {
+      where.platformConnectionId = platformConnectionId;
+    }
+    if (status && status !== "all") {
+      where.status = status;
+    }
+    if (taskType && taskType !== "all") {
+      where.taskType = taskType;
+    }
+
+    return TaskSchedule.findAll({
+      where,
+      include: TaskScheduleService.defaultIncludes(),
+      order: [
+        ["status", "ASC"],
+        ["nextRunAt", "ASC"],
+      ],
+    });
+  }
+
+  /**
+   * Get a schedule by ID
+   * @param {string} scheduleId - Schedule UUID
+   * @returns {Promise<TaskSchedule|null>}
+   */
+  static async getScheduleById(scheduleId) {
+    return TaskSchedule.findByPk(scheduleId, {
+      include: TaskScheduleService.defaultIncludes(),
+    });
+  }
+
+  /**
+   * Update a schedule definition
+   * @param {TaskSchedule} schedule - Schedule instance
+   * @param {Object} data - Changed fields
+   * @returns {Promise<TaskSchedule>}
+   */
+  static async updateSchedule(schedule, data) {
+    const values = TaskScheduleService.pickEditable(data);
+
+    if (values.platformConnectionId) {
+      await TaskScheduleService.assertConnectionOwner(
+        schedule.userId,
+        values.platformConnectionId
+      );
+    }
+    if (values.cronExpression) {
+      values.intervalMinutes = null;
+    } else if (values.intervalMinutes) {
+      values.cronExpression = null;
+    }
+
+    await schedule.update(values);
+    return TaskScheduleService.getScheduleById(schedule.id);
+  }
+
+  static async pauseSchedule(schedule) {
+    await schedule.pause();
+    logger.info("Task schedule paused", { scheduleId: schedule.id });
+    return schedule;
+  }
+
+  static async resumeSchedule(schedule) {
+    await schedule.resume();
+    logger.info("Task schedule resumed", {
+      scheduleId: schedule.id,
+      nextRunAt: schedule.nextRunAt,
+    });
+    return schedule;
+  }
+
+  /**
+   * Delete a schedule. Tasks it already spawned are kept.
+   * @param {TaskSchedule} schedule - Schedule instance
+   */
+  static async deleteSchedule(schedule) {
+    await BackgroundTask.update(
+      { scheduleId: null },
+      { where: { scheduleId: schedule.id } }
+    );
+    await schedule.destroy();
+    logger.info("Task schedule deleted", { scheduleId: schedule.id });
+  }
+
+  /**
+   * Whether a task spawned by this schedule has not finished yet
+   * @param {TaskSchedule} schedule - Schedule instance
+   * @returns {Promise<boolean>}
+   */
+  static async hasActiveRun(schedule) {
+    const count = await BackgroundTask.count({
+      where: {
+        scheduleId: schedule.id,
+        status: { [Op.in]: ACTIVE_TASK_STATUSES },
+      },
+    });
+    return count > 0;
+  }
+
+  /**
+   * Create the background task for one run of the schedule
+   * @param {TaskSchedule} schedule - Schedule instance
+   * @param {Date} runAt - The run time this task stands for
+   * @param {Object} options - { trigger: 'schedule'|'catch_up'|'manual', missedRuns }
+   * @returns {Promise<BackgroundTask>}
+   */
+  static async spawnRun(schedule, runAt, options = {}) {
+    const { trigger = "schedule", missedRuns = 0 } = options;
+
+    try {
+      const task = await BackgroundTaskService.createTask({
+        userId: schedule.userId,
+        taskType: schedule.taskType,
+        priority: schedule.priority,
+        config: schedule.config || {},
+        platformConnectionId: schedule.platformConnectionId,
+        maxRetries: schedule.maxRetries,
+        scheduleId: schedule.id,
+        metadata: {
+          scheduleId: schedule.id,
+          scheduleName: schedule.name,
+          scheduledRunAt: runAt,
+          trigger,
+          missedRuns,
+        },
+      });
+
+      await schedule.update(
+        {
+          lastRunAt: new Date(),
+          lastTaskId: task.id,
+          lastError: null,
+          runCount: schedule.runCount + 1,
+        },
+        { hooks: false }
+      );
+
+      logger.info("Scheduled task spawned", {
+        scheduleId: schedule.id,
+        taskId: task.id,
+        taskType: schedule.taskType,
+        runAt,
+        trigger,
+      });
+
+      return task;
+    } catch (error) {
+      logger.error("Failed to spawn scheduled task", {
+        scheduleId: schedule.id,
+        error: error.message,
+      });
+      await schedule
+        .update({ lastError: error.message }, { hooks: false })
+        .catch(() => {});
+      throw error;
+    }
+  }
+
+  /**
+   * Trigger a run immediately, independent of nextRunAt
+   * @param {TaskSchedule} schedule - Schedule instance
+   * @returns {Promise<BackgroundTask>}
+   */
+  static async runNow(schedule) {
+    if (!schedule.allowOverlap && (await TaskScheduleService.hasActiveRun(schedule))) {
+      throw new Error("Previous run of this schedule is still active");
+    }
+    return TaskScheduleService.spawnRun(schedule, new Date(), {
+      trigger: "manual",
+    });
+  }
+
+  /**
+   * Preview the next run times of a recurrence without saving it
+   * @param {Object} data - { cronExpression, intervalMinutes, timezone }
+   * @param {number} count - Number of runs to return
+   * @returns {Date[]}
+   */
+  static previewRuns(data, count = 5) {
+    const schedule = TaskSchedule.build({
+      name: "preview",
+      cronExpression: data.cronExpression || null,
+      intervalMinutes: data.intervalMinutes || null,
+      timezone: data.timezone || TaskSchedule.DEFAULT_TIMEZONE,
+    });
+    return schedule.getUpcomingRuns(count);
+  }
+
+  // Helpers
+
+  static defaultIncludes() {
+    return [
+      {
+        model: BackgroundTask,
+        as: "lastTask",
+        attributes: [
+          "id",
+          "status",
+          "error",
+          "result",
+          "startedAt",
+          "completedAt",
+          "actualDuration",
+        ],
+      },
+      {
+        model: PlatformConnection,
+        as: "platformConnection",
+        attributes: ["id", "name", "platformType"],
+      },
+    ];
+  }
+
+  static pickEditable(data = {}) {
+    return EDITABLE_FIELDS.reduce((values, field) => {
+      if (data[field] !== undefined) {
+        values[field] = data[field];
+      }
+      return values;
+    }, {});
+  }
+
+  static async assertConnectionOwner(userId, platformConnectionId) {
+    const connection = await PlatformConnection.findOne({
+      where: { id: platformConnectionId, userId },
+    });
+    if (!connection) {
+      throw new Error("Platform connection not found");
+    }
+    return connection;
+  }
+}
+
+TaskScheduleService.ACTIVE_TASK_STATUSES = ACTIVE_TASK_STATUSES;
+
+module.exports = TaskScheduleService;
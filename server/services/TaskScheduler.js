@@ -0,0 +1,254 @@
+const EventEmitter = require('events');
+const { Op } = require('sequelize');
+const { TaskSchedule } = require('../models');
+const TaskScheduleService = require('./TaskScheduleService');
+const logger = require('../utils/logger');
+
+/**
+ * Task Scheduler
+ * Turns due TaskSchedule rows into BackgroundTask rows for the task queue.
+ *
+ * Each tick claims a due schedule by moving its nextRunAt with a conditional
+ * update, so several server instances never spawn the same run twice.
+ * Missed runs (server down, queue stalled) are handled per schedule:
+ *  - skip: runs later than the grace period are dropped
+ *  - once: a single catch-up run stands for all missed runs
+ *  - all:  each missed run is replayed, at most maxCatchUpRuns of them
+ * Unless allowOverlap is set, no run is spawned while the previous one is
+ * still active; skip mode drops the run, the other modes wait for it.
+ */
+class TaskScheduler extends EventEmitter {
+  constructor() {
+    super();
+    this.isRunning = false;
+    this.isTicking = false;
+    this.tickInterval = null;
+    this.checkInterval = parseInt(
+      process.env.TASK_SCHEDULER_INTERVAL || '30000',
+      10
+    ); // 30 seconds
+    this.batchSize = 50;
+    this.lastTickAt = null;
+  }
+
+  /**
+   * Grace period after which a run counts as missed
+   */
+  get graceMs() {
+    return Math.max(this.checkInterval * 2, 60000);
+  }
+
+  start() {
+    if (this.isRunning) {
+      logger.warn('Task scheduler is already running');
+      return;
+    }
+
+    this.isRunning = true;
+    this.tickInterval = setInterval(() => {
+      this.tick().catch((error) => {
+        logger.error('Error in task scheduler tick:', {
+          error: error.message,
+          stack: error.stack
+        });
+      });
+    }, this.checkInterval);
+
+    // Pick up runs missed while the server was down
+    this.tick().catch((error) => {
+      logger.error('Error in initial task scheduler tick:', {
+        error: error.message,
+        stack: error.stack
+      });
+    });
+
+    logger.info('Task scheduler started', {
+      checkInterval: this.checkInterval
+    });
+  }
+
+  stop() {
+    if (!this.isRunning) {
+      return;
+    }
+
+    this.isRunning = false;
+    if (this.tickInterval) {
+      clearInterval(this.tickInterval);
+      this.tickInterval = null;
+    }
+    logger.info('Task scheduler stopped');
+  }
+
+  getStatus() {
+    return {
+      isRunning: this.isRunning,
+      checkInterval: this.checkInterval,
+      lastTickAt: this.lastTickAt
+    };
+  }
+
+  /**
+   * Process every schedule that is due
+   */
+  async tick() {
+    if (this.isTicking) {
+      return;
+    }
+    this.isTicking = true;
+
+    try {
+      const now = new Date();
+      this.lastTickAt = now;
+
+      const dueSchedules = await TaskSchedule.findAll({
+        where: {
+          status: 'active',
+          nextRunAt: { [Op.lte]: now }
+        },
+        order: [['nextRunAt', 'ASC']],
+        limit: this.batchSize
+      });
+
+      for (const schedule of dueSchedules) {
+        try {
+          await this.processSchedule(schedule, now);
+        } catch (error) {
+          logger.error(`Error processing task schedule ${schedule.id}:`, {
+            scheduleId: schedule.id,
+            error: error.message,
+            stack: error.stack
+          });
+        }
+      }
+    } catch (error) {
+      // Table is created by migration; stay quiet until it exists
+      if (
+        error.name === 'SequelizeDatabaseError' &&
+        error.original?.code === '42P01'
+      ) {
+        logger.warn('Task schedules table not yet created, skipping tick');
+        return;
+      }
+      throw error;
+    } finally {
+      this.isTicking = false;
+    }
+  }
+
+  /**
+   * Decide what to do with one due schedule
+   * @param {TaskSchedule} schedule - Due schedule
+   * @param {Date} now - Tick time
+   */
+  async processSchedule(schedule, now) {
+    const { catchUpMode } = schedule;
+    const keepLast = catchUpMode === 'all' ? schedule.maxCatchUpRuns : 1;
+    const { total, runs } = schedule.getDueRuns(now, keepLast);
+    if (total === 0) {
+      return;
+    }
+
+    const nextFutureRun = schedule.getNextRunAfter(now);
+    const isLate = now - schedule.nextRunAt > this.graceMs;
+    const overlapping =
+      !schedule.allowOverlap &&
+      (await TaskScheduleService.hasActiveRun(schedule));
+
+    if (overlapping) {
+      if (catchUpMode === 'skip') {
+        await this.skipRuns(schedule, nextFutureRun, total, 'previous run still active');
+      }
+      // once / all: keep nextRunAt so the run is spawned when the previous one ends
+      return;
+    }
+
+    if (catchUpMode === 'skip' && isLate) {
+      await this.skipRuns(schedule, nextFutureRun, total, 'missed');
+      return;
+    }
+
+    let runAt = schedule.nextRunAt;
+    let nextRunAt = nextFutureRun;
+    let skipped = 0;
+
+    if (catchUpMode === 'all') {
+      runAt = runs[0];
+      nextRunAt = runs[1] || nextFutureRun;
+      skipped = total - runs.length;
+    } else if (catchUpMode === 'skip') {
+      skipped = total - 1;
+    }
+
+    if (!(await this.claim(schedule, nextRunAt))) {
+      return;
+    }
+    if (skipped > 0) {
+      await this.recordSkipped(schedule, skipped, now);
+    }
+
+    const task = await TaskScheduleService.spawnRun(schedule, runAt, {
+      trigger: isLate ? 'catch_up' : 'schedule',
+      missedRuns: catchUpMode === 'once' ? total : 0
+    });
+    this.emit('scheduleTriggered', schedule.id, task.id);
+  }
+
+  /**
+   * Move nextRunAt forward if no other instance did it first
+   * @returns {Promise<boolean>} true when this instance owns the run
+   */
+  async claim(schedule, nextRunAt) {
+    const [claimed] = await TaskSchedule.update(
+      { nextRunAt },
+      {
+        where: {
+          id: schedule.id,
+          status: 'active',
+          nextRunAt: schedule.nextRunAt
+        }
+      }
+    );
+
+    if (claimed === 0) {
+      logger.debug('Task schedule already claimed', {
+        scheduleId: schedule.id
+      });
+      return false;
+    }
+
+    schedule.nextRunAt = nextRunAt;
+    return true;
+  }
+
+  async skipRuns(schedule, nextRunAt, count, reason) {
+    if (!(await this.claim(schedule, nextRunAt))) {
+      return;
+    }
+    await this.recordSkipped(schedule, count, new Date());
+
+    logger.info(`Skipped ${count} run(s) of task schedule: ${reason}`, {
+      scheduleId: schedule.id,
+      nextRunAt
+    });
+    this.emit('scheduleSkipped', schedule.id, { count, reason });
+  }
+
+  async recordSkipped(schedule, count, skippedAt) {
+    await schedule.update(
+      {
+        skippedCount: schedule.skippedCount + count,
+        lastSkippedAt: skippedAt
+      },
+      { hooks: false }
+    );
+  }
+}
+
+// Create singleton instance
+const taskScheduler = new TaskScheduler();
+
+module.exports = {
+  TaskScheduler,
+  taskScheduler
+};
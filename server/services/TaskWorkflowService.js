@@ -0,0 +1,464 @@
+const { Op } = require("sequelize");
+const { BackgroundTask, PlatformConnection, sequelize } = require("../models");
+const BackgroundTaskService = require("./BackgroundTaskService");
+const logger = require("../utils/logger");
+
+// Statuses after which a task will not change without user action
+const FINISHED_STATUSES = ["completed", "failed", "cancelled", "timeout", "skipped"];
+const UNSUCCESSFUL_STATUSES = ["failed", "cancelled", "timeout", "skipped"];
+
+class TaskWorkflowService {
+  /**
+   * Pick pending tasks whose parent and dependencies allow them to start.
+   * Tasks that must be skipped because of a failed dependency are marked
+   * skipped on the way.
+   * @param {Object} options - { limit }
+   * @returns {Promise<BackgroundTask[]>}
+   */
+  static async getRunnableTasks(options = {}) {
+    const { limit = 10 } = options;
+
+    // Look further than `limit` so tasks waiting on dependencies do not
+    // starve ready tasks queued behind them
+    const candidates = await BackgroundTaskService.getQueuedTasks({
+      limit: Math.max(limit * 10, 100),
+    });
+    if (candidates.length === 0) {
+      return [];
+    }
+
+    const related = await TaskWorkflowService.loadRelatedTasks(candidates);
+    const runnable = [];
+
+    for (const task of candidates) {
+      const readiness = TaskWorkflowService.evaluateReadiness(task, related);
+
+      if (readiness.state === "skip") {
+        await TaskWorkflowService.skipTask(task, readiness.reason);
+        related.set(task.id, task);
+        continue;
+      }
+      if (readiness.state === "ready" && runnable.length < limit) {
+        runnable.push(task);
+      }
+    }
+
+    return runnable;
+  }
+
+  /**
+   * Load status of the parents and dependencies of the given tasks
+   * @param {BackgroundTask[]} tasks
+   * @returns {Promise<Map<string, BackgroundTask>>}
+   */
+  static async loadRelatedTasks(tasks) {
+    const ids = new Set();
+    for (const task of tasks) {
+      if (task.parentTaskId) {
+        ids.add(task.parentTaskId);
+      }
+      (task.dependsOnTaskIds || []).forEach((id) => ids.add(id));
+    }
+
+    const related = new Map();
+    if (ids.size === 0) {
+      return related;
+    }
+
+    const rows = await BackgroundTask.findAll({
+      where: { id: { [Op.in]: [...ids] } },
+      attributes: ["id", "status", "taskType"],
+    });
+    rows.forEach((row) => related.set(row.id, row));
+    return related;
+  }
+
+  /**
+   * Decide whether a pending task can start
+   * @param {BackgroundTask} task - Pending task
+   * @param {Map<string, BackgroundTask>} related - Parents and dependencies by id
+   * @returns {{ state: 'ready'|'waiting'|'blocked'|'skip', reason?: string }}
+   */
+  static evaluateReadiness(task, related) {
+    if (task.parentTaskId) {
+      const parent = related.get(task.parentTaskId);
+      if (parent && UNSUCCESSFUL_STATUSES.includes(parent.status)) {
+        return {
+          state: "skip",
+          reason: `Parent task ${parent.id} ended with status ${parent.status}`,
+        };
+      }
+      if (parent && !["running", "completed"].includes(parent.status)) {
+        return { state: "waiting", reason: "Waiting for parent task to start" };
+      }
+    }
+
+    const policies = task.dependencyPolicies || {};
+    let blockedBy = null;
+    let waitingFor = null;
+
+    for (const dependencyId of task.dependsOnTaskIds || []) {
+      const dependency = related.get(dependencyId);
+
+      // Deleted dependencies (e.g. cleaned up) no longer hold anything back
+      if (!dependency || dependency.status === "completed") {
+        continue;
+      }
+
+      const policy = policies[dependencyId] || "block";
+
+      if (UNSUCCESSFUL_STATUSES.includes(dependency.status)) {
+        if (policy === "continue") {
+          continue;
+        }
+        // A skipped step can never complete, so blocking on it would hang
+        if (policy === "skip" || dependency.status === "skipped") {
+          return {
+            state: "skip",
+            reason: `Dependency ${dependency.id} ended with status ${dependency.status}`,
+          };
+        }
+        blockedBy = blockedBy || dependency;
+        continue;
+      }
+
+      waitingFor = waitingFor || dependency;
+    }
+
+    if (blockedBy) {
+      return {
+        state: "blocked",
+        reason: `Blocked by ${blockedBy.status} dependency ${blockedBy.id}`,
+      };
+    }
+    if (waitingFor) {
+      return {
+        state: "waiting",
+        reason: `Waiting for dependency ${waitingFor.id}`,
+      };
+    }
+    return { state: "ready" };
+  }
+
+  /**
+   * Mark a pending task as skipped
+   * @param {BackgroundTask} task
+   * @param {string} reason
+   */
+  static async skipTask(task, reason) {
+    task.status = "skipped";
+    task.completedAt = new Date();
+    task.error = reason;
+    await task.save();
+
+    logger.info(`Background task skipped: ${task.id}`, {
+      taskId: task.id,
+      taskType: task.taskType,
+      reason,
+    });
+  }
+
+  /**
+   * Create a workflow task and its steps in one transaction
+   * @param {string} userId - Owner
+   * @param {Object} definition - { name, priority, metadata, steps }
+   *   steps: [{ key, taskType, config, platformConnectionId, priority,
+   *             maxRetries, dependsOn: ['key' | { step: 'key', onFailure }] }]
+   * @returns {Promise<BackgroundTask>} Workflow task
+   */
+  static async createWorkflow(userId, definition) {
+    const { name, priority = "normal", metadata = {}, steps = [] } = definition;
+
+    const ordered = TaskWorkflowService.orderSteps(steps);
+    await TaskWorkflowService.assertConnectionsOwned(userId, ordered);
+
+    const transaction = await sequelize.transaction();
+
+    try {
+      const workflow = await BackgroundTaskService.createTask({
+        userId,
+        taskType: "workflow",
+        priority,
+        maxRetries: 0,
+        config: {
+          name,
+          steps: ordered.map((step) => step.key),
+        },
+        metadata: { ...metadata, name },
+        transaction,
+      });
+
+      const taskIdsByKey = {};
+      for (const step of ordered) {
+        const dependsOnTaskIds = [];
+        const dependencyPolicies = {};
+
+        for (const edge of step.edges) {
+          const dependencyId = taskIdsByKey[edge.step];
+          dependsOnTaskIds.push(dependencyId);
+          dependencyPolicies[dependencyId] = edge.onFailure;
+        }
+
+        const task = await BackgroundTaskService.createTask({
+          userId,
+          taskType: step.taskType,
+          priority: step.priority || priority,
+          config: step.config || {},
+          platformConnectionId: step.platformConnectionId || null,
+          maxRetries: step.maxRetries !== undefined ? step.maxRetries : 3,
+          parentTaskId: workflow.id,
+          dependsOnTaskIds,
+          dependencyPolicies,
+          metadata: {
+            workflowId: workflow.id,
+            stepKey: step.key,
+            stepName: step.name || step.key,
+          },
+          transaction,
+        });
+        taskIdsByKey[step.key] = task.id;
+      }
+
+      await transaction.commit();
+
+      logger.info("Workflow created", {
+        workflowId: workflow.id,
+        userId,
+        name,
+        steps: ordered.length,
+      });
+
+      return workflow;
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+
+  /**
+   * Validate step definitions and sort them so every step comes after the
+   * steps it depends on
+   * @param {Object[]} steps
+   * @returns {Object[]} Steps with normalized `edges`
+   */
+  static orderSteps(steps) {
+    if (!Array.isArray(steps) || steps.length === 0) {
+      throw new Error("Workflow needs at least one step");
+    }
+
+    const byKey = new Map();
+    for (const step of steps) {
+      if (!step.key || !step.taskType) {
+        throw new Error("Every workflow step needs a key and a taskType");
+      }
+      if (step.taskType === "workflow") {
+        throw new Error("Workflows cannot be nested");
+      }
+      if (byKey.has(step.key)) {
+        throw new Error(`Duplicate workflow step key: ${step.key}`);
+      }
+
+      const edges = (step.dependsOn || []).map((edge) =>
+        typeof edge === "string"
+          ? { step: edge, onFailure: "block" }
+          : { step: edge.step, onFailure: edge.onFailure || "block" }
+      );
+      for (const edge of edges) {
+        if (!BackgroundTask.DEPENDENCY_POLICIES.includes(edge.onFailure)) {
+          throw new Error(`Invalid dependency policy: ${edge.onFailure}`);
+        }
+      }
+
+      byKey.set(step.key, { ...step, edges });
+    }
+
+    const ordered = [];
+    const state = new Map(); // key -> 'visiting' | 'done'
+
+    const visit = (key, path) => {
+      if (state.get(key) === "done") {
+        return;
+      }
+      if (state.get(key) === "visiting") {
+        throw new Error(`Workflow has a dependency cycle: ${[...path, key].join(" -> ")}`);
+      }
+      const step = byKey.get(key);
+      if (!step) {
+        throw new Error(`Unknown workflow step: ${key}`);
+      }
+
+      state.set(key, "visiting");
+      step.edges.forEach((edge) => visit(edge.step, [...path, key]));
+      state.set(key, "done");
+      ordered.push(step);
+    };
+
+    steps.forEach((step) => visit(step.key, []));
+    return ordered;
+  }
+
+  static async assertConnectionsOwned(userId, steps) {
+    const connectionIds = [
+      ...new Set(steps.map((s) => s.platformConnectionId).filter(Boolean)),
+    ];
+    if (connectionIds.length === 0) {
+      return;
+    }
+
+    const count = await PlatformConnection.count({
+      where: { id: { [Op.in]: connectionIds }, userId },
+    });
+    if (count !== connectionIds.length) {
+      throw new Error("Platform connection not found");
+    }
+  }
+
+  /**
+   * Workflow graph for the UI: one node per step, one edge per dependency
+   * @param {BackgroundTask} workflow - Workflow (parent) task
+   * @returns {Promise<Object>} { workflow, nodes, edges, summary }
+   */
+  static async getWorkflowGraph(workflow) {
+    const steps = await BackgroundTask.findAll({
+      where: { parentTaskId: workflow.id },
+      attributes: [
+        "id",
+        "taskType",
+        "status",
+        "progress",
+        "error",
+        "metadata",
+        "platformConnectionId",
+        "dependsOnTaskIds",
+        "dependencyPolicies",
+        "parentTaskId",
+        "startedAt",
+        "completedAt",
+        "actualDuration",
+        "retryCount",
+        "maxRetries",
+        "createdAt",
+      ],
+      order: [["createdAt", "ASC"]],
+    });
+
+    const related = new Map(steps.map((step) => [step.id, step]));
+    related.set(workflow.id, workflow);
+
+    const nodes = steps.map((step) => {
+      const readiness =
+        step.status === "pending"
+          ? TaskWorkflowService.evaluateReadiness(step, related)
+          : null;
+
+      return {
+        id: step.id,
+        key: step.metadata?.stepKey || step.id,
+        name: step.metadata?.stepName || step.taskType,
+        taskType: step.taskType,
+        status: step.status,
+        state: readiness ? readiness.state : step.status,
+        reason: readiness?.reason || null,
+        progress: step.progress,
+        error: step.error,
+        platformConnectionId: step.platformConnectionId,
+        startedAt: step.startedAt,
+        completedAt: step.completedAt,
+        actualDuration: step.actualDuration,
+        retryCount: step.retryCount,
+        maxRetries: step.maxRetries,
+      };
+    });
+
+    const edges = steps.flatMap((step) =>
+      (step.dependsOnTaskIds || []).map((dependencyId) => ({
+        from: dependencyId,
+        to: step.id,
+        onFailure: (step.dependencyPolicies || {})[dependencyId] || "block",
+      }))
+    );
+
+    return {
+      workflow,
+      nodes,
+      edges,
+      summary: TaskWorkflowService.summarize(nodes),
+    };
+  }
+
+  /**
+   * Count workflow steps per outcome
+   * @param {Object[]} nodes - Graph nodes
+   */
+  static summarize(nodes) {
+    const summary = {
+      total: nodes.length,
+      finished: 0,
+      completed: 0,
+      failed: 0,
+      skipped: 0,
+      running: 0,
+      blocked: 0,
+      waiting: 0,
+    };
+
+    for (const node of nodes) {
+      if (FINISHED_STATUSES.includes(node.status)) {
+        summary.finished++;
+      }
+      if (node.status === "completed") {
+        summary.completed++;
+      } else if (["failed", "timeout", "cancelled"].includes(node.status)) {
+        summary.failed++;
+      } else if (node.status === "skipped") {
+        summary.skipped++;
+      } else if (["running", "paused", "queued"].includes(node.status)) {
+        summary.running++;
+      } else if (node.state === "blocked") {
+        summary.blocked++;
+      } else {
+        summary.waiting++;
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Cancel steps of a workflow that have not finished yet
+   * @param {string} workflowId
+   * @param {string} reason
+   * @returns {Promise<number>} Number of cancelled steps
+   */
+  static async cancelOpenSteps(workflowId, reason) {
+    const openSteps = await BackgroundTask.findAll({
+      where: {
+        parentTaskId: workflowId,
+        status: { [Op.notIn]: FINISHED_STATUSES },
+      },
+    });
+
+    // Running steps are stopped through the queue so their executors end too
+    const { taskQueueManager } = require("./TaskQueueManager");
+    for (const step of openSteps) {
+      try {
+        if (step.status === "pending") {
+          await BackgroundTaskService.cancelTask(step.id, reason);
+        } else {
+          await taskQueueManager.cancelTask(step.id);
+        }
+      } catch (error) {
+        logger.warn(`Could not cancel workflow step ${step.id}`, {
+          workflowId,
+          error: error.message,
+        });
+      }
+    }
+
+    return openSteps.length;
+  }
+}
+
+TaskWorkflowService.FINISHED_STATUSES = FINISHED_STATUSES;
+
+module.exports = TaskWorkflowService;
@@ -0,0 +1,38 @@
+const { IntervalScheduler } = require('./IntervalScheduler');
+const whatsappService = require('./whatsapp-service');
+
+/**
+ * WhatsApp Notification Scheduler
+ * Periodically sends the order confirmed, shipped and delivered template
+ * messages to customers who opted in. Sent notifications are recorded per
+ * order and event, so an order is never notified twice about the same step.
+ */
+class WhatsAppNotificationScheduler extends IntervalScheduler {
+  constructor() {
+    super({
+      name: 'WhatsApp notification scheduler',
+      intervalEnv: 'WHATSAPP_NOTIFICATION_INTERVAL',
+      defaultInterval: 5 * 60 * 1000,
+      missingSchemaWarning: 'WhatsApp tables not yet created, skipping tick'
+    });
+  }
+
+  /**
+   * Send the notifications that are due
+   */
+  run(now) {
+    return whatsappService.runNotificationCycle(now);
+  }
+
+  shouldReport(stats) {
+    return stats.sent > 0 || stats.failed > 0;
+  }
+}
+
+// Create singleton instance
+const whatsappNotificationScheduler = new WhatsAppNotificationScheduler();
+
+module.exports = {
+  WhatsAppNotificationScheduler,
+  whatsappNotificationScheduler
+};
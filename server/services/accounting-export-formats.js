@@ -0,0 +1,458 @@
+const xml2js = require("xml2js");
+const { AccountingPeriod } = require("../models");
+const exportService = require("../modules/order-management/services/exportService");
+
+const INVOICE_DATASETS = ["sales", "returns", "invoices"];
+const FEE_DATASETS = ["commissions", "shipping"];
+
+/**
+ * Export formats of the accounting packages and the datasets each takes.
+ * parasut_api sends the documents to Paraşüt instead of writing a file.
+ */
+const FORMATS = {
+  logo: {
+    extension: "xml",
+    datasets: [...INVOICE_DATASETS, ...FEE_DATASETS, "journal"],
+  },
+  mikro: {
+    extension: "csv",
+    datasets: [...INVOICE_DATASETS, ...FEE_DATASETS, "journal"],
+  },
+  parasut: {
+    extension: "csv",
+    datasets: [...INVOICE_DATASETS, ...FEE_DATASETS],
+  },
+  parasut_api: {
+    extension: null,
+    datasets: [...INVOICE_DATASETS, ...FEE_DATASETS],
+  },
+  csv: {
+    extension: "csv",
+    datasets: ["journal"],
+  },
+};
+
+// Logo fiche types (TRCODE)
+const LOGO_INVOICE_TYPES = {
+  retailSale: 7,
+  wholesaleSale: 8,
+  retailReturn: 2,
+  wholesaleReturn: 3,
+  receivedService: 4,
+  purchaseReturn: 6,
+};
+const LOGO_LINE_MATERIAL = 0;
+const LOGO_LINE_SERVICE = 4;
+const LOGO_SLIP_TRANSFER = 4; // Mahsup fişi
+
+// GİB document numbers: 3 character series, 4 digit year, 9 digit sequence
+const DOCUMENT_NUMBER_PATTERN = /^([A-Z0-9]{3})(\d{13})$/;
+
+const amount = (value, decimalSeparator = ".") =>
+  Number(value || 0)
+    .toFixed(2)
+    .replace(".", decimalSeparator);
+
+const turkishDate = (date) =>
+  AccountingPeriod.localDate(date).split("-").reverse().join(".");
+
+const splitDocumentNumber = (number) => {
+  const match = String(number || "").match(DOCUMENT_NUMBER_PATTERN);
+  return match
+    ? { series: match[1], sequence: match[2] }
+    : { series: "", sequence: String(number || "") };
+};
+
+const buildXML = (rootName, content) =>
+  new xml2js.Builder({
+    rootName,
+    xmldec: { version: "1.0", encoding: "UTF-8" },
+  }).buildObject(content);
+
+const returnNote = (document) =>
+  document.kind === "return" && document.originalNumber
+    ? `İade: ${document.originalNumber} (${turkishDate(document.originalDate)})`
+    : "";
+
+/**
+ * Logo Tiger/Go: SALES_INVOICES, PURCHASE_INVOICES and GL_SLIPS XML
+ * transfer files. Invoice lines use the SKU as the item code; fees use the
+ * mapped service card codes.
+ */
+const logo = {
+  invoices(documents, resolve) {
+    return buildXML("SALES_INVOICES", {
+      INVOICE: documents.map((document) => {
+        const eInvoice = document.documentType === "e-invoice";
+        const type =
+          document.kind === "return"
+            ? eInvoice
+              ? LOGO_INVOICE_TYPES.wholesaleReturn
+              : LOGO_INVOICE_TYPES.retailReturn
+            : eInvoice
+              ? LOGO_INVOICE_TYPES.wholesaleSale
+              : LOGO_INVOICE_TYPES.retailSale;
+
+        return {
+          $: { DBOP: "INS" },
+          TYPE: type,
+          NUMBER: document.number,
+          DOC_NUMBER: document.orderNumber || "",
+          DATE: turkishDate(document.date),
+          ARP_CODE: resolve("customerCode", document.platform),
+          NOTES1: returnNote(document) || document.customerName || "",
+          TOTAL_DISCOUNTED: amount(document.net),
+          TOTAL_VAT: amount(document.vat),
+          TOTAL_GROSS: amount(document.net),
+          TOTAL_NET: amount(document.total),
+          TRANSACTIONS: {
+            TRANSACTION: document.lines.map((line) => ({
+              TYPE: LOGO_LINE_MATERIAL,
+              MASTER_CODE: line.sku || "",
+              DESCRIPTION: line.description || "",
+              QUANTITY: line.quantity,
+              PRICE: amount(line.unitPrice),
+              TOTAL: amount(line.net),
+              VAT_RATE: line.vatRate,
+              VAT_AMOUNT: amount(line.vat),
+              VAT_BASE: amount(line.net),
+              UNIT_CODE: "ADET",
+            })),
+          },
+        };
+      }),
+    });
+  },
+
+  fees(documents, resolve) {
+    return buildXML("PURCHASE_INVOICES", {
+      INVOICE: documents.map((document) => ({
+        $: { DBOP: "INS" },
+        TYPE:
+          document.total < 0
+            ? LOGO_INVOICE_TYPES.purchaseReturn
+            : LOGO_INVOICE_TYPES.receivedService,
+        NUMBER: document.number,
+        DOC_NUMBER: document.orderNumber || "",
+        DATE: turkishDate(document.date),
+        ARP_CODE: resolve("supplierCode", document.platform),
+        NOTES1: document.description || "",
+        TOTAL_VAT: amount(Math.abs(document.vat)),
+        TOTAL_GROSS: amount(Math.abs(document.net)),
+        TOTAL_NET: amount(Math.abs(document.total)),
+        TRANSACTIONS: {
+          TRANSACTION: {
+            TYPE: LOGO_LINE_SERVICE,
+            MASTER_CODE: resolve(
+              document.kind === "commission"
+                ? "commissionServiceCode"
+                : "shippingServiceCode",
+              document.platform,
+              document.vatRate
+            ),
+            DESCRIPTION: document.description || "",
+            QUANTITY: 1,
+            PRICE: amount(Math.abs(document.net)),
+            TOTAL: amount(Math.abs(document.net)),
+            VAT_RATE: document.vatRate,
+            VAT_AMOUNT: amount(Math.abs(document.vat)),
+            VAT_BASE: amount(Math.abs(document.net)),
+          },
+        },
+      })),
+    });
+  },
+
+  journal(journal) {
+    return buildXML("GL_SLIPS", {
+      GL_SLIP: journal.entries.map((entry) => ({
+        $: { DBOP: "INS" },
+        TYPE: LOGO_SLIP_TRANSFER,
+        NUMBER: "~",
+        DATE: turkishDate(entry.date),
+        NOTES1: entry.description,
+        TOTAL_DEBIT: amount(entry.debit),
+        TOTAL_CREDIT: amount(entry.credit),
+        TRANSACTIONS: {
+          TRANSACTION: entry.lines.map((line, index) => ({
+            GLACCCODE: line.account,
+            SIGN: line.debit ? 0 : 1,
+            DEBIT: amount(line.debit),
+            CREDIT: amount(line.credit),
+            LINENO: index + 1,
+            DESCRIPTION: line.description,
+            DOC_NUMBER: entry.documentNumber,
+          })),
+        },
+      })),
+    });
+  },
+};
+
+/**
+ * Mikro: semicolon separated files with decimal commas, as Excel saves them
+ * in Turkish locale, for the invoice, expense and journal transfer screens
+ */
+const MIKRO_CSV_OPTIONS = { delimiter: ";", withBOM: true };
+const mikroAmount = (value) => amount(value, ",");
+
+const mikro = {
+  invoices(documents, resolve) {
+    const rows = documents.flatMap((document) => {
+      const { series, sequence } = splitDocumentNumber(document.number);
+      return document.lines.map((line) => ({
+        date: turkishDate(document.date),
+        series,
+        sequence,
+        type: document.kind === "return" ? "İade" : "Satış",
+        accountCode: resolve("customerCode", document.platform),
+        customerName: document.customerName || "",
+        taxNumber: document.taxNumber || "",
+        itemCode: line.sku || "",
+        description: line.description || "",
+        quantity: line.quantity,
+        unitPrice: mikroAmount(line.unitPrice),
+        net: mikroAmount(line.net),
+        vatRate: line.vatRate,
+        vat: mikroAmount(line.vat),
+        currency: document.currency,
+        originalNumber: document.originalNumber || "",
+      }));
+    });
+
+    return exportService.toCSV(
+      rows,
+      [
+        { label: "Evrak Tarihi", value: "date" },
+        { label: "Evrak Seri", value: "series" },
+        { label: "Evrak Sıra", value: "sequence" },
+        { label: "Evrak Tipi", value: "type" },
+        { label: "Cari Kodu", value: "accountCode" },
+        { label: "Cari Ünvanı", value: "customerName" },
+        { label: "Vergi No", value: "taxNumber" },
+        { label: "Stok Kodu", value: "itemCode" },
+        { label: "Açıklama", value: "description" },
+        { label: "Miktar", value: "quantity" },
+        { label: "Birim Fiyat", value: "unitPrice" },
+        { label: "Tutar", value: "net" },
+        { label: "KDV Oranı", value: "vatRate" },
+        { label: "KDV Tutarı", value: "vat" },
+        { label: "Döviz", value: "currency" },
+        { label: "İade Edilen Evrak", value: "originalNumber" },
+      ],
+      MIKRO_CSV_OPTIONS
+    );
+  },
+
+  fees(documents, resolve) {
+    const rows = documents.map((document) => ({
+      date: turkishDate(document.date),
+      number: document.number,
+      accountCode: resolve("supplierCode", document.platform),
+      serviceCode: resolve(
+        document.kind === "commission" ? "commissionServiceCode" : "shippingServiceCode",
+        document.platform,
+        document.vatRate
+      ),
+      description: document.description || "",
+      net: mikroAmount(document.net),
+      vatRate: document.vatRate,
+      vat: mikroAmount(document.vat),
+      total: mikroAmount(document.total),
+      currency: document.currency,
+      orderNumber: document.orderNumber || "",
+    }));
+
+    return exportService.toCSV(
+      rows,
+      [
+        { label: "Evrak Tarihi", value: "date" },
+        { label: "Belge No", value: "number" },
+        { label: "Cari Kodu", value: "accountCode" },
+        { label: "Hizmet Kodu", value: "serviceCode" },
+        { label: "Açıklama", value: "description" },
+        { label: "Tutar", value: "net" },
+        { label: "KDV Oranı", value: "vatRate" },
+        { label: "KDV Tutarı", value: "vat" },
+        { label: "Toplam", value: "total" },
+        { label: "Döviz", value: "currency" },
+        { label: "Sipariş No", value: "orderNumber" },
+      ],
+      MIKRO_CSV_OPTIONS
+    );
+  },
+
+  journal(journal) {
+    const rows = journal.entries.flatMap((entry, entryIndex) =>
+      entry.lines.map((line, index) => ({
+        date: turkishDate(entry.date),
+        slip: entryIndex + 1,
+        line: index + 1,
+        account: line.account,
+        description: line.description,
+        documentNumber: entry.documentNumber,
+        debit: mikroAmount(line.debit),
+        credit: mikroAmount(line.credit),
+      }))
+    );
+
+    return exportService.toCSV(
+      rows,
+      [
+        { label: "Fiş Tarihi", value: "date" },
+        { label: "Fiş No", value: "slip" },
+        { label: "Satır No", value: "line" },
+        { label: "Hesap Kodu", value: "account" },
+        { label: "Açıklama", value: "description" },
+        { label: "Belge No", value: "documentNumber" },
+        { label: "Borç", value: "debit" },
+        { label: "Alacak", value: "credit" },
+      ],
+      MIKRO_CSV_OPTIONS
+    );
+  },
+};
+
+/**
+ * Paraşüt: the sales invoice and expense import sheets
+ */
+const parasut = {
+  invoices(documents, resolve) {
+    const rows = documents.flatMap((document) => {
+      const { series, sequence } = splitDocumentNumber(document.number);
+      return document.lines.map((line) => ({
+        date: AccountingPeriod.localDate(document.date),
+        series,
+        sequence,
+        type: document.kind === "return" ? "İade" : "Satış",
+        customer: resolve("customerCode", document.platform),
+        customerName: document.customerName || "",
+        taxNumber: document.taxNumber || "",
+        product: line.description || "",
+        sku: line.sku || "",
+        quantity: line.quantity,
+        unitPrice: amount(line.unitPrice),
+        vatRate: line.vatRate,
+        vat: amount(line.vat),
+        total: amount(line.net + line.vat),
+        currency: document.currency,
+        description: returnNote(document) || document.orderNumber || "",
+      }));
+    });
+
+    return exportService.toCSV(
+      rows,
+      [
+        { label: "Fatura Tarihi", value: "date" },
+        { label: "Fatura Seri", value: "series" },
+        { label: "Fatura No", value: "sequence" },
+        { label: "Fatura Türü", value: "type" },
+        { label: "Müşteri", value: "customer" },
+        { label: "Alıcı", value: "customerName" },
+        { label: "Vergi/TC No", value: "taxNumber" },
+        { label: "Ürün/Hizmet", value: "product" },
+        { label: "Stok Kodu", value: "sku" },
+        { label: "Miktar", value: "quantity" },
+        { label: "Birim Fiyat", value: "unitPrice" },
+        { label: "KDV Oranı", value: "vatRate" },
+        { label: "KDV Tutarı", value: "vat" },
+        { label: "Toplam", value: "total" },
+        { label: "Para Birimi", value: "currency" },
+        { label: "Açıklama", value: "description" },
+      ],
+      { withBOM: true }
+    );
+  },
+
+  fees(documents, resolve) {
+    const rows = documents.map((document) => ({
+      date: AccountingPeriod.localDate(document.date),
+      number: document.number,
+      supplier: resolve("supplierCode", document.platform),
+      category: document.kind === "commission" ? "Komisyon" : "Kargo",
+      description: document.description || "",
+      net: amount(document.net),
+      vatRate: document.vatRate,
+      vat: amount(document.vat),
+      total: amount(document.total),
+      currency: document.currency,
+    }));
+
+    return exportService.toCSV(
+      rows,
+      [
+        { label: "Fatura Tarihi", value: "date" },
+        { label: "Fatura No", value: "number" },
+        { label: "Tedarikçi", value: "supplier" },
+        { label: "Kategori", value: "category" },
+        { label: "Açıklama", value: "description" },
+        { label: "Net Tutar", value: "net" },
+        { label: "KDV Oranı", value: "vatRate" },
+        { label: "KDV Tutarı", value: "vat" },
+        { label: "Toplam", value: "total" },
+        { label: "Para Birimi", value: "currency" },
+      ],
+      { withBOM: true }
+    );
+  },
+};
+
+/**
+ * Journal as a plain CSV for any other accounting package
+ */
+const csv = {
+  journal(journal) {
+    const rows = journal.entries.flatMap((entry, entryIndex) =>
+      entry.lines.map((line, index) => ({
+        date: AccountingPeriod.localDate(entry.date),
+        entry: entryIndex + 1,
+        line: index + 1,
+        account: line.account,
+        description: line.description,
+        documentNumber: entry.documentNumber,
+        platform: entry.platform,
+        debit: amount(line.debit),
+        credit: amount(line.credit),
+      }))
+    );
+
+    return exportService.toCSV(rows, [
+      { label: "Date", value: "date" },
+      { label: "Entry", value: "entry" },
+      { label: "Line", value: "line" },
+      { label: "Account", value: "account" },
+      { label: "Description", value: "description" },
+      { label: "Document", value: "documentNumber" },
+      { label: "Platform", value: "platform" },
+      { label: "Debit", value: "debit" },
+      { label: "Credit", value: "credit" },
+    ]);
+  },
+};
+
+const RENDERERS = { logo, mikro, parasut, csv };
+
+/**
+ * Render a dataset of a period in an export format
+ * @param {string} format - Key of FORMATS with a file extension
+ * @param {string} dataset - Dataset the format takes
+ * @param {Object} data - { documents, journal, resolve (mapping lookup) }
+ * @returns {string} File content
+ */
+const render = (format, dataset, { documents, journal, resolve }) => {
+  const renderer = RENDERERS[format];
+  if (dataset === "journal") {
+    return renderer.journal(journal);
+  }
+  return INVOICE_DATASETS.includes(dataset)
+    ? renderer.invoices(documents, resolve)
+    : renderer.fees(documents, resolve);
+};
+
+module.exports = {
+  FORMATS,
+  INVOICE_DATASETS,
+  FEE_DATASETS,
+  render,
+  splitDocumentNumber,
+};
@@ -0,0 +1,1125 @@
+const crypto = require("crypto");
+const { Op } = require("sequelize");
+const logger = require("../utils/logger");
+const {
+  Order,
+  N11Order,
+  Invoice,
+  MarketplaceFee,
+  AccountingPeriod,
+  PlatformConnection,
+  Settings,
+} = require("../models");
+const exportService = require("../modules/order-management/services/exportService");
+const parasutService = require("./parasutService");
+const {
+  FORMATS,
+  INVOICE_DATASETS,
+  FEE_DATASETS,
+  render,
+  splitDocumentNumber,
+} = require("./accounting-export-formats");
+
+const ACCOUNTING_SETTINGS_CATEGORY = "accounting";
+
+// Uniform chart of accounts (Tekdüzen Hesap Planı)
+const DEFAULT_ACCOUNTS = {
+  receivable: "120", // Alıcılar: the marketplace collects for the seller
+  payable: "320", // Satıcılar: fees the marketplace invoices
+  sales: "600", // Yurt içi satışlar
+  salesReturns: "610", // Satıştan iadeler
+  outputVat: "391", // Hesaplanan KDV
+  returnVat: "391", // VAT of returns reverses the calculated VAT
+  inputVat: "191", // İndirilecek KDV
+  commissionExpense: "760", // Pazarlama satış ve dağıtım giderleri
+  shippingExpense: "760",
+};
+
+// Card codes in the accounting package: the current account (cari) of each
+// marketplace and the service cards fees are booked with; {PLATFORM} is
+// replaced by the platform name
+const DEFAULT_CODES = {
+  customerCode: "{PLATFORM}",
+  supplierCode: "{PLATFORM}",
+  commissionServiceCode: "KOMISYON",
+  shippingServiceCode: "KARGO",
+};
+
+const MAPPING_KEYS = [...Object.keys(DEFAULT_ACCOUNTS), ...Object.keys(DEFAULT_CODES)];
+
+const DATASETS = [...INVOICE_DATASETS, ...FEE_DATASETS, "journal"];
+
+// Document kinds in each dataset
+const DATASET_KINDS = {
+  sales: ["sales"],
+  returns: ["return"],
+  invoices: ["sales", "return"],
+  commissions: ["commission"],
+  shipping: ["shipping"],
+  journal: ["sales", "return", "commission", "shipping"],
+};
+
+const KIND_LABELS = {
+  sales: "Satış faturası",
+  return: "İade faturası",
+  commission: "Komisyon",
+  shipping: "Kargo bedeli",
+};
+
+// Drafts were never issued and void invoices were cancelled at GİB
+const UNBOOKED_INVOICE_STATUSES = ["draft", "void"];
+
+// n11 keeps the commission of each order without VAT
+const N11_COMMISSION_VAT_RATE = 20;
+
+const VAT_RATE_PATTERN = /^\d{1,3}(\.\d{1,2})?$/;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const sum = (items, field) => round2(items.reduce((total, item) => total + item[field], 0));
+
+const isPlainObject = (value) =>
+  Boolean(value) && typeof value === "object" && !Array.isArray(value);
+
+const rateKey = (rate) => String(Number(rate));
+
+const serviceError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Accounting Service
+ * Prepares the books of a month for the accountant: sales and return
+ * invoices, marketplace commissions and shipping fees, and a double-entry
+ * journal of them booked on the user's chart of accounts mapping. Exports
+ * them for Logo Tiger/Go, Mikro and Paraşüt, and locks exported months so
+ * their records cannot change afterwards without an unlock on record.
+ */
+class AccountingService {
+  /**
+   * Create the platform service for a connection
+   * @param {string} platform - Platform type
+   * @param {number} connectionId - PlatformConnection ID
+   * @returns {Object} Platform service
+   */
+  getPlatformService(platform, connectionId) {
+    // Loaded lazily: platform services are heavy and only needed for fee sync
+    const PlatformServiceFactory = require("../modules/order-management/services/platforms/platformServiceFactory");
+    return PlatformServiceFactory.createService(platform, connectionId);
+  }
+
+  assertPeriod(period) {
+    if (!AccountingPeriod.isValidPeriod(period)) {
+      throw serviceError("Period must be a month as YYYY-MM", 400);
+    }
+  }
+
+  /**
+   * Whether a month is over, so that nothing new can be dated in it
+   * @param {string} period - YYYY-MM
+   * @returns {boolean}
+   */
+  hasEnded(period) {
+    return AccountingPeriod.getRange(period).endDate <= new Date();
+  }
+
+  /**
+   * Chart of accounts mapping of a user merged over the defaults
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} { defaults, platforms, vatRates }
+   */
+  async getMapping(userId) {
+    const settings = await Settings.findOne({
+      where: { userId, category: ACCOUNTING_SETTINGS_CATEGORY },
+    });
+    const stored = settings?.settings || {};
+
+    return {
+      defaults: { ...DEFAULT_ACCOUNTS, ...DEFAULT_CODES, ...(stored.defaults || {}) },
+      platforms: { ...(stored.platforms || {}) },
+      vatRates: { ...(stored.vatRates || {}) },
+    };
+  }
+
+  /**
+   * Save the mapping; sections left out keep their stored value
+   * @param {string} userId - User ID
+   * @param {Object} updates - { defaults, platforms, vatRates }
+   * @returns {Promise<Object>} Saved mapping merged over the defaults
+   */
+  async saveMapping(userId, updates) {
+    const [settings, created] = await Settings.findOrCreate({
+      where: { userId, category: ACCOUNTING_SETTINGS_CATEGORY },
+      defaults: { settings: {} },
+    });
+    const next = { ...(created ? {} : settings.settings || {}) };
+
+    for (const section of ["defaults", "platforms", "vatRates"]) {
+      if (updates[section] !== undefined) {
+        next[section] = updates[section];
+      }
+    }
+    await settings.update({ settings: next });
+
+    return this.getMapping(userId);
+  }
+
+  /**
+   * Problems with a mapping: unknown keys, empty codes and bad VAT rates
+   * @param {Object} mapping - { defaults, platforms, vatRates }
+   * @returns {Array<string>} Error messages
+   */
+  validateMapping(mapping) {
+    const errors = [];
+
+    const checkCodes = (codes, path, allowRates) => {
+      if (!isPlainObject(codes)) {
+        errors.push(`${path} must be an object`);
+        return;
+      }
+      for (const [key, value] of Object.entries(codes)) {
+        if (allowRates && key === "vatRates") {
+          checkRates(value, `${path}.vatRates`);
+        } else if (!MAPPING_KEYS.includes(key)) {
+          errors.push(`${path}.${key} is not a mapping key`);
+        } else if (typeof value !== "string" || !value.trim()) {
+          errors.push(`${path}.${key} must be a code`);
+        }
+      }
+    };
+    const checkRates = (rates, path) => {
+      if (!isPlainObject(rates)) {
+        errors.push(`${path} must be an object`);
+        return;
+      }
+      for (const [rate, codes] of Object.entries(rates)) {
+        if (!VAT_RATE_PATTERN.test(rate) || Number(rate) > 100) {
+          errors.push(`${path}.${rate} is not a VAT rate percentage`);
+        } else {
+          checkCodes(codes, `${path}.${rate}`, false);
+        }
+      }
+    };
+
+    if (mapping.defaults !== undefined) {
+      checkCodes(mapping.defaults, "defaults", false);
+    }
+    if (mapping.platforms !== undefined) {
+      if (!isPlainObject(mapping.platforms)) {
+        errors.push("platforms must be an object");
+      } else {
+        for (const [platform, codes] of Object.entries(mapping.platforms)) {
+          checkCodes(codes, `platforms.${platform}`, true);
+        }
+      }
+    }
+    if (mapping.vatRates !== undefined) {
+      checkRates(mapping.vatRates, "vatRates");
+    }
+
+    return errors;
+  }
+
+  /**
+   * Lookup of account and card codes: the platform's code for the VAT rate
+   * wins over the platform's code, which wins over the code for the VAT
+   * rate, which wins over the default
+   * @param {Object} mapping - Mapping from getMapping
+   * @returns {Function} (key, platform, vatRate) => code
+   */
+  createResolver(mapping) {
+    return (key, platform, vatRate = null) => {
+      const rate = vatRate === null || vatRate === undefined ? null : rateKey(vatRate);
+      const platformCodes = mapping.platforms[platform] || {};
+      const code =
+        (rate !== null && platformCodes.vatRates?.[rate]?.[key]) ||
+        platformCodes[key] ||
+        (rate !== null && mapping.vatRates[rate]?.[key]) ||
+        mapping.defaults[key];
+
+      return code.replace("{PLATFORM}", String(platform || "").toUpperCase());
+    };
+  }
+
+  /**
+   * Sales and return invoices and marketplace fees of a month
+   * @param {string} userId - User ID
+   * @param {string} period - YYYY-MM
+   * @returns {Promise<Array>} Documents: { id, source, kind, number, date,
+   *   platform, orderNumber, customerName, taxNumber, documentType,
+   *   description, currency, originalNumber, originalDate, vatRate,
+   *   lines: [{ description, sku, quantity, unitPrice, vatRate, net, vat }],
+   *   net, vat, total }
+   */
+  async getDocuments(userId, period) {
+    const { startDate, endDate } = AccountingPeriod.getRange(period);
+    const dateRange = { [Op.gte]: startDate, [Op.lt]: endDate };
+
+    const [invoices, fees] = await Promise.all([
+      Invoice.findAll({
+        where: {
+          userId,
+          type: { [Op.in]: ["sales", "return"] },
+          status: { [Op.notIn]: UNBOOKED_INVOICE_STATUSES },
+          issueDate: dateRange,
+        },
+        include: [
+          {
+            model: Order,
+            as: "order",
+            attributes: ["id", "platform", "orderNumber", "customerName"],
+            required: false,
+          },
+          {
+            model: Invoice,
+            as: "originalInvoice",
+            attributes: ["id", "invoiceNumber", "issueDate"],
+            required: false,
+          },
+        ],
+      }),
+      MarketplaceFee.findAll({
+        where: { userId, feeDate: dateRange },
+      }),
+    ]);
+
+    return [
+      ...invoices.map((invoice) => this.toInvoiceDocument(invoice)),
+      ...fees.map((fee) => this.toFeeDocument(fee)),
+    ].sort(
+      (a, b) => a.date - b.date || String(a.number).localeCompare(String(b.number))
+    );
+  }
+
+  /**
+   * Document of a sales or return invoice; line items carry fractional tax
+   * rates, the invoice itself a percentage
+   * @param {Object} invoice - Invoice with order and originalInvoice
+   * @returns {Object} Document
+   */
+  toInvoiceDocument(invoice) {
+    const items = invoice.lineItems || [];
+    const lines =
+      items.length > 0
+        ? items.map((item) => ({
+            description: item.description || "",
+            sku: item.sku || null,
+            quantity: parseFloat(item.quantity) || 1,
+            unitPrice: round2(parseFloat(item.unitPrice) || 0),
+            vatRate: round2((parseFloat(item.taxRate) || 0) * 100),
+            net: round2(parseFloat(item.amount) || 0),
+            vat: round2(parseFloat(item.taxAmount) || 0),
+          }))
+        : [
+            {
+              description: invoice.description || invoice.invoiceNumber,
+              sku: null,
+              quantity: 1,
+              unitPrice: round2(parseFloat(invoice.subtotal) || 0),
+              vatRate: parseFloat(invoice.taxRate) || 0,
+              net: round2(parseFloat(invoice.subtotal) || 0),
+              vat: round2(parseFloat(invoice.taxAmount) || 0),
+            },
+          ];
+    const net = sum(lines, "net");
+    const vat = sum(lines, "vat");
+
+    return {
+      id: invoice.id,
+      source: "invoice",
+      kind: invoice.type === "return" ? "return" : "sales",
+      number: invoice.invoiceNumber,
+      date: new Date(invoice.issueDate),
+      platform: invoice.order?.platform || "manual",
+      orderNumber: invoice.order?.orderNumber || null,
+      customerName: invoice.customerInfo?.name || invoice.order?.customerName || null,
+      taxNumber: invoice.taxNumber || null,
+      documentType: invoice.documentType,
+      description: invoice.description || null,
+      currency: invoice.currency,
+      originalNumber: invoice.originalInvoice?.invoiceNumber || null,
+      originalDate: invoice.originalInvoice?.issueDate || null,
+      vatRate: null,
+      lines,
+      net,
+      vat,
+      total: round2(net + vat),
+    };
+  }
+
+  /**
+   * Document of a marketplace fee
+   * @param {Object} fee - MarketplaceFee
+   * @returns {Object} Document
+   */
+  toFeeDocument(fee) {
+    const net = round2(parseFloat(fee.netAmount));
+    const vat = round2(parseFloat(fee.vatAmount));
+    const vatRate = parseFloat(fee.vatRate);
+
+    return {
+      id: fee.id,
+      source: "fee",
+      kind: fee.type,
+      number: fee.documentNumber || fee.externalId,
+      date: new Date(fee.feeDate),
+      platform: fee.platform,
+      orderNumber: fee.orderNumber,
+      customerName: null,
+      taxNumber: null,
+      documentType: null,
+      description: fee.description || KIND_LABELS[fee.type],
+      currency: fee.currency,
+      originalNumber: null,
+      originalDate: null,
+      vatRate,
+      lines: [
+        {
+          description: fee.description || KIND_LABELS[fee.type],
+          sku: null,
+          quantity: 1,
+          unitPrice: net,
+          vatRate,
+          net,
+          vat,
+        },
+      ],
+      net,
+      vat,
+      total: round2(net + vat),
+    };
+  }
+
+  /**
+   * Fingerprint of the booked values of a month's documents
+   * @param {Array} documents - Documents from getDocuments
+   * @returns {string} SHA-256 hex digest
+   */
+  getChecksum(documents) {
+    const hash = crypto.createHash("sha256");
+    for (const document of [...documents].sort((a, b) => a.id.localeCompare(b.id))) {
+      hash.update(
+        JSON.stringify([
+          document.id,
+          document.kind,
+          document.number,
+          document.date.toISOString(),
+          document.currency,
+          document.total,
+          document.lines.map((line) => [line.sku, line.quantity, line.vatRate, line.net, line.vat]),
+        ])
+      );
+    }
+    return hash.digest("hex");
+  }
+
+  /**
+   * Document count and amounts per kind
+   * @param {Array} documents - Documents from getDocuments
+   * @returns {Object} kind -> { count, net, vat, total }
+   */
+  getTotals(documents) {
+    return Object.keys(KIND_LABELS).reduce((totals, kind) => {
+      const ofKind = documents.filter((document) => document.kind === kind);
+      totals[kind] = {
+        count: ofKind.length,
+        net: sum(ofKind, "net"),
+        vat: sum(ofKind, "vat"),
+        total: sum(ofKind, "total"),
+      };
+      return totals;
+    }, {});
+  }
+
+  /**
+   * Double-entry journal of documents: one balanced entry per document and
+   * the debit and credit total of each account
+   * @param {Array} documents - Documents from getDocuments
+   * @param {Function} resolve - Code lookup from createResolver
+   * @returns {Object} { entries, accounts, totals }
+   */
+  buildJournal(documents, resolve) {
+    const entries = documents.map((document) => this.buildEntry(document, resolve));
+
+    const accounts = new Map();
+    for (const line of entries.flatMap((entry) => entry.lines)) {
+      const account = accounts.get(line.account) || { account: line.account, debit: 0, credit: 0 };
+      account.debit = round2(account.debit + line.debit);
+      account.credit = round2(account.credit + line.credit);
+      accounts.set(line.account, account);
+    }
+
+    return {
+      entries,
+      accounts: [...accounts.values()]
+        .map((account) => ({ ...account, balance: round2(account.debit - account.credit) }))
+        .sort((a, b) => a.account.localeCompare(b.account)),
+      totals: {
+        debit: sum(entries, "debit"),
+        credit: sum(entries, "credit"),
+      },
+    };
+  }
+
+  /**
+   * Journal entry of a document. Sales credit sales and calculated VAT per
+   * VAT rate against the marketplace receivable, returns reverse that, and
+   * fees debit the expense and deductible VAT against the marketplace
+   * payable. Negative amounts, refunded fees, swap sides.
+   * @param {Object} document - Document from getDocuments
+   * @param {Function} resolve - Code lookup from createResolver
+   * @returns {Object} { date, documentNumber, kind, platform, description,
+   *   lines: [{ account, accountKey, debit, credit, description }], debit, credit }
+   */
+  buildEntry(document, resolve) {
+    const description = `${document.platform} ${KIND_LABELS[document.kind]} ${document.number}`;
+    const lines = [];
+    const book = (accountKey, amount, side, vatRate = null) => {
+      if (!amount) return;
+      const debit = (side === "debit") === amount > 0;
+      lines.push({
+        account: resolve(accountKey, document.platform, vatRate),
+        accountKey,
+        debit: debit ? Math.abs(amount) : 0,
+        credit: debit ? 0 : Math.abs(amount),
+        description,
+      });
+    };
+
+    const rates = new Map();
+    for (const line of document.lines) {
+      const rate = rates.get(line.vatRate) || { vatRate: line.vatRate, net: 0, vat: 0 };
+      rate.net = round2(rate.net + line.net);
+      rate.vat = round2(rate.vat + line.vat);
+      rates.set(line.vatRate, rate);
+    }
+
+    if (document.kind === "sales") {
+      book("receivable", document.total, "debit");
+      for (const rate of rates.values()) {
+        book("sales", rate.net, "credit", rate.vatRate);
+        book("outputVat", rate.vat, "credit", rate.vatRate);
+      }
+    } else if (document.kind === "return") {
+      for (const rate of rates.values()) {
+        book("salesReturns", rate.net, "debit", rate.vatRate);
+        book("returnVat", rate.vat, "debit", rate.vatRate);
+      }
+      book("receivable", document.total, "credit");
+    } else {
+      const expense = document.kind === "commission" ? "commissionExpense" : "shippingExpense";
+      book(expense, document.net, "debit", document.vatRate);
+      book("inputVat", document.vat, "debit", document.vatRate);
+      book("payable", document.total, "credit");
+    }
+
+    return {
+      date: document.date,
+      documentNumber: document.number,
+      kind: document.kind,
+      platform: document.platform,
+      description,
+      lines,
+      debit: sum(lines, "debit"),
+      credit: sum(lines, "credit"),
+    };
+  }
+
+  /**
+   * Journal of a month
+   * @param {string} userId - User ID
+   * @param {string} period - YYYY-MM
+   * @returns {Promise<Object>} Journal from buildJournal
+   */
+  async getJournal(userId, period) {
+    this.assertPeriod(period);
+
+    const [documents, mapping] = await Promise.all([
+      this.getDocuments(userId, period),
+      this.getMapping(userId),
+    ]);
+
+    return { period, ...this.buildJournal(documents, this.createResolver(mapping)) };
+  }
+
+  /**
+   * Months with a lock or an export on record
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} AccountingPeriod instances, latest first
+   */
+  async getPeriods(userId) {
+    return AccountingPeriod.findAll({
+      where: { userId },
+      order: [["period", "DESC"]],
+    });
+  }
+
+  /**
+   * State of a month: its totals, lock, exports and whether its records
+   * still match what was locked
+   * @param {string} userId - User ID
+   * @param {string} period - YYYY-MM
+   * @returns {Promise<Object>}
+   */
+  async getPeriodSummary(userId, period) {
+    this.assertPeriod(period);
+
+    const [record, documents] = await Promise.all([
+      AccountingPeriod.findOne({ where: { userId, period } }),
+      this.getDocuments(userId, period),
+    ]);
+    const locked = Boolean(record?.isLocked());
+
+    return {
+      period,
+      status: record?.status || "open",
+      ended: this.hasEnded(period),
+      lockedAt: record?.lockedAt || null,
+      changedSinceLock: locked && record.checksum !== this.getChecksum(documents),
+      totals: this.getTotals(documents),
+      lockedTotals: locked ? record.totals : null,
+      exports: record?.exports || [],
+      history: record?.history || [],
+    };
+  }
+
+  /**
+   * Lock a month that has ended; its invoices and fees can no longer be
+   * created, changed or deleted
+   * @param {string} userId - User ID
+   * @param {string} period - YYYY-MM
+   * @param {string} reason - Why it was locked
+   * @returns {Promise<Object>} AccountingPeriod
+   */
+  async lockPeriod(userId, period, reason = null) {
+    this.assertPeriod(period);
+    if (!this.hasEnded(period)) {
+      throw serviceError(`${period} has not ended yet and cannot be locked`, 409);
+    }
+
+    const [record] = await AccountingPeriod.findOrCreate({
+      where: { userId, period },
+      defaults: { status: "open" },
+    });
+    if (record.isLocked()) {
+      return record;
+    }
+
+    const documents = await this.getDocuments(userId, period);
+    await record.update(this.getLockValues(record, documents, reason));
+    logger.info(`Accounting period ${period} locked`, { userId, reason });
+
+    return record;
+  }
+
+  /**
+   * Attributes that lock a period on the documents it has now
+   * @param {Object} record - AccountingPeriod
+   * @param {Array} documents - Documents from getDocuments
+   * @param {string} reason - Why it was locked
+   * @returns {Object}
+   */
+  getLockValues(record, documents, reason) {
+    const now = new Date();
+    return {
+      status: "locked",
+      lockedAt: now,
+      checksum: this.getChecksum(documents),
+      totals: this.getTotals(documents),
+      history: [...record.history, { action: "locked", at: now, reason }],
+    };
+  }
+
+  /**
+   * Unlock a month to correct its records; the reason stays in its history
+   * @param {string} userId - User ID
+   * @param {string} period - YYYY-MM
+   * @param {string} reason - Why it is reopened
+   * @returns {Promise<Object>} AccountingPeriod
+   */
+  async unlockPeriod(userId, period, reason) {
+    this.assertPeriod(period);
+
+    const record = await AccountingPeriod.findOne({ where: { userId, period } });
+    if (!record?.isLocked()) {
+      throw serviceError(`${period} is not locked`, 409);
+    }
+
+    await record.update({
+      status: "open",
+      history: [...record.history, { action: "unlocked", at: new Date(), reason }],
+    });
+    logger.warn(`Accounting period ${period} unlocked`, { userId, reason });
+
+    return record;
+  }
+
+  /**
+   * Export a dataset of a month in the format of an accounting package, or
+   * send it to Paraşüt. A locked month is only exported while its records
+   * match the lock; a month that has ended is locked by its first export.
+   * @param {string} userId - User ID
+   * @param {string} period - YYYY-MM
+   * @param {Object} options - { dataset, format }
+   * @returns {Promise<Object>} { period, dataset, format, documents, locked,
+   *   filename, url } or, for parasut_api, the send counts
+   */
+  async exportPeriod(userId, period, { dataset, format }) {
+    this.assertPeriod(period);
+    if (!FORMATS[format]?.datasets.includes(dataset)) {
+      throw serviceError(`${format} exports do not include ${dataset}`, 400);
+    }
+
+    const [existing, allDocuments, mapping] = await Promise.all([
+      AccountingPeriod.findOne({ where: { userId, period } }),
+      this.getDocuments(userId, period),
+      this.getMapping(userId),
+    ]);
+    const checksum = this.getChecksum(allDocuments);
+    if (existing?.isLocked() && existing.checksum !== checksum) {
+      throw serviceError(
+        `Records of ${period} changed after it was locked; unlock it and lock it again to export them`,
+        409
+      );
+    }
+
+    const documents = allDocuments.filter((document) =>
+      DATASET_KINDS[dataset].includes(document.kind)
+    );
+    if (documents.length === 0) {
+      throw serviceError(`No ${dataset} in ${period}`, 404);
+    }
+
+    const resolve = this.createResolver(mapping);
+    let result;
+    if (format === "parasut_api") {
+      result = await this.sendToParasut(userId, documents, resolve);
+    } else {
+      const content = render(format, dataset, {
+        documents,
+        journal: dataset === "journal" ? this.buildJournal(documents, resolve) : null,
+        resolve,
+      });
+      const { filename, url } = exportService.writeExportFile(
+        `accounting_${dataset}_${format}_${period}`,
+        userId,
+        FORMATS[format].extension,
+        content
+      );
+      result = { filename, url };
+    }
+
+    const [record] = existing
+      ? [existing]
+      : await AccountingPeriod.findOrCreate({
+          where: { userId, period },
+          defaults: { status: "open" },
+        });
+    const exported = {
+      dataset,
+      format,
+      documents: documents.length,
+      checksum,
+      exportedAt: new Date(),
+      ...result,
+    };
+    const updates = { exports: [...record.exports, exported] };
+    // The accountant now has the month: keep it from changing underneath
+    if (!record.isLocked() && this.hasEnded(period)) {
+      Object.assign(
+        updates,
+        this.getLockValues(record, allDocuments, `Exported ${dataset} as ${format}`)
+      );
+    }
+    await record.update(updates);
+
+    logger.info(`Exported ${dataset} of ${period} as ${format}`, {
+      userId,
+      documents: documents.length,
+      locked: record.isLocked(),
+    });
+
+    return {
+      period,
+      dataset,
+      format,
+      documents: documents.length,
+      locked: record.isLocked(),
+      ...result,
+    };
+  }
+
+  /**
+   * Send invoices as sales invoices and fees as purchase bills to Paraşüt
+   * under one contact per marketplace; documents sent before are skipped
+   * @param {string} userId - User ID
+   * @param {Array} documents - Documents from getDocuments
+   * @param {Function} resolve - Code lookup from createResolver
+   * @returns {Promise<Object>} { sent, skipped, failed, errors }
+   */
+  async sendToParasut(userId, documents, resolve) {
+    const config = await parasutService.getConfig(userId);
+    if (!parasutService.isConfigured(config)) {
+      throw serviceError("Paraşüt credentials are not configured", 400);
+    }
+
+    const ids = (source) =>
+      documents.filter((document) => document.source === source).map((document) => document.id);
+    const [invoices, fees] = await Promise.all([
+      Invoice.findAll({ where: { id: { [Op.in]: ids("invoice") } } }),
+      MarketplaceFee.findAll({ where: { id: { [Op.in]: ids("fee") } } }),
+    ]);
+    const records = new Map([...invoices, ...fees].map((record) => [record.id, record]));
+
+    const contacts = new Map();
+    const contactOf = async (name, accountType) => {
+      const key = `${accountType}:${name}`;
+      if (!contacts.has(key)) {
+        contacts.set(key, await parasutService.findOrCreateContact(config, name, accountType));
+      }
+      return contacts.get(key);
+    };
+
+    const result = { sent: 0, skipped: 0, failed: 0, errors: [] };
+    for (const document of documents) {
+      const record = records.get(document.id);
+      if (record.metadata?.parasutId) {
+        result.skipped++;
+        continue;
+      }
+
+      try {
+        let parasutId;
+        if (document.source === "invoice") {
+          const { series, sequence } = splitDocumentNumber(document.number);
+          parasutId = await parasutService.createSalesInvoice(
+            config,
+            {
+              kind: document.kind,
+              series,
+              sequence,
+              date: AccountingPeriod.localDate(document.date),
+              description: document.originalNumber
+                ? `İade: ${document.originalNumber}`
+                : document.orderNumber || document.number,
+              currency: document.currency,
+              lines: document.lines,
+            },
+            await contactOf(resolve("customerCode", document.platform), "customer")
+          );
+        } else {
+          parasutId = await parasutService.createPurchaseBill(
+            config,
+            {
+              refund: document.total < 0,
+              number: document.number,
+              date: AccountingPeriod.localDate(document.date),
+              description: document.description,
+              currency: document.currency,
+              netAmount: Math.abs(document.net),
+              vatRate: document.vatRate,
+            },
+            await contactOf(resolve("supplierCode", document.platform), "supplier")
+          );
+        }
+
+        await record.update({
+          metadata: { ...(record.metadata || {}), parasutId, parasutSentAt: new Date() },
+        });
+        result.sent++;
+      } catch (error) {
+        logger.warn(`Failed to send ${document.number} to Paraşüt: ${error.message}`, {
+          userId,
+          documentId: document.id,
+        });
+        result.failed++;
+        result.errors.push({ number: document.number, message: error.message });
+      }
+    }
+
+    if (result.sent === 0 && result.failed > 0) {
+      throw serviceError(`Paraşüt refused the documents: ${result.errors[0].message}`, 502);
+    }
+
+    return result;
+  }
+
+  /**
+   * Pull the fees of a month from the marketplaces that report them and
+   * from the commissions stored on n11 orders. Fees of locked months are
+   * counted, not changed.
+   * @param {string} userId - User ID
+   * @param {string} period - YYYY-MM
+   * @returns {Promise<Object>} { period, fetched, created, updated,
+   *   unchanged, locked, errors }
+   */
+  async syncFees(userId, period) {
+    this.assertPeriod(period);
+
+    const { startDate, endDate } = AccountingPeriod.getRange(period);
+    const result = {
+      period,
+      fetched: 0,
+      created: 0,
+      updated: 0,
+      unchanged: 0,
+      locked: 0,
+      errors: [],
+    };
+
+    const connections = await PlatformConnection.findAll({
+      where: { userId, status: "active", isActive: true },
+    });
+    for (const connection of connections) {
+      try {
+        const service = this.getPlatformService(connection.platformType, connection.id);
+        if (!service.supportsFees()) continue;
+
+        const response = await service.fetchFees({ startDate, endDate });
+        if (!response.success) {
+          throw new Error(response.message || "Failed to fetch fees");
+        }
+        for (const fee of response.data) {
+          await this.storeFee(userId, connection.platformType, connection.id, "settlement", fee, result);
+        }
+      } catch (error) {
+        logger.error(`Fee sync failed for connection ${connection.id}: ${error.message}`, {
+          userId,
+          platform: connection.platformType,
+        });
+        result.errors.push({
+          connectionId: connection.id,
+          platform: connection.platformType,
+          message: error.message,
+        });
+      }
+    }
+
+    const n11Orders = await Order.findAll({
+      where: {
+        userId,
+        platform: "n11",
+        orderDate: { [Op.gte]: startDate, [Op.lt]: endDate },
+      },
+      include: [
+        {
+          model: N11Order,
+          as: "n11Order",
+          required: true,
+          where: { platformFees: { [Op.gt]: 0 } },
+        },
+      ],
+    });
+    for (const order of n11Orders) {
+      const netAmount = round2(parseFloat(order.n11Order.platformFees));
+      const vatAmount = round2((netAmount * N11_COMMISSION_VAT_RATE) / 100);
+      await this.storeFee(
+        userId,
+        "n11",
+        order.connectionId,
+        "order",
+        {
+          externalId: `order-${order.n11Order.id}`,
+          type: "commission",
+          orderNumber: order.orderNumber,
+          documentNumber: null,
+          description: `Komisyon ${order.orderNumber}`,
+          feeDate: order.orderDate,
+          netAmount,
+          vatRate: N11_COMMISSION_VAT_RATE,
+          vatAmount,
+          total: round2(netAmount + vatAmount),
+          currency: order.currency || "TRY",
+          rawData: null,
+        },
+        result
+      );
+    }
+
+    logger.info(`Synced marketplace fees of ${period}`, {
+      userId,
+      ...result,
+      errors: result.errors.length,
+    });
+
+    return result;
+  }
+
+  /**
+   * Create or update a normalized fee, matching it to the local order
+   * @param {string} userId - User ID
+   * @param {string} platform - Platform type
+   * @param {number} connectionId - PlatformConnection ID
+   * @param {string} source - settlement | order | manual
+   * @param {Object} fee - Fee in the BasePlatformService fee shape
+   * @param {Object} result - Counts to add to
+   */
+  async storeFee(userId, platform, connectionId, source, fee, result) {
+    result.fetched++;
+
+    const order = fee.orderNumber
+      ? await Order.findOne({
+          where: { userId, platform, orderNumber: fee.orderNumber },
+          attributes: ["id"],
+        })
+      : null;
+    const values = {
+      connectionId: connectionId || null,
+      orderId: order?.id || null,
+      orderNumber: fee.orderNumber || null,
+      type: fee.type,
+      source,
+      documentNumber: fee.documentNumber || null,
+      description: fee.description || null,
+      feeDate: new Date(fee.feeDate),
+      netAmount: fee.netAmount,
+      vatRate: fee.vatRate,
+      vatAmount: fee.vatAmount,
+      total: fee.total,
+      currency: fee.currency || "TRY",
+      rawData: fee.rawData || null,
+    };
+
+    try {
+      const existing = await MarketplaceFee.findOne({
+        where: { userId, platform, externalId: fee.externalId },
+      });
+      if (!existing) {
+        await MarketplaceFee.create({ userId, platform, externalId: fee.externalId, ...values });
+        result.created++;
+      } else if (this.isFeeChanged(existing, values)) {
+        await existing.update(values);
+        result.updated++;
+      } else {
+        result.unchanged++;
+      }
+    } catch (error) {
+      if (error.code !== "PERIOD_LOCKED") throw error;
+      result.locked++;
+    }
+  }
+
+  /**
+   * Whether stored fee values differ from fetched ones; decimals come back
+   * from the database as strings
+   * @param {Object} fee - MarketplaceFee
+   * @param {Object} values - Fetched values
+   * @returns {boolean}
+   */
+  isFeeChanged(fee, values) {
+    return (
+      ["netAmount", "vatRate", "vatAmount", "total"].some(
+        (field) => parseFloat(fee[field]) !== parseFloat(values[field])
+      ) ||
+      new Date(fee.feeDate).getTime() !== values.feeDate.getTime() ||
+      ["type", "documentNumber", "currency", "orderId"].some(
+        (field) => (fee[field] || null) !== (values[field] || null)
+      )
+    );
+  }
+
+  /**
+   * Record fees the marketplaces do not report through an API
+   * @param {string} userId - User ID
+   * @param {Array} fees - [{ platform, type, feeDate, netAmount, vatRate,
+   *   documentNumber, description, orderNumber, currency }]
+   * @returns {Promise<Array>} Created MarketplaceFee instances
+   */
+  async createFees(userId, fees) {
+    const created = [];
+    for (const fee of fees) {
+      const netAmount = round2(parseFloat(fee.netAmount));
+      const vatRate = fee.vatRate === undefined ? 20 : parseFloat(fee.vatRate);
+      const vatAmount = round2((netAmount * vatRate) / 100);
+      const order = fee.orderNumber
+        ? await Order.findOne({
+            where: { userId, platform: fee.platform, orderNumber: fee.orderNumber },
+            attributes: ["id", "connectionId"],
+          })
+        : null;
+
+      created.push(
+        await MarketplaceFee.create({
+          userId,
+          platform: fee.platform,
+          connectionId: order?.connectionId || null,
+          orderId: order?.id || null,
+          orderNumber: fee.orderNumber || null,
+          type: fee.type,
+          source: "manual",
+          externalId: `manual-${crypto.randomUUID()}`,
+          documentNumber: fee.documentNumber || null,
+          description: fee.description || null,
+          feeDate: new Date(fee.feeDate),
+          netAmount,
+          vatRate,
+          vatAmount,
+          total: round2(netAmount + vatAmount),
+          currency: fee.currency || "TRY",
+        })
+      );
+    }
+    return created;
+  }
+
+  /**
+   * Delete a fee that was entered by hand
+   * @param {string} userId - User ID
+   * @param {string} feeId - MarketplaceFee ID
+   */
+  async deleteFee(userId, feeId) {
+    const fee = await MarketplaceFee.findOne({ where: { id: feeId, userId } });
+    if (!fee) {
+      throw serviceError("Fee not found", 404);
+    }
+    if (fee.source !== "manual") {
+      throw serviceError("Only fees entered by hand can be deleted", 409);
+    }
+    await fee.destroy();
+  }
+
+  /**
+   * Fees of a user, filtered and paginated
+   * @param {string} userId - User ID
+   * @param {Object} filters - { period, type, platform, page, limit }
+   * @returns {Promise<Object>} { fees, pagination }
+   */
+  async getFees(userId, filters = {}) {
+    const page = parseInt(filters.page, 10) || 1;
+    const limit = parseInt(filters.limit, 10) || 50;
+    const where = { userId };
+
+    if (filters.period) {
+      this.assertPeriod(filters.period);
+      const { startDate, endDate } = AccountingPeriod.getRange(filters.period);
+      where.feeDate = { [Op.gte]: startDate, [Op.lt]: endDate };
+    }
+    if (filters.type) where.type = filters.type;
+    if (filters.platform) where.platform = filters.platform;
+
+    const { rows, count } = await MarketplaceFee.findAndCountAll({
+      where,
+      attributes: { exclude: ["rawData"] },
+      order: [["feeDate", "DESC"]],
+      limit,
+      offset: (page - 1) * limit,
+    });
+
+    return {
+      fees: rows,
+      pagination: {
+        page,
+        limit,
+        total: count,
+        totalPages: Math.ceil(count / limit),
+      },
+    };
+  }
+}
+
+module.exports = new AccountingService();
+module.exports.DATASETS = DATASETS;
+module.exports.FORMATS = Object.keys(FORMATS);
+module.exports.MAPPING_KEYS = MAPPING_KEYS;
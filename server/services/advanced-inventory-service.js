@@ -27,6 +27,9 @@ class AdvancedInventoryService {
       userId,
       orderId = null,
       reference = null,
+      referenceId = null,
+      referenceType = null,
+      platformType = null,
       metadata = {}
     },
     options = {}
@@ -95,6 +98,9 @@ class AdvancedInventoryService {
           userId,
           orderId,
           reference,
+          referenceId,
+          referenceType,
+          platformType,
           metadata,
           occurredAt: new Date()
         },
@@ -114,6 +114,8 @@ class AlertService {
       connectionFailure: 'high',
       dataInconsistency: 'medium',
       performanceIssue: 'medium',
+      questionSlaBreach: 'high',
+      questionSlaWarning: 'medium',
       userError: 'low'
     };
     return severityMap[type] || 'medium';
@@ -136,6 +138,30 @@ class AlertService {
     return this.sendAlert('platformWideIssue', title, message, data);
   }
 
+  async sendQuestionSlaAlert(data) {
+    const breached = data.level === 2;
+    const count = data.questions?.length || 0;
+    const title = breached
+      ? `${count} customer question(s) missed the answer deadline`
+      : `${count} customer question(s) due within ${data.warningMinutes} minutes`;
+    const lines = (data.questions || []).map(
+      (question) =>
+        `#${question.questionId} ${question.platform} - ${question.productName || 'Unknown product'} (due ${new Date(question.dueDate).toISOString()}, assigned to ${question.assignedTo || 'nobody'})`
+    );
+    const message = `
+      ${breached ? 'Marketplaces may penalize the store for these late answers.' : 'These questions need an answer before the platform deadline.'}
+      
+      ${lines.join('\n      ')}
+    `;
+
+    return this.sendAlert(
+      breached ? 'questionSlaBreach' : 'questionSlaWarning',
+      title,
+      message,
+      data
+    );
+  }
+
   // Get recent alerts (for admin dashboard)
   getRecentAlerts(limit = 50) {
     return this.alertQueue
@@ -0,0 +1,334 @@
+const crypto = require("crypto");
+const { Op } = require("sequelize");
+const logger = require("../../utils/logger");
+const { AIChatLog, ChatConversation, User } = require("../../models");
+const notificationService = require("../notification-service");
+
+const OPEN_STATUSES = ["bot", "waiting_agent", "with_agent"];
+
+const storeError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Conversation Store
+ * Keeps assistant conversations and their messages threaded, and runs the
+ * human agent queue: handoff, assignment, agent replies and closing.
+ */
+class ConversationStore {
+  constructor() {
+    // Channel senders deliver agent replies; web chat clients poll instead
+    this.channels = new Map();
+  }
+
+  /**
+   * Register how agent replies reach the customer on a channel
+   * @param {string} channel - Channel name (web, whatsapp)
+   * @param {Function} send - async (conversation, text) => void
+   */
+  registerChannel(channel, send) {
+    this.channels.set(channel, send);
+  }
+
+  /**
+   * The open conversation of a chat session or phone number, created on the
+   * first message
+   */
+  async findOrCreate({
+    accountId,
+    channel,
+    externalId,
+    customerName,
+    sessionTokenHash,
+  }) {
+    const existing = await ChatConversation.findOne({
+      where: {
+        channel,
+        externalId,
+        userId: accountId || null,
+        status: { [Op.in]: OPEN_STATUSES },
+      },
+      order: [["createdAt", "DESC"]],
+    });
+    if (existing) return existing;
+
+    return ChatConversation.create({
+      userId: accountId || null,
+      channel,
+      externalId,
+      customerName: customerName || null,
+      sessionTokenHash: sessionTokenHash || null,
+      status: "bot",
+      state: {},
+    });
+  }
+
+  /**
+   * Store a customer message with the assistant's response
+   */
+  async logExchange(conversation, { message, response, intent, entities }) {
+    const log = await AIChatLog.create({
+      userId: conversation.userId,
+      sessionId: conversation.externalId,
+      conversationId: conversation.id,
+      channel: conversation.channel,
+      sender: "customer",
+      message,
+      response: response || null,
+      intent: intent || null,
+      entities: entities || {},
+    });
+
+    await conversation.update({
+      messageCount: conversation.messageCount + 1,
+      lastMessageAt: log.createdAt || new Date(),
+    });
+
+    return log;
+  }
+
+  async updateState(conversation, changes) {
+    await conversation.update({
+      state: { ...(conversation.state || {}), ...changes },
+    });
+  }
+
+  /**
+   * Put a conversation into the agent queue
+   */
+  async handoff(conversation, reason) {
+    if (conversation.status !== "bot") return conversation;
+
+    await conversation.update({
+      status: "waiting_agent",
+      handoffReason: reason,
+      handoffAt: new Date(),
+    });
+
+    notificationService.notifyChatHandoff({
+      conversationId: conversation.id,
+      accountId: conversation.userId,
+      channel: conversation.channel,
+      customerName: conversation.customerName,
+      reason,
+    });
+
+    logger.info(`Chat conversation ${conversation.id} handed off to agents`, {
+      channel: conversation.channel,
+      reason,
+    });
+
+    return conversation;
+  }
+
+  /**
+   * Conversations of an account, waiting ones first
+   * @param {string} accountId - Seller user ID
+   * @param {Object} filters - { status, channel, page, limit }
+   */
+  async getConversations(accountId, filters = {}) {
+    const page = Math.max(parseInt(filters.page, 10) || 1, 1);
+    const limit = Math.min(parseInt(filters.limit, 10) || 20, 100);
+    const where = { userId: accountId };
+
+    if (filters.status) {
+      where.status = filters.status;
+    } else {
+      where.status = { [Op.in]: OPEN_STATUSES };
+    }
+    if (filters.channel) {
+      where.channel = filters.channel;
+    }
+
+    const { count, rows } = await ChatConversation.findAndCountAll({
+      where,
+      include: [
+        {
+          model: User,
+          as: "assignedAgent",
+          attributes: ["id", "fullName", "username"],
+          required: false,
+        },
+      ],
+      order: [
+        ["handoffAt", "ASC NULLS LAST"],
+        ["lastMessageAt", "DESC"],
+      ],
+      limit,
+      offset: (page - 1) * limit,
+    });
+
+    return {
+      conversations: rows,
+      pagination: {
+        total: count,
+        page,
+        pages: Math.ceil(count / limit),
+        limit,
+      },
+    };
+  }
+
+  async getConversation(accountId, conversationId) {
+    const conversation = await ChatConversation.findOne({
+      where: { id: conversationId, userId: accountId },
+      include: [
+        {
+          model: AIChatLog,
+          as: "messages",
+          separate: true,
+          order: [["createdAt", "ASC"]],
+        },
+        {
+          model: User,
+          as: "assignedAgent",
+          attributes: ["id", "fullName", "username"],
+          required: false,
+        },
+      ],
+    });
+
+    if (!conversation) {
+      throw storeError("Conversation not found", 404);
+    }
+    return conversation;
+  }
+
+  /**
+   * Take a conversation over from the assistant
+   */
+  async assign(accountId, conversationId, agentId) {
+    const conversation = await this.getConversation(accountId, conversationId);
+    if (conversation.status === "closed") {
+      throw storeError("Conversation is closed", 400);
+    }
+
+    await conversation.update({ status: "with_agent", assignedAgentId: agentId });
+    return conversation;
+  }
+
+  /**
+   * Reply to the customer as an agent
+   */
+  async reply(accountId, conversationId, agentId, text) {
+    const conversation = await this.getConversation(accountId, conversationId);
+    if (conversation.status === "closed") {
+      throw storeError("Conversation is closed", 400);
+    }
+
+    const log = await AIChatLog.create({
+      userId: conversation.userId,
+      sessionId: conversation.externalId,
+      conversationId: conversation.id,
+      channel: conversation.channel,
+      sender: "agent",
+      agentId,
+      message: text,
+    });
+
+    await conversation.update({
+      status: "with_agent",
+      assignedAgentId: conversation.assignedAgentId || agentId,
+      messageCount: conversation.messageCount + 1,
+      lastMessageAt: new Date(),
+    });
+
+    const send = this.channels.get(conversation.channel);
+    let delivered = !send;
+    if (send) {
+      try {
+        await send(conversation, text);
+        delivered = true;
+      } catch (error) {
+        logger.error(`Failed to deliver agent reply: ${error.message}`, {
+          conversationId: conversation.id,
+          channel: conversation.channel,
+        });
+      }
+    }
+
+    return { conversation, message: log, delivered };
+  }
+
+  /**
+   * Close a conversation; the customer's next message starts a new one
+   */
+  async close(accountId, conversationId) {
+    const conversation = await this.getConversation(accountId, conversationId);
+    await conversation.update({ status: "closed", closedAt: new Date() });
+    return conversation;
+  }
+
+  hashSessionToken(token) {
+    return crypto.createHash("sha256").update(String(token)).digest("hex");
+  }
+
+  /**
+   * Start a web chat session or check the token of a running one. The first
+   * message of a session gets a random token that the session's later
+   * requests must carry, so nobody can read a session by guessing its ID.
+   * @param {string} sessionId - Session ID chosen by the chat widget
+   * @param {string} [token] - Token issued to the session
+   * @returns {Promise<Object>} { token, tokenHash } - token only when the session starts
+   */
+  async openWebSession(sessionId, token) {
+    const started = await ChatConversation.count({
+      where: { channel: "web", externalId: sessionId },
+    });
+
+    if (started === 0) {
+      const newToken = crypto.randomBytes(32).toString("hex");
+      return { token: newToken, tokenHash: this.hashSessionToken(newToken) };
+    }
+
+    return { token: null, tokenHash: await this.verifySessionToken(sessionId, token) };
+  }
+
+  /**
+   * Check the token of a web chat session
+   * @returns {Promise<string>} Hash of the token
+   */
+  async verifySessionToken(sessionId, token) {
+    const conversation = await ChatConversation.findOne({
+      where: { channel: "web", externalId: sessionId },
+      attributes: ["id", "sessionTokenHash"],
+      order: [["createdAt", "DESC"]],
+    });
+
+    // Sessions started before tokens were issued have none and cannot resume
+    const expected = conversation?.sessionTokenHash;
+    const actual = token ? this.hashSessionToken(token) : null;
+    if (
+      !expected ||
+      !actual ||
+      !crypto.timingSafeEqual(Buffer.from(actual), Buffer.from(expected))
+    ) {
+      throw storeError("Invalid chat session token", 401);
+    }
+
+    return expected;
+  }
+
+  /**
+   * Messages of a web chat session after a point in time, for the chat
+   * widget to poll agent replies with
+   */
+  async getSessionMessages(sessionId, after) {
+    const where = { sessionId, channel: "web" };
+    if (after) {
+      where.createdAt = { [Op.gt]: new Date(after) };
+    }
+
+    return AIChatLog.findAll({
+      where,
+      attributes: ["id", "sender", "message", "response", "createdAt"],
+      order: [["createdAt", "ASC"]],
+      limit: 100,
+    });
+  }
+}
+
+module.exports = new ConversationStore();
+module.exports.OPEN_STATUSES = OPEN_STATUSES;
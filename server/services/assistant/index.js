@@ -0,0 +1,407 @@
+const logger = require("../../utils/logger");
+const orderLookup = require("./order-lookup");
+const conversationStore = require("./conversation-store");
+const defaultIntents = require("./intents");
+const { describeOrder } = require("./intents");
+
+const { normalizePhone, normalizeEmail } = orderLookup;
+
+// Messages in a row the assistant may not understand before handing off
+const MAX_FALLBACKS = 3;
+// Contact details that did not match the order before handing off
+const MAX_FAILED_VERIFICATIONS = 3;
+
+const EMAIL_PATTERN = /[^\s@]+@[^\s@]+\.[a-z]{2,}/i;
+// Written with a 0/+90 prefix or grouped like 0532 123 45 67
+const PHONE_PATTERN = /(?:\+?90|0)[\s-]?5\d{2}[\s-]?\d{3}[\s-]?\d{2}[\s-]?\d{2}|\b5\d{2}[\s-]\d{3}[\s-]?\d{2}[\s-]?\d{2}\b/;
+const BARE_PHONE_PATTERN = /\b5\d{9}\b/;
+const ORDER_NUMBER_PATTERN = /#?\b([a-z]{2,5}-?\d{4,}[a-z0-9-]*|\d{5,})\b/i;
+
+const REPLIES = {
+  fallback:
+    "Tam olarak anlayamadım. Sipariş durumu, kargo takibi veya iade için sipariş numaranızı yazabilirsiniz. Bir temsilciyle görüşmek isterseniz 'temsilci' yazmanız yeterli.",
+  fallbackHandoff:
+    "Size daha iyi yardımcı olabilmesi için konuşmanızı bir müşteri temsilcimize aktarıyorum.",
+  waitingAgent:
+    "Mesajınızı aldık. Bir müşteri temsilcimiz en kısa sürede size dönüş yapacak.",
+  askContact:
+    "Güvenliğiniz için siparişte kullandığınız telefon numarasını veya e-posta adresini yazar mısınız?",
+  verificationFailed:
+    "Yazdığınız bilgiler siparişle eşleşmedi. Kontrol edip tekrar deneyebilirsiniz.",
+  verificationHandoff:
+    "Bilgileri doğrulayamadık. Size yardımcı olması için bir müşteri temsilcimize aktarıyorum.",
+  noAccount:
+    "Sipariş sorgulama şu anda kullanılamıyor. Lütfen daha sonra tekrar deneyin.",
+};
+
+/**
+ * Lower case without Turkish diacritics, so that patterns match however
+ * the customer typed
+ */
+const normalizeText = (text) =>
+  String(text)
+    .toLocaleLowerCase("tr-TR")
+    .replace(/ı/g, "i")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/\s+/g, " ")
+    .trim();
+
+/**
+ * Assistant Engine
+ * Intent and dialog engine behind the chat widget and WhatsApp. Classifies
+ * each message, verifies the customer by the phone or email of an order,
+ * answers from live order, shipment and return data and hands conversations
+ * off to the human agent queue. Intents are pluggable through
+ * registerIntent().
+ */
+class AssistantEngine {
+  constructor() {
+    this.intents = [];
+    defaultIntents.forEach((intent) => this.registerIntent(intent));
+  }
+
+  /**
+   * Add an intent, or replace the one with the same name
+   * @param {Object} intent - See services/assistant/intents.js
+   */
+  registerIntent(intent) {
+    this.intents = this.intents
+      .filter((existing) => existing.name !== intent.name)
+      .concat(intent)
+      .sort((a, b) => (b.priority || 0) - (a.priority || 0));
+  }
+
+  /**
+   * Order number, phone and email in a message. A bare 10 digit number
+   * starting with 5 is read as a phone only when one was asked for, since
+   * marketplace order numbers look the same.
+   */
+  extractEntities(text, awaiting = null) {
+    const entities = {};
+    let rest = String(text);
+
+    const email = rest.match(EMAIL_PATTERN);
+    if (email) {
+      entities.email = normalizeEmail(email[0]);
+      rest = rest.replace(email[0], " ");
+    }
+
+    const phone =
+      rest.match(PHONE_PATTERN) ||
+      (awaiting === "contact" ? rest.match(BARE_PHONE_PATTERN) : null);
+    if (phone) {
+      entities.phone = normalizePhone(phone[0]);
+      rest = rest.replace(phone[0], " ");
+    }
+
+    const orderNumber = rest.match(ORDER_NUMBER_PATTERN);
+    if (orderNumber) {
+      entities.orderNumber = orderNumber[1];
+    }
+
+    return entities;
+  }
+
+  classify(normalized) {
+    return (
+      this.intents.find((intent) =>
+        intent.patterns.some((pattern) => pattern.test(normalized))
+      ) || null
+    );
+  }
+
+  getIntent(name) {
+    return this.intents.find((intent) => intent.name === name) || null;
+  }
+
+  isVerified(conversation) {
+    return Boolean(
+      conversation.verifiedAt &&
+        (conversation.customerPhone || conversation.customerEmail)
+    );
+  }
+
+  canSeeOrder(conversation, order) {
+    return (
+      this.isVerified(conversation) &&
+      orderLookup.matchesContact(order, {
+        phone: conversation.customerPhone,
+        email: conversation.customerEmail,
+      })
+    );
+  }
+
+  async markVerified(conversation, contact, order) {
+    const byPhone =
+      contact.phone && orderLookup.matchesContact(order, { phone: contact.phone });
+
+    await conversation.update({
+      customerPhone: byPhone ? contact.phone : conversation.customerPhone,
+      customerEmail: byPhone ? conversation.customerEmail : contact.email,
+      customerName: conversation.customerName || order.customerName,
+      verifiedAt: new Date(),
+      verificationMethod: byPhone ? "order_phone" : "order_email",
+    });
+  }
+
+  /**
+   * Handle a customer message
+   * @param {Object} message - { channel, externalId, accountId, text,
+   *                             customerName, customerPhone, sessionTokenHash }
+   *   customerPhone is only passed by channels that authenticate the number
+   *   themselves (WhatsApp) and verifies the customer by it. sessionTokenHash
+   *   is the web chat session's token, kept on the conversations it opens.
+   * @returns {Promise<Object>} { conversationId, reply, intent, entities,
+   *                              status, handoff }
+   */
+  async handleMessage(message) {
+    const {
+      channel,
+      externalId,
+      accountId,
+      text,
+      customerName,
+      customerPhone,
+      sessionTokenHash,
+    } = message;
+
+    const conversation = await conversationStore.findOrCreate({
+      accountId,
+      channel,
+      externalId,
+      customerName,
+      sessionTokenHash,
+    });
+
+    if (customerPhone && !this.isVerified(conversation)) {
+      await conversation.update({
+        customerPhone: normalizePhone(customerPhone),
+        verifiedAt: new Date(),
+        verificationMethod: "channel_phone",
+      });
+    }
+
+    const state = conversation.state || {};
+    const entities = this.extractEntities(text, state.awaiting);
+
+    // Agents answer conversations in the queue
+    if (conversation.status !== "bot") {
+      const reply =
+        conversation.status === "waiting_agent" ? REPLIES.waitingAgent : null;
+      await conversationStore.logExchange(conversation, {
+        message: text,
+        response: reply,
+        intent: "agent_queue",
+        entities,
+      });
+      return this.buildResult(conversation, { reply, intent: "agent_queue", entities });
+    }
+
+    let intent = this.classify(normalizeText(text));
+    if (!intent && state.pendingIntent && Object.keys(entities).length > 0) {
+      intent = this.getIntent(state.pendingIntent);
+    }
+    if (!intent && entities.orderNumber) {
+      intent = this.getIntent("order_status");
+    }
+
+    let result;
+    try {
+      result = intent
+        ? await this.runIntent(intent, { conversation, accountId, text, entities, state })
+        : this.fallback(state);
+    } catch (error) {
+      logger.error(`Assistant intent ${intent?.name} failed: ${error.message}`, {
+        conversationId: conversation.id,
+        stack: error.stack,
+      });
+      result = {
+        reply: "Şu anda bu bilgiye ulaşamıyorum. Sizi bir müşteri temsilcimize aktarıyorum.",
+        handoff: "assistant_error",
+      };
+    }
+
+    await conversationStore.updateState(conversation, {
+      fallbackCount: 0,
+      ...(result.state || {}),
+    });
+    if (result.handoff) {
+      await conversationStore.handoff(conversation, result.handoff);
+    }
+
+    const intentName = intent?.name || "unknown";
+    const allEntities = { ...entities, ...(result.entities || {}) };
+    await conversationStore.logExchange(conversation, {
+      message: text,
+      response: result.reply,
+      intent: intentName,
+      entities: allEntities,
+    });
+
+    return this.buildResult(conversation, {
+      reply: result.reply,
+      intent: intentName,
+      entities: allEntities,
+      handoff: Boolean(result.handoff),
+    });
+  }
+
+  buildResult(conversation, { reply, intent, entities, handoff = false }) {
+    return {
+      conversationId: conversation.id,
+      reply,
+      intent,
+      entities,
+      status: conversation.status,
+      handoff,
+    };
+  }
+
+  fallback(state) {
+    const fallbackCount = (state.fallbackCount || 0) + 1;
+    if (fallbackCount >= MAX_FALLBACKS) {
+      return { reply: REPLIES.fallbackHandoff, handoff: "not_understood" };
+    }
+    return { reply: REPLIES.fallback, state: { fallbackCount } };
+  }
+
+  async runIntent(intent, { conversation, accountId, text, entities, state }) {
+    const ctx = {
+      conversation,
+      accountId,
+      text,
+      entities,
+      state,
+      isVerified: this.isVerified(conversation),
+      findVerifiedOrders: () =>
+        orderLookup.findOrdersByContact(accountId, {
+          phone: conversation.customerPhone,
+          email: conversation.customerEmail,
+        }),
+      askForOrderNumber: (pendingIntent) => this.askForOrderNumber(ctx, pendingIntent),
+    };
+
+    if (intent.needsOrder) {
+      if (!accountId) {
+        return { reply: REPLIES.noAccount };
+      }
+
+      const resolved = await this.resolveOrder(ctx, intent);
+      if (!resolved.order) return resolved;
+      ctx.order = resolved.order;
+    }
+
+    const result = await intent.handle(ctx);
+
+    // The dialog is complete; a follow-up question refers to the same order
+    return {
+      ...result,
+      state: {
+        awaiting: null,
+        pendingIntent: null,
+        pendingOrderNumber: null,
+        failedVerifications: 0,
+        ...(ctx.order ? { lastOrderId: ctx.order.id } : {}),
+        ...(result.state || {}),
+      },
+    };
+  }
+
+  askForOrderNumber(ctx, pendingIntent) {
+    const reply = this.isVerified(ctx.conversation)
+      ? "Hangi sipariş için yazdığınızı öğrenebilir miyim? Sipariş numaranızı yazar mısınız?"
+      : "Sipariş numaranızı ve siparişte kullandığınız telefon numarasını veya e-posta adresini yazar mısınız? (örn: 123456789 0532 123 45 67)";
+
+    return {
+      reply,
+      state: { awaiting: "order_number", pendingIntent, pendingOrderNumber: null },
+    };
+  }
+
+  /**
+   * Find the order a message is about and check that the customer may see
+   * it. Returns { order } or a reply asking for what is missing.
+   */
+  async resolveOrder(ctx, intent) {
+    const { conversation, accountId, entities, state } = ctx;
+    const orderNumber = entities.orderNumber || state.pendingOrderNumber;
+    const contact = { phone: entities.phone, email: entities.email };
+
+    if (orderNumber) {
+      const order = await orderLookup.findOrder(accountId, orderNumber);
+      if (!order) {
+        return {
+          reply: `#${orderNumber} numaralı bir sipariş bulamadık. Lütfen numarayı kontrol edip tekrar yazın.`,
+          state: { awaiting: "order_number", pendingIntent: intent.name, pendingOrderNumber: null },
+        };
+      }
+
+      if (this.canSeeOrder(conversation, order)) {
+        return { order };
+      }
+
+      if (contact.phone || contact.email) {
+        if (orderLookup.matchesContact(order, contact)) {
+          await this.markVerified(conversation, contact, order);
+          return { order };
+        }
+
+        const failedVerifications = (state.failedVerifications || 0) + 1;
+        if (failedVerifications >= MAX_FAILED_VERIFICATIONS) {
+          return {
+            reply: REPLIES.verificationHandoff,
+            handoff: "verification_failed",
+            state: { awaiting: null, pendingIntent: null, failedVerifications },
+          };
+        }
+        return {
+          reply: REPLIES.verificationFailed,
+          state: {
+            awaiting: "contact",
+            pendingIntent: intent.name,
+            pendingOrderNumber: orderNumber,
+            failedVerifications,
+          },
+        };
+      }
+
+      return {
+        reply: REPLIES.askContact,
+        state: { awaiting: "contact", pendingIntent: intent.name, pendingOrderNumber: orderNumber },
+      };
+    }
+
+    if (!this.isVerified(conversation)) {
+      return this.askForOrderNumber(ctx, intent.name);
+    }
+
+    if (state.lastOrderId) {
+      const order = await orderLookup.findOrderById(accountId, state.lastOrderId);
+      if (order && this.canSeeOrder(conversation, order)) {
+        return { order };
+      }
+    }
+
+    const orders = await ctx.findVerifiedOrders();
+    if (orders.length === 1) {
+      return { order: orders[0] };
+    }
+    if (orders.length > 1) {
+      return {
+        reply: [
+          "Hangi sipariş için yazdığınızı seçer misiniz? Sipariş numarasını yazmanız yeterli.",
+          ...orders.map((order) => `• ${describeOrder(order)}`),
+        ].join("\n"),
+        state: { awaiting: "order_number", pendingIntent: intent.name },
+      };
+    }
+
+    return this.askForOrderNumber(ctx, intent.name);
+  }
+}
+
+module.exports = new AssistantEngine();
+module.exports.AssistantEngine = AssistantEngine;
+module.exports.conversationStore = conversationStore;
+module.exports.normalizeText = normalizeText;
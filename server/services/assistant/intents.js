@@ -0,0 +1,267 @@
+const orderLookup = require("./order-lookup");
+
+const ORDER_STATUS_LABELS = {
+  new: "yeni alındı",
+  pending: "onay bekliyor",
+  processing: "hazırlanıyor",
+  shipped: "kargoya verildi",
+  in_transit: "yolda",
+  delivered: "teslim edildi",
+  cancelled: "iptal edildi",
+  returned: "iade edildi",
+  failed: "işlenemedi",
+  unknown: "güncelleniyor",
+  claim_created: "iade talebi oluşturuldu",
+  claim_approved: "iade talebi onaylandı",
+  claim_rejected: "iade talebi reddedildi",
+  refunded: "ücret iadesi yapıldı",
+  consolidated: "hazırlanıyor",
+  in_batch: "hazırlanıyor",
+};
+
+const SHIPMENT_STATUS_LABELS = {
+  created: "kargo firmasına teslim edilmeyi bekliyor",
+  in_transit: "yolda",
+  out_for_delivery: "dağıtıma çıktı",
+  delivered: "teslim edildi",
+  delivery_failed: "teslim edilemedi",
+  delivery_attempted: "teslim denemesi yapıldı",
+  on_hold: "kargo şubesinde bekliyor",
+  returned: "göndericiye iade edildi",
+  cancelled: "iptal edildi",
+};
+
+// Where customers start a return on each marketplace
+const RETURN_INSTRUCTIONS = {
+  trendyol: "Trendyol uygulamasında Siparişlerim > ilgili sipariş > İade Talebi Oluştur adımlarıyla",
+  hepsiburada: "Hepsiburada'da Hesabım > Siparişlerim > İade Talebi adımlarıyla",
+  n11: "n11'de Hesabım > Siparişlerim > İade/Değişim Talebi adımlarıyla",
+  amazon: "Amazon'da Siparişlerim > Ürünleri İade Et adımlarıyla",
+  ciceksepeti: "Çiçeksepeti'nde Hesabım > Siparişlerim > İade Talebi adımlarıyla",
+  pazarama: "Pazarama'da Hesabım > Siparişlerim > İade Talebi adımlarıyla",
+};
+
+const formatDate = (value) =>
+  value ? new Date(value).toLocaleDateString("tr-TR") : null;
+
+const describeOrder = (order) =>
+  `#${order.orderNumber} (${formatDate(order.orderDate)}, ${order.platform || order.platformType})`;
+
+const describeShipment = (shipment) => {
+  if (!shipment) {
+    return "Siparişiniz henüz kargoya verilmedi.";
+  }
+
+  const parts = [];
+  const status = SHIPMENT_STATUS_LABELS[shipment.status];
+  parts.push(
+    status
+      ? `Kargonuz ${status}.`
+      : `Kargonuz ${shipment.carrier || "kargo firmasına"} teslim edildi.`
+  );
+  if (shipment.carrier && shipment.trackingNumber) {
+    parts.push(`Kargo: ${shipment.carrier}, takip no: ${shipment.trackingNumber}.`);
+  }
+  if (shipment.currentLocation && shipment.status !== "delivered") {
+    parts.push(`Son konum: ${shipment.currentLocation}.`);
+  }
+  if (shipment.status === "delivered" && shipment.deliveredAt) {
+    parts.push(`Teslim tarihi: ${formatDate(shipment.deliveredAt)}.`);
+  } else if (shipment.estimatedDeliveryDate) {
+    parts.push(`Tahmini teslim: ${formatDate(shipment.estimatedDeliveryDate)}.`);
+  }
+  if (shipment.trackingUrl) {
+    parts.push(`Takip bağlantısı: ${shipment.trackingUrl}`);
+  }
+  return parts.join(" ");
+};
+
+const RETURN_REASONS = {
+  claim_pending: "Bu sipariş için açılmış bir iade talebiniz var ve inceleniyor.",
+  claim_approved: "Bu sipariş için iade talebiniz onaylandı.",
+  cancelled: "Bu sipariş iptal edildiği için iade talebi oluşturulamaz.",
+  returned: "Bu sipariş zaten iade edildi.",
+  refunded: "Bu siparişin ücret iadesi zaten yapıldı.",
+  failed: "Bu sipariş işlenemediği için iade talebi oluşturulamaz.",
+  not_delivered:
+    "Siparişiniz henüz teslim edilmedi. Teslim aldıktan sonra iade talebi oluşturabilirsiniz.",
+};
+
+/**
+ * Default intents of the assistant.
+ *
+ * Intent definition:
+ *   name       - Logged with every message
+ *   patterns   - Regular expressions tested against the message, lower case
+ *                and without Turkish diacritics
+ *   priority   - The highest priority matching intent handles the message
+ *   needsOrder - The engine resolves an order the verified customer may see
+ *                (ctx.order) before handle() runs
+ *   handle     - async (ctx) => { reply, handoff, state }
+ */
+module.exports = [
+  {
+    name: "human_handoff",
+    priority: 100,
+    patterns: [
+      /\b(temsilci|yetkili|operator|canli destek|musteri hizmetleri|insanla|gercek kisi)/,
+      /\b(agent|human|representative)\b/,
+    ],
+    handle: async () => ({
+      reply:
+        "Sizi bir müşteri temsilcimize aktarıyorum. En kısa sürede bu konuşma üzerinden size dönüş yapılacak.",
+      handoff: "customer_request",
+    }),
+  },
+  {
+    name: "return_policy",
+    priority: 40,
+    patterns: [
+      /iade.*(politika|kosul|sart|kac gun|suresi|nasil)/,
+      /(politika|kosul|sart).*iade/,
+      /return policy/,
+    ],
+    handle: async () => ({
+      reply: `Ürünleri teslim aldıktan sonra ${orderLookup.RETURN_WINDOW_DAYS} gün içinde iade edebilirsiniz. Belirli bir siparişin iadesi için sipariş numaranızı yazmanız yeterli.`,
+    }),
+  },
+  {
+    name: "shipping_info",
+    priority: 40,
+    patterns: [
+      /kargo.*(secenek|ucret|fiyat|ne kadar|kac gun|suresi)/,
+      /(shipping|delivery) (options|cost|time)/,
+    ],
+    handle: async () => ({
+      reply:
+        "Siparişler genellikle 1-3 iş günü içinde kargoya verilir ve kargo firmasına göre 1-5 iş günü içinde teslim edilir. Siparişinizin kargosunu sorgulamak için sipariş numaranızı yazabilirsiniz.",
+    }),
+  },
+  {
+    name: "order_list",
+    priority: 30,
+    patterns: [/siparislerim/, /(son|tum|butun) siparis/, /my orders/],
+    handle: async (ctx) => {
+      if (!ctx.isVerified) {
+        return ctx.askForOrderNumber("order_status");
+      }
+
+      const orders = await ctx.findVerifiedOrders();
+      if (orders.length === 0) {
+        return { reply: "Bilgilerinizle eşleşen bir sipariş bulamadık." };
+      }
+
+      return {
+        reply: [
+          "Son siparişleriniz:",
+          ...orders.map(
+            (order) =>
+              `• ${describeOrder(order)}: ${ORDER_STATUS_LABELS[order.orderStatus] || order.orderStatus}`
+          ),
+          "Detay için sipariş numarasını yazabilirsiniz.",
+        ].join("\n"),
+      };
+    },
+  },
+  {
+    name: "return_request",
+    priority: 20,
+    needsOrder: true,
+    patterns: [/\b(iade|geri gonder|degisim|return|refund)/, /para(mi|m)? (iade|geri)/],
+    handle: async (ctx) => {
+      const { order } = ctx;
+      const shipment = await orderLookup.getShipment(ctx.accountId, order);
+      const eligibility = await orderLookup.getReturnEligibility(
+        ctx.accountId,
+        order,
+        shipment
+      );
+
+      if (!eligibility.eligible) {
+        const reply =
+          eligibility.reason === "window_expired"
+            ? `#${order.orderNumber} numaralı siparişin iade süresi ${formatDate(eligibility.deadline)} tarihinde doldu.`
+            : `#${order.orderNumber}: ${RETURN_REASONS[eligibility.reason] || "Bu sipariş için iade talebi oluşturulamıyor."}`;
+        return { reply, entities: { returnEligible: false, reason: eligibility.reason } };
+      }
+
+      const instructions = RETURN_INSTRUCTIONS[order.platform];
+      if (!instructions) {
+        return {
+          reply: `#${order.orderNumber} numaralı siparişiniz ${formatDate(eligibility.deadline)} tarihine kadar iade edilebilir. İade talebinizi oluşturmak için sizi bir müşteri temsilcimize aktarıyorum.`,
+          handoff: "return_request",
+          entities: { returnEligible: true },
+        };
+      }
+
+      return {
+        reply: `#${order.orderNumber} numaralı siparişiniz ${formatDate(eligibility.deadline)} tarihine kadar iade edilebilir. İade talebinizi ${instructions} oluşturabilirsiniz.`,
+        entities: { returnEligible: true },
+      };
+    },
+  },
+  {
+    name: "shipment_tracking",
+    priority: 15,
+    needsOrder: true,
+    patterns: [/\b(kargo|takip|nerede|teslim|gonderi|paketim|track|shipment|where is)/],
+    handle: async (ctx) => {
+      const { order } = ctx;
+      const shipment = await orderLookup.getShipment(ctx.accountId, order);
+      // Orders shipped by the marketplace carry no tracking of their own
+      const description =
+        shipment || !["shipped", "in_transit", "delivered"].includes(order.orderStatus)
+          ? describeShipment(shipment)
+          : `Siparişiniz ${ORDER_STATUS_LABELS[order.orderStatus]}.`;
+      return {
+        reply: `#${order.orderNumber}: ${description}`,
+        entities: { shipmentStatus: shipment?.status || null },
+      };
+    },
+  },
+  {
+    name: "order_status",
+    priority: 10,
+    needsOrder: true,
+    patterns: [/\b(siparis|order|durum)/],
+    handle: async (ctx) => {
+      const { order } = ctx;
+      const status = ORDER_STATUS_LABELS[order.orderStatus] || order.orderStatus;
+      const lines = [`${describeOrder(order)} numaralı siparişiniz ${status}.`];
+
+      const items = await orderLookup.getOrderItems(order);
+      if (items.length > 0) {
+        lines.push(
+          `Ürünler: ${items.map((item) => `${item.quantity} x ${item.title}`).join(", ")}`
+        );
+      }
+
+      if (["shipped", "in_transit", "delivered"].includes(order.orderStatus)) {
+        const shipment = await orderLookup.getShipment(ctx.accountId, order);
+        lines.push(describeShipment(shipment));
+      }
+
+      return { reply: lines.join("\n") };
+    },
+  },
+  {
+    name: "greeting",
+    priority: 5,
+    patterns: [/\b(merhaba|selam|iyi gunler|iyi aksamlar|hello|hi)\b/],
+    handle: async (ctx) => ({
+      reply: `Merhaba${ctx.conversation.customerName ? ` ${ctx.conversation.customerName}` : ""}! Sipariş durumu, kargo takibi ve iade işlemleri için yardımcı olabilirim. Sipariş numaranızı yazarak başlayabilirsiniz.`,
+    }),
+  },
+  {
+    name: "thanks",
+    priority: 5,
+    patterns: [/\b(tesekkur|sagol|sag ol|thanks|thank you|gorusuruz)/],
+    handle: async () => ({
+      reply: "Rica ederim! Başka bir konuda yardımcı olabilirsem yazmanız yeterli.",
+    }),
+  },
+];
+
+module.exports.ORDER_STATUS_LABELS = ORDER_STATUS_LABELS;
+module.exports.describeOrder = describeOrder;
+module.exports.RETURN_INSTRUCTIONS = RETURN_INSTRUCTIONS;
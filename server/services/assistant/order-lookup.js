@@ -0,0 +1,241 @@
+const { Op } = require("sequelize");
+const logger = require("../../utils/logger");
+const { Order, OrderItem, ReturnClaim } = require("../../models");
+const shipmentTrackingService = require("../shipment-tracking-service");
+
+// Days after delivery within which a return can be started
+const RETURN_WINDOW_DAYS = parseInt(
+  process.env.ASSISTANT_RETURN_WINDOW_DAYS || "14",
+  10
+);
+
+// Stored tracking older than this is refreshed from the carrier
+const TRACKING_REFRESH_MINUTES = 15;
+
+const RECENT_ORDER_LIMIT = 5;
+
+const NON_RETURNABLE_STATUSES = ["cancelled", "returned", "refunded", "failed"];
+
+/**
+ * Last 10 digits of a Turkish phone number (5XXXXXXXXX), or null
+ */
+const normalizePhone = (value) => {
+  if (!value) return null;
+  const digits = String(value).replace(/\D/g, "");
+  return digits.length >= 10 ? digits.slice(-10) : null;
+};
+
+const normalizeEmail = (value) =>
+  value ? String(value).trim().toLowerCase() : null;
+
+/**
+ * Contact details a marketplace order was placed with. Platforms keep the
+ * phone in different places, so every known one is collected.
+ */
+const getOrderContacts = (order) => {
+  const phones = [
+    order.customerPhone,
+    order.customerInfo?.phone,
+    order.customerInfo?.gsm,
+    order.shippingAddress?.phone,
+    order.shippingAddress?.gsm,
+  ]
+    .map(normalizePhone)
+    .filter(Boolean);
+
+  const emails = [order.customerEmail, order.customerInfo?.email]
+    .map(normalizeEmail)
+    .filter(Boolean);
+
+  return { phones, emails };
+};
+
+/**
+ * Order, shipment and return lookups of the assistant. Every query is
+ * scoped to the account (seller) the conversation belongs to.
+ */
+class AssistantOrderLookup {
+  /**
+   * Find an order by any of the numbers a platform uses for it
+   * @param {string} accountId - Seller user ID
+   * @param {string} orderNumber - Order number as the customer wrote it
+   * @returns {Promise<Order|null>}
+   */
+  async findOrder(accountId, orderNumber) {
+    const number = String(orderNumber).replace(/^#/, "").trim();
+    if (!accountId || !number) return null;
+
+    return Order.findOne({
+      where: {
+        userId: accountId,
+        [Op.or]: [
+          { orderNumber: number },
+          { orderNumber: number.toUpperCase() },
+          { platformOrderId: number },
+          { externalOrderId: number },
+        ],
+      },
+      order: [["orderDate", "DESC"]],
+    });
+  }
+
+  async findOrderById(accountId, orderId) {
+    if (!accountId || !orderId) return null;
+    return Order.findOne({ where: { id: orderId, userId: accountId } });
+  }
+
+  /**
+   * Whether an order was placed with the given phone or email
+   */
+  matchesContact(order, { phone, email } = {}) {
+    const contacts = getOrderContacts(order);
+    return Boolean(
+      (phone && contacts.phones.includes(normalizePhone(phone))) ||
+        (email && contacts.emails.includes(normalizeEmail(email)))
+    );
+  }
+
+  /**
+   * Most recent orders placed with a verified phone or email, across all
+   * platforms of the account
+   */
+  async findOrdersByContact(accountId, { phone, email } = {}, limit = RECENT_ORDER_LIMIT) {
+    const normalizedPhone = normalizePhone(phone);
+    const normalizedEmail = normalizeEmail(email);
+    if (!accountId || (!normalizedPhone && !normalizedEmail)) return [];
+
+    const conditions = [];
+    if (normalizedPhone) {
+      // Phones are stored with spaces and prefixes as the platforms send them
+      conditions.push(
+        Order.sequelize.where(
+          Order.sequelize.fn(
+            "regexp_replace",
+            Order.sequelize.col("customerPhone"),
+            "[^0-9]",
+            "",
+            "g"
+          ),
+          { [Op.like]: `%${normalizedPhone}` }
+        )
+      );
+    }
+    if (normalizedEmail) {
+      conditions.push(
+        Order.sequelize.where(
+          Order.sequelize.fn("lower", Order.sequelize.col("customerEmail")),
+          normalizedEmail
+        )
+      );
+    }
+
+    return Order.findAll({
+      where: { userId: accountId, [Op.or]: conditions },
+      order: [["orderDate", "DESC"]],
+      limit,
+    });
+  }
+
+  async getOrderItems(order) {
+    return OrderItem.findAll({
+      where: { orderId: order.id },
+      attributes: ["title", "quantity", "price"],
+    });
+  }
+
+  /**
+   * Shipment of an order, refreshed from the carrier when the stored
+   * tracking is stale. Falls back to the tracking number the marketplace
+   * sent with the order.
+   * @returns {Promise<Object|null>}
+   */
+  async getShipment(accountId, order) {
+    let tracking = await shipmentTrackingService.getTracking(accountId, order.id);
+
+    const isOpen =
+      tracking &&
+      shipmentTrackingService.OPEN_SHIPMENT_STATUSES.includes(tracking.status);
+    const isStale =
+      !tracking?.lastTrackedAt ||
+      Date.now() - new Date(tracking.lastTrackedAt).getTime() >
+        TRACKING_REFRESH_MINUTES * 60 * 1000;
+
+    if (isOpen && isStale) {
+      try {
+        await shipmentTrackingService.syncShipments(accountId, {
+          orderIds: [order.id],
+          limit: 1,
+        });
+        tracking = await shipmentTrackingService.getTracking(accountId, order.id);
+      } catch (error) {
+        // The stored tracking is still worth answering with
+        logger.warn(`Live tracking failed for order ${order.orderNumber}: ${error.message}`);
+      }
+    }
+
+    if (tracking) return tracking;
+
+    if (order.cargoTrackingNumber) {
+      return {
+        orderId: order.id,
+        orderNumber: order.orderNumber,
+        carrier: order.cargoCompany,
+        trackingNumber: order.cargoTrackingNumber,
+        trackingUrl: order.cargoTrackingUrl || order.cargoTrackingLink,
+        status: null,
+        events: [],
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Whether a return can still be started for an order
+   * @returns {Promise<Object>} { eligible, reason, deadline, claim }
+   */
+  async getReturnEligibility(accountId, order, shipment = null) {
+    const claim = await ReturnClaim.findOne({
+      where: {
+        userId: accountId,
+        orderId: order.id,
+        status: { [Op.in]: ["pending", "approved"] },
+      },
+      order: [["claimDate", "DESC"]],
+    });
+
+    if (claim) {
+      return {
+        eligible: false,
+        reason: claim.status === "pending" ? "claim_pending" : "claim_approved",
+        claim,
+      };
+    }
+
+    if (NON_RETURNABLE_STATUSES.includes(order.orderStatus)) {
+      return { eligible: false, reason: order.orderStatus };
+    }
+
+    const deliveredAt =
+      shipment?.deliveredAt ||
+      (order.orderStatus === "delivered" ? order.updatedAt : null);
+
+    if (!deliveredAt) {
+      return { eligible: false, reason: "not_delivered" };
+    }
+
+    const deadline = new Date(
+      new Date(deliveredAt).getTime() + RETURN_WINDOW_DAYS * 24 * 60 * 60 * 1000
+    );
+
+    return deadline >= new Date()
+      ? { eligible: true, reason: "within_window", deadline }
+      : { eligible: false, reason: "window_expired", deadline };
+  }
+}
+
+module.exports = new AssistantOrderLookup();
+module.exports.normalizePhone = normalizePhone;
+module.exports.normalizeEmail = normalizeEmail;
+module.exports.getOrderContacts = getOrderContacts;
+module.exports.RETURN_WINDOW_DAYS = RETURN_WINDOW_DAYS;
@@ -8,6 +8,96 @@
 const logger = require("../utils/logger");
 const backgroundVariantDetectionService = require("../services/background-variant-detection-service");
 const { taskQueueManager } = require("../services/TaskQueueManager");
+const { taskScheduler } = require("../services/TaskScheduler");
+const { shipmentTrackingPoller } = require("../services/ShipmentTrackingPoller");
+const {
+  subscriptionBillingScheduler,
+} = require("../services/SubscriptionBillingScheduler");
+const {
+  whatsappNotificationScheduler,
+} = require("../services/WhatsAppNotificationScheduler");
+const {
+  questionAutoAnswerScheduler,
+} = require("../services/QuestionAutoAnswerScheduler");
+const { questionSlaScheduler } = require("../services/QuestionSlaScheduler");
+const {
+  customerSegmentationScheduler,
+} = require("../services/CustomerSegmentationScheduler");
+const { campaignScheduler } = require("../services/CampaignScheduler");
+const {
+  eDocumentStatusPoller,
+} = require("../services/EDocumentStatusPoller");
+const {
+  invoiceAutomationScheduler,
+} = require("../services/InvoiceAutomationScheduler");
+
+// Interval schedulers in start order: service name, the variable that
+// disables the scheduler and the message a reported round is logged with
+const INTERVAL_SCHEDULERS = [
+  // Carrier tracking for open shipments
+  {
+    name: "shipment-tracking",
+    scheduler: shipmentTrackingPoller,
+    enabledEnv: "SHIPMENT_TRACKING_ENABLED",
+    roundMessage: "Shipment tracking round completed",
+  },
+  // Subscription renewals, retries and trial expiry
+  {
+    name: "subscription-billing",
+    scheduler: subscriptionBillingScheduler,
+    enabledEnv: "SUBSCRIPTION_BILLING_ENABLED",
+    roundMessage: "Subscription billing round completed",
+  },
+  // WhatsApp order notifications
+  {
+    name: "whatsapp-notifications",
+    scheduler: whatsappNotificationScheduler,
+    enabledEnv: "WHATSAPP_NOTIFICATIONS_ENABLED",
+    roundMessage: "WhatsApp notification round completed",
+  },
+  // Marketplace question auto-answering
+  {
+    name: "question-auto-answer",
+    scheduler: questionAutoAnswerScheduler,
+    enabledEnv: "QUESTION_AUTO_ANSWER_ENABLED",
+    roundMessage: "Question auto-answer round completed",
+  },
+  // Question deadline tracking, assignment and escalation
+  {
+    name: "question-sla",
+    scheduler: questionSlaScheduler,
+    enabledEnv: "QUESTION_SLA_ENABLED",
+    roundMessage: "Question SLA round completed",
+  },
+  // Nightly RFM segmentation and lifetime value scoring
+  {
+    name: "customer-segmentation",
+    scheduler: customerSegmentationScheduler,
+    enabledEnv: "CUSTOMER_SEGMENTATION_ENABLED",
+    roundMessage: "Customer segmentation round completed",
+  },
+  // Scheduled and interrupted campaign deliveries
+  {
+    name: "campaign-scheduler",
+    scheduler: campaignScheduler,
+    enabledEnv: "CAMPAIGN_SCHEDULER_ENABLED",
+    roundMessage: "Campaign scheduler round completed",
+  },
+  // GİB status polling for sent e-documents
+  {
+    name: "e-document-status-poller",
+    scheduler: eDocumentStatusPoller,
+    enabledEnv: "E_DOCUMENT_STATUS_POLLER_ENABLED",
+    roundMessage: "E-document status round completed",
+  },
+  // Automatic invoicing of shipped orders
+  {
+    name: "invoice-automation-scheduler",
+    scheduler: invoiceAutomationScheduler,
+    enabledEnv: "INVOICE_AUTOMATION_ENABLED",
+    roundMessage: "Invoice automation round completed",
+  },
+];
 
 class BackgroundServicesManager {
   constructor() {
@@ -30,6 +120,14 @@ class BackgroundServicesManager {
       // Start task queue manager first
       await this.startTaskQueueManager();
 
+      // Start recurring task scheduler (feeds the task queue)
+      await this.startTaskScheduler();
+
+      // Start the interval schedulers
+      for (const entry of INTERVAL_SCHEDULERS) {
+        await this.startIntervalScheduler(entry);
+      }
+
       // Start variant detection service
       await this.startVariantDetectionService();
 
@@ -103,6 +201,69 @@ class BackgroundServicesManager {
     }
   }
 
+  /**
+   * Start the recurring task scheduler
+   */
+  async startTaskScheduler() {
+    try {
+      logger.info("Starting task scheduler...");
+
+      taskScheduler.start();
+
+      this.services.push({
+        name: "task-scheduler",
+        service: taskScheduler,
+        startedAt: new Date(),
+      });
+
+      taskScheduler.on("scheduleTriggered", (scheduleId, taskId) => {
+        logger.info("Scheduled task queued", { scheduleId, taskId });
+      });
+
+      taskScheduler.on("scheduleSkipped", (scheduleId, details) => {
+        logger.info("Scheduled run skipped", { scheduleId, ...details });
+      });
+    } catch (error) {
+      logger.error("Error starting task scheduler:", {
+        error: error.message,
+        stack: error.stack,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Start an interval scheduler unless its ENABLED variable is "false"
+   */
+  async startIntervalScheduler({ name, scheduler, enabledEnv, roundMessage }) {
+    if (process.env[enabledEnv] === "false") {
+      logger.info(`${scheduler.name} disabled by configuration`);
+      return;
+    }
+
+    try {
+      logger.info(`Starting ${scheduler.name}...`);
+
+      scheduler.start();
+
+      this.services.push({
+        name,
+        service: scheduler,
+        startedAt: new Date(),
+      });
+
+      scheduler.on("tickCompleted", (stats) => {
+        logger.info(roundMessage, stats);
+      });
+    } catch (error) {
+      logger.error(`Error starting ${scheduler.name}:`, {
+        error: error.message,
+        stack: error.stack,
+      });
+      throw error;
+    }
+  }
+
   /**
    * Start the variant detection service
    */
@@ -0,0 +1,923 @@
+const crypto = require("crypto");
+const Handlebars = require("handlebars");
+const mjml2html = require("mjml");
+const { Op, Sequelize } = require("sequelize");
+const {
+  Campaign,
+  CampaignRecipient,
+  CampaignEvent,
+  Customer,
+  EmailTemplate,
+  Order,
+  OrderItem,
+} = require("../models");
+const emailService = require("./emailService");
+const customerSegmentation = require("./customer-segmentation-service");
+const logger = require("../utils/logger");
+
+const { EXCLUDED_ORDER_STATUSES } = customerSegmentation;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Orders placed this many days after a campaign email count as its conversions
+const ATTRIBUTION_DAYS = parseInt(
+  process.env.CAMPAIGN_ATTRIBUTION_DAYS || "7",
+  10
+);
+
+const RECIPIENT_BATCH_SIZE = 100;
+
+// Campaigns in these states can be (re)started
+const DELIVERABLE_STATUSES = ["draft", "scheduled", "sending", "failed"];
+
+// 1x1 transparent GIF
+const TRACKING_PIXEL = Buffer.from(
+  "R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7",
+  "base64"
+);
+
+const serviceError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Template helpers available to every campaign and automation email
+const handlebars = Handlebars.create();
+handlebars.registerHelper("formatCurrency", (value, currency) =>
+  new Intl.NumberFormat("tr-TR", {
+    style: "currency",
+    currency: typeof currency === "string" ? currency : "TRY",
+  }).format(Number(value) || 0)
+);
+handlebars.registerHelper("formatDate", (value) =>
+  value ? new Date(value).toLocaleDateString("tr-TR") : ""
+);
+
+const isMjml = (content) => /^\s*<mjml[\s>]/i.test(content);
+
+// Handlebars escapes "=" and quotes in variables placed inside attributes
+const decodeAttribute = (value) =>
+  value
+    .replace(/&#x3D;/g, "=")
+    .replace(/&#x27;/g, "'")
+    .replace(/&quot;/g, '"')
+    .replace(/&amp;/g, "&");
+
+/**
+ * Campaign Delivery Service
+ * Renders campaign emails from Handlebars or MJML templates with customer
+ * and order variables, sends them through the throttled bulk queue of the
+ * email service, tracks opens, clicks and unsubscribes and attributes later
+ * orders to the campaign. Only customers with marketing consent receive
+ * campaign and automation emails.
+ */
+class CampaignDeliveryService {
+  constructor() {
+    this.activeCampaigns = new Set();
+    this.warnedDefaultSecret = false;
+  }
+
+  getTrackingBaseUrl() {
+    const serverUrl = process.env.SERVER_BASE_URL || "http://localhost:5001";
+    return `${serverUrl.replace(/\/$/, "")}/api/marketing`;
+  }
+
+  getSecret() {
+    const secret =
+      process.env.CAMPAIGN_TRACKING_SECRET || process.env.JWT_SECRET;
+    if (secret) {
+      return secret;
+    }
+
+    if (process.env.NODE_ENV === "production") {
+      throw new Error(
+        "CAMPAIGN_TRACKING_SECRET or JWT_SECRET environment variable is required in production"
+      );
+    }
+    if (!this.warnedDefaultSecret) {
+      logger.warn("⚠️ Using default campaign tracking secret - CHANGE IN PRODUCTION!");
+      this.warnedDefaultSecret = true;
+    }
+    return "dev-secret-change-in-production";
+  }
+
+  sign(value) {
+    return crypto
+      .createHmac("sha256", this.getSecret())
+      .update(value)
+      .digest("base64url")
+      .slice(0, 22);
+  }
+
+  verify(value, signature) {
+    const expected = Buffer.from(this.sign(value));
+    const received = Buffer.from(String(signature || ""));
+    return (
+      expected.length === received.length &&
+      crypto.timingSafeEqual(expected, received)
+    );
+  }
+
+  /**
+   * Unsubscribe link of a customer. The token is signed so customer ids
+   * cannot be guessed; the recipient token attributes it to a campaign.
+   */
+  getUnsubscribeUrl(customerId, recipientToken = null) {
+    const token = `${customerId}.${this.sign(`unsubscribe:${customerId}`)}`;
+    const url = `${this.getTrackingBaseUrl()}/unsubscribe/${token}`;
+    return recipientToken ? `${url}?r=${recipientToken}` : url;
+  }
+
+  parseUnsubscribeToken(token) {
+    const [customerId, signature] = String(token).split(".");
+    if (!/^\d+$/.test(customerId)) return null;
+    return this.verify(`unsubscribe:${customerId}`, signature)
+      ? parseInt(customerId, 10)
+      : null;
+  }
+
+  getClickUrl(recipientToken, url) {
+    const params = new URLSearchParams({
+      url,
+      sig: this.sign(`${recipientToken}:${url}`),
+    });
+    return `${this.getTrackingBaseUrl()}/track/click/${recipientToken}?${params}`;
+  }
+
+  getOpenUrl(recipientToken) {
+    return `${this.getTrackingBaseUrl()}/track/open/${recipientToken}.gif`;
+  }
+
+  /**
+   * Compile a subject and a Handlebars HTML or MJML body. MJML is turned
+   * into HTML first, so Handlebars blocks must sit inside mj-text or
+   * mj-raw to survive.
+   */
+  async compile(subject, content) {
+    let html = content;
+    if (isMjml(content)) {
+      const result = await mjml2html(content, { validationLevel: "soft" });
+      if (result.errors && result.errors.length) {
+        logger.warn("MJML template has errors", {
+          errors: result.errors.map((error) => error.formattedMessage),
+        });
+      }
+      html = result.html;
+    }
+
+    try {
+      // compile() is lazy; parse now so syntax errors surface as a 400
+      handlebars.parse(subject);
+      handlebars.parse(html);
+      return {
+        subject: handlebars.compile(subject, { noEscape: true }),
+        html: handlebars.compile(html),
+      };
+    } catch (error) {
+      throw serviceError(`Invalid email template: ${error.message}`, 400);
+    }
+  }
+
+  async compileCampaign(campaign) {
+    let { subject, content } = campaign;
+
+    if (campaign.templateId) {
+      const template = await EmailTemplate.findByPk(campaign.templateId);
+      if (!template) {
+        throw serviceError("Campaign template not found", 400);
+      }
+      subject = subject || template.subject;
+      content = template.content;
+    }
+    if (!content) {
+      throw serviceError("Campaign has no content or template", 400);
+    }
+
+    return this.compile(subject, content);
+  }
+
+  /**
+   * Last order of each email, with its items, for template variables
+   */
+  async getLastOrders(emails) {
+    if (!emails.length) return new Map();
+
+    const orders = await Order.findAll({
+      attributes: [
+        "id",
+        "customerEmail",
+        "orderNumber",
+        "orderDate",
+        "totalAmount",
+        "currency",
+        "platform",
+      ],
+      where: {
+        [Op.and]: [
+          Sequelize.where(
+            Sequelize.fn("lower", Sequelize.col("Order.customerEmail")),
+            { [Op.in]: emails.map((email) => email.toLowerCase()) }
+          ),
+        ],
+        orderStatus: { [Op.notIn]: EXCLUDED_ORDER_STATUSES },
+      },
+      include: [
+        {
+          model: OrderItem,
+          as: "items",
+          attributes: ["title", "quantity", "price"],
+        },
+      ],
+      order: [["orderDate", "DESC"]],
+    });
+
+    const lastOrders = new Map();
+    orders.forEach((order) => {
+      const email = order.customerEmail.toLowerCase();
+      if (!lastOrders.has(email)) lastOrders.set(email, order);
+    });
+    return lastOrders;
+  }
+
+  buildVariables(customer, lastOrder, extra = {}) {
+    const name = customer.name || "";
+    return {
+      customer: {
+        name,
+        firstName: name.split(" ")[0],
+        email: customer.email,
+        totalOrders: customer.totalOrders,
+        totalSpent: customer.totalSpent,
+        segment: customer.rfmSegment,
+      },
+      lastOrder: lastOrder
+        ? {
+            orderNumber: lastOrder.orderNumber,
+            orderDate: lastOrder.orderDate,
+            totalAmount: lastOrder.totalAmount,
+            currency: lastOrder.currency,
+            platform: lastOrder.platform,
+            items: (lastOrder.items || []).map((item) => ({
+              title: item.title,
+              quantity: item.quantity,
+              price: item.price,
+            })),
+          }
+        : null,
+      // Names used by the first automation templates
+      customerName: name,
+      customerEmail: customer.email,
+      ...extra,
+    };
+  }
+
+  /**
+   * Render one email. Links are routed through click tracking when a
+   * recipient token is given, and an unsubscribe link is always present.
+   */
+  renderMessage(compiled, variables, { recipientToken = null } = {}) {
+    const subject = compiled.subject(variables);
+    let html = compiled.html(variables);
+
+    if (!html.includes(variables.unsubscribeUrl.split("?")[0])) {
+      const footer = `<p style="font-size:12px;color:#888;text-align:center;margin-top:24px;">Bu e-postaları almak istemiyorsanız <a href="${variables.unsubscribeUrl}">abonelikten çıkabilirsiniz</a>.</p>`;
+      html = html.includes("</body>")
+        ? html.replace("</body>", `${footer}</body>`)
+        : html + footer;
+    }
+
+    if (recipientToken) {
+      const baseUrl = this.getTrackingBaseUrl();
+      // Only anchors; MJML also emits <link href> for its web fonts
+      html = html.replace(
+        /(<a\b[^>]*?\shref=")(https?:\/\/[^"]+)"/gi,
+        (match, prefix, href) => {
+          const url = decodeAttribute(href);
+          if (url.startsWith(baseUrl)) return match;
+          return `${prefix}${this.getClickUrl(recipientToken, url).replace(
+            /&/g,
+            "&amp;"
+          )}"`;
+        }
+      );
+
+      const pixel = `<img src="${this.getOpenUrl(
+        recipientToken
+      )}" width="1" height="1" alt="" style="display:none;" />`;
+      html = html.includes("</body>")
+        ? html.replace("</body>", `${pixel}</body>`)
+        : html + pixel;
+    }
+
+    return {
+      subject,
+      html,
+      headers: {
+        "List-Unsubscribe": `<${variables.unsubscribeUrl}>`,
+        "List-Unsubscribe-Post": "List-Unsubscribe=One-Click",
+      },
+    };
+  }
+
+  /**
+   * Preview a template with a customer's data, or sample data
+   */
+  async preview({ subject, content, customerId }) {
+    const compiled = await this.compile(subject || "", content || "");
+    const customer = customerId
+      ? await Customer.findByPk(customerId)
+      : {
+          id: 0,
+          name: "Ayşe Yılmaz",
+          email: "ayse@example.com",
+          totalOrders: 3,
+          totalSpent: 1250,
+          rfmSegment: "loyal",
+        };
+    if (!customer) {
+      throw serviceError("Customer not found", 404);
+    }
+
+    const lastOrders = customerId
+      ? await this.getLastOrders([customer.email])
+      : new Map();
+    const variables = this.buildVariables(
+      customer,
+      lastOrders.get(customer.email.toLowerCase()),
+      { unsubscribeUrl: this.getUnsubscribeUrl(customer.id) }
+    );
+    return this.renderMessage(compiled, variables);
+  }
+
+  /**
+   * Consenting customers of the campaign's segments become its recipients
+   */
+  async prepareRecipients(campaign) {
+    const audience = await customerSegmentation.getAudience(
+      campaign.segmentIds,
+      {
+        attributes: ["id", "email"],
+        where: { marketingEmailConsent: true },
+      }
+    );
+
+    const recipients = audience
+      .filter((customer) => customer.email)
+      .map((customer) => ({
+        campaignId: campaign.id,
+        customerId: customer.id,
+        email: customer.email,
+        token: crypto.randomBytes(16).toString("hex"),
+      }));
+
+    for (let i = 0; i < recipients.length; i += RECIPIENT_BATCH_SIZE) {
+      await CampaignRecipient.bulkCreate(
+        recipients.slice(i, i + RECIPIENT_BATCH_SIZE),
+        { ignoreDuplicates: true }
+      );
+    }
+    return recipients.length;
+  }
+
+  async countRecipients(campaignId) {
+    const rows = await CampaignRecipient.findAll({
+      attributes: [
+        "status",
+        [Sequelize.fn("COUNT", Sequelize.col("id")), "count"],
+      ],
+      where: { campaignId },
+      group: ["status"],
+      raw: true,
+    });
+
+    const counts = { total: 0, pending: 0, sent: 0, failed: 0, skipped: 0 };
+    rows.forEach((row) => {
+      counts[row.status] = parseInt(row.count, 10);
+      counts.total += counts[row.status];
+    });
+    return counts;
+  }
+
+  /**
+   * Send a campaign to its pending recipients. Picks up where it left off
+   * when the campaign was interrupted.
+   * @returns {Object|null} Recipient counts, null when it is already being sent
+   */
+  async deliver(campaignId) {
+    const id = parseInt(campaignId, 10);
+    if (this.activeCampaigns.has(id)) {
+      return null;
+    }
+    this.activeCampaigns.add(id);
+
+    let campaign;
+    try {
+      campaign = await Campaign.findByPk(id);
+      if (!campaign) {
+        throw serviceError("Campaign not found", 404);
+      }
+      if (!DELIVERABLE_STATUSES.includes(campaign.status)) {
+        throw serviceError(`Campaign is already ${campaign.status}`, 409);
+      }
+
+      const compiled = await this.compileCampaign(campaign);
+
+      if (campaign.status !== "sending") {
+        await this.prepareRecipients(campaign);
+        await campaign.update({
+          status: "sending",
+          sentAt: campaign.sentAt || new Date(),
+        });
+      }
+
+      logger.info(`Delivering campaign ${campaign.name}`, { campaignId: id });
+
+      let lastId = 0;
+      for (;;) {
+        // Stop between batches when the campaign was cancelled
+        await campaign.reload({ attributes: ["id", "status"] });
+        if (campaign.status !== "sending") {
+          logger.info(`Campaign ${id} stopped with status ${campaign.status}`);
+          return this.countRecipients(id);
+        }
+
+        const batch = await CampaignRecipient.findAll({
+          where: { campaignId: id, status: "pending", id: { [Op.gt]: lastId } },
+          include: [{ model: Customer, as: "customer" }],
+          order: [["id", "ASC"]],
+          limit: RECIPIENT_BATCH_SIZE,
+        });
+        if (!batch.length) break;
+        lastId = batch[batch.length - 1].id;
+
+        const lastOrders = await this.getLastOrders(
+          batch.map((recipient) => recipient.email)
+        );
+
+        for (const recipient of batch) {
+          const { customer } = recipient;
+
+          // Consent can be withdrawn between scheduling and sending
+          if (!customer || !customer.marketingEmailConsent) {
+            await recipient.update({ status: "skipped" });
+            continue;
+          }
+
+          try {
+            const variables = this.buildVariables(
+              customer,
+              lastOrders.get(recipient.email.toLowerCase()),
+              {
+                campaign: { name: campaign.name },
+                unsubscribeUrl: this.getUnsubscribeUrl(
+                  customer.id,
+                  recipient.token
+                ),
+              }
+            );
+            const message = this.renderMessage(compiled, variables, {
+              recipientToken: recipient.token,
+            });
+
+            const result = await emailService.sendBulkEmail(
+              recipient.email,
+              message.subject,
+              message.html,
+              null,
+              { headers: message.headers }
+            );
+
+            await recipient.update({
+              status: "sent",
+              sentAt: new Date(),
+              messageId: result.messageId,
+              error: null,
+            });
+          } catch (error) {
+            logger.error(`Failed to send campaign to ${recipient.email}:`, {
+              campaignId: id,
+              error: error.message,
+            });
+            await recipient.update({ status: "failed", error: error.message });
+          }
+        }
+      }
+
+      const counts = await this.countRecipients(id);
+      await Campaign.update(
+        {
+          status: "sent",
+          recipientCount: counts.total,
+          sentCount: counts.sent,
+          failedCount: counts.failed,
+        },
+        { where: { id } }
+      );
+
+      logger.info(
+        `Campaign ${campaign.name} sent to ${counts.sent} recipients, ${counts.failed} failed`
+      );
+      return counts;
+    } catch (error) {
+      // A campaign that cannot be rendered would fail on every retry
+      if (campaign && error.statusCode !== 409) {
+        await Campaign.update({ status: "failed" }, { where: { id } });
+      }
+      throw error;
+    } finally {
+      this.activeCampaigns.delete(id);
+    }
+  }
+
+  /**
+   * Send a named template to one customer, for automation rules
+   * @returns {boolean} Whether the email was sent
+   */
+  async sendTemplateEmail(customerId, templateName, data = {}) {
+    const customer = await Customer.findByPk(customerId);
+    if (!customer || !customer.email) return false;
+
+    if (!customer.marketingEmailConsent) {
+      logger.info(`Skipping ${templateName} for customer without consent`, {
+        customerId,
+      });
+      return false;
+    }
+
+    const template = await EmailTemplate.findOne({
+      where: { name: templateName },
+    });
+    if (!template) {
+      logger.warn(`Email template ${templateName} not found`);
+      return false;
+    }
+
+    const compiled = await this.compile(template.subject, template.content);
+    const lastOrders = await this.getLastOrders([customer.email]);
+    const message = this.renderMessage(
+      compiled,
+      this.buildVariables(
+        customer,
+        lastOrders.get(customer.email.toLowerCase()),
+        { ...data, unsubscribeUrl: this.getUnsubscribeUrl(customer.id) }
+      )
+    );
+
+    await emailService.sendEmail(
+      customer.email,
+      message.subject,
+      message.html,
+      null,
+      { headers: message.headers }
+    );
+    return true;
+  }
+
+  async recordOpen(token) {
+    const recipient = await CampaignRecipient.findOne({ where: { token } });
+    if (!recipient) return;
+
+    const now = new Date();
+    await recipient.update({
+      openedAt: recipient.openedAt || now,
+      openCount: recipient.openCount + 1,
+    });
+    await CampaignEvent.create({
+      campaignId: recipient.campaignId,
+      recipientId: recipient.id,
+      type: "open",
+      occurredAt: now,
+    });
+  }
+
+  /**
+   * Record a click and return the link target, or null when the link was
+   * not issued by us
+   */
+  async recordClick(token, url, signature) {
+    if (!url || !this.verify(`${token}:${url}`, signature)) {
+      return null;
+    }
+
+    const recipient = await CampaignRecipient.findOne({ where: { token } });
+    if (recipient) {
+      const now = new Date();
+      // A click means the email was opened, even with images blocked
+      await recipient.update({
+        openedAt: recipient.openedAt || now,
+        clickedAt: recipient.clickedAt || now,
+        clickCount: recipient.clickCount + 1,
+      });
+      await CampaignEvent.create({
+        campaignId: recipient.campaignId,
+        recipientId: recipient.id,
+        type: "click",
+        url,
+        occurredAt: now,
+      });
+    }
+    return url;
+  }
+
+  /**
+   * Withdraw a customer's marketing consent from an unsubscribe link
+   * @returns {boolean} Whether the token was valid
+   */
+  async unsubscribe(token, recipientToken = null) {
+    const customerId = this.parseUnsubscribeToken(token);
+    if (!customerId) return false;
+
+    await this.setMarketingConsent(customerId, false, "unsubscribe_link");
+
+    if (recipientToken) {
+      const recipient = await CampaignRecipient.findOne({
+        where: { token: recipientToken, customerId },
+      });
+      if (recipient && !recipient.unsubscribedAt) {
+        const now = new Date();
+        await recipient.update({ unsubscribedAt: now });
+        await CampaignEvent.create({
+          campaignId: recipient.campaignId,
+          recipientId: recipient.id,
+          type: "unsubscribe",
+          occurredAt: now,
+        });
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Grant or withdraw marketing consent. Records merged into the customer
+   * follow, so the same person is not mailed under another address.
+   */
+  async setMarketingConsent(customerId, consent, source) {
+    const customer = await Customer.findByPk(customerId);
+    if (!customer) {
+      throw serviceError("Customer not found", 404);
+    }
+
+    const now = new Date();
+    const fields = consent
+      ? {
+          marketingEmailConsent: true,
+          marketingConsentSource: source,
+          marketingConsentAt: now,
+          marketingUnsubscribedAt: null,
+        }
+      : {
+          marketingEmailConsent: false,
+          marketingUnsubscribedAt: now,
+        };
+
+    const canonicalId = customer.mergedIntoId || customer.id;
+    await Customer.update(fields, {
+      where: {
+        [Op.or]: [{ id: canonicalId }, { mergedIntoId: canonicalId }],
+      },
+    });
+
+    logger.info(
+      `Marketing consent ${consent ? "granted" : "withdrawn"} for customer ${canonicalId}`,
+      { source }
+    );
+    return customer.reload();
+  }
+
+  /**
+   * Orders placed by recipients within the attribution window after their
+   * email. When a customer got a later campaign before ordering, the later
+   * campaign gets the order.
+   */
+  async getConversions(campaign) {
+    const recipients = await CampaignRecipient.findAll({
+      attributes: ["customerId", "email", "sentAt", "clickedAt"],
+      where: { campaignId: campaign.id, status: "sent" },
+      raw: true,
+    });
+    const empty = {
+      orders: 0,
+      revenue: 0,
+      customers: 0,
+      fromClicks: 0,
+      attributionDays: ATTRIBUTION_DAYS,
+    };
+    if (!recipients.length) return empty;
+
+    const byCustomer = new Map(
+      recipients.map((recipient) => [recipient.customerId, recipient])
+    );
+
+    // Orders under the addresses of merged records belong to the customer
+    const merged = await Customer.findAll({
+      attributes: ["email", "mergedIntoId"],
+      where: { mergedIntoId: { [Op.in]: [...byCustomer.keys()] } },
+      raw: true,
+    });
+    const customerByEmail = new Map();
+    recipients.forEach((recipient) =>
+      customerByEmail.set(recipient.email.toLowerCase(), recipient.customerId)
+    );
+    merged.forEach((customer) =>
+      customerByEmail.set(customer.email.toLowerCase(), customer.mergedIntoId)
+    );
+
+    const sentTimes = recipients.map((recipient) =>
+      new Date(recipient.sentAt).getTime()
+    );
+    const firstSent = new Date(Math.min(...sentTimes));
+    const windowEnd = new Date(Math.max(...sentTimes) + ATTRIBUTION_DAYS * DAY);
+
+    const orders = await Order.findAll({
+      attributes: ["id", "customerEmail", "orderDate", "totalAmount"],
+      where: {
+        [Op.and]: [
+          Sequelize.where(
+            Sequelize.fn("lower", Sequelize.col("customerEmail")),
+            { [Op.in]: [...customerByEmail.keys()] }
+          ),
+        ],
+        orderDate: { [Op.between]: [firstSent, windowEnd] },
+        orderStatus: { [Op.notIn]: EXCLUDED_ORDER_STATUSES },
+      },
+      raw: true,
+    });
+    if (!orders.length) return empty;
+
+    const laterSends = await CampaignRecipient.findAll({
+      attributes: ["customerId", "sentAt"],
+      where: {
+        campaignId: { [Op.ne]: campaign.id },
+        customerId: { [Op.in]: [...byCustomer.keys()] },
+        status: "sent",
+        sentAt: { [Op.between]: [firstSent, windowEnd] },
+      },
+      raw: true,
+    });
+
+    const result = { ...empty };
+    const customers = new Set();
+    orders.forEach((order) => {
+      const customerId = customerByEmail.get(order.customerEmail.toLowerCase());
+      const recipient = byCustomer.get(customerId);
+      const orderDate = new Date(order.orderDate);
+      const sentAt = new Date(recipient.sentAt);
+
+      if (orderDate < sentAt || orderDate - sentAt > ATTRIBUTION_DAYS * DAY) {
+        return;
+      }
+      const superseded = laterSends.some(
+        (send) =>
+          send.customerId === customerId &&
+          new Date(send.sentAt) > sentAt &&
+          new Date(send.sentAt) <= orderDate
+      );
+      if (superseded) return;
+
+      result.orders += 1;
+      result.revenue += Number(order.totalAmount) || 0;
+      customers.add(customerId);
+      if (recipient.clickedAt && new Date(recipient.clickedAt) <= orderDate) {
+        result.fromClicks += 1;
+      }
+    });
+
+    result.revenue = Math.round(result.revenue * 100) / 100;
+    result.customers = customers.size;
+    return result;
+  }
+
+  /**
+   * Delivery, engagement and conversion report of a campaign
+   */
+  async getReport(campaignId) {
+    const campaign = await Campaign.findByPk(campaignId);
+    if (!campaign) {
+      throw serviceError("Campaign not found", 404);
+    }
+
+    const recipients = await this.countRecipients(campaign.id);
+    const [engagement] = await CampaignRecipient.findAll({
+      attributes: [
+        [Sequelize.fn("COUNT", Sequelize.col("openedAt")), "opened"],
+        [Sequelize.fn("SUM", Sequelize.col("openCount")), "opens"],
+        [Sequelize.fn("COUNT", Sequelize.col("clickedAt")), "clicked"],
+        [Sequelize.fn("SUM", Sequelize.col("clickCount")), "clicks"],
+        [Sequelize.fn("COUNT", Sequelize.col("unsubscribedAt")), "unsubscribed"],
+      ],
+      where: { campaignId: campaign.id },
+      raw: true,
+    });
+    const links = await CampaignEvent.findAll({
+      attributes: [
+        "url",
+        [Sequelize.fn("COUNT", Sequelize.col("id")), "clicks"],
+        [
+          Sequelize.fn(
+            "COUNT",
+            Sequelize.fn("DISTINCT", Sequelize.col("recipientId"))
+          ),
+          "uniqueClicks",
+        ],
+      ],
+      where: { campaignId: campaign.id, type: "click" },
+      group: ["url"],
+      order: [[Sequelize.literal('"clicks"'), "DESC"]],
+      raw: true,
+    });
+    const conversions = await this.getConversions(campaign);
+
+    const count = (value) => parseInt(value || 0, 10);
+    const rate = (value) =>
+      recipients.sent ? Math.round((value / recipients.sent) * 1000) / 10 : 0;
+
+    return {
+      campaign: {
+        id: campaign.id,
+        name: campaign.name,
+        status: campaign.status,
+        scheduledAt: campaign.scheduledAt,
+        sentAt: campaign.sentAt,
+      },
+      recipients,
+      opens: {
+        unique: count(engagement.opened),
+        total: count(engagement.opens),
+        rate: rate(count(engagement.opened)),
+      },
+      clicks: {
+        unique: count(engagement.clicked),
+        total: count(engagement.clicks),
+        rate: rate(count(engagement.clicked)),
+        links: links.map((link) => ({
+          url: link.url,
+          clicks: count(link.clicks),
+          uniqueClicks: count(link.uniqueClicks),
+        })),
+      },
+      unsubscribes: {
+        total: count(engagement.unsubscribed),
+        rate: rate(count(engagement.unsubscribed)),
+      },
+      conversions: {
+        ...conversions,
+        rate: rate(conversions.customers),
+      },
+    };
+  }
+
+  /**
+   * Open, click and unsubscribe rates of recent campaigns
+   */
+  async getCampaignStats(limit = 50) {
+    const campaigns = await Campaign.findAll({
+      order: [["createdAt", "DESC"]],
+      limit,
+    });
+    if (!campaigns.length) return [];
+
+    const rows = await CampaignRecipient.findAll({
+      attributes: [
+        "campaignId",
+        [Sequelize.fn("COUNT", Sequelize.col("openedAt")), "opened"],
+        [Sequelize.fn("COUNT", Sequelize.col("clickedAt")), "clicked"],
+        [Sequelize.fn("COUNT", Sequelize.col("unsubscribedAt")), "unsubscribed"],
+      ],
+      where: { campaignId: { [Op.in]: campaigns.map((campaign) => campaign.id) } },
+      group: ["campaignId"],
+      raw: true,
+    });
+    const byCampaign = new Map(rows.map((row) => [row.campaignId, row]));
+
+    return campaigns.map((campaign) => {
+      const row = byCampaign.get(campaign.id) || {};
+      const rate = (value) =>
+        campaign.sentCount
+          ? Math.round((parseInt(value || 0, 10) / campaign.sentCount) * 1000) /
+            10
+          : 0;
+      return {
+        id: campaign.id,
+        name: campaign.name,
+        subject: campaign.subject,
+        status: campaign.status,
+        segmentIds: campaign.segmentIds,
+        templateId: campaign.templateId,
+        scheduledAt: campaign.scheduledAt,
+        sentAt: campaign.sentAt,
+        recipientCount: campaign.recipientCount,
+        sentCount: campaign.sentCount,
+        failedCount: campaign.failedCount,
+        openRate: rate(row.opened),
+        clickRate: rate(row.clicked),
+        unsubscribeCount: parseInt(row.unsubscribed || 0, 10),
+      };
+    });
+  }
+}
+
+module.exports = new CampaignDeliveryService();
+module.exports.CampaignDeliveryService = CampaignDeliveryService;
+module.exports.TRACKING_PIXEL = TRACKING_PIXEL;
+module.exports.ATTRIBUTION_DAYS = ATTRIBUTION_DAYS;
@@ -0,0 +1,781 @@
+const { Op } = require("sequelize");
+const logger = require("../utils/logger");
+const {
+  Order,
+  Invoice,
+  ReturnClaim,
+  ReturnClaimItem,
+  ComplianceDocuments,
+  CreditNote,
+  AccountingPeriod,
+} = require("../models");
+const qnbConnector = require("./qnbConnectorService");
+const eFaturaService = require("./qnbEFaturaService");
+const eArsivService = require("./qnbEArsivDocumentService");
+const n11FaturamService = require("./n11FaturamService");
+const invoiceAutomationService = require("./invoice-automation-service");
+
+// Order statuses of refunds that come without a marketplace claim
+const REFUND_STATUSES = ["returned", "refunded"];
+
+// Days after issuing in which an e-Arşiv invoice may still be cancelled
+const DEFAULT_CANCEL_WINDOW_DAYS = 7;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const serviceError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const lineKey = (line) => line.orderItemId || line.sku;
+
+/**
+ * Credit Note Service
+ * Credits returned and refunded orders against the sales invoice issued for
+ * them: a fully returned e-Arşiv invoice is cancelled while the cancellation
+ * window is open, anything else gets a return invoice (iade faturası)
+ * referencing the original. Returns are taken line by line from approved
+ * claim items, so partial returns only credit what came back.
+ */
+class CreditNoteService {
+  constructor() {
+    this.cancelWindowDays =
+      parseInt(process.env.E_ARCHIVE_CANCEL_WINDOW_DAYS, 10) ||
+      DEFAULT_CANCEL_WINDOW_DAYS;
+  }
+
+  /**
+   * Sales invoice of an order
+   * @param {string} userId - User ID
+   * @param {string} orderId - Order ID
+   * @returns {Promise<Object|null>} Invoice
+   */
+  async findOriginalInvoice(userId, orderId) {
+    return Invoice.findOne({
+      where: { userId, orderId, type: "sales" },
+      order: [["issueDate", "DESC"]],
+    });
+  }
+
+  /**
+   * Lines to credit: the requested quantities capped at what earlier credit
+   * notes left on each invoice line; the last units of a line take the rest
+   * of its amount so the credits add up to the invoice exactly
+   * @param {Object} original - Sales invoice
+   * @param {Array} notes - Earlier credit notes of the invoice
+   * @param {Array|null} requested - { orderItemId, sku, quantity,
+   *   returnClaimItemId }; everything left when null
+   * @returns {Object} { lines, fullReturn }
+   */
+  buildLines(original, notes, requested = null) {
+    const credited = new Map();
+    for (const line of notes.flatMap((note) => note.lines || [])) {
+      const entry = credited.get(lineKey(line)) || { quantity: 0, amount: 0, tax: 0 };
+      entry.quantity += line.quantity;
+      entry.amount += line.lineExtensionAmount;
+      entry.tax += line.taxAmount;
+      credited.set(lineKey(line), entry);
+    }
+
+    const invoiceLines = original.lineItems || [];
+    const wanted =
+      requested ||
+      invoiceLines.map((line) => ({
+        orderItemId: line.orderItemId,
+        sku: line.sku,
+        quantity: line.quantity,
+      }));
+
+    const lines = [];
+    for (const request of wanted) {
+      const invoiceLine =
+        invoiceLines.find(
+          (line) => request.orderItemId && line.orderItemId === request.orderItemId
+        ) || invoiceLines.find((line) => request.sku && line.sku === request.sku);
+      if (!invoiceLine) continue;
+
+      const key = lineKey(invoiceLine);
+      const done = credited.get(key) || { quantity: 0, amount: 0, tax: 0 };
+      const quantity = Math.min(
+        parseFloat(request.quantity) || 0,
+        invoiceLine.quantity - done.quantity
+      );
+      if (quantity <= 0) continue;
+
+      const rest = quantity === invoiceLine.quantity - done.quantity;
+      const lineExtensionAmount = rest
+        ? round2(invoiceLine.amount - done.amount)
+        : round2((invoiceLine.amount * quantity) / invoiceLine.quantity);
+      const taxAmount = rest
+        ? round2(invoiceLine.taxAmount - done.tax)
+        : round2((invoiceLine.taxAmount * quantity) / invoiceLine.quantity);
+
+      lines.push({
+        orderItemId: invoiceLine.orderItemId,
+        returnClaimItemId: request.returnClaimItemId || null,
+        name: invoiceLine.description,
+        sku: invoiceLine.sku,
+        quantity,
+        taxRate: invoiceLine.taxRate,
+        price: lineExtensionAmount / quantity,
+        lineExtensionAmount,
+        taxAmount,
+      });
+      credited.set(key, {
+        quantity: done.quantity + quantity,
+        amount: done.amount + lineExtensionAmount,
+        tax: done.tax + taxAmount,
+      });
+    }
+
+    const fullReturn =
+      notes.length === 0 &&
+      invoiceLines.every(
+        (line) => (credited.get(lineKey(line))?.quantity || 0) >= line.quantity
+      );
+
+    return { lines, fullReturn };
+  }
+
+  /**
+   * Whether an invoice can still be cancelled instead of credited
+   * @param {Object} original - Sales invoice
+   * @returns {boolean}
+   */
+  isCancellable(original) {
+    const deadline = new Date(original.issueDate);
+    deadline.setDate(deadline.getDate() + this.cancelWindowDays);
+
+    return (
+      original.documentType === "e-archive" &&
+      original.status !== "void" &&
+      new Date() < deadline
+    );
+  }
+
+  /**
+   * Whether the month of an invoice is locked for the accountant; voiding
+   * it would change exported books, so it is credited instead
+   * @param {Object} original - Sales invoice
+   * @returns {Promise<boolean>}
+   */
+  async isPeriodLocked(original) {
+    const locked = await AccountingPeriod.findOne({
+      where: {
+        userId: original.userId,
+        period: AccountingPeriod.periodOf(original.issueDate),
+        status: "locked",
+      },
+    });
+    return Boolean(locked);
+  }
+
+  /**
+   * Record a credit note for returned lines of an order; it is carried out
+   * by processNote
+   * @param {string} userId - User ID
+   * @param {string} orderId - Order ID
+   * @param {Object} options - { returnClaimId, items ({ orderItemId, sku,
+   *   quantity, returnClaimItemId }, everything left when omitted), reason }
+   * @returns {Promise<Object>} CreditNote
+   */
+  async createCreditNote(userId, orderId, options = {}) {
+    const original = await this.findOriginalInvoice(userId, orderId);
+    if (!original) {
+      throw serviceError("Order has no sales invoice to credit", 404);
+    }
+    if (original.status === "void") {
+      throw serviceError(`Invoice ${original.invoiceNumber} is already cancelled`, 409);
+    }
+
+    const notes = await CreditNote.findAll({
+      where: { originalInvoiceId: original.id },
+    });
+    const { lines, fullReturn } = this.buildLines(original, notes, options.items || null);
+    if (lines.length === 0) {
+      throw serviceError(
+        `Nothing left to credit on invoice ${original.invoiceNumber}`,
+        409
+      );
+    }
+
+    const subtotal = round2(lines.reduce((sum, line) => sum + line.lineExtensionAmount, 0));
+    const taxAmount = round2(lines.reduce((sum, line) => sum + line.taxAmount, 0));
+
+    const note = await CreditNote.create({
+      userId,
+      orderId,
+      originalInvoiceId: original.id,
+      returnClaimId: options.returnClaimId || null,
+      method:
+        fullReturn && this.isCancellable(original) && !(await this.isPeriodLocked(original))
+          ? "cancellation"
+          : "return_invoice",
+      reason: options.reason || null,
+      lines,
+      subtotal,
+      taxAmount,
+      total: round2(subtotal + taxAmount),
+      currency: original.currency,
+      nextAttemptAt: new Date(),
+    });
+
+    logger.info(`Credit note queued for invoice ${original.invoiceNumber}`, {
+      creditNoteId: note.id,
+      orderId,
+      method: note.method,
+      lines: lines.length,
+    });
+
+    return note;
+  }
+
+  /**
+   * Queue credit notes for approved claim items that were not credited yet
+   * and for recently refunded orders without a claim
+   * @param {Object} options - { userId, limit }
+   * @returns {Promise<number>} Number of queued credit notes
+   */
+  async enqueueReturns({ userId, limit = 100 } = {}) {
+    const since = new Date(
+      Date.now() - invoiceAutomationService.lookbackDays * 24 * 60 * 60 * 1000
+    );
+    let queued = 0;
+
+    const claims = await ReturnClaim.findAll({
+      where: {
+        ...(userId && { userId }),
+        orderId: { [Op.ne]: null },
+        updatedAt: { [Op.gte]: since },
+      },
+      include: [
+        {
+          model: ReturnClaimItem,
+          as: "items",
+          where: { status: "approved" },
+          required: true,
+        },
+      ],
+      order: [["updatedAt", "ASC"]],
+    });
+
+    const creditedItemIds = new Set(
+      (claims.length
+        ? await CreditNote.findAll({
+            where: { returnClaimId: claims.map((claim) => claim.id) },
+            attributes: ["lines"],
+          })
+        : []
+      ).flatMap((note) => note.lines.map((line) => line.returnClaimItemId))
+    );
+
+    for (const claim of claims) {
+      if (queued >= limit) break;
+
+      const items = claim.items.filter((item) => !creditedItemIds.has(item.id));
+      if (items.length === 0) continue;
+
+      queued += await this.queue(claim.userId, claim.orderId, {
+        returnClaimId: claim.id,
+        items: items.map((item) => ({
+          orderItemId: item.orderItemId,
+          sku: item.sku,
+          quantity: item.quantity,
+          returnClaimItemId: item.id,
+        })),
+        reason: items[0].reasonName || "İade",
+      });
+    }
+
+    if (queued >= limit) return queued;
+
+    const refunded = await Order.findAll({
+      where: {
+        ...(userId && { userId }),
+        orderStatus: { [Op.in]: REFUND_STATUSES },
+        invoiceStatus: "issued",
+        updatedAt: { [Op.gte]: since },
+        "$returnClaims.id$": null,
+        "$creditNotes.id$": null,
+      },
+      include: [
+        { model: ReturnClaim, as: "returnClaims", attributes: ["id"], required: false },
+        { model: CreditNote, as: "creditNotes", attributes: ["id"], required: false },
+      ],
+      order: [["updatedAt", "ASC"]],
+      limit: limit - queued,
+      subQuery: false,
+    });
+
+    for (const order of refunded) {
+      queued += await this.queue(order.userId, order.id, { reason: "Sipariş iadesi" });
+    }
+
+    return queued;
+  }
+
+  /**
+   * createCreditNote for the scheduler: orders without a creditable invoice
+   * are skipped
+   * @param {string} userId - User ID
+   * @param {string} orderId - Order ID
+   * @param {Object} options - See createCreditNote
+   * @returns {Promise<number>} 1 when a credit note was queued
+   */
+  async queue(userId, orderId, options) {
+    try {
+      await this.createCreditNote(userId, orderId, options);
+      return 1;
+    } catch (error) {
+      if (![404, 409].includes(error.statusCode)) {
+        throw error;
+      }
+      logger.debug(`No credit note for order ${orderId}: ${error.message}`);
+      return 0;
+    }
+  }
+
+  /**
+   * Carry out credit notes that are due
+   * @param {Object} options - { userId, limit }
+   * @returns {Promise<Object>} { processed, completed, retrying, failed }
+   */
+  async processDueNotes({ userId, limit = 50 } = {}) {
+    const notes = await CreditNote.findAll({
+      where: {
+        ...(userId && { userId }),
+        status: "pending",
+        nextAttemptAt: { [Op.lte]: new Date() },
+      },
+      order: [["nextAttemptAt", "ASC"]],
+      limit,
+    });
+
+    const stats = { processed: 0, completed: 0, retrying: 0, failed: 0 };
+
+    for (const note of notes) {
+      stats.processed++;
+      try {
+        await this.processNote(note);
+      } catch (error) {
+        logger.error(`Credit note ${note.id} crashed: ${error.message}`, {
+          creditNoteId: note.id,
+          orderId: note.orderId,
+        });
+        continue;
+      }
+
+      if (note.status === "completed") stats.completed++;
+      if (note.status === "pending") stats.retrying++;
+      if (note.status === "failed") stats.failed++;
+    }
+
+    return stats;
+  }
+
+  /**
+   * Settle a credit note. An e-Arşiv invoice still inside its cancellation
+   * window is cancelled; otherwise a return invoice is issued for the
+   * returned lines. A cancellation refused by the integrator, or one that
+   * would touch a locked accounting period, becomes a return invoice too.
+   * Other failures are retried with backoff
+   * @param {Object} note - CreditNote
+   * @returns {Promise<Object>} The credit note
+   */
+  async processNote(note) {
+    const [original, order] = await Promise.all([
+      Invoice.findByPk(note.originalInvoiceId),
+      Order.findOne({ where: { id: note.orderId, userId: note.userId } }),
+    ]);
+    if (!original || !order) {
+      return note.update({
+        status: "failed",
+        nextAttemptAt: null,
+        lastError: original ? "Order no longer exists" : "Original invoice no longer exists",
+      });
+    }
+
+    const attempts = note.attempts + 1;
+
+    try {
+      if (note.method === "cancellation") {
+        if (!this.isCancellable(original) || (await this.isPeriodLocked(original))) {
+          await note.update({ method: "return_invoice" });
+        } else {
+          try {
+            await this.cancelOriginal(note, original, order);
+          } catch (error) {
+            // The integrator answered with a refusal: credit it instead
+            if (!error.resultCode) {
+              throw error;
+            }
+            logger.warn(
+              `Invoice ${original.invoiceNumber} cannot be cancelled, issuing a return invoice: ${error.message}`,
+              { creditNoteId: note.id }
+            );
+            await note.update({ method: "return_invoice" });
+          }
+        }
+      }
+
+      if (note.method === "return_invoice") {
+        const issued =
+          original.provider === "n11faturam"
+            ? await this.issueReturnWithN11Faturam(note, original, order)
+            : await this.issueReturnWithQNB(note, original);
+        await this.recordReturnInvoice(note, original, order, issued);
+      }
+
+      await note.update({
+        status: "completed",
+        attempts,
+        completedAt: new Date(),
+        nextAttemptAt: null,
+        lastError: null,
+      });
+
+      logger.info(`Credit note for invoice ${original.invoiceNumber} completed`, {
+        creditNoteId: note.id,
+        method: note.method,
+        total: note.total,
+      });
+    } catch (error) {
+      const exhausted = attempts >= invoiceAutomationService.maxAttempts;
+      logger.warn(`Credit note for invoice ${original.invoiceNumber} failed: ${error.message}`, {
+        creditNoteId: note.id,
+        attempts,
+        exhausted,
+      });
+
+      await note.update({
+        status: exhausted ? "failed" : "pending",
+        attempts,
+        lastError: error.message,
+        nextAttemptAt: exhausted
+          ? null
+          : new Date(Date.now() + invoiceAutomationService.getRetryDelay(attempts)),
+      });
+    }
+
+    return note;
+  }
+
+  /**
+   * Cancel the original e-Arşiv invoice at its integrator and void it
+   * @param {Object} note - CreditNote
+   * @param {Object} original - Sales invoice
+   * @param {Object} order - Order
+   */
+  async cancelOriginal(note, original, order) {
+    const reason = note.reason || "İade";
+
+    if (original.provider === "n11faturam") {
+      const credentials = await n11FaturamService.getConfig(note.userId);
+      const result = await n11FaturamService.cancelInvoice(
+        original.providerInvoiceId,
+        credentials
+      );
+      if (!result.success) {
+        throw new Error(result.message);
+      }
+    } else {
+      const document = await ComplianceDocuments.findOne({
+        where: { orderId: order.id, uuid: original.uuid, documentType: "e-archive" },
+      });
+      // Without the document there is nothing to cancel; credit it instead
+      if (!document) {
+        const error = serviceError(
+          `e-Arşiv document of invoice ${original.invoiceNumber} not found`,
+          404
+        );
+        error.resultCode = "NOT_FOUND";
+        throw error;
+      }
+      if (document.status !== "cancelled") {
+        await eArsivService.cancel(note.userId, document.id, reason);
+      }
+    }
+
+    const now = new Date();
+    await original.update({
+      status: "void",
+      voidedAt: now,
+      metadata: { ...original.metadata, creditNoteId: note.id, cancelReason: reason },
+    });
+    await order.update({ invoiceStatus: "cancelled" });
+  }
+
+  /**
+   * Issue the return invoice through QNB Finans in the document type of the
+   * original, reusing the document of an earlier attempt
+   * @param {Object} note - CreditNote
+   * @param {Object} original - Sales invoice
+   * @returns {Promise<Object>} Issued invoice details
+   */
+  async issueReturnWithQNB(note, original) {
+    let document = note.complianceDocumentId
+      ? await ComplianceDocuments.findByPk(note.complianceDocumentId)
+      : null;
+
+    const resubmittable = (doc) =>
+      doc.status === "generated" ||
+      (doc.status === "failed" &&
+        (doc.documentType === "e-archive" || !doc.providerDocumentId));
+
+    const usable =
+      document &&
+      (["sent", "accepted"].includes(document.status) || resubmittable(document));
+    if (!usable) {
+      const options = {
+        taxNumber: original.taxNumber,
+        taxOffice: original.taxOffice,
+        companyName: original.customerInfo?.name,
+        notes: `İade edilen fatura: ${original.invoiceNumber}`,
+        lines: note.lines,
+        billingReference: { id: original.invoiceNumber, issueDate: original.issueDate },
+      };
+      document =
+        original.documentType === "e-invoice"
+          ? await eFaturaService.generate(note.userId, note.orderId, {
+              ...options,
+              profile: "TEMELFATURA",
+            })
+          : await eArsivService.generate(note.userId, note.orderId, options);
+      await note.update({ complianceDocumentId: document.id });
+    }
+
+    const service = document.documentType === "e-invoice" ? eFaturaService : eArsivService;
+    if (resubmittable(document)) {
+      const summary = await service.submit(note.userId, document.id);
+      if (summary.status === "failed") {
+        throw new Error(summary.errorMessage || "QNB Finans refused the return invoice");
+      }
+      await document.reload();
+    }
+
+    return {
+      documentType: document.documentType,
+      invoiceNumber: document.documentNumber,
+      uuid: document.uuid,
+      providerInvoiceId: document.providerDocumentId,
+      pdfUrl: document.metadata?.pdfUrl || null,
+      issuedAt: document.generatedAt,
+    };
+  }
+
+  /**
+   * Issue the return invoice through N11 Faturam
+   * @param {Object} note - CreditNote
+   * @param {Object} original - Sales invoice
+   * @param {Object} order - Order
+   * @returns {Promise<Object>} Issued invoice details
+   */
+  async issueReturnWithN11Faturam(note, original, order) {
+    const [credentials, qnbConfig] = await Promise.all([
+      n11FaturamService.getConfig(note.userId),
+      qnbConnector.getConfig(note.userId),
+    ]);
+    const buyer = original.customerInfo || {};
+
+    const result = await n11FaturamService.generateInvoice(
+      {
+        id: order.id,
+        documentType: original.documentType,
+        returnReference: {
+          invoiceNumber: original.invoiceNumber,
+          invoiceDate: original.issueDate,
+        },
+        customerName: buyer.name,
+        customerTaxNumber: original.taxNumber || "",
+        customerPhone: buyer.phone,
+        customerEmail: buyer.email,
+        shippingAddress: {
+          address: buyer.address,
+          city: buyer.city,
+          district: buyer.district,
+        },
+        currency: note.currency,
+        totalAmount: parseFloat(note.total),
+        items: note.lines.map((line) => ({
+          productName: line.name,
+          quantity: line.quantity,
+          unitPrice: line.price,
+          taxRate: line.taxRate,
+        })),
+      },
+      { ...credentials, companyInfo: qnbConfig.companyInfo }
+    );
+
+    if (!result.success) {
+      throw new Error(result.message);
+    }
+
+    return {
+      documentType: original.documentType,
+      invoiceNumber: result.data.invoiceNumber,
+      uuid: result.data.uuid || null,
+      providerInvoiceId: result.data.invoiceId ? String(result.data.invoiceId) : null,
+      pdfUrl: result.data.pdfUrl || null,
+      issuedAt: new Date(),
+    };
+  }
+
+  /**
+   * Store the return invoice next to the sales invoice it credits
+   * @param {Object} note - CreditNote
+   * @param {Object} original - Sales invoice
+   * @param {Object} order - Order
+   * @param {Object} issued - Issued invoice details
+   * @returns {Promise<Object>} Invoice
+   */
+  async recordReturnInvoice(note, original, order, issued) {
+    const existing = note.returnInvoiceId && (await Invoice.findByPk(note.returnInvoiceId));
+    if (existing) return existing;
+
+    const issueDate = new Date(issued.issuedAt);
+    const invoice = await Invoice.create({
+      userId: note.userId,
+      orderId: order.id,
+      type: "return",
+      originalInvoiceId: original.id,
+      returnClaimId: note.returnClaimId,
+      invoiceNumber: issued.invoiceNumber,
+      description: `İade: ${original.invoiceNumber}`,
+      subtotal: note.subtotal,
+      taxAmount: note.taxAmount,
+      total: note.total,
+      currency: note.currency,
+      // The marketplace refunds the buyer and deducts it from the payout
+      status: "paid",
+      issueDate,
+      paidAt: issueDate,
+      taxNumber: original.taxNumber,
+      taxOffice: original.taxOffice,
+      customerInfo: original.customerInfo,
+      billingAddress: original.billingAddress,
+      lineItems: note.lines.map((line) => ({
+        orderItemId: line.orderItemId,
+        returnClaimItemId: line.returnClaimItemId,
+        description: line.name,
+        sku: line.sku,
+        quantity: line.quantity,
+        unitPrice: round2(line.price),
+        taxRate: line.taxRate,
+        amount: line.lineExtensionAmount,
+        taxAmount: line.taxAmount,
+      })),
+      documentType: issued.documentType,
+      provider: original.provider,
+      uuid: issued.uuid,
+      providerInvoiceId: issued.providerInvoiceId,
+      pdfUrl: issued.pdfUrl,
+      metadata: {
+        creditNoteId: note.id,
+        platform: order.platform,
+      },
+    });
+
+    await note.update({ returnInvoiceId: invoice.id });
+    return invoice;
+  }
+
+  /**
+   * Retry a failed or waiting credit note right away
+   * @param {string} userId - User ID
+   * @param {string} noteId - CreditNote ID
+   * @returns {Promise<Object>} The credit note
+   */
+  async retryNote(userId, noteId) {
+    const note = await CreditNote.findOne({ where: { id: noteId, userId } });
+    if (!note) {
+      throw serviceError("Credit note not found", 404);
+    }
+    if (!["failed", "pending"].includes(note.status)) {
+      throw serviceError(`Credit note in status ${note.status} cannot be retried`, 409);
+    }
+
+    await note.update({ status: "pending", attempts: 0 });
+    return this.processNote(note);
+  }
+
+  /**
+   * Credit notes of a user
+   * @param {string} userId - User ID
+   * @param {Object} filters - { status, orderId, page, limit }
+   * @returns {Promise<Object>} { creditNotes, pagination }
+   */
+  async getCreditNotes(userId, { status, orderId, page = 1, limit = 50 } = {}) {
+    const pageSize = Math.min(parseInt(limit, 10) || 50, 200);
+    const currentPage = Math.max(parseInt(page, 10) || 1, 1);
+
+    const { count, rows } = await CreditNote.findAndCountAll({
+      where: {
+        userId,
+        ...(status && { status }),
+        ...(orderId && { orderId }),
+      },
+      include: this.getIncludes(),
+      order: [["createdAt", "DESC"]],
+      limit: pageSize,
+      offset: (currentPage - 1) * pageSize,
+    });
+
+    return {
+      creditNotes: rows,
+      pagination: { total: count, page: currentPage, limit: pageSize },
+    };
+  }
+
+  /**
+   * Credit note of a user with its invoices
+   * @param {string} userId - User ID
+   * @param {string} noteId - CreditNote ID
+   * @returns {Promise<Object>} CreditNote
+   */
+  async getCreditNote(userId, noteId) {
+    const note = await CreditNote.findOne({
+      where: { id: noteId, userId },
+      include: this.getIncludes(),
+    });
+    if (!note) {
+      throw serviceError("Credit note not found", 404);
+    }
+    return note;
+  }
+
+  /**
+   * Order, invoices and claim shown with a credit note
+   * @returns {Array} Include options
+   */
+  getIncludes() {
+    const invoiceAttributes = [
+      "id",
+      "invoiceNumber",
+      "issueDate",
+      "status",
+      "total",
+      "documentType",
+      "pdfUrl",
+    ];
+
+    return [
+      {
+        model: Order,
+        as: "order",
+        attributes: ["id", "orderNumber", "platform", "orderStatus"],
+      },
+      { model: Invoice, as: "originalInvoice", attributes: invoiceAttributes },
+      { model: Invoice, as: "returnInvoice", attributes: invoiceAttributes },
+      {
+        model: ReturnClaim,
+        as: "returnClaim",
+        attributes: ["id", "externalClaimId", "status"],
+      },
+    ];
+  }
+}
+
+module.exports = new CreditNoteService();
+module.exports.REFUND_STATUSES = REFUND_STATUSES;
@@ -0,0 +1,704 @@
+const { Op, Sequelize } = require("sequelize");
+const logger = require("../utils/logger");
+const sequelize = require("../config/database");
+const {
+  Customer,
+  CustomerMatchCandidate,
+  Order,
+  OrderItem,
+} = require("../models");
+const CustomerService = require("./CustomerService");
+const { normalizeText } = require("./assistant");
+const { normalizePhone } = require("./assistant/order-lookup");
+
+// Pairs scoring below this are not suggested for review
+const MATCH_THRESHOLD = 0.6;
+
+// Pairs scoring at least this are merged without review when enabled
+const AUTO_MERGE_THRESHOLD = parseFloat(
+  process.env.CUSTOMER_AUTO_MERGE_THRESHOLD || "0.9"
+);
+
+// How much each signal adds to (or takes from) the confidence of a match
+const WEIGHTS = {
+  name: 0.35,
+  phone: 0.4,
+  phoneSuffix: 0.15,
+  phoneConflict: -0.4,
+  city: 0.1,
+  cityConflict: -0.25,
+  address: 0.3,
+};
+
+// Addresses sharing less than this part of their words are not compared
+const MIN_ADDRESS_SIMILARITY = 0.5;
+
+// Spellings of the same address words, reduced to one form
+const ADDRESS_ABBREVIATIONS = {
+  mahallesi: "mah",
+  mahalle: "mah",
+  mh: "mah",
+  sokak: "sok",
+  sokagi: "sok",
+  sk: "sok",
+  caddesi: "cad",
+  cadde: "cad",
+  cd: "cad",
+  bulvari: "blv",
+  bulv: "blv",
+  apartmani: "apt",
+  numara: "no",
+  daire: "d",
+};
+
+// Very common names or shared phones (a store's own number) make blocks
+// that would compare everyone with everyone
+const MAX_BLOCK_SIZE = 200;
+
+const PROFILE_ATTRIBUTES = [
+  "id",
+  "email",
+  "name",
+  "phone",
+  "shippingAddresses",
+  "totalOrders",
+];
+
+const MEMBER_ATTRIBUTES = [
+  "id",
+  "email",
+  "name",
+  "phone",
+  "totalOrders",
+  "totalSpent",
+  "primaryPlatform",
+  "lastOrderDate",
+  "mergeConfidence",
+  "mergedAt",
+  "mergedBy",
+];
+
+const serviceError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+const tokenize = (text) =>
+  text
+    ? normalizeText(text)
+        .replace(/[^a-z0-9 ]/g, " ")
+        .split(" ")
+        .filter(Boolean)
+    : [];
+
+/**
+ * Shipping addresses are stored as objects, JSON strings or, for some
+ * imports, as objects keyed by character index
+ */
+const parseAddress = (address) => {
+  if (!address) return null;
+  if (typeof address === "string") {
+    try {
+      return parseAddress(JSON.parse(address));
+    } catch (error) {
+      return { fullAddress: address };
+    }
+  }
+  if (typeof address !== "object") return null;
+  if (address["0"] !== undefined && address.city === undefined) {
+    const text = Object.keys(address)
+      .filter((key) => /^\d+$/.test(key))
+      .sort((a, b) => a - b)
+      .map((key) => address[key])
+      .join("");
+    return parseAddress(text);
+  }
+  return address;
+};
+
+// Names match on whole words, or on an initial ("Ayşe Y.") at a lower score
+const compareNames = (tokensA, tokensB) => {
+  if (!tokensA.length || !tokensB.length) return 0;
+  if (tokensA.join(" ") === tokensB.join(" ")) return 1;
+
+  const [shorter, longer] =
+    tokensA.length <= tokensB.length ? [tokensA, tokensB] : [tokensB, tokensA];
+  const remaining = [...longer];
+  let score = 0;
+
+  for (const token of shorter) {
+    let index = remaining.indexOf(token);
+    if (index !== -1) {
+      score += 1;
+    } else {
+      index = remaining.findIndex(
+        (other) =>
+          (token.length === 1 && other.startsWith(token)) ||
+          (other.length === 1 && token.startsWith(other))
+      );
+      if (index === -1) continue;
+      score += 0.6;
+    }
+    remaining.splice(index, 1);
+  }
+
+  return round(score / longer.length);
+};
+
+const jaccard = (setA, setB) => {
+  if (!setA.size || !setB.size) return 0;
+  let shared = 0;
+  setA.forEach((token) => {
+    if (setB.has(token)) shared++;
+  });
+  return shared / (setA.size + setB.size - shared);
+};
+
+/**
+ * Customer Identity Service
+ * Finds customer records that belong to the same buyer across marketplaces
+ * (each marketplace hands out its own, often masked, email) by comparing
+ * normalized names, phones, addresses and cities. Merged records keep their
+ * own row and point at the surviving customer, whose totals are recomputed
+ * from the orders of every merged email, so a merge can be split again.
+ */
+class CustomerIdentityService {
+  /**
+   * Normalized matching details of a customer record
+   */
+  buildProfile(customer) {
+    const nameTokens = tokenize(customer.name).filter(
+      (token) => token !== "unknown" && token !== "customer"
+    );
+    const phones = new Set();
+    const phoneSuffixes = new Set();
+    const cities = new Set();
+    const addresses = [];
+
+    const addPhone = (value) => {
+      if (!value) return;
+      const phone = normalizePhone(value);
+      if (phone) {
+        phones.add(phone);
+        phoneSuffixes.add(phone.slice(-4));
+        return;
+      }
+      // Masked numbers ("0532 *** ** 67") only give their last digits
+      const trailing = String(value).replace(/[\s-]/g, "").match(/\d{2,}$/);
+      if (trailing) phoneSuffixes.add(trailing[0].slice(-4));
+    };
+
+    addPhone(customer.phone);
+    (customer.shippingAddresses || []).forEach((raw) => {
+      const address = parseAddress(raw);
+      if (!address) return;
+
+      addPhone(address.phone || address.gsm || address.phoneNumber);
+
+      const city = tokenize(address.city).join(" ");
+      if (city) cities.add(city);
+
+      const tokens = new Set(
+        tokenize(
+          [
+            address.fullAddress || address.address1 || address.address,
+            address.address2,
+            address.district || address.town,
+          ]
+            .filter((part) => typeof part === "string")
+            .join(" ")
+        )
+          .map((token) => ADDRESS_ABBREVIATIONS[token] || token)
+          .filter((token) => token.length > 1 || /\d/.test(token))
+      );
+      if (tokens.size) addresses.push(tokens);
+    });
+
+    return {
+      id: customer.id,
+      email: customer.email,
+      totalOrders: customer.totalOrders || 0,
+      nameTokens,
+      // First name and last initial, so "Ayşe Y." and "Ayşe Yılmaz" meet
+      nameKey: nameTokens.length
+        ? `${nameTokens[0]} ${
+            nameTokens.length > 1 ? nameTokens[nameTokens.length - 1][0] : ""
+          }`.trim()
+        : null,
+      phones,
+      phoneSuffixes,
+      cities,
+      addresses,
+    };
+  }
+
+  /**
+   * Confidence (0-1) that two customer profiles are the same buyer, with
+   * what each signal contributed to it
+   */
+  scoreMatch(a, b) {
+    const signals = {};
+
+    const nameScore = compareNames(a.nameTokens, b.nameTokens);
+    if (nameScore > 0) {
+      signals.name = round(nameScore * WEIGHTS.name);
+    }
+
+    if (a.phones.size && b.phones.size) {
+      const shared = [...a.phones].some((phone) => b.phones.has(phone));
+      signals.phone = shared ? WEIGHTS.phone : WEIGHTS.phoneConflict;
+    } else if (
+      [...a.phoneSuffixes].some((suffix) =>
+        [...b.phoneSuffixes].some(
+          (other) => suffix.endsWith(other) || other.endsWith(suffix)
+        )
+      )
+    ) {
+      signals.phone = WEIGHTS.phoneSuffix;
+    }
+
+    if (a.cities.size && b.cities.size) {
+      const shared = [...a.cities].some((city) => b.cities.has(city));
+      signals.city = shared ? WEIGHTS.city : WEIGHTS.cityConflict;
+    }
+
+    let addressScore = 0;
+    a.addresses.forEach((tokensA) => {
+      b.addresses.forEach((tokensB) => {
+        addressScore = Math.max(addressScore, jaccard(tokensA, tokensB));
+      });
+    });
+    if (addressScore >= MIN_ADDRESS_SIMILARITY) {
+      signals.address = round(addressScore * WEIGHTS.address);
+    }
+
+    const total = Object.values(signals).reduce((sum, value) => sum + value, 0);
+
+    return {
+      confidence: round(Math.min(1, Math.max(0, total))),
+      signals,
+    };
+  }
+
+  /**
+   * Matching profiles of every customer that was not merged into another
+   */
+  async loadProfiles() {
+    const customers = await Customer.findAll({
+      where: { mergedIntoId: null },
+      attributes: PROFILE_ATTRIBUTES,
+    });
+    return customers.map((customer) => this.buildProfile(customer));
+  }
+
+  /**
+   * Pairs of profiles worth scoring: those sharing a phone or a name key.
+   * Comparing every customer with every other does not scale.
+   */
+  findPairs(profiles) {
+    const blocks = new Map();
+    const addToBlock = (key, profile) => {
+      if (!blocks.has(key)) blocks.set(key, []);
+      blocks.get(key).push(profile);
+    };
+
+    profiles.forEach((profile) => {
+      if (profile.nameKey) addToBlock(`name:${profile.nameKey}`, profile);
+      profile.phones.forEach((phone) => addToBlock(`phone:${phone}`, profile));
+    });
+
+    const pairs = new Map();
+    blocks.forEach((members, key) => {
+      if (members.length < 2) return;
+      if (members.length > MAX_BLOCK_SIZE) {
+        logger.warn("Skipping oversized customer match block", {
+          key,
+          size: members.length,
+        });
+        return;
+      }
+      for (let i = 0; i < members.length; i++) {
+        for (let j = i + 1; j < members.length; j++) {
+          const [a, b] =
+            members[i].id < members[j].id
+              ? [members[i], members[j]]
+              : [members[j], members[i]];
+          pairs.set(`${a.id}-${b.id}`, [a, b]);
+        }
+      }
+    });
+
+    return [...pairs.values()];
+  }
+
+  /**
+   * Keys ("lowerId-higherId") of pairs a person already merged or rejected
+   */
+  async getReviewedPairs() {
+    const rows = await CustomerMatchCandidate.findAll({
+      where: { status: { [Op.in]: ["merged", "rejected"] } },
+      attributes: ["customerId", "candidateId"],
+      raw: true,
+    });
+    return new Set(rows.map((row) => `${row.customerId}-${row.candidateId}`));
+  }
+
+  /**
+   * Score a pair and store it for review, or merge it when the score is
+   * high enough and automatic merging is enabled
+   * @returns {Promise<string>} "merged", "candidate" or "skipped"
+   */
+  async evaluatePair(a, b, reviewedPairs) {
+    if (reviewedPairs.has(`${a.id}-${b.id}`)) return "skipped";
+
+    const { confidence, signals } = this.scoreMatch(a, b);
+    if (confidence < MATCH_THRESHOLD) return "skipped";
+
+    if (
+      process.env.CUSTOMER_AUTO_MERGE_ENABLED === "true" &&
+      confidence >= AUTO_MERGE_THRESHOLD
+    ) {
+      // The record with more orders survives
+      const [target, source] =
+        b.totalOrders > a.totalOrders ? [b, a] : [a, b];
+      try {
+        await this.merge(target.id, source.id, { confidence, signals });
+        return "merged";
+      } catch (error) {
+        // One of them was merged earlier in the same run
+        if (error.statusCode === 409) return "skipped";
+        throw error;
+      }
+    }
+
+    await CustomerMatchCandidate.upsert({
+      customerId: a.id,
+      candidateId: b.id,
+      confidence,
+      signals,
+      status: "pending",
+    });
+    return "candidate";
+  }
+
+  /**
+   * Suggested matches, highest confidence first
+   */
+  async getCandidates({ status = "pending", customerId, limit = 50 } = {}) {
+    const where = { status };
+    if (customerId) {
+      where[Op.or] = [{ customerId }, { candidateId: customerId }];
+    }
+
+    return CustomerMatchCandidate.findAll({
+      where,
+      include: [
+        { model: Customer, as: "customer", attributes: MEMBER_ATTRIBUTES },
+        { model: Customer, as: "candidate", attributes: MEMBER_ATTRIBUTES },
+      ],
+      order: [
+        ["confidence", "DESC"],
+        ["id", "ASC"],
+      ],
+      limit: Math.min(parseInt(limit, 10) || 50, 200),
+    });
+  }
+
+  /**
+   * Merge or reject a suggested match
+   * @param {number} candidateId - CustomerMatchCandidate ID
+   * @param {string} action - "merge" or "reject"
+   * @param {string} userId - Reviewing user
+   * @param {number} [targetId] - Customer that survives the merge
+   */
+  async reviewCandidate(candidateId, action, userId, targetId = null) {
+    const candidate = await CustomerMatchCandidate.findByPk(candidateId, {
+      include: [
+        { model: Customer, as: "customer", attributes: ["id", "totalOrders"] },
+        { model: Customer, as: "candidate", attributes: ["id", "totalOrders"] },
+      ],
+    });
+    if (!candidate) {
+      throw serviceError("Match candidate not found", 404);
+    }
+    if (candidate.status !== "pending") {
+      throw serviceError(`Match candidate is already ${candidate.status}`, 409);
+    }
+
+    if (action === "reject") {
+      return candidate.update({
+        status: "rejected",
+        reviewedBy: userId,
+        reviewedAt: new Date(),
+      });
+    }
+
+    const ids = [candidate.customerId, candidate.candidateId];
+    let target = targetId ? parseInt(targetId, 10) : null;
+    if (target && !ids.includes(target)) {
+      throw serviceError("Target must be one of the matched customers", 400);
+    }
+    if (!target) {
+      target =
+        candidate.candidate.totalOrders > candidate.customer.totalOrders
+          ? candidate.candidateId
+          : candidate.customerId;
+    }
+    const source = ids.find((id) => id !== target);
+
+    return this.merge(target, source, {
+      userId,
+      confidence: candidate.confidence,
+    });
+  }
+
+  /**
+   * Merge a customer, together with the records already merged into it,
+   * into another customer and recompute the survivor's totals
+   * @param {number} targetId - Customer that survives
+   * @param {number} sourceId - Customer merged into the target
+   * @param {Object} options - { userId, confidence, signals }
+   */
+  async merge(
+    targetId,
+    sourceId,
+    { userId = null, confidence = null, signals = null } = {}
+  ) {
+    const [target, source] = await Promise.all([
+      this.resolve(targetId),
+      this.resolve(sourceId),
+    ]);
+    if (!target || !source) {
+      throw serviceError("Customer not found", 404);
+    }
+    if (target.id === source.id) {
+      throw serviceError("Customers are already the same person", 409);
+    }
+
+    const now = new Date();
+    await sequelize.transaction(async (transaction) => {
+      // Keep a single level: the source's own members move to the target
+      await Customer.update(
+        { mergedIntoId: target.id },
+        { where: { mergedIntoId: source.id }, transaction }
+      );
+      await source.update(
+        {
+          mergedIntoId: target.id,
+          mergeConfidence: confidence,
+          mergedAt: now,
+          mergedBy: userId,
+        },
+        { transaction }
+      );
+      await this.setPairStatus(target.id, source.id, "merged", {
+        userId,
+        confidence,
+        signals,
+        transaction,
+      });
+
+      // Suggestions between records that are now one customer are settled
+      const members = await Customer.findAll({
+        where: { mergedIntoId: target.id },
+        attributes: ["id"],
+        transaction,
+      });
+      const ids = [target.id, ...members.map((member) => member.id)];
+      await CustomerMatchCandidate.update(
+        { status: "merged", reviewedBy: userId, reviewedAt: now },
+        {
+          where: {
+            status: "pending",
+            customerId: { [Op.in]: ids },
+            candidateId: { [Op.in]: ids },
+          },
+          transaction,
+        }
+      );
+    });
+
+    logger.info("Customers merged", {
+      targetId: target.id,
+      sourceId: source.id,
+      confidence,
+      userId,
+    });
+
+    return this.recompute(target.id);
+  }
+
+  /**
+   * Undo the merge of a customer record and remember the pair as different
+   * people, so matching does not suggest it again
+   */
+  async split(memberId, userId = null) {
+    const member = await Customer.findByPk(memberId);
+    if (!member) {
+      throw serviceError("Customer not found", 404);
+    }
+    if (!member.mergedIntoId) {
+      throw serviceError("Customer is not merged into another customer", 400);
+    }
+
+    const canonicalId = member.mergedIntoId;
+    await sequelize.transaction(async (transaction) => {
+      await member.update(
+        {
+          mergedIntoId: null,
+          mergeConfidence: null,
+          mergedAt: null,
+          mergedBy: null,
+        },
+        { transaction }
+      );
+      await this.setPairStatus(canonicalId, member.id, "rejected", {
+        userId,
+        transaction,
+      });
+    });
+
+    logger.info("Customer split from merged customer", {
+      customerId: member.id,
+      mergedIntoId: canonicalId,
+      userId,
+    });
+
+    const canonical = await this.recompute(canonicalId);
+    return { customer: canonical, split: member };
+  }
+
+  /**
+   * Record the review outcome of a pair, creating the row for pairs merged
+   * or split by hand without a suggestion
+   */
+  async setPairStatus(
+    idA,
+    idB,
+    status,
+    { userId = null, confidence = null, signals = null, transaction } = {}
+  ) {
+    const [customerId, candidateId] = idA < idB ? [idA, idB] : [idB, idA];
+    const [candidate, created] = await CustomerMatchCandidate.findOrCreate({
+      where: { customerId, candidateId },
+      defaults: {
+        confidence: confidence || 0,
+        signals,
+        status,
+        reviewedBy: userId,
+        reviewedAt: new Date(),
+      },
+      transaction,
+    });
+    if (!created) {
+      await candidate.update(
+        { status, reviewedBy: userId, reviewedAt: new Date() },
+        { transaction }
+      );
+    }
+    return candidate;
+  }
+
+  /**
+   * The customer a record was merged into, or the record itself
+   */
+  async resolve(customerId) {
+    const customer = await Customer.findByPk(customerId);
+    if (!customer || !customer.mergedIntoId) return customer;
+    return Customer.findByPk(customer.mergedIntoId);
+  }
+
+  /**
+   * Records merged into a customer
+   */
+  async getMembers(customerId) {
+    return Customer.findAll({
+      where: { mergedIntoId: customerId },
+      attributes: MEMBER_ATTRIBUTES,
+      order: [["mergedAt", "ASC"]],
+    });
+  }
+
+  /**
+   * Orders placed with the email of a customer or any record merged into it
+   */
+  async getOrders(customer, members) {
+    const emails = [customer, ...members].map((record) =>
+      record.email.toLowerCase().trim()
+    );
+    return Order.findAll({
+      where: Sequelize.where(
+        Sequelize.fn("lower", Sequelize.col("customerEmail")),
+        { [Op.in]: emails }
+      ),
+      include: [
+        {
+          model: OrderItem,
+          as: "items",
+        },
+      ],
+      order: [["orderDate", "DESC"]],
+    });
+  }
+
+  /**
+   * Recompute totalOrders, totalSpent, loyaltyScore and the other analytics
+   * of a customer over the orders of every merged email
+   */
+  async recompute(customerId) {
+    const customer = await Customer.findByPk(customerId);
+    if (!customer) {
+      throw serviceError("Customer not found", 404);
+    }
+
+    const members = await this.getMembers(customer.id);
+    const orders = await this.getOrders(customer, members);
+    if (!orders.length) return customer;
+
+    const customerData = CustomerService.buildCustomerData(
+      customer.email,
+      orders
+    );
+    const analytics = CustomerService.calculateCustomerAnalytics(customerData);
+
+    return customer.update({
+      ...analytics,
+      phone: customer.phone || customerData.phone,
+      lastUpdated: new Date(),
+    });
+  }
+
+  /**
+   * Recompute every customer that has merged records. A customer sync
+   * rewrites each email's totals from its own orders only.
+   */
+  async recomputeMergedCustomers() {
+    const rows = await Customer.findAll({
+      where: { mergedIntoId: { [Op.ne]: null } },
+      attributes: ["mergedIntoId"],
+      group: ["mergedIntoId"],
+      raw: true,
+    });
+
+    for (const row of rows) {
+      try {
+        await this.recompute(row.mergedIntoId);
+      } catch (error) {
+        logger.error("Error recomputing merged customer", {
+          customerId: row.mergedIntoId,
+          error: error.message,
+        });
+      }
+    }
+
+    return rows.length;
+  }
+}
+
+module.exports = new CustomerIdentityService();
+module.exports.CustomerIdentityService = CustomerIdentityService;
+module.exports.MATCH_THRESHOLD = MATCH_THRESHOLD;
+module.exports.AUTO_MERGE_THRESHOLD = AUTO_MERGE_THRESHOLD;
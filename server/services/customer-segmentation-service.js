@@ -0,0 +1,739 @@
+const { Op, Sequelize } = require("sequelize");
+const logger = require("../utils/logger");
+const {
+  Customer,
+  CustomerSegment,
+  CustomerSegmentHistory,
+  CustomerSegmentSnapshot,
+  Order,
+} = require("../models");
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Orders that did not end in a sale do not count towards RFM
+const EXCLUDED_ORDER_STATUSES = ["cancelled", "returned", "failed", "refunded"];
+
+// Months of future spend the lifetime value prediction covers
+const CLV_HORIZON_MONTHS = parseInt(
+  process.env.CUSTOMER_CLV_HORIZON_MONTHS || "12",
+  10
+);
+
+// Days between orders assumed for single-order customers when there are no
+// repeat customers to learn it from
+const DEFAULT_ORDER_GAP_DAYS = 90;
+const MIN_ORDER_GAP_DAYS = 7;
+
+const HISTORY_BATCH_SIZE = 500;
+
+// RFM segments, the first matching rule wins. r, f and m are 1-5 scores.
+const RFM_SEGMENTS = [
+  {
+    key: "champions",
+    name: "Şampiyonlar",
+    description: "Yakın zamanda, sık ve yüksek tutarlı alışveriş yapanlar",
+    match: ({ r, f, m }) => r >= 4 && f >= 4 && m >= 4,
+  },
+  {
+    key: "loyal",
+    name: "Sadık Müşteriler",
+    description: "Düzenli olarak tekrar alışveriş yapanlar",
+    match: ({ r, f }) => r >= 3 && f >= 4,
+  },
+  {
+    key: "cant_lose",
+    name: "Kaybedilmemesi Gerekenler",
+    description: "Çok ve yüksek tutarlı alışveriş yapmış, uzun süredir gelmeyenler",
+    match: ({ r, f, m }) => r <= 2 && f >= 4 && m >= 4,
+  },
+  {
+    key: "at_risk",
+    name: "Risk Altında",
+    description: "Eskiden sık alışveriş yapan, son zamanlarda gelmeyenler",
+    match: ({ r, f }) => r <= 2 && f >= 3,
+  },
+  {
+    key: "new_customers",
+    name: "Yeni Müşteriler",
+    description: "İlk siparişini yakın zamanda verenler",
+    match: ({ r, f }) => r >= 4 && f <= 1,
+  },
+  {
+    key: "potential_loyalists",
+    name: "Potansiyel Sadıklar",
+    description: "Yakın zamanda birkaç kez alışveriş yapanlar",
+    match: ({ r, f }) => r >= 4 && f <= 3,
+  },
+  {
+    key: "promising",
+    name: "Umut Vaat Edenler",
+    description: "Orta yakınlıkta, az sayıda siparişi olanlar",
+    match: ({ r, f }) => r === 3 && f <= 2,
+  },
+  {
+    key: "need_attention",
+    name: "İlgi Bekleyenler",
+    description: "Ortalama yakınlık ve sıklıkta, ilgi gösterilmezse kaybedilecekler",
+    match: ({ r, f }) => r === 3 && f === 3,
+  },
+  {
+    key: "hibernating",
+    name: "Uykudakiler",
+    description: "Uzun süredir az alışveriş yapanlar",
+    match: ({ r }) => r === 2,
+  },
+  {
+    key: "lost",
+    name: "Kaybedilenler",
+    description: "En uzun süredir alışveriş yapmayan, az siparişi olanlar",
+    match: () => true,
+  },
+];
+
+const SEGMENT_KEYS = RFM_SEGMENTS.map((segment) => segment.key);
+
+const CRITERIA_LISTS = ["rfmSegments", "customerTypes", "platforms"];
+const CRITERIA_NUMBERS = [
+  "minOrders",
+  "minSpent",
+  "minClv",
+  "minChurn",
+  "maxChurn",
+  "lastOrderWithinDays",
+  "lastOrderBeforeDays",
+];
+
+const serviceError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const toNumber = (value) => (value === null ? 0 : Number(value));
+
+const round = (value, digits = 2) => {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+};
+
+// YYYY-MM-DD in server time, snapshots are taken once per local day
+const toDateOnly = (date) =>
+  [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, "0"),
+    String(date.getDate()).padStart(2, "0"),
+  ].join("-");
+
+// Dates without a time are whole local days
+const toDate = (value, endOfDay = false) => {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return new Date(value);
+  return new Date(`${value}T${endOfDay ? "23:59:59.999" : "00:00:00"}`);
+};
+
+/**
+ * 1-5 score of each value by its position among all values, equal values
+ * share the lower score
+ */
+const quintileScores = (values, higherIsBetter = true) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const firstIndex = new Map();
+  sorted.forEach((value, index) => {
+    if (!firstIndex.has(value)) firstIndex.set(value, index);
+  });
+
+  return values.map((value) => {
+    const score =
+      Math.floor((firstIndex.get(value) / sorted.length) * 5) + 1;
+    return higherIsBetter ? score : 6 - score;
+  });
+};
+
+const median = (values) => {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2
+    ? sorted[middle]
+    : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * Customer Segmentation Service
+ * Scores customers on recency, frequency and monetary value of their
+ * orders, places them in RFM segments and predicts their churn risk and
+ * lifetime value. Segment changes are kept as history and the size of each
+ * segment as a daily snapshot, so movement between segments can be
+ * followed over time. Saved segments are the audiences of campaigns.
+ */
+class CustomerSegmentationService {
+  /**
+   * Order count, spend and first/last order date of every customer email
+   */
+  async getOrderAggregates() {
+    const email = Sequelize.fn("lower", Sequelize.col("customerEmail"));
+    const rows = await Order.findAll({
+      attributes: [
+        [email, "email"],
+        [Sequelize.fn("COUNT", Sequelize.col("id")), "orders"],
+        [Sequelize.fn("SUM", Sequelize.col("totalAmount")), "spent"],
+        [Sequelize.fn("MIN", Sequelize.col("orderDate")), "firstOrderDate"],
+        [Sequelize.fn("MAX", Sequelize.col("orderDate")), "lastOrderDate"],
+      ],
+      where: {
+        customerEmail: { [Op.and]: [{ [Op.ne]: null }, { [Op.ne]: "" }] },
+        orderStatus: { [Op.notIn]: EXCLUDED_ORDER_STATUSES },
+      },
+      group: [email],
+      raw: true,
+    });
+
+    return new Map(
+      rows.map((row) => [
+        row.email,
+        {
+          orders: toNumber(row.orders),
+          spent: toNumber(row.spent),
+          firstOrderDate: new Date(row.firstOrderDate),
+          lastOrderDate: new Date(row.lastOrderDate),
+        },
+      ])
+    );
+  }
+
+  /**
+   * Add RFM scores, segment, churn probability and predicted lifetime
+   * value to each customer's order metrics
+   * @param {Array} metrics - { orders, spent, firstOrderDate, lastOrderDate }
+   */
+  scoreCustomers(metrics, now = new Date()) {
+    if (!metrics.length) return metrics;
+
+    metrics.forEach((metric) => {
+      metric.daysSinceLastOrder = Math.max(
+        0,
+        (now - metric.lastOrderDate) / DAY
+      );
+      metric.orderGapDays =
+        metric.orders > 1
+          ? Math.max(
+              (metric.lastOrderDate - metric.firstOrderDate) /
+                DAY /
+                (metric.orders - 1),
+              MIN_ORDER_GAP_DAYS
+            )
+          : null;
+    });
+
+    // Single-order customers are expected to come back like repeat ones do
+    const typicalGap =
+      median(
+        metrics
+          .filter((metric) => metric.orderGapDays !== null)
+          .map((metric) => metric.orderGapDays)
+      ) || DEFAULT_ORDER_GAP_DAYS;
+
+    const recency = quintileScores(
+      metrics.map((metric) => metric.daysSinceLastOrder),
+      false
+    );
+    const frequency = quintileScores(metrics.map((metric) => metric.orders));
+    const monetary = quintileScores(metrics.map((metric) => metric.spent));
+
+    metrics.forEach((metric, index) => {
+      const scores = {
+        r: recency[index],
+        f: frequency[index],
+        m: monetary[index],
+      };
+      const gap = metric.orderGapDays || typicalGap;
+
+      // Past the usual gap between orders, the chance of a next order fades
+      const overdueDays = Math.max(0, metric.daysSinceLastOrder - gap);
+      const churnProbability = round(1 - Math.exp(-overdueDays / gap), 3);
+
+      const averageOrderValue = metric.spent / metric.orders;
+      const ordersPerMonth = 30 / gap;
+      const predictedClv = round(
+        averageOrderValue *
+          ordersPerMonth *
+          CLV_HORIZON_MONTHS *
+          (1 - churnProbability)
+      );
+
+      Object.assign(metric, {
+        rfmRecency: scores.r,
+        rfmFrequency: scores.f,
+        rfmMonetary: scores.m,
+        rfmSegment: RFM_SEGMENTS.find((segment) => segment.match(scores)).key,
+        churnProbability,
+        predictedClv,
+      });
+    });
+
+    return metrics;
+  }
+
+  /**
+   * Score every customer, record segment changes and the day's snapshot
+   */
+  async run(now = new Date()) {
+    const customers = await Customer.findAll({
+      attributes: ["id", "email", "mergedIntoId", "rfmSegment"],
+      raw: true,
+    });
+    const aggregates = await this.getOrderAggregates();
+
+    // Orders of merged records count towards the customer they belong to
+    const totals = new Map();
+    customers.forEach((customer) => {
+      const aggregate = aggregates.get(customer.email.toLowerCase());
+      if (!aggregate) return;
+
+      const id = customer.mergedIntoId || customer.id;
+      const total = totals.get(id);
+      if (!total) {
+        totals.set(id, { ...aggregate });
+        return;
+      }
+      total.orders += aggregate.orders;
+      total.spent += aggregate.spent;
+      if (aggregate.firstOrderDate < total.firstOrderDate) {
+        total.firstOrderDate = aggregate.firstOrderDate;
+      }
+      if (aggregate.lastOrderDate > total.lastOrderDate) {
+        total.lastOrderDate = aggregate.lastOrderDate;
+      }
+    });
+
+    const metrics = customers
+      .filter((customer) => !customer.mergedIntoId && totals.has(customer.id))
+      .map((customer) => ({ customer, ...totals.get(customer.id) }));
+
+    this.scoreCustomers(metrics, now);
+
+    const history = [];
+    for (const metric of metrics) {
+      const { customer } = metric;
+      await Customer.update(
+        {
+          rfmRecency: metric.rfmRecency,
+          rfmFrequency: metric.rfmFrequency,
+          rfmMonetary: metric.rfmMonetary,
+          rfmSegment: metric.rfmSegment,
+          predictedClv: metric.predictedClv,
+          churnProbability: metric.churnProbability,
+          rfmUpdatedAt: now,
+        },
+        { where: { id: customer.id } }
+      );
+
+      if (customer.rfmSegment !== metric.rfmSegment) {
+        history.push({
+          customerId: customer.id,
+          fromSegment: customer.rfmSegment,
+          toSegment: metric.rfmSegment,
+          rfmRecency: metric.rfmRecency,
+          rfmFrequency: metric.rfmFrequency,
+          rfmMonetary: metric.rfmMonetary,
+          predictedClv: metric.predictedClv,
+          churnProbability: metric.churnProbability,
+          changedAt: now,
+        });
+      }
+    }
+
+    for (let i = 0; i < history.length; i += HISTORY_BATCH_SIZE) {
+      await CustomerSegmentHistory.bulkCreate(
+        history.slice(i, i + HISTORY_BATCH_SIZE)
+      );
+    }
+
+    const snapshot = await this.saveSnapshot(metrics, now);
+    await this.refreshSegmentCounts();
+
+    const stats = {
+      customers: metrics.length,
+      moved: history.filter((entry) => entry.fromSegment !== null).length,
+      scoredFirstTime: history.filter((entry) => entry.fromSegment === null)
+        .length,
+      segments: Object.fromEntries(
+        snapshot.map((row) => [row.segment, row.customerCount])
+      ),
+    };
+
+    logger.info("Customer segmentation completed", stats);
+    return stats;
+  }
+
+  /**
+   * Size and value of each segment for the day
+   */
+  async saveSnapshot(metrics, now) {
+    const snapshotDate = toDateOnly(now);
+    const rows = SEGMENT_KEYS.map((segment) => {
+      const members = metrics.filter((metric) => metric.rfmSegment === segment);
+      return {
+        snapshotDate,
+        segment,
+        customerCount: members.length,
+        totalSpent: round(
+          members.reduce((sum, metric) => sum + metric.spent, 0)
+        ),
+        predictedClv: round(
+          members.reduce((sum, metric) => sum + metric.predictedClv, 0)
+        ),
+        avgChurnProbability: members.length
+          ? round(
+              members.reduce(
+                (sum, metric) => sum + metric.churnProbability,
+                0
+              ) / members.length,
+              3
+            )
+          : null,
+      };
+    });
+
+    for (const row of rows) {
+      await CustomerSegmentSnapshot.upsert(row);
+    }
+    return rows;
+  }
+
+  /**
+   * Whether segmentation already ran on the day of a date
+   */
+  async hasRunOn(date) {
+    const snapshots = await CustomerSegmentSnapshot.count({
+      where: { snapshotDate: toDateOnly(date) },
+    });
+    return snapshots > 0;
+  }
+
+  /**
+   * Customer count, spend, predicted value and churn risk of each RFM
+   * segment as of the last run
+   */
+  async getSegmentSummary() {
+    const rows = await Customer.findAll({
+      attributes: [
+        "rfmSegment",
+        [Sequelize.fn("COUNT", Sequelize.col("id")), "customerCount"],
+        [Sequelize.fn("SUM", Sequelize.col("totalSpent")), "totalSpent"],
+        [Sequelize.fn("SUM", Sequelize.col("predictedClv")), "predictedClv"],
+        [
+          Sequelize.fn("AVG", Sequelize.col("churnProbability")),
+          "avgChurnProbability",
+        ],
+      ],
+      where: { mergedIntoId: null, rfmSegment: { [Op.ne]: null } },
+      group: ["rfmSegment"],
+      raw: true,
+    });
+    const bySegment = new Map(rows.map((row) => [row.rfmSegment, row]));
+
+    return RFM_SEGMENTS.map(({ key, name, description }) => {
+      const row = bySegment.get(key);
+      return {
+        segment: key,
+        name,
+        description,
+        customerCount: row ? toNumber(row.customerCount) : 0,
+        totalSpent: row ? round(toNumber(row.totalSpent)) : 0,
+        predictedClv: row ? round(toNumber(row.predictedClv)) : 0,
+        avgChurnProbability:
+          row && row.avgChurnProbability !== null
+            ? round(toNumber(row.avgChurnProbability), 3)
+            : null,
+      };
+    });
+  }
+
+  /**
+   * Moves between segments in a period and the daily size of each segment
+   */
+  async getSegmentMovement(options = {}) {
+    const startDate = options.startDate
+      ? toDate(options.startDate)
+      : new Date(Date.now() - 30 * DAY);
+    const endDate = options.endDate
+      ? toDate(options.endDate, true)
+      : new Date();
+
+    const transitions = await CustomerSegmentHistory.findAll({
+      attributes: [
+        "fromSegment",
+        "toSegment",
+        [Sequelize.fn("COUNT", Sequelize.col("id")), "count"],
+      ],
+      where: {
+        changedAt: { [Op.between]: [startDate, endDate] },
+      },
+      group: ["fromSegment", "toSegment"],
+      raw: true,
+    });
+
+    const snapshots = await CustomerSegmentSnapshot.findAll({
+      where: {
+        snapshotDate: {
+          [Op.between]: [toDateOnly(startDate), toDateOnly(endDate)],
+        },
+      },
+      order: [["snapshotDate", "ASC"]],
+      raw: true,
+    });
+
+    const series = new Map();
+    snapshots.forEach((row) => {
+      const date = String(row.snapshotDate).slice(0, 10);
+      if (!series.has(date)) series.set(date, { date, segments: {} });
+      series.get(date).segments[row.segment] = row.customerCount;
+    });
+
+    const moves = transitions
+      .filter((row) => row.fromSegment !== null)
+      .map((row) => ({
+        from: row.fromSegment,
+        to: row.toSegment,
+        count: toNumber(row.count),
+      }))
+      .sort((a, b) => b.count - a.count);
+
+    const entered = {};
+    const left = {};
+    transitions.forEach((row) => {
+      const count = toNumber(row.count);
+      entered[row.toSegment] = (entered[row.toSegment] || 0) + count;
+      if (row.fromSegment) {
+        left[row.fromSegment] = (left[row.fromSegment] || 0) + count;
+      }
+    });
+
+    return {
+      startDate,
+      endDate,
+      segments: RFM_SEGMENTS.map(({ key, name }) => ({
+        segment: key,
+        name,
+        entered: entered[key] || 0,
+        left: left[key] || 0,
+      })),
+      moves,
+      series: [...series.values()],
+    };
+  }
+
+  /**
+   * Segment changes of one customer, newest first
+   */
+  async getCustomerHistory(customerId) {
+    return CustomerSegmentHistory.findAll({
+      where: { customerId },
+      order: [["changedAt", "DESC"]],
+      limit: 100,
+    });
+  }
+
+  /**
+   * Create the system segments that follow the RFM segments
+   */
+  async ensureSystemSegments() {
+    for (const { key, name, description } of RFM_SEGMENTS) {
+      await CustomerSegment.findOrCreate({
+        where: { key },
+        defaults: {
+          name,
+          description,
+          criteria: { rfmSegments: [key] },
+          isSystem: true,
+        },
+      });
+    }
+  }
+
+  /**
+   * Saved segments, system segments first
+   */
+  async getSegments() {
+    await this.ensureSystemSegments();
+    return CustomerSegment.findAll({
+      order: [
+        ["isSystem", "DESC"],
+        ["name", "ASC"],
+      ],
+    });
+  }
+
+  /**
+   * Create or update a saved segment
+   */
+  async saveSegment(data, userId, segmentId = null) {
+    if (!data.name || !String(data.name).trim()) {
+      throw serviceError("Segment name is required", 400);
+    }
+
+    const fields = {
+      name: String(data.name).trim(),
+      description: data.description || null,
+      criteria: this.validateCriteria(data.criteria || {}),
+    };
+
+    let segment;
+    if (segmentId) {
+      segment = await CustomerSegment.findByPk(segmentId);
+      if (!segment) {
+        throw serviceError("Segment not found", 404);
+      }
+      if (segment.isSystem) {
+        throw serviceError("System segments cannot be changed", 400);
+      }
+      await segment.update(fields);
+    } else {
+      segment = await CustomerSegment.create({ ...fields, createdBy: userId });
+    }
+
+    const customerCount = await Customer.count({
+      where: this.buildAudienceWhere(segment.criteria),
+    });
+    return segment.update({ customerCount });
+  }
+
+  async deleteSegment(segmentId) {
+    const segment = await CustomerSegment.findByPk(segmentId);
+    if (!segment) {
+      throw serviceError("Segment not found", 404);
+    }
+    if (segment.isSystem) {
+      throw serviceError("System segments cannot be deleted", 400);
+    }
+    await segment.destroy();
+  }
+
+  /**
+   * Keep only known criteria, with the right types
+   */
+  validateCriteria(criteria) {
+    const result = {};
+
+    CRITERIA_LISTS.forEach((key) => {
+      if (criteria[key] === undefined) return;
+      if (!Array.isArray(criteria[key])) {
+        throw serviceError(`${key} must be a list`, 400);
+      }
+      if (criteria[key].length) result[key] = criteria[key].map(String);
+    });
+
+    const unknown = (result.rfmSegments || []).filter(
+      (segment) => !SEGMENT_KEYS.includes(segment)
+    );
+    if (unknown.length) {
+      throw serviceError(`Unknown RFM segments: ${unknown.join(", ")}`, 400);
+    }
+
+    CRITERIA_NUMBERS.forEach((key) => {
+      if (criteria[key] === undefined || criteria[key] === null) return;
+      const value = Number(criteria[key]);
+      if (!Number.isFinite(value) || value < 0) {
+        throw serviceError(`${key} must be a positive number`, 400);
+      }
+      result[key] = value;
+    });
+
+    return result;
+  }
+
+  /**
+   * Customer filter of a segment's criteria
+   */
+  buildAudienceWhere(criteria = {}, now = new Date()) {
+    const where = { mergedIntoId: null };
+    const lastOrderDate = {};
+
+    if (criteria.rfmSegments) {
+      where.rfmSegment = { [Op.in]: criteria.rfmSegments };
+    }
+    if (criteria.customerTypes) {
+      where.customerType = { [Op.in]: criteria.customerTypes };
+    }
+    if (criteria.platforms) {
+      where.primaryPlatform = { [Op.in]: criteria.platforms };
+    }
+    if (criteria.minOrders !== undefined) {
+      where.totalOrders = { [Op.gte]: criteria.minOrders };
+    }
+    if (criteria.minSpent !== undefined) {
+      where.totalSpent = { [Op.gte]: criteria.minSpent };
+    }
+    if (criteria.minClv !== undefined) {
+      where.predictedClv = { [Op.gte]: criteria.minClv };
+    }
+    if (criteria.minChurn !== undefined || criteria.maxChurn !== undefined) {
+      where.churnProbability = {};
+      if (criteria.minChurn !== undefined) {
+        where.churnProbability[Op.gte] = criteria.minChurn;
+      }
+      if (criteria.maxChurn !== undefined) {
+        where.churnProbability[Op.lte] = criteria.maxChurn;
+      }
+    }
+    if (criteria.lastOrderWithinDays !== undefined) {
+      lastOrderDate[Op.gte] = new Date(
+        now.getTime() - criteria.lastOrderWithinDays * DAY
+      );
+    }
+    if (criteria.lastOrderBeforeDays !== undefined) {
+      lastOrderDate[Op.lt] = new Date(
+        now.getTime() - criteria.lastOrderBeforeDays * DAY
+      );
+    }
+    if (Object.getOwnPropertySymbols(lastOrderDate).length) {
+      where.lastOrderDate = lastOrderDate;
+    }
+
+    return where;
+  }
+
+  /**
+   * Customers in any of the given segments, each listed once
+   */
+  async getAudience(segmentIds, options = {}) {
+    const { attributes = ["id", "email", "name"], limit, where } = options;
+
+    const segments = await CustomerSegment.findAll({
+      where: { id: { [Op.in]: segmentIds } },
+    });
+    if (!segments.length) return [];
+
+    return Customer.findAll({
+      attributes,
+      where: {
+        [Op.or]: segments.map((segment) =>
+          this.buildAudienceWhere(segment.criteria)
+        ),
+        ...where,
+      },
+      order: [["predictedClv", "DESC NULLS LAST"]],
+      ...(limit && { limit }),
+    });
+  }
+
+  /**
+   * Re-count the customers of every saved segment
+   */
+  async refreshSegmentCounts() {
+    await this.ensureSystemSegments();
+    const segments = await CustomerSegment.findAll();
+    for (const segment of segments) {
+      const customerCount = await Customer.count({
+        where: this.buildAudienceWhere(segment.criteria),
+      });
+      await segment.update({ customerCount });
+    }
+  }
+}
+
+module.exports = new CustomerSegmentationService();
+module.exports.CustomerSegmentationService = CustomerSegmentationService;
+module.exports.RFM_SEGMENTS = RFM_SEGMENTS;
+module.exports.EXCLUDED_ORDER_STATUSES = EXCLUDED_ORDER_STATUSES;
+module.exports.quintileScores = quintileScores;
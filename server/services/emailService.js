@@ -1,3 +1,5 @@
+const nodemailer = require("nodemailer");
+const Bottleneck = require("bottleneck");
 const logger = require("../utils/logger");
 
 class EmailService {
@@ -7,15 +9,28 @@ class EmailService {
     this.fromEmail = process.env.FROM_EMAIL || "noreply@pazarplus.com";
     this.fromName = process.env.FROM_NAME || "Pazar+ Platform";
     this.baseUrl = process.env.BASE_URL || "http://localhost:3000";
+    this.transporter = null;
+
+    // Bulk mail (campaigns) is spread out so the SMTP relay does not
+    // reject or rate-limit the account
+    const bulkRate = parseInt(process.env.EMAIL_BULK_RATE || "60", 10); // per minute
+    this.bulkLimiter = new Bottleneck({
+      maxConcurrent: 1,
+      minTime: Math.ceil(60000 / Math.max(bulkRate, 1)),
+    });
   }
 
-  async sendEmail(to, subject, htmlContent, textContent = null) {
+  /**
+   * @param {Object} options - headers: extra message headers
+   */
+  async sendEmail(to, subject, htmlContent, textContent = null, options = {}) {
     const emailData = {
       to,
       from: `${this.fromName} <${this.fromEmail}>`,
       subject,
       html: htmlContent,
       text: textContent || this.htmlToText(htmlContent),
+      headers: options.headers,
       timestamp: new Date().toISOString(),
     };
 
@@ -28,8 +43,10 @@ class EmailService {
         return { success: true, messageId: "disabled", provider: "console" };
       }
 
-      // For now, implement console logging as the primary method
-      // This can be extended with actual email providers later
+      if (this.emailProvider === "smtp") {
+        return await this.sendEmailViaSmtp(emailData);
+      }
+
       return await this.sendEmailViaConsole(emailData);
     } catch (error) {
       logger.error("Email sending failed:", error);
@@ -37,6 +54,54 @@ class EmailService {
     }
   }
 
+  /**
+   * Send an email in the bulk queue, at most EMAIL_BULK_RATE per minute
+   */
+  sendBulkEmail(to, subject, htmlContent, textContent = null, options = {}) {
+    return this.bulkLimiter.schedule(() =>
+      this.sendEmail(to, subject, htmlContent, textContent, options)
+    );
+  }
+
+  getTransporter() {
+    if (!this.transporter) {
+      const user = process.env.SMTP_USER;
+      this.transporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST || "localhost",
+        port: parseInt(process.env.SMTP_PORT || "587", 10),
+        secure: process.env.SMTP_SECURE === "true",
+        // Local SMTP sinks (MailHog, Mailpit) accept mail without auth
+        auth: user
+          ? {
+              user,
+              pass: process.env.SMTP_PASSWORD || process.env.SMTP_PASS,
+            }
+          : undefined,
+      });
+    }
+    return this.transporter;
+  }
+
+  async sendEmailViaSmtp(emailData) {
+    const info = await this.getTransporter().sendMail({
+      from: emailData.from,
+      to: emailData.to,
+      subject: emailData.subject,
+      html: emailData.html,
+      text: emailData.text,
+      headers: emailData.headers,
+    });
+
+    logger.info("📧 EMAIL SENT (SMTP):", {
+      operation: "email_send_smtp",
+      to: emailData.to,
+      subject: emailData.subject,
+      messageId: info.messageId,
+    });
+
+    return { success: true, messageId: info.messageId, provider: "smtp" };
+  }
+
   async sendEmailViaConsole(emailData) {
     logger.info("📧 EMAIL SENT (Console Mode):", {
       operation: "email_send_console",
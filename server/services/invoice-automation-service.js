@@ -0,0 +1,817 @@
+const { Op } = require("sequelize");
+const logger = require("../utils/logger");
+const {
+  Order,
+  OrderItem,
+  Invoice,
+  PlatformConnection,
+  ComplianceDocuments,
+  InvoiceAutomationRule,
+  InvoiceAutomationJob,
+} = require("../models");
+const qnbConnector = require("./qnbConnectorService");
+const eFaturaService = require("./qnbEFaturaService");
+const eArsivService = require("./qnbEArsivDocumentService");
+const n11FaturamService = require("./n11FaturamService");
+
+// Order statuses in the order a shipment moves through them; an order is
+// invoiced once it reached the trigger status of its rule or a later one
+const STATUS_PROGRESSION = [
+  "new",
+  "pending",
+  "processing",
+  "shipped",
+  "in_transit",
+  "delivered",
+];
+
+const PROVIDERS = ["qnb", "n11faturam"];
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_LOOKBACK_DAYS = 30;
+const RETRY_BASE_DELAY = 5 * 60 * 1000; // 5 minutes, doubled per attempt
+const MAX_RETRY_DELAY = 24 * 60 * 60 * 1000;
+const AMOUNT_TOLERANCE = 0.01;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const serviceError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Invoice Automation Service
+ * Issues sales invoices for marketplace orders once they reach the status
+ * chosen in the user's automation rules: e-Fatura for buyers registered
+ * with GİB and e-Arşiv for everyone else, through QNB Finans or N11 Faturam.
+ * Failed attempts are retried with backoff, invoice links are sent to the
+ * marketplaces that accept them and a daily reconciliation compares orders
+ * with the invoices issued for them.
+ */
+class InvoiceAutomationService {
+  constructor() {
+    this.maxAttempts =
+      parseInt(process.env.INVOICE_AUTOMATION_MAX_ATTEMPTS, 10) ||
+      DEFAULT_MAX_ATTEMPTS;
+    this.lookbackDays =
+      parseInt(process.env.INVOICE_AUTOMATION_LOOKBACK_DAYS, 10) ||
+      DEFAULT_LOOKBACK_DAYS;
+  }
+
+  /**
+   * Create the platform service for a connection
+   * @param {string} platform - Platform type
+   * @param {number} connectionId - PlatformConnection ID
+   * @returns {Object} Platform service
+   */
+  getPlatformService(platform, connectionId) {
+    // Loaded lazily: platform services are heavy and only needed for uploads
+    const PlatformServiceFactory = require("../modules/order-management/services/platforms/platformServiceFactory");
+    return PlatformServiceFactory.createService(platform, connectionId);
+  }
+
+  /**
+   * Rule that applies to an order: the rule with the lowest priority number
+   * among those matching its connection or platform; a connection rule wins
+   * over a platform rule and a platform rule over a catch-all when two share
+   * a priority
+   * @param {Array} rules - Active rules of the order owner
+   * @param {Object} order - Order
+   * @returns {Object|null} InvoiceAutomationRule
+   */
+  findRule(rules, order) {
+    const specificity = (rule) => (rule.connectionId ? 2 : rule.platform ? 1 : 0);
+
+    return (
+      rules
+        .filter(
+          (rule) =>
+            (!rule.connectionId || rule.connectionId === order.connectionId) &&
+            (!rule.platform || rule.platform === order.platform)
+        )
+        .sort(
+          (a, b) => a.priority - b.priority || specificity(b) - specificity(a)
+        )[0] || null
+    );
+  }
+
+  /**
+   * Whether an order reached the trigger status of a rule
+   * @param {Object} order - Order
+   * @param {Object} rule - InvoiceAutomationRule
+   * @returns {boolean}
+   */
+  isDue(order, rule) {
+    const trigger = STATUS_PROGRESSION.indexOf(rule.triggerStatus);
+    const current = STATUS_PROGRESSION.indexOf(order.orderStatus);
+    return trigger !== -1 && current >= trigger;
+  }
+
+  /**
+   * Retry delay after a number of failed attempts
+   * @param {number} attempts - Attempts made so far
+   * @returns {number} Milliseconds
+   */
+  getRetryDelay(attempts) {
+    return Math.min(RETRY_BASE_DELAY * 2 ** (attempts - 1), MAX_RETRY_DELAY);
+  }
+
+  /**
+   * Queue an invoicing job for every recent, uninvoiced order that reached
+   * the trigger status of its rule
+   * @param {Object} options - { userId, limit }
+   * @returns {Promise<number>} Number of queued jobs
+   */
+  async enqueueDueOrders({ userId, limit = 100 } = {}) {
+    const rules = await InvoiceAutomationRule.findAll({
+      where: { isActive: true, ...(userId && { userId }) },
+      order: [
+        ["priority", "ASC"],
+        ["createdAt", "ASC"],
+      ],
+    });
+
+    const rulesByUser = new Map();
+    for (const rule of rules) {
+      rulesByUser.set(rule.userId, [...(rulesByUser.get(rule.userId) || []), rule]);
+    }
+
+    const since = new Date(Date.now() - this.lookbackDays * 24 * 60 * 60 * 1000);
+    let queued = 0;
+
+    for (const [ownerId, userRules] of rulesByUser) {
+      if (queued >= limit) break;
+
+      const earliestTrigger = Math.min(
+        ...userRules.map((rule) => STATUS_PROGRESSION.indexOf(rule.triggerStatus))
+      );
+      if (earliestTrigger === -1) continue;
+
+      const orders = await Order.findAll({
+        where: {
+          userId: ownerId,
+          orderStatus: { [Op.in]: STATUS_PROGRESSION.slice(earliestTrigger) },
+          orderDate: { [Op.gte]: since },
+          [Op.or]: [{ invoiceStatus: "pending" }, { invoiceStatus: null }],
+          "$invoiceAutomationJob.id$": null,
+        },
+        include: [
+          {
+            model: InvoiceAutomationJob,
+            as: "invoiceAutomationJob",
+            attributes: ["id"],
+            required: false,
+          },
+        ],
+        order: [["orderDate", "ASC"]],
+        limit: limit - queued,
+        subQuery: false,
+      });
+
+      for (const order of orders) {
+        const rule = this.findRule(userRules, order);
+        if (!rule || !this.isDue(order, rule)) continue;
+
+        try {
+          await InvoiceAutomationJob.create({
+            userId: ownerId,
+            orderId: order.id,
+            ruleId: rule.id,
+            provider: rule.provider,
+            nextAttemptAt: new Date(),
+          });
+          queued++;
+        } catch (error) {
+          // Queued concurrently by a manual run
+          if (error.name !== "SequelizeUniqueConstraintError") {
+            throw error;
+          }
+        }
+      }
+    }
+
+    return queued;
+  }
+
+  /**
+   * Work off jobs whose invoice or invoice link upload is due
+   * @param {Object} options - { userId, limit }
+   * @returns {Promise<Object>} { processed, issued, retrying, failed, skipped, uploaded }
+   */
+  async processDueJobs({ userId, limit = 50 } = {}) {
+    const now = new Date();
+    const jobs = await InvoiceAutomationJob.findAll({
+      where: {
+        ...(userId && { userId }),
+        nextAttemptAt: { [Op.lte]: now },
+        [Op.or]: [
+          { status: "pending" },
+          { status: "issued", uploadStatus: "pending" },
+        ],
+      },
+      include: [{ model: InvoiceAutomationRule, as: "rule", required: false }],
+      order: [["nextAttemptAt", "ASC"]],
+      limit,
+    });
+
+    const stats = {
+      processed: 0,
+      issued: 0,
+      retrying: 0,
+      failed: 0,
+      skipped: 0,
+      uploaded: 0,
+    };
+
+    for (const job of jobs) {
+      const uploadOnly = job.status === "issued";
+      stats.processed++;
+      try {
+        if (uploadOnly) {
+          await this.uploadInvoiceLink(job);
+        } else {
+          await this.processJob(job);
+        }
+      } catch (error) {
+        logger.error(`Invoice automation job ${job.id} crashed: ${error.message}`, {
+          jobId: job.id,
+          orderId: job.orderId,
+        });
+        continue;
+      }
+
+      if (job.status === "issued" && !uploadOnly) stats.issued++;
+      if (job.status === "pending") stats.retrying++;
+      if (job.status === "failed") stats.failed++;
+      if (job.status === "skipped") stats.skipped++;
+      if (job.uploadStatus === "uploaded") stats.uploaded++;
+    }
+
+    return stats;
+  }
+
+  /**
+   * Issue the invoice of a job and send its link to the marketplace; a
+   * failure is retried with backoff until the attempts run out
+   * @param {Object} job - InvoiceAutomationJob with its rule
+   * @returns {Promise<Object>} The job
+   */
+  async processJob(job) {
+    const order = await Order.findOne({
+      where: { id: job.orderId, userId: job.userId },
+      include: [{ model: OrderItem, as: "items", required: false }],
+    });
+
+    if (!order || order.orderStatus === "cancelled" || order.invoiceStatus === "cancelled") {
+      return job.update({
+        status: "skipped",
+        nextAttemptAt: null,
+        lastError: order ? "Order was cancelled" : "Order no longer exists",
+      });
+    }
+    if (order.invoiceStatus === "issued" && !job.invoiceId) {
+      return job.update({
+        status: "skipped",
+        nextAttemptAt: null,
+        lastError: `Order was already invoiced as ${order.invoiceNumber}`,
+      });
+    }
+
+    const attempts = job.attempts + 1;
+
+    try {
+      const documentType =
+        job.documentType || (await this.resolveDocumentType(job, order));
+      await job.update({ documentType });
+
+      const issued =
+        job.provider === "n11faturam"
+          ? await this.issueWithN11Faturam(job, order)
+          : await this.issueWithQNB(job, order);
+      const invoice = await this.recordInvoice(job, order, issued);
+
+      await job.update({
+        status: "issued",
+        documentType: issued.documentType,
+        attempts,
+        invoiceId: invoice.id,
+        issuedAt: invoice.issueDate,
+        lastError: null,
+        uploadStatus: job.rule?.uploadToPlatform === false ? null : "pending",
+        nextAttemptAt: job.rule?.uploadToPlatform === false ? null : new Date(),
+      });
+
+      logger.info(`Order ${order.orderNumber} invoiced automatically`, {
+        orderId: order.id,
+        invoiceNumber: invoice.invoiceNumber,
+        documentType: issued.documentType,
+        provider: job.provider,
+      });
+    } catch (error) {
+      const exhausted = attempts >= this.maxAttempts;
+      logger.warn(`Automatic invoicing of order ${order.orderNumber} failed: ${error.message}`, {
+        jobId: job.id,
+        attempts,
+        exhausted,
+      });
+
+      return job.update({
+        status: exhausted ? "failed" : "pending",
+        attempts,
+        lastError: error.message,
+        nextAttemptAt: exhausted
+          ? null
+          : new Date(Date.now() + this.getRetryDelay(attempts)),
+      });
+    }
+
+    if (job.uploadStatus === "pending") {
+      await this.uploadInvoiceLink(job, order);
+    }
+
+    return job;
+  }
+
+  /**
+   * e-Fatura for buyers in the GİB e-Fatura user list, e-Arşiv otherwise.
+   * N11 Faturam users without QNB credentials cannot query the list, so
+   * companies (VKN) are assumed to be e-Fatura users for them
+   * @param {Object} job - InvoiceAutomationJob
+   * @param {Object} order - Order
+   * @returns {Promise<string>} e-invoice | e-archive
+   */
+  async resolveDocumentType(job, order) {
+    const buyer = eFaturaService.buildBuyer(order);
+    if (!buyer.taxNumber) {
+      return "e-archive";
+    }
+
+    try {
+      const taxpayer = await eFaturaService.checkTaxpayer(job.userId, buyer.taxNumber);
+      return taxpayer.isEInvoiceUser ? "e-invoice" : "e-archive";
+    } catch (error) {
+      if (job.provider === "qnb") {
+        throw error;
+      }
+
+      logger.warn(`e-Fatura user lookup unavailable: ${error.message}`, {
+        orderId: order.id,
+      });
+      return buyer.taxNumber.length === 10 ? "e-invoice" : "e-archive";
+    }
+  }
+
+  /**
+   * Issue through QNB Finans, reusing the document of an earlier attempt
+   * so a retry never takes a second invoice number
+   * @param {Object} job - InvoiceAutomationJob with its rule
+   * @param {Object} order - Order with items
+   * @returns {Promise<Object>} Issued invoice details
+   */
+  async issueWithQNB(job, order) {
+    let document = job.complianceDocumentId
+      ? await ComplianceDocuments.findByPk(job.complianceDocumentId)
+      : await ComplianceDocuments.findOne({
+          where: {
+            orderId: order.id,
+            documentType: ["e-invoice", "e-archive"],
+            status: ["generated", "sent", "accepted"],
+          },
+          order: [["createdAt", "DESC"]],
+        });
+
+    const resubmittable = (doc) =>
+      doc.status === "generated" ||
+      (doc.status === "failed" &&
+        (doc.documentType === "e-archive" || !doc.providerDocumentId));
+
+    const usable =
+      document &&
+      (["sent", "accepted"].includes(document.status) || resubmittable(document));
+    if (!usable) {
+      document =
+        job.documentType === "e-invoice"
+          ? await eFaturaService.generate(job.userId, order.id, {
+              profile: job.rule?.eInvoiceProfile,
+            })
+          : await eArsivService.generate(job.userId, order.id);
+    }
+    await job.update({ complianceDocumentId: document.id });
+
+    const service = document.documentType === "e-invoice" ? eFaturaService : eArsivService;
+    if (resubmittable(document)) {
+      const summary = await service.submit(job.userId, document.id);
+      if (summary.status === "failed") {
+        throw new Error(summary.errorMessage || "QNB Finans refused the invoice");
+      }
+      await document.reload();
+    }
+
+    return {
+      documentType: document.documentType,
+      invoiceNumber: document.documentNumber,
+      uuid: document.uuid,
+      providerInvoiceId: document.providerDocumentId,
+      pdfUrl: document.metadata?.pdfUrl || null,
+      issuedAt: document.generatedAt,
+      buyer: document.customerInfo,
+      currency: document.orderData.currency,
+      lines: document.orderData.items,
+    };
+  }
+
+  /**
+   * Issue through N11 Faturam with the same lines QNB would get
+   * @param {Object} job - InvoiceAutomationJob
+   * @param {Object} order - Order with items
+   * @returns {Promise<Object>} Issued invoice details
+   */
+  async issueWithN11Faturam(job, order) {
+    if (!order.items || order.items.length === 0) {
+      throw serviceError("Order has no items to invoice", 400);
+    }
+
+    const [credentials, qnbConfig] = await Promise.all([
+      n11FaturamService.getConfig(job.userId),
+      qnbConnector.getConfig(job.userId),
+    ]);
+    const buyer = eFaturaService.buildBuyer(order);
+    const lines = eFaturaService.buildInvoiceLines(order.items);
+    const currency = order.currency || "TRY";
+
+    const result = await n11FaturamService.generateInvoice(
+      {
+        id: order.id,
+        documentType: job.documentType,
+        customerName: buyer.name,
+        customerTaxNumber: buyer.taxNumber || "",
+        customerPhone: buyer.phone,
+        customerEmail: buyer.email,
+        shippingAddress: {
+          address: buyer.address,
+          city: buyer.city,
+          district: buyer.district,
+        },
+        currency,
+        totalAmount: round2(
+          lines.reduce((sum, line) => sum + line.lineExtensionAmount + line.taxAmount, 0)
+        ),
+        items: lines.map((line) => ({
+          productName: line.name,
+          quantity: line.quantity,
+          unitPrice: line.price,
+          taxRate: line.taxRate,
+        })),
+      },
+      { ...credentials, companyInfo: qnbConfig.companyInfo }
+    );
+
+    if (!result.success) {
+      throw new Error(result.message);
+    }
+
+    return {
+      documentType: job.documentType,
+      invoiceNumber: result.data.invoiceNumber,
+      uuid: result.data.uuid || null,
+      providerInvoiceId: result.data.invoiceId ? String(result.data.invoiceId) : null,
+      pdfUrl: result.data.pdfUrl || null,
+      issuedAt: new Date(),
+      buyer,
+      currency,
+      lines,
+    };
+  }
+
+  /**
+   * Store the issued invoice and mark the order invoiced
+   * @param {Object} job - InvoiceAutomationJob
+   * @param {Object} order - Order
+   * @param {Object} issued - Issued invoice details
+   * @returns {Promise<Object>} Invoice
+   */
+  async recordInvoice(job, order, issued) {
+    const subtotal = round2(issued.lines.reduce((sum, line) => sum + line.lineExtensionAmount, 0));
+    const taxAmount = round2(issued.lines.reduce((sum, line) => sum + line.taxAmount, 0));
+    const total = round2(subtotal + taxAmount);
+    const issueDate = new Date(issued.issuedAt);
+
+    const invoice =
+      (job.invoiceId && (await Invoice.findByPk(job.invoiceId))) ||
+      (await Invoice.create({
+        userId: job.userId,
+        orderId: order.id,
+        type: "sales",
+        invoiceNumber: issued.invoiceNumber,
+        description: `Sipariş ${order.orderNumber}`,
+        subtotal,
+        taxAmount,
+        total,
+        currency: issued.currency || order.currency || "TRY",
+        // Marketplace orders are paid to the marketplace before shipping
+        status: "paid",
+        issueDate,
+        paidAt: issueDate,
+        taxNumber: issued.buyer?.taxNumber || null,
+        taxOffice: issued.buyer?.taxOffice || null,
+        customerInfo: issued.buyer || {},
+        billingAddress: {
+          address: issued.buyer?.address || "",
+          district: issued.buyer?.district || "",
+          city: issued.buyer?.city || "",
+          postalCode: issued.buyer?.postalCode || "",
+        },
+        lineItems: issued.lines.map((line) => ({
+          orderItemId: line.orderItemId,
+          description: line.name,
+          sku: line.sku,
+          quantity: line.quantity,
+          unitPrice: round2(line.price),
+          taxRate: line.taxRate,
+          amount: line.lineExtensionAmount,
+          taxAmount: line.taxAmount,
+        })),
+        documentType: issued.documentType,
+        provider: job.provider,
+        uuid: issued.uuid,
+        providerInvoiceId: issued.providerInvoiceId,
+        pdfUrl: issued.pdfUrl,
+        metadata: {
+          automationJobId: job.id,
+          ruleId: job.ruleId,
+          platform: order.platform,
+        },
+      }));
+
+    await order.update({
+      invoiceStatus: "issued",
+      invoiceNumber: invoice.invoiceNumber,
+      invoiceDate: invoice.issueDate,
+      invoiceTotal: invoice.total,
+    });
+
+    return invoice;
+  }
+
+  /**
+   * Send the invoice link to the order's marketplace when it takes one
+   * @param {Object} job - Issued InvoiceAutomationJob
+   * @param {Object} order - Order, loaded when not given
+   * @returns {Promise<Object>} The job
+   */
+  async uploadInvoiceLink(job, order = null) {
+    const invoice = await Invoice.findByPk(job.invoiceId);
+    order = order || (await Order.findByPk(job.orderId));
+    const connection = order?.connectionId
+      ? await PlatformConnection.findByPk(order.connectionId)
+      : null;
+
+    if (!invoice || !connection) {
+      return job.update({
+        uploadStatus: "unsupported",
+        uploadError: "Order has no marketplace connection",
+        nextAttemptAt: null,
+      });
+    }
+    if (!invoice.pdfUrl) {
+      return job.update({
+        uploadStatus: "unsupported",
+        uploadError: `${job.provider} returned no public link for the invoice`,
+        nextAttemptAt: null,
+      });
+    }
+
+    const uploadAttempts = job.uploadAttempts + 1;
+    let result;
+    try {
+      const service = this.getPlatformService(connection.platformType, connection.id);
+      if (!service.supportsInvoiceLinks()) {
+        return job.update({
+          uploadStatus: "unsupported",
+          uploadError: `${connection.platformType} does not accept invoice links`,
+          nextAttemptAt: null,
+        });
+      }
+
+      result = await service.sendInvoiceLink(order, {
+        invoiceNumber: invoice.invoiceNumber,
+        invoiceDate: invoice.issueDate,
+        url: invoice.pdfUrl,
+      });
+    } catch (error) {
+      result = { success: false, message: error.message };
+    }
+
+    if (result.success) {
+      return job.update({
+        uploadStatus: "uploaded",
+        uploadAttempts,
+        uploadError: null,
+        uploadedAt: new Date(),
+        nextAttemptAt: null,
+      });
+    }
+
+    const exhausted = uploadAttempts >= this.maxAttempts;
+    return job.update({
+      uploadStatus: exhausted ? "failed" : "pending",
+      uploadAttempts,
+      uploadError: result.message,
+      nextAttemptAt: exhausted
+        ? null
+        : new Date(Date.now() + this.getRetryDelay(uploadAttempts)),
+    });
+  }
+
+  /**
+   * Queue and process the due orders of a user right away
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Queued count and processing stats
+   */
+  async runForUser(userId) {
+    const queued = await this.enqueueDueOrders({ userId });
+    const stats = await this.processDueJobs({ userId });
+    return { queued, ...stats };
+  }
+
+  /**
+   * Retry a failed job, or the failed invoice link upload of an issued one
+   * @param {string} userId - User ID
+   * @param {string} jobId - Job ID
+   * @returns {Promise<Object>} The job
+   */
+  async retryJob(userId, jobId) {
+    const job = await InvoiceAutomationJob.findOne({
+      where: { id: jobId, userId },
+      include: [{ model: InvoiceAutomationRule, as: "rule", required: false }],
+    });
+    if (!job) {
+      throw serviceError("Invoicing job not found", 404);
+    }
+
+    if (job.status === "issued" && job.uploadStatus === "failed") {
+      await job.update({ uploadStatus: "pending", uploadAttempts: 0 });
+      return this.uploadInvoiceLink(job);
+    }
+    if (!["failed", "pending"].includes(job.status)) {
+      throw serviceError(`Job in status ${job.status} cannot be retried`, 409);
+    }
+
+    await job.update({ status: "pending", attempts: 0 });
+    return this.processJob(job);
+  }
+
+  /**
+   * Invoicing jobs of a user
+   * @param {string} userId - User ID
+   * @param {Object} filters - { status, uploadStatus, page, limit }
+   * @returns {Promise<Object>} { jobs, pagination }
+   */
+  async getJobs(userId, { status, uploadStatus, page = 1, limit = 50 } = {}) {
+    const pageSize = Math.min(parseInt(limit, 10) || 50, 200);
+    const currentPage = Math.max(parseInt(page, 10) || 1, 1);
+
+    const { count, rows } = await InvoiceAutomationJob.findAndCountAll({
+      where: {
+        userId,
+        ...(status && { status }),
+        ...(uploadStatus && { uploadStatus }),
+      },
+      include: [
+        {
+          model: Order,
+          as: "order",
+          attributes: ["id", "orderNumber", "platform", "orderStatus", "totalAmount"],
+        },
+        { model: InvoiceAutomationRule, as: "rule", attributes: ["id", "name"] },
+        {
+          model: Invoice,
+          as: "invoice",
+          attributes: ["id", "invoiceNumber", "total", "pdfUrl", "documentType"],
+        },
+      ],
+      order: [["updatedAt", "DESC"]],
+      limit: pageSize,
+      offset: (currentPage - 1) * pageSize,
+    });
+
+    return {
+      jobs: rows,
+      pagination: { total: count, page: currentPage, limit: pageSize },
+    };
+  }
+
+  /**
+   * Orders placed on a day against the sales invoices issued for them
+   * @param {string} userId - User ID
+   * @param {string} date - YYYY-MM-DD, today when omitted
+   * @returns {Promise<Object>} { date, summary, orders }
+   */
+  async getReconciliation(userId, date) {
+    const start = date ? new Date(`${date}T00:00:00`) : new Date();
+    start.setHours(0, 0, 0, 0);
+    const end = new Date(start);
+    end.setDate(end.getDate() + 1);
+
+    const [rules, orders, issuedToday] = await Promise.all([
+      InvoiceAutomationRule.findAll({
+        where: { userId, isActive: true },
+        order: [
+          ["priority", "ASC"],
+          ["createdAt", "ASC"],
+        ],
+      }),
+      Order.findAll({
+        where: { userId, orderDate: { [Op.gte]: start, [Op.lt]: end } },
+        include: [{ model: InvoiceAutomationJob, as: "invoiceAutomationJob", required: false }],
+        order: [["orderDate", "ASC"]],
+      }),
+      Invoice.findAll({
+        where: { userId, type: "sales", issueDate: { [Op.gte]: start, [Op.lt]: end } },
+        attributes: ["id", "total"],
+      }),
+    ]);
+
+    const invoices = orders.length
+      ? await Invoice.findAll({
+          where: { userId, type: "sales", orderId: orders.map((order) => order.id) },
+        })
+      : [];
+    const invoiceByOrder = new Map(invoices.map((invoice) => [invoice.orderId, invoice]));
+
+    const summary = {
+      orders: orders.length,
+      invoiced: 0,
+      mismatched: 0,
+      pending: 0,
+      failed: 0,
+      missing: 0,
+      notDue: 0,
+      orderTotal: 0,
+      invoicedTotal: 0,
+      issuedOnDay: issuedToday.length,
+      issuedOnDayTotal: round2(
+        issuedToday.reduce((sum, invoice) => sum + parseFloat(invoice.total), 0)
+      ),
+    };
+
+    const rows = orders.map((order) => {
+      const invoice = invoiceByOrder.get(order.id);
+      const job = order.invoiceAutomationJob;
+      const orderTotal = parseFloat(order.totalAmount) || 0;
+      const rule = this.findRule(rules, order);
+
+      let state;
+      if (invoice) {
+        state =
+          Math.abs(parseFloat(invoice.total) - orderTotal) > AMOUNT_TOLERANCE
+            ? "mismatched"
+            : "invoiced";
+      } else if (job?.status === "failed") {
+        state = "failed";
+      } else if (job?.status === "pending") {
+        state = "pending";
+      } else if (rule && this.isDue(order, rule)) {
+        state = "missing";
+      } else {
+        state = "notDue";
+      }
+
+      summary[state]++;
+      summary.orderTotal += orderTotal;
+      if (invoice) {
+        summary.invoicedTotal += parseFloat(invoice.total);
+      }
+
+      return {
+        orderId: order.id,
+        orderNumber: order.orderNumber,
+        platform: order.platform,
+        orderStatus: order.orderStatus,
+        orderTotal,
+        state,
+        invoiceNumber: invoice?.invoiceNumber || order.invoiceNumber || null,
+        invoiceTotal: invoice ? parseFloat(invoice.total) : null,
+        documentType: invoice?.documentType || job?.documentType || null,
+        uploadStatus: job?.uploadStatus || null,
+        jobId: job?.id || null,
+        lastError: job?.lastError || null,
+      };
+    });
+
+    summary.orderTotal = round2(summary.orderTotal);
+    summary.invoicedTotal = round2(summary.invoicedTotal);
+
+    return {
+      date: `${start.getFullYear()}-${String(start.getMonth() + 1).padStart(2, "0")}-${String(start.getDate()).padStart(2, "0")}`,
+      summary,
+      orders: rows,
+    };
+  }
+}
+
+module.exports = new InvoiceAutomationService();
+module.exports.STATUS_PROGRESSION = STATUS_PROGRESSION;
+module.exports.PROVIDERS = PROVIDERS;
@@ -1,7 +1,13 @@
 const { EventEmitter } = require('events');
 const logger = require('../utils/logger');
-const { User, Customer, Order, Campaign, EmailTemplate } = require('../models');
-const nodemailer = require('nodemailer');
+const {
+  Customer,
+  Campaign,
+  CustomerSegment,
+  EmailTemplate
+} = require('../models');
+const customerSegmentation = require('./customer-segmentation-service');
+const campaignDelivery = require('./campaign-delivery-service');
 const { Op } = require('sequelize');
 
 /**
@@ -11,16 +17,6 @@ const { Op } = require('sequelize');
 class MarketingAutomationService extends EventEmitter {
   constructor() {
     super();
-    // Create our own email transporter instead of using EmailService
-    this.emailTransporter = nodemailer.createTransport({
-      host: process.env.SMTP_HOST || 'smtp.gmail.com',
-      port: parseInt(process.env.SMTP_PORT || '587'),
-      secure: process.env.SMTP_SECURE === 'true',
-      auth: {
-        user: process.env.SMTP_USER,
-        pass: process.env.SMTP_PASS
-      }
-    });
     this.campaigns = new Map();
     this.automationRules = new Map();
     this.setupAutomationRules();
@@ -94,47 +90,30 @@ class MarketingAutomationService extends EventEmitter {
   }
 
   /**
-   * Send automated email
+   * Send automated email to a customer who agreed to marketing emails
    */
   async sendAutomatedEmail(customerId, templateName, data = {}) {
     try {
-      const customer = await Customer.findByPk(customerId);
-      if (!customer) {return;}
-
-      const template = await this.getEmailTemplate(templateName);
-      if (!template) {return;}
-
-      const personalizedContent = this.personalizeContent(template.content, {
-        ...data,
-        customerName: customer.name,
-        customerEmail: customer.email
-      });
-
-      await this.emailService.transporter.sendMail({
-        from: process.env.SMTP_FROM || 'no-reply@pazar.plus',
-        to: customer.email,
-        subject: template.subject,
-        html: personalizedContent
-      });
-
-      logger.info(`Automated email sent: ${templateName} to ${customer.email}`);
+      const sent = await campaignDelivery.sendTemplateEmail(
+        customerId,
+        templateName,
+        data
+      );
+      if (sent) {
+        logger.info(`Automated email sent: ${templateName}`, { customerId });
+      }
     } catch (error) {
       logger.error('Error sending automated email:', error);
     }
   }
 
   /**
-   * Customer segmentation based on behavior and purchase history
+   * Customer segments that can be used as campaign audiences: the RFM
+   * segments computed nightly and the segments saved by users
    */
   async segmentCustomers() {
     try {
-      // Placeholder implementation
-      return {
-        highValue: { count: 0, criteria: 'High spending customers' },
-        regular: { count: 0, criteria: 'Regular customers' },
-        newCustomers: { count: 0, criteria: 'Recently registered customers' },
-        dormant: { count: 0, criteria: 'Inactive customers' }
-      };
+      return await customerSegmentation.getSegments();
     } catch (error) {
       logger.error('Error segmenting customers', { error: error.message });
       throw error;
@@ -142,122 +121,91 @@ class MarketingAutomationService extends EventEmitter {
   }
 
   /**
-   * Create a new marketing campaign
+   * Create a new marketing campaign for one or more saved segments. The
+   * campaign scheduler sends it at scheduledAt; without one it stays a
+   * draft until it is sent.
    */
   async createCampaign(campaignData) {
     try {
-      // Placeholder implementation
-      logger.info('Creating marketing campaign', { name: campaignData.name });
-      return {
-        id: 'campaign-' + Date.now(),
-        ...campaignData,
-        status: 'created',
-        createdAt: new Date()
-      };
-    } catch (error) {
-      logger.error('Error creating campaign', { error: error.message });
-      throw error;
-    }
-  }
-
-  /**
-   * Send campaign to segmented customers
-   */
-  async sendCampaign(campaignId) {
-    try {
-      const campaign = await Campaign.findByPk(campaignId);
-      if (!campaign) {throw new Error('Campaign not found');}
-
-      campaign.status = 'sending';
-      campaign.sentAt = new Date();
-      await campaign.save();
-
-      const segments = await this.segmentCustomers();
-      let recipients = [];
-
-      // Collect recipients from specified segments
-      for (const segmentId of campaign.segmentIds) {
-        if (segments[segmentId]) {
-          recipients = [...recipients, ...segments[segmentId]];
-        }
-      }
-
-      // Remove duplicates
-      recipients = recipients.filter(
-        (customer, index, self) =>
-          index === self.findIndex((c) => c.id === customer.id)
+      const segmentIds = (campaignData.segmentIds || []).map((id) =>
+        parseInt(id, 10)
       );
+      const segments = await CustomerSegment.findAll({
+        where: { id: { [Op.in]: segmentIds } },
+        attributes: ['id']
+      });
+      if (!segmentIds.length || segments.length !== segmentIds.length) {
+        const error = new Error('Unknown campaign segments');
+        error.statusCode = 400;
+        throw error;
+      }
 
-      let sentCount = 0;
-      let failedCount = 0;
-
-      for (const customer of recipients) {
-        try {
-          const personalizedContent = this.personalizeContent(
-            campaign.content,
-            {
-              customerName: customer.name,
-              customerEmail: customer.email
-            }
-          );
-
-          await this.emailService.transporter.sendMail({
-            from: process.env.SMTP_FROM || 'no-reply@pazar.plus',
-            to: customer.email,
-            subject: campaign.subject,
-            html: personalizedContent
-          });
-
-          sentCount++;
-        } catch (error) {
-          logger.error(`Failed to send campaign to ${customer.email}:`, error);
-          failedCount++;
-        }
+      const templateId = campaignData.templateId
+        ? parseInt(campaignData.templateId, 10)
+        : null;
+      if (templateId && !(await EmailTemplate.findByPk(templateId))) {
+        const error = new Error('Unknown email template');
+        error.statusCode = 400;
+        throw error;
+      }
+      if (!templateId && !campaignData.content) {
+        const error = new Error('Campaign needs content or a template');
+        error.statusCode = 400;
+        throw error;
       }
 
-      campaign.status = 'sent';
-      campaign.sentCount = sentCount;
-      campaign.failedCount = failedCount;
-      await campaign.save();
+      // Only customers with marketing consent will receive it
+      const audience = await customerSegmentation.getAudience(segmentIds, {
+        attributes: ['id'],
+        where: { marketingEmailConsent: true }
+      });
+      const scheduledAt = campaignData.scheduledAt
+        ? new Date(campaignData.scheduledAt)
+        : null;
 
-      logger.info(
-        `Campaign ${campaign.name} sent to ${sentCount} recipients, ${failedCount} failed`
-      );
-      return { sentCount, failedCount };
+      logger.info('Creating marketing campaign', { name: campaignData.name });
+      return await Campaign.create({
+        name: campaignData.name,
+        subject: campaignData.subject,
+        content: campaignData.content || null,
+        templateId,
+        segmentIds,
+        status: scheduledAt ? 'scheduled' : 'draft',
+        scheduledAt,
+        recipientCount: audience.length,
+        createdBy: campaignData.createdBy || null
+      });
     } catch (error) {
-      logger.error('Error sending campaign:', error);
+      logger.error('Error creating campaign', { error: error.message });
       throw error;
     }
   }
 
   /**
-   * Schedule campaign for future sending
+   * Send campaign to the consenting customers of its segments
    */
-  scheduleCampaign(campaignId, scheduledAt) {
-    const delay = scheduledAt.getTime() - Date.now();
-
-    setTimeout(async () => {
-      await this.sendCampaign(campaignId);
-    }, delay);
-
-    logger.info(`Campaign ${campaignId} scheduled for ${scheduledAt}`);
+  async sendCampaign(campaignId) {
+    return campaignDelivery.deliver(campaignId);
   }
 
   /**
-   * Personalize email content with customer data
+   * Cancel a campaign that has not finished sending
    */
-  personalizeContent(content, data) {
-    let personalizedContent = content;
-
-    Object.keys(data).forEach((key) => {
-      const placeholder = `{{${key}}}`;
-      personalizedContent = personalizedContent.replace(
-        new RegExp(placeholder, 'g'),
-        data[key] || ''
-      );
-    });
+  async cancelCampaign(campaignId) {
+    const campaign = await Campaign.findByPk(campaignId);
+    if (!campaign) {
+      const error = new Error('Campaign not found');
+      error.statusCode = 404;
+      throw error;
+    }
+    if (!['draft', 'scheduled', 'sending'].includes(campaign.status)) {
+      const error = new Error(`Campaign is already ${campaign.status}`);
+      error.statusCode = 409;
+      throw error;
+    }
 
-    return personalizedContent;
+    // A campaign that is sending stops after its current batch
+    return campaign.update({ status: 'cancelled' });
   }
 
   /**
@@ -299,14 +247,7 @@ class MarketingAutomationService extends EventEmitter {
    */
   async getCampaignStats() {
     try {
-      // Placeholder implementation
-      return {
-        totalCampaigns: 0,
-        activeCampaigns: 0,
-        totalSent: 0,
-        totalOpened: 0,
-        totalClicked: 0
-      };
+      return await campaignDelivery.getCampaignStats();
     } catch (error) {
       logger.error('Error getting campaign stats', { error: error.message });
       throw error;
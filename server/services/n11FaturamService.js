@@ -4,16 +4,37 @@
  */
 
 const axios = require('axios');
+const { Settings } = require('../models');
 const logger = require('../utils/logger');
 
 class N11FaturamService {
   constructor() {
-    this.baseURL = 'https://api.n11faturam.com/v1';
+    this.baseURL =
+      process.env.N11_FATURAM_API_URL || 'https://api.n11faturam.com/v1';
+  }
+
+  /**
+   * N11 Faturam credentials of a user, falling back to the environment
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} apiKey, username and password
+   */
+  async getConfig(userId) {
+    const settings = await Settings.findOne({
+      where: { userId, category: 'n11_faturam' }
+    });
+    const stored = settings?.settings || {};
+
+    return {
+      apiKey: stored.apiKey || process.env.N11_FATURAM_API_KEY,
+      username: stored.username || process.env.N11_FATURAM_USERNAME,
+      password: stored.password || process.env.N11_FATURAM_PASSWORD
+    };
   }
 
   /**
    * Generate e-invoice using N11 Faturam API
-   * @param {Object} order - Order object
+   * @param {Object} order - Order object; returnReference ({ invoiceNumber,
+   *   invoiceDate }) makes it a return (IADE) invoice
    * @param {Object} config - User's invoice configuration
    * @returns {Object} - Invoice generation result
    */
@@ -52,7 +73,15 @@ class N11FaturamService {
 
         // Invoice details
         invoice: {
-          faturaTipi: 'SATIS',
+          belgeTuru: order.documentType === 'e-invoice' ? 'EFATURA' : 'EARSIV',
+          faturaTipi: order.returnReference ? 'IADE' : 'SATIS',
+          // Return invoices name the invoice they credit
+          ...(order.returnReference && {
+            iadeFaturaNo: order.returnReference.invoiceNumber,
+            iadeFaturaTarihi: new Date(order.returnReference.invoiceDate)
+              .toISOString()
+              .split('T')[0]
+          }),
           belgeNumarasi: `INV-${order.id}-${Date.now()}`,
           belgeTarihi: new Date().toISOString().split('T')[0],
           paraBirimi: order.currency || 'TRY',
@@ -239,7 +268,7 @@ class N11FaturamService {
     const items = order.items || [];
     return items.reduce((total, item) => {
       const itemTotal = (item.unitPrice || 0) * (item.quantity || 1);
-      const taxRate = item.taxRate || 0.18; // Default 18% KDV
+      const taxRate = item.taxRate ?? 0.18; // Default 18% KDV
       return total + itemTotal * taxRate;
     }, 0);
   }
@@ -254,13 +283,13 @@ class N11FaturamService {
       birim: 'Adet',
       birimFiyat: item.unitPrice || 0,
       malHizmetTutari: (item.unitPrice || 0) * (item.quantity || 1),
-      kdvOrani: (item.taxRate || 0.18) * 100, // Convert to percentage
+      kdvOrani: (item.taxRate ?? 0.18) * 100, // Convert to percentage
       kdvTutari:
-        (item.unitPrice || 0) * (item.quantity || 1) * (item.taxRate || 0.18),
+        (item.unitPrice || 0) * (item.quantity || 1) * (item.taxRate ?? 0.18),
       toplamTutar:
         (item.unitPrice || 0) *
         (item.quantity || 1) *
-        (1 + (item.taxRate || 0.18))
+        (1 + (item.taxRate ?? 0.18))
     }));
   }
 }
@@ -586,14 +586,17 @@ class NotificationService extends EventEmitter {
       type: 'shipping_update',
       channel: 'shipping',
       data: {
+        orderId: shippingData.orderId,
         orderNumber: shippingData.orderNumber,
         trackingNumber: shippingData.trackingNumber,
         carrier: shippingData.carrier,
         status: shippingData.status,
-        location: shippingData.location
+        location: shippingData.location,
+        exception: shippingData.exception || null,
+        message: shippingData.message
       },
-      priority: 'normal',
-      requiresAction: false
+      priority: shippingData.exception ? 'high' : 'normal',
+      requiresAction: Boolean(shippingData.exception)
     });
   }
 
@@ -614,6 +617,41 @@ class NotificationService extends EventEmitter {
     });
   }
 
+  // Chat notifications
+  notifyChatHandoff(handoffData) {
+    this.broadcast({
+      type: 'chat_handoff',
+      channel: 'chat',
+      data: {
+        conversationId: handoffData.conversationId,
+        accountId: handoffData.accountId,
+        channel: handoffData.channel,
+        customerName: handoffData.customerName,
+        reason: handoffData.reason
+      },
+      priority: 'high',
+      requiresAction: true
+    });
+  }
+
+  // Customer question notifications
+  notifyQuestionEscalation(escalationData) {
+    this.broadcast({
+      type: 'question_escalation',
+      channel: 'customer_questions',
+      data: {
+        questionId: escalationData.questionId,
+        platform: escalationData.platform,
+        productName: escalationData.productName,
+        assignedTo: escalationData.assignedTo,
+        dueDate: escalationData.dueDate,
+        level: escalationData.level
+      },
+      priority: escalationData.level === 2 ? 'urgent' : 'high',
+      requiresAction: true
+    });
+  }
+
   /**
    * Get connection statistics
    */
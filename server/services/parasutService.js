@@ -0,0 +1,314 @@
+/**
+ * Paraşüt Service
+ * Integration with the Paraşüt v4 API for sending sales invoices and
+ * expenses to the accounting of a company
+ * @see https://apidocs.parasut.com
+ */
+
+const axios = require('axios');
+const { Settings } = require('../models');
+const logger = require('../utils/logger');
+
+const MASKED_VALUE = '****';
+const SECRET_FIELDS = ['clientSecret', 'password'];
+const CONFIG_FIELDS = [
+  'companyId',
+  'clientId',
+  'clientSecret',
+  'username',
+  'password'
+];
+
+// Paraşüt currency codes differ from ISO 4217 for the lira only
+const CURRENCIES = { TRY: 'TRL' };
+
+// Renew tokens a minute before Paraşüt expires them
+const TOKEN_EXPIRY_MARGIN_MS = 60 * 1000;
+
+class ParasutService {
+  constructor() {
+    this.baseURL = process.env.PARASUT_API_URL || 'https://api.parasut.com';
+    this.tokens = new Map();
+  }
+
+  /**
+   * Paraşüt credentials of a user, falling back to the environment
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} companyId, clientId, clientSecret, username, password
+   */
+  async getConfig(userId) {
+    const settings = await Settings.findOne({
+      where: { userId, category: 'parasut' }
+    });
+    const stored = settings?.settings || {};
+
+    return {
+      companyId: stored.companyId || process.env.PARASUT_COMPANY_ID,
+      clientId: stored.clientId || process.env.PARASUT_CLIENT_ID,
+      clientSecret: stored.clientSecret || process.env.PARASUT_CLIENT_SECRET,
+      username: stored.username || process.env.PARASUT_USERNAME,
+      password: stored.password || process.env.PARASUT_PASSWORD
+    };
+  }
+
+  /**
+   * Save Paraşüt credentials; masked secrets keep their stored value
+   * @param {string} userId - User ID
+   * @param {Object} updates - Partial credentials
+   * @returns {Promise<Object>} Saved credentials
+   */
+  async saveConfig(userId, updates) {
+    const [settings, created] = await Settings.findOrCreate({
+      where: { userId, category: 'parasut' },
+      defaults: { settings: {} }
+    });
+    const current = created ? {} : settings.settings || {};
+    const next = { ...current };
+
+    for (const field of CONFIG_FIELDS) {
+      if (updates[field] !== undefined && updates[field] !== MASKED_VALUE) {
+        next[field] = updates[field];
+      }
+    }
+
+    await settings.update({ settings: next });
+    // Credentials changed: the cached token may belong to another account
+    this.tokens.clear();
+
+    return next;
+  }
+
+  /**
+   * Credentials safe to send to the client
+   * @param {Object} config - Paraşüt credentials
+   * @returns {Object}
+   */
+  maskConfig(config) {
+    return CONFIG_FIELDS.reduce((masked, field) => {
+      masked[field] =
+        SECRET_FIELDS.includes(field) && config[field]
+          ? MASKED_VALUE
+          : config[field] || '';
+      return masked;
+    }, {});
+  }
+
+  /**
+   * Whether all credentials needed to call the API are set
+   * @param {Object} config - Paraşüt credentials
+   * @returns {boolean}
+   */
+  isConfigured(config) {
+    return CONFIG_FIELDS.every((field) => Boolean(config[field]));
+  }
+
+  /**
+   * OAuth access token of the user account, cached until it expires
+   * @param {Object} config - Paraşüt credentials
+   * @returns {Promise<string>} Access token
+   */
+  async getAccessToken(config) {
+    const cacheKey = `${config.clientId}:${config.username}`;
+    const cached = this.tokens.get(cacheKey);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.accessToken;
+    }
+
+    const response = await axios.post(`${this.baseURL}/oauth/token`, {
+      grant_type: 'password',
+      client_id: config.clientId,
+      client_secret: config.clientSecret,
+      username: config.username,
+      password: config.password,
+      redirect_uri: 'urn:ietf:wg:oauth:2.0:oob'
+    });
+
+    this.tokens.set(cacheKey, {
+      accessToken: response.data.access_token,
+      expiresAt:
+        Date.now() +
+        (response.data.expires_in || 7200) * 1000 -
+        TOKEN_EXPIRY_MARGIN_MS
+    });
+
+    return response.data.access_token;
+  }
+
+  /**
+   * Call the company API; an expired token is renewed once
+   * @param {Object} config - Paraşüt credentials
+   * @param {string} method - HTTP method
+   * @param {string} path - Path under /v4/{companyId}
+   * @param {Object} options - { data, params }
+   * @param {boolean} retried - Whether the token was already renewed
+   * @returns {Promise<Object>} Response body
+   */
+  async request(config, method, path, options = {}, retried = false) {
+    if (!this.isConfigured(config)) {
+      throw new Error('Paraşüt credentials not configured');
+    }
+
+    try {
+      const accessToken = await this.getAccessToken(config);
+      const response = await axios({
+        method,
+        url: `${this.baseURL}/v4/${config.companyId}${path}`,
+        data: options.data,
+        params: options.params,
+        headers: {
+          Authorization: `Bearer ${accessToken}`,
+          'Content-Type': 'application/vnd.api+json'
+        }
+      });
+      return response.data;
+    } catch (error) {
+      if (error.response?.status === 401 && !retried) {
+        this.tokens.delete(`${config.clientId}:${config.username}`);
+        return this.request(config, method, path, options, true);
+      }
+      throw new Error(this.getErrorMessage(error));
+    }
+  }
+
+  /**
+   * Message of a failed call; the API answers with JSON:API errors
+   * @param {Error} error - Axios error
+   * @returns {string}
+   */
+  getErrorMessage(error) {
+    const errors = error.response?.data?.errors;
+    if (Array.isArray(errors) && errors.length > 0) {
+      return errors
+        .map((item) => [item.title, item.detail].filter(Boolean).join(': '))
+        .join('; ');
+    }
+    return error.response?.data?.error_description || error.message;
+  }
+
+  /**
+   * Contact with a name and account type, created when missing
+   * @param {Object} config - Paraşüt credentials
+   * @param {string} name - Contact name
+   * @param {string} accountType - customer | supplier
+   * @returns {Promise<string>} Contact ID
+   */
+  async findOrCreateContact(config, name, accountType) {
+    const found = await this.request(config, 'get', '/contacts', {
+      params: {
+        'filter[name]': name,
+        'filter[account_type]': accountType,
+        'page[size]': 1
+      }
+    });
+    if (found.data?.length > 0) {
+      return found.data[0].id;
+    }
+
+    const created = await this.request(config, 'post', '/contacts', {
+      data: {
+        data: {
+          type: 'contacts',
+          attributes: {
+            name,
+            contact_type: 'company',
+            account_type: accountType
+          }
+        }
+      }
+    });
+    logger.info(`Created Paraşüt ${accountType} contact ${name}`, {
+      contactId: created.data.id
+    });
+
+    return created.data.id;
+  }
+
+  /**
+   * Create a sales invoice, or a refund for a return invoice
+   * @param {Object} config - Paraşüt credentials
+   * @param {Object} invoice - { kind, series, sequence, date, description,
+   *   currency, lines: [{ description, quantity, unitPrice, vatRate }] }
+   * @param {string} contactId - Customer contact ID
+   * @returns {Promise<string>} Sales invoice ID
+   */
+  async createSalesInvoice(config, invoice, contactId) {
+    const result = await this.request(config, 'post', '/sales_invoices', {
+      data: {
+        data: {
+          type: 'sales_invoices',
+          attributes: {
+            item_type: invoice.kind === 'return' ? 'refund' : 'invoice',
+            description: invoice.description,
+            issue_date: invoice.date,
+            due_date: invoice.date,
+            invoice_series: invoice.series || undefined,
+            invoice_id: invoice.sequence ? Number(invoice.sequence) : undefined,
+            currency: CURRENCIES[invoice.currency] || invoice.currency
+          },
+          relationships: {
+            contact: { data: { id: contactId, type: 'contacts' } },
+            details: {
+              data: invoice.lines.map((line) => ({
+                type: 'sales_invoice_details',
+                attributes: {
+                  quantity: line.quantity,
+                  unit_price: line.unitPrice,
+                  vat_rate: line.vatRate,
+                  description: line.description
+                }
+              }))
+            }
+          }
+        }
+      }
+    });
+
+    return result.data.id;
+  }
+
+  /**
+   * Create a purchase bill for a fee, or a refund for a refunded fee
+   * @param {Object} config - Paraşüt credentials
+   * @param {Object} bill - { refund, number, date, description, currency,
+   *   netAmount, vatRate }
+   * @param {string} supplierId - Supplier contact ID
+   * @returns {Promise<string>} Purchase bill ID
+   */
+  async createPurchaseBill(config, bill, supplierId) {
+    const result = await this.request(config, 'post', '/purchase_bills', {
+      data: {
+        data: {
+          type: 'purchase_bills',
+          attributes: {
+            item_type: bill.refund ? 'refund' : 'purchase_bill',
+            description: bill.description,
+            issue_date: bill.date,
+            due_date: bill.date,
+            invoice_no: bill.number,
+            currency: CURRENCIES[bill.currency] || bill.currency
+          },
+          relationships: {
+            supplier: { data: { id: supplierId, type: 'contacts' } },
+            details: {
+              data: [
+                {
+                  type: 'purchase_bill_details',
+                  attributes: {
+                    quantity: 1,
+                    unit_price: bill.netAmount,
+                    vat_rate: bill.vatRate,
+                    description: bill.description
+                  }
+                }
+              ]
+            }
+          }
+        }
+      }
+    });
+
+    return result.data.id;
+  }
+}
+
+module.exports = new ParasutService();
@@ -1704,8 +1704,16 @@ class PlatformServiceManager extends EventEmitter {
         const n11Service = new N11Service(connectionId);
         this.serviceInstances.set(serviceKey, n11Service);
         return n11Service;
-      default:
-        throw new Error(`Unsupported platform type: ${platformType}`);
+      default: {
+        // Remaining marketplaces (amazon, pazarama, ciceksepeti, ...) come
+        // from the factory, which throws for unsupported types
+        const service = PlatformServiceFactory.createService(
+          platformType,
+          connectionId
+        );
+        this.serviceInstances.set(serviceKey, service);
+        return service;
+      }
     }
   }
 
@@ -647,7 +647,7 @@ class PlatformSyncService {
   /**
    * Sync product to a single platform using database authentication
    * @param {string} productId - Product ID
-   * @param {string} platformType - Platform type (trendyol, hepsiburada, n11)
+   * @param {string} platformType - Platform type (trendyol, hepsiburada, n11, woocommerce, shopify)
    * @param {Object} changes - Changes made to product
    * @param {Object} options - Additional options including connection and userId
    */
@@ -677,7 +677,13 @@ class PlatformSyncService {
       );
 
       // Validate platform type
-      const validPlatforms = ["trendyol", "hepsiburada", "n11"];
+      const validPlatforms = [
+        "trendyol",
+        "hepsiburada",
+        "n11",
+        "woocommerce",
+        "shopify",
+      ];
       if (!validPlatforms.includes(platformType.toLowerCase())) {
         throw new Error(`Unsupported platform type: ${platformType}`);
       }
@@ -1076,6 +1082,9 @@ class PlatformSyncService {
           return this.transformForHepsiburada(transformedData, product);
         case "n11":
           return this.transformForN11(transformedData, product);
+        case "woocommerce":
+        case "shopify":
+          return this.transformForWebShop(transformedData, product);
         default:
           logger.warn(`No specific transformation for platform: ${platform}`);
           return transformedData;
@@ -1134,6 +1143,23 @@ class PlatformSyncService {
     };
   }
 
+  /**
+   * Transform product data for web shops (WooCommerce, Shopify).
+   * MainProduct keeps price and SKU in base fields, legacy products in
+   * price/sku; the shop services only send the fields present here.
+   */
+  transformForWebShop(productData, originalProduct) {
+    return {
+      ...productData,
+      price: productData.price ?? originalProduct.basePrice,
+      sku: productData.sku ?? originalProduct.baseSku,
+      stockQuantity: Math.max(0, productData.stockQuantity || 0),
+      isActive:
+        productData.isActive ??
+        (originalProduct.status ? originalProduct.status === "active" : true),
+    };
+  }
+
   /**
       const platformService = this.platformServiceManager.getService(
         platform,
@@ -8,9 +8,9 @@
 const QNBAuthManager = require('./auth/QNBAuthManager');
 const SOAPClient = require('./soap/SOAPClient');
 const UBLGenerator = require('./xml/UBLGenerator');
-const QNBConfig = require('./config/QNBConfig');
-const QNBHelpers = require('./utils/QNBHelpers');
-const logger = require('../../utils/logger');
+const QNBConfig = require('../shared/config/QNBConfig');
+const QNBHelpers = require('../shared/utils/QNBHelpers');
+const logger = require('../../../utils/logger');
 
 class InvoiceService {
   constructor() {
@@ -19,6 +19,19 @@ class InvoiceService {
     this.ublGenerator = new UBLGenerator();
   }
 
+  /**
+   * EarsivWebService request configuration with the session of the last
+   * login
+   * @param {Object} config - User's QNB Finans configuration
+   * @returns {Object} environment and sessionCookie
+   */
+  getRequestConfig(config) {
+    return {
+      environment: config.environment || QNBConfig.defaults.environment,
+      sessionCookie: this.authManager.getSessionCookie()
+    };
+  }
+
   /**
    * Test connection to QNB Finans API
    * @param {Object} config - User's QNB Finans configuration
@@ -32,7 +45,7 @@ class InvoiceService {
         return loginResult;
       }
 
-      await this.authManager.logout();
+      await this.authManager.logout(config.environment);
 
       return {
         success: true,
@@ -82,8 +95,8 @@ class InvoiceService {
         islemId:
           invoiceData.transactionId || QNBHelpers.generateTransactionId(),
         vkn: config.companyInfo?.taxNumber || '',
-        sube: invoiceData.branch || QNBConfig.DEFAULT_BRANCH,
-        kasa: invoiceData.register || QNBConfig.DEFAULT_REGISTER,
+        sube: invoiceData.branch || QNBConfig.defaults.branch,
+        kasa: invoiceData.register || QNBConfig.defaults.register,
         tarih: QNBHelpers.formatDateForQNB(new Date())
       };
 
@@ -97,14 +110,14 @@ class InvoiceService {
       // Make SOAP request
       const response = await this.soapClient.makeRequest(
         soapEnvelope,
-        config.environment || 'test'
+        this.getRequestConfig(config)
       );
 
       // Logout
-      await this.authManager.logout();
+      await this.authManager.logout(config.environment);
 
       // Process response
-      if (response.success && response.resultCode === QNBConfig.SUCCESS_CODE) {
+      if (response.success) {
         return {
           success: true,
           message: 'Invoice number generated successfully',
@@ -117,7 +130,8 @@ class InvoiceService {
         };
       } else {
         const errorMessage =
-          QNBConfig.ERROR_CODES[response.resultCode] || response.resultText;
+          response.resultText ||
+          QNBConfig.getErrorMessage(response.resultCode);
         throw new Error(errorMessage);
       }
     } catch (error) {
@@ -130,7 +144,7 @@ class InvoiceService {
       );
 
       // Ensure logout on error
-      await this.authManager.logout();
+      await this.authManager.logout(config.environment);
 
       return {
         success: false,
@@ -144,9 +158,11 @@ class InvoiceService {
    * Create e-archive invoice using QNB Finans API (faturaOlustur)
    * @param {Object} order - Order object
    * @param {Object} config - User's QNB Finans configuration
+   * @param {Object} options - invoiceNumber, uuid and issuedAt for the
+   *   generated UBL, or a prepared UBL document as xml
    * @returns {Object} E-archive generation result
    */
-  async faturaOlustur(order, config) {
+  async faturaOlustur(order, config, options = {}) {
     try {
       // Validate configuration
       const validation = QNBHelpers.validateConfiguration(config);
@@ -160,8 +176,10 @@ class InvoiceService {
         };
       }
 
-      // Validate order data
-      const orderValidation = QNBHelpers.validateOrderData(order);
+      // Validate order data unless the UBL document was prepared
+      const orderValidation = options.xml
+        ? { isValid: true }
+        : QNBHelpers.validateOrderData(order);
       if (!orderValidation.isValid) {
         return {
           success: false,
@@ -183,16 +201,19 @@ class InvoiceService {
         donenBelgeFormati: 3, // PDF format
         islemId: order.transactionId || QNBHelpers.generateTransactionId(),
         vkn: config.companyInfo?.taxNumber || '',
-        sube: order.branch || QNBConfig.DEFAULT_BRANCH,
-        kasa: order.register || QNBConfig.DEFAULT_REGISTER,
-        numaraVerilsinMi: config.autoGenerateNumber !== false ? 1 : 0,
+        sube: order.branch || QNBConfig.defaults.branch,
+        kasa: order.register || QNBConfig.defaults.register,
+        numaraVerilsinMi:
+          !options.invoiceNumber && config.autoGenerateNumber !== false ? 1 : 0,
         gzip: 0, // No compression
         taslagaYonlendir: config.sendToDraft ? 1 : 0,
         yerelFaturaNo: order.localInvoiceNumber || ''
       };
 
       // Generate UBL invoice XML
-      const ublInvoiceXML = this.ublGenerator.generateInvoiceXML(order, config);
+      const ublInvoiceXML =
+        options.xml ||
+        this.ublGenerator.generateInvoiceXML(order, config, options);
 
       // Create SOAP envelope with invoice data
       const soapEnvelope = this.soapClient.createSOAPEnvelope({
@@ -209,21 +230,24 @@ class InvoiceService {
       // Make SOAP request
       const response = await this.soapClient.makeRequest(
         soapEnvelope,
-        config.environment || 'test'
+        this.getRequestConfig(config)
       );
 
       // Logout
-      await this.authManager.logout();
+      await this.authManager.logout(config.environment);
 
       // Process response
-      if (response.success && response.resultCode === QNBConfig.SUCCESS_CODE) {
+      if (response.success) {
+        const extra = this.soapClient.extractResultExtra(response.resultExtra);
+
         return {
           success: true,
           message: 'E-archive invoice created successfully',
           data: {
-            invoiceNumber: response.resultExtra?.faturaNo,
-            invoiceId: response.resultExtra?.uuid,
-            pdfUrl: response.resultExtra?.faturaURL,
+            invoiceNumber: extra.faturaNo || options.invoiceNumber,
+            invoiceId: extra.uuid || options.uuid,
+            pdfUrl: extra.faturaURL,
+            pdf: typeof response.output === 'string' ? response.output : null,
             status: 'CREATED',
             transactionId: inputData.islemId,
             resultCode: response.resultCode
@@ -231,7 +255,8 @@ class InvoiceService {
         };
       } else {
         const errorMessage =
-          QNBConfig.ERROR_CODES[response.resultCode] || response.resultText;
+          response.resultText ||
+          QNBConfig.getErrorMessage(response.resultCode);
         throw new Error(errorMessage);
       }
     } catch (error) {
@@ -241,7 +266,7 @@ class InvoiceService {
       });
 
       // Ensure logout on error
-      await this.authManager.logout();
+      await this.authManager.logout(config.environment);
 
       return {
         success: false,
@@ -296,14 +321,14 @@ class InvoiceService {
       // Make SOAP request
       const response = await this.soapClient.makeRequest(
         soapEnvelope,
-        config.environment || 'test'
+        this.getRequestConfig(config)
       );
 
       // Logout
-      await this.authManager.logout();
+      await this.authManager.logout(config.environment);
 
       // Process response
-      if (response.success && response.resultCode === QNBConfig.SUCCESS_CODE) {
+      if (response.success) {
         return {
           success: true,
           data: response.output,
@@ -311,7 +336,8 @@ class InvoiceService {
         };
       } else {
         const errorMessage =
-          QNBConfig.ERROR_CODES[response.resultCode] || response.resultText;
+          response.resultText ||
+          QNBConfig.getErrorMessage(response.resultCode);
         throw new Error(errorMessage);
       }
     } catch (error) {
@@ -321,7 +347,7 @@ class InvoiceService {
       });
 
       // Ensure logout on error
-      await this.authManager.logout();
+      await this.authManager.logout(config.environment);
 
       return {
         success: false,
@@ -375,14 +401,14 @@ class InvoiceService {
       // Make SOAP request
       const response = await this.soapClient.makeRequest(
         soapEnvelope,
-        config.environment || 'test'
+        this.getRequestConfig(config)
       );
 
       // Logout
-      await this.authManager.logout();
+      await this.authManager.logout(config.environment);
 
       // Process response
-      if (response.success && response.resultCode === QNBConfig.SUCCESS_CODE) {
+      if (response.success) {
         return {
           success: true,
           message: 'Invoice cancelled successfully',
@@ -391,8 +417,12 @@ class InvoiceService {
         };
       } else {
         const errorMessage =
-          QNBConfig.ERROR_CODES[response.resultCode] || response.resultText;
-        throw new Error(errorMessage);
+          response.resultText ||
+          QNBConfig.getErrorMessage(response.resultCode);
+        // Callers tell a refusal (e.g. AE00091) from a transport failure
+        const error = new Error(errorMessage);
+        error.resultCode = response.resultCode;
+        throw error;
       }
     } catch (error) {
       logger.error(`QNB Finans invoice cancellation error: ${error.message}`, {
@@ -401,12 +431,13 @@ class InvoiceService {
       });
 
       // Ensure logout on error
-      await this.authManager.logout();
+      await this.authManager.logout(config.environment);
 
       return {
         success: false,
         message: `Failed to cancel invoice: ${error.message}`,
-        error: error.message
+        error: error.message,
+        resultCode: error.resultCode
       };
     }
   }
@@ -453,14 +484,14 @@ class InvoiceService {
       // Make SOAP request
       const response = await this.soapClient.makeRequest(
         soapEnvelope,
-        config.environment || 'test'
+        this.getRequestConfig(config)
       );
 
       // Logout
-      await this.authManager.logout();
+      await this.authManager.logout(config.environment);
 
       // Process response
-      if (response.success && response.resultCode === QNBConfig.SUCCESS_CODE) {
+      if (response.success) {
         return {
           success: true,
           message: 'Invoice cancellation removed successfully',
@@ -469,7 +500,8 @@ class InvoiceService {
         };
       } else {
         const errorMessage =
-          QNBConfig.ERROR_CODES[response.resultCode] || response.resultText;
+          response.resultText ||
+          QNBConfig.getErrorMessage(response.resultCode);
         throw new Error(errorMessage);
       }
     } catch (error) {
@@ -482,7 +514,7 @@ class InvoiceService {
       );
 
       // Ensure logout on error
-      await this.authManager.logout();
+      await this.authManager.logout(config.environment);
 
       return {
         success: false,
@@ -536,14 +568,14 @@ class InvoiceService {
       // Make SOAP request
       const response = await this.soapClient.makeRequest(
         soapEnvelope,
-        config.environment || 'test'
+        this.getRequestConfig(config)
       );
 
       // Logout
-      await this.authManager.logout();
+      await this.authManager.logout(config.environment);
 
       // Process response
-      if (response.success && response.resultCode === QNBConfig.SUCCESS_CODE) {
+      if (response.success) {
         return {
           success: true,
           message: 'Email sent successfully',
@@ -552,7 +584,8 @@ class InvoiceService {
         };
       } else {
         const errorMessage =
-          QNBConfig.ERROR_CODES[response.resultCode] || response.resultText;
+          response.resultText ||
+          QNBConfig.getErrorMessage(response.resultCode);
         throw new Error(errorMessage);
       }
     } catch (error) {
@@ -563,7 +596,7 @@ class InvoiceService {
       });
 
       // Ensure logout on error
-      await this.authManager.logout();
+      await this.authManager.logout(config.environment);
 
       return {
         success: false,
@@ -614,8 +647,8 @@ class InvoiceService {
       const inputData = {
         islemId: order.transactionId || QNBHelpers.generateTransactionId(),
         vkn: config.companyInfo?.taxNumber || '',
-        sube: order.branch || QNBConfig.DEFAULT_BRANCH,
-        kasa: order.register || QNBConfig.DEFAULT_REGISTER
+        sube: order.branch || QNBConfig.defaults.branch,
+        kasa: order.register || QNBConfig.defaults.register
       };
 
       // Generate UBL invoice XML
@@ -636,14 +669,14 @@ class InvoiceService {
       // Make SOAP request
       const response = await this.soapClient.makeRequest(
         soapEnvelope,
-        config.environment || 'test'
+        this.getRequestConfig(config)
       );
 
       // Logout
-      await this.authManager.logout();
+      await this.authManager.logout(config.environment);
 
       // Process response
-      if (response.success && response.resultCode === QNBConfig.SUCCESS_CODE) {
+      if (response.success) {
         return {
           success: true,
           message: 'Draft invoice created successfully',
@@ -655,7 +688,8 @@ class InvoiceService {
         };
       } else {
         const errorMessage =
-          QNBConfig.ERROR_CODES[response.resultCode] || response.resultText;
+          response.resultText ||
+          QNBConfig.getErrorMessage(response.resultCode);
         throw new Error(errorMessage);
       }
     } catch (error) {
@@ -665,7 +699,7 @@ class InvoiceService {
       });
 
       // Ensure logout on error
-      await this.authManager.logout();
+      await this.authManager.logout(config.environment);
 
       return {
         success: false,
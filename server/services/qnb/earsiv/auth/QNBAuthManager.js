@@ -5,8 +5,8 @@
 
 const axios = require('axios');
 const xml2js = require('xml2js');
-const config = require('../config/QNBConfig');
-const logger = require('../../../utils/logger');
+const config = require('../../shared/config/QNBConfig');
+const logger = require('../../../../utils/logger');
 
 class QNBAuthManager {
   constructor() {
@@ -5,8 +5,8 @@
 
 const axios = require('axios');
 const xml2js = require('xml2js');
-const config = require('../config/QNBConfig');
-const logger = require('../../../utils/logger');
+const config = require('../../shared/config/QNBConfig');
+const logger = require('../../../../utils/logger');
 
 class SOAPClient {
   constructor() {
@@ -15,17 +15,22 @@ class SOAPClient {
   }
 
   /**
-   * Create SOAP envelope for EarsivWebService
+   * Create SOAP envelope, for EarsivWebService unless a namespace is given
    * @param {Object} bodyContent - SOAP body content
    * @param {Object} authHeader - Optional authentication header
+   * @param {string} namespace - Service namespace bound to the ser prefix
    * @returns {string} SOAP XML string
    */
-  createSOAPEnvelope(bodyContent, authHeader = null) {
+  createSOAPEnvelope(
+    bodyContent,
+    authHeader = null,
+    namespace = config.namespaces.earsivService
+  ) {
     const envelope = {
       'soapenv:Envelope': {
         $: {
           'xmlns:soapenv': config.namespaces.soapEnv,
-          'xmlns:ser': config.namespaces.earsivService
+          'xmlns:ser': namespace
         },
         'soapenv:Header': authHeader || {},
         'soapenv:Body': bodyContent
@@ -46,7 +51,8 @@ class SOAPClient {
       const {
         environment = 'test',
         sessionCookie = null,
-        soapAction = ''
+        soapAction = '',
+        service = 'earsivService'
       } = requestConfig;
 
       const headers = {
@@ -59,7 +65,7 @@ class SOAPClient {
         headers.Cookie = sessionCookie;
       }
 
-      const serviceUrl = config.getEndpoint(environment, 'earsivService');
+      const serviceUrl = config.getEndpoint(environment, service);
 
       logger.info('Making SOAP request', {
         url: serviceUrl,
@@ -91,7 +97,15 @@ class SOAPClient {
         } else if (statusCode === 403) {
           throw new Error('Access forbidden - insufficient permissions');
         } else if (statusCode >= 500) {
-          throw new Error('Server error - QNB Finans service unavailable');
+          // Business errors arrive as SOAP faults with HTTP 500
+          const faultString = await this.extractFaultString(
+            error.response.data
+          );
+          throw new Error(
+            faultString
+              ? `SOAP Fault: ${faultString}`
+              : 'Server error - QNB Finans service unavailable'
+          );
         }
       }
 
@@ -140,8 +154,9 @@ class SOAPClient {
         throw new Error('Invalid SOAP response - no content found');
       }
 
-      // Handle different response formats
-      if (responseContent.return) {
+      // Handle different response formats; connector methods return their
+      // payload directly instead of a resultCode wrapper
+      if (responseContent.return && responseContent.return.resultCode) {
         const result = responseContent.return;
         const resultCode = result.resultCode;
 
@@ -156,6 +171,14 @@ class SOAPClient {
         };
       }
 
+      if (responseContent.return !== undefined) {
+        return {
+          success: true,
+          data: responseContent.return,
+          raw: responseContent
+        };
+      }
+
       // Direct response without return wrapper
       return {
         success: true,
@@ -168,6 +191,35 @@ class SOAPClient {
     }
   }
 
+  /**
+   * Extract the fault string from a SOAP fault response body
+   * @param {string} responseData - Raw response body
+   * @returns {Promise<string|null>} Fault string
+   */
+  async extractFaultString(responseData) {
+    if (typeof responseData !== 'string' || !responseData.includes('Fault')) {
+      return null;
+    }
+
+    try {
+      const parsed = await this.xmlParser.parseStringPromise(responseData);
+      const envelope =
+        parsed['S:Envelope'] ||
+        parsed['soap:Envelope'] ||
+        parsed['soapenv:Envelope'];
+      const body =
+        envelope?.['S:Body'] ||
+        envelope?.['soap:Body'] ||
+        envelope?.['soapenv:Body'];
+      const fault =
+        body?.['S:Fault'] || body?.['soap:Fault'] || body?.['soapenv:Fault'];
+
+      return fault?.faultstring || fault?.faultString || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
   /**
    * Create service method SOAP body
    * @param {string} methodName - Service method name
@@ -1,9 +1,11 @@
 /**
-const logger = require("../../../../utils/logger");
- * UBL Invoice Generator for QNB Finans e-Archive
- * Generates UBL 2.1 compliant XML for Turkish e-archive standards
+ * UBL Invoice Generator for QNB Finans e-Archive and e-Invoice
+ * Generates UBL 2.1 compliant XML for Turkish e-archive and e-invoice
+ * (TEMELFATURA / TICARIFATURA) standards
  */
 
+const logger = require('../../../../utils/logger');
+
 let xml2js;
 let xmlEnabled = true;
 
@@ -27,8 +29,12 @@ try {
   };
 }
 
-const config = require('../config/QNBConfig');
-const QNBHelpers = require('../utils/QNBHelpers');
+const config = require('../../shared/config/QNBConfig');
+
+// Buyers without a known TCKN/VKN are identified with the GİB default
+const UNKNOWN_TCKN = '11111111111';
+
+const round2 = (value) => Math.round(value * 100) / 100;
 
 class UBLGenerator {
   constructor() {
@@ -37,12 +43,18 @@ class UBLGenerator {
       return;
     }
 
-    this.xmlBuilder = new xml2js.Builder({ headless: true });
+    this.xmlBuilder = new xml2js.Builder({
+      xmldec: { version: '1.0', encoding: 'UTF-8' }
+    });
   }
 
   /**
    * Generate complete UBL invoice XML
-   * @param {Object} order - Order/invoice data
+   * @param {Object} order - Invoice data: customer ({ name, taxNumber,
+   *   taxOffice, address, district, city, postalCode, phone, email }),
+   *   items ({ name, sku, quantity, price, taxRate and optionally
+   *   lineExtensionAmount/taxAmount }), currency, notes, orderReference and
+   *   billingReference ({ id, issueDate } of the invoice a return credits)
    * @param {Object} companyInfo - Company information
    * @param {Object} options - Generation options
    * @returns {string} UBL XML string
@@ -53,11 +65,14 @@ class UBLGenerator {
       uuid = this.generateUUID(),
       profileId = config.invoiceProfiles.E_ARCHIVE,
       copyIndicator = config.defaults.copyIndicator,
-      customizationId = config.defaults.customizationId
+      customizationId = config.defaults.customizationId,
+      invoiceTypeCode = config.defaults.invoiceTypeCode,
+      issuedAt = new Date()
     } = options;
 
-    const invoiceDate = this.formatDate(new Date());
-    const invoiceTime = this.formatTime(new Date());
+    const currency = order.currency || config.defaults.currency;
+    const lines = this.calculateLines(order);
+    const notes = [].concat(order.notes || []).filter(Boolean);
 
     const ublData = {
       Invoice: {
@@ -74,13 +89,40 @@ class UBLGenerator {
         'cbc:ID': invoiceNumber,
         'cbc:CopyIndicator': copyIndicator,
         'cbc:UUID': uuid,
-        'cbc:IssueDate': invoiceDate,
-        'cbc:IssueTime': invoiceTime,
-        'cbc:InvoiceTypeCode': config.defaults.invoiceTypeCode,
-        'cbc:DocumentCurrencyCode': config.defaults.currency,
+        'cbc:IssueDate': this.formatDate(issuedAt),
+        'cbc:IssueTime': this.formatTime(issuedAt),
+        'cbc:InvoiceTypeCode': invoiceTypeCode,
 
         // Additional notes
-        ...(order.notes && { 'cbc:Note': order.notes }),
+        ...(notes.length && { 'cbc:Note': notes }),
+
+        'cbc:DocumentCurrencyCode': currency,
+        'cbc:LineCountNumeric': lines.length,
+
+        ...(order.orderReference && {
+          'cac:OrderReference': {
+            'cbc:ID': order.orderReference.id,
+            'cbc:IssueDate': this.formatDate(
+              new Date(order.orderReference.date || issuedAt)
+            )
+          }
+        }),
+
+        // Invoice credited by a return (IADE) invoice
+        ...(order.billingReference && {
+          'cac:BillingReference': {
+            'cac:InvoiceDocumentReference': {
+              'cbc:ID': order.billingReference.id,
+              'cbc:IssueDate': this.formatDate(
+                new Date(order.billingReference.issueDate)
+              ),
+              'cbc:DocumentTypeCode': config.invoiceTypeCodes.RETURN
+            }
+          }
+        }),
+
+        // Signature reference; the integrator signs the invoice
+        'cac:Signature': this.createSignature(companyInfo),
 
         // Supplier party (company)
         'cac:AccountingSupplierParty': this.createSupplierParty(companyInfo),
@@ -88,20 +130,84 @@ class UBLGenerator {
         // Customer party
         'cac:AccountingCustomerParty': this.createCustomerParty(order),
 
-        // Invoice lines
-        'cac:InvoiceLine': this.createInvoiceLines(order),
-
         // Tax totals
-        'cac:TaxTotal': this.createTaxTotal(order),
+        'cac:TaxTotal': this.createTaxTotal(lines, currency),
 
         // Legal monetary totals
-        'cac:LegalMonetaryTotal': this.createMonetaryTotal(order)
+        'cac:LegalMonetaryTotal': this.createMonetaryTotal(lines, currency),
+
+        // Invoice lines
+        'cac:InvoiceLine': this.createInvoiceLines(lines, currency)
       }
     };
 
     return this.xmlBuilder.buildObject(ublData);
   }
 
+  /**
+   * Generate e-archive invoice XML with the company from the user config
+   * @param {Object} order - Invoice data, see generateInvoiceUBL
+   * @param {Object} userConfig - User configuration with companyInfo
+   * @param {Object} options - Generation options
+   * @returns {string} UBL XML string
+   */
+  generateInvoiceXML(order, userConfig, options = {}) {
+    return this.generateInvoiceUBL(order, userConfig.companyInfo || {}, {
+      profileId: config.invoiceProfiles.E_ARCHIVE,
+      ...options
+    });
+  }
+
+  /**
+   * Line amounts; given lineExtensionAmount/taxAmount take precedence so
+   * VAT-inclusive marketplace prices are not recalculated
+   * @param {Object} order - Invoice data
+   * @returns {Array} Lines with numeric amounts
+   */
+  calculateLines(order) {
+    return (order.items || []).map((item) => {
+      const quantity = parseFloat(item.quantity) || 1;
+      const taxRate = item.taxRate ?? config.defaultTaxRates.VAT_20;
+      const lineExtensionAmount = round2(
+        item.lineExtensionAmount ?? (parseFloat(item.price) || 0) * quantity
+      );
+      const taxAmount = round2(
+        item.taxAmount ?? lineExtensionAmount * taxRate
+      );
+
+      return {
+        ...item,
+        quantity,
+        taxRate,
+        lineExtensionAmount,
+        taxAmount,
+        price: item.price ?? lineExtensionAmount / quantity
+      };
+    });
+  }
+
+  /**
+   * Create signature section
+   * @param {Object} companyInfo - Company information
+   * @returns {Object} UBL signature
+   */
+  createSignature(companyInfo) {
+    return {
+      'cbc:ID': { $: { schemeID: 'VKN_TCKN' }, _: companyInfo.taxNumber },
+      'cac:SignatoryParty': {
+        'cac:PartyIdentification': this.createIdentification(
+          companyInfo.taxNumber
+        ),
+        'cac:PostalAddress': this.createAddress(companyInfo)
+      },
+      'cac:DigitalSignatureAttachment': {
+        'cac:ExternalReference': {
+          'cbc:URI': '#Signature'
+        }
+      }
+    };
+  }
+
   /**
    * Create supplier party section
    * @param {Object} companyInfo - Company information
@@ -109,34 +215,10 @@ class UBLGenerator {
    */
   createSupplierParty(companyInfo) {
     return {
-      'cac:Party': {
-        'cac:PartyName': {
-          'cbc:Name': companyInfo.companyName || ''
-        },
-        'cac:PostalAddress': {
-          'cbc:StreetName': companyInfo.address || '',
-          'cbc:CityName': companyInfo.city || '',
-          'cbc:PostalZone': companyInfo.postalCode || '',
-          'cac:Country': {
-            'cbc:IdentificationCode': config.defaults.country,
-            'cbc:Name': config.defaults.countryName
-          }
-        },
-        'cac:PartyTaxScheme': {
-          'cbc:TaxNumber': companyInfo.taxNumber || '',
-          'cac:TaxScheme': {
-            'cbc:Name': 'VKN'
-          }
-        },
-        ...(companyInfo.phone && {
-          'cac:Contact': {
-            'cbc:Telephone': companyInfo.phone,
-            ...(companyInfo.email && {
-              'cbc:ElectronicMail': companyInfo.email
-            })
-          }
-        })
-      }
+      'cac:Party': this.createParty({
+        ...companyInfo,
+        name: companyInfo.companyName || companyInfo.name
+      })
     };
   }
 
@@ -146,195 +228,226 @@ class UBLGenerator {
    * @returns {Object} UBL customer party
    */
   createCustomerParty(order) {
-    const customerName = QNBHelpers.getCustomerName(order);
-    const customerTaxNumber = QNBHelpers.getCustomerTaxNumber(order);
-    const customerTCKN = QNBHelpers.getCustomerTCKN(order);
-
-    const party = {
-      'cac:Party': {
-        'cac:PartyName': {
-          'cbc:Name': customerName
-        },
-        'cac:PostalAddress': {
-          'cbc:StreetName': QNBHelpers.getShippingAddress(order),
-          'cbc:CityName': QNBHelpers.getShippingCity(order),
-          'cbc:PostalZone': QNBHelpers.getShippingPostalCode(order),
-          'cac:Country': {
-            'cbc:IdentificationCode': config.defaults.country,
-            'cbc:Name': config.defaults.countryName
-          }
-        }
-      }
+    return {
+      'cac:Party': this.createParty(order.customer || {})
     };
+  }
 
-    // Add tax identification
-    if (customerTaxNumber) {
-      party['cac:Party']['cac:PartyTaxScheme'] = {
-        'cbc:TaxNumber': customerTaxNumber,
-        'cac:TaxScheme': {
-          'cbc:Name': 'VKN'
+  /**
+   * Party with VKN (company) or TCKN (person) identification
+   * @param {Object} party - Party information
+   * @returns {Object} UBL party
+   */
+  createParty(party) {
+    const identifier = String(party.taxNumber || UNKNOWN_TCKN);
+    const isPerson = identifier.length === 11;
+
+    return {
+      ...(party.website && { 'cbc:WebsiteURI': party.website }),
+      'cac:PartyIdentification': this.createIdentification(identifier),
+      ...(!isPerson && { 'cac:PartyName': { 'cbc:Name': party.name || '' } }),
+      'cac:PostalAddress': this.createAddress(party),
+      ...(party.taxOffice && {
+        'cac:PartyTaxScheme': {
+          'cac:TaxScheme': { 'cbc:Name': party.taxOffice }
         }
-      };
-    } else if (customerTCKN) {
-      party['cac:Party']['cac:PartyIdentification'] = {
-        'cbc:ID': {
-          $: { schemeID: 'TCKN' },
-          _: customerTCKN
+      }),
+      ...((party.phone || party.email) && {
+        'cac:Contact': {
+          ...(party.phone && { 'cbc:Telephone': party.phone }),
+          ...(party.email && { 'cbc:ElectronicMail': party.email })
         }
-      };
-    }
+      }),
+      ...(isPerson && { 'cac:Person': this.createPerson(party.name) })
+    };
+  }
 
-    // Add contact information
-    const phone = QNBHelpers.getCustomerPhone(order);
-    const email = QNBHelpers.getCustomerEmail(order);
+  /**
+   * Party identification with VKN or TCKN scheme
+   * @param {string} identifier - 10 digit VKN or 11 digit TCKN
+   * @returns {Object} UBL party identification
+   */
+  createIdentification(identifier) {
+    return {
+      'cbc:ID': {
+        $: { schemeID: String(identifier).length === 11 ? 'TCKN' : 'VKN' },
+        _: identifier
+      }
+    };
+  }
 
-    if (phone || email) {
-      party['cac:Party']['cac:Contact'] = {};
-      if (phone) {party['cac:Party']['cac:Contact']['cbc:Telephone'] = phone;}
-      if (email)
-      {party['cac:Party']['cac:Contact']['cbc:ElectronicMail'] = email;}
-    }
+  /**
+   * Postal address; GİB requires district and city names
+   * @param {Object} party - Party with address fields
+   * @returns {Object} UBL postal address
+   */
+  createAddress(party) {
+    return {
+      'cbc:StreetName': party.address || '',
+      'cbc:CitySubdivisionName': party.district || party.city || '',
+      'cbc:CityName': party.city || '',
+      ...(party.postalCode && { 'cbc:PostalZone': party.postalCode }),
+      'cac:Country': {
+        'cbc:IdentificationCode': config.defaults.country,
+        'cbc:Name': config.defaults.countryName
+      }
+    };
+  }
 
-    return party;
+  /**
+   * Person name split into first and family name
+   * @param {string} fullName - Full name
+   * @returns {Object} UBL person
+   */
+  createPerson(fullName) {
+    const parts = String(fullName || '').trim().split(/\s+/);
+    const familyName = parts.length > 1 ? parts.pop() : '';
+
+    return {
+      'cbc:FirstName': parts.join(' ') || '-',
+      'cbc:FamilyName': familyName || '-'
+    };
+  }
+
+  /**
+   * KDV tax category
+   * @param {number} taxRate - Tax rate as a fraction
+   * @returns {Object} UBL tax category
+   */
+  createTaxCategory(taxRate) {
+    return {
+      ...(taxRate === 0 && {
+        'cbc:TaxExemptionReasonCode': '351',
+        'cbc:TaxExemptionReason': 'İstisna olmayan diğer'
+      }),
+      'cac:TaxScheme': {
+        'cbc:Name': 'KDV',
+        'cbc:TaxTypeCode': '0015'
+      }
+    };
   }
 
   /**
    * Create invoice lines
-   * @param {Object} order - Order data
+   * @param {Array} lines - Calculated lines
+   * @param {string} currency - Document currency
    * @returns {Array} UBL invoice lines
    */
-  createInvoiceLines(order) {
-    const items = order.items || [];
-
-    return items.map((item, index) => {
-      const lineExtensionAmount = item.price * item.quantity;
-      const taxAmount =
-        lineExtensionAmount * (item.taxRate || config.defaultTaxRates.VAT_18);
-
-      return {
-        'cbc:ID': (index + 1).toString(),
-        'cbc:InvoicedQuantity': {
-          $: { unitCode: 'NIU' }, // Number of items unit
-          _: item.quantity.toString()
-        },
-        'cbc:LineExtensionAmount': {
-          $: { currencyID: config.defaults.currency },
-          _: lineExtensionAmount.toFixed(2)
+  createInvoiceLines(lines, currency) {
+    return lines.map((item, index) => ({
+      'cbc:ID': (index + 1).toString(),
+      'cbc:InvoicedQuantity': {
+        $: { unitCode: item.unitCode || 'C62' },
+        _: item.quantity.toString()
+      },
+      'cbc:LineExtensionAmount': {
+        $: { currencyID: currency },
+        _: item.lineExtensionAmount.toFixed(2)
+      },
+      'cac:TaxTotal': {
+        'cbc:TaxAmount': {
+          $: { currencyID: currency },
+          _: item.taxAmount.toFixed(2)
         },
-        'cac:Item': {
-          'cbc:Name': item.productName || item.name || '',
-          ...(item.description && { 'cbc:Description': item.description }),
-          'cac:SellersItemIdentification': {
-            'cbc:ID': item.sku || item.productId || ''
+        'cac:TaxSubtotal': {
+          'cbc:TaxableAmount': {
+            $: { currencyID: currency },
+            _: item.lineExtensionAmount.toFixed(2)
           },
-          'cac:ClassifiedTaxCategory': {
-            'cbc:ID': 'S', // Standard rate
-            'cbc:Percent': (
-              (item.taxRate || config.defaultTaxRates.VAT_18) * 100
-            ).toFixed(0),
-            'cac:TaxScheme': {
-              'cbc:ID': 'KDV',
-              'cbc:Name': 'Katma Değer Vergisi'
-            }
-          }
-        },
-        'cac:Price': {
-          'cbc:PriceAmount': {
-            $: { currencyID: config.defaults.currency },
-            _: item.price.toFixed(2)
-          }
-        },
-        'cac:TaxTotal': {
           'cbc:TaxAmount': {
-            $: { currencyID: config.defaults.currency },
-            _: taxAmount.toFixed(2)
+            $: { currencyID: currency },
+            _: item.taxAmount.toFixed(2)
           },
-          'cac:TaxSubtotal': {
-            'cbc:TaxableAmount': {
-              $: { currencyID: config.defaults.currency },
-              _: lineExtensionAmount.toFixed(2)
-            },
-            'cbc:TaxAmount': {
-              $: { currencyID: config.defaults.currency },
-              _: taxAmount.toFixed(2)
-            },
-            'cac:TaxCategory': {
-              'cbc:ID': 'S',
-              'cbc:Percent': (
-                (item.taxRate || config.defaultTaxRates.VAT_18) * 100
-              ).toFixed(0),
-              'cac:TaxScheme': {
-                'cbc:ID': 'KDV'
-              }
-            }
-          }
+          'cbc:Percent': (item.taxRate * 100).toFixed(0),
+          'cac:TaxCategory': this.createTaxCategory(item.taxRate)
         }
-      };
-    });
+      },
+      'cac:Item': {
+        ...(item.description && { 'cbc:Description': item.description }),
+        'cbc:Name': item.productName || item.name || '',
+        ...(item.sku && {
+          'cac:SellersItemIdentification': { 'cbc:ID': item.sku }
+        })
+      },
+      'cac:Price': {
+        'cbc:PriceAmount': {
+          $: { currencyID: currency },
+          _: (Math.round(item.price * 10000) / 10000).toString()
+        }
+      }
+    }));
   }
 
   /**
-   * Create tax total section
-   * @param {Object} order - Order data
+   * Create tax total section with one subtotal per tax rate
+   * @param {Array} lines - Calculated lines
+   * @param {string} currency - Document currency
    * @returns {Object} UBL tax total
    */
-  createTaxTotal(order) {
-    const taxSubtotals = QNBHelpers.calculateTaxSubtotals(order);
-    const totalTaxAmount = QNBHelpers.calculateTotalTax(order);
+  createTaxTotal(lines, currency) {
+    const subtotals = new Map();
+    lines.forEach((line) => {
+      const subtotal = subtotals.get(line.taxRate) || {
+        taxableAmount: 0,
+        taxAmount: 0
+      };
+      subtotal.taxableAmount += line.lineExtensionAmount;
+      subtotal.taxAmount += line.taxAmount;
+      subtotals.set(line.taxRate, subtotal);
+    });
+    const totalTaxAmount = lines.reduce((sum, line) => sum + line.taxAmount, 0);
 
     return {
       'cbc:TaxAmount': {
-        $: { currencyID: config.defaults.currency },
+        $: { currencyID: currency },
         _: totalTaxAmount.toFixed(2)
       },
-      'cac:TaxSubtotal': taxSubtotals.map((subtotal) => ({
+      'cac:TaxSubtotal': [...subtotals].map(([taxRate, subtotal]) => ({
         'cbc:TaxableAmount': {
-          $: { currencyID: config.defaults.currency },
+          $: { currencyID: currency },
           _: subtotal.taxableAmount.toFixed(2)
         },
         'cbc:TaxAmount': {
-          $: { currencyID: config.defaults.currency },
+          $: { currencyID: currency },
           _: subtotal.taxAmount.toFixed(2)
         },
-        'cac:TaxCategory': {
-          'cbc:ID': 'S',
-          'cbc:Percent': subtotal.taxCategory.taxPercent.toFixed(0),
-          'cac:TaxScheme': {
-            'cbc:ID': 'KDV',
-            'cbc:Name': 'Katma Değer Vergisi'
-          }
-        }
+        'cbc:Percent': (taxRate * 100).toFixed(0),
+        'cac:TaxCategory': this.createTaxCategory(taxRate)
       }))
     };
   }
 
   /**
    * Create legal monetary total section
-   * @param {Object} order - Order data
+   * @param {Array} lines - Calculated lines
+   * @param {string} currency - Document currency
    * @returns {Object} UBL monetary total
    */
-  createMonetaryTotal(order) {
-    const lineExtensionAmount = QNBHelpers.calculateSubtotal(order);
-    const taxAmount = QNBHelpers.calculateTotalTax(order);
-    const taxInclusiveAmount = lineExtensionAmount + taxAmount;
-    const payableAmount = order.totalAmount || taxInclusiveAmount;
+  createMonetaryTotal(lines, currency) {
+    const lineExtensionAmount = round2(
+      lines.reduce((sum, line) => sum + line.lineExtensionAmount, 0)
+    );
+    const taxAmount = round2(
+      lines.reduce((sum, line) => sum + line.taxAmount, 0)
+    );
+    const taxInclusiveAmount = round2(lineExtensionAmount + taxAmount);
 
     return {
       'cbc:LineExtensionAmount': {
-        $: { currencyID: config.defaults.currency },
+        $: { currencyID: currency },
         _: lineExtensionAmount.toFixed(2)
       },
       'cbc:TaxExclusiveAmount': {
-        $: { currencyID: config.defaults.currency },
+        $: { currencyID: currency },
         _: lineExtensionAmount.toFixed(2)
       },
       'cbc:TaxInclusiveAmount': {
-        $: { currencyID: config.defaults.currency },
+        $: { currencyID: currency },
         _: taxInclusiveAmount.toFixed(2)
       },
       'cbc:PayableAmount': {
-        $: { currencyID: config.defaults.currency },
-        _: payableAmount.toFixed(2)
+        $: { currencyID: currency },
+        _: taxInclusiveAmount.toFixed(2)
       }
     };
   }
@@ -344,32 +457,31 @@ class UBLGenerator {
    * @returns {string} UUID v4
    */
   generateUUID() {
-    return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(
-      /[xy]/g,
-      function (c) {
-        const r = (Math.random() * 16) | 0;
-        const v = c == 'x' ? r : (r & 0x3) | 0x8;
-        return v.toString(16);
-      }
-    );
+    return require('crypto').randomUUID();
   }
 
   /**
-   * Format date for UBL
+   * Format date for UBL in local time
    * @param {Date} date - Date to format
    * @returns {string} Formatted date (YYYY-MM-DD)
    */
   formatDate(date) {
-    return date.toISOString().split('T')[0];
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+
+    return `${year}-${month}-${day}`;
   }
 
   /**
-   * Format time for UBL
+   * Format time for UBL in local time
    * @param {Date} date - Date to format
    * @returns {string} Formatted time (HH:MM:SS)
    */
   formatTime(date) {
-    return date.toISOString().split('T')[1].split('.')[0];
+    return [date.getHours(), date.getMinutes(), date.getSeconds()]
+      .map((part) => String(part).padStart(2, '0'))
+      .join(':');
   }
 
   /**
@@ -0,0 +1,270 @@
+/**
+ * UBL-TR DespatchAdvice Generator for QNB Finans e-İrsaliye
+ * Generates UBL 2.1 despatch advice XML following GİB e-İrsaliye rules
+ */
+
+const xml2js = require('xml2js');
+const config = require('../../shared/config/QNBConfig');
+const QNBHelpers = require('../../shared/utils/QNBHelpers');
+
+// Receivers without a known TCKN/VKN are identified with the GİB default
+const UNKNOWN_TCKN = '11111111111';
+
+class DespatchAdviceGenerator {
+  constructor() {
+    this.xmlBuilder = new xml2js.Builder({
+      xmldec: { version: '1.0', encoding: 'UTF-8' }
+    });
+    this.profileId = 'TEMELIRSALIYE';
+    this.customizationId = 'TR1.2.1';
+    this.typeCode = 'SEVK';
+  }
+
+  /**
+   * Generate the DespatchAdvice XML
+   * @param {Object} despatch - Despatch data built from the order
+   * @param {Object} despatch.company - Sender company information
+   * @param {Object} despatch.receiver - Receiver party and address
+   * @param {Object} despatch.transport - Carrier, plate and driver details
+   * @param {Array} despatch.lines - Despatched items
+   * @returns {string} UBL XML string
+   */
+  generate(despatch) {
+    const issuedAt = despatch.issuedAt || new Date();
+    const despatchedAt = despatch.transport.despatchedAt || issuedAt;
+    const currency = despatch.currency || config.defaults.currency;
+
+    const document = {
+      DespatchAdvice: {
+        $: {
+          xmlns: config.namespaces.despatchAdvice,
+          'xmlns:cac': config.namespaces.cac,
+          'xmlns:cbc': config.namespaces.cbc
+        },
+        'cbc:UBLVersionID': config.defaults.ublVersion,
+        'cbc:CustomizationID': this.customizationId,
+        'cbc:ProfileID': this.profileId,
+        'cbc:ID': despatch.documentNumber,
+        'cbc:CopyIndicator': 'false',
+        'cbc:UUID': despatch.uuid,
+        'cbc:IssueDate': QNBHelpers.formatDateForUBL(issuedAt),
+        'cbc:IssueTime': QNBHelpers.formatTimeForUBL(issuedAt),
+        'cbc:DespatchAdviceTypeCode': this.typeCode,
+        ...(despatch.notes?.length && { 'cbc:Note': despatch.notes }),
+        'cbc:LineCountNumeric': despatch.lines.length,
+        ...(despatch.orderReference && {
+          'cac:OrderReference': {
+            'cbc:ID': despatch.orderReference.id,
+            'cbc:IssueDate': QNBHelpers.formatDateForUBL(
+              despatch.orderReference.date
+            )
+          }
+        }),
+        'cac:Signature': this.createSignature(despatch.company),
+        'cac:DespatchSupplierParty': {
+          'cac:Party': this.createParty(despatch.company),
+          'cac:DespatchContact': {
+            'cbc:Name': despatch.company.contactName || despatch.company.name
+          }
+        },
+        'cac:DeliveryCustomerParty': {
+          'cac:Party': this.createParty(despatch.receiver)
+        },
+        'cac:Shipment': this.createShipment(despatch, despatchedAt, currency),
+        'cac:DespatchLine': despatch.lines.map((line, index) =>
+          this.createLine(line, index + 1)
+        )
+      }
+    };
+
+    return this.xmlBuilder.buildObject(document);
+  }
+
+  /**
+   * Signature reference; the integrator signs the document on submission
+   * @param {Object} company - Sender company information
+   * @returns {Object} UBL signature
+   */
+  createSignature(company) {
+    return {
+      'cbc:ID': { $: { schemeID: 'VKN_TCKN' }, _: company.taxNumber },
+      'cac:SignatoryParty': {
+        'cac:PartyIdentification': this.createIdentification(company.taxNumber),
+        'cac:PostalAddress': this.createAddress(company)
+      },
+      'cac:DigitalSignatureAttachment': {
+        'cac:ExternalReference': {
+          'cbc:URI': '#Signature'
+        }
+      }
+    };
+  }
+
+  /**
+   * Party section; 11 digit identifiers are people, 10 digit ones companies
+   * @param {Object} party - Party information
+   * @returns {Object} UBL party
+   */
+  createParty(party) {
+    const identifier = party.taxNumber || UNKNOWN_TCKN;
+    const isPerson = identifier.length === 11;
+
+    return {
+      ...(party.website && { 'cbc:WebsiteURI': party.website }),
+      'cac:PartyIdentification': this.createIdentification(identifier),
+      ...(!isPerson && { 'cac:PartyName': { 'cbc:Name': party.name } }),
+      'cac:PostalAddress': this.createAddress(party),
+      ...(!isPerson && {
+        'cac:PartyTaxScheme': {
+          'cac:TaxScheme': { 'cbc:Name': party.taxOffice || '' }
+        }
+      }),
+      ...((party.phone || party.email) && {
+        'cac:Contact': {
+          ...(party.phone && { 'cbc:Telephone': party.phone }),
+          ...(party.email && { 'cbc:ElectronicMail': party.email })
+        }
+      }),
+      ...(isPerson && { 'cac:Person': this.createPerson(party.name) })
+    };
+  }
+
+  /**
+   * Party identification with VKN or TCKN scheme
+   * @param {string} identifier - 10 digit VKN or 11 digit TCKN
+   * @returns {Object} UBL party identification
+   */
+  createIdentification(identifier) {
+    return {
+      'cbc:ID': {
+        $: { schemeID: identifier.length === 11 ? 'TCKN' : 'VKN' },
+        _: identifier
+      }
+    };
+  }
+
+  /**
+   * Postal address; GİB requires district and city names
+   * @param {Object} party - Party with address fields
+   * @returns {Object} UBL postal address
+   */
+  createAddress(party) {
+    return {
+      'cbc:StreetName': party.address || '',
+      'cbc:CitySubdivisionName': party.district || party.city || '',
+      'cbc:CityName': party.city || '',
+      ...(party.postalCode && { 'cbc:PostalZone': party.postalCode }),
+      'cac:Country': {
+        'cbc:IdentificationCode': config.defaults.country,
+        'cbc:Name': config.defaults.countryName
+      }
+    };
+  }
+
+  /**
+   * Person name split into first and family name
+   * @param {string} fullName - Full name
+   * @returns {Object} UBL person
+   */
+  createPerson(fullName) {
+    const parts = String(fullName || '').trim().split(/\s+/);
+    const familyName = parts.length > 1 ? parts.pop() : '';
+
+    return {
+      'cbc:FirstName': parts.join(' ') || '-',
+      'cbc:FamilyName': familyName || '-'
+    };
+  }
+
+  /**
+   * Shipment with vehicle, driver, delivery address and carrier
+   * @param {Object} despatch - Despatch data
+   * @param {Date} despatchedAt - Actual despatch time
+   * @param {string} currency - Document currency
+   * @returns {Object} UBL shipment
+   */
+  createShipment(despatch, despatchedAt, currency) {
+    const { transport, receiver } = despatch;
+    const goodsValue = despatch.lines.reduce(
+      (sum, line) => sum + (parseFloat(line.amount) || 0),
+      0
+    );
+
+    const stage = {};
+    if (transport.plate) {
+      stage['cac:TransportMeans'] = {
+        'cac:RoadTransport': {
+          'cbc:LicensePlateID': {
+            $: { schemeID: 'PLAKA' },
+            _: transport.plate
+          }
+        }
+      };
+    }
+    if (transport.driver) {
+      stage['cac:DriverPerson'] = {
+        ...this.createPerson(transport.driver.name),
+        'cbc:Title': 'Şoför',
+        'cbc:NationalityID': transport.driver.nationalId
+      };
+    }
+
+    return {
+      'cbc:ID': despatch.shipmentId || '1',
+      'cac:GoodsItem': {
+        'cbc:ValueAmount': {
+          $: { currencyID: currency },
+          _: QNBHelpers.formatCurrency(goodsValue)
+        }
+      },
+      ...(Object.keys(stage).length && { 'cac:ShipmentStage': stage }),
+      'cac:Delivery': {
+        'cac:DeliveryAddress': this.createAddress(receiver),
+        ...(transport.carrier && {
+          'cac:CarrierParty': this.createParty(transport.carrier)
+        }),
+        'cac:Despatch': {
+          'cbc:ActualDespatchDate': QNBHelpers.formatDateForUBL(despatchedAt),
+          'cbc:ActualDespatchTime': QNBHelpers.formatTimeForUBL(despatchedAt)
+        }
+      },
+      ...(transport.trailerPlate && {
+        'cac:TransportHandlingUnit': {
+          'cac:TransportEquipment': {
+            'cbc:ID': {
+              $: { schemeID: 'DORSEPLAKA' },
+              _: transport.trailerPlate
+            }
+          }
+        }
+      })
+    };
+  }
+
+  /**
+   * Despatch line
+   * @param {Object} line - Despatched item
+   * @param {number} lineNumber - 1-based line number
+   * @returns {Object} UBL despatch line
+   */
+  createLine(line, lineNumber) {
+    return {
+      'cbc:ID': lineNumber,
+      'cbc:DeliveredQuantity': {
+        $: { unitCode: line.unitCode || 'C62' },
+        _: line.quantity
+      },
+      'cac:OrderLineReference': {
+        'cbc:LineID': lineNumber
+      },
+      'cac:Item': {
+        'cbc:Name': line.name,
+        ...(line.sku && {
+          'cac:SellersItemIdentification': { 'cbc:ID': line.sku }
+        })
+      }
+    };
+  }
+}
+
+module.exports = DespatchAdviceGenerator;
@@ -11,12 +11,16 @@ class QNBConfig {
         earsivService:
           'https://test-earsiv.qnbesolutions.com.tr/EarsivWebService?wsdl',
         userService:
-          'https://test-earsiv.qnbesolutions.com.tr/UserService?wsdl'
+          'https://test-earsiv.qnbesolutions.com.tr/UserService?wsdl',
+        connectorService:
+          'https://erpefaturatest2.qnbesolutions.com.tr/efatura/ws/connectorService?wsdl'
       },
       production: {
         earsivService:
           'https://earsiv.qnbesolutions.com.tr/EarsivWebService?wsdl',
-        userService: 'https://earsiv.qnbesolutions.com.tr/UserService?wsdl'
+        userService: 'https://earsiv.qnbesolutions.com.tr/UserService?wsdl',
+        connectorService:
+          'https://erpefatura.qnbesolutions.com.tr/efatura/ws/connectorService?wsdl'
       }
     };
 
@@ -77,12 +81,21 @@ class QNBConfig {
     // Invoice profile constants
     this.invoiceProfiles = {
       E_ARCHIVE: 'EARSIVFATURA',
+      BASIC: 'TEMELFATURA',
       COMMERCIAL: 'TICARIFATURA'
     };
 
+    // Invoice type codes; return (IADE) invoices reference the credited one
+    this.invoiceTypeCodes = {
+      SALE: 'SATIS',
+      RETURN: 'IADE'
+    };
+
     // Tax rates
     this.defaultTaxRates = {
+      VAT_20: 0.2,
       VAT_18: 0.18,
+      VAT_10: 0.1,
       VAT_8: 0.08,
       VAT_1: 0.01,
       VAT_0: 0.0
@@ -93,10 +106,13 @@ class QNBConfig {
       soapEnv: 'http://schemas.xmlsoap.org/soap/envelope/',
       earsivService: 'http://service.earsiv.uut.cs.com.tr/',
       userService: 'http://service.user.cs.com.tr/',
+      connectorService: 'http://service.connector.cs.com.tr/',
       wsse: 'http://docs.oasis-open.org/wss/2004/01/oasis-200401-wss-wssecurity-secext-1.0.xsd',
       ubl: 'urn:oasis:names:specification:ubl:schema:xsd:Invoice-2',
       cac: 'urn:oasis:names:specification:ubl:schema:xsd:CommonAggregateComponents-2',
-      cbc: 'urn:oasis:names:specification:ubl:schema:xsd:CommonBasicComponents-2'
+      cbc: 'urn:oasis:names:specification:ubl:schema:xsd:CommonBasicComponents-2',
+      despatchAdvice:
+        'urn:oasis:names:specification:ubl:schema:xsd:DespatchAdvice-2'
     };
 
     // Default configuration values
@@ -110,17 +126,30 @@ class QNBConfig {
       ublVersion: '2.1',
       customizationId: 'TR1.2',
       copyIndicator: 'false',
-      invoiceTypeCode: 'SATIS'
+      invoiceTypeCode: 'SATIS',
+      // e-Arşiv branch (şube) and cash register (kasa) codes
+      branch: 'DFLT',
+      register: 'DFLT'
     };
   }
 
   /**
    * Get service endpoint URL
    * @param {string} environment - 'test' or 'production'
-   * @param {string} service - 'earsivService' or 'userService'
+   * @param {string} service - 'earsivService', 'userService' or 'connectorService'
    * @returns {string} Service URL
    */
   getEndpoint(environment = 'test', service = 'earsivService') {
+    // Points the services at a local SOAP stub during development
+    const override = {
+      connectorService: process.env.QNB_CONNECTOR_URL,
+      earsivService: process.env.QNB_EARSIV_URL,
+      userService: process.env.QNB_USER_SERVICE_URL
+    }[service];
+    if (override) {
+      return override;
+    }
+
     return (
       this.endpoints[environment]?.[service] || this.endpoints.test[service]
     );
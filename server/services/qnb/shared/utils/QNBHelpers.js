@@ -208,7 +208,7 @@ class QNBHelpers {
         errors.push('Invalid Turkish tax number format');
       }
 
-      if (!config.companyInfo.name) {
+      if (!config.companyInfo.companyName && !config.companyInfo.name) {
         errors.push('Company name is required');
       }
 
@@ -218,7 +218,7 @@ class QNBHelpers {
     }
 
     // Optional but validated if present
-    if (config.environment && !QNBConfig.ENVIRONMENTS[config.environment]) {
+    if (config.environment && !QNBConfig.endpoints[config.environment]) {
       errors.push(`Invalid environment: ${config.environment}`);
     }
 
@@ -287,7 +287,8 @@ class QNBHelpers {
           errors.push(`Item ${index + 1}: Valid quantity is required`);
         }
 
-        if (!item.unitPrice || item.unitPrice < 0) {
+        const unitPrice = item.unitPrice ?? item.price;
+        if (!unitPrice || unitPrice < 0) {
           errors.push(`Item ${index + 1}: Valid unit price is required`);
         }
 
@@ -0,0 +1,176 @@
+/**
+ * QNB Finans Connector Service
+ * Shared access to the QNB Finans connector (e-Fatura / e-İrsaliye) SOAP
+ * service: user configuration, authenticated calls, GİB status mapping and
+ * document numbering
+ */
+
+const { Op } = require('sequelize');
+const { ComplianceDocuments, Settings } = require('../models');
+const SOAPClient = require('./qnb/earsiv/soap/SOAPClient');
+const QNBAuthManager = require('./qnb/earsiv/auth/QNBAuthManager');
+const QNBConfig = require('./qnb/shared/config/QNBConfig');
+
+// GİB envelope code for a document delivered to its receiver
+const GIB_DELIVERED_CODE = 1300;
+// GİB envelope codes after which the document will not be delivered
+const GIB_FAILED_CODES = [1210, 1215, 1230];
+
+class QNBConnectorService {
+  constructor() {
+    this.soapClient = new SOAPClient();
+    this.authManager = new QNBAuthManager();
+  }
+
+  /**
+   * QNB Finans credentials and company information of a user
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Configuration
+   */
+  async getConfig(userId) {
+    const [qnbSettings, companySettings] = await Promise.all([
+      Settings.findOne({ where: { userId, category: 'qnb_finans' } }),
+      Settings.findOne({ where: { userId, category: 'company' } })
+    ]);
+    const stored = qnbSettings?.settings || {};
+    const company = companySettings?.settings || {};
+
+    return {
+      username: stored.username || process.env.QNB_USERNAME,
+      password: stored.password || process.env.QNB_PASSWORD,
+      environment:
+        stored.environment || process.env.QNB_ENVIRONMENT || 'test',
+      despatchSeries:
+        stored.despatchSeries || process.env.E_DESPATCH_SERIES || 'IRS',
+      invoiceSeries:
+        stored.invoiceSeries || process.env.E_INVOICE_SERIES || 'EFT',
+      archiveSeries:
+        stored.archiveSeries || process.env.E_ARCHIVE_SERIES || 'EAR',
+      senderAlias: stored.senderAlias || null,
+      companyInfo: {
+        companyName: companySettings?.name || process.env.COMPANY_TITLE,
+        taxNumber:
+          companySettings?.taxNumber || stored.vkn || process.env.TAX_NUMBER,
+        taxOffice: company.taxOffice || process.env.TAX_OFFICE_CODE,
+        address: companySettings?.address || '',
+        district: company.district || '',
+        city: company.city || '',
+        postalCode: company.postalCode || '',
+        phone: companySettings?.phone || '',
+        email: companySettings?.email || '',
+        website: companySettings?.website || ''
+      }
+    };
+  }
+
+  /**
+   * Users that saved QNB Finans settings
+   * @returns {Promise<Array<string>>} User IDs
+   */
+  async getConfiguredUserIds() {
+    const settings = await Settings.findAll({
+      where: { category: 'qnb_finans' },
+      attributes: ['userId']
+    });
+
+    return settings.map((setting) => setting.userId);
+  }
+
+  /**
+   * Call a connector method with WS-Security credentials
+   * @param {Object} config - User configuration
+   * @param {string} method - Connector method name
+   * @param {Object} parameters - Method parameters
+   * @returns {Promise<Object>} Parsed SOAP response
+   */
+  async call(config, method, parameters) {
+    if (!config.username || !config.password) {
+      const error = new Error('QNB Finans credentials are not configured');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const authHeader = this.authManager.createAuthHeader(
+      config.username,
+      config.password
+    );
+    const soapXML = this.soapClient.createSOAPEnvelope(
+      this.soapClient.createMethodBody(method, parameters),
+      authHeader,
+      QNBConfig.namespaces.connectorService
+    );
+
+    return this.soapClient.makeRequest(soapXML, {
+      environment: config.environment,
+      service: 'connectorService'
+    });
+  }
+
+  /**
+   * Map a gidenBelgeDurumSorgula result onto a compliance document status
+   * @param {Object} result - Connector status result
+   * @param {Object} options - awaitsResponse: delivery alone does not
+   *   settle the document, the receiver's application response does
+   * @returns {Object} status, errorMessage and delivered flag
+   */
+  mapDocumentStatus(result, { awaitsResponse = false } = {}) {
+    const gibCode = parseInt(result.gonderimCevabiKodu, 10);
+    const delivered = gibCode === GIB_DELIVERED_CODE;
+    const detail =
+      result.gonderimCevabiDetayi || result.aciklama || result.yanitDetayi;
+
+    if (
+      String(result.durum) === '2' ||
+      (gibCode >= 1100 && gibCode < 1200) ||
+      GIB_FAILED_CODES.includes(gibCode)
+    ) {
+      return {
+        status: 'failed',
+        errorMessage: detail || 'GİB error',
+        delivered
+      };
+    }
+    // yanitDurumu: -1 none expected, 0 waiting, 1 rejected, 2 accepted
+    if (String(result.yanitDurumu) === '1') {
+      return {
+        status: 'rejected',
+        errorMessage: result.yanitDetayi || 'Rejected by the receiver',
+        delivered
+      };
+    }
+    if (String(result.yanitDurumu) === '2') {
+      return { status: 'accepted', errorMessage: null, delivered };
+    }
+    if (delivered && !awaitsResponse) {
+      return { status: 'accepted', errorMessage: null, delivered };
+    }
+
+    return { status: 'sent', errorMessage: null, delivered };
+  }
+
+  /**
+   * Next 16 character GİB document number: series, year and 9 digit
+   * sequence
+   * @param {string} documentType - Compliance document type
+   * @param {string} series - 3 character series
+   * @param {number} year - Issue year
+   * @returns {Promise<string>}
+   */
+  async nextDocumentNumber(documentType, series, year) {
+    const prefix = `${series}${year}`;
+    const last = await ComplianceDocuments.findOne({
+      where: {
+        documentType,
+        documentNumber: { [Op.like]: `${prefix}%` }
+      },
+      order: [['documentNumber', 'DESC']],
+      attributes: ['documentNumber']
+    });
+    const sequence = last ? parseInt(last.documentNumber.slice(7), 10) + 1 : 1;
+
+    return `${prefix}${String(sequence).padStart(9, '0')}`;
+  }
+}
+
+module.exports = new QNBConnectorService();
+module.exports.QNBConnectorService = QNBConnectorService;
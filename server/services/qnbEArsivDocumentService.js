@@ -0,0 +1,317 @@
+/**
+ * QNB Finans e-Arşiv Document Service
+ * Issues UBL-TR e-Arşiv invoices (EARSIVFATURA) for buyers outside the GİB
+ * e-Fatura user list through the QNB Finans EarsivWebService and keeps them
+ * as compliance documents next to e-Fatura and e-İrsaliye
+ */
+
+const crypto = require('crypto');
+const { Order, ComplianceDocuments } = require('../models');
+const qnbConnector = require('./qnbConnectorService');
+const eFaturaService = require('./qnbEFaturaService');
+const EArsivInvoiceService = require('./qnb/earsiv/EArsivInvoiceService');
+const UBLGenerator = require('./qnb/earsiv/xml/UBLGenerator');
+const QNBConfig = require('./qnb/shared/config/QNBConfig');
+const logger = require('../utils/logger');
+
+const DOCUMENT_TYPE = 'e-archive';
+
+const serviceError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+class QNBEArsivDocumentService {
+  constructor() {
+    this.client = new EArsivInvoiceService();
+    this.generator = new UBLGenerator();
+  }
+
+  /**
+   * e-Arşiv document of a user
+   * @param {string} userId - User ID
+   * @param {string} documentId - Compliance document ID
+   * @returns {Promise<Object>}
+   */
+  async getDocument(userId, documentId) {
+    const document = await ComplianceDocuments.findOne({
+      where: { id: documentId, documentType: DOCUMENT_TYPE },
+      include: [
+        {
+          model: Order,
+          as: 'order',
+          attributes: ['id', 'userId', 'orderNumber'],
+          where: { userId },
+          required: true
+        }
+      ]
+    });
+
+    if (!document) {
+      throw serviceError('e-Arşiv invoice not found', 404);
+    }
+
+    return document;
+  }
+
+  /**
+   * Generate and store the e-Arşiv invoice of an order
+   * @param {string} userId - User ID
+   * @param {string} orderId - Order ID
+   * @param {Object} options - taxNumber, taxOffice, companyName, notes,
+   *   document (draft compliance document to fill) and, for a return (IADE)
+   *   invoice, billingReference ({ id, issueDate } of the credited invoice)
+   *   with the returned lines
+   * @returns {Promise<Object>} Compliance document
+   */
+  async generate(userId, orderId, options = {}) {
+    const config = await qnbConnector.getConfig(userId);
+
+    if (!/^\d{10,11}$/.test(String(config.companyInfo.taxNumber || ''))) {
+      throw serviceError('Company tax number is not configured', 400);
+    }
+    if (!/^[A-Z0-9]{3}$/.test(config.archiveSeries)) {
+      throw serviceError('e-Arşiv series must be 3 characters', 400);
+    }
+
+    const order = await eFaturaService.loadOrder(userId, orderId);
+    // An order has one sales invoice but may get several return invoices
+    const isReturn = Boolean(options.billingReference);
+    const existing =
+      !isReturn &&
+      (await ComplianceDocuments.findOne({
+        where: {
+          orderId,
+          documentType: DOCUMENT_TYPE,
+          status: ['generated', 'sent', 'accepted']
+        }
+      }));
+    if (existing) {
+      throw serviceError(
+        `Order already has e-Arşiv invoice ${existing.documentNumber}`,
+        409
+      );
+    }
+
+    // Buyers without a tax number are identified by the GİB default TCKN
+    const buyer = eFaturaService.buildBuyer(order, options);
+    const issuedAt = new Date();
+    const invoice = {
+      uuid: crypto.randomUUID(),
+      issuedAt,
+      profile: QNBConfig.invoiceProfiles.E_ARCHIVE,
+      invoiceTypeCode: isReturn
+        ? QNBConfig.invoiceTypeCodes.RETURN
+        : QNBConfig.invoiceTypeCodes.SALE,
+      currency: order.currency || QNBConfig.defaults.currency,
+      notes: [options.notes, `Sipariş No: ${order.orderNumber}`].filter(
+        Boolean
+      ),
+      orderReference: { id: order.orderNumber, date: order.orderDate },
+      billingReference: options.billingReference || null,
+      customer: buyer,
+      items: options.lines || eFaturaService.buildInvoiceLines(order.items)
+    };
+
+    // A concurrent generation may take the same number; retry on conflict
+    for (let attempt = 0; attempt < 3; attempt++) {
+      invoice.documentNumber = await qnbConnector.nextDocumentNumber(
+        DOCUMENT_TYPE,
+        config.archiveSeries,
+        issuedAt.getFullYear()
+      );
+
+      const values = {
+        orderId,
+        documentType: DOCUMENT_TYPE,
+        documentNumber: invoice.documentNumber,
+        uuid: invoice.uuid,
+        status: 'generated',
+        customerType: buyer.taxNumber?.length === 10 ? 'COMPANY' : 'INDIVIDUAL',
+        customerInfo: buyer,
+        orderData: invoice,
+        xmlContent: this.generator.generateInvoiceUBL(
+          invoice,
+          config.companyInfo,
+          {
+            invoiceNumber: invoice.documentNumber,
+            uuid: invoice.uuid,
+            profileId: invoice.profile,
+            invoiceTypeCode: invoice.invoiceTypeCode,
+            issuedAt
+          }
+        ),
+        generatedAt: issuedAt,
+        metadata: {
+          ...options.document?.metadata,
+          generatedBy: userId,
+          profile: invoice.profile,
+          invoiceTypeCode: invoice.invoiceTypeCode
+        }
+      };
+
+      try {
+        const document = options.document
+          ? await options.document.update(values)
+          : await ComplianceDocuments.create(values);
+
+        logger.info('e-Arşiv invoice generated', {
+          orderId,
+          documentId: document.id,
+          documentNumber: document.documentNumber
+        });
+
+        return document;
+      } catch (error) {
+        if (error.name !== 'SequelizeUniqueConstraintError') {
+          throw error;
+        }
+      }
+    }
+
+    throw serviceError('Could not allocate an e-Arşiv number', 409);
+  }
+
+  /**
+   * Create a generated e-Arşiv invoice on QNB Finans, which signs it and
+   * reports it to GİB; the invoice is final once QNB accepted it
+   * @param {string} userId - User ID
+   * @param {string} documentId - Compliance document ID
+   * @returns {Promise<Object>} Document summary; status is failed when QNB
+   *   refused the invoice
+   */
+  async submit(userId, documentId) {
+    const document = await this.getDocument(userId, documentId);
+    if (!['generated', 'failed'].includes(document.status)) {
+      throw serviceError(
+        `e-Arşiv invoice in status ${document.status} cannot be submitted`,
+        409
+      );
+    }
+
+    const config = await qnbConnector.getConfig(userId);
+    if (!config.username || !config.password) {
+      throw serviceError('QNB Finans credentials are not configured', 400);
+    }
+
+    document.retryCount += 1;
+    const result = await this.client.faturaOlustur(
+      { id: document.orderId },
+      config,
+      {
+        xml: document.xmlContent,
+        invoiceNumber: document.documentNumber,
+        uuid: document.uuid
+      }
+    );
+
+    if (result.success) {
+      const now = new Date();
+      await document.update({
+        status: 'accepted',
+        providerDocumentId: result.data.invoiceId,
+        sentAt: now,
+        processedAt: now,
+        errorMessage: null,
+        retryCount: document.retryCount,
+        metadata: { ...document.metadata, pdfUrl: result.data.pdfUrl || null }
+      });
+
+      logger.info('e-Arşiv invoice created on QNB Finans', {
+        documentId,
+        documentNumber: document.documentNumber
+      });
+    } else {
+      logger.error(`e-Arşiv invoice creation failed: ${result.message}`, {
+        documentId,
+        documentNumber: document.documentNumber
+      });
+
+      await document.update({
+        status: 'failed',
+        errorMessage: result.message,
+        retryCount: document.retryCount
+      });
+    }
+
+    return this.toSummary(document);
+  }
+
+  /**
+   * Cancel an e-Arşiv invoice on QNB Finans (faturaIptalEt); invoices that
+   * never reached QNB are only cancelled locally
+   * @param {string} userId - User ID
+   * @param {string} documentId - Compliance document ID
+   * @param {string} reason - Cancellation reason sent to GİB
+   * @returns {Promise<Object>} Document summary
+   */
+  async cancel(userId, documentId, reason = 'İade') {
+    const document = await this.getDocument(userId, documentId);
+    if (document.status === 'cancelled') {
+      throw serviceError('e-Arşiv invoice is already cancelled', 409);
+    }
+
+    if (document.status === 'accepted') {
+      const config = await qnbConnector.getConfig(userId);
+      if (!config.username || !config.password) {
+        throw serviceError('QNB Finans credentials are not configured', 400);
+      }
+
+      const result = await this.client.faturaIptalEt(
+        document.uuid,
+        config,
+        reason
+      );
+      // AE00091: cancelled earlier, e.g. by a retry whose answer was lost
+      if (!result.success && result.resultCode !== 'AE00091') {
+        const error = serviceError(
+          result.message,
+          result.resultCode ? 409 : 502
+        );
+        error.resultCode = result.resultCode;
+        throw error;
+      }
+    }
+
+    await document.update({
+      status: 'cancelled',
+      metadata: {
+        ...document.metadata,
+        cancelledBy: userId,
+        cancelledAt: new Date().toISOString(),
+        cancelReason: reason || null
+      }
+    });
+
+    logger.info('e-Arşiv invoice cancelled', {
+      documentId,
+      documentNumber: document.documentNumber
+    });
+
+    return this.toSummary(document);
+  }
+
+  /**
+   * API representation of an e-Arşiv invoice
+   * @param {Object} document - Compliance document
+   * @returns {Object}
+   */
+  toSummary(document) {
+    return {
+      id: document.id,
+      orderId: document.orderId,
+      documentNumber: document.documentNumber,
+      uuid: document.uuid,
+      status: document.status,
+      pdfUrl: document.metadata.pdfUrl || null,
+      generatedAt: document.generatedAt,
+      sentAt: document.sentAt,
+      processedAt: document.processedAt,
+      errorMessage: document.errorMessage
+    };
+  }
+}
+
+module.exports = new QNBEArsivDocumentService();
+module.exports.QNBEArsivDocumentService = QNBEArsivDocumentService;
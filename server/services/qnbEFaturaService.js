@@ -0,0 +1,821 @@
+/**
+ * QNB Finans e-Fatura Service
+ * Issues UBL-TR e-Fatura (TEMELFATURA / TICARIFATURA) for buyers registered
+ * in the GİB e-Fatura user list, tracks their application responses and
+ * fetches incoming purchase invoices through the QNB Finans connector
+ */
+
+const crypto = require('crypto');
+const xml2js = require('xml2js');
+const {
+  Order,
+  OrderItem,
+  ComplianceDocuments,
+  IncomingInvoice
+} = require('../models');
+const qnbConnector = require('./qnbConnectorService');
+const UBLGenerator = require('./qnb/earsiv/xml/UBLGenerator');
+const QNBConfig = require('./qnb/shared/config/QNBConfig');
+const QNBHelpers = require('./qnb/shared/utils/QNBHelpers');
+const logger = require('../utils/logger');
+
+const DOCUMENT_TYPE = 'e-invoice';
+
+const PROFILES = [
+  QNBConfig.invoiceProfiles.BASIC,
+  QNBConfig.invoiceProfiles.COMMERCIAL
+];
+
+// VAT rates in use; marketplace payloads carry either the rate or amount
+const VAT_RATES = [0, 1, 8, 10, 18, 20];
+
+// GİB user list lookups are cached; registrations change rarely
+const TAXPAYER_CACHE_TTL = 60 * 60 * 1000;
+
+const serviceError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const parseJson = (value) => {
+  if (!value) {
+    return {};
+  }
+  if (typeof value === 'object') {
+    return value;
+  }
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return {};
+  }
+};
+
+const toArray = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return [];
+  }
+  return Array.isArray(value) ? value : [value];
+};
+
+// Text content of an xml2js node that may carry attributes
+const text = (node) =>
+  node && typeof node === 'object' ? node._ : node === undefined ? null : node;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+class QNBEFaturaService {
+  constructor() {
+    this.generator = new UBLGenerator();
+    this.taxpayerCache = new Map();
+  }
+
+  /**
+   * Look up a VKN/TCKN in the GİB e-Fatura user list
+   * @param {string} userId - User ID whose QNB credentials are used
+   * @param {string} taxNumber - Buyer VKN or TCKN
+   * @returns {Promise<Object>} isEInvoiceUser, title and aliases
+   */
+  async checkTaxpayer(userId, taxNumber) {
+    const identifier = String(taxNumber || '').replace(/\s/g, '');
+    if (!QNBHelpers.validateTurkishTaxNumber(identifier)) {
+      throw serviceError('A valid VKN or TCKN is required', 400);
+    }
+
+    const cached = this.taxpayerCache.get(identifier);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.result;
+    }
+
+    const config = await qnbConnector.getConfig(userId);
+    const response = await qnbConnector.call(
+      config,
+      'efaturaKullaniciBilgisi',
+      { vergiTcKimlikNo: identifier }
+    );
+    const info = typeof response.data === 'object' ? response.data : {};
+    const aliases = toArray(info.etiketler)
+      .map((entry) => (typeof entry === 'object' ? entry.etiket : entry))
+      .filter(Boolean);
+
+    const result = {
+      taxNumber: identifier,
+      isEInvoiceUser: aliases.length > 0,
+      title: info.unvan || null,
+      aliases
+    };
+    this.taxpayerCache.set(identifier, {
+      result,
+      expiresAt: Date.now() + TAXPAYER_CACHE_TTL
+    });
+
+    return result;
+  }
+
+  /**
+   * Order of a user with its items
+   * @param {string} userId - User ID
+   * @param {string} orderId - Order ID
+   * @returns {Promise<Object>}
+   */
+  async loadOrder(userId, orderId) {
+    const order = await Order.findOne({
+      where: { id: orderId, userId },
+      include: [{ model: OrderItem, as: 'items', required: false }]
+    });
+
+    if (!order) {
+      throw serviceError('Order not found', 404);
+    }
+    if (!order.items || order.items.length === 0) {
+      throw serviceError('Order has no items to invoice', 400);
+    }
+
+    return order;
+  }
+
+  /**
+   * e-Fatura document of a user
+   * @param {string} userId - User ID
+   * @param {string} documentId - Compliance document ID
+   * @returns {Promise<Object>}
+   */
+  async getDocument(userId, documentId) {
+    const document = await ComplianceDocuments.findOne({
+      where: { id: documentId, documentType: DOCUMENT_TYPE },
+      include: [
+        {
+          model: Order,
+          as: 'order',
+          attributes: ['id', 'userId', 'orderNumber'],
+          where: { userId },
+          required: true
+        }
+      ]
+    });
+
+    if (!document) {
+      throw serviceError('e-Fatura not found', 404);
+    }
+
+    return document;
+  }
+
+  /**
+   * Buyer party from the given tax details or the order's customer info
+   * @param {Object} order - Order
+   * @param {Object} options - taxNumber, taxOffice and companyName overrides
+   * @returns {Object} Buyer
+   */
+  buildBuyer(order, options = {}) {
+    const customer = parseJson(order.customerInfo);
+    const address = parseJson(order.shippingAddress);
+    const billing = parseJson(customer.invoiceAddress || customer.billingAddress);
+
+    const taxNumber = [
+      options.taxNumber,
+      customer.taxNumber,
+      customer.vkn,
+      order.identityNumber
+    ]
+      .map((value) => String(value || '').replace(/\s/g, ''))
+      .find((value) => QNBHelpers.validateTurkishTaxNumber(value));
+
+    return {
+      name:
+        options.companyName ||
+        customer.companyName ||
+        billing.company ||
+        order.customerName ||
+        '',
+      taxNumber: taxNumber || null,
+      taxOffice: options.taxOffice || customer.taxOffice || '',
+      address:
+        billing.fullAddress ||
+        billing.address1 ||
+        address.fullAddress ||
+        address.address1 ||
+        address.address ||
+        '',
+      district: billing.district || address.district || address.state || '',
+      city: billing.city || address.city || '',
+      postalCode: billing.postalCode || address.postalCode || '',
+      phone: address.phone || order.customerPhone || '',
+      email: order.customerEmail || customer.email || ''
+    };
+  }
+
+  /**
+   * VAT rate of an order item as a fraction; vatBaseAmount holds the rate
+   * for Trendyol (0 when unknown), otherwise it is derived from the VAT
+   * amount
+   * @param {Object} item - Order item
+   * @returns {number}
+   */
+  resolveVatRate(item) {
+    const declared = parseFloat(item.vatBaseAmount);
+    if (declared > 0 && VAT_RATES.includes(declared)) {
+      return declared / 100;
+    }
+
+    const gross = parseFloat(item.totalPrice) || 0;
+    const tax = parseFloat(item.taxAmount) || 0;
+    if (tax > 0 && gross > tax) {
+      const derived = (tax / (gross - tax)) * 100;
+      const nearest = VAT_RATES.reduce((best, rate) =>
+        Math.abs(rate - derived) < Math.abs(best - derived) ? rate : best
+      );
+      return nearest / 100;
+    }
+
+    return QNBConfig.defaultTaxRates.VAT_20;
+  }
+
+  /**
+   * Invoice lines with net amounts from VAT inclusive order item prices
+   * @param {Array} items - Order items
+   * @returns {Array} Invoice lines
+   */
+  buildInvoiceLines(items) {
+    return items.map((item) => {
+      const quantity = parseFloat(item.quantity) || 1;
+      const taxRate = this.resolveVatRate(item);
+      const gross =
+        parseFloat(item.totalPrice) || (parseFloat(item.price) || 0) * quantity;
+      const lineExtensionAmount = round2(gross / (1 + taxRate));
+
+      return {
+        orderItemId: item.id,
+        name: item.title,
+        sku: item.sku || item.barcode,
+        quantity,
+        taxRate,
+        price: lineExtensionAmount / quantity,
+        lineExtensionAmount,
+        taxAmount: round2(gross - lineExtensionAmount)
+      };
+    });
+  }
+
+  /**
+   * Generate and store the e-Fatura of an order
+   * @param {string} userId - User ID
+   * @param {string} orderId - Order ID
+   * @param {Object} options - taxNumber, taxOffice, companyName, profile,
+   *   alias, notes, document (draft compliance document to fill) and, for a
+   *   return (IADE) invoice, billingReference ({ id, issueDate } of the
+   *   credited invoice) with the returned lines
+   * @returns {Promise<Object>} Compliance document
+   */
+  async generate(userId, orderId, options = {}) {
+    const config = await qnbConnector.getConfig(userId);
+    const profile = options.profile || QNBConfig.invoiceProfiles.COMMERCIAL;
+
+    if (!PROFILES.includes(profile)) {
+      throw serviceError(`Profile must be one of ${PROFILES.join(', ')}`, 400);
+    }
+    if (!/^\d{10,11}$/.test(String(config.companyInfo.taxNumber || ''))) {
+      throw serviceError('Company tax number is not configured', 400);
+    }
+    if (!/^[A-Z0-9]{3}$/.test(config.invoiceSeries)) {
+      throw serviceError('e-Fatura series must be 3 characters', 400);
+    }
+
+    const order = await this.loadOrder(userId, orderId);
+    // An order has one sales invoice but may get several return invoices
+    const isReturn = Boolean(options.billingReference);
+    if (isReturn && profile !== QNBConfig.invoiceProfiles.BASIC) {
+      throw serviceError('Return invoices must use the TEMELFATURA profile', 400);
+    }
+    const existing =
+      !isReturn &&
+      (await ComplianceDocuments.findOne({
+        where: {
+          orderId,
+          documentType: DOCUMENT_TYPE,
+          status: ['generated', 'sent', 'accepted']
+        }
+      }));
+    if (existing) {
+      throw serviceError(
+        `Order already has e-Fatura ${existing.documentNumber}`,
+        409
+      );
+    }
+
+    const buyer = this.buildBuyer(order, options);
+    if (!buyer.taxNumber) {
+      throw serviceError('Buyer VKN or TCKN is required for e-Fatura', 400);
+    }
+
+    const taxpayer = await this.checkTaxpayer(userId, buyer.taxNumber);
+    if (!taxpayer.isEInvoiceUser) {
+      throw serviceError(
+        `${buyer.taxNumber} is not registered for e-Fatura; issue an e-Arşiv invoice instead`,
+        400
+      );
+    }
+    if (options.alias && !taxpayer.aliases.includes(options.alias)) {
+      throw serviceError(`Unknown e-Fatura alias ${options.alias}`, 400);
+    }
+    buyer.name = buyer.name || taxpayer.title || '';
+
+    const issuedAt = new Date();
+    const invoice = {
+      uuid: crypto.randomUUID(),
+      issuedAt,
+      profile,
+      invoiceTypeCode: isReturn
+        ? QNBConfig.invoiceTypeCodes.RETURN
+        : QNBConfig.invoiceTypeCodes.SALE,
+      alias: options.alias || taxpayer.aliases[0],
+      currency: order.currency || QNBConfig.defaults.currency,
+      notes: [options.notes, `Sipariş No: ${order.orderNumber}`].filter(
+        Boolean
+      ),
+      orderReference: { id: order.orderNumber, date: order.orderDate },
+      billingReference: options.billingReference || null,
+      customer: buyer,
+      items: options.lines || this.buildInvoiceLines(order.items)
+    };
+
+    // A concurrent generation may take the same number; retry on conflict
+    for (let attempt = 0; attempt < 3; attempt++) {
+      invoice.documentNumber = await qnbConnector.nextDocumentNumber(
+        DOCUMENT_TYPE,
+        config.invoiceSeries,
+        issuedAt.getFullYear()
+      );
+
+      const values = {
+        orderId,
+        documentType: DOCUMENT_TYPE,
+        documentNumber: invoice.documentNumber,
+        uuid: invoice.uuid,
+        status: 'generated',
+        customerType: buyer.taxNumber.length === 10 ? 'COMPANY' : 'INDIVIDUAL',
+        customerInfo: buyer,
+        orderData: invoice,
+        xmlContent: this.generator.generateInvoiceUBL(
+          invoice,
+          config.companyInfo,
+          {
+            invoiceNumber: invoice.documentNumber,
+            uuid: invoice.uuid,
+            profileId: profile,
+            invoiceTypeCode: invoice.invoiceTypeCode,
+            issuedAt
+          }
+        ),
+        generatedAt: issuedAt,
+        metadata: {
+          ...options.document?.metadata,
+          generatedBy: userId,
+          profile,
+          alias: invoice.alias,
+          invoiceTypeCode: invoice.invoiceTypeCode
+        }
+      };
+
+      try {
+        const document = options.document
+          ? await options.document.update(values)
+          : await ComplianceDocuments.create(values);
+
+        logger.info('e-Fatura generated', {
+          orderId,
+          documentId: document.id,
+          documentNumber: document.documentNumber,
+          profile
+        });
+
+        return document;
+      } catch (error) {
+        if (error.name !== 'SequelizeUniqueConstraintError') {
+          throw error;
+        }
+      }
+    }
+
+    throw serviceError('Could not allocate an e-Fatura number', 409);
+  }
+
+  /**
+   * Submit a generated e-Fatura to QNB Finans
+   * @param {string} userId - User ID
+   * @param {string} documentId - Compliance document ID
+   * @returns {Promise<Object>} Document summary; status is failed when QNB
+   *   refused the document
+   */
+  async submit(userId, documentId) {
+    const document = await this.getDocument(userId, documentId);
+    const submittable =
+      document.status === 'generated' ||
+      (document.status === 'failed' && !document.providerDocumentId);
+    if (!submittable) {
+      throw serviceError(
+        `e-Fatura in status ${document.status} cannot be submitted`,
+        409
+      );
+    }
+
+    const config = await qnbConnector.getConfig(userId);
+    if (!config.username || !config.password) {
+      throw serviceError('QNB Finans credentials are not configured', 400);
+    }
+
+    const xml = Buffer.from(document.xmlContent, 'utf8');
+    document.retryCount += 1;
+
+    try {
+      const response = await qnbConnector.call(config, 'belgeGonderExt', {
+        parametreler: {
+          belgeNo: document.documentNumber,
+          vergiTcKimlikNo: config.companyInfo.taxNumber,
+          belgeTuru: 'FATURA_UBL',
+          veri: xml.toString('base64'),
+          belgeHash: crypto.createHash('md5').update(xml).digest('hex'),
+          mimeType: 'application/xml',
+          belgeVersiyon: '1.0',
+          ...(document.metadata.alias && {
+            alanEtiket: document.metadata.alias
+          }),
+          ...(config.senderAlias && { gonderenEtiket: config.senderAlias })
+        }
+      });
+      const belgeOid =
+        typeof response.data === 'string'
+          ? response.data
+          : response.data?.belgeOid;
+
+      if (!belgeOid) {
+        throw new Error('QNB Finans did not return a document reference');
+      }
+
+      await document.update({
+        status: 'sent',
+        providerDocumentId: belgeOid,
+        sentAt: new Date(),
+        errorMessage: null,
+        retryCount: document.retryCount
+      });
+
+      logger.info('e-Fatura submitted to QNB Finans', {
+        documentId,
+        documentNumber: document.documentNumber,
+        belgeOid
+      });
+    } catch (error) {
+      logger.error(`e-Fatura submission failed: ${error.message}`, {
+        documentId,
+        documentNumber: document.documentNumber
+      });
+
+      await document.update({
+        status: 'failed',
+        errorMessage: error.message,
+        retryCount: document.retryCount
+      });
+    }
+
+    return this.toSummary(document);
+  }
+
+  /**
+   * Query QNB Finans for delivery and, for TICARIFATURA, the buyer's
+   * application response (KABUL / RED)
+   * @param {Object} document - Compliance document
+   * @param {Object} config - Configuration of the document owner
+   * @returns {Promise<boolean>} True when the status changed
+   */
+  async refreshStatus(document, config) {
+    const response = await qnbConnector.call(
+      config,
+      'gidenBelgeDurumSorgula',
+      {
+        vergiTcKimlikNo: config.companyInfo.taxNumber,
+        belgeOid: document.providerDocumentId
+      }
+    );
+    const result = typeof response.data === 'object' ? response.data : {};
+    const { status, errorMessage, delivered } = qnbConnector.mapDocumentStatus(
+      result,
+      {
+        awaitsResponse:
+          document.metadata.profile === QNBConfig.invoiceProfiles.COMMERCIAL
+      }
+    );
+    const changed = status !== document.status;
+    const metadata = { ...document.metadata, lastCheckedAt: new Date() };
+    if (delivered && !metadata.deliveredAt) {
+      metadata.deliveredAt = new Date();
+    }
+    if (['accepted', 'rejected'].includes(status) && result.yanitDurumu) {
+      metadata.applicationResponse = {
+        response: String(result.yanitDurumu) === '2' ? 'KABUL' : 'RED',
+        detail: result.yanitDetayi || null
+      };
+    }
+
+    // lastCheckedAt also moves updatedAt, which orders the polling rounds
+    await document.update({
+      status,
+      errorMessage,
+      gibResponse: result,
+      metadata,
+      ...(changed && status !== 'sent' && { processedAt: new Date() })
+    });
+
+    if (changed) {
+      logger.info('e-Fatura status changed', {
+        documentId: document.id,
+        documentNumber: document.documentNumber,
+        status
+      });
+    }
+
+    return changed;
+  }
+
+  /**
+   * Refresh the status of one e-Fatura
+   * @param {string} userId - User ID
+   * @param {string} documentId - Compliance document ID
+   * @returns {Promise<Object>} Document summary
+   */
+  async pollStatus(userId, documentId) {
+    const document = await this.getDocument(userId, documentId);
+
+    if (document.status === 'sent') {
+      await this.refreshStatus(document, await qnbConnector.getConfig(userId));
+    }
+
+    return this.toSummary(document);
+  }
+
+  /**
+   * Refresh every sent e-Fatura, least recently checked first
+   * @param {number} limit - Maximum number of documents
+   * @returns {Promise<Object>} checked, updated and failed counts
+   */
+  async pollPending(limit = 50) {
+    const documents = await ComplianceDocuments.findAll({
+      where: { documentType: DOCUMENT_TYPE, status: 'sent' },
+      include: [
+        {
+          model: Order,
+          as: 'order',
+          attributes: ['id', 'userId'],
+          required: true
+        }
+      ],
+      order: [['updatedAt', 'ASC']],
+      limit
+    });
+
+    const configs = new Map();
+    const stats = { checked: documents.length, updated: 0, failed: 0 };
+
+    for (const document of documents) {
+      const { userId } = document.order;
+      try {
+        if (!configs.has(userId)) {
+          configs.set(userId, await qnbConnector.getConfig(userId));
+        }
+        if (await this.refreshStatus(document, configs.get(userId))) {
+          stats.updated++;
+        }
+      } catch (error) {
+        stats.failed++;
+        logger.warn(`e-Fatura status query failed: ${error.message}`, {
+          documentId: document.id
+        });
+      }
+    }
+
+    return stats;
+  }
+
+  /**
+   * Download purchase invoices received since the last fetch
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} listed, imported and failed counts
+   */
+  async fetchIncoming(userId) {
+    const config = await qnbConnector.getConfig(userId);
+    const last = await IncomingInvoice.findOne({
+      where: { userId },
+      order: [['providerSequence', 'DESC']],
+      attributes: ['providerSequence']
+    });
+    const lastSequence = last?.providerSequence
+      ? String(last.providerSequence)
+      : '0';
+
+    const response = await qnbConnector.call(config, 'gelenBelgeleriListele', {
+      parametreler: {
+        vergiTcKimlikNo: config.companyInfo.taxNumber,
+        sonAlinanBelgeSiraNumarasi: lastSequence,
+        belgeTuru: 'FATURA'
+      }
+    });
+    const entries = toArray(response.data?.gelenBelge).sort(
+      (a, b) => Number(a.belgeSiraNo) - Number(b.belgeSiraNo)
+    );
+
+    const stats = { listed: entries.length, imported: 0, failed: 0 };
+
+    // Entries are stored in sequence order so a failure resumes from it
+    for (const entry of entries) {
+      try {
+        const download = await qnbConnector.call(
+          config,
+          'gelenBelgeleriIndir',
+          {
+            parametreler: {
+              vergiTcKimlikNo: config.companyInfo.taxNumber,
+              ettn: entry.ettn,
+              belgeTuru: 'FATURA',
+              belgeFormati: 'UBL'
+            }
+          }
+        );
+        const xmlContent = Buffer.from(
+          String(download.data || ''),
+          'base64'
+        ).toString('utf8');
+        const parsed = await this.parseIncomingInvoice(xmlContent);
+
+        const [, created] = await IncomingInvoice.findOrCreate({
+          where: { userId, uuid: parsed.uuid || entry.ettn },
+          defaults: {
+            ...parsed,
+            uuid: parsed.uuid || entry.ettn,
+            senderTaxNumber:
+              parsed.senderTaxNumber || entry.gonderenVknTckn || null,
+            xmlContent,
+            providerSequence: entry.belgeSiraNo,
+            receivedAt: new Date()
+          }
+        });
+        if (created) {
+          stats.imported++;
+        }
+      } catch (error) {
+        stats.failed++;
+        logger.warn(`Incoming e-Fatura import failed: ${error.message}`, {
+          userId,
+          ettn: entry.ettn
+        });
+        break;
+      }
+    }
+
+    if (stats.imported > 0) {
+      logger.info('Incoming e-Fatura imported', { userId, ...stats });
+    }
+
+    return stats;
+  }
+
+  /**
+   * Fetch incoming invoices of every user with QNB Finans settings
+   * @returns {Promise<Object>} users, imported and failed counts
+   */
+  async fetchAllIncoming() {
+    const userIds = await qnbConnector.getConfiguredUserIds();
+    const stats = { users: userIds.length, imported: 0, failed: 0 };
+
+    for (const userId of userIds) {
+      try {
+        const result = await this.fetchIncoming(userId);
+        stats.imported += result.imported;
+        stats.failed += result.failed;
+      } catch (error) {
+        stats.failed++;
+        logger.warn(`Incoming e-Fatura fetch failed: ${error.message}`, {
+          userId
+        });
+      }
+    }
+
+    return stats;
+  }
+
+  /**
+   * Header, party and line data of a received UBL invoice
+   * @param {string} xmlContent - UBL-TR invoice XML
+   * @returns {Promise<Object>} IncomingInvoice attributes
+   */
+  async parseIncomingInvoice(xmlContent) {
+    const parsed = await xml2js.parseStringPromise(xmlContent, {
+      explicitArray: false,
+      tagNameProcessors: [xml2js.processors.stripPrefix]
+    });
+    const invoice = parsed?.Invoice;
+    if (!invoice) {
+      throw new Error('Document is not a UBL invoice');
+    }
+
+    const party = invoice.AccountingSupplierParty?.Party || {};
+    const identifiers = toArray(party.PartyIdentification).map(
+      (entry) => entry.ID
+    );
+    const taxId = identifiers.find((id) =>
+      ['VKN', 'TCKN'].includes(id?.$?.schemeID)
+    );
+    const person = party.Person;
+    const totals = invoice.LegalMonetaryTotal || {};
+
+    return {
+      uuid: text(invoice.UUID),
+      invoiceNumber: text(invoice.ID),
+      profileId: text(invoice.ProfileID),
+      invoiceTypeCode: text(invoice.InvoiceTypeCode),
+      senderTaxNumber: text(taxId),
+      senderName:
+        text(party.PartyName?.Name) ||
+        (person
+          ? [text(person.FirstName), text(person.FamilyName)]
+            .filter(Boolean)
+            .join(' ')
+          : null),
+      issueDate: text(invoice.IssueDate),
+      currency: text(invoice.DocumentCurrencyCode) || 'TRY',
+      taxExclusiveAmount: parseFloat(text(totals.TaxExclusiveAmount)) || 0,
+      taxAmount:
+        parseFloat(text(toArray(invoice.TaxTotal)[0]?.TaxAmount)) || 0,
+      payableAmount: parseFloat(text(totals.PayableAmount)) || 0,
+      lines: toArray(invoice.InvoiceLine).map((line) => ({
+        name: text(line.Item?.Name),
+        quantity: parseFloat(text(line.InvoicedQuantity)) || 0,
+        unitCode: line.InvoicedQuantity?.$?.unitCode || null,
+        price: parseFloat(text(line.Price?.PriceAmount)) || 0,
+        lineExtensionAmount: parseFloat(text(line.LineExtensionAmount)) || 0,
+        taxAmount: parseFloat(text(line.TaxTotal?.TaxAmount)) || 0,
+        taxPercent:
+          parseFloat(text(toArray(line.TaxTotal?.TaxSubtotal)[0]?.Percent)) ||
+          0
+      }))
+    };
+  }
+
+  /**
+   * Received purchase invoices of a user
+   * @param {string} userId - User ID
+   * @param {Object} options - page, limit and senderTaxNumber
+   * @returns {Promise<Object>} invoices and pagination
+   */
+  async listIncoming(userId, { page = 1, limit = 20, senderTaxNumber } = {}) {
+    const pageSize = Math.min(parseInt(limit, 10) || 20, 100);
+    const currentPage = Math.max(parseInt(page, 10) || 1, 1);
+
+    const { rows, count } = await IncomingInvoice.findAndCountAll({
+      where: { userId, ...(senderTaxNumber && { senderTaxNumber }) },
+      attributes: { exclude: ['xmlContent'] },
+      order: [
+        ['issueDate', 'DESC'],
+        ['receivedAt', 'DESC']
+      ],
+      limit: pageSize,
+      offset: (currentPage - 1) * pageSize
+    });
+
+    return {
+      invoices: rows,
+      pagination: {
+        page: currentPage,
+        limit: pageSize,
+        total: count,
+        totalPages: Math.ceil(count / pageSize)
+      }
+    };
+  }
+
+  /**
+   * API representation of an e-Fatura
+   * @param {Object} document - Compliance document
+   * @returns {Object}
+   */
+  toSummary(document) {
+    return {
+      id: document.id,
+      orderId: document.orderId,
+      documentNumber: document.documentNumber,
+      uuid: document.uuid,
+      profile: document.metadata.profile,
+      alias: document.metadata.alias,
+      status: document.status,
+      providerDocumentId: document.providerDocumentId,
+      applicationResponse: document.metadata.applicationResponse || null,
+      generatedAt: document.generatedAt,
+      sentAt: document.sentAt,
+      processedAt: document.processedAt,
+      errorMessage: document.errorMessage
+    };
+  }
+}
+
+module.exports = new QNBEFaturaService();
+module.exports.QNBEFaturaService = QNBEFaturaService;
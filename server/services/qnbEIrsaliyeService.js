@@ -0,0 +1,757 @@
+/**
+ * QNB Finans e-İrsaliye Service
+ * Generates UBL-TR despatch advices for orders and submits them to GİB
+ * through the QNB Finans connector service
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const PDFDocument = require('pdfkit');
+const {
+  Order,
+  OrderItem,
+  ShippingDetail,
+  ShippingCarrier,
+  ComplianceDocuments
+} = require('../models');
+const qnbConnector = require('./qnbConnectorService');
+const DespatchAdviceGenerator = require('./qnb/eirsaliye/xml/DespatchAdviceGenerator');
+const QNBConfig = require('./qnb/shared/config/QNBConfig');
+const QNBHelpers = require('./qnb/shared/utils/QNBHelpers');
+const logger = require('../utils/logger');
+
+const DOCUMENT_TYPE = 'e-despatch';
+
+const FONTS_PATH = path.join(__dirname, '../fonts');
+
+const serviceError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const parseJson = (value) => {
+  if (!value) {
+    return {};
+  }
+  if (typeof value === 'object') {
+    return value;
+  }
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return {};
+  }
+};
+
+const normalizePlate = (plate) =>
+  String(plate || '')
+    .toLocaleUpperCase('tr')
+    .replace(/\s+/g, '');
+
+class QNBEIrsaliyeService {
+  constructor() {
+    this.generator = new DespatchAdviceGenerator();
+  }
+
+  /**
+   * Order of a user with its items and shipping details
+   * @param {string} userId - User ID
+   * @param {string} orderId - Order ID
+   * @returns {Promise<Object>}
+   */
+  async loadOrder(userId, orderId) {
+    const order = await Order.findOne({
+      where: { id: orderId, userId },
+      include: [
+        { model: OrderItem, as: 'items', required: false },
+        {
+          model: ShippingDetail,
+          as: 'shippingDetail',
+          required: false,
+          include: [
+            { model: ShippingCarrier, as: 'carrier', required: false }
+          ]
+        }
+      ]
+    });
+
+    if (!order) {
+      throw serviceError('Order not found', 404);
+    }
+    if (!order.items || order.items.length === 0) {
+      throw serviceError('Order has no items to despatch', 400);
+    }
+
+    return order;
+  }
+
+  /**
+   * e-İrsaliye document of a user
+   * @param {string} userId - User ID
+   * @param {string} documentId - Compliance document ID
+   * @returns {Promise<Object>}
+   */
+  async getDocument(userId, documentId) {
+    const document = await ComplianceDocuments.findOne({
+      where: { id: documentId, documentType: DOCUMENT_TYPE },
+      include: [
+        {
+          model: Order,
+          as: 'order',
+          attributes: ['id', 'userId', 'orderNumber'],
+          where: { userId },
+          required: true
+        }
+      ]
+    });
+
+    if (!document) {
+      throw serviceError('e-İrsaliye not found', 404);
+    }
+
+    return document;
+  }
+
+  /**
+   * Receiver party from the order's shipping details and customer info
+   * @param {Object} order - Order with shipping details
+   * @returns {Object} Receiver
+   */
+  buildReceiver(order) {
+    const detail = order.shippingDetail;
+    const address = parseJson(order.shippingAddress);
+    const customer = parseJson(order.customerInfo);
+
+    const candidates = [
+      customer.taxNumber,
+      customer.vkn,
+      order.identityNumber,
+      customer.identityNumber,
+      customer.tckn
+    ];
+    const taxNumber = candidates
+      .map((value) => String(value || '').replace(/\s/g, ''))
+      .find((value) => QNBHelpers.validateTurkishTaxNumber(value));
+
+    return {
+      name:
+        (taxNumber?.length === 10 && customer.companyName) ||
+        detail?.recipientName ||
+        address.fullName ||
+        address.name ||
+        order.customerName ||
+        '',
+      taxNumber: taxNumber || null,
+      taxOffice: customer.taxOffice || '',
+      address:
+        detail?.address ||
+        address.fullAddress ||
+        address.address1 ||
+        address.address ||
+        '',
+      district: detail?.state || address.district || address.state || '',
+      city: detail?.city || address.city || '',
+      postalCode: detail?.postalCode || address.postalCode || '',
+      phone: detail?.phone || address.phone || order.customerPhone || '',
+      email: detail?.email || order.customerEmail || ''
+    };
+  }
+
+  /**
+   * Transport details; GİB needs a carrier with a VKN or a vehicle plate
+   * with its driver
+   * @param {Object} order - Order with shipping details
+   * @param {Object} options - Carrier, plate and driver overrides
+   * @returns {Object} Transport
+   */
+  buildTransport(order, options = {}) {
+    const shippingCarrier = order.shippingDetail?.carrier;
+    const carrierOption = options.carrier || {};
+    const carrierTaxNumber = String(
+      carrierOption.taxNumber ||
+        shippingCarrier?.configuration?.taxNumber ||
+        ''
+    ).replace(/\s/g, '');
+
+    let carrier = null;
+    if (carrierTaxNumber) {
+      if (!/^\d{10}$/.test(carrierTaxNumber)) {
+        throw serviceError('Carrier tax number must be a 10 digit VKN', 400);
+      }
+      carrier = {
+        name:
+          carrierOption.name ||
+          shippingCarrier?.name ||
+          order.cargoCompany ||
+          '',
+        taxNumber: carrierTaxNumber,
+        taxOffice:
+          carrierOption.taxOffice ||
+          shippingCarrier?.configuration?.taxOffice ||
+          '',
+        address:
+          carrierOption.address ||
+          shippingCarrier?.configuration?.address ||
+          '',
+        city: carrierOption.city || shippingCarrier?.configuration?.city || ''
+      };
+    }
+
+    const plate = normalizePlate(options.plate);
+    const trailerPlate = normalizePlate(options.trailerPlate);
+    let driver = null;
+
+    if (plate) {
+      const nationalId = String(options.driver?.nationalId || '').trim();
+      if (!options.driver?.name || !QNBHelpers.validateTCKN(nationalId)) {
+        throw serviceError(
+          'Driver name and a valid TCKN are required when a plate is given',
+          400
+        );
+      }
+      driver = { name: String(options.driver.name).trim(), nationalId };
+    }
+
+    if (!carrier && !plate) {
+      throw serviceError(
+        'A carrier with a tax number or a vehicle plate is required',
+        400
+      );
+    }
+
+    const despatchedAt = options.despatchedAt
+      ? new Date(options.despatchedAt)
+      : order.shippingDetail?.shippedAt || new Date();
+    if (Number.isNaN(despatchedAt.getTime())) {
+      throw serviceError('Invalid despatch date', 400);
+    }
+
+    return {
+      carrier,
+      plate: plate || null,
+      trailerPlate: trailerPlate || null,
+      driver,
+      despatchedAt
+    };
+  }
+
+  /**
+   * Generate and store the e-İrsaliye of an order
+   * @param {string} userId - User ID
+   * @param {string} orderId - Order ID
+   * @param {Object} options - plate, trailerPlate, driver, carrier,
+   *   despatchedAt and notes
+   * @returns {Promise<Object>} Compliance document
+   */
+  async generate(userId, orderId, options = {}) {
+    const config = await qnbConnector.getConfig(userId);
+    const company = {
+      ...config.companyInfo,
+      name: config.companyInfo.companyName
+    };
+
+    if (!/^\d{10,11}$/.test(String(company.taxNumber || ''))) {
+      throw serviceError('Company tax number is not configured', 400);
+    }
+    if (!/^[A-Z0-9]{3}$/.test(config.despatchSeries)) {
+      throw serviceError('e-İrsaliye series must be 3 characters', 400);
+    }
+
+    const order = await this.loadOrder(userId, orderId);
+    const existing = await ComplianceDocuments.findOne({
+      where: {
+        orderId,
+        documentType: DOCUMENT_TYPE,
+        status: ['generated', 'sent', 'accepted']
+      }
+    });
+    if (existing) {
+      throw serviceError(
+        `Order already has e-İrsaliye ${existing.documentNumber}`,
+        409
+      );
+    }
+
+    const receiver = this.buildReceiver(order);
+    const transport = this.buildTransport(order, options);
+    const issuedAt = new Date();
+    const despatch = {
+      uuid: crypto.randomUUID(),
+      issuedAt,
+      currency: order.currency || QNBConfig.defaults.currency,
+      notes: [options.notes, `Sipariş No: ${order.orderNumber}`].filter(
+        Boolean
+      ),
+      orderReference: { id: order.orderNumber, date: order.orderDate },
+      shipmentId: order.shippingDetail?.trackingNumber || undefined,
+      company,
+      receiver,
+      transport,
+      lines: order.items.map((item) => ({
+        name: item.title,
+        sku: item.sku || item.barcode,
+        quantity: item.quantity,
+        amount: item.totalPrice ?? item.price * item.quantity
+      }))
+    };
+
+    // A concurrent generation may take the same number; retry on conflict
+    for (let attempt = 0; attempt < 3; attempt++) {
+      despatch.documentNumber = await qnbConnector.nextDocumentNumber(
+        DOCUMENT_TYPE,
+        config.despatchSeries,
+        issuedAt.getFullYear()
+      );
+
+      try {
+        const document = await ComplianceDocuments.create({
+          orderId,
+          documentType: DOCUMENT_TYPE,
+          documentNumber: despatch.documentNumber,
+          uuid: despatch.uuid,
+          status: 'generated',
+          customerType:
+            receiver.taxNumber?.length === 10 ? 'COMPANY' : 'INDIVIDUAL',
+          customerInfo: receiver,
+          orderData: despatch,
+          xmlContent: this.generator.generate(despatch),
+          generatedAt: issuedAt,
+          metadata: { generatedBy: userId }
+        });
+
+        logger.info('e-İrsaliye generated', {
+          orderId,
+          documentId: document.id,
+          documentNumber: document.documentNumber
+        });
+
+        return document;
+      } catch (error) {
+        if (error.name !== 'SequelizeUniqueConstraintError') {
+          throw error;
+        }
+      }
+    }
+
+    throw serviceError('Could not allocate an e-İrsaliye number', 409);
+  }
+
+  /**
+   * Submit a generated e-İrsaliye to QNB Finans
+   * @param {string} userId - User ID
+   * @param {string} documentId - Compliance document ID
+   * @returns {Promise<Object>} Document summary; status is failed when QNB
+   *   refused the document
+   */
+  async submit(userId, documentId) {
+    const document = await this.getDocument(userId, documentId);
+    const submittable =
+      document.status === 'generated' ||
+      (document.status === 'failed' && !document.providerDocumentId);
+    if (!submittable) {
+      throw serviceError(
+        `e-İrsaliye in status ${document.status} cannot be submitted`,
+        409
+      );
+    }
+
+    const config = await qnbConnector.getConfig(userId);
+    if (!config.username || !config.password) {
+      throw serviceError('QNB Finans credentials are not configured', 400);
+    }
+
+    const xml = Buffer.from(document.xmlContent, 'utf8');
+    document.retryCount += 1;
+
+    try {
+      const response = await qnbConnector.call(config, 'belgeGonderExt', {
+        parametreler: {
+          belgeNo: document.documentNumber,
+          vergiTcKimlikNo: config.companyInfo.taxNumber,
+          belgeTuru: 'IRSALIYE_UBL',
+          veri: xml.toString('base64'),
+          belgeHash: crypto.createHash('md5').update(xml).digest('hex'),
+          mimeType: 'application/xml',
+          belgeVersiyon: '1.0'
+        }
+      });
+      const belgeOid =
+        typeof response.data === 'string'
+          ? response.data
+          : response.data?.belgeOid;
+
+      if (!belgeOid) {
+        throw new Error('QNB Finans did not return a document reference');
+      }
+
+      await document.update({
+        status: 'sent',
+        providerDocumentId: belgeOid,
+        sentAt: new Date(),
+        errorMessage: null,
+        retryCount: document.retryCount
+      });
+
+      logger.info('e-İrsaliye submitted to QNB Finans', {
+        documentId,
+        documentNumber: document.documentNumber,
+        belgeOid
+      });
+    } catch (error) {
+      logger.error(`e-İrsaliye submission failed: ${error.message}`, {
+        documentId,
+        documentNumber: document.documentNumber
+      });
+
+      await document.update({
+        status: 'failed',
+        errorMessage: error.message,
+        retryCount: document.retryCount
+      });
+    }
+
+    return this.toSummary(document);
+  }
+
+  /**
+   * Query QNB Finans for the state of a sent document
+   * @param {Object} document - Compliance document
+   * @param {Object} config - Configuration of the document owner
+   * @returns {Promise<boolean>} True when the status changed
+   */
+  async refreshStatus(document, config) {
+    const response = await qnbConnector.call(
+      config,
+      'gidenBelgeDurumSorgula',
+      {
+        vergiTcKimlikNo: config.companyInfo.taxNumber,
+        belgeOid: document.providerDocumentId
+      }
+    );
+    const result = typeof response.data === 'object' ? response.data : {};
+    const { status, errorMessage } = qnbConnector.mapDocumentStatus(result);
+    const changed = status !== document.status;
+
+    // lastCheckedAt also moves updatedAt, which orders the polling rounds
+    await document.update({
+      status,
+      errorMessage,
+      gibResponse: result,
+      metadata: { ...document.metadata, lastCheckedAt: new Date() },
+      ...(changed && status !== 'sent' && { processedAt: new Date() })
+    });
+
+    if (changed) {
+      logger.info('e-İrsaliye status changed', {
+        documentId: document.id,
+        documentNumber: document.documentNumber,
+        status
+      });
+    }
+
+    return changed;
+  }
+
+  /**
+   * Refresh the status of one e-İrsaliye
+   * @param {string} userId - User ID
+   * @param {string} documentId - Compliance document ID
+   * @returns {Promise<Object>} Document summary
+   */
+  async pollStatus(userId, documentId) {
+    const document = await this.getDocument(userId, documentId);
+
+    if (document.status === 'sent') {
+      await this.refreshStatus(document, await qnbConnector.getConfig(userId));
+    }
+
+    return this.toSummary(document);
+  }
+
+  /**
+   * Refresh every sent e-İrsaliye, least recently checked first
+   * @param {number} limit - Maximum number of documents
+   * @returns {Promise<Object>} checked, updated and failed counts
+   */
+  async pollPending(limit = 50) {
+    const documents = await ComplianceDocuments.findAll({
+      where: { documentType: DOCUMENT_TYPE, status: 'sent' },
+      include: [
+        {
+          model: Order,
+          as: 'order',
+          attributes: ['id', 'userId'],
+          required: true
+        }
+      ],
+      order: [['updatedAt', 'ASC']],
+      limit
+    });
+
+    const configs = new Map();
+    const stats = { checked: documents.length, updated: 0, failed: 0 };
+
+    for (const document of documents) {
+      const { userId } = document.order;
+      try {
+        if (!configs.has(userId)) {
+          configs.set(userId, await qnbConnector.getConfig(userId));
+        }
+        if (await this.refreshStatus(document, configs.get(userId))) {
+          stats.updated++;
+        }
+      } catch (error) {
+        stats.failed++;
+        logger.warn(`e-İrsaliye status query failed: ${error.message}`, {
+          documentId: document.id
+        });
+      }
+    }
+
+    return stats;
+  }
+
+  /**
+   * Cancel an e-İrsaliye that GİB has not delivered. GİB has no
+   * cancellation for delivered despatch advices; those are corrected with
+   * a new e-İrsaliye or rejected by the receiver.
+   * @param {string} userId - User ID
+   * @param {string} documentId - Compliance document ID
+   * @param {string} reason - Cancellation reason
+   * @returns {Promise<Object>} Document summary
+   */
+  async cancel(userId, documentId, reason = '') {
+    const document = await this.getDocument(userId, documentId);
+
+    if (['sent', 'accepted'].includes(document.status)) {
+      throw serviceError(
+        'e-İrsaliye has been sent to GİB and cannot be cancelled; issue a new e-İrsaliye or ask the receiver to reject it',
+        409
+      );
+    }
+    if (document.status === 'cancelled') {
+      throw serviceError('e-İrsaliye is already cancelled', 409);
+    }
+
+    // Numbers never registered at GİB are released for reuse
+    const registered = Boolean(document.providerDocumentId);
+
+    await document.update({
+      status: 'cancelled',
+      ...(!registered && { documentNumber: null }),
+      metadata: {
+        ...document.metadata,
+        cancelledBy: userId,
+        cancelledAt: new Date().toISOString(),
+        cancelReason: reason || null,
+        ...(!registered && {
+          releasedDocumentNumber: document.documentNumber
+        })
+      }
+    });
+
+    logger.info('e-İrsaliye cancelled', { documentId, userId });
+
+    return this.toSummary(document);
+  }
+
+  /**
+   * Render the printable copy of an e-İrsaliye
+   * @param {string} userId - User ID
+   * @param {string} documentId - Compliance document ID
+   * @returns {Promise<Object>} filename and PDF buffer
+   */
+  async renderPdf(userId, documentId) {
+    const document = await this.getDocument(userId, documentId);
+    const despatch = document.orderData;
+
+    const doc = new PDFDocument({
+      size: 'A4',
+      margin: 40,
+      info: {
+        Title: `e-İrsaliye ${document.documentNumber || ''}`,
+        Author: despatch.company.name || 'Pazar+',
+        Creator: 'Pazar+ Sistem'
+      }
+    });
+    doc.registerFont('Regular', path.join(FONTS_PATH, 'DejaVuSans.ttf'));
+    doc.registerFont('Bold', path.join(FONTS_PATH, 'DejaVuSans-Bold.ttf'));
+
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    const finished = new Promise((resolve, reject) => {
+      doc.on('end', resolve);
+      doc.on('error', reject);
+    });
+
+    this.drawPdf(doc, document, despatch);
+    doc.end();
+    await finished;
+
+    return {
+      filename: `e-irsaliye-${document.documentNumber || document.id}.pdf`,
+      buffer: Buffer.concat(chunks)
+    };
+  }
+
+  /**
+   * Draw the e-İrsaliye layout
+   * @param {PDFDocument} doc - PDF document
+   * @param {Object} document - Compliance document
+   * @param {Object} despatch - Stored despatch data
+   */
+  drawPdf(doc, document, despatch) {
+    const { company, receiver, transport } = despatch;
+    const formatDate = (value) =>
+      value ? new Date(value).toLocaleString('tr-TR') : '-';
+    const partyLines = (party) =>
+      [
+        party.address,
+        [party.district, party.city].filter(Boolean).join(' / '),
+        party.taxOffice && `Vergi Dairesi: ${party.taxOffice}`,
+        party.taxNumber &&
+          `${party.taxNumber.length === 11 ? 'TCKN' : 'VKN'}: ${party.taxNumber}`,
+        party.phone && `Tel: ${party.phone}`
+      ].filter(Boolean);
+
+    // Sender and document title
+    doc.font('Bold').fontSize(12).text(company.name || '', 40, 40, {
+      width: 300
+    });
+    doc.font('Regular').fontSize(9);
+    partyLines(company).forEach((line) => doc.text(line, { width: 300 }));
+
+    doc.font('Bold').fontSize(18).text('e-İRSALİYE', 360, 40, {
+      width: 195,
+      align: 'right'
+    });
+
+    // Document information
+    const info = [
+      ['İrsaliye No', document.documentNumber || '-'],
+      ['ETTN', document.uuid || despatch.uuid],
+      ['Düzenleme Tarihi', formatDate(despatch.issuedAt)],
+      ['Sevk Tarihi', formatDate(transport.despatchedAt)],
+      ['Sipariş No', despatch.orderReference?.id || '-'],
+      ['Senaryo', 'TEMELIRSALIYE'],
+      ['Durum', document.status]
+    ];
+    let y = 75;
+    doc.fontSize(8);
+    info.forEach(([label, value]) => {
+      doc.font('Bold').text(label, 360, y, { width: 80 });
+      doc.font('Regular').text(String(value), 440, y, { width: 115 });
+      y += 14;
+    });
+
+    // Receiver
+    y = Math.max(doc.y, y) + 20;
+    doc.font('Bold').fontSize(10).text('SAYIN', 40, y);
+    doc.text(receiver.name || '', 40, y + 14, { width: 300 });
+    doc.font('Regular').fontSize(9);
+    partyLines(receiver).forEach((line) => doc.text(line, { width: 300 }));
+
+    // Transport
+    y = doc.y + 15;
+    doc.font('Bold').fontSize(10).text('TAŞIMA BİLGİLERİ', 40, y);
+    doc.font('Regular').fontSize(9);
+    if (transport.carrier) {
+      doc.text(
+        `Taşıyıcı: ${transport.carrier.name} (VKN: ${transport.carrier.taxNumber})`
+      );
+    }
+    if (transport.plate) {
+      doc.text(
+        `Plaka: ${transport.plate}${
+          transport.trailerPlate ? ` / Dorse: ${transport.trailerPlate}` : ''
+        }`
+      );
+    }
+    if (transport.driver) {
+      doc.text(
+        `Şoför: ${transport.driver.name} (TCKN: ${transport.driver.nationalId})`
+      );
+    }
+
+    // Lines
+    const columns = [
+      { label: 'Sıra', x: 40, width: 35 },
+      { label: 'Stok Kodu', x: 75, width: 110 },
+      { label: 'Mal / Hizmet', x: 185, width: 270 },
+      { label: 'Miktar', x: 455, width: 50, align: 'right' },
+      { label: 'Birim', x: 510, width: 45 }
+    ];
+    y = doc.y + 20;
+    doc.font('Bold').fontSize(9);
+    columns.forEach((column) =>
+      doc.text(column.label, column.x, y, {
+        width: column.width,
+        align: column.align
+      })
+    );
+    doc
+      .moveTo(40, y + 13)
+      .lineTo(555, y + 13)
+      .stroke();
+    y += 18;
+
+    doc.font('Regular');
+    despatch.lines.forEach((line, index) => {
+      const values = [
+        index + 1,
+        line.sku || '',
+        line.name,
+        line.quantity,
+        'Adet'
+      ];
+      const height = Math.max(
+        doc.heightOfString(String(line.name), { width: columns[2].width }),
+        12
+      );
+      if (y + height > doc.page.height - 80) {
+        doc.addPage();
+        y = 40;
+      }
+      columns.forEach((column, i) =>
+        doc.text(String(values[i]), column.x, y, {
+          width: column.width,
+          align: column.align
+        })
+      );
+      y += height + 4;
+    });
+
+    doc
+      .fontSize(7)
+      .text(
+        'Bu belge 487 Sıra No’lu VUK Genel Tebliği kapsamında e-İrsaliye olarak düzenlenmiştir.',
+        40,
+        doc.page.height - 70,
+        { width: 515, align: 'center' }
+      );
+  }
+
+  /**
+   * API representation of an e-İrsaliye
+   * @param {Object} document - Compliance document
+   * @returns {Object}
+   */
+  toSummary(document) {
+    return {
+      id: document.id,
+      orderId: document.orderId,
+      documentNumber: document.documentNumber,
+      uuid: document.uuid,
+      status: document.status,
+      providerDocumentId: document.providerDocumentId,
+      generatedAt: document.generatedAt,
+      sentAt: document.sentAt,
+      processedAt: document.processedAt,
+      errorMessage: document.errorMessage
+    };
+  }
+}
+
+module.exports = new QNBEIrsaliyeService();
+module.exports.QNBEIrsaliyeService = QNBEIrsaliyeService;
@@ -0,0 +1,523 @@
+const { Op } = require("sequelize");
+const logger = require("../../utils/logger");
+const {
+  CustomerQuestion,
+  ReplyTemplate,
+  QuestionAnswerDraft,
+  QuestionAutoAnswerRule,
+} = require("../../models");
+const CustomerQuestionService = require("../CustomerQuestionService");
+const { loadProductFacts, DEFAULT_SHIPPING_DAYS } = require("./product-facts");
+const ruleBasedModel = require("./rule-based-model");
+const questionSla = require("../question-sla-service");
+
+const { CATEGORIES } = ruleBasedModel;
+
+const PLATFORMS = ["trendyol", "hepsiburada", "n11"];
+
+// Automatic answers go out at least this long before the deadline
+const SLA_SAFETY_MINUTES = 30;
+
+// Questions older than this are left to the team
+const LOOKBACK_HOURS = parseInt(
+  process.env.QUESTION_AUTO_ANSWER_LOOKBACK_HOURS || "48",
+  10
+);
+
+const BATCH_SIZE = 50;
+
+/**
+ * Rules used for categories the seller has not configured. Only answers
+ * that rest on stock data or store policy are sent without review.
+ */
+const DEFAULT_RULES = {
+  stock: { auto_send: true, min_confidence: 0.85, hold_minutes: 15 },
+  shipping_time: { auto_send: true, min_confidence: 0.85, hold_minutes: 15 },
+  return: { auto_send: true, min_confidence: 0.85, hold_minutes: 15 },
+  warranty: { auto_send: false, min_confidence: 0.85, hold_minutes: 15 },
+  attribute: { auto_send: false, min_confidence: 0.85, hold_minutes: 15 },
+  compatibility: { auto_send: false, min_confidence: 0.9, hold_minutes: 30 },
+  original: { auto_send: false, min_confidence: 0.9, hold_minutes: 30 },
+  other: { auto_send: false, min_confidence: 1, hold_minutes: 15 },
+};
+
+const serviceError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const toRule = (rule, category, platform, isDefault = false) => ({
+  category,
+  platform,
+  auto_send: rule.auto_send,
+  min_confidence: rule.min_confidence,
+  hold_minutes: rule.hold_minutes,
+  isDefault,
+});
+
+/**
+ * Question Answering Service
+ * Drafts answers to marketplace customer questions from product facts and
+ * reply templates. Confident drafts in categories the seller allows are
+ * sent automatically within the platform's answer deadline, everything
+ * else waits in the review queue. Answer models are pluggable through
+ * registerModel() and chosen with QUESTION_ANSWER_MODEL.
+ */
+class QuestionAnsweringService {
+  constructor() {
+    this.models = new Map();
+    this.questionService = new CustomerQuestionService();
+    this.initialized = false;
+
+    this.registerModel(ruleBasedModel);
+  }
+
+  /**
+   * Register an answer model
+   * @param {Object} model - { name, answer: async ({ question, facts,
+   *   templates, defaults }) => { category, text, confidence, templateId } }
+   */
+  registerModel(model) {
+    if (!model?.name || typeof model.answer !== "function") {
+      throw new Error("Answer models need a name and an answer() function");
+    }
+    this.models.set(model.name, model);
+  }
+
+  getModel() {
+    const name = process.env.QUESTION_ANSWER_MODEL || ruleBasedModel.name;
+    const model = this.models.get(name);
+    if (!model) {
+      logger.warn(`Unknown question answer model "${name}", using rules`);
+      return ruleBasedModel;
+    }
+    return model;
+  }
+
+  /**
+   * Platform services are needed to send answers; load them once like the
+   * question controller does
+   */
+  async ensureInitialized() {
+    if (this.initialized) return;
+
+    const platformConfigs = await this.questionService.loadPlatformConfigs();
+    await this.questionService.initialize(platformConfigs);
+    this.initialized = true;
+  }
+
+  /**
+   * Latest time the platform expects an answer
+   */
+  getSlaDeadline(question) {
+    return question.due_date
+      ? new Date(question.due_date)
+      : questionSla.getDueDate(question);
+  }
+
+  /**
+   * Auto-answer rules for every category, configured ones over defaults
+   */
+  async getRules() {
+    const configured = await QuestionAutoAnswerRule.findAll({
+      order: [
+        ["category", "ASC"],
+        ["platform", "ASC"],
+      ],
+    });
+
+    const rules = CATEGORIES.filter(
+      (category) =>
+        !configured.some(
+          (rule) => rule.category === category && rule.platform === "all"
+        )
+    ).map((category) => toRule(DEFAULT_RULES[category], category, "all", true));
+
+    return [
+      ...configured.map((rule) => toRule(rule, rule.category, rule.platform)),
+      ...rules,
+    ].sort(
+      (a, b) => CATEGORIES.indexOf(a.category) - CATEGORIES.indexOf(b.category)
+    );
+  }
+
+  /**
+   * The rule for a category on a platform: a platform specific rule, then
+   * the rule for all platforms, then the default
+   */
+  resolveRule(rules, category, platform) {
+    return (
+      rules.find(
+        (rule) => rule.category === category && rule.platform === platform
+      ) ||
+      rules.find(
+        (rule) => rule.category === category && rule.platform === "all"
+      ) ||
+      toRule(DEFAULT_RULES.other, category, "all", true)
+    );
+  }
+
+  async saveRule(category, platform = "all", data, userId) {
+    if (!CATEGORIES.includes(category)) {
+      throw serviceError(`Unknown question category: ${category}`, 400);
+    }
+    if (platform !== "all" && !PLATFORMS.includes(platform)) {
+      throw serviceError(`Unknown platform: ${platform}`, 400);
+    }
+
+    const defaults = DEFAULT_RULES[category];
+    const [rule] = await QuestionAutoAnswerRule.findOrCreate({
+      where: { category, platform },
+      defaults: { ...defaults, category, platform },
+    });
+
+    await rule.update({
+      auto_send: data.auto_send ?? rule.auto_send,
+      min_confidence: data.min_confidence ?? rule.min_confidence,
+      hold_minutes: data.hold_minutes ?? rule.hold_minutes,
+      updated_by: userId,
+    });
+
+    return toRule(rule, category, platform);
+  }
+
+  /**
+   * Run the answer model for a question
+   */
+  async generateAnswer(question) {
+    let facts = null;
+    try {
+      facts = await loadProductFacts(question);
+    } catch (error) {
+      logger.warn(
+        `Could not load product facts for question ${question.id}: ${error.message}`
+      );
+    }
+
+    const templates = (
+      await ReplyTemplate.findAll({
+        where: { isActive: true },
+        order: [["usageCount", "DESC"]],
+      })
+    ).filter((template) => {
+      const platforms = template.platforms || [];
+      return (
+        platforms.includes(question.platform) || platforms.includes("all")
+      );
+    });
+
+    const model = this.getModel();
+    const result = await model.answer({
+      question,
+      facts,
+      templates,
+      defaults: { shippingDays: DEFAULT_SHIPPING_DAYS },
+    });
+
+    return { ...result, model: model.name, facts };
+  }
+
+  /**
+   * Draft an answer for a question and decide whether it is sent
+   * automatically. Drafts requested by a user always wait for review.
+   * @param {Object} question - CustomerQuestion
+   * @param {Object} options - { manual, rules, now }
+   */
+  async draftAnswer(question, options = {}) {
+    const { manual = false, now = new Date() } = options;
+
+    const existing = await QuestionAnswerDraft.findOne({
+      where: { question_id: question.id },
+    });
+    if (existing?.status === "sent") {
+      throw serviceError("This question was already answered by a draft", 409);
+    }
+
+    const answer = await this.generateAnswer(question);
+    const rules = options.rules || (await this.getRules());
+    const rule = this.resolveRule(rules, answer.category, question.platform);
+    const deadline = this.getSlaDeadline(question);
+    const latestSendAt = deadline
+      ? new Date(deadline.getTime() - SLA_SAFETY_MINUTES * 60 * 1000)
+      : null;
+
+    const autoSend =
+      !manual &&
+      Boolean(answer.text) &&
+      rule.auto_send &&
+      answer.confidence >= rule.min_confidence &&
+      (!latestSendAt || latestSendAt > now);
+
+    let autoSendAt = null;
+    if (autoSend) {
+      autoSendAt = new Date(now.getTime() + rule.hold_minutes * 60 * 1000);
+      if (latestSendAt && latestSendAt < autoSendAt) {
+        autoSendAt = latestSendAt;
+      }
+    }
+
+    const values = {
+      question_id: question.id,
+      platform: question.platform,
+      category: answer.category,
+      answer_text: answer.text,
+      confidence: answer.confidence,
+      model: answer.model,
+      template_id: answer.templateId || null,
+      facts: answer.facts,
+      status: autoSend ? "scheduled" : "pending_review",
+      sla_deadline: deadline,
+      auto_send_at: autoSendAt,
+      sent_at: null,
+      reviewed_by: null,
+      reply_id: null,
+      error: null,
+    };
+
+    return existing ? existing.update(values) : QuestionAnswerDraft.create(values);
+  }
+
+  /**
+   * Send a draft to the platform as the answer of its question
+   * @param {Object} draft - QuestionAnswerDraft
+   * @param {string|null} userId - Reviewer, null for automatic answers
+   */
+  async sendDraft(draft, userId = null) {
+    const question = await CustomerQuestion.findByPk(draft.question_id);
+
+    // Someone answered on the platform or in the panel while the draft waited
+    if (!question || question.status !== "WAITING_FOR_ANSWER") {
+      return draft.update({
+        status: "discarded",
+        auto_send_at: null,
+        error: "Question was answered or closed before the draft was sent",
+      });
+    }
+
+    try {
+      await this.ensureInitialized();
+
+      const reply = await this.questionService.replyToQuestion(
+        question.id,
+        {
+          text: draft.answer_text,
+          type: "answer",
+          template_id: draft.template_id || undefined,
+        },
+        userId
+      );
+
+      if (reply.status === "sent") {
+        return draft.update({
+          status: "sent",
+          sent_at: new Date(),
+          auto_send_at: null,
+          reply_id: reply.id,
+          error: null,
+        });
+      }
+
+      return draft.update({
+        status: "failed",
+        auto_send_at: null,
+        reply_id: reply.id,
+        error: reply.error_message || "Platform request failed",
+      });
+    } catch (error) {
+      logger.error(
+        `Failed to send answer draft ${draft.id} for question ${question.id}: ${error.message}`
+      );
+      return draft.update({
+        status: "failed",
+        auto_send_at: null,
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Approve a draft, optionally with edited text, and send it
+   */
+  async approveDraft(draftId, userId, text = null) {
+    const draft = await this.findDraft(draftId);
+    if (draft.status === "sent") {
+      throw serviceError("Draft was already sent", 409);
+    }
+
+    const answerText = text || draft.answer_text;
+    if (!answerText) {
+      throw serviceError(
+        "The model could not answer this question; write an answer to approve it",
+        400
+      );
+    }
+
+    await draft.update({ answer_text: answerText, reviewed_by: userId });
+    return this.sendDraft(draft, userId);
+  }
+
+  async discardDraft(draftId, userId) {
+    const draft = await this.findDraft(draftId);
+    if (draft.status === "sent") {
+      throw serviceError("Draft was already sent", 409);
+    }
+
+    return draft.update({
+      status: "discarded",
+      auto_send_at: null,
+      reviewed_by: userId,
+    });
+  }
+
+  async findDraft(draftId) {
+    const draft = await QuestionAnswerDraft.findByPk(draftId);
+    if (!draft) {
+      throw serviceError("Answer draft not found", 404);
+    }
+    return draft;
+  }
+
+  /**
+   * Drafts for the review queue, nearest deadline first
+   */
+  async getDrafts(options = {}) {
+    const { status, platform, category, page = 1, limit = 20 } = options;
+
+    const where = {};
+    if (status) where.status = status;
+    if (platform) where.platform = platform;
+    if (category) where.category = category;
+
+    const result = await QuestionAnswerDraft.findAndCountAll({
+      where,
+      include: [
+        {
+          model: CustomerQuestion,
+          as: "question",
+          attributes: [
+            "id",
+            "platform",
+            "customer_name",
+            "question_text",
+            "product_name",
+            "status",
+            "creation_date",
+            "expire_date",
+          ],
+        },
+      ],
+      order: [
+        ["sla_deadline", "ASC"],
+        ["createdAt", "ASC"],
+      ],
+      limit,
+      offset: (page - 1) * limit,
+    });
+
+    return {
+      drafts: result.rows,
+      pagination: {
+        page,
+        limit,
+        totalItems: result.count,
+        totalPages: Math.ceil(result.count / limit),
+      },
+    };
+  }
+
+  /**
+   * Draft answers for new questions and send the scheduled drafts that
+   * are due
+   * @param {Date} now
+   * @returns {Promise<Object>} Counts of what happened
+   */
+  async runCycle(now = new Date()) {
+    const stats = {
+      drafted: 0,
+      scheduled: 0,
+      sent: 0,
+      failed: 0,
+      discarded: 0,
+    };
+
+    const questions = await CustomerQuestion.findAll({
+      where: {
+        status: "WAITING_FOR_ANSWER",
+        creation_date: {
+          [Op.gte]: new Date(now.getTime() - LOOKBACK_HOURS * 60 * 60 * 1000),
+        },
+        "$answerDraft.id$": null,
+      },
+      include: [
+        {
+          model: QuestionAnswerDraft,
+          as: "answerDraft",
+          attributes: ["id"],
+          required: false,
+        },
+      ],
+      order: [["creation_date", "ASC"]],
+      limit: BATCH_SIZE,
+      subQuery: false,
+    });
+
+    const rules = questions.length > 0 ? await this.getRules() : [];
+    for (const question of questions) {
+      try {
+        const draft = await this.draftAnswer(question, { rules, now });
+        stats.drafted++;
+        if (draft.status === "scheduled") stats.scheduled++;
+      } catch (error) {
+        logger.error(
+          `Failed to draft an answer for question ${question.id}: ${error.message}`
+        );
+      }
+    }
+
+    // Questions answered in the panel or on the platform need no draft
+    const stale = await QuestionAnswerDraft.findAll({
+      where: { status: { [Op.in]: ["pending_review", "scheduled"] } },
+      include: [
+        {
+          model: CustomerQuestion,
+          as: "question",
+          attributes: ["id"],
+          where: { status: { [Op.ne]: "WAITING_FOR_ANSWER" } },
+        },
+      ],
+      limit: BATCH_SIZE,
+    });
+    for (const draft of stale) {
+      await draft.update({
+        status: "discarded",
+        auto_send_at: null,
+        error: "Question was answered or closed before the draft was sent",
+      });
+      stats.discarded++;
+    }
+
+    const due = await QuestionAnswerDraft.findAll({
+      where: {
+        status: "scheduled",
+        auto_send_at: { [Op.lte]: now },
+      },
+      order: [["auto_send_at", "ASC"]],
+      limit: BATCH_SIZE,
+    });
+
+    for (const draft of due) {
+      const result = await this.sendDraft(draft);
+      if (result.status === "sent") stats.sent++;
+      else if (result.status === "failed") stats.failed++;
+      else if (result.status === "discarded") stats.discarded++;
+    }
+
+    return stats;
+  }
+}
+
+module.exports = new QuestionAnsweringService();
+module.exports.QuestionAnsweringService = QuestionAnsweringService;
+module.exports.DEFAULT_RULES = DEFAULT_RULES;
+module.exports.CATEGORIES = CATEGORIES;
@@ -0,0 +1,176 @@
+const { Op } = require("sequelize");
+const {
+  Product,
+  Vehicle,
+  TrendyolProduct,
+  HepsiburadaProduct,
+  N11Product,
+} = require("../../models");
+
+// Shipping time quoted when the listing does not state one
+const DEFAULT_SHIPPING_DAYS = parseInt(
+  process.env.QUESTION_DEFAULT_SHIPPING_DAYS || "2",
+  10
+);
+
+// Listing model and the columns a question's product codes may match
+const PLATFORM_LISTINGS = {
+  trendyol: {
+    model: TrendyolProduct,
+    codeFields: ["productMainId", "stockCode", "barcode"],
+  },
+  hepsiburada: {
+    model: HepsiburadaProduct,
+    codeFields: ["merchantSku", "barcode"],
+  },
+  n11: {
+    model: N11Product,
+    codeFields: ["productMainId", "stockCode", "barcode"],
+  },
+};
+
+/**
+ * Product codes the platform sent with the question
+ */
+const getQuestionCodes = (question) =>
+  [
+    question.product_main_id,
+    question.product_sku,
+    question.product_stock_code,
+  ].filter(Boolean);
+
+/**
+ * Attributes as a flat name -> value map. Products keep them as an object,
+ * marketplace listings as [{ attributeName, attributeValue }] style arrays.
+ */
+const toAttributeMap = (attributes) => {
+  if (!attributes) return {};
+
+  if (Array.isArray(attributes)) {
+    return attributes.reduce((map, attribute) => {
+      const name = attribute.attributeName || attribute.name || attribute.key;
+      const value =
+        attribute.attributeValue ??
+        attribute.value ??
+        attribute.customAttributeValue;
+      if (name && value !== undefined && value !== null && value !== "") {
+        map[name] = String(value);
+      }
+      return map;
+    }, {});
+  }
+
+  if (typeof attributes === "object") {
+    return Object.entries(attributes).reduce((map, [name, value]) => {
+      if (value !== undefined && value !== null && typeof value !== "object") {
+        map[name] = String(value);
+      }
+      return map;
+    }, {});
+  }
+
+  return {};
+};
+
+/**
+ * Days until shipping as stated on the listing
+ */
+const getListingShippingDays = (platform, listing) => {
+  if (!listing) return null;
+  if (platform === "hepsiburada") return listing.deliveryDuration ?? null;
+  if (platform === "n11") return listing.preparingDay ?? null;
+  return null;
+};
+
+const findListing = async (question, codes) => {
+  const config = PLATFORM_LISTINGS[question.platform];
+  if (!config || codes.length === 0) return null;
+
+  return config.model.findOne({
+    where: {
+      [Op.or]: config.codeFields.map((field) => ({
+        [field]: { [Op.in]: codes },
+      })),
+    },
+  });
+};
+
+const findProduct = async (listing, codes) => {
+  const include = [
+    {
+      model: Vehicle,
+      as: "compatibleVehicles",
+      through: { attributes: [] },
+      required: false,
+    },
+  ];
+
+  if (listing?.productId) {
+    const product = await Product.findByPk(listing.productId, { include });
+    if (product) return product;
+  }
+  if (codes.length === 0) return null;
+
+  return Product.findOne({
+    where: {
+      [Op.or]: [{ sku: { [Op.in]: codes } }, { barcode: { [Op.in]: codes } }],
+    },
+    include,
+  });
+};
+
+/**
+ * Collect what is known about the product a customer asked about: stock,
+ * attributes, vehicle compatibility and shipping time. Returns null when
+ * the question cannot be matched to a product.
+ * @param {Object} question - CustomerQuestion
+ * @returns {Promise<Object|null>}
+ */
+const loadProductFacts = async (question) => {
+  const codes = getQuestionCodes(question);
+  const listing = await findListing(question, codes);
+  const product = await findProduct(listing, codes);
+
+  if (!product && !listing) return null;
+
+  const listingStock = listing ? listing.quantity ?? listing.stock ?? null : null;
+  const stockQuantity = product ? product.stockQuantity : listingStock;
+  const listingShippingDays = getListingShippingDays(question.platform, listing);
+
+  return {
+    productId: product?.id || null,
+    name: product?.name || listing?.title || question.product_name || null,
+    sku: product?.sku || codes[0] || null,
+    oemCode: product?.oemCode || null,
+    price: product?.price ? parseFloat(product.price) : null,
+    stock: {
+      quantity: stockQuantity ?? null,
+      inStock:
+        stockQuantity === null || stockQuantity === undefined
+          ? null
+          : stockQuantity > 0,
+    },
+    attributes: {
+      ...toAttributeMap(listing?.attributes),
+      ...toAttributeMap(product?.attributes),
+    },
+    dimensions: product?.dimensions || null,
+    weight: product?.weight ? parseFloat(product.weight) : null,
+    compatibleVehicles: (product?.compatibleVehicles || []).map((vehicle) => ({
+      brand: vehicle.brand,
+      model: vehicle.model,
+      yearRange: vehicle.yearRange,
+      engineType: vehicle.engineType,
+    })),
+    shipping: {
+      days: listingShippingDays ?? DEFAULT_SHIPPING_DAYS,
+      source: listingShippingDays !== null ? "listing" : "default",
+    },
+  };
+};
+
+module.exports = {
+  loadProductFacts,
+  toAttributeMap,
+  DEFAULT_SHIPPING_DAYS,
+};
@@ -0,0 +1,456 @@
+const { normalizeText } = require("../assistant");
+const { RETURN_WINDOW_DAYS } = require("../assistant/order-lookup");
+const { RETURN_INSTRUCTIONS } = require("../assistant/intents");
+
+// Brands customers name when asking whether a part fits their car
+const VEHICLE_BRANDS = [
+  "alfa romeo",
+  "audi",
+  "bmw",
+  "chevrolet",
+  "citroen",
+  "dacia",
+  "fiat",
+  "ford",
+  "honda",
+  "hyundai",
+  "isuzu",
+  "jeep",
+  "kia",
+  "mazda",
+  "mercedes",
+  "mitsubishi",
+  "nissan",
+  "opel",
+  "peugeot",
+  "renault",
+  "seat",
+  "skoda",
+  "suzuki",
+  "tofas",
+  "toyota",
+  "volkswagen",
+  "volvo",
+];
+
+const DIMENSION_PATTERN = /\b(olcu|boyut|ebat|uzunlu|genislik|yukseklik|kac cm|kac mm)/;
+const WEIGHT_PATTERN = /\b(agirlik|kac kg|kac gr|kac gram|kac kilo)/;
+const YEAR_PATTERN = /\b(19[89]\d|20[0-4]\d)\b/;
+
+/**
+ * Question categories, most specific first: on equal scores the earlier
+ * category wins. Patterns are tested against the normalized question.
+ */
+const CATEGORIES = [
+  { name: "warranty", patterns: [/\bgaranti/] },
+  { name: "return", patterns: [/\biade/, /\bdegisim/, /\bdegistir/] },
+  {
+    name: "original",
+    patterns: [/\borijinal/, /\boem\b/, /\bmuadil/, /\byan sanayi/, /\bcin mal/],
+  },
+  {
+    name: "compatibility",
+    patterns: [
+      /\buyum/,
+      /\buyar mi/,
+      /\btakil/,
+      /\bmotor/,
+      /\bsasi/,
+      /\barac(im|ima|a)\b/,
+    ],
+  },
+  {
+    name: "attribute",
+    patterns: [
+      DIMENSION_PATTERN,
+      WEIGHT_PATTERN,
+      /\bren(k|g)/,
+      /\bmalzeme/,
+      /\bmateryal/,
+      /\bbeden/,
+      /\bvolt/,
+      /\bwatt/,
+      /\bmodel(i|in)? (ne|nedir|kodu)/,
+    ],
+  },
+  {
+    name: "shipping_time",
+    patterns: [
+      /\bkargo/,
+      /\bne zaman (gelir|gonder|ulas|elime|teslim|cikar)/,
+      /\bkac gun/,
+      /\bteslim/,
+      /\bgonderi/,
+      /\bayni gun/,
+    ],
+  },
+  {
+    name: "stock",
+    patterns: [/\bstok/, /\bstog/, /\btuken/, /\bmevcut/, /\bkac adet/, /\bhazirda/],
+  },
+];
+
+// Categories answered by store policy, which a seller's template states
+// reliably even without product facts
+const POLICY_CATEGORIES = ["warranty", "return", "shipping_time"];
+
+/**
+ * Score every category by the patterns the question matches
+ */
+const classify = (text, facts) => {
+  const scores = CATEGORIES.map((category) => ({
+    name: category.name,
+    score: category.patterns.filter((pattern) => pattern.test(text)).length,
+  }));
+
+  // Naming a car is a strong hint the customer asks about fitment
+  const compatibility = scores.find((entry) => entry.name === "compatibility");
+  if (findMentionedBrand(text, facts)) {
+    compatibility.score += 1;
+  }
+
+  const ranked = scores
+    .filter((entry) => entry.score > 0)
+    .sort((a, b) => b.score - a.score);
+
+  if (ranked.length === 0) {
+    return { category: "other", certainty: 0 };
+  }
+
+  let certainty = ranked[0].score > 1 ? 1 : 0.95;
+  if (ranked[1] && ranked[1].score === ranked[0].score) {
+    certainty *= 0.8;
+  }
+
+  return { category: ranked[0].name, certainty };
+};
+
+const normalizeName = (value) => normalizeText(value || "");
+
+const findMentionedBrand = (text, facts) => {
+  const brands = new Set(VEHICLE_BRANDS);
+  (facts?.compatibleVehicles || []).forEach((vehicle) =>
+    brands.add(normalizeName(vehicle.brand))
+  );
+  return [...brands].find((brand) => brand && text.includes(brand)) || null;
+};
+
+const describeVehicle = (vehicle) =>
+  [vehicle.brand, vehicle.model, vehicle.engineType, vehicle.yearRange]
+    .filter(Boolean)
+    .join(" ");
+
+const isYearInRange = (year, yearRange) => {
+  if (!yearRange) return true;
+  const [from, to] = String(yearRange)
+    .split("-")
+    .map((part) => parseInt(part, 10));
+  if (Number.isNaN(from)) return true;
+  return year >= from && year <= (Number.isNaN(to) ? from : to);
+};
+
+const formatDimensions = (dimensions) => {
+  if (!dimensions || typeof dimensions !== "object") return null;
+  const { length, width, height, unit = "cm" } = dimensions;
+  const values = [length, width, height].filter(
+    (value) => value !== undefined && value !== null && value !== ""
+  );
+  return values.length > 0 ? `${values.join(" x ")} ${unit}` : null;
+};
+
+/**
+ * Attribute of the product the question names, e.g. "Renk" for
+ * "rengi nedir"
+ */
+const findAskedAttribute = (text, facts) => {
+  if (DIMENSION_PATTERN.test(text)) {
+    const dimensions = formatDimensions(facts.dimensions);
+    if (dimensions) return { name: "Ölçü", value: dimensions };
+  }
+  if (WEIGHT_PATTERN.test(text) && facts.weight) {
+    return { name: "Ağırlık", value: `${facts.weight} kg` };
+  }
+
+  // Words are compared by stem, so "renk" matches "rengi"
+  const words = text.split(/[^a-z0-9]+/);
+  return (
+    Object.entries(facts.attributes || {})
+      .map(([name, value]) => ({ name, value }))
+      .find(({ name }) =>
+        normalizeName(name)
+          .split(/[^a-z0-9]+/)
+          .filter((word) => word.length >= 3)
+          .some((word) => {
+            const stem = word.slice(0, Math.max(3, word.length - 1));
+            return words.some((asked) => asked.startsWith(stem));
+          })
+      ) || null
+  );
+};
+
+const findWarranty = (facts) => {
+  const entry = Object.entries(facts?.attributes || {}).find(([name]) =>
+    normalizeName(name).includes("garanti")
+  );
+  return entry ? entry[1] : null;
+};
+
+/**
+ * Factual answer for each category: the sentence, how confident the model
+ * is in it and the values templates may use
+ */
+const ANSWERS = {
+  stock: ({ facts }) => {
+    if (!facts || facts.stock.inStock === null) {
+      return { sentence: null, confidence: 0.2 };
+    }
+    if (facts.stock.inStock) {
+      return {
+        sentence: `Ürünümüz stoklarımızda mevcuttur, siparişiniz ${facts.shipping.days} iş günü içinde kargoya verilir.`,
+        confidence: 0.9,
+        variables: { stock_status: "stoklarımızda mevcuttur" },
+      };
+    }
+    return {
+      sentence:
+        "Ürünümüz şu anda stoklarımızda bulunmamaktadır. Stoklarımız yenilendiğinde ürün sayfası üzerinden sipariş verebilirsiniz.",
+      confidence: 0.8,
+      variables: { stock_status: "şu anda stoklarımızda bulunmamaktadır" },
+    };
+  },
+
+  shipping_time: ({ facts, defaults }) => {
+    if (facts?.stock.inStock === false) {
+      // Quoting a shipping time for an item we cannot ship misleads
+      return { sentence: null, confidence: 0.3 };
+    }
+    const days = facts ? facts.shipping.days : defaults.shippingDays;
+    return {
+      sentence: `Siparişleriniz ${days} iş günü içinde kargoya verilmektedir.`,
+      confidence: facts?.shipping.source === "listing" ? 0.9 : 0.75,
+    };
+  },
+
+  compatibility: ({ text, facts }) => {
+    const vehicles = facts?.compatibleVehicles || [];
+    if (vehicles.length === 0) {
+      return { sentence: null, confidence: 0.1 };
+    }
+
+    const compatibleVehicles = vehicles.map(describeVehicle).join(", ");
+    const yearMatch = text.match(YEAR_PATTERN);
+    const year = yearMatch ? parseInt(yearMatch[1], 10) : null;
+
+    const named = vehicles.filter(
+      (vehicle) =>
+        text.includes(normalizeName(vehicle.brand)) &&
+        text.includes(normalizeName(vehicle.model).split(" ")[0])
+    );
+    const fitting = named.filter(
+      (vehicle) => !year || isYearInRange(year, vehicle.yearRange)
+    );
+
+    if (fitting.length > 0) {
+      return {
+        sentence: `Ürünümüz ${describeVehicle(fitting[0])} araçlarla uyumludur.`,
+        confidence: 0.9,
+        variables: {
+          vehicle: describeVehicle(fitting[0]),
+          compatible_vehicles: compatibleVehicles,
+        },
+      };
+    }
+
+    if (named.length > 0 || findMentionedBrand(text, facts)) {
+      return {
+        sentence: `Kayıtlarımıza göre ürünümüz belirttiğiniz araçla uyumlu görünmemektedir. Uyumlu araçlar: ${compatibleVehicles}.`,
+        confidence: 0.6,
+        variables: { compatible_vehicles: compatibleVehicles },
+      };
+    }
+
+    return {
+      sentence: `Ürünümüz şu araçlarla uyumludur: ${compatibleVehicles}. Şasi numaranızı paylaşırsanız kontrol edebiliriz.`,
+      confidence: 0.55,
+      variables: { compatible_vehicles: compatibleVehicles },
+    };
+  },
+
+  attribute: ({ text, facts }) => {
+    const attribute = facts ? findAskedAttribute(text, facts) : null;
+    if (!attribute) {
+      return { sentence: null, confidence: 0.2 };
+    }
+    return {
+      sentence: `Ürünümüzün ${attribute.name.toLocaleLowerCase("tr-TR")} bilgisi: ${attribute.value}.`,
+      confidence: 0.8,
+      variables: {
+        attribute_name: attribute.name,
+        attribute_value: attribute.value,
+      },
+    };
+  },
+
+  original: ({ facts }) => {
+    if (!facts?.oemCode) {
+      return { sentence: null, confidence: 0.2 };
+    }
+    return {
+      sentence: `Ürünümüz ${facts.oemCode} OEM numaralı parçanın karşılığıdır; parçanızın üzerindeki numarayla karşılaştırabilirsiniz.`,
+      confidence: 0.6,
+    };
+  },
+
+  warranty: ({ facts }) => {
+    const warranty = findWarranty(facts);
+    if (!warranty) {
+      return { sentence: null, confidence: 0.3 };
+    }
+    return {
+      sentence: `Ürünümüz ${warranty} garantilidir.`,
+      confidence: 0.85,
+      variables: { warranty },
+    };
+  },
+
+  return: ({ question }) => {
+    const instructions = RETURN_INSTRUCTIONS[question.platform];
+    if (!instructions) {
+      return { sentence: null, confidence: 0.3 };
+    }
+    return {
+      sentence: `Ürünü teslim aldığınız tarihten itibaren ${RETURN_WINDOW_DAYS} gün içinde ${instructions} iade talebi oluşturabilirsiniz.`,
+      confidence: 0.85,
+      variables: { return_instructions: instructions },
+    };
+  },
+
+  other: () => ({ sentence: null, confidence: 0 }),
+};
+
+/**
+ * Wrap an answer sentence in the greeting marketplace answers use
+ */
+const toReply = (sentence) =>
+  `Merhaba, ${sentence.charAt(0).toLocaleLowerCase("tr-TR")}${sentence.slice(
+    1
+  )} İyi alışverişler dileriz.`;
+
+const PLACEHOLDER_PATTERN = /{{\s*([a-z_]+)\s*}}/gi;
+
+/**
+ * Replace {{variable}} placeholders; null when the template needs a value
+ * that is not known for this question
+ */
+const fillTemplate = (content, variables) => {
+  let missing = false;
+  const text = content.replace(PLACEHOLDER_PATTERN, (match, name) => {
+    const value = variables[name.toLowerCase()];
+    if (value === undefined || value === null || value === "") {
+      missing = true;
+      return match;
+    }
+    return String(value);
+  });
+  return missing ? null : text;
+};
+
+/**
+ * Reply templates for the category first, then by keyword matches
+ */
+const rankTemplates = (templates, category, text) =>
+  templates
+    .map((template) => {
+      const keywordHits = (template.keywords || []).filter((keyword) =>
+        text.includes(normalizeName(keyword))
+      ).length;
+      const categoryMatch =
+        normalizeName(template.category) === category ? 1 : 0;
+      return { template, categoryMatch, keywordHits };
+    })
+    .filter((entry) => entry.categoryMatch || entry.keywordHits > 0)
+    .sort(
+      (a, b) =>
+        b.categoryMatch - a.categoryMatch || b.keywordHits - a.keywordHits
+    )
+    .map((entry) => entry.template);
+
+/**
+ * Rule-based answer model
+ * Works without external services: classifies the question with keyword
+ * patterns, answers from the product facts and prefers the seller's reply
+ * templates for the wording.
+ */
+const ruleBasedModel = {
+  name: "rules",
+
+  /**
+   * @param {Object} input
+   * @param {Object} input.question - CustomerQuestion
+   * @param {Object|null} input.facts - Product facts, see product-facts.js
+   * @param {Array} input.templates - Active reply templates for the platform
+   * @param {Object} input.defaults - { shippingDays }
+   * @returns {Promise<Object>} { category, text, confidence, templateId }
+   */
+  async answer({ question, facts, templates = [], defaults = {} }) {
+    const text = normalizeText(question.question_text || "");
+    let { category, certainty } = classify(text, facts);
+
+    // "Desen nedir?" names an attribute no pattern knows about
+    if (category === "other" && facts && findAskedAttribute(text, facts)) {
+      category = "attribute";
+      certainty = 0.9;
+    }
+    const result = ANSWERS[category]({ question, text, facts, defaults });
+
+    const variables = {
+      customer_name: question.show_customer_name ? question.customer_name : null,
+      product_name: facts?.name || question.product_name,
+      sku: facts?.sku,
+      oem_code: facts?.oemCode,
+      shipping_days: facts?.shipping.days ?? defaults.shippingDays,
+      return_days: RETURN_WINDOW_DAYS,
+      answer: result.sentence,
+      ...result.variables,
+    };
+
+    let answerText = result.sentence ? toReply(result.sentence) : null;
+    let confidence = result.confidence;
+    let templateId = null;
+
+    for (const template of rankTemplates(templates, category, text)) {
+      const filled = fillTemplate(template.content, variables);
+      if (!filled) continue;
+
+      answerText = filled;
+      templateId = template.id;
+      if (!result.sentence) {
+        confidence = POLICY_CATEGORIES.includes(category) ? 0.8 : 0.5;
+      }
+      break;
+    }
+
+    return {
+      category,
+      text: answerText,
+      confidence: answerText
+        ? Math.round(confidence * certainty * 1000) / 1000
+        : 0,
+      templateId,
+    };
+  },
+};
+
+module.exports = ruleBasedModel;
+module.exports.CATEGORIES = [
+  ...CATEGORIES.map((category) => category.name),
+  "other",
+];
+module.exports.fillTemplate = fillTemplate;
+
+/**
+ * Category of a question from its text alone, for routing before any
+ * product facts are loaded
+ */
+module.exports.categorize = (questionText) =>
+  classify(normalizeText(questionText || ""), null).category;
@@ -0,0 +1,551 @@
+const { Op, Sequelize } = require("sequelize");
+const logger = require("../utils/logger");
+const {
+  CustomerQuestion,
+  QuestionAssignmentRule,
+  QuestionAnswerDraft,
+  User,
+} = require("../models");
+const alertService = require("./alertService");
+const notificationService = require("./notification-service");
+const { categorize } = require("./question-answering/rule-based-model");
+
+// Hours a platform gives the seller to answer, used when the question
+// carries no expire date of its own
+const PLATFORM_SLA_HOURS = {
+  trendyol: parseInt(process.env.QUESTION_SLA_HOURS_TRENDYOL || "24", 10),
+  hepsiburada: parseInt(
+    process.env.QUESTION_SLA_HOURS_HEPSIBURADA || "48",
+    10
+  ),
+  n11: parseInt(process.env.QUESTION_SLA_HOURS_N11 || "48", 10),
+};
+
+// Open questions this close to their deadline are escalated
+const WARNING_MINUTES = parseInt(
+  process.env.QUESTION_SLA_WARNING_MINUTES || "120",
+  10
+);
+
+// Team members questions are rotated between when no rule names agents
+const AGENT_ROLES = ["support", "admin"];
+
+const ESCALATION = {
+  NONE: 0,
+  WARNING: 1,
+  BREACHED: 2,
+};
+
+const BATCH_SIZE = 200;
+
+const PRIORITY_ORDER = ["low", "medium", "high", "urgent"];
+
+const serviceError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const toNumber = (value) =>
+  value === null || value === undefined ? 0 : parseFloat(value);
+
+/**
+ * Question SLA Service
+ * Keeps the answer deadline of every marketplace question, hands new
+ * questions to team members by category rules or round-robin, and
+ * escalates open questions that get close to or miss their deadline.
+ */
+class QuestionSlaService {
+  /**
+   * Latest time the platform expects an answer
+   */
+  getDueDate(question) {
+    if (question.expire_date) {
+      return new Date(question.expire_date);
+    }
+    const hours = PLATFORM_SLA_HOURS[question.platform];
+    if (!hours || !question.creation_date) return null;
+    return new Date(
+      new Date(question.creation_date).getTime() + hours * 60 * 60 * 1000
+    );
+  }
+
+  /**
+   * Active users who can be assigned questions
+   */
+  async getAgents() {
+    return User.findAll({
+      where: {
+        isActive: true,
+        role: { [Op.in]: AGENT_ROLES },
+      },
+      attributes: ["id", "username", "fullName", "email", "role"],
+      order: [["username", "ASC"]],
+    });
+  }
+
+  async getAssignmentRules() {
+    return QuestionAssignmentRule.findAll({
+      order: [
+        ["priority", "DESC"],
+        ["id", "ASC"],
+      ],
+    });
+  }
+
+  async saveAssignmentRule(data, userId, ruleId = null) {
+    const fields = {};
+    ["name", "category", "platform", "agent_ids", "priority", "is_active"]
+      .filter((field) => data[field] !== undefined)
+      .forEach((field) => {
+        fields[field] = data[field];
+      });
+
+    if (fields.agent_ids) {
+      const agents = await this.getAgents();
+      const known = new Set(agents.map((agent) => agent.id));
+      const unknown = fields.agent_ids.filter((id) => !known.has(id));
+      if (unknown.length > 0) {
+        throw serviceError(
+          `Not assignable team members: ${unknown.join(", ")}`,
+          400
+        );
+      }
+    }
+
+    if (!ruleId) {
+      return QuestionAssignmentRule.create({ ...fields, created_by: userId });
+    }
+
+    const rule = await QuestionAssignmentRule.findByPk(ruleId);
+    if (!rule) {
+      throw serviceError("Assignment rule not found", 404);
+    }
+    return rule.update(fields);
+  }
+
+  async deleteAssignmentRule(ruleId) {
+    const rule = await QuestionAssignmentRule.findByPk(ruleId);
+    if (!rule) {
+      throw serviceError("Assignment rule not found", 404);
+    }
+    await rule.destroy();
+  }
+
+  /**
+   * Agents a question may go to: the first active rule that matches its
+   * category and platform, otherwise the whole team
+   */
+  resolvePool(question, rules, agentIds) {
+    const rule = rules.find(
+      (candidate) =>
+        candidate.is_active &&
+        ["all", question.category].includes(candidate.category) &&
+        ["all", question.platform].includes(candidate.platform) &&
+        (candidate.agent_ids || []).some((id) => agentIds.includes(id))
+    );
+
+    if (!rule) {
+      return { rule: null, pool: agentIds };
+    }
+    return {
+      rule,
+      pool: rule.agent_ids.filter((id) => agentIds.includes(id)),
+    };
+  }
+
+  /**
+   * Last time each agent was handed a question; the round-robin picks
+   * whoever waited longest
+   */
+  async getLastAssignedTimes(agentIds) {
+    const rows = await CustomerQuestion.findAll({
+      attributes: [
+        "assigned_to",
+        [Sequelize.fn("MAX", Sequelize.col("assigned_at")), "last_assigned_at"],
+      ],
+      where: { assigned_to: { [Op.in]: agentIds } },
+      group: ["assigned_to"],
+      raw: true,
+    });
+
+    const times = new Map();
+    rows.forEach((row) => {
+      times.set(row.assigned_to, new Date(row.last_assigned_at).getTime() || 0);
+    });
+    return times;
+  }
+
+  pickAgent(pool, lastAssigned) {
+    return pool.reduce((picked, id) =>
+      (lastAssigned.get(id) || 0) < (lastAssigned.get(picked) || 0)
+        ? id
+        : picked
+    );
+  }
+
+  /**
+   * Assign a question to a team member, or clear the assignment
+   */
+  async assign(question, agentId, now = new Date()) {
+    if (agentId) {
+      const agents = await this.getAgents();
+      if (!agents.some((agent) => agent.id === agentId)) {
+        throw serviceError("User cannot be assigned questions", 400);
+      }
+    }
+
+    return question.update({
+      assigned_to: agentId || null,
+      assigned_at: agentId ? now : null,
+    });
+  }
+
+  /**
+   * Hand unassigned open questions to the team
+   */
+  async autoAssign(now = new Date()) {
+    const agents = await this.getAgents();
+    const agentIds = agents.map((agent) => agent.id);
+    if (agentIds.length === 0) {
+      return { assigned: 0 };
+    }
+
+    const questions = await CustomerQuestion.findAll({
+      where: {
+        status: "WAITING_FOR_ANSWER",
+        assigned_to: null,
+      },
+      order: [
+        ["due_date", "ASC"],
+        ["creation_date", "ASC"],
+      ],
+      limit: BATCH_SIZE,
+    });
+    if (questions.length === 0) {
+      return { assigned: 0 };
+    }
+
+    const rules = await this.getAssignmentRules();
+    const lastAssigned = await this.getLastAssignedTimes(agentIds);
+    let assigned = 0;
+
+    for (const question of questions) {
+      try {
+        const category = question.category || categorize(question.question_text);
+        const { rule, pool } = this.resolvePool(
+          { category, platform: question.platform },
+          rules,
+          agentIds
+        );
+        const agentId = this.pickAgent(pool, lastAssigned);
+
+        await question.update({
+          category,
+          assigned_to: agentId,
+          assigned_at: now,
+        });
+        lastAssigned.set(agentId, now.getTime());
+        assigned++;
+
+        logger.debug("Question assigned", {
+          questionId: question.id,
+          agentId,
+          ruleId: rule?.id || null,
+        });
+      } catch (error) {
+        logger.error("Failed to assign question", {
+          questionId: question.id,
+          error: error.message,
+        });
+      }
+    }
+
+    return { assigned };
+  }
+
+  /**
+   * Fill in due dates for questions synced before deadlines were kept
+   */
+  async backfillDueDates() {
+    const questions = await CustomerQuestion.findAll({
+      where: {
+        status: "WAITING_FOR_ANSWER",
+        due_date: null,
+      },
+      limit: BATCH_SIZE,
+    });
+
+    let dated = 0;
+    for (const question of questions) {
+      const dueDate = this.getDueDate(question);
+      if (!dueDate) continue;
+      await question.update({ due_date: dueDate });
+      dated++;
+    }
+    return { dated };
+  }
+
+  /**
+   * Raise open questions that are about to miss, or have missed, their
+   * deadline and alert the team once per level
+   */
+  async escalate(now = new Date()) {
+    const warningLimit = new Date(now.getTime() + WARNING_MINUTES * 60 * 1000);
+
+    const questions = await CustomerQuestion.findAll({
+      where: {
+        status: "WAITING_FOR_ANSWER",
+        due_date: { [Op.ne]: null, [Op.lte]: warningLimit },
+        escalation_level: { [Op.lt]: ESCALATION.BREACHED },
+      },
+      include: [
+        {
+          model: QuestionAnswerDraft,
+          as: "answerDraft",
+          attributes: ["id", "status", "auto_send_at"],
+          required: false,
+        },
+      ],
+      order: [["due_date", "ASC"]],
+      limit: BATCH_SIZE,
+    });
+
+    const escalated = { warning: [], breached: [] };
+
+    for (const question of questions) {
+      const dueDate = new Date(question.due_date);
+      const level =
+        dueDate <= now ? ESCALATION.BREACHED : ESCALATION.WARNING;
+      if (level <= question.escalation_level) continue;
+
+      // An automatic answer is already on its way before the deadline
+      if (
+        level === ESCALATION.WARNING &&
+        question.answerDraft?.status === "scheduled" &&
+        new Date(question.answerDraft.auto_send_at) < dueDate
+      ) {
+        continue;
+      }
+
+      const priority = level === ESCALATION.BREACHED ? "urgent" : "high";
+      await question.update({
+        escalation_level: level,
+        escalated_at: now,
+        priority:
+          PRIORITY_ORDER.indexOf(question.priority) <
+          PRIORITY_ORDER.indexOf(priority)
+            ? priority
+            : question.priority,
+      });
+
+      const entry = {
+        questionId: question.id,
+        platform: question.platform,
+        productName: question.product_name,
+        customerName: question.customer_name,
+        assignedTo: question.assigned_to,
+        dueDate,
+        level,
+      };
+      escalated[level === ESCALATION.BREACHED ? "breached" : "warning"].push(
+        entry
+      );
+      notificationService.notifyQuestionEscalation(entry);
+    }
+
+    if (escalated.warning.length > 0) {
+      await alertService.sendQuestionSlaAlert({
+        level: ESCALATION.WARNING,
+        warningMinutes: WARNING_MINUTES,
+        questions: escalated.warning,
+      });
+    }
+    if (escalated.breached.length > 0) {
+      await alertService.sendQuestionSlaAlert({
+        level: ESCALATION.BREACHED,
+        questions: escalated.breached,
+      });
+    }
+
+    return {
+      warned: escalated.warning.length,
+      breached: escalated.breached.length,
+    };
+  }
+
+  /**
+   * Keep deadlines, assignments and escalations up to date
+   */
+  async runCycle(now = new Date()) {
+    const stats = { dated: 0, assigned: 0, warned: 0, breached: 0 };
+
+    Object.assign(stats, await this.backfillDueDates());
+    if (process.env.QUESTION_AUTO_ASSIGN_ENABLED !== "false") {
+      Object.assign(stats, await this.autoAssign(now));
+    }
+    Object.assign(stats, await this.escalate(now));
+
+    return stats;
+  }
+
+  /**
+   * due_date condition of an SLA state: overdue, due_soon or on_track
+   */
+  getDueDateFilter(state, now = new Date()) {
+    const warningLimit = new Date(now.getTime() + WARNING_MINUTES * 60 * 1000);
+
+    switch (state) {
+      case "overdue":
+        return { [Op.lte]: now };
+      case "due_soon":
+        return { [Op.gt]: now, [Op.lte]: warningLimit };
+      case "on_track":
+        return { [Op.gt]: warningLimit };
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Open questions by how much time they have left
+   */
+  async getSlaSummary(now = new Date()) {
+    const open = { status: "WAITING_FOR_ANSWER" };
+    const countState = (state) =>
+      CustomerQuestion.count({
+        where: { ...open, due_date: this.getDueDateFilter(state, now) },
+      });
+
+    const [overdue, dueSoon, onTrack, unassigned] = await Promise.all([
+      countState("overdue"),
+      countState("due_soon"),
+      countState("on_track"),
+      CustomerQuestion.count({ where: { ...open, assigned_to: null } }),
+    ]);
+
+    return {
+      overdue,
+      dueSoon,
+      onTrack,
+      unassigned,
+      warningMinutes: WARNING_MINUTES,
+    };
+  }
+
+  /**
+   * Response times per assignee for questions asked in the period
+   */
+  async getAgentReport(options = {}) {
+    const {
+      platform,
+      startDate = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000),
+      endDate = new Date(),
+    } = options;
+
+    const whereClause = {
+      creation_date: {
+        [Op.between]: [startDate, endDate],
+      },
+    };
+    if (platform) {
+      whereClause.platform = platform;
+    }
+
+    const rows = await CustomerQuestion.findAll({
+      attributes: [
+        "assigned_to",
+        [Sequelize.fn("COUNT", Sequelize.col("id")), "total"],
+        [
+          Sequelize.literal(
+            "SUM(CASE WHEN answered_date IS NOT NULL THEN 1 ELSE 0 END)"
+          ),
+          "answered",
+        ],
+        [
+          Sequelize.literal(
+            "SUM(CASE WHEN answered_date IS NOT NULL AND due_date IS NOT NULL AND answered_date <= due_date THEN 1 ELSE 0 END)"
+          ),
+          "answered_within_sla",
+        ],
+        [
+          Sequelize.literal(
+            "SUM(CASE WHEN status = 'WAITING_FOR_ANSWER' THEN 1 ELSE 0 END)"
+          ),
+          "open",
+        ],
+        [
+          Sequelize.literal(
+            "SUM(CASE WHEN status = 'WAITING_FOR_ANSWER' AND due_date < NOW() THEN 1 ELSE 0 END)"
+          ),
+          "overdue",
+        ],
+        [
+          Sequelize.fn(
+            "AVG",
+            Sequelize.literal(
+              "EXTRACT(EPOCH FROM (answered_date - creation_date))/3600"
+            )
+          ),
+          "avg_response_time_hours",
+        ],
+        [
+          Sequelize.fn(
+            "AVG",
+            Sequelize.literal(
+              "EXTRACT(EPOCH FROM (answered_date - assigned_at))/3600"
+            )
+          ),
+          "avg_handling_time_hours",
+        ],
+      ],
+      where: whereClause,
+      group: ["assigned_to"],
+      raw: true,
+    });
+
+    const agentIds = rows.map((row) => row.assigned_to).filter(Boolean);
+    const users = agentIds.length
+      ? await User.findAll({
+          where: { id: { [Op.in]: agentIds } },
+          attributes: ["id", "username", "fullName"],
+        })
+      : [];
+    const names = new Map(
+      users.map((user) => [user.id, user.fullName || user.username])
+    );
+
+    const round = (value) =>
+      value === null || value === undefined
+        ? null
+        : Math.round(parseFloat(value) * 100) / 100;
+
+    const agents = rows
+      .map((row) => {
+        const answered = toNumber(row.answered);
+        const withinSla = toNumber(row.answered_within_sla);
+        return {
+          agentId: row.assigned_to,
+          agentName: row.assigned_to
+            ? names.get(row.assigned_to) || row.assigned_to
+            : null,
+          total: toNumber(row.total),
+          answered,
+          answeredWithinSla: withinSla,
+          slaRate: answered > 0 ? Math.round((withinSla / answered) * 100) : null,
+          open: toNumber(row.open),
+          overdue: toNumber(row.overdue),
+          avgResponseTimeHours: round(row.avg_response_time_hours),
+          avgHandlingTimeHours: round(row.avg_handling_time_hours),
+        };
+      })
+      .sort((a, b) => b.total - a.total);
+
+    return { startDate, endDate, platform: platform || null, agents };
+  }
+}
+
+module.exports = new QuestionSlaService();
+module.exports.QuestionSlaService = QuestionSlaService;
+module.exports.PLATFORM_SLA_HOURS = PLATFORM_SLA_HOURS;
+module.exports.ESCALATION = ESCALATION;
@@ -0,0 +1,540 @@
+const { Op } = require("sequelize");
+const { v4: uuidv4 } = require("uuid");
+const logger = require("../utils/logger");
+const {
+  Product,
+  Supplier,
+  SupplierPrice,
+  PlatformData,
+  PlatformVariant,
+  PlatformCategory,
+  ShippingRate,
+  RepricingRule,
+  PriceChangeLog,
+} = require("../models");
+
+// Platforms whose listings can be updated through PlatformSyncService
+const SYNCABLE_PLATFORMS = ["trendyol", "hepsiburada", "n11", "woocommerce", "shopify"];
+
+// More specific scopes win when two rules share a priority
+const SCOPE_SPECIFICITY = { sku_pattern: 3, brand: 2, category: 1, all: 0 };
+
+const SHIPPING_SAMPLE_SIZE = 20;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Repricing Service
+ * Calculates per-platform sale prices from supplier cost, platform
+ * commission, shipping cost, VAT and a target margin using the user's
+ * repricing rules, previews the result and applies it through the platform
+ * sync path while logging every change.
+ */
+class RepricingService {
+  /**
+   * Whether a rule covers a product listed on a platform
+   * @param {Object} rule - RepricingRule instance
+   * @param {Object} product - Product instance
+   * @param {string} platform - Platform type
+   * @returns {boolean}
+   */
+  matchesRule(rule, product, platform) {
+    const platforms = rule.platforms || [];
+    if (platforms.length > 0 && !platforms.includes(platform)) {
+      return false;
+    }
+
+    const scopeValue = (rule.scopeValue || "").trim().toLocaleLowerCase("tr");
+    switch (rule.scopeType) {
+      case "all":
+        return true;
+      case "category":
+        return (product.category || "").trim().toLocaleLowerCase("tr") === scopeValue;
+      case "brand":
+        return this.getBrand(product).toLocaleLowerCase("tr") === scopeValue;
+      case "sku_pattern":
+        return this.skuPatternToRegExp(rule.scopeValue).test(product.sku || "");
+      default:
+        return false;
+    }
+  }
+
+  getBrand(product) {
+    const attributes = product.attributes || {};
+    return String(attributes.brand || attributes.marka || attributes.Marka || "").trim();
+  }
+
+  /**
+   * Convert a SKU pattern with * and ? wildcards to a case-insensitive RegExp
+   * @param {string} pattern - e.g. "BOS-*-TR"
+   * @returns {RegExp}
+   */
+  skuPatternToRegExp(pattern = "") {
+    const source = pattern
+      .trim()
+      .replace(/[.+^${}()|[\]\\]/g, "\\$&")
+      .replace(/\*/g, ".*")
+      .replace(/\?/g, ".");
+    return new RegExp(`^${source}$`, "i");
+  }
+
+  /**
+   * Pick the rule for a product on a platform: lowest priority number
+   * first, then the most specific scope
+   */
+  selectRule(rules, product, platform) {
+    return (
+      rules
+        .filter((rule) => this.matchesRule(rule, product, platform))
+        .sort(
+          (a, b) =>
+            a.priority - b.priority ||
+            SCOPE_SPECIFICITY[b.scopeType] - SCOPE_SPECIFICITY[a.scopeType]
+        )[0] || null
+    );
+  }
+
+  /**
+   * Round a price to a fixed fractional ending, e.g. 0.90
+   * @param {number} price - Price to round
+   * @param {number|null} ending - Fractional ending, null to keep cents
+   * @param {string} direction - "up" or "down"
+   * @returns {number} Rounded price
+   */
+  applyRounding(price, ending, direction = "up") {
+    if (ending === null || ending === undefined) {
+      return round2(price);
+    }
+
+    let rounded = Math.floor(price) + Number(ending);
+    if (direction === "up" && rounded < price - 0.001) {
+      rounded += 1;
+    } else if (direction === "down" && rounded > price + 0.001) {
+      rounded -= 1;
+    }
+    return round2(rounded);
+  }
+
+  /**
+   * Calculate a sale price (VAT included).
+   *
+   * Commission is charged on the VAT included (gross) sale price and the
+   * target margin is profit over the net sale price, so with
+   *   net    = price / (1 + vat)
+   *   profit = net - price * commission - cost - shipping = net * margin
+   * the price is
+   *   price  = (cost + shipping) / ((1 - margin) / (1 + vat) - commission)
+   * The floor is the break-even price (zero margin); guards never take the
+   * price below it.
+   *
+   * @param {Object} inputs - { cost, shippingCost, commissionRate, vatRate,
+   *   targetMargin, minPrice, maxPrice, roundingEnding }, rates in percent
+   * @returns {Object} { price, floorPrice, targetPrice, margin, guards, warnings }
+   */
+  calculatePrice(inputs) {
+    const cost = Number(inputs.cost);
+    const shipping = Number(inputs.shippingCost) || 0;
+    const commission = Number(inputs.commissionRate) / 100;
+    const vat = Number(inputs.vatRate) / 100;
+    const margin = Number(inputs.targetMargin) / 100;
+    const minPrice = inputs.minPrice !== null && inputs.minPrice !== undefined
+      ? Number(inputs.minPrice)
+      : null;
+    const maxPrice = inputs.maxPrice !== null && inputs.maxPrice !== undefined
+      ? Number(inputs.maxPrice)
+      : null;
+    const ending = inputs.roundingEnding !== null && inputs.roundingEnding !== undefined
+      ? Number(inputs.roundingEnding)
+      : null;
+
+    if (commission * (1 + vat) + margin >= 1) {
+      throw new Error("Commission and target margin leave no room for cost");
+    }
+
+    const floorPrice = round2((cost + shipping) / (1 / (1 + vat) - commission));
+    const targetPrice = round2((cost + shipping) / ((1 - margin) / (1 + vat) - commission));
+    const guards = [];
+    const warnings = [];
+
+    let price = targetPrice;
+    if (minPrice !== null && price < minPrice) {
+      price = minPrice;
+      guards.push("minPrice");
+    }
+    if (maxPrice !== null && price > maxPrice) {
+      price = maxPrice;
+      guards.push("maxPrice");
+    }
+    if (price < floorPrice) {
+      price = floorPrice;
+      guards.push("floor");
+      if (maxPrice !== null && maxPrice < floorPrice) {
+        warnings.push("maxPrice is below the cost floor");
+      }
+    }
+
+    let rounded = this.applyRounding(price, ending, "up");
+    if (maxPrice !== null && rounded > maxPrice && !guards.includes("floor")) {
+      const roundedDown = this.applyRounding(price, ending, "down");
+      rounded = roundedDown >= floorPrice && (minPrice === null || roundedDown >= minPrice)
+        ? roundedDown
+        : round2(price);
+    }
+
+    const net = rounded / (1 + vat);
+    const commissionAmount = rounded * commission;
+    const profit = net - commissionAmount - cost - shipping;
+
+    return {
+      price: rounded,
+      floorPrice,
+      targetPrice,
+      margin: net > 0 ? round2((profit / net) * 100) : null,
+      profit: round2(profit),
+      commissionAmount: round2(commissionAmount),
+      vatAmount: round2(rounded - net),
+      guards,
+      warnings,
+    };
+  }
+
+  /**
+   * Cost per product: the cheapest in-stock price of the highest priority
+   * supplier, falling back to any supplier price and then product.costPrice
+   * @returns {Promise<Map>} productId -> { cost, source, supplierId }
+   */
+  async loadCosts(products) {
+    const supplierPrices = await SupplierPrice.findAll({
+      where: { productId: { [Op.in]: products.map((product) => product.id) } },
+      include: [{ model: Supplier, as: "supplier", attributes: ["id", "name", "priority"] }],
+    });
+
+    const byProduct = new Map();
+    supplierPrices.forEach((supplierPrice) => {
+      if (!byProduct.has(supplierPrice.productId)) {
+        byProduct.set(supplierPrice.productId, []);
+      }
+      byProduct.get(supplierPrice.productId).push(supplierPrice);
+    });
+
+    const costs = new Map();
+    for (const product of products) {
+      const candidates = (byProduct.get(product.id) || []).sort(
+        (a, b) =>
+          (b.stockStatus > 0) - (a.stockStatus > 0) ||
+          (a.supplier?.priority ?? 0) - (b.supplier?.priority ?? 0) ||
+          parseFloat(a.priceTl) - parseFloat(b.priceTl)
+      );
+
+      if (candidates.length > 0) {
+        costs.set(product.id, {
+          cost: parseFloat(candidates[0].priceTl),
+          source: "supplier",
+          supplierId: candidates[0].supplierId,
+          supplierName: candidates[0].supplier?.name,
+          inStock: candidates[0].stockStatus > 0,
+        });
+      } else if (product.costPrice !== null && product.costPrice !== undefined) {
+        costs.set(product.id, { cost: parseFloat(product.costPrice), source: "product" });
+      }
+    }
+    return costs;
+  }
+
+  /**
+   * Shipping cost estimated from the user's selected shipping rates for the
+   * closest package weight (VAT excluded base price)
+   * @returns {Promise<number|null>}
+   */
+  async estimateShippingCost(userId, weight, cache) {
+    const key = weight ? Number(weight).toFixed(1) : "any";
+    if (cache.has(key)) {
+      return cache.get(key);
+    }
+
+    const where = { userId, isSelected: true, errorMessage: null };
+    if (weight) {
+      where.weight = { [Op.gte]: Number(weight) };
+    }
+    const rates = await ShippingRate.findAll({
+      where,
+      attributes: ["basePrice", "weight"],
+      order: weight ? [["weight", "ASC"], ["calculatedAt", "DESC"]] : [["calculatedAt", "DESC"]],
+      limit: SHIPPING_SAMPLE_SIZE,
+    });
+
+    const estimate = rates.length > 0
+      ? round2(rates.reduce((sum, rate) => sum + parseFloat(rate.basePrice), 0) / rates.length)
+      : null;
+    cache.set(key, estimate);
+    return estimate;
+  }
+
+  /**
+   * Commission rate of the platform category a listing is in
+   * @returns {Promise<number|null>}
+   */
+  async getCategoryCommission(userId, platform, categoryId, cache) {
+    if (!categoryId) {
+      return null;
+    }
+    const key = `${platform}:${categoryId}`;
+    if (cache.has(key)) {
+      return cache.get(key);
+    }
+
+    const category = await PlatformCategory.findOne({
+      where: {
+        platformType: platform,
+        platformCategoryId: String(categoryId),
+        commissionRate: { [Op.ne]: null },
+        [Op.or]: [{ userId }, { userId: null }],
+      },
+      order: [["userId", "ASC NULLS LAST"]],
+    });
+
+    const rate = category ? parseFloat(category.commissionRate) : null;
+    cache.set(key, rate);
+    return rate;
+  }
+
+  /**
+   * Dry run: calculate new prices without changing anything
+   * @param {string} userId - User ID
+   * @param {Object} options - { ruleIds, platforms, productIds }
+   * @returns {Promise<Object>} { items, stats }
+   */
+  async preview(userId, options = {}) {
+    const ruleWhere = { userId, isActive: true };
+    if (Array.isArray(options.ruleIds) && options.ruleIds.length > 0) {
+      ruleWhere.id = { [Op.in]: options.ruleIds };
+    }
+    const rules = await RepricingRule.findAll({ where: ruleWhere });
+
+    const stats = { listings: 0, noRule: 0, changes: 0, unchanged: 0, skipped: 0, guarded: 0 };
+    const items = [];
+    if (rules.length === 0) {
+      return { items, stats };
+    }
+
+    const productWhere = { userId };
+    if (Array.isArray(options.productIds) && options.productIds.length > 0) {
+      productWhere.id = { [Op.in]: options.productIds };
+    }
+    const platformWhere = {};
+    if (Array.isArray(options.platforms) && options.platforms.length > 0) {
+      platformWhere.platformType = { [Op.in]: options.platforms };
+    }
+
+    const products = await Product.findAll({
+      where: productWhere,
+      attributes: ["id", "name", "sku", "category", "price", "costPrice", "weight", "attributes"],
+      include: [
+        {
+          model: PlatformData,
+          as: "platformData",
+          where: platformWhere,
+          required: true,
+        },
+      ],
+    });
+
+    const costs = await this.loadCosts(products);
+    const shippingCache = new Map();
+    const commissionCache = new Map();
+
+    for (const product of products) {
+      for (const listing of product.platformData) {
+        stats.listings++;
+        const platform = listing.platformType;
+        const rule = this.selectRule(rules, product, platform);
+        if (!rule) {
+          stats.noRule++;
+          continue;
+        }
+
+        const currentPrice = parseFloat(listing.platformPrice ?? product.price);
+        const item = {
+          productId: product.id,
+          productName: product.name,
+          sku: product.sku,
+          platform,
+          ruleId: rule.id,
+          ruleName: rule.name,
+          currentPrice,
+          newPrice: null,
+          status: "skipped",
+          reason: null,
+          breakdown: null,
+        };
+        items.push(item);
+
+        const costInfo = costs.get(product.id);
+        if (!costInfo) {
+          item.reason = "No supplier price or cost price";
+          stats.skipped++;
+          continue;
+        }
+
+        const categoryId = listing.data?.categoryId || listing.data?.platformCategoryId;
+        const commissionRate = rule.commissionRate !== null
+          ? parseFloat(rule.commissionRate)
+          : await this.getCategoryCommission(userId, platform, categoryId, commissionCache);
+        if (commissionRate === null) {
+          item.reason = "No commission rate for the platform category";
+          stats.skipped++;
+          continue;
+        }
+
+        const shippingCost = rule.shippingCost !== null
+          ? parseFloat(rule.shippingCost)
+          : await this.estimateShippingCost(userId, product.weight, shippingCache);
+        if (shippingCost === null) {
+          item.reason = "No shipping cost on the rule and no shipping rates to estimate from";
+          stats.skipped++;
+          continue;
+        }
+
+        let result;
+        try {
+          result = this.calculatePrice({
+            cost: costInfo.cost,
+            shippingCost,
+            commissionRate,
+            vatRate: rule.vatRate,
+            targetMargin: rule.targetMargin,
+            minPrice: rule.minPrice,
+            maxPrice: rule.maxPrice,
+            roundingEnding: rule.roundingEnding,
+          });
+        } catch (error) {
+          item.reason = error.message;
+          stats.skipped++;
+          continue;
+        }
+
+        item.newPrice = result.price;
+        item.breakdown = {
+          cost: costInfo.cost,
+          costSource: costInfo.source,
+          supplierId: costInfo.supplierId,
+          supplierName: costInfo.supplierName,
+          shippingCost,
+          shippingSource: rule.shippingCost !== null ? "rule" : "shipping_rates",
+          commissionRate,
+          commissionSource: rule.commissionRate !== null ? "rule" : "category",
+          vatRate: parseFloat(rule.vatRate),
+          targetMargin: parseFloat(rule.targetMargin),
+          ...result,
+        };
+        if (result.guards.length > 0) stats.guarded++;
+
+        if (Math.abs(result.price - currentPrice) < 0.005) {
+          item.status = "unchanged";
+          stats.unchanged++;
+        } else {
+          item.status = "change";
+          item.changePercent = currentPrice > 0
+            ? round2(((result.price - currentPrice) / currentPrice) * 100)
+            : null;
+          stats.changes++;
+        }
+      }
+    }
+
+    return { items, stats };
+  }
+
+  /**
+   * Apply the repricing: store the new platform prices, log every change and
+   * push the prices through PlatformSyncService
+   * @param {string} userId - User ID
+   * @param {Object} options - Same filters as preview
+   * @returns {Promise<Object>} { batchId, stats, changes }
+   */
+  async apply(userId, options = {}) {
+    const platformSyncService = require("./platform-sync-service");
+    const { items, stats } = await this.preview(userId, options);
+    const batchId = uuidv4();
+    const changes = [];
+    Object.assign(stats, { synced: 0, syncFailed: 0, syncSkipped: 0 });
+
+    for (const item of items.filter((entry) => entry.status === "change")) {
+      await PlatformData.update(
+        { platformPrice: item.newPrice },
+        {
+          where: {
+            entityType: "product",
+            entityId: item.productId,
+            platformType: item.platform,
+          },
+        }
+      );
+
+      const variant = await PlatformVariant.findOne({
+        where: { productId: item.productId, platform: item.platform },
+      });
+      if (variant) {
+        await variant.update({ platformPrice: item.newPrice, useMainPrice: false });
+      }
+
+      const log = await PriceChangeLog.create({
+        userId,
+        productId: item.productId,
+        platform: item.platform,
+        ruleId: item.ruleId,
+        batchId,
+        previousPrice: item.currentPrice,
+        newPrice: item.newPrice,
+        breakdown: item.breakdown,
+      });
+
+      if (!SYNCABLE_PLATFORMS.includes(item.platform) || !variant?.externalId) {
+        await log.update({
+          syncStatus: "skipped",
+          syncError: SYNCABLE_PLATFORMS.includes(item.platform)
+            ? "Product has no published listing on the platform"
+            : `Price sync is not supported for ${item.platform}`,
+        });
+        stats.syncSkipped++;
+      } else {
+        const result = await platformSyncService.syncToSinglePlatform(
+          item.productId,
+          item.platform,
+          { price: item.newPrice },
+          { userId, operation: "update" }
+        );
+        if (result.status === "success") {
+          await log.update({ syncStatus: "synced" });
+          stats.synced++;
+        } else {
+          await log.update({
+            syncStatus: result.status === "skipped" ? "skipped" : "failed",
+            syncError: result.error || result.message || null,
+          });
+          if (result.status === "skipped") {
+            stats.syncSkipped++;
+          } else {
+            stats.syncFailed++;
+          }
+        }
+      }
+
+      changes.push({ ...item, logId: log.id, syncStatus: log.syncStatus });
+    }
+
+    const appliedRuleIds = [...new Set(changes.map((change) => change.ruleId))];
+    if (appliedRuleIds.length > 0) {
+      await RepricingRule.update(
+        { lastAppliedAt: new Date() },
+        { where: { id: { [Op.in]: appliedRuleIds } } }
+      );
+    }
+
+    logger.info(`Repricing applied for user ${userId}`, { batchId, stats });
+
+    return { batchId, stats, changes };
+  }
+}
+
+module.exports = new RepricingService();
@@ -0,0 +1,714 @@
+const { Op, fn, col } = require("sequelize");
+const logger = require("../utils/logger");
+const {
+  Order,
+  OrderItem,
+  Product,
+  PlatformConnection,
+  ReturnClaim,
+  ReturnClaimItem,
+} = require("../models");
+const inventoryService = require("./advanced-inventory-service");
+const notificationService = require("./notification-service");
+
+// Marketplaces whose services implement fetchClaims/approveClaim/rejectClaim
+const CLAIM_PLATFORMS = ["trendyol", "hepsiburada", "n11"];
+
+const DEFAULT_LOOKBACK_DAYS = 14;
+const PAGE_SIZE = 50;
+const MAX_PAGES = 40;
+
+// Order status a claim status leads to; returned and refunded are final and
+// are never overwritten by a claim update
+const ORDER_STATUS_BY_CLAIM_STATUS = {
+  pending: "claim_created",
+  approved: "claim_approved",
+  rejected: "claim_rejected",
+};
+const FINAL_ORDER_STATUSES = ["returned", "refunded"];
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Return Service
+ * Pulls return claims from the marketplaces, keeps them with their
+ * item-level reasons and quantities, approves or rejects them through the
+ * platform APIs, puts approved units back into stock and reports return
+ * rates per product and per reason.
+ */
+class ReturnService {
+  /**
+   * Create the platform service for a connection
+   * @param {string} platform - Platform type
+   * @param {number} connectionId - PlatformConnection ID
+   * @returns {Object} Platform service
+   */
+  getPlatformService(platform, connectionId) {
+    // Loaded lazily: platform services are heavy and only needed here
+    const PlatformServiceFactory = require("../modules/order-management/services/platforms/platformServiceFactory");
+    return PlatformServiceFactory.createService(platform, connectionId);
+  }
+
+  /**
+   * Active marketplace connections claims are pulled from
+   * @param {string} userId - User ID
+   * @param {Array<string>} platforms - Platform types, defaults to CLAIM_PLATFORMS
+   * @returns {Promise<Array>} PlatformConnection instances
+   */
+  async findConnections(userId, platforms) {
+    const platformTypes = (platforms?.length ? platforms : CLAIM_PLATFORMS).filter(
+      (platform) => CLAIM_PLATFORMS.includes(platform)
+    );
+
+    return PlatformConnection.findAll({
+      where: {
+        userId,
+        status: "active",
+        isActive: true,
+        platformType: { [Op.in]: platformTypes },
+      },
+    });
+  }
+
+  /**
+   * Date range claims are pulled for
+   * @param {Object} options - { startDate, endDate }
+   * @returns {Object} { startDate, endDate }
+   */
+  getSyncRange(options = {}) {
+    return {
+      startDate: options.startDate
+        ? new Date(options.startDate)
+        : new Date(Date.now() - DEFAULT_LOOKBACK_DAYS * 24 * 60 * 60 * 1000),
+      endDate: options.endDate ? new Date(options.endDate) : new Date(),
+    };
+  }
+
+  /**
+   * Page through the claims of one connection and store them
+   * @param {Object} connection - PlatformConnection instance
+   * @param {Object} range - { startDate, endDate }
+   * @returns {Promise<Object>} { connectionId, platform, fetched, created, updated, restocked }
+   */
+  async syncConnection(connection, { startDate, endDate }) {
+    const service = this.getPlatformService(connection.platformType, connection.id);
+    const result = {
+      connectionId: connection.id,
+      platform: connection.platformType,
+      fetched: 0,
+      created: 0,
+      updated: 0,
+      restocked: 0,
+    };
+
+    for (let page = 0; page < MAX_PAGES; page++) {
+      const response = await service.fetchClaims({
+        startDate,
+        endDate,
+        page,
+        size: PAGE_SIZE,
+      });
+      if (!response.success) {
+        throw new Error(response.message || "Failed to fetch claims");
+      }
+
+      for (const claimData of response.data) {
+        const stored = await this.upsertClaim(connection, claimData);
+        result.fetched++;
+        result[stored.created ? "created" : "updated"]++;
+        result.restocked += stored.restocked;
+      }
+
+      const totalPages = response.pagination?.totalPages || 1;
+      if (page + 1 >= totalPages || response.data.length === 0) {
+        break;
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Store a normalized claim and its items, matching them to the local order
+   * @param {Object} connection - PlatformConnection instance
+   * @param {Object} claimData - Claim in the BasePlatformService claim shape
+   * @returns {Promise<Object>} { claim, created, restocked }
+   */
+  async upsertClaim(connection, claimData) {
+    const userId = connection.userId;
+    const platform = connection.platformType;
+
+    const order = claimData.orderNumber
+      ? await Order.findOne({
+          where: { userId, platform, orderNumber: claimData.orderNumber },
+          include: [{ model: OrderItem, as: "items" }],
+        })
+      : null;
+
+    const fields = {
+      orderId: order?.id || null,
+      connectionId: connection.id,
+      orderNumber: claimData.orderNumber,
+      status: claimData.status,
+      platformStatus: claimData.platformStatus,
+      claimDate: claimData.claimDate,
+      customerNote: claimData.customerNote,
+      cargoTrackingNumber: claimData.cargoTrackingNumber,
+      cargoProvider: claimData.cargoProvider,
+      rawData: claimData.rawData,
+      lastSyncedAt: new Date(),
+    };
+
+    let claim = await ReturnClaim.findOne({
+      where: { userId, platform, externalClaimId: claimData.externalClaimId },
+      include: [{ model: ReturnClaimItem, as: "items" }],
+    });
+    const created = !claim;
+    const previousStatus = claim?.status;
+
+    if (created) {
+      claim = await ReturnClaim.create({
+        userId,
+        platform,
+        externalClaimId: claimData.externalClaimId,
+        ...fields,
+        resolvedAt: claimData.status === "pending" ? null : new Date(),
+      });
+      claim.items = [];
+    } else {
+      if (claim.status === "pending" && claimData.status !== "pending") {
+        fields.resolvedAt = new Date();
+      }
+      await claim.update(fields);
+    }
+
+    // Items resolved on the marketplace side (e.g. auto-approved after the
+    // approval window) are restocked here; claims first seen as approved are
+    // history and are left alone
+    const newlyApproved = [];
+    for (const itemData of claimData.items || []) {
+      const key = (itemData.externalItemIds || []).join(",");
+      const existing = claim.items.find(
+        (item) => (item.externalItemIds || []).join(",") === key
+      );
+      const orderItem = this.matchOrderItem(order, itemData);
+      const itemFields = {
+        orderItemId: orderItem?.id || existing?.orderItemId || null,
+        productId:
+          existing?.productId || (await this.resolveProductId(userId, orderItem, itemData)),
+        externalItemIds: itemData.externalItemIds || [],
+        sku: itemData.sku,
+        barcode: itemData.barcode,
+        productName: itemData.productName || orderItem?.title || null,
+        quantity: itemData.quantity,
+        price: itemData.price,
+        reasonCode: itemData.reasonCode,
+        reasonName: itemData.reasonName,
+        customerNote: itemData.customerNote,
+        status: itemData.status,
+        platformStatus: itemData.platformStatus,
+      };
+
+      if (existing) {
+        if (existing.status === "pending" && itemData.status === "approved") {
+          newlyApproved.push(existing);
+        }
+        await existing.update(itemFields);
+      } else {
+        claim.items.push(await ReturnClaimItem.create({ claimId: claim.id, ...itemFields }));
+      }
+    }
+
+    let restocked = 0;
+    if (newlyApproved.length > 0) {
+      restocked = await this.restockItems(claim, newlyApproved);
+    }
+
+    if (order && (created || previousStatus !== claim.status)) {
+      await this.updateOrderStatus(order, claim.status);
+    }
+
+    return { claim, created, restocked };
+  }
+
+  /**
+   * Find the order line a claim item refers to
+   * @param {Object|null} order - Order with items
+   * @param {Object} itemData - Normalized claim item
+   * @returns {Object|null} OrderItem
+   */
+  matchOrderItem(order, itemData) {
+    if (!order?.items?.length) {
+      return null;
+    }
+
+    return (
+      order.items.find((item) => itemData.barcode && item.barcode === itemData.barcode) ||
+      order.items.find((item) => itemData.sku && item.sku === itemData.sku) ||
+      (order.items.length === 1 ? order.items[0] : null)
+    );
+  }
+
+  /**
+   * Resolve the local product of a claim item
+   * @param {string} userId - User ID
+   * @param {Object|null} orderItem - Matched order line
+   * @param {Object} itemData - Normalized claim item
+   * @returns {Promise<string|null>} Product ID
+   */
+  async resolveProductId(userId, orderItem, itemData) {
+    if (orderItem?.productId) {
+      return orderItem.productId;
+    }
+
+    const identifiers = [];
+    if (itemData.barcode) identifiers.push({ barcode: itemData.barcode });
+    if (itemData.sku) identifiers.push({ sku: itemData.sku });
+    if (identifiers.length === 0) {
+      return null;
+    }
+
+    const product = await Product.findOne({
+      where: { userId, [Op.or]: identifiers },
+      attributes: ["id"],
+    });
+    return product?.id || null;
+  }
+
+  /**
+   * Move the order to the status matching the claim
+   * @param {Object} order - Order instance
+   * @param {string} claimStatus - Claim status
+   */
+  async updateOrderStatus(order, claimStatus) {
+    await this.setOrderStatus(order, ORDER_STATUS_BY_CLAIM_STATUS[claimStatus]);
+  }
+
+  /**
+   * Change the order status unless it is already final, and broadcast it
+   * @param {Object} order - Order instance
+   * @param {string} newStatus - Order status
+   */
+  async setOrderStatus(order, newStatus) {
+    const oldStatus = order.orderStatus;
+    if (!newStatus || newStatus === oldStatus || FINAL_ORDER_STATUSES.includes(oldStatus)) {
+      return;
+    }
+
+    await order.update({ orderStatus: newStatus });
+    notificationService.notifyOrderStatusChange({
+      orderNumber: order.orderNumber,
+      platform: order.platform,
+      oldStatus,
+      newStatus,
+      customerName: order.customerName,
+      totalAmount: order.totalAmount,
+    });
+  }
+
+  /**
+   * Put the units of approved claim items back into stock
+   * @param {Object} claim - ReturnClaim instance
+   * @param {Array<Object>} items - Approved ReturnClaimItem instances
+   * @returns {Promise<number>} Restocked units
+   */
+  async restockItems(claim, items) {
+    let restocked = 0;
+
+    for (const item of items) {
+      const remaining = item.quantity - (item.restockedQuantity || 0);
+      if (remaining <= 0) {
+        continue;
+      }
+      if (!item.productId) {
+        logger.warn(
+          `Return claim item ${item.id} has no matching product, skipping restock`,
+          { claimId: claim.id, sku: item.sku, barcode: item.barcode }
+        );
+        continue;
+      }
+
+      await inventoryService.recordMovement({
+        productId: item.productId,
+        movementType: "RETURN",
+        quantity: remaining,
+        reason: `${claim.platform} iade #${claim.externalClaimId}${
+          item.reasonName ? ` - ${item.reasonName}` : ""
+        }`,
+        userId: claim.userId,
+        referenceId: claim.id,
+        referenceType: "return_claim",
+        platformType: claim.platform,
+        metadata: {
+          claimItemId: item.id,
+          externalClaimId: claim.externalClaimId,
+          orderNumber: claim.orderNumber,
+          reasonCode: item.reasonCode,
+        },
+      });
+
+      await item.update({ restockedQuantity: item.quantity });
+      restocked += remaining;
+    }
+
+    // The order counts as returned once the claim is resolved and every
+    // approved unit is back in stock
+    const fullyRestocked = (claim.items || items)
+      .filter((item) => item.status === "approved")
+      .every((item) => item.restockedQuantity >= item.quantity);
+    if (claim.status === "approved" && fullyRestocked && !claim.restockedAt) {
+      await claim.update({ restockedAt: new Date() });
+
+      const order = claim.orderId ? await Order.findByPk(claim.orderId) : null;
+      if (order) {
+        await this.setOrderStatus(order, "returned");
+      }
+    }
+
+    return restocked;
+  }
+
+  /**
+   * Load a claim of the user with its items
+   * @param {string} userId - User ID
+   * @param {string} claimId - ReturnClaim ID
+   * @returns {Promise<Object>} ReturnClaim
+   */
+  async getClaim(userId, claimId) {
+    const claim = await ReturnClaim.findOne({
+      where: { id: claimId, userId },
+      include: [
+        { model: ReturnClaimItem, as: "items" },
+        {
+          model: Order,
+          as: "order",
+          attributes: ["id", "orderNumber", "orderStatus", "customerName", "orderDate"],
+        },
+      ],
+    });
+    if (!claim) {
+      const error = new Error("Return claim not found");
+      error.statusCode = 404;
+      throw error;
+    }
+    return claim;
+  }
+
+  /**
+   * Pick the pending items an action applies to
+   * @param {Object} claim - ReturnClaim with items
+   * @param {Array<string>} itemIds - ReturnClaimItem IDs, all pending items if empty
+   * @returns {Array<Object>} ReturnClaimItem instances
+   */
+  selectPendingItems(claim, itemIds = []) {
+    const pending = claim.items.filter((item) => item.status === "pending");
+    const selected = itemIds.length
+      ? pending.filter((item) => itemIds.includes(item.id))
+      : pending;
+
+    if (claim.status !== "pending" || selected.length === 0) {
+      const error = new Error("Return claim has no pending items to resolve");
+      error.statusCode = 400;
+      throw error;
+    }
+    return selected;
+  }
+
+  /**
+   * Approve a claim on the marketplace and restock the returned units
+   * @param {string} userId - User ID
+   * @param {string} claimId - ReturnClaim ID
+   * @param {Object} options - { itemIds }
+   * @returns {Promise<Object>} { claim, restocked }
+   */
+  async approveClaim(userId, claimId, options = {}) {
+    const claim = await this.getClaim(userId, claimId);
+    const items = this.selectPendingItems(claim, options.itemIds);
+
+    const service = this.getPlatformService(claim.platform, claim.connectionId);
+    const result = await service.approveClaim(
+      claim.externalClaimId,
+      items.flatMap((item) => item.externalItemIds || [])
+    );
+    if (!result?.success) {
+      throw new Error(result?.message || "Marketplace rejected the approval");
+    }
+
+    for (const item of items) {
+      await item.update({ status: "approved" });
+    }
+    await this.refreshClaimStatus(claim);
+
+    const restocked = await this.restockItems(claim, items);
+
+    logger.info(`Return claim ${claim.externalClaimId} approved`, {
+      userId,
+      platform: claim.platform,
+      items: items.length,
+      restocked,
+    });
+
+    return { claim: await this.getClaim(userId, claimId), restocked };
+  }
+
+  /**
+   * Reject a claim on the marketplace
+   * @param {string} userId - User ID
+   * @param {string} claimId - ReturnClaim ID
+   * @param {Object} options - { reason, reasonCode, itemIds }
+   * @returns {Promise<Object>} ReturnClaim
+   */
+  async rejectClaim(userId, claimId, options = {}) {
+    if (!options.reason && !options.reasonCode) {
+      const error = new Error("A rejection reason is required");
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const claim = await this.getClaim(userId, claimId);
+    const items = this.selectPendingItems(claim, options.itemIds);
+
+    const service = this.getPlatformService(claim.platform, claim.connectionId);
+    const result = await service.rejectClaim(
+      claim.externalClaimId,
+      items.flatMap((item) => item.externalItemIds || []),
+      { reason: options.reason, reasonCode: options.reasonCode }
+    );
+    if (!result?.success) {
+      throw new Error(result?.message || "Marketplace rejected the rejection");
+    }
+
+    for (const item of items) {
+      await item.update({ status: "rejected" });
+    }
+    await claim.update({ rejectionReason: options.reason || options.reasonCode });
+    await this.refreshClaimStatus(claim);
+
+    // Items approved earlier are already in stock; this only closes the
+    // claim once nothing is left pending
+    if (claim.status === "approved") {
+      await this.restockItems(
+        claim,
+        claim.items.filter((item) => item.status === "approved")
+      );
+    }
+
+    logger.info(`Return claim ${claim.externalClaimId} rejected`, {
+      userId,
+      platform: claim.platform,
+      items: items.length,
+    });
+
+    return this.getClaim(userId, claimId);
+  }
+
+  /**
+   * Recompute the claim status from its items and follow it on the order
+   * @param {Object} claim - ReturnClaim with items
+   */
+  async refreshClaimStatus(claim) {
+    const statuses = claim.items.map((item) => item.status);
+    let status = "cancelled";
+    if (statuses.length === 0 || statuses.includes("pending")) status = "pending";
+    else if (statuses.includes("approved")) status = "approved";
+    else if (statuses.includes("rejected")) status = "rejected";
+
+    if (status !== claim.status) {
+      await claim.update({
+        status,
+        resolvedAt: status === "pending" ? null : new Date(),
+      });
+      const order = claim.orderId ? await Order.findByPk(claim.orderId) : null;
+      if (order) {
+        await this.updateOrderStatus(order, status);
+      }
+    }
+  }
+
+  /**
+   * Rejection reasons the claim's marketplace accepts
+   * @param {string} userId - User ID
+   * @param {string} claimId - ReturnClaim ID
+   * @returns {Promise<Array>} [{ code, name }], empty when free text is used
+   */
+  async getRejectionReasons(userId, claimId) {
+    const claim = await this.getClaim(userId, claimId);
+    const service = this.getPlatformService(claim.platform, claim.connectionId);
+    return service.getClaimRejectionReasons();
+  }
+
+  /**
+   * List claims of a user
+   * @param {string} userId - User ID
+   * @param {Object} filters - { status, platform, search, page, limit }
+   * @returns {Promise<Object>} { claims, pagination, counts }
+   */
+  async getClaims(userId, filters = {}) {
+    const page = Math.max(parseInt(filters.page, 10) || 1, 1);
+    const limit = Math.min(parseInt(filters.limit, 10) || 25, 100);
+
+    const where = { userId };
+    if (filters.status) where.status = filters.status;
+    if (filters.platform) where.platform = filters.platform;
+    if (filters.search) {
+      where[Op.or] = [
+        { orderNumber: { [Op.iLike]: `%${filters.search}%` } },
+        { externalClaimId: { [Op.iLike]: `%${filters.search}%` } },
+      ];
+    }
+
+    const { rows, count } = await ReturnClaim.findAndCountAll({
+      where,
+      include: [{ model: ReturnClaimItem, as: "items" }],
+      order: [["claimDate", "DESC"]],
+      limit,
+      offset: (page - 1) * limit,
+      distinct: true,
+    });
+
+    const counts = await ReturnClaim.findAll({
+      where: { userId },
+      attributes: ["status", [fn("COUNT", col("id")), "count"]],
+      group: ["status"],
+      raw: true,
+    });
+
+    return {
+      claims: rows,
+      pagination: {
+        page,
+        limit,
+        total: count,
+        totalPages: Math.ceil(count / limit),
+      },
+      counts: counts.reduce((acc, row) => {
+        acc[row.status] = parseInt(row.count, 10);
+        return acc;
+      }, {}),
+    };
+  }
+
+  /**
+   * Return rate per product and breakdown per reason
+   * @param {string} userId - User ID
+   * @param {Object} options - { startDate, endDate, platform }
+   * @returns {Promise<Object>} { totals, byProduct, byReason }
+   */
+  async getReport(userId, options = {}) {
+    const startDate = options.startDate
+      ? new Date(options.startDate)
+      : new Date(Date.now() - 90 * 24 * 60 * 60 * 1000);
+    const endDate = options.endDate ? new Date(options.endDate) : new Date();
+
+    const orderWhere = {
+      userId,
+      orderDate: { [Op.between]: [startDate, endDate] },
+    };
+    const claimWhere = {
+      userId,
+      status: { [Op.ne]: "cancelled" },
+      claimDate: { [Op.between]: [startDate, endDate] },
+    };
+    if (options.platform) {
+      orderWhere.platform = options.platform;
+      claimWhere.platform = options.platform;
+    }
+
+    const sold = await OrderItem.findAll({
+      attributes: [
+        "productId",
+        "sku",
+        [fn("MAX", col("OrderItem.title")), "title"],
+        [fn("SUM", col("OrderItem.quantity")), "units"],
+      ],
+      include: [{ model: Order, as: "order", attributes: [], where: orderWhere }],
+      group: ["OrderItem.productId", "OrderItem.sku"],
+      raw: true,
+    });
+
+    const returnedItems = await ReturnClaimItem.findAll({
+      where: { status: { [Op.ne]: "cancelled" } },
+      include: [{ model: ReturnClaim, as: "claim", attributes: ["id"], where: claimWhere }],
+    });
+
+    const productKey = (row) => String(row.productId || row.sku || row.barcode || "unknown");
+    const products = new Map();
+    const getProduct = (row) => {
+      const key = productKey(row);
+      if (!products.has(key)) {
+        products.set(key, {
+          productId: row.productId || null,
+          sku: row.sku || null,
+          name: row.title || row.productName || null,
+          soldUnits: 0,
+          returnedUnits: 0,
+          approvedUnits: 0,
+          claims: new Set(),
+        });
+      }
+      return products.get(key);
+    };
+
+    for (const row of sold) {
+      getProduct(row).soldUnits += parseInt(row.units, 10) || 0;
+    }
+
+    const reasons = new Map();
+    for (const item of returnedItems) {
+      const product = getProduct(item);
+      product.name = product.name || item.productName;
+      product.returnedUnits += item.quantity;
+      if (item.status === "approved") product.approvedUnits += item.quantity;
+      product.claims.add(item.claimId);
+
+      const reasonKey = item.reasonCode || item.reasonName || "unknown";
+      if (!reasons.has(reasonKey)) {
+        reasons.set(reasonKey, {
+          reasonCode: item.reasonCode || null,
+          reasonName: item.reasonName || "Belirtilmemiş",
+          units: 0,
+          claims: new Set(),
+        });
+      }
+      const reason = reasons.get(reasonKey);
+      reason.units += item.quantity;
+      reason.claims.add(item.claimId);
+    }
+
+    const totalSold = [...products.values()].reduce((sum, p) => sum + p.soldUnits, 0);
+    const totalReturned = [...products.values()].reduce((sum, p) => sum + p.returnedUnits, 0);
+
+    const byProduct = [...products.values()]
+      .filter((product) => product.returnedUnits > 0)
+      .map(({ claims, ...product }) => ({
+        ...product,
+        claimCount: claims.size,
+        returnRate: product.soldUnits
+          ? round2((product.returnedUnits / product.soldUnits) * 100)
+          : null,
+      }))
+      .sort((a, b) => (b.returnRate ?? 0) - (a.returnRate ?? 0) || b.returnedUnits - a.returnedUnits);
+
+    const byReason = [...reasons.values()]
+      .map(({ claims, ...reason }) => ({
+        ...reason,
+        claimCount: claims.size,
+        share: totalReturned ? round2((reason.units / totalReturned) * 100) : 0,
+      }))
+      .sort((a, b) => b.units - a.units);
+
+    return {
+      period: { startDate, endDate },
+      totals: {
+        soldUnits: totalSold,
+        returnedUnits: totalReturned,
+        returnRate: totalSold ? round2((totalReturned / totalSold) * 100) : null,
+      },
+      byProduct,
+      byReason,
+    };
+  }
+}
+
+module.exports = new ReturnService();
+module.exports.CLAIM_PLATFORMS = CLAIM_PLATFORMS;
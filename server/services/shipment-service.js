@@ -0,0 +1,886 @@
+const { Op } = require("sequelize");
+const logger = require("../utils/logger");
+const {
+  Order,
+  OrderItem,
+  Product,
+  ShippingDetail,
+  ShippingCarrier,
+  Settings,
+} = require("../models");
+const shippingServiceFactory = require("../modules/public/shipping/ShippingServiceFactory");
+
+const SHIPPING_SETTINGS_CATEGORY = "shipping";
+
+const SELECTION_STRATEGIES = ["cheapest", "fastest"];
+
+// Orders a label can still be created for
+const SHIPPABLE_STATUSES = ["new", "pending", "processing"];
+
+// Platforms without a marketplace to report the tracking number to
+const LOCAL_PLATFORMS = ["csv", "manual"];
+
+const DEFAULT_TRACKING_URLS = {
+  aras: "https://www.araskargo.com.tr/takip?kod={trackingNumber}",
+  yurtici: "https://www.yurticikargo.com/tr/takip?code={trackingNumber}",
+  ptt: "https://gonderitakip.ptt.gov.tr/Track?barcode={trackingNumber}",
+  mng: "https://www.mngkargo.com.tr/gonderi-takip?trackingNumber={trackingNumber}",
+  surat: "https://www.suratkargo.com.tr/kargo-takip?q={trackingNumber}",
+  hepsijet: "https://www.hepsijet.com/gonderi-takibi/{trackingNumber}",
+  trendyol_express:
+    "https://www.trendyolexpress.com/gonderi-takip?barcode={trackingNumber}",
+  kolaygelsin:
+    "https://www.kolaygelsin.com/gonderi-takip?trackingNumber={trackingNumber}",
+};
+
+const DEFAULT_SHIPPING_CONFIG = {
+  // cheapest | fastest; orders with a fast delivery promise always use fastest
+  strategy: "cheapest",
+  // carrier code -> credentials ({ username, password, testMode, baseUrl, enabled })
+  carriers: {},
+  // city -> carrier code, checked before the rate comparison
+  cityOverrides: {},
+  senderAddress: {},
+  defaultServiceType: "STANDARD",
+  // Used when none of the ordered products has a weight
+  defaultWeightKg: 1,
+  pushToMarketplace: true,
+};
+
+const MASKED_VALUE = "****";
+const SECRET_KEY_PATTERN = /password|secret|key|token/i;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const normalizeCity = (city) => String(city || "").trim().toLocaleLowerCase("tr");
+
+const parseJson = (value) => {
+  if (!value) return {};
+  if (typeof value === "object") return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return {};
+  }
+};
+
+/**
+ * Shipment Service
+ * Turns orders into carrier shipments: picks a carrier per order from the
+ * user's rules (city overrides, cash on delivery support, cheapest or
+ * fastest quote), creates the label through ShippingServiceFactory, stores
+ * the tracking number on ShippingDetail and the order, and reports it back
+ * to the marketplace the order came from.
+ */
+class ShipmentService {
+  /**
+   * Shipping configuration of a user merged over the defaults
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>}
+   */
+  async getShippingConfig(userId) {
+    const settings = await Settings.findOne({
+      where: { userId, category: SHIPPING_SETTINGS_CATEGORY },
+    });
+    const stored = settings?.settings || {};
+
+    return {
+      ...DEFAULT_SHIPPING_CONFIG,
+      ...stored,
+      carriers: { ...(stored.carriers || {}) },
+      cityOverrides: { ...(stored.cityOverrides || {}) },
+      senderAddress: { ...(stored.senderAddress || {}) },
+    };
+  }
+
+  /**
+   * Save shipping configuration; masked secrets keep their stored value
+   * @param {string} userId - User ID
+   * @param {Object} updates - Partial configuration
+   * @returns {Promise<Object>} Saved configuration
+   */
+  async saveShippingConfig(userId, updates) {
+    const current = await this.getShippingConfig(userId);
+    const next = { ...current };
+
+    for (const key of Object.keys(DEFAULT_SHIPPING_CONFIG)) {
+      if (updates[key] !== undefined && key !== "carriers") {
+        next[key] = updates[key];
+      }
+    }
+
+    if (updates.carriers) {
+      next.carriers = {};
+      for (const [code, credentials] of Object.entries(updates.carriers)) {
+        if (!credentials) continue;
+        const previous = current.carriers[code] || {};
+        next.carriers[code] = Object.entries(credentials).reduce(
+          (merged, [field, value]) => {
+            merged[field] = value === MASKED_VALUE ? previous[field] : value;
+            return merged;
+          },
+          {}
+        );
+      }
+    }
+
+    const [settings, created] = await Settings.findOrCreate({
+      where: { userId, category: SHIPPING_SETTINGS_CATEGORY },
+      defaults: { settings: next },
+    });
+    if (!created) {
+      await settings.update({ settings: next });
+    }
+
+    return next;
+  }
+
+  /**
+   * Configuration safe to send to the client
+   * @param {Object} config - Shipping configuration
+   * @returns {Object}
+   */
+  maskConfig(config) {
+    const carriers = {};
+    for (const [code, credentials] of Object.entries(config.carriers || {})) {
+      carriers[code] = Object.entries(credentials || {}).reduce(
+        (masked, [field, value]) => {
+          masked[field] =
+            SECRET_KEY_PATTERN.test(field) && value ? MASKED_VALUE : value;
+          return masked;
+        },
+        {}
+      );
+    }
+    return { ...config, carriers };
+  }
+
+  validateConfig(config) {
+    const errors = [];
+
+    if (!SELECTION_STRATEGIES.includes(config.strategy)) {
+      errors.push(`strategy must be one of ${SELECTION_STRATEGIES.join(", ")}`);
+    }
+
+    const supported = shippingServiceFactory.supportedCarriers;
+    for (const code of Object.keys(config.carriers || {})) {
+      if (!supported.includes(code)) {
+        errors.push(`Unsupported carrier: ${code}`);
+      }
+    }
+    for (const [city, code] of Object.entries(config.cityOverrides || {})) {
+      if (!supported.includes(code)) {
+        errors.push(`City override for ${city} uses an unsupported carrier: ${code}`);
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Carriers a user can ship with, with the capabilities used by the rules
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>}
+   */
+  async getCarriers(userId) {
+    const config = await this.getShippingConfig(userId);
+    const records = await this.loadCarrierRecords();
+    const credentials = this.getCarrierCredentials(config);
+
+    return shippingServiceFactory.getSupportedCarriers().map((carrier) => ({
+      ...carrier,
+      configured: Boolean(credentials[carrier.code]),
+      cashOnDeliverySupported: this.supportsCashOnDelivery(carrier.code, records),
+      maxWeight: records[carrier.code]?.maxWeight ?? null,
+      isActive: records[carrier.code]?.isActive ?? true,
+    }));
+  }
+
+  /**
+   * ShippingCarrier rows keyed by factory carrier code
+   * @returns {Promise<Object>}
+   */
+  async loadCarrierRecords() {
+    const carriers = await ShippingCarrier.findAll();
+    return carriers.reduce((records, carrier) => {
+      records[carrier.code.toLowerCase()] = carrier;
+      return records;
+    }, {});
+  }
+
+  /**
+   * Credentials of the configured and enabled carriers, keyed by code
+   * @param {Object} config - Shipping configuration
+   * @returns {Object}
+   */
+  getCarrierCredentials(config) {
+    const credentials = {};
+    for (const [code, carrierConfig] of Object.entries(config.carriers || {})) {
+      if (!carrierConfig || carrierConfig.enabled === false) continue;
+      if (!shippingServiceFactory.supportedCarriers.includes(code)) continue;
+      const { enabled, ...rest } = carrierConfig;
+      credentials[code] = rest;
+    }
+    return credentials;
+  }
+
+  supportsCashOnDelivery(code, records) {
+    if (records[code]) {
+      return Boolean(records[code].cashOnDeliverySupported);
+    }
+    const info = shippingServiceFactory
+      .getSupportedCarriers()
+      .find((carrier) => carrier.code === code);
+    return Boolean(info?.features?.includes("COD"));
+  }
+
+  /**
+   * Everything a shipment run needs that does not depend on the order
+   * @param {string} userId - User ID
+   * @param {Object} options - { strategy, serviceType, carrier, codOrderIds, pushToMarketplace }
+   * @returns {Promise<Object>}
+   */
+  async createContext(userId, options = {}) {
+    const config = await this.getShippingConfig(userId);
+    const credentials = this.getCarrierCredentials(config);
+
+    if (Object.keys(credentials).length === 0) {
+      throw new Error("No shipping carrier is configured. Add carrier credentials first.");
+    }
+    if (options.carrier && !credentials[options.carrier]) {
+      throw new Error(`Carrier ${options.carrier} is not configured`);
+    }
+
+    const senderAddress = await this.getSenderAddress(userId, config);
+    if (!senderAddress.city || !senderAddress.postalCode || !senderAddress.address1) {
+      throw new Error("Sender address (address, city, postal code) is not configured");
+    }
+
+    return {
+      userId,
+      config,
+      credentials,
+      senderAddress,
+      carrierRecords: await this.loadCarrierRecords(),
+      strategy: options.strategy || config.strategy,
+      serviceType: options.serviceType || config.defaultServiceType,
+      forcedCarrier: options.carrier || null,
+      codOrderIds: new Set(options.codOrderIds || []),
+      pushToMarketplace:
+        options.pushToMarketplace !== undefined
+          ? options.pushToMarketplace
+          : config.pushToMarketplace,
+    };
+  }
+
+  /**
+   * Sender address from the shipping configuration, completed with the
+   * company settings
+   */
+  async getSenderAddress(userId, config) {
+    const company = await Settings.findOne({
+      where: { userId, category: "company" },
+    });
+    const sender = config.senderAddress || {};
+
+    return {
+      name: sender.name || company?.name || "",
+      address1: sender.address1 || sender.address || company?.address || "",
+      district: sender.district || "",
+      city: sender.city || "",
+      postalCode: sender.postalCode || "",
+      phone: sender.phone || company?.phone || "",
+      email: sender.email || company?.email || "",
+    };
+  }
+
+  /**
+   * Orders of a user with the data needed to ship them
+   * @param {string} userId - User ID
+   * @param {Array<string>} orderIds - Order IDs
+   * @returns {Promise<Array>}
+   */
+  async loadOrders(userId, orderIds) {
+    return Order.findAll({
+      where: { userId, id: { [Op.in]: orderIds } },
+      include: [
+        { model: ShippingDetail, as: "shippingDetail", required: false },
+        {
+          model: OrderItem,
+          as: "items",
+          required: false,
+          include: [
+            {
+              model: Product,
+              as: "product",
+              attributes: ["id", "weight", "dimensions"],
+              required: false,
+            },
+          ],
+        },
+      ],
+      order: [["orderDate", "ASC"]],
+    });
+  }
+
+  /**
+   * IDs of a user's orders in the given statuses that have no shipment yet
+   * @param {string} userId - User ID
+   * @param {Array<string>} statuses - Order statuses
+   * @param {number} limit - Maximum number of orders
+   * @returns {Promise<Array<string>>}
+   */
+  async findShippableOrderIds(userId, statuses = ["processing"], limit = 200) {
+    const orders = await Order.findAll({
+      where: {
+        userId,
+        orderStatus: { [Op.in]: statuses.filter((status) => SHIPPABLE_STATUSES.includes(status)) },
+        cargoTrackingNumber: { [Op.or]: [null, ""] },
+      },
+      attributes: ["id"],
+      order: [["orderDate", "ASC"]],
+      limit,
+    });
+    return orders.map((order) => order.id);
+  }
+
+  /**
+   * Recipient address in the format BaseShippingService expects
+   * @param {Object} order - Order with shippingDetail
+   * @returns {Object}
+   */
+  buildRecipientAddress(order) {
+    const detail = order.shippingDetail;
+    const address = parseJson(order.shippingAddress);
+
+    return {
+      name:
+        detail?.recipientName ||
+        address.fullName ||
+        address.name ||
+        order.customerName ||
+        "",
+      address1:
+        detail?.address ||
+        address.fullAddress ||
+        address.address1 ||
+        address.address ||
+        "",
+      district: detail?.state || address.district || address.state || "",
+      city: detail?.city || address.city || "",
+      postalCode: detail?.postalCode || address.postalCode || address.zip || "",
+      phone: detail?.phone || address.phone || order.customerPhone || "",
+      email: detail?.email || order.customerEmail || "",
+    };
+  }
+
+  /**
+   * Package details of an order; weight is the sum of the product weights
+   * @param {Object} order - Order with items and products
+   * @param {Object} context - Shipment context
+   * @returns {Object}
+   */
+  buildPackageInfo(order, context) {
+    const cod = context.codOrderIds.has(order.id);
+    const weight = (order.items || []).reduce((total, item) => {
+      const productWeight = parseFloat(item.product?.weight);
+      return total + (productWeight > 0 ? productWeight * (item.quantity || 1) : 0);
+    }, 0);
+
+    return {
+      weight: weight > 0 ? round2(weight) : context.config.defaultWeightKg,
+      weightUnit: "kg",
+      quantity: 1,
+      description: `Sipariş ${order.orderNumber}`,
+      declaredValue: parseFloat(order.totalAmount) || 0,
+      serviceType: context.serviceType,
+      paymentType: cod ? "COD" : "PREPAID",
+      codAmount: cod ? parseFloat(order.totalAmount) || 0 : null,
+    };
+  }
+
+  /**
+   * Upper bound of a delivery estimate such as 2, "1-3" or "2 gün"
+   * @param {number|string} value - Estimated delivery days
+   * @returns {number}
+   */
+  parseDeliveryDays(value) {
+    if (typeof value === "number") return value;
+    const numbers = String(value || "").match(/\d+/g);
+    return numbers ? Math.max(...numbers.map(Number)) : Number.POSITIVE_INFINITY;
+  }
+
+  /**
+   * Best rate from a rate comparison
+   * @param {Array} carrierResults - compareRates().carriers
+   * @param {string} strategy - cheapest | fastest
+   * @param {string} serviceType - Requested service type
+   * @returns {Object|null} { carrier, carrierName, rate }
+   */
+  pickRate(carrierResults, strategy, serviceType) {
+    const candidates = [];
+
+    for (const result of carrierResults) {
+      const rates = result.rates || [];
+      const matching = rates.filter(
+        (rate) => String(rate.serviceCode).toUpperCase() === serviceType
+      );
+      for (const rate of matching.length > 0 ? matching : rates) {
+        if (Number.isFinite(rate.price)) {
+          candidates.push({ carrier: result.carrier, carrierName: result.carrierName, rate });
+        }
+      }
+    }
+
+    const byPrice = (a, b) => a.rate.price - b.rate.price;
+    const byDays = (a, b) =>
+      this.parseDeliveryDays(a.rate.estimatedDeliveryDays) -
+        this.parseDeliveryDays(b.rate.estimatedDeliveryDays) || byPrice(a, b);
+
+    candidates.sort(strategy === "fastest" ? byDays : byPrice);
+    return candidates[0] || null;
+  }
+
+  /**
+   * Carriers allowed for an order before rates are compared
+   * @returns {Array<string>} Carrier codes
+   */
+  getEligibleCarriers(packageInfo, context) {
+    return Object.keys(context.credentials).filter((code) => {
+      const record = context.carrierRecords[code];
+      if (record && !record.isActive) return false;
+      if (
+        packageInfo.paymentType === "COD" &&
+        !this.supportsCashOnDelivery(code, context.carrierRecords)
+      ) {
+        return false;
+      }
+      if (record?.maxWeight && packageInfo.weight > parseFloat(record.maxWeight)) {
+        return false;
+      }
+      return true;
+    });
+  }
+
+  /**
+   * Choose the carrier for an order
+   * Order of the rules: manual carrier, city override, then the cheapest or
+   * fastest quote among the eligible carriers.
+   * @param {Object} order - Order with shipping data
+   * @param {Object} context - Shipment context
+   * @returns {Promise<Object>} { carrier, carrierName, rate, reason, recipient, packageInfo }
+   */
+  async selectCarrier(order, context) {
+    const recipient = this.buildRecipientAddress(order);
+    const packageInfo = this.buildPackageInfo(order, context);
+    const eligible = this.getEligibleCarriers(packageInfo, context);
+
+    if (eligible.length === 0) {
+      throw new Error(
+        packageInfo.paymentType === "COD"
+          ? "No configured carrier supports cash on delivery for this order"
+          : "No configured carrier can take this package"
+      );
+    }
+
+    let candidates = eligible;
+    let reason = order.fastDeliveryType ? "fastest" : context.strategy;
+
+    const override = Object.entries(context.config.cityOverrides || {}).find(
+      ([city]) => normalizeCity(city) === normalizeCity(recipient.city)
+    );
+
+    if (context.forcedCarrier) {
+      if (!eligible.includes(context.forcedCarrier)) {
+        throw new Error(`Carrier ${context.forcedCarrier} cannot take this order`);
+      }
+      candidates = [context.forcedCarrier];
+      reason = "manual";
+    } else if (override && eligible.includes(override[1])) {
+      candidates = [override[1]];
+      reason = "city";
+    }
+
+    const comparison = await shippingServiceFactory.compareRates(
+      packageInfo,
+      context.senderAddress,
+      recipient,
+      context.credentials,
+      candidates
+    );
+
+    const best = this.pickRate(
+      comparison.carriers,
+      reason === "fastest" ? "fastest" : "cheapest",
+      context.serviceType
+    );
+    if (!best) {
+      const errors = comparison.errors.map((error) => `${error.carrier}: ${error.error}`);
+      throw new Error(`No carrier returned a rate${errors.length ? ` (${errors.join("; ")})` : ""}`);
+    }
+
+    return { ...best, reason, recipient, packageInfo };
+  }
+
+  /**
+   * Carrier selection without creating shipments
+   * @param {string} userId - User ID
+   * @param {Array<string>} orderIds - Order IDs
+   * @param {Object} options - See createContext
+   * @returns {Promise<Object>} { items, stats }
+   */
+  async preview(userId, orderIds, options = {}) {
+    const context = await this.createContext(userId, options);
+    const orders = await this.loadOrders(userId, orderIds);
+    const items = [];
+
+    for (const order of orders) {
+      const item = {
+        orderId: order.id,
+        orderNumber: order.orderNumber,
+        platform: order.platform,
+        customerName: order.customerName,
+        cashOnDelivery: context.codOrderIds.has(order.id),
+      };
+
+      const skipReason = this.getSkipReason(order);
+      if (skipReason) {
+        items.push({ ...item, status: "skipped", message: skipReason });
+        continue;
+      }
+
+      try {
+        const selection = await this.selectCarrier(order, context);
+        items.push({
+          ...item,
+          status: "ready",
+          city: selection.recipient.city,
+          weight: selection.packageInfo.weight,
+          carrier: selection.carrier,
+          carrierName: selection.carrierName,
+          serviceCode: selection.rate.serviceCode,
+          price: selection.rate.price,
+          estimatedDeliveryDays: selection.rate.estimatedDeliveryDays,
+          reason: selection.reason,
+        });
+      } catch (error) {
+        items.push({ ...item, status: "failed", message: error.message });
+      }
+    }
+
+    return { items, stats: this.summarize(items) };
+  }
+
+  getSkipReason(order) {
+    if (order.shippingDetail?.trackingNumber) {
+      return `Shipment already created (${order.shippingDetail.trackingNumber})`;
+    }
+    if (!SHIPPABLE_STATUSES.includes(order.orderStatus)) {
+      return `Order status ${order.orderStatus} cannot be shipped`;
+    }
+    return null;
+  }
+
+  summarize(items) {
+    return items.reduce(
+      (stats, item) => {
+        stats.total++;
+        stats[item.status] = (stats[item.status] || 0) + 1;
+        return stats;
+      },
+      { total: 0 }
+    );
+  }
+
+  getTrackingUrl(code, trackingNumber, records) {
+    const template = records[code]?.trackingUrlTemplate || DEFAULT_TRACKING_URLS[code];
+    return template ? template.replace("{trackingNumber}", trackingNumber) : null;
+  }
+
+  /**
+   * Create the shipment of one order
+   * Throws when no label could be created; marketplace failures are stored
+   * on the shipping detail and do not fail the shipment.
+   * @param {Object} order - Order loaded by loadOrders
+   * @param {Object} context - Shipment context
+   * @returns {Promise<Object>} Shipment result
+   */
+  async shipOrder(order, context) {
+    const skipReason = this.getSkipReason(order);
+    if (skipReason) {
+      return {
+        orderId: order.id,
+        orderNumber: order.orderNumber,
+        status: "skipped",
+        message: skipReason,
+      };
+    }
+
+    const selection = await this.selectCarrier(order, context);
+    const label = await shippingServiceFactory.createShippingLabel(
+      {
+        packageInfo: selection.packageInfo,
+        fromAddress: context.senderAddress,
+        toAddress: selection.recipient,
+        orderInfo: { orderNumber: order.orderNumber },
+      },
+      context.credentials,
+      selection.carrier
+    );
+
+    if (!label.success) {
+      throw new Error(label.error?.message || "Carrier rejected the shipment");
+    }
+
+    const { trackingNumber, labelUrl, shipmentId, totalCost } = label.data;
+    const record = context.carrierRecords[selection.carrier];
+    const trackingUrl = this.getTrackingUrl(
+      selection.carrier,
+      trackingNumber,
+      context.carrierRecords
+    );
+    const shippedAt = new Date();
+
+    const shipment = {
+      carrierCode: selection.carrier,
+      carrierId: record ? String(record.id) : null,
+      shippingMethod: selection.rate.serviceName || context.serviceType,
+      serviceType: selection.rate.serviceCode
+        ? String(selection.rate.serviceCode)
+        : context.serviceType,
+      trackingNumber,
+      trackingUrl,
+      labelUrl,
+      shipmentId,
+      shippingCost: totalCost ?? selection.rate.price,
+      codAmount: selection.packageInfo.codAmount,
+      status: "created",
+      selectionReason: selection.reason,
+      shippedAt,
+      carrierResponse: label.data,
+      marketplaceSyncStatus: "pending",
+      marketplaceSyncError: null,
+    };
+
+    let detail = order.shippingDetail;
+    if (detail) {
+      await detail.update(shipment);
+    } else {
+      detail = await ShippingDetail.create({
+        orderId: order.id,
+        recipientName: selection.recipient.name,
+        address: selection.recipient.address1,
+        city: selection.recipient.city,
+        state: selection.recipient.district,
+        postalCode: selection.recipient.postalCode,
+        phone: selection.recipient.phone,
+        email: selection.recipient.email,
+        ...shipment,
+      });
+    }
+
+    await order.update({
+      shippingDetailId: order.shippingDetailId || detail.id,
+      cargoTrackingNumber: trackingNumber,
+      cargoTrackingUrl: trackingUrl,
+      cargoTrackingLink: trackingUrl,
+      cargoCompany: label.carrierName,
+    });
+
+    const sync = context.pushToMarketplace
+      ? await this.pushTrackingToMarketplace(order, selection.carrier)
+      : { status: "skipped" };
+
+    // Platform services move the order to shipped once the marketplace
+    // accepted the tracking number; do it locally otherwise
+    if (sync.status !== "synced") {
+      await order.update({ orderStatus: "shipped" });
+    }
+
+    await detail.update({
+      marketplaceSyncStatus: sync.status,
+      marketplaceSyncError: sync.error || null,
+    });
+
+    logger.info("Shipment created", {
+      orderId: order.id,
+      carrier: selection.carrier,
+      trackingNumber,
+      reason: selection.reason,
+      marketplaceSyncStatus: sync.status,
+    });
+
+    return {
+      orderId: order.id,
+      orderNumber: order.orderNumber,
+      status: "created",
+      carrier: selection.carrier,
+      carrierName: label.carrierName,
+      reason: selection.reason,
+      trackingNumber,
+      trackingUrl,
+      labelUrl,
+      price: shipment.shippingCost,
+      marketplaceSyncStatus: sync.status,
+      marketplaceSyncError: sync.error || null,
+    };
+  }
+
+  /**
+   * Report the tracking number to the marketplace the order came from
+   * through the platform service's updateTrackingNumber. Platforms without
+   * one (e.g. WooCommerce, which has no core tracking field) are reported as
+   * failed so the seller knows to enter the number by hand.
+   * @param {Object} order - Order with cargoTrackingNumber set
+   * @param {string} carrierCode - Carrier the label was created with
+   * @returns {Promise<Object>} { status: synced | failed | skipped, error }
+   */
+  async pushTrackingToMarketplace(order, carrierCode) {
+    if (!order.connectionId || !order.platform || LOCAL_PLATFORMS.includes(order.platform)) {
+      return { status: "skipped" };
+    }
+
+    try {
+      // Loaded lazily: platform services are heavy and only needed here
+      const PlatformServiceFactory = require("../modules/order-management/services/platforms/platformServiceFactory");
+      const service = PlatformServiceFactory.createService(order.platform, order.connectionId);
+
+      if (typeof service.updateTrackingNumber !== "function") {
+        return {
+          status: "failed",
+          error: `Tracking numbers cannot be reported to ${order.platform}`,
+        };
+      }
+
+      const result = await service.updateTrackingNumber(order.id, {
+        trackingNumber: order.cargoTrackingNumber,
+        trackingUrl: order.cargoTrackingUrl,
+        carrierCode,
+        carrierName: order.cargoCompany,
+      });
+
+      if (!result?.success) {
+        return { status: "failed", error: result?.message || "Marketplace update failed" };
+      }
+      return { status: "synced" };
+    } catch (error) {
+      logger.warn(`Failed to push tracking number of order ${order.id}: ${error.message}`);
+      return { status: "failed", error: error.message };
+    }
+  }
+
+  /**
+   * Create shipments for a list of orders one by one
+   * @param {string} userId - User ID
+   * @param {Array<string>} orderIds - Order IDs
+   * @param {Object} options - See createContext
+   * @returns {Promise<Object>} { items, stats }
+   */
+  async createShipments(userId, orderIds, options = {}) {
+    const context = await this.createContext(userId, options);
+    const orders = await this.loadOrders(userId, orderIds);
+    const items = [];
+
+    for (const order of orders) {
+      try {
+        items.push(await this.shipOrder(order, context));
+      } catch (error) {
+        logger.warn(`Failed to create shipment for order ${order.id}: ${error.message}`);
+        items.push({
+          orderId: order.id,
+          orderNumber: order.orderNumber,
+          status: "failed",
+          message: error.message,
+        });
+      }
+    }
+
+    return { items, stats: this.summarize(items) };
+  }
+
+  /**
+   * Carrier labels of shipped orders; marks the orders as label printed
+   * @param {string} userId - User ID
+   * @param {Array<string>} orderIds - Order IDs
+   * @returns {Promise<Array>}
+   */
+  async getLabels(userId, orderIds) {
+    const orders = await Order.findAll({
+      where: { userId, id: { [Op.in]: orderIds } },
+      include: [{ model: ShippingDetail, as: "shippingDetail", required: true }],
+    });
+
+    const labels = orders
+      .filter((order) => order.shippingDetail.labelUrl)
+      .map((order) => ({
+        orderId: order.id,
+        orderNumber: order.orderNumber,
+        carrier: order.shippingDetail.carrierCode,
+        trackingNumber: order.shippingDetail.trackingNumber,
+        labelUrl: order.shippingDetail.labelUrl,
+      }));
+
+    if (labels.length > 0) {
+      await Order.update(
+        { shippingLabelPrinted: true, shippingLabelPrintedAt: new Date() },
+        { where: { id: { [Op.in]: labels.map((label) => label.orderId) } } }
+      );
+    }
+
+    return labels;
+  }
+
+  /**
+   * Shipments created for a user's orders
+   * @param {string} userId - User ID
+   * @param {Object} filters - { carrier, status, search, page, limit }
+   * @returns {Promise<Object>} { shipments, pagination }
+   */
+  async getShipments(userId, filters = {}) {
+    const where = { trackingNumber: { [Op.ne]: null } };
+    if (filters.carrier) where.carrierCode = filters.carrier;
+    if (filters.status) where.status = filters.status;
+    if (filters.search) {
+      where[Op.or] = [
+        { trackingNumber: { [Op.iLike]: `%${filters.search}%` } },
+        { recipientName: { [Op.iLike]: `%${filters.search}%` } },
+        { "$order.orderNumber$": { [Op.iLike]: `%${filters.search}%` } },
+      ];
+    }
+
+    const limit = Math.min(parseInt(filters.limit, 10) || 50, 200);
+    const page = Math.max(parseInt(filters.page, 10) || 1, 1);
+
+    const { count, rows } = await ShippingDetail.findAndCountAll({
+      where,
+      include: [
+        {
+          model: Order,
+          as: "order",
+          where: { userId },
+          attributes: [
+            "id",
+            "orderNumber",
+            "platform",
+            "orderStatus",
+            "customerName",
+            "totalAmount",
+            "shippingLabelPrinted",
+          ],
+        },
+      ],
+      order: [["shippedAt", "DESC"]],
+      limit,
+      offset: (page - 1) * limit,
+    });
+
+    return {
+      shipments: rows,
+      pagination: { total: count, page, limit },
+    };
+  }
+}
+
+module.exports = new ShipmentService();
+module.exports.SELECTION_STRATEGIES = SELECTION_STRATEGIES;
+module.exports.DEFAULT_SHIPPING_CONFIG = DEFAULT_SHIPPING_CONFIG;
@@ -0,0 +1,494 @@
+const { Op } = require("sequelize");
+const logger = require("../utils/logger");
+const { Order, ShippingDetail } = require("../models");
+const shippingServiceFactory = require("../modules/public/shipping/ShippingServiceFactory");
+const shipmentService = require("./shipment-service");
+const notificationService = require("./notification-service");
+
+// Shipment statuses the carriers are still asked about
+const OPEN_SHIPMENT_STATUSES = [
+  "created",
+  "in_transit",
+  "out_for_delivery",
+  "delivery_failed",
+  "delivery_attempted",
+  "on_hold",
+  "unknown",
+];
+
+// Shipment statuses that need someone to look at the order
+const EXCEPTION_STATUSES = [
+  "delivery_failed",
+  "delivery_attempted",
+  "on_hold",
+  "returned",
+  "cancelled",
+];
+
+// Order status each shipment status leads to; cancelled shipments only raise
+// an exception because the order itself may still be shipped again
+const ORDER_STATUS_BY_SHIPMENT_STATUS = {
+  created: "shipped",
+  in_transit: "in_transit",
+  out_for_delivery: "in_transit",
+  delivery_failed: "in_transit",
+  delivery_attempted: "in_transit",
+  on_hold: "in_transit",
+  delivered: "delivered",
+  returned: "returned",
+};
+
+// Order statuses tracking may move an order along, in order. Orders in any
+// other status (cancelled, claims, refunds) are never touched.
+const ORDER_STATUS_FLOW = [
+  "new",
+  "pending",
+  "processing",
+  "shipped",
+  "in_transit",
+  "delivered",
+];
+
+// Shipments older than this are no longer tracked
+const MAX_TRACKING_AGE_DAYS = 60;
+
+const toDate = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+// Carriers report Turkish local time without an offset; Turkey stays on
+// UTC+03:00 all year
+const CARRIER_UTC_OFFSET = "+03:00";
+
+const pad2 = (value) => String(value).padStart(2, "0");
+
+// Carriers report the event date and time separately, as ISO dates or as
+// DD.MM.YYYY
+const parseEventDate = (date, time) => {
+  if (!date) return null;
+  if (date instanceof Date || typeof date === "number") return toDate(date);
+
+  let value = String(date).trim();
+  const dotted = value.match(/^(\d{1,2})[./](\d{1,2})[./](\d{4})(.*)$/);
+  if (dotted) {
+    value = `${dotted[3]}-${pad2(dotted[2])}-${pad2(dotted[1])}${dotted[4]}`;
+  }
+  value = value.replace(/^(\d{4}-\d{2}-\d{2})[ T]?/, "$1T");
+  if (value.endsWith("T")) {
+    value += time ? String(time).trim() : "00:00";
+  }
+  if (!/(Z|[+-]\d{2}:?\d{2})$/i.test(value)) {
+    value += CARRIER_UTC_OFFSET;
+  }
+  return toDate(value) || toDate(date);
+};
+
+const eventKey = (event) =>
+  [event.occurredAt, event.carrierStatus, event.location].join("|");
+
+/**
+ * Shipment Tracking Service
+ * Asks the carriers about open shipments, keeps a normalized event timeline
+ * on ShippingDetail, moves the order through shipped → in_transit →
+ * delivered (or returned) and broadcasts every change over the
+ * notification websocket.
+ */
+class ShipmentTrackingService {
+  /**
+   * Carrier credentials of a user
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} { credentials }
+   */
+  async createContext(userId) {
+    const config = await shipmentService.getShippingConfig(userId);
+    return {
+      credentials: shipmentService.getCarrierCredentials(config),
+    };
+  }
+
+  /**
+   * Condition matching shipments that are still on their way
+   * @param {number} minIntervalMinutes - Skip shipments tracked more recently
+   * @returns {Object}
+   */
+  getOpenShipmentWhere(minIntervalMinutes = 0) {
+    const now = Date.now();
+    const conditions = [
+      { trackingNumber: { [Op.ne]: null } },
+      { carrierCode: { [Op.ne]: null } },
+      { status: { [Op.in]: OPEN_SHIPMENT_STATUSES } },
+      {
+        [Op.or]: [
+          { shippedAt: null },
+          {
+            shippedAt: {
+              [Op.gte]: new Date(now - MAX_TRACKING_AGE_DAYS * 24 * 60 * 60 * 1000),
+            },
+          },
+        ],
+      },
+    ];
+
+    if (minIntervalMinutes > 0) {
+      conditions.push({
+        [Op.or]: [
+          { lastTrackedAt: null },
+          { lastTrackedAt: { [Op.lt]: new Date(now - minIntervalMinutes * 60 * 1000) } },
+        ],
+      });
+    }
+
+    return { [Op.and]: conditions };
+  }
+
+  /**
+   * Users that have shipments to track
+   * @param {number} minIntervalMinutes - Skip shipments tracked more recently
+   * @returns {Promise<Array<string>>}
+   */
+  async findUserIdsWithOpenShipments(minIntervalMinutes = 0) {
+    const rows = await Order.findAll({
+      attributes: ["userId"],
+      include: [
+        {
+          model: ShippingDetail,
+          as: "shippingDetail",
+          attributes: [],
+          required: true,
+          where: this.getOpenShipmentWhere(minIntervalMinutes),
+        },
+      ],
+      group: ["Order.userId"],
+      raw: true,
+    });
+    return rows.map((row) => row.userId);
+  }
+
+  /**
+   * Open shipments of a user, least recently tracked first
+   * @param {string} userId - User ID
+   * @param {Object} options - { orderIds, minIntervalMinutes, limit }
+   * @returns {Promise<Array<ShippingDetail>>}
+   */
+  async findOpenShipments(userId, options = {}) {
+    const where = options.orderIds?.length
+      ? {
+          trackingNumber: { [Op.ne]: null },
+          carrierCode: { [Op.ne]: null },
+          orderId: { [Op.in]: options.orderIds },
+        }
+      : this.getOpenShipmentWhere(options.minIntervalMinutes);
+
+    return ShippingDetail.findAll({
+      where,
+      include: [
+        {
+          model: Order,
+          as: "order",
+          where: { userId },
+          attributes: [
+            "id",
+            "userId",
+            "orderNumber",
+            "platform",
+            "orderStatus",
+            "customerName",
+            "totalAmount",
+          ],
+        },
+      ],
+      order: [["lastTrackedAt", "ASC NULLS FIRST"]],
+      limit: options.limit || 200,
+    });
+  }
+
+  /**
+   * Carrier events in the shared timeline format
+   * @param {Array} events - Events returned by trackPackage
+   * @param {Object} service - Carrier service that maps its own status codes
+   * @returns {Array}
+   */
+  normalizeEvents(events, service) {
+    return (events || []).map((event) => ({
+      status: service.mapTrackingStatus(event.status),
+      carrierStatus: event.status || null,
+      description: event.description || null,
+      location: event.location || null,
+      occurredAt: parseEventDate(event.date, event.time)?.toISOString() || null,
+    }));
+  }
+
+  /**
+   * Add new events to a stored timeline, oldest first. Events the carrier no
+   * longer returns are kept.
+   * @param {Array} timeline - Stored events
+   * @param {Array} events - Normalized carrier events
+   * @returns {Array}
+   */
+  mergeTimeline(timeline, events) {
+    const merged = [...(timeline || [])];
+    const known = new Set(merged.map(eventKey));
+
+    for (const event of events) {
+      if (!known.has(eventKey(event))) {
+        known.add(eventKey(event));
+        merged.push(event);
+      }
+    }
+
+    return merged.sort((a, b) => {
+      if (!a.occurredAt || !b.occurredAt) return 0;
+      return new Date(a.occurredAt) - new Date(b.occurredAt);
+    });
+  }
+
+  /**
+   * Order status a shipment status moves the order to, if any
+   * @param {string} orderStatus - Current order status
+   * @param {string} shipmentStatus - Normalized shipment status
+   * @returns {string|null}
+   */
+  getNextOrderStatus(orderStatus, shipmentStatus) {
+    const target = ORDER_STATUS_BY_SHIPMENT_STATUS[shipmentStatus];
+    const current = ORDER_STATUS_FLOW.indexOf(orderStatus);
+    if (!target || current === -1) return null;
+    if (target === "returned") return "returned";
+
+    return ORDER_STATUS_FLOW.indexOf(target) > current ? target : null;
+  }
+
+  /**
+   * Move lastTrackedAt forward if no other run did it first
+   * @returns {Promise<boolean>} true when this run owns the shipment
+   */
+  async claim(shipment, now) {
+    const [updated] = await ShippingDetail.update(
+      { lastTrackedAt: now },
+      { where: { id: shipment.id, lastTrackedAt: shipment.lastTrackedAt } }
+    );
+    return updated > 0;
+  }
+
+  /**
+   * Ask the carrier about one shipment and apply what changed
+   * @param {ShippingDetail} shipment - Shipment with its order
+   * @param {Object} context - From createContext
+   * @returns {Promise<Object>} Tracking result
+   */
+  async trackShipment(shipment, context) {
+    const { order } = shipment;
+    const code = shipment.carrierCode;
+    const now = new Date();
+    const result = {
+      orderId: order.id,
+      orderNumber: order.orderNumber,
+      carrier: code,
+      trackingNumber: shipment.trackingNumber,
+      previousStatus: shipment.status,
+    };
+
+    const credentials = context.credentials[code];
+    if (!credentials) {
+      return {
+        ...result,
+        status: "skipped",
+        message: `Carrier ${code} is not configured`,
+      };
+    }
+
+    const response = await shippingServiceFactory.trackPackage(
+      shipment.trackingNumber,
+      code,
+      credentials
+    );
+
+    if (!response.success) {
+      const error = response.error?.message || response.message || "Tracking failed";
+      await shipment.update({
+        lastTrackedAt: now,
+        trackingError: error,
+        trackingFailures: (shipment.trackingFailures || 0) + 1,
+      });
+      throw new Error(error);
+    }
+
+    const tracking = response.data;
+    const service = shippingServiceFactory.getService(code, credentials);
+    const timeline = this.mergeTimeline(
+      shipment.trackingEvents,
+      this.normalizeEvents(tracking.events, service)
+    );
+    const lastEvent = timeline[timeline.length - 1];
+    const shipmentStatus =
+      tracking.status && tracking.status !== "unknown"
+        ? tracking.status
+        : lastEvent?.status || shipment.status;
+    const location =
+      [tracking.currentLocation?.city, tracking.currentLocation?.facility]
+        .filter(Boolean)
+        .join(" / ") ||
+      lastEvent?.location ||
+      null;
+    const exceptionStatus = EXCEPTION_STATUSES.includes(shipmentStatus)
+      ? shipmentStatus
+      : null;
+
+    const updates = {
+      status: shipmentStatus,
+      statusDescription: tracking.statusDescription || null,
+      currentLocation: location,
+      estimatedDeliveryDate: toDate(tracking.estimatedDeliveryDate),
+      trackingEvents: timeline,
+      exceptionStatus,
+      lastTrackedAt: now,
+      trackingError: null,
+      trackingFailures: 0,
+    };
+    if (shipmentStatus === "delivered" && !shipment.deliveredAt) {
+      updates.deliveredAt =
+        toDate(tracking.actualDeliveryDate) || toDate(lastEvent?.occurredAt) || now;
+    }
+    await shipment.update(updates);
+
+    const oldOrderStatus = order.orderStatus;
+    const newOrderStatus = this.getNextOrderStatus(oldOrderStatus, shipmentStatus);
+    if (newOrderStatus) {
+      await order.update({ orderStatus: newOrderStatus });
+      notificationService.notifyOrderStatusChange({
+        orderNumber: order.orderNumber,
+        platform: order.platform,
+        oldStatus: oldOrderStatus,
+        newStatus: newOrderStatus,
+        customerName: order.customerName,
+        totalAmount: order.totalAmount,
+      });
+    }
+
+    const changed = shipmentStatus !== result.previousStatus;
+    if (changed) {
+      notificationService.notifyShippingUpdate({
+        orderId: order.id,
+        orderNumber: order.orderNumber,
+        trackingNumber: shipment.trackingNumber,
+        carrier: code,
+        status: shipmentStatus,
+        location,
+        exception: exceptionStatus,
+        message: `${order.orderNumber}: ${
+          tracking.statusDescription || shipmentStatus
+        }`,
+      });
+    }
+
+    if (exceptionStatus && changed) {
+      logger.warn(`Shipment exception for order ${order.orderNumber}`, {
+        trackingNumber: shipment.trackingNumber,
+        carrier: code,
+        status: shipmentStatus,
+      });
+    }
+
+    return {
+      ...result,
+      status: changed ? "updated" : "unchanged",
+      shipmentStatus,
+      orderStatus: order.orderStatus,
+      orderStatusChanged: Boolean(newOrderStatus),
+      exception: exceptionStatus,
+    };
+  }
+
+  /**
+   * Track the open shipments of a user one by one
+   * @param {string} userId - User ID
+   * @param {Object} options - { orderIds, minIntervalMinutes, limit }
+   * @returns {Promise<Object>} { items, stats }
+   */
+  async syncShipments(userId, options = {}) {
+    const context = await this.createContext(userId);
+    const shipments = await this.findOpenShipments(userId, options);
+    const items = [];
+
+    for (const shipment of shipments) {
+      const now = new Date();
+      if (!(await this.claim(shipment, now))) continue;
+      shipment.lastTrackedAt = now;
+
+      try {
+        items.push(await this.trackShipment(shipment, context));
+      } catch (error) {
+        logger.warn(
+          `Failed to track shipment ${shipment.trackingNumber}: ${error.message}`
+        );
+        items.push({
+          orderId: shipment.orderId,
+          orderNumber: shipment.order.orderNumber,
+          carrier: shipment.carrierCode,
+          trackingNumber: shipment.trackingNumber,
+          status: "failed",
+          message: error.message,
+        });
+      }
+    }
+
+    return { items, stats: this.summarize(items) };
+  }
+
+  summarize(items) {
+    return items.reduce(
+      (stats, item) => {
+        stats.total++;
+        stats[item.status] = (stats[item.status] || 0) + 1;
+        if (item.orderStatusChanged) stats.ordersUpdated++;
+        if (item.exception) stats.exceptions++;
+        return stats;
+      },
+      { total: 0, ordersUpdated: 0, exceptions: 0 }
+    );
+  }
+
+  /**
+   * Tracking timeline of an order's shipment
+   * @param {string} userId - User ID
+   * @param {string} orderId - Order ID
+   * @returns {Promise<Object|null>}
+   */
+  async getTracking(userId, orderId) {
+    const shipment = await ShippingDetail.findOne({
+      where: { orderId, trackingNumber: { [Op.ne]: null } },
+      include: [
+        {
+          model: Order,
+          as: "order",
+          where: { userId },
+          attributes: ["id", "orderNumber", "orderStatus"],
+        },
+      ],
+    });
+    if (!shipment) return null;
+
+    return {
+      orderId: shipment.orderId,
+      orderNumber: shipment.order.orderNumber,
+      orderStatus: shipment.order.orderStatus,
+      carrier: shipment.carrierCode,
+      trackingNumber: shipment.trackingNumber,
+      trackingUrl: shipment.trackingUrl,
+      status: shipment.status,
+      statusDescription: shipment.statusDescription,
+      currentLocation: shipment.currentLocation,
+      estimatedDeliveryDate: shipment.estimatedDeliveryDate,
+      shippedAt: shipment.shippedAt,
+      deliveredAt: shipment.deliveredAt,
+      exceptionStatus: shipment.exceptionStatus,
+      lastTrackedAt: shipment.lastTrackedAt,
+      trackingError: shipment.trackingError,
+      events: shipment.trackingEvents || [],
+    };
+  }
+}
+
+module.exports = new ShipmentTrackingService();
+module.exports.OPEN_SHIPMENT_STATUSES = OPEN_SHIPMENT_STATUSES;
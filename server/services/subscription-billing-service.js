@@ -0,0 +1,1204 @@
+const crypto = require("crypto");
+const { Op } = require("sequelize");
+const logger = require("../utils/logger");
+const {
+  User,
+  Subscription,
+  UsageRecord,
+  Invoice,
+  SavedCard,
+} = require("../models");
+const emailService = require("./emailService");
+
+// Subscription plan definitions. Prices and overage rates are in kuruş;
+// overage is billed per unit above the limit with the next renewal.
+const SUBSCRIPTION_PLANS = {
+  trial: {
+    id: "trial",
+    name: "Trial",
+    price: 0,
+    currency: "TRY",
+    duration: 14, // days
+    features: ["basic_analytics", "single_platform", "email_support"],
+    limits: {
+      apiCalls: 500,
+      platforms: 1,
+      users: 1,
+      reports: 5,
+    },
+  },
+  starter: {
+    id: "starter",
+    name: "Starter",
+    price: 19900, // ₺199.00 in kuruş
+    currency: "TRY",
+    features: ["basic_analytics", "single_platform", "email_support"],
+    limits: {
+      apiCalls: 5000,
+      platforms: 1,
+      users: 1,
+      reports: 25,
+    },
+    overageRates: {
+      apiCalls: 5, // ₺0.05 per call
+      reports: 500, // ₺5.00 per report
+    },
+  },
+  professional: {
+    id: "professional",
+    name: "Professional",
+    price: 39900, // ₺399.00 in kuruş
+    currency: "TRY",
+    features: [
+      "advanced_analytics",
+      "multi_platform",
+      "inventory_intelligence",
+      "email_support",
+      "priority_support",
+    ],
+    limits: {
+      apiCalls: 25000,
+      platforms: 3,
+      users: 3,
+      reports: 100,
+    },
+    overageRates: {
+      apiCalls: 3,
+      reports: 300,
+    },
+  },
+  enterprise: {
+    id: "enterprise",
+    name: "Enterprise",
+    price: 79900, // ₺799.00 in kuruş
+    currency: "TRY",
+    features: [
+      "all_features",
+      "unlimited_platforms",
+      "ai_insights",
+      "custom_reports",
+      "dedicated_support",
+      "api_access",
+    ],
+    limits: {
+      apiCalls: -1, // unlimited
+      platforms: -1, // unlimited
+      users: 10,
+      reports: -1, // unlimited
+    },
+  },
+};
+
+// Plan limit keys and the UsageRecord metric they are tracked as
+const LIMIT_METRICS = {
+  apiCalls: "api_calls",
+  platforms: "platforms",
+  users: "users",
+  reports: "reports",
+  storage: "storage",
+};
+
+// Days after the first failed renewal charge at which it is retried. The
+// subscription expires when the last retry fails.
+const RETRY_SCHEDULE_DAYS = [1, 3, 7];
+const TRIAL_REMINDER_DAYS = 3;
+const INVOICE_DUE_DAYS = 7;
+const LOCK_MINUTES = 10;
+const BATCH_SIZE = 100;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toKurus = (value) => Math.round(parseFloat(value || 0));
+const formatTRY = (kurus) => `₺${(kurus / 100).toFixed(2)}`;
+const formatDate = (date) => new Date(date).toISOString().slice(0, 10);
+
+const billingError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Subscription Billing Service
+ * Moves subscriptions through their lifecycle: expires ended trials, charges
+ * renewals to the stored iyzico card, retries failed charges with dunning
+ * emails until the subscription expires, prorates plan changes and bills
+ * usage above the plan limits with the next renewal.
+ */
+class SubscriptionBillingService {
+  constructor() {
+    this.paymentFactory = null;
+  }
+
+  getPaymentFactory() {
+    if (!this.paymentFactory) {
+      // Loaded lazily: the factory logs its providers when created
+      const PaymentServiceFactory = require("../modules/public/payments/PaymentServiceFactory");
+      this.paymentFactory = new PaymentServiceFactory();
+    }
+    return this.paymentFactory;
+  }
+
+  getPlan(planId) {
+    return SUBSCRIPTION_PLANS[planId] || null;
+  }
+
+  /**
+   * Price of a plan for one billing interval, in kuruş
+   */
+  getPlanAmount(plan, billingInterval = "monthly") {
+    return billingInterval === "yearly" ? plan.price * 12 : plan.price;
+  }
+
+  addInterval(date, billingInterval = "monthly") {
+    const next = new Date(date);
+    if (billingInterval === "yearly") {
+      next.setFullYear(next.getFullYear() + 1);
+    } else {
+      next.setMonth(next.getMonth() + 1);
+    }
+    return next;
+  }
+
+  generateInvoiceNumber() {
+    return `INV-${new Date().getFullYear()}-${String(Date.now()).slice(
+      -6
+    )}${crypto.randomBytes(2).toString("hex").toUpperCase()}`;
+  }
+
+  /**
+   * Usage records of a billing period, one per limited metric
+   * @param {string} userId - User ID
+   * @param {string} subscriptionId - Subscription ID
+   * @param {Object} plan - Plan definition from SUBSCRIPTION_PLANS
+   * @param {Date} startDate - Period start
+   * @param {Date} endDate - Period end
+   */
+  async createUsageRecords(userId, subscriptionId, plan, startDate, endDate) {
+    const records = [];
+
+    for (const [limitKey, limit] of Object.entries(plan.limits)) {
+      const metricType = LIMIT_METRICS[limitKey];
+      // Skip unknown metrics and unlimited limits (-1)
+      if (!metricType || limit < 0) continue;
+
+      const overageRate = plan.overageRates?.[limitKey] || 0;
+      records.push({
+        userId,
+        subscriptionId,
+        metricType,
+        currentUsage: 0,
+        limit,
+        billingPeriodStart: startDate,
+        billingPeriodEnd: endDate,
+        overageAllowed: overageRate > 0,
+        overageRate,
+      });
+    }
+
+    // A retried renewal may already have created them
+    await UsageRecord.bulkCreate(records, { ignoreDuplicates: true });
+  }
+
+  /**
+   * Move the usage records of the running period to a new plan's limits
+   */
+  async applyPlanLimits(subscription, plan, now) {
+    const records = await UsageRecord.findAll({
+      where: {
+        subscriptionId: subscription.id,
+        billingPeriodStart: { [Op.lte]: now },
+        billingPeriodEnd: { [Op.gte]: now },
+      },
+    });
+
+    for (const record of records) {
+      const limitKey = Object.keys(LIMIT_METRICS).find(
+        (key) => LIMIT_METRICS[key] === record.metricType
+      );
+      const limit = plan.limits[limitKey];
+
+      if (limit === undefined || limit < 0) {
+        await record.destroy();
+        continue;
+      }
+
+      const overageRate = plan.overageRates?.[limitKey] || 0;
+      await record.update({
+        limit,
+        overageAllowed: overageRate > 0,
+        overageRate,
+      });
+    }
+
+    // Metrics that were unlimited on the previous plan
+    const tracked = records.map((record) => record.metricType);
+    const missing = Object.fromEntries(
+      Object.entries(plan.limits).filter(
+        ([limitKey]) => !tracked.includes(LIMIT_METRICS[limitKey])
+      )
+    );
+    if (Object.keys(missing).length > 0 && subscription.endsAt) {
+      await this.createUsageRecords(
+        subscription.userId,
+        subscription.id,
+        { ...plan, limits: missing },
+        records[0]?.billingPeriodStart || now,
+        subscription.endsAt
+      );
+    }
+  }
+
+  /**
+   * Usage record of the running period for a metric
+   */
+  async findCurrentUsage(userId, metricType, now = new Date()) {
+    return UsageRecord.findOne({
+      where: {
+        userId,
+        metricType,
+        billingPeriodStart: { [Op.lte]: now },
+        billingPeriodEnd: { [Op.gte]: now },
+      },
+      order: [["billingPeriodStart", "DESC"]],
+    });
+  }
+
+  /**
+   * Whether a user may consume `amount` more of a metric. Usage above the
+   * limit is allowed where the plan bills it as overage.
+   * @returns {Promise<Object>} { allowed, record, overage }
+   */
+  async checkUsage(userId, metricType, amount = 1) {
+    const record = await this.findCurrentUsage(userId, metricType);
+
+    if (!record || record.limit < 0) {
+      return { allowed: true, record, overage: false };
+    }
+
+    const withinLimit = record.currentUsage + amount <= record.limit;
+    return {
+      allowed: withinLimit || record.overageAllowed,
+      record,
+      overage: !withinLimit,
+    };
+  }
+
+  /**
+   * Add to the usage of the running period
+   */
+  async recordUsage(userId, metricType, amount = 1) {
+    const record = await this.findCurrentUsage(userId, metricType);
+    if (!record) return null;
+
+    await record.increment("currentUsage", { by: amount });
+    record.currentUsage += amount;
+
+    if (record.isApproachingLimit()) {
+      logger.warn(`User ${userId} approaching ${metricType} limit`, {
+        userId,
+        metricType,
+        currentUsage: record.currentUsage,
+        limit: record.limit,
+        percentage: record.getUsagePercentage(),
+      });
+    }
+
+    return record;
+  }
+
+  /**
+   * Check a count-type limit (platforms, users) of the user's plan
+   * @param {string} userId - User ID
+   * @param {string} limitKey - Key in the plan limits
+   * @param {number} requested - Total the user would have
+   * @returns {Promise<Object>} { allowed, limit, planId }
+   */
+  async checkPlanLimit(userId, limitKey, requested) {
+    const subscription = await Subscription.findOne({
+      where: {
+        userId,
+        status: { [Op.in]: ["trial", "active", "past_due"] },
+      },
+      order: [["createdAt", "DESC"]],
+    });
+
+    // Accounts without a subscription predate billing and are not limited
+    const limit = subscription?.limits?.[limitKey];
+    if (limit === undefined || limit === null || limit < 0) {
+      return { allowed: true, limit: -1, planId: subscription?.planId };
+    }
+
+    return { allowed: requested <= limit, limit, planId: subscription.planId };
+  }
+
+  /**
+   * One billing round: trial reminders and expiry, renewals and retries
+   * @param {Date} now - Reference time
+   * @returns {Promise<Object>} Counts per outcome
+   */
+  async runBillingCycle(now = new Date()) {
+    const stats = {
+      trialReminders: 0,
+      trialsExpired: 0,
+      renewed: 0,
+      canceled: 0,
+      failed: 0,
+      recovered: 0,
+      retryFailed: 0,
+      expired: 0,
+      errors: 0,
+    };
+
+    stats.trialReminders = await this.remindEndingTrials(now);
+
+    const endedTrials = await Subscription.findAll({
+      where: { status: "trial", trialEndsAt: { [Op.lte]: now } },
+      limit: BATCH_SIZE,
+    });
+    for (const subscription of endedTrials) {
+      const outcome = await this.processClaimed(subscription, now, () =>
+        this.expireTrial(subscription)
+      );
+      this.countOutcome(stats, outcome);
+    }
+
+    const dueRenewals = await Subscription.findAll({
+      where: { status: "active", nextBillingAt: { [Op.lte]: now } },
+      order: [["nextBillingAt", "ASC"]],
+      limit: BATCH_SIZE,
+    });
+    for (const subscription of dueRenewals) {
+      const outcome = await this.processClaimed(subscription, now, () =>
+        this.renewSubscription(subscription, now)
+      );
+      this.countOutcome(stats, outcome);
+    }
+
+    const dueRetries = await Subscription.findAll({
+      where: { status: "past_due", nextRetryAt: { [Op.lte]: now } },
+      order: [["nextRetryAt", "ASC"]],
+      limit: BATCH_SIZE,
+    });
+    for (const subscription of dueRetries) {
+      const outcome = await this.processClaimed(subscription, now, () =>
+        this.retryPayment(subscription, now)
+      );
+      this.countOutcome(stats, outcome);
+    }
+
+    return stats;
+  }
+
+  countOutcome(stats, outcome) {
+    const key = {
+      trial_expired: "trialsExpired",
+      renewed: "renewed",
+      canceled: "canceled",
+      failed: "failed",
+      recovered: "recovered",
+      retry_failed: "retryFailed",
+      expired: "expired",
+      error: "errors",
+    }[outcome];
+    if (key) stats[key]++;
+  }
+
+  /**
+   * Run `handler` for a subscription claimed through billingLockedUntil, so
+   * that several server instances never charge the same subscription
+   * @returns {Promise<string|null>} Handler outcome, null when not claimed
+   */
+  async processClaimed(subscription, now, handler) {
+    const [claimed] = await Subscription.update(
+      { billingLockedUntil: new Date(now.getTime() + LOCK_MINUTES * 60000) },
+      {
+        where: {
+          id: subscription.id,
+          status: subscription.status,
+          [Op.or]: [
+            { billingLockedUntil: null },
+            { billingLockedUntil: { [Op.lt]: now } },
+          ],
+        },
+      }
+    );
+    if (claimed !== 1) return null;
+
+    try {
+      await subscription.reload();
+      return await handler();
+    } catch (error) {
+      logger.error(`Billing failed for subscription ${subscription.id}:`, {
+        subscriptionId: subscription.id,
+        userId: subscription.userId,
+        error: error.message,
+        stack: error.stack,
+      });
+      return "error";
+    } finally {
+      await Subscription.update(
+        { billingLockedUntil: null },
+        { where: { id: subscription.id } }
+      ).catch((error) =>
+        logger.error(`Failed to release billing lock: ${error.message}`, {
+          subscriptionId: subscription.id,
+        })
+      );
+    }
+  }
+
+  /**
+   * Email trials ending within TRIAL_REMINDER_DAYS, once per trial
+   */
+  async remindEndingTrials(now) {
+    const endingTrials = await Subscription.findAll({
+      where: {
+        status: "trial",
+        trialEndsAt: {
+          [Op.gt]: now,
+          [Op.lte]: new Date(now.getTime() + TRIAL_REMINDER_DAYS * DAY_MS),
+        },
+      },
+      limit: BATCH_SIZE,
+    });
+
+    let sent = 0;
+    for (const subscription of endingTrials) {
+      if (subscription.metadata?.trialReminderSentAt) continue;
+
+      await subscription.update({
+        metadata: {
+          ...subscription.metadata,
+          trialReminderSentAt: now.toISOString(),
+        },
+      });
+      await this.sendBillingEmail(
+        subscription,
+        "Your Pazar+ trial is ending soon",
+        [
+          `Your free trial ends on ${formatDate(subscription.trialEndsAt)}.`,
+          "Choose a plan and add a card to keep your stores connected.",
+        ]
+      );
+      sent++;
+    }
+
+    return sent;
+  }
+
+  async expireTrial(subscription) {
+    if (subscription.status !== "trial") return null;
+
+    await subscription.update({
+      status: "expired",
+      endsAt: subscription.trialEndsAt,
+      nextBillingAt: null,
+    });
+    await User.update(
+      { subscriptionStatus: "expired" },
+      { where: { id: subscription.userId } }
+    );
+
+    await this.sendBillingEmail(subscription, "Your Pazar+ trial has ended", [
+      "Your free trial has ended and your account is now limited.",
+      "Choose a plan to continue where you left off.",
+    ]);
+
+    return "trial_expired";
+  }
+
+  /**
+   * Bill the next period of an active subscription
+   */
+  async renewSubscription(subscription, now) {
+    if (
+      subscription.status !== "active" ||
+      !subscription.nextBillingAt ||
+      subscription.nextBillingAt > now
+    ) {
+      return null;
+    }
+
+    if (subscription.cancelAtPeriodEnd) {
+      await this.endSubscription(subscription, "canceled");
+      return "canceled";
+    }
+
+    const periodStart = new Date(subscription.nextBillingAt);
+    const periodEnd = this.addInterval(
+      periodStart,
+      subscription.billingInterval
+    );
+    const invoice = await this.findOrCreateRenewalInvoice(
+      subscription,
+      periodStart,
+      periodEnd
+    );
+
+    const result = await this.chargeInvoice(subscription, invoice);
+    if (result.success) {
+      await this.startNextPeriod(subscription, invoice);
+      return "renewed";
+    }
+
+    await this.markPastDue(subscription, invoice, result.error, now);
+    return "failed";
+  }
+
+  /**
+   * Charge the open renewal invoice of a past due subscription again
+   */
+  async retryPayment(subscription, now) {
+    if (subscription.status !== "past_due") return null;
+
+    const invoice = await Invoice.findOne({
+      where: { subscriptionId: subscription.id, status: "open" },
+      order: [["issueDate", "DESC"]],
+    });
+
+    if (!invoice) {
+      // Paid out of band; pick the subscription up again
+      await subscription.update({
+        status: "active",
+        pastDueSince: null,
+        retryCount: 0,
+        nextRetryAt: null,
+      });
+      return "recovered";
+    }
+
+    const result = await this.chargeInvoice(subscription, invoice);
+    if (result.success) {
+      await this.startNextPeriod(subscription, invoice);
+      await this.sendBillingEmail(subscription, "Payment received", [
+        `We received ${formatTRY(toKurus(invoice.total))} for invoice ${invoice.invoiceNumber}.`,
+        "Your subscription is active again. Thank you!",
+      ]);
+      return "recovered";
+    }
+
+    const retryCount = subscription.retryCount + 1;
+    if (retryCount >= RETRY_SCHEDULE_DAYS.length) {
+      await invoice.update({ status: "uncollectible" });
+      await subscription.update({ retryCount });
+      await this.endSubscription(subscription, "expired");
+      await this.sendBillingEmail(
+        subscription,
+        "Your Pazar+ subscription has expired",
+        [
+          `We could not collect ${formatTRY(toKurus(invoice.total))} for invoice ${invoice.invoiceNumber} (${result.error}).`,
+          "Your subscription has expired. Add a new card and choose a plan to reactivate it.",
+        ]
+      );
+      return "expired";
+    }
+
+    const nextRetryAt = new Date(
+      new Date(subscription.pastDueSince || now).getTime() +
+        RETRY_SCHEDULE_DAYS[retryCount] * DAY_MS
+    );
+    await subscription.update({ retryCount, nextRetryAt });
+    await this.sendDunningEmail(subscription, invoice, result.error, nextRetryAt);
+
+    return "retry_failed";
+  }
+
+  /**
+   * Line items of a renewal: the plan, billable overage of the closing
+   * period and proration credit
+   */
+  async buildRenewalLineItems(subscription, periodStart, periodEnd) {
+    const planAmount = toKurus(subscription.amount);
+    const lineItems = [
+      {
+        description: `${subscription.planName} Plan (${formatDate(
+          periodStart
+        )} - ${formatDate(periodEnd)})`,
+        quantity: 1,
+        unitPrice: planAmount,
+        amount: planAmount,
+      },
+    ];
+
+    const usageRecords = await UsageRecord.findAll({
+      where: {
+        subscriptionId: subscription.id,
+        overageAllowed: true,
+        billingPeriodEnd: { [Op.lte]: periodStart },
+      },
+    });
+
+    const overageRecords = [];
+    for (const record of usageRecords) {
+      const overUnits = record.currentUsage - record.limit;
+      if (overUnits <= 0 || record.metadata?.overageInvoiceId) continue;
+
+      const unitPrice = toKurus(record.overageRate);
+      lineItems.push({
+        description: `${record.metricType} overage (${formatDate(
+          record.billingPeriodStart
+        )} - ${formatDate(record.billingPeriodEnd)})`,
+        quantity: overUnits,
+        unitPrice,
+        amount: overUnits * unitPrice,
+      });
+      overageRecords.push(record);
+    }
+
+    const subtotal = lineItems.reduce((sum, item) => sum + item.amount, 0);
+    const credit = Math.min(toKurus(subscription.creditBalance), subtotal);
+    if (credit > 0) {
+      lineItems.push({
+        description: "Credit from plan change",
+        quantity: 1,
+        unitPrice: -credit,
+        amount: -credit,
+      });
+    }
+
+    return {
+      lineItems,
+      subtotal,
+      discountAmount: credit,
+      total: subtotal - credit,
+      overageRecords,
+    };
+  }
+
+  async findOrCreateRenewalInvoice(subscription, periodStart, periodEnd) {
+    const existing = await Invoice.findOne({
+      where: {
+        subscriptionId: subscription.id,
+        periodStart,
+        status: { [Op.in]: ["open", "paid"] },
+      },
+    });
+    if (existing) return existing;
+
+    const { lineItems, subtotal, discountAmount, total, overageRecords } =
+      await this.buildRenewalLineItems(subscription, periodStart, periodEnd);
+
+    const invoice = await this.createInvoice(subscription, {
+      description: `${subscription.planName} subscription renewal`,
+      lineItems,
+      subtotal,
+      discountAmount,
+      total,
+      periodStart,
+      periodEnd,
+      metadata: { type: "renewal" },
+    });
+
+    for (const record of overageRecords) {
+      await record.update({
+        metadata: { ...record.metadata, overageInvoiceId: invoice.id },
+      });
+    }
+    if (discountAmount > 0) {
+      await subscription.update({
+        creditBalance: toKurus(subscription.creditBalance) - discountAmount,
+      });
+    }
+
+    return invoice;
+  }
+
+  async createInvoice(subscription, invoiceData) {
+    const user = await User.findByPk(subscription.userId);
+    const issueDate = new Date();
+
+    return Invoice.create({
+      invoiceNumber: this.generateInvoiceNumber(),
+      userId: subscription.userId,
+      subscriptionId: subscription.id,
+      description: invoiceData.description,
+      subtotal: invoiceData.subtotal,
+      discountAmount: invoiceData.discountAmount || 0,
+      total: invoiceData.total,
+      currency: subscription.currency,
+      status: "open",
+      issueDate,
+      dueDate: new Date(issueDate.getTime() + INVOICE_DUE_DAYS * DAY_MS),
+      periodStart: invoiceData.periodStart,
+      periodEnd: invoiceData.periodEnd,
+      customerInfo: user
+        ? {
+            name: user.fullName,
+            email: user.email,
+            companyName: user.companyName,
+          }
+        : {},
+      lineItems: invoiceData.lineItems,
+      metadata: { ...invoiceData.metadata, attempts: [] },
+    });
+  }
+
+  /**
+   * Card renewals are charged to: the subscription's card, else the user's
+   * most recently stored iyzico card
+   */
+  async resolveCard(subscription) {
+    if (subscription.savedCardId) {
+      const card = await SavedCard.findOne({
+        where: { id: subscription.savedCardId, userId: subscription.userId },
+      });
+      if (card) return card;
+    }
+
+    return SavedCard.findOne({
+      where: { userId: subscription.userId, provider: "iyzico" },
+      order: [["createdAt", "DESC"]],
+    });
+  }
+
+  buildPaymentData(invoice, user, card) {
+    const amount = Number((toKurus(invoice.total) / 100).toFixed(2));
+    const [firstName, ...rest] = (user.fullName || user.username || "Pazar+")
+      .trim()
+      .split(/\s+/);
+    const address = {
+      firstName,
+      lastName: rest.join(" ") || firstName,
+      address: user.companyName || "Türkiye",
+      city: "Istanbul",
+      country: "Turkey",
+      zipCode: "34000",
+    };
+
+    return {
+      orderId: invoice.invoiceNumber,
+      amount,
+      currency: invoice.currency,
+      credentials: {
+        sandbox: (process.env.IYZICO_BASE_URL || "").includes("sandbox"),
+      },
+      customer: {
+        id: user.id,
+        name: address.firstName,
+        surname: address.lastName,
+        email: user.email,
+        phone: user.phone,
+        registrationDate: user.createdAt
+          ? new Date(user.createdAt).toISOString()
+          : undefined,
+      },
+      billingAddress: address,
+      shippingAddress: address,
+      basketItems: [
+        {
+          id: invoice.id,
+          name: invoice.description,
+          category: "Subscription",
+          subcategory: "SaaS",
+          itemType: "VIRTUAL",
+          price: amount,
+        },
+      ],
+      paymentCard: {
+        cardUserKey: card.cardUserKey,
+        cardToken: card.cardToken,
+      },
+    };
+  }
+
+  /**
+   * Charge an open invoice to the stored card. Invoices without an amount
+   * are settled without a charge.
+   * @returns {Promise<Object>} { success, error }
+   */
+  async chargeInvoice(subscription, invoice) {
+    const total = toKurus(invoice.total);
+    let result;
+
+    if (total <= 0) {
+      result = { success: true };
+    } else {
+      try {
+        const card = await this.resolveCard(subscription);
+        const user = await User.findByPk(subscription.userId);
+
+        if (!card) {
+          result = { success: false, error: "No stored card to charge" };
+        } else if (card.provider !== "iyzico") {
+          result = {
+            success: false,
+            error: "Only cards stored at iyzico can be charged automatically",
+          };
+        } else {
+          const payment = await this.getPaymentFactory().processPayment(
+            this.buildPaymentData(invoice, user, card),
+            "iyzico"
+          );
+          result = payment.success
+            ? { success: true, reference: payment.data?.transactionId }
+            : {
+                success: false,
+                error: payment.error?.message || "Payment declined",
+              };
+        }
+      } catch (error) {
+        result = { success: false, error: error.message };
+      }
+    }
+
+    const attempts = [
+      ...(invoice.metadata?.attempts || []),
+      {
+        at: new Date().toISOString(),
+        success: result.success,
+        error: result.error,
+      },
+    ];
+
+    if (result.success) {
+      await invoice.update({
+        status: "paid",
+        paidAt: new Date(),
+        paymentMethod: total > 0 ? "iyzico" : invoice.paymentMethod,
+        paymentReference: result.reference || invoice.paymentReference,
+        metadata: { ...invoice.metadata, attempts },
+      });
+    } else {
+      await invoice.update({ metadata: { ...invoice.metadata, attempts } });
+      logger.warn(`Subscription charge failed: ${result.error}`, {
+        subscriptionId: subscription.id,
+        invoiceId: invoice.id,
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * Start the period a paid renewal invoice covers
+   */
+  async startNextPeriod(subscription, invoice) {
+    const plan = this.getPlan(subscription.planId);
+
+    await subscription.update({
+      status: "active",
+      currentPeriodStart: invoice.periodStart,
+      endsAt: invoice.periodEnd,
+      nextBillingAt: invoice.periodEnd,
+      nextBillingAmount: subscription.amount,
+      pastDueSince: null,
+      retryCount: 0,
+      nextRetryAt: null,
+    });
+    await User.update(
+      { subscriptionStatus: "active", subscriptionEndsAt: invoice.periodEnd },
+      { where: { id: subscription.userId } }
+    );
+
+    if (plan) {
+      await this.createUsageRecords(
+        subscription.userId,
+        subscription.id,
+        plan,
+        invoice.periodStart,
+        invoice.periodEnd
+      );
+    }
+  }
+
+  async markPastDue(subscription, invoice, reason, now) {
+    const nextRetryAt = new Date(now.getTime() + RETRY_SCHEDULE_DAYS[0] * DAY_MS);
+
+    await subscription.update({
+      status: "past_due",
+      pastDueSince: now,
+      retryCount: 0,
+      nextRetryAt,
+    });
+    await User.update(
+      { subscriptionStatus: "past_due" },
+      { where: { id: subscription.userId } }
+    );
+
+    await this.sendDunningEmail(subscription, invoice, reason, nextRetryAt);
+  }
+
+  async endSubscription(subscription, status) {
+    await subscription.update({
+      status,
+      canceledAt: status === "canceled" ? new Date() : subscription.canceledAt,
+      nextBillingAt: null,
+      nextRetryAt: null,
+    });
+    await User.update(
+      { subscriptionStatus: status },
+      { where: { id: subscription.userId } }
+    );
+  }
+
+  /**
+   * Change the plan of the running subscription. Upgrades charge the
+   * prorated difference now; downgrades credit it to the next invoice. A
+   * trial converts to a paid period starting now.
+   * @param {string} userId - User ID
+   * @param {string} planId - Target plan
+   * @param {Object} options - { savedCardId }
+   * @returns {Promise<Object>} { subscription, invoice, proratedAmount }
+   */
+  async changePlan(userId, planId, { savedCardId } = {}) {
+    const plan = this.getPlan(planId);
+    if (!plan || plan.id === "trial") {
+      throw billingError("Invalid subscription plan", 400);
+    }
+
+    const subscription = await Subscription.findOne({
+      where: { userId, status: { [Op.in]: ["trial", "active"] } },
+      order: [["createdAt", "DESC"]],
+    });
+    if (!subscription) {
+      throw billingError("No active subscription found", 404);
+    }
+    if (subscription.status === "active" && subscription.planId === planId) {
+      throw billingError(`Already subscribed to the ${plan.name} plan`, 400);
+    }
+
+    if (savedCardId) {
+      const card = await SavedCard.findOne({ where: { id: savedCardId, userId } });
+      if (!card) {
+        throw billingError("Saved card not found", 404);
+      }
+      subscription.savedCardId = savedCardId;
+    }
+
+    const now = new Date();
+    const amount = this.getPlanAmount(plan, subscription.billingInterval);
+    const previousPlanId = subscription.planId;
+    let invoice;
+    let proratedAmount;
+
+    if (subscription.status === "trial") {
+      const periodEnd = this.addInterval(now, subscription.billingInterval);
+      invoice = await this.createInvoice(subscription, {
+        description: `${plan.name} subscription`,
+        lineItems: [
+          {
+            description: `${plan.name} Plan (${formatDate(now)} - ${formatDate(
+              periodEnd
+            )})`,
+            quantity: 1,
+            unitPrice: amount,
+            amount,
+          },
+        ],
+        subtotal: amount,
+        total: amount,
+        periodStart: now,
+        periodEnd,
+        metadata: { type: "subscription_start", planId },
+      });
+      await this.chargeOrVoid(subscription, invoice);
+
+      // Close the trial's usage period; the paid one starts now
+      await UsageRecord.update(
+        { billingPeriodEnd: new Date(now.getTime() - 1) },
+        {
+          where: {
+            subscriptionId: subscription.id,
+            billingPeriodEnd: { [Op.gte]: now },
+          },
+        }
+      );
+      await subscription.update({
+        planId: plan.id,
+        planName: plan.name,
+        amount,
+        status: "active",
+        currentPeriodStart: now,
+        endsAt: periodEnd,
+        nextBillingAt: periodEnd,
+        nextBillingAmount: amount,
+        features: plan.features,
+        limits: plan.limits,
+        savedCardId: subscription.savedCardId,
+        metadata: { ...subscription.metadata, convertedFromTrialAt: now },
+      });
+      await this.createUsageRecords(userId, subscription.id, plan, now, periodEnd);
+      proratedAmount = amount;
+    } else {
+      const periodStart = new Date(
+        subscription.currentPeriodStart || subscription.startedAt
+      );
+      const periodEnd = new Date(subscription.endsAt || now);
+      const periodLength = periodEnd - periodStart;
+      const remaining =
+        periodLength > 0
+          ? Math.min(1, Math.max(0, (periodEnd - now) / periodLength))
+          : 0;
+
+      const unusedCredit = Math.round(toKurus(subscription.amount) * remaining);
+      const remainingCharge = Math.round(amount * remaining);
+      proratedAmount = remainingCharge - unusedCredit;
+
+      invoice = await this.createInvoice(subscription, {
+        description: `Plan change from ${subscription.planName} to ${plan.name}`,
+        lineItems: [
+          {
+            description: `Unused time on ${subscription.planName} Plan`,
+            quantity: 1,
+            unitPrice: -unusedCredit,
+            amount: -unusedCredit,
+          },
+          {
+            description: `Remaining time on ${plan.name} Plan (${formatDate(
+              now
+            )} - ${formatDate(periodEnd)})`,
+            quantity: 1,
+            unitPrice: remainingCharge,
+            amount: remainingCharge,
+          },
+        ],
+        subtotal: remainingCharge,
+        discountAmount: Math.min(unusedCredit, remainingCharge),
+        total: Math.max(0, proratedAmount),
+        periodStart: now,
+        periodEnd,
+        metadata: {
+          type: "proration",
+          fromPlanId: previousPlanId,
+          toPlanId: planId,
+          creditCarried: Math.max(0, -proratedAmount),
+        },
+      });
+      await this.chargeOrVoid(subscription, invoice);
+
+      await subscription.update({
+        planId: plan.id,
+        planName: plan.name,
+        amount,
+        nextBillingAmount: amount,
+        features: plan.features,
+        limits: plan.limits,
+        savedCardId: subscription.savedCardId,
+        creditBalance:
+          toKurus(subscription.creditBalance) + Math.max(0, -proratedAmount),
+        cancelAtPeriodEnd: false,
+        metadata: {
+          ...subscription.metadata,
+          previousPlanId,
+          planChangedAt: now,
+        },
+      });
+      await this.applyPlanLimits(subscription, plan, now);
+    }
+
+    await User.update(
+      {
+        subscriptionPlan: plan.id,
+        subscriptionStatus: "active",
+        subscriptionEndsAt: subscription.endsAt,
+        ...(previousPlanId === "trial"
+          ? { subscriptionStartedAt: now }
+          : {}),
+        featuresEnabled: {
+          analytics: true,
+          inventory_management: true,
+          multi_platform: plan.features.includes("multi_platform"),
+          ai_insights: plan.features.includes("ai_insights"),
+          custom_reports: plan.features.includes("custom_reports"),
+          api_access: plan.features.includes("api_access"),
+        },
+        monthlyApiLimit: plan.limits.apiCalls > 0 ? plan.limits.apiCalls : 100000,
+      },
+      { where: { id: userId } }
+    );
+
+    logger.info(`Subscription plan changed from ${previousPlanId} to ${planId}`, {
+      userId,
+      subscriptionId: subscription.id,
+      proratedAmount,
+    });
+
+    return { subscription, invoice, proratedAmount };
+  }
+
+  async chargeOrVoid(subscription, invoice) {
+    const result = await this.chargeInvoice(subscription, invoice);
+    if (!result.success) {
+      await invoice.update({ status: "void", voidedAt: new Date() });
+      throw billingError(`Payment failed: ${result.error}`, 402);
+    }
+  }
+
+  /**
+   * Set the card renewals are charged to. A past due subscription is
+   * charged again right away.
+   * @returns {Promise<Object>} { subscription, retried, outcome }
+   */
+  async updatePaymentMethod(userId, savedCardId) {
+    const card = await SavedCard.findOne({ where: { id: savedCardId, userId } });
+    if (!card) {
+      throw billingError("Saved card not found", 404);
+    }
+    if (card.provider !== "iyzico") {
+      throw billingError(
+        "Only cards stored at iyzico can be used for subscriptions",
+        400
+      );
+    }
+
+    const subscription = await Subscription.findOne({
+      where: {
+        userId,
+        status: { [Op.in]: ["trial", "active", "past_due"] },
+      },
+      order: [["createdAt", "DESC"]],
+    });
+    if (!subscription) {
+      throw billingError("No active subscription found", 404);
+    }
+
+    await subscription.update({ savedCardId });
+
+    if (subscription.status !== "past_due") {
+      return { subscription, retried: false, outcome: null };
+    }
+
+    const outcome = await this.processClaimed(subscription, new Date(), () =>
+      this.retryPayment(subscription, new Date())
+    );
+    if (outcome === null) {
+      throw billingError("A billing run is already processing this subscription", 409);
+    }
+
+    return { subscription, retried: true, outcome };
+  }
+
+  async sendDunningEmail(subscription, invoice, reason, nextRetryAt) {
+    await this.sendBillingEmail(subscription, "Action required: payment failed", [
+      `We could not charge ${formatTRY(toKurus(invoice.total))} for invoice ${invoice.invoiceNumber}: ${reason}.`,
+      `We will try again on ${formatDate(nextRetryAt)}. Update your card to avoid losing access.`,
+    ]);
+  }
+
+  async sendBillingEmail(subscription, subject, paragraphs) {
+    try {
+      const user = await User.findByPk(subscription.userId);
+      if (!user?.email) return;
+
+      const billingUrl = `${emailService.baseUrl}/settings/billing`;
+      const html = `
+      <div style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+        <h2 style="color: #2c3e50;">${subject}</h2>
+        <p>Hello ${user.fullName || user.username || ""},</p>
+        ${paragraphs.map((text) => `<p>${text}</p>`).join("\n        ")}
+        <p><a href="${billingUrl}">Manage your subscription</a></p>
+      </div>`;
+
+      await emailService.sendEmail(user.email, subject, html);
+    } catch (error) {
+      logger.error(`Failed to send billing email: ${error.message}`, {
+        subscriptionId: subscription.id,
+        subject,
+      });
+    }
+  }
+}
+
+module.exports = new SubscriptionBillingService();
+module.exports.SUBSCRIPTION_PLANS = SUBSCRIPTION_PLANS;
+module.exports.LIMIT_METRICS = LIMIT_METRICS;
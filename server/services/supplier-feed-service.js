@@ -0,0 +1,756 @@
+const axios = require("axios");
+const { Readable } = require("stream");
+const { Op } = require("sequelize");
+const csvParser = require("csv-parser");
+const xml2js = require("xml2js");
+const sequelize = require("../config/database");
+const logger = require("../utils/logger");
+const {
+  Product,
+  Supplier,
+  SupplierPrice,
+  SupplierFeedRun,
+  SupplierPriceHistory,
+} = require("../models");
+
+const FEED_FORMATS = ["xml", "csv", "json"];
+const MATCH_FIELDS = ["sku", "barcode"];
+const MAX_UNMATCHED_IN_REPORT = 500;
+const LOOKUP_CHUNK_SIZE = 1000;
+const REVIEW_DECISIONS = { approve: "approved", reject: "rejected" };
+
+// Feed column names that are tried when a field has no explicit mapping
+const DEFAULT_FIELD_MAPPING = {
+  sku: ["sku", "stockCode", "stok_kodu", "StokKodu", "code"],
+  barcode: ["barcode", "barkod", "Barkod", "ean", "gtin"],
+  price: ["price", "fiyat", "Fiyat", "cost", "listPrice"],
+  stock: ["stock", "stok", "Stok", "quantity", "miktar", "Miktar"],
+  currency: ["currency", "paraBirimi", "ParaBirimi", "doviz"],
+  deliveryTime: ["deliveryTime", "teslimSuresi"],
+  name: ["name", "title", "urunAdi", "UrunAdi"],
+};
+
+const serviceError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const DEFAULT_FEED_CONFIG = {
+  format: "xml",
+  url: null,
+  headers: {},
+  auth: null,
+  itemPath: null,
+  csvDelimiter: ",",
+  fieldMapping: {},
+  matchBy: ["sku", "barcode"],
+  priceChangeThreshold: 20,
+  autoUpdateStock: true,
+  autoUpdateCost: true,
+  applyFlaggedCost: false,
+  usdRate: null,
+};
+
+/**
+ * Supplier Feed Service
+ * Ingests supplier price/stock feeds (XML, CSV or JSON from a URL or an
+ * uploaded file), matches items to products by SKU or barcode, keeps
+ * SupplierPrice and its history current and pushes stock and cost changes
+ * to the matched products. Every run stores a diff report.
+ */
+class SupplierFeedService {
+  /**
+   * Supplier feed configuration merged over the defaults
+   * @param {Object} supplier - Supplier instance
+   * @returns {Object} Feed configuration
+   */
+  getFeedConfig(supplier) {
+    return { ...DEFAULT_FEED_CONFIG, ...(supplier.feedConfig || {}) };
+  }
+
+  /**
+   * Validate a feed configuration before it is stored
+   * @param {Object} feedConfig - Feed configuration
+   * @returns {Array<string>} Validation errors, empty when valid
+   */
+  validateFeedConfig(feedConfig = {}) {
+    const errors = [];
+
+    if (feedConfig.format && !FEED_FORMATS.includes(feedConfig.format)) {
+      errors.push(`format must be one of ${FEED_FORMATS.join(", ")}`);
+    }
+    if (feedConfig.url) {
+      try {
+        const { protocol } = new URL(feedConfig.url);
+        if (!["http:", "https:"].includes(protocol)) {
+          errors.push("url must use http or https");
+        }
+      } catch (error) {
+        errors.push("url is not a valid URL");
+      }
+    }
+    if (
+      feedConfig.matchBy &&
+      (!Array.isArray(feedConfig.matchBy) ||
+        feedConfig.matchBy.length === 0 ||
+        feedConfig.matchBy.some((field) => !MATCH_FIELDS.includes(field)))
+    ) {
+      errors.push(`matchBy must be a non-empty list of ${MATCH_FIELDS.join(", ")}`);
+    }
+    if (
+      feedConfig.priceChangeThreshold !== undefined &&
+      !(Number(feedConfig.priceChangeThreshold) > 0)
+    ) {
+      errors.push("priceChangeThreshold must be a positive percentage");
+    }
+    if (
+      feedConfig.usdRate !== undefined &&
+      feedConfig.usdRate !== null &&
+      !(Number(feedConfig.usdRate) > 0)
+    ) {
+      errors.push("usdRate must be a positive number");
+    }
+
+    return errors;
+  }
+
+  /**
+   * Download the supplier feed from its configured URL
+   * @param {Object} config - Feed configuration
+   * @returns {Promise<string>} Feed content
+   */
+  async downloadFeed(config) {
+    if (!config.url) {
+      throw new Error("Supplier has no feed URL configured");
+    }
+
+    const response = await axios.get(config.url, {
+      headers: config.headers || {},
+      auth: config.auth || undefined,
+      responseType: "text",
+      transformResponse: [(data) => data],
+      timeout: 120000,
+      maxContentLength: 200 * 1024 * 1024,
+    });
+
+    return response.data;
+  }
+
+  /**
+   * Parse feed content into raw item objects
+   * @param {string|Buffer} content - Feed content
+   * @param {Object} config - Feed configuration
+   * @returns {Promise<Array<Object>>} Raw feed items
+   */
+  async parseFeed(content, config) {
+    const text = Buffer.isBuffer(content) ? content.toString("utf8") : content;
+    // Drop the byte order mark some supplier exports start with
+    const body = text.replace(/^﻿/, "");
+
+    switch (config.format) {
+      case "json": {
+        const parsed = JSON.parse(body);
+        return this.resolveItems(parsed, config.itemPath);
+      }
+      case "xml": {
+        const parsed = await xml2js.parseStringPromise(body, {
+          explicitArray: false,
+          mergeAttrs: true,
+          trim: true,
+        });
+        return this.resolveItems(parsed, config.itemPath);
+      }
+      case "csv":
+        return new Promise((resolve, reject) => {
+          const rows = [];
+          Readable.from(body)
+            .pipe(
+              csvParser({
+                separator: config.csvDelimiter || ",",
+                mapHeaders: ({ header }) => header.trim(),
+              })
+            )
+            .on("data", (row) => rows.push(row))
+            .on("end", () => resolve(rows))
+            .on("error", (error) =>
+              reject(new Error(`Failed to parse CSV feed: ${error.message}`))
+            );
+        });
+      default:
+        throw new Error(`Unsupported feed format: ${config.format}`);
+    }
+  }
+
+  /**
+   * Find the item list inside a parsed XML/JSON document. Without an
+   * itemPath the first array found (breadth first) is used.
+   * @param {Object|Array} document - Parsed document
+   * @param {string} itemPath - Dot separated path, e.g. "Urunler.Urun"
+   * @returns {Array<Object>} Items
+   */
+  resolveItems(document, itemPath) {
+    if (itemPath) {
+      const value = this.getValue(document, itemPath);
+      if (value === undefined || value === null) {
+        throw new Error(`Feed has no items at path "${itemPath}"`);
+      }
+      return Array.isArray(value) ? value : [value];
+    }
+
+    const queue = [document];
+    while (queue.length > 0) {
+      const node = queue.shift();
+      if (Array.isArray(node)) {
+        return node;
+      }
+      if (node && typeof node === "object") {
+        queue.push(...Object.values(node));
+      }
+    }
+
+    // A single item document
+    return document && typeof document === "object" ? [document] : [];
+  }
+
+  getValue(source, path) {
+    return path
+      .split(".")
+      .reduce(
+        (value, key) =>
+          value === undefined || value === null ? undefined : value[key],
+        source
+      );
+  }
+
+  /**
+   * Read a mapped field of a raw item
+   * @param {Object} raw - Raw feed item
+   * @param {string} field - Target field (sku, price, ...)
+   * @param {Object} fieldMapping - Supplier field mapping
+   * @returns {*} Field value or undefined
+   */
+  readField(raw, field, fieldMapping) {
+    const candidates = fieldMapping[field]
+      ? [fieldMapping[field]]
+      : DEFAULT_FIELD_MAPPING[field];
+
+    for (const path of candidates) {
+      let value = this.getValue(raw, path);
+      // xml2js puts text next to attributes under "_"
+      if (value && typeof value === "object" && "_" in value) {
+        value = value._;
+      }
+      if (value !== undefined && value !== null && value !== "") {
+        return value;
+      }
+    }
+    return undefined;
+  }
+
+  /**
+   * Parse numbers written as 1234.56, 1.234,56 or 1,234.56
+   * @param {*} value - Raw value
+   * @returns {number|null} Parsed number
+   */
+  parseNumber(value) {
+    if (typeof value === "number") {
+      return Number.isFinite(value) ? value : null;
+    }
+    if (value === undefined || value === null) {
+      return null;
+    }
+
+    let text = String(value).replace(/[^\d.,-]/g, "");
+    if (!text) {
+      return null;
+    }
+
+    const lastComma = text.lastIndexOf(",");
+    const lastDot = text.lastIndexOf(".");
+    if (lastComma > lastDot) {
+      // Decimal comma: 1.234,56
+      text = text.replace(/\./g, "").replace(",", ".");
+    } else {
+      text = text.replace(/,/g, "");
+    }
+
+    const number = parseFloat(text);
+    return Number.isFinite(number) ? number : null;
+  }
+
+  normalizeCurrency(value) {
+    const currency = String(value || "TL")
+      .trim()
+      .toUpperCase();
+    if (["USD", "$", "DOLAR"].includes(currency)) {
+      return "USD";
+    }
+    return "TL";
+  }
+
+  /**
+   * Map a raw feed item with the supplier field mapping
+   * @param {Object} raw - Raw feed item
+   * @param {Object} config - Feed configuration
+   * @returns {Object} { sku, barcode, price, stock, currency, deliveryTime, name, error }
+   */
+  mapItem(raw, config) {
+    const fieldMapping = config.fieldMapping || {};
+    const read = (field) => this.readField(raw, field, fieldMapping);
+    const asText = (value) =>
+      value === undefined ? null : String(value).trim() || null;
+
+    const item = {
+      sku: asText(read("sku")),
+      barcode: asText(read("barcode")),
+      name: asText(read("name")),
+      price: this.parseNumber(read("price")),
+      stock: this.parseNumber(read("stock")),
+      currency: this.normalizeCurrency(read("currency")),
+      deliveryTime: asText(read("deliveryTime")),
+      error: null,
+    };
+
+    if (!item.sku && !item.barcode) {
+      item.error = "Item has no SKU or barcode";
+    } else if (item.price === null || item.price < 0) {
+      item.error = "Item has no valid price";
+    } else if (item.currency === "USD" && !(Number(config.usdRate) > 0)) {
+      item.error = "USD price without a configured usdRate";
+    }
+
+    // A feed without a stock column leaves stock untouched
+    if (item.stock !== null) {
+      item.stock = Math.max(0, Math.floor(item.stock));
+    }
+    return item;
+  }
+
+  /**
+   * Load products of a user matching feed items by SKU or barcode
+   * @param {string} userId - Product owner
+   * @param {Array<Object>} items - Mapped feed items
+   * @param {Array<string>} matchBy - Match fields in priority order
+   * @returns {Promise<Object>} Lookup maps per match field
+   */
+  async loadProductLookup(userId, items, matchBy) {
+    const lookup = {};
+
+    for (const field of matchBy) {
+      lookup[field] = new Map();
+      const values = [
+        ...new Set(items.map((item) => item[field]).filter(Boolean)),
+      ];
+
+      for (let i = 0; i < values.length; i += LOOKUP_CHUNK_SIZE) {
+        const products = await Product.findAll({
+          where: {
+            userId,
+            [field]: { [Op.in]: values.slice(i, i + LOOKUP_CHUNK_SIZE) },
+          },
+          attributes: ["id", "name", "sku", "barcode", "costPrice", "stockQuantity"],
+        });
+        products.forEach((product) => lookup[field].set(product[field], product));
+      }
+    }
+
+    return lookup;
+  }
+
+  matchProduct(item, lookup, matchBy) {
+    for (const field of matchBy) {
+      const product = item[field] && lookup[field].get(item[field]);
+      if (product) {
+        return { product, matchedBy: field };
+      }
+    }
+    return null;
+  }
+
+  percentChange(from, to) {
+    if (from === null || from === undefined || Number(from) === 0) {
+      return null;
+    }
+    return Math.round(((to - from) / from) * 10000) / 100;
+  }
+
+  /**
+   * Run a feed ingestion for a supplier
+   * @param {Object} supplier - Supplier instance
+   * @param {Object} options - { userId, content, fileName, format, dryRun }
+   *   Without content the feed is downloaded from the configured URL.
+   * @returns {Promise<Object>} Completed SupplierFeedRun
+   */
+  async runFeed(supplier, options = {}) {
+    const config = this.getFeedConfig(supplier);
+    if (options.format) {
+      config.format = options.format;
+    }
+    const userId = options.userId || supplier.userId;
+    const isUpload = options.content !== undefined;
+
+    const run = await SupplierFeedRun.create({
+      supplierId: supplier.id,
+      userId,
+      source: isUpload ? "upload" : "url",
+      sourceName: isUpload ? options.fileName : config.url,
+      format: config.format,
+      dryRun: Boolean(options.dryRun),
+      status: "running",
+      startedAt: new Date(),
+    });
+
+    try {
+      if (!userId) {
+        throw new Error("Supplier feed has no owner to match products for");
+      }
+
+      const content = isUpload
+        ? options.content
+        : await this.downloadFeed(config);
+      const rawItems = await this.parseFeed(content, config);
+      const report = await this.applyItems(
+        supplier,
+        run,
+        rawItems.map((raw) => this.mapItem(raw, config)),
+        config,
+        userId
+      );
+
+      await run.update({
+        status: "completed",
+        stats: report.stats,
+        changes: report.changes,
+        unmatched: report.unmatched,
+        completedAt: new Date(),
+      });
+      if (!run.dryRun) {
+        await supplier.update({ lastFeedRunAt: run.completedAt });
+      }
+
+      logger.info(`Supplier feed run completed for ${supplier.name}`, {
+        supplierId: supplier.id,
+        feedRunId: run.id,
+        dryRun: run.dryRun,
+        stats: report.stats,
+      });
+    } catch (error) {
+      logger.error(`Supplier feed run failed for ${supplier.name}: ${error.message}`, {
+        supplierId: supplier.id,
+        feedRunId: run.id,
+        error: error.message,
+      });
+      await run.update({
+        status: "failed",
+        error: error.message,
+        completedAt: new Date(),
+      });
+    }
+
+    return run;
+  }
+
+  /**
+   * Diff mapped items against the current supplier prices and write the
+   * changes (unless the run is a dry run)
+   * @returns {Promise<Object>} { stats, changes, unmatched }
+   */
+  async applyItems(supplier, run, items, config, userId) {
+    const matchBy = config.matchBy.filter((field) => MATCH_FIELDS.includes(field));
+    const threshold = Number(config.priceChangeThreshold);
+    const stats = {
+      total: items.length,
+      matched: 0,
+      unmatched: 0,
+      invalid: 0,
+      duplicates: 0,
+      created: 0,
+      updated: 0,
+      unchanged: 0,
+      flagged: 0,
+      stockUpdates: 0,
+      costUpdates: 0,
+    };
+    const changes = [];
+    const unmatched = [];
+
+    const validItems = items.filter((item) => {
+      if (item.error) {
+        stats.invalid++;
+        if (unmatched.length < MAX_UNMATCHED_IN_REPORT) {
+          unmatched.push({ sku: item.sku, barcode: item.barcode, reason: item.error });
+        }
+        return false;
+      }
+      return true;
+    });
+
+    const lookup = await this.loadProductLookup(userId, validItems, matchBy);
+    const matchedItems = new Map();
+
+    for (const item of validItems) {
+      const match = this.matchProduct(item, lookup, matchBy);
+      if (!match) {
+        stats.unmatched++;
+        if (unmatched.length < MAX_UNMATCHED_IN_REPORT) {
+          unmatched.push({
+            sku: item.sku,
+            barcode: item.barcode,
+            name: item.name,
+            reason: "No product with this SKU or barcode",
+          });
+        }
+        continue;
+      }
+      if (matchedItems.has(match.product.id)) {
+        // Same product listed twice: the first line wins
+        stats.duplicates++;
+        continue;
+      }
+      matchedItems.set(match.product.id, { item, ...match });
+    }
+    stats.matched = matchedItems.size;
+
+    const currentPrices = await SupplierPrice.findAll({
+      where: {
+        supplierId: supplier.id,
+        productId: { [Op.in]: [...matchedItems.keys()] },
+      },
+    });
+    const currentByProduct = new Map(
+      currentPrices.map((price) => [price.productId, price])
+    );
+
+    const write = async (transaction) => {
+      const repricedProductIds = [];
+
+      for (const [productId, { item, product, matchedBy }] of matchedItems) {
+        const current = currentByProduct.get(productId);
+        const priceTl =
+          item.currency === "USD"
+            ? Math.round(item.price * Number(config.usdRate) * 100) / 100
+            : item.price;
+        const previousPrice = current ? parseFloat(current.priceTl) : null;
+        const previousStock = current ? current.stockStatus : null;
+        const priceChanged = previousPrice === null || previousPrice !== priceTl;
+        const stock = item.stock !== null ? item.stock : previousStock ?? 0;
+        const stockChanged = previousStock === null || previousStock !== stock;
+
+        if (!priceChanged && !stockChanged) {
+          stats.unchanged++;
+          continue;
+        }
+
+        const changePercent = this.percentChange(previousPrice, priceTl);
+        const flagged =
+          changePercent !== null && Math.abs(changePercent) >= threshold;
+        if (flagged) stats.flagged++;
+        current ? stats.updated++ : stats.created++;
+
+        const productUpdates = {};
+        if (
+          config.autoUpdateStock &&
+          item.stock !== null &&
+          product.stockQuantity !== item.stock
+        ) {
+          productUpdates.stockQuantity = item.stock;
+        }
+        const costChanged =
+          config.autoUpdateCost && parseFloat(product.costPrice) !== priceTl;
+        if (costChanged && (!flagged || config.applyFlaggedCost)) {
+          productUpdates.costPrice = priceTl;
+        }
+        // Held back costs wait for a user to approve or reject the swing
+        const heldBack = costChanged && flagged && !config.applyFlaggedCost;
+
+        changes.push({
+          productId,
+          productName: product.name,
+          sku: product.sku,
+          barcode: product.barcode,
+          matchedBy,
+          isNew: !current,
+          currency: item.currency,
+          feedPrice: item.price,
+          price: { from: previousPrice, to: priceTl, changePercent },
+          stock: { from: previousStock, to: stock },
+          flagged,
+          heldBack,
+          applied: {
+            stock: "stockQuantity" in productUpdates,
+            cost: "costPrice" in productUpdates,
+          },
+        });
+
+        if (run.dryRun) {
+          continue;
+        }
+
+        const values = {
+          priceTl,
+          priceUsd: item.currency === "USD" ? item.price : null,
+          activeCurrency: item.currency,
+          stockStatus: stock,
+          deliveryTime: item.deliveryTime || current?.deliveryTime || null,
+          lastUpdated: new Date(),
+        };
+        const supplierPrice = current
+          ? await current.update(values, { transaction })
+          : await SupplierPrice.create(
+              { supplierId: supplier.id, productId, ...values },
+              { transaction }
+            );
+
+        await SupplierPriceHistory.create(
+          {
+            supplierPriceId: supplierPrice.id,
+            supplierId: supplier.id,
+            productId,
+            feedRunId: run.id,
+            previousPrice,
+            price: priceTl,
+            currency: item.currency,
+            previousStock,
+            stock,
+            changePercent,
+            flagged,
+            reviewStatus: heldBack ? "pending" : null,
+            recordedAt: new Date(),
+          },
+          { transaction }
+        );
+        if (priceChanged) {
+          repricedProductIds.push(productId);
+        }
+
+        if (Object.keys(productUpdates).length > 0) {
+          await product.update(productUpdates, { transaction });
+          if ("stockQuantity" in productUpdates) stats.stockUpdates++;
+          if ("costPrice" in productUpdates) stats.costUpdates++;
+        }
+      }
+
+      // A newer price leaves nothing to decide about older held back swings
+      if (repricedProductIds.length > 0) {
+        await SupplierPriceHistory.update(
+          { reviewStatus: "superseded" },
+          {
+            where: {
+              supplierId: supplier.id,
+              productId: { [Op.in]: repricedProductIds },
+              reviewStatus: "pending",
+              feedRunId: { [Op.ne]: run.id },
+            },
+            transaction,
+          }
+        );
+      }
+    };
+
+    if (run.dryRun) {
+      await write(null);
+    } else {
+      await sequelize.transaction(write);
+    }
+
+    return { stats, changes, unmatched };
+  }
+
+  /**
+   * Price history of a supplier, optionally for one product
+   * @param {string} supplierId - Supplier ID
+   * @param {Object} options - { productId, flaggedOnly, reviewStatus, limit }
+   * @returns {Promise<Array>} History entries, newest first
+   */
+  async getPriceHistory(supplierId, options = {}) {
+    const where = { supplierId };
+    if (options.productId) where.productId = options.productId;
+    if (options.flaggedOnly) where.flagged = true;
+    if (options.reviewStatus) where.reviewStatus = options.reviewStatus;
+
+    return SupplierPriceHistory.findAll({
+      where,
+      order: [["recordedAt", "DESC"]],
+      limit: Math.min(parseInt(options.limit, 10) || 200, 1000),
+    });
+  }
+
+  /**
+   * Approve or reject a flagged price swing whose cost was held back.
+   * Approving writes the supplier price to the product cost, rejecting
+   * keeps the current cost.
+   * @param {Object} entry - SupplierPriceHistory instance
+   * @param {string} decision - approve | reject
+   * @param {string} userId - Reviewer, owner of the product
+   * @returns {Promise<Object>} Updated history entry
+   */
+  async reviewFlaggedPrice(entry, decision, userId) {
+    const reviewStatus = REVIEW_DECISIONS[decision];
+    if (!reviewStatus) {
+      throw serviceError(`Unknown review decision: ${decision}`, 400);
+    }
+    if (entry.reviewStatus !== "pending") {
+      throw serviceError(
+        entry.reviewStatus === "superseded"
+          ? "A later feed run changed this price again."
+          : "This price change is not waiting for review.",
+        409
+      );
+    }
+
+    await sequelize.transaction(async (transaction) => {
+      if (reviewStatus === "approved") {
+        const product = await Product.findOne({
+          where: { id: entry.productId, userId },
+          transaction,
+        });
+        if (!product) {
+          throw serviceError("Product not found.", 404);
+        }
+        await product.update(
+          { costPrice: parseFloat(entry.price) },
+          { transaction }
+        );
+      }
+
+      await entry.update(
+        { reviewStatus, reviewedAt: new Date(), reviewedBy: userId },
+        { transaction }
+      );
+    });
+
+    logger.info(`Flagged supplier price ${reviewStatus}`, {
+      historyId: entry.id,
+      supplierId: entry.supplierId,
+      productId: entry.productId,
+      price: entry.price,
+      userId,
+    });
+
+    return entry;
+  }
+
+  /**
+   * Suppliers of a user that have a feed URL, for scheduled ingestion
+   * @param {string} userId - Supplier owner
+   * @param {Array<string>} supplierIds - Optional subset of suppliers
+   * @returns {Promise<Array>} Suppliers
+   */
+  async getSuppliersWithFeedUrl(userId, supplierIds) {
+    const where = { userId, feedConfig: { [Op.ne]: null } };
+    if (Array.isArray(supplierIds) && supplierIds.length > 0) {
+      where.id = { [Op.in]: supplierIds };
+    }
+
+    const suppliers = await Supplier.findAll({
+      where,
+      order: [["priority", "ASC"]],
+    });
+    return suppliers.filter((supplier) => supplier.feedConfig?.url);
+  }
+}
+
+module.exports = new SupplierFeedService();
+module.exports.FEED_FORMATS = FEED_FORMATS;
+module.exports.DEFAULT_FEED_CONFIG = DEFAULT_FEED_CONFIG;
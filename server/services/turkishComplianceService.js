@@ -1,5 +1,8 @@
 const EventEmitter = require('events');
 const { TurkishCompliance, Order, OrderItem } = require('../models');
+const eFaturaService = require('./qnbEFaturaService');
+const eArsivService = require('./qnbEArsivDocumentService');
+const eIrsaliyeService = require('./qnbEIrsaliyeService');
 const logger = require('../utils/logger');
 
 /**
@@ -29,7 +32,7 @@ class TurkishComplianceService extends EventEmitter {
       SENT: 'sent',
       ACCEPTED: 'accepted',
       REJECTED: 'rejected',
-      GIB_FAILED: 'gib_failed'
+      FAILED: 'failed'
     };
 
     logger.info('Turkish Compliance Service initialized');
@@ -104,121 +107,147 @@ class TurkishComplianceService extends EventEmitter {
   }
 
   /**
-   * Process e-invoice generation
+   * Process e-invoice generation; buyers missing from the GİB e-Fatura user
+   * list get an e-archive document instead
    */
   async processEInvoice(complianceDoc, complianceData) {
     try {
       logger.info(`Processing e-invoice for order ${complianceData.orderId}`);
 
-      // Generate invoice number
-      const invoiceNumber = await this.generateInvoiceNumber('EINV');
-
-      // Calculate taxes
-      const taxCalculation = this.calculateTaxes(complianceData.orderData);
-
-      // Generate XML content (GIB UBL-TR schema)
-      const xmlContent = this.generateEInvoiceXML({
-        invoiceNumber,
-        complianceData,
-        taxCalculation
-      });
+      const order = await Order.findByPk(complianceData.orderId);
+      if (!order) {
+        throw new Error(`Order ${complianceData.orderId} not found`);
+      }
 
-      // Update compliance document
-      await complianceDoc.update({
-        documentNumber: invoiceNumber,
-        xmlContent: xmlContent,
-        status: this.documentStatus.GENERATED,
-        generatedAt: new Date()
-      });
+      const buyer = eFaturaService.buildBuyer(
+        order,
+        complianceData.customerInfo
+      );
+      const taxpayer = buyer.taxNumber
+        ? await eFaturaService.checkTaxpayer(order.userId, buyer.taxNumber)
+        : null;
 
-      // Send to GIB system
-      try {
-        await this.sendToGIB(complianceDoc);
+      if (!taxpayer?.isEInvoiceUser) {
         logger.info(
-          `E-invoice sent to GIB successfully for order ${complianceData.orderId}`,
-          {
-            invoiceNumber,
-            documentId: complianceDoc.id
-          }
+          `Buyer of order ${complianceData.orderId} is not an e-Fatura user, issuing e-archive`
         );
-      } catch (gibError) {
-        logger.error(
-          `Failed to send e-invoice to GIB for order ${complianceData.orderId}:`,
-          {
-            error: gibError.message,
-            invoiceNumber,
-            documentId: complianceDoc.id
-          }
-        );
-        // Update document status to indicate GIB submission failed
-        await complianceDoc.update({
-          status: this.documentStatus.GIB_FAILED,
-          gibError: gibError.message
-        });
+        await complianceDoc.update({ documentType: 'e-archive' });
+        return this.processEArchive(complianceDoc, complianceData);
       }
 
+      const document = await eFaturaService.generate(
+        order.userId,
+        order.id,
+        { ...complianceData.customerInfo, document: complianceDoc }
+      );
+
+      // Send to GIB system; failures are recorded on the document
+      const submission = await this.sendToGIB(document);
+
       this.emit('eInvoiceGenerated', {
         orderId: complianceData.orderId,
-        invoiceNumber,
-        documentId: complianceDoc.id
+        invoiceNumber: document.documentNumber,
+        documentId: document.id,
+        status: submission.status
       });
 
-      return complianceDoc;
+      return document;
     } catch (error) {
       logger.error(
         `E-invoice processing failed for order ${complianceData.orderId}:`,
         error
       );
-      await complianceDoc.update({ status: this.documentStatus.REJECTED });
+      await complianceDoc.update({
+        status: this.documentStatus.FAILED,
+        errorMessage: error.message
+      });
       throw error;
     }
   }
 
   /**
-   * Process e-archive generation
+   * Create and submit the e-Fatura of an order for a buyer registered in
+   * the GİB e-Fatura user list
+   */
+  async createEFatura(orderId, options = {}) {
+    const { userId, submit = true, ...buyer } = options;
+
+    const document = await eFaturaService.generate(userId, orderId, buyer);
+    this.emit('eInvoiceGenerated', {
+      orderId,
+      invoiceNumber: document.documentNumber,
+      documentId: document.id
+    });
+
+    if (!submit) {
+      return eFaturaService.toSummary(document);
+    }
+
+    return eFaturaService.submit(userId, document.id);
+  }
+
+  /**
+   * Process e-archive generation and create the invoice on QNB Finans
    */
   async processEArchive(complianceDoc, complianceData) {
     try {
       logger.info(`Processing e-archive for order ${complianceData.orderId}`);
 
-      // Generate archive number
-      const archiveNumber = await this.generateInvoiceNumber('ARCH');
-
-      // Calculate taxes
-      const taxCalculation = this.calculateTaxes(complianceData.orderData);
-
-      // Generate XML content
-      const xmlContent = this.generateEArchiveXML({
-        archiveNumber,
-        complianceData,
-        taxCalculation
+      const order = await Order.findByPk(complianceData.orderId, {
+        attributes: ['id', 'userId']
       });
+      if (!order) {
+        throw new Error(`Order ${complianceData.orderId} not found`);
+      }
 
-      // Update compliance document
-      await complianceDoc.update({
-        documentNumber: archiveNumber,
-        xmlContent: xmlContent,
-        status: this.documentStatus.GENERATED,
-        generatedAt: new Date()
+      const document = await eArsivService.generate(order.userId, order.id, {
+        ...complianceData.customerInfo,
+        document: complianceDoc
       });
+      const submission = await eArsivService.submit(order.userId, document.id);
 
       this.emit('eArchiveGenerated', {
         orderId: complianceData.orderId,
-        archiveNumber,
-        documentId: complianceDoc.id
+        archiveNumber: document.documentNumber,
+        documentId: document.id,
+        status: submission.status
       });
 
-      return complianceDoc;
+      return document;
     } catch (error) {
       logger.error(
         `E-archive processing failed for order ${complianceData.orderId}:`,
         error
       );
-      await complianceDoc.update({ status: this.documentStatus.REJECTED });
+      await complianceDoc.update({
+        status: this.documentStatus.FAILED,
+        errorMessage: error.message
+      });
       throw error;
     }
   }
 
+  /**
+   * Create the e-Arşiv invoice of an order for a buyer outside the GİB
+   * e-Fatura user list and submit it unless options.submit is false
+   */
+  async createEArsiv(orderId, options = {}) {
+    const { userId, submit = true, ...buyer } = options;
+
+    const document = await eArsivService.generate(userId, orderId, buyer);
+    this.emit('eArchiveGenerated', {
+      orderId,
+      archiveNumber: document.documentNumber,
+      documentId: document.id
+    });
+
+    if (!submit) {
+      return eArsivService.toSummary(document);
+    }
+
+    return eArsivService.submit(userId, document.id);
+  }
+
   /**
    * Calculate taxes for order items
    */
@@ -256,157 +285,28 @@ class TurkishComplianceService extends EventEmitter {
   }
 
   /**
-   * Generate unique invoice/archive number
+   * Generate the e-İrsaliye of an order and submit it to GİB through QNB
+   * Finans unless options.submit is false
    */
-  async generateInvoiceNumber(prefix) {
-    const year = new Date().getFullYear();
-    const timestamp = Date.now();
-    const random = Math.floor(Math.random() * 1000)
-      .toString()
-      .padStart(3, '0');
-
-    return `${prefix}${year}${timestamp}${random}`;
-  }
+  async generateIrsaliye(orderId, options = {}) {
+    const { userId, submit = true, ...transport } = options;
 
-  /**
-   * Generate e-invoice XML (simplified GIB UBL-TR schema)
-   */
-  generateEInvoiceXML({ invoiceNumber, complianceData, taxCalculation }) {
-    const currentDate = new Date().toISOString().split('T')[0];
-    const customerInfo = complianceData.customerInfo;
-
-    return `<?xml version="1.0" encoding="UTF-8"?>
-<Invoice xmlns="urn:oasis:names:specification:ubl:schema:xsd:Invoice-2"
-         xmlns:cac="urn:oasis:names:specification:ubl:schema:xsd:CommonAggregateComponents-2"
-         xmlns:cbc="urn:oasis:names:specification:ubl:schema:xsd:CommonBasicComponents-2">
-  <cbc:ID>${invoiceNumber}</cbc:ID>
-  <cbc:IssueDate>${currentDate}</cbc:IssueDate>
-  <cbc:InvoiceTypeCode>SATIS</cbc:InvoiceTypeCode>
-  <cbc:DocumentCurrencyCode>${
-  taxCalculation.currency
-}</cbc:DocumentCurrencyCode>
-  
-  <cac:AccountingSupplierParty>
-    <cac:Party>
-      <cac:PartyName>
-        <cbc:Name>Pazar+ Marketplace</cbc:Name>
-      </cac:PartyName>
-    </cac:Party>
-  </cac:AccountingSupplierParty>
-  
-  <cac:AccountingCustomerParty>
-    <cac:Party>
-      <cac:PartyName>
-        <cbc:Name>${customerInfo.name}</cbc:Name>
-      </cac:PartyName>
-      <cac:PostalAddress>
-        <cbc:StreetName>${customerInfo.address?.address1 || ''}</cbc:StreetName>
-        <cbc:CityName>${customerInfo.address?.city || ''}</cbc:CityName>
-        <cbc:PostalZone>${
-  customerInfo.address?.postalCode || ''
-}</cbc:PostalZone>
-        <cac:Country>
-          <cbc:IdentificationCode>TR</cbc:IdentificationCode>
-        </cac:Country>
-      </cac:PostalAddress>
-    </cac:Party>
-  </cac:AccountingCustomerParty>
-  
-  ${taxCalculation.items
-    .map(
-      (item, index) => `
-  <cac:InvoiceLine>
-    <cbc:ID>${index + 1}</cbc:ID>
-    <cbc:InvoicedQuantity unitCode="NIU">${item.quantity}</cbc:InvoicedQuantity>
-    <cbc:LineExtensionAmount currencyID="${
-  taxCalculation.currency
-}">${item.itemTotal.toFixed(2)}</cbc:LineExtensionAmount>
-    <cac:Item>
-      <cbc:Name>${item.productName || 'Product'}</cbc:Name>
-    </cac:Item>
-    <cac:Price>
-      <cbc:PriceAmount currencyID="${
-  taxCalculation.currency
-}">${item.price.toFixed(2)}</cbc:PriceAmount>
-    </cac:Price>
-    <cac:TaxTotal>
-      <cbc:TaxAmount currencyID="${
-  taxCalculation.currency
-}">${item.taxAmount.toFixed(2)}</cbc:TaxAmount>
-    </cac:TaxTotal>
-  </cac:InvoiceLine>`
-    )
-    .join('')}
-  
-  <cac:TaxTotal>
-    <cbc:TaxAmount currencyID="${
-  taxCalculation.currency
-}">${taxCalculation.totalTax.toFixed(2)}</cbc:TaxAmount>
-  </cac:TaxTotal>
-  
-  <cac:LegalMonetaryTotal>
-    <cbc:LineExtensionAmount currencyID="${
-  taxCalculation.currency
-}">${taxCalculation.subtotal.toFixed(2)}</cbc:LineExtensionAmount>
-    <cbc:TaxExclusiveAmount currencyID="${
-  taxCalculation.currency
-}">${taxCalculation.subtotal.toFixed(2)}</cbc:TaxExclusiveAmount>
-    <cbc:TaxInclusiveAmount currencyID="${
-  taxCalculation.currency
-}">${taxCalculation.grandTotal.toFixed(2)}</cbc:TaxInclusiveAmount>
-    <cbc:PayableAmount currencyID="${
-  taxCalculation.currency
-}">${taxCalculation.grandTotal.toFixed(2)}</cbc:PayableAmount>
-  </cac:LegalMonetaryTotal>
-</Invoice>`;
-  }
+    const document = await eIrsaliyeService.generate(
+      userId,
+      orderId,
+      transport
+    );
+    this.emit('irsaliyeGenerated', {
+      orderId,
+      documentId: document.id,
+      documentNumber: document.documentNumber
+    });
 
-  /**
-   * Generate e-archive XML (simplified)
-   */
-  generateEArchiveXML({ archiveNumber, complianceData, taxCalculation }) {
-    const currentDate = new Date().toISOString().split('T')[0];
-    const customerInfo = complianceData.customerInfo;
-
-    return `<?xml version="1.0" encoding="UTF-8"?>
-<ArchiveInvoice>
-  <ID>${archiveNumber}</ID>
-  <IssueDate>${currentDate}</IssueDate>
-  <DocumentType>ARCHIVE</DocumentType>
-  <Currency>${taxCalculation.currency}</Currency>
-  
-  <Supplier>
-    <Name>Pazar+ Marketplace</Name>
-  </Supplier>
-  
-  <Customer>
-    <Name>${customerInfo.name}</Name>
-    <Email>${customerInfo.email || ''}</Email>
-    <Phone>${customerInfo.phone || ''}</Phone>
-  </Customer>
-  
-  <Items>
-    ${taxCalculation.items
-    .map(
-      (item, index) => `
-    <Item>
-      <LineNumber>${index + 1}</LineNumber>
-      <ProductName>${item.productName || 'Product'}</ProductName>
-      <Quantity>${item.quantity}</Quantity>
-      <UnitPrice>${item.price.toFixed(2)}</UnitPrice>
-      <TotalAmount>${item.itemTotal.toFixed(2)}</TotalAmount>
-      <TaxAmount>${item.taxAmount.toFixed(2)}</TaxAmount>
-    </Item>`
-    )
-    .join('')}
-  </Items>
-  
-  <Summary>
-    <Subtotal>${taxCalculation.subtotal.toFixed(2)}</Subtotal>
-    <TotalTax>${taxCalculation.totalTax.toFixed(2)}</TotalTax>
-    <GrandTotal>${taxCalculation.grandTotal.toFixed(2)}</GrandTotal>
-  </Summary>
-</ArchiveInvoice>`;
+    if (!submit) {
+      return eIrsaliyeService.toSummary(document);
+    }
+
+    return eIrsaliyeService.submit(userId, document.id);
   }
 
   /**
@@ -492,128 +392,31 @@ class TurkishComplianceService extends EventEmitter {
   }
 
   /**
-   * Send compliance document to GIB (Revenue Administration) system
-   * @param {Object} complianceDoc - The compliance document to send
-   * @returns {Promise<Object>} GIB response
+   * Send an e-invoice to GIB (Revenue Administration) through QNB Finans
+   * @param {Object} complianceDoc - The generated e-invoice document
+   * @returns {Promise<Object>} Document summary
    */
   async sendToGIB(complianceDoc) {
-    try {
-      const gibConfig = {
-        endpoint: process.env.GIB_ENDPOINT || 'https://test-ebelge.gib.gov.tr',
-        username: process.env.GIB_USERNAME,
-        password: process.env.GIB_PASSWORD,
-        timeout: parseInt(process.env.GIB_TIMEOUT || '30000')
-      };
-
-      if (!gibConfig.username || !gibConfig.password) {
-        throw new Error('GIB credentials not configured');
-      }
-
-      logger.info(`Sending document to GIB: ${complianceDoc.documentNumber}`, {
-        documentId: complianceDoc.id,
-        documentType: complianceDoc.documentType,
-        endpoint: gibConfig.endpoint
-      });
-
-      // Prepare the SOAP envelope for GIB submission
-      const soapEnvelope = this.createGIBSoapEnvelope(complianceDoc, gibConfig);
-
-      // For now, simulate the GIB API call
-      // In production, this would make an actual SOAP request to GIB
-      const gibResponse = await this.simulateGIBSubmission(
-        soapEnvelope,
-        gibConfig
-      );
-
-      // Update document status based on GIB response
-      await complianceDoc.update({
-        status: gibResponse.success
-          ? this.documentStatus.SENT
-          : this.documentStatus.GIB_FAILED,
-        gibSubmissionId: gibResponse.submissionId,
-        gibResponse: gibResponse,
-        sentAt: gibResponse.success ? new Date() : null
-      });
-
-      logger.info(
-        `GIB submission completed for document ${complianceDoc.documentNumber}`,
-        {
-          success: gibResponse.success,
-          submissionId: gibResponse.submissionId
-        }
-      );
-
-      return gibResponse;
-    } catch (error) {
-      logger.error(
-        `GIB submission failed for document ${complianceDoc.documentNumber}:`,
-        error
+    if (complianceDoc.documentType !== 'e-invoice') {
+      throw new Error(
+        `${complianceDoc.documentType} documents are not sent through e-Fatura`
       );
-      throw error;
     }
-  }
 
-  /**
-   * Create SOAP envelope for GIB submission
-   * @param {Object} complianceDoc - The compliance document
-   * @param {Object} gibConfig - GIB configuration
-   * @returns {string} SOAP envelope XML
-   */
-  createGIBSoapEnvelope(complianceDoc, gibConfig) {
-    const documentXml = Buffer.from(complianceDoc.xmlContent).toString(
-      'base64'
-    );
-
-    return `<?xml version="1.0" encoding="UTF-8"?>
-      <soapenv:Envelope xmlns:soapenv="http://schemas.xmlsoap.org/soap/envelope/" xmlns:gib="http://gib.gov.tr/">
-        <soapenv:Header>
-          <gib:Authentication>
-            <gib:Username>${gibConfig.username}</gib:Username>
-            <gib:Password>${gibConfig.password}</gib:Password>
-          </gib:Authentication>
-        </soapenv:Header>
-        <soapenv:Body>
-          <gib:SendDocument>
-            <gib:DocumentType>${complianceDoc.documentType}</gib:DocumentType>
-            <gib:DocumentNumber>${
-  complianceDoc.documentNumber
-}</gib:DocumentNumber>
-            <gib:DocumentContent>${documentXml}</gib:DocumentContent>
-            <gib:Timestamp>${new Date().toISOString()}</gib:Timestamp>
-          </gib:SendDocument>
-        </soapenv:Body>
-      </soapenv:Envelope>`;
-  }
+    const order = await Order.findByPk(complianceDoc.orderId, {
+      attributes: ['id', 'userId']
+    });
+    const result = await eFaturaService.submit(order.userId, complianceDoc.id);
 
-  /**
-   * Simulate GIB submission for development/testing
-   * @param {string} soapEnvelope - The SOAP envelope
-   * @param {Object} gibConfig - GIB configuration
-   * @returns {Promise<Object>} Simulated GIB response
-   */
-  async simulateGIBSubmission(soapEnvelope, gibConfig) {
-    // Simulate network delay
-    await new Promise((resolve) =>
-      setTimeout(resolve, 1000 + Math.random() * 2000)
+    logger.info(
+      `GIB submission completed for document ${complianceDoc.documentNumber}`,
+      {
+        status: result.status,
+        providerDocumentId: result.providerDocumentId
+      }
     );
 
-    // Simulate success/failure based on configuration
-    const shouldSucceed =
-      process.env.NODE_ENV !== 'production' || Math.random() > 0.1;
-
-    if (shouldSucceed) {
-      return {
-        success: true,
-        submissionId: `GIB_${Date.now()}_${Math.random()
-          .toString(36)
-          .substr(2, 9)}`,
-        status: 'ACCEPTED',
-        message: 'Document successfully submitted to GIB',
-        timestamp: new Date().toISOString()
-      };
-    } else {
-      throw new Error('GIB system temporarily unavailable');
-    }
+    return result;
   }
 }
 
@@ -1,6 +1,22 @@
 const axios = require('axios');
 const crypto = require('crypto');
+const { Op } = require('sequelize');
 const logger = require('../utils/logger');
+const sequelize = require('../config/database');
+const { Order, Payment, PaymentWebhookEvent, SavedCard } = require('../models');
+const notificationService = require('./notification-service');
+
+// Payment statuses only move forward: a failed attempt may still succeed on
+// retry, a succeeded payment is final
+const PAYMENT_STATUS_RANK = { pending: 0, failed: 1, succeeded: 2 };
+
+const IYZICO_STATUS_MAP = {
+  SUCCESS: 'succeeded',
+  FAILURE: 'failed'
+};
+
+const UUID_PATTERN =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
 
 /**
  * Turkish Payment Gateway Service
@@ -19,7 +35,10 @@ class TurkishPaymentService {
     // İyzico (Most popular in Turkey)
     this.gateways.set('IYZICO', {
       name: 'İyzico',
-      apiUrl: process.env.IYZICO_API_URL || 'https://api.iyzipay.com',
+      apiUrl:
+        process.env.IYZICO_API_URL ||
+        process.env.IYZICO_BASE_URL ||
+        'https://api.iyzipay.com',
       sandboxUrl: 'https://sandbox-api.iyzipay.com',
       supportedCurrencies: ['TRY', 'USD', 'EUR'],
       supportedCards: ['VISA', 'MASTERCARD', 'AMERICAN_EXPRESS', 'TROY'],
@@ -40,6 +59,18 @@ class TurkishPaymentService {
       features: ['3DS', 'TOKENIZATION']
     });
 
+    // PayTR
+    this.gateways.set('PAYTR', {
+      name: 'PayTR',
+      apiUrl: process.env.PAYTR_API_URL || 'https://www.paytr.com',
+      sandboxUrl: 'https://www.paytr.com', // Test mode is a request flag
+      supportedCurrencies: ['TRY', 'USD', 'EUR'],
+      supportedCards: ['VISA', 'MASTERCARD', 'AMERICAN_EXPRESS', 'TROY'],
+      installmentSupport: true,
+      maxInstallments: 12,
+      features: ['3DS', 'TOKENIZATION']
+    });
+
     // Garanti BBVA
     this.gateways.set('GARANTI', {
       name: 'Garanti BBVA',
@@ -287,6 +318,22 @@ class TurkishPaymentService {
 
       const result = response.data;
 
+      await this.recordPaymentResult('iyzico', {
+        reference: orderId,
+        userId: paymentData.userId,
+        providerPaymentId: result.paymentId,
+        status:
+          result.status !== 'success'
+            ? 'failed'
+            : result.fraudStatus === 1
+              ? 'succeeded'
+              : 'pending',
+        amount,
+        currency,
+        installments,
+        failureReason: result.errorMessage
+      });
+
       if (result.status === 'success') {
         return {
           success: true,
@@ -630,6 +677,12 @@ class TurkishPaymentService {
       return !!(process.env.IYZICO_API_KEY && process.env.IYZICO_SECRET_KEY);
     case 'PAYU':
       return !!(process.env.PAYU_MERCHANT_ID && process.env.PAYU_SECRET_KEY);
+    case 'PAYTR':
+      return !!(
+        process.env.PAYTR_MERCHANT_ID &&
+        process.env.PAYTR_MERCHANT_KEY &&
+        process.env.PAYTR_MERCHANT_SALT
+      );
     case 'GARANTI':
       return !!(
         process.env.GARANTI_TERMINAL_ID && process.env.GARANTI_PASSWORD
@@ -698,56 +751,671 @@ class TurkishPaymentService {
   }
 
   /**
-   * Get saved cards
+   * Saved cards of a user. Only provider tokens and display metadata are
+   * stored locally; `refresh` re-reads the lists from the providers first.
    * @param {string} userId - User ID
+   * @param {Object} options - { refresh }
    * @returns {Promise<Array>} Saved cards
    */
-  async getSavedCards(userId) {
-    return [];
+  async getSavedCards(userId, options = {}) {
+    if (options.refresh) {
+      await this.syncSavedCards(userId);
+    }
+
+    const cards = await SavedCard.findAll({
+      where: { userId },
+      order: [['createdAt', 'DESC']]
+    });
+
+    return cards.map((card) => this.formatSavedCard(card));
   }
 
   /**
-   * Save card
-   * @param {Object} cardData - Card data
+   * Store a card at iyzico. The card number is passed straight through to
+   * iyzico's card storage API and never persisted or logged here.
+   * PayTR cards are stored during checkout and arrive through the callback.
+   * @param {Object} cardData - userId, email, cardAlias, cardHolderName,
+   *   cardNumber, expireMonth, expireYear
    * @returns {Promise<Object>} Saved card
    */
   async saveCard(cardData) {
-    return {
-      id: Date.now().toString(),
-      alias: cardData.cardAlias,
-      maskedNumber: '****-****-****-1234',
-      cardType: cardData.cardType,
-      savedAt: new Date()
+    const { userId, provider = 'iyzico' } = cardData;
+
+    if (provider !== 'iyzico') {
+      const error = new Error(
+        'PayTR cards are stored during checkout and cannot be added directly'
+      );
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const cardNumber = String(cardData.cardNumber || '').replace(/\s/g, '');
+    if (!this.validateTurkishCreditCard(cardNumber).isValid) {
+      const error = new Error('Invalid card number');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    // iyzico groups a user's cards under one cardUserKey
+    const existing = await SavedCard.findOne({
+      where: { userId, provider: 'iyzico' }
+    });
+
+    const request = {
+      locale: 'tr',
+      conversationId: `card_${Date.now()}`,
+      externalId: userId,
+      email: cardData.email,
+      card: {
+        cardAlias: cardData.cardAlias,
+        cardHolderName: cardData.cardHolderName,
+        cardNumber,
+        expireMonth: cardData.expireMonth,
+        expireYear: cardData.expireYear
+      }
     };
+    if (existing) {
+      request.cardUserKey = existing.cardUserKey;
+    }
+
+    const result = await this.iyzicoRequest(
+      'post',
+      '/cardstorage/card',
+      request
+    );
+
+    const [card] = await this.upsertSavedCards(
+      userId,
+      'iyzico',
+      result.cardUserKey,
+      [
+        {
+          ...this.normalizeIyzicoCard(result),
+          expireMonth: cardData.expireMonth,
+          expireYear: cardData.expireYear
+        }
+      ]
+    );
+
+    logger.info(`Stored iyzico card for user ${userId}`, {
+      cardId: card.id,
+      lastFourDigits: card.lastFourDigits
+    });
+
+    return this.formatSavedCard(card);
   }
 
   /**
-   * Delete card
-   * @param {string} cardId - Card ID
+   * Delete a saved card at the provider, then locally
+   * @param {string} cardId - Saved card ID
    * @param {string} userId - User ID
    * @returns {Promise<void>}
    */
   async deleteCard(cardId, userId) {
-    // Implementation for deleting saved card
+    const card = await SavedCard.findOne({ where: { id: cardId, userId } });
+    if (!card) {
+      const error = new Error('Saved card not found');
+      error.statusCode = 404;
+      throw error;
+    }
+
+    if (card.provider === 'iyzico') {
+      await this.iyzicoRequest('delete', '/cardstorage/card', {
+        locale: 'tr',
+        conversationId: `card_${Date.now()}`,
+        cardUserKey: card.cardUserKey,
+        cardToken: card.cardToken
+      });
+    } else {
+      const { merchantId, merchantKey, merchantSalt } =
+        this.getPayTRCredentials();
+      const result = await this.payTRRequest('/odeme/capi/delete', {
+        merchant_id: merchantId,
+        ctoken: card.cardToken,
+        utoken: card.cardUserKey,
+        paytr_token: this.generatePayTRHash(
+          card.cardToken + card.cardUserKey + merchantSalt,
+          merchantKey
+        )
+      });
+      if (result?.status !== 'success') {
+        throw new Error(result?.err_msg || 'PayTR card deletion failed');
+      }
+    }
+
+    await card.destroy();
   }
 
   /**
-   * Verify webhook signature
-   * @param {string} signature - Webhook signature
-   * @param {string} payload - Webhook payload
-   * @returns {Promise<boolean>} Is valid
+   * Re-read the stored cards of every provider wallet the user has
+   * @param {string} userId - User ID
    */
-  async verifyWebhookSignature(signature, payload) {
-    return true; // Simplified implementation
+  async syncSavedCards(userId) {
+    const wallets = await SavedCard.findAll({
+      where: { userId },
+      attributes: ['provider', 'cardUserKey'],
+      group: ['provider', 'cardUserKey'],
+      raw: true
+    });
+
+    for (const { provider, cardUserKey } of wallets) {
+      try {
+        await this.syncProviderCards(userId, provider, cardUserKey);
+      } catch (error) {
+        logger.warn(`Failed to refresh ${provider} cards: ${error.message}`, {
+          userId
+        });
+      }
+    }
   }
 
   /**
-   * Handle payment status webhook
-   * @param {Object} webhookData - Webhook data
-   * @returns {Promise<void>}
+   * Mirror one provider wallet into saved_cards, dropping cards the
+   * provider no longer has
+   */
+  async syncProviderCards(userId, provider, cardUserKey) {
+    const cards =
+      provider === 'iyzico'
+        ? await this.listIyzicoCards(cardUserKey)
+        : await this.listPayTRCards(cardUserKey);
+
+    await this.upsertSavedCards(userId, provider, cardUserKey, cards);
+
+    const where = { userId, provider, cardUserKey };
+    if (cards.length > 0) {
+      where.cardToken = { [Op.notIn]: cards.map((card) => card.cardToken) };
+    }
+    await SavedCard.destroy({ where });
+  }
+
+  async upsertSavedCards(userId, provider, cardUserKey, cards) {
+    const saved = [];
+
+    for (const card of cards) {
+      const [record, created] = await SavedCard.findOrCreate({
+        where: { provider, cardToken: card.cardToken },
+        defaults: { ...card, userId, provider, cardUserKey }
+      });
+      if (!created && record.userId === userId) {
+        await record.update({ ...card, cardUserKey });
+      }
+      saved.push(record);
+    }
+
+    return saved;
+  }
+
+  async listIyzicoCards(cardUserKey) {
+    const result = await this.iyzicoRequest('post', '/cardstorage/cards', {
+      locale: 'tr',
+      conversationId: `cards_${Date.now()}`,
+      cardUserKey
+    });
+
+    return (result.cardDetails || []).map((card) =>
+      this.normalizeIyzicoCard(card)
+    );
+  }
+
+  async listPayTRCards(utoken) {
+    const { merchantId, merchantKey, merchantSalt } =
+      this.getPayTRCredentials();
+    const result = await this.payTRRequest('/odeme/capi/list', {
+      merchant_id: merchantId,
+      utoken,
+      paytr_token: this.generatePayTRHash(utoken + merchantSalt, merchantKey)
+    });
+
+    if (!Array.isArray(result)) {
+      if (result?.status === 'error') {
+        throw new Error(result.err_msg || 'PayTR card list failed');
+      }
+      return [];
+    }
+
+    return result.map((card) => ({
+      cardToken: card.ctoken,
+      cardAlias: card.c_name || null,
+      binNumber: null,
+      lastFourDigits: card.last_4,
+      cardType: card.c_type ? `${card.c_type.toUpperCase()}_CARD` : null,
+      cardAssociation: card.schema || null,
+      cardFamily: card.c_brand || null,
+      bankName: card.c_bank || null,
+      expireMonth: card.month || null,
+      expireYear: card.year || null
+    }));
+  }
+
+  normalizeIyzicoCard(card) {
+    return {
+      cardToken: card.cardToken,
+      cardAlias: card.cardAlias || null,
+      binNumber: card.binNumber || null,
+      lastFourDigits: card.lastFourDigits || null,
+      cardType: card.cardType || null,
+      cardAssociation: card.cardAssociation || null,
+      cardFamily: card.cardFamily || null,
+      bankName: card.cardBankName || null
+    };
+  }
+
+  formatSavedCard(card) {
+    return {
+      id: card.id,
+      provider: card.provider,
+      alias: card.cardAlias,
+      maskedNumber: `**** **** **** ${card.lastFourDigits || '****'}`,
+      binNumber: card.binNumber,
+      cardType: card.cardType,
+      cardAssociation: card.cardAssociation,
+      cardFamily: card.cardFamily,
+      bankName: card.bankName,
+      expireMonth: card.expireMonth,
+      expireYear: card.expireYear,
+      savedAt: card.createdAt
+    };
+  }
+
+  /**
+   * Build IYZWSv2 request headers, as required by the card storage API
+   * @param {string} uriPath - Request path, e.g. /cardstorage/card
+   * @param {Object} body - JSON request body
    */
-  async handlePaymentStatusWebhook(webhookData) {
-    // Implementation for handling webhook
+  generateIyzicoV2Headers(uriPath, body, apiKey, secretKey) {
+    const randomKey = `${Date.now()}${crypto.randomBytes(8).toString('hex')}`;
+    const signature = crypto
+      .createHmac('sha256', secretKey)
+      .update(randomKey + uriPath + JSON.stringify(body))
+      .digest('hex');
+    const authorization = Buffer.from(
+      `apiKey:${apiKey}&randomKey:${randomKey}&signature:${signature}`
+    ).toString('base64');
+
+    return {
+      Authorization: `IYZWSv2 ${authorization}`,
+      'x-iyzi-rnd': randomKey,
+      'Content-Type': 'application/json',
+      Accept: 'application/json'
+    };
+  }
+
+  async iyzicoRequest(method, uriPath, body) {
+    const gateway = this.gateways.get('IYZICO');
+    const apiKey = process.env.IYZICO_API_KEY;
+    const secretKey = process.env.IYZICO_SECRET_KEY;
+
+    if (!apiKey || !secretKey) {
+      throw new Error('İyzico credentials not configured');
+    }
+
+    let response;
+    try {
+      response = await axios({
+        method,
+        url: `${gateway.apiUrl}${uriPath}`,
+        data: body,
+        headers: this.generateIyzicoV2Headers(
+          uriPath,
+          body,
+          apiKey,
+          secretKey
+        ),
+        timeout: 30000
+      });
+    } catch (error) {
+      // Rethrow without the axios config: its request body can hold a card number
+      throw new Error(error.response?.data?.errorMessage || error.message);
+    }
+
+    const result = response.data;
+    if (result.status !== 'success') {
+      const error = new Error(result.errorMessage || 'İyzico request failed');
+      error.code = result.errorCode;
+      throw error;
+    }
+
+    return result;
+  }
+
+  getPayTRCredentials() {
+    const merchantId = process.env.PAYTR_MERCHANT_ID;
+    const merchantKey = process.env.PAYTR_MERCHANT_KEY;
+    const merchantSalt = process.env.PAYTR_MERCHANT_SALT;
+
+    if (!merchantId || !merchantKey || !merchantSalt) {
+      throw new Error('PayTR credentials not configured');
+    }
+
+    return { merchantId, merchantKey, merchantSalt };
+  }
+
+  /**
+   * PayTR tokens and callback hashes: base64 HMAC-SHA256 keyed with the
+   * merchant key
+   */
+  generatePayTRHash(data, merchantKey) {
+    return crypto
+      .createHmac('sha256', merchantKey)
+      .update(data)
+      .digest('base64');
+  }
+
+  async payTRRequest(path, params) {
+    const gateway = this.gateways.get('PAYTR');
+    const response = await axios.post(
+      `${gateway.apiUrl}${path}`,
+      new URLSearchParams(params),
+      {
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        timeout: 30000
+      }
+    );
+
+    return response.data;
+  }
+
+  /**
+   * Verify a payment callback
+   * @param {string} provider - iyzico or paytr
+   * @param {Object} payload - Parsed callback body
+   * @param {Object} headers - Request headers (lower-cased)
+   * @returns {boolean} Is valid
+   */
+  verifyWebhookSignature(provider, payload, headers = {}) {
+    if (!payload || typeof payload !== 'object') {
+      return false;
+    }
+
+    switch (provider) {
+    case 'iyzico':
+      return this.verifyIyzicoSignature(
+        payload,
+        headers['x-iyz-signature-v3']
+      );
+    case 'paytr':
+      return this.verifyPayTRHash(payload);
+    default:
+      return false;
+    }
+  }
+
+  /**
+   * iyzico X-IYZ-SIGNATURE-V3: hex HMAC-SHA256 over the secret key followed
+   * by the event fields. Checkout form / pay-with-iyzico callbacks carry a
+   * token and sign it instead of the paymentId.
+   */
+  verifyIyzicoSignature(payload, signature) {
+    const secretKey = process.env.IYZICO_SECRET_KEY;
+    if (!secretKey || !signature) {
+      return false;
+    }
+
+    const fields = payload.token
+      ? [
+        secretKey,
+        payload.iyziEventType,
+        payload.iyziPaymentId,
+        payload.token,
+        payload.paymentConversationId,
+        payload.status
+      ]
+      : [
+        secretKey,
+        payload.iyziEventType,
+        payload.paymentId,
+        payload.paymentConversationId,
+        payload.status
+      ];
+
+    const expected = crypto
+      .createHmac('sha256', secretKey)
+      .update(fields.map((field) => (field == null ? '' : field)).join(''))
+      .digest('hex');
+
+    return this.safeCompare(expected, String(signature).toLowerCase());
+  }
+
+  /**
+   * PayTR callback hash: base64 HMAC-SHA256 of
+   * merchant_oid + merchant_salt + status + total_amount
+   */
+  verifyPayTRHash(payload) {
+    const merchantKey = process.env.PAYTR_MERCHANT_KEY;
+    const merchantSalt = process.env.PAYTR_MERCHANT_SALT;
+    if (!merchantKey || !merchantSalt || !payload.hash) {
+      return false;
+    }
+
+    const expected = this.generatePayTRHash(
+      `${payload.merchant_oid}${merchantSalt}${payload.status}${payload.total_amount}`,
+      merchantKey
+    );
+
+    return this.safeCompare(expected, String(payload.hash));
+  }
+
+  safeCompare(expected, received) {
+    const expectedBuffer = Buffer.from(expected);
+    const receivedBuffer = Buffer.from(received);
+
+    return (
+      expectedBuffer.length === receivedBuffer.length &&
+      crypto.timingSafeEqual(expectedBuffer, receivedBuffer)
+    );
+  }
+
+  /**
+   * Map a verified callback to the fields applied to the payment
+   */
+  parseWebhookEvent(provider, payload) {
+    if (provider === 'iyzico') {
+      return {
+        eventKey:
+          payload.iyziReferenceCode ||
+          `${payload.paymentConversationId}:${payload.iyziEventType}:${payload.status}`,
+        reference: payload.paymentConversationId,
+        providerPaymentId: payload.paymentId || payload.iyziPaymentId,
+        status: IYZICO_STATUS_MAP[payload.status] || null,
+        eventTime: payload.iyziEventTime
+          ? new Date(Number(payload.iyziEventTime))
+          : new Date()
+      };
+    }
+
+    const amount = Number(payload.total_amount);
+
+    return {
+      eventKey: `${payload.merchant_oid}:${payload.status}`,
+      reference: payload.merchant_oid,
+      status: payload.status === 'success' ? 'succeeded' : 'failed',
+      // PayTR reports amounts in kuruş and the lira as TL
+      amount: Number.isFinite(amount) ? amount / 100 : undefined,
+      currency:
+        payload.currency === 'TL' ? 'TRY' : payload.currency || undefined,
+      installments: parseInt(payload.installment_count, 10) || undefined,
+      failureReason: payload.failed_reason_msg
+        ? `${payload.failed_reason_code}: ${payload.failed_reason_msg}`
+        : null,
+      cardUserKey: payload.utoken || null,
+      eventTime: new Date()
+    };
+  }
+
+  /**
+   * Handle a verified payment status callback. Each callback is recorded by
+   * its provider event key, so redeliveries are acknowledged without being
+   * applied twice; a callback whose processing failed is retried.
+   * @param {string} provider - iyzico or paytr
+   * @param {Object} payload - Parsed callback body
+   * @returns {Promise<Object>} { duplicate, status, paymentId }
+   */
+  async handlePaymentStatusWebhook(provider, payload) {
+    const event = this.parseWebhookEvent(provider, payload);
+
+    if (!event.reference) {
+      const error = new Error('Callback has no payment reference');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const [record, created] = await PaymentWebhookEvent.findOrCreate({
+      where: { provider, eventKey: event.eventKey },
+      defaults: { payload }
+    });
+
+    if (!created && record.status !== 'failed') {
+      return {
+        duplicate: true,
+        status: record.status,
+        paymentId: record.paymentId
+      };
+    }
+
+    try {
+      const { payment, applied } = await this.applyPaymentEvent(
+        provider,
+        event
+      );
+
+      await record.update({
+        paymentId: payment.id,
+        status: applied ? 'processed' : 'ignored',
+        error: null,
+        processedAt: new Date()
+      });
+
+      if (event.cardUserKey && payment.userId) {
+        this.syncProviderCards(
+          payment.userId,
+          provider,
+          event.cardUserKey
+        ).catch((error) =>
+          logger.warn(`Failed to sync ${provider} cards: ${error.message}`, {
+            userId: payment.userId
+          })
+        );
+      }
+
+      return {
+        duplicate: false,
+        status: record.status,
+        paymentId: payment.id
+      };
+    } catch (error) {
+      await record.update({ status: 'failed', error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Move the payment identified by the event reference to the event status
+   * and mirror it on the related order. The payment row is created on first
+   * sight, linked to the order whose id or number equals the reference.
+   * @returns {Promise<Object>} { payment, applied }
+   */
+  async applyPaymentEvent(provider, event) {
+    const transaction = await sequelize.transaction();
+    let payment;
+    let order = null;
+
+    try {
+      payment = await Payment.findOne({
+        where: { provider, reference: event.reference },
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+
+      if (!payment) {
+        order = await this.findOrderByReference(event.reference, transaction);
+        payment = await Payment.create(
+          {
+            provider,
+            reference: event.reference,
+            userId: event.userId || order?.userId || null,
+            orderId: order?.id || null,
+            amount: event.amount ?? order?.totalAmount ?? null,
+            currency: event.currency || order?.currency || 'TRY',
+            installments: event.installments || 1
+          },
+          { transaction }
+        );
+      }
+
+      const status = event.status || 'pending';
+      if (
+        PAYMENT_STATUS_RANK[status] <= PAYMENT_STATUS_RANK[payment.status]
+      ) {
+        await transaction.commit();
+        return { payment, applied: false };
+      }
+
+      await payment.update(
+        {
+          status,
+          providerPaymentId:
+            event.providerPaymentId || payment.providerPaymentId,
+          amount: event.amount ?? payment.amount,
+          installments: event.installments || payment.installments,
+          failureReason: status === 'failed' ? event.failureReason || null : null,
+          paidAt: status === 'succeeded' ? event.eventTime : payment.paidAt,
+          lastEventAt: event.eventTime
+        },
+        { transaction }
+      );
+
+      if (payment.orderId) {
+        order =
+          order || (await Order.findByPk(payment.orderId, { transaction }));
+        if (order) {
+          await order.update(
+            { paymentStatus: status === 'succeeded' ? 'paid' : 'failed' },
+            { transaction }
+          );
+        }
+      }
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+
+    notificationService.notifyPaymentUpdate({
+      orderNumber: order?.orderNumber || payment.reference,
+      platform: order?.platform,
+      status: payment.status,
+      amount: payment.amount,
+      method: provider
+    });
+
+    return { payment, applied: true };
+  }
+
+  /**
+   * Record the synchronous outcome of a payment request. Failing to record
+   * must not hide the gateway result from the caller.
+   */
+  async recordPaymentResult(provider, event) {
+    try {
+      await this.applyPaymentEvent(provider, {
+        ...event,
+        reference: String(event.reference),
+        eventTime: new Date()
+      });
+    } catch (error) {
+      logger.error(
+        `Failed to record ${provider} payment ${event.reference}: ${error.message}`
+      );
+    }
+  }
+
+  findOrderByReference(reference, transaction) {
+    const where = UUID_PATTERN.test(reference)
+      ? { [Op.or]: [{ id: reference }, { orderNumber: reference }] }
+      : { orderNumber: reference };
+
+    return Order.findOne({ where, transaction });
   }
 
   /**
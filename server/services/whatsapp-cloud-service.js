@@ -0,0 +1,251 @@
+const axios = require("axios");
+const crypto = require("crypto");
+const logger = require("../utils/logger");
+
+const DEFAULT_API_URL = "https://graph.facebook.com";
+const DEFAULT_API_VERSION = "v21.0";
+
+const cloudError = (message, details = {}) => {
+  const error = new Error(message);
+  Object.assign(error, details);
+  return error;
+};
+
+/**
+ * WhatsApp Business Cloud API client
+ *
+ * Configuration (environment):
+ *   WHATSAPP_PHONE_NUMBER_ID - Business phone number messages are sent from
+ *   WHATSAPP_ACCESS_TOKEN    - System user access token
+ *   WHATSAPP_APP_SECRET      - App secret webhook payloads are signed with
+ *   WHATSAPP_VERIFY_TOKEN    - Token Meta echoes in the subscription handshake
+ *   WHATSAPP_API_URL         - Graph API base URL; point it at
+ *                              scripts/whatsapp-mock-server.js to test locally
+ *   WHATSAPP_API_VERSION     - Graph API version
+ */
+class WhatsAppCloudService {
+  get config() {
+    return {
+      phoneNumberId: process.env.WHATSAPP_PHONE_NUMBER_ID,
+      accessToken: process.env.WHATSAPP_ACCESS_TOKEN,
+      appSecret: process.env.WHATSAPP_APP_SECRET,
+      verifyToken: process.env.WHATSAPP_VERIFY_TOKEN,
+      apiUrl: (process.env.WHATSAPP_API_URL || DEFAULT_API_URL).replace(/\/$/, ""),
+      apiVersion: process.env.WHATSAPP_API_VERSION || DEFAULT_API_VERSION,
+    };
+  }
+
+  isConfigured() {
+    const { phoneNumberId, accessToken } = this.config;
+    return Boolean(phoneNumberId && accessToken);
+  }
+
+  /**
+   * Answer Meta's webhook subscription handshake
+   * @param {Object} query - hub.mode, hub.verify_token, hub.challenge
+   * @returns {string|null} The challenge to echo, or null when rejected
+   */
+  verifySubscription(query = {}) {
+    const { verifyToken } = this.config;
+    if (
+      verifyToken &&
+      query["hub.mode"] === "subscribe" &&
+      query["hub.verify_token"] === verifyToken
+    ) {
+      return query["hub.challenge"] || "";
+    }
+    return null;
+  }
+
+  /**
+   * Check the X-Hub-Signature-256 header against the raw request body
+   * @param {Buffer|string} rawBody - Request body exactly as received
+   * @param {string} header - "sha256=<hex digest>"
+   * @returns {boolean} True if the signature matches
+   */
+  verifySignature(rawBody, header) {
+    const { appSecret } = this.config;
+    if (!rawBody || !header || !appSecret) {
+      return false;
+    }
+
+    const [algorithm, signature] = String(header).split("=");
+    if (algorithm !== "sha256" || !signature) {
+      return false;
+    }
+
+    const expected = crypto
+      .createHmac("sha256", appSecret)
+      .update(rawBody)
+      .digest();
+    const received = Buffer.from(signature, "hex");
+
+    return (
+      received.length === expected.length &&
+      crypto.timingSafeEqual(received, expected)
+    );
+  }
+
+  /**
+   * Flatten a webhook payload into the messages and status updates it carries
+   * @param {Object} payload - Webhook body ({ object, entry: [{ changes }] })
+   * @returns {Object} { messages: [...], statuses: [...] }
+   */
+  parseWebhook(payload = {}) {
+    const messages = [];
+    const statuses = [];
+
+    if (payload.object !== "whatsapp_business_account") {
+      return { messages, statuses };
+    }
+
+    for (const entry of payload.entry || []) {
+      for (const change of entry.changes || []) {
+        if (change.field !== "messages" || !change.value) continue;
+
+        const { metadata = {}, contacts = [] } = change.value;
+        const names = new Map(
+          contacts.map((contact) => [contact.wa_id, contact.profile?.name])
+        );
+
+        for (const message of change.value.messages || []) {
+          messages.push({
+            id: message.id,
+            from: message.from,
+            name: names.get(message.from) || null,
+            type: message.type,
+            text: this.getMessageText(message),
+            timestamp: this.toDate(message.timestamp),
+            phoneNumberId: metadata.phone_number_id,
+          });
+        }
+
+        for (const status of change.value.statuses || []) {
+          statuses.push({
+            id: status.id,
+            status: status.status,
+            recipient: status.recipient_id,
+            timestamp: this.toDate(status.timestamp),
+            error: status.errors?.[0]
+              ? `${status.errors[0].code}: ${
+                  status.errors[0].error_data?.details || status.errors[0].title
+                }`
+              : null,
+            phoneNumberId: metadata.phone_number_id,
+          });
+        }
+      }
+    }
+
+    return { messages, statuses };
+  }
+
+  /**
+   * Text of an inbound message; quick reply buttons and list selections
+   * are answered like typed text
+   */
+  getMessageText(message) {
+    switch (message.type) {
+      case "text":
+        return message.text?.body || "";
+      case "button":
+        return message.button?.text || message.button?.payload || "";
+      case "interactive":
+        return (
+          message.interactive?.button_reply?.title ||
+          message.interactive?.list_reply?.title ||
+          ""
+        );
+      default:
+        return null;
+    }
+  }
+
+  toDate(timestamp) {
+    return timestamp ? new Date(parseInt(timestamp, 10) * 1000) : new Date();
+  }
+
+  /**
+   * Send a free-form text message; WhatsApp only delivers these within 24
+   * hours of the customer's last message
+   * @returns {Promise<Object>} { messageId }
+   */
+  async sendText(to, text) {
+    return this.send({
+      to,
+      type: "text",
+      text: { preview_url: true, body: text },
+    });
+  }
+
+  /**
+   * Send an approved message template
+   * @param {string} to - Recipient WhatsApp ID
+   * @param {string} name - Template name as approved by Meta
+   * @param {string} language - Template language code (tr, en_US)
+   * @param {Array<string>} parameters - Body parameters in order
+   * @returns {Promise<Object>} { messageId }
+   */
+  async sendTemplate(to, name, language, parameters = []) {
+    const template = { name, language: { code: language } };
+    if (parameters.length > 0) {
+      template.components = [
+        {
+          type: "body",
+          parameters: parameters.map((value) => ({
+            type: "text",
+            text: String(value ?? "-"),
+          })),
+        },
+      ];
+    }
+
+    return this.send({ to, type: "template", template });
+  }
+
+  async send(message) {
+    const { phoneNumberId, accessToken, apiUrl, apiVersion } = this.config;
+    if (!this.isConfigured()) {
+      throw cloudError("WhatsApp Cloud API is not configured", {
+        code: "WHATSAPP_NOT_CONFIGURED",
+      });
+    }
+
+    try {
+      const response = await axios.post(
+        `${apiUrl}/${apiVersion}/${phoneNumberId}/messages`,
+        {
+          messaging_product: "whatsapp",
+          recipient_type: "individual",
+          ...message,
+        },
+        {
+          headers: {
+            Authorization: `Bearer ${accessToken}`,
+            "Content-Type": "application/json",
+          },
+          timeout: 15000,
+        }
+      );
+
+      return {
+        messageId: response.data?.messages?.[0]?.id || null,
+        waId: response.data?.contacts?.[0]?.wa_id || message.to,
+      };
+    } catch (error) {
+      const apiError = error.response?.data?.error;
+      logger.error(`WhatsApp Cloud API error: ${apiError?.message || error.message}`, {
+        status: error.response?.status,
+        code: apiError?.code,
+        type: message.type,
+      });
+      throw cloudError(apiError?.message || error.message, {
+        code: apiError?.code || error.code,
+        statusCode: error.response?.status,
+      });
+    }
+  }
+}
+
+module.exports = new WhatsAppCloudService();
+module.exports.WhatsAppCloudService = WhatsAppCloudService;
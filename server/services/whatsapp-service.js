@@ -0,0 +1,498 @@
+const { Op } = require("sequelize");
+const logger = require("../utils/logger");
+const { Order, WhatsAppContact, WhatsAppMessage } = require("../models");
+const whatsappCloud = require("./whatsapp-cloud-service");
+const shipmentTrackingService = require("./shipment-tracking-service");
+const assistant = require("./assistant");
+const {
+  normalizePhone,
+  getOrderContacts,
+} = require("./assistant/order-lookup");
+
+const { conversationStore, normalizeText } = assistant;
+
+// Whole-message keywords, compared without Turkish diacritics
+const OPT_OUT_KEYWORDS = ["dur", "stop", "iptal", "bildirim istemiyorum"];
+const OPT_IN_KEYWORDS = ["basla", "start", "bildirimleri ac"];
+
+// Orders changed longer ago than this are never notified about
+const NOTIFICATION_LOOKBACK_HOURS = parseInt(
+  process.env.WHATSAPP_NOTIFICATION_LOOKBACK_HOURS || "24",
+  10
+);
+const NOTIFICATION_BATCH_SIZE = 50;
+
+const STATUS_ORDER = ["sent", "delivered", "read"];
+
+const formatAmount = (order) =>
+  `${Number(order.totalAmount || 0).toLocaleString("tr-TR", {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  })} ${order.currency || "TRY"}`;
+
+/**
+ * Order notification templates. Each has to be approved in WhatsApp Manager
+ * with its body parameters in this order; names can be overridden per
+ * deployment.
+ */
+const NOTIFICATION_TEMPLATES = {
+  order_confirmed: {
+    name: process.env.WHATSAPP_TEMPLATE_ORDER_CONFIRMED || "order_confirmed",
+    statuses: ["new", "pending", "processing"],
+    dateField: "createdAt",
+    // {{1}} customer, {{2}} order number, {{3}} total
+    parameters: (order) => [order.customerName, order.orderNumber, formatAmount(order)],
+  },
+  order_shipped: {
+    name: process.env.WHATSAPP_TEMPLATE_ORDER_SHIPPED || "order_shipped",
+    statuses: ["shipped", "in_transit"],
+    dateField: "updatedAt",
+    requiresTracking: true,
+    // {{1}} customer, {{2}} order number, {{3}} carrier, {{4}} tracking
+    // number, {{5}} tracking link
+    parameters: (order, shipment) => [
+      order.customerName,
+      order.orderNumber,
+      shipment.carrier,
+      shipment.trackingNumber,
+      shipment.trackingUrl,
+    ],
+  },
+  order_delivered: {
+    name: process.env.WHATSAPP_TEMPLATE_ORDER_DELIVERED || "order_delivered",
+    statuses: ["delivered"],
+    dateField: "updatedAt",
+    // {{1}} customer, {{2}} order number
+    parameters: (order) => [order.customerName, order.orderNumber],
+  },
+};
+
+/**
+ * WhatsApp ID (digits with country code) of a phone number; Turkish
+ * numbers written without the country code get 90
+ */
+const toWhatsAppId = (value) => {
+  if (!value) return null;
+  const digits = String(value).replace(/\D/g, "").replace(/^00/, "");
+  if (digits.length === 10 && digits.startsWith("5")) return `90${digits}`;
+  if (digits.length === 11 && digits.startsWith("05")) return `9${digits}`;
+  return digits.length >= 10 ? digits : null;
+};
+
+const serviceError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * WhatsApp Service
+ * Handles Cloud API webhooks (customer messages answered by the assistant,
+ * delivery statuses), notification opt-in/opt-out per customer, and the
+ * order confirmed/shipped/delivered template notifications.
+ */
+class WhatsAppService {
+  /**
+   * Account (seller) the business phone number belongs to
+   */
+  getAccountId() {
+    return process.env.WHATSAPP_ACCOUNT_ID || process.env.ASSISTANT_ACCOUNT_ID || null;
+  }
+
+  /**
+   * Process a verified webhook payload
+   * @returns {Promise<Object>} { received, duplicates, statuses }
+   */
+  async handleWebhook(payload) {
+    const stats = { received: 0, duplicates: 0, statuses: 0 };
+    const accountId = this.getAccountId();
+    const { messages, statuses } = whatsappCloud.parseWebhook(payload);
+
+    if (!accountId) {
+      logger.warn("WhatsApp webhook received but WHATSAPP_ACCOUNT_ID is not set");
+      return stats;
+    }
+
+    // Meta retries webhooks; one failing message must not fail the others
+    for (const message of messages) {
+      try {
+        const handled = await this.handleInbound(accountId, message);
+        stats[handled ? "received" : "duplicates"]++;
+      } catch (error) {
+        logger.error(`Failed to handle WhatsApp message ${message.id}: ${error.message}`, {
+          from: message.from,
+          stack: error.stack,
+        });
+      }
+    }
+
+    for (const status of statuses) {
+      try {
+        if (await this.applyStatus(status)) stats.statuses++;
+      } catch (error) {
+        logger.error(`Failed to apply WhatsApp status ${status.id}: ${error.message}`);
+      }
+    }
+
+    return stats;
+  }
+
+  /**
+   * Record a customer message and answer it: opt-in keywords are handled
+   * here, everything else goes to the assistant
+   * @returns {Promise<boolean>} False if the message was already handled
+   */
+  async handleInbound(accountId, message) {
+    const existing = await WhatsAppMessage.findOne({
+      where: { waMessageId: message.id },
+    });
+    if (existing) return false;
+
+    const contact = await this.ensureContact(accountId, message.from, message.name);
+    await contact.update({
+      lastInboundAt: message.timestamp,
+      name: message.name || contact.name,
+    });
+
+    const log = await WhatsAppMessage.create({
+      userId: accountId,
+      contactId: contact.id,
+      phone: contact.phone,
+      direction: "inbound",
+      type: message.type,
+      body: message.text,
+      waMessageId: message.id,
+      status: "received",
+    });
+
+    if (message.text === null) {
+      await this.sendReply(
+        accountId,
+        contact,
+        "Şu anda yalnızca yazılı mesajları yanıtlayabiliyorum. Sorunuzu yazar mısınız?"
+      );
+      return true;
+    }
+
+    const keyword = normalizeText(message.text);
+    if (OPT_OUT_KEYWORDS.includes(keyword)) {
+      await this.setOptIn(accountId, contact.phone, false, "keyword");
+      await this.sendReply(
+        accountId,
+        contact,
+        "Sipariş bildirimleri kapatıldı. Tekrar almak için BAŞLA yazabilirsiniz."
+      );
+      return true;
+    }
+    if (OPT_IN_KEYWORDS.includes(keyword)) {
+      await this.setOptIn(accountId, contact.phone, true, "keyword");
+      await this.sendReply(
+        accountId,
+        contact,
+        "Sipariş bildirimleri açıldı. Siparişleriniz onaylandığında, kargoya verildiğinde ve teslim edildiğinde size buradan haber vereceğiz. Kapatmak için DUR yazabilirsiniz."
+      );
+      return true;
+    }
+
+    const result = await assistant.handleMessage({
+      channel: "whatsapp",
+      externalId: contact.phone,
+      accountId,
+      text: message.text,
+      customerName: message.name,
+      customerPhone: contact.phone,
+    });
+    await log.update({ conversationId: result.conversationId });
+
+    if (result.reply) {
+      await this.sendReply(accountId, contact, result.reply, {
+        conversationId: result.conversationId,
+      });
+    }
+    return true;
+  }
+
+  /**
+   * Move an outbound message forward to the status Meta reports. Statuses
+   * may arrive out of order, so a message never moves backwards.
+   */
+  async applyStatus(status) {
+    const message = await WhatsAppMessage.findOne({
+      where: { waMessageId: status.id, direction: "outbound" },
+    });
+    if (!message) return false;
+
+    if (status.status === "failed") {
+      await message.update({ status: "failed", error: status.error });
+      return true;
+    }
+
+    if (STATUS_ORDER.indexOf(status.status) <= STATUS_ORDER.indexOf(message.status)) {
+      return false;
+    }
+
+    const updates = { status: status.status };
+    if (status.status === "delivered") updates.deliveredAt = status.timestamp;
+    if (status.status === "read") {
+      updates.readAt = status.timestamp;
+      updates.deliveredAt = message.deliveredAt || status.timestamp;
+    }
+    await message.update(updates);
+    return true;
+  }
+
+  /**
+   * Send a free-form message and log it, failed or not
+   * @returns {Promise<WhatsAppMessage>}
+   */
+  async sendReply(accountId, contact, text, { conversationId = null } = {}) {
+    const log = {
+      userId: accountId,
+      contactId: contact.id,
+      conversationId,
+      phone: contact.phone,
+      direction: "outbound",
+      type: "text",
+      body: text,
+    };
+
+    try {
+      const { messageId } = await whatsappCloud.sendText(contact.phone, text);
+      return await WhatsAppMessage.create({
+        ...log,
+        waMessageId: messageId,
+        status: "sent",
+        sentAt: new Date(),
+      });
+    } catch (error) {
+      await WhatsAppMessage.create({ ...log, status: "failed", error: error.message });
+      throw error;
+    }
+  }
+
+  async ensureContact(accountId, phone, name = null) {
+    const waId = toWhatsAppId(phone);
+    if (!waId) {
+      throw serviceError("Invalid phone number", 400);
+    }
+
+    const [contact] = await WhatsAppContact.findOrCreate({
+      where: { userId: accountId, phone: waId },
+      defaults: { userId: accountId, phone: waId, name },
+    });
+    return contact;
+  }
+
+  /**
+   * Record a customer's consent to order notifications, or its withdrawal
+   * @param {string} source - keyword, checkout, manual
+   */
+  async setOptIn(accountId, phone, optedIn, source = "manual") {
+    const contact = await this.ensureContact(accountId, phone);
+    await contact.update(
+      optedIn
+        ? { optedIn: true, optInSource: source, optedInAt: new Date(), optedOutAt: null }
+        : { optedIn: false, optedOutAt: new Date() }
+    );
+
+    logger.info(`WhatsApp notifications ${optedIn ? "enabled" : "disabled"} for ${contact.phone}`, {
+      userId: accountId,
+      source,
+    });
+    return contact;
+  }
+
+  async getContacts(accountId, filters = {}) {
+    const page = Math.max(parseInt(filters.page, 10) || 1, 1);
+    const limit = Math.min(parseInt(filters.limit, 10) || 20, 100);
+    const where = { userId: accountId };
+
+    if (filters.optedIn !== undefined) {
+      where.optedIn = String(filters.optedIn) === "true";
+    }
+    if (filters.search) {
+      where[Op.or] = [
+        { phone: { [Op.like]: `%${filters.search.replace(/\D/g, "") || filters.search}%` } },
+        { name: { [Op.iLike]: `%${filters.search}%` } },
+      ];
+    }
+
+    const { count, rows } = await WhatsAppContact.findAndCountAll({
+      where,
+      order: [["updatedAt", "DESC"]],
+      limit,
+      offset: (page - 1) * limit,
+    });
+
+    return {
+      contacts: rows,
+      pagination: { total: count, page, pages: Math.ceil(count / limit), limit },
+    };
+  }
+
+  async getMessages(accountId, filters = {}) {
+    const page = Math.max(parseInt(filters.page, 10) || 1, 1);
+    const limit = Math.min(parseInt(filters.limit, 10) || 50, 200);
+    const where = { userId: accountId };
+
+    if (filters.phone) where.phone = toWhatsAppId(filters.phone);
+    if (filters.orderId) where.orderId = filters.orderId;
+    if (filters.event) where.event = filters.event;
+
+    const { count, rows } = await WhatsAppMessage.findAndCountAll({
+      where,
+      order: [["createdAt", "DESC"]],
+      limit,
+      offset: (page - 1) * limit,
+    });
+
+    return {
+      messages: rows,
+      pagination: { total: count, page, pages: Math.ceil(count / limit), limit },
+    };
+  }
+
+  /**
+   * Send the template notifications due for recently changed orders of
+   * customers who opted in. Each order event is notified at most once.
+   * @param {Date} now - Reference time
+   * @returns {Promise<Object>} { sent, failed, skipped }
+   */
+  async runNotificationCycle(now = new Date()) {
+    const stats = { sent: 0, failed: 0, skipped: 0 };
+    const accountId = this.getAccountId();
+    if (!accountId || !whatsappCloud.isConfigured()) {
+      return stats;
+    }
+
+    const contacts = await WhatsAppContact.findAll({
+      where: { userId: accountId, optedIn: true },
+      attributes: ["id", "phone"],
+    });
+    if (contacts.length === 0) return stats;
+
+    const contactsByPhone = new Map(
+      contacts.map((contact) => [normalizePhone(contact.phone), contact])
+    );
+    const since = new Date(now.getTime() - NOTIFICATION_LOOKBACK_HOURS * 60 * 60 * 1000);
+
+    for (const [event, template] of Object.entries(NOTIFICATION_TEMPLATES)) {
+      const orders = await Order.findAll({
+        where: {
+          userId: accountId,
+          orderStatus: { [Op.in]: template.statuses },
+          [template.dateField]: { [Op.gte]: since },
+        },
+        order: [[template.dateField, "ASC"]],
+        limit: NOTIFICATION_BATCH_SIZE * 4,
+      });
+
+      for (const order of orders) {
+        if (stats.sent + stats.failed >= NOTIFICATION_BATCH_SIZE) return stats;
+
+        const contact = getOrderContacts(order)
+          .phones.map((phone) => contactsByPhone.get(phone))
+          .find(Boolean);
+        if (!contact) continue;
+
+        const outcome = await this.sendOrderNotification(order, event, contact);
+        stats[outcome]++;
+      }
+    }
+
+    return stats;
+  }
+
+  /**
+   * Send one order notification template
+   * @returns {Promise<string>} sent, failed or skipped
+   */
+  async sendOrderNotification(order, event, contact) {
+    const template = NOTIFICATION_TEMPLATES[event];
+
+    const existing = await WhatsAppMessage.findOne({
+      where: { orderId: order.id, event },
+    });
+    if (existing) return "skipped";
+
+    let shipment = null;
+    if (template.requiresTracking) {
+      shipment =
+        (await shipmentTrackingService.getTracking(order.userId, order.id)) ||
+        (order.cargoTrackingNumber
+          ? {
+              carrier: order.cargoCompany,
+              trackingNumber: order.cargoTrackingNumber,
+              trackingUrl: order.cargoTrackingUrl || order.cargoTrackingLink,
+            }
+          : null);
+      // Notified once the tracking number is known
+      if (!shipment?.trackingNumber) return "skipped";
+    }
+
+    const parameters = template.parameters(order, shipment);
+    const log = {
+      userId: order.userId,
+      contactId: contact.id,
+      orderId: order.id,
+      phone: contact.phone,
+      direction: "outbound",
+      type: "template",
+      event,
+      templateName: template.name,
+      body: parameters.join(" | "),
+    };
+
+    let result;
+    try {
+      result = await whatsappCloud.sendTemplate(
+        contact.phone,
+        template.name,
+        process.env.WHATSAPP_TEMPLATE_LANGUAGE || "tr",
+        parameters
+      );
+    } catch (error) {
+      // Recorded as failed so the customer is not retried on every cycle
+      await this.recordNotification({ ...log, status: "failed", error: error.message });
+      logger.warn(`WhatsApp ${event} notification failed for order ${order.orderNumber}`, {
+        error: error.message,
+      });
+      return "failed";
+    }
+
+    await this.recordNotification({
+      ...log,
+      waMessageId: result.messageId,
+      status: "sent",
+      sentAt: new Date(),
+    });
+    return "sent";
+  }
+
+  async recordNotification(data) {
+    try {
+      await WhatsAppMessage.create(data);
+    } catch (error) {
+      // Another server instance notified the same event first
+      if (error.name !== "SequelizeUniqueConstraintError") throw error;
+    }
+  }
+}
+
+const whatsappService = new WhatsAppService();
+
+// Agent replies from the chat queue reach WhatsApp customers through the
+// Cloud API
+conversationStore.registerChannel("whatsapp", async (conversation, text) => {
+  const contact = await whatsappService.ensureContact(
+    conversation.userId,
+    conversation.externalId
+  );
+  await whatsappService.sendReply(conversation.userId, contact, text, {
+    conversationId: conversation.id,
+  });
+});
+
+module.exports = whatsappService;
+module.exports.NOTIFICATION_TEMPLATES = NOTIFICATION_TEMPLATES;
+module.exports.toWhatsAppId = toWhatsAppId;
@@ -0,0 +1,143 @@
+/**
+ * Return claims of the Hepsiburada and N11 services
+ */
+const axios = require("axios");
+
+const HEPSIBURADA_SERVICE = "../../modules/order-management/services/platforms/hepsiburada/hepsiburada-service";
+const N11_SERVICE = "../../modules/order-management/services/platforms/n11/n11-service";
+
+const CLAIM_METHODS = ["fetchClaims", "normalizeClaim", "approveClaim", "rejectClaim"];
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe.each([
+  ["Hepsiburada", HEPSIBURADA_SERVICE],
+  ["N11", N11_SERVICE],
+])("%s service module", (name, modulePath) => {
+  it("loads", () => {
+    expect(() => require(modulePath)).not.toThrow();
+  });
+
+  it("implements the claim methods", () => {
+    const Service = require(modulePath);
+
+    CLAIM_METHODS.forEach((method) => {
+      expect(typeof Service.prototype[method]).toBe("function");
+    });
+  });
+});
+
+describe("Hepsiburada", () => {
+  const createService = () => {
+    const HepsiburadaService = require(HEPSIBURADA_SERVICE);
+    return new HepsiburadaService(1, {
+      username: "user",
+      merchantId: "merchant-1",
+      apiKey: "key",
+    });
+  };
+
+  it("normalizes claims, one per order line", async () => {
+    const get = jest.spyOn(axios.Axios.prototype, "get").mockResolvedValue({
+      data: {
+        totalCount: 1,
+        items: [
+          {
+            claimNumber: "C-100",
+            orderNumber: "4000001",
+            lineItemId: "L-1",
+            merchantSku: "KUPA-01",
+            quantity: 1,
+            price: { amount: 349.9 },
+            reasonCode: "Damaged",
+            status: "NewRequest",
+            createDate: "2026-10-18T09:00:00Z",
+          },
+        ],
+      },
+    });
+
+    const result = await createService().fetchClaims({ size: 20 });
+
+    expect(get.mock.calls[0][0]).toBe("/claims/merchantid/merchant-1");
+    expect(result.success).toBe(true);
+    expect(result.data[0]).toMatchObject({
+      externalClaimId: "C-100",
+      orderNumber: "4000001",
+      status: "pending",
+    });
+    expect(result.data[0].items[0]).toMatchObject({
+      externalItemIds: ["L-1"],
+      sku: "KUPA-01",
+      price: 349.9,
+    });
+  });
+
+  it("reports a rejected claim acceptance", async () => {
+    jest.spyOn(axios.Axios.prototype, "post").mockRejectedValue(
+      Object.assign(new Error("Request failed with status code 400"), {
+        response: { status: 400, data: { message: "Talep zaten kapatılmış" } },
+      })
+    );
+
+    const result = await createService().approveClaim("C-100");
+
+    expect(result).toEqual({
+      success: false,
+      message: "Failed to accept claim: Talep zaten kapatılmış",
+    });
+  });
+});
+
+describe("N11", () => {
+  const createService = () => {
+    const N11Service = require(N11_SERVICE);
+    return new N11Service(1, { apiKey: "key", apiSecret: "secret" });
+  };
+
+  it("normalizes return requests", async () => {
+    jest.spyOn(axios.Axios.prototype, "get").mockResolvedValue({
+      data: {
+        page: 0,
+        size: 50,
+        totalPages: 1,
+        totalElements: 1,
+        content: [
+          {
+            id: 77,
+            orderNumber: 2000001,
+            status: "APPROVED",
+            returnReason: "DEFECTIVE",
+            items: [{ orderItemId: 9, sellerStockCode: "LAMBA-01", quantity: 2 }],
+          },
+        ],
+      },
+    });
+
+    const result = await createService().fetchClaims();
+
+    expect(result.success).toBe(true);
+    expect(result.data[0]).toMatchObject({
+      externalClaimId: "77",
+      orderNumber: "2000001",
+      status: "approved",
+    });
+    expect(result.data[0].items[0]).toMatchObject({
+      externalItemIds: ["9"],
+      sku: "LAMBA-01",
+      quantity: 2,
+    });
+  });
+
+  it("needs a reason to reject a return", async () => {
+    const post = jest.spyOn(axios.Axios.prototype, "post");
+
+    const result = await createService().rejectClaim("77", ["9"], {});
+
+    expect(result.success).toBe(false);
+    expect(result.message).toMatch(/rejection reason is required/);
+    expect(post).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,288 @@
+/**
+ * Amazon, Pazarama and Çiçeksepeti order integrations replayed against the
+ * recorded HTTP fixtures in
+ * modules/order-management/services/platforms/recorded-responses
+ */
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const axios = require("axios");
+
+process.env.PLATFORM_HTTP_FIXTURES = "replay";
+
+const { Order } = require("../../models");
+const {
+  attachHttpFixtures,
+  getFixturePath,
+} = require("../../modules/order-management/services/platforms/http-fixtures");
+const AmazonService = require("../../modules/order-management/services/platforms/amazon/amazon-service");
+const PazaramaService = require("../../modules/order-management/services/platforms/pazarama/pazarama-service");
+const CiceksepetiService = require("../../modules/order-management/services/platforms/ciceksepeti/ciceksepeti-service");
+
+const CREDENTIALS = {
+  amazon: {
+    clientId: "client",
+    clientSecret: "secret",
+    refreshToken: "refresh",
+    sellerId: "seller",
+  },
+  pazarama: { apiKey: "key", apiSecret: "secret" },
+  ciceksepeti: { apiKey: "key" },
+};
+
+// Orders are stored by saveNormalizedOrders; keep them in memory instead
+const createService = (Service, credentials) => {
+  const service = new Service(1, credentials);
+  jest
+    .spyOn(service, "saveNormalizedOrders")
+    .mockImplementation(async (orders) => ({ data: orders, stats: {} }));
+  return service;
+};
+
+const writeFixture = (dir, platform, file, responses) => {
+  fs.mkdirSync(path.join(dir, platform), { recursive: true });
+  fs.writeFileSync(path.join(dir, platform, file), JSON.stringify(responses));
+};
+
+const storedOrder = (values) => ({
+  ...values,
+  update: jest.fn(async function (changes) {
+    return Object.assign(this, changes);
+  }),
+});
+
+const range = { startDate: "2026-10-17", endDate: "2026-10-19" };
+
+let fixturesDir;
+
+beforeEach(() => {
+  fixturesDir = fs.mkdtempSync(path.join(os.tmpdir(), "platform-fixtures-"));
+});
+
+afterEach(() => {
+  delete process.env.PLATFORM_FIXTURES_DIR;
+  fs.rmSync(fixturesDir, { recursive: true, force: true });
+  jest.restoreAllMocks();
+});
+
+describe("Pazarama", () => {
+  it("fetches and normalizes recorded orders", async () => {
+    const service = createService(PazaramaService, CREDENTIALS.pazarama);
+
+    const result = await service.fetchOrders(range);
+
+    expect(result.success).toBe(true);
+    expect(result.data).toHaveLength(1);
+    expect(result.data[0]).toMatchObject({
+      externalOrderId: "230000101",
+      orderStatus: "new",
+      totalAmount: 349.9,
+      customerName: "Ayşe Yılmaz",
+      shipping: { city: "İstanbul", state: "Kadıköy", phone: "5550000000" },
+    });
+    expect(result.data[0].items).toEqual([
+      expect.objectContaining({ sku: "KUPA-01", quantity: 1, price: 349.9 }),
+    ]);
+  });
+
+  it("updates every order item's status", async () => {
+    const service = createService(PazaramaService, CREDENTIALS.pazarama);
+    const order = storedOrder({
+      id: "order-1",
+      externalOrderId: "230000101",
+      rawData: JSON.stringify({
+        items: [{ orderItemId: "item-1" }, { orderItemId: "item-2" }],
+      }),
+    });
+    jest.spyOn(Order, "findByPk").mockResolvedValue(order);
+    const put = jest.spyOn(axios.Axios.prototype, "put");
+
+    const result = await service.updateOrderStatus("order-1", "shipped");
+
+    expect(result.success).toBe(true);
+    expect(put).toHaveBeenCalledTimes(2);
+    expect(put.mock.calls[1][1]).toEqual({
+      orderNumber: "230000101",
+      item: { orderItemId: "item-2", status: 5 },
+    });
+    expect(order.update).toHaveBeenCalledWith(
+      expect.objectContaining({ orderStatus: "shipped" })
+    );
+  });
+
+  it("refuses statuses Pazarama has no code for", async () => {
+    const service = createService(PazaramaService, CREDENTIALS.pazarama);
+    jest
+      .spyOn(Order, "findByPk")
+      .mockResolvedValue(storedOrder({ id: "order-1", rawData: "{}" }));
+
+    const result = await service.updateOrderStatus("order-1", "returned");
+
+    expect(result.success).toBe(false);
+    expect(result.message).toMatch(/Cannot map status 'returned'/);
+  });
+
+  it("reports a rejected token request as a failed connection test", async () => {
+    process.env.PLATFORM_FIXTURES_DIR = fixturesDir;
+    writeFixture(fixturesDir, "pazarama", "POST_connect_token.json", [
+      { status: 401, data: { error_description: "invalid_client" } },
+    ]);
+    const service = createService(PazaramaService, CREDENTIALS.pazarama);
+
+    const result = await service.testConnection();
+
+    expect(result.success).toBe(false);
+    expect(result.message).toBe("Connection failed: invalid_client");
+  });
+
+  it("fails without credentials before calling the API", async () => {
+    const service = createService(PazaramaService, {});
+
+    const result = await service.fetchOrders(range);
+
+    expect(result.success).toBe(false);
+    expect(result.message).toMatch(/Missing required Pazarama credentials/);
+  });
+});
+
+describe("Amazon", () => {
+  it("fetches orders with their items", async () => {
+    const service = createService(AmazonService, CREDENTIALS.amazon);
+
+    const result = await service.fetchOrders(range);
+
+    expect(result.success).toBe(true);
+    expect(result.data).toHaveLength(1);
+    expect(result.data[0]).toMatchObject({
+      externalOrderId: "403-1234567-1234567",
+      orderStatus: "new",
+      totalAmount: 499,
+      currency: "TRY",
+    });
+    expect(result.data[0].items).toEqual([
+      expect.objectContaining({ sku: "LAMBA-01", quantity: 1, price: 499 }),
+    ]);
+  });
+
+  it("needs a tracking number to confirm shipment", async () => {
+    const service = createService(AmazonService, CREDENTIALS.amazon);
+    jest.spyOn(Order, "findByPk").mockResolvedValue(
+      storedOrder({
+        id: "order-1",
+        externalOrderId: "403-1234567-1234567",
+        cargoTrackingNumber: null,
+      })
+    );
+
+    const result = await service.updateOrderStatus("order-1", "shipped");
+
+    expect(result.success).toBe(false);
+    expect(result.message).toMatch(/tracking number is required/);
+  });
+
+  it("fails when an endpoint has no recorded response", async () => {
+    process.env.PLATFORM_FIXTURES_DIR = fixturesDir;
+    const service = createService(AmazonService, CREDENTIALS.amazon);
+
+    const result = await service.fetchOrders(range);
+
+    expect(result.success).toBe(false);
+    expect(result.message).toMatch(/No recorded response/);
+  });
+});
+
+describe("Çiçeksepeti", () => {
+  it("groups order item rows into orders", async () => {
+    const service = createService(CiceksepetiService, CREDENTIALS.ciceksepeti);
+
+    const result = await service.fetchOrders(range);
+
+    expect(result.success).toBe(true);
+    expect(result.data.map((order) => order.orderNumber)).toEqual(["111", "112"]);
+    expect(result.data[0]).toMatchObject({ orderStatus: "new", totalAmount: 200 });
+    expect(result.data[0].items.map((item) => [item.sku, item.quantity])).toEqual([
+      ["G1", 1],
+      ["V1", 2],
+    ]);
+    expect(result.data[1]).toMatchObject({
+      orderStatus: "shipped",
+      cargoTrackingNumber: "TR1",
+    });
+  });
+
+  it("marks order items ready for cargo", async () => {
+    const service = createService(CiceksepetiService, CREDENTIALS.ciceksepeti);
+    const order = storedOrder({
+      id: "order-1",
+      rawData: { items: [{ orderItemId: 1 }, { orderItemId: 2 }] },
+    });
+    jest.spyOn(Order, "findByPk").mockResolvedValue(order);
+
+    const result = await service.updateOrderStatus("order-1", "processing");
+
+    expect(result.success).toBe(true);
+    expect(order.orderStatus).toBe("processing");
+  });
+
+  it("reports an error answer of the API", async () => {
+    process.env.PLATFORM_FIXTURES_DIR = fixturesDir;
+    writeFixture(fixturesDir, "ciceksepeti", "POST_Order_GetOrders.json", [
+      { status: 400, data: { message: "Geçersiz tarih aralığı" } },
+    ]);
+    const service = createService(CiceksepetiService, CREDENTIALS.ciceksepeti);
+
+    const result = await service.fetchOrders(range);
+
+    expect(result.success).toBe(false);
+    expect(result.message).toMatch(/Geçersiz tarih aralığı/);
+  });
+});
+
+describe("http-fixtures", () => {
+  it("names fixtures by method and path", () => {
+    process.env.PLATFORM_FIXTURES_DIR = fixturesDir;
+
+    expect(
+      getFixturePath("amazon", {
+        method: "get",
+        baseURL: "https://sellingpartnerapi-eu.amazon.com",
+        url: "/orders/v0/orders/403-1/orderItems?x=1",
+      })
+    ).toBe(path.join(fixturesDir, "amazon", "GET_orders_v0_orders_403-1_orderItems.json"));
+  });
+
+  it("records responses without their access tokens", async () => {
+    process.env.PLATFORM_FIXTURES_DIR = fixturesDir;
+    process.env.PLATFORM_HTTP_FIXTURES = "record";
+    try {
+      const client = attachHttpFixtures(
+        axios.create({
+          baseURL: "https://example.test",
+          adapter: async (config) => ({
+            data: { access_token: "live-secret", expires_in: 3600 },
+            status: 200,
+            statusText: "OK",
+            headers: {},
+            config,
+          }),
+        }),
+        "pazarama"
+      );
+
+      await client.post("/connect/token");
+    } finally {
+      process.env.PLATFORM_HTTP_FIXTURES = "replay";
+    }
+
+    const recorded = JSON.parse(
+      fs.readFileSync(path.join(fixturesDir, "pazarama", "POST_connect_token.json"), "utf8")
+    );
+    expect(recorded).toEqual([
+      {
+        status: 200,
+        statusText: "OK",
+        data: { access_token: "recorded-token", expires_in: 3600 },
+      },
+    ]);
+  });
+});
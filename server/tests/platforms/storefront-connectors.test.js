@@ -0,0 +1,291 @@
+/**
+ * WooCommerce and Shopify connectors against scripts/storefront-mock-server.js
+ */
+const crypto = require("crypto");
+const express = require("express");
+
+const { Order } = require("../../models");
+const { createStorefrontMockServer } = require("../../scripts/storefront-mock-server");
+const WooCommerceService = require("../../modules/order-management/services/platforms/woocommerce/woocommerce-service");
+const ShopifyService = require("../../modules/order-management/services/platforms/shopify/shopify-service");
+
+const listen = (app) =>
+  new Promise((resolve) => {
+    const server = app.listen(0, "127.0.0.1", () => resolve(server));
+  });
+
+const urlOf = (server) => `http://127.0.0.1:${server.address().port}`;
+
+const close = (server) => new Promise((resolve) => server.close(resolve));
+
+// Orders are stored by saveNormalizedOrders; keep them in memory instead
+const createService = (Service, credentials) => {
+  const service = new Service(1, credentials);
+  jest
+    .spyOn(service, "saveNormalizedOrders")
+    .mockImplementation(async (orders) => ({ data: orders, stats: {} }));
+  return service;
+};
+
+const storedOrder = (values) => ({
+  ...values,
+  update: jest.fn(async function (changes) {
+    return Object.assign(this, changes);
+  }),
+});
+
+const range = () => ({
+  startDate: new Date(Date.now() - 24 * 60 * 60 * 1000),
+  endDate: new Date(Date.now() + 60 * 60 * 1000),
+});
+
+let mock;
+let server;
+let shopUrl;
+
+beforeEach(async () => {
+  mock = createStorefrontMockServer();
+  server = await listen(mock.app);
+  shopUrl = urlOf(server);
+});
+
+afterEach(async () => {
+  await close(server);
+  jest.restoreAllMocks();
+});
+
+describe("WooCommerce", () => {
+  const credentials = () => ({
+    storeUrl: shopUrl,
+    consumerKey: "ck_mock",
+    consumerSecret: "cs_mock",
+    webhookSecret: "whsec_mock",
+  });
+
+  it("imports orders of the shop", async () => {
+    await fetch(`${shopUrl}/__mock/woocommerce/orders`, { method: "POST" });
+    const service = createService(WooCommerceService, credentials());
+
+    const result = await service.fetchOrders(range());
+
+    expect(result.success).toBe(true);
+    expect(result.data).toHaveLength(1);
+    expect(result.data[0]).toMatchObject({
+      orderStatus: "processing",
+      totalAmount: 259.9,
+      customerName: "Zeynep Demir",
+    });
+    expect(result.data[0].items).toEqual([
+      expect.objectContaining({ sku: "BAMBU-01", quantity: 2 }),
+    ]);
+  });
+
+  it("completes a shipped order on the shop", async () => {
+    const created = await (
+      await fetch(`${shopUrl}/__mock/woocommerce/orders`, { method: "POST" })
+    ).json();
+    const service = createService(WooCommerceService, credentials());
+    jest
+      .spyOn(Order, "findByPk")
+      .mockResolvedValue(storedOrder({ id: "order-1", externalOrderId: String(created.id) }));
+
+    const result = await service.updateOrderStatus("order-1", "shipped");
+
+    expect(result.success).toBe(true);
+    expect(mock.state.woocommerce.orders[0].status).toBe("completed");
+  });
+
+  it("pushes product price and stock", async () => {
+    const service = createService(WooCommerceService, credentials());
+
+    const created = await service.createProduct({
+      name: "Bambu Kesme Tahtası",
+      sku: "BAMBU-01",
+      price: 149.9,
+      discountedPrice: 129.9,
+      stockQuantity: 5,
+    });
+    const updated = await service.updateProduct(created.externalId, {
+      price: 139.9,
+      stockQuantity: -2,
+    });
+
+    expect(created.status).toBe("success");
+    expect(updated.status).toBe("success");
+    expect(mock.state.woocommerce.products[0]).toMatchObject({
+      sku: "BAMBU-01",
+      regular_price: "139.9",
+      sale_price: "129.9",
+      manage_stock: true,
+      stock_quantity: 0,
+    });
+  });
+
+  it("reports products missing on the shop", async () => {
+    const service = createService(WooCommerceService, credentials());
+
+    const updated = await service.updateProduct("999", { price: 10 });
+    const deleted = await service.deleteProduct("999");
+
+    expect(updated).toMatchObject({ status: "error", error: "Invalid ID." });
+    expect(deleted.status).toBe("skipped");
+  });
+
+  it("fails the connection test with wrong keys", async () => {
+    const service = createService(WooCommerceService, {
+      ...credentials(),
+      consumerSecret: "wrong",
+    });
+
+    const result = await service.testConnection();
+
+    expect(result.success).toBe(false);
+    expect(result.message).toMatch(/Sorry, you cannot list resources/);
+  });
+
+  it("receives signed order webhooks", async () => {
+    const deliveries = [];
+    const receiver = express();
+    receiver.post("/webhooks", express.raw({ type: "*/*" }), (req, res) => {
+      deliveries.push({ body: req.body, headers: req.headers });
+      res.sendStatus(200);
+    });
+    const receiverServer = await listen(receiver);
+
+    try {
+      const service = createService(WooCommerceService, credentials());
+      const registered = await service.registerWebhooks(`${urlOf(receiverServer)}/webhooks`);
+      const again = await service.registerWebhooks(`${urlOf(receiverServer)}/webhooks`);
+      await fetch(`${shopUrl}/__mock/woocommerce/orders`, { method: "POST" });
+
+      expect(registered.data.created).toEqual(["order.created", "order.updated", "order.deleted"]);
+      expect(again.data.created).toEqual([]);
+      expect(deliveries).toHaveLength(1);
+
+      const [{ body, headers }] = deliveries;
+      expect(service.verifyWebhook(body, headers)).toBe(true);
+      expect(service.verifyWebhook(Buffer.from(`${body} `), headers)).toBe(false);
+
+      const handled = await service.handleWebhook(JSON.parse(body), headers);
+      expect(handled.success).toBe(true);
+      expect(handled.data[0].items[0].sku).toBe("BAMBU-01");
+    } finally {
+      await close(receiverServer);
+    }
+  });
+
+  it("needs a webhook secret to register webhooks", async () => {
+    const service = createService(WooCommerceService, {
+      ...credentials(),
+      webhookSecret: undefined,
+    });
+
+    const result = await service.registerWebhooks("http://127.0.0.1/webhooks");
+
+    expect(result.success).toBe(false);
+    expect(result.message).toMatch(/webhook secret is required/);
+  });
+});
+
+describe("Shopify", () => {
+  const credentials = () => ({
+    shopDomain: shopUrl,
+    accessToken: "shpat_mock",
+    apiSecret: "whsec_mock",
+  });
+
+  it("imports orders of the shop", async () => {
+    await fetch(`${shopUrl}/__mock/shopify/orders`, { method: "POST" });
+    const service = createService(ShopifyService, credentials());
+
+    const result = await service.fetchOrders(range());
+
+    expect(result.success).toBe(true);
+    expect(result.data).toHaveLength(1);
+    expect(result.data[0]).toMatchObject({ orderStatus: "new", totalAmount: 449 });
+    expect(result.data[0].items).toEqual([
+      expect.objectContaining({ sku: "KETEN-01", quantity: 1 }),
+    ]);
+  });
+
+  it("fulfills a shipped order with its tracking number", async () => {
+    const created = await (
+      await fetch(`${shopUrl}/__mock/shopify/orders`, { method: "POST" })
+    ).json();
+    const service = createService(ShopifyService, credentials());
+    jest.spyOn(Order, "findByPk").mockResolvedValue(
+      storedOrder({
+        id: "order-1",
+        externalOrderId: String(created.id),
+        cargoTrackingNumber: "YK123",
+        cargoCompany: "Yurtiçi Kargo",
+      })
+    );
+
+    const result = await service.updateOrderStatus("order-1", "shipped");
+    const again = await service.updateOrderStatus("order-1", "shipped");
+
+    expect(result.success).toBe(true);
+    expect(mock.state.shopify.orders[0].fulfillments).toEqual([
+      expect.objectContaining({ tracking_number: "YK123", tracking_company: "Yurtiçi Kargo" }),
+    ]);
+    expect(again.success).toBe(false);
+    expect(again.message).toMatch(/no open fulfillment orders/);
+  });
+
+  it("sets price and inventory of the product's variant", async () => {
+    const service = createService(ShopifyService, credentials());
+
+    const created = await service.createProduct({
+      name: "Keten Masa Örtüsü",
+      sku: "KETEN-01",
+      price: 449,
+      stockQuantity: 3,
+    });
+    const updated = await service.updateProduct(created.externalId, {
+      price: 499,
+      discountedPrice: 449,
+      stockQuantity: 7,
+    });
+
+    expect(updated.status).toBe("success");
+    const [variant] = mock.state.shopify.products[0].variants;
+    expect(variant).toMatchObject({ price: "449", compare_at_price: "499" });
+    expect(mock.state.shopify.inventoryLevels[`${variant.inventory_item_id}-7001`]).toMatchObject({
+      available: 7,
+    });
+  });
+
+  it("fails the connection test with a wrong access token", async () => {
+    const service = createService(ShopifyService, {
+      ...credentials(),
+      accessToken: "wrong",
+    });
+
+    const result = await service.testConnection();
+
+    expect(result.success).toBe(false);
+    expect(result.message).toMatch(/Invalid API key or access token/);
+  });
+
+  it("verifies and processes order webhooks", async () => {
+    const service = createService(ShopifyService, credentials());
+    await service.initialize();
+    const body = JSON.stringify({ id: 1, line_items: [] });
+    const headers = {
+      "x-shopify-topic": "orders/create",
+      "x-shopify-hmac-sha256": crypto
+        .createHmac("sha256", "whsec_mock")
+        .update(body)
+        .digest("base64"),
+    };
+
+    expect(service.verifyWebhook(body, headers)).toBe(true);
+    expect(
+      service.verifyWebhook(body, { ...headers, "x-shopify-hmac-sha256": "forged" })
+    ).toBe(false);
+    expect(
+      await service.handleWebhook(JSON.parse(body), { "x-shopify-topic": "carts/update" })
+    ).toEqual({ success: true, message: "Ignored webhook topic carts/update" });
+  });
+});
@@ -0,0 +1,834 @@
+/**
+ * Accounting: the chart of accounts mapping, balanced journals, locked
+ * periods, fee booking and the export formats, with Paraşüt sync against
+ * scripts/parasut-mock-server.js
+ */
+const {
+  AccountingPeriod,
+  Invoice,
+  MarketplaceFee,
+  Order,
+  PlatformConnection,
+  Settings,
+} = require("../../models");
+const accounting = require("../../services/accounting-service");
+const parasutService = require("../../services/parasutService");
+const exportService = require("../../modules/order-management/services/exportService");
+const { createParasutMockServer } = require("../../scripts/parasut-mock-server");
+
+const USER_ID = "7c9e6679-7425-40de-944b-e07fc1f90ae7";
+const PERIOD = "2026-09";
+
+const MAPPING = {
+  defaults: { commissionServiceCode: "HZM-KOM" },
+  platforms: {
+    trendyol: {
+      customerCode: "120.01.001",
+      receivable: "120.01",
+      vatRates: { 10: { sales: "600.10" } },
+    },
+  },
+  vatRates: { 10: { outputVat: "391.10" } },
+};
+
+const PARASUT_CREDENTIALS = {
+  companyId: "1",
+  clientId: "mock",
+  clientSecret: "mock",
+  username: "mock",
+  password: "mock",
+};
+
+const listen = (app) =>
+  new Promise((resolve) => {
+    const server = app.listen(0, "127.0.0.1", () => resolve(server));
+  });
+
+const urlOf = (server) => `http://127.0.0.1:${server.address().port}`;
+
+const close = (server) => new Promise((resolve) => server.close(resolve));
+
+const withUpdate = (fields) => ({
+  update: jest.fn(async function (changes) {
+    return Object.assign(this, changes);
+  }),
+  ...fields,
+});
+
+const trendyolOrder = {
+  platform: "trendyol",
+  orderNumber: "TY-1001",
+  customerName: "Ayşe Yılmaz",
+};
+
+// A sale at 20% and 10% VAT, its partial return, a commission and a
+// refunded shipping fee
+const records = () => ({
+  invoices: [
+    withUpdate({
+      id: "inv-1",
+      type: "sales",
+      invoiceNumber: "PZR2026000000001",
+      issueDate: "2026-09-05T09:00:00Z",
+      documentType: "e-archive",
+      currency: "TRY",
+      order: trendyolOrder,
+      lineItems: [
+        {
+          description: "Fren Balatası Ön",
+          sku: "FB-1001",
+          quantity: 2,
+          unitPrice: 375,
+          taxRate: 0.2,
+          amount: 750,
+          taxAmount: 150,
+        },
+        {
+          description: "Bakım Kitabı",
+          sku: "KT-1",
+          quantity: 1,
+          unitPrice: 100,
+          taxRate: 0.1,
+          amount: 100,
+          taxAmount: 10,
+        },
+      ],
+      metadata: {},
+    }),
+    withUpdate({
+      id: "inv-2",
+      type: "return",
+      invoiceNumber: "PZR2026000000002",
+      // 21 September in Turkish time
+      issueDate: "2026-09-20T21:30:00Z",
+      documentType: "e-archive",
+      currency: "TRY",
+      order: trendyolOrder,
+      originalInvoice: { invoiceNumber: "PZR2026000000001", issueDate: "2026-09-05T09:00:00Z" },
+      lineItems: [
+        {
+          description: "Fren Balatası Ön",
+          sku: "FB-1001",
+          quantity: 1,
+          unitPrice: 375,
+          taxRate: 0.2,
+          amount: 375,
+          taxAmount: 75,
+        },
+      ],
+      metadata: {},
+    }),
+  ],
+  fees: [
+    withUpdate({
+      id: "fee-1",
+      type: "commission",
+      platform: "trendyol",
+      documentNumber: "TYC2026000000123",
+      externalId: "TY-COM-1",
+      orderNumber: "TY-1001",
+      description: "Komisyon TY-1001",
+      feeDate: "2026-09-06T10:00:00Z",
+      netAmount: "150.00",
+      vatRate: "20.00",
+      vatAmount: "30.00",
+      currency: "TRY",
+      metadata: null,
+    }),
+    withUpdate({
+      id: "fee-2",
+      type: "shipping",
+      platform: "hepsiburada",
+      documentNumber: null,
+      externalId: "HB-SHP-77",
+      orderNumber: null,
+      description: null,
+      feeDate: "2026-09-28T12:00:00Z",
+      netAmount: "-40.00",
+      vatRate: "20.00",
+      vatAmount: "-8.00",
+      currency: "TRY",
+      metadata: null,
+    }),
+  ],
+});
+
+let data;
+let period;
+let written;
+
+beforeEach(() => {
+  data = records();
+  period = AccountingPeriod.build({ userId: USER_ID, period: PERIOD, status: "open" });
+  jest.spyOn(period, "update").mockImplementation(async function (changes) {
+    return this.set(changes);
+  });
+  written = [];
+
+  jest.spyOn(Settings, "findOne").mockImplementation(async ({ where }) =>
+    where.category === "accounting"
+      ? { settings: MAPPING }
+      : { settings: PARASUT_CREDENTIALS }
+  );
+  // Documents of the month, or the records sendToParasut marks as sent
+  jest.spyOn(Invoice, "findAll").mockImplementation(async () => data.invoices);
+  jest.spyOn(MarketplaceFee, "findAll").mockImplementation(async () => data.fees);
+  jest.spyOn(AccountingPeriod, "findOne").mockResolvedValue(null);
+  jest.spyOn(AccountingPeriod, "findOrCreate").mockResolvedValue([period, true]);
+  jest
+    .spyOn(exportService, "writeExportFile")
+    .mockImplementation((name, userId, extension, content) => {
+      written.push(content);
+      return { filename: `${name}.${extension}`, url: `/exports/${name}.${extension}` };
+    });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const lines = (entry) =>
+  entry.lines.map(({ account, debit, credit }) => [account, debit, credit]);
+
+const exported = async (dataset, format) => {
+  await accounting.exportPeriod(USER_ID, PERIOD, { dataset, format });
+  return written[written.length - 1];
+};
+
+describe("account mapping", () => {
+  it("prefers the platform rate code, then the platform, the rate and the default", async () => {
+    const resolve = accounting.createResolver(await accounting.getMapping(USER_ID));
+
+    expect(resolve("sales", "trendyol", 10)).toBe("600.10");
+    expect(resolve("sales", "trendyol", 20)).toBe("600");
+    expect(resolve("outputVat", "trendyol", 10)).toBe("391.10");
+    expect(resolve("outputVat", "hepsiburada", "10.00")).toBe("391.10");
+    expect(resolve("receivable", "trendyol")).toBe("120.01");
+    expect(resolve("receivable", "hepsiburada")).toBe("120");
+    expect(resolve("customerCode", "trendyol")).toBe("120.01.001");
+    expect(resolve("customerCode", "hepsiburada")).toBe("HEPSIBURADA");
+    expect(resolve("commissionServiceCode", "n11", 20)).toBe("HZM-KOM");
+  });
+
+  it("reports unknown keys, empty codes and invalid VAT rates", () => {
+    expect(
+      accounting.validateMapping({
+        defaults: { sales: "600", bank: "102" },
+        platforms: { trendyol: { receivable: " ", vatRates: { 120: { sales: "600" } } } },
+        vatRates: { "8.5": { outputVat: "391.08" }, KDV: {} },
+      })
+    ).toEqual([
+      "defaults.bank is not a mapping key",
+      "platforms.trendyol.receivable must be a code",
+      "platforms.trendyol.vatRates.120 is not a VAT rate percentage",
+      "vatRates.KDV is not a VAT rate percentage",
+    ]);
+  });
+
+  it("keeps the sections a save leaves out", async () => {
+    const settings = withUpdate({ settings: MAPPING });
+    jest.spyOn(Settings, "findOrCreate").mockResolvedValue([settings, false]);
+
+    await accounting.saveMapping(USER_ID, { vatRates: {} });
+
+    expect(settings.settings).toEqual({ ...MAPPING, vatRates: {} });
+  });
+});
+
+describe("journal", () => {
+  it("books every document as a balanced entry", async () => {
+    const journal = await accounting.getJournal(USER_ID, PERIOD);
+
+    journal.entries.forEach((entry) => expect(entry.debit).toBe(entry.credit));
+    expect(journal.totals).toEqual({ debit: 1688, credit: 1688 });
+    expect(journal.accounts.reduce((total, account) => total + account.balance, 0)).toBeCloseTo(0);
+  });
+
+  it("credits sales and VAT per rate and reverses them for returns", async () => {
+    const { entries } = await accounting.getJournal(USER_ID, PERIOD);
+
+    expect(lines(entries[0])).toEqual([
+      ["120.01", 1010, 0],
+      ["600", 0, 750],
+      ["391", 0, 150],
+      ["600.10", 0, 100],
+      ["391.10", 0, 10],
+    ]);
+    expect(lines(entries[2])).toEqual([
+      ["610", 375, 0],
+      ["391", 75, 0],
+      ["120.01", 0, 450],
+    ]);
+    expect(entries[2].description).toBe("trendyol İade faturası PZR2026000000002");
+  });
+
+  it("debits fees and deductible VAT to the marketplace and swaps refunds", async () => {
+    const { entries, accounts } = await accounting.getJournal(USER_ID, PERIOD);
+
+    expect(lines(entries[1])).toEqual([
+      ["760", 150, 0],
+      ["191", 30, 0],
+      ["320", 0, 180],
+    ]);
+    expect(lines(entries[3])).toEqual([
+      ["760", 0, 40],
+      ["191", 0, 8],
+      ["320", 48, 0],
+    ]);
+    expect(accounts).toEqual([
+      { account: "120.01", debit: 1010, credit: 450, balance: 560 },
+      { account: "191", debit: 30, credit: 8, balance: 22 },
+      { account: "320", debit: 48, credit: 180, balance: -132 },
+      { account: "391", debit: 75, credit: 150, balance: -75 },
+      { account: "391.10", debit: 0, credit: 10, balance: -10 },
+      { account: "600", debit: 0, credit: 750, balance: -750 },
+      { account: "600.10", debit: 0, credit: 100, balance: -100 },
+      { account: "610", debit: 375, credit: 0, balance: 375 },
+      { account: "760", debit: 150, credit: 40, balance: 110 },
+    ]);
+  });
+});
+
+describe("locked periods", () => {
+  const locked = () =>
+    AccountingPeriod.build({ userId: USER_ID, period: PERIOD, status: "locked" });
+
+  const fee = (fields = {}) =>
+    MarketplaceFee.build({
+      userId: USER_ID,
+      platform: "trendyol",
+      type: "commission",
+      source: "manual",
+      externalId: "manual-1",
+      feeDate: new Date("2026-09-15T10:00:00Z"),
+      netAmount: 100,
+      vatRate: 20,
+      vatAmount: 20,
+      total: 120,
+      currency: "TRY",
+      ...fields,
+    });
+
+  it("rejects fees and invoices dated in a locked month", async () => {
+    AccountingPeriod.findOne.mockImplementation(async ({ where }) =>
+      where.period === PERIOD ? locked() : null
+    );
+
+    await expect(fee().save()).rejects.toMatchObject({
+      message: "Accounting period 2026-09 is locked; unlock it before changing its records",
+      code: "PERIOD_LOCKED",
+      statusCode: 409,
+    });
+    await expect(
+      Invoice.build({
+        userId: USER_ID,
+        invoiceNumber: "PZR2026000000003",
+        type: "return",
+        issueDate: new Date("2026-09-30T20:00:00Z"),
+        subtotal: 10,
+        total: 12,
+      }).save()
+    ).rejects.toMatchObject({ code: "PERIOD_LOCKED" });
+    // 1 October 00:30 in Turkish time
+    const october = fee({ feeDate: new Date("2026-09-30T21:30:00Z") });
+    await expect(MarketplaceFee.runHooks("beforeCreate", october, {})).resolves.toBeUndefined();
+  });
+
+  it("rejects moving, changing or deleting a record of a locked month", async () => {
+    AccountingPeriod.findOne.mockImplementation(async ({ where }) =>
+      where.period === PERIOD ? locked() : null
+    );
+    // Built the way Sequelize loads a row
+    const stored = () =>
+      MarketplaceFee.build(
+        { ...fee().get(), id: "1b4e28ba-2fa1-11d2-883f-0016d3cca427" },
+        { isNewRecord: false, raw: true }
+      );
+
+    await expect(
+      stored().update({ feeDate: new Date("2026-10-02T10:00:00Z") })
+    ).rejects.toMatchObject({ code: "PERIOD_LOCKED" });
+    await expect(stored().update({ netAmount: 90 })).rejects.toMatchObject({
+      code: "PERIOD_LOCKED",
+    });
+    await expect(stored().destroy()).rejects.toMatchObject({ code: "PERIOD_LOCKED" });
+
+    const described = stored();
+    described.set("description", "Komisyon düzeltmesi");
+    await expect(MarketplaceFee.runHooks("beforeUpdate", described, {})).resolves.toBeUndefined();
+  });
+
+  it("locks an ended month and refuses exports once its records change", async () => {
+    await accounting.lockPeriod(USER_ID, PERIOD, "KDV beyannamesi verildi");
+    expect(period).toMatchObject({
+      status: "locked",
+      totals: { sales: { count: 1, total: 1010 } },
+    });
+
+    AccountingPeriod.findOne.mockResolvedValue(period);
+    await expect(exported("journal", "csv")).resolves.toContain("Date");
+
+    data.fees[0].netAmount = "155.00";
+    await expect(
+      accounting.exportPeriod(USER_ID, PERIOD, { dataset: "journal", format: "csv" })
+    ).rejects.toMatchObject({ statusCode: 409 });
+    expect((await accounting.getPeriodSummary(USER_ID, PERIOD)).changedSinceLock).toBe(true);
+  });
+
+  it("locks a month on its first export and only an ended month", async () => {
+    const result = await accounting.exportPeriod(USER_ID, PERIOD, {
+      dataset: "sales",
+      format: "logo",
+    });
+
+    expect(result).toMatchObject({ documents: 1, locked: true });
+    expect(period.history).toEqual([
+      expect.objectContaining({ action: "locked", reason: "Exported sales as logo" }),
+    ]);
+    await expect(accounting.lockPeriod(USER_ID, "2026-10")).rejects.toMatchObject({
+      statusCode: 409,
+    });
+    await expect(accounting.unlockPeriod(USER_ID, "2026-08", "Düzeltme")).rejects.toMatchObject({
+      message: "2026-08 is not locked",
+    });
+  });
+});
+
+describe("fees", () => {
+  const result = () => ({
+    fetched: 0,
+    created: 0,
+    updated: 0,
+    unchanged: 0,
+    locked: 0,
+    errors: [],
+  });
+
+  it("books fees entered by hand with their VAT and order", async () => {
+    jest.spyOn(Order, "findOne").mockResolvedValue({ id: "order-1", connectionId: 3 });
+    const create = jest
+      .spyOn(MarketplaceFee, "create")
+      .mockImplementation(async (values) => values);
+
+    const [fee] = await accounting.createFees(USER_ID, [
+      {
+        platform: "trendyol",
+        type: "shipping",
+        feeDate: "2026-09-10",
+        netAmount: "99.99",
+        orderNumber: "TY-1001",
+      },
+    ]);
+
+    expect(fee).toMatchObject({
+      connectionId: 3,
+      orderId: "order-1",
+      source: "manual",
+      netAmount: 99.99,
+      vatRate: 20,
+      vatAmount: 20,
+      total: 119.99,
+      currency: "TRY",
+    });
+    expect(fee.externalId).toMatch(/^manual-/);
+    expect(create).toHaveBeenCalledTimes(1);
+  });
+
+  it("books n11 commissions with 20% VAT and counts fees of locked months", async () => {
+    jest.spyOn(PlatformConnection, "findAll").mockResolvedValue([]);
+    jest.spyOn(Order, "findAll").mockResolvedValue([
+      {
+        orderNumber: "N11-500",
+        connectionId: 4,
+        orderDate: new Date("2026-09-12T08:00:00Z"),
+        currency: "TRY",
+        n11Order: { id: 500, platformFees: "45.50" },
+      },
+      {
+        orderNumber: "N11-501",
+        connectionId: 4,
+        orderDate: new Date("2026-09-13T08:00:00Z"),
+        n11Order: { id: 501, platformFees: "12.00" },
+      },
+    ]);
+    jest.spyOn(Order, "findOne").mockResolvedValue({ id: "order-500" });
+    jest.spyOn(MarketplaceFee, "findOne").mockResolvedValue(null);
+    const create = jest
+      .spyOn(MarketplaceFee, "create")
+      .mockResolvedValueOnce({})
+      .mockRejectedValueOnce(Object.assign(new Error("locked"), { code: "PERIOD_LOCKED" }));
+
+    const synced = await accounting.syncFees(USER_ID, PERIOD);
+
+    expect(synced).toMatchObject({ fetched: 2, created: 1, locked: 1, errors: [] });
+    expect(create.mock.calls[0][0]).toMatchObject({
+      platform: "n11",
+      externalId: "order-500",
+      source: "order",
+      type: "commission",
+      netAmount: 45.5,
+      vatRate: 20,
+      vatAmount: 9.1,
+      total: 54.6,
+    });
+  });
+
+  it("updates a synced fee only when its booked values changed", async () => {
+    const stored = withUpdate({
+      type: "commission",
+      documentNumber: "TYC2026000000123",
+      currency: "TRY",
+      orderId: null,
+      feeDate: "2026-09-06T10:00:00.000Z",
+      netAmount: "150.00",
+      vatRate: "20.00",
+      vatAmount: "30.00",
+      total: "180.00",
+    });
+    jest.spyOn(MarketplaceFee, "findOne").mockResolvedValue(stored);
+    const fetched = {
+      externalId: "TY-COM-1",
+      type: "commission",
+      documentNumber: "TYC2026000000123",
+      feeDate: "2026-09-06T10:00:00Z",
+      netAmount: 150,
+      vatRate: 20,
+      vatAmount: 30,
+      total: 180,
+      currency: "TRY",
+    };
+    const counts = result();
+
+    await accounting.storeFee(USER_ID, "trendyol", 1, "settlement", fetched, counts);
+    await accounting.storeFee(
+      USER_ID,
+      "trendyol",
+      1,
+      "settlement",
+      { ...fetched, netAmount: 160, vatAmount: 32, total: 192 },
+      counts
+    );
+
+    expect(counts).toMatchObject({ fetched: 2, unchanged: 1, updated: 1 });
+    expect(stored.netAmount).toBe(160);
+  });
+});
+
+describe("export formats", () => {
+  it("refuses datasets a format does not take", async () => {
+    await expect(
+      accounting.exportPeriod(USER_ID, PERIOD, { dataset: "journal", format: "parasut" })
+    ).rejects.toMatchObject({ message: "parasut exports do not include journal", statusCode: 400 });
+    await expect(
+      accounting.exportPeriod(USER_ID, PERIOD, { dataset: "sales", format: "csv" })
+    ).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  it("writes Logo sales invoices", async () => {
+    expect(await exported("invoices", "logo")).toBe(LOGO_INVOICES);
+  });
+
+  it("writes Logo purchase invoices for fees", async () => {
+    expect(await exported("shipping", "logo")).toBe(LOGO_SHIPPING);
+  });
+
+  it("writes a Logo journal", async () => {
+    const content = await exported("journal", "logo");
+
+    expect(content.startsWith(LOGO_JOURNAL_START)).toBe(true);
+    expect(content.match(/<GL_SLIP DBOP="INS">/g)).toHaveLength(4);
+  });
+
+  it("writes Mikro files with semicolons and decimal commas", async () => {
+    expect(await exported("returns", "mikro")).toBe(MIKRO_RETURNS);
+    expect(await exported("commissions", "mikro")).toBe(MIKRO_COMMISSIONS);
+    expect(await exported("journal", "mikro")).toBe(MIKRO_JOURNAL);
+  });
+
+  it("writes the Paraşüt import sheets", async () => {
+    expect(await exported("sales", "parasut")).toBe(PARASUT_SALES);
+    expect(await exported("shipping", "parasut")).toBe(PARASUT_SHIPPING);
+  });
+
+  it("writes the journal as a plain CSV", async () => {
+    expect(await exported("journal", "csv")).toBe(CSV_JOURNAL);
+  });
+});
+
+describe("Paraşüt sync", () => {
+  let server;
+  let mock;
+
+  beforeAll(async () => {
+    mock = createParasutMockServer();
+    server = await listen(mock.app);
+  });
+
+  afterAll(async () => {
+    await close(server);
+  });
+
+  beforeEach(() => {
+    Object.assign(mock.state, { contacts: [], salesInvoices: [], purchaseBills: [] });
+    jest.replaceProperty(parasutService, "baseURL", urlOf(server));
+    parasutService.tokens.clear();
+  });
+
+  it("sends invoices as sales invoices and fees as purchase bills", async () => {
+    const invoices = await accounting.exportPeriod(USER_ID, PERIOD, {
+      dataset: "invoices",
+      format: "parasut_api",
+    });
+    const fees = await accounting.exportPeriod(USER_ID, PERIOD, {
+      dataset: "commissions",
+      format: "parasut_api",
+    });
+    await accounting.exportPeriod(USER_ID, PERIOD, { dataset: "shipping", format: "parasut_api" });
+
+    expect(invoices).toMatchObject({ sent: 2, skipped: 0, failed: 0 });
+    expect(fees).toMatchObject({ sent: 1 });
+    expect(mock.state.contacts.map(({ attributes }) => attributes)).toEqual([
+      { name: "120.01.001", contact_type: "company", account_type: "customer" },
+      { name: "TRENDYOL", contact_type: "company", account_type: "supplier" },
+      { name: "HEPSIBURADA", contact_type: "company", account_type: "supplier" },
+    ]);
+
+    const [sale, refund] = mock.state.salesInvoices;
+    expect(sale.attributes).toEqual({
+      item_type: "invoice",
+      description: "TY-1001",
+      issue_date: "2026-09-05",
+      due_date: "2026-09-05",
+      invoice_series: "PZR",
+      invoice_id: 2026000000001,
+      currency: "TRL",
+    });
+    expect(sale.relationships.details.data.map(({ attributes }) => attributes)).toEqual([
+      { quantity: 2, unit_price: 375, vat_rate: 20, description: "Fren Balatası Ön" },
+      { quantity: 1, unit_price: 100, vat_rate: 10, description: "Bakım Kitabı" },
+    ]);
+    expect(refund.attributes).toMatchObject({
+      item_type: "refund",
+      description: "İade: PZR2026000000001",
+      issue_date: "2026-09-21",
+    });
+
+    expect(mock.state.purchaseBills.map(({ attributes }) => attributes)).toEqual([
+      expect.objectContaining({
+        item_type: "purchase_bill",
+        invoice_no: "TYC2026000000123",
+        description: "Komisyon TY-1001",
+      }),
+      expect.objectContaining({
+        item_type: "refund",
+        invoice_no: "HB-SHP-77",
+        description: "Kargo bedeli",
+      }),
+    ]);
+    expect(mock.state.purchaseBills[1].relationships.details.data[0].attributes).toEqual({
+      quantity: 1,
+      unit_price: 40,
+      vat_rate: 20,
+      description: "Kargo bedeli",
+    });
+    expect(data.invoices[0].metadata.parasutId).toBe(sale.id);
+  });
+
+  it("skips documents sent before", async () => {
+    await accounting.exportPeriod(USER_ID, PERIOD, { dataset: "sales", format: "parasut_api" });
+    const again = await accounting.exportPeriod(USER_ID, PERIOD, {
+      dataset: "sales",
+      format: "parasut_api",
+    });
+
+    expect(again).toMatchObject({ sent: 0, skipped: 1 });
+    expect(mock.state.salesInvoices).toHaveLength(1);
+  });
+
+  it("reports the invoices Paraşüt refused", async () => {
+    await accounting.exportPeriod(USER_ID, PERIOD, { dataset: "sales", format: "parasut_api" });
+    data = records();
+
+    await expect(
+      accounting.exportPeriod(USER_ID, PERIOD, { dataset: "sales", format: "parasut_api" })
+    ).rejects.toMatchObject({
+      message: "Paraşüt refused the documents: Invalid: invoice_id has already been taken",
+      statusCode: 502,
+    });
+  });
+});
+
+const LOGO_INVOICES = `<?xml version="1.0" encoding="UTF-8"?>
+<SALES_INVOICES>
+  <INVOICE DBOP="INS">
+    <TYPE>7</TYPE>
+    <NUMBER>PZR2026000000001</NUMBER>
+    <DOC_NUMBER>TY-1001</DOC_NUMBER>
+    <DATE>05.09.2026</DATE>
+    <ARP_CODE>120.01.001</ARP_CODE>
+    <NOTES1>Ayşe Yılmaz</NOTES1>
+    <TOTAL_DISCOUNTED>850.00</TOTAL_DISCOUNTED>
+    <TOTAL_VAT>160.00</TOTAL_VAT>
+    <TOTAL_GROSS>850.00</TOTAL_GROSS>
+    <TOTAL_NET>1010.00</TOTAL_NET>
+    <TRANSACTIONS>
+      <TRANSACTION>
+        <TYPE>0</TYPE>
+        <MASTER_CODE>FB-1001</MASTER_CODE>
+        <DESCRIPTION>Fren Balatası Ön</DESCRIPTION>
+        <QUANTITY>2</QUANTITY>
+        <PRICE>375.00</PRICE>
+        <TOTAL>750.00</TOTAL>
+        <VAT_RATE>20</VAT_RATE>
+        <VAT_AMOUNT>150.00</VAT_AMOUNT>
+        <VAT_BASE>750.00</VAT_BASE>
+        <UNIT_CODE>ADET</UNIT_CODE>
+      </TRANSACTION>
+      <TRANSACTION>
+        <TYPE>0</TYPE>
+        <MASTER_CODE>KT-1</MASTER_CODE>
+        <DESCRIPTION>Bakım Kitabı</DESCRIPTION>
+        <QUANTITY>1</QUANTITY>
+        <PRICE>100.00</PRICE>
+        <TOTAL>100.00</TOTAL>
+        <VAT_RATE>10</VAT_RATE>
+        <VAT_AMOUNT>10.00</VAT_AMOUNT>
+        <VAT_BASE>100.00</VAT_BASE>
+        <UNIT_CODE>ADET</UNIT_CODE>
+      </TRANSACTION>
+    </TRANSACTIONS>
+  </INVOICE>
+  <INVOICE DBOP="INS">
+    <TYPE>2</TYPE>
+    <NUMBER>PZR2026000000002</NUMBER>
+    <DOC_NUMBER>TY-1001</DOC_NUMBER>
+    <DATE>21.09.2026</DATE>
+    <ARP_CODE>120.01.001</ARP_CODE>
+    <NOTES1>İade: PZR2026000000001 (05.09.2026)</NOTES1>
+    <TOTAL_DISCOUNTED>375.00</TOTAL_DISCOUNTED>
+    <TOTAL_VAT>75.00</TOTAL_VAT>
+    <TOTAL_GROSS>375.00</TOTAL_GROSS>
+    <TOTAL_NET>450.00</TOTAL_NET>
+    <TRANSACTIONS>
+      <TRANSACTION>
+        <TYPE>0</TYPE>
+        <MASTER_CODE>FB-1001</MASTER_CODE>
+        <DESCRIPTION>Fren Balatası Ön</DESCRIPTION>
+        <QUANTITY>1</QUANTITY>
+        <PRICE>375.00</PRICE>
+        <TOTAL>375.00</TOTAL>
+        <VAT_RATE>20</VAT_RATE>
+        <VAT_AMOUNT>75.00</VAT_AMOUNT>
+        <VAT_BASE>375.00</VAT_BASE>
+        <UNIT_CODE>ADET</UNIT_CODE>
+      </TRANSACTION>
+    </TRANSACTIONS>
+  </INVOICE>
+</SALES_INVOICES>`;
+
+const LOGO_SHIPPING = `<?xml version="1.0" encoding="UTF-8"?>
+<PURCHASE_INVOICES>
+  <INVOICE DBOP="INS">
+    <TYPE>6</TYPE>
+    <NUMBER>HB-SHP-77</NUMBER>
+    <DOC_NUMBER/>
+    <DATE>28.09.2026</DATE>
+    <ARP_CODE>HEPSIBURADA</ARP_CODE>
+    <NOTES1>Kargo bedeli</NOTES1>
+    <TOTAL_VAT>8.00</TOTAL_VAT>
+    <TOTAL_GROSS>40.00</TOTAL_GROSS>
+    <TOTAL_NET>48.00</TOTAL_NET>
+    <TRANSACTIONS>
+      <TRANSACTION>
+        <TYPE>4</TYPE>
+        <MASTER_CODE>KARGO</MASTER_CODE>
+        <DESCRIPTION>Kargo bedeli</DESCRIPTION>
+        <QUANTITY>1</QUANTITY>
+        <PRICE>40.00</PRICE>
+        <TOTAL>40.00</TOTAL>
+        <VAT_RATE>20</VAT_RATE>
+        <VAT_AMOUNT>8.00</VAT_AMOUNT>
+        <VAT_BASE>40.00</VAT_BASE>
+      </TRANSACTION>
+    </TRANSACTIONS>
+  </INVOICE>
+</PURCHASE_INVOICES>`;
+
+const LOGO_JOURNAL_START = `<?xml version="1.0" encoding="UTF-8"?>
+<GL_SLIPS>
+  <GL_SLIP DBOP="INS">
+    <TYPE>4</TYPE>
+    <NUMBER>~</NUMBER>
+    <DATE>05.09.2026</DATE>
+    <NOTES1>trendyol Satış faturası PZR2026000000001</NOTES1>
+    <TOTAL_DEBIT>1010.00</TOTAL_DEBIT>
+    <TOTAL_CREDIT>1010.00</TOTAL_CREDIT>
+`;
+
+const MIKRO_RETURNS =
+  "\ufeff" +
+  [
+    '"Evrak Tarihi";"Evrak Seri";"Evrak Sıra";"Evrak Tipi";"Cari Kodu";"Cari Ünvanı";"Vergi No";"Stok Kodu";"Açıklama";"Miktar";"Birim Fiyat";"Tutar";"KDV Oranı";"KDV Tutarı";"Döviz";"İade Edilen Evrak"',
+    '"21.09.2026";"PZR";"2026000000002";"İade";"120.01.001";"Ayşe Yılmaz";"";"FB-1001";"Fren Balatası Ön";1;"375,00";"375,00";20;"75,00";"TRY";"PZR2026000000001"',
+  ].join("\n");
+
+const MIKRO_COMMISSIONS =
+  "\ufeff" +
+  [
+    '"Evrak Tarihi";"Belge No";"Cari Kodu";"Hizmet Kodu";"Açıklama";"Tutar";"KDV Oranı";"KDV Tutarı";"Toplam";"Döviz";"Sipariş No"',
+    '"06.09.2026";"TYC2026000000123";"TRENDYOL";"HZM-KOM";"Komisyon TY-1001";"150,00";20;"30,00";"180,00";"TRY";"TY-1001"',
+  ].join("\n");
+
+const MIKRO_JOURNAL =
+  "\ufeff" +
+  [
+    '"Fiş Tarihi";"Fiş No";"Satır No";"Hesap Kodu";"Açıklama";"Belge No";"Borç";"Alacak"',
+    '"05.09.2026";1;1;"120.01";"trendyol Satış faturası PZR2026000000001";"PZR2026000000001";"1010,00";"0,00"',
+    '"05.09.2026";1;2;"600";"trendyol Satış faturası PZR2026000000001";"PZR2026000000001";"0,00";"750,00"',
+    '"05.09.2026";1;3;"391";"trendyol Satış faturası PZR2026000000001";"PZR2026000000001";"0,00";"150,00"',
+    '"05.09.2026";1;4;"600.10";"trendyol Satış faturası PZR2026000000001";"PZR2026000000001";"0,00";"100,00"',
+    '"05.09.2026";1;5;"391.10";"trendyol Satış faturası PZR2026000000001";"PZR2026000000001";"0,00";"10,00"',
+    '"06.09.2026";2;1;"760";"trendyol Komisyon TYC2026000000123";"TYC2026000000123";"150,00";"0,00"',
+    '"06.09.2026";2;2;"191";"trendyol Komisyon TYC2026000000123";"TYC2026000000123";"30,00";"0,00"',
+    '"06.09.2026";2;3;"320";"trendyol Komisyon TYC2026000000123";"TYC2026000000123";"0,00";"180,00"',
+    '"21.09.2026";3;1;"610";"trendyol İade faturası PZR2026000000002";"PZR2026000000002";"375,00";"0,00"',
+    '"21.09.2026";3;2;"391";"trendyol İade faturası PZR2026000000002";"PZR2026000000002";"75,00";"0,00"',
+    '"21.09.2026";3;3;"120.01";"trendyol İade faturası PZR2026000000002";"PZR2026000000002";"0,00";"450,00"',
+    '"28.09.2026";4;1;"760";"hepsiburada Kargo bedeli HB-SHP-77";"HB-SHP-77";"0,00";"40,00"',
+    '"28.09.2026";4;2;"191";"hepsiburada Kargo bedeli HB-SHP-77";"HB-SHP-77";"0,00";"8,00"',
+    '"28.09.2026";4;3;"320";"hepsiburada Kargo bedeli HB-SHP-77";"HB-SHP-77";"48,00";"0,00"',
+  ].join("\n");
+
+const PARASUT_SALES =
+  "\ufeff" +
+  [
+    '"Fatura Tarihi","Fatura Seri","Fatura No","Fatura Türü","Müşteri","Alıcı","Vergi/TC No","Ürün/Hizmet","Stok Kodu","Miktar","Birim Fiyat","KDV Oranı","KDV Tutarı","Toplam","Para Birimi","Açıklama"',
+    '"2026-09-05","PZR","2026000000001","Satış","120.01.001","Ayşe Yılmaz","","Fren Balatası Ön","FB-1001",2,"375.00",20,"150.00","900.00","TRY","TY-1001"',
+    '"2026-09-05","PZR","2026000000001","Satış","120.01.001","Ayşe Yılmaz","","Bakım Kitabı","KT-1",1,"100.00",10,"10.00","110.00","TRY","TY-1001"',
+  ].join("\n");
+
+const PARASUT_SHIPPING =
+  "\ufeff" +
+  [
+    '"Fatura Tarihi","Fatura No","Tedarikçi","Kategori","Açıklama","Net Tutar","KDV Oranı","KDV Tutarı","Toplam","Para Birimi"',
+    '"2026-09-28","HB-SHP-77","HEPSIBURADA","Kargo","Kargo bedeli","-40.00",20,"-8.00","-48.00","TRY"',
+  ].join("\n");
+
+const CSV_JOURNAL =
+  [
+    '"Date","Entry","Line","Account","Description","Document","Platform","Debit","Credit"',
+    '"2026-09-05",1,1,"120.01","trendyol Satış faturası PZR2026000000001","PZR2026000000001","trendyol","1010.00","0.00"',
+    '"2026-09-05",1,2,"600","trendyol Satış faturası PZR2026000000001","PZR2026000000001","trendyol","0.00","750.00"',
+    '"2026-09-05",1,3,"391","trendyol Satış faturası PZR2026000000001","PZR2026000000001","trendyol","0.00","150.00"',
+    '"2026-09-05",1,4,"600.10","trendyol Satış faturası PZR2026000000001","PZR2026000000001","trendyol","0.00","100.00"',
+    '"2026-09-05",1,5,"391.10","trendyol Satış faturası PZR2026000000001","PZR2026000000001","trendyol","0.00","10.00"',
+    '"2026-09-06",2,1,"760","trendyol Komisyon TYC2026000000123","TYC2026000000123","trendyol","150.00","0.00"',
+    '"2026-09-06",2,2,"191","trendyol Komisyon TYC2026000000123","TYC2026000000123","trendyol","30.00","0.00"',
+    '"2026-09-06",2,3,"320","trendyol Komisyon TYC2026000000123","TYC2026000000123","trendyol","0.00","180.00"',
+    '"2026-09-21",3,1,"610","trendyol İade faturası PZR2026000000002","PZR2026000000002","trendyol","375.00","0.00"',
+    '"2026-09-21",3,2,"391","trendyol İade faturası PZR2026000000002","PZR2026000000002","trendyol","75.00","0.00"',
+    '"2026-09-21",3,3,"120.01","trendyol İade faturası PZR2026000000002","PZR2026000000002","trendyol","0.00","450.00"',
+    '"2026-09-28",4,1,"760","hepsiburada Kargo bedeli HB-SHP-77","HB-SHP-77","hepsiburada","0.00","40.00"',
+    '"2026-09-28",4,2,"191","hepsiburada Kargo bedeli HB-SHP-77","HB-SHP-77","hepsiburada","0.00","8.00"',
+    '"2026-09-28",4,3,"320","hepsiburada Kargo bedeli HB-SHP-77","HB-SHP-77","hepsiburada","48.00","0.00"',
+  ].join("\n");
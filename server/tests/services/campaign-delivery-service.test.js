@@ -0,0 +1,68 @@
+/**
+ * Signed tracking and unsubscribe links of the campaign delivery service
+ */
+const campaignDelivery = require("../../services/campaign-delivery-service");
+
+const ENV_KEYS = ["NODE_ENV", "CAMPAIGN_TRACKING_SECRET", "JWT_SECRET"];
+const savedEnv = Object.fromEntries(ENV_KEYS.map((key) => [key, process.env[key]]));
+
+afterEach(() => {
+  ENV_KEYS.forEach((key) => {
+    if (savedEnv[key] === undefined) {
+      delete process.env[key];
+    } else {
+      process.env[key] = savedEnv[key];
+    }
+  });
+});
+
+const unsubscribeToken = (customerId) =>
+  campaignDelivery.getUnsubscribeUrl(customerId).split("/unsubscribe/")[1];
+
+describe("getSecret", () => {
+  it("prefers the campaign tracking secret", () => {
+    process.env.CAMPAIGN_TRACKING_SECRET = "tracking-secret";
+    process.env.JWT_SECRET = "jwt-secret";
+
+    expect(campaignDelivery.getSecret()).toBe("tracking-secret");
+  });
+
+  it("falls back to the JWT secret", () => {
+    delete process.env.CAMPAIGN_TRACKING_SECRET;
+    process.env.JWT_SECRET = "jwt-secret";
+
+    expect(campaignDelivery.getSecret()).toBe("jwt-secret");
+  });
+
+  it("is required in production", () => {
+    process.env.NODE_ENV = "production";
+    delete process.env.CAMPAIGN_TRACKING_SECRET;
+    delete process.env.JWT_SECRET;
+
+    expect(() => campaignDelivery.getSecret()).toThrow(/required in production/);
+    expect(() => campaignDelivery.getUnsubscribeUrl(42)).toThrow(/required in production/);
+  });
+});
+
+describe("unsubscribe token", () => {
+  beforeEach(() => {
+    process.env.CAMPAIGN_TRACKING_SECRET = "tracking-secret";
+  });
+
+  it("reads back the customer id", () => {
+    expect(campaignDelivery.parseUnsubscribeToken(unsubscribeToken(42))).toBe(42);
+  });
+
+  it("rejects a token signed with another secret", () => {
+    const token = unsubscribeToken(42);
+    process.env.CAMPAIGN_TRACKING_SECRET = "rotated-secret";
+
+    expect(campaignDelivery.parseUnsubscribeToken(token)).toBeNull();
+  });
+
+  it("rejects a token for another customer", () => {
+    const [, signature] = unsubscribeToken(42).split(".");
+
+    expect(campaignDelivery.parseUnsubscribeToken(`43.${signature}`)).toBeNull();
+  });
+});
@@ -0,0 +1,311 @@
+/**
+ * Campaign delivery over SMTP: signed click and unsubscribe links, the
+ * one-click unsubscribe headers and skipping recipients who unsubscribed
+ */
+const net = require("net");
+const express = require("express");
+
+// The email service reads these when it is loaded
+Object.assign(process.env, {
+  EMAIL_ENABLED: "true",
+  EMAIL_PROVIDER: "smtp",
+  EMAIL_BULK_RATE: "60000",
+  SMTP_HOST: "127.0.0.1",
+  CAMPAIGN_TRACKING_SECRET: "tracking-secret",
+});
+
+const { Campaign, CampaignRecipient, CampaignEvent, Customer } = require("../../models");
+const campaignDelivery = require("../../services/campaign-delivery-service");
+const marketingRoutes = require("../../routes/marketing");
+
+const CONTENT = `<html><body>
+<p>Merhaba {{customer.firstName}},</p>
+<p><a href="https://magaza.example/kampanya?kod=EKIM20&amp;utm_source=email">Alışverişe başla</a></p>
+</body></html>`;
+
+const listen = (app) =>
+  new Promise((resolve) => {
+    const server = app.listen(0, "127.0.0.1", () => resolve(server));
+  });
+
+const urlOf = (server) => `http://127.0.0.1:${server.address().port}`;
+
+const close = (server) => new Promise((resolve) => server.close(resolve));
+
+/**
+ * SMTP server that accepts every message and keeps it
+ */
+const createSmtpSink = () => {
+  const messages = [];
+  const server = net.createServer((socket) => {
+    let buffer = "";
+    let envelope = { to: [] };
+    let data = null;
+
+    socket.write("220 sink ESMTP\r\n");
+    socket.on("data", (chunk) => {
+      buffer += chunk.toString("latin1");
+      let end;
+      while ((end = buffer.indexOf("\r\n")) !== -1) {
+        const line = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+
+        if (data) {
+          if (line !== ".") {
+            data.push(line.startsWith(".") ? line.slice(1) : line);
+            continue;
+          }
+          messages.push({ ...envelope, raw: Buffer.from(data.join("\r\n"), "latin1") });
+          envelope = { to: [] };
+          data = null;
+          socket.write("250 OK queued\r\n");
+          continue;
+        }
+
+        const command = line.slice(0, 4).toUpperCase();
+        if (command === "MAIL") {
+          envelope.from = line.match(/<(.*)>/)[1];
+        } else if (command === "RCPT") {
+          envelope.to.push(line.match(/<(.*)>/)[1]);
+        }
+
+        if (command === "DATA") {
+          data = [];
+          socket.write("354 End data with <CR><LF>.<CR><LF>\r\n");
+        } else if (command === "QUIT") {
+          socket.end("221 Bye\r\n");
+        } else {
+          socket.write("250 OK\r\n");
+        }
+      }
+    });
+  });
+  return { server, messages };
+};
+
+/**
+ * Headers and decoded HTML part of a received message
+ */
+const parseMessage = (raw) => {
+  const text = raw.toString("utf8");
+  const [head] = text.split("\r\n\r\n");
+  const headers = {};
+  head
+    .replace(/\r\n[ \t]+/g, " ")
+    .split("\r\n")
+    .forEach((line) => {
+      const separator = line.indexOf(":");
+      headers[line.slice(0, separator).toLowerCase()] = line.slice(separator + 1).trim();
+    });
+
+  const part = text.split(/\r\n--[^\r\n]+\r\n/).find((section) => /text\/html/.test(section));
+  const body = part.slice(part.indexOf("\r\n\r\n") + 4).split(/\r\n--/)[0];
+  const html = /quoted-printable/i.test(part)
+    ? Buffer.from(
+        body
+          .replace(/=\r\n/g, "")
+          .replace(/=([0-9A-F]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16))),
+        "latin1"
+      ).toString("utf8")
+    : body;
+
+  return { headers, html };
+};
+
+const hrefs = (html) =>
+  [...html.matchAll(/<a\b[^>]*?\shref="([^"]+)"/g)].map(([, href]) =>
+    href.replace(/&amp;/g, "&")
+  );
+
+const withUpdate = (fields) => ({
+  update: jest.fn(async function (changes) {
+    return Object.assign(this, changes);
+  }),
+  ...fields,
+});
+
+let apiServer;
+let sink;
+let customers;
+let recipients;
+
+beforeAll(async () => {
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+  app.use("/api/marketing", marketingRoutes);
+  apiServer = await listen(app);
+  sink = createSmtpSink();
+  await listen(sink.server);
+
+  process.env.SERVER_BASE_URL = urlOf(apiServer);
+  process.env.SMTP_PORT = String(sink.server.address().port);
+});
+
+afterAll(async () => {
+  await close(sink.server);
+  await close(apiServer);
+});
+
+beforeEach(() => {
+  sink.messages.length = 0;
+  customers = {
+    1: { id: 1, name: "Ayşe Yılmaz", email: "ayse@example.com", marketingEmailConsent: true },
+    2: { id: 2, name: "Mehmet Demir", email: "mehmet@example.com", marketingEmailConsent: true },
+    3: { id: 3, name: "Zeynep Kaya", email: "zeynep@example.com", marketingEmailConsent: false },
+  };
+  Object.values(customers).forEach((customer) => {
+    customer.reload = jest.fn(async () => customer);
+  });
+  recipients = [];
+
+  // Recipients are kept at scheduling time, consent is checked again when sending
+  jest.spyOn(campaignDelivery, "prepareRecipients").mockImplementation(async (campaign) => {
+    Object.values(customers).forEach((customer) => {
+      recipients.push(
+        withUpdate({
+          id: recipients.length + 1,
+          campaignId: campaign.id,
+          customerId: customer.id,
+          email: customer.email,
+          token: `c${campaign.id}r${customer.id}`,
+          status: "pending",
+          openCount: 0,
+          clickCount: 0,
+          customer,
+        })
+      );
+    });
+    return recipients.length;
+  });
+  jest.spyOn(campaignDelivery, "getLastOrders").mockResolvedValue(new Map());
+  jest.spyOn(CampaignRecipient, "findAll").mockImplementation(async ({ where, group }) => {
+    const rows = recipients.filter((recipient) => recipient.campaignId === where.campaignId);
+    if (group) {
+      const counts = {};
+      rows.forEach(({ status }) => {
+        counts[status] = (counts[status] || 0) + 1;
+      });
+      return Object.entries(counts).map(([status, count]) => ({ status, count: String(count) }));
+    }
+    const [lastId] = Object.getOwnPropertySymbols(where.id).map((symbol) => where.id[symbol]);
+    return rows.filter((recipient) => recipient.status === "pending" && recipient.id > lastId);
+  });
+  jest
+    .spyOn(CampaignRecipient, "findOne")
+    .mockImplementation(
+      async ({ where }) =>
+        recipients.find(
+          (recipient) =>
+            recipient.token === where.token &&
+            (where.customerId === undefined || recipient.customerId === where.customerId)
+        ) || null
+    );
+  jest.spyOn(CampaignEvent, "create").mockImplementation(async (event) => event);
+  jest.spyOn(Campaign, "update").mockResolvedValue([1]);
+  jest.spyOn(Customer, "findByPk").mockImplementation(async (id) => customers[id] || null);
+  // Consent changes reach the customer objects the recipients carry
+  jest.spyOn(Customer, "update").mockImplementation(async (fields, { where }) => {
+    const [[{ id }]] = Object.getOwnPropertySymbols(where).map((symbol) => where[symbol]);
+    Object.assign(customers[id], fields);
+    return [1];
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const deliver = async (id) => {
+  jest.spyOn(Campaign, "findByPk").mockResolvedValue(
+    withUpdate({
+      id,
+      name: "Ekim indirimi",
+      status: "scheduled",
+      subject: "{{customer.firstName}}, size özel %20 indirim",
+      content: CONTENT,
+      templateId: null,
+      segmentIds: ["segment-1"],
+      sentAt: null,
+      reload: jest.fn(),
+    })
+  );
+  return campaignDelivery.deliver(id);
+};
+
+describe("campaign delivery over SMTP", () => {
+  it("mails only the recipients with marketing consent", async () => {
+    const counts = await deliver(7);
+
+    expect(counts).toMatchObject({ total: 3, sent: 2, skipped: 1, failed: 0 });
+    expect(sink.messages.map((message) => message.to)).toEqual([
+      ["ayse@example.com"],
+      ["mehmet@example.com"],
+    ]);
+    expect(recipients.map((recipient) => recipient.status)).toEqual(["sent", "sent", "skipped"]);
+    expect(Campaign.update).toHaveBeenCalledWith(
+      { status: "sent", recipientCount: 3, sentCount: 2, failedCount: 0 },
+      { where: { id: 7 } }
+    );
+  });
+
+  it("routes links through signed click tracking", async () => {
+    await deliver(7);
+    const { html } = parseMessage(sink.messages[0].raw);
+    const [click] = hrefs(html);
+
+    expect(html).toContain("Merhaba Ayşe,");
+    expect(click).toMatch(new RegExp(`^${urlOf(apiServer)}/api/marketing/track/click/c7r1\\?`));
+
+    const followed = await fetch(click, { redirect: "manual" });
+    expect(followed.status).toBe(302);
+    expect(followed.headers.get("location")).toBe(
+      "https://magaza.example/kampanya?kod=EKIM20&utm_source=email"
+    );
+    expect(recipients[0]).toMatchObject({ clickCount: 1, clickedAt: expect.any(Date) });
+
+    const forged = new URL(click);
+    forged.searchParams.set("url", "https://phishing.example/");
+    expect((await fetch(forged, { redirect: "manual" })).status).toBe(400);
+  });
+
+  it("offers one-click unsubscribe through the List-Unsubscribe headers", async () => {
+    await deliver(7);
+    const { headers, html } = parseMessage(sink.messages[1].raw);
+    const unsubscribeUrl = headers["list-unsubscribe"].replace(/^<|>$/g, "");
+
+    expect(headers["list-unsubscribe-post"]).toBe("List-Unsubscribe=One-Click");
+    expect(unsubscribeUrl).toBe(campaignDelivery.getUnsubscribeUrl(2, "c7r2"));
+    expect(hrefs(html)).toContain(unsubscribeUrl);
+
+    const tampered = unsubscribeUrl.replace("/unsubscribe/2.", "/unsubscribe/1.");
+    expect((await fetch(tampered, { method: "POST" })).status).toBe(400);
+    expect(customers[1].marketingEmailConsent).toBe(true);
+
+    const response = await fetch(unsubscribeUrl, {
+      method: "POST",
+      headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      body: "List-Unsubscribe=One-Click",
+    });
+    expect(response.status).toBe(200);
+    expect(customers[2]).toMatchObject({
+      marketingEmailConsent: false,
+      marketingUnsubscribedAt: expect.any(Date),
+    });
+    expect(recipients[1].unsubscribedAt).toBeInstanceOf(Date);
+    expect(CampaignEvent.create).toHaveBeenCalledWith(
+      expect.objectContaining({ campaignId: 7, recipientId: 2, type: "unsubscribe" })
+    );
+  });
+
+  it("skips customers who unsubscribed from an earlier campaign", async () => {
+    await deliver(7);
+    const { headers } = parseMessage(sink.messages[1].raw);
+    await fetch(headers["list-unsubscribe"].replace(/^<|>$/g, ""), { method: "POST" });
+    sink.messages.length = 0;
+
+    const counts = await deliver(8);
+
+    expect(counts).toMatchObject({ total: 3, sent: 1, skipped: 2 });
+    expect(sink.messages.map((message) => message.to)).toEqual([["ayse@example.com"]]);
+  });
+});
@@ -0,0 +1,138 @@
+/**
+ * Web chat sessions: issuing the session token and requiring it afterwards
+ */
+const { ChatConversation } = require("../../models");
+const assistant = require("../../services/assistant");
+const chatController = require("../../controllers/chatController");
+
+const { conversationStore } = assistant;
+
+const request = (fields = {}) => {
+  const headers = fields.headers || {};
+  return {
+    params: {},
+    query: {},
+    body: {},
+    get: (name) => headers[name],
+    ...fields,
+  };
+};
+
+const response = () => {
+  const res = { status: jest.fn(), json: jest.fn() };
+  res.status.mockReturnValue(res);
+  return res;
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe("session tokens", () => {
+  it("issues a random token when a session starts", async () => {
+    jest.spyOn(ChatConversation, "count").mockResolvedValue(0);
+
+    const first = await conversationStore.openWebSession("widget-1");
+    const second = await conversationStore.openWebSession("widget-1");
+
+    expect(first.token).toMatch(/^[0-9a-f]{64}$/);
+    expect(first.token).not.toBe(second.token);
+    expect(first.tokenHash).toBe(conversationStore.hashSessionToken(first.token));
+    expect(first.tokenHash).not.toBe(first.token);
+  });
+
+  it("requires the issued token once the session has started", async () => {
+    const token = "a".repeat(64);
+    jest.spyOn(ChatConversation, "count").mockResolvedValue(1);
+    jest
+      .spyOn(ChatConversation, "findOne")
+      .mockResolvedValue({ sessionTokenHash: conversationStore.hashSessionToken(token) });
+
+    expect(await conversationStore.openWebSession("widget-1", token)).toEqual({
+      token: null,
+      tokenHash: conversationStore.hashSessionToken(token),
+    });
+    await expect(conversationStore.openWebSession("widget-1", "b".repeat(64))).rejects.toMatchObject({
+      statusCode: 401,
+    });
+    await expect(conversationStore.openWebSession("widget-1")).rejects.toMatchObject({
+      statusCode: 401,
+    });
+  });
+
+  it("does not resume sessions that never got a token", async () => {
+    jest.spyOn(ChatConversation, "findOne").mockResolvedValue({ sessionTokenHash: null });
+
+    await expect(conversationStore.verifySessionToken("legacy", "guess")).rejects.toMatchObject({
+      message: "Invalid chat session token",
+    });
+  });
+});
+
+describe("chat endpoints", () => {
+  it("returns the token with the first reply and keeps it on the conversation", async () => {
+    jest.spyOn(ChatConversation, "count").mockResolvedValue(0);
+    const handleMessage = jest.spyOn(assistant, "handleMessage").mockResolvedValue({
+      conversationId: "conversation-1",
+      reply: "Merhaba",
+      intent: "greeting",
+      entities: {},
+      status: "bot",
+      handoff: false,
+    });
+    const res = response();
+
+    await chatController.handleChatMessage(
+      request({ body: { message: "merhaba", sessionId: "widget-1" } }),
+      res
+    );
+
+    const { sessionToken } = res.json.mock.calls[0][0].data;
+    expect(sessionToken).toMatch(/^[0-9a-f]{64}$/);
+    expect(handleMessage.mock.calls[0][0]).toMatchObject({
+      externalId: "widget-1",
+      sessionTokenHash: conversationStore.hashSessionToken(sessionToken),
+    });
+  });
+
+  it("rejects messages of a started session sent without its token", async () => {
+    jest.spyOn(ChatConversation, "count").mockResolvedValue(1);
+    jest.spyOn(ChatConversation, "findOne").mockResolvedValue({ sessionTokenHash: "f".repeat(64) });
+    const handleMessage = jest.spyOn(assistant, "handleMessage");
+    const res = response();
+
+    await chatController.handleChatMessage(
+      request({ body: { message: "siparişim nerede", sessionId: "widget-1" } }),
+      res
+    );
+
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(handleMessage).not.toHaveBeenCalled();
+  });
+
+  it("lists session messages only for the token holder", async () => {
+    const token = "c".repeat(64);
+    jest
+      .spyOn(ChatConversation, "findOne")
+      .mockResolvedValue({ sessionTokenHash: conversationStore.hashSessionToken(token) });
+    const messages = [{ id: "log-1", sender: "agent", message: "Kargonuz yolda" }];
+    const getSessionMessages = jest
+      .spyOn(conversationStore, "getSessionMessages")
+      .mockResolvedValue(messages);
+
+    const denied = response();
+    await chatController.getSessionMessages(
+      request({ params: { sessionId: "widget-1" }, headers: { "X-Chat-Session-Token": "guess" } }),
+      denied
+    );
+    expect(denied.status).toHaveBeenCalledWith(401);
+    expect(getSessionMessages).not.toHaveBeenCalled();
+
+    const allowed = response();
+    await chatController.getSessionMessages(
+      request({ params: { sessionId: "widget-1" }, headers: { "X-Chat-Session-Token": token } }),
+      allowed
+    );
+    expect(allowed.json).toHaveBeenCalledWith({ success: true, data: messages });
+  });
+});
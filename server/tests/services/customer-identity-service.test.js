@@ -0,0 +1,257 @@
+/**
+ * Customer identity resolution: match scoring, blocking, review and merges
+ */
+const { Op } = require("sequelize");
+
+const { Customer, CustomerMatchCandidate, sequelize } = require("../../models");
+const identity = require("../../services/customer-identity-service");
+
+const address = (fields = {}) => ({
+  city: "İstanbul",
+  district: "Kadıköy",
+  fullAddress: "Caferağa Mahallesi Moda Caddesi No: 12 Daire 3",
+  ...fields,
+});
+
+const profile = (id, fields = {}) =>
+  identity.buildProfile({
+    id,
+    email: `customer-${id}@example.com`,
+    name: "Ayşe Yılmaz",
+    phone: null,
+    shippingAddresses: [],
+    totalOrders: 1,
+    ...fields,
+  });
+
+const withUpdate = (fields) => ({
+  update: jest.fn(async function (changes) {
+    return Object.assign(this, changes);
+  }),
+  ...fields,
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  delete process.env.CUSTOMER_AUTO_MERGE_ENABLED;
+});
+
+describe("scoreMatch", () => {
+  it("matches one buyer across marketplaces by name, phone and address", () => {
+    const trendyol = profile(1, {
+      email: "x7f2k@trendyolmail.com",
+      phone: "0532 123 45 67",
+      shippingAddresses: [address()],
+    });
+    const hepsiburada = profile(2, {
+      email: "ayse.yilmaz@hepsiburada-mail.com",
+      name: "AYŞE YILMAZ",
+      shippingAddresses: [
+        JSON.stringify(
+          address({
+            phone: "+90 532 123 4567",
+            fullAddress: "Caferağa Mah. Moda Cad. No:12 D:3",
+          })
+        ),
+      ],
+    });
+
+    const { confidence, signals } = identity.scoreMatch(trendyol, hepsiburada);
+
+    expect(signals).toMatchObject({ name: 0.35, phone: 0.4, city: 0.1 });
+    expect(signals.address).toBeGreaterThan(0.15);
+    expect(confidence).toBe(1);
+  });
+
+  it("matches a shortened name and a masked phone at a lower confidence", () => {
+    const full = profile(1, { phone: "05321234567", shippingAddresses: [address()] });
+    const masked = profile(2, {
+      name: "Ayşe Y.",
+      phone: "0532 *** ** 67",
+      shippingAddresses: [address({ fullAddress: "Bağdat Caddesi No 200" })],
+    });
+
+    const { confidence, signals } = identity.scoreMatch(full, masked);
+
+    expect(signals).toEqual({ name: 0.28, phone: 0.15, city: 0.1 });
+    expect(confidence).toBe(0.53);
+  });
+
+  it("keeps namesakes with other phones and cities apart", () => {
+    const istanbul = profile(1, { phone: "05321234567", shippingAddresses: [address()] });
+    const izmir = profile(2, {
+      phone: "05559876543",
+      shippingAddresses: [
+        address({ city: "İzmir", fullAddress: "Alsancak Kıbrıs Şehitleri Cad." }),
+      ],
+    });
+
+    const { confidence, signals } = identity.scoreMatch(istanbul, izmir);
+
+    expect(signals).toEqual({ name: 0.35, phone: -0.4, city: -0.25 });
+    expect(confidence).toBe(0);
+  });
+
+  it("reads addresses stored as objects keyed by character index", () => {
+    const text = JSON.stringify(address({ phone: "05321234567" }));
+    const indexed = Object.fromEntries([...text].map((char, index) => [index, char]));
+
+    const { phones, cities } = profile(1, { shippingAddresses: [indexed] });
+
+    expect([...phones]).toEqual(["5321234567"]);
+    expect([...cities]).toEqual(["istanbul"]);
+  });
+});
+
+describe("findPairs", () => {
+  it("compares only customers sharing a phone or first name and last initial", () => {
+    const pairs = identity.findPairs([
+      profile(3, { name: "Ayşe Yıldız" }),
+      profile(1, { name: "Ayşe Yılmaz" }),
+      profile(2, { name: "Mehmet Demir", phone: "05321234567" }),
+      profile(4, { name: "M. Demir", phone: "0532 123 45 67" }),
+      profile(5, { name: "Zeynep Kaya" }),
+    ]);
+
+    expect(pairs.map(([a, b]) => `${a.id}-${b.id}`).sort()).toEqual(["1-3", "2-4"]);
+  });
+});
+
+describe("evaluatePair", () => {
+  const strong = () => [
+    profile(1, { phone: "05321234567", shippingAddresses: [address()], totalOrders: 2 }),
+    profile(2, { phone: "05321234567", shippingAddresses: [address()], totalOrders: 5 }),
+  ];
+
+  it("stores a likely match for review", async () => {
+    const upsert = jest.spyOn(CustomerMatchCandidate, "upsert").mockResolvedValue([]);
+    const [a, b] = strong();
+
+    expect(await identity.evaluatePair(a, b, new Set())).toBe("candidate");
+    expect(upsert).toHaveBeenCalledWith(
+      expect.objectContaining({ customerId: 1, candidateId: 2, confidence: 1, status: "pending" })
+    );
+  });
+
+  it("skips weak matches and pairs a person already reviewed", async () => {
+    const upsert = jest.spyOn(CustomerMatchCandidate, "upsert");
+    const [a, b] = strong();
+
+    expect(await identity.evaluatePair(a, profile(9, { name: "Ayşe" }), new Set())).toBe(
+      "skipped"
+    );
+    expect(await identity.evaluatePair(a, b, new Set(["1-2"]))).toBe("skipped");
+    expect(upsert).not.toHaveBeenCalled();
+  });
+
+  it("merges confident matches into the record with more orders when enabled", async () => {
+    process.env.CUSTOMER_AUTO_MERGE_ENABLED = "true";
+    const merge = jest.spyOn(identity, "merge").mockResolvedValue({});
+    const [a, b] = strong();
+
+    expect(await identity.evaluatePair(a, b, new Set())).toBe("merged");
+    expect(merge).toHaveBeenCalledWith(2, 1, expect.objectContaining({ confidence: 1 }));
+  });
+});
+
+describe("review", () => {
+  const candidate = (fields = {}) =>
+    withUpdate({
+      id: 10,
+      customerId: 1,
+      candidateId: 2,
+      confidence: 0.72,
+      status: "pending",
+      customer: { id: 1, totalOrders: 4 },
+      candidate: { id: 2, totalOrders: 1 },
+      ...fields,
+    });
+
+  it("rejects a suggestion", async () => {
+    jest.spyOn(CustomerMatchCandidate, "findByPk").mockResolvedValue(candidate());
+
+    const reviewed = await identity.reviewCandidate(10, "reject", "user-1");
+
+    expect(reviewed).toMatchObject({ status: "rejected", reviewedBy: "user-1" });
+  });
+
+  it("merges into the record with more orders unless a target is chosen", async () => {
+    jest.spyOn(CustomerMatchCandidate, "findByPk").mockResolvedValue(candidate());
+    const merge = jest.spyOn(identity, "merge").mockResolvedValue({});
+
+    await identity.reviewCandidate(10, "merge", "user-1");
+    await identity.reviewCandidate(10, "merge", "user-1", "2");
+
+    expect(merge.mock.calls.map(([target, source]) => [target, source])).toEqual([
+      [1, 2],
+      [2, 1],
+    ]);
+    await expect(identity.reviewCandidate(10, "merge", "user-1", 7)).rejects.toMatchObject({
+      statusCode: 400,
+    });
+  });
+
+  it("refuses suggestions that were already reviewed", async () => {
+    jest
+      .spyOn(CustomerMatchCandidate, "findByPk")
+      .mockResolvedValue(candidate({ status: "merged" }));
+
+    await expect(identity.reviewCandidate(10, "reject", "user-1")).rejects.toMatchObject({
+      message: "Match candidate is already merged",
+      statusCode: 409,
+    });
+  });
+});
+
+describe("merge and split", () => {
+  let customers;
+  let pairStatus;
+
+  beforeEach(() => {
+    customers = {
+      1: withUpdate({ id: 1, mergedIntoId: null }),
+      2: withUpdate({ id: 2, mergedIntoId: null }),
+      3: withUpdate({ id: 3, mergedIntoId: 2 }),
+    };
+    jest.spyOn(Customer, "findByPk").mockImplementation(async (id) => customers[id] || null);
+    jest.spyOn(sequelize, "transaction").mockImplementation(async (callback) => callback({}));
+    jest.spyOn(identity, "recompute").mockImplementation(async (id) => customers[id]);
+    pairStatus = jest.spyOn(identity, "setPairStatus").mockResolvedValue({});
+  });
+
+  it("moves the source and its own members to the target", async () => {
+    const moveMembers = jest.spyOn(Customer, "update").mockResolvedValue([1]);
+    jest.spyOn(Customer, "findAll").mockResolvedValue([{ id: 2 }, { id: 3 }]);
+    const settle = jest.spyOn(CustomerMatchCandidate, "update").mockResolvedValue([1]);
+
+    await identity.merge(1, 2, { userId: "user-1", confidence: 0.8 });
+
+    expect(moveMembers).toHaveBeenCalledWith(
+      { mergedIntoId: 1 },
+      expect.objectContaining({ where: { mergedIntoId: 2 } })
+    );
+    expect(customers[2]).toMatchObject({
+      mergedIntoId: 1,
+      mergeConfidence: 0.8,
+      mergedBy: "user-1",
+    });
+    expect(pairStatus).toHaveBeenCalledWith(1, 2, "merged", expect.any(Object));
+    expect(settle.mock.calls[0][1].where.customerId).toEqual({
+      [Op.in]: [1, 2, 3],
+    });
+    expect(identity.recompute).toHaveBeenCalledWith(1);
+  });
+
+  it("refuses to merge records that are already one customer", async () => {
+    await expect(identity.merge(2, 3)).rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  it("splits a member off and remembers the pair as different people", async () => {
+    const { split } = await identity.split(3, "user-1");
+
+    expect(split).toMatchObject({ mergedIntoId: null, mergedAt: null });
+    expect(pairStatus).toHaveBeenCalledWith(2, 3, "rejected", expect.any(Object));
+    expect(identity.recompute).toHaveBeenCalledWith(2);
+    await expect(identity.split(1)).rejects.toMatchObject({ statusCode: 400 });
+  });
+});
@@ -0,0 +1,217 @@
+/**
+ * Customer segmentation: RFM scoring, churn and lifetime value, the nightly
+ * run and segment audiences
+ */
+const { Op } = require("sequelize");
+
+const {
+  Customer,
+  CustomerSegment,
+  CustomerSegmentHistory,
+  CustomerSegmentSnapshot,
+} = require("../../models");
+const segmentation = require("../../services/customer-segmentation-service");
+const { customerSegmentationScheduler } = require("../../services/CustomerSegmentationScheduler");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = new Date("2026-10-19T03:00:00Z");
+const daysAgo = (days) => new Date(NOW.getTime() - days * DAY_MS);
+
+const metric = (orders, spent, firstDaysAgo, lastDaysAgo) => ({
+  orders,
+  spent,
+  firstOrderDate: daysAgo(firstDaysAgo),
+  lastOrderDate: daysAgo(lastDaysAgo),
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe("scoreCustomers", () => {
+  it("scores each value by its rank, equal values sharing the lower score", () => {
+    expect(segmentation.quintileScores([10, 20, 20, 40, 50])).toEqual([1, 2, 2, 4, 5]);
+    expect(segmentation.quintileScores([10, 20, 20, 40, 50], false)).toEqual([5, 4, 4, 2, 1]);
+  });
+
+  it("places customers in RFM segments", () => {
+    const scored = segmentation.scoreCustomers(
+      [
+        metric(8, 9600, 300, 5),
+        metric(1, 450, 10, 10),
+        metric(6, 7200, 400, 200),
+        metric(1, 300, 400, 400),
+        metric(3, 1500, 120, 40),
+      ],
+      NOW
+    );
+
+    expect(
+      scored.map(({ rfmRecency, rfmFrequency, rfmMonetary, rfmSegment }) => [
+        rfmRecency,
+        rfmFrequency,
+        rfmMonetary,
+        rfmSegment,
+      ])
+    ).toEqual([
+      [5, 5, 5, "champions"],
+      [4, 1, 2, "new_customers"],
+      [2, 4, 4, "cant_lose"],
+      [1, 1, 1, "lost"],
+      [3, 3, 3, "need_attention"],
+    ]);
+  });
+
+  it("predicts churn past the usual gap between orders and a year of spend", () => {
+    const [regular, single, overdue] = segmentation.scoreCustomers(
+      [metric(7, 8400, 240, 0), metric(1, 450, 10, 10), metric(6, 7200, 400, 200)],
+      NOW
+    );
+
+    // Every 40 days, 1200 an order: 1200 * 30 / 40 * 12 months
+    expect(regular).toMatchObject({ orderGapDays: 40, churnProbability: 0, predictedClv: 10800 });
+    // A single order is expected back after the gap of repeat customers
+    expect(single).toMatchObject({ orderGapDays: null, churnProbability: 0, predictedClv: 4050 });
+    // 160 days overdue on a 40 day gap: 1 - e^-4
+    expect(overdue).toMatchObject({ churnProbability: 0.982, predictedClv: 194.4 });
+  });
+});
+
+describe("run", () => {
+  let updates;
+  let history;
+  let snapshot;
+
+  beforeEach(() => {
+    updates = {};
+    jest.spyOn(Customer, "findAll").mockResolvedValue([
+      { id: 1, email: "ayse@example.com", mergedIntoId: null, rfmSegment: "loyal" },
+      { id: 2, email: "Ayse.Yilmaz@trendyol.example", mergedIntoId: 1, rfmSegment: null },
+      { id: 3, email: "mehmet@example.com", mergedIntoId: null, rfmSegment: null },
+      { id: 4, email: "no-orders@example.com", mergedIntoId: null, rfmSegment: "lost" },
+    ]);
+    jest.spyOn(segmentation, "getOrderAggregates").mockResolvedValue(
+      new Map([
+        ["ayse@example.com", metric(3, 3000, 200, 100)],
+        ["ayse.yilmaz@trendyol.example", metric(2, 1000, 300, 2)],
+        ["mehmet@example.com", metric(1, 250, 30, 30)],
+      ])
+    );
+    jest.spyOn(Customer, "update").mockImplementation(async (fields, { where }) => {
+      updates[where.id] = fields;
+      return [1];
+    });
+    history = jest.spyOn(CustomerSegmentHistory, "bulkCreate").mockResolvedValue([]);
+    snapshot = jest.spyOn(CustomerSegmentSnapshot, "upsert").mockResolvedValue([]);
+    jest.spyOn(segmentation, "refreshSegmentCounts").mockResolvedValue();
+  });
+
+  it("counts the orders of merged records towards the customer they belong to", async () => {
+    const stats = await segmentation.run(NOW);
+
+    expect(Object.keys(updates)).toEqual(["1", "3"]);
+    expect(updates[1]).toMatchObject({ rfmSegment: "potential_loyalists", rfmUpdatedAt: NOW });
+    expect(updates[3]).toMatchObject({ rfmSegment: "promising" });
+    expect(stats).toMatchObject({ customers: 2, moved: 1, scoredFirstTime: 1 });
+    expect(stats.segments).toMatchObject({ potential_loyalists: 1, promising: 1, loyal: 0 });
+  });
+
+  it("records segment changes and the day's snapshot", async () => {
+    await segmentation.run(NOW);
+
+    expect(history.mock.calls[0][0]).toEqual([
+      expect.objectContaining({
+        customerId: 1,
+        fromSegment: "loyal",
+        toSegment: "potential_loyalists",
+      }),
+      expect.objectContaining({ customerId: 3, fromSegment: null, toSegment: "promising" }),
+    ]);
+    expect(snapshot).toHaveBeenCalledTimes(segmentation.RFM_SEGMENTS.length);
+    expect(snapshot).toHaveBeenCalledWith(
+      expect.objectContaining({
+        segment: "potential_loyalists",
+        customerCount: 1,
+        totalSpent: 4000,
+        avgChurnProbability: 0,
+      })
+    );
+    expect(snapshot).toHaveBeenCalledWith(
+      expect.objectContaining({ segment: "loyal", customerCount: 0, avgChurnProbability: null })
+    );
+  });
+});
+
+describe("segments", () => {
+  it("keeps only known criteria and rejects invalid ones", () => {
+    expect(
+      segmentation.validateCriteria({
+        rfmSegments: ["at_risk"],
+        platforms: [],
+        minSpent: "500",
+        maxChurn: null,
+        owner: "someone",
+      })
+    ).toEqual({ rfmSegments: ["at_risk"], minSpent: 500 });
+
+    expect(() => segmentation.validateCriteria({ rfmSegments: ["vip"] })).toThrow(
+      "Unknown RFM segments: vip"
+    );
+    expect(() => segmentation.validateCriteria({ minOrders: -1 })).toThrow(
+      "minOrders must be a positive number"
+    );
+  });
+
+  it("filters the audience of a segment's criteria", () => {
+    const where = segmentation.buildAudienceWhere(
+      { rfmSegments: ["at_risk", "cant_lose"], minChurn: 0.5, lastOrderBeforeDays: 60 },
+      NOW
+    );
+
+    expect(where).toEqual({
+      mergedIntoId: null,
+      rfmSegment: { [Op.in]: ["at_risk", "cant_lose"] },
+      churnProbability: { [Op.gte]: 0.5 },
+      lastOrderDate: { [Op.lt]: daysAgo(60) },
+    });
+  });
+
+  it("does not change the system segments", async () => {
+    jest
+      .spyOn(CustomerSegment, "findByPk")
+      .mockResolvedValue({ id: "segment-1", isSystem: true });
+
+    await expect(
+      segmentation.saveSegment({ name: "Şampiyonlar" }, "user-1", "segment-1")
+    ).rejects.toMatchObject({ message: "System segments cannot be changed", statusCode: 400 });
+    await expect(segmentation.deleteSegment("segment-1")).rejects.toMatchObject({
+      statusCode: 400,
+    });
+  });
+});
+
+describe("CustomerSegmentationScheduler", () => {
+  const at = (hour) => new Date(2026, 9, 19, hour);
+
+  it("runs only once a night after the configured hour", async () => {
+    const run = jest.spyOn(segmentation, "run").mockResolvedValue({ customers: 3 });
+    const hasRunOn = jest.spyOn(segmentation, "hasRunOn").mockResolvedValue(false);
+
+    expect(await customerSegmentationScheduler.run(at(2))).toBeNull();
+    expect(await customerSegmentationScheduler.run(at(4))).toEqual({ customers: 3 });
+
+    hasRunOn.mockResolvedValue(true);
+    expect(await customerSegmentationScheduler.run(at(5))).toBeNull();
+    expect(run).toHaveBeenCalledTimes(1);
+    expect(customerSegmentationScheduler.getStatus().lastRunAt).toEqual(at(4));
+  });
+
+  it("runs on demand regardless of the hour and the last run", async () => {
+    jest.spyOn(segmentation, "run").mockResolvedValue({ customers: 3 });
+    jest.spyOn(segmentation, "hasRunOn").mockResolvedValue(true);
+
+    expect(await customerSegmentationScheduler.tick()).toBeNull();
+    expect(await customerSegmentationScheduler.tick(true)).toEqual({ customers: 3 });
+    expect(customerSegmentationScheduler.getStatus().lastRunAt).toBeInstanceOf(Date);
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * Rounds of the interval scheduler base class
+ */
+const { IntervalScheduler } = require("../../services/IntervalScheduler");
+
+class TestScheduler extends IntervalScheduler {
+  constructor(run) {
+    super({
+      name: "Test scheduler",
+      intervalEnv: "TEST_SCHEDULER_INTERVAL",
+      defaultInterval: 60 * 1000,
+      missingSchemaWarning: "Test tables not yet created, skipping tick",
+    });
+    this.run = run;
+  }
+
+  shouldReport(stats) {
+    return stats.done > 0;
+  }
+}
+
+const missingTable = () =>
+  Object.assign(new Error('relation "tests" does not exist'), {
+    name: "SequelizeDatabaseError",
+    original: { code: "42P01" },
+  });
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe("IntervalScheduler", () => {
+  it("reads the interval from its environment variable", () => {
+    process.env.TEST_SCHEDULER_INTERVAL = "5000";
+
+    expect(new TestScheduler().checkInterval).toBe(5000);
+
+    delete process.env.TEST_SCHEDULER_INTERVAL;
+    expect(new TestScheduler().checkInterval).toBe(60000);
+  });
+
+  it("reports only the rounds worth reporting", async () => {
+    const scheduler = new TestScheduler(
+      jest.fn().mockResolvedValueOnce({ done: 0 }).mockResolvedValueOnce({ done: 2 })
+    );
+    const reported = jest.fn();
+    scheduler.on("tickCompleted", reported);
+
+    await scheduler.tick();
+    await scheduler.tick();
+
+    expect(reported).toHaveBeenCalledTimes(1);
+    expect(reported).toHaveBeenCalledWith({ done: 2 });
+    expect(scheduler.getStatus()).toMatchObject({ lastStats: { done: 2 }, isTicking: false });
+  });
+
+  it("does not start a round while the previous one runs", async () => {
+    let finish;
+    const run = jest.fn(() => new Promise((resolve) => (finish = resolve)));
+    const scheduler = new TestScheduler(run);
+
+    const first = scheduler.tick();
+    expect(await scheduler.tick()).toBeNull();
+    finish({ done: 1 });
+
+    expect(await first).toEqual({ done: 1 });
+    expect(run).toHaveBeenCalledTimes(1);
+  });
+
+  it("skips rounds until the tables exist", async () => {
+    const scheduler = new TestScheduler(jest.fn().mockRejectedValue(missingTable()));
+
+    expect(await scheduler.tick()).toBeNull();
+    expect(scheduler.isTicking).toBe(false);
+  });
+
+  it("passes other errors on", async () => {
+    const scheduler = new TestScheduler(jest.fn().mockRejectedValue(new Error("boom")));
+
+    await expect(scheduler.tick()).rejects.toThrow("boom");
+    expect(scheduler.isTicking).toBe(false);
+  });
+
+  it("starts and stops its timer", () => {
+    jest.useFakeTimers();
+    const run = jest.fn().mockResolvedValue({ done: 0 });
+    const scheduler = new TestScheduler(run);
+
+    scheduler.start();
+    jest.advanceTimersByTime(60 * 1000);
+    scheduler.stop();
+    jest.advanceTimersByTime(60 * 1000);
+    jest.useRealTimers();
+
+    expect(run).toHaveBeenCalledTimes(1);
+    expect(scheduler.getStatus().isRunning).toBe(false);
+  });
+});
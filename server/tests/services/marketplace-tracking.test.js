@@ -0,0 +1,209 @@
+/**
+ * Reporting shipment tracking numbers to the marketplaces
+ */
+const axios = require("axios");
+
+process.env.PLATFORM_HTTP_FIXTURES = "replay";
+
+jest.mock("../../modules/order-management/services/platforms/platformServiceFactory", () => ({
+  createService: jest.fn(),
+}));
+
+const { Order } = require("../../models");
+const PlatformServiceFactory = require("../../modules/order-management/services/platforms/platformServiceFactory");
+const shipmentService = require("../../services/shipment-service");
+const TrendyolService = require("../../modules/order-management/services/platforms/trendyol/trendyol-service");
+const PazaramaService = require("../../modules/order-management/services/platforms/pazarama/pazarama-service");
+const CiceksepetiService = require("../../modules/order-management/services/platforms/ciceksepeti/ciceksepeti-service");
+
+const TRACKING = {
+  trackingNumber: "YK123456",
+  trackingUrl: "https://www.yurticikargo.com/tr/takip?code=YK123456",
+  carrierCode: "yurtici",
+  carrierName: "Yurtiçi Kargo",
+};
+
+const storedOrder = (values) => ({
+  ...values,
+  update: jest.fn(async function (changes) {
+    return Object.assign(this, changes);
+  }),
+});
+
+const shippedOrder = (platform) => ({
+  id: "order-1",
+  platform,
+  connectionId: 7,
+  cargoTrackingNumber: TRACKING.trackingNumber,
+  cargoTrackingUrl: TRACKING.trackingUrl,
+  cargoCompany: TRACKING.carrierName,
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  PlatformServiceFactory.createService.mockReset();
+});
+
+describe("pushTrackingToMarketplace", () => {
+  it("sends the tracking number through the platform service", async () => {
+    const updateTrackingNumber = jest.fn().mockResolvedValue({ success: true });
+    PlatformServiceFactory.createService.mockReturnValue({ updateTrackingNumber });
+
+    const result = await shipmentService.pushTrackingToMarketplace(
+      shippedOrder("trendyol"),
+      "yurtici"
+    );
+
+    expect(result).toEqual({ status: "synced" });
+    expect(PlatformServiceFactory.createService).toHaveBeenCalledWith("trendyol", 7);
+    expect(updateTrackingNumber).toHaveBeenCalledWith("order-1", TRACKING);
+  });
+
+  it("reports a rejected tracking number", async () => {
+    PlatformServiceFactory.createService.mockReturnValue({
+      updateTrackingNumber: jest.fn().mockResolvedValue({
+        success: false,
+        message: "Failed to update tracking number: Paket bulunamadı",
+      }),
+    });
+
+    const result = await shipmentService.pushTrackingToMarketplace(
+      shippedOrder("n11"),
+      "yurtici"
+    );
+
+    expect(result).toEqual({
+      status: "failed",
+      error: "Failed to update tracking number: Paket bulunamadı",
+    });
+  });
+
+  it("reports platforms that cannot take a tracking number", async () => {
+    const updateOrderStatus = jest.fn();
+    PlatformServiceFactory.createService.mockReturnValue({ updateOrderStatus });
+
+    const result = await shipmentService.pushTrackingToMarketplace(
+      shippedOrder("woocommerce"),
+      "yurtici"
+    );
+
+    expect(result).toEqual({
+      status: "failed",
+      error: "Tracking numbers cannot be reported to woocommerce",
+    });
+    expect(updateOrderStatus).not.toHaveBeenCalled();
+  });
+
+  it("skips orders without a marketplace", async () => {
+    const result = await shipmentService.pushTrackingToMarketplace(
+      shippedOrder("csv"),
+      "yurtici"
+    );
+
+    expect(result).toEqual({ status: "skipped" });
+    expect(PlatformServiceFactory.createService).not.toHaveBeenCalled();
+  });
+});
+
+describe("Trendyol", () => {
+  const createService = () =>
+    new TrendyolService(1, { apiKey: "key", apiSecret: "secret", supplierId: "1234" });
+
+  it("updates the tracking number of the package", async () => {
+    const order = storedOrder({ id: "order-1", externalOrderId: "98765" });
+    jest.spyOn(Order, "findByPk").mockResolvedValue(order);
+    const put = jest
+      .spyOn(axios.Axios.prototype, "put")
+      .mockResolvedValue({ status: 200, data: "" });
+
+    const result = await createService().updateTrackingNumber("order-1", TRACKING);
+
+    expect(result.success).toBe(true);
+    expect(put).toHaveBeenCalledWith(
+      "/integration/order/sellers/1234/shipment-packages/98765/update-tracking-number",
+      { trackingNumber: "YK123456" }
+    );
+    expect(order.update).toHaveBeenCalledWith(
+      expect.objectContaining({ orderStatus: "shipped" })
+    );
+  });
+
+  it("reports an error answer of the API", async () => {
+    const order = storedOrder({ id: "order-1", externalOrderId: "98765" });
+    jest.spyOn(Order, "findByPk").mockResolvedValue(order);
+    jest.spyOn(axios.Axios.prototype, "put").mockResolvedValue({
+      status: 400,
+      data: { errors: [{ message: "Kargo takip numarası güncellenemez" }] },
+    });
+
+    const result = await createService().updateTrackingNumber("order-1", TRACKING);
+
+    expect(result.success).toBe(false);
+    expect(result.message).toMatch(/Kargo takip numarası güncellenemez/);
+    expect(order.update).not.toHaveBeenCalled();
+  });
+});
+
+describe("Pazarama", () => {
+  it("ships every order item with the tracking number", async () => {
+    const service = new PazaramaService(1, { apiKey: "key", apiSecret: "secret" });
+    const order = storedOrder({
+      id: "order-1",
+      externalOrderId: "230000101",
+      rawData: { items: [{ orderItemId: "item-1" }] },
+    });
+    jest.spyOn(Order, "findByPk").mockResolvedValue(order);
+    const put = jest.spyOn(axios.Axios.prototype, "put");
+
+    const result = await service.updateTrackingNumber("order-1", TRACKING);
+
+    expect(result.success).toBe(true);
+    expect(put.mock.calls[0][1]).toEqual({
+      orderNumber: "230000101",
+      item: {
+        orderItemId: "item-1",
+        status: 5,
+        shippingTrackingNumber: "YK123456",
+        trackingUrl: TRACKING.trackingUrl,
+      },
+    });
+  });
+
+  it("needs a tracking number", async () => {
+    const service = new PazaramaService(1, { apiKey: "key", apiSecret: "secret" });
+
+    const result = await service.updateTrackingNumber("order-1", {});
+
+    expect(result.success).toBe(false);
+    expect(result.message).toMatch(/tracking number is required/);
+  });
+});
+
+describe("Çiçeksepeti", () => {
+  it("ships the order items with the seller's own carrier", async () => {
+    const service = new CiceksepetiService(1, { apiKey: "key" });
+    const order = storedOrder({
+      id: "order-1",
+      rawData: { items: [{ orderItemId: 1 }, { orderItemId: 2 }] },
+    });
+    jest.spyOn(Order, "findByPk").mockResolvedValue(order);
+    const put = jest
+      .spyOn(axios.Axios.prototype, "put")
+      .mockResolvedValue({ status: 200, data: {} });
+
+    const result = await service.updateTrackingNumber("order-1", TRACKING);
+
+    expect(result.success).toBe(true);
+    expect(put).toHaveBeenCalledWith("/Order/shipmentwithoutcsintegration", {
+      orderItemsGroup: [
+        {
+          orderItemIds: [1, 2],
+          shipmentCompanyName: "Yurtiçi Kargo",
+          trackingNumber: "YK123456",
+          trackingUrl: TRACKING.trackingUrl,
+        },
+      ],
+    });
+    expect(order.orderStatus).toBe("shipped");
+  });
+});
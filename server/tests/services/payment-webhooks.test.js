@@ -0,0 +1,149 @@
+/**
+ * iyzico and PayTR payment callbacks, replayed from scripts/payment-webhook-replay.js
+ */
+const express = require("express");
+const request = require("supertest");
+
+process.env.IYZICO_SECRET_KEY = "sandbox-iyzico-secret";
+process.env.PAYTR_MERCHANT_KEY = "sandbox-paytr-key";
+process.env.PAYTR_MERCHANT_SALT = "sandbox-paytr-salt";
+
+const { PaymentWebhookEvent } = require("../../models");
+const { TurkishPaymentService } = require("../../services/turkishPaymentService");
+const paymentRoutes = require("../../routes/paymentRoutes");
+const {
+  iyzicoCallbacks,
+  payTRCallbacks,
+  signIyzico,
+  signPayTR,
+} = require("../../scripts/payment-webhook-replay");
+
+const app = express();
+app.use(express.json());
+app.use(express.urlencoded({ extended: true }));
+app.use("/api/payments", paymentRoutes);
+
+// Webhook events by provider and event key, as the unique index keeps them
+let events;
+let applyPaymentEvent;
+
+beforeEach(() => {
+  events = new Map();
+
+  jest.spyOn(PaymentWebhookEvent, "findOrCreate").mockImplementation(async ({ where, defaults }) => {
+    const key = `${where.provider}/${where.eventKey}`;
+    if (events.has(key)) {
+      return [events.get(key), false];
+    }
+
+    const record = {
+      ...where,
+      ...defaults,
+      status: "received",
+      paymentId: null,
+      update: jest.fn(async function (changes) {
+        return Object.assign(this, changes);
+      }),
+    };
+    events.set(key, record);
+    return [record, true];
+  });
+
+  applyPaymentEvent = jest
+    .spyOn(TurkishPaymentService.prototype, "applyPaymentEvent")
+    .mockResolvedValue({ payment: { id: "payment-1" }, applied: true });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe("iyzico callback", () => {
+  const [payload] = iyzicoCallbacks("PZ-1001");
+
+  const deliver = (body, signature) =>
+    request(app)
+      .post("/api/payments/webhooks/iyzico")
+      .set("X-IYZ-SIGNATURE-V3", signature)
+      .send(body);
+
+  it("applies a correctly signed callback once", async () => {
+    const first = await deliver(payload, signIyzico(payload));
+    const second = await deliver(payload, signIyzico(payload));
+
+    expect(first.status).toBe(200);
+    expect(first.body.data).toEqual({
+      duplicate: false,
+      status: "processed",
+      paymentId: "payment-1",
+    });
+    expect(second.status).toBe(200);
+    expect(second.body.data.duplicate).toBe(true);
+    expect(applyPaymentEvent).toHaveBeenCalledTimes(1);
+    expect(applyPaymentEvent.mock.calls[0][1]).toMatchObject({
+      reference: "PZ-1001",
+      status: "succeeded",
+    });
+  });
+
+  it("rejects a tampered status", async () => {
+    const response = await deliver({ ...payload, status: "FAILURE" }, signIyzico(payload));
+
+    expect(response.status).toBe(401);
+    expect(response.body).toEqual({ success: false, message: "Invalid webhook signature" });
+    expect(PaymentWebhookEvent.findOrCreate).not.toHaveBeenCalled();
+  });
+
+  it("rejects a callback without a signature", async () => {
+    const response = await request(app).post("/api/payments/webhooks/iyzico").send(payload);
+
+    expect(response.status).toBe(401);
+    expect(applyPaymentEvent).not.toHaveBeenCalled();
+  });
+});
+
+describe("PayTR callback", () => {
+  const [failed, succeeded] = payTRCallbacks("PZ-1002");
+
+  const deliver = (body) =>
+    request(app).post("/api/payments/webhooks/paytr").type("form").send(body);
+
+  it("acknowledges a correctly hashed callback and its redelivery", async () => {
+    const signed = { ...succeeded, hash: signPayTR(succeeded) };
+
+    const first = await deliver(signed);
+    const second = await deliver(signed);
+
+    expect(first.status).toBe(200);
+    expect(first.text).toBe("OK");
+    expect(second.status).toBe(200);
+    expect(second.text).toBe("OK");
+    expect(applyPaymentEvent).toHaveBeenCalledTimes(1);
+    expect(applyPaymentEvent.mock.calls[0][1]).toMatchObject({
+      reference: "PZ-1002P",
+      status: "succeeded",
+    });
+  });
+
+  it("records a failed and a later successful attempt separately", async () => {
+    await deliver({ ...failed, hash: signPayTR(failed) });
+    await deliver({ ...succeeded, hash: signPayTR(succeeded) });
+
+    expect(applyPaymentEvent.mock.calls.map(([, event]) => event.status)).toEqual([
+      "failed",
+      "succeeded",
+    ]);
+  });
+
+  it("rejects a tampered amount", async () => {
+    const response = await deliver({
+      ...succeeded,
+      hash: signPayTR(succeeded),
+      total_amount: "100",
+    });
+
+    expect(response.status).toBe(400);
+    expect(response.text).toBe("PAYTR notification failed: bad hash");
+    expect(applyPaymentEvent).not.toHaveBeenCalled();
+  });
+});
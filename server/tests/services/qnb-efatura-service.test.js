@@ -0,0 +1,275 @@
+/**
+ * QNB Finans e-Fatura client against scripts/qnb-connector-mock-server.js
+ */
+const { createQNBConnectorMockServer } = require("../../scripts/qnb-connector-mock-server");
+const { Settings, IncomingInvoice } = require("../../models");
+const qnbConnector = require("../../services/qnbConnectorService");
+const { QNBEFaturaService } = require("../../services/qnbEFaturaService");
+
+const SELLER_VKN = "1112223334";
+
+const invoiceXml = ({ number, receiver, profile = "TICARIFATURA" }) => `<?xml version="1.0" encoding="UTF-8"?>
+<Invoice xmlns="urn:oasis:names:specification:ubl:schema:xsd:Invoice-2"
+  xmlns:cac="urn:oasis:names:specification:ubl:schema:xsd:CommonAggregateComponents-2"
+  xmlns:cbc="urn:oasis:names:specification:ubl:schema:xsd:CommonBasicComponents-2">
+  <cbc:ProfileID>${profile}</cbc:ProfileID>
+  <cbc:ID>${number}</cbc:ID>
+  <cbc:UUID>${number}-uuid</cbc:UUID>
+  <cbc:IssueDate>2026-10-19</cbc:IssueDate>
+  <cbc:InvoiceTypeCode>SATIS</cbc:InvoiceTypeCode>
+  <cbc:DocumentCurrencyCode>TRY</cbc:DocumentCurrencyCode>
+  <cac:AccountingSupplierParty><cac:Party>
+    <cac:PartyIdentification><cbc:ID schemeID="VKN">${SELLER_VKN}</cbc:ID></cac:PartyIdentification>
+    <cac:PartyName><cbc:Name>Pazar Plus Ticaret</cbc:Name></cac:PartyName>
+  </cac:Party></cac:AccountingSupplierParty>
+  <cac:AccountingCustomerParty><cac:Party>
+    <cac:PartyIdentification><cbc:ID schemeID="VKN">${receiver}</cbc:ID></cac:PartyIdentification>
+  </cac:Party></cac:AccountingCustomerParty>
+  <cac:TaxTotal><cbc:TaxAmount currencyID="TRY">20.00</cbc:TaxAmount></cac:TaxTotal>
+  <cac:LegalMonetaryTotal>
+    <cbc:TaxExclusiveAmount currencyID="TRY">100.00</cbc:TaxExclusiveAmount>
+    <cbc:PayableAmount currencyID="TRY">120.00</cbc:PayableAmount>
+  </cac:LegalMonetaryTotal>
+  <cac:InvoiceLine>
+    <cbc:InvoicedQuantity unitCode="C62">2</cbc:InvoicedQuantity>
+    <cbc:LineExtensionAmount currencyID="TRY">100.00</cbc:LineExtensionAmount>
+    <cac:Item><cbc:Name>Seramik Kupa</cbc:Name></cac:Item>
+    <cac:Price><cbc:PriceAmount currencyID="TRY">50.00</cbc:PriceAmount></cac:Price>
+  </cac:InvoiceLine>
+</Invoice>`;
+
+const storedDocument = ({ number, receiver = "1234567890", profile = "TICARIFATURA" }) => ({
+  id: `doc-${number}`,
+  orderId: "order-1",
+  documentNumber: number,
+  uuid: `${number}-uuid`,
+  status: "generated",
+  providerDocumentId: null,
+  retryCount: 0,
+  xmlContent: invoiceXml({ number, receiver, profile }),
+  metadata: { profile, alias: "urn:mail:defaultpk@ornekticaret.com.tr" },
+  update: jest.fn(async function (changes) {
+    return Object.assign(this, changes);
+  }),
+});
+
+let mock;
+let server;
+let baseUrl;
+let service;
+
+beforeAll(async () => {
+  mock = createQNBConnectorMockServer();
+  await new Promise((resolve) => {
+    server = mock.app.listen(0, "127.0.0.1", resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+  process.env.QNB_CONNECTOR_URL = `${baseUrl}/connectorService`;
+  process.env.QNB_USERNAME = "qnb_mock_user";
+  process.env.QNB_PASSWORD = "qnb_mock_pass";
+  process.env.TAX_NUMBER = SELLER_VKN;
+});
+
+afterAll(async () => {
+  ["QNB_CONNECTOR_URL", "QNB_USERNAME", "QNB_PASSWORD", "TAX_NUMBER"].forEach(
+    (key) => delete process.env[key]
+  );
+  await new Promise((resolve) => server.close(resolve));
+});
+
+beforeEach(() => {
+  jest.spyOn(Settings, "findOne").mockResolvedValue(null);
+  service = new QNBEFaturaService();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  process.env.QNB_PASSWORD = "qnb_mock_pass";
+});
+
+const submit = async (document) => {
+  jest.spyOn(service, "getDocument").mockResolvedValue(document);
+  return service.submit("user-1", document.id);
+};
+
+const setResponse = async (belgeOid, response, detail) => {
+  const result = await fetch(`${baseUrl}/__mock/documents/${belgeOid}/response`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ response, detail }),
+  });
+  expect(result.status).toBe(200);
+};
+
+describe("checkTaxpayer", () => {
+  it("returns the title and aliases of a registered e-Fatura user", async () => {
+    const result = await service.checkTaxpayer("user-1", "9876543210");
+
+    expect(result).toEqual({
+      taxNumber: "9876543210",
+      isEInvoiceUser: true,
+      title: "Deneme Yedek Parça Ltd. Şti.",
+      aliases: [
+        "urn:mail:defaultpk@denemeparca.com.tr",
+        "urn:mail:muhasebepk@denemeparca.com.tr",
+      ],
+    });
+  });
+
+  it("reports a VKN outside the e-Fatura user list", async () => {
+    const result = await service.checkTaxpayer("user-1", "5554443332");
+
+    expect(result.isEInvoiceUser).toBe(false);
+    expect(result.aliases).toEqual([]);
+  });
+
+  it("refuses an invalid tax number", async () => {
+    await expect(service.checkTaxpayer("user-1", "12345")).rejects.toMatchObject({
+      message: "A valid VKN or TCKN is required",
+      statusCode: 400,
+    });
+  });
+
+  it("passes on a rejected login", async () => {
+    process.env.QNB_PASSWORD = "wrong";
+
+    await expect(service.checkTaxpayer("user-1", "1234567890")).rejects.toThrow(
+      "SOAP Fault: Kullanıcı adı veya şifre hatalı"
+    );
+  });
+});
+
+describe("submit", () => {
+  it("sends the invoice and stores the QNB document reference", async () => {
+    const document = storedDocument({ number: "EFT2026000000001" });
+
+    const summary = await submit(document);
+
+    const sent = mock.state.documents.find((entry) => entry.belgeNo === "EFT2026000000001");
+    expect(summary.status).toBe("sent");
+    expect(summary.providerDocumentId).toBe(sent.belgeOid);
+    expect(sent).toMatchObject({
+      belgeTuru: "FATURA_UBL",
+      alanEtiket: "urn:mail:defaultpk@ornekticaret.com.tr",
+    });
+  });
+
+  it("marks an invoice to an unregistered receiver failed", async () => {
+    const summary = await submit(
+      storedDocument({ number: "EFT2026000000002", receiver: "5554443332" })
+    );
+
+    expect(summary.status).toBe("failed");
+    expect(summary.errorMessage).toBe("SOAP Fault: 5554443332 e-Fatura kayıtlı kullanıcısı değil");
+  });
+
+  it("marks a number that was already sent failed", async () => {
+    await submit(storedDocument({ number: "EFT2026000000003" }));
+
+    const summary = await submit(storedDocument({ number: "EFT2026000000003" }));
+
+    expect(summary.status).toBe("failed");
+    expect(summary.errorMessage).toMatch(/daha önce gönderilmiş/);
+  });
+
+  it("refuses a document that was already sent", async () => {
+    const document = { ...storedDocument({ number: "EFT2026000000004" }), status: "sent" };
+
+    await expect(submit(document)).rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  it("needs QNB Finans credentials", async () => {
+    delete process.env.QNB_PASSWORD;
+
+    await expect(submit(storedDocument({ number: "EFT2026000000005" }))).rejects.toMatchObject({
+      message: "QNB Finans credentials are not configured",
+      statusCode: 400,
+    });
+  });
+});
+
+describe("refreshStatus", () => {
+  const config = () => qnbConnector.getConfig("user-1");
+
+  it("accepts a TEMELFATURA once GİB delivered it", async () => {
+    const document = storedDocument({ number: "EFT2026000000010", profile: "TEMELFATURA" });
+    await submit(document);
+
+    await service.refreshStatus(document, await config());
+    expect(document.status).toBe("sent");
+
+    await service.refreshStatus(document, await config());
+    expect(document.status).toBe("accepted");
+    expect(document.metadata.deliveredAt).toBeInstanceOf(Date);
+  });
+
+  it("waits for the application response of a TICARIFATURA", async () => {
+    const document = storedDocument({ number: "EFT2026000000011" });
+    await submit(document);
+
+    await service.refreshStatus(document, await config());
+    await service.refreshStatus(document, await config());
+    expect(document.status).toBe("sent");
+
+    await setResponse(document.providerDocumentId, "RED", "Fiyat hatalı");
+    const changed = await service.refreshStatus(document, await config());
+
+    expect(changed).toBe(true);
+    expect(document.status).toBe("rejected");
+    expect(document.errorMessage).toBe("Fiyat hatalı");
+    expect(document.metadata.applicationResponse).toEqual({
+      response: "RED",
+      detail: "Fiyat hatalı",
+    });
+  });
+
+  it("fails for a document QNB does not know", async () => {
+    const document = { ...storedDocument({ number: "EFT2026000000012" }), providerDocumentId: "nope" };
+
+    await expect(service.refreshStatus(document, await config())).rejects.toThrow(
+      "SOAP Fault: nope belgesi bulunamadı"
+    );
+  });
+});
+
+describe("fetchIncoming", () => {
+  it("imports the purchase invoices received since the last fetch", async () => {
+    const response = await fetch(`${baseUrl}/__mock/incoming`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        vkn: SELLER_VKN,
+        xml: invoiceXml({ number: "ABC2026000000077", receiver: SELLER_VKN }),
+      }),
+    });
+    const { belgeSiraNo } = await response.json();
+    jest.spyOn(IncomingInvoice, "findOne").mockResolvedValue(null);
+    const findOrCreate = jest.spyOn(IncomingInvoice, "findOrCreate").mockResolvedValue([{}, true]);
+
+    const stats = await service.fetchIncoming("user-1");
+
+    expect(stats).toEqual({ listed: 1, imported: 1, failed: 0 });
+    expect(findOrCreate.mock.calls[0][0].where).toEqual({
+      userId: "user-1",
+      uuid: "ABC2026000000077-uuid",
+    });
+    expect(findOrCreate.mock.calls[0][0].defaults).toMatchObject({
+      invoiceNumber: "ABC2026000000077",
+      senderTaxNumber: SELLER_VKN,
+      senderName: "Pazar Plus Ticaret",
+      payableAmount: 120,
+      providerSequence: String(belgeSiraNo),
+      lines: [expect.objectContaining({ name: "Seramik Kupa", quantity: 2, price: 50 })],
+    });
+  });
+
+  it("lists nothing after the last stored sequence", async () => {
+    jest.spyOn(IncomingInvoice, "findOne").mockResolvedValue({ providerSequence: 9999 });
+    const findOrCreate = jest.spyOn(IncomingInvoice, "findOrCreate");
+
+    const stats = await service.fetchIncoming("user-1");
+
+    expect(stats).toEqual({ listed: 0, imported: 0, failed: 0 });
+    expect(findOrCreate).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,378 @@
+/**
+ * e-İrsaliye: UBL-TR DespatchAdvice XML and generating it from an order
+ */
+const xml2js = require("xml2js");
+
+const { ComplianceDocuments } = require("../../models");
+const DespatchAdviceGenerator = require("../../services/qnb/eirsaliye/xml/DespatchAdviceGenerator");
+const eIrsaliye = require("../../services/qnbEIrsaliyeService");
+const qnbConnector = require("../../services/qnbConnectorService");
+
+// A TCKN with valid check digits
+const TCKN = "10000000146";
+
+const COMPANY = {
+  name: "Pazar Oto Yedek Parça Ltd. Şti.",
+  taxNumber: "1234567890",
+  taxOffice: "Kadıköy",
+  address: "Rasimpaşa Mah. Rıhtım Cad. No:5",
+  district: "Kadıköy",
+  city: "İstanbul",
+  phone: "02165550000",
+  email: "info@pazaroto.example",
+};
+
+const CARRIER = {
+  name: "Yurtiçi Kargo Servisi A.Ş.",
+  taxNumber: "9860008925",
+  taxOffice: "Büyük Mükellefler",
+  address: "Şerifali Mah. Değirmenyolu Cad. No:28",
+  city: "İstanbul",
+};
+
+const despatch = (fields = {}) => ({
+  uuid: "5f0c6a52-1b9e-4d1e-9a5c-3f6a8b2d7e41",
+  documentNumber: "IRS2026000000042",
+  issuedAt: new Date(2026, 9, 19, 14, 30, 5),
+  currency: "TRY",
+  notes: ["Sipariş No: TY-1001"],
+  orderReference: { id: "TY-1001", date: new Date(2026, 9, 18, 10) },
+  shipmentId: "YK123456789",
+  company: COMPANY,
+  receiver: {
+    name: "Ayşe Yılmaz",
+    taxNumber: TCKN,
+    address: "Caferağa Mah. Moda Cad. No:12",
+    district: "Kadıköy",
+    city: "İstanbul",
+    postalCode: "34710",
+    phone: "05321234567",
+    email: "",
+  },
+  transport: {
+    carrier: CARRIER,
+    plate: null,
+    trailerPlate: null,
+    driver: null,
+    despatchedAt: new Date(2026, 9, 19, 9, 15),
+  },
+  lines: [
+    { name: "Fren Balatası Ön", sku: "FB-1001", quantity: 2, amount: 900 },
+    { name: "Silecek Süpürgesi", quantity: 1, amount: "249.9" },
+  ],
+  ...fields,
+});
+
+const parse = (xml) => xml2js.parseStringPromise(xml, { explicitArray: false });
+
+const generate = async (fields) => {
+  const xml = new DespatchAdviceGenerator().generate(despatch(fields));
+  const { DespatchAdvice } = await parse(xml);
+  return { xml, advice: DespatchAdvice };
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe("DespatchAdviceGenerator", () => {
+  it("writes a TEMELIRSALIYE despatch advice of type SEVK", async () => {
+    const { xml, advice } = await generate();
+
+    expect(xml.startsWith('<?xml version="1.0" encoding="UTF-8"?>')).toBe(true);
+    expect(advice.$).toEqual({
+      xmlns: "urn:oasis:names:specification:ubl:schema:xsd:DespatchAdvice-2",
+      "xmlns:cac": "urn:oasis:names:specification:ubl:schema:xsd:CommonAggregateComponents-2",
+      "xmlns:cbc": "urn:oasis:names:specification:ubl:schema:xsd:CommonBasicComponents-2",
+    });
+    expect(advice).toMatchObject({
+      "cbc:UBLVersionID": "2.1",
+      "cbc:CustomizationID": "TR1.2.1",
+      "cbc:ProfileID": "TEMELIRSALIYE",
+      "cbc:ID": "IRS2026000000042",
+      "cbc:CopyIndicator": "false",
+      "cbc:UUID": "5f0c6a52-1b9e-4d1e-9a5c-3f6a8b2d7e41",
+      "cbc:IssueDate": "2026-10-19",
+      "cbc:IssueTime": "14:30:05",
+      "cbc:DespatchAdviceTypeCode": "SEVK",
+      "cbc:Note": "Sipariş No: TY-1001",
+      "cbc:LineCountNumeric": "2",
+      "cac:OrderReference": { "cbc:ID": "TY-1001", "cbc:IssueDate": "2026-10-18" },
+    });
+  });
+
+  it("keeps the element order of the UBL-TR schema", async () => {
+    const { xml } = await generate();
+    const elements = [
+      "cbc:UBLVersionID",
+      "cbc:CustomizationID",
+      "cbc:ProfileID",
+      "cbc:ID",
+      "cbc:CopyIndicator",
+      "cbc:UUID",
+      "cbc:IssueDate",
+      "cbc:IssueTime",
+      "cbc:DespatchAdviceTypeCode",
+      "cbc:Note",
+      "cbc:LineCountNumeric",
+      "cac:OrderReference",
+      "cac:Signature",
+      "cac:DespatchSupplierParty",
+      "cac:DeliveryCustomerParty",
+      "cac:Shipment",
+      "cac:DespatchLine",
+    ];
+    const positions = elements.map((element) => xml.indexOf(`\n  <${element}>`));
+
+    expect(positions).not.toContain(-1);
+    expect([...positions].sort((a, b) => a - b)).toEqual(positions);
+  });
+
+  it("identifies the supplier by VKN and a person receiver by TCKN", async () => {
+    const { advice } = await generate();
+    const supplier = advice["cac:DespatchSupplierParty"]["cac:Party"];
+    const receiver = advice["cac:DeliveryCustomerParty"]["cac:Party"];
+
+    expect(advice["cac:Signature"]["cbc:ID"]).toEqual({
+      $: { schemeID: "VKN_TCKN" },
+      _: "1234567890",
+    });
+    expect(supplier).toMatchObject({
+      "cac:PartyIdentification": { "cbc:ID": { $: { schemeID: "VKN" }, _: "1234567890" } },
+      "cac:PartyName": { "cbc:Name": "Pazar Oto Yedek Parça Ltd. Şti." },
+      "cac:PartyTaxScheme": { "cac:TaxScheme": { "cbc:Name": "Kadıköy" } },
+    });
+    expect(receiver).toMatchObject({
+      "cac:PartyIdentification": { "cbc:ID": { $: { schemeID: "TCKN" }, _: TCKN } },
+      "cac:PostalAddress": {
+        "cbc:StreetName": "Caferağa Mah. Moda Cad. No:12",
+        "cbc:CitySubdivisionName": "Kadıköy",
+        "cbc:CityName": "İstanbul",
+        "cbc:PostalZone": "34710",
+        "cac:Country": { "cbc:IdentificationCode": "TR", "cbc:Name": "Türkiye" },
+      },
+      "cac:Contact": { "cbc:Telephone": "05321234567" },
+      "cac:Person": { "cbc:FirstName": "Ayşe", "cbc:FamilyName": "Yılmaz" },
+    });
+    expect(receiver).not.toHaveProperty("cac:PartyName");
+    expect(receiver).not.toHaveProperty("cac:PartyTaxScheme");
+  });
+
+  it("uses the GİB default TCKN for receivers without an identifier", async () => {
+    const { advice } = await generate({
+      receiver: { name: "Mehmet Ali Demir", city: "Ankara", address: "Kızılay" },
+    });
+    const receiver = advice["cac:DeliveryCustomerParty"]["cac:Party"];
+
+    expect(receiver["cac:PartyIdentification"]["cbc:ID"]).toEqual({
+      $: { schemeID: "TCKN" },
+      _: "11111111111",
+    });
+    expect(receiver["cac:Person"]).toEqual({
+      "cbc:FirstName": "Mehmet Ali",
+      "cbc:FamilyName": "Demir",
+    });
+    // Without a district the city is the subdivision
+    expect(receiver["cac:PostalAddress"]["cbc:CitySubdivisionName"]).toBe("Ankara");
+  });
+
+  it("writes the carrier, despatch time and goods value of a shipment", async () => {
+    const { advice } = await generate();
+    const shipment = advice["cac:Shipment"];
+
+    expect(shipment).toMatchObject({
+      "cbc:ID": "YK123456789",
+      "cac:GoodsItem": { "cbc:ValueAmount": { $: { currencyID: "TRY" }, _: "1149.90" } },
+      "cac:Delivery": {
+        "cac:DeliveryAddress": { "cbc:StreetName": "Caferağa Mah. Moda Cad. No:12" },
+        "cac:CarrierParty": {
+          "cac:PartyIdentification": { "cbc:ID": { $: { schemeID: "VKN" }, _: "9860008925" } },
+          "cac:PartyName": { "cbc:Name": "Yurtiçi Kargo Servisi A.Ş." },
+        },
+        "cac:Despatch": {
+          "cbc:ActualDespatchDate": "2026-10-19",
+          "cbc:ActualDespatchTime": "09:15:00",
+        },
+      },
+    });
+    expect(shipment).not.toHaveProperty("cac:ShipmentStage");
+    expect(shipment).not.toHaveProperty("cac:TransportHandlingUnit");
+  });
+
+  it("writes the plate, driver and trailer of own transport", async () => {
+    const { advice } = await generate({
+      transport: {
+        carrier: null,
+        plate: "34ABC123",
+        trailerPlate: "34DEF456",
+        driver: { name: "Hasan Kaya", nationalId: TCKN },
+        despatchedAt: new Date(2026, 9, 19, 9, 15),
+      },
+    });
+    const shipment = advice["cac:Shipment"];
+
+    expect(shipment["cac:ShipmentStage"]).toEqual({
+      "cac:TransportMeans": {
+        "cac:RoadTransport": { "cbc:LicensePlateID": { $: { schemeID: "PLAKA" }, _: "34ABC123" } },
+      },
+      "cac:DriverPerson": {
+        "cbc:FirstName": "Hasan",
+        "cbc:FamilyName": "Kaya",
+        "cbc:Title": "Şoför",
+        "cbc:NationalityID": TCKN,
+      },
+    });
+    expect(shipment["cac:TransportHandlingUnit"]).toEqual({
+      "cac:TransportEquipment": { "cbc:ID": { $: { schemeID: "DORSEPLAKA" }, _: "34DEF456" } },
+    });
+    expect(shipment["cac:Delivery"]).not.toHaveProperty("cac:CarrierParty");
+  });
+
+  it("numbers the despatch lines with quantities and seller item codes", async () => {
+    const { advice } = await generate();
+
+    expect(advice["cac:DespatchLine"]).toEqual([
+      {
+        "cbc:ID": "1",
+        "cbc:DeliveredQuantity": { $: { unitCode: "C62" }, _: "2" },
+        "cac:OrderLineReference": { "cbc:LineID": "1" },
+        "cac:Item": {
+          "cbc:Name": "Fren Balatası Ön",
+          "cac:SellersItemIdentification": { "cbc:ID": "FB-1001" },
+        },
+      },
+      {
+        "cbc:ID": "2",
+        "cbc:DeliveredQuantity": { $: { unitCode: "C62" }, _: "1" },
+        "cac:OrderLineReference": { "cbc:LineID": "2" },
+        "cac:Item": { "cbc:Name": "Silecek Süpürgesi" },
+      },
+    ]);
+  });
+
+  it("escapes markup in item names", async () => {
+    const { xml, advice } = await generate({
+      lines: [{ name: 'Vida & Somun <M8> "Set"', quantity: 10, amount: 50 }],
+    });
+
+    expect(xml).toContain("<cbc:Name>Vida &amp; Somun &lt;M8&gt; \"Set\"</cbc:Name>");
+    expect(advice["cac:DespatchLine"]["cac:Item"]["cbc:Name"]).toBe('Vida & Somun <M8> "Set"');
+  });
+});
+
+describe("generate", () => {
+  const order = (fields = {}) => ({
+    id: "order-1",
+    orderNumber: "TY-1001",
+    orderDate: new Date(2026, 9, 18, 10),
+    currency: "TRY",
+    customerName: "Ayşe Yılmaz",
+    customerEmail: "ayse@example.com",
+    identityNumber: TCKN,
+    shippingAddress: JSON.stringify({
+      fullName: "Ayşe Yılmaz",
+      address1: "Caferağa Mah. Moda Cad. No:12",
+      district: "Kadıköy",
+      city: "İstanbul",
+      postalCode: "34710",
+      phone: "05321234567",
+    }),
+    items: [
+      { title: "Fren Balatası Ön", sku: "FB-1001", quantity: 2, price: 450, totalPrice: 900 },
+      { title: "Silecek Süpürgesi", barcode: "8690000000011", quantity: 1, price: 249.9 },
+    ],
+    shippingDetail: {
+      trackingNumber: "YK123456789",
+      shippedAt: new Date(2026, 9, 19, 9, 15),
+      carrier: { name: "Yurtiçi Kargo", configuration: CARRIER },
+    },
+    ...fields,
+  });
+
+  beforeEach(() => {
+    jest.spyOn(qnbConnector, "getConfig").mockResolvedValue({
+      companyInfo: { ...COMPANY, companyName: COMPANY.name },
+      despatchSeries: "IRS",
+    });
+    jest.spyOn(eIrsaliye, "loadOrder").mockResolvedValue(order());
+    jest.spyOn(ComplianceDocuments, "create").mockImplementation(async (values) => values);
+  });
+
+  it("stores the despatch advice of an order under the next number", async () => {
+    jest
+      .spyOn(ComplianceDocuments, "findOne")
+      .mockResolvedValueOnce(null)
+      .mockResolvedValueOnce({ documentNumber: `IRS${new Date().getFullYear()}000000041` });
+
+    const document = await eIrsaliye.generate("user-1", "order-1");
+    const { DespatchAdvice } = await parse(document.xmlContent);
+
+    expect(document).toMatchObject({
+      documentType: "e-despatch",
+      documentNumber: `IRS${new Date().getFullYear()}000000042`,
+      status: "generated",
+      customerType: "INDIVIDUAL",
+    });
+    expect(DespatchAdvice["cbc:ID"]).toBe(document.documentNumber);
+    expect(DespatchAdvice["cbc:UUID"]).toBe(document.uuid);
+    expect(DespatchAdvice["cac:Shipment"]["cac:GoodsItem"]["cbc:ValueAmount"]._).toBe("1149.90");
+    expect(
+      DespatchAdvice["cac:DespatchLine"].map(
+        (line) => line["cac:Item"]["cac:SellersItemIdentification"]["cbc:ID"]
+      )
+    ).toEqual(["FB-1001", "8690000000011"]);
+    expect(
+      DespatchAdvice["cac:Shipment"]["cac:Delivery"]["cac:CarrierParty"]["cac:PartyName"]
+    ).toEqual({ "cbc:Name": "Yurtiçi Kargo" });
+  });
+
+  it("takes the next number when another generation took the same one", async () => {
+    const year = new Date().getFullYear();
+    jest
+      .spyOn(ComplianceDocuments, "findOne")
+      .mockResolvedValueOnce(null)
+      .mockResolvedValueOnce({ documentNumber: `IRS${year}000000041` })
+      .mockResolvedValueOnce({ documentNumber: `IRS${year}000000042` });
+    ComplianceDocuments.create.mockRejectedValueOnce(
+      Object.assign(new Error("Validation error"), { name: "SequelizeUniqueConstraintError" })
+    );
+
+    const document = await eIrsaliye.generate("user-1", "order-1");
+
+    expect(document.documentNumber).toBe(`IRS${year}000000043`);
+    expect(document.xmlContent).toContain(`<cbc:ID>IRS${year}000000043</cbc:ID>`);
+  });
+
+  it("refuses an order that already has a despatch advice", async () => {
+    jest
+      .spyOn(ComplianceDocuments, "findOne")
+      .mockResolvedValue({ documentNumber: "IRS2026000000007" });
+
+    await expect(eIrsaliye.generate("user-1", "order-1")).rejects.toMatchObject({
+      message: "Order already has e-İrsaliye IRS2026000000007",
+      statusCode: 409,
+    });
+    expect(ComplianceDocuments.create).not.toHaveBeenCalled();
+  });
+
+  it("requires a carrier VKN or a plate with its driver", () => {
+    const withoutCarrier = order({ shippingDetail: null });
+
+    expect(() => eIrsaliye.buildTransport(withoutCarrier)).toThrow(
+      "A carrier with a tax number or a vehicle plate is required"
+    );
+    expect(() =>
+      eIrsaliye.buildTransport(withoutCarrier, {
+        plate: "34 abc 123",
+        driver: { name: "Hasan Kaya", nationalId: "12345678901" },
+      })
+    ).toThrow("Driver name and a valid TCKN are required when a plate is given");
+    expect(
+      eIrsaliye.buildTransport(withoutCarrier, {
+        plate: "34 abc 123",
+        driver: { name: "Hasan Kaya", nationalId: TCKN },
+        despatchedAt: "2026-10-19T09:15:00Z",
+      })
+    ).toMatchObject({ carrier: null, plate: "34ABC123", driver: { nationalId: TCKN } });
+  });
+});
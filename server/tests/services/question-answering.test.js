@@ -0,0 +1,269 @@
+/**
+ * Question auto-answer: the rule-based model, send decisions within the
+ * answer deadline and sending drafts
+ */
+jest.mock("../../services/question-answering/product-facts", () => ({
+  ...jest.requireActual("../../services/question-answering/product-facts"),
+  loadProductFacts: jest.fn(),
+}));
+
+const {
+  CustomerQuestion,
+  ReplyTemplate,
+  QuestionAnswerDraft,
+  QuestionAutoAnswerRule,
+} = require("../../models");
+const { loadProductFacts } = require("../../services/question-answering/product-facts");
+const ruleBasedModel = require("../../services/question-answering/rule-based-model");
+const questionAnswering = require("../../services/question-answering");
+
+const NOW = new Date("2026-10-19T09:00:00Z");
+const minutes = (n) => new Date(NOW.getTime() + n * 60 * 1000);
+
+const facts = (fields = {}) => ({
+  name: "Fren Balatası Ön",
+  sku: "FB-1001",
+  oemCode: "7701208413",
+  stock: { quantity: 12, inStock: true },
+  attributes: { Renk: "Siyah", Garanti: "2 yıl" },
+  dimensions: { length: 15, width: 6, height: 2, unit: "cm" },
+  weight: null,
+  compatibleVehicles: [
+    { brand: "Renault", model: "Clio IV", yearRange: "2012-2019", engineType: "1.5 dCi" },
+  ],
+  shipping: { days: 1, source: "listing" },
+  ...fields,
+});
+
+const question = (questionText, fields = {}) => ({
+  id: 101,
+  platform: "trendyol",
+  question_text: questionText,
+  product_name: "Fren Balatası Ön",
+  status: "WAITING_FOR_ANSWER",
+  creation_date: NOW,
+  due_date: minutes(24 * 60),
+  ...fields,
+});
+
+const withUpdate = (fields) => ({
+  update: jest.fn(async function (changes) {
+    return Object.assign(this, changes);
+  }),
+  ...fields,
+});
+
+beforeEach(() => {
+  loadProductFacts.mockResolvedValue(facts());
+  jest.spyOn(ReplyTemplate, "findAll").mockResolvedValue([]);
+  jest.spyOn(QuestionAutoAnswerRule, "findAll").mockResolvedValue([]);
+  jest.spyOn(QuestionAnswerDraft, "findOne").mockResolvedValue(null);
+  jest.spyOn(QuestionAnswerDraft, "create").mockImplementation(async (values) => values);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe("rule-based model", () => {
+  const answer = (text, input = {}) =>
+    ruleBasedModel.answer({ question: question(text), facts: facts(), ...input });
+
+  it("answers stock questions from the product stock", async () => {
+    expect(await answer("Stokta var mı?")).toEqual({
+      category: "stock",
+      text:
+        "Merhaba, ürünümüz stoklarımızda mevcuttur, siparişiniz 1 iş günü içinde " +
+        "kargoya verilir. İyi alışverişler dileriz.",
+      confidence: 0.855,
+      templateId: null,
+    });
+  });
+
+  it("checks the vehicle and year the customer names", async () => {
+    const fits = await answer("Renault Clio 2015 aracıma uyar mı?");
+    const doesNotFit = await answer("Renault Clio 2021 aracıma uyar mı?");
+
+    expect(fits).toMatchObject({ category: "compatibility", confidence: 0.9 });
+    expect(fits.text).toContain("Renault Clio IV 1.5 dCi 2012-2019 araçlarla uyumludur");
+    expect(doesNotFit.text).toContain("uyumlu görünmemektedir");
+    expect(doesNotFit.confidence).toBe(0.6);
+  });
+
+  it("answers attributes the product has and leaves unknown ones open", async () => {
+    const color = await answer("Rengi nedir?");
+    const size = await answer("Ölçüsü kaç cm?");
+    const material = await answer("Malzemesi nedir?");
+
+    expect(color.text).toContain("renk bilgisi: Siyah");
+    expect(size.text).toContain("ölçü bilgisi: 15 x 6 x 2 cm");
+    expect(material).toMatchObject({ category: "attribute", text: null, confidence: 0 });
+  });
+
+  it("words the answer with a reply template whose variables are known", async () => {
+    const templates = [
+      { id: 7, category: "stock", content: "Merhaba {{customer_name}}, {{answer}}" },
+      {
+        id: 8,
+        category: "stock",
+        content: "Merhaba, {{product_name}} {{stock_status}}. {{shipping_days}} günde kargoda.",
+      },
+    ];
+
+    expect(await answer("Stokta var mı?", { templates })).toMatchObject({
+      text: "Merhaba, Fren Balatası Ön stoklarımızda mevcuttur. 1 günde kargoda.",
+      templateId: 8,
+      confidence: 0.855,
+    });
+  });
+
+  it("does not answer questions it cannot classify", async () => {
+    expect(await answer("Merhaba, indirim yapar mısınız?")).toEqual({
+      category: "other",
+      text: null,
+      confidence: 0,
+      templateId: null,
+    });
+  });
+});
+
+describe("draftAnswer", () => {
+  it("schedules a confident stock answer after the hold time", async () => {
+    const draft = await questionAnswering.draftAnswer(question("Stokta var mı?"), { now: NOW });
+
+    expect(draft).toMatchObject({
+      question_id: 101,
+      category: "stock",
+      model: "rules",
+      status: "scheduled",
+      auto_send_at: minutes(15),
+      sla_deadline: minutes(24 * 60),
+    });
+  });
+
+  it("sends no later than 30 minutes before the deadline", async () => {
+    const draft = await questionAnswering.draftAnswer(
+      question("Stokta var mı?", { due_date: minutes(40) }),
+      { now: NOW }
+    );
+
+    expect(draft).toMatchObject({ status: "scheduled", auto_send_at: minutes(10) });
+  });
+
+  it("leaves the answer for review once the deadline is too close", async () => {
+    const draft = await questionAnswering.draftAnswer(
+      question("Stokta var mı?", { due_date: minutes(20) }),
+      { now: NOW }
+    );
+
+    expect(draft).toMatchObject({ status: "pending_review", auto_send_at: null });
+  });
+
+  it("reviews categories without automatic sending and drafts asked for by a user", async () => {
+    const fitment = await questionAnswering.draftAnswer(
+      question("Renault Clio 2015 aracıma uyar mı?"),
+      { now: NOW }
+    );
+    const manual = await questionAnswering.draftAnswer(question("Stokta var mı?"), {
+      now: NOW,
+      manual: true,
+    });
+
+    expect(fitment).toMatchObject({ category: "compatibility", status: "pending_review" });
+    expect(manual.status).toBe("pending_review");
+  });
+
+  it("follows the seller's rule for a platform over the defaults", async () => {
+    QuestionAutoAnswerRule.findAll.mockResolvedValue([
+      {
+        category: "compatibility",
+        platform: "trendyol",
+        auto_send: true,
+        min_confidence: 0.85,
+        hold_minutes: 5,
+      },
+      {
+        category: "stock",
+        platform: "all",
+        auto_send: false,
+        min_confidence: 0.85,
+        hold_minutes: 15,
+      },
+    ]);
+
+    const fitment = await questionAnswering.draftAnswer(
+      question("Renault Clio 2015 aracıma uyar mı?"),
+      { now: NOW }
+    );
+    const stock = await questionAnswering.draftAnswer(question("Stokta var mı?"), { now: NOW });
+
+    expect(fitment).toMatchObject({ status: "scheduled", auto_send_at: minutes(5) });
+    expect(stock.status).toBe("pending_review");
+  });
+
+  it("refuses to redraft a question a draft already answered", async () => {
+    QuestionAnswerDraft.findOne.mockResolvedValue({ status: "sent" });
+
+    await expect(
+      questionAnswering.draftAnswer(question("Stokta var mı?"), { now: NOW })
+    ).rejects.toMatchObject({ statusCode: 409 });
+  });
+});
+
+describe("sendDraft", () => {
+  const draft = () =>
+    withUpdate({
+      id: "draft-1",
+      question_id: 101,
+      answer_text: "Merhaba, ürünümüz stoklarımızda mevcuttur.",
+      template_id: null,
+      status: "scheduled",
+    });
+
+  beforeEach(() => {
+    jest.spyOn(questionAnswering, "ensureInitialized").mockResolvedValue();
+  });
+
+  it("answers the question on the platform", async () => {
+    jest.spyOn(CustomerQuestion, "findByPk").mockResolvedValue(question("Stokta var mı?"));
+    const reply = jest
+      .spyOn(questionAnswering.questionService, "replyToQuestion")
+      .mockResolvedValue({ id: 55, status: "sent" });
+
+    const sent = await questionAnswering.sendDraft(draft());
+
+    expect(reply).toHaveBeenCalledWith(
+      101,
+      {
+        text: "Merhaba, ürünümüz stoklarımızda mevcuttur.",
+        type: "answer",
+        template_id: undefined,
+      },
+      null
+    );
+    expect(sent).toMatchObject({ status: "sent", reply_id: 55, auto_send_at: null });
+  });
+
+  it("discards the draft when the question was answered meanwhile", async () => {
+    jest
+      .spyOn(CustomerQuestion, "findByPk")
+      .mockResolvedValue(question("Stokta var mı?", { status: "ANSWERED" }));
+    const reply = jest.spyOn(questionAnswering.questionService, "replyToQuestion");
+
+    expect((await questionAnswering.sendDraft(draft())).status).toBe("discarded");
+    expect(reply).not.toHaveBeenCalled();
+  });
+
+  it("keeps the platform error of a failed answer", async () => {
+    jest.spyOn(CustomerQuestion, "findByPk").mockResolvedValue(question("Stokta var mı?"));
+    jest
+      .spyOn(questionAnswering.questionService, "replyToQuestion")
+      .mockResolvedValue({ id: 56, status: "failed", error_message: "Soru cevaplanamaz" });
+
+    expect(await questionAnswering.sendDraft(draft())).toMatchObject({
+      status: "failed",
+      reply_id: 56,
+      error: "Soru cevaplanamaz",
+    });
+  });
+});
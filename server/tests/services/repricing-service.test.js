@@ -0,0 +1,53 @@
+/**
+ * Sale price calculation of the repricing service
+ */
+const repricingService = require("../../services/repricing-service");
+
+const INPUTS = {
+  cost: 100,
+  shippingCost: 20,
+  commissionRate: 20,
+  vatRate: 20,
+  targetMargin: 0,
+};
+
+describe("calculatePrice", () => {
+  it("breaks even at the floor price", () => {
+    const result = repricingService.calculatePrice(INPUTS);
+
+    // 120 / (1 / 1.2 - 0.2)
+    expect(result.floorPrice).toBe(189.47);
+    expect(result.price).toBe(189.47);
+    expect(result.commissionAmount).toBe(37.89);
+    expect(result.vatAmount).toBe(31.58);
+    expect(Math.abs(result.profit)).toBeLessThanOrEqual(0.01);
+    expect(
+      result.price - result.vatAmount - result.commissionAmount - INPUTS.cost - INPUTS.shippingCost
+    ).toBeCloseTo(0, 1);
+  });
+
+  it("charges commission on the VAT included price", () => {
+    const result = repricingService.calculatePrice({ ...INPUTS, targetMargin: 15 });
+
+    // 120 / (0.85 / 1.2 - 0.2)
+    expect(result.targetPrice).toBe(236.07);
+    expect(result.commissionAmount).toBe(47.21);
+    expect(result.vatAmount).toBe(39.35);
+    expect(result.profit).toBe(29.51);
+    expect(result.margin).toBe(15);
+  });
+
+  it("keeps the price at the floor when maxPrice is below it", () => {
+    const result = repricingService.calculatePrice({ ...INPUTS, targetMargin: 15, maxPrice: 150 });
+
+    expect(result.price).toBe(189.47);
+    expect(result.guards).toEqual(["maxPrice", "floor"]);
+    expect(result.warnings).toEqual(["maxPrice is below the cost floor"]);
+  });
+
+  it("rejects rates that leave no room for cost", () => {
+    expect(() =>
+      repricingService.calculatePrice({ ...INPUTS, commissionRate: 50, targetMargin: 40 })
+    ).toThrow("Commission and target margin leave no room for cost");
+  });
+});
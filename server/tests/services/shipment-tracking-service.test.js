@@ -0,0 +1,38 @@
+/**
+ * Carrier tracking events normalized by the shipment tracking service
+ */
+const shipmentTrackingService = require("../../services/shipment-tracking-service");
+
+const carrier = { mapTrackingStatus: () => "in_transit" };
+
+const occurredAt = (date, time) =>
+  shipmentTrackingService.normalizeEvents([{ status: "TRANSFER", date, time }], carrier)[0]
+    .occurredAt;
+
+describe("normalizeEvents", () => {
+  it("reads carrier times as Turkish local time", () => {
+    expect(occurredAt("2026-10-19", "14:30")).toBe("2026-10-19T11:30:00.000Z");
+    expect(occurredAt("2026-10-19", "14:30:05")).toBe("2026-10-19T11:30:05.000Z");
+    expect(occurredAt("2026-10-19T14:30:00", null)).toBe("2026-10-19T11:30:00.000Z");
+    expect(occurredAt("2026-10-19 14:30:00", null)).toBe("2026-10-19T11:30:00.000Z");
+  });
+
+  it("reads DD.MM.YYYY dates", () => {
+    expect(occurredAt("19.10.2026", "09:05")).toBe("2026-10-19T06:05:00.000Z");
+    expect(occurredAt("1/9/2026", "23:15")).toBe("2026-09-01T20:15:00.000Z");
+  });
+
+  it("starts date-only events at local midnight", () => {
+    expect(occurredAt("2026-10-19", null)).toBe("2026-10-18T21:00:00.000Z");
+  });
+
+  it("keeps an offset the carrier sends", () => {
+    expect(occurredAt("2026-10-19T14:30:00Z", null)).toBe("2026-10-19T14:30:00.000Z");
+    expect(occurredAt("2026-10-19T14:30:00+01:00", null)).toBe("2026-10-19T13:30:00.000Z");
+  });
+
+  it("leaves unreadable dates empty", () => {
+    expect(occurredAt("yarın", null)).toBeNull();
+    expect(occurredAt(null, "14:30")).toBeNull();
+  });
+});
@@ -0,0 +1,283 @@
+/**
+ * Subscription billing: failed renewals, dunning retries and usage recording
+ */
+const { User, Subscription, UsageRecord, Invoice, SavedCard } = require("../../models");
+const billing = require("../../services/subscription-billing-service");
+const emailService = require("../../services/emailService");
+const { checkUsageLimit } = require("../../middleware/auth");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = new Date("2026-10-19T06:00:00Z");
+
+const withUpdate = (fields) => ({
+  update: jest.fn(async function (changes) {
+    return Object.assign(this, changes);
+  }),
+  reload: jest.fn(),
+  ...fields,
+});
+
+const buildSubscription = (fields = {}) =>
+  withUpdate({
+    id: "sub-1",
+    userId: "user-1",
+    status: "active",
+    planId: "starter",
+    planName: "Starter",
+    amount: 19900,
+    currency: "TRY",
+    billingInterval: "monthly",
+    nextBillingAt: new Date("2026-10-18T00:00:00Z"),
+    creditBalance: 0,
+    retryCount: 0,
+    metadata: {},
+    ...fields,
+  });
+
+const openInvoice = (fields = {}) =>
+  withUpdate({
+    id: "invoice-1",
+    invoiceNumber: "INV-2026-000001",
+    description: "Starter subscription renewal",
+    total: 19900,
+    currency: "TRY",
+    status: "open",
+    periodStart: new Date("2026-10-18T00:00:00Z"),
+    periodEnd: new Date("2026-11-18T00:00:00Z"),
+    metadata: { attempts: [] },
+    ...fields,
+  });
+
+let processPayment;
+let sendEmail;
+
+beforeEach(() => {
+  processPayment = jest
+    .fn()
+    .mockResolvedValue({ success: false, error: { message: "Insufficient funds" } });
+  jest.spyOn(billing, "getPaymentFactory").mockReturnValue({ processPayment });
+  jest.spyOn(Subscription, "update").mockResolvedValue([1]);
+  jest.spyOn(User, "update").mockResolvedValue([1]);
+  jest.spyOn(User, "findByPk").mockResolvedValue({
+    id: "user-1",
+    email: "seller@example.com",
+    fullName: "Ayşe Yılmaz",
+  });
+  jest.spyOn(SavedCard, "findOne").mockResolvedValue({
+    provider: "iyzico",
+    cardUserKey: "card-user",
+    cardToken: "card-token",
+  });
+  jest.spyOn(UsageRecord, "findAll").mockResolvedValue([]);
+  jest.spyOn(UsageRecord, "bulkCreate").mockResolvedValue([]);
+  sendEmail = jest.spyOn(emailService, "sendEmail").mockResolvedValue({ success: true });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe("renewals", () => {
+  it("moves a subscription whose renewal is declined to past_due", async () => {
+    const subscription = buildSubscription();
+    const invoice = openInvoice();
+    jest
+      .spyOn(Subscription, "findAll")
+      .mockResolvedValueOnce([])
+      .mockResolvedValueOnce([])
+      .mockResolvedValueOnce([subscription])
+      .mockResolvedValueOnce([]);
+    jest.spyOn(Invoice, "findOne").mockResolvedValue(null);
+    const create = jest.spyOn(Invoice, "create").mockResolvedValue(invoice);
+
+    const stats = await billing.runBillingCycle(NOW);
+
+    expect(stats).toMatchObject({ failed: 1, renewed: 0, errors: 0 });
+    expect(create.mock.calls[0][0]).toMatchObject({
+      subscriptionId: "sub-1",
+      total: 19900,
+      periodStart: new Date("2026-10-18T00:00:00Z"),
+      status: "open",
+    });
+    expect(processPayment.mock.calls[0][0]).toMatchObject({
+      orderId: "INV-2026-000001",
+      amount: 199,
+      paymentCard: { cardUserKey: "card-user", cardToken: "card-token" },
+    });
+    expect(subscription).toMatchObject({
+      status: "past_due",
+      pastDueSince: NOW,
+      retryCount: 0,
+      nextRetryAt: new Date(NOW.getTime() + DAY_MS),
+    });
+    expect(invoice.metadata.attempts).toEqual([
+      expect.objectContaining({ success: false, error: "Insufficient funds" }),
+    ]);
+    expect(User.update).toHaveBeenCalledWith(
+      { subscriptionStatus: "past_due" },
+      { where: { id: "user-1" } }
+    );
+    expect(sendEmail).toHaveBeenCalledWith(
+      "seller@example.com",
+      "Action required: payment failed",
+      expect.stringContaining("Insufficient funds")
+    );
+  });
+
+  it("leaves a subscription another instance claimed alone", async () => {
+    Subscription.update.mockResolvedValueOnce([0]);
+    const handler = jest.fn();
+
+    expect(await billing.processClaimed(buildSubscription(), NOW, handler)).toBeNull();
+    expect(handler).not.toHaveBeenCalled();
+  });
+});
+
+describe("dunning retries", () => {
+  const pastDueSince = new Date(NOW.getTime() - DAY_MS);
+
+  it("schedules the next retry from the day the subscription became past due", async () => {
+    const subscription = buildSubscription({ status: "past_due", pastDueSince });
+    jest.spyOn(Invoice, "findOne").mockResolvedValue(openInvoice());
+
+    expect(await billing.retryPayment(subscription, NOW)).toBe("retry_failed");
+    expect(subscription.retryCount).toBe(1);
+    expect(subscription.nextRetryAt).toEqual(new Date(pastDueSince.getTime() + 3 * DAY_MS));
+  });
+
+  it("expires the subscription after the last retry failed", async () => {
+    const subscription = buildSubscription({ status: "past_due", pastDueSince, retryCount: 2 });
+    const invoice = openInvoice();
+    jest.spyOn(Invoice, "findOne").mockResolvedValue(invoice);
+
+    expect(await billing.retryPayment(subscription, NOW)).toBe("expired");
+    expect(invoice.status).toBe("uncollectible");
+    expect(subscription).toMatchObject({ status: "expired", nextRetryAt: null });
+    expect(User.update).toHaveBeenCalledWith(
+      { subscriptionStatus: "expired" },
+      { where: { id: "user-1" } }
+    );
+  });
+
+  it("reactivates the subscription and opens the usage period once a retry is paid", async () => {
+    processPayment.mockResolvedValue({ success: true, data: { transactionId: "tx-1" } });
+    const subscription = buildSubscription({ status: "past_due", pastDueSince, retryCount: 1 });
+    const invoice = openInvoice();
+    jest.spyOn(Invoice, "findOne").mockResolvedValue(invoice);
+
+    expect(await billing.retryPayment(subscription, NOW)).toBe("recovered");
+    expect(invoice).toMatchObject({ status: "paid", paymentReference: "tx-1" });
+    expect(subscription).toMatchObject({
+      status: "active",
+      pastDueSince: null,
+      retryCount: 0,
+      nextBillingAt: invoice.periodEnd,
+    });
+    expect(UsageRecord.bulkCreate.mock.calls[0][0].map((record) => record.metricType)).toEqual([
+      "api_calls",
+      "platforms",
+      "users",
+      "reports",
+    ]);
+  });
+});
+
+describe("usage", () => {
+  const usageRecord = (fields = {}) => {
+    const record = UsageRecord.build({
+      userId: "user-1",
+      subscriptionId: "sub-1",
+      metricType: "api_calls",
+      currentUsage: 0,
+      limit: 5000,
+      billingPeriodStart: new Date("2026-09-18T00:00:00Z"),
+      billingPeriodEnd: new Date("2026-10-18T00:00:00Z"),
+      overageAllowed: true,
+      overageRate: 5,
+      ...fields,
+    });
+    jest.spyOn(record, "increment").mockResolvedValue(record);
+    jest.spyOn(record, "update").mockImplementation(async function (changes) {
+      return Object.assign(this, changes);
+    });
+    return record;
+  };
+
+  it("adds to the usage of the running period", async () => {
+    const record = usageRecord({ currentUsage: 3990 });
+    jest.spyOn(UsageRecord, "findOne").mockResolvedValue(record);
+
+    await billing.recordUsage("user-1", "api_calls", 10);
+
+    expect(record.increment).toHaveBeenCalledWith("currentUsage", { by: 10 });
+    expect(record.currentUsage).toBe(4000);
+  });
+
+  it("ignores usage outside a billing period", async () => {
+    jest.spyOn(UsageRecord, "findOne").mockResolvedValue(null);
+
+    expect(await billing.recordUsage("user-1", "api_calls")).toBeNull();
+  });
+
+  it("allows usage above the limit only where the plan bills overage", async () => {
+    const findOne = jest.spyOn(UsageRecord, "findOne");
+
+    findOne.mockResolvedValueOnce(usageRecord({ currentUsage: 5000 }));
+    expect(await billing.checkUsage("user-1", "api_calls")).toMatchObject({
+      allowed: true,
+      overage: true,
+    });
+
+    findOne.mockResolvedValueOnce(
+      usageRecord({ metricType: "platforms", currentUsage: 1, limit: 1, overageAllowed: false })
+    );
+    expect(await billing.checkUsage("user-1", "platforms")).toMatchObject({
+      allowed: false,
+      overage: true,
+    });
+  });
+
+  it("bills the overage of the closed period once with the renewal", async () => {
+    const record = usageRecord({ currentUsage: 5200 });
+    UsageRecord.findAll.mockResolvedValue([
+      record,
+      usageRecord({ currentUsage: 6000, metadata: { overageInvoiceId: "invoice-0" } }),
+    ]);
+    const subscription = buildSubscription({ creditBalance: 500 });
+    jest.spyOn(Invoice, "findOne").mockResolvedValue(null);
+    const create = jest.spyOn(Invoice, "create").mockResolvedValue(openInvoice());
+
+    await billing.findOrCreateRenewalInvoice(
+      subscription,
+      new Date("2026-10-18T00:00:00Z"),
+      new Date("2026-11-18T00:00:00Z")
+    );
+
+    const invoice = create.mock.calls[0][0];
+    expect(invoice.lineItems[1]).toMatchObject({ quantity: 200, unitPrice: 5, amount: 1000 });
+    expect(invoice).toMatchObject({ subtotal: 20900, discountAmount: 500, total: 20400 });
+    expect(record.metadata).toEqual({ overageInvoiceId: "invoice-1" });
+    expect(subscription.creditBalance).toBe(0);
+  });
+
+  it("records a request the limit middleware let through and rejects it above the limit", async () => {
+    const record = usageRecord({ metricType: "reports", limit: 25, overageAllowed: false });
+    jest.spyOn(UsageRecord, "findOne").mockResolvedValue(record);
+    const req = { user: { id: "user-1" }, subscription: { id: "sub-1" } };
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    const next = jest.fn();
+
+    record.currentUsage = 24;
+    await checkUsageLimit("reports")(req, res, next);
+    expect(next).toHaveBeenCalledTimes(1);
+    expect(record.currentUsage).toBe(25);
+
+    await checkUsageLimit("reports")(req, res, next);
+    expect(next).toHaveBeenCalledTimes(1);
+    expect(res.status).toHaveBeenCalledWith(429);
+    expect(res.json.mock.calls[0][0]).toMatchObject({
+      usage: { current: 25, limit: 25 },
+      upgradeRequired: true,
+    });
+  });
+});
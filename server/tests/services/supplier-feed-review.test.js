@@ -0,0 +1,84 @@
+/**
+ * Supplier feed review: approving or rejecting a flagged price swing
+ */
+const { Product, sequelize } = require("../../models");
+const supplierFeedService = require("../../services/supplier-feed-service");
+
+const transaction = { id: "tx" };
+
+const historyEntry = (fields = {}) => ({
+  id: "history-1",
+  supplierId: "supplier-1",
+  productId: "product-1",
+  price: "149.90",
+  reviewStatus: "pending",
+  update: jest.fn(async function (changes) {
+    return Object.assign(this, changes);
+  }),
+  ...fields,
+});
+
+beforeEach(() => {
+  jest.spyOn(sequelize, "transaction").mockImplementation(async (callback) => callback(transaction));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe("reviewFlaggedPrice", () => {
+  it("writes the held back price to the product cost when approved", async () => {
+    const product = { update: jest.fn() };
+    const findOne = jest.spyOn(Product, "findOne").mockResolvedValue(product);
+    const entry = historyEntry();
+
+    await supplierFeedService.reviewFlaggedPrice(entry, "approve", "user-1");
+
+    expect(findOne).toHaveBeenCalledWith({
+      where: { id: "product-1", userId: "user-1" },
+      transaction,
+    });
+    expect(product.update).toHaveBeenCalledWith({ costPrice: 149.9 }, { transaction });
+    expect(entry).toMatchObject({ reviewStatus: "approved", reviewedBy: "user-1" });
+    expect(entry.reviewedAt).toBeInstanceOf(Date);
+  });
+
+  it("keeps the product cost when rejected", async () => {
+    const findOne = jest.spyOn(Product, "findOne");
+    const entry = historyEntry();
+
+    await supplierFeedService.reviewFlaggedPrice(entry, "reject", "user-1");
+
+    expect(findOne).not.toHaveBeenCalled();
+    expect(entry.reviewStatus).toBe("rejected");
+  });
+
+  it("refuses entries that are not waiting for review", async () => {
+    await expect(
+      supplierFeedService.reviewFlaggedPrice(
+        historyEntry({ reviewStatus: "superseded" }),
+        "approve",
+        "user-1"
+      )
+    ).rejects.toMatchObject({
+      message: "A later feed run changed this price again.",
+      statusCode: 409,
+    });
+    await expect(
+      supplierFeedService.reviewFlaggedPrice(historyEntry({ reviewStatus: null }), "reject", "user-1")
+    ).rejects.toMatchObject({ statusCode: 409 });
+    await expect(
+      supplierFeedService.reviewFlaggedPrice(historyEntry(), "maybe", "user-1")
+    ).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  it("leaves the entry pending when the product is gone", async () => {
+    jest.spyOn(Product, "findOne").mockResolvedValue(null);
+    const entry = historyEntry();
+
+    await expect(
+      supplierFeedService.reviewFlaggedPrice(entry, "approve", "user-1")
+    ).rejects.toMatchObject({ message: "Product not found.", statusCode: 404 });
+    expect(entry.update).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,176 @@
+/**
+ * Background task executors: item processing, inventory sync and bulk operations
+ */
+const { MainProduct, BulkOperation } = require("../../models");
+const platformSyncService = require("../../services/platform-sync-service");
+const BaseExecutor = require("../../executors/BaseExecutor");
+const InventorySyncExecutor = require("../../executors/InventorySyncExecutor");
+const BulkOperationExecutor = require("../../executors/BulkOperationExecutor");
+
+// The real service starts the platform sync scheduler when it is loaded
+jest.mock("../../services/platform-sync-service", () => ({
+  syncToSinglePlatform: jest.fn(),
+  syncProductToAllPlatforms: jest.fn(),
+}));
+
+const task = (overrides = {}) => ({
+  id: "task-1",
+  taskType: "inventory_sync",
+  userId: "user-1",
+  config: {},
+  ...overrides,
+});
+
+const callbacks = () => ({
+  onProgress: jest.fn(),
+  onLog: jest.fn(),
+  checkCancellation: jest.fn(),
+  waitForResume: jest.fn().mockResolvedValue(),
+});
+
+const product = (id, fields = {}) => ({
+  id,
+  baseSku: `SKU-${id}`,
+  ...fields,
+  update: jest.fn(async function (changes) {
+    return Object.assign(this, changes);
+  }),
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.clearAllMocks();
+});
+
+describe("BaseExecutor.processItems", () => {
+  it("counts failures and keeps going", async () => {
+    const cb = callbacks();
+    const stats = await BaseExecutor.processItems(
+      [{ id: 1 }, { id: 2 }, { id: 3 }],
+      async (item) => {
+        if (item.id === 2) {
+          throw new Error("rejected");
+        }
+        return item.id;
+      },
+      cb
+    );
+
+    expect(stats).toMatchObject({ total: 3, processed: 3, succeeded: 2, failed: 1, results: [1, 3] });
+    expect(stats.errors).toEqual([{ index: 1, item: 2, error: "rejected" }]);
+    expect(cb.onProgress).toHaveBeenLastCalledWith(3, 3, "Processing item 3", "processing");
+  });
+
+  it("stops when the task is cancelled", async () => {
+    const cb = callbacks();
+    cb.checkCancellation
+      .mockImplementationOnce(() => {})
+      .mockImplementationOnce(() => {
+        throw new Error("Task was cancelled");
+      });
+    const handler = jest.fn();
+
+    await expect(BaseExecutor.processItems([1, 2, 3], handler, cb)).rejects.toThrow("cancelled");
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  it("waits for a paused task before the next item", async () => {
+    const cb = callbacks();
+    const order = [];
+    cb.waitForResume.mockImplementation(async () => order.push("resume"));
+
+    await BaseExecutor.processItems([1, 2], async (item) => order.push(item), cb);
+
+    expect(order).toEqual(["resume", 1, "resume", 2]);
+  });
+});
+
+describe("InventorySyncExecutor", () => {
+  it("pushes stock to the task's connection and reports failed products", async () => {
+    jest.spyOn(MainProduct, "findAll").mockResolvedValue([
+      product(1, { stockQuantity: 5 }),
+      product(2, { stockQuantity: 0 }),
+    ]);
+    const sync = platformSyncService.syncToSinglePlatform
+      .mockResolvedValueOnce({ success: true })
+      .mockResolvedValueOnce({ success: false, error: "Listing not found" });
+    const connection = { id: "conn-1", platformType: "trendyol" };
+
+    const result = await InventorySyncExecutor.execute(
+      task({ platformConnection: connection }),
+      callbacks()
+    );
+
+    expect(sync).toHaveBeenCalledWith(
+      1,
+      "trendyol",
+      { stockQuantity: 5 },
+      expect.objectContaining({ userId: "user-1", operation: "update", connection })
+    );
+    expect(result.statistics).toEqual({ total: 2, updated: 1, failed: 1 });
+    expect(result.connections[0].errors).toEqual([{ index: 1, item: 2, error: "Listing not found" }]);
+  });
+
+  it("fails without an active connection", async () => {
+    const { PlatformConnection } = require("../../models");
+    jest.spyOn(PlatformConnection, "findAll").mockResolvedValue([]);
+
+    await expect(InventorySyncExecutor.execute(task(), callbacks())).rejects.toThrow(
+      "No active platform connections"
+    );
+  });
+});
+
+describe("BulkOperationExecutor", () => {
+  const operation = (configuration) => ({
+    id: "bulk-1",
+    type: "price_update",
+    totalItems: 0,
+    configuration,
+    save: jest.fn(),
+    markAsStarted: jest.fn(),
+    markAsCompleted: jest.fn(async function () {
+      this.status = "completed";
+    }),
+    markAsFailed: jest.fn(async function () {
+      this.status = "failed";
+    }),
+    updateProgress: jest.fn(),
+  });
+
+  it("applies a percentage adjustment and marks a partial run", async () => {
+    const created = operation({ productIds: [1, 2], adjustment: { type: "percentage", value: 10 } });
+    jest.spyOn(BulkOperation, "create").mockResolvedValue(created);
+    jest.spyOn(MainProduct, "findAll").mockResolvedValue([
+      product(1, { basePrice: "100.00" }),
+      product(2, { basePrice: "19.99" }),
+    ]);
+    const stored = product(1);
+    jest.spyOn(MainProduct, "findOne").mockResolvedValueOnce(stored).mockResolvedValueOnce(null);
+    const sync = platformSyncService.syncProductToAllPlatforms.mockResolvedValue({});
+
+    const result = await BulkOperationExecutor.execute(
+      task({
+        taskType: "bulk_operation",
+        config: { type: "price_update", configuration: created.configuration },
+      }),
+      callbacks()
+    );
+
+    expect(stored.update).toHaveBeenCalledWith({ basePrice: 110 });
+    expect(sync).toHaveBeenCalledWith("user-1", stored, "update", { basePrice: 110 });
+    expect(result.status).toBe("partial");
+    expect(result.statistics).toEqual({ total: 2, successful: 1, failed: 1, taskId: "task-1" });
+    expect(result.errors[0].error).toBe("Product 2 not found");
+  });
+
+  it("rejects unsupported operation types", async () => {
+    const created = { ...operation({}), type: "archive" };
+    jest.spyOn(BulkOperation, "findOne").mockResolvedValue(created);
+
+    await expect(
+      BulkOperationExecutor.execute(task({ config: { bulkOperationId: "bulk-1" } }), callbacks())
+    ).rejects.toThrow("Unsupported bulk operation type: archive");
+    expect(created.markAsFailed).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,179 @@
+/**
+ * Recurring task schedules: catch-up modes, overlap and the conditional claim
+ */
+const { TaskSchedule } = require("../../models");
+const { TaskScheduler } = require("../../services/TaskScheduler");
+const TaskScheduleService = require("../../services/TaskScheduleService");
+const BackgroundTaskService = require("../../services/BackgroundTaskService");
+
+// Hourly schedule that last ran at 08:00 UTC; the tick at 12:30 finds the
+// 09:00, 10:00, 11:00 and 12:00 runs due
+const NOW = new Date("2026-10-19T12:30:00Z");
+const hour = (h) => new Date(`2026-10-19T${String(h).padStart(2, "0")}:00:00Z`);
+
+const buildSchedule = (fields = {}) => {
+  const schedule = TaskSchedule.build({
+    id: "5f0c6a53-3c1b-4c43-9a55-1f2d4a0b6c01",
+    userId: "8d2e7a34-5e1f-4a3b-8c2d-6b7e8f9a0b12",
+    name: "Hourly orders",
+    taskType: "order_fetching",
+    cronExpression: "0 * * * *",
+    catchUpMode: "once",
+    nextRunAt: hour(9),
+    ...fields,
+  });
+  jest.spyOn(schedule, "update").mockImplementation(async function (changes) {
+    return Object.assign(this, changes);
+  });
+  return schedule;
+};
+
+let scheduler;
+let claim;
+let createTask;
+
+beforeEach(() => {
+  scheduler = new TaskScheduler();
+  claim = jest.spyOn(TaskSchedule, "update").mockResolvedValue([1]);
+  jest.spyOn(TaskScheduleService, "hasActiveRun").mockResolvedValue(false);
+  createTask = jest
+    .spyOn(BackgroundTaskService, "createTask")
+    .mockImplementation(async (data) => ({ id: `task-${createTask.mock.calls.length}`, ...data }));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe("TaskScheduler catch-up", () => {
+  it("skip drops every missed run and waits for the next one", async () => {
+    const schedule = buildSchedule({ catchUpMode: "skip" });
+    const skipped = jest.fn();
+    scheduler.on("scheduleSkipped", skipped);
+
+    await scheduler.processSchedule(schedule, NOW);
+
+    expect(createTask).not.toHaveBeenCalled();
+    expect(schedule.nextRunAt).toEqual(hour(13));
+    expect(schedule.skippedCount).toBe(4);
+    expect(skipped).toHaveBeenCalledWith(schedule.id, { count: 4, reason: "missed" });
+  });
+
+  it("skip still runs a schedule that is due within the grace period", async () => {
+    const schedule = buildSchedule({ catchUpMode: "skip", nextRunAt: hour(12) });
+
+    await scheduler.processSchedule(schedule, new Date("2026-10-19T12:00:30Z"));
+
+    expect(createTask).toHaveBeenCalledTimes(1);
+    expect(createTask.mock.calls[0][0].metadata).toMatchObject({
+      scheduledRunAt: hour(12),
+      trigger: "schedule",
+      missedRuns: 0,
+    });
+    expect(schedule.skippedCount).toBe(0);
+  });
+
+  it("once spawns a single catch-up run for all missed runs", async () => {
+    const schedule = buildSchedule({ catchUpMode: "once" });
+    const triggered = jest.fn();
+    scheduler.on("scheduleTriggered", triggered);
+
+    await scheduler.processSchedule(schedule, NOW);
+
+    expect(createTask).toHaveBeenCalledTimes(1);
+    expect(createTask.mock.calls[0][0]).toMatchObject({
+      taskType: "order_fetching",
+      scheduleId: schedule.id,
+      metadata: { scheduledRunAt: hour(9), trigger: "catch_up", missedRuns: 4 },
+    });
+    expect(schedule.nextRunAt).toEqual(hour(13));
+    expect(schedule.runCount).toBe(1);
+    expect(triggered).toHaveBeenCalledWith(schedule.id, "task-1");
+  });
+
+  it("all replays the latest maxCatchUpRuns runs one tick at a time", async () => {
+    const schedule = buildSchedule({ catchUpMode: "all", maxCatchUpRuns: 2 });
+
+    await scheduler.processSchedule(schedule, NOW);
+    await scheduler.processSchedule(schedule, NOW);
+    await scheduler.processSchedule(schedule, NOW);
+
+    expect(createTask.mock.calls.map(([data]) => data.metadata.scheduledRunAt)).toEqual([
+      hour(11),
+      hour(12),
+    ]);
+    expect(schedule.skippedCount).toBe(2);
+    expect(schedule.nextRunAt).toEqual(hour(13));
+  });
+});
+
+describe("TaskScheduler overlap", () => {
+  beforeEach(() => {
+    TaskScheduleService.hasActiveRun.mockResolvedValue(true);
+  });
+
+  it("skip drops the run while the previous run is active", async () => {
+    const schedule = buildSchedule({ catchUpMode: "skip", nextRunAt: hour(12) });
+
+    await scheduler.processSchedule(schedule, NOW);
+
+    expect(createTask).not.toHaveBeenCalled();
+    expect(schedule.nextRunAt).toEqual(hour(13));
+    expect(schedule.skippedCount).toBe(1);
+  });
+
+  it("once keeps the run due until the previous run ended", async () => {
+    const schedule = buildSchedule({ catchUpMode: "once" });
+
+    await scheduler.processSchedule(schedule, NOW);
+
+    expect(claim).not.toHaveBeenCalled();
+    expect(createTask).not.toHaveBeenCalled();
+    expect(schedule.nextRunAt).toEqual(hour(9));
+  });
+
+  it("ignores the active run when overlap is allowed", async () => {
+    const schedule = buildSchedule({ allowOverlap: true, nextRunAt: hour(12) });
+
+    await scheduler.processSchedule(schedule, NOW);
+
+    expect(TaskScheduleService.hasActiveRun).not.toHaveBeenCalled();
+    expect(createTask).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe("TaskScheduler claim", () => {
+  it("moves nextRunAt only if it is still the run this instance saw", async () => {
+    const schedule = buildSchedule();
+
+    await scheduler.processSchedule(schedule, NOW);
+
+    expect(claim).toHaveBeenCalledWith(
+      { nextRunAt: hour(13) },
+      { where: { id: schedule.id, status: "active", nextRunAt: hour(9) } }
+    );
+  });
+
+  it("leaves the run to the instance that claimed it first", async () => {
+    claim.mockResolvedValue([0]);
+    const schedule = buildSchedule();
+
+    await scheduler.processSchedule(schedule, NOW);
+
+    expect(createTask).not.toHaveBeenCalled();
+    expect(schedule.nextRunAt).toEqual(hour(9));
+  });
+
+  it("keeps ticking when one schedule fails to spawn", async () => {
+    const failing = buildSchedule({ id: "5f0c6a53-3c1b-4c43-9a55-1f2d4a0b6c02" });
+    const healthy = buildSchedule();
+    jest.spyOn(TaskSchedule, "findAll").mockResolvedValue([failing, healthy]);
+    createTask.mockRejectedValueOnce(new Error("queue unavailable"));
+
+    await scheduler.tick();
+
+    expect(failing.lastError).toBe("queue unavailable");
+    expect(createTask).toHaveBeenCalledTimes(2);
+    expect(healthy.runCount).toBe(1);
+  });
+});
@@ -0,0 +1,241 @@
+/**
+ * Task workflows: step ordering, dependency policies and the workflow executor
+ */
+const { BackgroundTask, sequelize } = require("../../models");
+const BackgroundTaskService = require("../../services/BackgroundTaskService");
+const TaskWorkflowService = require("../../services/TaskWorkflowService");
+const WorkflowExecutor = require("../../executors/WorkflowExecutor");
+
+const task = (id, fields = {}) => ({
+  id,
+  taskType: "product_sync",
+  status: "pending",
+  save: jest.fn(),
+  ...fields,
+});
+
+const readiness = (step, ...related) =>
+  TaskWorkflowService.evaluateReadiness(step, new Map(related.map((t) => [t.id, t])));
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe("orderSteps", () => {
+  it("puts every step after the steps it depends on", () => {
+    const ordered = TaskWorkflowService.orderSteps([
+      {
+        key: "export",
+        taskType: "data_export",
+        dependsOn: ["sync", { step: "prices", onFailure: "continue" }],
+      },
+      { key: "prices", taskType: "repricing", dependsOn: ["sync"] },
+      { key: "sync", taskType: "product_sync" },
+    ]);
+
+    expect(ordered.map((step) => step.key)).toEqual(["sync", "prices", "export"]);
+    expect(ordered[2].edges).toEqual([
+      { step: "sync", onFailure: "block" },
+      { step: "prices", onFailure: "continue" },
+    ]);
+  });
+
+  it("rejects cycles, unknown steps and unknown policies", () => {
+    expect(() =>
+      TaskWorkflowService.orderSteps([
+        { key: "a", taskType: "product_sync", dependsOn: ["b"] },
+        { key: "b", taskType: "inventory_sync", dependsOn: ["a"] },
+      ])
+    ).toThrow("Workflow has a dependency cycle: a -> b -> a");
+    expect(() =>
+      TaskWorkflowService.orderSteps([{ key: "a", taskType: "product_sync", dependsOn: ["missing"] }])
+    ).toThrow("Unknown workflow step: missing");
+    expect(() =>
+      TaskWorkflowService.orderSteps([
+        { key: "a", taskType: "product_sync" },
+        { key: "b", taskType: "product_sync", dependsOn: [{ step: "a", onFailure: "retry" }] },
+      ])
+    ).toThrow("Invalid dependency policy: retry");
+    expect(() => TaskWorkflowService.orderSteps([{ key: "a", taskType: "workflow" }])).toThrow(
+      "Workflows cannot be nested"
+    );
+  });
+});
+
+describe("evaluateReadiness", () => {
+  const parent = task("workflow", { status: "running" });
+
+  it("waits for running dependencies and starts once they completed", () => {
+    const step = task("b", { parentTaskId: "workflow", dependsOnTaskIds: ["a"] });
+
+    expect(readiness(step, parent, task("a", { status: "running" }))).toEqual({
+      state: "waiting",
+      reason: "Waiting for dependency a",
+    });
+    expect(readiness(step, parent, task("a", { status: "completed" }))).toEqual({ state: "ready" });
+  });
+
+  it("applies the failure policy of each edge", () => {
+    const failed = task("a", { status: "failed" });
+    const step = (policy) =>
+      task("b", { dependsOnTaskIds: ["a"], dependencyPolicies: policy ? { a: policy } : {} });
+
+    expect(readiness(step(), failed)).toEqual({
+      state: "blocked",
+      reason: "Blocked by failed dependency a",
+    });
+    expect(readiness(step("skip"), failed)).toEqual({
+      state: "skip",
+      reason: "Dependency a ended with status failed",
+    });
+    expect(readiness(step("continue"), failed)).toEqual({ state: "ready" });
+  });
+
+  it("skips steps behind a skipped step whatever the policy", () => {
+    const step = task("c", { dependsOnTaskIds: ["b"], dependencyPolicies: { b: "block" } });
+
+    expect(readiness(step, task("b", { status: "skipped" })).state).toBe("skip");
+  });
+
+  it("holds steps until the workflow runs and skips them when it was cancelled", () => {
+    const step = task("a", { parentTaskId: "workflow" });
+
+    expect(readiness(step, task("workflow", { status: "pending" })).state).toBe("waiting");
+    expect(readiness(step, task("workflow", { status: "cancelled" }))).toEqual({
+      state: "skip",
+      reason: "Parent task workflow ended with status cancelled",
+    });
+  });
+});
+
+describe("getRunnableTasks", () => {
+  it("skips a chain of steps behind a failed dependency and returns ready tasks", async () => {
+    const b = task("b", { dependsOnTaskIds: ["a"], dependencyPolicies: { a: "skip" } });
+    const c = task("c", { dependsOnTaskIds: ["b"] });
+    const d = task("d");
+    jest.spyOn(BackgroundTaskService, "getQueuedTasks").mockResolvedValue([b, c, d]);
+    jest.spyOn(BackgroundTask, "findAll").mockResolvedValue([task("a", { status: "failed" })]);
+
+    const runnable = await TaskWorkflowService.getRunnableTasks({ limit: 5 });
+
+    expect(runnable).toEqual([d]);
+    expect(b).toMatchObject({ status: "skipped", error: "Dependency a ended with status failed" });
+    expect(c).toMatchObject({ status: "skipped", error: "Dependency b ended with status skipped" });
+    expect(d.save).not.toHaveBeenCalled();
+  });
+});
+
+describe("createWorkflow", () => {
+  it("creates the workflow and links each step to its dependencies' task ids", async () => {
+    const transaction = { commit: jest.fn(), rollback: jest.fn() };
+    jest.spyOn(sequelize, "transaction").mockResolvedValue(transaction);
+    const createTask = jest
+      .spyOn(BackgroundTaskService, "createTask")
+      .mockImplementation(async (data) => ({ id: `task-${createTask.mock.calls.length}`, ...data }));
+
+    const workflow = await TaskWorkflowService.createWorkflow("user-1", {
+      name: "Nightly",
+      steps: [
+        { key: "export", taskType: "data_export", dependsOn: [{ step: "sync", onFailure: "skip" }] },
+        { key: "sync", taskType: "product_sync" },
+      ],
+    });
+
+    expect(workflow).toMatchObject({
+      id: "task-1",
+      taskType: "workflow",
+      config: { steps: ["sync", "export"] },
+    });
+    expect(createTask.mock.calls[2][0]).toMatchObject({
+      taskType: "data_export",
+      parentTaskId: "task-1",
+      dependsOnTaskIds: ["task-2"],
+      dependencyPolicies: { "task-2": "skip" },
+      transaction,
+    });
+    expect(transaction.commit).toHaveBeenCalled();
+  });
+
+  it("rolls back when a step cannot be created", async () => {
+    const transaction = { commit: jest.fn(), rollback: jest.fn() };
+    jest.spyOn(sequelize, "transaction").mockResolvedValue(transaction);
+    jest
+      .spyOn(BackgroundTaskService, "createTask")
+      .mockResolvedValueOnce({ id: "task-1" })
+      .mockRejectedValueOnce(new Error("invalid task type"));
+
+    await expect(
+      TaskWorkflowService.createWorkflow("user-1", {
+        name: "Broken",
+        steps: [{ key: "a", taskType: "nope" }],
+      })
+    ).rejects.toThrow("invalid task type");
+    expect(transaction.rollback).toHaveBeenCalled();
+    expect(transaction.commit).not.toHaveBeenCalled();
+  });
+});
+
+describe("WorkflowExecutor", () => {
+  const callbacks = () => ({
+    onProgress: jest.fn(),
+    onLog: jest.fn(),
+    checkCancellation: jest.fn(),
+    waitForResume: jest.fn().mockResolvedValue(),
+  });
+  const workflow = task("workflow", {
+    taskType: "workflow",
+    userId: "user-1",
+    config: { name: "Nightly", pollInterval: 1 },
+  });
+  const graph = (...nodes) => ({ nodes, summary: TaskWorkflowService.summarize(nodes) });
+
+  it("ends once every step finished", async () => {
+    jest
+      .spyOn(TaskWorkflowService, "getWorkflowGraph")
+      .mockResolvedValueOnce(
+        graph(
+          { id: "a", key: "sync", status: "running" },
+          { id: "b", key: "export", status: "pending", state: "waiting" }
+        )
+      )
+      .mockResolvedValueOnce(
+        graph(
+          { id: "a", key: "sync", status: "completed" },
+          { id: "b", key: "export", status: "completed" }
+        )
+      );
+    const cb = callbacks();
+
+    const result = await WorkflowExecutor.execute(workflow, cb);
+
+    expect(cb.onProgress).toHaveBeenNthCalledWith(1, 0, 2, "0/2 steps finished, 1 running", "steps");
+    expect(result.summary).toMatchObject({ total: 2, completed: 2 });
+    expect(result.steps.map((step) => step.status)).toEqual(["completed", "completed"]);
+  });
+
+  it("fails when a step failed", async () => {
+    jest
+      .spyOn(TaskWorkflowService, "getWorkflowGraph")
+      .mockResolvedValue(
+        graph(
+          { id: "a", key: "sync", status: "failed" },
+          { id: "b", key: "export", status: "skipped" }
+        )
+      );
+
+    await expect(WorkflowExecutor.execute(workflow, callbacks())).rejects.toThrow(
+      "Workflow steps failed: sync"
+    );
+  });
+
+  it("cancels open steps when the workflow is cancelled", async () => {
+    const cb = callbacks();
+    cb.checkCancellation.mockImplementation(() => {
+      throw new Error("Task was cancelled");
+    });
+    const cancelOpenSteps = jest.spyOn(TaskWorkflowService, "cancelOpenSteps").mockResolvedValue(2);
+
+    await expect(WorkflowExecutor.execute(workflow, cb)).rejects.toThrow("cancelled");
+    expect(cancelOpenSteps).toHaveBeenCalledWith("workflow", "Workflow cancelled");
+  });
+});
@@ -0,0 +1,350 @@
+/**
+ * WhatsApp Cloud API webhooks, template notifications and opt-in against
+ * scripts/whatsapp-mock-server.js
+ */
+const express = require("express");
+
+const { Order, WhatsAppContact, WhatsAppMessage } = require("../../models");
+const assistant = require("../../services/assistant");
+const whatsappService = require("../../services/whatsapp-service");
+const whatsappCloud = require("../../services/whatsapp-cloud-service");
+const shipmentTrackingService = require("../../services/shipment-tracking-service");
+const whatsappRoutes = require("../../routes/whatsapp");
+
+const { NOTIFICATION_TEMPLATES } = whatsappService;
+
+const ACCOUNT_ID = "8d2e7a34-5e1f-4a3b-8c2d-6b7e8f9a0b12";
+const CUSTOMER = "905321234567";
+
+const listen = (app) =>
+  new Promise((resolve) => {
+    const server = app.listen(0, "127.0.0.1", () => resolve(server));
+  });
+
+const urlOf = (server) => `http://127.0.0.1:${server.address().port}`;
+
+const close = (server) => new Promise((resolve) => server.close(resolve));
+
+// The webhook route parses JSON like app.js, keeping the raw body to verify
+const createApp = () => {
+  const app = express();
+  app.use(
+    express.json({
+      verify: (req, res, buf) => {
+        req.rawBody = buf;
+      },
+    })
+  );
+  app.use("/api/whatsapp", whatsappRoutes);
+  return app;
+};
+
+const withUpdate = (fields) => ({
+  update: jest.fn(async function (changes) {
+    return Object.assign(this, changes);
+  }),
+  ...fields,
+});
+
+const order = (fields = {}) => ({
+  id: "order-1",
+  userId: ACCOUNT_ID,
+  orderNumber: "TY-1001",
+  customerName: "Ayşe Yılmaz",
+  customerPhone: "0532 123 45 67",
+  totalAmount: 1249.9,
+  currency: "TRY",
+  ...fields,
+});
+
+let apiServer;
+let mockServer;
+let mock;
+let sign;
+let contact;
+let logged;
+
+beforeAll(async () => {
+  apiServer = await listen(createApp());
+  // The mock server reads the webhook URL when it is loaded
+  process.env.WHATSAPP_MOCK_WEBHOOK_URL = `${urlOf(apiServer)}/api/whatsapp/webhook`;
+  const mockModule = require("../../scripts/whatsapp-mock-server");
+  sign = mockModule.sign;
+  mock = mockModule.createWhatsAppMockServer();
+  mockServer = await listen(mock.app);
+
+  Object.assign(process.env, {
+    WHATSAPP_API_URL: urlOf(mockServer),
+    WHATSAPP_PHONE_NUMBER_ID: "1000000001",
+    WHATSAPP_ACCESS_TOKEN: "wa_mock_token",
+    WHATSAPP_APP_SECRET: "wa_mock_secret",
+    WHATSAPP_VERIFY_TOKEN: "wa_mock_verify",
+    WHATSAPP_ACCOUNT_ID: ACCOUNT_ID,
+  });
+});
+
+afterAll(async () => {
+  await close(mockServer);
+  await close(apiServer);
+});
+
+beforeEach(() => {
+  mock.state.messages.length = 0;
+  contact = withUpdate({ id: "contact-1", phone: CUSTOMER, optedIn: false });
+  logged = [];
+  jest.spyOn(WhatsAppContact, "findOrCreate").mockResolvedValue([contact, false]);
+  jest.spyOn(WhatsAppMessage, "findOne").mockResolvedValue(null);
+  jest.spyOn(WhatsAppMessage, "create").mockImplementation(async (data) => {
+    const message = withUpdate({ id: `log-${logged.length + 1}`, ...data });
+    logged.push(message);
+    return message;
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe("webhook subscription", () => {
+  const handshake = (verifyToken) =>
+    fetch(
+      `${urlOf(apiServer)}/api/whatsapp/webhook?hub.mode=subscribe` +
+        `&hub.verify_token=${verifyToken}&hub.challenge=1158201444`
+    );
+
+  it("echoes the challenge for the configured verify token", async () => {
+    const response = await handshake("wa_mock_verify");
+
+    expect(response.status).toBe(200);
+    expect(await response.text()).toBe("1158201444");
+  });
+
+  it("rejects any other verify token", async () => {
+    expect((await handshake("guessed")).status).toBe(403);
+  });
+});
+
+describe("webhook signature", () => {
+  const postWebhook = (body, signature) =>
+    fetch(`${urlOf(apiServer)}/api/whatsapp/webhook`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", "X-Hub-Signature-256": signature },
+      body,
+    });
+
+  it("answers a signed customer message through the assistant", async () => {
+    const handleMessage = jest.spyOn(assistant, "handleMessage").mockResolvedValue({
+      conversationId: "conversation-1",
+      reply: "Siparişiniz kargoya verildi.",
+    });
+
+    const response = await fetch(`${urlOf(mockServer)}/__mock/inbound`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ from: CUSTOMER, text: "Siparişim nerede?", name: "Ayşe" }),
+    });
+    const delivery = await response.json();
+
+    expect(delivery).toMatchObject({ delivered: true, status: 200 });
+    expect(delivery.response.data).toEqual({ received: 1, duplicates: 0, statuses: 0 });
+    expect(handleMessage.mock.calls[0][0]).toMatchObject({
+      channel: "whatsapp",
+      externalId: CUSTOMER,
+      accountId: ACCOUNT_ID,
+      text: "Siparişim nerede?",
+      customerPhone: CUSTOMER,
+    });
+    expect(mock.state.messages).toEqual([
+      expect.objectContaining({
+        to: CUSTOMER,
+        type: "text",
+        payload: expect.objectContaining({
+          text: { preview_url: true, body: "Siparişiniz kargoya verildi." },
+        }),
+      }),
+    ]);
+    expect(logged.map((message) => message.direction)).toEqual(["inbound", "outbound"]);
+  });
+
+  it("rejects a payload whose signature does not match", async () => {
+    const handleWebhook = jest.spyOn(whatsappService, "handleWebhook");
+    const body = JSON.stringify({ object: "whatsapp_business_account", entry: [] });
+
+    const forged = await postWebhook(body, `sha256=${"0".repeat(64)}`);
+    const tampered = await postWebhook(body.replace("[]", "[{}]"), sign(body));
+    const missing = await postWebhook(body, "");
+
+    expect([forged.status, tampered.status, missing.status]).toEqual([401, 401, 401]);
+    expect(await forged.json()).toMatchObject({ message: "Invalid webhook signature." });
+    expect(handleWebhook).not.toHaveBeenCalled();
+  });
+
+  it("moves a sent message forward with the status webhooks", async () => {
+    const { messageId } = await whatsappCloud.sendTemplate(
+      CUSTOMER,
+      "order_delivered",
+      "tr",
+      ["Ayşe", "TY-1001"]
+    );
+    const sent = withUpdate({ id: "log-9", direction: "outbound", status: "sent" });
+    WhatsAppMessage.findOne.mockResolvedValue(sent);
+
+    await fetch(`${urlOf(mockServer)}/__mock/messages/${messageId}/status`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ status: "read" }),
+    });
+
+    expect(WhatsAppMessage.findOne).toHaveBeenCalledWith({
+      where: { waMessageId: messageId, direction: "outbound" },
+    });
+    expect(sent.status).toBe("read");
+    expect(sent.deliveredAt).toBeInstanceOf(Date);
+  });
+});
+
+describe("template notifications", () => {
+  it("sends the approved template with its body parameters", async () => {
+    const outcome = await whatsappService.sendOrderNotification(
+      order(),
+      "order_confirmed",
+      contact
+    );
+
+    expect(outcome).toBe("sent");
+    expect(mock.state.messages[0].payload.template).toEqual({
+      name: "order_confirmed",
+      language: { code: "tr" },
+      components: [
+        {
+          type: "body",
+          parameters: [
+            { type: "text", text: "Ayşe Yılmaz" },
+            { type: "text", text: "TY-1001" },
+            { type: "text", text: "1.249,90 TRY" },
+          ],
+        },
+      ],
+    });
+    expect(logged[0]).toMatchObject({
+      orderId: "order-1",
+      event: "order_confirmed",
+      status: "sent",
+      waMessageId: mock.state.messages[0].id,
+    });
+  });
+
+  it("sends the shipped template once the tracking number is known", async () => {
+    const getTracking = jest.spyOn(shipmentTrackingService, "getTracking").mockResolvedValue(null);
+
+    expect(
+      await whatsappService.sendOrderNotification(order(), "order_shipped", contact)
+    ).toBe("skipped");
+
+    getTracking.mockResolvedValue({
+      carrier: "Yurtiçi Kargo",
+      trackingNumber: "YK123456789",
+      trackingUrl: "https://kargo.example/YK123456789",
+    });
+    expect(
+      await whatsappService.sendOrderNotification(order(), "order_shipped", contact)
+    ).toBe("sent");
+    expect(
+      mock.state.messages[0].payload.template.components[0].parameters.map((p) => p.text)
+    ).toEqual([
+      "Ayşe Yılmaz",
+      "TY-1001",
+      "Yurtiçi Kargo",
+      "YK123456789",
+      "https://kargo.example/YK123456789",
+    ]);
+  });
+
+  it("records a template the API refused as failed", async () => {
+    jest.replaceProperty(NOTIFICATION_TEMPLATES.order_delivered, "name", "order_received");
+
+    expect(
+      await whatsappService.sendOrderNotification(order(), "order_delivered", contact)
+    ).toBe("failed");
+    expect(logged[0]).toMatchObject({
+      event: "order_delivered",
+      templateName: "order_received",
+      status: "failed",
+      error: expect.stringContaining("Template name does not exist"),
+    });
+  });
+
+  it("refuses a template with the wrong number of parameters", async () => {
+    await expect(
+      whatsappCloud.sendTemplate(CUSTOMER, "order_delivered", "tr", ["Ayşe"])
+    ).rejects.toMatchObject({ code: 132000, statusCode: 400 });
+  });
+
+  it("never notifies the same order event twice", async () => {
+    WhatsAppMessage.findOne.mockResolvedValue({ id: "log-0" });
+
+    expect(
+      await whatsappService.sendOrderNotification(order(), "order_confirmed", contact)
+    ).toBe("skipped");
+    expect(mock.state.messages).toHaveLength(0);
+  });
+});
+
+describe("opt-in", () => {
+  const inbound = async (text) => {
+    const response = await fetch(`${urlOf(mockServer)}/__mock/inbound`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ from: CUSTOMER, text }),
+    });
+    return response.json();
+  };
+
+  it("turns notifications off and on with the keywords", async () => {
+    const handleMessage = jest.spyOn(assistant, "handleMessage");
+
+    await inbound("DUR");
+    expect(contact).toMatchObject({ optedIn: false, optedOutAt: expect.any(Date) });
+
+    await inbound("Başla");
+    expect(contact).toMatchObject({
+      optedIn: true,
+      optInSource: "keyword",
+      optedOutAt: null,
+    });
+
+    expect(handleMessage).not.toHaveBeenCalled();
+    expect(mock.state.messages.map((message) => message.payload.text.body)).toEqual([
+      expect.stringContaining("bildirimleri kapatıldı"),
+      expect.stringContaining("bildirimleri açıldı"),
+    ]);
+  });
+
+  it("notifies only customers who opted in", async () => {
+    const findContacts = jest
+      .spyOn(WhatsAppContact, "findAll")
+      .mockResolvedValue([{ id: "contact-1", phone: CUSTOMER }]);
+    jest
+      .spyOn(Order, "findAll")
+      .mockResolvedValueOnce([
+        order({ id: "order-1" }),
+        order({ id: "order-2", orderNumber: "TY-1002", customerPhone: "0555 000 00 00" }),
+      ])
+      .mockResolvedValue([]);
+
+    const stats = await whatsappService.runNotificationCycle(new Date());
+
+    expect(findContacts.mock.calls[0][0].where).toEqual({ userId: ACCOUNT_ID, optedIn: true });
+    expect(stats).toEqual({ sent: 1, failed: 0, skipped: 0 });
+    expect(mock.state.messages.map((message) => message.to)).toEqual([CUSTOMER]);
+  });
+
+  it("cannot reach a customer outside the service window with free-form text", async () => {
+    const stranger = withUpdate({ id: "contact-2", phone: "905559998877" });
+
+    await expect(
+      whatsappService.sendReply(ACCOUNT_ID, stranger, "Merhaba")
+    ).rejects.toMatchObject({ code: 131047 });
+    expect(logged[0]).toMatchObject({ status: "failed", phone: "905559998877" });
+  });
+});
@@ -0,0 +1,228 @@
+/**
+ * MNG, Sürat, HepsiJet, Trendyol Express and Kolay Gelsin carrier services
+ * against scripts/carrier-mock-server.js
+ */
+const { createCarrierMockServer } = require("../../scripts/carrier-mock-server");
+const shippingServiceFactory = require("../../modules/public/shipping/ShippingServiceFactory");
+const MNGKargoService = require("../../modules/public/shipping/MNGKargoService");
+
+// Carrier code, mock route, credentials and the carrier's own status codes
+const CARRIERS = [
+  {
+    code: "mng",
+    path: "mng",
+    credentials: { clientId: "mock", clientSecret: "mock", customerNumber: "mock", password: "mock" },
+    delivered: 5,
+    failed: 6,
+  },
+  {
+    code: "surat",
+    path: "surat",
+    credentials: { username: "mock", password: "mock" },
+    delivered: "TESLIM_EDILDI",
+    failed: "TESLIM_EDILEMEDI",
+  },
+  {
+    code: "hepsijet",
+    path: "hepsijet",
+    credentials: { username: "mock", password: "mock", companyCode: "mock" },
+    delivered: "DELIVERED",
+    failed: "UNDELIVERED",
+  },
+  {
+    code: "trendyol_express",
+    path: "tex",
+    credentials: { supplierId: "1", apiKey: "mock", apiSecret: "mock" },
+    delivered: "Delivered",
+    failed: "UnDelivered",
+  },
+  {
+    code: "kolaygelsin",
+    path: "kolaygelsin",
+    credentials: { apiKey: "mock", customerId: "mock" },
+    delivered: "DELIVERED",
+    failed: "DELIVERY_FAILED",
+  },
+];
+
+const FROM_ADDRESS = {
+  name: "Pazar Plus Depo",
+  address1: "Atatürk Cad. No:1",
+  district: "Kadıköy",
+  city: "İstanbul",
+  postalCode: "34710",
+  phone: "05550000000",
+};
+
+const TO_ADDRESS = {
+  name: "Ayşe Yılmaz",
+  address1: "Cumhuriyet Mah. 5. Sok. No:3",
+  district: "Çankaya",
+  city: "Ankara",
+  postalCode: "06420",
+  phone: "05551112233",
+  email: "ayse@example.com",
+};
+
+const PACKAGE_INFO = {
+  weight: 1500,
+  dimensions: { length: 30, width: 20, height: 10 },
+};
+
+let mock;
+let server;
+let baseUrl;
+
+beforeAll(async () => {
+  mock = createCarrierMockServer();
+  await new Promise((resolve) => {
+    server = mock.app.listen(0, "127.0.0.1", resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  shippingServiceFactory.clearCache();
+  await new Promise((resolve) => server.close(resolve));
+});
+
+const credentialsOf = (carrier) => ({
+  ...carrier.credentials,
+  baseUrl: `${baseUrl}/${carrier.path}`,
+});
+
+const setMockStatus = async (trackingNumber, status) => {
+  const response = await fetch(`${baseUrl}/__mock/shipments/${trackingNumber}/status`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ status }),
+  });
+  expect(response.status).toBe(200);
+};
+
+describe.each(CARRIERS)("$code", (carrier) => {
+  const service = () => shippingServiceFactory.getService(carrier.code, credentialsOf(carrier));
+
+  const createLabel = async () => {
+    const label = await service().createShippingLabel({
+      packageInfo: PACKAGE_INFO,
+      fromAddress: FROM_ADDRESS,
+      toAddress: TO_ADDRESS,
+      orderInfo: { orderNumber: "PZ-1001" },
+    });
+    expect(label.success).toBe(true);
+    return label.data;
+  };
+
+  const track = async (trackingNumber) => {
+    const result = await service().trackPackage(trackingNumber);
+    expect(result.success).toBe(true);
+    return result.data;
+  };
+
+  it("quotes a rate", async () => {
+    const result = await service().getShippingRates(PACKAGE_INFO, FROM_ADDRESS, TO_ADDRESS);
+
+    expect(result.success).toBe(true);
+    expect(result.data[0]).toMatchObject({ serviceCode: "STANDARD", currency: "TRY" });
+    expect(result.data[0].price).toBeGreaterThan(0);
+  });
+
+  it("creates a label and follows the shipment to delivery", async () => {
+    const label = await createLabel();
+
+    expect(mock.state.shipments[label.trackingNumber].carrier).toBe(carrier.code);
+    expect(label.labelUrl).toBe(`${baseUrl}/labels/${label.trackingNumber}.pdf`);
+    expect((await track(label.trackingNumber)).status).toBe("created");
+
+    await setMockStatus(label.trackingNumber, carrier.delivered);
+    const delivered = await track(label.trackingNumber);
+
+    expect(delivered.status).toBe("delivered");
+    expect(delivered.events).toHaveLength(2);
+  });
+
+  it("reports a failed delivery", async () => {
+    const label = await createLabel();
+
+    await setMockStatus(label.trackingNumber, carrier.failed);
+
+    expect((await track(label.trackingNumber)).status).toBe("delivery_failed");
+  });
+
+  it("cancels a shipment", async () => {
+    const label = await createLabel();
+
+    const result = await service().cancelShipment(label.trackingNumber);
+
+    expect(result.success).toBe(true);
+    expect((await track(label.trackingNumber)).status).toBe("cancelled");
+  });
+
+  it("fails for an unknown tracking number", async () => {
+    const result = await service().trackPackage("NOPE0000");
+
+    expect(result.success).toBe(false);
+    expect(result.error.message).toBeTruthy();
+  });
+
+  it("refuses a recipient without a valid phone number", async () => {
+    const result = await service().createShippingLabel({
+      packageInfo: PACKAGE_INFO,
+      fromAddress: FROM_ADDRESS,
+      toAddress: { ...TO_ADDRESS, phone: "123" },
+    });
+
+    expect(result.success).toBe(false);
+    expect(result.error.code).toBe("INVALID_PHONE");
+  });
+
+  it("fails without credentials", async () => {
+    const result = await shippingServiceFactory
+      .getService(carrier.code, { baseUrl: `${baseUrl}/${carrier.path}` })
+      .trackPackage("NOPE0000");
+
+    expect(result.success).toBe(false);
+    expect(result.error.message).toMatch(/credentials .* are required/);
+  });
+});
+
+describe("MNG Kargo token", () => {
+  it("logs in again after the customer token was rejected", async () => {
+    const service = new MNGKargoService(credentialsOf(CARRIERS[0]));
+    await service.initialize();
+    service.accessToken = "revoked";
+    service.tokenExpiresAt = Date.now() + 60 * 60 * 1000;
+
+    const rejected = await service.getShippingRates(PACKAGE_INFO, FROM_ADDRESS, TO_ADDRESS);
+    const retried = await service.getShippingRates(PACKAGE_INFO, FROM_ADDRESS, TO_ADDRESS);
+
+    expect(rejected.success).toBe(false);
+    expect(rejected.error.message).toMatch(/401/);
+    expect(retried.success).toBe(true);
+    expect(service.accessToken).toMatch(/^mng-/);
+  });
+});
+
+describe("compareRates", () => {
+  it("sorts the carriers by their cheapest rate", async () => {
+    const credentials = Object.fromEntries(
+      CARRIERS.map((carrier) => [carrier.code, credentialsOf(carrier)])
+    );
+
+    const result = await shippingServiceFactory.compareRates(
+      PACKAGE_INFO,
+      FROM_ADDRESS,
+      TO_ADDRESS,
+      { ...credentials, aras: undefined },
+      [...CARRIERS.map((carrier) => carrier.code), "aras"]
+    );
+
+    const prices = result.carriers.map((entry) => entry.rates[0].price);
+    expect(result.carriers).toHaveLength(CARRIERS.length);
+    expect(prices).toEqual([...prices].sort((a, b) => a - b));
+    expect(result.errors).toEqual([
+      { carrier: "aras", error: "No credentials provided for this carrier" },
+    ]);
+  });
+});